@@ -0,0 +1,272 @@
+/**
+ * 客服多实例集成测试
+ * 在同一进程中启动两个 API 实例（各自的 HTTP 服务、WebSocket 服务、Redis 连接和客服服务），共用本地 Redis，验证：
+ * - 排队队列和会话在实例之间共享，排队位置按创建顺序计算，同一用户在两个实例同时咨询只创建一个会话
+ * - 实例重启后进行中的会话和排队位置仍在
+ * - 客服在一个实例上线后，另一个实例排队的会话分配给该客服
+ * - websocketService.send 通过 Redis 发布订阅投递给连接在另一个实例的用户
+ * - 两个实例同时关闭同一会话时客服会话数只减少一次
+ * - 客服下线后会话按原来的先后顺序重新排队
+ * - Redis 中的状态丢失后，按 customer_service_sessions 表的记录恢复会话、排队位置和客服会话数
+ *
+ * 需要可用的 Redis（连接配置同 API 服务：REDIS_HOST、REDIS_PORT、REDIS_PASSWORD、REDIS_DB），不需要数据库。
+ * 测试使用独立的命名空间，结束后删除测试数据。
+ *
+ * 用法：npm run test:cs-cluster
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'FATAL';
+
+const http = require('http');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { RedisClient } = require('../src/api/core/cache/redisClient');
+const WebSocketService = require('../src/api/core/services/websocketService');
+const CustomerServiceStore = require('../src/api/im-api/customer-service/sessionStore');
+const { CustomerService } = require('../src/api/im-api/customer-service/customerService');
+
+const RUN_ID = crypto.randomBytes(4).toString('hex');
+const CS_NAMESPACE = `cs_cluster_test_${RUN_ID}`;
+const WS_NAMESPACE = `ws_cluster_test_${RUN_ID}`;
+
+// 等待异步投递的最长时间（毫秒）
+const WAIT_TIMEOUT = 5000;
+
+// 删除测试命名空间下的所有键
+const CLEANUP_SCRIPT = `
+local keys = redis.call('KEYS', ARGV[1])
+for i = 1, #keys do redis.call('DEL', keys[i]) end
+return #keys
+`;
+
+// 测试不连接数据库：写入失败时客服服务只记录警告，会话恢复读取 rows 中的记录
+function createDb(rows = null) {
+  return {
+    async query(sql) {
+      if (rows && /^\s*SELECT[\s\S]+FROM customer_service_sessions/.test(sql)) {
+        return { rows };
+      }
+      throw new Error('集成测试不连接数据库');
+    }
+  };
+}
+
+const failures = [];
+
+function check(condition, description) {
+  console.log(`${condition ? '✅' : '❌'} ${description}`);
+  if (!condition) {
+    failures.push(description);
+  }
+}
+
+/**
+ * 轮询直到条件成立
+ * @param {Function} predicate - 异步条件
+ * @returns {Promise<boolean>} 超时前条件是否成立
+ */
+async function waitFor(predicate) {
+  const deadline = Date.now() + WAIT_TIMEOUT;
+  while (Date.now() < deadline) {
+    if (await predicate()) {
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return false;
+}
+
+/**
+ * 启动一个 API 实例
+ * @param {string} name - 实例名称
+ * @param {Object} [db] - 数据库访问对象
+ * @returns {Promise<Object>} 实例
+ */
+async function startNode(name, db = createDb()) {
+  const redis = new RedisClient();
+  await redis.ready();
+  if (redis.isMock) {
+    throw new Error('未连接到 Redis，请配置 REDIS_HOST、REDIS_PORT 后重试');
+  }
+
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const websocket = new WebSocketService(server, { redis, namespace: WS_NAMESPACE });
+  await websocket.enableClusterDelivery();
+
+  const service = new CustomerService({
+    store: new CustomerServiceStore(redis, CS_NAMESPACE),
+    db,
+    websocketService: websocket
+  });
+  await service.initialize();
+
+  return { name, redis, server, websocket, service, port: server.address().port };
+}
+
+/**
+ * 停止实例
+ * @param {Object} node - 实例
+ */
+async function stopNode(node) {
+  await node.websocket.shutdown();
+  await new Promise(resolve => node.server.close(resolve));
+  await node.redis.close();
+}
+
+/**
+ * 以指定用户连接实例的 WebSocket
+ * @param {Object} node - 实例
+ * @param {string} userId - 用户ID
+ * @param {string} role - 角色
+ * @returns {Promise<Object>} { socket, messages }
+ */
+async function connect(node, userId, role = 'user') {
+  // 未注册认证服务时 WebSocket 服务从 token 的第二段读取用户信息
+  const payload = Buffer.from(JSON.stringify({ id: userId, role })).toString('base64url');
+  const socket = new WebSocket(`ws://127.0.0.1:${node.port}/ws?token=test.${payload}.test`);
+  const client = { socket, messages: [] };
+  socket.on('message', data => client.messages.push(JSON.parse(data)));
+  const connected = await waitFor(() => client.messages.some(message => message.type === 'connection_established'));
+  if (!connected) {
+    throw new Error(`用户 ${userId} 连接实例 ${node.name} 失败`);
+  }
+  return client;
+}
+
+/**
+ * 等待客户端收到指定消息
+ * @param {Object} client - 客户端
+ * @param {Function} predicate - 消息条件
+ * @returns {Promise<boolean>} 是否收到
+ */
+function received(client, predicate) {
+  return waitFor(() => client.messages.some(predicate));
+}
+
+async function main() {
+  let nodeA = await startNode('A');
+  let nodeB = await startNode('B');
+  const clients = [];
+
+  try {
+    console.log(`命名空间 ${CS_NAMESPACE}，实例 A 端口 ${nodeA.port}，实例 B 端口 ${nodeB.port}`);
+
+    // 1. 没有客服在线时，两个实例创建的会话进入同一个排队队列
+    const s1 = await nodeA.service.createSession({ userId: 'u1', name: '用户一', questionType: '订单', initialQuestion: '我的订单还没发货' });
+    const s2 = await nodeB.service.createSession({ userId: 'u2', name: '用户二', questionType: '退款' });
+    check(s1.status === 'waiting' && s2.status === 'waiting', '没有客服在线时会话进入排队');
+    check(await nodeB.service.store.getQueuePosition(s1.sessionId) === 1, '实例 B 看到实例 A 创建的会话排在第 1 位');
+    check(await nodeA.service.store.getQueuePosition(s2.sessionId) === 2, '实例 A 看到实例 B 创建的会话排在第 2 位');
+
+    const [again1, again2] = await Promise.all([
+      nodeA.service.createSession({ userId: 'u1', name: '用户一', questionType: '订单' }),
+      nodeB.service.createSession({ userId: 'u1', name: '用户一', questionType: '订单' })
+    ]);
+    check(again1.sessionId === s1.sessionId && again2.sessionId === s1.sessionId, '同一用户在两个实例再次咨询时返回已有会话');
+    check((await nodeA.service.store.getQueue()).length === 2, '排队队列中没有重复的会话');
+
+    // 2. 重启实例 A，进行中的会话和排队位置仍在
+    await stopNode(nodeA);
+    nodeA = await startNode('A');
+    const restarted = await nodeA.service.getSession(s1.sessionId);
+    check(Boolean(restarted) && restarted.status === 'waiting', '实例 A 重启后会话仍在排队');
+    check(Boolean(restarted) && restarted.messages.some(message => message.content === '我的订单还没发货'), '实例 A 重启后会话消息仍在');
+    check(await nodeA.service.store.getQueuePosition(s2.sessionId) === 2, '实例 A 重启后排队位置不变');
+
+    // 3. 用户连接实例 A，客服连接实例 B，排队的会话分配给客服
+    const user1 = await connect(nodeA, 'u1');
+    const user2 = await connect(nodeA, 'u2');
+    const agent1 = await connect(nodeB, 'cs1', 'customer_service');
+    clients.push(user1, user2, agent1);
+    check(await waitFor(async () => (await nodeA.service.getSession(s1.sessionId)).status === 'active'), '客服在实例 B 上线后实例 A 的排队会话被分配');
+    const assigned = await nodeA.service.getSession(s2.sessionId);
+    check(assigned.status === 'active' && assigned.csUserId === 'cs1', '排队的会话都分配给了上线的客服');
+    check((await nodeA.service.store.getAgent('cs1')).currentSessions === 2, '客服会话数为 2');
+    check(await nodeB.websocket.isUserOnlineInCluster('u1'), '实例 B 查询到连接在实例 A 的用户在线');
+
+    // 4. 跨实例投递消息
+    await nodeB.service.sendMessage({ sessionId: s1.sessionId, senderId: 'cs1', content: '您好，正在为您查询' });
+    check(await received(user1, message => message.type === 'customer_service_message' && message.data.content === '您好，正在为您查询'),
+      '实例 B 上客服发送的消息投递给连接在实例 A 的用户');
+    await nodeA.service.sendMessage({ sessionId: s1.sessionId, senderId: 'u1', content: '好的，谢谢' });
+    check(await received(agent1, message => message.type === 'customer_service_message' && message.data.content === '好的，谢谢'),
+      '实例 A 上用户发送的消息投递给连接在实例 B 的客服');
+    check(nodeA.websocket.send('cs1', { type: 'cluster_probe', data: { from: 'A' } }) === false, 'send 对其他实例的用户返回 false（未在本实例投递）');
+    check(await received(agent1, message => message.type === 'cluster_probe'), 'websocketService.send 通过 Redis 投递给其他实例的用户');
+
+    // 5. 两个实例同时关闭同一会话
+    const results = await Promise.all([
+      nodeA.service.closeSession(s1.sessionId, 'u1', '问题已解决'),
+      nodeB.service.closeSession(s1.sessionId, 'cs1', '问题已解决')
+    ]);
+    check(results.every(session => session.status === 'closed'), '两个实例都返回已关闭的会话');
+    check((await nodeA.service.store.getAgent('cs1')).currentSessions === 1, '同时关闭时客服会话数只减少一次');
+    check(await nodeB.service.getUserActiveSession('u1') === null, '关闭后用户没有进行中的会话');
+
+    // 6. 客服下线，会话按原来的先后顺序重新排队
+    const s3 = await nodeB.service.createSession({ userId: 'u3', name: '用户三', questionType: '售后' });
+    check(s3.status === 'active', '客服在线时新会话直接分配');
+    agent1.socket.close();
+    check(await waitFor(async () => (await nodeA.service.store.getQueue()).length === 2), '客服下线后其会话重新排队');
+    const queue = await nodeA.service.store.getQueue();
+    check(queue[0] === s2.sessionId && queue[1] === s3.sessionId, '重新排队的会话按创建顺序排列');
+    check((await nodeA.service.store.getAgent('cs1')).currentSessions === 0, '客服下线后会话数归零');
+    const s4 = await nodeA.service.createSession({ userId: 'u4', name: '用户四', questionType: '订单' });
+    check(await nodeB.service.store.getQueuePosition(s4.sessionId) === 3, '新会话排在重新排队的会话之后');
+
+    // 7. Redis 状态丢失后从数据库记录恢复
+    const rows = (await nodeA.service.store.getLiveSessions()).map(session => ({
+      id: session.sessionId,
+      user_id: session.userId,
+      user_name: session.userName,
+      question_type: session.questionType,
+      status: session.status,
+      cs_user_id: session.csUserId,
+      cs_user_name: session.csUserName,
+      created_at: new Date(session.createdAt),
+      assigned_at: session.assignedAt ? new Date(session.assignedAt) : null,
+      last_message_at: new Date(session.lastMessageAt)
+    }));
+    rows.push({
+      id: `cs_session_${Date.now()}_u5`,
+      user_id: 'u5',
+      user_name: '用户五',
+      question_type: '售后',
+      status: 'active',
+      cs_user_id: 'cs3',
+      cs_user_name: '客服小张',
+      created_at: new Date(),
+      assigned_at: new Date(),
+      last_message_at: new Date()
+    });
+    await nodeA.redis.evalScript(CLEANUP_SCRIPT, [], [`{${CS_NAMESPACE}}:*`]);
+    check((await nodeA.service.store.getQueue()).length === 0, '清空 Redis 中的客服状态');
+
+    const nodeC = await startNode('C', createDb(rows));
+    try {
+      const rebuilt = await nodeC.service.store.getQueue();
+      check(rebuilt.length === 3 && rebuilt[0] === s2.sessionId && rebuilt[1] === s3.sessionId && rebuilt[2] === s4.sessionId,
+        '按数据库记录恢复排队队列，排队位置不变');
+      check((await nodeB.service.getUserActiveSession('u3') || {}).sessionId === s3.sessionId, '其他实例读取到恢复的用户会话');
+      check((await nodeB.service.store.getAgent('cs3')).currentSessions === 1, '恢复服务中的会话时计入客服会话数');
+      check(await nodeC.service.rebuildSessions() === 0, '重复恢复不会覆盖 Redis 中已有的会话');
+    } finally {
+      await stopNode(nodeC);
+    }
+  } finally {
+    clients.forEach(client => client.socket.close());
+    await nodeA.redis.evalScript(CLEANUP_SCRIPT, [], [`{${CS_NAMESPACE}}:*`]);
+    await nodeA.redis.evalScript(CLEANUP_SCRIPT, [], [`${WS_NAMESPACE}:*`]);
+    await stopNode(nodeA);
+    await stopNode(nodeB);
+  }
+
+  console.log(failures.length === 0 ? '\n集成测试通过' : `\n集成测试失败：${failures.length} 项检查未通过`);
+  process.exitCode = failures.length === 0 ? 0 : 1;
+}
+
+main().catch((error) => {
+  console.error('集成测试执行失败:', error);
+  process.exitCode = 1;
+});
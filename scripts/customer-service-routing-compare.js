@@ -0,0 +1,204 @@
+/**
+ * 客服分配策略比较
+ * 用同一份模拟数据（固定随机种子）依次运行已注册的各个分配策略，比较：
+ * - 平均等待时间（普通用户、VIP 会员、高优先级会话分别统计）
+ * - 技能匹配率和分配客服对问题类型的平均熟练度
+ * - 回头客分配给上次服务客服的比例（上次的客服可分配时）
+ * - 客服接待量的差异（最多和最少接待量）
+ *
+ * 模拟一个 8 小时班次：客服技能和会话上限固定，部分客服中途休息（状态为 away），
+ * 会话按排队分数（VIP 和优先级提前量）排队，每分钟按策略为排队的会话分配客服。
+ * 不需要 Redis 和数据库。
+ *
+ * 用法：npm run compare:cs-routing
+ *      SIM_MINUTES=240 SIM_SEED=7 npm run compare:cs-routing
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'FATAL';
+
+const routing = require('../src/api/im-api/customer-service/routing');
+
+const SIM_MINUTES = parseInt(process.env.SIM_MINUTES || '480', 10);
+const SIM_SEED = parseInt(process.env.SIM_SEED || '20240601', 10);
+
+const QUESTION_TYPES = ['订单', '退款', '商品咨询', '会员服务', '技术支持', '售后'];
+const BUYER_COUNT = 150;
+
+const AGENTS = [
+  { userId: 'cs1', name: '客服小王', maxSessions: 5, specialties: ['订单:5', '退款:4'] },
+  { userId: 'cs2', name: '客服小李', maxSessions: 5, specialties: ['商品咨询:5', '会员服务:3'] },
+  { userId: 'cs3', name: '客服小张', maxSessions: 4, specialties: ['技术支持:5', '售后:4'] },
+  { userId: 'cs4', name: '客服小赵', maxSessions: 4, specialties: ['退款:2', '售后:3', '订单:2'] },
+  { userId: 'cs5', name: '客服小陈', maxSessions: 3, specialties: ['会员服务:5', '商品咨询'] },
+  { userId: 'cs6', name: '客服小刘', maxSessions: 5, specialties: ['订单', '退款', '售后'] },
+  { userId: 'cs7', name: '客服小周', maxSessions: 3, specialties: ['技术支持:2'] },
+  { userId: 'cs8', name: '客服小吴', maxSessions: 4, specialties: [] }
+];
+
+// 客服休息时段（分钟）
+const BREAKS = {
+  cs1: [120, 150],
+  cs3: [200, 230],
+  cs6: [300, 330]
+};
+
+/**
+ * 固定种子的伪随机数（mulberry32）
+ * @param {number} seed - 随机种子
+ * @returns {Function} 返回 [0, 1) 随机数的函数
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 生成模拟会话（同一种子下每个策略使用相同的会话）
+ * @returns {Array<Object>} 会话列表（按创建时间排序）
+ */
+function generateSessions() {
+  const random = createRandom(SIM_SEED);
+  const vipBuyers = new Set();
+  for (let i = 0; i < BUYER_COUNT; i++) {
+    if (random() < 0.15) {
+      vipBuyers.add(`buyer${i}`);
+    }
+  }
+
+  const sessions = [];
+  for (let minute = 0; minute < SIM_MINUTES; minute++) {
+    const arrivals = random() < 0.5 ? 2 : (random() < 0.8 ? 1 : 0);
+    for (let i = 0; i < arrivals; i++) {
+      const userId = `buyer${Math.floor(random() * BUYER_COUNT)}`;
+      const roll = random();
+      sessions.push({
+        sessionId: `sim_${sessions.length}`,
+        userId,
+        questionType: QUESTION_TYPES[Math.floor(random() * QUESTION_TYPES.length)],
+        priority: roll < 0.05 ? 'urgent' : (roll < 0.15 ? 'high' : 'medium'),
+        vip: vipBuyers.has(userId),
+        createdAt: minute * 60 * 1000 + i,
+        duration: 5 + Math.floor(random() * 30)
+      });
+    }
+  }
+  return sessions;
+}
+
+/**
+ * 按策略运行一次模拟
+ * @param {string} strategy - 策略名称
+ * @param {Array<Object>} sessions - 模拟会话
+ * @returns {Object} 统计结果
+ */
+function simulate(strategy, sessions) {
+  const agents = AGENTS.map(agent => ({ ...agent, online: true, status: 'online', currentSessions: 0, served: 0 }));
+  const lastAgentByBuyer = new Map();
+  const running = [];
+  let queue = [];
+  let next = 0;
+
+  const waits = { normal: [], vip: [], high: [] };
+  let skillMatched = 0;
+  let skillLevelSum = 0;
+  let stickyChances = 0;
+  let stickyHits = 0;
+  let assigned = 0;
+
+  for (let minute = 0; minute < SIM_MINUTES; minute++) {
+    const now = minute * 60 * 1000;
+
+    // 结束到期的会话，更新休息状态
+    for (let i = running.length - 1; i >= 0; i--) {
+      if (running[i].endsAt <= minute) {
+        running[i].agent.currentSessions--;
+        running.splice(i, 1);
+      }
+    }
+    agents.forEach(agent => {
+      const period = BREAKS[agent.userId];
+      agent.status = period && minute >= period[0] && minute < period[1] ? 'away' : 'online';
+    });
+
+    // 新会话按排队分数加入队列
+    while (next < sessions.length && sessions[next].createdAt < now + 60 * 1000) {
+      queue.push({ ...sessions[next], preferredCsUserId: lastAgentByBuyer.get(sessions[next].userId) || null });
+      next++;
+    }
+    queue.sort((a, b) => routing.getQueueScore(a) - routing.getQueueScore(b));
+
+    // 按排队顺序分配
+    queue = queue.filter(session => {
+      const [agent] = routing.rankAgents(agents, {
+        questionType: session.questionType,
+        preferredAgentId: session.preferredCsUserId
+      }, strategy);
+      if (!agent) {
+        return true;
+      }
+
+      const wait = Math.max(0, now - session.createdAt) / 60000;
+      if (session.vip) {
+        waits.vip.push(wait);
+      } else if (session.priority === 'high' || session.priority === 'urgent') {
+        waits.high.push(wait);
+      } else {
+        waits.normal.push(wait);
+      }
+
+      const level = routing.getSkillLevel(agent, session.questionType);
+      if (level > 0) {
+        skillMatched++;
+        skillLevelSum += level;
+      }
+      if (session.preferredCsUserId) {
+        const preferred = agents.find(item => item.userId === session.preferredCsUserId);
+        if (routing.isAvailable(preferred)) {
+          stickyChances++;
+          if (agent.userId === session.preferredCsUserId) {
+            stickyHits++;
+          }
+        }
+      }
+
+      agent.currentSessions++;
+      agent.served++;
+      assigned++;
+      lastAgentByBuyer.set(session.userId, agent.userId);
+      running.push({ agent, endsAt: minute + session.duration });
+      return false;
+    });
+  }
+
+  const average = list => (list.length ? list.reduce((sum, value) => sum + value, 0) / list.length : 0);
+  const served = agents.map(agent => agent.served);
+
+  return {
+    策略: strategy,
+    已分配: assigned,
+    未分配: queue.length,
+    '普通等待(分)': average(waits.normal).toFixed(2),
+    'VIP等待(分)': average(waits.vip).toFixed(2),
+    '高优先级等待(分)': average(waits.high).toFixed(2),
+    技能匹配率: `${(assigned ? skillMatched / assigned * 100 : 0).toFixed(1)}%`,
+    平均熟练度: (skillMatched ? skillLevelSum / skillMatched : 0).toFixed(2),
+    回头客命中率: `${(stickyChances ? stickyHits / stickyChances * 100 : 0).toFixed(1)}%`,
+    '接待量(最多/最少)': `${Math.max(...served)}/${Math.min(...served)}`
+  };
+}
+
+function main() {
+  const sessions = generateSessions();
+  console.log(`模拟 ${SIM_MINUTES} 分钟，${sessions.length} 个会话，${AGENTS.length} 名客服（随机种子 ${SIM_SEED}）`);
+
+  const results = routing.getStrategyNames().map(strategy => simulate(strategy, sessions));
+  console.table(results);
+}
+
+main();
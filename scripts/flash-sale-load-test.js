@@ -0,0 +1,205 @@
+/**
+ * 秒杀库存压测
+ * 直接对 Redis 中的秒杀库存（src/api/core/cache/FlashSaleStock.js）发起大量并发抢购，验证：
+ * - 抢到的总件数不超过活动库存，剩余库存不为负且与抢到件数对应
+ * - 每位买家抢到的件数不超过每人限购
+ * - 归还的库存可以被再次抢购，重复归还不会多加库存
+ *
+ * 需要可用的 Redis（连接配置同 API 服务：REDIS_HOST、REDIS_PORT、REDIS_PASSWORD、REDIS_DB），不需要数据库和消息队列。
+ * 压测使用独立的活动ID，数据在 10 分钟后自动过期。
+ *
+ * 用法：npm run loadtest:flash-sale
+ * 可选环境变量：
+ * - FLASH_SALE_LOAD_STOCK：活动库存（默认 100）
+ * - FLASH_SALE_LOAD_LIMIT：每人限购（默认 2）
+ * - FLASH_SALE_LOAD_USERS：参与抢购的买家数（默认 2000）
+ * - FLASH_SALE_LOAD_ATTEMPTS：每位买家的抢购次数（默认 3）
+ * - FLASH_SALE_LOAD_CONCURRENCY：同时进行的请求数（默认 200）
+ */
+
+const crypto = require('crypto');
+const { redisClient } = require('../src/api/core/cache/redisClient');
+const FlashSaleStock = require('../src/api/core/cache/FlashSaleStock');
+const { RESERVE_RESULT } = require('../src/api/core/cache/FlashSaleStock');
+
+const STOCK = parseInt(process.env.FLASH_SALE_LOAD_STOCK || '100', 10);
+const LIMIT = parseInt(process.env.FLASH_SALE_LOAD_LIMIT || '2', 10);
+const USERS = parseInt(process.env.FLASH_SALE_LOAD_USERS || '2000', 10);
+const ATTEMPTS = parseInt(process.env.FLASH_SALE_LOAD_ATTEMPTS || '3', 10);
+const CONCURRENCY = parseInt(process.env.FLASH_SALE_LOAD_CONCURRENCY || '200', 10);
+
+// 压测数据保留时间（秒）
+const TTL_SECONDS = 600;
+
+const failures = [];
+
+function check(condition, description) {
+  console.log(`${condition ? '✅' : '❌'} ${description}`);
+  if (!condition) {
+    failures.push(description);
+  }
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return 0;
+  }
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+/**
+ * 以固定并发执行任务
+ * @param {Array<Function>} tasks - 任务列表
+ * @param {number} concurrency - 并发数
+ */
+async function runConcurrently(tasks, concurrency) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(concurrency, tasks.length) }, async () => {
+    while (next < tasks.length) {
+      const task = tasks[next++];
+      await task();
+    }
+  });
+  await Promise.all(workers);
+}
+
+/**
+ * 一轮抢购：每位买家随机抢 1 到限购件
+ * @param {FlashSaleStock} stock - 秒杀库存
+ * @param {string} saleId - 活动ID
+ * @param {Array<string>} userIds - 买家
+ * @returns {Promise<Object>} { tickets, results, latencies, elapsed }
+ */
+async function purchaseRound(stock, saleId, userIds) {
+  const tickets = [];
+  const results = {};
+  const latencies = [];
+  const tasks = [];
+  for (const userId of userIds) {
+    for (let i = 0; i < ATTEMPTS; i++) {
+      tasks.push(async () => {
+        const requestNo = `LT${crypto.randomBytes(8).toString('hex')}`;
+        const quantity = crypto.randomInt(1, LIMIT + 1);
+        const startedAt = process.hrtime.bigint();
+        const { code } = await stock.reserve(saleId, { requestNo, userId, quantity, now: Date.now(), ticketTtl: TTL_SECONDS });
+        latencies.push(Number(process.hrtime.bigint() - startedAt) / 1e6);
+        results[code] = (results[code] || 0) + 1;
+        if (code === RESERVE_RESULT.OK) {
+          tickets.push({ requestNo, userId, quantity });
+        }
+      });
+    }
+  }
+  // 打乱顺序，让同一买家的请求交错到达
+  for (let i = tasks.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(0, i + 1);
+    [tasks[i], tasks[j]] = [tasks[j], tasks[i]];
+  }
+
+  const startedAt = Date.now();
+  await runConcurrently(tasks, CONCURRENCY);
+  return { tickets, results, latencies, elapsed: Date.now() - startedAt };
+}
+
+function report(title, round) {
+  const sorted = [...round.latencies].sort((a, b) => a - b);
+  const names = Object.fromEntries(Object.entries(RESERVE_RESULT).map(([name, code]) => [code, name]));
+  console.log(`\n${title}`);
+  console.log(`  请求数 ${round.latencies.length}，耗时 ${round.elapsed}ms，吞吐 ${Math.round(round.latencies.length / (round.elapsed / 1000))} 次/秒`);
+  console.log(`  延迟 p50 ${percentile(sorted, 0.5).toFixed(2)}ms，p95 ${percentile(sorted, 0.95).toFixed(2)}ms，p99 ${percentile(sorted, 0.99).toFixed(2)}ms`);
+  console.log(`  结果 ${Object.entries(round.results).map(([code, count]) => `${names[code] || code}: ${count}`).join('，')}`);
+}
+
+/**
+ * 校验抢购结果与 Redis 中的库存和限购名额一致
+ * @param {FlashSaleStock} stock - 秒杀库存
+ * @param {string} saleId - 活动ID
+ * @param {Array<Object>} tickets - 仍有效的抢购凭证
+ * @param {string} stage - 阶段名称
+ */
+async function verify(stock, saleId, tickets, stage) {
+  const remaining = await stock.getStock(saleId);
+  const sold = tickets.reduce((sum, ticket) => sum + ticket.quantity, 0);
+  const perUser = new Map();
+  tickets.forEach(ticket => perUser.set(ticket.userId, (perUser.get(ticket.userId) || 0) + ticket.quantity));
+
+  console.log(`\n${stage}：抢到 ${sold} 件，剩余库存 ${remaining}`);
+  check(sold <= STOCK, `${stage}：抢到的总件数 ${sold} 不超过活动库存 ${STOCK}`);
+  check(remaining >= 0, `${stage}：剩余库存 ${remaining} 不为负数`);
+  check(sold + remaining === STOCK, `${stage}：抢到件数 + 剩余库存 = 活动库存`);
+  check([...perUser.values()].every(quantity => quantity <= LIMIT), `${stage}：每位买家抢到的件数不超过限购 ${LIMIT}`);
+
+  let mismatched = 0;
+  for (const [userId, quantity] of perUser) {
+    if (await stock.getUserQuantity(saleId, userId) !== quantity) {
+      mismatched++;
+    }
+  }
+  check(mismatched === 0, `${stage}：Redis 中的买家已抢件数与抢到的凭证一致`);
+}
+
+async function main() {
+  await redisClient.ready();
+  if (redisClient.isMock) {
+    console.error('未连接到 Redis，请配置 REDIS_HOST、REDIS_PORT 后重试');
+    process.exitCode = 1;
+    return;
+  }
+
+  const stock = new FlashSaleStock(redisClient);
+  const saleId = `loadtest_${Date.now()}`;
+  const now = Date.now();
+  await stock.preload(saleId, {
+    stock: STOCK,
+    status: 'active',
+    startMs: now - 1000,
+    endMs: now + TTL_SECONDS * 1000,
+    limitPerUser: LIMIT,
+    expireAt: Math.ceil(now / 1000) + TTL_SECONDS,
+    force: true
+  });
+  console.log(`压测活动 ${saleId}：库存 ${STOCK}，每人限购 ${LIMIT}，买家 ${USERS} 人，每人抢购 ${ATTEMPTS} 次，并发 ${CONCURRENCY}`);
+
+  // 1. 大量买家同时抢购
+  const userIds = Array.from({ length: USERS }, (_, i) => `load_user_${i}`);
+  const first = await purchaseRound(stock, saleId, userIds);
+  report('第一轮抢购', first);
+  await verify(stock, saleId, first.tickets, '第一轮抢购后');
+  if (USERS * ATTEMPTS >= STOCK) {
+    check(await stock.getStock(saleId) < LIMIT, '抢购需求超过库存时库存被抢光');
+  }
+
+  // 2. 归还一半凭证（模拟订单超时关闭），每张凭证归还两次验证只归还一次
+  const released = first.tickets.filter((_, i) => i % 2 === 0);
+  const kept = first.tickets.filter((_, i) => i % 2 === 1);
+  const before = await stock.getStock(saleId);
+  let returned = 0;
+  await runConcurrently(released.flatMap(ticket => [1, 2].map(() => async () => {
+    const quantity = await stock.release(saleId, ticket.requestNo, { status: 'released', reason: '压测归还', now: Date.now() });
+    returned += quantity;
+  })), CONCURRENCY);
+  const releasedQuantity = released.reduce((sum, ticket) => sum + ticket.quantity, 0);
+  check(returned === releasedQuantity, `重复归还 ${released.length} 张凭证只归还 ${releasedQuantity} 件`);
+  check(await stock.getStock(saleId) === before + releasedQuantity, '归还后剩余库存增加归还的件数');
+  await verify(stock, saleId, kept, '归还后');
+
+  // 3. 新一批买家抢购归还的库存
+  const secondUsers = Array.from({ length: USERS }, (_, i) => `load_user_b${i}`);
+  const second = await purchaseRound(stock, saleId, secondUsers);
+  report('第二轮抢购（归还的库存）', second);
+  await verify(stock, saleId, [...kept, ...second.tickets], '第二轮抢购后');
+
+  console.log(failures.length === 0 ? '\n压测通过，没有超卖' : `\n压测失败：${failures.length} 项检查未通过`);
+  process.exitCode = failures.length === 0 ? 0 : 1;
+}
+
+main()
+  .catch((error) => {
+    console.error('压测执行失败:', error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    if (!redisClient.isMock) {
+      await redisClient.close();
+    }
+  });
@@ -55,6 +55,9 @@ import FloorDesigner from './pages/floor/FloorDesigner';
 import CouponList from './pages/promotion/coupon/CouponList';
 import CouponActivity from './pages/promotion/coupon-activity/CouponActivity';
 import FullDiscount from './pages/promotion/full-discount/FullDiscount';
+// 导入系统设置页面组件
+import Region from './pages/settings/system-setting/Region';
+import Logistics from './pages/settings/system-setting/Logistics';
 import VirtualOrder from './pages/order/VirtualOrder';
 import AfterSales from './pages/order/AfterSales';
 import RechargeRecord from './pages/member/member-manage/deposit/RechargeRecord';
@@ -184,8 +187,8 @@ const App = () => {
                 <Route path="/settings/role-permission" element={<PlaceholderPage title="角色权限" />} />
                 <Route path="/settings/system-setting/system-setting" element={<PlaceholderPage title="系统设置" />} />
                 <Route path="/settings/system-setting/oss" element={<PlaceholderPage title="OSS资源" />} />
-                <Route path="/settings/system-setting/region" element={<PlaceholderPage title="行政地区" />} />
-                <Route path="/settings/system-setting/logistics" element={<PlaceholderPage title="物流公司" />} />
+                <Route path="/settings/system-setting/region" element={<Region />} />
+                <Route path="/settings/system-setting/logistics" element={<Logistics />} />
                 <Route path="/settings/system-setting/wechat-message" element={<PlaceholderPage title="微信消息" />} />
                 <Route path="/settings/system-setting/oauth" element={<PlaceholderPage title="信任登录" />} />
                 <Route path="/settings/system-setting/payment" element={<PlaceholderPage title="支付设置" />} />
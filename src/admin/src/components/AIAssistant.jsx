@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import axios from 'axios';
 import { Button, Input, message } from 'antd';
 import { CloseOutlined, SendOutlined, BotOutlined } from '@ant-design/icons';
 import './AIAssistant.css';
@@ -31,44 +32,54 @@ const AIAssistant = ({ visible, onClose }) => {
     }
   }, [visible]);
 
-  // 模拟AI回复
-  const getAIResponse = (question) => {
-    const responses = {
-      'LILISHOP 主要功能有什么？': 'LILISHOP 系统主要功能分为卖家端和平台管理端两大角色模块，核心功能如下：\n\n1. 商品管理：商品上架、编辑、分类、属性设置等\n2. 订单管理：订单处理、发货、售后等\n3. 会员管理：会员信息、等级、积分等\n4. 促销活动：优惠券、满减、秒杀等\n5. 数据分析：销售报表、流量统计等\n6. 系统设置：权限管理、基础配置等',
-      'LILISHOP 如何收费？': 'LILISHOP 提供多种收费模式，包括：\n\n1. 一次性购买：永久使用系统，提供基础技术支持\n2. SaaS订阅：按月或按年付费，包含系统更新和技术支持\n3. 定制开发：根据需求进行定制，费用根据功能复杂度评估\n\n具体价格请联系商务咨询。',
-      '需要转人工服务': '正在为您转接人工客服，请稍候...\n\n您也可以拨打客服电话：400-123-4567，或添加客服微信：lilishop_service',
-      '定时任务': 'LILISHOP 支持多种定时任务，包括：\n\n1. 商品定时上下架\n2. 促销活动定时开启\n3. 自动发货\n4. 数据备份\n\n您可以在「系统设置-定时任务」中进行配置。',
-      '微信支付': '配置微信支付的步骤：\n\n1. 登录微信支付商户平台获取商户号、API密钥\n2. 在 LILISHOP 系统设置-支付设置中填写相关信息\n3. 配置回调URL\n4. 完成签名验证\n\n配置完成后即可使用微信支付功能。'
-    };
-
-    return responses[question] || `感谢您的提问！关于"${question}"，我需要查询更多信息，请稍后...`;
+  // 调用AI接口，基于帮助文章、知识库文档和FAQ回答
+  const getAIResponse = async (question) => {
+    try {
+      const response = await axios.post('/api/ai/chat', {
+        prompt: question,
+        options: {
+          max_tokens: 512,
+          temperature: 0.7
+        }
+      });
+
+      if (!response.data.success) {
+        return 'AI服务返回错误: ' + (response.data.message || '未知错误');
+      }
+
+      const { response: answer, citations = [] } = response.data.data;
+      // 附上回答引用的知识来源
+      const sources = citations.filter(item => item.cited);
+      return sources.length > 0
+        ? `${answer}\n\n参考来源：\n${sources.map(item => `${item.title}（${item.id}）`).join('\n')}`
+        : answer;
+    } catch (error) {
+      console.error('AI API调用失败:', error);
+      return '抱歉，AI服务暂时不可用。请稍后再试，或联系技术支持。';
+    }
   };
 
   // 发送消息
-  const handleSend = () => {
-    if (!inputValue.trim()) {
+  const handleSend = async (text = inputValue) => {
+    if (!text.trim()) {
       message.warning('请输入问题');
       return;
     }
 
-    const newUserMessage = { role: 'user', content: inputValue };
+    const newUserMessage = { role: 'user', content: text };
     setMessages(prev => [...prev, newUserMessage]);
     setInputValue('');
     setIsLoading(true);
 
-    // 模拟AI思考和回复的延迟
-    setTimeout(() => {
-      const aiResponse = getAIResponse(inputValue);
-      const newAIMessage = { role: 'bot', content: aiResponse };
-      setMessages(prev => [...prev, newAIMessage]);
-      setIsLoading(false);
-    }, 800);
+    const aiResponse = await getAIResponse(text);
+    const newAIMessage = { role: 'bot', content: aiResponse };
+    setMessages(prev => [...prev, newAIMessage]);
+    setIsLoading(false);
   };
 
   // 处理预设问题点击
   const handlePresetQuestionClick = (question) => {
-    setInputValue(question);
-    handleSend();
+    handleSend(question);
   };
 
   // 处理Enter键发送
@@ -154,7 +165,7 @@ const AIAssistant = ({ visible, onClose }) => {
           <Button 
             type="primary" 
             icon={<SendOutlined />} 
-            onClick={handleSend}
+            onClick={() => handleSend()}
             loading={isLoading}
             className="send-btn"
           />
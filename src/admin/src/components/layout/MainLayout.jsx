@@ -93,7 +93,12 @@ const MainLayout = () => {
       });
       
       if (response.data.success) {
-        return response.data.response;
+        const { response: answer, citations = [] } = response.data.data;
+        // 附上回答引用的知识来源
+        const sources = citations.filter(item => item.cited);
+        return sources.length > 0
+          ? `${answer}\n\n参考来源：\n${sources.map(item => `${item.title}（${item.id}）`).join('\n')}`
+          : answer;
       } else {
         return 'AI服务返回错误: ' + (response.data.message || '未知错误');
       }
@@ -1,65 +1,17 @@
 import React, { useState, useEffect } from 'react';
-import { Input, Button, Table, Pagination, Spin, DatePicker, Space, Row, Col } from 'antd';
+import { Input, Button, Table, Pagination, Spin, DatePicker, Space, Row, Col, message } from 'antd';
 import { SearchOutlined } from '@ant-design/icons';
+import { request } from '../../../../services/request';
 import './MemberFund.css';
 
 const { Search } = Input;
 const { RangePicker } = DatePicker;
 
-// 模拟资金流水数据
-const generateMockData = (page, pageSize) => {
-  const data = [];
-  const baseId = (page - 1) * pageSize + 1;
-  
-  // 业务类型
-  const businessTypes = [
-    '余额支付',
-    '余额退款',
-    '余额提现'
-  ];
-  
-  for (let i = 0; i < pageSize; i++) {
-    const randomIndex = Math.floor(Math.random() * businessTypes.length);
-    const businessType = businessTypes[randomIndex];
-    
-    let amount, status, detail;
-    
-    if (businessType === '余额支付') {
-      amount = -Math.floor(Math.random() * 1000) / 100;
-      const orderNo = `20250${Math.floor(Math.random() * 10000000000000000000)}`;
-      detail = `订单[${orderNo}]支付金额${Math.abs(amount).toFixed(2)}`;
-    } else if (businessType === '余额退款') {
-      amount = Math.floor(Math.random() * 10000) / 100;
-      const orderNo = `20250${Math.floor(Math.random() * 10000000000000000000)}`;
-      detail = `订单[${orderNo}]，售后订单取消，退还金额${amount.toFixed(2)}`;
-    } else { // 余额提现
-      amount = -Math.floor(Math.random() * 10000) / 100;
-      detail = '提现金额已冻结';
-    }
-    
-    // 生成随机时间（最近一个月内）
-    const now = new Date();
-    const randomDays = Math.floor(Math.random() * 30);
-    const randomHours = Math.floor(Math.random() * 24);
-    const randomMinutes = Math.floor(Math.random() * 60);
-    const randomSeconds = Math.floor(Math.random() * 60);
-    
-    now.setDate(now.getDate() - randomDays);
-    now.setHours(randomHours, randomMinutes, randomSeconds, 0);
-    
-    data.push({
-      key: baseId + i,
-      username: `130****1111`,
-      amount: amount,
-      amountDisplay: Math.abs(amount).toFixed(2),
-      timestamp: now,
-      timestampDisplay: now.toLocaleString('zh-CN'),
-      businessType: businessType,
-      detail: detail
-    });
-  }
-  
-  return data;
+// 获取资金流水
+const fetchJournal = (params) => {
+  const queryParams = new URLSearchParams();
+  Object.keys(params).forEach(key => params[key] && queryParams.append(key, params[key]));
+  return request(`/api/admin/member/wallet/journal?${queryParams.toString()}`);
 };
 
 const MemberFund = () => {
@@ -70,38 +22,37 @@ const MemberFund = () => {
   const [pagination, setPagination] = useState({
     current: 1,
     pageSize: 10,
-    total: 8570 // 总记录数，从图片中获取
+    total: 0
   });
 
   // 加载数据
-  const loadData = (page = 1, pageSize = 10) => {
+  const loadData = async (page = 1, pageSize = 10) => {
     setLoading(true);
-    
-    // 模拟API请求延迟
-    setTimeout(() => {
-      const data = generateMockData(page, pageSize);
-      
-      // 如果有搜索条件，进行简单的过滤
-      let filteredData = data;
-      
-      if (searchText) {
-        filteredData = filteredData.filter(item => 
-          item.username.includes(searchText)
-        );
-      }
-      
-      // 如果有日期范围过滤
+    try {
+      const params = { username: searchText.trim(), page, pageSize };
       if (dateRange && dateRange.length === 2) {
-        const [startDate, endDate] = dateRange;
-        filteredData = filteredData.filter(item => {
-          const itemDate = item.timestamp;
-          return itemDate >= startDate && itemDate <= endDate;
-        });
+        params.startTime = dateRange[0].startOf('day').toISOString();
+        params.endTime = dateRange[1].endOf('day').toISOString();
       }
-      
-      setDataSource(filteredData);
+
+      const result = await fetchJournal(params);
+      setDataSource(result.data.map(item => ({
+        key: item.id,
+        username: item.username,
+        amount: item.amount,
+        amountDisplay: Math.abs(item.amount).toFixed(2),
+        frozenAmount: item.frozenAmount,
+        balanceAfter: item.balanceAfter,
+        timestampDisplay: new Date(item.createdAt).toLocaleString('zh-CN'),
+        businessType: item.typeText,
+        detail: item.remark
+      })));
+      setPagination(prev => ({ ...prev, current: page, pageSize, total: result.total }));
+    } catch (error) {
+      message.error(error.message || '获取资金流水失败');
+    } finally {
       setLoading(false);
-    }, 500);
+    }
   };
 
   // 处理搜索
@@ -112,11 +63,6 @@ const MemberFund = () => {
 
   // 处理分页变化
   const handlePageChange = (page, pageSize) => {
-    setPagination(prev => ({ 
-      ...prev, 
-      current: page, 
-      pageSize 
-    }));
     loadData(page, pageSize);
   };
 
@@ -143,6 +89,9 @@ const MemberFund = () => {
       width: 120,
       align: 'center',
       render: (_, record) => {
+        if (record.amount === 0) {
+          return <span>¥0.00</span>;
+        }
         const prefix = record.amount > 0 ? '+' : '-';
         const colorClass = record.amount > 0 ? 'positiveAmount' : 'negativeAmount';
         return (
@@ -150,6 +99,22 @@ const MemberFund = () => {
         );
       }
     },
+    {
+      title: '变动后余额',
+      dataIndex: 'balanceAfter',
+      key: 'balanceAfter',
+      width: 120,
+      align: 'center',
+      render: (value) => `¥${value.toFixed(2)}`
+    },
+    {
+      title: '冻结金额变动',
+      dataIndex: 'frozenAmount',
+      key: 'frozenAmount',
+      width: 120,
+      align: 'center',
+      render: (value) => (value ? `${value > 0 ? '+' : '-'}¥${Math.abs(value).toFixed(2)}` : '-')
+    },
     {
       title: '变更时间',
       dataIndex: 'timestampDisplay',
@@ -197,7 +162,7 @@ const MemberFund = () => {
             />
           </Col>
           <Col>
-            <span style={{ marginRight: '8px', color: '#666' }}>支付时间</span>
+            <span style={{ marginRight: '8px', color: '#666' }}>变更时间</span>
             <RangePicker
               placeholder={['选择起始时间', '选择结束时间']}
               value={dateRange}
@@ -1,67 +1,30 @@
 import React, { useState, useEffect } from 'react';
-import { Input, Button, Table, Pagination, Spin, DatePicker, Space, Row, Col } from 'antd';
+import { Input, Button, Table, Pagination, Spin, DatePicker, Space, Row, Col, message } from 'antd';
 import { SearchOutlined } from '@ant-design/icons';
+import { request } from '../../../../services/request';
 import './RechargeRecord.css';
 
 const { Search } = Input;
 const { RangePicker } = DatePicker;
 
-// 生成随机订单号
-const generateOrderNo = () => {
-  return `Y${19800000000000000000 + Math.floor(Math.random() * 1000000000000000000)}`;
+// 充值方式
+const CHANNEL_TEXT = {
+  wechatPay: '微信支付',
+  alipay: '支付宝'
 };
 
-// 生成随机会员名称
-const generateUsername = () => {
-  const patterns = [
-    '130****1111',
-    'test10000000',
-    `${Math.random().toString(36).substring(2, 15)}`
-  ];
-  return patterns[Math.floor(Math.random() * patterns.length)];
-};
-
-// 生成随机金额
-const generateAmount = () => {
-  const amounts = [1, 10, 100, 5000, 8000];
-  return amounts[Math.floor(Math.random() * amounts.length)];
+// 支付状态
+const STATUS_TEXT = {
+  pending: '未付款',
+  paid: '已付款',
+  closed: '已关闭'
 };
 
-// 模拟充值记录数据
-const generateMockData = (page, pageSize) => {
-  const data = [];
-  const baseId = (page - 1) * pageSize + 1;
-  
-  for (let i = 0; i < pageSize; i++) {
-    // 生成随机时间（最近一个月内）
-    const now = new Date();
-    const randomDays = Math.floor(Math.random() * 30);
-    const randomHours = Math.floor(Math.random() * 24);
-    const randomMinutes = Math.floor(Math.random() * 60);
-    const randomSeconds = Math.floor(Math.random() * 60);
-    
-    now.setDate(now.getDate() - randomDays);
-    now.setHours(randomHours, randomMinutes, randomSeconds, 0);
-    
-    // 支付时间可能为空
-    const hasPayTime = Math.random() < 0.3; // 30%概率有支付时间
-    const payTime = hasPayTime ? new Date(now.getTime() + Math.random() * 3600000) : null;
-    
-    data.push({
-      key: baseId + i,
-      username: generateUsername(),
-      orderNo: generateOrderNo(),
-      amount: generateAmount(),
-      paymentMethod: '', // 暂时留空
-      paymentStatus: '未付款',
-      rechargeTime: now,
-      rechargeTimeDisplay: now.toLocaleString('zh-CN'),
-      payTime: payTime,
-      payTimeDisplay: payTime ? payTime.toLocaleString('zh-CN') : ''
-    });
-  }
-  
-  return data;
+// 获取充值记录
+const fetchRecharges = (params) => {
+  const queryParams = new URLSearchParams();
+  Object.keys(params).forEach(key => params[key] && queryParams.append(key, params[key]));
+  return request(`/api/admin/member/wallet/recharges?${queryParams.toString()}`);
 };
 
 const RechargeRecord = () => {
@@ -73,44 +36,36 @@ const RechargeRecord = () => {
   const [pagination, setPagination] = useState({
     current: 1,
     pageSize: 10,
-    total: 4218 // 总记录数，从图片中获取
+    total: 0
   });
 
   // 加载数据
-  const loadData = (page = 1, pageSize = 10) => {
+  const loadData = async (page = 1, pageSize = 10) => {
     setLoading(true);
-    
-    // 模拟API请求延迟
-    setTimeout(() => {
-      const data = generateMockData(page, pageSize);
-      
-      // 如果有搜索条件，进行简单的过滤
-      let filteredData = data;
-      
-      if (username) {
-        filteredData = filteredData.filter(item => 
-          item.username.includes(username)
-        );
-      }
-      
-      if (orderNo) {
-        filteredData = filteredData.filter(item => 
-          item.orderNo.includes(orderNo)
-        );
-      }
-      
-      // 如果有日期范围过滤
+    try {
+      const params = { username: username.trim(), rechargeNo: orderNo.trim(), page, pageSize };
       if (dateRange && dateRange.length === 2) {
-        const [startDate, endDate] = dateRange;
-        filteredData = filteredData.filter(item => {
-          const itemDate = item.rechargeTime;
-          return itemDate >= startDate && itemDate <= endDate;
-        });
+        params.startTime = dateRange[0].startOf('day').toISOString();
+        params.endTime = dateRange[1].endOf('day').toISOString();
       }
-      
-      setDataSource(filteredData);
+
+      const result = await fetchRecharges(params);
+      setDataSource(result.data.map(item => ({
+        key: item.id,
+        username: item.username,
+        orderNo: item.rechargeNo,
+        amount: item.amount,
+        paymentMethod: CHANNEL_TEXT[item.channel] || item.channel,
+        paymentStatus: STATUS_TEXT[item.status] || item.status,
+        rechargeTimeDisplay: new Date(item.createdAt).toLocaleString('zh-CN'),
+        payTimeDisplay: item.paidAt ? new Date(item.paidAt).toLocaleString('zh-CN') : ''
+      })));
+      setPagination(prev => ({ ...prev, current: page, pageSize, total: result.total }));
+    } catch (error) {
+      message.error(error.message || '获取充值记录失败');
+    } finally {
       setLoading(false);
-    }, 500);
+    }
   };
 
   // 处理搜索
@@ -121,11 +76,6 @@ const RechargeRecord = () => {
 
   // 处理分页变化
   const handlePageChange = (page, pageSize) => {
-    setPagination(prev => ({ 
-      ...prev, 
-      current: page, 
-      pageSize 
-    }));
     loadData(page, pageSize);
   };
 
@@ -236,7 +186,7 @@ const RechargeRecord = () => {
             />
           </Col>
           <Col>
-            <span style={{ marginRight: '8px', color: '#666' }}>支付时间</span>
+            <span style={{ marginRight: '8px', color: '#666' }}>充值时间</span>
             <RangePicker
               placeholder={['选择起始时间', '选择结束时间']}
               value={dateRange}
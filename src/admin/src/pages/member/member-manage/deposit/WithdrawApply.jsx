@@ -1,61 +1,45 @@
 import React, { useState, useEffect } from 'react';
-import { Input, Button, Table, Pagination, Spin, DatePicker, Select, Space } from 'antd';
+import { Input, Button, Table, Pagination, Spin, DatePicker, Select, Space, Modal, Form, Radio, Descriptions, message } from 'antd';
 import { SearchOutlined } from '@ant-design/icons';
+import { request } from '../../../../services/request';
 import './WithdrawApply.css';
 
 const { Search } = Input;
 const { RangePicker } = DatePicker;
 const { Option } = Select;
 
-// 生成随机申请编号
-const generateApplyNo = () => {
-  return `W${1970000000000000000 + Math.floor(Math.random() * 100000000000000000)}`;
+// 提现状态
+const STATUS_MAP = {
+  pending: { text: '申请中', className: 'pending' },
+  approved: { text: '提现成功', className: 'success' },
+  rejected: { text: '提现失败', className: 'failed' }
 };
 
-// 模拟提现申请数据
-const generateMockData = (page, pageSize) => {
-  const data = [];
-  const baseId = (page - 1) * pageSize + 1;
-  const statuses = ['申请中', '提现失败'];
-  const amounts = [1, 10, 100, 500, 999, 1000, 9999];
-  
-  for (let i = 0; i < pageSize; i++) {
-    // 生成随机时间（最近一个月内）
-    const now = new Date();
-    const randomDays = Math.floor(Math.random() * 30);
-    const randomHours = Math.floor(Math.random() * 24);
-    const randomMinutes = Math.floor(Math.random() * 60);
-    const randomSeconds = Math.floor(Math.random() * 60);
-    
-    now.setDate(now.getDate() - randomDays);
-    now.setHours(randomHours, randomMinutes, randomSeconds, 0);
-    
-    const status = statuses[Math.floor(Math.random() * statuses.length)];
-    const amount = amounts[Math.floor(Math.random() * amounts.length)];
-    
-    // 审核时间 - 只有提现失败状态才有审核时间
-    let auditTime = null;
-    let auditTimeDisplay = '';
-    
-    if (status === '提现失败') {
-      auditTime = new Date(now.getTime() + Math.random() * 24 * 3600000); // 申请后随机时间内审核
-      auditTimeDisplay = auditTime.toLocaleString('zh-CN');
-    }
-    
-    data.push({
-      key: baseId + i,
-      applyNo: generateApplyNo(),
-      username: 'GOODS', // 从图片中看到用户名统一为GOODS
-      amount: amount,
-      status: status,
-      applyTime: now,
-      applyTimeDisplay: now.toLocaleString('zh-CN'),
-      auditTime: auditTime,
-      auditTimeDisplay: auditTimeDisplay
-    });
+// 收款账户类型
+const ACCOUNT_TYPE_TEXT = {
+  alipay: '支付宝',
+  wechat: '微信',
+  bank: '银行卡'
+};
+
+// API调用对象
+const api = {
+  // 获取提现申请
+  async getWithdrawals(params) {
+    const queryParams = new URLSearchParams();
+    Object.keys(params).forEach(key => params[key] && queryParams.append(key, params[key]));
+    return request(`/api/admin/member/wallet/withdrawals?${queryParams.toString()}`);
+  },
+
+  // 审核通过
+  async approveWithdrawal(withdrawNo, review) {
+    return request(`/api/admin/member/wallet/withdrawals/${withdrawNo}/approve`, { method: 'POST', body: JSON.stringify(review) });
+  },
+
+  // 驳回申请
+  async rejectWithdrawal(withdrawNo, reason) {
+    return request(`/api/admin/member/wallet/withdrawals/${withdrawNo}/reject`, { method: 'POST', body: JSON.stringify({ reason }) });
   }
-  
-  return data;
 };
 
 const WithdrawApply = () => {
@@ -67,44 +51,37 @@ const WithdrawApply = () => {
   const [pagination, setPagination] = useState({
     current: 1,
     pageSize: 10,
-    total: 1050 // 总记录数，从图片中获取
+    total: 0
   });
+  const [auditRecord, setAuditRecord] = useState(null);
+  const [viewRecord, setViewRecord] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [auditForm] = Form.useForm();
 
   // 加载数据
-  const loadData = (page = 1, pageSize = 10) => {
+  const loadData = async (page = 1, pageSize = 10) => {
     setLoading(true);
-    
-    // 模拟API请求延迟
-    setTimeout(() => {
-      const data = generateMockData(page, pageSize);
-      
-      // 如果有搜索条件，进行简单的过滤
-      let filteredData = data;
-      
-      if (username) {
-        filteredData = filteredData.filter(item => 
-          item.username.includes(username)
-        );
-      }
-      
-      if (status) {
-        filteredData = filteredData.filter(item => 
-          item.status === status
-        );
-      }
-      
-      // 如果有日期范围过滤
+    try {
+      const params = { username: username.trim(), status, page, pageSize };
       if (dateRange && dateRange.length === 2) {
-        const [startDate, endDate] = dateRange;
-        filteredData = filteredData.filter(item => {
-          const itemDate = item.applyTime;
-          return itemDate >= startDate && itemDate <= endDate;
-        });
+        params.startTime = dateRange[0].startOf('day').toISOString();
+        params.endTime = dateRange[1].endOf('day').toISOString();
       }
-      
-      setDataSource(filteredData);
+
+      const result = await api.getWithdrawals(params);
+      setDataSource(result.data.map(item => ({
+        ...item,
+        key: item.id,
+        applyNo: item.withdrawNo,
+        applyTimeDisplay: new Date(item.createdAt).toLocaleString('zh-CN'),
+        auditTimeDisplay: item.reviewedAt ? new Date(item.reviewedAt).toLocaleString('zh-CN') : ''
+      })));
+      setPagination(prev => ({ ...prev, current: page, pageSize, total: result.total }));
+    } catch (error) {
+      message.error(error.message || '获取提现申请失败');
+    } finally {
       setLoading(false);
-    }, 500);
+    }
   };
 
   // 处理搜索
@@ -115,25 +92,43 @@ const WithdrawApply = () => {
 
   // 处理分页变化
   const handlePageChange = (page, pageSize) => {
-    setPagination(prev => ({ 
-      ...prev, 
-      current: page, 
-      pageSize 
-    }));
     loadData(page, pageSize);
   };
 
-  // 处理审核操作
+  // 打开审核弹窗
   const handleAudit = (record) => {
-    // 实际项目中这里应该跳转到审核页面或打开审核弹窗
-    console.log('审核提现申请:', record);
-    // 可以添加确认对话框
+    auditForm.resetFields();
+    auditForm.setFieldsValue({ result: 'approve' });
+    setAuditRecord(record);
   };
 
-  // 处理查看操作
+  // 提交审核结果：通过时扣除冻结金额，驳回时冻结金额退回会员余额
+  const handleAuditSubmit = async () => {
+    const values = await auditForm.validateFields();
+    setSubmitting(true);
+    try {
+      if (values.result === 'approve') {
+        await api.approveWithdrawal(auditRecord.withdrawNo, {
+          payoutReference: values.payoutReference,
+          remark: values.remark
+        });
+        message.success('提现申请已通过');
+      } else {
+        await api.rejectWithdrawal(auditRecord.withdrawNo, values.reason);
+        message.success('提现申请已驳回，金额已退回会员余额');
+      }
+      setAuditRecord(null);
+      loadData(pagination.current, pagination.pageSize);
+    } catch (error) {
+      message.error(error.message || '提现审核失败');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // 查看提现申请
   const handleView = (record) => {
-    // 实际项目中这里应该跳转到详情页面或打开详情弹窗
-    console.log('查看提现申请:', record);
+    setViewRecord(record);
   };
 
   // 初始加载
@@ -179,9 +174,9 @@ const WithdrawApply = () => {
       key: 'status',
       width: 100,
       align: 'center',
-      render: (text) => (
-        <span className={`statusTag ${text === '申请中' ? 'pending' : 'failed'}`}>
-          {text}
+      render: (value) => (
+        <span className={`statusTag ${STATUS_MAP[value]?.className || ''}`}>
+          {STATUS_MAP[value]?.text || value}
         </span>
       )
     },
@@ -212,7 +207,7 @@ const WithdrawApply = () => {
       align: 'center',
       render: (record) => (
         <Space size={8}>
-          {record.status === '申请中' ? (
+          {record.status === 'pending' ? (
             <Button 
               type="primary" 
               size="small" 
@@ -261,8 +256,9 @@ const WithdrawApply = () => {
               value={status}
               onChange={(value) => setStatus(value)}
             >
-              <Option value="申请中">申请中</Option>
-              <Option value="提现失败">提现失败</Option>
+              {Object.keys(STATUS_MAP).map(key => (
+                <Option key={key} value={key}>{STATUS_MAP[key].text}</Option>
+              ))}
             </Select>
           </div>
           <div className="searchItem">
@@ -316,6 +312,67 @@ const WithdrawApply = () => {
           size="small"
         />
       </div>
+
+      {/* 审核弹窗 */}
+      <Modal
+        open={!!auditRecord}
+        title={`审核提现申请 ${auditRecord?.withdrawNo || ''}`}
+        onCancel={() => setAuditRecord(null)}
+        onOk={handleAuditSubmit}
+        confirmLoading={submitting}
+      >
+        {auditRecord && (
+          <Descriptions column={1} size="small" style={{ marginBottom: 16 }}>
+            <Descriptions.Item label="会员名称">{auditRecord.username}</Descriptions.Item>
+            <Descriptions.Item label="申请金额">¥{auditRecord.amount.toFixed(2)}</Descriptions.Item>
+            <Descriptions.Item label="收款账户">
+              {ACCOUNT_TYPE_TEXT[auditRecord.accountType] || auditRecord.accountType} {auditRecord.accountNo}（{auditRecord.accountName}）
+            </Descriptions.Item>
+          </Descriptions>
+        )}
+        <Form form={auditForm} layout="vertical">
+          <Form.Item label="审核结果" name="result">
+            <Radio.Group>
+              <Radio value="approve">通过（已打款）</Radio>
+              <Radio value="reject">驳回</Radio>
+            </Radio.Group>
+          </Form.Item>
+          <Form.Item noStyle shouldUpdate={(prev, next) => prev.result !== next.result}>
+            {({ getFieldValue }) => (getFieldValue('result') === 'approve' ? (
+              <>
+                <Form.Item label="打款流水号" name="payoutReference">
+                  <Input maxLength={64} placeholder="请输入打款流水号" />
+                </Form.Item>
+                <Form.Item label="备注" name="remark">
+                  <Input.TextArea maxLength={255} rows={2} />
+                </Form.Item>
+              </>
+            ) : (
+              <Form.Item label="驳回原因" name="reason" rules={[{ required: true, message: '请填写驳回原因' }]}>
+                <Input.TextArea maxLength={255} rows={3} placeholder="驳回后申请金额退回会员余额" />
+              </Form.Item>
+            ))}
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      {/* 查看弹窗 */}
+      <Modal open={!!viewRecord} title={`提现申请 ${viewRecord?.withdrawNo || ''}`} onCancel={() => setViewRecord(null)} footer={null}>
+        {viewRecord && (
+          <Descriptions column={1} size="small">
+            <Descriptions.Item label="会员名称">{viewRecord.username}</Descriptions.Item>
+            <Descriptions.Item label="申请金额">¥{viewRecord.amount.toFixed(2)}</Descriptions.Item>
+            <Descriptions.Item label="收款账户">
+              {ACCOUNT_TYPE_TEXT[viewRecord.accountType] || viewRecord.accountType} {viewRecord.accountNo}（{viewRecord.accountName}）
+            </Descriptions.Item>
+            <Descriptions.Item label="提现状态">{STATUS_MAP[viewRecord.status]?.text || viewRecord.status}</Descriptions.Item>
+            <Descriptions.Item label="申请时间">{viewRecord.applyTimeDisplay}</Descriptions.Item>
+            <Descriptions.Item label="审核时间">{viewRecord.auditTimeDisplay || '-'}</Descriptions.Item>
+            <Descriptions.Item label="打款流水号">{viewRecord.payoutReference || '-'}</Descriptions.Item>
+            <Descriptions.Item label="审核备注">{viewRecord.reviewRemark || '-'}</Descriptions.Item>
+          </Descriptions>
+        )}
+      </Modal>
     </div>
   );
 };
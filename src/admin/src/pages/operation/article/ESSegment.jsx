@@ -1,64 +1,112 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import './ESSegment.css';
-import { Table, Button, Modal, Form, Input, Pagination } from 'antd';
+import { Table, Button, Modal, Form, Input, Pagination, Popconfirm, message } from 'antd';
+import { request } from '../../../services/request';
+
+// 自定义分词接口
+const WORDS_URL = '/api/admin/search/custom-words';
+
+// 时间格式化
+const formatTime = (value) => value ? new Date(value).toLocaleString('zh-CN') : '-';
 
 const ESSegment = () => {
   // 状态管理
   const [segments, setSegments] = useState([]);
+  const [loading, setLoading] = useState(false);
   const [isModalVisible, setIsModalVisible] = useState(false);
+  const [editingSegment, setEditingSegment] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
   const [form] = Form.useForm();
   const [currentPage, setCurrentPage] = useState(1);
-  const pageSize = 10;
-  const totalItems = 977;
-
-  // 模拟初始数据
-  React.useEffect(() => {
-    const mockData = Array.from({ length: 10 }, (_, index) => ({
-      key: index + 1,
-      word: `测试分词${index + 1}`,
-      createTime: '2025-11-04 14:48:14',
-      updateTime: '2025-11-04 14:48:14',
-      operator: 'SYSTEM'
-    }));
-    setSegments(mockData);
+  const [pageSize, setPageSize] = useState(10);
+  const [totalItems, setTotalItems] = useState(0);
+
+  // 加载自定义分词
+  const loadSegments = async (page = currentPage, size = pageSize) => {
+    setLoading(true);
+    try {
+      const result = await request(`${WORDS_URL}?page=${page}&pageSize=${size}`);
+      setSegments(result.data.map(item => ({ ...item, key: item.id })));
+      setTotalItems(result.total);
+    } catch (error) {
+      message.error(error.message || '获取自定义分词失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSegments(1, pageSize);
   }, []);
 
   // 打开添加弹窗
   const showAddModal = () => {
-    setIsModalVisible(true);
+    setEditingSegment(null);
     form.resetFields();
+    setIsModalVisible(true);
   };
 
-  // 关闭添加弹窗
+  // 打开修改弹窗
+  const showEditModal = (record) => {
+    setEditingSegment(record);
+    form.setFieldsValue({ word: record.word });
+    setIsModalVisible(true);
+  };
+
+  // 关闭弹窗
   const handleCancelModal = () => {
     setIsModalVisible(false);
   };
 
-  // 提交添加表单
-  const handleSubmitForm = () => {
-    form.validateFields()
-      .then(values => {
-        // 处理添加逻辑
-        const newSegment = {
-          key: segments.length + 1,
-          word: values.word,
-          createTime: new Date().toISOString().slice(0, 19).replace('T', ' '),
-          updateTime: new Date().toISOString().slice(0, 19).replace('T', ' '),
-          operator: 'SYSTEM'
-        };
-        setSegments([...segments, newSegment]);
-        setIsModalVisible(false);
-      })
-      .catch(errorInfo => {
-        console.log('表单验证失败:', errorInfo);
-      });
+  // 提交添加或修改表单
+  const handleSubmitForm = async () => {
+    let values;
+    try {
+      values = await form.validateFields();
+    } catch (errorInfo) {
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      if (editingSegment) {
+        await request(`${WORDS_URL}/${editingSegment.id}`, { method: 'PUT', body: JSON.stringify({ word: values.word }) });
+        message.success('自定义分词已修改');
+      } else {
+        await request(WORDS_URL, { method: 'POST', body: JSON.stringify({ word: values.word }) });
+        message.success('自定义分词已添加');
+      }
+      setIsModalVisible(false);
+      // 新增的分词排在第一页
+      const page = editingSegment ? currentPage : 1;
+      setCurrentPage(page);
+      loadSegments(page);
+    } catch (error) {
+      message.error(error.message || '保存自定义分词失败');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // 删除自定义分词
+  const handleDelete = async (record) => {
+    try {
+      await request(`${WORDS_URL}/${record.id}`, { method: 'DELETE' });
+      message.success('自定义分词已删除');
+      // 删除当前页最后一条时回到上一页
+      const page = segments.length === 1 && currentPage > 1 ? currentPage - 1 : currentPage;
+      setCurrentPage(page);
+      loadSegments(page);
+    } catch (error) {
+      message.error(error.message || '删除自定义分词失败');
+    }
   };
 
   // 分页变化
-  const handlePageChange = (page, pageSize) => {
+  const handlePageChange = (page, size) => {
     setCurrentPage(page);
-    // 这里应该调用API获取对应页的数据
-    console.log('页码:', page, '每页条数:', pageSize);
+    setPageSize(size);
+    loadSegments(page, size);
   };
 
   // 表格列配置
@@ -71,15 +119,17 @@ const ESSegment = () => {
     },
     {
       title: '创建时间',
-      dataIndex: 'createTime',
-      key: 'createTime',
-      width: 180
+      dataIndex: 'createdAt',
+      key: 'createdAt',
+      width: 180,
+      render: formatTime
     },
     {
       title: '更新时间',
-      dataIndex: 'updateTime',
-      key: 'updateTime',
-      width: 180
+      dataIndex: 'updatedAt',
+      key: 'updatedAt',
+      width: 180,
+      render: formatTime
     },
     {
       title: '操作人',
@@ -93,8 +143,10 @@ const ESSegment = () => {
       width: 120,
       render: (_, record) => (
         <>
-          <Button type="link" danger size="small">修改</Button>
-          <Button type="link" danger size="small">删除</Button>
+          <Button type="link" danger size="small" onClick={() => showEditModal(record)}>修改</Button>
+          <Popconfirm title="确定删除该自定义分词吗？" onConfirm={() => handleDelete(record)}>
+            <Button type="link" danger size="small">删除</Button>
+          </Popconfirm>
         </>
       )
     }
@@ -112,6 +164,7 @@ const ESSegment = () => {
         className="es-segment-table"
         columns={columns}
         dataSource={segments}
+        loading={loading}
         pagination={false}
         bordered={false}
       />
@@ -129,16 +182,16 @@ const ESSegment = () => {
         />
       </div>
 
-      {/* 添加弹窗 */}
+      {/* 添加/修改弹窗 */}
       <Modal
-        title="添加"
+        title={editingSegment ? '修改' : '添加'}
         visible={isModalVisible}
         onCancel={handleCancelModal}
         footer={[
           <Button key="back" onClick={handleCancelModal}>
             取消
           </Button>,
-          <Button key="submit" type="primary" onClick={handleSubmitForm}>
+          <Button key="submit" type="primary" loading={submitting} onClick={handleSubmitForm}>
             提交
           </Button>
         ]}
@@ -150,7 +203,10 @@ const ESSegment = () => {
           <Form.Item
             name="word"
             label="自定义分词"
-            rules={[{ required: true, message: '请输入自定义分词' }]}
+            rules={[
+              { required: true, whitespace: true, message: '请输入自定义分词' },
+              { max: 8, message: '自定义分词不超过8个字符' }
+            ]}
           >
             <Input placeholder="请输入自定义分词" />
           </Form.Item>
@@ -160,4 +216,4 @@ const ESSegment = () => {
   );
 };
 
-export default ESSegment;
\ No newline at end of file
+export default ESSegment;
@@ -1,74 +1,100 @@
-import React, { useState } from 'react';
-import { Card, Input, Button, Table, Tag, message } from 'antd';
+import React, { useState, useEffect } from 'react';
+import { Card, Input, Button, Table, Modal, Descriptions, message } from 'antd';
 import { SearchOutlined } from '@ant-design/icons';
+import { request } from '../../../services/request';
 import './DistributionApply.css';
 
+const { TextArea } = Input;
+
 const DistributionApply = () => {
   // 搜索条件状态
   const [memberName, setMemberName] = useState('');
-  
-  // 分页状态
+
+  // 列表和分页状态
+  const [loading, setLoading] = useState(false);
+  const [dataSource, setDataSource] = useState([]);
   const [currentPage, setCurrentPage] = useState(1);
   const [pageSize, setPageSize] = useState(10);
   const [totalCount, setTotalCount] = useState(0);
-  
-  // 模拟数据
-  const mockData = [
-    {
-      key: '1',
-      memberName: '张三',
-      realName: '张三',
-      qqAccount: '123456789',
-      openId: 'oW4m7555555555555555555555555555',
-      unionId: 'oW4m7555555555555555555555555555',
-      submitTime: '2023-05-15 10:30:00',
-    },
-    {
-      key: '2',
-      memberName: '李四',
-      realName: '李四',
-      qqAccount: '987654321',
-      openId: 'oW4m7666666666666666666666666666',
-      unionId: 'oW4m7666666666666666666666666666',
-      submitTime: '2023-05-16 14:20:00',
-    },
-    {
-      key: '3',
-      memberName: '王五',
-      realName: '王五',
-      qqAccount: '1122334455',
-      openId: 'oW4m7777777777777777777777777777',
-      unionId: 'oW4m7777777777777777777777777777',
-      submitTime: '2023-05-17 09:45:00',
-    },
-  ];
-  
-  // 设置总条数
-  React.useEffect(() => {
-    setTotalCount(mockData.length);
+
+  // 审核弹窗状态
+  const [currentApply, setCurrentApply] = useState(null);
+  const [rejectReason, setRejectReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  // 加载待审核申请
+  const loadData = async (page = currentPage, size = pageSize, keyword = memberName) => {
+    setLoading(true);
+    try {
+      const queryParams = new URLSearchParams({ page, pageSize: size });
+      if (keyword.trim()) {
+        queryParams.append('username', keyword.trim());
+      }
+      const result = await request(`/api/admin/distribution/applications?${queryParams.toString()}`);
+      setDataSource(result.data.map(item => ({
+        ...item,
+        key: item.id,
+        submitTime: new Date(item.createdAt).toLocaleString('zh-CN')
+      })));
+      setTotalCount(result.total);
+      setCurrentPage(page);
+      setPageSize(size);
+    } catch (error) {
+      message.error(error.message || '获取分销员申请失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadData(1, pageSize);
   }, []);
-  
+
   // 处理搜索
   const handleSearch = () => {
-    // 实际项目中这里应该调用API进行搜索
-    console.log('搜索条件:', { memberName });
-    // 模拟搜索成功提示
-    message.success('搜索成功');
+    loadData(1, pageSize);
   };
-  
+
   // 处理重置
   const handleReset = () => {
     setMemberName('');
-    setCurrentPage(1);
+    loadData(1, pageSize, '');
   };
-  
+
   // 分页处理
-  const handlePageChange = (page, pageSize) => {
-    setCurrentPage(page);
-    setPageSize(pageSize);
-    console.log('页码:', page, '每页条数:', pageSize);
+  const handlePageChange = (page, size) => {
+    loadData(page, size);
+  };
+
+  // 查看详情
+  const handleView = (record) => {
+    setCurrentApply(record);
+    setRejectReason('');
   };
-  
+
+  // 审核申请（通过或驳回）
+  const handleReview = async (approved) => {
+    if (!approved && !rejectReason.trim()) {
+      message.error('请填写驳回原因');
+      return;
+    }
+    setSubmitting(true);
+    try {
+      const action = approved ? 'approve' : 'reject';
+      await request(`/api/admin/distribution/applications/${currentApply.id}/${action}`, {
+        method: 'POST',
+        body: JSON.stringify(approved ? {} : { reason: rejectReason.trim() })
+      });
+      message.success(approved ? '已通过分销员申请' : '已驳回分销员申请');
+      setCurrentApply(null);
+      loadData();
+    } catch (error) {
+      message.error(error.message || '审核分销员申请失败');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
   // 表格列配置
   const columns = [
     {
@@ -83,27 +109,26 @@ const DistributionApply = () => {
       key: 'realName',
       width: 100,
     },
+    {
+      title: '手机号',
+      dataIndex: 'phone',
+      key: 'phone',
+      width: 120,
+    },
     {
       title: '腾讯账号',
       dataIndex: 'qqAccount',
       key: 'qqAccount',
       width: 120,
+      render: (text) => text || '-',
     },
     {
-      title: '微信账号（openId）',
-      dataIndex: 'openId',
-      key: 'openId',
-      width: 200,
-      ellipsis: true,
-      tooltips: true,
-    },
-    {
-      title: '微信账号（unionId）',
-      dataIndex: 'unionId',
-      key: 'unionId',
+      title: '申请说明',
+      dataIndex: 'applyRemark',
+      key: 'applyRemark',
       width: 200,
       ellipsis: true,
-      tooltips: true,
+      render: (text) => text || '-',
     },
     {
       title: '提交时间',
@@ -122,14 +147,7 @@ const DistributionApply = () => {
       ),
     },
   ];
-  
-  // 查看详情
-  const handleView = (record) => {
-    console.log('查看详情:', record);
-    // 实际项目中这里应该跳转到详情页或弹出详情模态框
-    message.info(`查看${record.memberName}的申请详情`);
-  };
-  
+
   return (
     <div className="distribution-apply-container">
       <Card className="distribution-apply-card">
@@ -148,15 +166,15 @@ const DistributionApply = () => {
                 allowClear
               />
             </div>
-            <Button 
-              type="primary" 
-              icon={<SearchOutlined />} 
+            <Button
+              type="primary"
+              icon={<SearchOutlined />}
               onClick={handleSearch}
               style={{ height: 32, fontSize: '12px', backgroundColor: '#ff0000', borderColor: '#ff0000' }}
             >
               搜索
             </Button>
-            <Button 
+            <Button
               onClick={handleReset}
               style={{ height: 32, fontSize: '12px' }}
             >
@@ -164,12 +182,13 @@ const DistributionApply = () => {
             </Button>
           </div>
         </div>
-        
+
         {/* 表格区域 */}
         <div className="table-container">
           <Table
             columns={columns}
-            dataSource={mockData}
+            dataSource={dataSource}
+            loading={loading}
             pagination={{
               current: currentPage,
               pageSize: pageSize,
@@ -184,8 +203,58 @@ const DistributionApply = () => {
           />
         </div>
       </Card>
+
+      {/* 申请详情和审核 */}
+      <Modal
+        title="分销员申请详情"
+        open={!!currentApply}
+        onCancel={() => setCurrentApply(null)}
+        width={600}
+        footer={[
+          <Button key="cancel" onClick={() => setCurrentApply(null)}>
+            取消
+          </Button>,
+          <Button key="reject" danger loading={submitting} onClick={() => handleReview(false)}>
+            驳回
+          </Button>,
+          <Button
+            key="approve"
+            type="primary"
+            loading={submitting}
+            onClick={() => handleReview(true)}
+            style={{ backgroundColor: '#ff0000', borderColor: '#ff0000' }}
+          >
+            通过
+          </Button>
+        ]}
+      >
+        {currentApply && (
+          <>
+            <Descriptions column={2} size="small" bordered>
+              <Descriptions.Item label="会员名称">{currentApply.memberName}</Descriptions.Item>
+              <Descriptions.Item label="姓名">{currentApply.realName}</Descriptions.Item>
+              <Descriptions.Item label="手机号">{currentApply.phone}</Descriptions.Item>
+              <Descriptions.Item label="腾讯账号">{currentApply.qqAccount || '-'}</Descriptions.Item>
+              <Descriptions.Item label="身份证号" span={2}>{currentApply.idCard}</Descriptions.Item>
+              <Descriptions.Item label="开户名称">{currentApply.bankName}</Descriptions.Item>
+              <Descriptions.Item label="银行账号">{currentApply.bankAccount}</Descriptions.Item>
+              <Descriptions.Item label="开户行支行" span={2}>{currentApply.bankBranch || '-'}</Descriptions.Item>
+              <Descriptions.Item label="申请说明" span={2}>{currentApply.applyRemark || '-'}</Descriptions.Item>
+              <Descriptions.Item label="提交时间" span={2}>{currentApply.submitTime}</Descriptions.Item>
+            </Descriptions>
+            <TextArea
+              rows={3}
+              maxLength={255}
+              placeholder="驳回时请填写驳回原因"
+              value={rejectReason}
+              onChange={(e) => setRejectReason(e.target.value)}
+              style={{ marginTop: 16 }}
+            />
+          </>
+        )}
+      </Modal>
     </div>
   );
 };
 
-export default DistributionApply;
\ No newline at end of file
+export default DistributionApply;
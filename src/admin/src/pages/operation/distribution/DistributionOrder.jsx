@@ -1,249 +1,94 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Card, Input, Button, Table, Row, Col, Select, DatePicker, Modal, message } from 'antd';
 import { SearchOutlined, RedoOutlined, EyeOutlined } from '@ant-design/icons';
+import { request } from '../../../services/request';
 import './DistributionOrder.css';
 
 const { Option } = Select;
 const { RangePicker } = DatePicker;
 
-// 模拟分销订单数据
-const mockDistributionOrders = [
-  {
-    key: '1',
-    orderNo: '0202501519759303198712631',
-    productImage: 'https://gw.alipayobjects.com/zos/antfincdn/6rmIv1I44H/KDpgvguMpGfqaHPjicRK.svg',
-    productName: '11.2',
-    distributor: '测试账号 Jason',
-    storeName: '京东自营',
-    status: '已完成',
-    commissionAmount: '¥100.00',
-    createTime: '2025-06-01 15:31',
-    productPrice: '¥100.00',
-    orderAmount: '¥200.00',
-    orderStatus: '已完成',
-    distributionTime: '2025-06-01 10:30',
-    settlementStatus: '已结算'
-  },
-  {
-    key: '2',
-    orderNo: '0202501148934629743096344',
-    productImage: 'https://gw.alipayobjects.com/zos/antfincdn/9pNnSeOa5V/wecom-todo-logo.svg',
-    productName: '小米手环 7 Pro 绿色',
-    distributor: '微信用户',
-    storeName: '京东自营',
-    status: '已完成',
-    commissionAmount: '¥20.00',
-    createTime: '2025-06-01 14:52',
-    productPrice: '¥199.00',
-    orderAmount: '¥199.00',
-    orderStatus: '已完成',
-    distributionTime: '2025-06-01 10:25',
-    settlementStatus: '未结算'
-  },
-  {
-    key: '3',
-    orderNo: '0202501198104663191891999',
-    productImage: 'https://gw.alipayobjects.com/zos/antfincdn/QqlhQpK5Q6/antd-logo.svg',
-    productName: '拉梅奇方形碗',
-    distributor: '特殊',
-    storeName: '京东自营',
-    status: '已完成',
-    commissionAmount: '¥0.00',
-    createTime: '2025-05-31 17:58',
-    productPrice: '¥99.00',
-    orderAmount: '¥198.00',
-    orderStatus: '已完成',
-    distributionTime: '2025-05-31 16:30',
-    settlementStatus: '已结算'
-  },
-  {
-    key: '4',
-    orderNo: '0202501148357784657159355',
-    productImage: 'https://gw.alipayobjects.com/zos/antfincdn/6rmIv1I44H/KDpgvguMpGfqaHPjicRK.svg',
-    productName: 'PS5主机 slim版 黑色',
-    distributor: '微信用户',
-    storeName: '京东自营',
-    status: '已完成',
-    commissionAmount: '¥100.00',
-    createTime: '2025-05-31 16:30',
-    productPrice: '¥3899.00',
-    orderAmount: '¥3899.00',
-    orderStatus: '已完成',
-    distributionTime: '2025-05-31 15:20',
-    settlementStatus: '已结算'
-  },
-  {
-    key: '5',
-    orderNo: '0202501194362405099995841',
-    productImage: 'https://gw.alipayobjects.com/zos/antfincdn/9pNnSeOa5V/wecom-todo-logo.svg',
-    productName: '二手书 20',
-    distributor: '微信用户',
-    storeName: '阿里巴巴小店',
-    status: '已完成',
-    commissionAmount: '¥30.00',
-    createTime: '2025-05-31 16:36',
-    productPrice: '¥50.00',
-    orderAmount: '¥100.00',
-    orderStatus: '已完成',
-    distributionTime: '2025-05-31 14:25',
-    settlementStatus: '已结算'
-  },
-  {
-    key: '6',
-    orderNo: '0202501198435309912000091',
-    productImage: 'https://gw.alipayobjects.com/zos/antfincdn/QqlhQpK5Q6/antd-logo.svg',
-    productName: '123 1',
-    distributor: '微信用户',
-    storeName: '京东自营',
-    status: '已完成',
-    commissionAmount: '¥10.00',
-    createTime: '2025-05-31 16:32',
-    productPrice: '¥100.00',
-    orderAmount: '¥100.00',
-    orderStatus: '已完成',
-    distributionTime: '2025-05-31 13:30',
-    settlementStatus: '已结算'
-  },
-  {
-    key: '7',
-    orderNo: '0202501197545569187654249',
-    productImage: 'https://gw.alipayobjects.com/zos/antfincdn/6rmIv1I44H/KDpgvguMpGfqaHPjicRK.svg',
-    productName: '毛衣外套 蓝色 L',
-    distributor: '微信用户',
-    storeName: '京东自营',
-    status: '已完成',
-    commissionAmount: '¥10.00',
-    createTime: '2025-05-31 14:36',
-    productPrice: '¥199.00',
-    orderAmount: '¥199.00',
-    orderStatus: '已完成',
-    distributionTime: '2025-05-31 12:45',
-    settlementStatus: '已结算'
-  },
-  {
-    key: '8',
-    orderNo: '0202501198416480099900577',
-    productImage: 'https://gw.alipayobjects.com/zos/antfincdn/9pNnSeOa5V/wecom-todo-logo.svg',
-    productName: '二手书 20',
-    distributor: 'LAST',
-    storeName: '阿里巴巴小店',
-    status: '已取消',
-    commissionAmount: '¥30.00',
-    createTime: '2025-05-30 08:29',
-    productPrice: '¥50.00',
-    orderAmount: '¥100.00',
-    orderStatus: '已取消',
-    distributionTime: '2025-05-30 07:30',
-    settlementStatus: '未结算'
-  },
-  {
-    key: '9',
-    orderNo: '0202501198430597899674061',
-    productImage: 'https://gw.alipayobjects.com/zos/antfincdn/QqlhQpK5Q6/antd-logo.svg',
-    productName: '二手书 20',
-    distributor: 'LAST',
-    storeName: '阿里巴巴小店',
-    status: '已完成',
-    commissionAmount: '¥30.00',
-    createTime: '2025-05-30 08:15',
-    productPrice: '¥50.00',
-    orderAmount: '¥100.00',
-    orderStatus: '已完成',
-    distributionTime: '2025-05-30 06:45',
-    settlementStatus: '未结算'
-  },
-  {
-    key: '10',
-    orderNo: '0202501197834777639784081',
-    productImage: 'https://gw.alipayobjects.com/zos/antfincdn/6rmIv1I44H/KDpgvguMpGfqaHPjicRK.svg',
-    productName: '二手书 20',
-    distributor: 'LAST',
-    storeName: '阿里巴巴小店',
-    status: '已完成',
-    commissionAmount: '¥30.00',
-    createTime: '2025-05-29 07:15',
-    productPrice: '¥50.00',
-    orderAmount: '¥100.00',
-    orderStatus: '已完成',
-    distributionTime: '2025-05-29 06:30',
-    settlementStatus: '已结算'
-  }
-];
+// 佣金状态
+const commissionStatusMap = {
+  frozen: '冻结中',
+  available: '已结算',
+  reversed: '已退回'
+};
+
+// 订单状态
+const orderStatusMap = {
+  pending: '未付款',
+  paid: '已付款',
+  shipped: '已发货',
+  completed: '已完成',
+  cancelled: '已关闭',
+  refunded: '已退款'
+};
+
+// 时间格式化
+const formatTime = (value) => value ? new Date(value).toLocaleString('zh-CN') : '-';
+
+const emptySearch = {
+  orderNo: '',
+  distributor: '',
+  storeName: '',
+  orderTime: null,
+  status: ''
+};
 
 const DistributionOrder = () => {
   // 状态管理
-  const [distributionOrders, setDistributionOrders] = useState(mockDistributionOrders);
-  const [filteredOrders, setFilteredOrders] = useState(mockDistributionOrders);
-  const [searchParams, setSearchParams] = useState({
-    orderNo: '',
-    distributor: '',
-    storeName: '',
-    orderTime: null,
-    status: ''
-  });
+  const [loading, setLoading] = useState(false);
+  const [distributionOrders, setDistributionOrders] = useState([]);
+  const [searchParams, setSearchParams] = useState(emptySearch);
   const [currentPage, setCurrentPage] = useState(1);
   const [pageSize] = useState(10);
+  const [totalCount, setTotalCount] = useState(0);
   const [isViewModalVisible, setIsViewModalVisible] = useState(false);
   const [currentOrder, setCurrentOrder] = useState(null);
 
-  // 处理搜索
-  const handleSearch = () => {
-    let filtered = [...distributionOrders];
-    
-    // 订单号搜索
-    if (searchParams.orderNo) {
-      filtered = filtered.filter(order => 
-        order.orderNo.includes(searchParams.orderNo)
-      );
-    }
-    
-    // 分销商搜索
-    if (searchParams.distributor) {
-      filtered = filtered.filter(order => 
-        order.distributor.toLowerCase().includes(searchParams.distributor.toLowerCase())
-      );
-    }
-    
-    // 店铺名称搜索
-    if (searchParams.storeName) {
-      filtered = filtered.filter(order => 
-        order.storeName.toLowerCase().includes(searchParams.storeName.toLowerCase())
-      );
-    }
-    
-    // 状态筛选
-    if (searchParams.status) {
-      filtered = filtered.filter(order => 
-        order.status === searchParams.status
-      );
-    }
-    
-    // 时间范围筛选
-    if (searchParams.orderTime && searchParams.orderTime.length === 2) {
-      const startTime = searchParams.orderTime[0].format('YYYY-MM-DD');
-      const endTime = searchParams.orderTime[1].format('YYYY-MM-DD');
-      
-      filtered = filtered.filter(order => {
-        const orderDate = order.createTime.split(' ')[0];
-        return orderDate >= startTime && orderDate <= endTime;
+  // 加载分销订单（每个订单商品、每级分销员一条佣金记录）
+  const loadData = async (page = currentPage, params = searchParams) => {
+    setLoading(true);
+    try {
+      const queryParams = new URLSearchParams({ page, pageSize });
+      ['orderNo', 'distributor', 'storeName', 'status'].forEach((field) => {
+        if (params[field] && params[field].trim()) {
+          queryParams.append(field, params[field].trim());
+        }
       });
+      if (params.orderTime && params.orderTime.length === 2) {
+        queryParams.append('startTime', params.orderTime[0].startOf('day').toISOString());
+        queryParams.append('endTime', params.orderTime[1].endOf('day').toISOString());
+      }
+      const result = await request(`/api/admin/distribution/orders?${queryParams.toString()}`);
+      setDistributionOrders(result.data.map(item => ({
+        ...item,
+        key: item.id,
+        commissionAmount: `¥${Number(item.amount).toFixed(2)}`,
+        createTime: formatTime(item.createdAt)
+      })));
+      setTotalCount(result.total);
+      setCurrentPage(page);
+    } catch (error) {
+      message.error(error.message || '获取分销订单失败');
+    } finally {
+      setLoading(false);
     }
-    
-    setFilteredOrders(filtered);
-    setCurrentPage(1);
+  };
+
+  useEffect(() => {
+    loadData(1);
+  }, []);
+
+  // 处理搜索
+  const handleSearch = () => {
+    loadData(1);
   };
 
   // 处理重置
   const handleReset = () => {
-    setSearchParams({
-      orderNo: '',
-      distributor: '',
-      storeName: '',
-      orderTime: null,
-      status: ''
-    });
-    setFilteredOrders(distributionOrders);
-    setCurrentPage(1);
+    setSearchParams(emptySearch);
+    loadData(1, emptySearch);
   };
 
   // 处理查看
@@ -254,15 +99,9 @@ const DistributionOrder = () => {
 
   // 处理分页变化
   const handlePageChange = (page) => {
-    setCurrentPage(page);
+    loadData(page);
   };
 
-  // 计算分页数据
-  const paginatedOrders = filteredOrders.slice(
-    (currentPage - 1) * pageSize,
-    currentPage * pageSize
-  );
-
   // 表格列配置
   const columns = [
     {
@@ -279,25 +118,28 @@ const DistributionOrder = () => {
       width: 250,
       render: (image, record) => (
         <div style={{ display: 'flex', alignItems: 'center' }}>
-          <img 
-            src={image} 
-            alt={record.productName} 
-            style={{ width: 40, height: 40, objectFit: 'cover', marginRight: 8 }} 
-          />
+          {image && (
+            <img
+              src={image}
+              alt={record.productName}
+              style={{ width: 40, height: 40, objectFit: 'cover', marginRight: 8 }}
+            />
+          )}
           <span className="product-name" title={record.productName}>{record.productName}</span>
         </div>
       )
     },
     {
       title: '分销商',
-      dataIndex: 'distributor',
-      key: 'distributor',
-      width: 120
+      dataIndex: 'distributorName',
+      key: 'distributorName',
+      width: 120,
+      render: (name, record) => `${name}（${record.level === 1 ? '一级' : '二级'}）`
     },
     {
       title: '店铺名称',
-      dataIndex: 'storeName',
-      key: 'storeName',
+      dataIndex: 'shopName',
+      key: 'shopName',
       width: 100
     },
     {
@@ -306,8 +148,8 @@ const DistributionOrder = () => {
       key: 'status',
       width: 80,
       render: (status) => (
-        <span className={status === '已完成' ? 'status-completed' : 'status-cancelled'}>
-          {status}
+        <span className={status === 'reversed' ? 'status-cancelled' : 'status-completed'}>
+          {commissionStatusMap[status] || status}
         </span>
       )
     },
@@ -331,8 +173,8 @@ const DistributionOrder = () => {
       key: 'action',
       width: 80,
       render: (_, record) => (
-        <Button 
-          type="link" 
+        <Button
+          type="link"
           icon={<EyeOutlined />}
           onClick={() => handleView(record)}
           style={{ color: '#ff0000' }}
@@ -371,14 +213,26 @@ const DistributionOrder = () => {
             </Col>
             <Col>
               <span style={{ marginRight: '8px', color: '#666' }}>店铺名称</span>
+              <Input
+                placeholder="请输入店铺名称"
+                value={searchParams.storeName}
+                onChange={(e) => setSearchParams({ ...searchParams, storeName: e.target.value })}
+                onPressEnter={handleSearch}
+                style={{ width: 180, height: 32 }}
+              />
+            </Col>
+            <Col>
+              <span style={{ marginRight: '8px', color: '#666' }}>佣金状态</span>
               <Select
                 placeholder="全部"
-                value={searchParams.storeName || undefined}
-                onChange={(value) => setSearchParams({ ...searchParams, storeName: value })}
+                value={searchParams.status || undefined}
+                onChange={(value) => setSearchParams({ ...searchParams, status: value || '' })}
+                allowClear
                 style={{ width: 180, height: 32 }}
               >
-                <Option value="京东自营">京东自营</Option>
-                <Option value="阿里巴巴小店">阿里巴巴小店</Option>
+                {Object.entries(commissionStatusMap).map(([value, label]) => (
+                  <Option key={value} value={value}>{label}</Option>
+                ))}
               </Select>
             </Col>
             <Col>
@@ -390,12 +244,12 @@ const DistributionOrder = () => {
               />
             </Col>
             <Col>
-              <Button 
-                type="primary" 
+              <Button
+                type="primary"
                 icon={<SearchOutlined />}
                 onClick={handleSearch}
-                style={{ 
-                  backgroundColor: '#ff0000', 
+                style={{
+                  backgroundColor: '#ff0000',
                   borderColor: '#ff0000',
                   height: 32,
                   fontSize: 12
@@ -403,6 +257,17 @@ const DistributionOrder = () => {
               >
                 搜索
               </Button>
+              <Button
+                icon={<RedoOutlined />}
+                onClick={handleReset}
+                style={{
+                  marginLeft: 8,
+                  height: 32,
+                  fontSize: 12
+                }}
+              >
+                重置
+              </Button>
             </Col>
           </Row>
         </div>
@@ -410,12 +275,13 @@ const DistributionOrder = () => {
         {/* 表格区域 */}
         <Table
           columns={columns}
-          dataSource={paginatedOrders}
+          dataSource={distributionOrders}
+          loading={loading}
           rowKey="key"
           pagination={{
             current: currentPage,
             pageSize: pageSize,
-            total: filteredOrders.length,
+            total: totalCount,
             pageSizeOptions: ['10'],
             showSizeChanger: false,
             showTotal: (total) => `共 ${total} 条`,
@@ -424,11 +290,11 @@ const DistributionOrder = () => {
             itemRender: (page, type, originalElement) => {
               if (type === 'page') {
                 return (
-                  <a 
-                    href="#" 
+                  <a
+                    href="#"
                     onClick={(e) => { e.preventDefault(); handlePageChange(page); }}
-                    style={{ 
-                      margin: '0 4px', 
+                    style={{
+                      margin: '0 4px',
                       padding: '2px 8px',
                       color: currentPage === page ? '#ff0000' : '#333',
                       border: currentPage === page ? '1px solid #ff0000' : '1px solid #d9d9d9',
@@ -468,54 +334,50 @@ const DistributionOrder = () => {
               </div>
               <div className="detail-item">
                 <span className="detail-label">订单状态：</span>
-                <span className={currentOrder.status === '已完成' ? 'status-completed' : 'status-cancelled'}>
-                  {currentOrder.status}
-                </span>
+                <span>{orderStatusMap[currentOrder.orderStatus] || currentOrder.orderStatus || '-'}</span>
               </div>
               <div className="detail-item">
                 <span className="detail-label">创建时间：</span>
                 <span>{currentOrder.createTime}</span>
               </div>
             </div>
-            
+
             <div className="detail-section">
               <h3>商品信息</h3>
               <div style={{ display: 'flex', marginBottom: 12 }}>
-                <img 
-                  src={currentOrder.productImage} 
-                  alt={currentOrder.productName} 
-                  style={{ width: 80, height: 80, objectFit: 'cover', marginRight: 16 }} 
-                />
+                {currentOrder.productImage && (
+                  <img
+                    src={currentOrder.productImage}
+                    alt={currentOrder.productName}
+                    style={{ width: 80, height: 80, objectFit: 'cover', marginRight: 16 }}
+                  />
+                )}
                 <div>
                   <div className="detail-item">
                     <span className="detail-label">商品名称：</span>
                     <span>{currentOrder.productName}</span>
                   </div>
                   <div className="detail-item">
-                    <span className="detail-label">商品价格：</span>
-                    <span>{currentOrder.productPrice}</span>
+                    <span className="detail-label">计佣金额：</span>
+                    <span>¥{Number(currentOrder.baseAmount).toFixed(2)}</span>
                   </div>
                   <div className="detail-item">
-                    <span className="detail-label">订单金额：</span>
-                    <span>{currentOrder.orderAmount}</span>
+                    <span className="detail-label">佣金比例：</span>
+                    <span>{Math.round(currentOrder.rate * 10000) / 100}%</span>
                   </div>
                 </div>
               </div>
             </div>
-            
+
             <div className="detail-section">
               <h3>分销信息</h3>
               <div className="detail-item">
                 <span className="detail-label">分销商：</span>
-                <span>{currentOrder.distributor}</span>
+                <span>{currentOrder.distributorName}（{currentOrder.level === 1 ? '一级' : '二级'}）</span>
               </div>
               <div className="detail-item">
                 <span className="detail-label">店铺名称：</span>
-                <span>{currentOrder.storeName}</span>
-              </div>
-              <div className="detail-item">
-                <span className="detail-label">分销时间：</span>
-                <span>{currentOrder.distributionTime}</span>
+                <span>{currentOrder.shopName || '-'}</span>
               </div>
               <div className="detail-item">
                 <span className="detail-label">佣金金额：</span>
@@ -523,9 +385,19 @@ const DistributionOrder = () => {
                   {currentOrder.commissionAmount}
                 </span>
               </div>
+              {currentOrder.reversedAmount > 0 && (
+                <div className="detail-item">
+                  <span className="detail-label">退款扣回：</span>
+                  <span>¥{Number(currentOrder.reversedAmount).toFixed(2)}</span>
+                </div>
+              )}
               <div className="detail-item">
                 <span className="detail-label">结算状态：</span>
-                <span>{currentOrder.settlementStatus}</span>
+                <span>{commissionStatusMap[currentOrder.status] || currentOrder.status}</span>
+              </div>
+              <div className="detail-item">
+                <span className="detail-label">{currentOrder.settledAt ? '结算时间：' : '预计解冻：'}</span>
+                <span>{formatTime(currentOrder.settledAt || currentOrder.unfreezeAt)}</span>
               </div>
             </div>
           </div>
@@ -535,4 +407,4 @@ const DistributionOrder = () => {
   );
 };
 
-export default DistributionOrder;
\ No newline at end of file
+export default DistributionOrder;
@@ -1,136 +1,123 @@
 import React, { useState, useEffect } from 'react';
-import { Card, Input, Button, Table, Row, Col, message, Modal } from 'antd';
+import { Card, Input, Button, Table, Row, Col, message, Modal, InputNumber, Tag } from 'antd';
 import { SearchOutlined, RedoOutlined, EyeOutlined } from '@ant-design/icons';
+import { request } from '../../../services/request';
 import './DistributionProduct.css';
 
-// 模拟分销商品数据
-const mockDistributionProducts = [
-  {
-    key: '1',
-    productName: '苹果AirPods Pro 无线降噪耳机',
-    productPrice: '¥1699.00',
-    stock: 123,
-    addTime: '2025-06-01 11:28',
-    status: '已分销',
-    totalAmount: '¥300.00',
-    image: 'https://gw.alipayobjects.com/zos/antfincdn/6rmIv1I44H/KDpgvguMpGfqaHPjicRK.svg'
-  },
-  {
-    key: '2',
-    productName: '小米手环7 Pro C1智能手环',
-    productPrice: '¥199.00',
-    stock: 1,
-    addTime: '2025-06-01 09:47',
-    status: '已分销',
-    totalAmount: '¥15.00',
-    image: 'https://gw.alipayobjects.com/zos/antfincdn/9pNnSeOa5V/wecom-todo-logo.svg'
-  },
-  {
-    key: '3',
-    productName: '华为Matebook X Pro 笔记本电脑',
-    productPrice: '¥8299.00',
-    stock: 42,
-    addTime: '2025-06-01 08:43',
-    status: '已分销',
-    totalAmount: '¥100.00',
-    image: 'https://gw.alipayobjects.com/zos/antfincdn/QqlhQpK5Q6/antd-logo.svg'
-  },
-  {
-    key: '4',
-    productName: '星巴克咖啡券 电子礼品卡200元',
-    productPrice: '¥188.00',
-    stock: 100,
-    addTime: '2025-05-31 13:40',
-    status: '已分销',
-    totalAmount: '¥11.00',
-    image: 'https://gw.alipayobjects.com/zos/antfincdn/6rmIv1I44H/KDpgvguMpGfqaHPjicRK.svg'
-  },
-  {
-    key: '5',
-    productName: '小米13 Pro 骁龙8Gen2手机',
-    productPrice: '¥4999.00',
-    stock: 1,
-    addTime: '2025-05-31 11:08',
-    status: '已分销',
-    totalAmount: '¥100.00',
-    image: 'https://gw.alipayobjects.com/zos/antfincdn/9pNnSeOa5V/wecom-todo-logo.svg'
-  },
-  {
-    key: '6',
-    productName: '雅诗兰黛Estee Lauder特润修护肌透精华露',
-    productPrice: '¥950.00',
-    stock: 1000,
-    addTime: '2025-05-30 09:12',
-    status: '已分销',
-    totalAmount: '¥10.00',
-    image: 'https://gw.alipayobjects.com/zos/antfincdn/QqlhQpK5Q6/antd-logo.svg'
-  },
-  {
-    key: '7',
-    productName: '11.2',
-    productPrice: '¥100.00',
-    stock: 1,
-    addTime: '2025-05-29 08:43',
-    status: '已分销',
-    totalAmount: '¥100.00',
-    image: 'https://gw.alipayobjects.com/zos/antfincdn/6rmIv1I44H/KDpgvguMpGfqaHPjicRK.svg'
-  },
-  {
-    key: '8',
-    productName: 'iPhone 15 Pro Max 256GB手机',
-    productPrice: '¥9999.00',
-    stock: 50,
-    addTime: '2025-05-28 15:22',
-    status: '已分销',
-    totalAmount: '¥800.00',
-    image: 'https://gw.alipayobjects.com/zos/antfincdn/9pNnSeOa5V/wecom-todo-logo.svg'
-  }
-];
+// 比例（0-1）转百分比
+const toPercent = (rate) => Math.round(Number(rate || 0) * 10000) / 100;
 
 const DistributionProduct = () => {
   // 状态管理
-  const [distributionProducts, setDistributionProducts] = useState(mockDistributionProducts);
-  const [filteredProducts, setFilteredProducts] = useState(mockDistributionProducts);
+  const [loading, setLoading] = useState(false);
+  const [distributionProducts, setDistributionProducts] = useState([]);
   const [searchParams, setSearchParams] = useState({
     productName: ''
   });
   const [currentPage, setCurrentPage] = useState(1);
   const [pageSize] = useState(10);
+  const [totalCount, setTotalCount] = useState(0);
   const [isViewModalVisible, setIsViewModalVisible] = useState(false);
   const [currentProduct, setCurrentProduct] = useState(null);
 
+  // 商品佣金比例编辑状态（百分比）
+  const [ruleForm, setRuleForm] = useState({ level1: 0, level2: 0 });
+  const [saving, setSaving] = useState(false);
+
+  // 加载分销商品
+  const loadData = async (page = currentPage, params = searchParams) => {
+    setLoading(true);
+    try {
+      const queryParams = new URLSearchParams({ page, pageSize });
+      if (params.productName.trim()) {
+        queryParams.append('productName', params.productName.trim());
+      }
+      const result = await request(`/api/admin/distribution/products?${queryParams.toString()}`);
+      setDistributionProducts(result.data.map(item => ({
+        ...item,
+        key: item.productId,
+        productPrice: `¥${Number(item.price).toFixed(2)}`,
+        addTime: new Date(item.addTime).toLocaleString('zh-CN'),
+        totalAmount: `¥${Number(item.commission).toFixed(2)}`
+      })));
+      setTotalCount(result.total);
+      setCurrentPage(page);
+    } catch (error) {
+      message.error(error.message || '获取分销商品失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadData(1);
+  }, []);
+
   // 处理搜索
   const handleSearch = () => {
-    const filtered = distributionProducts.filter(product => 
-      product.productName.toLowerCase().includes(searchParams.productName.toLowerCase())
-    );
-    setFilteredProducts(filtered);
-    setCurrentPage(1);
+    loadData(1);
   };
 
   // 处理重置
   const handleReset = () => {
-    setSearchParams({ productName: '' });
-    setFilteredProducts(distributionProducts);
-    setCurrentPage(1);
+    const params = { productName: '' };
+    setSearchParams(params);
+    loadData(1, params);
   };
 
   // 处理查看
   const handleView = (record) => {
     setCurrentProduct(record);
+    setRuleForm({ level1: toPercent(record.level1Rate), level2: toPercent(record.level2Rate) });
     setIsViewModalVisible(true);
   };
 
   // 处理分页变化
   const handlePageChange = (page) => {
-    setCurrentPage(page);
+    loadData(page);
   };
 
-  // 计算分页数据
-  const paginatedProducts = filteredProducts.slice(
-    (currentPage - 1) * pageSize,
-    currentPage * pageSize
-  );
+  // 保存商品佣金比例（商品规则优先于分类和默认比例）
+  const handleSaveRule = async () => {
+    if (ruleForm.level1 === null || ruleForm.level2 === null || ruleForm.level1 + ruleForm.level2 >= 100) {
+      message.error('请输入有效的佣金比例，各级之和须小于100%');
+      return;
+    }
+    setSaving(true);
+    try {
+      await request('/api/admin/distribution/rules', {
+        method: 'PUT',
+        body: JSON.stringify({
+          targetType: 'product',
+          targetId: currentProduct.productId,
+          level1Rate: ruleForm.level1 / 100,
+          level2Rate: ruleForm.level2 / 100
+        })
+      });
+      message.success('佣金比例已保存');
+      setIsViewModalVisible(false);
+      loadData();
+    } catch (error) {
+      message.error(error.message || '保存佣金比例失败');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // 清除商品佣金比例，恢复使用分类或默认比例
+  const handleClearRule = async () => {
+    setSaving(true);
+    try {
+      await request(`/api/admin/distribution/rules/product/${currentProduct.productId}`, { method: 'DELETE' });
+      message.success('已恢复默认佣金比例');
+      setIsViewModalVisible(false);
+      loadData();
+    } catch (error) {
+      message.error(error.message || '清除佣金比例失败');
+    } finally {
+      setSaving(false);
+    }
+  };
 
   // 表格列配置
   const columns = [
@@ -139,9 +126,9 @@ const DistributionProduct = () => {
       dataIndex: 'image',
       key: 'image',
       width: 60,
-      render: (image) => (
+      render: (image) => image ? (
         <img src={image} alt="商品图片" style={{ width: 40, height: 40, objectFit: 'cover' }} />
-      )
+      ) : '-'
     },
     {
       title: '商品名称',
@@ -170,9 +157,21 @@ const DistributionProduct = () => {
     },
     {
       title: '分销状态',
-      dataIndex: 'status',
-      key: 'status',
-      width: 100
+      dataIndex: 'distributing',
+      key: 'distributing',
+      width: 100,
+      render: (distributing) => distributing ? <Tag color="success">已分销</Tag> : <Tag>未分销</Tag>
+    },
+    {
+      title: '佣金比例',
+      key: 'rate',
+      width: 140,
+      render: (_, record) => (
+        <span>
+          {toPercent(record.level1Rate)}% / {toPercent(record.level2Rate)}%
+          {record.customRule && <Tag color="red" style={{ marginLeft: 4 }}>单独设置</Tag>}
+        </span>
+      )
     },
     {
       title: '佣金金额',
@@ -185,8 +184,8 @@ const DistributionProduct = () => {
       key: 'action',
       width: 80,
       render: (_, record) => (
-        <Button 
-          type="link" 
+        <Button
+          type="link"
           icon={<EyeOutlined />}
           onClick={() => handleView(record)}
           style={{ color: '#ff0000' }}
@@ -214,12 +213,12 @@ const DistributionProduct = () => {
               />
             </Col>
             <Col>
-              <Button 
-                type="primary" 
+              <Button
+                type="primary"
                 icon={<SearchOutlined />}
                 onClick={handleSearch}
-                style={{ 
-                  backgroundColor: '#ff0000', 
+                style={{
+                  backgroundColor: '#ff0000',
                   borderColor: '#ff0000',
                   height: 32,
                   fontSize: 12
@@ -227,10 +226,10 @@ const DistributionProduct = () => {
               >
                 查询
               </Button>
-              <Button 
+              <Button
                 icon={<RedoOutlined />}
                 onClick={handleReset}
-                style={{ 
+                style={{
                   marginLeft: 8,
                   height: 32,
                   fontSize: 12
@@ -245,12 +244,13 @@ const DistributionProduct = () => {
         {/* 表格区域 */}
         <Table
           columns={columns}
-          dataSource={paginatedProducts}
+          dataSource={distributionProducts}
+          loading={loading}
           rowKey="key"
           pagination={{
             current: currentPage,
             pageSize: pageSize,
-            total: filteredProducts.length,
+            total: totalCount,
             pageSizeOptions: ['10'],
             showSizeChanger: false,
             showTotal: (total) => `共 ${total} 条`,
@@ -268,6 +268,20 @@ const DistributionProduct = () => {
         footer={[
           <Button key="close" onClick={() => setIsViewModalVisible(false)}>
             关闭
+          </Button>,
+          currentProduct && currentProduct.customRule && (
+            <Button key="clear" loading={saving} onClick={handleClearRule}>
+              恢复默认比例
+            </Button>
+          ),
+          <Button
+            key="save"
+            type="primary"
+            loading={saving}
+            onClick={handleSaveRule}
+            style={{ backgroundColor: '#ff0000', borderColor: '#ff0000' }}
+          >
+            保存佣金比例
           </Button>
         ]}
         width={600}
@@ -276,11 +290,13 @@ const DistributionProduct = () => {
           <div className="product-detail">
             <Row gutter={20}>
               <Col span={8}>
-                <img 
-                  src={currentProduct.image} 
-                  alt={currentProduct.productName} 
-                  style={{ width: '100%', height: 180, objectFit: 'contain' }}
-                />
+                {currentProduct.image && (
+                  <img
+                    src={currentProduct.image}
+                    alt={currentProduct.productName}
+                    style={{ width: '100%', height: 180, objectFit: 'contain' }}
+                  />
+                )}
               </Col>
               <Col span={16}>
                 <div className="detail-item">
@@ -301,12 +317,32 @@ const DistributionProduct = () => {
                 </div>
                 <div className="detail-item">
                   <span className="detail-label">分销状态：</span>
-                  <span>{currentProduct.status}</span>
+                  <span>{currentProduct.distributing ? '已分销' : '未分销'}</span>
                 </div>
                 <div className="detail-item">
                   <span className="detail-label">佣金金额：</span>
                   <span style={{ color: '#ff0000', fontWeight: 'bold' }}>{currentProduct.totalAmount}</span>
                 </div>
+                <div className="detail-item">
+                  <span className="detail-label">一级比例（%）：</span>
+                  <InputNumber
+                    min={0}
+                    max={99}
+                    precision={2}
+                    value={ruleForm.level1}
+                    onChange={(value) => setRuleForm({ ...ruleForm, level1: value })}
+                  />
+                </div>
+                <div className="detail-item">
+                  <span className="detail-label">二级比例（%）：</span>
+                  <InputNumber
+                    min={0}
+                    max={99}
+                    precision={2}
+                    value={ruleForm.level2}
+                    onChange={(value) => setRuleForm({ ...ruleForm, level2: value })}
+                  />
+                </div>
               </Col>
             </Row>
           </div>
@@ -316,4 +352,4 @@ const DistributionProduct = () => {
   );
 };
 
-export default DistributionProduct;
\ No newline at end of file
+export default DistributionProduct;
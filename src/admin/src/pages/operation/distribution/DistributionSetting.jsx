@@ -1,129 +1,239 @@
 import React, { useState, useEffect } from 'react';
-import { Card, Switch, Input, Button, message } from 'antd';
+import { Card, Switch, Input, Button, Radio, Spin, message } from 'antd';
 import { EditOutlined } from '@ant-design/icons';
+import { request } from '../../../services/request';
 import './DistributionSetting.css';
 
+// 比例（0-1）转百分比文本
+const toPercent = (rate) => String(Math.round(Number(rate || 0) * 10000) / 100);
+
 const DistributionSetting = () => {
   // 状态管理
-  const [distributionEnabled, setDistributionEnabled] = useState(true);
-  const [distributionRatio, setDistributionRatio] = useState('0');
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [settings, setSettings] = useState({ enabled: false, levels: 2, level1Rate: 0, level2Rate: 0, freezeDays: 7 });
+  const [form, setForm] = useState({ levels: 2, level1Ratio: '0', level2Ratio: '0', freezeDays: '7' });
   const [isEditing, setIsEditing] = useState(false);
-  const [originalRatio, setOriginalRatio] = useState('0');
 
-  // 初始化数据（模拟从后端获取）
+  // 加载分销设置
+  const loadSettings = async () => {
+    setLoading(true);
+    try {
+      const result = await request('/api/admin/distribution/settings');
+      setSettings(result.data);
+    } catch (error) {
+      message.error(error.message || '获取分销设置失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   useEffect(() => {
-    // 这里应该调用API获取实际的分销设置数据
-    // 模拟数据：分销功能开启，分销比例为0%
-    setDistributionEnabled(true);
-    setDistributionRatio('0');
-    setOriginalRatio('0');
+    loadSettings();
   }, []);
 
+  // 保存设置（只提交变更的项）
+  const saveSettings = async (changes, successText) => {
+    setSaving(true);
+    try {
+      const result = await request('/api/admin/distribution/settings', {
+        method: 'PUT',
+        body: JSON.stringify(changes)
+      });
+      setSettings(result.data);
+      message.success(successText);
+      return true;
+    } catch (error) {
+      message.error(error.message || '保存分销设置失败');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
   // 处理分销功能开关变化
   const handleSwitchChange = (checked) => {
-    setDistributionEnabled(checked);
-    // 实际项目中应该调用API更新设置
-    message.info(checked ? '已开启分销功能' : '已关闭分销功能');
+    saveSettings({ enabled: checked }, checked ? '已开启分销功能' : '已关闭分销功能');
   };
 
   // 开始编辑分销比例
   const handleEdit = () => {
-    setOriginalRatio(distributionRatio);
+    setForm({
+      levels: settings.levels,
+      level1Ratio: toPercent(settings.level1Rate),
+      level2Ratio: toPercent(settings.level2Rate),
+      freezeDays: String(settings.freezeDays)
+    });
     setIsEditing(true);
   };
 
   // 取消编辑
   const handleCancel = () => {
-    setDistributionRatio(originalRatio);
     setIsEditing(false);
   };
 
   // 保存分销比例
-  const handleSave = () => {
+  const handleSave = async () => {
     // 验证输入
-    const ratio = parseFloat(distributionRatio);
-    if (isNaN(ratio) || ratio < 0 || ratio > 100) {
+    const level1 = parseFloat(form.level1Ratio);
+    const level2 = form.levels === 2 ? parseFloat(form.level2Ratio) : 0;
+    const freezeDays = parseInt(form.freezeDays, 10);
+    if (isNaN(level1) || level1 < 0 || level1 >= 100 || isNaN(level2) || level2 < 0 || level2 >= 100) {
       message.error('请输入有效的分销比例（0-100）');
       return;
     }
-    
-    // 实际项目中应该调用API更新设置
-    message.success('分销比例保存成功');
-    setOriginalRatio(distributionRatio);
-    setIsEditing(false);
+    if (level1 + level2 >= 100) {
+      message.error('各级分销比例之和须小于100%');
+      return;
+    }
+    if (isNaN(freezeDays) || freezeDays < 0 || freezeDays > 90) {
+      message.error('请输入有效的佣金冻结天数（0-90）');
+      return;
+    }
+
+    const saved = await saveSettings({
+      levels: form.levels,
+      level1Rate: level1 / 100,
+      level2Rate: level2 / 100,
+      freezeDays
+    }, '分销比例保存成功');
+    if (saved) {
+      setIsEditing(false);
+    }
   };
 
-  // 处理分销比例输入变化
-  const handleRatioChange = (e) => {
+  // 处理比例、天数输入变化（只允许输入数字和小数点）
+  const handleInputChange = (field) => (e) => {
     const value = e.target.value;
-    // 只允许输入数字和小数点
     if (/^\d*\.?\d*$/.test(value) || value === '') {
-      setDistributionRatio(value);
+      setForm({ ...form, [field]: value });
     }
   };
 
   return (
     <div className="distribution-setting-container">
-      <Card className="distribution-setting-card">
-        
-        <div className="setting-item">
-          <div className="setting-label">
-            <span>是否开启分销</span>
-          </div>
-          <div className="setting-control">
-            <Switch 
-              checked={distributionEnabled} 
-              onChange={handleSwitchChange}
-              checkedChildren="开启"
-              unCheckedChildren="关闭"
-            />
+      <Spin spinning={loading}>
+        <Card className="distribution-setting-card">
+
+          <div className="setting-item">
+            <div className="setting-label">
+              <span>是否开启分销</span>
+            </div>
+            <div className="setting-control">
+              <Switch
+                checked={settings.enabled}
+                onChange={handleSwitchChange}
+                loading={saving}
+                checkedChildren="开启"
+                unCheckedChildren="关闭"
+              />
+            </div>
           </div>
-        </div>
-        
-        <div className="setting-item">
-          <div className="setting-label">
-            <span>分销比例（%）</span>
+
+          <div className="setting-item">
+            <div className="setting-label">
+              <span>分销层级</span>
+            </div>
+            <div className="setting-control">
+              {isEditing ? (
+                <Radio.Group value={form.levels} onChange={(e) => setForm({ ...form, levels: e.target.value })}>
+                  <Radio value={1}>一级分销</Radio>
+                  <Radio value={2}>二级分销</Radio>
+                </Radio.Group>
+              ) : (
+                <span className="ratio-value">{settings.levels === 2 ? '二级分销' : '一级分销'}</span>
+              )}
+            </div>
           </div>
-          <div className="setting-control">
-            {isEditing ? (
-              <div className="edit-controls">
+
+          <div className="setting-item">
+            <div className="setting-label">
+              <span>一级分销比例（%）</span>
+            </div>
+            <div className="setting-control">
+              {isEditing ? (
                 <Input
                   type="text"
-                  value={distributionRatio}
-                  onChange={handleRatioChange}
-                  placeholder="请输入分销比例"
-                  style={{ width: 150, marginRight: 16 }}
+                  value={form.level1Ratio}
+                  onChange={handleInputChange('level1Ratio')}
+                  placeholder="请输入一级分销比例"
+                  style={{ width: 150 }}
                   onPressEnter={handleSave}
                 />
-                <Button 
-                  type="primary" 
-                  onClick={handleSave}
-                  style={{ marginRight: 8 }}
-                >
-                  保存
-                </Button>
-                <Button onClick={handleCancel}>
-                  取消
-                </Button>
+              ) : (
+                <span className="ratio-value">{toPercent(settings.level1Rate)}</span>
+              )}
+            </div>
+          </div>
+
+          {(isEditing ? form.levels : settings.levels) === 2 && (
+            <div className="setting-item">
+              <div className="setting-label">
+                <span>二级分销比例（%）</span>
               </div>
-            ) : (
-              <div className="display-controls">
-                <span className="ratio-value">{distributionRatio}</span>
-                <Button 
-                  type="text" 
-                  icon={<EditOutlined />} 
-                  onClick={handleEdit}
-                  disabled={!distributionEnabled}
-                >
-                  编辑
-                </Button>
+              <div className="setting-control">
+                {isEditing ? (
+                  <Input
+                    type="text"
+                    value={form.level2Ratio}
+                    onChange={handleInputChange('level2Ratio')}
+                    placeholder="请输入二级分销比例"
+                    style={{ width: 150 }}
+                    onPressEnter={handleSave}
+                  />
+                ) : (
+                  <span className="ratio-value">{toPercent(settings.level2Rate)}</span>
+                )}
               </div>
-            )}
+            </div>
+          )}
+
+          <div className="setting-item">
+            <div className="setting-label">
+              <span>佣金冻结天数</span>
+            </div>
+            <div className="setting-control">
+              {isEditing ? (
+                <div className="edit-controls">
+                  <Input
+                    type="text"
+                    value={form.freezeDays}
+                    onChange={handleInputChange('freezeDays')}
+                    placeholder="订单完成后的售后期天数"
+                    style={{ width: 150, marginRight: 16 }}
+                    onPressEnter={handleSave}
+                  />
+                  <Button
+                    type="primary"
+                    onClick={handleSave}
+                    loading={saving}
+                    style={{ marginRight: 8 }}
+                  >
+                    保存
+                  </Button>
+                  <Button onClick={handleCancel}>
+                    取消
+                  </Button>
+                </div>
+              ) : (
+                <div className="display-controls">
+                  <span className="ratio-value">{settings.freezeDays} 天</span>
+                  <Button
+                    type="text"
+                    icon={<EditOutlined />}
+                    onClick={handleEdit}
+                    disabled={!settings.enabled}
+                  >
+                    编辑
+                  </Button>
+                </div>
+              )}
+            </div>
           </div>
-        </div>
-      </Card>
+        </Card>
+      </Spin>
     </div>
   );
 };
 
-export default DistributionSetting;
\ No newline at end of file
+export default DistributionSetting;
@@ -1,218 +1,130 @@
-import React, { useState } from 'react';
-import { Card, Input, Select, Button, Table, Modal, Row, Col, Empty } from 'antd';
+import React, { useState, useEffect } from 'react';
+import { Card, Input, Select, Button, Table, Modal, Row, Col, Empty, message } from 'antd';
 import { EyeOutlined, SearchOutlined } from '@ant-design/icons';
+import { request } from '../../../services/request';
 import './DistributionWithdraw.css';
 
 const { Option } = Select;
+const { TextArea } = Input;
+
+// 提现状态
+const statusMap = {
+  pending: '待审核',
+  approved: '通过',
+  rejected: '审核拒绝'
+};
+
+// 时间格式化
+const formatTime = (value) => value ? new Date(value).toLocaleString('zh-CN') : '-';
+
+const emptySearch = {
+  memberName: '',
+  withdrawNo: '',
+  status: ''
+};
 
 const DistributionWithdraw = () => {
   // 搜索参数状态
-  const [searchParams, setSearchParams] = useState({
-    memberName: '',
-    withdrawNo: '',
-    status: ''
-  });
+  const [searchParams, setSearchParams] = useState(emptySearch);
 
-  // 分页状态
+  // 列表和分页状态
+  const [loading, setLoading] = useState(false);
+  const [withdrawList, setWithdrawList] = useState([]);
   const [currentPage, setCurrentPage] = useState(1);
   const [pageSize, setPageSize] = useState(10);
+  const [totalCount, setTotalCount] = useState(0);
 
   // 详情模态框状态
   const [isViewModalVisible, setIsViewModalVisible] = useState(false);
   const [currentWithdraw, setCurrentWithdraw] = useState(null);
 
-  // 模拟提现数据
-  const withdrawList = [
-    {
-      key: '1',
-      withdrawNo: 'D1933785973698508736',
-      memberName: '微信用户',
-      applyAmount: '¥5.00',
-      applyTime: '2025-06-14 15:32:08',
-      realName: '颜先生',
-      idCard: '430382199512053025',
-      bankName: '李老师',
-      bankAccount: '6227001215970172744',
-      bankBranch: '建设银行',
-      processTime: '2025-06-15 21:33:15',
-      status: '审核拒绝'
-    },
-    {
-      key: '2',
-      withdrawNo: 'D1910341225398015104',
-      memberName: '微信用户',
-      applyAmount: '¥100.00',
-      applyTime: '2025-04-10 22:36:55',
-      realName: '测试',
-      idCard: '420624189709190982',
-      bankName: '测试',
-      bankAccount: '62286901120090865',
-      bankBranch: '招商银行',
-      processTime: '2025-04-10 22:44:40',
-      status: '通过'
-    },
-    {
-      key: '3',
-      withdrawNo: 'D1909894058321029600',
-      memberName: '微信用户',
-      applyAmount: '¥1.00',
-      applyTime: '2025-04-09 22:59:26',
-      realName: 'zhang',
-      idCard: '4112241199801027032',
-      bankName: '张三',
-      bankAccount: '62286908796690863',
-      bankBranch: '农业银行',
-      processTime: '2025-04-10 13:42:50',
-      status: '通过'
-    },
-    {
-      key: '4',
-      withdrawNo: 'D1909415824419614160',
-      memberName: '微信用户',
-      applyAmount: '¥1.00',
-      applyTime: '2025-04-08 09:19:42',
-      realName: 'zhang',
-      idCard: '412221199801027034',
-      bankName: '张三',
-      bankAccount: '62286908796690863',
-      bankBranch: '农业银行',
-      processTime: '2025-04-08 09:19:56',
-      status: '通过'
-    },
-    {
-      key: '5',
-      withdrawNo: 'D1897219889016155392',
-      memberName: '分销测试',
-      applyAmount: '¥1.00',
-      applyTime: '2025-03-05 17:33:49',
-      realName: '分销测试',
-      idCard: '2201719981508081141',
-      bankName: '测试',
-      bankAccount: '64872195',
-      bankBranch: '中国银行',
-      processTime: '2025-03-05 17:34:56',
-      status: '通过'
-    },
-    {
-      key: '6',
-      withdrawNo: 'D1857310968527235840',
-      memberName: '666',
-      applyAmount: '¥650.00',
-      applyTime: '2024-11-15 14:33:36',
-      realName: 'zzw',
-      idCard: '123456789123456789',
-      bankName: '1',
-      bankAccount: '1',
-      bankBranch: '1',
-      processTime: '2024-11-15 14:34:07',
-      status: '通过'
-    },
-    {
-      key: '7',
-      withdrawNo: 'D185325385077447680',
-      memberName: '13011111111',
-      applyAmount: '¥834.00',
-      applyTime: '2024-11-01 20:24:28',
-      realName: '张三',
-      idCard: '131082199208021512',
-      bankName: '1',
-      bankAccount: '1',
-      bankBranch: '1',
-      processTime: '2024-11-05 17:57:41',
-      status: '审核拒绝'
-    },
-    {
-      key: '8',
-      withdrawNo: 'D1849368771489222656',
-      memberName: '13011111111',
-      applyAmount: '¥2.00',
-      applyTime: '2024-10-24 16:34:09',
-      realName: '张三',
-      idCard: '131082199208021512',
-      bankName: '1',
-      bankAccount: '1',
-      bankBranch: '1',
-      processTime: '2024-10-24 18:16:21',
-      status: '通过'
-    },
-    {
-      key: '9',
-      withdrawNo: 'D1849270981018883886',
-      memberName: '13011111111',
-      applyAmount: '¥1.00',
-      applyTime: '2024-10-24 10:05:34',
-      realName: '张三',
-      idCard: '131082199208021512',
-      bankName: '1',
-      bankAccount: '1',
-      bankBranch: '1',
-      processTime: '2024-10-24 13:43:29',
-      status: '审核拒绝'
-    },
-    {
-      key: '10',
-      withdrawNo: 'D1848664300954083328',
-      memberName: '13011111111',
-      applyAmount: '¥2.00',
-      applyTime: '2024-10-22 17:54:50',
-      realName: '张三',
-      idCard: '131082199208021512',
-      bankName: '1',
-      bankAccount: '1',
-      bankBranch: '1',
-      processTime: '2024-10-22 17:55:02',
-      status: '通过'
+  // 审核表单状态
+  const [reviewForm, setReviewForm] = useState({ payoutReference: '', remark: '' });
+  const [submitting, setSubmitting] = useState(false);
+
+  // 加载佣金提现申请
+  const loadData = async (page = currentPage, size = pageSize, params = searchParams) => {
+    setLoading(true);
+    try {
+      const queryParams = new URLSearchParams({ page, pageSize: size });
+      if (params.memberName.trim()) {
+        queryParams.append('username', params.memberName.trim());
+      }
+      if (params.withdrawNo.trim()) {
+        queryParams.append('withdrawNo', params.withdrawNo.trim());
+      }
+      if (params.status) {
+        queryParams.append('status', params.status);
+      }
+      const result = await request(`/api/admin/distribution/withdrawals?${queryParams.toString()}`);
+      setWithdrawList(result.data.map(item => ({
+        ...item,
+        key: item.withdrawNo,
+        applyAmount: `¥${Number(item.amount).toFixed(2)}`,
+        applyTime: formatTime(item.createdAt),
+        processTime: formatTime(item.reviewedAt)
+      })));
+      setTotalCount(result.total);
+      setCurrentPage(page);
+      setPageSize(size);
+    } catch (error) {
+      message.error(error.message || '获取佣金提现申请失败');
+    } finally {
+      setLoading(false);
     }
-  ];
+  };
+
+  useEffect(() => {
+    loadData(1, pageSize);
+  }, []);
 
   // 处理搜索
   const handleSearch = () => {
-    // 实际项目中这里应该调用API进行搜索
-    console.log('搜索参数:', searchParams);
-    setCurrentPage(1); // 重置到第一页
+    loadData(1, pageSize);
   };
 
   // 处理重置
   const handleReset = () => {
-    setSearchParams({
-      memberName: '',
-      withdrawNo: '',
-      status: ''
-    });
-    setCurrentPage(1);
+    setSearchParams(emptySearch);
+    loadData(1, pageSize, emptySearch);
   };
 
   // 处理查看详情
   const handleView = (record) => {
     setCurrentWithdraw(record);
+    setReviewForm({ payoutReference: '', remark: '' });
     setIsViewModalVisible(true);
   };
 
   // 处理分页变化
-  const handlePageChange = (page, pageSize) => {
-    setCurrentPage(page);
-    setPageSize(pageSize);
+  const handlePageChange = (page, size) => {
+    loadData(page, size);
   };
 
-  // 过滤数据
-  const filteredWithdraws = withdrawList.filter(item => {
-    if (searchParams.memberName && !item.memberName.includes(searchParams.memberName)) {
-      return false;
+  // 审核提现申请（通过需线下打款后登记流水号，驳回后金额退回可提现佣金）
+  const handleReview = async (approved) => {
+    if (!approved && !reviewForm.remark.trim()) {
+      message.error('请填写驳回原因');
+      return;
     }
-    if (searchParams.withdrawNo && !item.withdrawNo.includes(searchParams.withdrawNo)) {
-      return false;
+    setSubmitting(true);
+    try {
+      const body = approved
+        ? { payoutReference: reviewForm.payoutReference.trim() || null, remark: reviewForm.remark.trim() || null }
+        : { reason: reviewForm.remark.trim() };
+      await request(`/api/admin/distribution/withdrawals/${currentWithdraw.withdrawNo}/${approved ? 'approve' : 'reject'}`, {
+        method: 'POST',
+        body: JSON.stringify(body)
+      });
+      message.success(approved ? '提现申请已通过' : '提现申请已驳回');
+      setIsViewModalVisible(false);
+      loadData();
+    } catch (error) {
+      message.error(error.message || '提现审核失败');
+    } finally {
+      setSubmitting(false);
     }
-    if (searchParams.status && item.status !== searchParams.status) {
-      return false;
-    }
-    return true;
-  });
-
-  // 计算分页数据
-  const paginatedWithdraws = filteredWithdraws.slice(
-    (currentPage - 1) * pageSize,
-    currentPage * pageSize
-  );
+  };
 
   // 表格列配置
   const columns = [
@@ -288,8 +200,8 @@ const DistributionWithdraw = () => {
       key: 'status',
       width: 80,
       render: (status) => (
-        <span className={status === '审核拒绝' ? 'status-rejected' : 'status-approved'}>
-          {status}
+        <span className={status === 'rejected' ? 'status-rejected' : 'status-approved'}>
+          {statusMap[status] || status}
         </span>
       )
     },
@@ -298,18 +210,20 @@ const DistributionWithdraw = () => {
       key: 'action',
       width: 80,
       render: (_, record) => (
-        <Button 
-          type="link" 
+        <Button
+          type="link"
           icon={<EyeOutlined />}
           onClick={() => handleView(record)}
           style={{ color: '#ff0000' }}
         >
-          查看
+          {record.status === 'pending' ? '审核' : '查看'}
         </Button>
       )
     }
   ];
 
+  const isPending = currentWithdraw && currentWithdraw.status === 'pending';
+
   return (
     <div className="distribution-withdraw-container">
       <Card className="distribution-withdraw-card">
@@ -340,13 +254,14 @@ const DistributionWithdraw = () => {
               <span style={{ marginRight: '8px', color: '#666' }}>状态</span>
               <Select
                 placeholder="请选择"
-                value={searchParams.status}
-                onChange={(value) => setSearchParams({ ...searchParams, status: value })}
+                value={searchParams.status || undefined}
+                onChange={(value) => setSearchParams({ ...searchParams, status: value || '' })}
                 style={{ width: 180, height: 32 }}
                 allowClear
               >
-                <Option value="通过">通过</Option>
-                <Option value="审核拒绝">审核拒绝</Option>
+                {Object.entries(statusMap).map(([value, label]) => (
+                  <Option key={value} value={value}>{label}</Option>
+                ))}
               </Select>
             </Col>
             <Col>
@@ -372,12 +287,13 @@ const DistributionWithdraw = () => {
         <div className="table-container">
           <Table
             columns={columns}
-            dataSource={paginatedWithdraws}
+            dataSource={withdrawList}
+            loading={loading}
             rowKey="key"
             pagination={{
               current: currentPage,
               pageSize: pageSize,
-              total: filteredWithdraws.length,
+              total: totalCount,
               onChange: handlePageChange,
               showSizeChanger: true,
               pageSizeOptions: ['10', '20', '50', '100'],
@@ -398,10 +314,26 @@ const DistributionWithdraw = () => {
 
       {/* 详情模态框 */}
       <Modal
-        title="提现详情"
+        title={isPending ? '提现审核' : '提现详情'}
         open={isViewModalVisible}
         onCancel={() => setIsViewModalVisible(false)}
-        footer={[
+        footer={isPending ? [
+          <Button key="close" onClick={() => setIsViewModalVisible(false)}>
+            取消
+          </Button>,
+          <Button key="reject" danger loading={submitting} onClick={() => handleReview(false)}>
+            驳回
+          </Button>,
+          <Button
+            key="approve"
+            type="primary"
+            loading={submitting}
+            onClick={() => handleReview(true)}
+            style={{ backgroundColor: '#ff0000', borderColor: '#ff0000' }}
+          >
+            通过
+          </Button>
+        ] : [
           <Button key="close" onClick={() => setIsViewModalVisible(false)}>
             关闭
           </Button>
@@ -434,10 +366,22 @@ const DistributionWithdraw = () => {
               </div>
               <div className="detail-item">
                 <span className="detail-label">状态：</span>
-                <span className={currentWithdraw.status === '审核拒绝' ? 'status-rejected' : 'status-approved'}>
-                  {currentWithdraw.status}
+                <span className={currentWithdraw.status === 'rejected' ? 'status-rejected' : 'status-approved'}>
+                  {statusMap[currentWithdraw.status] || currentWithdraw.status}
                 </span>
               </div>
+              {currentWithdraw.payoutReference && (
+                <div className="detail-item">
+                  <span className="detail-label">打款流水号：</span>
+                  <span>{currentWithdraw.payoutReference}</span>
+                </div>
+              )}
+              {currentWithdraw.reviewRemark && (
+                <div className="detail-item">
+                  <span className="detail-label">审核备注：</span>
+                  <span>{currentWithdraw.reviewRemark}</span>
+                </div>
+              )}
             </div>
 
             <div className="detail-section">
@@ -464,9 +408,29 @@ const DistributionWithdraw = () => {
               </div>
               <div className="detail-item">
                 <span className="detail-label">开户支行：</span>
-                <span>{currentWithdraw.bankBranch}</span>
+                <span>{currentWithdraw.bankBranch || '-'}</span>
               </div>
             </div>
+
+            {isPending && (
+              <div className="detail-section">
+                <h3>审核</h3>
+                <Input
+                  placeholder="打款流水号（通过时填写）"
+                  value={reviewForm.payoutReference}
+                  maxLength={64}
+                  onChange={(e) => setReviewForm({ ...reviewForm, payoutReference: e.target.value })}
+                  style={{ marginBottom: 8 }}
+                />
+                <TextArea
+                  rows={3}
+                  maxLength={255}
+                  placeholder="审核备注（驳回时必填）"
+                  value={reviewForm.remark}
+                  onChange={(e) => setReviewForm({ ...reviewForm, remark: e.target.value })}
+                />
+              </div>
+            )}
           </div>
         )}
       </Modal>
@@ -474,4 +438,4 @@ const DistributionWithdraw = () => {
   );
 };
 
-export default DistributionWithdraw;
\ No newline at end of file
+export default DistributionWithdraw;
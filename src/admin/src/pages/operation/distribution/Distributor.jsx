@@ -1,10 +1,13 @@
 import React, { useState, useEffect } from 'react';
-import { Card, Input, Button, Table, Select, message, Tag, Modal, Form, InputNumber } from 'antd';
-import { SearchOutlined, EditOutlined, DeleteOutlined } from '@ant-design/icons';
+import { Card, Input, Button, Table, Select, message, Tag, Modal, Form } from 'antd';
+import { SearchOutlined } from '@ant-design/icons';
+import { request } from '../../../services/request';
 import './Distributor.css';
 
 const { Option } = Select;
-const { TextArea } = Input;
+
+// 金额格式化（千分位、两位小数）
+const formatMoney = (value) => Number(value || 0).toLocaleString('zh-CN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
 
 const Distributor = () => {
   // 搜索条件状态
@@ -21,192 +24,62 @@ const Distributor = () => {
   const [editingData, setEditingData] = useState(null);
   const [editForm] = Form.useForm();
   
-  // 模拟数据
+  // 列表数据
+  const [loading, setLoading] = useState(false);
   const [distributors, setDistributors] = useState([]);
-  
+
+  // 加载分销员（默认通过和清退）
+  const loadData = async (page = currentPage, size = pageSize, filters = { ...searchForm.getFieldsValue(), status }) => {
+    setLoading(true);
+    try {
+      const queryParams = new URLSearchParams({ page, pageSize: size });
+      if (filters.memberName && filters.memberName.trim()) {
+        queryParams.append('username', filters.memberName.trim());
+      }
+      if (filters.status) {
+        queryParams.append('status', filters.status);
+      }
+      const result = await request(`/api/admin/distribution/distributors?${queryParams.toString()}`);
+      setDistributors(result.data.map(item => ({
+        ...item,
+        key: item.id,
+        orderAmount: item.orderAmount ? formatMoney(item.orderAmount) : '',
+        distributionAmount: formatMoney(item.totalCommission),
+        withdrawAmount: formatMoney(item.availableCommission),
+        frozenAmount: formatMoney(item.frozenCommission)
+      })));
+      setTotalCount(result.total);
+      setCurrentPage(page);
+      setPageSize(size);
+    } catch (error) {
+      message.error(error.message || '获取分销员失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // 初始化数据
   useEffect(() => {
-    // 模拟从API获取数据
-    const mockData = [
-      {
-        key: '1',
-        memberName: '15810610731',
-        realName: '帅帅asdfgdswsdss',
-        idCard: '179292199005020635',
-        bankName: '12312312312',
-        bankAccount: '2asdasd',
-        bankBranch: 'fasdasddvgyd',
-        promotionCount: 3,
-        orderAmount: '',
-        distributionAmount: '89.00',
-        withdrawAmount: '0.00',
-        frozenAmount: '0.00',
-        status: 'passed',
-      },
-      {
-        key: '2',
-        memberName: 'm176330660...',
-        realName: '季三',
-        idCard: '13077199911114151',
-        bankName: 'ease',
-        bankAccount: '1',
-        bankBranch: '1',
-        promotionCount: 2,
-        orderAmount: '',
-        distributionAmount: '4.00',
-        withdrawAmount: '0.00',
-        frozenAmount: '0.00',
-        status: 'passed',
-      },
-      {
-        key: '3',
-        memberName: '13011111111',
-        realName: '张三',
-        idCard: '13051299208102512',
-        bankName: '1',
-        bankAccount: '1',
-        bankBranch: '1',
-        promotionCount: 52,
-        orderAmount: '2,026.04',
-        distributionAmount: '1,233.00',
-        withdrawAmount: '834.00',
-        frozenAmount: '4.00',
-        status: 'passed',
-      },
-      {
-        key: '4',
-        memberName: 'm13811198935',
-        realName: '罗博',
-        idCard: '110101198901273168',
-        bankName: '411327199503010038',
-        bankAccount: '1',
-        bankBranch: '1',
-        promotionCount: 0,
-        orderAmount: '',
-        distributionAmount: '0.00',
-        withdrawAmount: '0.00',
-        frozenAmount: '0.00',
-        status: 'passed',
-      },
-      {
-        key: '5',
-        memberName: 'm153443073...',
-        realName: '王晶',
-        idCard: '411327199503010038',
-        bankName: '111111111111111',
-        bankAccount: '1',
-        bankBranch: '1',
-        promotionCount: 0,
-        orderAmount: '',
-        distributionAmount: '0.00',
-        withdrawAmount: '0.00',
-        frozenAmount: '0.00',
-        status: 'passed',
-      },
-      {
-        key: '6',
-        memberName: 'm165103352...',
-        realName: '流水',
-        idCard: '111111111111111121',
-        bankName: '1',
-        bankAccount: '1',
-        bankBranch: '1',
-        promotionCount: 0,
-        orderAmount: '',
-        distributionAmount: '0.00',
-        withdrawAmount: '0.00',
-        frozenAmount: '0.00',
-        status: 'retired',
-      },
-      {
-        key: '7',
-        memberName: '15139650614',
-        realName: '张三',
-        idCard: '4128271995403020568',
-        bankName: '1',
-        bankAccount: '1',
-        bankBranch: '1',
-        promotionCount: 0,
-        orderAmount: '',
-        distributionAmount: '0.00',
-        withdrawAmount: '0.00',
-        frozenAmount: '0.00',
-        status: 'retired',
-      },
-      {
-        key: '8',
-        memberName: 'm135703353...',
-        realName: '胡先生',
-        idCard: '210124198508162281',
-        bankName: '1',
-        bankAccount: '1',
-        bankBranch: '1',
-        promotionCount: 0,
-        orderAmount: '',
-        distributionAmount: '0.00',
-        withdrawAmount: '0.00',
-        frozenAmount: '0.00',
-        status: 'retired',
-      },
-      {
-        key: '9',
-        memberName: 'admin1',
-        realName: '高',
-        idCard: '210203198112133033',
-        bankName: '1',
-        bankAccount: '1',
-        bankBranch: '1',
-        promotionCount: 0,
-        orderAmount: '',
-        distributionAmount: '0.00',
-        withdrawAmount: '0.00',
-        frozenAmount: '0.00',
-        status: 'retired',
-      },
-      {
-        key: '10',
-        memberName: 'm176837284...',
-        realName: '大长腿',
-        idCard: '372529197308072810',
-        bankName: '1',
-        bankAccount: '1',
-        bankBranch: '1',
-        promotionCount: 0,
-        orderAmount: '',
-        distributionAmount: '0.00',
-        withdrawAmount: '0.00',
-        frozenAmount: '0.00',
-        status: 'retired',
-      },
-    ];
-    
-    setDistributors(mockData);
-    setTotalCount(81); // 模拟总数
+    loadData(1, pageSize);
   }, []);
-  
+
   // 处理搜索
   const handleSearch = () => {
-    const values = searchForm.getFieldsValue();
-    // 实际项目中这里应该调用API进行搜索
-    console.log('搜索条件:', values);
-    // 模拟搜索成功提示
-    message.success('搜索成功');
+    loadData(1, pageSize);
   };
-  
+
   // 处理重置
   const handleReset = () => {
     searchForm.resetFields();
     setStatus('');
-    setCurrentPage(1);
+    loadData(1, pageSize, {});
   };
-  
+
   // 分页处理
-  const handlePageChange = (page, pageSize) => {
-    setCurrentPage(page);
-    setPageSize(pageSize);
-    console.log('页码:', page, '每页条数:', pageSize);
+  const handlePageChange = (page, size) => {
+    loadData(page, size);
   };
-  
+
   // 处理编辑
   const handleEdit = (record) => {
     setEditingData(record);
@@ -219,49 +92,53 @@ const Distributor = () => {
     });
     setIsEditModalVisible(true);
   };
-  
+
   // 处理保存编辑
   const handleSaveEdit = () => {
-    editForm.validateFields().then(values => {
-      // 实际项目中这里应该调用API保存数据
-      setDistributors(distributors.map(item => 
-        item.key === editingData.key ? { ...item, ...values } : item
-      ));
-      setIsEditModalVisible(false);
-      message.success('编辑成功');
+    editForm.validateFields().then(async values => {
+      try {
+        await request(`/api/admin/distribution/distributors/${editingData.id}`, {
+          method: 'PUT',
+          body: JSON.stringify(values)
+        });
+        setIsEditModalVisible(false);
+        message.success('编辑成功');
+        loadData();
+      } catch (error) {
+        message.error(error.message || '修改分销员资料失败');
+      }
     });
   };
-  
+
+  // 清退或恢复分销员
+  const changeStatus = async (record, action, successText) => {
+    try {
+      await request(`/api/admin/distribution/distributors/${record.id}/${action}`, { method: 'POST' });
+      message.success(successText);
+      loadData();
+    } catch (error) {
+      message.error(error.message || '操作失败');
+    }
+  };
+
   // 处理清退
   const handleRetire = (record) => {
     Modal.confirm({
       title: '确认清退',
-      content: `确定要清退分销员「${record.memberName}」吗？`,
-      onOk: () => {
-        // 实际项目中这里应该调用API清退分销员
-        setDistributors(distributors.map(item => 
-          item.key === record.key ? { ...item, status: 'retired' } : item
-        ));
-        message.success('清退成功');
-      }
+      content: `确定要清退分销员「${record.memberName}」吗？清退后不再产生新的佣金。`,
+      onOk: () => changeStatus(record, 'retire', '清退成功')
     });
   };
-  
+
   // 处理恢复
   const handleRestore = (record) => {
     Modal.confirm({
       title: '确认恢复',
       content: `确定要恢复分销员「${record.memberName}」吗？`,
-      onOk: () => {
-        // 实际项目中这里应该调用API恢复分销员
-        setDistributors(distributors.map(item => 
-          item.key === record.key ? { ...item, status: 'passed' } : item
-        ));
-        message.success('恢复成功');
-      }
+      onOk: () => changeStatus(record, 'restore', '恢复成功')
     });
   };
-  
+
   // 渲染状态标签
   const renderStatusTag = (status) => {
     if (status === 'passed') {
@@ -451,6 +328,7 @@ const Distributor = () => {
         <Table
           columns={columns}
           dataSource={distributors}
+          loading={loading}
           rowKey="key"
           pagination={{
             current: currentPage,
@@ -514,7 +392,6 @@ const Distributor = () => {
           <Form.Item 
             name="bankBranch" 
             label="结算银行开户支行名称" 
-            rules={[{ required: true, message: '请输入支行名称' }]}
           >
             <Input placeholder="请输入支行名称" />
           </Form.Item>
@@ -1,23 +1,110 @@
-import React, { useState } from 'react';
-import { Button, Input, Select, Table, DatePicker } from 'antd';
+import React, { useState, useEffect } from 'react';
+import { Button, Input, InputNumber, Select, Table, DatePicker, Modal, Form, message } from 'antd';
 import { SearchOutlined, PlusOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { request } from '../../../services/request';
 
 const { Option } = Select;
 const { RangePicker } = DatePicker;
 
+// 活动状态（页面状态值与接口活动状态对应）
+const stateMap = {
+  0: 'not_started',
+  1: 'ongoing',
+  2: 'ended'
+};
+const stateValue = {
+  not_started: 0,
+  ongoing: 1,
+  ended: 2
+};
+
+// 砍价记录状态
+const recordStatusMap = {
+  in_progress: '砍价中',
+  success: '待下单',
+  ordered: '已下单',
+  failed: '砍价失败',
+  expired: '已过期'
+};
+
+// 时间格式化
+const formatTime = (value) => value ? new Date(value).toLocaleString('zh-CN') : '-';
+
+// 金额格式化
+const formatMoney = (value) => value !== null && value !== undefined ? `¥${Number(value).toFixed(2)}` : '-';
+
+const emptySearch = {
+  name: '',
+  status: '',
+  product: '',
+  timeRange: null,
+};
+
 const Bargain = () => {
   // 搜索参数状态
-  const [searchParams, setSearchParams] = useState({
-    name: '',
-    status: '',
-    product: '',
-    timeRange: null,
-  });
-  
+  const [searchParams, setSearchParams] = useState(emptySearch);
+
+  const [loading, setLoading] = useState(false);
+  const [bargainData, setBargainData] = useState([]);
   const [currentPage, setCurrentPage] = useState(1);
-  const pageSize = 10;
-  const totalItems = 100; // 模拟数据总数
-  
+  const [pageSize, setPageSize] = useState(10);
+  const [totalItems, setTotalItems] = useState(0);
+
+  // 添加/编辑弹窗
+  const [form] = Form.useForm();
+  const [isFormVisible, setIsFormVisible] = useState(false);
+  const [editingRecord, setEditingRecord] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // 查看弹窗（活动详情和砍价记录）
+  const [viewRecord, setViewRecord] = useState(null);
+  const [records, setRecords] = useState([]);
+  const [recordsLoading, setRecordsLoading] = useState(false);
+
+  // 加载砍价活动
+  const loadData = async (page = currentPage, size = pageSize, params = searchParams) => {
+    setLoading(true);
+    try {
+      const queryParams = new URLSearchParams({ page, pageSize: size });
+      if (params.product && params.product.trim()) {
+        queryParams.append('keyword', params.product.trim());
+      }
+      if (params.status !== '' && params.status !== undefined && stateMap[params.status]) {
+        queryParams.append('state', stateMap[params.status]);
+      }
+      if (params.timeRange && params.timeRange.length === 2) {
+        queryParams.append('startTime', params.timeRange[0].startOf('day').toISOString());
+        queryParams.append('endTime', params.timeRange[1].endOf('day').toISOString());
+      }
+      const result = await request(`/api/admin/promotion/bargains?${queryParams.toString()}`);
+      setBargainData(result.data.map(item => ({
+        ...item,
+        key: item.id,
+        productName: item.productName || item.name,
+        stockQuantity: item.productStock,
+        minDiscount: formatMoney(item.minCut),
+        maxDiscount: formatMoney(item.maxCut),
+        settlementPrice: formatMoney(item.floorPrice),
+        startTime: formatTime(item.startTime),
+        rawStartTime: item.startTime,
+        rawEndTime: item.endTime,
+        status: stateValue[item.state]
+      })));
+      setTotalItems(result.total);
+      setCurrentPage(page);
+      setPageSize(size);
+    } catch (error) {
+      message.error(error.message || '获取砍价活动失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadData(1);
+  }, []);
+
   // 处理搜索参数变化
   const handleSearchChange = (param, value) => {
     setSearchParams(prev => ({
@@ -28,27 +115,124 @@ const Bargain = () => {
 
   // 处理搜索提交
   const handleSearch = () => {
-    console.log('搜索参数:', searchParams);
+    loadData(1);
   };
 
   // 处理添加活动
   const handleAddActivity = () => {
-    console.log('添加砍价活动');
+    setEditingRecord(null);
+    form.resetFields();
+    form.setFieldsValue({ limitPerUser: 1, durationHours: 24 });
+    setIsFormVisible(true);
   };
 
   // 处理编辑操作
   const handleEdit = (record) => {
-    console.log('编辑活动:', record);
+    setEditingRecord(record);
+    form.setFieldsValue({
+      productId: record.productId,
+      skuId: record.skuId || undefined,
+      name: record.name,
+      floorPrice: record.floorPrice,
+      helperCount: record.helperCount,
+      minCut: record.minCut,
+      maxCut: record.maxCut,
+      durationHours: record.durationHours,
+      stock: record.stock,
+      limitPerUser: record.limitPerUser,
+      timeRange: [dayjs(record.rawStartTime), dayjs(record.rawEndTime)]
+    });
+    setIsFormVisible(true);
+  };
+
+  // 保存活动（新建或修改，修改只影响之后发起的砍价）
+  const handleSave = async () => {
+    let values;
+    try {
+      values = await form.validateFields();
+    } catch (error) {
+      return;
+    }
+    setSaving(true);
+    try {
+      const { timeRange, ...rest } = values;
+      const payload = {
+        ...rest,
+        startTime: timeRange[0].toISOString(),
+        endTime: timeRange[1].toISOString()
+      };
+      if (editingRecord) {
+        await request(`/api/admin/promotion/bargains/${editingRecord.id}`, { method: 'PUT', body: JSON.stringify(payload) });
+        message.success('砍价活动已修改');
+      } else {
+        await request('/api/admin/promotion/bargains', { method: 'POST', body: JSON.stringify(payload) });
+        message.success('砍价活动已创建');
+      }
+      setIsFormVisible(false);
+      loadData(editingRecord ? currentPage : 1);
+    } catch (error) {
+      message.error(error.message || '保存砍价活动失败');
+    } finally {
+      setSaving(false);
+    }
   };
 
   // 处理查看操作
-  const handleView = (record) => {
-    console.log('查看活动:', record);
+  const handleView = async (record) => {
+    setViewRecord(record);
+    setRecords([]);
+    setRecordsLoading(true);
+    try {
+      const [detail, recordResult] = await Promise.all([
+        request(`/api/admin/promotion/bargains/${record.id}`),
+        request(`/api/admin/promotion/bargains/records?campaignId=${record.id}&pageSize=50`)
+      ]);
+      setViewRecord({ ...record, stats: detail.data.stats });
+      setRecords(recordResult.data.map(item => ({ ...item, key: item.recordNo })));
+    } catch (error) {
+      message.error(error.message || '获取砍价记录失败');
+    } finally {
+      setRecordsLoading(false);
+    }
+  };
+
+  // 结束活动，已发起的砍价可继续完成
+  const handleClose = (record) => {
+    Modal.confirm({
+      title: '结束砍价活动',
+      content: `确定结束「${record.name}」吗？结束后买家不能再发起砍价，已发起的砍价可继续完成。`,
+      okText: '确定',
+      cancelText: '取消',
+      onOk: async () => {
+        try {
+          await request(`/api/admin/promotion/bargains/${record.id}/close`, { method: 'POST' });
+          message.success('砍价活动已结束');
+          loadData();
+        } catch (error) {
+          message.error(error.message || '结束砍价活动失败');
+        }
+      }
+    });
   };
 
   // 处理删除操作
   const handleDelete = (record) => {
-    console.log('删除活动:', record);
+    Modal.confirm({
+      title: '删除砍价活动',
+      content: `确定删除「${record.name}」吗？`,
+      okText: '删除',
+      okType: 'danger',
+      cancelText: '取消',
+      onOk: async () => {
+        try {
+          await request(`/api/admin/promotion/bargains/${record.id}`, { method: 'DELETE' });
+          message.success('砍价活动已删除');
+          loadData(bargainData.length === 1 && currentPage > 1 ? currentPage - 1 : currentPage);
+        } catch (error) {
+          message.error(error.message || '删除砍价活动失败');
+        }
+      }
+    });
   };
 
   // 表格列配置
@@ -117,19 +301,32 @@ const Bargain = () => {
     {
       title: '操作',
       key: 'action',
-      width: 120,
+      width: 180,
       render: (_, record) => (
         <div style={{ display: 'flex', gap: 8 }}>
-          <Button size="small" onClick={() => handleEdit(record)}>编辑</Button>
+          {record.status !== 2 && <Button size="small" onClick={() => handleEdit(record)}>编辑</Button>}
           <Button size="small" onClick={() => handleView(record)}>查看</Button>
+          {record.status !== 2 && <Button size="small" onClick={() => handleClose(record)}>结束</Button>}
           <Button size="small" danger onClick={() => handleDelete(record)}>删除</Button>
         </div>
       ),
     },
   ];
 
-  // 模拟数据
-  const mockBargainData = [];
+  // 砍价记录列配置
+  const recordColumns = [
+    { title: '砍价编号', dataIndex: 'recordNo', key: 'recordNo', width: 200 },
+    { title: '发起人', dataIndex: 'memberName', key: 'memberName', width: 120 },
+    {
+      title: '砍价进度',
+      key: 'progress',
+      width: 100,
+      render: (_, item) => `${item.helpedCount}/${item.helperCount}`
+    },
+    { title: '当前价格', dataIndex: 'currentPrice', key: 'currentPrice', width: 100, render: formatMoney },
+    { title: '状态', dataIndex: 'status', key: 'status', width: 90, render: (status) => recordStatusMap[status] || status },
+    { title: '发起时间', dataIndex: 'createdAt', key: 'createdAt', width: 170, render: formatTime }
+  ];
 
   return (
     <div className="bargain-container">
@@ -142,17 +339,18 @@ const Bargain = () => {
               placeholder="请输入商品名称"
               value={searchParams.product}
               onChange={(e) => handleSearchChange('product', e.target.value)}
+              onPressEnter={handleSearch}
               style={{ width: 180, fontSize: '12px', height: 32 }}
               allowClear
             />
           </div>
-          
+
           <div style={{ display: 'flex', alignItems: 'center' }}>
             <span style={{ fontSize: '12px', color: '#666666', marginRight: '8px', width: '80px', display: 'inline-block', whiteSpace: 'nowrap' }}>活动状态</span>
             <Select
               placeholder="请选择"
               value={searchParams.status}
-              onChange={(value) => handleSearchChange('status', value)}
+              onChange={(value) => handleSearchChange('status', value === undefined ? '' : value)}
               style={{ width: 180, fontSize: '12px', height: 32 }}
               allowClear
             >
@@ -162,7 +360,7 @@ const Bargain = () => {
               <Option value="2">已结束</Option>
             </Select>
           </div>
-          
+
           <div style={{ display: 'flex', alignItems: 'center' }}>
             <span style={{ fontSize: '12px', color: '#666666', marginRight: '8px', width: '80px', display: 'inline-block', whiteSpace: 'nowrap' }}>活动时间</span>
             <RangePicker
@@ -172,9 +370,9 @@ const Bargain = () => {
               placeholder={['选择起始时间', '选择结束时间']}
             />
           </div>
-          
-          <Button 
-            type="primary" 
+
+          <Button
+            type="primary"
             icon={<SearchOutlined />}
             onClick={handleSearch}
             style={{ height: 32, fontSize: '12px', backgroundColor: '#ff0000', borderColor: '#ff0000' }}
@@ -186,15 +384,15 @@ const Bargain = () => {
 
       {/* 操作按钮区 */}
       <div style={{ marginBottom: '20px', paddingTop: '16px' }}>
-        <Button 
-          type="primary" 
+        <Button
+          type="primary"
           icon={<PlusOutlined />}
           onClick={handleAddActivity}
-          style={{ 
-            height: 32, 
-            fontSize: '12px', 
-            backgroundColor: '#ff0000', 
-            borderColor: '#ff0000' 
+          style={{
+            height: 32,
+            fontSize: '12px',
+            backgroundColor: '#ff0000',
+            borderColor: '#ff0000'
           }}
         >
           添加砍价
@@ -205,12 +403,13 @@ const Bargain = () => {
       <div className="table-section">
         <Table
           columns={columns}
-          dataSource={mockBargainData}
+          dataSource={bargainData}
+          loading={loading}
           pagination={{
             current: currentPage,
             pageSize: pageSize,
-            total: 0,
-            onChange: (page) => setCurrentPage(page),
+            total: totalItems,
+            onChange: (page, size) => loadData(page, size),
             showSizeChanger: true,
             showTotal: (total) => `共 ${total} 条`,
             showQuickJumper: true,
@@ -224,8 +423,104 @@ const Bargain = () => {
           bordered
         />
       </div>
+
+      {/* 添加/编辑砍价活动 */}
+      <Modal
+        title={editingRecord ? '编辑砍价' : '添加砍价'}
+        open={isFormVisible}
+        onCancel={() => setIsFormVisible(false)}
+        onOk={handleSave}
+        confirmLoading={saving}
+        okText="保存"
+        cancelText="取消"
+        width={600}
+        destroyOnClose
+      >
+        <Form form={form} labelCol={{ span: 6 }} wrapperCol={{ span: 16 }}>
+          <Form.Item name="productId" label="商品ID" rules={[{ required: true, message: '请输入商品ID' }]}>
+            <Input placeholder="请输入商品ID" disabled={!!editingRecord} />
+          </Form.Item>
+          <Form.Item name="skuId" label="规格ID">
+            <Input placeholder="无规格商品可不填" disabled={!!editingRecord} />
+          </Form.Item>
+          <Form.Item name="name" label="活动名称">
+            <Input placeholder="默认为商品名称" maxLength={100} />
+          </Form.Item>
+          <Form.Item name="floorPrice" label="结算价格（元）" rules={[{ required: true, message: '请输入砍价底价' }]}>
+            <InputNumber min={0.01} precision={2} style={{ width: '100%' }} placeholder="砍到底价后按此价格下单" />
+          </Form.Item>
+          <Form.Item name="helperCount" label="助力人数" rules={[{ required: true, message: '请输入助力人数' }]}>
+            <InputNumber min={1} max={100} precision={0} style={{ width: '100%' }} />
+          </Form.Item>
+          <Form.Item name="minCut" label="每人最低砍（元）">
+            <InputNumber min={0.01} precision={2} style={{ width: '100%' }} placeholder="不填为 0.01 元" />
+          </Form.Item>
+          <Form.Item name="maxCut" label="每人最高砍（元）">
+            <InputNumber min={0.01} precision={2} style={{ width: '100%' }} placeholder="不填则随机" />
+          </Form.Item>
+          <Form.Item name="durationHours" label="砍价时限（小时）" rules={[{ required: true, message: '请输入砍价时限' }]}>
+            <InputNumber min={1} max={168} precision={0} style={{ width: '100%' }} />
+          </Form.Item>
+          <Form.Item name="stock" label="活动库存" rules={[{ required: true, message: '请输入活动库存' }]}>
+            <InputNumber min={1} precision={0} style={{ width: '100%' }} />
+          </Form.Item>
+          <Form.Item name="limitPerUser" label="每人限购">
+            <InputNumber min={1} precision={0} style={{ width: '100%' }} />
+          </Form.Item>
+          <Form.Item name="timeRange" label="活动时间" rules={[{ required: true, message: '请选择活动时间' }]}>
+            <RangePicker showTime style={{ width: '100%' }} />
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      {/* 查看砍价活动 */}
+      <Modal
+        title="砍价详情"
+        open={!!viewRecord}
+        onCancel={() => setViewRecord(null)}
+        footer={[
+          <Button key="close" onClick={() => setViewRecord(null)}>
+            关闭
+          </Button>
+        ]}
+        width={800}
+      >
+        {viewRecord && (
+          <div>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px 32px', marginBottom: 16 }}>
+              <span>活动名称：{viewRecord.name}</span>
+              <span>店铺：{viewRecord.shopName || '-'}</span>
+              <span>原价：{formatMoney(viewRecord.originalPrice)}</span>
+              <span>结算价格：{viewRecord.settlementPrice}</span>
+              <span>助力人数：{viewRecord.helperCount}</span>
+              <span>砍价时限：{viewRecord.durationHours} 小时</span>
+              <span>活动库存：{viewRecord.remainingStock}/{viewRecord.stock}</span>
+              <span>每人限购：{viewRecord.limitPerUser}</span>
+              <span>活动时间：{formatTime(viewRecord.rawStartTime)} 至 {formatTime(viewRecord.rawEndTime)}</span>
+              {viewRecord.stats && (
+                <span>
+                  发起 {viewRecord.stats.participants} 人，砍价中 {viewRecord.stats.inProgress} 人，
+                  砍价成功 {viewRecord.stats.success} 人，已下单 {viewRecord.stats.ordered} 人
+                </span>
+              )}
+            </div>
+            <Table
+              columns={recordColumns}
+              dataSource={records}
+              loading={recordsLoading}
+              rowKey="key"
+              size="small"
+              pagination={false}
+              scroll={{ y: 300 }}
+              locale={{
+                emptyText: '暂无砍价记录'
+              }}
+            />
+          </div>
+        )}
+      </Modal>
     </div>
   );
 };
 
-export default Bargain;
\ No newline at end of file
+export default Bargain;
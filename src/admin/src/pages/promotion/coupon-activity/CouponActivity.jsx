@@ -1,148 +1,95 @@
-import React, { useState } from 'react';
-import { Table, Input, Select, Button, Space, Tag, Modal, Form, DatePicker, Radio, Card, Row, Col, Checkbox } from 'antd';
+import React, { useState, useEffect } from 'react';
+import { Table, Input, Select, Button, Space, Tag, Modal, Form, DatePicker, Card, Descriptions, message } from 'antd';
 import { SearchOutlined } from '@ant-design/icons';
+import { request } from '../../../services/request';
 import './CouponActivity.css';
 import './CouponActivityForm.css';
 
-const { Search } = Input;
 const { Option } = Select;
 
-// 模拟活动数据
-const mockActivityData = [
-  {
-    key: '1',
-    name: 'zidongf',
-    type: '自动发券',
-    scope: '全部会员',
-    frequency: '每日',
-    startTime: '2025-10-21 00:00:00',
-    endTime: '2025-10-22 00:00:00',
-    status: '已结束',
-  },
-  {
-    key: '2',
-    name: 'zidong',
-    type: '自动发券',
-    scope: '全部会员',
-    frequency: '每日',
-    startTime: '2025-10-21 00:00:00',
-    endTime: '2025-10-22 00:00:00',
-    status: '已结束',
-  },
-  {
-    key: '3',
-    name: 'ces',
-    type: '精确发券',
-    scope: '全部会员',
-    frequency: '/',
-    startTime: '2025-10-21 00:00:00',
-    endTime: '2025-10-22 00:00:00',
-    status: '已结束',
-  },
-  {
-    key: '4',
-    name: '1223',
-    type: '精确发券',
-    scope: '指定会员',
-    frequency: '/',
-    startTime: '2025-10-16 00:00:00',
-    endTime: '',
-    status: '已开始',
-  },
-  {
-    key: '5',
-    name: '粥任务',
-    type: '自动发券',
-    scope: '全部会员',
-    frequency: '每日',
-    startTime: '2025-10-31 00:00:00',
-    endTime: '',
-    status: '已关闭',
-  },
-  {
-    key: '6',
-    name: '精准发卷',
-    type: '精确发券',
-    scope: '指定会员',
-    frequency: '/',
-    startTime: '2025-10-24 00:00:00',
-    endTime: '',
-    status: '已结束',
-  },
-  {
-    key: '7',
-    name: '123123',
-    type: '注册赠券',
-    scope: '全部会员',
-    frequency: '/',
-    startTime: '2025-10-10 00:00:00',
-    endTime: '2025-11-01 00:00:00',
-    status: '已开始',
-  },
-  {
-    key: '8',
-    name: '测试活动cw',
-    type: '精确发券',
-    scope: '全部会员',
-    frequency: '/',
-    startTime: '2025-09-30 00:00:00',
-    endTime: '',
-    status: '已结束',
-  },
-  {
-    key: '9',
-    name: 'ceaaaaa',
-    type: '注册赠券',
-    scope: '全部会员',
-    frequency: '/',
-    startTime: '2025-10-23 00:00:00',
-    endTime: '',
-    status: '已关闭',
-  },
-  {
-    key: '10',
-    name: '新人发券',
-    type: '注册赠券',
-    scope: '全部会员',
-    frequency: '/',
-    startTime: '1970-01-01 08:00:00',
-    endTime: '1970-01-01 08:00:00',
-    status: '已结束',
-  },
-];
-
 // 状态标签配置
 const statusConfig = {
-  '已结束': {
-    color: 'red',
-    text: '已结束'
-  },
-  '已开始': {
-    color: 'green',
-    text: '已开始'
-  },
-  '已关闭': {
-    color: 'red',
-    text: '已关闭'
+  pending: { color: 'blue', text: '待执行' },
+  running: { color: 'green', text: '发放中' },
+  completed: { color: 'default', text: '已完成' },
+  failed: { color: 'red', text: '执行失败' },
+  canceled: { color: 'orange', text: '已取消' }
+};
+
+// 时间格式化
+const formatTime = (value) => value ? new Date(value).toLocaleString('zh-CN') : '-';
+
+// 发放人群描述
+const describeSegment = (segment = {}) => {
+  const parts = [];
+  if (segment.userIds && segment.userIds.length > 0) {
+    parts.push(`指定用户 ${segment.userIds.length} 人`);
+  }
+  if (segment.tierCodes && segment.tierCodes.length > 0) {
+    parts.push(`会员等级 ${segment.tierCodes.join('、')}`);
+  }
+  if (segment.registeredFrom || segment.registeredTo) {
+    parts.push(`注册时间 ${segment.registeredFrom ? formatTime(segment.registeredFrom) : '不限'} 至 ${segment.registeredTo ? formatTime(segment.registeredTo) : '不限'}`);
   }
+  return parts.length > 0 ? parts.join('；') : '全部会员';
 };
 
 const CouponActivity = () => {
   const [searchParams, setSearchParams] = useState({
-    name: '',
-    type: '',
-    scope: '',
+    templateId: undefined,
+    status: '',
   });
+  const [tasks, setTasks] = useState([]);
+  const [loading, setLoading] = useState(false);
   const [currentPage, setCurrentPage] = useState(1);
-  const pageSize = 10;
-  const totalItems = 675; // 总数据条数
-  
+  const [pageSize, setPageSize] = useState(10);
+  const [totalItems, setTotalItems] = useState(0);
+  // 可定向发放的优惠券
+  const [pushCoupons, setPushCoupons] = useState([]);
+
   // 添加活动模态框状态
   const [isAddModalVisible, setIsAddModalVisible] = useState(false);
-  // 选择优惠券弹窗状态
-  const [isCouponSelectModalVisible, setIsCouponSelectModalVisible] = useState(false);
+  const [detail, setDetail] = useState(null);
   const [form] = Form.useForm();
 
+  // 加载发放任务
+  const loadTasks = async (page = currentPage, size = pageSize) => {
+    setLoading(true);
+    try {
+      const queryParams = new URLSearchParams({ page, pageSize: size });
+      if (searchParams.templateId) {
+        queryParams.append('templateId', searchParams.templateId);
+      }
+      if (searchParams.status) {
+        queryParams.append('status', searchParams.status);
+      }
+      const result = await request(`/api/admin/promotion/coupon-tasks?${queryParams.toString()}`);
+      setTasks(result.data);
+      setTotalItems(result.total);
+      setCurrentPage(page);
+      setPageSize(size);
+    } catch (error) {
+      message.error(error.message || '获取发放任务失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // 加载定向发放的优惠券
+  const loadPushCoupons = async () => {
+    try {
+      const result = await request('/api/admin/promotion/coupons?issueType=push&pageSize=100');
+      setPushCoupons(result.data.filter(item => !item.sellerId));
+    } catch (error) {
+      message.error(error.message || '获取优惠券失败');
+    }
+  };
+
+  useEffect(() => {
+    loadTasks(1);
+    loadPushCoupons();
+  }, []);
+
   // 处理搜索参数变化
   const handleSearchChange = (param, value) => {
     setSearchParams(prev => ({
@@ -153,44 +100,35 @@ const CouponActivity = () => {
 
   // 处理搜索提交
   const handleSearch = () => {
-    // 这里可以实现实际的搜索逻辑
-    console.log('搜索参数:', searchParams);
+    loadTasks(1);
   };
 
   // 处理添加活动
   const handleAddActivity = () => {
-    // 重置表单并打开模态框
     form.resetFields();
     setIsAddModalVisible(true);
   };
 
   // 处理添加活动表单提交
-  const handleAddSubmit = () => {
-    form.validateFields()
-      .then(values => {
-        console.log('添加活动表单数据:', values);
-        setIsAddModalVisible(false);
-      })
-      .catch(info => {
-        console.log('表单验证失败:', info);
+  const handleAddSubmit = async () => {
+    const values = await form.validateFields();
+    const segment = {
+      userIds: (values.userIds || []).map(String),
+      tierCodes: values.tierCodes || [],
+      registeredFrom: values.registeredTime ? values.registeredTime[0].toISOString() : null,
+      registeredTo: values.registeredTime ? values.registeredTime[1].toISOString() : null
+    };
+    try {
+      const result = await request('/api/admin/promotion/coupon-tasks', {
+        method: 'POST',
+        body: JSON.stringify({ templateId: values.templateId, segment })
       });
-  };
-  
-  // 处理打开选择优惠券弹窗
-  const handleOpenCouponSelect = () => {
-    setIsCouponSelectModalVisible(true);
-  };
-  
-  // 处理优惠券选择确认
-  const handleCouponSelectConfirm = () => {
-    // 这里可以实现选择优惠券的逻辑
-    console.log('选择优惠券确认');
-    setIsCouponSelectModalVisible(false);
-  };
-  
-  // 处理优惠券选择取消
-  const handleCouponSelectCancel = () => {
-    setIsCouponSelectModalVisible(false);
+      message.success(`${result.message}，目标人数 ${result.data.totalUsers}`);
+      setIsAddModalVisible(false);
+      loadTasks(1);
+    } catch (error) {
+      message.error(error.message || '创建发放任务失败');
+    }
   };
 
   // 处理添加活动模态框取消
@@ -199,51 +137,74 @@ const CouponActivity = () => {
   };
 
   // 处理查看操作
-  const handleView = (record) => {
-    console.log('查看活动:', record);
+  const handleView = async (record) => {
+    try {
+      const result = await request(`/api/admin/promotion/coupon-tasks/${record.id}`);
+      setDetail(result.data);
+    } catch (error) {
+      message.error(error.message || '获取发放任务失败');
+    }
   };
 
   // 处理关闭操作
   const handleClose = (record) => {
-    console.log('关闭活动:', record);
+    Modal.confirm({
+      title: '取消发放任务',
+      content: `确定取消该任务吗？已发放的 ${record.issuedCount} 张优惠券不会收回。`,
+      okText: '确定',
+      cancelText: '返回',
+      onOk: async () => {
+        try {
+          await request(`/api/admin/promotion/coupon-tasks/${record.id}/cancel`, { method: 'POST' });
+          message.success('发放任务已取消');
+          loadTasks();
+        } catch (error) {
+          message.error(error.message || '取消发放任务失败');
+        }
+      }
+    });
   };
 
   // 表格列配置
   const columns = [
     {
-      title: '活动名称',
-      dataIndex: 'name',
-      key: 'name',
+      title: '任务ID',
+      dataIndex: 'id',
+      key: 'id',
+      width: 80,
+    },
+    {
+      title: '发放优惠券',
+      dataIndex: 'templateName',
+      key: 'templateName',
       width: 150,
     },
     {
-      title: '活动类型',
-      dataIndex: 'type',
-      key: 'type',
-      width: 120,
+      title: '发放人群',
+      dataIndex: 'segment',
+      key: 'segment',
+      width: 220,
+      render: (segment) => describeSegment(segment),
     },
     {
-      title: '活动范围',
-      dataIndex: 'scope',
-      key: 'scope',
-      width: 120,
+      title: '发放进度',
+      key: 'progress',
+      width: 160,
+      render: (_, record) => `${record.issuedCount + record.skippedCount}/${record.totalUsers}（已发 ${record.issuedCount}）`,
     },
     {
-      title: '领取频率',
-      dataIndex: 'frequency',
-      key: 'frequency',
-      width: 80,
+      title: '创建时间',
+      dataIndex: 'createdAt',
+      key: 'createdAt',
+      width: 170,
+      render: formatTime,
     },
     {
-      title: '活动时间',
-      key: 'time',
-      width: 200,
-      render: (_, record) => (
-        <div>
-          {record.startTime && !record.endTime ? `${record.startTime}` : 
-           record.startTime && record.endTime ? `${record.startTime}\n${record.endTime}` : ''}
-        </div>
-      ),
+      title: '完成时间',
+      dataIndex: 'finishedAt',
+      key: 'finishedAt',
+      width: 170,
+      render: formatTime,
     },
     {
       title: '状态',
@@ -266,8 +227,8 @@ const CouponActivity = () => {
       render: (_, record) => (
         <Space size="middle">
           <Button type="link" className="view-btn" onClick={() => handleView(record)}>查看</Button>
-          {record.status === '已开始' && (
-            <Button type="link" className="close-btn" onClick={() => handleClose(record)}>关闭</Button>
+          {(record.status === 'pending' || record.status === 'running') && (
+            <Button type="link" className="close-btn" onClick={() => handleClose(record)}>取消</Button>
           )}
         </Space>
       ),
@@ -280,49 +241,38 @@ const CouponActivity = () => {
       <div className="search-area">
         <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '24px' }}>
           <div style={{ display: 'flex', alignItems: 'center' }}>
-            <span style={{ fontSize: '12px', color: '#666666', marginRight: '8px', width: '80px', display: 'inline-block', whiteSpace: 'nowrap' }}>活动名称</span>
-            <Input
-              placeholder="请输入活动名称"
-              value={searchParams.name}
-              onChange={(e) => handleSearchChange('name', e.target.value)}
-              style={{ width: 180, fontSize: '12px', height: 32 }}
-              allowClear
-            />
-          </div>
-          
-          <div style={{ display: 'flex', alignItems: 'center' }}>
-            <span style={{ fontSize: '12px', color: '#666666', marginRight: '8px', width: '80px', display: 'inline-block', whiteSpace: 'nowrap' }}>活动类型</span>
+            <span style={{ fontSize: '12px', color: '#666666', marginRight: '8px', width: '80px', display: 'inline-block', whiteSpace: 'nowrap' }}>发放优惠券</span>
             <Select
-              placeholder="请选择活动类型"
-              value={searchParams.type}
-              onChange={(value) => handleSearchChange('type', value)}
+              placeholder="请选择优惠券"
+              value={searchParams.templateId}
+              onChange={(value) => handleSearchChange('templateId', value)}
               style={{ width: 180, fontSize: '12px', height: 32 }}
               allowClear
             >
-              <Option value="">全部</Option>
-              <Option value="自动发券">自动发券</Option>
-              <Option value="精确发券">精确发券</Option>
-              <Option value="注册赠券">注册赠券</Option>
+              {pushCoupons.map(coupon => (
+                <Option key={coupon.id} value={coupon.id}>{coupon.name}</Option>
+              ))}
             </Select>
           </div>
-          
+
           <div style={{ display: 'flex', alignItems: 'center' }}>
-            <span style={{ fontSize: '12px', color: '#666666', marginRight: '8px', width: '80px', display: 'inline-block', whiteSpace: 'nowrap' }}>活动范围</span>
+            <span style={{ fontSize: '12px', color: '#666666', marginRight: '8px', width: '80px', display: 'inline-block', whiteSpace: 'nowrap' }}>任务状态</span>
             <Select
-              placeholder="请选择活动范围"
-              value={searchParams.scope}
-              onChange={(value) => handleSearchChange('scope', value)}
+              placeholder="请选择任务状态"
+              value={searchParams.status}
+              onChange={(value) => handleSearchChange('status', value)}
               style={{ width: 180, fontSize: '12px', height: 32 }}
               allowClear
             >
               <Option value="">全部</Option>
-              <Option value="全部会员">全部会员</Option>
-              <Option value="指定会员">指定会员</Option>
+              {Object.entries(statusConfig).map(([value, config]) => (
+                <Option key={value} value={value}>{config.text}</Option>
+              ))}
             </Select>
           </div>
-          
-          <Button 
-            type="primary" 
+
+          <Button
+            type="primary"
             icon={<SearchOutlined />}
             onClick={handleSearch}
             style={{ height: 32, fontSize: '12px', backgroundColor: '#ff0000', borderColor: '#ff0000' }}
@@ -335,7 +285,7 @@ const CouponActivity = () => {
       {/* 操作按钮区 */}
       <div className="action-section">
         <Button type="primary" onClick={handleAddActivity}>
-          添加活动
+          定向发券
         </Button>
       </div>
 
@@ -343,202 +293,88 @@ const CouponActivity = () => {
       <div className="table-section">
         <Table
           columns={columns}
-          dataSource={mockActivityData}
+          dataSource={tasks}
+          loading={loading}
           pagination={{
             current: currentPage,
             pageSize: pageSize,
             total: totalItems,
-            onChange: (page) => setCurrentPage(page),
+            onChange: (page, size) => loadTasks(page, size),
             showSizeChanger: true,
             showTotal: (total) => `共 ${total} 条`,
             showQuickJumper: true,
             pageSizeOptions: ['10', '20', '50', '100'],
           }}
-          rowKey="key"
+          rowKey="id"
           scroll={{ x: 'max-content' }}
         />
       </div>
 
-      {/* 添加活动模态框 */}
+      {/* 定向发券模态框 */}
       <Modal
-        title="添加优惠券活动"
+        title="定向发券"
         open={isAddModalVisible}
         onOk={handleAddSubmit}
         onCancel={handleAddCancel}
-        width={1000}
+        width={800}
         okText="提交"
         cancelText="返回"
       >
         <div className="coupon-activity-form">
-          <Card title="活动信息">
-            <Form form={form} layout="horizontal">
+          <Form form={form} layout="horizontal" labelCol={{ span: 6 }} wrapperCol={{ span: 18 }}>
+            <Card title="配置优惠券">
               <Form.Item
-                name="activityName"
-                label="活动名称"
-                rules={[{ required: true, message: '请填写活动名称' }]}
-                labelCol={{ span: 6 }}
-                wrapperCol={{ span: 18 }}
+                name="templateId"
+                label="选择优惠券"
+                rules={[{ required: true, message: '请选择发放的优惠券' }]}
+                extra="只能选择获取方式为定向发放且未停止发放的平台优惠券"
               >
-                <Input placeholder="请填写活动名称" />
+                <Select placeholder="请选择优惠券">
+                  {pushCoupons.filter(coupon => coupon.status === 'active' && coupon.state !== 'ended').map(coupon => (
+                    <Option key={coupon.id} value={coupon.id}>
+                      {coupon.name}（已发 {coupon.issuedCount}/{coupon.totalQuantity || '不限'}）
+                    </Option>
+                  ))}
+                </Select>
               </Form.Item>
-              
-              <Form.Item
-                name="activityTime"
-                label="活动时间"
-                labelCol={{ span: 6 }}
-                wrapperCol={{ span: 18 }}
-              >
-                <DatePicker.RangePicker placeholder="请选择活动时间" />
+            </Card>
+
+            <Card title="发放人群" style={{ marginTop: 20 }}>
+              <p style={{ fontSize: '12px', color: '#999' }}>以下条件同时满足的正常状态会员会收到优惠券，全部不填则发放给全部会员；已达到每人限领的会员自动跳过。</p>
+              <Form.Item name="userIds" label="指定用户ID">
+                <Select mode="tags" tokenSeparators={[',', ' ', '\n']} placeholder="输入用户ID后回车，可粘贴多个" />
               </Form.Item>
-              
-              <Form.Item
-                name="activityType"
-                label="优惠券活动类型"
-                initialValue="新人发券"
-                labelCol={{ span: 6 }}
-                wrapperCol={{ span: 18 }}
-              >
-                <Radio.Group>
-                  <Radio.Button value="新人发券">新人发券</Radio.Button>
-                  <Radio.Button value="精确发券">精确发券</Radio.Button>
-                  <Radio.Button value="注册赠券">注册赠券</Radio.Button>
-                  <Radio.Button value="自动赠券">自动赠券</Radio.Button>
-                </Radio.Group>
+              <Form.Item name="tierCodes" label="会员等级编码">
+                <Select mode="tags" tokenSeparators={[',', ' ']} placeholder="输入会员等级编码后回车" />
               </Form.Item>
-            </Form>
-          </Card>
-          
-          <Card title="配置优惠券" style={{ marginTop: 20 }}>
-            <Form form={form} layout="horizontal">
-              <Form.Item
-                name="couponId"
-                label="选择优惠券"
-                labelCol={{ span: 7 }}
-                wrapperCol={{ span: 17 }}
-                style={{ fontSize: '12px' }}
-              >
-                <div style={{ display: 'flex', alignItems: 'center', fontSize: '12px' }}>
-                  <Button type="primary" onClick={handleOpenCouponSelect} style={{ height: 32, fontSize: '12px' }}>选择优惠券</Button>
-                </div>
+              <Form.Item name="registeredTime" label="注册时间">
+                <DatePicker.RangePicker showTime />
               </Form.Item>
-            </Form>
-            
-            <Table
-              columns={[
-                { title: '赠送位置', dataIndex: 'position', key: 'position' },
-                { title: '优惠券名称', dataIndex: 'name', key: 'name' },
-                { title: '品类描述', dataIndex: 'category', key: 'category' },
-                { title: '面额折扣', dataIndex: 'discount', key: 'discount' },
-                { title: '赠送数量', dataIndex: 'quantity', key: 'quantity' },
-                { title: '操作', dataIndex: 'action', key: 'action' },
-              ]}
-              dataSource={[]}
-              locale={{ emptyText: '暂无数据' }}
-            />
-          </Card>
+            </Card>
+          </Form>
         </div>
       </Modal>
-      
-      {/* 选择优惠券弹窗 */}
-      <Modal
-        title="选择优惠券"
-        open={isCouponSelectModalVisible}
-        onOk={handleCouponSelectConfirm}
-        onCancel={handleCouponSelectCancel}
-        width={1000}
-        okText="确定"
-        cancelText="取消"
-      >
-        <div className="coupon-select-container">
-          <Card className="search-card">
-            <Row gutter={16} align="middle" style={{ flexWrap: 'nowrap' }}>
-              <Col span={6}>
-                <div className="search-item" style={{ display: 'flex', alignItems: 'center', fontSize: '12px' }}>
-                  <span className="search-label" style={{ marginRight: '8px', whiteSpace: 'nowrap' }}>优惠券名称</span>
-                  <Input 
-                    placeholder="请输入优惠券名称" 
-                    style={{ flex: 1, fontSize: '12px' }}
-                  />
-                </div>
-              </Col>
-              <Col span={6}>
-                <div className="search-item" style={{ display: 'flex', alignItems: 'center', fontSize: '12px' }}>
-                  <span className="search-label" style={{ marginRight: '8px', whiteSpace: 'nowrap' }}>获取方式</span>
-                  <Select 
-                    placeholder="活动获取" 
-                    style={{ flex: 1, fontSize: '12px' }}
-                  >
-                    <Option value="活动获取">活动获取</Option>
-                    <Option value="免费获取">免费获取</Option>
-                    <Option value="付费获取">付费获取</Option>
-                  </Select>
-                </div>
-              </Col>
-              <Col span={6}>
-                <div className="search-item" style={{ display: 'flex', alignItems: 'center', fontSize: '12px' }}>
-                  <span className="search-label" style={{ marginRight: '8px', whiteSpace: 'nowrap' }}>活动状态</span>
-                  <Select 
-                    placeholder="已开始/上架" 
-                    style={{ flex: 1, fontSize: '12px' }}
-                  >
-                    <Option value="进行中">进行中</Option>
-                    <Option value="已关闭">已关闭</Option>
-                    <Option value="已结束">已结束</Option>
-                    <Option value="未开始">未开始</Option>
-                  </Select>
-                </div>
-              </Col>
-              <Col span={6}>
-                <div className="search-item" style={{ display: 'flex', alignItems: 'center', fontSize: '12px' }}>
-                  <span className="search-label" style={{ marginRight: '8px', whiteSpace: 'nowrap' }}>活动时间</span>
-                  <DatePicker 
-                    style={{ flex: 1, fontSize: '12px' }}
-                    placeholder="选择起始时间"
-                  />
-                </div>
-              </Col>
-              <Col span={6} offset={18} style={{ textAlign: 'right' }}>
-                <Button type="primary" icon={<SearchOutlined />} style={{ fontSize: '12px' }}>
-                  搜索
-                </Button>
-              </Col>
-            </Row>
-          </Card>
-          
-          <Table 
-            columns={[
-              {
-                title: '',
-                dataIndex: '',
-                key: 'selection',
-                width: 40,
-                render: (_, record) => (
-                  <Checkbox />
-                ),
-              },
-              { title: '优惠券名称', dataIndex: 'couponName', key: 'couponName' },
-              { title: '面额折扣', dataIndex: 'faceValue', key: 'faceValue' },
-              { title: '已领取数量/总数量', dataIndex: 'claimedQuantity', key: 'claimedQuantity' },
-              { title: '已使用/已领取数量', dataIndex: 'usedQuantity', key: 'usedQuantity' },
-              { title: '获取方式', dataIndex: 'acquisitionMethod', key: 'acquisitionMethod' },
-              { title: '优惠券类型', dataIndex: 'couponType', key: 'couponType' },
-              { title: '品类描述', dataIndex: 'categoryRange', key: 'categoryRange' },
-              { title: '活动时间', dataIndex: 'activityTime', key: 'activityTime' },
-            ]} 
-            dataSource={[]} 
-            pagination={{
-              current: 1,
-              pageSize: 10,
-              total: 0,
-              showSizeChanger: true,
-              showTotal: (total) => `共 ${total} 条`,
-            }}
-            locale={{ emptyText: '暂无数据' }}
-          />
-        </div>
+
+      {/* 任务详情 */}
+      <Modal title="发放任务详情" open={!!detail} onCancel={() => setDetail(null)} footer={null} width={720}>
+        {detail && (
+          <Descriptions column={2} bordered size="small">
+            <Descriptions.Item label="发放优惠券" span={2}>{detail.templateName}</Descriptions.Item>
+            <Descriptions.Item label="发放人群" span={2}>{describeSegment(detail.segment)}</Descriptions.Item>
+            <Descriptions.Item label="目标人数">{detail.totalUsers}</Descriptions.Item>
+            <Descriptions.Item label="状态">{statusConfig[detail.status]?.text || detail.status}</Descriptions.Item>
+            <Descriptions.Item label="已发放">{detail.issuedCount}</Descriptions.Item>
+            <Descriptions.Item label="已跳过">{detail.skippedCount}</Descriptions.Item>
+            <Descriptions.Item label="创建时间">{formatTime(detail.createdAt)}</Descriptions.Item>
+            <Descriptions.Item label="开始时间">{formatTime(detail.startedAt)}</Descriptions.Item>
+            <Descriptions.Item label="完成时间">{formatTime(detail.finishedAt)}</Descriptions.Item>
+            <Descriptions.Item label="创建人">{detail.createdBy}</Descriptions.Item>
+            {detail.error && <Descriptions.Item label="失败原因" span={2}>{detail.error}</Descriptions.Item>}
+          </Descriptions>
+        )}
       </Modal>
     </div>
   );
 };
 
-export default CouponActivity;
\ No newline at end of file
+export default CouponActivity;
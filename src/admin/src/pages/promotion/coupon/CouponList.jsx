@@ -1,144 +1,143 @@
 import React, { useState, useEffect } from 'react';
-import { Button, Input, Select, DatePicker, Table, Space, Checkbox, Tag, Card, Row, Col } from 'antd';
-import { SearchOutlined, EditOutlined, DeleteOutlined, EyeOutlined, FileTextOutlined } from '@ant-design/icons';
+import { Button, Input, InputNumber, Select, DatePicker, Table, Space, Checkbox, Tag, Card, Modal, Form, Radio, Descriptions, message } from 'antd';
+import { SearchOutlined, EditOutlined, EyeOutlined, FileTextOutlined } from '@ant-design/icons';
+import dayjs from 'dayjs';
+import { request } from '../../../services/request';
 import './CouponList.css';
 
 const { Option } = Select;
 const { RangePicker } = DatePicker;
 
+// 优惠券类型
+const typeMap = {
+  fixed: '立减券',
+  threshold: '满减券',
+  percentage: '折扣券',
+  shipping: '运费券'
+};
+
+// 获取方式（发放方式）
+const issueTypeMap = {
+  claim: '领券中心领取',
+  push: '定向发放',
+  register: '注册赠券',
+  birthday: '生日赠券',
+  code: '兑换码兑换'
+};
+
+// 适用范围
+const scopeMap = {
+  all: '全品类',
+  product: '指定商品',
+  category: '指定分类'
+};
+
+// 发放状态
+const stateMap = {
+  not_started: '未开始',
+  ongoing: '进行中',
+  ended: '已结束'
+};
+
+// 买家优惠券状态
+const couponStatusMap = {
+  unused: '未使用',
+  locked: '待支付',
+  used: '已使用',
+  expired: '已过期'
+};
+
+// 时间格式化
+const formatTime = (value) => value ? new Date(value).toLocaleString('zh-CN') : '-';
+
+// 金额格式化
+const formatMoney = (value) => `¥${Number(value || 0).toFixed(2)}`;
+
+// 面额/折扣
+const formatFaceValue = (coupon) => {
+  switch (coupon.type) {
+    case 'threshold':
+      return `满${formatMoney(coupon.threshold)}减${formatMoney(coupon.amount)}`;
+    case 'percentage':
+      return `${Number((coupon.discountRate * 10).toFixed(2))}折${coupon.maxDiscount ? `（最高减${formatMoney(coupon.maxDiscount)}）` : ''}`;
+    case 'shipping':
+      return coupon.amount ? `运费减${formatMoney(coupon.amount)}` : '免运费';
+    default:
+      return formatMoney(coupon.amount);
+  }
+};
+
+// 有效期
+const formatValidity = (coupon) => coupon.validType === 'fixed'
+  ? `${formatTime(coupon.validStartTime)} - ${formatTime(coupon.validEndTime)}`
+  : `领取后 ${coupon.validDays} 天内有效`;
+
+// 状态（停用的优惠券显示为已关闭）
+const getStatusText = (coupon) => coupon.status === 'closed' ? '已关闭' : stateMap[coupon.state];
+
 const CouponList = () => {
   // 状态管理
   const [selectedRowKeys, setSelectedRowKeys] = useState([]);
   const [couponName, setCouponName] = useState('');
   const [acquisitionMethod, setAcquisitionMethod] = useState('');
   const [activityStatus, setActivityStatus] = useState('');
-  const [activityTime, setActivityTime] = useState([]);
+  const [couponType, setCouponType] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [couponData, setCouponData] = useState([]);
   const [currentPage, setCurrentPage] = useState(1);
   const [pageSize, setPageSize] = useState(10);
+  const [totalItems, setTotalItems] = useState(0);
 
-  // 模拟数据
-  const mockData = [
-    {
-      key: '1',
-      couponName: '测试优惠券',
-      faceValue: '¥30.00',
-      claimedQuantity: '0/不限',
-      usedQuantity: '0/0',
-      acquisitionMethod: '活动获取',
-      couponType: '减免现金',
-      categoryRange: '指定商品',
-      activityTime: '长期有效',
-      status: '已关闭',
-    },
-    {
-      key: '2',
-      couponName: '0',
-      faceValue: '¥9,999.00',
-      claimedQuantity: '0/10000',
-      usedQuantity: '0/0',
-      acquisitionMethod: '活动获取',
-      couponType: '减免现金',
-      categoryRange: '全品类',
-      activityTime: '长期有效',
-      status: '已关闭',
-    },
-    {
-      key: '3',
-      couponName: '100',
-      faceValue: '9.9折',
-      claimedQuantity: '0/1000000',
-      usedQuantity: '0/0',
-      acquisitionMethod: '免费获取',
-      couponType: '打折',
-      categoryRange: '全品类',
-      activityTime: '',
-      status: '已关闭',
-    },
-    {
-      key: '4',
-      couponName: '00',
-      faceValue: '¥666.00',
-      claimedQuantity: '0/100',
-      usedQuantity: '0/0',
-      acquisitionMethod: '免费获取',
-      couponType: '减免现金',
-      categoryRange: '全品类',
-      activityTime: '',
-      status: '已关闭',
-    },
-    {
-      key: '5',
-      couponName: 'zidongf',
-      faceValue: '¥5,454.00',
-      claimedQuantity: '22/不限',
-      usedQuantity: '0/22',
-      acquisitionMethod: '免费获取',
-      couponType: '减免现金',
-      categoryRange: '全品类',
-      activityTime: '2025-10-21 00:00:00 - 2025-10-22 00:00:00',
-      status: '已结束',
-    },
-    {
-      key: '6',
-      couponName: 'ceshi',
-      faceValue: '¥11.00',
-      claimedQuantity: '45/100',
-      usedQuantity: '2/45',
-      acquisitionMethod: '免费获取',
-      couponType: '减免现金',
-      categoryRange: '全品类',
-      activityTime: '2025-10-21 00:00:00 - 2025-10-22 00:00:00',
-      status: '已结束',
-    },
-    {
-      key: '7',
-      couponName: '测试',
-      faceValue: '¥5.00',
-      claimedQuantity: '3/不限',
-      usedQuantity: '0/3',
-      acquisitionMethod: '活动获取',
-      couponType: '减免现金',
-      categoryRange: '全品类',
-      activityTime: '长期有效',
-      status: '已关闭',
-    },
-    {
-      key: '8',
-      couponName: '冰糖先生手机优惠券',
-      faceValue: '¥1.00',
-      claimedQuantity: '5/1000',
-      usedQuantity: '0/5',
-      acquisitionMethod: '免费获取',
-      couponType: '减免现金',
-      categoryRange: '指定商品',
-      activityTime: '2025-10-13 00:00:00 - 2025-10-15 00:00:00',
-      status: '已结束',
-    },
-    {
-      key: '9',
-      couponName: '1',
-      faceValue: '¥1.00',
-      claimedQuantity: '1/1',
-      usedQuantity: '0/1',
-      acquisitionMethod: '免费获取',
-      couponType: '减免现金',
-      categoryRange: '指定商品',
-      activityTime: '',
-      status: '已关闭',
-    },
-    {
-      key: '10',
-      couponName: 'dafd11',
-      faceValue: '¥12.00',
-      claimedQuantity: '0/10',
-      usedQuantity: '0/0',
-      acquisitionMethod: '免费获取',
-      couponType: '减免现金',
-      categoryRange: '全品类',
-      activityTime: '',
-      status: '已关闭',
-    },
-  ];
+  // 新建/编辑弹窗
+  const [editVisible, setEditVisible] = useState(false);
+  const [editingRecord, setEditingRecord] = useState(null);
+  const [form] = Form.useForm();
+  const type = Form.useWatch('type', form);
+  const scope = Form.useWatch('scope', form);
+  const validType = Form.useWatch('validType', form);
+
+  // 详情、领取记录和兑换码弹窗
+  const [detail, setDetail] = useState(null);
+  const [recordsCoupon, setRecordsCoupon] = useState(null);
+  const [records, setRecords] = useState([]);
+  const [recordsLoading, setRecordsLoading] = useState(false);
+  const [codesCoupon, setCodesCoupon] = useState(null);
+  const [codes, setCodes] = useState([]);
+  const [codeCount, setCodeCount] = useState(100);
+
+  // 加载优惠券
+  const loadData = async (page = currentPage, size = pageSize) => {
+    setLoading(true);
+    try {
+      const queryParams = new URLSearchParams({ page, pageSize: size });
+      if (couponName && couponName.trim()) {
+        queryParams.append('keyword', couponName.trim());
+      }
+      if (acquisitionMethod) {
+        queryParams.append('issueType', acquisitionMethod);
+      }
+      if (activityStatus) {
+        queryParams.append('state', activityStatus);
+      }
+      if (couponType) {
+        queryParams.append('type', couponType);
+      }
+      const result = await request(`/api/admin/promotion/coupons?${queryParams.toString()}`);
+      setCouponData(result.data.map(item => ({ ...item, key: item.id })));
+      setTotalItems(result.total);
+      setCurrentPage(page);
+      setPageSize(size);
+      setSelectedRowKeys([]);
+    } catch (error) {
+      message.error(error.message || '获取优惠券失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadData(1);
+  }, []);
 
   // 获取状态对应的标签颜色
   const getStatusTagColor = (status) => {
@@ -154,32 +153,34 @@ const CouponList = () => {
   // 获取获取方式对应的标签颜色
   const getAcquisitionTagColor = (method) => {
     const colorMap = {
-      '活动获取': 'orange',
-      '免费获取': 'red',
-      '付费获取': 'purple',
+      claim: 'red',
+      push: 'orange',
+      register: 'purple',
+      birthday: 'magenta',
+      code: 'cyan',
     };
     return colorMap[method] || 'default';
   };
 
   // 获取优惠券类型对应的标签颜色
-  const getCouponTypeTagColor = (type) => {
+  const getCouponTypeTagColor = (value) => {
     const colorMap = {
-      '减免现金': 'blue',
-      '打折': 'green',
-      '满减': 'red',
+      fixed: 'blue',
+      threshold: 'red',
+      percentage: 'green',
+      shipping: 'gold',
     };
-    return colorMap[type] || 'default';
+    return colorMap[value] || 'default';
   };
 
   // 获取品类范围对应的标签颜色
   const getCategoryRangeTagColor = (range) => {
-    return range === '指定商品' ? 'pink' : 'blue';
+    return range === 'all' ? 'blue' : 'pink';
   };
 
   // 处理搜索
   const handleSearch = () => {
-    // 这里应该调用API进行搜索
-    console.log('搜索条件:', { couponName, acquisitionMethod, activityStatus, activityTime });
+    loadData(1);
   };
 
   // 处理重置
@@ -187,38 +188,168 @@ const CouponList = () => {
     setCouponName('');
     setAcquisitionMethod('');
     setActivityStatus('');
-    setActivityTime([]);
+    setCouponType('');
   };
 
   // 处理添加优惠券
   const handleAddCoupon = () => {
-    // 跳转到添加优惠券页面
-    console.log('添加优惠券');
+    setEditingRecord(null);
+    form.resetFields();
+    form.setFieldsValue({ type: 'fixed', scope: 'all', issueType: 'claim', totalQuantity: 0, perUserLimit: 1, validType: 'days', validDays: 30 });
+    setEditVisible(true);
+  };
+
+  // 处理编辑优惠券
+  const handleEdit = (record) => {
+    setEditingRecord(record);
+    form.resetFields();
+    form.setFieldsValue({
+      name: record.name,
+      type: record.type,
+      amount: record.amount,
+      threshold: record.threshold || undefined,
+      discountRate: record.discountRate,
+      maxDiscount: record.maxDiscount,
+      scope: record.scope,
+      scopeIds: record.scopeIds,
+      issueType: record.issueType,
+      totalQuantity: record.totalQuantity,
+      perUserLimit: record.perUserLimit,
+      claimTime: record.claimStartTime && record.claimEndTime ? [dayjs(record.claimStartTime), dayjs(record.claimEndTime)] : undefined,
+      validType: record.validType,
+      validTime: record.validType === 'fixed' ? [dayjs(record.validStartTime), dayjs(record.validEndTime)] : undefined,
+      validDays: record.validDays,
+      description: record.description
+    });
+    setEditVisible(true);
+  };
+
+  // 提交新建或编辑
+  const handleSubmit = async () => {
+    const values = await form.validateFields();
+    const payload = {
+      name: values.name,
+      type: values.type,
+      amount: values.amount,
+      threshold: values.threshold || 0,
+      discountRate: values.discountRate,
+      maxDiscount: values.maxDiscount,
+      scope: values.scope,
+      scopeIds: values.scope === 'all' ? [] : values.scopeIds,
+      issueType: values.issueType,
+      totalQuantity: values.totalQuantity || 0,
+      perUserLimit: values.perUserLimit,
+      claimStartTime: values.claimTime ? values.claimTime[0].toISOString() : null,
+      claimEndTime: values.claimTime ? values.claimTime[1].toISOString() : null,
+      validType: values.validType,
+      validStartTime: values.validType === 'fixed' ? values.validTime[0].toISOString() : undefined,
+      validEndTime: values.validType === 'fixed' ? values.validTime[1].toISOString() : undefined,
+      validDays: values.validType === 'days' ? values.validDays : undefined,
+      description: values.description
+    };
+    try {
+      if (editingRecord) {
+        await request(`/api/admin/promotion/coupons/${editingRecord.id}`, { method: 'PUT', body: JSON.stringify(payload) });
+        message.success('优惠券已修改');
+      } else {
+        await request('/api/admin/promotion/coupons', { method: 'POST', body: JSON.stringify(payload) });
+        message.success('优惠券已创建');
+      }
+      setEditVisible(false);
+      loadData(editingRecord ? currentPage : 1);
+    } catch (error) {
+      message.error(error.message || '保存优惠券失败');
+    }
+  };
+
+  // 启用或停用优惠券
+  const updateStatus = async (ids, status) => {
+    for (const id of ids) {
+      await request(`/api/admin/promotion/coupons/${id}/status`, { method: 'POST', body: JSON.stringify({ status }) });
+    }
   };
 
   // 处理批量关闭
   const handleBatchClose = () => {
-    console.log('批量关闭优惠券:', selectedRowKeys);
+    Modal.confirm({
+      title: '批量关闭优惠券',
+      content: `确定关闭选中的 ${selectedRowKeys.length} 张优惠券吗？关闭后停止发放，已发放的优惠券仍可在有效期内使用。`,
+      okText: '确定',
+      cancelText: '取消',
+      onOk: async () => {
+        try {
+          await updateStatus(selectedRowKeys, 'closed');
+          message.success('优惠券已关闭');
+        } catch (error) {
+          message.error(error.message || '关闭优惠券失败');
+        }
+        loadData();
+      }
+    });
+  };
+
+  // 处理启用或关闭单张优惠券
+  const handleToggle = async (record) => {
+    try {
+      await updateStatus([record.id], record.status === 'active' ? 'closed' : 'active');
+      message.success(record.status === 'active' ? '优惠券已关闭' : '优惠券已启用');
+      loadData();
+    } catch (error) {
+      message.error(error.message || '操作失败');
+    }
   };
 
   // 处理查看领取记录
-  const handleViewRecords = () => {
-    console.log('查看领取记录');
+  const handleViewCouponRecords = async (record, status) => {
+    setRecordsCoupon(record);
+    setRecordsLoading(true);
+    try {
+      const queryParams = new URLSearchParams({ pageSize: 100 });
+      if (status) {
+        queryParams.append('status', status);
+      }
+      const result = await request(`/api/admin/promotion/coupons/${record.id}/records?${queryParams.toString()}`);
+      setRecords(result.data.map(item => ({ ...item, key: item.id })));
+    } catch (error) {
+      message.error(error.message || '获取领取记录失败');
+    } finally {
+      setRecordsLoading(false);
+    }
   };
 
-  // 处理编辑优惠券
-  const handleEdit = (record) => {
-    console.log('编辑优惠券:', record);
+  // 处理查看优惠券详情
+  const handleViewDetail = async (record) => {
+    try {
+      const result = await request(`/api/admin/promotion/coupons/${record.id}`);
+      setDetail(result.data);
+    } catch (error) {
+      message.error(error.message || '获取优惠券详情失败');
+    }
   };
 
-  // 处理查看领取记录
-  const handleViewCouponRecords = (record) => {
-    console.log('查看优惠券领取记录:', record);
+  // 处理查看兑换码
+  const handleViewCodes = async (record) => {
+    setCodesCoupon(record);
+    try {
+      const result = await request(`/api/admin/promotion/coupons/${record.id}/codes?pageSize=100`);
+      setCodes(result.data.map(item => ({ ...item, key: item.code })));
+    } catch (error) {
+      message.error(error.message || '获取兑换码失败');
+    }
   };
 
-  // 处理查看优惠券详情
-  const handleViewDetail = (record) => {
-    console.log('查看优惠券详情:', record);
+  // 生成兑换码
+  const handleGenerateCodes = async () => {
+    try {
+      const result = await request(`/api/admin/promotion/coupons/${codesCoupon.id}/codes`, {
+        method: 'POST',
+        body: JSON.stringify({ count: codeCount })
+      });
+      message.success(result.message);
+      handleViewCodes(codesCoupon);
+    } catch (error) {
+      message.error(error.message || '生成兑换码失败');
+    }
   };
 
   // 表格列配置
@@ -229,7 +360,8 @@ const CouponList = () => {
       key: 'selection',
       width: 40,
       render: (_, record) => (
-        <Checkbox 
+        <Checkbox
+          disabled={!!record.sellerId || record.status === 'closed'}
           onChange={(e) => {
             if (e.target.checked) {
               setSelectedRowKeys([...selectedRowKeys, record.key]);
@@ -243,98 +375,126 @@ const CouponList = () => {
     },
     {
       title: '优惠券名称',
-      dataIndex: 'couponName',
-      key: 'couponName',
+      dataIndex: 'name',
+      key: 'name',
+    },
+    {
+      title: '发放方',
+      dataIndex: 'shopName',
+      key: 'shopName',
+      render: (text, record) => record.sellerId ? (text || `店铺 ${record.sellerId}`) : '平台',
     },
     {
       title: '面额/折扣',
-      dataIndex: 'faceValue',
       key: 'faceValue',
+      render: (_, record) => formatFaceValue(record),
     },
     {
       title: '已领取数量/总数量',
-      dataIndex: 'claimedQuantity',
       key: 'claimedQuantity',
+      render: (_, record) => `${record.issuedCount}/${record.totalQuantity || '不限'}`,
     },
     {
       title: '已使用/已领取数量',
-      dataIndex: 'usedQuantity',
       key: 'usedQuantity',
+      render: (_, record) => `${record.usedCount}/${record.issuedCount}`,
     },
     {
       title: '获取方式',
-      dataIndex: 'acquisitionMethod',
-      key: 'acquisitionMethod',
+      dataIndex: 'issueType',
+      key: 'issueType',
       render: (text) => (
-        <Tag color={getAcquisitionTagColor(text)}>{text}</Tag>
+        <Tag color={getAcquisitionTagColor(text)}>{issueTypeMap[text] || text}</Tag>
       ),
     },
     {
       title: '优惠券类型',
-      dataIndex: 'couponType',
-      key: 'couponType',
+      dataIndex: 'type',
+      key: 'type',
       render: (text) => (
-        <Tag color={getCouponTypeTagColor(text)}>{text}</Tag>
+        <Tag color={getCouponTypeTagColor(text)}>{typeMap[text] || text}</Tag>
       ),
     },
     {
       title: '品类描述',
-      dataIndex: 'categoryRange',
-      key: 'categoryRange',
+      dataIndex: 'scope',
+      key: 'scope',
       render: (text) => (
-        <Tag color={getCategoryRangeTagColor(text)}>{text}</Tag>
+        <Tag color={getCategoryRangeTagColor(text)}>{scopeMap[text] || text}</Tag>
       ),
     },
     {
       title: '活动时间',
-      dataIndex: 'activityTime',
       key: 'activityTime',
+      render: (_, record) => record.claimStartTime || record.claimEndTime
+        ? `${formatTime(record.claimStartTime)} - ${formatTime(record.claimEndTime)}`
+        : '长期有效',
     },
     {
       title: '状态',
-      dataIndex: 'status',
       key: 'status',
-      render: (text) => (
-        <Tag color={getStatusTagColor(text)}>{text}</Tag>
-      ),
+      render: (_, record) => {
+        const text = getStatusText(record);
+        return <Tag color={getStatusTagColor(text)}>{text}</Tag>;
+      },
     },
     {
       title: '操作',
       key: 'action',
       render: (_, record) => (
         <Space size="middle">
-          {record.status === '已结束' ? (
-            <Button 
-              size="small" 
-              type="link" 
+          {record.state === 'ended' || record.sellerId ? (
+            <Button
+              size="small"
+              type="link"
               icon={<EyeOutlined />}
               onClick={() => handleViewDetail(record)}
             >
               查看
             </Button>
           ) : (
-            <Button 
-              size="small" 
-              type="link" 
+            <Button
+              size="small"
+              type="link"
               icon={<EditOutlined />}
               onClick={() => handleEdit(record)}
             >
               编辑
             </Button>
           )}
-          <Button 
-            size="small" 
-            type="link" 
+          <Button
+            size="small"
+            type="link"
             icon={<FileTextOutlined />}
             onClick={() => handleViewCouponRecords(record)}
           >
             领取记录
           </Button>
+          {!record.sellerId && record.issueType === 'code' && (
+            <Button size="small" type="link" onClick={() => handleViewCodes(record)}>兑换码</Button>
+          )}
+          {!record.sellerId && (
+            <Button size="small" type="link" danger={record.status === 'active'} onClick={() => handleToggle(record)}>
+              {record.status === 'active' ? '关闭' : '启用'}
+            </Button>
+          )}
         </Space>
       ),
     },
   ];
 
+  // 领取记录列配置
+  const recordColumns = [
+    { title: '券码', dataIndex: 'couponNo', key: 'couponNo' },
+    { title: '买家ID', dataIndex: 'userId', key: 'userId' },
+    { title: '获取方式', dataIndex: 'source', key: 'source', render: (text) => issueTypeMap[text] || text },
+    { title: '状态', dataIndex: 'status', key: 'status', render: (text) => couponStatusMap[text] || text },
+    { title: '订单ID', dataIndex: 'orderId', key: 'orderId', render: (text) => text || '-' },
+    { title: '优惠金额', dataIndex: 'discountAmount', key: 'discountAmount', render: (value) => value !== null ? formatMoney(value) : '-' },
+    { title: '有效期至', dataIndex: 'validUntil', key: 'validUntil', render: formatTime },
+    { title: '领取时间', dataIndex: 'createdAt', key: 'createdAt', render: formatTime },
+  ];
+
   return (
     <div className="coupon-list-container">
       {/* 搜索区域 */}
@@ -342,65 +502,70 @@ const CouponList = () => {
         <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '24px' }}>
           <div style={{ display: 'flex', alignItems: 'center' }}>
             <span style={{ fontSize: '12px', color: '#666666', marginRight: '8px', width: '80px', display: 'inline-block', whiteSpace: 'nowrap' }}>优惠券名称</span>
-            <Input 
-              placeholder="请输入优惠券名称" 
+            <Input
+              placeholder="请输入优惠券名称"
               value={couponName}
               onChange={(e) => setCouponName(e.target.value)}
               style={{ width: 180, fontSize: '12px', height: 32 }}
               allowClear
             />
           </div>
-          
+
           <div style={{ display: 'flex', alignItems: 'center' }}>
             <span style={{ fontSize: '12px', color: '#666666', marginRight: '8px', width: '80px', display: 'inline-block', whiteSpace: 'nowrap' }}>获取方式</span>
-            <Select 
-              placeholder="请选择获取方式" 
+            <Select
+              placeholder="请选择获取方式"
               value={acquisitionMethod}
               onChange={setAcquisitionMethod}
               style={{ width: 180, fontSize: '12px', height: 32 }}
               allowClear
             >
-              <Option value="活动获取">活动获取</Option>
-              <Option value="免费获取">免费获取</Option>
-              <Option value="付费获取">付费获取</Option>
+              {Object.entries(issueTypeMap).map(([value, text]) => (
+                <Option key={value} value={value}>{text}</Option>
+              ))}
             </Select>
           </div>
-          
+
           <div style={{ display: 'flex', alignItems: 'center' }}>
             <span style={{ fontSize: '12px', color: '#666666', marginRight: '8px', width: '80px', display: 'inline-block', whiteSpace: 'nowrap' }}>活动状态</span>
-            <Select 
-              placeholder="请选择活动状态" 
+            <Select
+              placeholder="请选择活动状态"
               value={activityStatus}
               onChange={setActivityStatus}
               style={{ width: 180, fontSize: '12px', height: 32 }}
               allowClear
             >
-              <Option value="进行中">进行中</Option>
-              <Option value="已关闭">已关闭</Option>
-              <Option value="已结束">已结束</Option>
-              <Option value="未开始">未开始</Option>
+              <Option value="ongoing">进行中</Option>
+              <Option value="ended">已结束/已关闭</Option>
+              <Option value="not_started">未开始</Option>
             </Select>
           </div>
-          
+
           <div style={{ display: 'flex', alignItems: 'center' }}>
-            <span style={{ fontSize: '12px', color: '#666666', marginRight: '8px', width: '80px', display: 'inline-block', whiteSpace: 'nowrap' }}>活动时间</span>
-            <RangePicker 
-              value={activityTime}
-              onChange={setActivityTime}
-              style={{ width: 260, fontSize: '12px', height: 32 }}
-            />
+            <span style={{ fontSize: '12px', color: '#666666', marginRight: '8px', width: '80px', display: 'inline-block', whiteSpace: 'nowrap' }}>优惠券类型</span>
+            <Select
+              placeholder="请选择优惠券类型"
+              value={couponType}
+              onChange={setCouponType}
+              style={{ width: 180, fontSize: '12px', height: 32 }}
+              allowClear
+            >
+              {Object.entries(typeMap).map(([value, text]) => (
+                <Option key={value} value={value}>{text}</Option>
+              ))}
+            </Select>
           </div>
-          
-          <Button 
-            type="primary" 
+
+          <Button
+            type="primary"
             icon={<SearchOutlined />}
             onClick={handleSearch}
             style={{ height: 32, fontSize: '12px', backgroundColor: '#ff0000', borderColor: '#ff0000' }}
           >
             搜索
           </Button>
-          
-          <Button 
+
+          <Button
             onClick={handleReset}
             style={{ height: 32, fontSize: '12px' }}
           >
@@ -416,30 +581,190 @@ const CouponList = () => {
         <Button onClick={handleBatchClose} disabled={selectedRowKeys.length === 0}>
           批量关闭
         </Button>
-        <Button onClick={handleViewRecords}>
-          优惠券领取记录
-        </Button>
       </div>
 
-      <Table 
-        columns={columns} 
-        dataSource={mockData} 
+      <Table
+        columns={columns}
+        dataSource={couponData}
+        loading={loading}
         pagination={{
           current: currentPage,
           pageSize: pageSize,
-          total: 990,
-          onChange: (page, size) => {
-            setCurrentPage(page);
-            setPageSize(size);
-          },
+          total: totalItems,
+          onChange: (page, size) => loadData(page, size),
           showSizeChanger: true,
           showQuickJumper: true,
           showTotal: (total) => `共 ${total} 条`,
         }}
         rowKey="key"
       />
+
+      {/* 新建/编辑优惠券 */}
+      <Modal
+        title={editingRecord ? '编辑优惠券' : '添加优惠券'}
+        open={editVisible}
+        onOk={handleSubmit}
+        onCancel={() => setEditVisible(false)}
+        okText="保存"
+        cancelText="取消"
+        width={640}
+      >
+        {editingRecord && editingRecord.issuedCount > 0 && (
+          <p style={{ color: '#999', fontSize: 12 }}>优惠券已发放，只能修改名称、说明、发放总量、每人限领和领取时间。</p>
+        )}
+        <Form form={form} labelCol={{ span: 6 }} wrapperCol={{ span: 16 }}>
+          <Form.Item name="name" label="优惠券名称" rules={[{ required: true, message: '请输入优惠券名称' }]}>
+            <Input maxLength={100} />
+          </Form.Item>
+          <Form.Item name="type" label="优惠券类型" rules={[{ required: true }]}>
+            <Select disabled={editingRecord && editingRecord.issuedCount > 0}>
+              {Object.entries(typeMap).map(([value, text]) => <Option key={value} value={value}>{text}</Option>)}
+            </Select>
+          </Form.Item>
+          {type !== 'percentage' && (
+            <Form.Item
+              name="amount"
+              label={type === 'shipping' ? '运费减免上限（元）' : '优惠金额（元）'}
+              rules={type === 'shipping' ? [] : [{ required: true, message: '请输入优惠金额' }]}
+              extra={type === 'shipping' ? '不填表示免全部运费' : undefined}
+            >
+              <InputNumber min={0.01} precision={2} style={{ width: '100%' }} />
+            </Form.Item>
+          )}
+          {type === 'percentage' && (
+            <>
+              <Form.Item name="discountRate" label="折扣" rules={[{ required: true, message: '请输入折扣' }]} extra="例如 0.85 表示 85 折">
+                <InputNumber min={0.01} max={0.99} step={0.05} precision={2} style={{ width: '100%' }} />
+              </Form.Item>
+              <Form.Item name="maxDiscount" label="最高优惠（元）">
+                <InputNumber min={0.01} precision={2} style={{ width: '100%' }} />
+              </Form.Item>
+            </>
+          )}
+          <Form.Item
+            name="threshold"
+            label="使用门槛（元）"
+            rules={type === 'threshold' ? [{ required: true, message: '请输入使用门槛' }] : []}
+            extra="适用商品满该金额可用，不填表示无门槛"
+          >
+            <InputNumber min={0} precision={2} style={{ width: '100%' }} />
+          </Form.Item>
+          <Form.Item name="scope" label="适用范围">
+            <Radio.Group disabled={type === 'shipping'}>
+              {Object.entries(scopeMap).map(([value, text]) => <Radio key={value} value={value}>{text}</Radio>)}
+            </Radio.Group>
+          </Form.Item>
+          {scope && scope !== 'all' && (
+            <Form.Item
+              name="scopeIds"
+              label={scope === 'product' ? '商品ID' : '分类ID'}
+              rules={[{ required: true, message: scope === 'product' ? '请输入适用商品ID' : '请输入适用分类ID' }]}
+            >
+              <Select mode="tags" tokenSeparators={[',', ' ']} placeholder="输入后回车" />
+            </Form.Item>
+          )}
+          <Form.Item name="issueType" label="获取方式">
+            <Select disabled={!!editingRecord}>
+              {Object.entries(issueTypeMap).map(([value, text]) => <Option key={value} value={value}>{text}</Option>)}
+            </Select>
+          </Form.Item>
+          <Form.Item name="totalQuantity" label="发放总量" extra="0 表示不限">
+            <InputNumber min={0} precision={0} style={{ width: '100%' }} />
+          </Form.Item>
+          <Form.Item name="perUserLimit" label="每人限领" rules={[{ required: true, message: '请输入每人限领数量' }]}>
+            <InputNumber min={1} precision={0} style={{ width: '100%' }} />
+          </Form.Item>
+          <Form.Item name="claimTime" label="领取时间" extra="不填表示长期有效">
+            <RangePicker showTime style={{ width: '100%' }} />
+          </Form.Item>
+          <Form.Item name="validType" label="有效期">
+            <Radio.Group>
+              <Radio value="days">领取后若干天</Radio>
+              <Radio value="fixed">固定时间段</Radio>
+            </Radio.Group>
+          </Form.Item>
+          {validType === 'fixed' ? (
+            <Form.Item name="validTime" label="有效时间" rules={[{ required: true, message: '请选择有效时间' }]}>
+              <RangePicker showTime style={{ width: '100%' }} />
+            </Form.Item>
+          ) : (
+            <Form.Item name="validDays" label="有效天数" rules={[{ required: true, message: '请输入有效天数' }]}>
+              <InputNumber min={1} max={3650} precision={0} style={{ width: '100%' }} />
+            </Form.Item>
+          )}
+          <Form.Item name="description" label="使用说明">
+            <Input.TextArea rows={2} maxLength={500} />
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      {/* 优惠券详情 */}
+      <Modal title="优惠券详情" open={!!detail} onCancel={() => setDetail(null)} footer={null} width={680}>
+        {detail && (
+          <Descriptions column={2} bordered size="small">
+            <Descriptions.Item label="优惠券名称" span={2}>{detail.name}</Descriptions.Item>
+            <Descriptions.Item label="发放方">{detail.sellerId ? (detail.shopName || `店铺 ${detail.sellerId}`) : '平台'}</Descriptions.Item>
+            <Descriptions.Item label="面额/折扣">{formatFaceValue(detail)}</Descriptions.Item>
+            <Descriptions.Item label="优惠券类型">{typeMap[detail.type]}</Descriptions.Item>
+            <Descriptions.Item label="获取方式">{issueTypeMap[detail.issueType]}</Descriptions.Item>
+            <Descriptions.Item label="适用范围" span={2}>
+              {scopeMap[detail.scope]}{detail.scopeIds.length > 0 ? `：${detail.scopeIds.join('、')}` : ''}
+            </Descriptions.Item>
+            <Descriptions.Item label="发放总量">{detail.totalQuantity || '不限'}</Descriptions.Item>
+            <Descriptions.Item label="每人限领">{detail.perUserLimit}</Descriptions.Item>
+            <Descriptions.Item label="有效期" span={2}>{formatValidity(detail)}</Descriptions.Item>
+            <Descriptions.Item label="未使用">{detail.stats?.unused || 0}</Descriptions.Item>
+            <Descriptions.Item label="待支付">{detail.stats?.locked || 0}</Descriptions.Item>
+            <Descriptions.Item label="已使用">{detail.stats?.used || 0}</Descriptions.Item>
+            <Descriptions.Item label="已过期">{detail.stats?.expired || 0}</Descriptions.Item>
+            <Descriptions.Item label="使用说明" span={2}>{detail.description || '-'}</Descriptions.Item>
+          </Descriptions>
+        )}
+      </Modal>
+
+      {/* 领取记录 */}
+      <Modal
+        title={recordsCoupon ? `领取记录 - ${recordsCoupon.name}` : '领取记录'}
+        open={!!recordsCoupon}
+        onCancel={() => setRecordsCoupon(null)}
+        footer={null}
+        width={960}
+      >
+        <Space style={{ marginBottom: 12 }}>
+          <Select placeholder="状态" allowClear style={{ width: 140 }} onChange={(value) => handleViewCouponRecords(recordsCoupon, value)}>
+            {Object.entries(couponStatusMap).map(([value, text]) => <Option key={value} value={value}>{text}</Option>)}
+          </Select>
+        </Space>
+        <Table columns={recordColumns} dataSource={records} loading={recordsLoading} size="small" pagination={{ pageSize: 10 }} />
+      </Modal>
+
+      {/* 兑换码 */}
+      <Modal
+        title={codesCoupon ? `兑换码 - ${codesCoupon.name}` : '兑换码'}
+        open={!!codesCoupon}
+        onCancel={() => setCodesCoupon(null)}
+        footer={null}
+        width={720}
+      >
+        <Space style={{ marginBottom: 12 }}>
+          <InputNumber min={1} max={10000} precision={0} value={codeCount} onChange={setCodeCount} />
+          <Button type="primary" onClick={handleGenerateCodes} disabled={codesCoupon && codesCoupon.status !== 'active'}>生成兑换码</Button>
+        </Space>
+        <Table
+          size="small"
+          dataSource={codes}
+          pagination={{ pageSize: 10 }}
+          columns={[
+            { title: '兑换码', dataIndex: 'code', key: 'code' },
+            { title: '批次号', dataIndex: 'batchNo', key: 'batchNo' },
+            { title: '状态', dataIndex: 'status', key: 'status', render: (text) => text === 'redeemed' ? '已兑换' : '未兑换' },
+            { title: '兑换买家', dataIndex: 'userId', key: 'userId', render: (text) => text || '-' },
+            { title: '兑换时间', dataIndex: 'redeemedAt', key: 'redeemedAt', render: formatTime },
+          ]}
+        />
+      </Modal>
     </div>
   );
 };
 
-export default CouponList;
\ No newline at end of file
+export default CouponList;
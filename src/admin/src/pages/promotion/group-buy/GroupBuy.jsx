@@ -1,9 +1,37 @@
-import React, { useState } from 'react';
-import { Button, Input, Select, Table, Card } from 'antd';
-import { SearchOutlined, PlusOutlined } from '@ant-design/icons';
+import React, { useState, useEffect } from 'react';
+import { Button, Input, Select, Table, Modal, message } from 'antd';
+import { SearchOutlined } from '@ant-design/icons';
+import { request } from '../../../services/request';
 
 const { Option } = Select;
 
+// 活动状态（页面状态值与接口活动状态对应）
+const stateMap = {
+  0: 'not_started',
+  1: 'ongoing',
+  2: 'ended',
+  3: 'paused'
+};
+const stateValue = {
+  not_started: 0,
+  ongoing: 1,
+  ended: 2,
+  paused: 3
+};
+
+// 拼团状态
+const teamStatusMap = {
+  open: '拼团中',
+  success: '已成团',
+  failed: '拼团失败'
+};
+
+// 时间格式化
+const formatTime = (value) => value ? new Date(value).toLocaleString('zh-CN') : '-';
+
+// 金额格式化
+const formatMoney = (value) => value !== null && value !== undefined ? `¥${Number(value).toFixed(2)}` : '-';
+
 const GroupBuy = () => {
   // 搜索参数状态
   const [searchParams, setSearchParams] = useState({
@@ -11,11 +39,54 @@ const GroupBuy = () => {
     status: '',
     minGroup: '',
   });
-  
+
+  const [loading, setLoading] = useState(false);
+  const [groupBuyData, setGroupBuyData] = useState([]);
   const [currentPage, setCurrentPage] = useState(1);
-  const pageSize = 10;
-  const totalItems = 100; // 模拟数据总数
-  
+  const [pageSize, setPageSize] = useState(10);
+  const [totalItems, setTotalItems] = useState(0);
+
+  // 查看弹窗（活动详情和拼团团队）
+  const [viewRecord, setViewRecord] = useState(null);
+  const [teams, setTeams] = useState([]);
+  const [teamsLoading, setTeamsLoading] = useState(false);
+
+  // 加载拼团活动
+  const loadData = async (page = currentPage, size = pageSize, params = searchParams) => {
+    setLoading(true);
+    try {
+      const queryParams = new URLSearchParams({ page, pageSize: size });
+      if (params.name && params.name.trim()) {
+        queryParams.append('keyword', params.name.trim());
+      }
+      if (params.status !== '' && params.status !== undefined && stateMap[params.status]) {
+        queryParams.append('state', stateMap[params.status]);
+      }
+      if (params.minGroup) {
+        queryParams.append('groupSize', params.minGroup);
+      }
+      const result = await request(`/api/admin/promotion/group-buys?${queryParams.toString()}`);
+      setGroupBuyData(result.data.map(item => ({
+        ...item,
+        key: item.id,
+        startTime: formatTime(item.startTime),
+        endTime: formatTime(item.endTime),
+        status: stateValue[item.state]
+      })));
+      setTotalItems(result.total);
+      setCurrentPage(page);
+      setPageSize(size);
+    } catch (error) {
+      message.error(error.message || '获取拼团活动失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadData(1);
+  }, []);
+
   // 处理搜索参数变化
   const handleSearchChange = (param, value) => {
     setSearchParams(prev => ({
@@ -26,27 +97,45 @@ const GroupBuy = () => {
 
   // 处理搜索提交
   const handleSearch = () => {
-    console.log('搜索参数:', searchParams);
-  };
-
-  // 处理添加活动
-  const handleAddActivity = () => {
-    console.log('添加拼团活动');
-  };
-
-  // 处理编辑操作
-  const handleEdit = (record) => {
-    console.log('编辑活动:', record);
+    loadData(1);
   };
 
   // 处理查看操作
-  const handleView = (record) => {
-    console.log('查看活动:', record);
+  const handleView = async (record) => {
+    setViewRecord(record);
+    setTeams([]);
+    setTeamsLoading(true);
+    try {
+      const [detail, teamResult] = await Promise.all([
+        request(`/api/admin/promotion/group-buys/${record.id}`),
+        request(`/api/admin/promotion/group-buys/teams?promotionId=${record.id}&pageSize=50`)
+      ]);
+      setViewRecord({ ...record, stats: detail.data.stats });
+      setTeams(teamResult.data.map(item => ({ ...item, key: item.teamNo })));
+    } catch (error) {
+      message.error(error.message || '获取拼团团队失败');
+    } finally {
+      setTeamsLoading(false);
+    }
   };
 
-  // 处理删除操作
-  const handleDelete = (record) => {
-    console.log('删除活动:', record);
+  // 结束活动，进行中的团在成团时限内仍可成团
+  const handleEnd = (record) => {
+    Modal.confirm({
+      title: '结束拼团活动',
+      content: `确定结束「${record.name}」吗？结束后买家不能再开团或参团，进行中的团在成团时限内仍可成团。`,
+      okText: '确定',
+      cancelText: '取消',
+      onOk: async () => {
+        try {
+          await request(`/api/admin/promotion/group-buys/${record.id}/end`, { method: 'POST' });
+          message.success('拼团活动已结束');
+          loadData();
+        } catch (error) {
+          message.error(error.message || '结束拼团活动失败');
+        }
+      }
+    });
   };
 
   // 表格列配置
@@ -67,6 +156,7 @@ const GroupBuy = () => {
           0: { color: '#999', text: '未开始' },
           1: { color: '#52c41a', text: '进行中' },
           2: { color: '#ff4d4f', text: '已结束' },
+          3: { color: '#faad14', text: '已暂停' },
         };
         const config = statusConfig[status] || { color: '#666', text: status };
         return (
@@ -78,10 +168,24 @@ const GroupBuy = () => {
     },
     {
       title: '所属店铺',
-      dataIndex: 'shop',
-      key: 'shop',
+      dataIndex: 'shopName',
+      key: 'shopName',
       width: 150,
-      render: () => '全部店铺'
+      render: (shopName) => shopName || '-'
+    },
+    {
+      title: '拼团价',
+      dataIndex: 'groupPrice',
+      key: 'groupPrice',
+      width: 100,
+      render: formatMoney
+    },
+    {
+      title: '成团人数',
+      dataIndex: 'groupSize',
+      key: 'groupSize',
+      width: 100,
+      render: (groupSize) => `${groupSize}人团`
     },
     {
       title: '活动开始时间',
@@ -101,34 +205,47 @@ const GroupBuy = () => {
       width: 150,
       render: (_, record) => (
         <span className="action-buttons">
-          <Button 
-            type="link" 
-            onClick={() => handleEdit(record)}
-            style={{ padding: 0, marginRight: '8px', color: '#666' }}
-          >
-            编辑
-          </Button>
-          <Button 
-            type="link" 
+          <Button
+            type="link"
             onClick={() => handleView(record)}
             style={{ padding: 0, marginRight: '8px', color: '#666' }}
           >
             查看
           </Button>
-          <Button 
-            type="link" 
-            onClick={() => handleDelete(record)}
-            style={{ padding: 0, color: '#ff4d4f' }}
-          >
-            删除
-          </Button>
+          {record.status !== 2 && (
+            <Button
+              type="link"
+              onClick={() => handleEnd(record)}
+              style={{ padding: 0, color: '#ff4d4f' }}
+            >
+              结束
+            </Button>
+          )}
         </span>
       ),
     },
   ];
 
-  // 模拟数据
-  const mockGroupBuyData = [];
+  // 拼团团队列配置
+  const teamColumns = [
+    { title: '团号', dataIndex: 'teamNo', key: 'teamNo', width: 200 },
+    { title: '团长', dataIndex: 'leaderName', key: 'leaderName', width: 120 },
+    { title: '商品', dataIndex: 'productName', key: 'productName', width: 150 },
+    {
+      title: '拼团进度',
+      key: 'progress',
+      width: 100,
+      render: (_, item) => `${item.paidCount}/${item.groupSize}`
+    },
+    {
+      title: '状态',
+      dataIndex: 'status',
+      key: 'status',
+      width: 100,
+      render: (status, item) => item.simulated ? '模拟成团' : (teamStatusMap[status] || status)
+    },
+    { title: '成团截止时间', dataIndex: 'expiresAt', key: 'expiresAt', width: 170, render: formatTime }
+  ];
 
   return (
     <div className="group-buy-container">
@@ -141,33 +258,35 @@ const GroupBuy = () => {
               placeholder="请输入活动名称"
               value={searchParams.name}
               onChange={(e) => handleSearchChange('name', e.target.value)}
+              onPressEnter={handleSearch}
               style={{ width: 180, fontSize: '12px', height: 32 }}
               allowClear
             />
           </div>
-          
+
           <div style={{ display: 'flex', alignItems: 'center' }}>
             <span style={{ fontSize: '12px', color: '#666666', marginRight: '8px', width: '80px', display: 'inline-block', whiteSpace: 'nowrap' }}>活动状态</span>
             <Select
               placeholder="请选择活动状态"
               value={searchParams.status}
-              onChange={(value) => handleSearchChange('status', value)}
+              onChange={(value) => handleSearchChange('status', value === undefined ? '' : value)}
               style={{ width: 180, fontSize: '12px', height: 32 }}
               allowClear
             >
               <Option value="">全部</Option>
               <Option value="0">未开始</Option>
               <Option value="1">进行中</Option>
+              <Option value="3">已暂停</Option>
               <Option value="2">已结束</Option>
             </Select>
           </div>
-          
+
           <div style={{ display: 'flex', alignItems: 'center' }}>
             <span style={{ fontSize: '12px', color: '#666666', marginRight: '8px', width: '80px', display: 'inline-block', whiteSpace: 'nowrap' }}>成团人数</span>
             <Select
               placeholder="请选择成团人数"
               value={searchParams.minGroup}
-              onChange={(value) => handleSearchChange('minGroup', value)}
+              onChange={(value) => handleSearchChange('minGroup', value === undefined ? '' : value)}
               style={{ width: 180, fontSize: '12px', height: 32 }}
               allowClear
             >
@@ -178,9 +297,9 @@ const GroupBuy = () => {
               <Option value="10">10人团</Option>
             </Select>
           </div>
-          
-          <Button 
-            type="primary" 
+
+          <Button
+            type="primary"
             icon={<SearchOutlined />}
             onClick={handleSearch}
             style={{ height: 32, fontSize: '12px', backgroundColor: '#ff0000', borderColor: '#ff0000' }}
@@ -190,25 +309,17 @@ const GroupBuy = () => {
         </div>
       </div>
 
-      {/* 操作按钮和表格区域 */}
+      {/* 表格区域（拼团活动由商家在店铺后台创建） */}
       <div style={{ marginTop: '16px' }}>
-        <Button 
-          type="primary" 
-          onClick={handleAddActivity}
-          style={{ backgroundColor: '#ff0000', borderColor: '#ff0000', marginBottom: '16px' }}
-        >
-          <PlusOutlined /> 添加活动
-        </Button>
-
-        {/* 表格展示区 */}
         <Table
           columns={columns}
-          dataSource={mockGroupBuyData}
+          dataSource={groupBuyData}
+          loading={loading}
           pagination={{
             current: currentPage,
             pageSize: pageSize,
             total: totalItems,
-            onChange: (page) => setCurrentPage(page),
+            onChange: (page, size) => loadData(page, size),
             showSizeChanger: true,
             showTotal: (total) => `共 ${total} 条`,
             showQuickJumper: true,
@@ -222,8 +333,54 @@ const GroupBuy = () => {
           bordered
         />
       </div>
+
+      {/* 查看拼团活动 */}
+      <Modal
+        title="拼团详情"
+        open={!!viewRecord}
+        onCancel={() => setViewRecord(null)}
+        footer={[
+          <Button key="close" onClick={() => setViewRecord(null)}>
+            关闭
+          </Button>
+        ]}
+        width={800}
+      >
+        {viewRecord && (
+          <div>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px 32px', marginBottom: 16 }}>
+              <span>活动名称：{viewRecord.name}</span>
+              <span>店铺：{viewRecord.shopName || '-'}</span>
+              <span>拼团价：{formatMoney(viewRecord.groupPrice)}</span>
+              <span>成团人数：{viewRecord.groupSize} 人</span>
+              <span>成团时限：{viewRecord.teamHours} 小时</span>
+              <span>模拟成团：{viewRecord.simulate ? `开启（最多差 ${viewRecord.simulateMaxMissing} 人）` : '关闭'}</span>
+              <span>活动时间：{viewRecord.startTime} 至 {viewRecord.endTime}</span>
+              {viewRecord.stats && (
+                <span>
+                  开团 {viewRecord.stats.teams} 个，拼团中 {viewRecord.stats.open} 个，
+                  已成团 {viewRecord.stats.success} 个（模拟成团 {viewRecord.stats.simulated} 个），
+                  拼团失败 {viewRecord.stats.failed} 个，参团 {viewRecord.stats.members} 人
+                </span>
+              )}
+            </div>
+            <Table
+              columns={teamColumns}
+              dataSource={teams}
+              loading={teamsLoading}
+              rowKey="key"
+              size="small"
+              pagination={false}
+              scroll={{ y: 300 }}
+              locale={{
+                emptyText: '暂无拼团团队'
+              }}
+            />
+          </div>
+        )}
+      </Modal>
     </div>
   );
 };
 
-export default GroupBuy;
\ No newline at end of file
+export default GroupBuy;
@@ -0,0 +1,238 @@
+import React, { useState, useEffect } from 'react';
+import { Table, Input, Select, Button, Space, Tag, Modal, Form, InputNumber, message } from 'antd';
+import { SearchOutlined } from '@ant-design/icons';
+import { request } from '../../../services/request';
+import './SystemSetting.css';
+
+const { Option } = Select;
+
+const Logistics = () => {
+  const [searchParams, setSearchParams] = useState({ keyword: '', status: '' });
+  const [companies, setCompanies] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [pageSize, setPageSize] = useState(10);
+  const [totalItems, setTotalItems] = useState(0);
+  // 编辑中的物流公司，null 为新增
+  const [editing, setEditing] = useState(null);
+  const [isModalVisible, setIsModalVisible] = useState(false);
+  const [form] = Form.useForm();
+
+  // 加载物流公司
+  const loadCompanies = async (page = currentPage, size = pageSize) => {
+    setLoading(true);
+    try {
+      const queryParams = new URLSearchParams({ page, pageSize: size });
+      if (searchParams.keyword) {
+        queryParams.append('keyword', searchParams.keyword);
+      }
+      if (searchParams.status) {
+        queryParams.append('status', searchParams.status);
+      }
+      const result = await request(`/api/admin/logistics-companies?${queryParams.toString()}`);
+      setCompanies(result.data);
+      setTotalItems(result.total);
+      setCurrentPage(page);
+      setPageSize(size);
+    } catch (error) {
+      message.error(error.message || '获取物流公司失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadCompanies(1);
+  }, []);
+
+  // 新增物流公司
+  const handleAdd = () => {
+    setEditing(null);
+    form.resetFields();
+    form.setFieldsValue({ sortOrder: 0 });
+    setIsModalVisible(true);
+  };
+
+  // 编辑物流公司
+  const handleEdit = (record) => {
+    setEditing(record);
+    form.setFieldsValue(record);
+    setIsModalVisible(true);
+  };
+
+  // 提交新增或编辑
+  const handleSubmit = async () => {
+    const values = await form.validateFields();
+    try {
+      if (editing) {
+        await request(`/api/admin/logistics-companies/${editing.id}`, { method: 'PUT', body: JSON.stringify(values) });
+        message.success('物流公司已修改');
+      } else {
+        await request('/api/admin/logistics-companies', { method: 'POST', body: JSON.stringify(values) });
+        message.success('物流公司已新增');
+      }
+      setIsModalVisible(false);
+      loadCompanies();
+    } catch (error) {
+      message.error(error.message || '保存物流公司失败');
+    }
+  };
+
+  // 启用或停用物流公司
+  const handleToggleStatus = (record) => {
+    const status = record.status === 'active' ? 'disabled' : 'active';
+    Modal.confirm({
+      title: status === 'active' ? '启用物流公司' : '停用物流公司',
+      content: status === 'active'
+        ? `确定启用「${record.name}」吗？`
+        : `停用后卖家不能再选择「${record.name}」发货，已发货的订单不受影响，确定停用吗？`,
+      onOk: async () => {
+        try {
+          const result = await request(`/api/admin/logistics-companies/${record.id}/status`, {
+            method: 'POST',
+            body: JSON.stringify({ status })
+          });
+          message.success(result.message);
+          loadCompanies();
+        } catch (error) {
+          message.error(error.message || '修改物流公司状态失败');
+        }
+      }
+    });
+  };
+
+  const columns = [
+    { title: '编码', dataIndex: 'code', key: 'code', width: 100 },
+    { title: '名称', dataIndex: 'name', key: 'name' },
+    { title: '客服电话', dataIndex: 'phone', key: 'phone', render: (value) => value || '-' },
+    {
+      title: '运单查询地址',
+      dataIndex: 'trackingUrl',
+      key: 'trackingUrl',
+      ellipsis: true,
+      render: (value) => value || '-'
+    },
+    { title: '排序', dataIndex: 'sortOrder', key: 'sortOrder', width: 80 },
+    {
+      title: '状态',
+      dataIndex: 'status',
+      key: 'status',
+      width: 100,
+      render: (status) => <Tag color={status === 'active' ? 'green' : 'default'}>{status === 'active' ? '启用' : '停用'}</Tag>
+    },
+    {
+      title: '操作',
+      key: 'action',
+      width: 150,
+      render: (_, record) => (
+        <Space size="middle">
+          <Button type="link" onClick={() => handleEdit(record)}>编辑</Button>
+          <Button type="link" danger={record.status === 'active'} onClick={() => handleToggleStatus(record)}>
+            {record.status === 'active' ? '停用' : '启用'}
+          </Button>
+        </Space>
+      )
+    }
+  ];
+
+  return (
+    <div className="system-setting-container">
+      <div className="search-area">
+        <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '24px' }}>
+          <div style={{ display: 'flex', alignItems: 'center' }}>
+            <span className="search-label">关键词</span>
+            <Input
+              placeholder="名称或编码"
+              value={searchParams.keyword}
+              onChange={(e) => setSearchParams(prev => ({ ...prev, keyword: e.target.value }))}
+              style={{ width: 180 }}
+              allowClear
+            />
+          </div>
+          <div style={{ display: 'flex', alignItems: 'center' }}>
+            <span className="search-label">状态</span>
+            <Select
+              value={searchParams.status}
+              onChange={(value) => setSearchParams(prev => ({ ...prev, status: value }))}
+              style={{ width: 120 }}
+            >
+              <Option value="">全部</Option>
+              <Option value="active">启用</Option>
+              <Option value="disabled">停用</Option>
+            </Select>
+          </div>
+          <Button
+            type="primary"
+            icon={<SearchOutlined />}
+            onClick={() => loadCompanies(1)}
+            style={{ backgroundColor: '#ff0000', borderColor: '#ff0000' }}
+          >
+            搜索
+          </Button>
+        </div>
+      </div>
+
+      <div className="action-section">
+        <Button type="primary" onClick={handleAdd}>新增物流公司</Button>
+      </div>
+
+      <Table
+        columns={columns}
+        dataSource={companies}
+        loading={loading}
+        pagination={{
+          current: currentPage,
+          pageSize: pageSize,
+          total: totalItems,
+          onChange: (page, size) => loadCompanies(page, size),
+          showSizeChanger: true,
+          showTotal: (total) => `共 ${total} 条`
+        }}
+        rowKey="id"
+      />
+
+      <Modal
+        title={editing ? '编辑物流公司' : '新增物流公司'}
+        open={isModalVisible}
+        onOk={handleSubmit}
+        onCancel={() => setIsModalVisible(false)}
+        okText="保存"
+        cancelText="取消"
+        width={640}
+      >
+        <Form form={form} layout="horizontal" labelCol={{ span: 6 }} wrapperCol={{ span: 16 }}>
+          <Form.Item
+            name="code"
+            label="编码"
+            rules={[{ required: true, pattern: /^[A-Za-z0-9_]{2,20}$/, message: '编码为2-20位字母、数字或下划线' }]}
+            extra={editing ? '编码不可修改' : '如 SF、ZTO，保存时转为大写'}
+          >
+            <Input disabled={!!editing} />
+          </Form.Item>
+          <Form.Item name="name" label="名称" rules={[{ required: true, max: 50, message: '请输入50个字符以内的名称' }]}>
+            <Input />
+          </Form.Item>
+          <Form.Item name="phone" label="客服电话">
+            <Input />
+          </Form.Item>
+          <Form.Item name="website" label="官网">
+            <Input placeholder="https://" />
+          </Form.Item>
+          <Form.Item
+            name="trackingUrl"
+            label="运单查询地址"
+            rules={[{ pattern: /^https?:\/\//, message: '必须以 http:// 或 https:// 开头' }]}
+            extra="{trackingNumber} 会替换为运单号"
+          >
+            <Input placeholder="https://example.com/track?no={trackingNumber}" />
+          </Form.Item>
+          <Form.Item name="sortOrder" label="排序">
+            <InputNumber min={0} precision={0} />
+          </Form.Item>
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+export default Logistics;
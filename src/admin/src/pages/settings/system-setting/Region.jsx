@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Table, Button, Space, Tag, Modal, Form, Input, InputNumber, Breadcrumb, message } from 'antd';
+import { request } from '../../../services/request';
+import './SystemSetting.css';
+
+// 地区级别名称
+const levelNames = { 1: '省', 2: '市', 3: '区县' };
+
+const Region = () => {
+  // 当前浏览的地区路径（从省开始），为空时显示省级地区
+  const [path, setPath] = useState([]);
+  const [regions, setRegions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  // 编辑中的地区，null 为新增
+  const [editing, setEditing] = useState(null);
+  const [isModalVisible, setIsModalVisible] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const fileInput = useRef(null);
+  const [form] = Form.useForm();
+
+  const parent = path.length > 0 ? path[path.length - 1] : null;
+
+  // 加载下级地区
+  const loadRegions = async () => {
+    setLoading(true);
+    try {
+      const query = parent ? `?parentCode=${parent.code}` : '';
+      const result = await request(`/api/admin/regions${query}`);
+      setRegions(result.data);
+    } catch (error) {
+      message.error(error.message || '获取地区失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadRegions();
+  }, [path]);
+
+  // 新增地区
+  const handleAdd = () => {
+    setEditing(null);
+    form.resetFields();
+    form.setFieldsValue({ sortOrder: 0 });
+    setIsModalVisible(true);
+  };
+
+  // 编辑地区
+  const handleEdit = (record) => {
+    setEditing(record);
+    form.setFieldsValue({ code: record.code, name: record.name, sortOrder: record.sortOrder });
+    setIsModalVisible(true);
+  };
+
+  // 提交新增或编辑
+  const handleSubmit = async () => {
+    const values = await form.validateFields();
+    try {
+      if (editing) {
+        await request(`/api/admin/regions/${editing.code}`, {
+          method: 'PUT',
+          body: JSON.stringify({ name: values.name, sortOrder: values.sortOrder })
+        });
+        message.success('地区已修改');
+      } else {
+        await request('/api/admin/regions', {
+          method: 'POST',
+          body: JSON.stringify({ ...values, parentCode: parent ? parent.code : null })
+        });
+        message.success('地区已新增');
+      }
+      setIsModalVisible(false);
+      loadRegions();
+    } catch (error) {
+      message.error(error.message || '保存地区失败');
+    }
+  };
+
+  // 启用或停用地区
+  const handleToggleStatus = (record) => {
+    const status = record.status === 'active' ? 'disabled' : 'active';
+    Modal.confirm({
+      title: status === 'active' ? '启用地区' : '停用地区',
+      content: status === 'active'
+        ? `确定启用「${record.name}」吗？`
+        : `停用后「${record.name}」及其下级地区不再出现在买家的地区选择中，确定停用吗？`,
+      onOk: async () => {
+        try {
+          const result = await request(`/api/admin/regions/${record.code}/status`, {
+            method: 'POST',
+            body: JSON.stringify({ status })
+          });
+          message.success(result.message);
+          loadRegions();
+        } catch (error) {
+          message.error(error.message || '修改地区状态失败');
+        }
+      }
+    });
+  };
+
+  // 导入省市区数据文件（[{ code, name, children }] 格式的 JSON）
+  const handleImportFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+    setImporting(true);
+    try {
+      const regionsData = JSON.parse(await file.text());
+      const result = await request('/api/admin/regions/import', {
+        method: 'POST',
+        body: JSON.stringify({ regions: regionsData })
+      });
+      message.success(result.message);
+      setPath([]);
+    } catch (error) {
+      message.error(error instanceof SyntaxError ? '文件不是有效的 JSON' : (error.message || '导入地区失败'));
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const columns = [
+    { title: '地区代码', dataIndex: 'code', key: 'code', width: 120 },
+    {
+      title: '名称',
+      dataIndex: 'name',
+      key: 'name',
+      render: (name, record) => record.hasChildren
+        ? <Button type="link" style={{ padding: 0 }} onClick={() => setPath([...path, record])}>{name}</Button>
+        : name
+    },
+    { title: '级别', dataIndex: 'level', key: 'level', width: 80, render: (level) => levelNames[level] || level },
+    { title: '排序', dataIndex: 'sortOrder', key: 'sortOrder', width: 80 },
+    {
+      title: '状态',
+      dataIndex: 'status',
+      key: 'status',
+      width: 100,
+      render: (status) => <Tag color={status === 'active' ? 'green' : 'default'}>{status === 'active' ? '启用' : '停用'}</Tag>
+    },
+    {
+      title: '操作',
+      key: 'action',
+      width: 200,
+      render: (_, record) => (
+        <Space size="middle">
+          {record.level < 3 && (
+            <Button type="link" onClick={() => setPath([...path, record])}>下级地区</Button>
+          )}
+          <Button type="link" onClick={() => handleEdit(record)}>编辑</Button>
+          <Button type="link" danger={record.status === 'active'} onClick={() => handleToggleStatus(record)}>
+            {record.status === 'active' ? '停用' : '启用'}
+          </Button>
+        </Space>
+      )
+    }
+  ];
+
+  return (
+    <div className="system-setting-container">
+      <div className="search-area">
+        <Breadcrumb
+          items={[
+            { title: <a onClick={() => setPath([])}>全国</a> },
+            ...path.map((item, index) => ({
+              title: index === path.length - 1 ? item.name : <a onClick={() => setPath(path.slice(0, index + 1))}>{item.name}</a>
+            }))
+          ]}
+        />
+      </div>
+
+      <div className="action-section">
+        {(!parent || parent.level < 3) && (
+          <Button type="primary" onClick={handleAdd}>新增{levelNames[parent ? parent.level + 1 : 1]}</Button>
+        )}
+        <Button loading={importing} onClick={() => fileInput.current.click()}>导入省市区数据</Button>
+        <input ref={fileInput} type="file" accept=".json,application/json" style={{ display: 'none' }} onChange={handleImportFile} />
+        <span className="tip-text">导入文件为 [{'{'} code, name, children {'}'}] 格式的 JSON，已存在的地区按代码更新</span>
+      </div>
+
+      <Table
+        columns={columns}
+        dataSource={regions}
+        loading={loading}
+        pagination={{ pageSize: 50, showTotal: (total) => `共 ${total} 条` }}
+        rowKey="code"
+      />
+
+      <Modal
+        title={editing ? '编辑地区' : `新增${levelNames[parent ? parent.level + 1 : 1]}`}
+        open={isModalVisible}
+        onOk={handleSubmit}
+        onCancel={() => setIsModalVisible(false)}
+        okText="保存"
+        cancelText="取消"
+      >
+        <Form form={form} layout="horizontal" labelCol={{ span: 6 }} wrapperCol={{ span: 16 }}>
+          {parent && !editing && (
+            <Form.Item label="上级地区">{path.map(item => item.name).join(' / ')}</Form.Item>
+          )}
+          <Form.Item
+            name="code"
+            label="地区代码"
+            rules={[{ required: true, pattern: /^\d{6}$/, message: '地区代码必须是6位数字' }]}
+          >
+            <Input disabled={!!editing} placeholder="6位行政区划代码" />
+          </Form.Item>
+          <Form.Item name="name" label="名称" rules={[{ required: true, max: 50, message: '请输入50个字符以内的名称' }]}>
+            <Input />
+          </Form.Item>
+          <Form.Item name="sortOrder" label="排序">
+            <InputNumber min={0} precision={0} />
+          </Form.Item>
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+export default Region;
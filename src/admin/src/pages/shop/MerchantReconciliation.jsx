@@ -1,74 +1,34 @@
 import React, { useState, useEffect } from 'react';
-import { Table, Input, DatePicker, Select, Button, Empty, Space, Spin } from 'antd';
+import { Table, Input, DatePicker, Select, Button, Empty, Space, Spin, Modal, Descriptions, message } from 'antd';
 import { SearchOutlined } from '@ant-design/icons';
+import { request } from '../../services/request';
 import './MerchantReconciliation.css';
 
 const { RangePicker } = DatePicker;
 const { Option } = Select;
 const { Search } = Input;
 
+// 金额格式化
+const formatAmount = (value) => (value === null || value === undefined ? '-' : `¥${Number(value).toFixed(2)}`);
+
 // API调用对象
 const api = {
   // 获取商家对账数据
   async getReconciliationData(params) {
-    try {
-      const queryParams = new URLSearchParams();
-      if (params.shopCode) queryParams.append('shopCode', params.shopCode);
-      if (params.startTime) queryParams.append('startTime', params.startTime);
-      if (params.endTime) queryParams.append('endTime', params.endTime);
-      if (params.orderStatus) queryParams.append('orderStatus', params.orderStatus);
-      if (params.page) queryParams.append('page', params.page);
-      if (params.pageSize) queryParams.append('pageSize', params.pageSize);
-      
-      const response = await fetch(`/api/admin/shop/reconciliation?${queryParams.toString()}`);
-      if (!response.ok) {
-        throw new Error('网络请求失败');
-      }
-      const data = await response.json();
-      return data;
-    } catch (error) {
-      console.error('获取对账数据失败:', error);
-      // 失败时返回模拟数据
-      return {
-        success: true,
-        data: [
-          {
-            key: '1',
-            orderNo: 'E202510211643250577966720',
-            orderTime: '2025-11-02',
-            transactionTime: '2025-11-01 08:30:45',
-            shopName: '店铺1',
-            orderAmount: '¥12.00',
-            status: '已结算',
-          },
-          {
-            key: '2',
-            orderNo: 'E202510211643250577966721',
-            orderTime: '2025-11-02',
-            transactionTime: '2025-11-01 09:15:22',
-            shopName: '酷品店铺',
-            orderAmount: '¥88.50',
-            status: '已结算',
-          },
-        ],
-        total: 2
-      };
-    }
+    const queryParams = new URLSearchParams();
+    if (params.shopCode) queryParams.append('shopCode', params.shopCode);
+    if (params.startTime) queryParams.append('startTime', params.startTime);
+    if (params.endTime) queryParams.append('endTime', params.endTime);
+    if (params.orderStatus) queryParams.append('orderStatus', params.orderStatus);
+    if (params.page) queryParams.append('page', params.page);
+    if (params.pageSize) queryParams.append('pageSize', params.pageSize);
+
+    return request(`/api/admin/shop/reconciliation?${queryParams.toString()}`);
   },
   
   // 获取对账详情
   async getReconciliationDetail(orderNo) {
-    try {
-      const response = await fetch(`/api/admin/shop/reconciliation/${orderNo}`);
-      if (!response.ok) {
-        throw new Error('网络请求失败');
-      }
-      const data = await response.json();
-      return data;
-    } catch (error) {
-      console.error('获取对账详情失败:', error);
-      throw error;
-    }
+    return request(`/api/admin/shop/reconciliation/${orderNo}`);
   }
 };
 
@@ -90,6 +50,7 @@ const MerchantReconciliation = () => {
   // 数据状态
   const [dataSource, setDataSource] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [detail, setDetail] = useState(null);
 
   // 表格列配置
   const columns = [
@@ -101,13 +62,15 @@ const MerchantReconciliation = () => {
     },
     {
       title: '订单时间',
-      dataIndex: 'orderTime',
-      key: 'orderTime',
+      dataIndex: 'createdAt',
+      key: 'createdAt',
+      render: (value) => value ? new Date(value).toLocaleDateString() : '-',
     },
     {
-      title: '交易时间',
-      dataIndex: 'transactionTime',
-      key: 'transactionTime',
+      title: '完成时间',
+      dataIndex: 'completedAt',
+      key: 'completedAt',
+      render: (value) => value ? new Date(value).toLocaleString() : '-',
     },
     {
       title: '店铺名称',
@@ -118,15 +81,27 @@ const MerchantReconciliation = () => {
       title: '订单金额',
       dataIndex: 'orderAmount',
       key: 'orderAmount',
-      render: (text) => <span className="amount-text">{text}</span>,
+      render: (value) => <span className="amount-text">{formatAmount(value)}</span>,
+    },
+    {
+      title: '佣金',
+      dataIndex: 'commissionAmount',
+      key: 'commissionAmount',
+      render: formatAmount,
+    },
+    {
+      title: '结算单号',
+      dataIndex: 'billNo',
+      key: 'billNo',
+      render: (value) => value || '-',
     },
     {
       title: '状态',
-      dataIndex: 'status',
-      key: 'status',
-      render: (text) => (
-        <span className={`status-tag ${text === '已结算' ? 'settled' : ''}`}>
-          {text}
+      dataIndex: 'settled',
+      key: 'settled',
+      render: (settled) => (
+        <span className={`status-tag ${settled ? 'settled' : ''}`}>
+          {settled ? '已结算' : '未结算'}
         </span>
       ),
     },
@@ -165,16 +140,16 @@ const MerchantReconciliation = () => {
       
       const result = await api.getReconciliationData(apiParams);
       
-      if (result.success) {
-        setDataSource(result.data);
-        setPagination(prev => ({
-          ...prev,
-          total: result.total,
-          current: params.page || prev.current
-        }));
-      }
+      setDataSource(result.data);
+      setPagination(prev => ({
+        ...prev,
+        pageSize: apiParams.pageSize,
+        total: result.total,
+        current: params.page || prev.current
+      }));
     } catch (error) {
       console.error('获取对账数据失败:', error);
+      message.error(error.message || '获取对账数据失败');
     } finally {
       setLoading(false);
     }
@@ -210,13 +185,10 @@ const MerchantReconciliation = () => {
   const handleViewDetail = async (orderNo) => {
     try {
       const result = await api.getReconciliationDetail(orderNo);
-      if (result.success) {
-        // 这里可以打开详情弹窗
-        console.log('对账详情:', result.data);
-        alert(`查看订单号 ${orderNo} 的详情`);
-      }
+      setDetail(result.data);
     } catch (error) {
       console.error('获取详情失败:', error);
+      message.error(error.message || '获取详情失败');
     }
   };
 
@@ -225,7 +197,7 @@ const MerchantReconciliation = () => {
       {/* 搜索区域 */}
       <div className="search-area">
         <Input
-          placeholder="店铺编号"
+          placeholder="店铺ID"
           value={searchParams.shopCode}
           onChange={(e) => setSearchParams({ ...searchParams, shopCode: e.target.value })}
           className="search-input"
@@ -243,8 +215,8 @@ const MerchantReconciliation = () => {
           className="select-input"
           allowClear
         >
-          <Option value="已结算">已结算</Option>
-          <Option value="未结算">未结算</Option>
+          <Option value="settled">已结算</Option>
+          <Option value="unsettled">未结算</Option>
         </Select>
         <Button type="primary" onClick={handleSearch} className="search-btn">
           搜索
@@ -261,7 +233,7 @@ const MerchantReconciliation = () => {
           <Table
             columns={columns}
             dataSource={dataSource}
-            rowKey="key"
+            rowKey="orderNo"
             pagination={{
               ...pagination,
               showSizeChanger: true,
@@ -282,6 +254,37 @@ const MerchantReconciliation = () => {
           />
         )}
       </div>
+
+      {/* 对账详情弹窗 */}
+      <Modal open={!!detail} onCancel={() => setDetail(null)} footer={null} width={900} title={`订单 ${detail?.orderNo || ''} 对账详情`}>
+        {detail && (
+          <>
+            <Descriptions size="small" column={3} style={{ marginBottom: 16 }}>
+              <Descriptions.Item label="店铺">{detail.shopName || detail.sellerId}</Descriptions.Item>
+              <Descriptions.Item label="订单金额">{formatAmount(detail.orderAmount)}</Descriptions.Item>
+              <Descriptions.Item label="结算状态">{detail.settled ? '已结算' : '未结算'}</Descriptions.Item>
+              <Descriptions.Item label="下单时间">{detail.createdAt ? new Date(detail.createdAt).toLocaleString() : '-'}</Descriptions.Item>
+              <Descriptions.Item label="完成时间">{detail.completedAt ? new Date(detail.completedAt).toLocaleString() : '-'}</Descriptions.Item>
+              <Descriptions.Item label="累计结算">{formatAmount(detail.netSettleAmount)}</Descriptions.Item>
+            </Descriptions>
+            <Table
+              size="small"
+              rowKey="id"
+              dataSource={detail.items}
+              pagination={false}
+              columns={[
+                { title: '结算单号', dataIndex: 'billNo', key: 'billNo' },
+                { title: '类型', dataIndex: 'itemTypeText', key: 'itemTypeText' },
+                { title: '发生时间', dataIndex: 'occurredAt', key: 'occurredAt', render: (value) => value ? new Date(value).toLocaleString() : '-' },
+                { title: '金额', dataIndex: 'amount', key: 'amount', render: formatAmount },
+                { title: '佣金比例', dataIndex: 'commissionRate', key: 'commissionRate', render: (value) => `${(value * 100).toFixed(2)}%` },
+                { title: '佣金', dataIndex: 'commissionAmount', key: 'commissionAmount', render: formatAmount },
+                { title: '结算金额', dataIndex: 'settleAmount', key: 'settleAmount', render: formatAmount }
+              ]}
+            />
+          </>
+        )}
+      </Modal>
     </div>
   );
 };
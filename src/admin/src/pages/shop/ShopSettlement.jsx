@@ -1,73 +1,55 @@
 import React, { useState, useEffect } from 'react';
-import { Table, Button, Input, Select, DatePicker, Space, Tag, message, Spin } from 'antd';
+import { Table, Button, Input, Select, DatePicker, Space, Tag, message, Spin, Modal, Descriptions, Form, Popconfirm } from 'antd';
 import { SearchOutlined } from '@ant-design/icons';
+import { request } from '../../services/request';
 import './ShopSettlement.css';
 
 const { Option } = Select;
 const { RangePicker } = DatePicker;
 
+// 结算单状态
+const STATUS_MAP = {
+  pending: { text: '待审核', color: 'orange' },
+  approved: { text: '待打款', color: 'blue' },
+  paid: { text: '已打款', color: 'green' },
+  carried_over: { text: '已结转', color: 'default' }
+};
+
+// 打款渠道
+const PAYOUT_CHANNELS = [
+  { value: 'bank_transfer', label: '银行转账' },
+  { value: 'alipay', label: '支付宝' },
+  { value: 'wechat', label: '微信' }
+];
+
 // API调用对象
 const api = {
   // 获取店铺结算列表
   async getSettlementList(params) {
-    try {
-      const queryParams = new URLSearchParams();
-      if (params.billNo) queryParams.append('billNo', params.billNo);
-      if (params.startTime) queryParams.append('startTime', params.startTime);
-      if (params.endTime) queryParams.append('endTime', params.endTime);
-      if (params.billStatus) queryParams.append('billStatus', params.billStatus);
-      if (params.page) queryParams.append('page', params.page);
-      if (params.pageSize) queryParams.append('pageSize', params.pageSize);
-      
-      const response = await fetch(`/api/admin/shop/settlements?${queryParams.toString()}`);
-      if (!response.ok) {
-        throw new Error('网络请求失败');
-      }
-      const data = await response.json();
-      return data;
-    } catch (error) {
-      console.error('获取店铺结算列表失败:', error);
-      // 失败时返回模拟数据
-      return {
-        success: true,
-        data: [
-          {
-            id: '1',
-            billNo: 'B20251102198468326657566720',
-            createTime: '2025-11-02',
-            settleTimeRange: '2025-10-02至2025-11-02',
-            shopName: '薇薇',
-            settleAmount: '0.00',
-            status: '已出账'
-          },
-          {
-            id: '2',
-            billNo: 'B20251102198468326598089472',
-            createTime: '2025-11-02',
-            settleTimeRange: '2025-11-01至2025-11-02',
-            shopName: '薇品出露',
-            settleAmount: '0.00',
-            status: '已出账'
-          },
-        ],
-        total: 25861 // 保持与组件中的总记录数一致
-      };
-    }
+    const queryParams = new URLSearchParams();
+    if (params.billNo) queryParams.append('billNo', params.billNo);
+    if (params.startTime) queryParams.append('startTime', params.startTime);
+    if (params.endTime) queryParams.append('endTime', params.endTime);
+    if (params.billStatus) queryParams.append('billStatus', params.billStatus);
+    if (params.page) queryParams.append('page', params.page);
+    if (params.pageSize) queryParams.append('pageSize', params.pageSize);
+
+    return request(`/api/admin/shop/settlements?${queryParams.toString()}`);
   },
   
   // 获取结算详情
   async getSettlementDetail(billNo) {
-    try {
-      const response = await fetch(`/api/admin/shop/settlements/${billNo}`);
-      if (!response.ok) {
-        throw new Error('网络请求失败');
-      }
-      const data = await response.json();
-      return data;
-    } catch (error) {
-      console.error('获取结算详情失败:', error);
-      throw error;
-    }
+    return request(`/api/admin/shop/settlements/${billNo}`);
+  },
+
+  // 审核结算单
+  async approveSettlement(billNo) {
+    return request(`/api/admin/shop/settlements/${billNo}/approve`, { method: 'POST', body: JSON.stringify({}) });
+  },
+
+  // 登记结算单打款
+  async payoutSettlement(billNo, payout) {
+    return request(`/api/admin/shop/settlements/${billNo}/payout`, { method: 'POST', body: JSON.stringify(payout) });
   }
 };
 
@@ -79,9 +61,12 @@ const ShopSettlement = () => {
   const [billStatus, setBillStatus] = useState('');
   const [currentPage, setCurrentPage] = useState(1);
   const [pageSize, setPageSize] = useState(10);
-  const [total, setTotal] = useState(25861); // 从截图中获取的总记录数
+  const [total, setTotal] = useState(0);
   const [bills, setBills] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [detail, setDetail] = useState(null);
+  const [payoutBill, setPayoutBill] = useState(null);
+  const [payoutForm] = Form.useForm();
   
   // 获取结算列表数据
   const fetchSettlementList = async (params = {}) => {
@@ -107,14 +92,12 @@ const ShopSettlement = () => {
       
       const result = await api.getSettlementList(apiParams);
       
-      if (result.success) {
-        setBills(result.data);
-        setTotal(result.total);
-        setCurrentPage(params.page || currentPage);
-      }
+      setBills(result.data);
+      setTotal(result.total);
+      setCurrentPage(params.page || currentPage);
     } catch (error) {
       console.error('获取结算列表失败:', error);
-      message.error('获取结算列表失败');
+      message.error(error.message || '获取结算列表失败');
     } finally {
       setLoading(false);
     }
@@ -134,7 +117,6 @@ const ShopSettlement = () => {
     });
     // 重置到第一页并搜索
     fetchSettlementList({ page: 1 });
-    message.success('搜索成功');
   };
 
   // 处理重置
@@ -161,39 +143,48 @@ const ShopSettlement = () => {
   const handleViewDetail = async (record) => {
     try {
       const result = await api.getSettlementDetail(record.billNo);
-      if (result.success) {
-        console.log('查看账单详情:', result.data);
-        message.info(`查看账单 ${record.billNo} 详情`);
-        // 这里可以打开详情弹窗，展示result.data中的详细信息
-      }
+      setDetail(result.data);
     } catch (error) {
       console.error('获取详情失败:', error);
-      message.error('获取详情失败');
+      message.error(error.message || '获取详情失败');
+    }
+  };
+
+  // 处理审核结算单
+  const handleApprove = async (record) => {
+    try {
+      await api.approveSettlement(record.billNo);
+      message.success('结算单已审核');
+      fetchSettlementList();
+    } catch (error) {
+      message.error(error.message || '审核失败');
+    }
+  };
+
+  // 打开打款登记弹窗
+  const openPayout = (record) => {
+    payoutForm.resetFields();
+    payoutForm.setFieldsValue({ payoutChannel: 'bank_transfer' });
+    setPayoutBill(record);
+  };
+
+  // 提交打款登记
+  const handlePayout = async () => {
+    const values = await payoutForm.validateFields();
+    try {
+      await api.payoutSettlement(payoutBill.billNo, values);
+      message.success('已登记打款');
+      setPayoutBill(null);
+      fetchSettlementList();
+    } catch (error) {
+      message.error(error.message || '登记打款失败');
     }
   };
 
   // 渲染状态标签
   const renderStatusTag = (status) => {
-    let color = 'blue'; // 默认蓝色
-    
-    switch (status) {
-      case '已出账':
-        color = 'blue';
-        break;
-      case '已结算':
-        color = 'green';
-        break;
-      case '待结算':
-        color = 'orange';
-        break;
-      case '已取消':
-        color = 'red';
-        break;
-      default:
-        color = 'blue';
-    }
-    
-    return <Tag color={color} style={{ fontSize: '12px', padding: '2px 8px' }}>{status}</Tag>;
+    const item = STATUS_MAP[status] || { text: status, color: 'blue' };
+    return <Tag color={item.color} style={{ fontSize: '12px', padding: '2px 8px' }}>{item.text}</Tag>;
   };
 
   // 表格列配置
@@ -212,15 +203,16 @@ const ShopSettlement = () => {
     },
     {
       title: '生成时间',
-      dataIndex: 'createTime',
-      key: 'createTime',
-      width: 120
+      dataIndex: 'createdAt',
+      key: 'createdAt',
+      width: 120,
+      render: (value) => value ? new Date(value).toLocaleDateString() : '-'
     },
     {
       title: '结算时间段',
-      dataIndex: 'settleTimeRange',
-      key: 'settleTimeRange',
-      width: 150
+      dataIndex: 'period',
+      key: 'period',
+      width: 180
     },
     {
       title: '店铺名称',
@@ -233,7 +225,7 @@ const ShopSettlement = () => {
       dataIndex: 'settleAmount',
       key: 'settleAmount',
       width: 100,
-      render: (amount) => <span style={{ color: '#ff0000', fontSize: '12px' }}>¥{amount}</span>
+      render: (amount) => <span style={{ color: '#ff0000', fontSize: '12px' }}>¥{Number(amount).toFixed(2)}</span>
     },
     {
       title: '状态',
@@ -245,16 +237,26 @@ const ShopSettlement = () => {
     {
       title: '操作',
       key: 'action',
-      width: 80,
+      width: 160,
       render: (_, record) => (
-        <Button
-          type="link"
-          size="small"
-          onClick={() => handleViewDetail(record)}
-          style={{ color: '#ff7875', fontSize: '12px' }}
-        >
-          详情
-        </Button>
+        <Space size={0}>
+          <Button
+            type="link"
+            size="small"
+            onClick={() => handleViewDetail(record)}
+            style={{ color: '#ff7875', fontSize: '12px' }}
+          >
+            详情
+          </Button>
+          {record.status === 'pending' && (
+            <Popconfirm title="确认审核通过该结算单？" onConfirm={() => handleApprove(record)}>
+              <Button type="link" size="small" style={{ fontSize: '12px' }}>审核</Button>
+            </Popconfirm>
+          )}
+          {record.status === 'approved' && (
+            <Button type="link" size="small" onClick={() => openPayout(record)} style={{ fontSize: '12px' }}>打款</Button>
+          )}
+        </Space>
       )
     }
   ];
@@ -294,10 +296,9 @@ const ShopSettlement = () => {
               allowClear
               style={{ width: 180, fontSize: '12px', height: 32 }}
             >
-              <Option value="已出账">已出账</Option>
-              <Option value="已结算">已结算</Option>
-              <Option value="待结算">待结算</Option>
-              <Option value="已取消">已取消</Option>
+              {Object.entries(STATUS_MAP).map(([value, item]) => (
+                <Option key={value} value={value}>{item.text}</Option>
+              ))}
             </Select>
           </div>
           
@@ -386,6 +387,59 @@ const ShopSettlement = () => {
           </div>
         </div>
       </div>
+
+      {/* 结算详情弹窗 */}
+      <Modal open={!!detail} onCancel={() => setDetail(null)} footer={null} width={960} title={`结算单 ${detail?.billNo || ''}`}>
+        {detail && (
+          <>
+            <Descriptions size="small" column={3} style={{ marginBottom: 16 }}>
+              <Descriptions.Item label="店铺">{detail.shopName || detail.sellerId}</Descriptions.Item>
+              <Descriptions.Item label="结算时间段">{detail.period}</Descriptions.Item>
+              <Descriptions.Item label="状态">{renderStatusTag(detail.status)}</Descriptions.Item>
+              <Descriptions.Item label="订单数">{detail.orderCount}</Descriptions.Item>
+              <Descriptions.Item label="订单金额">¥{detail.orderAmount.toFixed(2)}</Descriptions.Item>
+              <Descriptions.Item label="平台佣金">¥{detail.commissionAmount.toFixed(2)}</Descriptions.Item>
+              <Descriptions.Item label="退款金额">¥{detail.refundAmount.toFixed(2)}</Descriptions.Item>
+              <Descriptions.Item label="退还佣金">¥{detail.refundCommissionAmount.toFixed(2)}</Descriptions.Item>
+              <Descriptions.Item label="上期结转">¥{detail.carryOverAmount.toFixed(2)}</Descriptions.Item>
+              <Descriptions.Item label="结算金额">¥{detail.settleAmount.toFixed(2)}</Descriptions.Item>
+              <Descriptions.Item label="打款流水号">{detail.payoutReference || '-'}</Descriptions.Item>
+              <Descriptions.Item label="打款时间">{detail.paidAt ? new Date(detail.paidAt).toLocaleString() : '-'}</Descriptions.Item>
+            </Descriptions>
+            <Table
+              size="small"
+              rowKey="id"
+              dataSource={detail.items}
+              pagination={{ pageSize: 10 }}
+              columns={[
+                { title: '类型', dataIndex: 'itemTypeText', key: 'itemTypeText' },
+                { title: '订单号', dataIndex: 'orderNo', key: 'orderNo', render: (value, item) => value || item.detail?.billNo || '-' },
+                { title: '发生时间', dataIndex: 'occurredAt', key: 'occurredAt', render: (value) => value ? new Date(value).toLocaleString() : '-' },
+                { title: '金额', dataIndex: 'amount', key: 'amount', render: (value) => `¥${value.toFixed(2)}` },
+                { title: '佣金比例', dataIndex: 'commissionRate', key: 'commissionRate', render: (value) => `${(value * 100).toFixed(2)}%` },
+                { title: '佣金', dataIndex: 'commissionAmount', key: 'commissionAmount', render: (value) => `¥${value.toFixed(2)}` },
+                { title: '结算金额', dataIndex: 'settleAmount', key: 'settleAmount', render: (value) => `¥${value.toFixed(2)}` }
+              ]}
+            />
+          </>
+        )}
+      </Modal>
+
+      {/* 打款登记弹窗 */}
+      <Modal open={!!payoutBill} onCancel={() => setPayoutBill(null)} onOk={handlePayout} title={`登记打款 ${payoutBill?.billNo || ''}`}>
+        <p>结算金额：¥{payoutBill ? Number(payoutBill.settleAmount).toFixed(2) : '0.00'}</p>
+        <Form form={payoutForm} layout="vertical">
+          <Form.Item label="打款渠道" name="payoutChannel" rules={[{ required: true, message: '请选择打款渠道' }]}>
+            <Select options={PAYOUT_CHANNELS} />
+          </Form.Item>
+          <Form.Item label="打款流水号" name="payoutReference" rules={[{ required: true, message: '请填写打款流水号' }]}>
+            <Input />
+          </Form.Item>
+          <Form.Item label="备注" name="remark">
+            <Input.TextArea rows={2} />
+          </Form.Item>
+        </Form>
+      </Modal>
     </div>
   );
 };
@@ -0,0 +1,17 @@
+// 管理端接口请求工具，所有页面共用
+
+// 请求头（携带管理员令牌）
+export const authHeaders = () => ({
+  'Content-Type': 'application/json',
+  Authorization: `Bearer ${localStorage.getItem('adminToken')}`
+});
+
+// 发送请求并解析结果，失败时抛出接口返回的错误信息
+export const request = async (url, options = {}) => {
+  const response = await fetch(url, { ...options, headers: authHeaders() });
+  const data = await response.json();
+  if (!response.ok || !data.success) {
+    throw new Error(data.message || '网络请求失败');
+  }
+  return data;
+};
@@ -5,11 +5,23 @@
 
 const logger = require('../../../core/logger');
 const contentRepository = require('../repositories/contentRepository');
+const knowledgeBaseService = require('../../../core/services/knowledgeBaseService');
+
+const { SOURCE_TYPE } = knowledgeBaseService;
 
 /**
  * 内容管理服务类
  */
 class ContentService {
+  // 同步AI助手的知识库索引，索引失败不影响内容保存
+  async syncKnowledgeBase(action) {
+    try {
+      await action();
+    } catch (error) {
+      logger.warn('同步知识库索引失败:', error);
+    }
+  }
+
   // 公告相关方法
   async createAnnouncement(data) {
     try {
@@ -106,6 +118,7 @@ class ContentService {
       };
       
       const result = await contentRepository.createHelpArticle(articleData);
+      await this.syncKnowledgeBase(() => knowledgeBaseService.upsertDocument(SOURCE_TYPE.HELP_ARTICLE, result));
       logger.info(`帮助文章创建成功: ${result.id}`);
       return result;
     } catch (error) {
@@ -174,6 +187,9 @@ class ContentService {
       };
       
       const result = await contentRepository.updateHelpArticle(id, updateData);
+      if (result) {
+        await this.syncKnowledgeBase(() => knowledgeBaseService.upsertDocument(SOURCE_TYPE.HELP_ARTICLE, result));
+      }
       logger.info(`帮助文章更新成功: ${id}`);
       return result;
     } catch (error) {
@@ -185,6 +201,7 @@ class ContentService {
   async deleteHelpArticle(id) {
     try {
       await contentRepository.deleteHelpArticle(id);
+      await this.syncKnowledgeBase(() => knowledgeBaseService.removeDocument(SOURCE_TYPE.HELP_ARTICLE, id));
       logger.info(`帮助文章删除成功: ${id}`);
     } catch (error) {
       logger.error(`删除帮助文章失败: ${id}`, error);
@@ -209,6 +226,10 @@ class ContentService {
       if (data.tags && data.tags.length > 0) {
         await contentRepository.createKnowledgeDocTags(result.id, data.tags);
       }
+      await this.syncKnowledgeBase(() => knowledgeBaseService.upsertDocument(SOURCE_TYPE.KNOWLEDGE_DOC, {
+        ...result,
+        tags: data.tags || []
+      }));
       
       logger.info(`知识库文档创建成功: ${result.id}`);
       return result;
@@ -285,6 +306,12 @@ class ContentService {
       if (tags !== undefined) {
         await contentRepository.updateKnowledgeDocTags(id, tags);
       }
+      if (result) {
+        await this.syncKnowledgeBase(async () => knowledgeBaseService.upsertDocument(SOURCE_TYPE.KNOWLEDGE_DOC, {
+          ...result,
+          tags: tags !== undefined ? tags : await contentRepository.getKnowledgeDocTags(id)
+        }));
+      }
       
       logger.info(`知识库文档更新成功: ${id}`);
       return result;
@@ -299,6 +326,7 @@ class ContentService {
       // 删除文档及其标签关联
       await contentRepository.deleteKnowledgeDoc(id);
       await contentRepository.deleteKnowledgeDocTags(id);
+      await this.syncKnowledgeBase(() => knowledgeBaseService.removeDocument(SOURCE_TYPE.KNOWLEDGE_DOC, id));
       logger.info(`知识库文档删除成功: ${id}`);
     } catch (error) {
       logger.error(`删除知识库文档失败: ${id}`, error);
@@ -0,0 +1,108 @@
+// 物流公司管理控制器
+const deliveryManageService = require('../services/deliveryManageService');
+const logger = require('../../../core/utils/logger');
+
+/**
+ * 返回错误响应，业务错误（4xx）返回具体原因
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误
+ * @param {string} message - 默认错误信息
+ */
+function sendError(res, error, message) {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? message : error.message,
+    error: error.message
+  });
+}
+
+/**
+ * 获取物流公司参数
+ * @param {Object} body - 请求体
+ * @returns {Object} 物流公司参数
+ */
+function getCompanyParams(body) {
+  const { code, name, phone, website, trackingUrl, sortOrder } = body;
+  return { code, name, phone, website, trackingUrl, sortOrder };
+}
+
+class LogisticsController {
+  /**
+   * 获取物流公司列表
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getCompanyList(req, res) {
+    try {
+      const { keyword, status } = req.query;
+      const result = await deliveryManageService.getCompanyList({
+        keyword,
+        status,
+        page: parseInt(req.query.page || 1),
+        pageSize: parseInt(req.query.pageSize || 10)
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        total: result.total,
+        message: '获取物流公司成功'
+      });
+    } catch (error) {
+      logger.error('获取物流公司失败', { error: error.message });
+      sendError(res, error, '获取物流公司失败');
+    }
+  }
+
+  /**
+   * 新增物流公司
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async createCompany(req, res) {
+    try {
+      const company = await deliveryManageService.createCompany(getCompanyParams(req.body));
+      res.status(201).json({ success: true, data: company, message: '物流公司已新增' });
+    } catch (error) {
+      logger.error('新增物流公司失败', { error: error.message });
+      sendError(res, error, '新增物流公司失败');
+    }
+  }
+
+  /**
+   * 修改物流公司
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async updateCompany(req, res) {
+    try {
+      const company = await deliveryManageService.updateCompany(parseInt(req.params.id), getCompanyParams(req.body));
+      res.status(200).json({ success: true, data: company, message: '物流公司已修改' });
+    } catch (error) {
+      logger.error('修改物流公司失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '修改物流公司失败');
+    }
+  }
+
+  /**
+   * 启用或停用物流公司
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async setCompanyStatus(req, res) {
+    try {
+      const company = await deliveryManageService.setCompanyStatus(parseInt(req.params.id), req.body.status);
+      res.status(200).json({
+        success: true,
+        data: company,
+        message: company.status === 'active' ? '物流公司已启用' : '物流公司已停用'
+      });
+    } catch (error) {
+      logger.error('修改物流公司状态失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '修改物流公司状态失败');
+    }
+  }
+}
+
+module.exports = new LogisticsController();
@@ -0,0 +1,103 @@
+// 行政地区管理控制器
+const deliveryManageService = require('../services/deliveryManageService');
+const logger = require('../../../core/utils/logger');
+
+/**
+ * 返回错误响应，业务错误（4xx）返回具体原因
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误
+ * @param {string} message - 默认错误信息
+ */
+function sendError(res, error, message) {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? message : error.message,
+    error: error.message
+  });
+}
+
+class RegionController {
+  /**
+   * 获取下级地区列表
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getRegionList(req, res) {
+    try {
+      const regions = await deliveryManageService.getRegions(req.query.parentCode || null);
+      res.status(200).json({ success: true, data: regions, total: regions.length, message: '获取地区成功' });
+    } catch (error) {
+      logger.error('获取地区失败', { parentCode: req.query.parentCode, error: error.message });
+      sendError(res, error, '获取地区失败');
+    }
+  }
+
+  /**
+   * 新增地区
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async createRegion(req, res) {
+    try {
+      const { code, parentCode, name, sortOrder } = req.body;
+      const region = await deliveryManageService.createRegion({ code, parentCode, name, sortOrder });
+      res.status(201).json({ success: true, data: region, message: '地区已新增' });
+    } catch (error) {
+      logger.error('新增地区失败', { code: req.body.code, error: error.message });
+      sendError(res, error, '新增地区失败');
+    }
+  }
+
+  /**
+   * 修改地区
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async updateRegion(req, res) {
+    try {
+      const { name, sortOrder } = req.body;
+      const region = await deliveryManageService.updateRegion(req.params.code, { name, sortOrder });
+      res.status(200).json({ success: true, data: region, message: '地区已修改' });
+    } catch (error) {
+      logger.error('修改地区失败', { code: req.params.code, error: error.message });
+      sendError(res, error, '修改地区失败');
+    }
+  }
+
+  /**
+   * 启用或停用地区
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async setRegionStatus(req, res) {
+    try {
+      const region = await deliveryManageService.setRegionStatus(req.params.code, req.body.status);
+      res.status(200).json({
+        success: true,
+        data: region,
+        message: region.status === 'active' ? '地区已启用' : '地区已停用'
+      });
+    } catch (error) {
+      logger.error('修改地区状态失败', { code: req.params.code, error: error.message });
+      sendError(res, error, '修改地区状态失败');
+    }
+  }
+
+  /**
+   * 批量导入地区
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async importRegions(req, res) {
+    try {
+      const result = await deliveryManageService.importRegions(req.body.regions);
+      res.status(200).json({ success: true, data: result, message: `已导入 ${result.total} 个地区` });
+    } catch (error) {
+      logger.error('导入地区失败', { error: error.message });
+      sendError(res, error, '导入地区失败');
+    }
+  }
+}
+
+module.exports = new RegionController();
@@ -0,0 +1,48 @@
+/**
+ * 配送设置管理模块
+ * 提供行政地区维护（含批量导入）和物流公司管理接口
+ */
+
+const logger = require('../../core/utils/logger');
+const authMiddleware = require('../../core/security/authMiddleware');
+const regionRoutes = require('./routes/regionRoutes');
+const logisticsRoutes = require('./routes/logisticsRoutes');
+
+const adminAuth = authMiddleware.auth(['admin', 'superadmin']);
+
+/**
+ * 管理员认证，认证失败时直接返回 401/403
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件
+ */
+function authenticateAdmin(req, res, next) {
+  adminAuth(req, res, (error) => {
+    if (error) {
+      return res.status(error.statusCode || 401).json({ success: false, message: error.message });
+    }
+    return next();
+  });
+}
+
+/**
+ * 初始化配送设置管理模块
+ * @param {Object} app - Express应用实例
+ */
+function initializeDeliveryModule(app) {
+  try {
+    logger.info('初始化配送设置管理模块');
+
+    app.use('/api/admin/regions', authenticateAdmin, regionRoutes);
+    app.use('/api/admin/logistics-companies', authenticateAdmin, logisticsRoutes);
+
+    logger.info('配送设置管理模块初始化完成');
+  } catch (error) {
+    logger.error('初始化配送设置管理模块失败:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  initialize: initializeDeliveryModule
+};
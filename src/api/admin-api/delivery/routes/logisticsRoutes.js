@@ -0,0 +1,49 @@
+// 物流公司管理路由
+const express = require('express');
+const router = express.Router();
+const logisticsController = require('../controllers/logisticsController');
+const deliveryValidation = require('../validations/deliveryValidation');
+
+/**
+ * @swagger
+ * /api/admin/logistics-companies:description: 获取物流公司列表
+ * @swagger
+ * /api/admin/logistics-companies:method: GET
+ * @swagger
+ * /api/admin/logistics-companies:parameters:
+ *   - name: keyword
+ *     description: 名称或编码
+ *     in: query
+ *     type: string
+ *   - name: status
+ *     description: 状态（active 启用、disabled 停用）
+ *     in: query
+ *     type: string
+ */
+router.get('/', deliveryValidation.validateCompanyList, logisticsController.getCompanyList);
+
+/**
+ * @swagger
+ * /api/admin/logistics-companies:description: 新增物流公司，运单查询地址中的 {trackingNumber} 会替换为运单号
+ * @swagger
+ * /api/admin/logistics-companies:method: POST
+ */
+router.post('/', deliveryValidation.validateCreateCompany, logisticsController.createCompany);
+
+/**
+ * @swagger
+ * /api/admin/logistics-companies/{id}:description: 修改物流公司（编码不可修改）
+ * @swagger
+ * /api/admin/logistics-companies/{id}:method: PUT
+ */
+router.put('/:id', deliveryValidation.validateUpdateCompany, logisticsController.updateCompany);
+
+/**
+ * @swagger
+ * /api/admin/logistics-companies/{id}/status:description: 启用或停用物流公司，停用后卖家不能再选择该物流公司发货
+ * @swagger
+ * /api/admin/logistics-companies/{id}/status:method: POST
+ */
+router.post('/:id/status', deliveryValidation.validateCompanyStatus, logisticsController.setCompanyStatus);
+
+module.exports = router;
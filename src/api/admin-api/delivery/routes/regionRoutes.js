@@ -0,0 +1,53 @@
+// 行政地区管理路由
+const express = require('express');
+const router = express.Router();
+const regionController = require('../controllers/regionController');
+const deliveryValidation = require('../validations/deliveryValidation');
+
+/**
+ * @swagger
+ * /api/admin/regions:description: 获取下级地区列表（含已停用的地区），未指定上级地区时返回省级地区
+ * @swagger
+ * /api/admin/regions:method: GET
+ * @swagger
+ * /api/admin/regions:parameters:
+ *   - name: parentCode
+ *     description: 上级地区代码
+ *     in: query
+ *     type: string
+ */
+router.get('/', deliveryValidation.validateRegionList, regionController.getRegionList);
+
+/**
+ * @swagger
+ * /api/admin/regions:description: 新增地区，上级地区为空时新增省级地区
+ * @swagger
+ * /api/admin/regions:method: POST
+ */
+router.post('/', deliveryValidation.validateCreateRegion, regionController.createRegion);
+
+/**
+ * @swagger
+ * /api/admin/regions/import:description: 批量导入省市区数据（regions 为 [{ code, name, children }] 树），已存在的地区按代码更新名称和上级
+ * @swagger
+ * /api/admin/regions/import:method: POST
+ */
+router.post('/import', deliveryValidation.validateImportRegions, regionController.importRegions);
+
+/**
+ * @swagger
+ * /api/admin/regions/{code}:description: 修改地区名称和排序
+ * @swagger
+ * /api/admin/regions/{code}:method: PUT
+ */
+router.put('/:code', deliveryValidation.validateUpdateRegion, regionController.updateRegion);
+
+/**
+ * @swagger
+ * /api/admin/regions/{code}/status:description: 启用或停用地区，停用后该地区及其下级地区不再出现在买家的地区选择中
+ * @swagger
+ * /api/admin/regions/{code}/status:method: POST
+ */
+router.post('/:code/status', deliveryValidation.validateRegionStatus, regionController.setRegionStatus);
+
+module.exports = router;
@@ -0,0 +1,98 @@
+// 配送设置管理服务层
+// 行政地区和物流公司的业务逻辑由核心地区服务和物流公司服务处理，管理端负责维护数据
+const regionService = require('../../../core/services/regionService');
+const logisticsCompanyService = require('../../../core/services/logisticsCompanyService');
+
+class DeliveryManageService {
+  /**
+   * 获取下级地区列表（含已停用的地区）
+   * @param {string} [parentCode] - 上级地区代码，为空时返回省级地区
+   * @returns {Promise<Array>} 地区列表
+   */
+  async getRegions(parentCode) {
+    return regionService.getChildren(parentCode, { includeDisabled: true });
+  }
+
+  /**
+   * 新增地区
+   * @param {Object} params - { code, parentCode, name, sortOrder }
+   * @returns {Promise<Object>} 地区
+   */
+  async createRegion(params) {
+    return regionService.createRegion(params);
+  }
+
+  /**
+   * 修改地区
+   * @param {string} code - 地区代码
+   * @param {Object} params - { name, sortOrder }
+   * @returns {Promise<Object>} 地区
+   */
+  async updateRegion(code, params) {
+    return regionService.updateRegion(code, params);
+  }
+
+  /**
+   * 启用或停用地区
+   * @param {string} code - 地区代码
+   * @param {string} status - 地区状态
+   * @returns {Promise<Object>} 地区
+   */
+  async setRegionStatus(code, status) {
+    return regionService.setStatus(code, status);
+  }
+
+  /**
+   * 批量导入地区
+   * @param {Array} regions - 省市区树 [{ code, name, children }]
+   * @returns {Promise<Object>} { total }
+   */
+  async importRegions(regions) {
+    return regionService.importRegions(regions);
+  }
+
+  /**
+   * 获取物流公司列表
+   * @param {Object} params - 查询参数 { keyword, status, page, pageSize }
+   * @returns {Promise<Object>} 物流公司数据和总数
+   */
+  async getCompanyList(params) {
+    const result = await logisticsCompanyService.getCompanies(params);
+
+    return {
+      data: result.list,
+      total: result.total
+    };
+  }
+
+  /**
+   * 新增物流公司
+   * @param {Object} params - 物流公司参数
+   * @returns {Promise<Object>} 物流公司
+   */
+  async createCompany(params) {
+    return logisticsCompanyService.createCompany(params);
+  }
+
+  /**
+   * 修改物流公司
+   * @param {number} id - 物流公司ID
+   * @param {Object} params - 物流公司参数
+   * @returns {Promise<Object>} 物流公司
+   */
+  async updateCompany(id, params) {
+    return logisticsCompanyService.updateCompany(id, params);
+  }
+
+  /**
+   * 启用或停用物流公司
+   * @param {number} id - 物流公司ID
+   * @param {string} status - 物流公司状态
+   * @returns {Promise<Object>} 物流公司
+   */
+  async setCompanyStatus(id, status) {
+    return logisticsCompanyService.setStatus(id, status);
+  }
+}
+
+module.exports = new DeliveryManageService();
@@ -0,0 +1,137 @@
+/**
+ * 配送设置验证规则
+ * 确保行政地区和物流公司管理接口输入数据的合法性
+ */
+
+const { param, query, body, validationResult } = require('express-validator');
+const { REGION_STATUS } = require('../../../core/services/regionService');
+const { COMPANY_STATUS } = require('../../../core/services/logisticsCompanyService');
+
+/**
+ * 验证请求参数
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg,
+      errors: errors.array()
+    });
+  }
+  return next();
+};
+
+// 地区代码
+const regionCode = param('code').matches(/^\d{6}$/).withMessage('地区代码必须是6位数字');
+
+// 物流公司ID
+const companyId = param('id').isInt({ min: 1 }).withMessage('无效的物流公司ID');
+
+// 物流公司参数规则
+const companyRules = [
+  body('name').trim().notEmpty().withMessage('请输入物流公司名称').isLength({ max: 50 }).withMessage('物流公司名称不能超过50个字符'),
+  body('phone').optional({ nullable: true, checkFalsy: true }).isLength({ max: 30 }).withMessage('客服电话不能超过30个字符'),
+  body('website').optional({ nullable: true, checkFalsy: true }).isLength({ max: 255 }).withMessage('官网地址不能超过255个字符'),
+  body('trackingUrl').optional({ nullable: true, checkFalsy: true }).isLength({ max: 500 }).withMessage('运单查询地址不能超过500个字符'),
+  body('sortOrder').optional().isInt({ min: 0 }).withMessage('排序必须是非负整数')
+];
+
+/**
+ * 验证地区列表查询
+ */
+const validateRegionList = [
+  query('parentCode').optional({ checkFalsy: true }).matches(/^\d{6}$/).withMessage('上级地区代码必须是6位数字'),
+  validate
+];
+
+/**
+ * 验证新增地区
+ */
+const validateCreateRegion = [
+  body('code').matches(/^\d{6}$/).withMessage('地区代码必须是6位数字'),
+  body('parentCode').optional({ nullable: true, checkFalsy: true }).matches(/^\d{6}$/).withMessage('上级地区代码必须是6位数字'),
+  body('name').trim().notEmpty().withMessage('请输入地区名称').isLength({ max: 50 }).withMessage('地区名称不能超过50个字符'),
+  body('sortOrder').optional().isInt({ min: 0 }).withMessage('排序必须是非负整数'),
+  validate
+];
+
+/**
+ * 验证修改地区
+ */
+const validateUpdateRegion = [
+  regionCode,
+  body('name').trim().notEmpty().withMessage('请输入地区名称').isLength({ max: 50 }).withMessage('地区名称不能超过50个字符'),
+  body('sortOrder').optional().isInt({ min: 0 }).withMessage('排序必须是非负整数'),
+  validate
+];
+
+/**
+ * 验证启用或停用地区
+ */
+const validateRegionStatus = [
+  regionCode,
+  body('status').isIn(Object.values(REGION_STATUS)).withMessage('无效的地区状态'),
+  validate
+];
+
+/**
+ * 验证导入地区
+ */
+const validateImportRegions = [
+  body('regions').isArray({ min: 1 }).withMessage('请提供省市区数据'),
+  validate
+];
+
+/**
+ * 验证物流公司列表查询
+ */
+const validateCompanyList = [
+  query('status').optional({ checkFalsy: true }).isIn(Object.values(COMPANY_STATUS)).withMessage('无效的物流公司状态'),
+  query('keyword').optional({ checkFalsy: true }).isLength({ max: 50 }).withMessage('关键词不能超过50个字符'),
+  query('page').optional().isInt({ min: 1 }).withMessage('页码必须是正整数'),
+  query('pageSize').optional().isInt({ min: 1, max: 100 }).withMessage('每页数量必须为1-100'),
+  validate
+];
+
+/**
+ * 验证新增物流公司
+ */
+const validateCreateCompany = [
+  body('code').trim().matches(/^[A-Za-z0-9_]{2,20}$/).withMessage('物流公司编码为2-20位字母、数字或下划线'),
+  ...companyRules,
+  validate
+];
+
+/**
+ * 验证修改物流公司
+ */
+const validateUpdateCompany = [
+  companyId,
+  ...companyRules,
+  validate
+];
+
+/**
+ * 验证启用或停用物流公司
+ */
+const validateCompanyStatus = [
+  companyId,
+  body('status').isIn(Object.values(COMPANY_STATUS)).withMessage('无效的物流公司状态'),
+  validate
+];
+
+module.exports = {
+  validateRegionList,
+  validateCreateRegion,
+  validateUpdateRegion,
+  validateRegionStatus,
+  validateImportRegions,
+  validateCompanyList,
+  validateCreateCompany,
+  validateUpdateCompany,
+  validateCompanyStatus
+};
@@ -0,0 +1,393 @@
+// 分销管理控制器
+const distributionManageService = require('../services/distributionManageService');
+const logger = require('../../../core/utils/logger');
+
+/**
+ * 返回错误响应，业务错误（4xx）返回具体原因
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误
+ * @param {string} message - 默认错误信息
+ */
+function sendError(res, error, message) {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? message : error.message,
+    error: error.message
+  });
+}
+
+/**
+ * 获取当前操作的管理员
+ * @param {Object} req - Express请求对象
+ * @returns {Object} 操作人 { id }
+ */
+function getOperator(req) {
+  return { id: req.user.id || req.user.userId };
+}
+
+/**
+ * 解析分页参数
+ * @param {Object} query - 查询参数
+ * @returns {Object} { page, pageSize }
+ */
+function getPage(query) {
+  return {
+    page: parseInt(query.page || 1),
+    pageSize: parseInt(query.pageSize || 10)
+  };
+}
+
+class DistributionController {
+  /**
+   * 获取分销设置
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getSettings(req, res) {
+    try {
+      const settings = await distributionManageService.getSettings();
+      res.status(200).json({ success: true, data: settings, message: '获取分销设置成功' });
+    } catch (error) {
+      logger.error('获取分销设置失败', { error: error.message });
+      sendError(res, error, '获取分销设置失败');
+    }
+  }
+
+  /**
+   * 保存分销设置
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async saveSettings(req, res) {
+    try {
+      const { enabled, levels, level1Rate, level2Rate, freezeDays } = req.body;
+      const settings = await distributionManageService.saveSettings(
+        { enabled, levels, level1Rate, level2Rate, freezeDays },
+        getOperator(req)
+      );
+      res.status(200).json({ success: true, data: settings, message: '分销设置已保存' });
+    } catch (error) {
+      logger.error('保存分销设置失败', { error: error.message });
+      sendError(res, error, '保存分销设置失败');
+    }
+  }
+
+  /**
+   * 获取分销员申请
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getApplicationList(req, res) {
+    try {
+      const { username, status, startTime, endTime } = req.query;
+      const result = await distributionManageService.getApplicationList({ username, status, startTime, endTime, ...getPage(req.query) });
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        total: result.total,
+        message: '获取分销员申请成功'
+      });
+    } catch (error) {
+      logger.error('获取分销员申请失败', { error: error.message });
+      sendError(res, error, '获取分销员申请失败');
+    }
+  }
+
+  /**
+   * 审核通过分销员申请
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async approveApplication(req, res) {
+    try {
+      const distributor = await distributionManageService.approveApplication(parseInt(req.params.id), getOperator(req));
+      res.status(200).json({ success: true, data: distributor, message: '分销员申请已通过' });
+    } catch (error) {
+      logger.error('审核通过分销员申请失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '审核分销员申请失败');
+    }
+  }
+
+  /**
+   * 驳回分销员申请
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async rejectApplication(req, res) {
+    try {
+      const distributor = await distributionManageService.rejectApplication(parseInt(req.params.id), getOperator(req), req.body.reason);
+      res.status(200).json({ success: true, data: distributor, message: '分销员申请已驳回' });
+    } catch (error) {
+      logger.error('驳回分销员申请失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '驳回分销员申请失败');
+    }
+  }
+
+  /**
+   * 获取分销员
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getDistributorList(req, res) {
+    try {
+      const { username, status } = req.query;
+      const result = await distributionManageService.getDistributorList({ username, status, ...getPage(req.query) });
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        total: result.total,
+        message: '获取分销员成功'
+      });
+    } catch (error) {
+      logger.error('获取分销员失败', { error: error.message });
+      sendError(res, error, '获取分销员失败');
+    }
+  }
+
+  /**
+   * 获取分销员详情
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getDistributorDetail(req, res) {
+    try {
+      const distributor = await distributionManageService.getDistributorDetail(parseInt(req.params.id));
+      res.status(200).json({ success: true, data: distributor, message: '获取分销员详情成功' });
+    } catch (error) {
+      logger.error('获取分销员详情失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '获取分销员详情失败');
+    }
+  }
+
+  /**
+   * 修改分销员资料
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async updateDistributor(req, res) {
+    try {
+      const { realName, phone, idCard, bankName, bankAccount, bankBranch } = req.body;
+      const distributor = await distributionManageService.updateDistributor(
+        parseInt(req.params.id),
+        { realName, phone, idCard, bankName, bankAccount, bankBranch },
+        getOperator(req)
+      );
+      res.status(200).json({ success: true, data: distributor, message: '分销员资料已修改' });
+    } catch (error) {
+      logger.error('修改分销员资料失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '修改分销员资料失败');
+    }
+  }
+
+  /**
+   * 清退分销员
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async retireDistributor(req, res) {
+    try {
+      const distributor = await distributionManageService.setDistributorRetired(parseInt(req.params.id), getOperator(req), true);
+      res.status(200).json({ success: true, data: distributor, message: '分销员已清退' });
+    } catch (error) {
+      logger.error('清退分销员失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '清退分销员失败');
+    }
+  }
+
+  /**
+   * 恢复分销员
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async restoreDistributor(req, res) {
+    try {
+      const distributor = await distributionManageService.setDistributorRetired(parseInt(req.params.id), getOperator(req), false);
+      res.status(200).json({ success: true, data: distributor, message: '分销员已恢复' });
+    } catch (error) {
+      logger.error('恢复分销员失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '恢复分销员失败');
+    }
+  }
+
+  /**
+   * 获取分销商品
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getProductList(req, res) {
+    try {
+      const { productName, categoryId } = req.query;
+      const result = await distributionManageService.getProductList({ productName, categoryId, ...getPage(req.query) });
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        total: result.total,
+        message: '获取分销商品成功'
+      });
+    } catch (error) {
+      logger.error('获取分销商品失败', { error: error.message });
+      sendError(res, error, '获取分销商品失败');
+    }
+  }
+
+  /**
+   * 获取佣金规则
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getRules(req, res) {
+    try {
+      const rules = await distributionManageService.getRules(req.query.targetType);
+      res.status(200).json({ success: true, data: rules, message: '获取佣金规则成功' });
+    } catch (error) {
+      logger.error('获取佣金规则失败', { error: error.message });
+      sendError(res, error, '获取佣金规则失败');
+    }
+  }
+
+  /**
+   * 设置佣金规则
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async saveRule(req, res) {
+    try {
+      const { targetType, targetId, level1Rate, level2Rate } = req.body;
+      const rule = await distributionManageService.saveRule({ targetType, targetId, level1Rate, level2Rate }, getOperator(req));
+      res.status(200).json({ success: true, data: rule, message: '佣金规则已保存' });
+    } catch (error) {
+      logger.error('设置佣金规则失败', { error: error.message });
+      sendError(res, error, '设置佣金规则失败');
+    }
+  }
+
+  /**
+   * 删除佣金规则
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async deleteRule(req, res) {
+    try {
+      await distributionManageService.deleteRule(req.params.targetType, req.params.targetId);
+      res.status(200).json({ success: true, message: '佣金规则已删除' });
+    } catch (error) {
+      logger.error('删除佣金规则失败', { targetType: req.params.targetType, targetId: req.params.targetId, error: error.message });
+      sendError(res, error, '删除佣金规则失败');
+    }
+  }
+
+  /**
+   * 获取分销订单
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getCommissionList(req, res) {
+    try {
+      const { orderNo, distributor, storeName, status, level, startTime, endTime } = req.query;
+      const result = await distributionManageService.getCommissionList({
+        orderNo,
+        distributor,
+        storeName,
+        status,
+        level,
+        startTime,
+        endTime,
+        ...getPage(req.query)
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        total: result.total,
+        message: '获取分销订单成功'
+      });
+    } catch (error) {
+      logger.error('获取分销订单失败', { error: error.message });
+      sendError(res, error, '获取分销订单失败');
+    }
+  }
+
+  /**
+   * 获取佣金提现申请
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getWithdrawalList(req, res) {
+    try {
+      const { username, withdrawNo, status, startTime, endTime } = req.query;
+      const result = await distributionManageService.getWithdrawalList({
+        username,
+        withdrawNo,
+        status,
+        startTime,
+        endTime,
+        ...getPage(req.query)
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        total: result.total,
+        message: '获取佣金提现申请成功'
+      });
+    } catch (error) {
+      logger.error('获取佣金提现申请失败', { error: error.message });
+      sendError(res, error, '获取佣金提现申请失败');
+    }
+  }
+
+  /**
+   * 获取佣金提现申请详情
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getWithdrawalDetail(req, res) {
+    try {
+      const withdrawal = await distributionManageService.getWithdrawalDetail(req.params.withdrawNo);
+      res.status(200).json({ success: true, data: withdrawal, message: '获取佣金提现申请详情成功' });
+    } catch (error) {
+      logger.error('获取佣金提现申请详情失败', { withdrawNo: req.params.withdrawNo, error: error.message });
+      sendError(res, error, '获取佣金提现申请详情失败');
+    }
+  }
+
+  /**
+   * 佣金提现审核通过
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async approveWithdrawal(req, res) {
+    try {
+      const { payoutReference, remark } = req.body;
+      const withdrawal = await distributionManageService.approveWithdrawal(req.params.withdrawNo, getOperator(req), {
+        payoutReference,
+        remark
+      });
+      res.status(200).json({ success: true, data: withdrawal, message: '提现申请已通过' });
+    } catch (error) {
+      logger.error('佣金提现审核通过失败', { withdrawNo: req.params.withdrawNo, error: error.message });
+      sendError(res, error, '提现审核失败');
+    }
+  }
+
+  /**
+   * 驳回佣金提现申请
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async rejectWithdrawal(req, res) {
+    try {
+      const withdrawal = await distributionManageService.rejectWithdrawal(req.params.withdrawNo, getOperator(req), req.body.reason);
+      res.status(200).json({ success: true, data: withdrawal, message: '提现申请已驳回' });
+    } catch (error) {
+      logger.error('驳回佣金提现申请失败', { withdrawNo: req.params.withdrawNo, error: error.message });
+      sendError(res, error, '驳回提现申请失败');
+    }
+  }
+}
+
+module.exports = new DistributionController();
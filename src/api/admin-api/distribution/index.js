@@ -0,0 +1,46 @@
+/**
+ * 分销管理模块
+ * 提供分销设置、分销员申请审核、分销员管理、佣金规则、分销订单和佣金提现审核接口
+ */
+
+const logger = require('../../core/utils/logger');
+const authMiddleware = require('../../core/security/authMiddleware');
+const distributionRoutes = require('./routes/distributionRoutes');
+
+const adminAuth = authMiddleware.auth(['admin', 'superadmin']);
+
+/**
+ * 管理员认证，认证失败时直接返回 401/403
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件
+ */
+function authenticateAdmin(req, res, next) {
+  adminAuth(req, res, (error) => {
+    if (error) {
+      return res.status(error.statusCode || 401).json({ success: false, message: error.message });
+    }
+    return next();
+  });
+}
+
+/**
+ * 初始化分销管理模块
+ * @param {Object} app - Express应用实例
+ */
+function initializeDistributionModule(app) {
+  try {
+    logger.info('初始化分销管理模块');
+
+    app.use('/api/admin/distribution', authenticateAdmin, distributionRoutes);
+
+    logger.info('分销管理模块初始化完成');
+  } catch (error) {
+    logger.error('初始化分销管理模块失败:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  initialize: initializeDistributionModule
+};
@@ -0,0 +1,302 @@
+// 分销管理路由
+const express = require('express');
+const router = express.Router();
+const distributionController = require('../controllers/distributionController');
+const distributionValidation = require('../validations/distributionValidation');
+
+/**
+ * @swagger
+ * /api/admin/distribution/settings:description: 获取分销设置（开关、分销层级、默认佣金比例、佣金冻结天数）
+ * @swagger
+ * /api/admin/distribution/settings:method: GET
+ */
+router.get('/settings', distributionController.getSettings);
+
+/**
+ * @swagger
+ * /api/admin/distribution/settings:description: 保存分销设置，对之后支付的订单生效
+ * @swagger
+ * /api/admin/distribution/settings:method: PUT
+ * @swagger
+ * /api/admin/distribution/settings:parameters:
+ *   - name: enabled
+ *     description: 是否开启分销
+ *     in: body
+ *     type: boolean
+ *   - name: levels
+ *     description: 分销层级（1 或 2）
+ *     in: body
+ *     type: integer
+ *   - name: level1Rate
+ *     description: 一级佣金比例（0-1）
+ *     in: body
+ *     type: number
+ *   - name: level2Rate
+ *     description: 二级佣金比例（0-1）
+ *     in: body
+ *     type: number
+ *   - name: freezeDays
+ *     description: 订单完成后佣金冻结天数（售后期）
+ *     in: body
+ *     type: integer
+ */
+router.put('/settings', distributionValidation.validateSettings, distributionController.saveSettings);
+
+/**
+ * @swagger
+ * /api/admin/distribution/applications:description: 获取分销员申请（默认待审核）
+ * @swagger
+ * /api/admin/distribution/applications:method: GET
+ * @swagger
+ * /api/admin/distribution/applications:parameters:
+ *   - name: username
+ *     description: 会员名称、手机号或真实姓名
+ *     in: query
+ *     type: string
+ *   - name: status
+ *     description: 申请状态（pending 待审核、rejected 已驳回）
+ *     in: query
+ *     type: string
+ */
+router.get('/applications', distributionValidation.validateDistributorList, distributionController.getApplicationList);
+
+/**
+ * @swagger
+ * /api/admin/distribution/applications/{id}/approve:description: 审核通过分销员申请，生成推广码
+ * @swagger
+ * /api/admin/distribution/applications/{id}/approve:method: POST
+ */
+router.post('/applications/:id/approve', distributionValidation.validateDistributorId, distributionController.approveApplication);
+
+/**
+ * @swagger
+ * /api/admin/distribution/applications/{id}/reject:description: 驳回分销员申请
+ * @swagger
+ * /api/admin/distribution/applications/{id}/reject:method: POST
+ * @swagger
+ * /api/admin/distribution/applications/{id}/reject:parameters:
+ *   - name: reason
+ *     description: 驳回原因
+ *     in: body
+ *     type: string
+ *     required: true
+ */
+router.post('/applications/:id/reject', distributionValidation.validateRejectApplication, distributionController.rejectApplication);
+
+/**
+ * @swagger
+ * /api/admin/distribution/distributors:description: 获取分销员（默认已通过和已清退），含推广人数、推广订单金额和各状态佣金
+ * @swagger
+ * /api/admin/distribution/distributors:method: GET
+ * @swagger
+ * /api/admin/distribution/distributors:parameters:
+ *   - name: username
+ *     description: 会员名称、手机号或真实姓名
+ *     in: query
+ *     type: string
+ *   - name: status
+ *     description: 分销员状态（passed 已通过、retired 已清退）
+ *     in: query
+ *     type: string
+ */
+router.get('/distributors', distributionValidation.validateDistributorList, distributionController.getDistributorList);
+
+/**
+ * @swagger
+ * /api/admin/distribution/distributors/{id}:description: 获取分销员详情
+ * @swagger
+ * /api/admin/distribution/distributors/{id}:method: GET
+ */
+router.get('/distributors/:id', distributionValidation.validateDistributorId, distributionController.getDistributorDetail);
+
+/**
+ * @swagger
+ * /api/admin/distribution/distributors/{id}:description: 修改分销员资料（真实姓名、手机号、身份证号、收款银行信息）
+ * @swagger
+ * /api/admin/distribution/distributors/{id}:method: PUT
+ */
+router.put('/distributors/:id', distributionValidation.validateUpdateDistributor, distributionController.updateDistributor);
+
+/**
+ * @swagger
+ * /api/admin/distribution/distributors/{id}/retire:description: 清退分销员，清退后不再产生新佣金
+ * @swagger
+ * /api/admin/distribution/distributors/{id}/retire:method: POST
+ */
+router.post('/distributors/:id/retire', distributionValidation.validateDistributorId, distributionController.retireDistributor);
+
+/**
+ * @swagger
+ * /api/admin/distribution/distributors/{id}/restore:description: 恢复已清退的分销员
+ * @swagger
+ * /api/admin/distribution/distributors/{id}/restore:method: POST
+ */
+router.post('/distributors/:id/restore', distributionValidation.validateDistributorId, distributionController.restoreDistributor);
+
+/**
+ * @swagger
+ * /api/admin/distribution/products:description: 获取分销商品及生效的佣金比例、一级佣金金额
+ * @swagger
+ * /api/admin/distribution/products:method: GET
+ * @swagger
+ * /api/admin/distribution/products:parameters:
+ *   - name: productName
+ *     description: 商品名称
+ *     in: query
+ *     type: string
+ *   - name: categoryId
+ *     description: 分类ID
+ *     in: query
+ *     type: string
+ */
+router.get('/products', distributionController.getProductList);
+
+/**
+ * @swagger
+ * /api/admin/distribution/rules:description: 获取商品、分类佣金规则
+ * @swagger
+ * /api/admin/distribution/rules:method: GET
+ * @swagger
+ * /api/admin/distribution/rules:parameters:
+ *   - name: targetType
+ *     description: 规则对象类型（product、category）
+ *     in: query
+ *     type: string
+ */
+router.get('/rules', distributionController.getRules);
+
+/**
+ * @swagger
+ * /api/admin/distribution/rules:description: 设置商品或分类的佣金比例（商品优先于分类，分类未配置时沿用上级分类），比例为 0 表示不参与分销
+ * @swagger
+ * /api/admin/distribution/rules:method: PUT
+ * @swagger
+ * /api/admin/distribution/rules:parameters:
+ *   - name: targetType
+ *     description: 规则对象类型（product、category）
+ *     in: body
+ *     type: string
+ *     required: true
+ *   - name: targetId
+ *     description: 商品或分类ID
+ *     in: body
+ *     type: string
+ *     required: true
+ *   - name: level1Rate
+ *     description: 一级佣金比例（0-1）
+ *     in: body
+ *     type: number
+ *     required: true
+ *   - name: level2Rate
+ *     description: 二级佣金比例（0-1）
+ *     in: body
+ *     type: number
+ */
+router.put('/rules', distributionValidation.validateSaveRule, distributionController.saveRule);
+
+/**
+ * @swagger
+ * /api/admin/distribution/rules/{targetType}/{targetId}:description: 删除佣金规则
+ * @swagger
+ * /api/admin/distribution/rules/{targetType}/{targetId}:method: DELETE
+ */
+router.delete('/rules/:targetType/:targetId', distributionValidation.validateDeleteRule, distributionController.deleteRule);
+
+/**
+ * @swagger
+ * /api/admin/distribution/orders:description: 获取分销订单（每个订单商品、每级分销员一条佣金记录）
+ * @swagger
+ * /api/admin/distribution/orders:method: GET
+ * @swagger
+ * /api/admin/distribution/orders:parameters:
+ *   - name: orderNo
+ *     description: 订单号
+ *     in: query
+ *     type: string
+ *   - name: distributor
+ *     description: 分销员名称、手机号或真实姓名
+ *     in: query
+ *     type: string
+ *   - name: storeName
+ *     description: 店铺名称
+ *     in: query
+ *     type: string
+ *   - name: status
+ *     description: 佣金状态（frozen 冻结中、available 已结算、reversed 已退回）
+ *     in: query
+ *     type: string
+ *   - name: startTime
+ *     description: 开始时间
+ *     in: query
+ *     type: string
+ *   - name: endTime
+ *     description: 结束时间
+ *     in: query
+ *     type: string
+ */
+router.get('/orders', distributionValidation.validateCommissionList, distributionController.getCommissionList);
+
+/**
+ * @swagger
+ * /api/admin/distribution/withdrawals:description: 获取佣金提现申请
+ * @swagger
+ * /api/admin/distribution/withdrawals:method: GET
+ * @swagger
+ * /api/admin/distribution/withdrawals:parameters:
+ *   - name: username
+ *     description: 会员名称、手机号或真实姓名
+ *     in: query
+ *     type: string
+ *   - name: withdrawNo
+ *     description: 申请编号
+ *     in: query
+ *     type: string
+ *   - name: status
+ *     description: 提现状态（pending 待审核、approved 通过、rejected 审核拒绝）
+ *     in: query
+ *     type: string
+ */
+router.get('/withdrawals', distributionValidation.validateWithdrawalList, distributionController.getWithdrawalList);
+
+/**
+ * @swagger
+ * /api/admin/distribution/withdrawals/{withdrawNo}:description: 获取佣金提现申请详情
+ * @swagger
+ * /api/admin/distribution/withdrawals/{withdrawNo}:method: GET
+ */
+router.get('/withdrawals/:withdrawNo', distributionController.getWithdrawalDetail);
+
+/**
+ * @swagger
+ * /api/admin/distribution/withdrawals/{withdrawNo}/approve:description: 佣金提现审核通过（线下打款后登记打款流水号）
+ * @swagger
+ * /api/admin/distribution/withdrawals/{withdrawNo}/approve:method: POST
+ * @swagger
+ * /api/admin/distribution/withdrawals/{withdrawNo}/approve:parameters:
+ *   - name: payoutReference
+ *     description: 打款流水号
+ *     in: body
+ *     type: string
+ *   - name: remark
+ *     description: 审核备注
+ *     in: body
+ *     type: string
+ */
+router.post('/withdrawals/:withdrawNo/approve', distributionValidation.validateApproveWithdrawal, distributionController.approveWithdrawal);
+
+/**
+ * @swagger
+ * /api/admin/distribution/withdrawals/{withdrawNo}/reject:description: 驳回佣金提现申请，提现金额退回可提现佣金
+ * @swagger
+ * /api/admin/distribution/withdrawals/{withdrawNo}/reject:method: POST
+ * @swagger
+ * /api/admin/distribution/withdrawals/{withdrawNo}/reject:parameters:
+ *   - name: reason
+ *     description: 驳回原因
+ *     in: body
+ *     type: string
+ *     required: true
+ */
+router.post('/withdrawals/:withdrawNo/reject', distributionValidation.validateRejectWithdrawal, distributionController.rejectWithdrawal);
+
+module.exports = router;
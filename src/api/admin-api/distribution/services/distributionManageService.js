@@ -0,0 +1,252 @@
+// 分销管理服务层
+// 佣金计算、冻结解冻、退款冲减和提现金额变动由核心分销服务处理，管理端负责设置、审核和查询
+const distributionService = require('../../../core/services/distributionService');
+const { DISTRIBUTOR_STATUS } = distributionService;
+
+class DistributionManageService {
+  /**
+   * 获取分销设置
+   * @returns {Promise<Object>} 分销设置
+   */
+  async getSettings() {
+    return distributionService.getSettings();
+  }
+
+  /**
+   * 保存分销设置
+   * @param {Object} settings - { enabled, levels, level1Rate, level2Rate, freezeDays }
+   * @param {Object} operator - 操作人
+   * @returns {Promise<Object>} 分销设置
+   */
+  async saveSettings(settings, operator) {
+    return distributionService.saveSettings(settings, operator);
+  }
+
+  /**
+   * 获取分销员申请（默认只返回待审核的申请）
+   * @param {Object} params - 查询参数 { username, status, startTime, endTime, page, pageSize }
+   * @returns {Promise<Object>} 申请数据和总数
+   */
+  async getApplicationList(params) {
+    const { username, status, startTime, endTime, page, pageSize } = params;
+
+    const result = await distributionService.getDistributors({
+      keyword: username,
+      status: status || DISTRIBUTOR_STATUS.PENDING,
+      startDate: startTime,
+      endDate: endTime,
+      page,
+      pageSize
+    });
+
+    return {
+      data: result.list,
+      total: result.total
+    };
+  }
+
+  /**
+   * 审核通过分销员申请
+   * @param {number} distributorId - 分销员ID
+   * @param {Object} operator - 审核人
+   * @returns {Promise<Object>} 分销员
+   */
+  async approveApplication(distributorId, operator) {
+    return distributionService.reviewApplication(distributorId, operator, { approved: true });
+  }
+
+  /**
+   * 驳回分销员申请
+   * @param {number} distributorId - 分销员ID
+   * @param {Object} operator - 审核人
+   * @param {string} reason - 驳回原因
+   * @returns {Promise<Object>} 分销员
+   */
+  async rejectApplication(distributorId, operator, reason) {
+    return distributionService.reviewApplication(distributorId, operator, { approved: false, remark: reason });
+  }
+
+  /**
+   * 获取分销员（默认返回已通过和已清退的分销员）
+   * @param {Object} params - 查询参数 { username, status, page, pageSize }
+   * @returns {Promise<Object>} 分销员数据和总数
+   */
+  async getDistributorList(params) {
+    const { username, status, page, pageSize } = params;
+
+    const result = await distributionService.getDistributors({
+      keyword: username,
+      status: status || [DISTRIBUTOR_STATUS.PASSED, DISTRIBUTOR_STATUS.RETIRED],
+      page,
+      pageSize
+    });
+
+    return {
+      data: result.list,
+      total: result.total
+    };
+  }
+
+  /**
+   * 获取分销员详情
+   * @param {number} distributorId - 分销员ID
+   * @returns {Promise<Object>} 分销员
+   */
+  async getDistributorDetail(distributorId) {
+    return distributionService.getDistributor(distributorId);
+  }
+
+  /**
+   * 修改分销员资料
+   * @param {number} distributorId - 分销员ID
+   * @param {Object} profile - 分销员资料
+   * @param {Object} operator - 操作人
+   * @returns {Promise<Object>} 分销员
+   */
+  async updateDistributor(distributorId, profile, operator) {
+    return distributionService.updateProfile(distributorId, profile, operator);
+  }
+
+  /**
+   * 清退或恢复分销员
+   * @param {number} distributorId - 分销员ID
+   * @param {Object} operator - 操作人
+   * @param {boolean} retired - true 清退，false 恢复
+   * @returns {Promise<Object>} 分销员
+   */
+  async setDistributorRetired(distributorId, operator, retired) {
+    return distributionService.setRetired(distributorId, operator, retired);
+  }
+
+  /**
+   * 获取分销商品
+   * @param {Object} params - 查询参数 { productName, categoryId, page, pageSize }
+   * @returns {Promise<Object>} 商品数据和总数
+   */
+  async getProductList(params) {
+    const { productName, categoryId, page, pageSize } = params;
+
+    const result = await distributionService.getProducts({ keyword: productName, categoryId, page, pageSize });
+
+    return {
+      data: result.list,
+      total: result.total
+    };
+  }
+
+  /**
+   * 获取佣金规则
+   * @param {string} [targetType] - 规则对象类型
+   * @returns {Promise<Array>} 佣金规则
+   */
+  async getRules(targetType) {
+    return distributionService.getRules(targetType);
+  }
+
+  /**
+   * 设置佣金规则
+   * @param {Object} rule - { targetType, targetId, level1Rate, level2Rate }
+   * @param {Object} operator - 操作人
+   * @returns {Promise<Object>} 佣金规则
+   */
+  async saveRule(rule, operator) {
+    return distributionService.saveRule(rule, operator);
+  }
+
+  /**
+   * 删除佣金规则
+   * @param {string} targetType - 规则对象类型
+   * @param {string} targetId - 商品或分类ID
+   * @returns {Promise<void>}
+   */
+  async deleteRule(targetType, targetId) {
+    return distributionService.deleteRule(targetType, targetId);
+  }
+
+  /**
+   * 获取分销订单（按订单商品和分销层级展示佣金）
+   * @param {Object} params - 查询参数 { orderNo, distributor, storeName, status, level, startTime, endTime, page, pageSize }
+   * @returns {Promise<Object>} 分销订单数据和总数
+   */
+  async getCommissionList(params) {
+    const { orderNo, distributor, storeName, status, level, startTime, endTime, page, pageSize } = params;
+
+    const result = await distributionService.getCommissions({
+      orderNo,
+      keyword: distributor,
+      shopName: storeName,
+      status,
+      level,
+      startDate: startTime,
+      endDate: endTime,
+      page,
+      pageSize
+    });
+
+    return {
+      data: result.list,
+      total: result.total
+    };
+  }
+
+  /**
+   * 获取佣金提现申请
+   * @param {Object} params - 查询参数 { username, withdrawNo, status, startTime, endTime, page, pageSize }
+   * @returns {Promise<Object>} 提现数据和总数
+   */
+  async getWithdrawalList(params) {
+    const { username, withdrawNo, status, startTime, endTime, page, pageSize } = params;
+
+    const result = await distributionService.getWithdrawals({
+      keyword: username,
+      withdrawNo,
+      status,
+      startDate: startTime,
+      endDate: endTime,
+      page,
+      pageSize
+    });
+
+    return {
+      data: result.list,
+      total: result.total
+    };
+  }
+
+  /**
+   * 获取佣金提现申请详情
+   * @param {string} withdrawNo - 申请编号
+   * @returns {Promise<Object>} 提现申请
+   */
+  async getWithdrawalDetail(withdrawNo) {
+    return distributionService.getWithdrawal(withdrawNo);
+  }
+
+  /**
+   * 佣金提现审核通过（线下打款后登记打款流水号）
+   * @param {string} withdrawNo - 申请编号
+   * @param {Object} operator - 审核人
+   * @param {Object} review - { payoutReference, remark }
+   * @returns {Promise<Object>} 提现申请
+   */
+  async approveWithdrawal(withdrawNo, operator, review) {
+    return distributionService.reviewWithdrawal(withdrawNo, operator, {
+      approved: true,
+      payoutReference: review.payoutReference,
+      remark: review.remark
+    });
+  }
+
+  /**
+   * 驳回佣金提现申请，提现金额退回可提现佣金
+   * @param {string} withdrawNo - 申请编号
+   * @param {Object} operator - 审核人
+   * @param {string} reason - 驳回原因
+   * @returns {Promise<Object>} 提现申请
+   */
+  async rejectWithdrawal(withdrawNo, operator, reason) {
+    return distributionService.reviewWithdrawal(withdrawNo, operator, { approved: false, remark: reason });
+  }
+}
+
+module.exports = new DistributionManageService();
@@ -0,0 +1,158 @@
+/**
+ * 分销管理验证规则
+ * 确保分销设置、申请审核、分销员管理、佣金规则和提现审核接口输入数据的合法性
+ */
+
+const { body, param, query, validationResult } = require('express-validator');
+const { DISTRIBUTOR_STATUS, COMMISSION_STATUS, WITHDRAW_STATUS, RULE_TARGET } = require('../../../core/services/distributionService');
+
+/**
+ * 验证请求参数
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg,
+      errors: errors.array()
+    });
+  }
+  return next();
+};
+
+// 时间范围查询条件
+const dateRange = [
+  query('startTime').optional({ checkFalsy: true }).isISO8601().withMessage('开始时间格式不正确'),
+  query('endTime').optional({ checkFalsy: true }).isISO8601().withMessage('结束时间格式不正确')
+];
+
+// 佣金比例（0-1）
+const rate = field => body(field).isFloat({ min: 0, max: 0.99 }).withMessage('佣金比例须在 0 到 1 之间');
+
+/**
+ * 验证分销设置
+ */
+const validateSettings = [
+  body('enabled').optional().isBoolean().withMessage('分销开关格式不正确'),
+  body('levels').optional().isIn([1, 2]).withMessage('分销层级只能为 1 或 2'),
+  rate('level1Rate').optional(),
+  rate('level2Rate').optional(),
+  body('freezeDays').optional().isInt({ min: 0, max: 90 }).withMessage('佣金冻结天数须为 0 到 90 的整数'),
+  validate
+];
+
+/**
+ * 验证分销员查询
+ */
+const validateDistributorList = [
+  query('status').optional({ checkFalsy: true }).isIn(Object.values(DISTRIBUTOR_STATUS)).withMessage('无效的分销员状态'),
+  ...dateRange,
+  validate
+];
+
+/**
+ * 验证分销员ID
+ */
+const validateDistributorId = [
+  param('id').isInt({ min: 1 }).withMessage('无效的分销员ID'),
+  validate
+];
+
+/**
+ * 验证申请驳回
+ */
+const validateRejectApplication = [
+  param('id').isInt({ min: 1 }).withMessage('无效的分销员ID'),
+  body('reason').trim().notEmpty().withMessage('请填写驳回原因').isLength({ max: 255 }).withMessage('驳回原因不能超过255个字符'),
+  validate
+];
+
+/**
+ * 验证分销员资料修改
+ */
+const validateUpdateDistributor = [
+  param('id').isInt({ min: 1 }).withMessage('无效的分销员ID'),
+  body('realName').optional().isString().trim().notEmpty().isLength({ max: 50 }).withMessage('真实姓名不能为空（不超过50个字符）'),
+  body('phone').optional().isString().trim().notEmpty().isLength({ max: 20 }).withMessage('手机号格式不正确'),
+  body('idCard').optional().isString().trim().notEmpty().isLength({ max: 18 }).withMessage('身份证号格式不正确'),
+  body('bankName').optional().isString().trim().notEmpty().isLength({ max: 50 }).withMessage('开户名称不能为空（不超过50个字符）'),
+  body('bankAccount').optional().isString().trim().notEmpty().isLength({ max: 32 }).withMessage('银行账号不能为空（不超过32个字符）'),
+  body('bankBranch').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('开户行支行不能超过100个字符'),
+  validate
+];
+
+/**
+ * 验证佣金规则设置
+ */
+const validateSaveRule = [
+  body('targetType').isIn(Object.values(RULE_TARGET)).withMessage('无效的规则对象类型'),
+  body('targetId').isInt({ min: 1 }).withMessage('无效的商品或分类ID'),
+  rate('level1Rate'),
+  rate('level2Rate').optional(),
+  validate
+];
+
+/**
+ * 验证佣金规则删除
+ */
+const validateDeleteRule = [
+  param('targetType').isIn(Object.values(RULE_TARGET)).withMessage('无效的规则对象类型'),
+  param('targetId').isInt({ min: 1 }).withMessage('无效的商品或分类ID'),
+  validate
+];
+
+/**
+ * 验证分销订单查询
+ */
+const validateCommissionList = [
+  query('status').optional({ checkFalsy: true }).isIn(Object.values(COMMISSION_STATUS)).withMessage('无效的佣金状态'),
+  query('level').optional({ checkFalsy: true }).isIn(['1', '2']).withMessage('无效的分销层级'),
+  ...dateRange,
+  validate
+];
+
+/**
+ * 验证佣金提现查询
+ */
+const validateWithdrawalList = [
+  query('status').optional({ checkFalsy: true }).isIn(Object.values(WITHDRAW_STATUS)).withMessage('无效的提现状态'),
+  ...dateRange,
+  validate
+];
+
+/**
+ * 验证提现审核通过
+ */
+const validateApproveWithdrawal = [
+  param('withdrawNo').isString().trim().notEmpty().withMessage('申请编号不能为空'),
+  body('payoutReference').optional({ nullable: true }).isString().isLength({ max: 64 }).withMessage('打款流水号不能超过64个字符'),
+  body('remark').optional({ nullable: true }).isString().isLength({ max: 255 }).withMessage('备注不能超过255个字符'),
+  validate
+];
+
+/**
+ * 验证提现驳回
+ */
+const validateRejectWithdrawal = [
+  param('withdrawNo').isString().trim().notEmpty().withMessage('申请编号不能为空'),
+  body('reason').trim().notEmpty().withMessage('请填写驳回原因').isLength({ max: 255 }).withMessage('驳回原因不能超过255个字符'),
+  validate
+];
+
+module.exports = {
+  validateSettings,
+  validateDistributorList,
+  validateDistributorId,
+  validateRejectApplication,
+  validateUpdateDistributor,
+  validateSaveRule,
+  validateDeleteRule,
+  validateCommissionList,
+  validateWithdrawalList,
+  validateApproveWithdrawal,
+  validateRejectWithdrawal
+};
@@ -34,6 +34,13 @@ const monitoringModule = require('./monitoring');
 const logModule = require('./logs');
 const wechatModule = require('./backend');
 const productModule = require('./product');
+const shopModule = require('./shop');
+const memberModule = require('./member');
+const distributionModule = require('./distribution');
+const promotionModule = require('./promotion');
+const deliveryModule = require('./delivery');
+const wechatOfficialModule = require('./wechat-official');
+const searchModule = require('./search');
   
   // 注册各业务模块路由
   router.use('/admins', adminRoutes);
@@ -54,6 +61,13 @@ const productModule = require('./product');
   logModule.initialize(app);
   wechatModule.initialize(app);
   productModule.initialize(app); // 初始化产品模块
+  shopModule.initialize(app); // 初始化店铺结算管理模块
+  memberModule.initialize(app); // 初始化会员资金管理模块
+  distributionModule.initialize(app); // 初始化分销管理模块
+  promotionModule.initialize(app); // 初始化营销活动管理模块
+  deliveryModule.initialize(app); // 初始化配送设置管理模块
+  wechatOfficialModule.initialize(app); // 初始化公众号消息回调和菜单事件处理模块
+  searchModule.initialize(app); // 初始化搜索自定义分词管理模块
   
   // 保留旧版系统路由作为兼容（后续可移除）
   router.use('/system', legacySystemRoutes);
@@ -0,0 +1,202 @@
+// 会员资金控制器
+const memberWalletService = require('../services/memberWalletService');
+const logger = require('../../../core/utils/logger');
+
+/**
+ * 返回错误响应，业务错误（4xx）返回具体原因
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误
+ * @param {string} message - 默认错误信息
+ */
+function sendError(res, error, message) {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? message : error.message,
+    error: error.message
+  });
+}
+
+/**
+ * 获取当前操作的管理员
+ * @param {Object} req - Express请求对象
+ * @returns {Object} 操作人 { id }
+ */
+function getOperator(req) {
+  return { id: req.user.id || req.user.userId };
+}
+
+/**
+ * 解析分页参数
+ * @param {Object} query - 查询参数
+ * @returns {Object} { page, pageSize }
+ */
+function getPage(query) {
+  return {
+    page: parseInt(query.page || 1),
+    pageSize: parseInt(query.pageSize || 10)
+  };
+}
+
+class MemberWalletController {
+  /**
+   * 获取资金流水
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getJournalList(req, res) {
+    try {
+      const { username, type, startTime, endTime } = req.query;
+      const result = await memberWalletService.getJournalList({ username, type, startTime, endTime, ...getPage(req.query) });
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        total: result.total,
+        message: '获取资金流水成功'
+      });
+    } catch (error) {
+      logger.error('获取资金流水失败', { error: error.message });
+      sendError(res, error, '获取资金流水失败');
+    }
+  }
+
+  /**
+   * 获取充值记录
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getRechargeList(req, res) {
+    try {
+      const { username, rechargeNo, status, startTime, endTime } = req.query;
+      const result = await memberWalletService.getRechargeList({
+        username,
+        rechargeNo,
+        status,
+        startTime,
+        endTime,
+        ...getPage(req.query)
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        total: result.total,
+        message: '获取充值记录成功'
+      });
+    } catch (error) {
+      logger.error('获取充值记录失败', { error: error.message });
+      sendError(res, error, '获取充值记录失败');
+    }
+  }
+
+  /**
+   * 获取提现申请
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getWithdrawalList(req, res) {
+    try {
+      const { username, status, startTime, endTime } = req.query;
+      const result = await memberWalletService.getWithdrawalList({ username, status, startTime, endTime, ...getPage(req.query) });
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        total: result.total,
+        message: '获取提现申请成功'
+      });
+    } catch (error) {
+      logger.error('获取提现申请失败', { error: error.message });
+      sendError(res, error, '获取提现申请失败');
+    }
+  }
+
+  /**
+   * 获取提现申请详情
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getWithdrawalDetail(req, res) {
+    try {
+      const withdrawal = await memberWalletService.getWithdrawalDetail(req.params.withdrawNo);
+      res.status(200).json({ success: true, data: withdrawal, message: '获取提现申请详情成功' });
+    } catch (error) {
+      logger.error('获取提现申请详情失败', { withdrawNo: req.params.withdrawNo, error: error.message });
+      sendError(res, error, '获取提现申请详情失败');
+    }
+  }
+
+  /**
+   * 提现审核通过
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async approveWithdrawal(req, res) {
+    try {
+      const { payoutReference, remark } = req.body;
+      const withdrawal = await memberWalletService.approveWithdrawal(req.params.withdrawNo, getOperator(req), {
+        payoutReference,
+        remark
+      });
+      res.status(200).json({ success: true, data: withdrawal, message: '提现申请已通过' });
+    } catch (error) {
+      logger.error('提现审核通过失败', { withdrawNo: req.params.withdrawNo, error: error.message });
+      sendError(res, error, '提现审核失败');
+    }
+  }
+
+  /**
+   * 驳回提现申请
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async rejectWithdrawal(req, res) {
+    try {
+      const withdrawal = await memberWalletService.rejectWithdrawal(req.params.withdrawNo, getOperator(req), req.body.reason);
+      res.status(200).json({ success: true, data: withdrawal, message: '提现申请已驳回' });
+    } catch (error) {
+      logger.error('驳回提现申请失败', { withdrawNo: req.params.withdrawNo, error: error.message });
+      sendError(res, error, '驳回提现申请失败');
+    }
+  }
+
+  /**
+   * 获取余额对账差异
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getReconcileIssues(req, res) {
+    try {
+      const { username, status } = req.query;
+      const result = await memberWalletService.getReconcileIssues({ username, status, ...getPage(req.query) });
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        total: result.total,
+        message: '获取对账差异成功'
+      });
+    } catch (error) {
+      logger.error('获取对账差异失败', { error: error.message });
+      sendError(res, error, '获取对账差异失败');
+    }
+  }
+
+  /**
+   * 标记对账差异已处理
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async resolveReconcileIssue(req, res) {
+    try {
+      await memberWalletService.resolveReconcileIssue(parseInt(req.params.id), getOperator(req), req.body.remark);
+      res.status(200).json({ success: true, message: '对账差异已处理' });
+    } catch (error) {
+      logger.error('处理对账差异失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '处理对账差异失败');
+    }
+  }
+}
+
+module.exports = new MemberWalletController();
@@ -0,0 +1,46 @@
+/**
+ * 会员资金管理模块
+ * 提供会员资金流水、充值记录、提现审核和钱包余额对账差异处理接口
+ */
+
+const logger = require('../../core/utils/logger');
+const authMiddleware = require('../../core/security/authMiddleware');
+const memberWalletRoutes = require('./routes/memberWalletRoutes');
+
+const adminAuth = authMiddleware.auth(['admin', 'superadmin']);
+
+/**
+ * 管理员认证，认证失败时直接返回 401/403
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件
+ */
+function authenticateAdmin(req, res, next) {
+  adminAuth(req, res, (error) => {
+    if (error) {
+      return res.status(error.statusCode || 401).json({ success: false, message: error.message });
+    }
+    return next();
+  });
+}
+
+/**
+ * 初始化会员资金管理模块
+ * @param {Object} app - Express应用实例
+ */
+function initializeMemberModule(app) {
+  try {
+    logger.info('初始化会员资金管理模块');
+
+    app.use('/api/admin/member/wallet', authenticateAdmin, memberWalletRoutes);
+
+    logger.info('会员资金管理模块初始化完成');
+  } catch (error) {
+    logger.error('初始化会员资金管理模块失败:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  initialize: initializeMemberModule
+};
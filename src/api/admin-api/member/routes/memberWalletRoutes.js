@@ -0,0 +1,179 @@
+// 会员资金路由
+const express = require('express');
+const router = express.Router();
+const memberWalletController = require('../controllers/memberWalletController');
+const memberWalletValidation = require('../validations/memberWalletValidation');
+
+/**
+ * @swagger
+ * /api/admin/member/wallet/journal:description: 获取会员资金流水
+ * @swagger
+ * /api/admin/member/wallet/journal:method: GET
+ * @swagger
+ * /api/admin/member/wallet/journal:parameters:
+ *   - name: username
+ *     description: 会员名称或手机号
+ *     in: query
+ *     type: string
+ *   - name: type
+ *     description: 流水类型（recharge、payment、refund、withdraw_freeze、withdraw_paid、withdraw_reject）
+ *     in: query
+ *     type: string
+ *   - name: startTime
+ *     description: 开始时间
+ *     in: query
+ *     type: string
+ *   - name: endTime
+ *     description: 结束时间
+ *     in: query
+ *     type: string
+ *   - name: page
+ *     description: 页码
+ *     in: query
+ *     type: integer
+ *     default: 1
+ *   - name: pageSize
+ *     description: 每页数量
+ *     in: query
+ *     type: integer
+ *     default: 10
+ */
+router.get('/journal', memberWalletValidation.validateJournalList, memberWalletController.getJournalList);
+
+/**
+ * @swagger
+ * /api/admin/member/wallet/recharges:description: 获取会员充值记录
+ * @swagger
+ * /api/admin/member/wallet/recharges:method: GET
+ * @swagger
+ * /api/admin/member/wallet/recharges:parameters:
+ *   - name: username
+ *     description: 会员名称或手机号
+ *     in: query
+ *     type: string
+ *   - name: rechargeNo
+ *     description: 充值单号
+ *     in: query
+ *     type: string
+ *   - name: status
+ *     description: 充值状态（pending 未付款、paid 已付款、closed 已关闭）
+ *     in: query
+ *     type: string
+ *   - name: startTime
+ *     description: 开始时间
+ *     in: query
+ *     type: string
+ *   - name: endTime
+ *     description: 结束时间
+ *     in: query
+ *     type: string
+ */
+router.get('/recharges', memberWalletValidation.validateRechargeList, memberWalletController.getRechargeList);
+
+/**
+ * @swagger
+ * /api/admin/member/wallet/withdrawals:description: 获取会员提现申请
+ * @swagger
+ * /api/admin/member/wallet/withdrawals:method: GET
+ * @swagger
+ * /api/admin/member/wallet/withdrawals:parameters:
+ *   - name: username
+ *     description: 会员名称或手机号
+ *     in: query
+ *     type: string
+ *   - name: status
+ *     description: 提现状态（pending 申请中、approved 提现成功、rejected 提现失败）
+ *     in: query
+ *     type: string
+ *   - name: startTime
+ *     description: 开始时间
+ *     in: query
+ *     type: string
+ *   - name: endTime
+ *     description: 结束时间
+ *     in: query
+ *     type: string
+ */
+router.get('/withdrawals', memberWalletValidation.validateWithdrawalList, memberWalletController.getWithdrawalList);
+
+/**
+ * @swagger
+ * /api/admin/member/wallet/withdrawals/{withdrawNo}:description: 获取提现申请详情
+ * @swagger
+ * /api/admin/member/wallet/withdrawals/{withdrawNo}:method: GET
+ */
+router.get('/withdrawals/:withdrawNo', memberWalletController.getWithdrawalDetail);
+
+/**
+ * @swagger
+ * /api/admin/member/wallet/withdrawals/{withdrawNo}/approve:description: 提现审核通过（申请中 → 提现成功），扣除冻结金额
+ * @swagger
+ * /api/admin/member/wallet/withdrawals/{withdrawNo}/approve:method: POST
+ * @swagger
+ * /api/admin/member/wallet/withdrawals/{withdrawNo}/approve:parameters:
+ *   - name: withdrawNo
+ *     description: 申请编号
+ *     in: path
+ *     type: string
+ *     required: true
+ *   - name: payoutReference
+ *     description: 打款流水号
+ *     in: body
+ *     type: string
+ *   - name: remark
+ *     description: 审核备注
+ *     in: body
+ *     type: string
+ */
+router.post('/withdrawals/:withdrawNo/approve', memberWalletValidation.validateApproveWithdrawal, memberWalletController.approveWithdrawal);
+
+/**
+ * @swagger
+ * /api/admin/member/wallet/withdrawals/{withdrawNo}/reject:description: 驳回提现申请（申请中 → 提现失败），冻结金额退回余额
+ * @swagger
+ * /api/admin/member/wallet/withdrawals/{withdrawNo}/reject:method: POST
+ * @swagger
+ * /api/admin/member/wallet/withdrawals/{withdrawNo}/reject:parameters:
+ *   - name: withdrawNo
+ *     description: 申请编号
+ *     in: path
+ *     type: string
+ *     required: true
+ *   - name: reason
+ *     description: 驳回原因
+ *     in: body
+ *     type: string
+ *     required: true
+ */
+router.post('/withdrawals/:withdrawNo/reject', memberWalletValidation.validateRejectWithdrawal, memberWalletController.rejectWithdrawal);
+
+/**
+ * @swagger
+ * /api/admin/member/wallet/reconcile-issues:description: 获取钱包余额对账差异（账户余额与资金流水合计不一致）
+ * @swagger
+ * /api/admin/member/wallet/reconcile-issues:method: GET
+ * @swagger
+ * /api/admin/member/wallet/reconcile-issues:parameters:
+ *   - name: status
+ *     description: 处理状态（open 待处理、resolved 已处理）
+ *     in: query
+ *     type: string
+ */
+router.get('/reconcile-issues', memberWalletController.getReconcileIssues);
+
+/**
+ * @swagger
+ * /api/admin/member/wallet/reconcile-issues/{id}/resolve:description: 标记对账差异已处理
+ * @swagger
+ * /api/admin/member/wallet/reconcile-issues/{id}/resolve:method: POST
+ * @swagger
+ * /api/admin/member/wallet/reconcile-issues/{id}/resolve:parameters:
+ *   - name: remark
+ *     description: 处理说明
+ *     in: body
+ *     type: string
+ *     required: true
+ */
+router.post('/reconcile-issues/:id/resolve', memberWalletValidation.validateResolveIssue, memberWalletController.resolveReconcileIssue);
+
+module.exports = router;
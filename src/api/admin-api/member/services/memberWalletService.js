@@ -0,0 +1,139 @@
+// 会员资金服务层
+// 余额变动、充值入账和提现冻结由核心钱包服务处理，管理端负责查询、提现审核和对账差异处理
+const walletService = require('../../../core/services/walletService');
+
+class MemberWalletService {
+  /**
+   * 获取资金流水
+   * @param {Object} params - 查询参数 { username, type, startTime, endTime, page, pageSize }
+   * @returns {Promise<Object>} 流水数据和总数
+   */
+  async getJournalList(params) {
+    const { username, type, startTime, endTime, page, pageSize } = params;
+
+    const result = await walletService.getJournal({
+      keyword: username,
+      type,
+      startDate: startTime,
+      endDate: endTime,
+      page,
+      pageSize
+    });
+
+    return {
+      data: result.list,
+      total: result.total
+    };
+  }
+
+  /**
+   * 获取充值记录
+   * @param {Object} params - 查询参数 { username, rechargeNo, status, startTime, endTime, page, pageSize }
+   * @returns {Promise<Object>} 充值数据和总数
+   */
+  async getRechargeList(params) {
+    const { username, rechargeNo, status, startTime, endTime, page, pageSize } = params;
+
+    const result = await walletService.getRecharges({
+      keyword: username,
+      rechargeNo,
+      status,
+      startDate: startTime,
+      endDate: endTime,
+      page,
+      pageSize
+    });
+
+    return {
+      data: result.list,
+      total: result.total
+    };
+  }
+
+  /**
+   * 获取提现申请
+   * @param {Object} params - 查询参数 { username, status, startTime, endTime, page, pageSize }
+   * @returns {Promise<Object>} 提现数据和总数
+   */
+  async getWithdrawalList(params) {
+    const { username, status, startTime, endTime, page, pageSize } = params;
+
+    const result = await walletService.getWithdrawals({
+      keyword: username,
+      status,
+      startDate: startTime,
+      endDate: endTime,
+      page,
+      pageSize
+    });
+
+    return {
+      data: result.list,
+      total: result.total
+    };
+  }
+
+  /**
+   * 获取提现申请详情
+   * @param {string} withdrawNo - 申请编号
+   * @returns {Promise<Object>} 提现申请
+   */
+  async getWithdrawalDetail(withdrawNo) {
+    return walletService.getWithdrawal(withdrawNo);
+  }
+
+  /**
+   * 提现审核通过（线下打款后登记打款流水号）
+   * @param {string} withdrawNo - 申请编号
+   * @param {Object} operator - 审核人
+   * @param {Object} review - { payoutReference, remark }
+   * @returns {Promise<Object>} 提现申请
+   */
+  async approveWithdrawal(withdrawNo, operator, review) {
+    return walletService.reviewWithdrawal(withdrawNo, operator, {
+      approved: true,
+      payoutReference: review.payoutReference,
+      remark: review.remark
+    });
+  }
+
+  /**
+   * 驳回提现申请，冻结金额退回会员余额
+   * @param {string} withdrawNo - 申请编号
+   * @param {Object} operator - 审核人
+   * @param {string} reason - 驳回原因
+   * @returns {Promise<Object>} 提现申请
+   */
+  async rejectWithdrawal(withdrawNo, operator, reason) {
+    return walletService.reviewWithdrawal(withdrawNo, operator, { approved: false, remark: reason });
+  }
+
+  /**
+   * 获取余额对账差异
+   * @param {Object} params - 查询参数 { username, status, page, pageSize }
+   * @returns {Promise<Object>} 差异数据和总数
+   */
+  async getReconcileIssues(params) {
+    const { username, status, page, pageSize } = params;
+
+    const result = await walletService.getReconcileIssues({ keyword: username, status, page, pageSize });
+
+    return {
+      data: result.list,
+      total: result.total
+    };
+  }
+
+  /**
+   * 标记对账差异已处理
+   * @param {number} issueId - 差异ID
+   * @param {Object} operator - 处理人
+   * @param {string} remark - 处理说明
+   * @returns {Promise<void>}
+   */
+  async resolveReconcileIssue(issueId, operator, remark) {
+    return walletService.resolveReconcileIssue(issueId, operator, remark);
+  }
+}
+
+module.exports = new MemberWalletService();
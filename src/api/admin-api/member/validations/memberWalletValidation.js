@@ -0,0 +1,95 @@
+/**
+ * 会员资金验证规则
+ * 确保资金查询、提现审核和对账差异处理接口输入数据的合法性
+ */
+
+const { body, param, query, validationResult } = require('express-validator');
+const { JOURNAL_TYPE, RECHARGE_STATUS, WITHDRAW_STATUS } = require('../../../core/services/walletService');
+
+/**
+ * 验证请求参数
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg,
+      errors: errors.array()
+    });
+  }
+  return next();
+};
+
+// 时间范围查询条件
+const dateRange = [
+  query('startTime').optional({ checkFalsy: true }).isISO8601().withMessage('开始时间格式不正确'),
+  query('endTime').optional({ checkFalsy: true }).isISO8601().withMessage('结束时间格式不正确')
+];
+
+/**
+ * 验证资金流水查询
+ */
+const validateJournalList = [
+  query('type').optional({ checkFalsy: true }).isIn(Object.values(JOURNAL_TYPE)).withMessage('无效的流水类型'),
+  ...dateRange,
+  validate
+];
+
+/**
+ * 验证充值记录查询
+ */
+const validateRechargeList = [
+  query('status').optional({ checkFalsy: true }).isIn(Object.values(RECHARGE_STATUS)).withMessage('无效的充值状态'),
+  ...dateRange,
+  validate
+];
+
+/**
+ * 验证提现申请查询
+ */
+const validateWithdrawalList = [
+  query('status').optional({ checkFalsy: true }).isIn(Object.values(WITHDRAW_STATUS)).withMessage('无效的提现状态'),
+  ...dateRange,
+  validate
+];
+
+/**
+ * 验证提现审核通过
+ */
+const validateApproveWithdrawal = [
+  param('withdrawNo').isString().trim().notEmpty().withMessage('申请编号不能为空'),
+  body('payoutReference').optional({ nullable: true }).isString().isLength({ max: 64 }).withMessage('打款流水号不能超过64个字符'),
+  body('remark').optional({ nullable: true }).isString().isLength({ max: 255 }).withMessage('备注不能超过255个字符'),
+  validate
+];
+
+/**
+ * 验证提现驳回
+ */
+const validateRejectWithdrawal = [
+  param('withdrawNo').isString().trim().notEmpty().withMessage('申请编号不能为空'),
+  body('reason').isString().trim().notEmpty().isLength({ max: 255 }).withMessage('请填写驳回原因（不超过255个字符）'),
+  validate
+];
+
+/**
+ * 验证对账差异处理
+ */
+const validateResolveIssue = [
+  param('id').isInt({ min: 1 }).withMessage('无效的差异ID'),
+  body('remark').isString().trim().notEmpty().isLength({ max: 255 }).withMessage('请填写处理说明（不超过255个字符）'),
+  validate
+];
+
+module.exports = {
+  validateJournalList,
+  validateRechargeList,
+  validateWithdrawalList,
+  validateApproveWithdrawal,
+  validateRejectWithdrawal,
+  validateResolveIssue
+};
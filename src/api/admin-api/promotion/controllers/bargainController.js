@@ -0,0 +1,172 @@
+// 砍价活动管理控制器
+const bargainManageService = require('../services/bargainManageService');
+const logger = require('../../../core/utils/logger');
+
+/**
+ * 返回错误响应，业务错误（4xx）返回具体原因
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误
+ * @param {string} message - 默认错误信息
+ */
+function sendError(res, error, message) {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? message : error.message,
+    error: error.message
+  });
+}
+
+/**
+ * 获取当前操作的管理员
+ * @param {Object} req - Express请求对象
+ * @returns {Object} 操作人 { id }
+ */
+function getOperator(req) {
+  return { id: req.user.id || req.user.userId };
+}
+
+/**
+ * 解析分页参数
+ * @param {Object} query - 查询参数
+ * @returns {Object} { page, pageSize }
+ */
+function getPage(query) {
+  return {
+    page: parseInt(query.page || 1),
+    pageSize: parseInt(query.pageSize || 10)
+  };
+}
+
+/**
+ * 获取活动参数
+ * @param {Object} body - 请求体
+ * @returns {Object} 活动参数
+ */
+function getCampaignParams(body) {
+  const { productId, skuId, name, floorPrice, helperCount, minCut, maxCut, durationHours, stock, limitPerUser, startTime, endTime } = body;
+  return { productId, skuId, name, floorPrice, helperCount, minCut, maxCut, durationHours, stock, limitPerUser, startTime, endTime };
+}
+
+class BargainController {
+  /**
+   * 获取砍价活动列表
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getCampaignList(req, res) {
+    try {
+      const { keyword, state, startTime, endTime } = req.query;
+      const result = await bargainManageService.getCampaignList({ keyword, state, startTime, endTime, ...getPage(req.query) });
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        total: result.total,
+        message: '获取砍价活动成功'
+      });
+    } catch (error) {
+      logger.error('获取砍价活动失败', { error: error.message });
+      sendError(res, error, '获取砍价活动失败');
+    }
+  }
+
+  /**
+   * 获取砍价活动详情
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getCampaignDetail(req, res) {
+    try {
+      const campaign = await bargainManageService.getCampaign(parseInt(req.params.id));
+      res.status(200).json({ success: true, data: campaign, message: '获取砍价活动详情成功' });
+    } catch (error) {
+      logger.error('获取砍价活动详情失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '获取砍价活动详情失败');
+    }
+  }
+
+  /**
+   * 创建砍价活动
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async createCampaign(req, res) {
+    try {
+      const campaign = await bargainManageService.createCampaign(getCampaignParams(req.body), getOperator(req));
+      res.status(201).json({ success: true, data: campaign, message: '砍价活动已创建' });
+    } catch (error) {
+      logger.error('创建砍价活动失败', { productId: req.body.productId, error: error.message });
+      sendError(res, error, '创建砍价活动失败');
+    }
+  }
+
+  /**
+   * 修改砍价活动
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async updateCampaign(req, res) {
+    try {
+      const campaign = await bargainManageService.updateCampaign(parseInt(req.params.id), getCampaignParams(req.body), getOperator(req));
+      res.status(200).json({ success: true, data: campaign, message: '砍价活动已修改' });
+    } catch (error) {
+      logger.error('修改砍价活动失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '修改砍价活动失败');
+    }
+  }
+
+  /**
+   * 结束砍价活动
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async closeCampaign(req, res) {
+    try {
+      const campaign = await bargainManageService.closeCampaign(parseInt(req.params.id), getOperator(req));
+      res.status(200).json({ success: true, data: campaign, message: '砍价活动已结束' });
+    } catch (error) {
+      logger.error('结束砍价活动失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '结束砍价活动失败');
+    }
+  }
+
+  /**
+   * 删除砍价活动
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async deleteCampaign(req, res) {
+    try {
+      await bargainManageService.deleteCampaign(parseInt(req.params.id), getOperator(req));
+      res.status(200).json({ success: true, message: '砍价活动已删除' });
+    } catch (error) {
+      logger.error('删除砍价活动失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '删除砍价活动失败');
+    }
+  }
+
+  /**
+   * 获取砍价记录列表
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getRecordList(req, res) {
+    try {
+      const { campaignId, status } = req.query;
+      const result = await bargainManageService.getRecordList({ campaignId, status, ...getPage(req.query) });
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        total: result.total,
+        message: '获取砍价记录成功'
+      });
+    } catch (error) {
+      logger.error('获取砍价记录失败', { error: error.message });
+      sendError(res, error, '获取砍价记录失败');
+    }
+  }
+}
+
+module.exports = new BargainController();
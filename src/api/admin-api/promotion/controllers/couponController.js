@@ -0,0 +1,276 @@
+// 优惠券管理控制器
+const couponManageService = require('../services/couponManageService');
+const logger = require('../../../core/utils/logger');
+
+/**
+ * 返回错误响应，业务错误（4xx）返回具体原因
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误
+ * @param {string} message - 默认错误信息
+ */
+function sendError(res, error, message) {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? message : error.message,
+    error: error.message
+  });
+}
+
+/**
+ * 获取当前操作的管理员
+ * @param {Object} req - Express请求对象
+ * @returns {Object} 操作人 { id }
+ */
+function getOperator(req) {
+  return { id: req.user.id || req.user.userId };
+}
+
+/**
+ * 解析分页参数
+ * @param {Object} query - 查询参数
+ * @returns {Object} { page, pageSize }
+ */
+function getPage(query) {
+  return {
+    page: parseInt(query.page || 1),
+    pageSize: parseInt(query.pageSize || 10)
+  };
+}
+
+/**
+ * 获取优惠券参数
+ * @param {Object} body - 请求体
+ * @returns {Object} 优惠券参数
+ */
+function getCouponParams(body) {
+  const {
+    name, type, amount, threshold, discountRate, maxDiscount, scope, scopeIds, issueType, totalQuantity, perUserLimit,
+    claimStartTime, claimEndTime, validType, validStartTime, validEndTime, validDays, description
+  } = body;
+  return {
+    name, type, amount, threshold, discountRate, maxDiscount, scope, scopeIds, issueType, totalQuantity, perUserLimit,
+    claimStartTime, claimEndTime, validType, validStartTime, validEndTime, validDays, description
+  };
+}
+
+class CouponController {
+  /**
+   * 获取优惠券列表
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getCouponList(req, res) {
+    try {
+      const { keyword, type, issueType, state, sellerId, platformOnly } = req.query;
+      const result = await couponManageService.getCouponList({
+        keyword, type, issueType, state, sellerId, platformOnly: platformOnly === 'true', ...getPage(req.query)
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        total: result.total,
+        message: '获取优惠券成功'
+      });
+    } catch (error) {
+      logger.error('获取优惠券失败', { error: error.message });
+      sendError(res, error, '获取优惠券失败');
+    }
+  }
+
+  /**
+   * 获取优惠券详情
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getCouponDetail(req, res) {
+    try {
+      const coupon = await couponManageService.getCoupon(parseInt(req.params.id));
+      res.status(200).json({ success: true, data: coupon, message: '获取优惠券详情成功' });
+    } catch (error) {
+      logger.error('获取优惠券详情失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '获取优惠券详情失败');
+    }
+  }
+
+  /**
+   * 创建平台优惠券
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async createCoupon(req, res) {
+    try {
+      const coupon = await couponManageService.createCoupon(getCouponParams(req.body), getOperator(req));
+      res.status(201).json({ success: true, data: coupon, message: '优惠券已创建' });
+    } catch (error) {
+      logger.error('创建优惠券失败', { error: error.message });
+      sendError(res, error, '创建优惠券失败');
+    }
+  }
+
+  /**
+   * 修改平台优惠券
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async updateCoupon(req, res) {
+    try {
+      const coupon = await couponManageService.updateCoupon(parseInt(req.params.id), getCouponParams(req.body), getOperator(req));
+      res.status(200).json({ success: true, data: coupon, message: '优惠券已修改' });
+    } catch (error) {
+      logger.error('修改优惠券失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '修改优惠券失败');
+    }
+  }
+
+  /**
+   * 启用或停用平台优惠券
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async setCouponStatus(req, res) {
+    try {
+      const coupon = await couponManageService.setCouponStatus(parseInt(req.params.id), req.body.status, getOperator(req));
+      res.status(200).json({
+        success: true,
+        data: coupon,
+        message: coupon.status === 'active' ? '优惠券已启用' : '优惠券已停用'
+      });
+    } catch (error) {
+      logger.error('更新优惠券状态失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '更新优惠券状态失败');
+    }
+  }
+
+  /**
+   * 生成兑换码
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async generateCodes(req, res) {
+    try {
+      const result = await couponManageService.generateCodes(parseInt(req.params.id), req.body.count, getOperator(req));
+      res.status(201).json({ success: true, data: result, message: `已生成 ${result.codes.length} 个兑换码` });
+    } catch (error) {
+      logger.error('生成兑换码失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '生成兑换码失败');
+    }
+  }
+
+  /**
+   * 获取兑换码列表
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getCodeList(req, res) {
+    try {
+      const { batchNo, status } = req.query;
+      const result = await couponManageService.getCodeList(parseInt(req.params.id), { batchNo, status, ...getPage(req.query) });
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        total: result.total,
+        message: '获取兑换码成功'
+      });
+    } catch (error) {
+      logger.error('获取兑换码失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '获取兑换码失败');
+    }
+  }
+
+  /**
+   * 获取优惠券领取和使用记录
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getRecordList(req, res) {
+    try {
+      const { userId, status, couponNo } = req.query;
+      const result = await couponManageService.getRecordList({
+        templateId: parseInt(req.params.id), userId, status, couponNo, ...getPage(req.query)
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        total: result.total,
+        message: '获取领取记录成功'
+      });
+    } catch (error) {
+      logger.error('获取领取记录失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '获取领取记录失败');
+    }
+  }
+
+  /**
+   * 获取定向发放任务列表
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getTaskList(req, res) {
+    try {
+      const { templateId, status } = req.query;
+      const result = await couponManageService.getTaskList({ templateId, status, ...getPage(req.query) });
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        total: result.total,
+        message: '获取发放任务成功'
+      });
+    } catch (error) {
+      logger.error('获取发放任务失败', { error: error.message });
+      sendError(res, error, '获取发放任务失败');
+    }
+  }
+
+  /**
+   * 获取定向发放任务详情
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getTaskDetail(req, res) {
+    try {
+      const task = await couponManageService.getTask(parseInt(req.params.id));
+      res.status(200).json({ success: true, data: task, message: '获取发放任务详情成功' });
+    } catch (error) {
+      logger.error('获取发放任务详情失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '获取发放任务详情失败');
+    }
+  }
+
+  /**
+   * 创建定向发放任务
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async createTask(req, res) {
+    try {
+      const { templateId, segment } = req.body;
+      const task = await couponManageService.createTask({ templateId: parseInt(templateId), segment }, getOperator(req));
+      res.status(201).json({ success: true, data: task, message: '发放任务已创建，将在后台分批发放' });
+    } catch (error) {
+      logger.error('创建发放任务失败', { error: error.message });
+      sendError(res, error, '创建发放任务失败');
+    }
+  }
+
+  /**
+   * 取消定向发放任务
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async cancelTask(req, res) {
+    try {
+      const task = await couponManageService.cancelTask(parseInt(req.params.id), getOperator(req));
+      res.status(200).json({ success: true, data: task, message: '发放任务已取消' });
+    } catch (error) {
+      logger.error('取消发放任务失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '取消发放任务失败');
+    }
+  }
+}
+
+module.exports = new CouponController();
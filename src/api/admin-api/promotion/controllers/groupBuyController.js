@@ -0,0 +1,132 @@
+// 拼团活动管理控制器
+const groupBuyManageService = require('../services/groupBuyManageService');
+const logger = require('../../../core/utils/logger');
+
+/**
+ * 返回错误响应，业务错误（4xx）返回具体原因
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误
+ * @param {string} message - 默认错误信息
+ */
+function sendError(res, error, message) {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? message : error.message,
+    error: error.message
+  });
+}
+
+/**
+ * 获取当前操作的管理员
+ * @param {Object} req - Express请求对象
+ * @returns {Object} 操作人 { id }
+ */
+function getOperator(req) {
+  return { id: req.user.id || req.user.userId };
+}
+
+/**
+ * 解析分页参数
+ * @param {Object} query - 查询参数
+ * @returns {Object} { page, pageSize }
+ */
+function getPage(query) {
+  return {
+    page: parseInt(query.page || 1),
+    pageSize: parseInt(query.pageSize || 10)
+  };
+}
+
+class GroupBuyController {
+  /**
+   * 获取拼团活动列表
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getPromotionList(req, res) {
+    try {
+      const { keyword, state, groupSize } = req.query;
+      const result = await groupBuyManageService.getPromotionList({ keyword, state, groupSize, ...getPage(req.query) });
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        total: result.total,
+        message: '获取拼团活动成功'
+      });
+    } catch (error) {
+      logger.error('获取拼团活动失败', { error: error.message });
+      sendError(res, error, '获取拼团活动失败');
+    }
+  }
+
+  /**
+   * 获取拼团活动详情
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getPromotionDetail(req, res) {
+    try {
+      const promotion = await groupBuyManageService.getPromotion(parseInt(req.params.id));
+      res.status(200).json({ success: true, data: promotion, message: '获取拼团活动详情成功' });
+    } catch (error) {
+      logger.error('获取拼团活动详情失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '获取拼团活动详情失败');
+    }
+  }
+
+  /**
+   * 结束拼团活动
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async endPromotion(req, res) {
+    try {
+      const promotion = await groupBuyManageService.endPromotion(parseInt(req.params.id), getOperator(req));
+      res.status(200).json({ success: true, data: promotion, message: '拼团活动已结束' });
+    } catch (error) {
+      logger.error('结束拼团活动失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '结束拼团活动失败');
+    }
+  }
+
+  /**
+   * 获取拼团团队列表
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getTeamList(req, res) {
+    try {
+      const { promotionId, status, teamNo } = req.query;
+      const result = await groupBuyManageService.getTeamList({ promotionId, status, teamNo, ...getPage(req.query) });
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        total: result.total,
+        message: '获取拼团团队成功'
+      });
+    } catch (error) {
+      logger.error('获取拼团团队失败', { error: error.message });
+      sendError(res, error, '获取拼团团队失败');
+    }
+  }
+
+  /**
+   * 获取拼团团队详情
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getTeamDetail(req, res) {
+    try {
+      const team = await groupBuyManageService.getTeam(req.params.teamNo);
+      res.status(200).json({ success: true, data: team, message: '获取拼团团队详情成功' });
+    } catch (error) {
+      logger.error('获取拼团团队详情失败', { teamNo: req.params.teamNo, error: error.message });
+      sendError(res, error, '获取拼团团队详情失败');
+    }
+  }
+}
+
+module.exports = new GroupBuyController();
@@ -0,0 +1,52 @@
+/**
+ * 营销活动管理模块
+ * 提供平台砍价活动管理、砍价记录查询、拼团活动管理、优惠券管理和定向发放接口
+ */
+
+const logger = require('../../core/utils/logger');
+const authMiddleware = require('../../core/security/authMiddleware');
+const bargainRoutes = require('./routes/bargainRoutes');
+const groupBuyRoutes = require('./routes/groupBuyRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const couponTaskRoutes = require('./routes/couponTaskRoutes');
+
+const adminAuth = authMiddleware.auth(['admin', 'superadmin']);
+
+/**
+ * 管理员认证，认证失败时直接返回 401/403
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件
+ */
+function authenticateAdmin(req, res, next) {
+  adminAuth(req, res, (error) => {
+    if (error) {
+      return res.status(error.statusCode || 401).json({ success: false, message: error.message });
+    }
+    return next();
+  });
+}
+
+/**
+ * 初始化营销活动管理模块
+ * @param {Object} app - Express应用实例
+ */
+function initializePromotionModule(app) {
+  try {
+    logger.info('初始化营销活动管理模块');
+
+    app.use('/api/admin/promotion/bargains', authenticateAdmin, bargainRoutes);
+    app.use('/api/admin/promotion/group-buys', authenticateAdmin, groupBuyRoutes);
+    app.use('/api/admin/promotion/coupons', authenticateAdmin, couponRoutes);
+    app.use('/api/admin/promotion/coupon-tasks', authenticateAdmin, couponTaskRoutes);
+
+    logger.info('营销活动管理模块初始化完成');
+  } catch (error) {
+    logger.error('初始化营销活动管理模块失败:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  initialize: initializePromotionModule
+};
@@ -0,0 +1,144 @@
+// 砍价活动管理路由
+const express = require('express');
+const router = express.Router();
+const bargainController = require('../controllers/bargainController');
+const bargainValidation = require('../validations/bargainValidation');
+
+/**
+ * @swagger
+ * /api/admin/promotion/bargains:description: 获取砍价活动列表（含发起、成功、下单统计）
+ * @swagger
+ * /api/admin/promotion/bargains:method: GET
+ * @swagger
+ * /api/admin/promotion/bargains:parameters:
+ *   - name: keyword
+ *     description: 活动或商品名称
+ *     in: query
+ *     type: string
+ *   - name: state
+ *     description: 活动状态（not_started 未开始、ongoing 进行中、ended 已结束）
+ *     in: query
+ *     type: string
+ *   - name: startTime
+ *     description: 活动时间范围开始
+ *     in: query
+ *     type: string
+ *   - name: endTime
+ *     description: 活动时间范围结束
+ *     in: query
+ *     type: string
+ */
+router.get('/', bargainValidation.validateCampaignList, bargainController.getCampaignList);
+
+/**
+ * @swagger
+ * /api/admin/promotion/bargains:description: 创建砍价活动，活动归属商品所在店铺，原价取商品规格或商品的当前售价
+ * @swagger
+ * /api/admin/promotion/bargains:method: POST
+ * @swagger
+ * /api/admin/promotion/bargains:parameters:
+ *   - name: productId
+ *     description: 商品ID
+ *     in: body
+ *     type: string
+ *     required: true
+ *   - name: skuId
+ *     description: 商品规格ID
+ *     in: body
+ *     type: string
+ *   - name: floorPrice
+ *     description: 底价（元）
+ *     in: body
+ *     type: number
+ *     required: true
+ *   - name: helperCount
+ *     description: 需要的助力人数
+ *     in: body
+ *     type: integer
+ *     required: true
+ *   - name: minCut
+ *     description: 每刀最低金额（元）
+ *     in: body
+ *     type: number
+ *   - name: maxCut
+ *     description: 每刀最高金额（元）
+ *     in: body
+ *     type: number
+ *   - name: durationHours
+ *     description: 砍价时限（小时）
+ *     in: body
+ *     type: integer
+ *     required: true
+ *   - name: stock
+ *     description: 活动库存
+ *     in: body
+ *     type: integer
+ *     required: true
+ *   - name: limitPerUser
+ *     description: 每人限购
+ *     in: body
+ *     type: integer
+ *   - name: startTime
+ *     description: 活动开始时间
+ *     in: body
+ *     type: string
+ *     required: true
+ *   - name: endTime
+ *     description: 活动结束时间
+ *     in: body
+ *     type: string
+ *     required: true
+ */
+router.post('/', bargainValidation.validateCreateCampaign, bargainController.createCampaign);
+
+/**
+ * @swagger
+ * /api/admin/promotion/bargains/records:description: 获取砍价记录列表
+ * @swagger
+ * /api/admin/promotion/bargains/records:method: GET
+ * @swagger
+ * /api/admin/promotion/bargains/records:parameters:
+ *   - name: campaignId
+ *     description: 活动ID
+ *     in: query
+ *     type: integer
+ *   - name: status
+ *     description: 砍价状态（in_progress、success、ordered、failed、expired）
+ *     in: query
+ *     type: string
+ */
+router.get('/records', bargainValidation.validateRecordList, bargainController.getRecordList);
+
+/**
+ * @swagger
+ * /api/admin/promotion/bargains/{id}:description: 获取砍价活动详情
+ * @swagger
+ * /api/admin/promotion/bargains/{id}:method: GET
+ */
+router.get('/:id', bargainValidation.validateCampaignId, bargainController.getCampaignDetail);
+
+/**
+ * @swagger
+ * /api/admin/promotion/bargains/{id}:description: 修改砍价活动，只影响之后发起的砍价，活动库存不能少于已发起砍价占用的数量
+ * @swagger
+ * /api/admin/promotion/bargains/{id}:method: PUT
+ */
+router.put('/:id', bargainValidation.validateUpdateCampaign, bargainController.updateCampaign);
+
+/**
+ * @swagger
+ * /api/admin/promotion/bargains/{id}/close:description: 结束砍价活动，已发起的砍价可继续完成
+ * @swagger
+ * /api/admin/promotion/bargains/{id}/close:method: POST
+ */
+router.post('/:id/close', bargainValidation.validateCampaignId, bargainController.closeCampaign);
+
+/**
+ * @swagger
+ * /api/admin/promotion/bargains/{id}:description: 删除砍价活动
+ * @swagger
+ * /api/admin/promotion/bargains/{id}:method: DELETE
+ */
+router.delete('/:id', bargainValidation.validateCampaignId, bargainController.deleteCampaign);
+
+module.exports = router;
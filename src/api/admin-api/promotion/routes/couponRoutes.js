@@ -0,0 +1,97 @@
+// 优惠券管理路由
+const express = require('express');
+const router = express.Router();
+const couponController = require('../controllers/couponController');
+const couponValidation = require('../validations/couponValidation');
+
+/**
+ * @swagger
+ * /api/admin/promotion/coupons:description: 获取优惠券列表（平台和店铺优惠券，含已发放和已使用数量）
+ * @swagger
+ * /api/admin/promotion/coupons:method: GET
+ * @swagger
+ * /api/admin/promotion/coupons:parameters:
+ *   - name: keyword
+ *     description: 优惠券名称
+ *     in: query
+ *     type: string
+ *   - name: type
+ *     description: 优惠券类型（fixed 立减券、threshold 满减券、percentage 折扣券、shipping 运费券）
+ *     in: query
+ *     type: string
+ *   - name: issueType
+ *     description: 发放方式（claim 领取、push 定向发放、register 注册赠券、birthday 生日赠券、code 兑换码）
+ *     in: query
+ *     type: string
+ *   - name: state
+ *     description: 发放状态（not_started 未开始、ongoing 进行中、ended 已结束）
+ *     in: query
+ *     type: string
+ *   - name: sellerId
+ *     description: 店铺卖家ID
+ *     in: query
+ *     type: string
+ *   - name: platformOnly
+ *     description: 只查询平台优惠券
+ *     in: query
+ *     type: boolean
+ */
+router.get('/', couponValidation.validateCouponList, couponController.getCouponList);
+
+/**
+ * @swagger
+ * /api/admin/promotion/coupons:description: 创建平台优惠券，平台优惠券适用于全部店铺的商品
+ * @swagger
+ * /api/admin/promotion/coupons:method: POST
+ */
+router.post('/', couponValidation.validateCreateCoupon, couponController.createCoupon);
+
+/**
+ * @swagger
+ * /api/admin/promotion/coupons/{id}:description: 获取优惠券详情（含未使用、已锁定、已使用和已过期数量）
+ * @swagger
+ * /api/admin/promotion/coupons/{id}:method: GET
+ */
+router.get('/:id', couponValidation.validateCouponId, couponController.getCouponDetail);
+
+/**
+ * @swagger
+ * /api/admin/promotion/coupons/{id}:description: 修改平台优惠券，已发放后只能修改名称、说明、发放总量、每人限领和领取时间
+ * @swagger
+ * /api/admin/promotion/coupons/{id}:method: PUT
+ */
+router.put('/:id', couponValidation.validateUpdateCoupon, couponController.updateCoupon);
+
+/**
+ * @swagger
+ * /api/admin/promotion/coupons/{id}/status:description: 启用或停用平台优惠券，停用后已发放的优惠券仍可在有效期内使用
+ * @swagger
+ * /api/admin/promotion/coupons/{id}/status:method: POST
+ */
+router.post('/:id/status', couponValidation.validateCouponStatus, couponController.setCouponStatus);
+
+/**
+ * @swagger
+ * /api/admin/promotion/coupons/{id}/codes:description: 为兑换码发放的平台优惠券生成兑换码
+ * @swagger
+ * /api/admin/promotion/coupons/{id}/codes:method: POST
+ */
+router.post('/:id/codes', couponValidation.validateGenerateCodes, couponController.generateCodes);
+
+/**
+ * @swagger
+ * /api/admin/promotion/coupons/{id}/codes:description: 获取兑换码列表
+ * @swagger
+ * /api/admin/promotion/coupons/{id}/codes:method: GET
+ */
+router.get('/:id/codes', couponValidation.validateCodeList, couponController.getCodeList);
+
+/**
+ * @swagger
+ * /api/admin/promotion/coupons/{id}/records:description: 获取优惠券领取和使用记录
+ * @swagger
+ * /api/admin/promotion/coupons/{id}/records:method: GET
+ */
+router.get('/:id/records', couponValidation.validateRecordList, couponController.getRecordList);
+
+module.exports = router;
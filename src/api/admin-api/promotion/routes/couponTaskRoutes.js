@@ -0,0 +1,49 @@
+// 优惠券定向发放任务路由
+const express = require('express');
+const router = express.Router();
+const couponController = require('../controllers/couponController');
+const couponValidation = require('../validations/couponValidation');
+
+/**
+ * @swagger
+ * /api/admin/promotion/coupon-tasks:description: 获取定向发放任务列表（含目标人数、已发放和跳过数量）
+ * @swagger
+ * /api/admin/promotion/coupon-tasks:method: GET
+ * @swagger
+ * /api/admin/promotion/coupon-tasks:parameters:
+ *   - name: templateId
+ *     description: 优惠券ID
+ *     in: query
+ *     type: integer
+ *   - name: status
+ *     description: 任务状态（pending 待执行、running 执行中、completed 已完成、failed 执行失败、canceled 已取消）
+ *     in: query
+ *     type: string
+ */
+router.get('/', couponValidation.validateTaskList, couponController.getTaskList);
+
+/**
+ * @swagger
+ * /api/admin/promotion/coupon-tasks:description: 创建定向发放任务，按指定用户、会员等级和注册时间圈选人群，由定时任务分批发放
+ * @swagger
+ * /api/admin/promotion/coupon-tasks:method: POST
+ */
+router.post('/', couponValidation.validateCreateTask, couponController.createTask);
+
+/**
+ * @swagger
+ * /api/admin/promotion/coupon-tasks/{id}:description: 获取定向发放任务详情
+ * @swagger
+ * /api/admin/promotion/coupon-tasks/{id}:method: GET
+ */
+router.get('/:id', couponValidation.validateTaskId, couponController.getTaskDetail);
+
+/**
+ * @swagger
+ * /api/admin/promotion/coupon-tasks/{id}/cancel:description: 取消未完成的定向发放任务，已发放的优惠券不收回
+ * @swagger
+ * /api/admin/promotion/coupon-tasks/{id}/cancel:method: POST
+ */
+router.post('/:id/cancel', couponValidation.validateTaskId, couponController.cancelTask);
+
+module.exports = router;
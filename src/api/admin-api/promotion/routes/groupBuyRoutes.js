@@ -0,0 +1,75 @@
+// 拼团活动管理路由
+const express = require('express');
+const router = express.Router();
+const groupBuyController = require('../controllers/groupBuyController');
+const groupBuyValidation = require('../validations/groupBuyValidation');
+
+/**
+ * @swagger
+ * /api/admin/promotion/group-buys:description: 获取拼团活动列表（含开团、成团、模拟成团和失败统计）
+ * @swagger
+ * /api/admin/promotion/group-buys:method: GET
+ * @swagger
+ * /api/admin/promotion/group-buys:parameters:
+ *   - name: keyword
+ *     description: 活动名称
+ *     in: query
+ *     type: string
+ *   - name: state
+ *     description: 活动状态（not_started 未开始、ongoing 进行中、paused 已暂停、ended 已结束）
+ *     in: query
+ *     type: string
+ *   - name: groupSize
+ *     description: 成团人数
+ *     in: query
+ *     type: integer
+ */
+router.get('/', groupBuyValidation.validatePromotionList, groupBuyController.getPromotionList);
+
+/**
+ * @swagger
+ * /api/admin/promotion/group-buys/teams:description: 获取拼团团队列表
+ * @swagger
+ * /api/admin/promotion/group-buys/teams:method: GET
+ * @swagger
+ * /api/admin/promotion/group-buys/teams:parameters:
+ *   - name: promotionId
+ *     description: 活动ID
+ *     in: query
+ *     type: integer
+ *   - name: status
+ *     description: 拼团状态（open 拼团中、success 已成团、failed 拼团失败）
+ *     in: query
+ *     type: string
+ *   - name: teamNo
+ *     description: 团号
+ *     in: query
+ *     type: string
+ */
+router.get('/teams', groupBuyValidation.validateTeamList, groupBuyController.getTeamList);
+
+/**
+ * @swagger
+ * /api/admin/promotion/group-buys/teams/{teamNo}:description: 获取拼团团队详情（含团员订单、支付和退款状态）
+ * @swagger
+ * /api/admin/promotion/group-buys/teams/{teamNo}:method: GET
+ */
+router.get('/teams/:teamNo', groupBuyValidation.validateTeamNo, groupBuyController.getTeamDetail);
+
+/**
+ * @swagger
+ * /api/admin/promotion/group-buys/{id}:description: 获取拼团活动详情
+ * @swagger
+ * /api/admin/promotion/group-buys/{id}:method: GET
+ */
+router.get('/:id', groupBuyValidation.validatePromotionId, groupBuyController.getPromotionDetail);
+
+/**
+ * @swagger
+ * /api/admin/promotion/group-buys/{id}/end:description: 结束拼团活动，进行中的团在成团时限内仍可成团
+ * @swagger
+ * /api/admin/promotion/group-buys/{id}/end:method: POST
+ */
+router.post('/:id/end', groupBuyValidation.validatePromotionId, groupBuyController.endPromotion);
+
+module.exports = router;
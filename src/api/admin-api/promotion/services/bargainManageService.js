@@ -0,0 +1,96 @@
+// 砍价活动管理服务层
+// 砍价金额计算、活动库存占用和砍价记录状态流转由核心砍价服务处理，管理端负责活动维护和查询
+const bargainService = require('../../../core/services/bargainService');
+
+class BargainManageService {
+  /**
+   * 获取砍价活动列表
+   * @param {Object} params - 查询参数 { keyword, state, startTime, endTime, page, pageSize }
+   * @returns {Promise<Object>} 活动数据和总数
+   */
+  async getCampaignList(params) {
+    const { keyword, state, startTime, endTime, page, pageSize } = params;
+
+    const result = await bargainService.getCampaigns({
+      keyword,
+      state,
+      startDate: startTime,
+      endDate: endTime,
+      page,
+      pageSize
+    });
+
+    return {
+      data: result.list,
+      total: result.total
+    };
+  }
+
+  /**
+   * 获取砍价活动详情
+   * @param {number} campaignId - 活动ID
+   * @returns {Promise<Object>} 砍价活动
+   */
+  async getCampaign(campaignId) {
+    return bargainService.getCampaign(campaignId);
+  }
+
+  /**
+   * 创建砍价活动，活动归属商品所在店铺
+   * @param {Object} params - 活动参数
+   * @param {Object} operator - 操作人
+   * @returns {Promise<Object>} 砍价活动
+   */
+  async createCampaign(params, operator) {
+    return bargainService.createCampaign(params, { id: operator.id, type: 'admin' });
+  }
+
+  /**
+   * 修改砍价活动
+   * @param {number} campaignId - 活动ID
+   * @param {Object} params - 活动参数
+   * @param {Object} operator - 操作人
+   * @returns {Promise<Object>} 砍价活动
+   */
+  async updateCampaign(campaignId, params, operator) {
+    return bargainService.updateCampaign(campaignId, params, { id: operator.id, type: 'admin' });
+  }
+
+  /**
+   * 结束砍价活动
+   * @param {number} campaignId - 活动ID
+   * @param {Object} operator - 操作人
+   * @returns {Promise<Object>} 砍价活动
+   */
+  async closeCampaign(campaignId, operator) {
+    return bargainService.closeCampaign(campaignId, { id: operator.id, type: 'admin' });
+  }
+
+  /**
+   * 删除砍价活动
+   * @param {number} campaignId - 活动ID
+   * @param {Object} operator - 操作人
+   * @returns {Promise<void>}
+   */
+  async deleteCampaign(campaignId, operator) {
+    return bargainService.deleteCampaign(campaignId, { id: operator.id, type: 'admin' });
+  }
+
+  /**
+   * 获取砍价记录列表
+   * @param {Object} params - 查询参数 { campaignId, status, page, pageSize }
+   * @returns {Promise<Object>} 砍价记录和总数
+   */
+  async getRecordList(params) {
+    const { campaignId, status, page, pageSize } = params;
+
+    const result = await bargainService.getRecords({ campaignId, status, page, pageSize });
+
+    return {
+      data: result.list,
+      total: result.total
+    };
+  }
+}
+
+module.exports = new BargainManageService();
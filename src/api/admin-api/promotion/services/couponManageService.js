@@ -0,0 +1,153 @@
+// 优惠券管理服务层
+// 平台优惠券的创建、发放和核销由核心优惠券服务处理，管理端负责平台优惠券管理、查询全部优惠券和创建定向发放任务
+const couponService = require('../../../core/services/couponService');
+
+class CouponManageService {
+  /**
+   * 获取优惠券列表
+   * @param {Object} params - 查询参数 { keyword, type, issueType, state, sellerId, platformOnly, page, pageSize }
+   * @returns {Promise<Object>} 优惠券数据和总数
+   */
+  async getCouponList(params) {
+    const { keyword, type, issueType, state, sellerId, platformOnly, page, pageSize } = params;
+
+    const result = await couponService.getTemplates({ keyword, type, issueType, state, sellerId, platformOnly, page, pageSize });
+
+    return {
+      data: result.list,
+      total: result.total
+    };
+  }
+
+  /**
+   * 获取优惠券详情（含平台和店铺优惠券）
+   * @param {number} templateId - 模板ID
+   * @returns {Promise<Object>} 优惠券（含买家优惠券状态统计）
+   */
+  async getCoupon(templateId) {
+    return couponService.getTemplate(templateId);
+  }
+
+  /**
+   * 创建平台优惠券
+   * @param {Object} params - 优惠券参数
+   * @param {Object} operator - 操作人
+   * @returns {Promise<Object>} 优惠券
+   */
+  async createCoupon(params, operator) {
+    return couponService.createTemplate(params, { id: operator.id, type: 'admin' });
+  }
+
+  /**
+   * 修改平台优惠券
+   * @param {number} templateId - 模板ID
+   * @param {Object} params - 优惠券参数
+   * @param {Object} operator - 操作人
+   * @returns {Promise<Object>} 优惠券
+   */
+  async updateCoupon(templateId, params, operator) {
+    return couponService.updateTemplate(templateId, params, { id: operator.id, type: 'admin' });
+  }
+
+  /**
+   * 启用或停用平台优惠券
+   * @param {number} templateId - 模板ID
+   * @param {string} status - 模板状态
+   * @param {Object} operator - 操作人
+   * @returns {Promise<Object>} 优惠券
+   */
+  async setCouponStatus(templateId, status, operator) {
+    return couponService.setTemplateStatus(templateId, status, { id: operator.id, type: 'admin' });
+  }
+
+  /**
+   * 为平台优惠券生成兑换码
+   * @param {number} templateId - 模板ID
+   * @param {number} count - 生成数量
+   * @param {Object} operator - 操作人
+   * @returns {Promise<Object>} { batchNo, codes }
+   */
+  async generateCodes(templateId, count, operator) {
+    return couponService.generateCodes(templateId, count, { id: operator.id, type: 'admin' });
+  }
+
+  /**
+   * 获取兑换码列表
+   * @param {number} templateId - 模板ID
+   * @param {Object} params - 查询参数 { batchNo, status, page, pageSize }
+   * @returns {Promise<Object>} 兑换码数据和总数
+   */
+  async getCodeList(templateId, params) {
+    const { batchNo, status, page, pageSize } = params;
+
+    const result = await couponService.getRedeemCodes(templateId, { batchNo, status, page, pageSize });
+
+    return {
+      data: result.list,
+      total: result.total
+    };
+  }
+
+  /**
+   * 获取优惠券领取和使用记录
+   * @param {Object} params - 查询参数 { templateId, userId, status, couponNo, page, pageSize }
+   * @returns {Promise<Object>} 买家优惠券数据和总数
+   */
+  async getRecordList(params) {
+    const { templateId, userId, status, couponNo, page, pageSize } = params;
+
+    const result = await couponService.getIssuedCoupons({ templateId, userId, status, couponNo, page, pageSize });
+
+    return {
+      data: result.list,
+      total: result.total
+    };
+  }
+
+  /**
+   * 获取定向发放任务列表
+   * @param {Object} params - 查询参数 { templateId, status, page, pageSize }
+   * @returns {Promise<Object>} 任务数据和总数
+   */
+  async getTaskList(params) {
+    const { templateId, status, page, pageSize } = params;
+
+    const result = await couponService.getIssueTasks({ templateId, status, page, pageSize });
+
+    return {
+      data: result.list,
+      total: result.total
+    };
+  }
+
+  /**
+   * 获取定向发放任务详情
+   * @param {number} taskId - 任务ID
+   * @returns {Promise<Object>} 定向发放任务
+   */
+  async getTask(taskId) {
+    return couponService.getIssueTask(taskId);
+  }
+
+  /**
+   * 创建定向发放任务
+   * @param {Object} params - { templateId, segment }
+   * @param {Object} operator - 操作人
+   * @returns {Promise<Object>} 定向发放任务
+   */
+  async createTask(params, operator) {
+    return couponService.createIssueTask(params.templateId, params.segment, { id: operator.id, type: 'admin' });
+  }
+
+  /**
+   * 取消定向发放任务
+   * @param {number} taskId - 任务ID
+   * @param {Object} operator - 操作人
+   * @returns {Promise<Object>} 定向发放任务
+   */
+  async cancelTask(taskId, operator) {
+    return couponService.cancelIssueTask(taskId, { id: operator.id, type: 'admin' });
+  }
+}
+
+module.exports = new CouponManageService();
@@ -0,0 +1,67 @@
+// 拼团活动管理服务层
+// 拼团活动由卖家通过促销活动接口创建，开团、成团和失败退款由核心拼团服务处理，管理端负责活动查询和结束
+const groupBuyService = require('../../../core/services/groupBuyService');
+
+class GroupBuyManageService {
+  /**
+   * 获取拼团活动列表
+   * @param {Object} params - 查询参数 { keyword, state, groupSize, page, pageSize }
+   * @returns {Promise<Object>} 活动数据和总数
+   */
+  async getPromotionList(params) {
+    const { keyword, state, groupSize, page, pageSize } = params;
+
+    const result = await groupBuyService.getPromotions({ keyword, state, groupSize, page, pageSize });
+
+    return {
+      data: result.list,
+      total: result.total
+    };
+  }
+
+  /**
+   * 获取拼团活动详情
+   * @param {number} promotionId - 促销活动ID
+   * @returns {Promise<Object>} 拼团活动（含团队统计）
+   */
+  async getPromotion(promotionId) {
+    return groupBuyService.getPromotion(promotionId);
+  }
+
+  /**
+   * 结束拼团活动
+   * @param {number} promotionId - 促销活动ID
+   * @param {Object} operator - 操作人
+   * @returns {Promise<Object>} 拼团活动
+   */
+  async endPromotion(promotionId, operator) {
+    return groupBuyService.endPromotion(promotionId, { id: operator.id, type: 'admin' });
+  }
+
+  /**
+   * 获取拼团团队列表
+   * @param {Object} params - 查询参数 { promotionId, status, teamNo, page, pageSize }
+   * @returns {Promise<Object>} 团队数据和总数
+   */
+  async getTeamList(params) {
+    const { promotionId, status, teamNo, page, pageSize } = params;
+
+    const result = await groupBuyService.getTeams({ promotionId, status, teamNo, page, pageSize });
+
+    return {
+      data: result.list,
+      total: result.total
+    };
+  }
+
+  /**
+   * 获取拼团团队详情
+   * @param {string} teamNo - 团号
+   * @returns {Promise<Object>} 团队（含团员）
+   */
+  async getTeam(teamNo) {
+    return groupBuyService.getTeam(teamNo);
+  }
+}
+
+module.exports = new GroupBuyManageService();
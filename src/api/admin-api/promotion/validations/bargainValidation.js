@@ -0,0 +1,101 @@
+/**
+ * 砍价活动管理验证规则
+ * 确保砍价活动维护和砍价记录查询接口输入数据的合法性
+ */
+
+const { body, param, query, validationResult } = require('express-validator');
+const { RECORD_STATUS } = require('../../../core/services/bargainService');
+
+/**
+ * 验证请求参数
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg,
+      errors: errors.array()
+    });
+  }
+  return next();
+};
+
+// 分页查询条件
+const pagination = [
+  query('page').optional().isInt({ min: 1 }).withMessage('页码必须是正整数'),
+  query('pageSize').optional().isInt({ min: 1, max: 100 }).withMessage('每页数量必须为1-100')
+];
+
+// 活动参数规则（底价与原价、每刀金额与助力人数的关系由核心砍价服务校验）
+const campaignRules = [
+  body('name').optional({ checkFalsy: true }).isLength({ max: 100 }).withMessage('活动名称不能超过100个字符'),
+  body('floorPrice').isFloat({ gt: 0 }).withMessage('底价必须大于0'),
+  body('helperCount').isInt({ min: 1, max: 100 }).withMessage('助力人数必须为1-100'),
+  body('minCut').optional({ nullable: true, checkFalsy: true }).isFloat({ gt: 0 }).withMessage('每刀最低金额必须大于0'),
+  body('maxCut').optional({ nullable: true, checkFalsy: true }).isFloat({ gt: 0 }).withMessage('每刀最高金额必须大于0'),
+  body('durationHours').isInt({ min: 1, max: 168 }).withMessage('砍价时限必须为1-168小时'),
+  body('stock').isInt({ min: 1 }).withMessage('活动库存必须是正整数'),
+  body('limitPerUser').optional().isInt({ min: 1 }).withMessage('每人限购必须是正整数'),
+  body('startTime').isISO8601().withMessage('开始时间格式不正确'),
+  body('endTime').isISO8601().withMessage('结束时间格式不正确')
+];
+
+/**
+ * 验证砍价活动列表查询
+ */
+const validateCampaignList = [
+  query('state').optional({ checkFalsy: true }).isIn(['not_started', 'ongoing', 'ended']).withMessage('无效的活动状态'),
+  query('startTime').optional({ checkFalsy: true }).isISO8601().withMessage('开始时间格式不正确'),
+  query('endTime').optional({ checkFalsy: true }).isISO8601().withMessage('结束时间格式不正确'),
+  ...pagination,
+  validate
+];
+
+/**
+ * 验证活动ID
+ */
+const validateCampaignId = [
+  param('id').isInt({ min: 1 }).withMessage('无效的活动ID'),
+  validate
+];
+
+/**
+ * 验证创建砍价活动
+ */
+const validateCreateCampaign = [
+  body('productId').notEmpty().withMessage('请选择活动商品'),
+  body('skuId').optional({ nullable: true, checkFalsy: true }).isLength({ max: 64 }).withMessage('无效的商品规格'),
+  ...campaignRules,
+  validate
+];
+
+/**
+ * 验证修改砍价活动
+ */
+const validateUpdateCampaign = [
+  param('id').isInt({ min: 1 }).withMessage('无效的活动ID'),
+  ...campaignRules,
+  validate
+];
+
+/**
+ * 验证砍价记录列表查询
+ */
+const validateRecordList = [
+  query('campaignId').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('无效的活动ID'),
+  query('status').optional({ checkFalsy: true }).isIn(Object.values(RECORD_STATUS)).withMessage('无效的砍价状态'),
+  ...pagination,
+  validate
+];
+
+module.exports = {
+  validateCampaignList,
+  validateCampaignId,
+  validateCreateCampaign,
+  validateUpdateCampaign,
+  validateRecordList
+};
@@ -0,0 +1,76 @@
+/**
+ * 拼团活动管理验证规则
+ * 确保拼团活动和拼团团队查询接口输入数据的合法性
+ */
+
+const { param, query, validationResult } = require('express-validator');
+const { TEAM_STATUS, PROMOTION_STATE } = require('../../../core/services/groupBuyService');
+
+/**
+ * 验证请求参数
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg,
+      errors: errors.array()
+    });
+  }
+  return next();
+};
+
+// 分页查询条件
+const pagination = [
+  query('page').optional().isInt({ min: 1 }).withMessage('页码必须是正整数'),
+  query('pageSize').optional().isInt({ min: 1, max: 100 }).withMessage('每页数量必须为1-100')
+];
+
+/**
+ * 验证拼团活动列表查询
+ */
+const validatePromotionList = [
+  query('state').optional({ checkFalsy: true }).isIn(Object.values(PROMOTION_STATE)).withMessage('无效的活动状态'),
+  query('groupSize').optional({ checkFalsy: true }).isInt({ min: 2, max: 100 }).withMessage('成团人数必须为2-100'),
+  query('keyword').optional({ checkFalsy: true }).isLength({ max: 100 }).withMessage('关键词不能超过100个字符'),
+  ...pagination,
+  validate
+];
+
+/**
+ * 验证活动ID
+ */
+const validatePromotionId = [
+  param('id').isInt({ min: 1 }).withMessage('无效的活动ID'),
+  validate
+];
+
+/**
+ * 验证拼团团队列表查询
+ */
+const validateTeamList = [
+  query('promotionId').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('无效的活动ID'),
+  query('status').optional({ checkFalsy: true }).isIn(Object.values(TEAM_STATUS)).withMessage('无效的拼团状态'),
+  query('teamNo').optional({ checkFalsy: true }).isLength({ max: 32 }).withMessage('无效的团号'),
+  ...pagination,
+  validate
+];
+
+/**
+ * 验证团号
+ */
+const validateTeamNo = [
+  param('teamNo').notEmpty().isLength({ max: 32 }).withMessage('无效的团号'),
+  validate
+];
+
+module.exports = {
+  validatePromotionList,
+  validatePromotionId,
+  validateTeamList,
+  validateTeamNo
+};
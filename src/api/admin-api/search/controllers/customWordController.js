@@ -0,0 +1,102 @@
+// 搜索自定义分词管理控制器
+const customWordService = require('../services/customWordService');
+const logger = require('../../../core/utils/logger');
+
+/**
+ * 返回错误响应，业务错误（4xx）返回具体原因
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误
+ * @param {string} message - 默认错误信息
+ */
+function sendError(res, error, message) {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? message : error.message,
+    error: error.message
+  });
+}
+
+/**
+ * 获取当前操作的管理员
+ * @param {Object} req - Express请求对象
+ * @returns {Object} 操作人 { id, name }
+ */
+function getOperator(req) {
+  const id = req.user.id || req.user.userId;
+  return { id, name: req.user.username || String(id) };
+}
+
+class CustomWordController {
+  /**
+   * 获取自定义分词列表
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getWordList(req, res) {
+    try {
+      const result = await customWordService.getCustomWords({
+        keyword: req.query.keyword,
+        page: parseInt(req.query.page || 1),
+        pageSize: parseInt(req.query.pageSize || 10)
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result.data,
+        total: result.total,
+        message: '获取自定义分词成功'
+      });
+    } catch (error) {
+      logger.error('获取自定义分词失败', { error: error.message });
+      sendError(res, error, '获取自定义分词失败');
+    }
+  }
+
+  /**
+   * 添加自定义分词
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async createWord(req, res) {
+    try {
+      const word = await customWordService.addCustomWord(req.body.word, getOperator(req));
+      res.status(201).json({ success: true, data: word, message: '自定义分词已添加' });
+    } catch (error) {
+      logger.error('添加自定义分词失败', { word: req.body.word, error: error.message });
+      sendError(res, error, '添加自定义分词失败');
+    }
+  }
+
+  /**
+   * 修改自定义分词
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async updateWord(req, res) {
+    try {
+      const word = await customWordService.updateCustomWord(parseInt(req.params.id), req.body.word, getOperator(req));
+      res.status(200).json({ success: true, data: word, message: '自定义分词已修改' });
+    } catch (error) {
+      logger.error('修改自定义分词失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '修改自定义分词失败');
+    }
+  }
+
+  /**
+   * 删除自定义分词
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async deleteWord(req, res) {
+    try {
+      const result = await customWordService.deleteCustomWord(parseInt(req.params.id));
+      res.status(200).json({ success: true, data: result, message: '自定义分词已删除' });
+    } catch (error) {
+      logger.error('删除自定义分词失败', { id: req.params.id, error: error.message });
+      sendError(res, error, '删除自定义分词失败');
+    }
+  }
+}
+
+module.exports = new CustomWordController();
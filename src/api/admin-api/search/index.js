@@ -0,0 +1,52 @@
+/**
+ * 搜索管理模块
+ * 提供商品搜索自定义分词的维护接口，启动时将已保存的自定义分词加载到搜索分词词典
+ */
+
+const logger = require('../../core/utils/logger');
+const authMiddleware = require('../../core/security/authMiddleware');
+const customWordService = require('./services/customWordService');
+const customWordRoutes = require('./routes/customWordRoutes');
+
+const adminAuth = authMiddleware.auth(['admin', 'superadmin']);
+
+/**
+ * 管理员认证，认证失败时直接返回 401/403
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件
+ */
+function authenticateAdmin(req, res, next) {
+  adminAuth(req, res, (error) => {
+    if (error) {
+      return res.status(error.statusCode || 401).json({ success: false, message: error.message });
+    }
+    return next();
+  });
+}
+
+/**
+ * 初始化搜索管理模块
+ * @param {Object} app - Express应用实例
+ */
+function initializeSearchModule(app) {
+  try {
+    logger.info('初始化搜索管理模块');
+
+    app.use('/api/admin/search/custom-words', authenticateAdmin, customWordRoutes);
+
+    // 加载失败不影响启动，搜索暂按内置词典分词
+    customWordService.loadCustomWords().catch((error) => {
+      logger.error('加载自定义分词失败:', error);
+    });
+
+    logger.info('搜索管理模块初始化完成');
+  } catch (error) {
+    logger.error('初始化搜索管理模块失败:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  initialize: initializeSearchModule
+};
@@ -0,0 +1,143 @@
+/**
+ * 搜索自定义分词仓库
+ * 保存管理端维护的自定义分词，服务启动时加载到商品搜索的分词词典
+ *
+ * 数据表：
+ * - search_custom_words：自定义分词（word 唯一（小写）, operator, created_at, updated_at）
+ */
+
+const logger = require('../../../core/utils/logger');
+
+/**
+ * 搜索自定义分词仓库类
+ */
+class CustomWordRepository {
+  /**
+   * 获取全部自定义分词
+   * @param {Object} connection - 数据库连接
+   * @returns {Promise<Array<string>>} 词列表
+   */
+  async findAllWords(connection) {
+    try {
+      const [rows] = await connection.query('SELECT word FROM search_custom_words ORDER BY id');
+      return rows.map(row => row.word);
+    } catch (error) {
+      logger.error('查询自定义分词失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询自定义分词
+   * @param {Object} connection - 数据库连接
+   * @param {Object} params - { keyword, page, pageSize }
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async findWords(connection, params) {
+    try {
+      const where = params.keyword ? 'WHERE word LIKE ?' : '';
+      const values = params.keyword ? [`%${params.keyword}%`] : [];
+
+      const [[{ total }]] = await connection.query(`SELECT COUNT(*) AS total FROM search_custom_words ${where}`, values);
+      const [rows] = await connection.query(
+        `SELECT * FROM search_custom_words ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...values, params.pageSize, (params.page - 1) * params.pageSize]
+      );
+      return { rows, total: Number(total) };
+    } catch (error) {
+      logger.error('分页查询自定义分词失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按ID获取自定义分词
+   * @param {Object} connection - 数据库连接
+   * @param {number} id - 分词ID
+   * @returns {Promise<Object|null>} 分词记录
+   */
+  async findById(connection, id) {
+    try {
+      const [rows] = await connection.query('SELECT * FROM search_custom_words WHERE id = ?', [id]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询自定义分词失败', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按词获取自定义分词
+   * @param {Object} connection - 数据库连接
+   * @param {string} word - 词
+   * @returns {Promise<Object|null>} 分词记录
+   */
+  async findByWord(connection, word) {
+    try {
+      const [rows] = await connection.query('SELECT * FROM search_custom_words WHERE word = ?', [word]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询自定义分词失败', { word, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 新增自定义分词
+   * @param {Object} connection - 数据库连接
+   * @param {string} word - 词
+   * @param {string} operator - 操作人
+   * @returns {Promise<number>} 分词ID
+   */
+  async create(connection, word, operator) {
+    try {
+      const [result] = await connection.query(
+        'INSERT INTO search_custom_words (word, operator, created_at, updated_at) VALUES (?, ?, NOW(), NOW())',
+        [word, operator]
+      );
+      return result.insertId;
+    } catch (error) {
+      logger.error('新增自定义分词失败', { word, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 修改自定义分词
+   * @param {Object} connection - 数据库连接
+   * @param {number} id - 分词ID
+   * @param {string} word - 词
+   * @param {string} operator - 操作人
+   * @returns {Promise<boolean>} 是否修改成功
+   */
+  async update(connection, id, word, operator) {
+    try {
+      const [result] = await connection.query(
+        'UPDATE search_custom_words SET word = ?, operator = ?, updated_at = NOW() WHERE id = ?',
+        [word, operator, id]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('修改自定义分词失败', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除自定义分词
+   * @param {Object} connection - 数据库连接
+   * @param {number} id - 分词ID
+   * @returns {Promise<boolean>} 是否删除成功
+   */
+  async delete(connection, id) {
+    try {
+      const [result] = await connection.query('DELETE FROM search_custom_words WHERE id = ?', [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('删除自定义分词失败', { id, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new CustomWordRepository();
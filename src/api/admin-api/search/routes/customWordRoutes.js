@@ -0,0 +1,52 @@
+// 搜索自定义分词管理路由
+const express = require('express');
+const router = express.Router();
+const customWordController = require('../controllers/customWordController');
+const customWordValidation = require('../validations/customWordValidation');
+
+/**
+ * @swagger
+ * /api/admin/search/custom-words:description: 获取商品搜索的自定义分词列表
+ * @swagger
+ * /api/admin/search/custom-words:method: GET
+ * @swagger
+ * /api/admin/search/custom-words:parameters:
+ *   - name: keyword
+ *     description: 分词关键词
+ *     in: query
+ *     type: string
+ */
+router.get('/', customWordValidation.validateWordList, customWordController.getWordList);
+
+/**
+ * @swagger
+ * /api/admin/search/custom-words:description: 添加自定义分词，立即生效并按新词典重建搜索索引
+ * @swagger
+ * /api/admin/search/custom-words:method: POST
+ * @swagger
+ * /api/admin/search/custom-words:parameters:
+ *   - name: word
+ *     description: 自定义分词（不超过8个字符，英文按小写保存）
+ *     in: body
+ *     type: string
+ *     required: true
+ */
+router.post('/', customWordValidation.validateCreateWord, customWordController.createWord);
+
+/**
+ * @swagger
+ * /api/admin/search/custom-words/{id}:description: 修改自定义分词
+ * @swagger
+ * /api/admin/search/custom-words/{id}:method: PUT
+ */
+router.put('/:id', customWordValidation.validateUpdateWord, customWordController.updateWord);
+
+/**
+ * @swagger
+ * /api/admin/search/custom-words/{id}:description: 删除自定义分词
+ * @swagger
+ * /api/admin/search/custom-words/{id}:method: DELETE
+ */
+router.delete('/:id', customWordValidation.validateWordId, customWordController.deleteWord);
+
+module.exports = router;
@@ -0,0 +1,158 @@
+/**
+ * 搜索自定义分词服务
+ * 自定义分词保存在数据库中，增删改后同步到商品搜索的分词词典并按新词典重建已有索引；
+ * 服务启动时将已保存的分词加载到词典
+ */
+
+const logger = require('../../../core/utils/logger');
+const { connectionPoolManager } = require('../../../core/data-access/database/ConnectionPoolManager');
+const { AppError, NotFoundError, ValidationError } = require('../../../core/exception/handlers/errorHandler');
+const searchService = require('../../../core/services/searchService');
+const { MAX_WORD_LENGTH } = require('../../../core/services/search/segmenter');
+const customWordRepository = require('../repositories/customWordRepository');
+
+// 数据库连接池ID
+const DB_POOL_ID = process.env.DB_POOL_ID || 'default';
+
+/**
+ * 格式化自定义分词
+ * @param {Object} row - 分词记录
+ * @returns {Object} 分词 { id, word, operator, createdAt, updatedAt }
+ */
+function formatWord(row) {
+  return {
+    id: row.id,
+    word: row.word,
+    operator: row.operator,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * 搜索自定义分词服务类
+ */
+class CustomWordService {
+  /**
+   * 使用数据库连接执行操作
+   * @param {Function} operation - 操作函数 (connection) => Promise
+   * @returns {Promise<any>} 操作结果
+   */
+  async withConnection(operation) {
+    const connection = await connectionPoolManager.getConnection(DB_POOL_ID);
+    try {
+      return await operation(connection);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 规范化并校验分词，分词器按小写匹配
+   * @param {string} word - 词
+   * @returns {string} 规范化后的词
+   */
+  normalizeWord(word) {
+    const normalized = String(word || '').trim().toLowerCase();
+    if (!normalized || normalized.length > MAX_WORD_LENGTH) {
+      throw new ValidationError(`自定义分词不能为空且不超过${MAX_WORD_LENGTH}个字符`);
+    }
+    return normalized;
+  }
+
+  /**
+   * 将已保存的自定义分词加载到搜索分词词典
+   * @returns {Promise<number>} 新增到词典的词数量
+   */
+  async loadCustomWords() {
+    const words = await this.withConnection(connection => customWordRepository.findAllWords(connection));
+    const added = await searchService.addCustomWords(words);
+    logger.info('自定义分词已加载', { count: words.length, added });
+    return added;
+  }
+
+  /**
+   * 分页获取自定义分词
+   * @param {Object} params - { keyword, page, pageSize }
+   * @returns {Promise<Object>} { data, total }
+   */
+  async getCustomWords(params) {
+    const { rows, total } = await this.withConnection(connection => customWordRepository.findWords(connection, params));
+    return { data: rows.map(formatWord), total };
+  }
+
+  /**
+   * 添加自定义分词
+   * @param {string} word - 词
+   * @param {Object} operator - 操作人 { name }
+   * @returns {Promise<Object>} 分词
+   */
+  async addCustomWord(word, operator) {
+    const normalized = this.normalizeWord(word);
+
+    const row = await this.withConnection(async (connection) => {
+      if (await customWordRepository.findByWord(connection, normalized)) {
+        throw new AppError(409, '该自定义分词已存在', 409);
+      }
+      const id = await customWordRepository.create(connection, normalized, operator.name);
+      return customWordRepository.findById(connection, id);
+    });
+    await searchService.addCustomWords([normalized]);
+
+    logger.info('自定义分词已添加', { word: normalized, operator: operator.name });
+    return formatWord(row);
+  }
+
+  /**
+   * 修改自定义分词
+   * @param {number} id - 分词ID
+   * @param {string} word - 新的词
+   * @param {Object} operator - 操作人 { name }
+   * @returns {Promise<Object>} 分词
+   */
+  async updateCustomWord(id, word, operator) {
+    const normalized = this.normalizeWord(word);
+
+    const { previous, row } = await this.withConnection(async (connection) => {
+      const existing = await customWordRepository.findById(connection, id);
+      if (!existing) {
+        throw new NotFoundError('自定义分词不存在');
+      }
+      const duplicate = await customWordRepository.findByWord(connection, normalized);
+      if (duplicate && duplicate.id !== existing.id) {
+        throw new AppError(409, '该自定义分词已存在', 409);
+      }
+      const previousWord = existing.word;
+      await customWordRepository.update(connection, id, normalized, operator.name);
+      return { previous: previousWord, row: await customWordRepository.findById(connection, id) };
+    });
+    if (previous !== normalized) {
+      await searchService.removeCustomWord(previous);
+      await searchService.addCustomWords([normalized]);
+    }
+
+    logger.info('自定义分词已修改', { id, previous, word: normalized, operator: operator.name });
+    return formatWord(row);
+  }
+
+  /**
+   * 删除自定义分词
+   * @param {number} id - 分词ID
+   * @returns {Promise<Object>} { id }
+   */
+  async deleteCustomWord(id) {
+    const word = await this.withConnection(async (connection) => {
+      const existing = await customWordRepository.findById(connection, id);
+      if (!existing || !(await customWordRepository.delete(connection, id))) {
+        throw new NotFoundError('自定义分词不存在');
+      }
+      return existing.word;
+    });
+    await searchService.removeCustomWord(word);
+
+    logger.info('自定义分词已删除', { id, word });
+    return { id };
+  }
+}
+
+module.exports = new CustomWordService();
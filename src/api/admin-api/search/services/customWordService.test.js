@@ -0,0 +1,142 @@
+/**
+ * 搜索自定义分词管理测试
+ * 通过模块入口挂载路由，添加、修改和删除自定义分词后立即作用于商品搜索的分词
+ */
+
+jest.mock('../../../core/utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../../core/security/authMiddleware', () => ({
+  auth: () => (req, res, next) => {
+    req.user = { id: 1, username: 'admin' };
+    next();
+  }
+}));
+jest.mock('../../../core/data-access/database/ConnectionPoolManager', () => ({
+  connectionPoolManager: { getConnection: jest.fn() }
+}));
+jest.mock('@core/di/container', () => ({
+  resolve: () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() })
+}), { virtual: true });
+
+const express = require('express');
+const { connectionPoolManager } = require('../../../core/data-access/database/ConnectionPoolManager');
+const searchService = require('../../../core/services/searchService');
+const searchModule = require('../index');
+
+/**
+ * 创建内存中的自定义分词表连接
+ * @param {Array<Object>} rows - 已保存的分词
+ * @returns {Object} 数据库连接
+ */
+function createConnection(rows) {
+  return {
+    release: jest.fn(),
+    query: jest.fn(async (sql, params = []) => {
+      if (sql.startsWith('SELECT word FROM search_custom_words')) {
+        return [rows.map(row => ({ word: row.word }))];
+      }
+      if (sql.startsWith('SELECT COUNT(*)')) {
+        return [[{ total: rows.length }]];
+      }
+      if (sql.includes('ORDER BY id DESC LIMIT')) {
+        return [rows.slice().reverse()];
+      }
+      if (sql.includes('WHERE word = ?')) {
+        return [rows.filter(row => row.word === params[0])];
+      }
+      if (sql.includes('WHERE id = ?') && sql.startsWith('SELECT')) {
+        return [rows.filter(row => row.id === Number(params[0]))];
+      }
+      if (sql.startsWith('INSERT INTO search_custom_words')) {
+        const id = rows.length > 0 ? rows[rows.length - 1].id + 1 : 1;
+        rows.push({ id, word: params[0], operator: params[1] });
+        return [{ insertId: id, affectedRows: 1 }];
+      }
+      if (sql.startsWith('UPDATE search_custom_words')) {
+        const row = rows.find(item => item.id === Number(params[2]));
+        Object.assign(row, { word: params[0], operator: params[1] });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('DELETE FROM search_custom_words')) {
+        const index = rows.findIndex(row => row.id === Number(params[0]));
+        rows.splice(index, 1);
+        return [{ affectedRows: index >= 0 ? 1 : 0 }];
+      }
+      throw new Error(`未模拟的SQL: ${sql}`);
+    })
+  };
+}
+
+let server;
+let baseUrl;
+
+/**
+ * 调用自定义分词管理接口
+ * @param {string} path - 路径
+ * @param {Object} [options] - { method, body }
+ * @returns {Promise<Object>} { status, body }
+ */
+async function request(path, options = {}) {
+  const response = await fetch(`${baseUrl}/api/admin/search/custom-words${path}`, {
+    method: options.method || 'GET',
+    headers: { 'Content-Type': 'application/json' },
+    body: options.body ? JSON.stringify(options.body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+beforeAll(async () => {
+  connectionPoolManager.getConnection.mockResolvedValue(createConnection([{ id: 1, word: '小米' }]));
+
+  const app = express();
+  app.use(express.json());
+  searchModule.initialize(app);
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('启动时加载已保存的自定义分词', async () => {
+  await new Promise(resolve => setImmediate(resolve));
+
+  expect(searchService.getCustomWords()).toContain('小米');
+});
+
+test('添加、修改和删除自定义分词后立即作用于分词', async () => {
+  const added = await request('', { method: 'POST', body: { word: '骁龙芯片' } });
+  expect(added.status).toBe(201);
+  expect(added.body.data).toMatchObject({ word: '骁龙芯片', operator: 'admin' });
+  expect(searchService.segmenter.segment('骁龙芯片手机')).toEqual(['骁龙芯片', '手机']);
+
+  const duplicate = await request('', { method: 'POST', body: { word: '骁龙芯片' } });
+  expect(duplicate.status).toBe(409);
+
+  const list = await request('?page=1&pageSize=10');
+  expect(list.body.total).toBe(2);
+  expect(list.body.data.map(item => item.word)).toEqual(['骁龙芯片', '小米']);
+
+  const updated = await request(`/${added.body.data.id}`, { method: 'PUT', body: { word: '天玑芯片' } });
+  expect(updated.status).toBe(200);
+  expect(searchService.getCustomWords()).toEqual(expect.arrayContaining(['天玑芯片']));
+  expect(searchService.getCustomWords()).not.toContain('骁龙芯片');
+
+  const deleted = await request(`/${added.body.data.id}`, { method: 'DELETE' });
+  expect(deleted.status).toBe(200);
+  expect(searchService.getCustomWords()).not.toContain('天玑芯片');
+});
+
+test('超过最大词长的分词返回400', async () => {
+  const response = await request('', { method: 'POST', body: { word: '这是一个超过八个字的分词' } });
+
+  expect(response.status).toBe(400);
+});
@@ -0,0 +1,66 @@
+/**
+ * 搜索自定义分词验证规则
+ * 确保自定义分词维护接口输入数据的合法性，分词长度由服务按分词器的最大词长校验
+ */
+
+const { body, param, query, validationResult } = require('express-validator');
+
+/**
+ * 验证请求参数
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg,
+      errors: errors.array()
+    });
+  }
+  return next();
+};
+
+/**
+ * 验证自定义分词列表查询
+ */
+const validateWordList = [
+  query('keyword').optional({ checkFalsy: true }).isLength({ max: 50 }).withMessage('关键词不能超过50个字符'),
+  query('page').optional().isInt({ min: 1 }).withMessage('页码必须是正整数'),
+  query('pageSize').optional().isInt({ min: 1, max: 100 }).withMessage('每页数量必须为1-100'),
+  validate
+];
+
+/**
+ * 验证分词ID
+ */
+const validateWordId = [
+  param('id').isInt({ min: 1 }).withMessage('无效的分词ID'),
+  validate
+];
+
+/**
+ * 验证添加自定义分词
+ */
+const validateCreateWord = [
+  body('word').isString().trim().notEmpty().withMessage('请输入自定义分词'),
+  validate
+];
+
+/**
+ * 验证修改自定义分词
+ */
+const validateUpdateWord = [
+  param('id').isInt({ min: 1 }).withMessage('无效的分词ID'),
+  body('word').isString().trim().notEmpty().withMessage('请输入自定义分词'),
+  validate
+];
+
+module.exports = {
+  validateWordList,
+  validateWordId,
+  validateCreateWord,
+  validateUpdateWord
+};
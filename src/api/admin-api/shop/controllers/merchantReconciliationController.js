@@ -1,6 +1,6 @@
 // 商家对账控制器
 const merchantReconciliationService = require('../services/merchantReconciliationService');
-const logger = require('../../../../utils/logger');
+const logger = require('../../../core/utils/logger');
 
 class MerchantReconciliationController {
   /**
@@ -11,10 +11,11 @@ class MerchantReconciliationController {
   async getReconciliationData(req, res) {
     try {
       logger.info('获取商家对账数据请求', { query: req.query });
-      const { shopCode, startTime, endTime, orderStatus, page = 1, pageSize = 10 } = req.query;
+      const { shopCode, orderNo, startTime, endTime, orderStatus, page = 1, pageSize = 10 } = req.query;
       
       const result = await merchantReconciliationService.getReconciliationData({
         shopCode,
+        orderNo,
         startTime,
         endTime,
         orderStatus,
@@ -30,7 +31,7 @@ class MerchantReconciliationController {
       });
     } catch (error) {
       logger.error('获取商家对账数据失败', { error: error.message });
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: '获取商家对账数据失败',
         error: error.message
@@ -50,13 +51,6 @@ class MerchantReconciliationController {
       
       const detail = await merchantReconciliationService.getReconciliationDetail(orderNo);
       
-      if (!detail) {
-        return res.status(404).json({
-          success: false,
-          message: '对账记录不存在'
-        });
-      }
-      
       res.status(200).json({
         success: true,
         data: detail,
@@ -64,13 +58,13 @@ class MerchantReconciliationController {
       });
     } catch (error) {
       logger.error('获取对账详情失败', { error: error.message });
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
-        message: '获取对账详情失败',
+        message: error.statusCode === 404 ? '对账记录不存在' : '获取对账详情失败',
         error: error.message
       });
     }
   }
 }
 
-module.exports = new MerchantReconciliationController();
\ No newline at end of file
+module.exports = new MerchantReconciliationController();
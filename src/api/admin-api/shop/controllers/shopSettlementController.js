@@ -1,6 +1,30 @@
 // 店铺结算控制器
 const shopSettlementService = require('../services/shopSettlementService');
-const logger = require('../../../../utils/logger');
+const logger = require('../../../core/utils/logger');
+
+/**
+ * 返回错误响应，业务错误（4xx）返回具体原因
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误
+ * @param {string} message - 默认错误信息
+ */
+function sendError(res, error, message) {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? message : error.message,
+    error: error.message
+  });
+}
+
+/**
+ * 获取当前操作的管理员
+ * @param {Object} req - Express请求对象
+ * @returns {Object} 操作人 { id }
+ */
+function getOperator(req) {
+  return { id: req.user.id || req.user.userId };
+}
 
 class ShopSettlementController {
   /**
@@ -11,10 +35,11 @@ class ShopSettlementController {
   async getSettlementList(req, res) {
     try {
       logger.info('获取店铺结算列表请求', { query: req.query });
-      const { billNo, startTime, endTime, billStatus, page = 1, pageSize = 10 } = req.query;
+      const { billNo, sellerId, startTime, endTime, billStatus, page = 1, pageSize = 10 } = req.query;
       
       const result = await shopSettlementService.getSettlementList({
         billNo,
+        sellerId,
         startTime,
         endTime,
         billStatus,
@@ -30,11 +55,26 @@ class ShopSettlementController {
       });
     } catch (error) {
       logger.error('获取店铺结算列表失败', { error: error.message });
-      res.status(500).json({
-        success: false,
-        message: '获取店铺结算列表失败',
-        error: error.message
-      });
+      sendError(res, error, '获取店铺结算列表失败');
+    }
+  }
+
+  /**
+   * 导出店铺结算列表
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async exportSettlementList(req, res) {
+    try {
+      const { billNo, sellerId, startTime, endTime, billStatus } = req.query;
+      const csv = await shopSettlementService.exportSettlementList({ billNo, sellerId, startTime, endTime, billStatus });
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="settlements-${new Date().toISOString().split('T')[0]}.csv"`);
+      res.status(200).send(csv);
+    } catch (error) {
+      logger.error('导出店铺结算列表失败', { error: error.message });
+      sendError(res, error, '导出店铺结算列表失败');
     }
   }
   
@@ -50,13 +90,6 @@ class ShopSettlementController {
       
       const detail = await shopSettlementService.getSettlementDetail(billNo);
       
-      if (!detail) {
-        return res.status(404).json({
-          success: false,
-          message: '结算记录不存在'
-        });
-      }
-      
       res.status(200).json({
         success: true,
         data: detail,
@@ -64,13 +97,154 @@ class ShopSettlementController {
       });
     } catch (error) {
       logger.error('获取结算详情失败', { error: error.message });
-      res.status(500).json({
-        success: false,
-        message: '获取结算详情失败',
-        error: error.message
-      });
+      sendError(res, error, '获取结算详情失败');
+    }
+  }
+
+  /**
+   * 审核结算单
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async approveSettlement(req, res) {
+    try {
+      const bill = await shopSettlementService.approveSettlement(req.params.billNo, getOperator(req), req.body.remark);
+      res.status(200).json({ success: true, data: bill, message: '结算单已审核' });
+    } catch (error) {
+      logger.error('审核结算单失败', { billNo: req.params.billNo, error: error.message });
+      sendError(res, error, '审核结算单失败');
+    }
+  }
+
+  /**
+   * 登记结算单打款
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async payoutSettlement(req, res) {
+    try {
+      const { payoutChannel, payoutReference, remark } = req.body;
+      const bill = await shopSettlementService.payoutSettlement(
+        req.params.billNo,
+        { payoutChannel, payoutReference, remark },
+        getOperator(req)
+      );
+      res.status(200).json({ success: true, data: bill, message: '结算单已打款' });
+    } catch (error) {
+      logger.error('登记结算单打款失败', { billNo: req.params.billNo, error: error.message });
+      sendError(res, error, '登记结算单打款失败');
+    }
+  }
+
+  /**
+   * 立即执行结算
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async runSettlement(req, res) {
+    try {
+      logger.info('手动执行卖家结算', { operatorId: getOperator(req).id });
+      const result = await shopSettlementService.runSettlement();
+      res.status(200).json({ success: true, data: result, message: `已生成 ${result.bills} 张结算单` });
+    } catch (error) {
+      logger.error('执行卖家结算失败', { error: error.message });
+      sendError(res, error, '执行卖家结算失败');
+    }
+  }
+
+  /**
+   * 获取结算周期配置
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getSettlementConfigs(req, res) {
+    try {
+      const configs = await shopSettlementService.getSettlementConfigs();
+      res.status(200).json({ success: true, data: configs, message: '获取结算周期配置成功' });
+    } catch (error) {
+      logger.error('获取结算周期配置失败', { error: error.message });
+      sendError(res, error, '获取结算周期配置失败');
+    }
+  }
+
+  /**
+   * 保存结算周期配置
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async saveSettlementConfig(req, res) {
+    try {
+      const { sellerId, cycleType, cycleDays, settleDay } = req.body;
+      const config = await shopSettlementService.saveSettlementConfig(
+        { sellerId, cycleType, cycleDays, settleDay },
+        getOperator(req)
+      );
+      res.status(200).json({ success: true, data: config, message: '结算周期配置已保存' });
+    } catch (error) {
+      logger.error('保存结算周期配置失败', { error: error.message });
+      sendError(res, error, '保存结算周期配置失败');
+    }
+  }
+
+  /**
+   * 删除卖家的结算周期配置
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async deleteSettlementConfig(req, res) {
+    try {
+      await shopSettlementService.deleteSettlementConfig(req.params.sellerId);
+      res.status(200).json({ success: true, data: null, message: '已恢复使用平台默认结算周期' });
+    } catch (error) {
+      logger.error('删除结算周期配置失败', { sellerId: req.params.sellerId, error: error.message });
+      sendError(res, error, '删除结算周期配置失败');
+    }
+  }
+
+  /**
+   * 获取分类佣金比例
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getCommissionRates(req, res) {
+    try {
+      const rates = await shopSettlementService.getCommissionRates();
+      res.status(200).json({ success: true, data: rates, message: '获取分类佣金比例成功' });
+    } catch (error) {
+      logger.error('获取分类佣金比例失败', { error: error.message });
+      sendError(res, error, '获取分类佣金比例失败');
+    }
+  }
+
+  /**
+   * 设置分类佣金比例
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async setCommissionRate(req, res) {
+    try {
+      const rate = await shopSettlementService.setCommissionRate(req.params.categoryId, req.body.rate, getOperator(req));
+      res.status(200).json({ success: true, data: rate, message: '分类佣金比例已保存' });
+    } catch (error) {
+      logger.error('设置分类佣金比例失败', { categoryId: req.params.categoryId, error: error.message });
+      sendError(res, error, '设置分类佣金比例失败');
+    }
+  }
+
+  /**
+   * 删除分类佣金比例
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async deleteCommissionRate(req, res) {
+    try {
+      await shopSettlementService.deleteCommissionRate(req.params.categoryId);
+      res.status(200).json({ success: true, data: null, message: '分类佣金比例已删除' });
+    } catch (error) {
+      logger.error('删除分类佣金比例失败', { categoryId: req.params.categoryId, error: error.message });
+      sendError(res, error, '删除分类佣金比例失败');
     }
   }
 }
 
-module.exports = new ShopSettlementController();
\ No newline at end of file
+module.exports = new ShopSettlementController();
@@ -0,0 +1,47 @@
+/**
+ * 店铺结算管理模块
+ * 提供店铺结算单审核打款、结算周期和分类佣金配置以及商家订单对账接口
+ */
+
+const logger = require('../../core/utils/logger');
+const authMiddleware = require('../../core/security/authMiddleware');
+const shopSettlementRoutes = require('./routes/shopSettlementRoutes');
+const merchantReconciliationRoutes = require('./routes/merchantReconciliationRoutes');
+
+const adminAuth = authMiddleware.auth(['admin', 'superadmin']);
+
+/**
+ * 管理员认证，认证失败时直接返回 401/403
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件
+ */
+function authenticateAdmin(req, res, next) {
+  adminAuth(req, res, (error) => {
+    if (error) {
+      return res.status(error.statusCode || 401).json({ success: false, message: error.message });
+    }
+    return next();
+  });
+}
+
+/**
+ * 初始化店铺结算管理模块
+ * @param {Object} app - Express应用实例
+ */
+function initializeShopModule(app) {
+  try {
+    logger.info('初始化店铺结算管理模块');
+
+    app.use('/api/admin/shop', authenticateAdmin, shopSettlementRoutes, merchantReconciliationRoutes);
+
+    logger.info('店铺结算管理模块初始化完成');
+  } catch (error) {
+    logger.error('初始化店铺结算管理模块失败:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  initialize: initializeShopModule
+};
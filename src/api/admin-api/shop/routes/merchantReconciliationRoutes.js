@@ -5,7 +5,7 @@ const merchantReconciliationController = require('../controllers/merchantReconci
 
 /**
  * @swagger
- * /api/admin/shop/reconciliation:description: 获取商家对账数据
+ * /api/admin/shop/reconciliation:description: 获取商家对账数据（已完成订单及其结算情况）
  * @swagger
  * /api/admin/shop/reconciliation:method: GET
  * @swagger
@@ -14,6 +14,10 @@ const merchantReconciliationController = require('../controllers/merchantReconci
  *     description: 店铺编号
  *     in: query
  *     type: string
+ *   - name: orderNo
+ *     description: 订单号
+ *     in: query
+ *     type: string
  *   - name: startTime
  *     description: 开始时间
  *     in: query
@@ -23,7 +27,7 @@ const merchantReconciliationController = require('../controllers/merchantReconci
  *     in: query
  *     type: string
  *   - name: orderStatus
- *     description: 订单状态
+ *     description: 结算状态（settled 已结算、unsettled 未结算）
  *     in: query
  *     type: string
  *   - name: page
@@ -41,7 +45,7 @@ router.get('/reconciliation', merchantReconciliationController.getReconciliation
 
 /**
  * @swagger
- * /api/admin/shop/reconciliation/{orderNo}:description: 获取对账详情
+ * /api/admin/shop/reconciliation/{orderNo}:description: 获取对账详情（订单结算明细和结算后的退款冲减）
  * @swagger
  * /api/admin/shop/reconciliation/{orderNo}:method: GET
  * @swagger
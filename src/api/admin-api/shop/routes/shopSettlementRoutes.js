@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const shopSettlementController = require('../controllers/shopSettlementController');
+const shopSettlementValidation = require('../validations/shopSettlementValidation');
 
 /**
  * @swagger
@@ -14,6 +15,10 @@ const shopSettlementController = require('../controllers/shopSettlementControlle
  *     description: 账单编号
  *     in: query
  *     type: string
+ *   - name: sellerId
+ *     description: 卖家ID
+ *     in: query
+ *     type: string
  *   - name: startTime
  *     description: 开始时间
  *     in: query
@@ -23,7 +28,7 @@ const shopSettlementController = require('../controllers/shopSettlementControlle
  *     in: query
  *     type: string
  *   - name: billStatus
- *     description: 账单状态
+ *     description: 账单状态（pending 待审核、approved 待打款、paid 已打款、carried_over 已结转）
  *     in: query
  *     type: string
  *   - name: page
@@ -37,11 +42,27 @@ const shopSettlementController = require('../controllers/shopSettlementControlle
  *     type: integer
  *     default: 10
  */
-router.get('/settlements', shopSettlementController.getSettlementList);
+router.get('/settlements', shopSettlementValidation.validateSettlementList, shopSettlementController.getSettlementList);
 
 /**
  * @swagger
- * /api/admin/shop/settlements/{billNo}:description: 获取结算详情
+ * /api/admin/shop/settlements/export:description: 导出店铺结算列表（CSV，查询参数同结算列表）
+ * @swagger
+ * /api/admin/shop/settlements/export:method: GET
+ */
+router.get('/settlements/export', shopSettlementValidation.validateSettlementList, shopSettlementController.exportSettlementList);
+
+/**
+ * @swagger
+ * /api/admin/shop/settlements/run:description: 立即为到达结算日的卖家生成结算单
+ * @swagger
+ * /api/admin/shop/settlements/run:method: POST
+ */
+router.post('/settlements/run', shopSettlementController.runSettlement);
+
+/**
+ * @swagger
+ * /api/admin/shop/settlements/{billNo}:description: 获取结算详情（含订单结算、退款冲减和上期结转明细）
  * @swagger
  * /api/admin/shop/settlements/{billNo}:method: GET
  * @swagger
@@ -52,6 +73,133 @@ router.get('/settlements', shopSettlementController.getSettlementList);
  *     type: string
  *     required: true
  */
-router.get('/settlements/:billNo', shopSettlementController.getSettlementDetail);
+router.get('/settlements/:billNo', shopSettlementValidation.validateBillNo, shopSettlementController.getSettlementDetail);
+
+/**
+ * @swagger
+ * /api/admin/shop/settlements/{billNo}/approve:description: 审核结算单（待审核 → 待打款）
+ * @swagger
+ * /api/admin/shop/settlements/{billNo}/approve:method: POST
+ * @swagger
+ * /api/admin/shop/settlements/{billNo}/approve:parameters:
+ *   - name: billNo
+ *     description: 账单号
+ *     in: path
+ *     type: string
+ *     required: true
+ *   - name: remark
+ *     description: 审核备注
+ *     in: body
+ *     type: string
+ */
+router.post('/settlements/:billNo/approve', shopSettlementValidation.validateApprove, shopSettlementController.approveSettlement);
+
+/**
+ * @swagger
+ * /api/admin/shop/settlements/{billNo}/payout:description: 登记结算单打款（待打款 → 已打款）
+ * @swagger
+ * /api/admin/shop/settlements/{billNo}/payout:method: POST
+ * @swagger
+ * /api/admin/shop/settlements/{billNo}/payout:parameters:
+ *   - name: billNo
+ *     description: 账单号
+ *     in: path
+ *     type: string
+ *     required: true
+ *   - name: payoutChannel
+ *     description: 打款渠道（如 bank_transfer、alipay）
+ *     in: body
+ *     type: string
+ *     required: true
+ *   - name: payoutReference
+ *     description: 打款流水号
+ *     in: body
+ *     type: string
+ *     required: true
+ *   - name: remark
+ *     description: 备注
+ *     in: body
+ *     type: string
+ */
+router.post('/settlements/:billNo/payout', shopSettlementValidation.validatePayout, shopSettlementController.payoutSettlement);
+
+/**
+ * @swagger
+ * /api/admin/shop/settlement-configs:description: 获取结算周期配置（平台默认和卖家单独配置）
+ * @swagger
+ * /api/admin/shop/settlement-configs:method: GET
+ */
+router.get('/settlement-configs', shopSettlementController.getSettlementConfigs);
+
+/**
+ * @swagger
+ * /api/admin/shop/settlement-configs:description: 保存结算周期配置，sellerId 为空时设置平台默认配置
+ * @swagger
+ * /api/admin/shop/settlement-configs:method: PUT
+ * @swagger
+ * /api/admin/shop/settlement-configs:parameters:
+ *   - name: sellerId
+ *     description: 卖家ID
+ *     in: body
+ *     type: string
+ *   - name: cycleType
+ *     description: 结算周期（t_plus_n、weekly、monthly）
+ *     in: body
+ *     type: string
+ *     required: true
+ *   - name: cycleDays
+ *     description: T+N 的天数
+ *     in: body
+ *     type: integer
+ *   - name: settleDay
+ *     description: 结算日（每周 1-7，每月 1-28）
+ *     in: body
+ *     type: integer
+ */
+router.put('/settlement-configs', shopSettlementValidation.validateSettlementConfig, shopSettlementController.saveSettlementConfig);
+
+/**
+ * @swagger
+ * /api/admin/shop/settlement-configs/{sellerId}:description: 删除卖家的结算周期配置，恢复使用平台默认配置
+ * @swagger
+ * /api/admin/shop/settlement-configs/{sellerId}:method: DELETE
+ */
+router.delete('/settlement-configs/:sellerId', shopSettlementValidation.validateSellerId, shopSettlementController.deleteSettlementConfig);
+
+/**
+ * @swagger
+ * /api/admin/shop/commission-rates:description: 获取分类佣金比例和平台默认佣金比例
+ * @swagger
+ * /api/admin/shop/commission-rates:method: GET
+ */
+router.get('/commission-rates', shopSettlementController.getCommissionRates);
+
+/**
+ * @swagger
+ * /api/admin/shop/commission-rates/{categoryId}:description: 设置分类佣金比例，子分类未配置时沿用该比例
+ * @swagger
+ * /api/admin/shop/commission-rates/{categoryId}:method: PUT
+ * @swagger
+ * /api/admin/shop/commission-rates/{categoryId}:parameters:
+ *   - name: categoryId
+ *     description: 分类ID
+ *     in: path
+ *     type: string
+ *     required: true
+ *   - name: rate
+ *     description: 佣金比例（0-1）
+ *     in: body
+ *     type: number
+ *     required: true
+ */
+router.put('/commission-rates/:categoryId', shopSettlementValidation.validateCommissionRate, shopSettlementController.setCommissionRate);
+
+/**
+ * @swagger
+ * /api/admin/shop/commission-rates/{categoryId}:description: 删除分类佣金比例
+ * @swagger
+ * /api/admin/shop/commission-rates/{categoryId}:method: DELETE
+ */
+router.delete('/commission-rates/:categoryId', shopSettlementValidation.validateCategoryId, shopSettlementController.deleteCommissionRate);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,5 +1,6 @@
 // 商家对账服务层
-const merchantReconciliationRepository = require('../repositories/merchantReconciliationRepository');
+// 按订单核对结算情况：已完成订单是否已进入结算单、扣除的佣金以及结算后的退款冲减
+const settlementService = require('../../../core/services/settlementService');
 
 class MerchantReconciliationService {
   /**
@@ -8,48 +9,32 @@ class MerchantReconciliationService {
    * @returns {Promise<Object>} 对账数据和总数
    */
   async getReconciliationData(params) {
-    const { shopCode, startTime, endTime, orderStatus, page, pageSize } = params;
-    
-    // 构建查询条件
-    const query = {};
-    
-    if (shopCode) {
-      query.shopCode = shopCode;
-    }
-    
-    if (startTime && endTime) {
-      query.orderTime = {
-        $gte: startTime,
-        $lte: endTime
-      };
-    }
-    
-    if (orderStatus) {
-      query.status = orderStatus;
-    }
-    
-    // 分页参数
-    const skip = (page - 1) * pageSize;
-    const limit = pageSize;
-    
-    // 获取数据和总数
-    const data = await merchantReconciliationRepository.findReconciliationData(query, skip, limit);
-    const total = await merchantReconciliationRepository.countReconciliationData(query);
-    
+    const { shopCode, orderNo, startTime, endTime, orderStatus, page, pageSize } = params;
+
+    const result = await settlementService.getReconciliationOrders({
+      shopId: shopCode,
+      orderNo,
+      settled: orderStatus,
+      startDate: startTime,
+      endDate: endTime,
+      page,
+      pageSize
+    });
+
     return {
-      data,
-      total
+      data: result.list,
+      total: result.total
     };
   }
-  
+
   /**
    * 获取对账详情
    * @param {string} orderNo - 订单号
-   * @returns {Promise<Object|null>} 对账详情
+   * @returns {Promise<Object>} 对账详情
    */
   async getReconciliationDetail(orderNo) {
-    return await merchantReconciliationRepository.findReconciliationDetail(orderNo);
+    return settlementService.getReconciliationDetail(orderNo);
   }
 }
 
-module.exports = new MerchantReconciliationService();
\ No newline at end of file
+module.exports = new MerchantReconciliationService();
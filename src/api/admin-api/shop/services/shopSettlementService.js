@@ -1,5 +1,6 @@
 // 店铺结算服务层
-const shopSettlementRepository = require('../repositories/shopSettlementRepository');
+// 结算单由核心结算服务按结算周期生成，管理端负责查询、审核、打款以及结算周期和分类佣金配置
+const settlementService = require('../../../core/services/settlementService');
 
 class ShopSettlementService {
   /**
@@ -8,48 +9,133 @@ class ShopSettlementService {
    * @returns {Promise<Object>} 结算数据和总数
    */
   async getSettlementList(params) {
-    const { billNo, startTime, endTime, billStatus, page, pageSize } = params;
-    
-    // 构建查询条件
-    const query = {};
-    
-    if (billNo) {
-      query.billNo = billNo;
-    }
-    
-    if (startTime && endTime) {
-      query.createTime = {
-        $gte: startTime,
-        $lte: endTime
-      };
-    }
-    
-    if (billStatus) {
-      query.status = billStatus;
-    }
-    
-    // 分页参数
-    const skip = (page - 1) * pageSize;
-    const limit = pageSize;
-    
-    // 获取数据和总数
-    const data = await shopSettlementRepository.findSettlements(query, skip, limit);
-    const total = await shopSettlementRepository.countSettlements(query);
-    
+    const { billNo, sellerId, startTime, endTime, billStatus, page, pageSize } = params;
+
+    const result = await settlementService.getBills({
+      billNo,
+      sellerId,
+      status: billStatus,
+      startDate: startTime,
+      endDate: endTime,
+      page,
+      pageSize
+    });
+
     return {
-      data,
-      total
+      data: result.list,
+      total: result.total
     };
   }
-  
+
+  /**
+   * 导出店铺结算列表
+   * @param {Object} params - 查询参数（同 getSettlementList）
+   * @returns {Promise<string>} CSV 内容
+   */
+  async exportSettlementList(params) {
+    const { billNo, sellerId, startTime, endTime, billStatus } = params;
+    return settlementService.exportBillsCsv({
+      billNo,
+      sellerId,
+      status: billStatus,
+      startDate: startTime,
+      endDate: endTime
+    });
+  }
+
   /**
    * 获取结算详情
    * @param {string} billNo - 账单号
-   * @returns {Promise<Object|null>} 结算详情
+   * @returns {Promise<Object>} 结算详情（含结算明细）
    */
   async getSettlementDetail(billNo) {
-    return await shopSettlementRepository.findSettlementDetail(billNo);
+    return settlementService.getBillDetail(billNo);
+  }
+
+  /**
+   * 审核结算单
+   * @param {string} billNo - 账单号
+   * @param {Object} operator - 审核人
+   * @param {string} [remark] - 备注
+   * @returns {Promise<Object>} 结算单
+   */
+  async approveSettlement(billNo, operator, remark) {
+    return settlementService.approveBill(billNo, operator, remark);
+  }
+
+  /**
+   * 登记结算单打款
+   * @param {string} billNo - 账单号
+   * @param {Object} payout - 打款信息
+   * @param {Object} operator - 操作人
+   * @returns {Promise<Object>} 结算单
+   */
+  async payoutSettlement(billNo, payout, operator) {
+    return settlementService.payoutBill(billNo, payout, operator);
+  }
+
+  /**
+   * 立即为到达结算日的卖家生成结算单
+   * @returns {Promise<Object>} 执行结果
+   */
+  async runSettlement() {
+    return settlementService.runDueSettlements(new Date());
+  }
+
+  /**
+   * 获取结算周期配置
+   * @returns {Promise<Object>} 平台默认配置和卖家单独配置
+   */
+  async getSettlementConfigs() {
+    return settlementService.getConfigs();
+  }
+
+  /**
+   * 保存结算周期配置
+   * @param {Object} config - 配置
+   * @param {Object} operator - 操作人
+   * @returns {Promise<Object>} 保存后的配置
+   */
+  async saveSettlementConfig(config, operator) {
+    return settlementService.saveConfig(config, operator);
+  }
+
+  /**
+   * 删除卖家的结算周期配置
+   * @param {string} sellerId - 卖家ID
+   * @returns {Promise<void>}
+   */
+  async deleteSettlementConfig(sellerId) {
+    return settlementService.deleteConfig(sellerId);
+  }
+
+  /**
+   * 获取分类佣金比例
+   * @returns {Promise<Object>} 默认比例和分类比例
+   */
+  async getCommissionRates() {
+    return settlementService.getCommissionRates();
+  }
+
+  /**
+   * 设置分类佣金比例
+   * @param {string} categoryId - 分类ID
+   * @param {number} rate - 佣金比例
+   * @param {Object} operator - 操作人
+   * @returns {Promise<Object>} 分类佣金比例
+   */
+  async setCommissionRate(categoryId, rate, operator) {
+    return settlementService.setCommissionRate(categoryId, rate, operator);
+  }
+
+  /**
+   * 删除分类佣金比例
+   * @param {string} categoryId - 分类ID
+   * @returns {Promise<void>}
+   */
+  async deleteCommissionRate(categoryId) {
+    return settlementService.deleteCommissionRate(categoryId);
   }
 }
 
-module.exports = new ShopSettlementService();
\ No newline at end of file
+module.exports = new ShopSettlementService();
@@ -0,0 +1,110 @@
+/**
+ * 店铺结算验证规则
+ * 确保结算审核、打款和结算配置接口输入数据的合法性
+ */
+
+const { body, param, query, validationResult } = require('express-validator');
+const { CYCLE_TYPE, BILL_STATUS } = require('../../../core/services/settlementService');
+
+/**
+ * 验证请求参数
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: errors.array()[0].msg,
+      errors: errors.array()
+    });
+  }
+  return next();
+};
+
+/**
+ * 验证结算单列表查询
+ */
+const validateSettlementList = [
+  query('billStatus').optional({ checkFalsy: true }).isIn(Object.values(BILL_STATUS)).withMessage('无效的结算单状态'),
+  query('startTime').optional({ checkFalsy: true }).isISO8601().withMessage('开始时间格式不正确'),
+  query('endTime').optional({ checkFalsy: true }).isISO8601().withMessage('结束时间格式不正确'),
+  validate
+];
+
+/**
+ * 验证结算单号
+ */
+const validateBillNo = [
+  param('billNo').isString().trim().notEmpty().withMessage('结算单号不能为空'),
+  validate
+];
+
+/**
+ * 验证审核结算单
+ */
+const validateApprove = [
+  param('billNo').isString().trim().notEmpty().withMessage('结算单号不能为空'),
+  body('remark').optional({ nullable: true }).isString().isLength({ max: 255 }).withMessage('备注不能超过255个字符'),
+  validate
+];
+
+/**
+ * 验证结算单打款
+ */
+const validatePayout = [
+  param('billNo').isString().trim().notEmpty().withMessage('结算单号不能为空'),
+  body('payoutChannel').isString().trim().notEmpty().isLength({ max: 32 }).withMessage('请选择打款渠道'),
+  body('payoutReference').isString().trim().notEmpty().isLength({ max: 64 }).withMessage('请填写打款流水号'),
+  body('remark').optional({ nullable: true }).isString().isLength({ max: 255 }).withMessage('备注不能超过255个字符'),
+  validate
+];
+
+/**
+ * 验证结算周期配置
+ */
+const validateSettlementConfig = [
+  body('sellerId').optional({ nullable: true, checkFalsy: true }).isAlphanumeric().withMessage('无效的卖家ID'),
+  body('cycleType').isIn(Object.values(CYCLE_TYPE)).withMessage('结算周期必须是 t_plus_n、weekly 或 monthly'),
+  body('cycleDays').optional().isInt({ min: 0, max: 90 }).withMessage('T+N 结算的天数须在 0-90 之间'),
+  body('settleDay').optional().isInt({ min: 1, max: 28 }).withMessage('结算日须在 1-28 之间'),
+  validate
+];
+
+/**
+ * 验证卖家ID
+ */
+const validateSellerId = [
+  param('sellerId').isString().trim().notEmpty().withMessage('卖家ID不能为空'),
+  validate
+];
+
+/**
+ * 验证分类佣金比例
+ */
+const validateCommissionRate = [
+  param('categoryId').isString().trim().notEmpty().withMessage('分类ID不能为空'),
+  body('rate').isFloat({ min: 0, max: 0.9999 }).withMessage('佣金比例须在 0 到 1 之间'),
+  validate
+];
+
+/**
+ * 验证分类ID
+ */
+const validateCategoryId = [
+  param('categoryId').isString().trim().notEmpty().withMessage('分类ID不能为空'),
+  validate
+];
+
+module.exports = {
+  validateSettlementList,
+  validateBillNo,
+  validateApprove,
+  validatePayout,
+  validateSettlementConfig,
+  validateSellerId,
+  validateCommissionRate,
+  validateCategoryId
+};
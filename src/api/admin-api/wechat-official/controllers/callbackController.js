@@ -0,0 +1,50 @@
+/**
+ * 公众号消息回调控制器
+ * 处理微信服务器的服务器地址验证和消息、事件推送
+ */
+
+const logger = require('../../../core/utils/logger');
+const callbackService = require('../services/callbackService');
+
+/**
+ * 公众号消息回调控制器类
+ */
+class CallbackController {
+  /**
+   * 服务器地址验证
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async verify(req, res) {
+    try {
+      const echostr = callbackService.verifyServer(req.query);
+      if (echostr === null) {
+        return res.status(403).send('invalid signature');
+      }
+      return res.type('text/plain').send(echostr);
+    } catch (error) {
+      logger.error('公众号服务器验证失败:', error);
+      return res.status(500).send('验证失败');
+    }
+  }
+
+  /**
+   * 接收消息和事件推送，返回被动回复XML或success
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async receive(req, res) {
+    try {
+      const body = typeof req.body === 'string' ? req.body : '';
+      const result = await callbackService.handleCallback(req.query, body);
+
+      const contentType = result.body.startsWith('<xml>') ? 'application/xml' : 'text/plain';
+      return res.status(result.status).type(contentType).send(result.body);
+    } catch (error) {
+      logger.error('处理公众号消息推送失败:', error);
+      return res.type('text/plain').send('success');
+    }
+  }
+}
+
+module.exports = new CallbackController();
@@ -3,9 +3,9 @@
  * 处理自定义菜单的创建、查询、删除等请求
  */
 
-const logger = require('../../../core/logger');
+const logger = require('../../../core/utils/logger');
 const menuService = require('../services/menuService');
-const { successResponse, errorResponse } = require('../../../core/response');
+const { success: successResponse, error: errorResponse } = require('../../../core/utils/responseHandler');
 
 /**
  * 自定义菜单管理控制器类
@@ -243,7 +243,7 @@ class MenuController {
       return successResponse(res, result, '菜单事件处理添加成功');
     } catch (error) {
       logger.error('为菜单添加事件处理失败:', error);
-      return errorResponse(res, error.message || '菜单事件处理添加失败');
+      return errorResponse(res, error.message || '菜单事件处理添加失败', error.statusCode || 500);
     }
   }
 
@@ -262,7 +262,7 @@ class MenuController {
       return successResponse(res, result, '获取菜单事件处理列表成功');
     } catch (error) {
       logger.error('获取菜单事件处理列表失败:', error);
-      return errorResponse(res, error.message || '获取菜单事件处理列表失败');
+      return errorResponse(res, error.message || '获取菜单事件处理列表失败', error.statusCode || 500);
     }
   }
 
@@ -283,7 +283,7 @@ class MenuController {
       return successResponse(res, result, '菜单事件处理更新成功');
     } catch (error) {
       logger.error('更新菜单事件处理失败:', error);
-      return errorResponse(res, error.message || '菜单事件处理更新失败');
+      return errorResponse(res, error.message || '菜单事件处理更新失败', error.statusCode || 500);
     }
   }
 
@@ -303,7 +303,7 @@ class MenuController {
       return successResponse(res, result, '菜单事件处理删除成功');
     } catch (error) {
       logger.error('删除菜单事件处理失败:', error);
-      return errorResponse(res, error.message || '菜单事件处理删除失败');
+      return errorResponse(res, error.message || '菜单事件处理删除失败', error.statusCode || 500);
     }
   }
 
@@ -1,35 +1,34 @@
 /**
  * 公众号管理模块入口
- * 整合公众号管理相关组件，提供模块初始化功能
+ * 注册公众号消息回调和菜单事件处理管理接口，回调按已配置的菜单事件处理生成被动回复
  */
 
-const accountController = require('./controllers/accountController');
-const userController = require('./controllers/userController');
-const materialController = require('./controllers/materialController');
-const templateController = require('./controllers/templateController');
-const subscriptionController = require('./controllers/subscriptionController');
-const conversationController = require('./controllers/conversationController');
+const logger = require('../../core/utils/logger');
+const authMiddleware = require('../../core/security/authMiddleware');
+const callbackController = require('./controllers/callbackController');
 const menuController = require('./controllers/menuController');
-
-const accountService = require('./services/accountService');
-const userService = require('./services/userService');
-const materialService = require('./services/materialService');
-const templateService = require('./services/templateService');
-const subscriptionService = require('./services/subscriptionService');
-const conversationService = require('./services/conversationService');
+const callbackService = require('./services/callbackService');
 const menuService = require('./services/menuService');
-
-const accountRepository = require('./repositories/accountRepository');
-const userRepository = require('./repositories/userRepository');
-const materialRepository = require('./repositories/materialRepository');
-const templateRepository = require('./repositories/templateRepository');
-const subscriptionRepository = require('./repositories/subscriptionRepository');
-const conversationRepository = require('./repositories/conversationRepository');
 const menuRepository = require('./repositories/menuRepository');
+const callbackRoutes = require('./routes/callbackRoutes');
+const menuRoutes = require('./routes/menuRoutes');
 
-const wechatRoutes = require('./routes/wechatRoutes');
-const { container } = require('../../../core/di/dependencyInjector');
-const logger = require('../../../core/logger');
+const adminAuth = authMiddleware.auth(['admin', 'superadmin']);
+
+/**
+ * 管理员认证，认证失败时直接返回 401/403
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件
+ */
+function authenticateAdmin(req, res, next) {
+  adminAuth(req, res, (error) => {
+    if (error) {
+      return res.status(error.statusCode || 401).json({ success: false, message: error.message });
+    }
+    return next();
+  });
+}
 
 /**
  * 初始化公众号管理模块
@@ -37,37 +36,15 @@ const logger = require('../../../core/logger');
  */
 function initialize(app) {
   try {
-    // 注册服务到依赖注入容器
-    // 仓库层
-    container.register('accountRepository', accountRepository);
-    container.register('userRepository', userRepository);
-    container.register('materialRepository', materialRepository);
-    container.register('templateRepository', templateRepository);
-    container.register('subscriptionRepository', subscriptionRepository);
-    container.register('conversationRepository', conversationRepository);
-    container.register('menuRepository', menuRepository);
-    
-    // 服务层
-    container.register('accountService', accountService);
-    container.register('userService', userService);
-    container.register('materialService', materialService);
-    container.register('templateService', templateService);
-    container.register('subscriptionService', subscriptionService);
-    container.register('conversationService', conversationService);
-    container.register('menuService', menuService);
-    
-    // 控制器层
-    container.register('accountController', accountController);
-    container.register('userController', userController);
-    container.register('materialController', materialController);
-    container.register('templateController', templateController);
-    container.register('subscriptionController', subscriptionController);
-    container.register('conversationController', conversationController);
-    container.register('menuController', menuController);
-    
-    // 注册路由
-    wechatRoutes.register(app);
-    
+    logger.info('初始化公众号管理模块');
+
+    // 回调按已配置的菜单事件处理生成回复
+    callbackService.setMenuEventHandlerProvider(() => menuService.getMenuEventHandlers());
+
+    // 消息回调由微信服务器调用，通过签名校验，不经过管理端鉴权
+    callbackRoutes.register(app);
+    app.use('/api/admin/wechat/official/menu-event-handlers', authenticateAdmin, menuRoutes);
+
     logger.info('公众号管理模块初始化完成');
   } catch (error) {
     logger.error('公众号管理模块初始化失败:', error);
@@ -79,31 +56,16 @@ function initialize(app) {
 module.exports = {
   initialize,
   controllers: {
-    accountController,
-    userController,
-    materialController,
-    templateController,
-    subscriptionController,
-    conversationController,
-    menuController
+    menuController,
+    callbackController
   },
   services: {
-    accountService,
-    userService,
-    materialService,
-    templateService,
-    subscriptionService,
-    conversationService,
-    menuService
+    menuService,
+    callbackService
   },
   repositories: {
-    accountRepository,
-    userRepository,
-    materialRepository,
-    templateRepository,
-    subscriptionRepository,
-    conversationRepository,
     menuRepository
   },
-  routes: wechatRoutes
-};
\ No newline at end of file
+  routes: menuRoutes,
+  callbackRoutes
+};
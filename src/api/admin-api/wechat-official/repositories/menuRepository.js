@@ -0,0 +1,120 @@
+/**
+ * 公众号菜单事件处理仓库
+ * 保存菜单点击、关注和扫码事件对应的被动回复配置，由消息回调按菜单key查找
+ *
+ * 数据表：
+ * - wechat_menu_event_handlers：菜单事件处理（menu_key 唯一, handler_type（text/image/news）, handler_content,
+ *   created_at, updated_at）
+ */
+
+const logger = require('../../../core/utils/logger');
+
+/**
+ * 公众号菜单事件处理仓库类
+ */
+class MenuRepository {
+  /**
+   * 获取全部菜单事件处理
+   * @param {Object} connection - 数据库连接
+   * @returns {Promise<Array>} 事件处理记录
+   */
+  async findEventHandlers(connection) {
+    try {
+      const [rows] = await connection.query('SELECT * FROM wechat_menu_event_handlers ORDER BY id');
+      return rows;
+    } catch (error) {
+      logger.error('查询菜单事件处理失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按ID获取菜单事件处理
+   * @param {Object} connection - 数据库连接
+   * @param {number} id - 事件处理ID
+   * @returns {Promise<Object|null>} 事件处理记录
+   */
+  async findEventHandlerById(connection, id) {
+    try {
+      const [rows] = await connection.query('SELECT * FROM wechat_menu_event_handlers WHERE id = ?', [id]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询菜单事件处理失败', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按菜单key获取菜单事件处理
+   * @param {Object} connection - 数据库连接
+   * @param {string} menuKey - 菜单key
+   * @returns {Promise<Object|null>} 事件处理记录
+   */
+  async findEventHandlerByKey(connection, menuKey) {
+    try {
+      const [rows] = await connection.query('SELECT * FROM wechat_menu_event_handlers WHERE menu_key = ?', [menuKey]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询菜单事件处理失败', { menuKey, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 新增菜单事件处理
+   * @param {Object} connection - 数据库连接
+   * @param {Object} handler - { menuKey, handlerType, handlerContent }
+   * @returns {Promise<number>} 事件处理ID
+   */
+  async createEventHandler(connection, handler) {
+    try {
+      const [result] = await connection.query(
+        `INSERT INTO wechat_menu_event_handlers (menu_key, handler_type, handler_content, created_at, updated_at)
+         VALUES (?, ?, ?, NOW(), NOW())`,
+        [handler.menuKey, handler.handlerType, handler.handlerContent]
+      );
+      return result.insertId;
+    } catch (error) {
+      logger.error('新增菜单事件处理失败', { menuKey: handler.menuKey, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 修改菜单事件处理
+   * @param {Object} connection - 数据库连接
+   * @param {number} id - 事件处理ID
+   * @param {Object} handler - { handlerType, handlerContent }
+   * @returns {Promise<boolean>} 是否修改成功
+   */
+  async updateEventHandler(connection, id, handler) {
+    try {
+      const [result] = await connection.query(
+        'UPDATE wechat_menu_event_handlers SET handler_type = ?, handler_content = ?, updated_at = NOW() WHERE id = ?',
+        [handler.handlerType, handler.handlerContent, id]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('修改菜单事件处理失败', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除菜单事件处理
+   * @param {Object} connection - 数据库连接
+   * @param {number} id - 事件处理ID
+   * @returns {Promise<boolean>} 是否删除成功
+   */
+  async deleteEventHandler(connection, id) {
+    try {
+      const [result] = await connection.query('DELETE FROM wechat_menu_event_handlers WHERE id = ?', [id]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('删除菜单事件处理失败', { id, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new MenuRepository();
@@ -0,0 +1,37 @@
+/**
+ * 公众号模板消息发送记录仓库
+ * 消息回调收到模板消息送达事件（TEMPLATESENDJOBFINISH）时更新发送记录的送达状态
+ *
+ * 数据表：
+ * - wechat_template_messages：模板消息发送记录（msg_id, status, error_msg, ...）
+ */
+
+const logger = require('../../../core/utils/logger');
+
+/**
+ * 公众号模板消息发送记录仓库类
+ */
+class TemplateMessageRepository {
+  /**
+   * 按消息ID更新送达状态
+   * @param {Object} connection - 数据库连接
+   * @param {string} msgId - 模板消息ID
+   * @param {string} status - 送达状态（delivered/failed）
+   * @param {string|null} errorMsg - 失败原因
+   * @returns {Promise<number>} 更新的记录数
+   */
+  async updateStatusByMsgId(connection, msgId, status, errorMsg = null) {
+    try {
+      const [result] = await connection.query(
+        'UPDATE wechat_template_messages SET status = ?, error_msg = ? WHERE msg_id = ?',
+        [status, errorMsg, msgId]
+      );
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('更新模板消息送达状态失败', { msgId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new TemplateMessageRepository();
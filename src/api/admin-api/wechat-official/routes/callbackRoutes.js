@@ -0,0 +1,97 @@
+/**
+ * 公众号消息回调路由
+ * 微信服务器直接调用，不经过管理端鉴权，由签名校验保证请求来源
+ */
+
+const express = require('express');
+const router = express.Router();
+const callbackController = require('../controllers/callbackController');
+
+// 消息推送为XML，按文本读取原始请求体
+const xmlBody = express.text({ type: () => true, limit: '1mb' });
+
+/**
+ * @swagger
+ * /api/wechat/official/callback:
+ *   get:
+ *     summary: 公众号服务器地址验证
+ *     description: 微信后台配置服务器URL时调用，签名正确时原样返回echostr
+ *     tags: [公众号消息回调]
+ *     parameters:
+ *       - in: query
+ *         name: signature
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: timestamp
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: nonce
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: echostr
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: 验证通过，返回echostr
+ *       403:
+ *         description: 签名错误
+ */
+router.get('/', callbackController.verify);
+
+/**
+ * @swagger
+ * /api/wechat/official/callback:
+ *   post:
+ *     summary: 接收公众号消息和事件推送
+ *     description: |
+ *       校验签名（安全模式下校验msg_signature并解密），按MsgId去重重试的消息，
+ *       菜单、关注和扫码事件按菜单事件处理配置回复文本、图片或图文，文本消息按自动回复规则回复。
+ *       无需回复或处理超时时返回success。
+ *     tags: [公众号消息回调]
+ *     parameters:
+ *       - in: query
+ *         name: signature
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: timestamp
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: nonce
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: encrypt_type
+ *         schema: { type: string, enum: [aes] }
+ *       - in: query
+ *         name: msg_signature
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         text/xml:
+ *           schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: 被动回复XML或success
+ *       403:
+ *         description: 签名错误或时间戳过期
+ */
+router.post('/', xmlBody, callbackController.receive);
+
+/**
+ * 注册公众号消息回调路由
+ * @param {Object} app - Express应用实例
+ */
+function register(app) {
+  app.use('/api/wechat/official/callback', router);
+}
+
+module.exports = {
+  register,
+  router
+};
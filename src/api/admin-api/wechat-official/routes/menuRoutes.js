@@ -0,0 +1,52 @@
+// 公众号菜单事件处理管理路由
+const express = require('express');
+const router = express.Router();
+const menuController = require('../controllers/menuController');
+
+/**
+ * @swagger
+ * /api/admin/wechat/official/menu-event-handlers:description: 获取菜单事件处理列表
+ * @swagger
+ * /api/admin/wechat/official/menu-event-handlers:method: GET
+ */
+router.get('/', menuController.getMenuEventHandlers);
+
+/**
+ * @swagger
+ * /api/admin/wechat/official/menu-event-handlers:description: 为菜单添加事件处理，菜单点击、关注（subscribe）和扫码（scan、scan:场景值）事件按菜单key回复
+ * @swagger
+ * /api/admin/wechat/official/menu-event-handlers:method: POST
+ * @swagger
+ * /api/admin/wechat/official/menu-event-handlers:parameters:
+ *   - name: menuKey
+ *     description: 菜单key
+ *     in: body
+ *     type: string
+ *   - name: handlerType
+ *     description: 处理类型（text 文本、image 图片、news 图文）
+ *     in: body
+ *     type: string
+ *   - name: handlerContent
+ *     description: 处理内容（文本内容、图片素材ID或图文列表）
+ *     in: body
+ *     type: string
+ */
+router.post('/', menuController.addMenuEventHandler);
+
+/**
+ * @swagger
+ * /api/admin/wechat/official/menu-event-handlers/{id}:description: 修改菜单事件处理
+ * @swagger
+ * /api/admin/wechat/official/menu-event-handlers/{id}:method: PUT
+ */
+router.put('/:id', menuController.updateMenuEventHandler);
+
+/**
+ * @swagger
+ * /api/admin/wechat/official/menu-event-handlers/{id}:description: 删除菜单事件处理
+ * @swagger
+ * /api/admin/wechat/official/menu-event-handlers/{id}:method: DELETE
+ */
+router.delete('/:id', menuController.deleteMenuEventHandler);
+
+module.exports = router;
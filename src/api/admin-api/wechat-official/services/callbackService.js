@@ -0,0 +1,424 @@
+/**
+ * 公众号消息回调服务
+ * 接收微信服务器推送的用户消息和事件：校验签名、安全模式解密、按MsgId去重，
+ * 将菜单及关注、扫码事件分发给已配置的菜单事件处理，并在微信的响应时限内生成被动回复
+ */
+
+const logger = require('../../../core/utils/logger');
+const { connectionPoolManager } = require('../../../core/data-access/database/ConnectionPoolManager');
+const templateMessageRepository = require('../repositories/templateMessageRepository');
+const autoReplyService = require('../../../core/services/autoReplyService');
+const { MessageCrypto, getSignature, safeEqual } = require('../utils/messageCrypto');
+const { parseXml, buildReply, buildEncryptedReply } = require('../utils/messageXml');
+
+// 数据库连接池ID
+const DB_POOL_ID = process.env.DB_POOL_ID || 'default';
+
+// 微信服务器5秒内收不到响应会断开并重试，预留网络传输时间
+const REPLY_TIMEOUT_MS = 4500;
+
+// 重试最多3次、间隔5秒，去重记录保留30秒
+const DEDUPE_TTL_MS = 30 * 1000;
+
+// 回调时间戳允许的偏差（秒），超出视为重放请求
+const TIMESTAMP_TOLERANCE_SECONDS = 300;
+
+// 无需回复时的响应内容，微信服务器不会对此做任何处理
+const EMPTY_REPLY = 'success';
+
+// 由自定义菜单触发的事件，EventKey为菜单的key（VIEW为跳转链接）
+const MENU_EVENTS = [
+  'CLICK', 'VIEW', 'view_miniprogram',
+  'scancode_push', 'scancode_waitmsg',
+  'pic_sysphoto', 'pic_photo_or_album', 'pic_weixin',
+  'location_select'
+];
+
+/**
+ * 公众号消息回调服务类
+ */
+class CallbackService {
+  constructor() {
+    // 去重键 -> { promise, expiresAt }，重试请求复用首次请求的处理结果
+    this.processing = new Map();
+    this.messageCrypto = null;
+    // 菜单事件处理来源和关注用户同步由模块入口注入
+    this.menuEventHandlerProvider = null;
+    this.subscriberSync = null;
+  }
+
+  /**
+   * 设置菜单事件处理来源
+   * @param {Function} provider - 返回菜单事件处理列表的函数 () => Promise<Array<{ menuKey, handlerType, handlerContent }>>
+   */
+  setMenuEventHandlerProvider(provider) {
+    this.menuEventHandlerProvider = provider;
+  }
+
+  /**
+   * 设置关注后同步用户信息的方法
+   * @param {Function} sync - 同步函数 (openId) => Promise
+   */
+  setSubscriberSync(sync) {
+    this.subscriberSync = sync;
+  }
+
+  /**
+   * 获取公众号回调配置
+   * @returns {Object} { token, appId, encodingAESKey }
+   */
+  getConfig() {
+    return {
+      token: process.env.WECHAT_TOKEN,
+      appId: process.env.WECHAT_APPID,
+      encodingAESKey: process.env.WECHAT_ENCODING_AES_KEY
+    };
+  }
+
+  /**
+   * 获取消息加解密实例（安全模式）
+   * @returns {MessageCrypto} 加解密实例
+   */
+  getMessageCrypto() {
+    const config = this.getConfig();
+    if (!this.messageCrypto || this.messageCrypto.token !== config.token ||
+        this.messageCrypto.appId !== config.appId || this.messageCrypto.encodingAESKey !== config.encodingAESKey) {
+      this.messageCrypto = new MessageCrypto(config);
+    }
+    return this.messageCrypto;
+  }
+
+  /**
+   * 校验回调签名
+   * @param {Object} query - 回调URL参数 { signature, timestamp, nonce }
+   * @returns {boolean} 签名是否有效
+   */
+  checkSignature(query) {
+    const { token } = this.getConfig();
+    if (!token) {
+      logger.error('未配置公众号Token（WECHAT_TOKEN），拒绝回调请求');
+      return false;
+    }
+
+    return safeEqual(getSignature(token, query.timestamp, query.nonce), query.signature);
+  }
+
+  /**
+   * 服务器地址验证（微信后台配置服务器URL时发起的GET请求）
+   * @param {Object} query - 回调URL参数 { signature, timestamp, nonce, echostr }
+   * @returns {string|null} 验证通过时返回echostr
+   */
+  verifyServer(query) {
+    if (!this.checkSignature(query)) {
+      logger.warn('公众号服务器验证签名错误');
+      return null;
+    }
+    return query.echostr;
+  }
+
+  /**
+   * 处理消息回调
+   * @param {Object} query - 回调URL参数
+   * @param {string} body - 请求体XML
+   * @returns {Promise<Object>} { status, body }
+   */
+  async handleCallback(query, body) {
+    if (!this.checkSignature(query)) {
+      logger.warn('公众号消息回调签名错误', { timestamp: query.timestamp, nonce: query.nonce });
+      return { status: 403, body: 'invalid signature' };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (Math.abs(now - Number(query.timestamp)) > TIMESTAMP_TOLERANCE_SECONDS) {
+      logger.warn('公众号消息回调时间戳过期', { timestamp: query.timestamp });
+      return { status: 403, body: 'expired timestamp' };
+    }
+
+    const encrypted = query.encrypt_type === 'aes';
+    let message;
+    try {
+      message = encrypted ? this.decryptMessage(query, body) : parseXml(body);
+    } catch (error) {
+      logger.warn('公众号消息解析失败:', error);
+      return { status: error.statusCode || 400, body: error.message };
+    }
+
+    let reply = null;
+    try {
+      reply = await this.replyWithinTimeout(message);
+    } catch (error) {
+      // 处理失败时也返回success，避免用户看到“该公众号暂时无法提供服务”
+      logger.error('公众号消息处理失败:', error);
+    }
+
+    if (!reply) {
+      return { status: 200, body: EMPTY_REPLY };
+    }
+
+    const xml = buildReply(message, reply);
+    return { status: 200, body: encrypted ? this.encryptReply(xml) : xml };
+  }
+
+  /**
+   * 解密安全模式的消息
+   * @param {Object} query - 回调URL参数 { msg_signature, timestamp, nonce }
+   * @param {string} body - 请求体XML
+   * @returns {Object} 消息字段
+   */
+  decryptMessage(query, body) {
+    const envelope = parseXml(body);
+    if (!envelope.Encrypt) {
+      throw new Error('消息格式错误：缺少Encrypt字段');
+    }
+
+    const { token } = this.getConfig();
+    if (!safeEqual(getSignature(token, query.timestamp, query.nonce, envelope.Encrypt), query.msg_signature)) {
+      const error = new Error('invalid msg_signature');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    return parseXml(this.getMessageCrypto().decrypt(envelope.Encrypt));
+  }
+
+  /**
+   * 加密被动回复
+   * @param {string} xml - 回复XML
+   * @returns {string} 加密后的回复XML
+   */
+  encryptReply(xml) {
+    const { token } = this.getConfig();
+    const encrypt = this.getMessageCrypto().encrypt(xml);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const nonce = String(Math.floor(Math.random() * 1e10));
+
+    return buildEncryptedReply({
+      encrypt,
+      signature: getSignature(token, timestamp, nonce, encrypt),
+      timestamp,
+      nonce
+    });
+  }
+
+  /**
+   * 在响应时限内生成回复，超时返回null（处理继续进行，重试请求可拿到结果）
+   * @param {Object} message - 消息
+   * @returns {Promise<Object|null>} 回复内容
+   */
+  async replyWithinTimeout(message) {
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => {
+        logger.warn('公众号消息处理超时，先返回空回复', { msgType: message.MsgType, event: message.Event });
+        resolve(null);
+      }, REPLY_TIMEOUT_MS);
+    });
+
+    try {
+      return await Promise.race([this.replyOnce(message), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * 获取消息去重键：普通消息使用MsgId，事件使用发送方+创建时间+事件类型
+   * @param {Object} message - 消息
+   * @returns {string} 去重键
+   */
+  getDedupeKey(message) {
+    const msgId = message.MsgId || message.MsgID;
+    if (msgId) {
+      return `msg:${msgId}`;
+    }
+    return `event:${message.FromUserName}:${message.CreateTime}:${message.Event}:${message.EventKey || ''}`;
+  }
+
+  /**
+   * 同一消息只处理一次，重试的消息返回首次处理的结果
+   * @param {Object} message - 消息
+   * @returns {Promise<Object|null>} 回复内容
+   */
+  replyOnce(message) {
+    const now = Date.now();
+    for (const [key, entry] of this.processing) {
+      if (entry.expiresAt <= now) {
+        this.processing.delete(key);
+      }
+    }
+
+    const key = this.getDedupeKey(message);
+    const existing = this.processing.get(key);
+    if (existing) {
+      logger.info('收到重复的公众号消息，复用处理结果', { key });
+      return existing.promise;
+    }
+
+    const promise = this.processMessage(message);
+    this.processing.set(key, { promise, expiresAt: now + DEDUPE_TTL_MS });
+    return promise;
+  }
+
+  /**
+   * 处理消息
+   * @param {Object} message - 消息
+   * @returns {Promise<Object|null>} 回复内容
+   */
+  async processMessage(message) {
+    logger.info('收到公众号消息', {
+      openId: message.FromUserName,
+      msgType: message.MsgType,
+      event: message.Event,
+      eventKey: message.EventKey
+    });
+
+    if (message.MsgType === 'event') {
+      return this.handleEvent(message);
+    }
+    return this.handleUserMessage(message);
+  }
+
+  /**
+   * 处理事件推送
+   * @param {Object} message - 事件消息
+   * @returns {Promise<Object|null>} 回复内容
+   */
+  async handleEvent(message) {
+    const event = message.Event;
+
+    if (MENU_EVENTS.includes(event)) {
+      return this.replyByHandler([message.EventKey], false);
+    }
+
+    switch (event) {
+      case 'subscribe': {
+        this.syncSubscriber(message.FromUserName);
+        // 扫描带参数二维码关注时EventKey为qrscene_前缀加场景值，优先使用场景对应的处理
+        const scene = message.EventKey ? String(message.EventKey).replace(/^qrscene_/, '') : null;
+        return this.replyByHandler(scene ? [`scan:${scene}`, 'subscribe'] : ['subscribe'], false);
+      }
+      case 'SCAN':
+        return this.replyByHandler([`scan:${message.EventKey}`, 'scan'], false);
+      case 'unsubscribe':
+        logger.info('用户取消关注公众号', { openId: message.FromUserName });
+        return null;
+      case 'TEMPLATESENDJOBFINISH':
+        await this.updateTemplateMessageStatus(message);
+        return null;
+      default:
+        logger.info('未处理的公众号事件', { event });
+        return null;
+    }
+  }
+
+  /**
+   * 处理用户发送的消息，文本消息按自动回复规则和FAQ回复
+   * @param {Object} message - 用户消息
+   * @returns {Promise<Object|null>} 回复内容
+   */
+  async handleUserMessage(message) {
+    if (message.MsgType !== 'text' || !message.Content) {
+      return null;
+    }
+
+    const autoReply = autoReplyService.generateAutoReply(message.Content, { openId: message.FromUserName, channel: 'wechat_official' });
+    if (!autoReply || autoReply.type === 'default') {
+      return null;
+    }
+    return { type: 'text', content: autoReply.content };
+  }
+
+  /**
+   * 按菜单事件处理生成回复，依次匹配候选key
+   * @param {Array<string>} keys - 候选菜单key
+   * @param {boolean} isUserMessage - 是否回复用户发送的消息（此时只能回复1条图文）
+   * @returns {Promise<Object|null>} 回复内容
+   */
+  async replyByHandler(keys, isUserMessage) {
+    if (!this.menuEventHandlerProvider) {
+      return null;
+    }
+    const handlers = await this.menuEventHandlerProvider();
+    for (const key of keys.filter(Boolean)) {
+      const handler = (handlers || []).find(item => item.menuKey === key);
+      if (handler) {
+        return this.buildHandlerReply(handler, isUserMessage);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 将菜单事件处理配置转换为被动回复
+   * @param {Object} handler - 事件处理 { menuKey, handlerType, handlerContent }
+   * @param {boolean} isUserMessage - 是否回复用户发送的消息
+   * @returns {Object|null} 回复内容
+   */
+  buildHandlerReply(handler, isUserMessage) {
+    let content = handler.handlerContent;
+    if (typeof content === 'string' && handler.handlerType !== 'text') {
+      try {
+        content = JSON.parse(content);
+      } catch (error) {
+        // 非JSON内容按原值处理，如图片直接配置素材ID
+      }
+    }
+
+    switch (handler.handlerType) {
+      case 'text':
+        return { type: 'text', content: typeof content === 'string' ? content : content.content };
+      case 'image':
+        return { type: 'image', mediaId: typeof content === 'string' ? content : content.mediaId };
+      case 'news': {
+        const articles = (Array.isArray(content) ? content : content.articles || [])
+          .map(article => ({
+            title: article.title,
+            description: article.description || article.digest,
+            picUrl: article.picUrl || article.pic_url,
+            url: article.url
+          }));
+        if (articles.length === 0) {
+          return null;
+        }
+        // 回复用户消息时只能回复1条图文，事件回复最多8条
+        return { type: 'news', articles: articles.slice(0, isUserMessage ? 1 : 8) };
+      }
+      default:
+        logger.warn('不支持被动回复的菜单事件处理类型', { menuKey: handler.menuKey, handlerType: handler.handlerType });
+        return null;
+    }
+  }
+
+  /**
+   * 关注后同步用户信息，不阻塞回复
+   * @param {string} openId - 用户OpenID
+   */
+  syncSubscriber(openId) {
+    if (!this.subscriberSync) {
+      return;
+    }
+    Promise.resolve()
+      .then(() => this.subscriberSync(openId))
+      .catch(error => logger.warn(`关注用户信息同步失败: ${openId}`, error));
+  }
+
+  /**
+   * 更新模板消息送达状态
+   * Status为success、failed:user block（用户拒收）或failed: system failed（其他原因）
+   * @param {Object} message - 事件消息
+   */
+  async updateTemplateMessageStatus(message) {
+    const msgId = message.MsgID || message.MsgId;
+    const status = message.Status === 'success' ? 'delivered' : 'failed';
+
+    const connection = await connectionPoolManager.getConnection(DB_POOL_ID);
+    try {
+      await templateMessageRepository.updateStatusByMsgId(connection, msgId, status, status === 'failed' ? message.Status : null);
+    } finally {
+      connection.release();
+    }
+    logger.info('模板消息送达状态已更新', { msgId, status: message.Status });
+  }
+}
+
+module.exports = new CallbackService();
@@ -0,0 +1,137 @@
+/**
+ * 公众号消息回调测试
+ * 通过模块入口挂载路由，先经管理接口添加菜单事件处理，再推送菜单点击事件检查被动回复
+ */
+
+jest.mock('../../../core/utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../../core/security/authMiddleware', () => ({
+  auth: () => (req, res, next) => next()
+}));
+jest.mock('../../../core/services/autoReplyService', () => ({
+  generateAutoReply: jest.fn()
+}));
+jest.mock('../../../core/data-access/database/ConnectionPoolManager', () => ({
+  connectionPoolManager: { getConnection: jest.fn() }
+}));
+
+const express = require('express');
+const { connectionPoolManager } = require('../../../core/data-access/database/ConnectionPoolManager');
+const wechatOfficialModule = require('../index');
+const { getSignature } = require('../utils/messageCrypto');
+
+const TOKEN = 'test-token';
+
+/**
+ * 创建内存中的菜单事件处理表连接
+ * @returns {Object} 数据库连接
+ */
+function createConnection() {
+  const rows = [];
+  return {
+    release: jest.fn(),
+    query: jest.fn(async (sql, params = []) => {
+      if (sql.startsWith('INSERT INTO wechat_menu_event_handlers')) {
+        const [menuKey, handlerType, handlerContent] = params;
+        rows.push({ id: rows.length + 1, menu_key: menuKey, handler_type: handlerType, handler_content: handlerContent });
+        return [{ insertId: rows.length, affectedRows: 1 }];
+      }
+      if (sql.includes('WHERE menu_key = ?')) {
+        return [rows.filter(row => row.menu_key === params[0])];
+      }
+      if (sql.includes('WHERE id = ?')) {
+        return [rows.filter(row => row.id === Number(params[0]))];
+      }
+      if (sql.startsWith('SELECT * FROM wechat_menu_event_handlers')) {
+        return [rows.slice()];
+      }
+      throw new Error(`未模拟的SQL: ${sql}`);
+    })
+  };
+}
+
+/**
+ * 构建带签名的回调URL
+ * @param {string} baseUrl - 服务地址
+ * @returns {string} 回调URL
+ */
+function callbackUrl(baseUrl) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = '123456';
+  const signature = getSignature(TOKEN, timestamp, nonce);
+  return `${baseUrl}/api/wechat/official/callback?signature=${signature}&timestamp=${timestamp}&nonce=${nonce}`;
+}
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  process.env.WECHAT_TOKEN = TOKEN;
+  const connection = createConnection();
+  connectionPoolManager.getConnection.mockResolvedValue(connection);
+
+  const app = express();
+  app.use(express.json());
+  wechatOfficialModule.initialize(app);
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  delete process.env.WECHAT_TOKEN;
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('菜单点击事件按管理端添加的事件处理回复', async () => {
+  const added = await fetch(`${baseUrl}/api/admin/wechat/official/menu-event-handlers`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ menuKey: 'CONTACT_US', handlerType: 'text', handlerContent: '客服电话：400-000-0000' })
+  });
+  expect(added.status).toBe(200);
+  expect((await added.json()).data).toMatchObject({ menuKey: 'CONTACT_US', handlerType: 'text' });
+
+  const event = '<xml><ToUserName><![CDATA[gh_account]]></ToUserName><FromUserName><![CDATA[openid-1]]></FromUserName>' +
+    `<CreateTime>${Math.floor(Date.now() / 1000)}</CreateTime><MsgType><![CDATA[event]]></MsgType>` +
+    '<Event><![CDATA[CLICK]]></Event><EventKey><![CDATA[CONTACT_US]]></EventKey></xml>';
+  const response = await fetch(callbackUrl(baseUrl), {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/xml' },
+    body: event
+  });
+  const reply = await response.text();
+
+  expect(response.status).toBe(200);
+  expect(reply).toContain('<ToUserName><![CDATA[openid-1]]></ToUserName>');
+  expect(reply).toContain('<MsgType><![CDATA[text]]></MsgType>');
+  expect(reply).toContain('客服电话：400-000-0000');
+});
+
+test('未配置事件处理的菜单返回success', async () => {
+  const event = '<xml><ToUserName><![CDATA[gh_account]]></ToUserName><FromUserName><![CDATA[openid-2]]></FromUserName>' +
+    `<CreateTime>${Math.floor(Date.now() / 1000)}</CreateTime><MsgType><![CDATA[event]]></MsgType>` +
+    '<Event><![CDATA[CLICK]]></Event><EventKey><![CDATA[UNKNOWN]]></EventKey></xml>';
+  const response = await fetch(callbackUrl(baseUrl), {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/xml' },
+    body: event
+  });
+
+  expect(await response.text()).toBe('success');
+});
+
+test('签名错误时拒绝回调', async () => {
+  const response = await fetch(`${baseUrl}/api/wechat/official/callback?signature=bad&timestamp=1&nonce=1`, {
+    method: 'POST',
+    body: '<xml></xml>'
+  });
+
+  expect(response.status).toBe(403);
+});
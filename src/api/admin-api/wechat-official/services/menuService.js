@@ -0,0 +1,146 @@
+/**
+ * 公众号菜单事件处理服务
+ * 管理菜单点击（按菜单key）、关注（subscribe）和扫码（scan、scan:场景值）事件的被动回复配置，
+ * 消息回调按事件的菜单key查找配置并回复文本、图片或图文
+ */
+
+const logger = require('../../../core/utils/logger');
+const { connectionPoolManager } = require('../../../core/data-access/database/ConnectionPoolManager');
+const { AppError, NotFoundError, ValidationError } = require('../../../core/exception/handlers/errorHandler');
+const menuRepository = require('../repositories/menuRepository');
+
+// 数据库连接池ID
+const DB_POOL_ID = process.env.DB_POOL_ID || 'default';
+
+// 支持被动回复的处理类型
+const HANDLER_TYPES = ['text', 'image', 'news'];
+
+// 菜单key最大长度（微信限制为128字节）
+const MAX_MENU_KEY_LENGTH = 128;
+
+/**
+ * 格式化菜单事件处理
+ * @param {Object} row - 事件处理记录
+ * @returns {Object} 事件处理 { id, menuKey, handlerType, handlerContent }
+ */
+function formatHandler(row) {
+  return {
+    id: row.id,
+    menuKey: row.menu_key,
+    handlerType: row.handler_type,
+    handlerContent: row.handler_content,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * 公众号菜单事件处理服务类
+ */
+class MenuService {
+  /**
+   * 使用数据库连接执行操作
+   * @param {Function} operation - 操作函数 (connection) => Promise
+   * @returns {Promise<any>} 操作结果
+   */
+  async withConnection(operation) {
+    const connection = await connectionPoolManager.getConnection(DB_POOL_ID);
+    try {
+      return await operation(connection);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 校验并整理处理内容，非文本回复的内容统一保存为JSON字符串
+   * @param {string} handlerType - 处理类型
+   * @param {string|Object} handlerContent - 处理内容
+   * @returns {Object} { handlerType, handlerContent }
+   */
+  parseHandler(handlerType, handlerContent) {
+    if (!HANDLER_TYPES.includes(handlerType)) {
+      throw new ValidationError(`处理类型只能是 ${HANDLER_TYPES.join('、')}`);
+    }
+    if (handlerContent === undefined || handlerContent === null || handlerContent === '') {
+      throw new ValidationError('处理内容不能为空');
+    }
+    return {
+      handlerType,
+      handlerContent: typeof handlerContent === 'string' ? handlerContent : JSON.stringify(handlerContent)
+    };
+  }
+
+  /**
+   * 为菜单添加事件处理
+   * @param {string} menuKey - 菜单key
+   * @param {string} handlerType - 处理类型（text/image/news）
+   * @param {string|Object} handlerContent - 处理内容
+   * @returns {Promise<Object>} 事件处理
+   */
+  async addMenuEventHandler(menuKey, handlerType, handlerContent) {
+    const key = String(menuKey || '').trim();
+    if (!key || key.length > MAX_MENU_KEY_LENGTH) {
+      throw new ValidationError(`菜单key不能为空且不超过${MAX_MENU_KEY_LENGTH}个字符`);
+    }
+    const handler = { menuKey: key, ...this.parseHandler(handlerType, handlerContent) };
+
+    const row = await this.withConnection(async (connection) => {
+      if (await menuRepository.findEventHandlerByKey(connection, key)) {
+        throw new AppError(409, '该菜单已配置事件处理', 409);
+      }
+      const id = await menuRepository.createEventHandler(connection, handler);
+      return menuRepository.findEventHandlerById(connection, id);
+    });
+
+    logger.info('菜单事件处理已添加', { menuKey: key, handlerType });
+    return formatHandler(row);
+  }
+
+  /**
+   * 获取全部菜单事件处理
+   * @returns {Promise<Array>} 事件处理列表
+   */
+  async getMenuEventHandlers() {
+    const rows = await this.withConnection(connection => menuRepository.findEventHandlers(connection));
+    return rows.map(formatHandler);
+  }
+
+  /**
+   * 修改菜单事件处理
+   * @param {number} id - 事件处理ID
+   * @param {string} handlerType - 处理类型
+   * @param {string|Object} handlerContent - 处理内容
+   * @returns {Promise<Object>} 事件处理
+   */
+  async updateMenuEventHandler(id, handlerType, handlerContent) {
+    const handler = this.parseHandler(handlerType, handlerContent);
+
+    const row = await this.withConnection(async (connection) => {
+      if (!(await menuRepository.updateEventHandler(connection, id, handler))) {
+        throw new NotFoundError('菜单事件处理不存在');
+      }
+      return menuRepository.findEventHandlerById(connection, id);
+    });
+
+    logger.info('菜单事件处理已修改', { id, handlerType });
+    return formatHandler(row);
+  }
+
+  /**
+   * 删除菜单事件处理
+   * @param {number} id - 事件处理ID
+   * @returns {Promise<Object>} { id }
+   */
+  async deleteMenuEventHandler(id) {
+    const deleted = await this.withConnection(connection => menuRepository.deleteEventHandler(connection, id));
+    if (!deleted) {
+      throw new NotFoundError('菜单事件处理不存在');
+    }
+
+    logger.info('菜单事件处理已删除', { id });
+    return { id };
+  }
+}
+
+module.exports = new MenuService();
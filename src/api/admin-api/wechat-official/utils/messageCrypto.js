@@ -0,0 +1,111 @@
+/**
+ * 公众号消息加解密
+ * 实现微信服务器回调的签名校验和安全模式下的AES加解密（AES-256-CBC，PKCS#7补位至32字节）
+ */
+
+const crypto = require('crypto');
+
+// 补位块大小
+const BLOCK_SIZE = 32;
+
+/**
+ * 计算回调签名：token、时间戳、随机数（以及安全模式下的密文）字典序排序后拼接做SHA1
+ * @param {string} token - 服务器配置的Token
+ * @param {string} timestamp - 时间戳
+ * @param {string} nonce - 随机数
+ * @param {string} [encrypt] - 密文（仅安全模式）
+ * @returns {string} 签名
+ */
+function getSignature(token, timestamp, nonce, encrypt) {
+  const parts = [token, timestamp, nonce];
+  if (encrypt !== undefined) {
+    parts.push(encrypt);
+  }
+  return crypto.createHash('sha1').update(parts.map(String).sort().join('')).digest('hex');
+}
+
+/**
+ * 常量时间比较签名
+ * @param {string} expected - 期望的签名
+ * @param {string} actual - 请求携带的签名
+ * @returns {boolean} 是否一致
+ */
+function safeEqual(expected, actual) {
+  const a = Buffer.from(String(expected || ''));
+  const b = Buffer.from(String(actual || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+class MessageCrypto {
+  /**
+   * @param {Object} options - 公众号配置
+   * @param {string} options.token - 服务器配置的Token
+   * @param {string} options.appId - 公众号AppID
+   * @param {string} options.encodingAESKey - 消息加解密密钥（43位）
+   */
+  constructor({ token, appId, encodingAESKey }) {
+    if (!encodingAESKey || encodingAESKey.length !== 43) {
+      throw new Error('EncodingAESKey必须为43位字符');
+    }
+
+    this.token = token;
+    this.appId = appId;
+    this.encodingAESKey = encodingAESKey;
+    this.key = Buffer.from(`${encodingAESKey}=`, 'base64');
+    this.iv = this.key.subarray(0, 16);
+  }
+
+  /**
+   * 解密消息
+   * 明文结构：16字节随机串 + 4字节消息长度（网络字节序）+ 消息XML + AppID
+   * @param {string} encrypted - Base64密文
+   * @returns {string} 消息XML
+   */
+  decrypt(encrypted) {
+    const decipher = crypto.createDecipheriv('aes-256-cbc', this.key, this.iv);
+    decipher.setAutoPadding(false);
+    const padded = Buffer.concat([decipher.update(encrypted, 'base64'), decipher.final()]);
+
+    const pad = padded[padded.length - 1];
+    if (pad < 1 || pad > BLOCK_SIZE) {
+      throw new Error('消息解密失败：补位错误');
+    }
+    const content = padded.subarray(16, padded.length - pad);
+
+    const length = content.readUInt32BE(0);
+    const xml = content.subarray(4, 4 + length).toString('utf8');
+    const appId = content.subarray(4 + length).toString('utf8');
+    if (appId !== this.appId) {
+      throw new Error('消息解密失败：AppID不匹配');
+    }
+
+    return xml;
+  }
+
+  /**
+   * 加密消息
+   * @param {string} xml - 消息XML
+   * @returns {string} Base64密文
+   */
+  encrypt(xml) {
+    const message = Buffer.from(xml, 'utf8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(message.length, 0);
+
+    const content = Buffer.concat([crypto.randomBytes(16), length, message, Buffer.from(this.appId, 'utf8')]);
+    const pad = BLOCK_SIZE - (content.length % BLOCK_SIZE);
+
+    const cipher = crypto.createCipheriv('aes-256-cbc', this.key, this.iv);
+    cipher.setAutoPadding(false);
+    return Buffer.concat([
+      cipher.update(Buffer.concat([content, Buffer.alloc(pad, pad)])),
+      cipher.final()
+    ]).toString('base64');
+  }
+}
+
+module.exports = {
+  MessageCrypto,
+  getSignature,
+  safeEqual
+};
@@ -0,0 +1,153 @@
+/**
+ * 公众号消息XML
+ * 解析微信服务器推送的消息XML，生成被动回复XML
+ */
+
+// 单个元素：<Name>内容</Name>，内容可以是CDATA、文本或嵌套元素
+const ELEMENT_PATTERN = /<([A-Za-z_][\w.-]*)>([\s\S]*?)<\/\1>/g;
+const CDATA_PATTERN = /^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/;
+
+/**
+ * 反转义XML实体
+ * @param {string} text - 文本
+ * @returns {string} 原文
+ */
+function unescapeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * 解析元素内容，嵌套元素解析为对象，同名元素合并为数组
+ * @param {string} inner - 元素内容
+ * @returns {string|Object} 文本或对象
+ */
+function parseContent(inner) {
+  const cdata = inner.match(CDATA_PATTERN);
+  if (cdata) {
+    return cdata[1];
+  }
+  if (!/<[A-Za-z_]/.test(inner)) {
+    return unescapeXml(inner.trim());
+  }
+
+  const result = {};
+  for (const [, name, content] of inner.matchAll(ELEMENT_PATTERN)) {
+    const value = parseContent(content);
+    if (result[name] === undefined) {
+      result[name] = value;
+    } else {
+      result[name] = [].concat(result[name], value);
+    }
+  }
+  return result;
+}
+
+/**
+ * 解析消息XML
+ * @param {string} xml - 消息XML
+ * @returns {Object} 消息字段，如 { ToUserName, FromUserName, MsgType, Content }
+ */
+function parseXml(xml) {
+  const root = String(xml || '').match(/<xml>([\s\S]*)<\/xml>/);
+  if (!root) {
+    throw new Error('消息格式错误：缺少xml根节点');
+  }
+
+  const message = parseContent(root[1]);
+  return typeof message === 'object' ? message : {};
+}
+
+/**
+ * 包装为CDATA，内容中的]]>拆分到相邻的CDATA段
+ * @param {*} value - 内容
+ * @returns {string} CDATA片段
+ */
+function cdata(value) {
+  return `<![CDATA[${String(value === undefined || value === null ? '' : value).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * 将对象序列化为XML元素，数字不包装CDATA，数组展开为多个item
+ * @param {Object} fields - 字段
+ * @returns {string} XML片段
+ */
+function toElements(fields) {
+  return Object.entries(fields).map(([name, value]) => {
+    if (Array.isArray(value)) {
+      return `<${name}>${value.map(item => `<item>${toElements(item)}</item>`).join('')}</${name}>`;
+    }
+    if (value !== null && typeof value === 'object') {
+      return `<${name}>${toElements(value)}</${name}>`;
+    }
+    if (typeof value === 'number') {
+      return `<${name}>${value}</${name}>`;
+    }
+    return `<${name}>${cdata(value)}</${name}>`;
+  }).join('');
+}
+
+/**
+ * 生成被动回复XML
+ * @param {Object} message - 收到的消息（用于交换收发方）
+ * @param {Object} reply - 回复内容
+ * @param {string} reply.type - 回复类型：text、image、news
+ * @param {string} [reply.content] - 文本内容
+ * @param {string} [reply.mediaId] - 图片素材ID
+ * @param {Array<Object>} [reply.articles] - 图文列表 [{ title, description, picUrl, url }]
+ * @returns {string} 回复XML
+ */
+function buildReply(message, reply) {
+  const fields = {
+    ToUserName: message.FromUserName,
+    FromUserName: message.ToUserName,
+    CreateTime: Math.floor(Date.now() / 1000),
+    MsgType: reply.type
+  };
+
+  switch (reply.type) {
+    case 'text':
+      fields.Content = reply.content;
+      break;
+    case 'image':
+      fields.Image = { MediaId: reply.mediaId };
+      break;
+    case 'news':
+      fields.ArticleCount = reply.articles.length;
+      fields.Articles = reply.articles.map(article => ({
+        Title: article.title,
+        Description: article.description || '',
+        PicUrl: article.picUrl || '',
+        Url: article.url || ''
+      }));
+      break;
+    default:
+      throw new Error(`不支持的回复类型: ${reply.type}`);
+  }
+
+  return `<xml>${toElements(fields)}</xml>`;
+}
+
+/**
+ * 生成安全模式下的加密回复XML
+ * @param {Object} envelope - 加密信封
+ * @param {string} envelope.encrypt - 密文
+ * @param {string} envelope.signature - 签名
+ * @param {string} envelope.timestamp - 时间戳
+ * @param {string} envelope.nonce - 随机数
+ * @returns {string} 回复XML
+ */
+function buildEncryptedReply({ encrypt, signature, timestamp, nonce }) {
+  return `<xml><Encrypt>${cdata(encrypt)}</Encrypt><MsgSignature>${cdata(signature)}</MsgSignature>` +
+    `<TimeStamp>${timestamp}</TimeStamp><Nonce>${cdata(nonce)}</Nonce></xml>`;
+}
+
+module.exports = {
+  parseXml,
+  buildReply,
+  buildEncryptedReply
+};
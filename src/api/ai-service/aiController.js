@@ -5,6 +5,7 @@
  *   description: AI模型对话和健康检查接口
  */
 const aiModelService = require('./aiModelService');
+const knowledgeBaseService = require('../core/services/knowledgeBaseService');
 const logger = require('../utils/logger');
 
 class AIController {
@@ -13,7 +14,13 @@ class AIController {
    * /api/ai/chat:
    *   post:
    *     summary: AI对话接口
-   *     description: 使用AI模型生成对用户输入的回复
+   *     description: |
+   *       使用AI模型生成对用户输入的回复。
+   *       请求体 stream 为 true 或 Accept 为 text/event-stream 时以SSE流式返回：
+   *       逐段推送 token 事件，结束时推送 done 事件（包含完整回复和token统计），出错时推送 error 事件。
+   *       并发请求超过内存允许的推理数时排队，队列已满返回503。
+   *       默认先从帮助文章、知识库文档和FAQ中检索相关段落，按资料回答并在 citations 中返回来源ID；
+   *       没有检索到相关内容时直接说明（grounded 为 false），不调用模型。
    *     tags: [AI服务]
    *     requestBody:
    *       required: true
@@ -24,18 +31,24 @@ class AIController {
    *             required:
    *               - prompt
    *             properties:
-   *               prompt: 
+   *               prompt:
    *                 type: string
    *                 description: 用户输入的对话内容
+   *               stream:
+   *                 type: boolean
+   *                 description: 是否以SSE流式返回
+   *               knowledge:
+   *                 type: boolean
+   *                 description: 是否基于知识库回答，默认true
    *               options:
    *                 type: object
    *                 properties:
    *                   max_tokens:
    *                     type: integer
-   *                     description: 最大生成token数
+   *                     description: 最大生成token数，默认AI_MODEL_MAX_TOKENS
    *                   temperature:
    *                     type: number
-   *                     description: 生成温度参数
+   *                     description: 生成温度参数（0-2），默认AI_MODEL_TEMPERATURE
    *     responses:
    *       200:
    *         description: 成功
@@ -45,20 +58,43 @@ class AIController {
    *               type: object
    *               properties:
    *                 success: { type: boolean }
-   *                 data: 
+   *                 data:
    *                   type: object
    *                   properties:
    *                     response: { type: string }
-   *                     tokens: 
+   *                     mode: { type: string }
+   *                     grounded:
+   *                       type: boolean
+   *                       description: 是否检索到相关资料
+   *                     citations:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                         properties:
+   *                           id: { type: string, example: 'help_article:12' }
+   *                           sourceType: { type: string, enum: [help_article, knowledge_doc, faq] }
+   *                           sourceId: { type: string }
+   *                           title: { type: string }
+   *                           score: { type: number }
+   *                           cited: { type: boolean, description: 回答中是否引用了该来源 }
+   *                     tokens:
    *                       type: object
    *                       properties:
    *                         prompt: { type: integer }
    *                         completion: { type: integer }
+   *           text/event-stream:
+   *             schema:
+   *               type: string
+   *               example: "event: token\ndata: {\"text\":\"你好\"}\n\nevent: done\ndata: {\"response\":\"你好\",\"tokens\":{\"prompt\":12,\"completion\":1}}\n\n"
+   *       400:
+   *         description: 参数错误
+   *       503:
+   *         description: AI服务繁忙，请求队列已满
    */
   static async chat(req, res) {
     try {
-      const { prompt, options } = req.body;
-      
+      const { prompt, options = {} } = req.body;
+
       if (!prompt) {
         return res.status(400).json({
           success: false,
@@ -66,25 +102,38 @@ class AIController {
         });
       }
 
+      const stream = req.body.stream === true || (req.headers.accept || '').includes('text/event-stream');
+      const useKnowledge = req.body.knowledge !== false;
+
       // 记录请求
-      logger.info('收到AI对话请求:', { promptLength: prompt.length });
+      logger.info('收到AI对话请求:', { promptLength: prompt.length, stream });
+
+      if (stream) {
+        return AIController.streamChat(req, res, prompt, options, useKnowledge);
+      }
+
+      // 客户端断开时停止生成
+      const controller = new AbortController();
+      res.on('close', () => {
+        if (!res.writableEnded) {
+          controller.abort();
+        }
+      });
 
       // 生成回复
-      const response = await aiModelService.generateResponse(prompt, options);
+      const result = await AIController.generateAnswer(prompt, useKnowledge, {
+        max_tokens: options.max_tokens,
+        temperature: options.temperature,
+        signal: controller.signal
+      });
 
       return res.json({
         success: true,
-        data: {
-          response,
-          tokens: {
-            prompt: Math.ceil(prompt.length / 4), // 粗略估算token数
-            completion: Math.ceil(response.length / 4)
-          }
-        }
+        data: result
       });
     } catch (error) {
       logger.error('AI对话处理失败:', error);
-      return res.status(500).json({
+      return res.status(error.statusCode || 500).json({
         success: false,
         message: error.message || 'AI服务处理失败',
         error: process.env.NODE_ENV === 'development' ? error.stack : undefined
@@ -92,6 +141,81 @@ class AIController {
     }
   }
 
+  // 以SSE流式返回AI回复
+  static async streamChat(req, res, prompt, options, useKnowledge) {
+    const controller = new AbortController();
+    const send = (event, data) => {
+      if (!res.writableEnded) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    };
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // 客户端断开时停止生成，释放推理名额
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        controller.abort();
+      }
+    });
+
+    try {
+      const result = await AIController.generateAnswer(prompt, useKnowledge, {
+        max_tokens: options.max_tokens,
+        temperature: options.temperature,
+        signal: controller.signal,
+        onToken: text => send('token', { text })
+      });
+
+      send('done', result);
+    } catch (error) {
+      logger.error('AI流式对话处理失败:', error);
+      send('error', {
+        message: error.message || 'AI服务处理失败',
+        statusCode: error.statusCode || 500
+      });
+    }
+    res.end();
+  }
+
+  // 生成回复，启用知识库时按检索到的资料回答并附带引用来源
+  static async generateAnswer(prompt, useKnowledge, generateOptions) {
+    if (!useKnowledge) {
+      return aiModelService.generateResponse(prompt, generateOptions);
+    }
+
+    const passages = await knowledgeBaseService.retrieve(prompt);
+    if (passages.length === 0) {
+      const response = knowledgeBaseService.getNotFoundAnswer();
+      if (generateOptions.onToken) {
+        generateOptions.onToken(response);
+      }
+      return {
+        response,
+        tokens: { prompt: 0, completion: 0 },
+        mode: aiModelService.mode,
+        grounded: false,
+        citations: []
+      };
+    }
+
+    const result = await aiModelService.generateResponse(knowledgeBaseService.buildPrompt(prompt, passages), {
+      ...generateOptions,
+      passages
+    });
+    return {
+      ...result,
+      grounded: true,
+      citations: knowledgeBaseService.buildCitations(passages, result.response)
+    };
+  }
+
   /**
    * @swagger
    * /api/ai/health:
@@ -119,7 +243,22 @@ class AIController {
    *                         totalMB: { type: integer }
    *                         availableMB: { type: integer }
    *                         isEnough: { type: boolean }
-   *                     mode: { type: string }
+   *                     memoryLimitMB: { type: integer }
+   *                     mode:
+   *                       type: string
+   *                       description: llama（真实推理）或 simulation（模型文件不存在时的模拟模式）
+   *                     queue:
+   *                       type: object
+   *                       properties:
+   *                         concurrency: { type: integer }
+   *                         active: { type: integer }
+   *                         waiting: { type: integer }
+   *                     knowledge:
+   *                       type: object
+   *                       description: 知识库索引统计
+   *                       properties:
+   *                         documents: { type: integer }
+   *                         passages: { type: integer }
    */
   static async healthCheck(req, res) {
     try {
@@ -127,7 +266,10 @@ class AIController {
       
       return res.json({
         success: true,
-        data: healthStatus
+        data: {
+          ...healthStatus,
+          knowledge: knowledgeBaseService.getStats()
+        }
       });
     } catch (error) {
       logger.error('健康检查失败:', error);
@@ -3,42 +3,111 @@ const os = require('os');
 const path = require('path');
 const logger = require('../utils/logger');
 
+const MB = 1024 * 1024;
+
 class AIModelService {
   constructor() {
-    this.llm = null;
+    this.llama = null;
+    this.model = null;
+    this.context = null;
+    this.LlamaChatSession = null;
     this.isReady = false;
+    this.mode = 'simulation';
+    this.initializing = null;
     this.modelPath = path.resolve(process.env.AI_MODEL_PATH || path.join(__dirname, 'models', 'tinyllama-1.1b-chat-v1.0.Q4_K_M.gguf'));
     this.memoryLimit = parseInt(process.env.AI_MODEL_MEMORY_LIMIT || 2048); // 内存限制，单位MB
+    this.contextSize = parseInt(process.env.AI_MODEL_CONTEXT_SIZE || 2048); // 每个会话的上下文长度
+    this.threads = parseInt(process.env.AI_MODEL_THREADS || 0) || undefined; // 推理线程数，默认由llama.cpp决定
+    this.defaultMaxTokens = parseInt(process.env.AI_MODEL_MAX_TOKENS || 256);
+    this.defaultTemperature = parseFloat(process.env.AI_MODEL_TEMPERATURE || 0.7);
+    this.maxConcurrency = parseInt(process.env.AI_MODEL_MAX_CONCURRENCY || 2); // 同时推理的请求数上限
+    this.maxQueueLength = parseInt(process.env.AI_MODEL_MAX_QUEUE || 20); // 排队等待的请求数上限
+    this.releaseTimeout = parseInt(process.env.AI_MODEL_RELEASE_TIMEOUT || 30000); // 释放资源时等待推理中请求结束的时长，单位毫秒
+    this.systemPrompt = process.env.AI_MODEL_SYSTEM_PROMPT || '你是WeDrawOS项目的AI助手，请用简洁、准确的中文回答用户的问题。';
+
+    // 请求队列：同时推理的请求数由内存限制决定，其余请求排队
+    this.concurrency = 1;
+    this.activeCount = 0;
+    this.waitingQueue = [];
+    this.releasing = false;
+    this.drainWaiters = [];
   }
 
-  // 初始化模型服务
+  // 初始化模型服务，并发调用时只加载一次
   async initialize() {
+    if (this.isReady) {
+      return true;
+    }
+    if (!this.initializing) {
+      this.initializing = this.loadModel().finally(() => {
+        this.initializing = null;
+      });
+    }
+    return this.initializing;
+  }
+
+  // 加载模型，按内存限制计算可同时推理的请求数
+  async loadModel() {
     try {
       logger.info('开始初始化AI模型服务');
-      
+
       // 检查系统内存
       const memoryStatus = this.checkMemoryStatus();
       if (!memoryStatus.isEnough) {
         logger.warn(`系统内存不足: 可用${memoryStatus.availableMB}MB，建议至少${this.memoryLimit}MB`);
       }
-      
+
       // 检查模型文件是否存在
       if (!fs.existsSync(this.modelPath)) {
         logger.warn(`模型文件不存在: ${this.modelPath}`);
         logger.warn('启用模拟模式，AI服务可用但不加载真实模型');
+        this.mode = 'simulation';
         this.isReady = true;
         return true;
       }
-      
+
       logger.info(`模型文件存在: ${this.modelPath}`);
-      logger.info(`文件大小: ${(fs.statSync(this.modelPath).size / (1024 * 1024)).toFixed(2)}MB`);
-      
-      logger.info('AI模型服务初始化成功（模拟模式）');
+      logger.info(`文件大小: ${(fs.statSync(this.modelPath).size / MB).toFixed(2)}MB`);
+
+      // node-llama-cpp 只提供 ESM 版本，需要动态导入
+      const { getLlama, LlamaChatSession } = await import('node-llama-cpp');
+      this.LlamaChatSession = LlamaChatSession;
+
+      // 使用CPU推理，模型全部加载到内存
+      this.llama = await getLlama({ gpu: false });
+      this.model = await this.llama.loadModel({ modelPath: this.modelPath, gpuLayers: 0 });
+
+      const modelMB = this.model.size / MB;
+      const sequenceMB = this.model.fileInsights.estimateContextResourceRequirements({
+        contextSize: this.contextSize,
+        modelGpuLayers: 0,
+        sequences: 1
+      }).cpuRam / MB;
+      const fitCount = Math.floor((this.memoryLimit - modelMB) / sequenceMB);
+      if (fitCount < 1) {
+        throw new Error(`内存限制${this.memoryLimit}MB不足以运行模型（模型约${modelMB.toFixed(0)}MB，单个会话约${sequenceMB.toFixed(0)}MB）`);
+      }
+
+      this.concurrency = Math.max(1, Math.min(this.maxConcurrency, fitCount));
+      this.context = await this.model.createContext({
+        contextSize: this.contextSize,
+        sequences: this.concurrency,
+        threads: this.threads
+      });
+
+      logger.info('AI模型服务初始化成功', {
+        modelMB: modelMB.toFixed(2),
+        sequenceMB: sequenceMB.toFixed(2),
+        concurrency: this.concurrency,
+        contextSize: this.contextSize
+      });
+      this.mode = 'llama';
       this.isReady = true;
-      
+
       return true;
     } catch (error) {
       logger.error('AI模型初始化失败:', error);
+      await this.disposeModel();
       this.isReady = false;
       return false;
     }
@@ -48,17 +117,119 @@ class AIModelService {
   checkMemoryStatus() {
     const totalMemory = os.totalmem();
     const freeMemory = os.freemem();
-    const availableMB = Math.floor(freeMemory / (1024 * 1024));
+    const availableMB = Math.floor(freeMemory / MB);
     const isEnough = availableMB >= this.memoryLimit;
 
     return {
-      totalMB: Math.floor(totalMemory / (1024 * 1024)),
+      totalMB: Math.floor(totalMemory / MB),
       availableMB,
       isEnough
     };
   }
 
-  // 生成回复（模拟实现）
+  // 获取推理名额，名额用完时排队，队列已满时拒绝
+  acquireSlot(signal) {
+    if (this.releasing) {
+      const error = new Error('AI服务正在释放资源，请稍后再试');
+      error.statusCode = 503;
+      return Promise.reject(error);
+    }
+
+    if (this.activeCount < this.concurrency) {
+      this.activeCount++;
+      return Promise.resolve();
+    }
+
+    if (this.waitingQueue.length >= this.maxQueueLength) {
+      const error = new Error('AI服务繁忙，请稍后再试');
+      error.statusCode = 503;
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      this.waitingQueue.push(waiter);
+
+      // 排队期间客户端断开时移出队列
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          const index = this.waitingQueue.indexOf(waiter);
+          if (index !== -1) {
+            this.waitingQueue.splice(index, 1);
+            reject(new Error('请求已取消'));
+          }
+        }, { once: true });
+      }
+    });
+  }
+
+  // 归还推理名额，唤醒下一个排队的请求；没有推理中的请求时通知等待释放资源的调用方
+  releaseSlot() {
+    const next = this.waitingQueue.shift();
+    if (next) {
+      next.resolve();
+      return;
+    }
+
+    this.activeCount = Math.max(this.activeCount - 1, 0);
+    if (this.activeCount === 0) {
+      this.drainWaiters.splice(0).forEach(resolve => resolve());
+    }
+  }
+
+  // 等待推理中的请求结束，超时返回false
+  waitForDrain(timeout) {
+    if (this.activeCount === 0) {
+      return Promise.resolve(true);
+    }
+
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        const index = this.drainWaiters.indexOf(onDrain);
+        if (index !== -1) {
+          this.drainWaiters.splice(index, 1);
+        }
+        resolve(false);
+      }, timeout);
+      const onDrain = () => {
+        clearTimeout(timer);
+        resolve(true);
+      };
+      this.drainWaiters.push(onDrain);
+    });
+  }
+
+  // 解析生成参数
+  resolveOptions(options = {}) {
+    const maxTokens = options.max_tokens !== undefined ? parseInt(options.max_tokens) : this.defaultMaxTokens;
+    const temperature = options.temperature !== undefined ? parseFloat(options.temperature) : this.defaultTemperature;
+
+    if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > this.contextSize) {
+      const error = new Error(`max_tokens必须是1到${this.contextSize}之间的整数`);
+      error.statusCode = 400;
+      throw error;
+    }
+    if (Number.isNaN(temperature) || temperature < 0 || temperature > 2) {
+      const error = new Error('temperature必须是0到2之间的数字');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return { maxTokens, temperature };
+  }
+
+  /**
+   * 生成回复
+   * @param {string} prompt - 用户输入
+   * @param {Object} [options] - 生成参数
+   * @param {number} [options.max_tokens] - 最大生成token数
+   * @param {number} [options.temperature] - 生成温度
+   * @param {string} [options.systemPrompt] - 系统提示词
+   * @param {Function} [options.onToken] - 流式输出回调，每生成一段文本调用一次
+   * @param {AbortSignal} [options.signal] - 取消信号，客户端断开时停止生成
+   * @param {Array<Object>} [options.passages] - 知识库检索到的段落（模拟模式下据此生成回复）
+   * @returns {Promise<Object>} { response, tokens: { prompt, completion }, mode }
+   */
   async generateResponse(prompt, options = {}) {
     try {
       // 确保服务已初始化
@@ -69,35 +240,129 @@ class AIModelService {
         }
       }
 
-      logger.info('处理AI请求:', { promptLength: prompt.length });
-      
-      // 模拟AI回复，实际使用时需要替换为真实的模型调用
-      // 由于node-llama-cpp的API兼容性问题，这里提供模拟回复
-      const mockResponses = {
-        '你好，请简单介绍一下你自己': '我是一个基于TinyLlama模型的AI助手，专门为WeDrawOS项目提供服务。我可以回答问题、提供建议，帮助您更高效地使用系统。',
-        '写一首简短的诗，关于春天': '春日暖阳照大地，\n百花齐放争艳丽。\n微风轻抚绿柳梢，\n处处生机满人间。'
-      };
-      
-      // 查找匹配的模拟回复，如果没有则生成通用回复
-      const response = mockResponses[prompt] || 
-        `我已收到您的问题："${prompt}"。\n\n注意：当前AI模型处于模拟模式，这是一个示例回复。要使用真实的AI功能，您需要：\n1. 确保TinyLlama模型文件已正确下载\n2. 检查node-llama-cpp的安装和配置\n3. 根据实际API调整代码实现`;
-      
-      logger.info('AI回复生成成功（模拟模式）');
-      return response;
+      const { maxTokens, temperature } = this.resolveOptions(options);
+
+      logger.info('处理AI请求:', { promptLength: prompt.length, maxTokens, temperature, mode: this.mode });
+
+      if (this.mode === 'simulation') {
+        return this.generateSimulatedResponse(prompt, options);
+      }
+
+      await this.acquireSlot(options.signal);
+      try {
+        const session = new this.LlamaChatSession({
+          contextSequence: this.context.getSequence(),
+          systemPrompt: options.systemPrompt || this.systemPrompt,
+          autoDisposeSequence: true
+        });
+
+        try {
+          const response = await session.prompt(prompt, {
+            maxTokens,
+            temperature,
+            signal: options.signal,
+            stopOnAbortSignal: true,
+            onTextChunk: options.onToken
+          });
+
+          // 每个请求使用独立的会话序列，序列的计数即本次请求的真实token数
+          const { usedInputTokens, usedOutputTokens } = session.sequence.tokenMeter;
+
+          logger.info('AI回复生成成功', { promptTokens: usedInputTokens, completionTokens: usedOutputTokens });
+          return {
+            response,
+            tokens: {
+              prompt: usedInputTokens,
+              completion: usedOutputTokens
+            },
+            mode: this.mode
+          };
+        } finally {
+          session.dispose();
+        }
+      } finally {
+        this.releaseSlot();
+      }
     } catch (error) {
       logger.error('生成回复失败:', error);
       throw error;
     }
   }
 
-  // 释放资源
+  // 生成模拟回复（模型文件不存在时使用）
+  async generateSimulatedResponse(prompt, options = {}) {
+    const mockResponses = {
+      '你好，请简单介绍一下你自己': '我是一个基于TinyLlama模型的AI助手，专门为WeDrawOS项目提供服务。我可以回答问题、提供建议，帮助您更高效地使用系统。',
+      '写一首简短的诗，关于春天': '春日暖阳照大地，\n百花齐放争艳丽。\n微风轻抚绿柳梢，\n处处生机满人间。'
+    };
+
+    // 有知识库资料时摘录资料作为回复，否则查找匹配的模拟回复，如果没有则生成通用回复
+    const response = options.passages && options.passages.length > 0
+      ? '根据知识库资料（模拟模式）：\n' + options.passages
+        .map(passage => `${passage.content.slice(0, 120)} [${passage.citationId}]`)
+        .join('\n')
+      : mockResponses[prompt] ||
+      `我已收到您的问题："${prompt}"。\n\n注意：当前AI模型处于模拟模式，这是一个示例回复。要使用真实的AI功能，请运行 npm run prepare:ai 下载TinyLlama模型文件，或通过 AI_MODEL_PATH 指定模型路径。`;
+
+    if (options.onToken) {
+      options.onToken(response);
+    }
+
+    logger.info('AI回复生成成功（模拟模式）');
+    return {
+      response,
+      tokens: {
+        prompt: Math.ceil(prompt.length / 4), // 模拟模式下粗略估算token数
+        completion: Math.ceil(response.length / 4)
+      },
+      mode: this.mode
+    };
+  }
+
+  // 释放模型、上下文和推理后端
+  async disposeModel() {
+    const context = this.context;
+    const model = this.model;
+    const llama = this.llama;
+    this.context = null;
+    this.model = null;
+    this.llama = null;
+
+    if (context) {
+      await context.dispose();
+    }
+    if (model) {
+      await model.dispose();
+    }
+    if (llama) {
+      await llama.dispose();
+    }
+  }
+
+  // 释放资源：拒绝排队中的请求，等待推理中的请求结束后再释放模型
   async release() {
+    if (this.releasing) {
+      return;
+    }
+    this.releasing = true;
+
     try {
-      this.llm = null;
+      const waiting = this.waitingQueue.splice(0);
+      waiting.forEach(waiter => waiter.reject(new Error('模型资源已释放')));
+
+      const drained = await this.waitForDrain(this.releaseTimeout);
+      if (!drained) {
+        logger.warn(`等待推理中的请求结束超时，仍有${this.activeCount}个请求未完成`);
+      }
+
+      await this.disposeModel();
       this.isReady = false;
+      this.mode = 'simulation';
       logger.info('模型资源已释放');
     } catch (error) {
       logger.error('释放模型资源失败:', error);
+    } finally {
+      this.releasing = false;
     }
   }
 
@@ -110,7 +375,13 @@ class AIModelService {
       status: this.isReady ? 'healthy' : 'unhealthy',
       modelPath: this.modelPath,
       memoryStatus: this.checkMemoryStatus(),
-      mode: 'simulation'
+      memoryLimitMB: this.memoryLimit,
+      mode: this.mode,
+      queue: {
+        concurrency: this.concurrency,
+        active: this.activeCount,
+        waiting: this.waitingQueue.length
+      }
     };
   }
 }
@@ -122,4 +393,4 @@ const aiModelService = new AIModelService();
 process.on('SIGTERM', () => aiModelService.release());
 process.on('SIGINT', () => aiModelService.release());
 
-module.exports = aiModelService;
\ No newline at end of file
+module.exports = aiModelService;
@@ -0,0 +1,90 @@
+/**
+ * AI模型服务测试
+ */
+
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const aiModelService = require('./aiModelService');
+
+beforeEach(() => {
+  aiModelService.concurrency = 1;
+  aiModelService.activeCount = 0;
+  aiModelService.maxQueueLength = 1;
+  aiModelService.waitingQueue = [];
+  aiModelService.releasing = false;
+});
+
+describe('acquireSlot', () => {
+  test('名额用完时排队，归还名额后唤醒下一个请求', async () => {
+    await aiModelService.acquireSlot();
+    let acquired = false;
+    const waiting = aiModelService.acquireSlot().then(() => { acquired = true; });
+
+    await Promise.resolve();
+    expect(acquired).toBe(false);
+    expect(aiModelService.waitingQueue).toHaveLength(1);
+
+    aiModelService.releaseSlot();
+    await waiting;
+    expect(acquired).toBe(true);
+    expect(aiModelService.activeCount).toBe(1);
+  });
+
+  test('排队已满时返回503', async () => {
+    await aiModelService.acquireSlot();
+    aiModelService.acquireSlot();
+
+    await expect(aiModelService.acquireSlot()).rejects.toMatchObject({ statusCode: 503, message: 'AI服务繁忙，请稍后再试' });
+  });
+
+  test('排队期间请求取消时移出队列', async () => {
+    await aiModelService.acquireSlot();
+    const controller = new AbortController();
+    const waiting = aiModelService.acquireSlot(controller.signal);
+
+    controller.abort();
+
+    await expect(waiting).rejects.toThrow('请求已取消');
+    expect(aiModelService.waitingQueue).toHaveLength(0);
+  });
+
+  test('释放资源期间拒绝新请求', async () => {
+    aiModelService.releasing = true;
+    await expect(aiModelService.acquireSlot()).rejects.toMatchObject({ statusCode: 503 });
+  });
+});
+
+describe('resolveOptions', () => {
+  test('未传参数时使用默认值', () => {
+    expect(aiModelService.resolveOptions()).toEqual({
+      maxTokens: aiModelService.defaultMaxTokens,
+      temperature: aiModelService.defaultTemperature
+    });
+  });
+
+  test('参数超出范围时返回400', () => {
+    expect(() => aiModelService.resolveOptions({ max_tokens: aiModelService.contextSize + 1 })).toThrow('max_tokens');
+    expect(() => aiModelService.resolveOptions({ temperature: 3 })).toThrow('temperature必须是0到2之间的数字');
+  });
+});
+
+describe('generateResponse', () => {
+  test('模型文件不存在时使用模拟模式，并按知识库段落生成回复', async () => {
+    aiModelService.isReady = false;
+    aiModelService.modelPath = '/nonexistent/model.gguf';
+    const onToken = jest.fn();
+
+    const result = await aiModelService.generateResponse('怎么申请发票', {
+      onToken,
+      passages: [{ content: '订单确认收货后可在订单详情页申请发票。', citationId: 'help_article:7' }]
+    });
+
+    expect(result.mode).toBe('simulation');
+    expect(result.response).toContain('[help_article:7]');
+    expect(onToken).toHaveBeenCalledWith(result.response);
+  });
+});
@@ -552,6 +552,14 @@ async function initializeWebSocketService(httpServer) {
       // 继续执行，不阻止服务启动
     }
     
+    // 客服服务通过该WebSocket服务投递消息并监听客服上下线
+    try {
+      const customerService = require('./im-api/customer-service/customerService');
+      customerService.attachWebSocket(wsService);
+    } catch (csError) {
+      logger.error('客服服务关联WebSocket服务失败:', csError.message);
+    }
+    
     // 注册到依赖注入容器
     logger.info('注册WebSocket服务到DI容器...');
     di.register('websocketService', () => wsService);
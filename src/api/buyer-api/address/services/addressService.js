@@ -90,6 +90,10 @@ class AddressService {
         province: addressData.province,
         city: addressData.city,
         district: addressData.district,
+        // 从地区选择器选择时带上地区代码，计算运费时优先按代码匹配
+        provinceCode: addressData.provinceCode || null,
+        cityCode: addressData.cityCode || null,
+        districtCode: addressData.districtCode || null,
         address: addressData.address,
         zipCode: addressData.zipCode || '',
         isDefault: userAddresses.length === 0 || !!addressData.isDefault,
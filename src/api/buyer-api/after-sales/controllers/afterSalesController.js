@@ -0,0 +1,156 @@
+/**
+ * 售后控制器
+ * 处理买家售后申请相关的HTTP请求
+ */
+
+const logger = require('../../../core/utils/logger');
+const afterSalesService = require('../../../core/services/afterSalesService');
+const orderService = require('../../order/services/orderService');
+
+class AfterSalesController {
+  /**
+   * 获取售后申请列表
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   * @param {Function} next - 下一个中间件
+   */
+  async getRequests(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { page = 1, limit = 20, status, orderId } = req.query;
+      
+      const result = await afterSalesService.listRequests({ userId, status, orderId }, {
+        page: parseInt(page),
+        pageSize: parseInt(limit)
+      });
+      
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('获取售后申请列表失败', { error: error.message, stack: error.stack });
+      next(error);
+    }
+  }
+  
+  /**
+   * 获取售后申请详情
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   * @param {Function} next - 下一个中间件
+   */
+  async getRequestDetail(req, res, next) {
+    try {
+      const userId = req.user.id;
+      
+      const request = await afterSalesService.getRequest(req.params.id, { userId });
+      
+      res.json({
+        success: true,
+        data: request
+      });
+    } catch (error) {
+      logger.error('获取售后申请详情失败', { error: error.message, stack: error.stack });
+      next(error);
+    }
+  }
+  
+  /**
+   * 提交售后申请
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   * @param {Function} next - 下一个中间件
+   */
+  async createRequest(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { orderId, ...requestData } = req.body;
+      
+      logger.info(`售后申请请求 - 用户ID: ${userId}, 订单ID: ${orderId}`, { type: requestData.type });
+      
+      const request = await orderService.requestRefund(userId, orderId, requestData);
+      
+      res.status(201).json({
+        success: true,
+        message: '售后申请提交成功',
+        data: request
+      });
+    } catch (error) {
+      logger.error('提交售后申请失败', { error: error.message, stack: error.stack });
+      next(error);
+    }
+  }
+  
+  /**
+   * 填写退货物流
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   * @param {Function} next - 下一个中间件
+   */
+  async shipReturn(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { logisticsCompany, trackingNumber } = req.body;
+      
+      const request = await afterSalesService.shipReturn(req.params.id, userId, { logisticsCompany, trackingNumber });
+      
+      res.json({
+        success: true,
+        message: '退货物流已提交',
+        data: request
+      });
+    } catch (error) {
+      logger.error('填写退货物流失败', { error: error.message, stack: error.stack });
+      next(error);
+    }
+  }
+  
+  /**
+   * 撤销售后申请
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   * @param {Function} next - 下一个中间件
+   */
+  async cancelRequest(req, res, next) {
+    try {
+      const userId = req.user.id;
+      
+      const request = await afterSalesService.cancel(req.params.id, userId, req.body.remark);
+      
+      res.json({
+        success: true,
+        message: '售后申请已撤销',
+        data: request
+      });
+    } catch (error) {
+      logger.error('撤销售后申请失败', { error: error.message, stack: error.stack });
+      next(error);
+    }
+  }
+  
+  /**
+   * 确认收到换货商品
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   * @param {Function} next - 下一个中间件
+   */
+  async confirmExchange(req, res, next) {
+    try {
+      const userId = req.user.id;
+      
+      const request = await afterSalesService.confirmExchange(req.params.id, userId);
+      
+      res.json({
+        success: true,
+        message: '已确认收到换货商品',
+        data: request
+      });
+    } catch (error) {
+      logger.error('确认收到换货失败', { error: error.message, stack: error.stack });
+      next(error);
+    }
+  }
+}
+
+module.exports = new AfterSalesController();
@@ -0,0 +1,31 @@
+/**
+ * 买家端API - 售后模块入口
+ * 整合售后相关的控制器和路由，售后业务逻辑由核心售后服务提供
+ */
+
+const logger = require('../../core/utils/logger');
+const di = require('../../core/di/container');
+const afterSalesRoutes = require('./routes/afterSalesRoutes');
+const afterSalesController = require('./controllers/afterSalesController');
+
+/**
+ * 初始化售后模块
+ * @param {Object} app - Express应用实例
+ */
+function initializeAfterSalesModule(app) {
+  // 注册控制器到DI容器
+  di.register('afterSalesController', () => afterSalesController);
+  
+  // 注册路由
+  afterSalesRoutes.register(app);
+  
+  logger.info('买家端API售后模块初始化完成');
+}
+
+module.exports = {
+  initialize: initializeAfterSalesModule,
+  controllers: {
+    afterSales: afterSalesController
+  },
+  routes: afterSalesRoutes
+};
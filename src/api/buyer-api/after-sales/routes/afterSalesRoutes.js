@@ -0,0 +1,33 @@
+/**
+ * 售后路由配置
+ * 定义买家售后申请相关的API端点
+ */
+
+const express = require('express');
+const router = express.Router();
+const afterSalesController = require('../controllers/afterSalesController');
+const authMiddleware = require('../../../core/security/authMiddleware');
+
+/**
+ * 注册售后路由
+ * @param {Object} app - Express应用实例
+ */
+function registerAfterSalesRoutes(app) {
+  // 所有售后路由都需要认证
+  router.use(authMiddleware.authenticate);
+  
+  router.get('/', afterSalesController.getRequests);
+  router.post('/', afterSalesController.createRequest);
+  router.get('/:id', afterSalesController.getRequestDetail);
+  router.put('/:id/return-shipment', afterSalesController.shipReturn);
+  router.put('/:id/cancel', afterSalesController.cancelRequest);
+  router.put('/:id/confirm-exchange', afterSalesController.confirmExchange);
+  
+  // 将售后路由注册到应用
+  app.use('/api/after-sales', router);
+}
+
+module.exports = {
+  register: registerAfterSalesRoutes,
+  router
+};
@@ -0,0 +1,195 @@
+/**
+ * 砍价控制器
+ * 处理买家浏览砍价活动、发起砍价、好友助力和砍价成功后下单相关的HTTP请求
+ */
+
+const logger = require('../../../core/utils/logger');
+const bargainService = require('../../../core/services/bargainService');
+const orderService = require('../../order/services/orderService');
+const messageQueue = require('../../../core/messaging/messageQueue');
+
+/**
+ * 返回错误响应
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误
+ */
+function sendError(res, error) {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? '服务器内部错误' : error.message,
+    errorCode: error.errorCode
+  });
+}
+
+class BargainController {
+  /**
+   * 获取进行中的砍价活动
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getCampaigns(req, res) {
+    try {
+      const { keyword, page, pageSize } = req.query;
+      const campaigns = await bargainService.getOngoingCampaigns({ keyword, page, pageSize });
+
+      res.json({
+        success: true,
+        data: campaigns
+      });
+    } catch (error) {
+      logger.error('获取砍价活动失败', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取砍价活动详情
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getCampaign(req, res) {
+    try {
+      const campaign = await bargainService.getPublicCampaign(parseInt(req.params.id, 10));
+
+      res.json({
+        success: true,
+        data: campaign
+      });
+    } catch (error) {
+      logger.error('获取砍价活动详情失败', error, { campaignId: req.params.id });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 发起砍价
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async start(req, res) {
+    try {
+      const userId = req.user.id;
+      const campaignId = parseInt(req.params.id, 10);
+
+      logger.info(`发起砍价 - 用户ID: ${userId}`, { campaignId });
+
+      const record = await bargainService.start(userId, campaignId);
+
+      res.status(201).json({
+        success: true,
+        message: '砍价已发起，快邀请好友帮忙砍价吧',
+        data: record
+      });
+    } catch (error) {
+      logger.error('发起砍价失败', error, { campaignId: req.params.id });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取我发起的砍价
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getMyRecords(req, res) {
+    try {
+      const { status, page, pageSize } = req.query;
+      const records = await bargainService.getRecords({ userId: req.user.id, status, page, pageSize });
+
+      res.json({
+        success: true,
+        data: records
+      });
+    } catch (error) {
+      logger.error('获取我的砍价失败', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取砍价详情，发起人和好友打开分享链接时查看砍价进度
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getRecord(req, res) {
+    try {
+      const record = await bargainService.getRecord(req.params.recordNo, req.user.id);
+
+      res.json({
+        success: true,
+        data: record
+      });
+    } catch (error) {
+      logger.error('获取砍价详情失败', error, { recordNo: req.params.recordNo });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 好友助力砍一刀
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async help(req, res) {
+    try {
+      const userId = req.user.id;
+      const { recordNo } = req.params;
+
+      logger.info(`砍价助力 - 用户ID: ${userId}`, { recordNo });
+
+      const result = await bargainService.help(userId, recordNo, { clientIp: req.ip });
+
+      res.json({
+        success: true,
+        message: `成功帮TA砍掉 ${result.cutAmount.toFixed(2)} 元`,
+        data: result
+      });
+    } catch (error) {
+      logger.error('砍价助力失败', error, { recordNo: req.params.recordNo });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 砍价成功后按底价下单
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async createOrder(req, res) {
+    try {
+      const userId = req.user.id;
+      const { recordNo } = req.params;
+      const { shippingAddress, paymentMethod } = req.body;
+
+      if (!shippingAddress || !shippingAddress.id) {
+        return res.status(400).json({
+          success: false,
+          message: '请选择收货地址'
+        });
+      }
+
+      logger.info(`砍价下单 - 用户ID: ${userId}`, { recordNo });
+
+      const order = await orderService.createBargainOrder(userId, recordNo, { shippingAddress, paymentMethod });
+
+      // 发送创建订单消息到消息队列
+      await messageQueue.publish('order.created', {
+        userId,
+        orderId: order.id,
+        timestamp: new Date()
+      });
+
+      res.status(201).json({
+        success: true,
+        message: '订单创建成功',
+        data: order
+      });
+    } catch (error) {
+      logger.error('砍价下单失败', error, { recordNo: req.params.recordNo });
+      sendError(res, error);
+    }
+  }
+}
+
+module.exports = new BargainController();
@@ -0,0 +1,31 @@
+/**
+ * 买家端API - 砍价模块入口
+ * 整合砍价相关的控制器和路由，砍价业务逻辑由核心砍价服务提供
+ */
+
+const logger = require('../../core/utils/logger');
+const di = require('../../core/di/container');
+const bargainRoutes = require('./routes/bargainRoutes');
+const bargainController = require('./controllers/bargainController');
+
+/**
+ * 初始化砍价模块
+ * @param {Object} app - Express应用实例
+ */
+function initializeBargainModule(app) {
+  // 注册控制器到DI容器
+  di.register('bargainController', () => bargainController);
+  
+  // 注册路由
+  bargainRoutes.register(app);
+  
+  logger.info('买家端API砍价模块初始化完成');
+}
+
+module.exports = {
+  initialize: initializeBargainModule,
+  controllers: {
+    bargain: bargainController
+  },
+  routes: bargainRoutes
+};
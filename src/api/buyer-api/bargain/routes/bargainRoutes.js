@@ -0,0 +1,192 @@
+/**
+ * 砍价路由配置
+ * 定义砍价活动、发起砍价、好友助力和砍价下单的API端点
+ */
+
+const express = require('express');
+const router = express.Router();
+const bargainController = require('../controllers/bargainController');
+const authMiddleware = require('../../../core/security/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 砍价
+ *   description: 砍价活动、发起砍价、好友助力和砍价下单
+ */
+
+// 所有砍价路由都需要认证
+router.use(authMiddleware.authenticate);
+
+/**
+ * @swagger
+ * /api/bargains:
+ *   get:
+ *     summary: 获取进行中的砍价活动
+ *     tags: [砍价]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: keyword
+ *         schema: { type: string }
+ *         description: 活动或商品名称
+ *     responses:
+ *       200:
+ *         description: 砍价活动分页列表
+ */
+router.get('/', bargainController.getCampaigns);
+
+/**
+ * @swagger
+ * /api/bargains/records:
+ *   get:
+ *     summary: 获取我发起的砍价
+ *     tags: [砍价]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: ['in_progress', 'success', 'ordered', 'failed', 'expired'] }
+ *     responses:
+ *       200:
+ *         description: 砍价记录分页列表
+ */
+router.get('/records', bargainController.getMyRecords);
+
+/**
+ * @swagger
+ * /api/bargains/records/{recordNo}:
+ *   get:
+ *     summary: 获取砍价详情
+ *     description: 发起人和好友打开分享链接时查看砍价进度和助力好友
+ *     tags: [砍价]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: recordNo
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: 砍价详情（含分享链接、是否可助力和助力好友）
+ *       404:
+ *         description: 砍价不存在
+ */
+router.get('/records/:recordNo', bargainController.getRecord);
+
+/**
+ * @swagger
+ * /api/bargains/records/{recordNo}/help:
+ *   post:
+ *     summary: 帮好友砍一刀
+ *     description: 每位好友对同一砍价只能助力一次，不能为自己砍价，每天助力次数和同一IP助力次数有上限
+ *     tags: [砍价]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: recordNo
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: 本次砍掉的金额和最新砍价进度
+ *       400:
+ *         description: 不能为自己砍价
+ *       409:
+ *         description: 已助力过或砍价已结束
+ *       429:
+ *         description: 助力次数超过上限
+ */
+router.post('/records/:recordNo/help', bargainController.help);
+
+/**
+ * @swagger
+ * /api/bargains/records/{recordNo}/order:
+ *   post:
+ *     summary: 砍价成功后按底价下单
+ *     description: 只有发起人在下单期限内可以下单，订单取消后在期限内可重新下单
+ *     tags: [砍价]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: recordNo
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [shippingAddress]
+ *             properties:
+ *               shippingAddress: { type: object, description: '收货地址' }
+ *               paymentMethod: { type: string, description: '支付方式' }
+ *     responses:
+ *       201:
+ *         description: 砍价订单
+ *       409:
+ *         description: 尚未砍到底价、已下单或下单已超时
+ */
+router.post('/records/:recordNo/order', bargainController.createOrder);
+
+/**
+ * @swagger
+ * /api/bargains/{id}:
+ *   get:
+ *     summary: 获取砍价活动详情
+ *     tags: [砍价]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: 砍价活动
+ *       404:
+ *         description: 砍价活动不存在
+ */
+router.get('/:id(\\d+)', bargainController.getCampaign);
+
+/**
+ * @swagger
+ * /api/bargains/{id}/start:
+ *   post:
+ *     summary: 发起砍价
+ *     description: 占用一件活动库存，同一活动同时只能有一个进行中的砍价，且不超过每人限购
+ *     tags: [砍价]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       201:
+ *         description: 砍价记录（含分享链接）
+ *       409:
+ *         description: 活动未开始或已结束、已在砍价中、超过限购或活动库存不足
+ */
+router.post('/:id(\\d+)/start', bargainController.start);
+
+/**
+ * 注册砍价路由
+ * @param {Object} app - Express应用实例
+ */
+function registerBargainRoutes(app) {
+  app.use('/api/bargains', router);
+}
+
+module.exports = {
+  register: registerBargainRoutes,
+  router
+};
@@ -170,13 +170,21 @@ class CartRepository extends BaseRepository {
   /**
    * 清空购物车
    * @param {string} userId - 用户ID
+   * @param {Object} [transaction] - 事务对象，事务回滚时恢复购物车
    * @returns {Promise<void>}
    */
-  async clearCart(userId) {
+  async clearCart(userId, transaction = null) {
     try {
       // 在实际项目中，这里应该调用数据库删除
       logger.info('清空购物车:', { userId });
       
+      if (transaction) {
+        const removedItems = this.getMockCartItems(userId);
+        transaction.onRollback(() => {
+          removedItems.forEach(item => this.addMockCartItem(item));
+        });
+      }
+      
       // 清空模拟数据
       this.clearMockCartItems(userId);
     } catch (error) {
@@ -185,15 +185,20 @@ class CartService {
   /**
    * 清空购物车
    * @param {string} userId - 用户ID
+   * @param {Object} [transaction] - 事务对象
    * @returns {Promise<void>}
    */
-  async clearCart(userId) {
+  async clearCart(userId, transaction = null) {
     try {
-      await cartRepository.clearCart(userId);
+      await cartRepository.clearCart(userId, transaction);
       
       // 清除购物车缓存
       const cacheKey = `cart:user:${userId}`;
       await cacheService.delete(cacheKey);
+      
+      if (transaction) {
+        transaction.onRollback(() => cacheService.delete(cacheKey));
+      }
     } catch (error) {
       logger.error(`清空购物车失败 (用户ID: ${userId}):`, error);
       throw error;
@@ -0,0 +1,128 @@
+/**
+ * 优惠券控制器
+ * 处理买家领券、兑换码兑换和查看券包相关的HTTP请求
+ */
+
+const logger = require('../../../core/utils/logger');
+const couponService = require('../../../core/services/couponService');
+
+/**
+ * 返回错误响应
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误
+ */
+function sendError(res, error) {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? '服务器内部错误' : error.message,
+    errorCode: error.errorCode
+  });
+}
+
+class CouponController {
+  /**
+   * 获取领券中心的优惠券，含买家已领取数量
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getClaimableCoupons(req, res) {
+    try {
+      const { sellerId, page, pageSize } = req.query;
+      const coupons = await couponService.getClaimableTemplates(req.user.id, { sellerId, page, pageSize });
+
+      res.json({
+        success: true,
+        data: coupons
+      });
+    } catch (error) {
+      logger.error('获取可领取优惠券失败', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 领取优惠券
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async claim(req, res) {
+    try {
+      const coupon = await couponService.claim(req.user.id, parseInt(req.params.id, 10));
+
+      res.status(201).json({
+        success: true,
+        message: '领取成功',
+        data: coupon
+      });
+    } catch (error) {
+      if (!error.statusCode || error.statusCode >= 500) {
+        logger.error('领取优惠券失败', error, { templateId: req.params.id });
+      }
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 使用兑换码兑换优惠券
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async redeem(req, res) {
+    try {
+      const coupon = await couponService.redeemCode(req.user.id, req.body.code);
+
+      res.status(201).json({
+        success: true,
+        message: '兑换成功',
+        data: coupon
+      });
+    } catch (error) {
+      if (!error.statusCode || error.statusCode >= 500) {
+        logger.error('兑换优惠券失败', error);
+      }
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取买家券包
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getMyCoupons(req, res) {
+    try {
+      const { status, page, pageSize } = req.query;
+      const coupons = await couponService.getWallet(req.user.id, { status, page, pageSize });
+
+      res.json({
+        success: true,
+        data: coupons
+      });
+    } catch (error) {
+      logger.error('获取买家券包失败', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取买家的优惠券详情
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getMyCoupon(req, res) {
+    try {
+      const coupon = await couponService.getUserCoupon(req.user.id, parseInt(req.params.id, 10));
+
+      res.json({
+        success: true,
+        data: coupon
+      });
+    } catch (error) {
+      logger.error('获取优惠券详情失败', error, { couponId: req.params.id });
+      sendError(res, error);
+    }
+  }
+}
+
+module.exports = new CouponController();
@@ -0,0 +1,31 @@
+/**
+ * 买家端API - 优惠券模块入口
+ * 整合领券中心、兑换码和买家券包相关的控制器和路由，优惠券业务逻辑由核心优惠券服务提供
+ */
+
+const logger = require('../../core/utils/logger');
+const di = require('../../core/di/container');
+const couponRoutes = require('./routes/couponRoutes');
+const couponController = require('./controllers/couponController');
+
+/**
+ * 初始化优惠券模块
+ * @param {Object} app - Express应用实例
+ */
+function initializeCouponModule(app) {
+  // 注册控制器到DI容器
+  di.register('couponController', () => couponController);
+  
+  // 注册路由
+  couponRoutes.register(app);
+  
+  logger.info('买家端API优惠券模块初始化完成');
+}
+
+module.exports = {
+  initialize: initializeCouponModule,
+  controllers: {
+    coupon: couponController
+  },
+  routes: couponRoutes
+};
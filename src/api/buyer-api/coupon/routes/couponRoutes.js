@@ -0,0 +1,153 @@
+/**
+ * 优惠券路由配置
+ * 定义领券中心、兑换码兑换和买家券包的API端点
+ */
+
+const express = require('express');
+const router = express.Router();
+const couponController = require('../controllers/couponController');
+const authMiddleware = require('../../../core/security/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 优惠券
+ *   description: 领券中心、兑换码和买家券包
+ */
+
+// 所有优惠券路由都需要认证
+router.use(authMiddleware.authenticate);
+
+/**
+ * @swagger
+ * /api/coupons/claimable:
+ *   get:
+ *     summary: 获取领券中心的优惠券
+ *     description: 返回正在发放的可领取优惠券，含买家已领取数量；传入卖家ID时只返回该店铺的优惠券
+ *     tags: [优惠券]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sellerId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, default: 20 }
+ *     responses:
+ *       200:
+ *         description: 可领取优惠券分页列表
+ */
+router.get('/claimable', couponController.getClaimableCoupons);
+
+/**
+ * @swagger
+ * /api/coupons/templates/{id}/claim:
+ *   post:
+ *     summary: 领取优惠券
+ *     tags: [优惠券]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       201:
+ *         description: 领取到的优惠券
+ *       404:
+ *         description: 优惠券不存在
+ *       409:
+ *         description: 未开始、已停止发放、已领完或已达到每人限领数量
+ */
+router.post('/templates/:id(\\d+)/claim', couponController.claim);
+
+/**
+ * @swagger
+ * /api/coupons/redeem:
+ *   post:
+ *     summary: 兑换码兑换优惠券
+ *     tags: [优惠券]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code: { type: string, description: '兑换码，忽略大小写和空格' }
+ *     responses:
+ *       201:
+ *         description: 兑换到的优惠券
+ *       404:
+ *         description: 兑换码不存在
+ *       409:
+ *         description: 兑换码已被使用，或优惠券已停止发放、已领完
+ */
+router.post('/redeem', couponController.redeem);
+
+/**
+ * @swagger
+ * /api/coupons/mine:
+ *   get:
+ *     summary: 获取买家券包
+ *     description: 未使用的优惠券排在前面并按到期时间排序
+ *     tags: [优惠券]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [unused, locked, used, expired] }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, default: 20 }
+ *     responses:
+ *       200:
+ *         description: 买家优惠券分页列表
+ */
+router.get('/mine', couponController.getMyCoupons);
+
+/**
+ * @swagger
+ * /api/coupons/mine/{id}:
+ *   get:
+ *     summary: 获取买家的优惠券详情
+ *     tags: [优惠券]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: 优惠券（优惠规则、有效期和使用状态）
+ *       404:
+ *         description: 优惠券不存在
+ */
+router.get('/mine/:id(\\d+)', couponController.getMyCoupon);
+
+/**
+ * 注册优惠券路由
+ * @param {Object} app - Express应用实例
+ */
+function registerCouponRoutes(app) {
+  app.use('/api/coupons', router);
+}
+
+module.exports = {
+  register: registerCouponRoutes,
+  router
+};
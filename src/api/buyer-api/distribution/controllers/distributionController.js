@@ -0,0 +1,204 @@
+/**
+ * 分销控制器
+ * 处理买家分销员申请、推广链接、推广码绑定、分销佣金和佣金提现相关的HTTP请求
+ */
+
+const logger = require('../../../core/utils/logger');
+const distributionService = require('../../../core/services/distributionService');
+
+/**
+ * 返回错误响应
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误
+ */
+function sendError(res, error) {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? '服务器内部错误' : error.message,
+    errorCode: error.errorCode
+  });
+}
+
+class DistributionController {
+  /**
+   * 获取我的分销信息
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getMyProfile(req, res) {
+    try {
+      const profile = await distributionService.getMyProfile(req.user.id);
+
+      res.json({
+        success: true,
+        data: profile
+      });
+    } catch (error) {
+      logger.error('获取分销信息失败', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 申请成为分销员
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async apply(req, res) {
+    try {
+      const userId = req.user.id;
+      const { realName, phone, qqAccount, idCard, bankName, bankAccount, bankBranch, remark } = req.body;
+
+      logger.info(`分销员申请 - 用户ID: ${userId}`);
+
+      const distributor = await distributionService.apply(userId, {
+        realName, phone, qqAccount, idCard, bankName, bankAccount, bankBranch, remark
+      });
+
+      res.status(201).json({
+        success: true,
+        message: '申请已提交，请等待审核',
+        data: distributor
+      });
+    } catch (error) {
+      logger.error('分销员申请失败', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取推广链接
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getShareLink(req, res) {
+    try {
+      const link = await distributionService.getShareLink(req.user.id, req.query.productId);
+
+      res.json({
+        success: true,
+        data: link
+      });
+    } catch (error) {
+      logger.error('获取推广链接失败', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 通过推广码绑定上级分销员
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async bind(req, res) {
+    try {
+      const userId = req.user.id;
+      const { shareCode } = req.body;
+
+      if (!shareCode) {
+        return res.status(400).json({ success: false, message: 'shareCode 不能为空' });
+      }
+
+      const result = await distributionService.bind(userId, shareCode);
+
+      res.json({
+        success: true,
+        message: result.bound ? '绑定成功' : '您已绑定过分销员',
+        data: result
+      });
+    } catch (error) {
+      logger.error('绑定分销员失败', error, { shareCode: req.body.shareCode });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取我推广的买家
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getTeam(req, res) {
+    try {
+      const { page, pageSize } = req.query;
+      const team = await distributionService.getTeam(req.user.id, { page, pageSize });
+
+      res.json({
+        success: true,
+        data: team
+      });
+    } catch (error) {
+      logger.error('获取推广买家失败', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取我的分销佣金
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getCommissions(req, res) {
+    try {
+      const { status, level, page, pageSize } = req.query;
+      const commissions = await distributionService.getCommissions({
+        distributorUserId: req.user.id, status, level, page, pageSize
+      });
+
+      res.json({
+        success: true,
+        data: commissions
+      });
+    } catch (error) {
+      logger.error('获取分销佣金失败', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 申请佣金提现
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async requestWithdrawal(req, res) {
+    try {
+      const userId = req.user.id;
+      const { amount } = req.body;
+
+      logger.info(`佣金提现申请 - 用户ID: ${userId}`, { amount });
+
+      const withdrawal = await distributionService.requestWithdrawal(userId, { amount });
+
+      res.status(201).json({
+        success: true,
+        message: '提现申请已提交',
+        data: withdrawal
+      });
+    } catch (error) {
+      logger.error('佣金提现申请失败', error, { amount: req.body.amount });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取佣金提现记录
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getWithdrawals(req, res) {
+    try {
+      const { status, page, pageSize } = req.query;
+      const withdrawals = await distributionService.getWithdrawals({ distributorUserId: req.user.id, status, page, pageSize });
+
+      res.json({
+        success: true,
+        data: withdrawals
+      });
+    } catch (error) {
+      logger.error('获取佣金提现记录失败', error);
+      sendError(res, error);
+    }
+  }
+}
+
+module.exports = new DistributionController();
@@ -0,0 +1,31 @@
+/**
+ * 买家端API - 分销模块入口
+ * 整合分销相关的控制器和路由，分销业务逻辑由核心分销服务提供
+ */
+
+const logger = require('../../core/utils/logger');
+const di = require('../../core/di/container');
+const distributionRoutes = require('./routes/distributionRoutes');
+const distributionController = require('./controllers/distributionController');
+
+/**
+ * 初始化分销模块
+ * @param {Object} app - Express应用实例
+ */
+function initializeDistributionModule(app) {
+  // 注册控制器到DI容器
+  di.register('distributionController', () => distributionController);
+  
+  // 注册路由
+  distributionRoutes.register(app);
+  
+  logger.info('买家端API分销模块初始化完成');
+}
+
+module.exports = {
+  initialize: initializeDistributionModule,
+  controllers: {
+    distribution: distributionController
+  },
+  routes: distributionRoutes
+};
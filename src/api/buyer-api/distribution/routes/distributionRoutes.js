@@ -0,0 +1,203 @@
+/**
+ * 分销路由配置
+ * 定义分销员申请、推广链接、推广码绑定、分销佣金和佣金提现的API端点
+ */
+
+const express = require('express');
+const router = express.Router();
+const distributionController = require('../controllers/distributionController');
+const authMiddleware = require('../../../core/security/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 分销
+ *   description: 分销员申请、推广绑定、分销佣金和佣金提现
+ */
+
+// 所有分销路由都需要认证
+router.use(authMiddleware.authenticate);
+
+/**
+ * @swagger
+ * /api/distribution/me:
+ *   get:
+ *     summary: 获取我的分销信息
+ *     tags: [分销]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 分销员资料和佣金（未申请时为 null）、推广码、推广链接和绑定的上级
+ */
+router.get('/me', distributionController.getMyProfile);
+
+/**
+ * @swagger
+ * /api/distribution/apply:
+ *   post:
+ *     summary: 申请成为分销员
+ *     description: 提交后由平台审核，被驳回的可重新提交
+ *     tags: [分销]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [realName, phone, idCard, bankName, bankAccount]
+ *             properties:
+ *               realName: { type: string, description: '真实姓名' }
+ *               phone: { type: string, description: '手机号' }
+ *               qqAccount: { type: string, description: 'QQ号' }
+ *               idCard: { type: string, description: '身份证号' }
+ *               bankName: { type: string, description: '开户名称' }
+ *               bankAccount: { type: string, description: '银行账号' }
+ *               bankBranch: { type: string, description: '开户行支行' }
+ *               remark: { type: string, description: '申请说明' }
+ *     responses:
+ *       201:
+ *         description: 分销员申请
+ *       409:
+ *         description: 分销功能未开启、申请审核中或已是分销员
+ */
+router.post('/apply', distributionController.apply);
+
+/**
+ * @swagger
+ * /api/distribution/share-link:
+ *   get:
+ *     summary: 获取推广链接
+ *     tags: [分销]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: productId
+ *         schema: { type: string }
+ *         description: 推广的商品，不传时为首页链接
+ *     responses:
+ *       200:
+ *         description: 推广码和推广链接（链接带 ref 参数）
+ *       403:
+ *         description: 不是分销员
+ */
+router.get('/share-link', distributionController.getShareLink);
+
+/**
+ * @swagger
+ * /api/distribution/bind:
+ *   post:
+ *     summary: 通过推广码绑定上级分销员
+ *     description: 每个买家只能绑定一次，已绑定时返回原上级
+ *     tags: [分销]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [shareCode]
+ *             properties:
+ *               shareCode: { type: string, description: '推广码（推广链接的 ref 参数）' }
+ *     responses:
+ *       200:
+ *         description: 绑定结果
+ *       400:
+ *         description: 不能绑定自己或自己推广的分销员
+ *       404:
+ *         description: 推广码无效
+ */
+router.post('/bind', distributionController.bind);
+
+/**
+ * @swagger
+ * /api/distribution/team:
+ *   get:
+ *     summary: 获取我推广的买家
+ *     tags: [分销]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 推广买家分页列表
+ */
+router.get('/team', distributionController.getTeam);
+
+/**
+ * @swagger
+ * /api/distribution/commissions:
+ *   get:
+ *     summary: 获取我的分销佣金
+ *     tags: [分销]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: ['frozen', 'available', 'reversed'] }
+ *       - in: query
+ *         name: level
+ *         schema: { type: integer, enum: [1, 2] }
+ *     responses:
+ *       200:
+ *         description: 分销佣金分页列表
+ */
+router.get('/commissions', distributionController.getCommissions);
+
+/**
+ * @swagger
+ * /api/distribution/withdrawals:
+ *   post:
+ *     summary: 申请佣金提现
+ *     description: 从可提现佣金中提现到分销员资料中的银行账户，平台审核通过后打款
+ *     tags: [分销]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount]
+ *             properties:
+ *               amount: { type: number, description: '提现金额（元）' }
+ *     responses:
+ *       201:
+ *         description: 提现申请
+ *       409:
+ *         description: 可提现佣金不足
+ */
+router.post('/withdrawals', distributionController.requestWithdrawal);
+
+/**
+ * @swagger
+ * /api/distribution/withdrawals:
+ *   get:
+ *     summary: 获取佣金提现记录
+ *     tags: [分销]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 提现申请分页列表
+ */
+router.get('/withdrawals', distributionController.getWithdrawals);
+
+/**
+ * 注册分销路由
+ * @param {Object} app - Express应用实例
+ */
+function registerDistributionRoutes(app) {
+  app.use('/api/distribution', router);
+}
+
+module.exports = {
+  register: registerDistributionRoutes,
+  router
+};
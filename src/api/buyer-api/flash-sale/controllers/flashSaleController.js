@@ -0,0 +1,116 @@
+/**
+ * 秒杀控制器
+ * 处理买家查看秒杀活动、抢购和查询抢购结果相关的HTTP请求
+ */
+
+const logger = require('../../../core/utils/logger');
+const flashSaleService = require('../../../core/services/flashSaleService');
+
+/**
+ * 返回错误响应
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误
+ */
+function sendError(res, error) {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? '服务器内部错误' : error.message,
+    errorCode: error.errorCode
+  });
+}
+
+class FlashSaleController {
+  /**
+   * 获取进行中和即将开始的秒杀活动
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getFlashSales(req, res) {
+    try {
+      const { keyword, page, pageSize } = req.query;
+      const sales = await flashSaleService.getPublicFlashSales({ keyword, page, pageSize });
+
+      res.json({
+        success: true,
+        data: sales
+      });
+    } catch (error) {
+      logger.error('获取秒杀活动列表失败', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取秒杀活动详情
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getFlashSale(req, res) {
+    try {
+      const sale = await flashSaleService.getPublicFlashSale(parseInt(req.params.id, 10));
+
+      res.json({
+        success: true,
+        data: sale
+      });
+    } catch (error) {
+      logger.error('获取秒杀活动详情失败', error, { flashSaleId: req.params.id });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 抢购：抢到库存后进入下单队列，订单异步创建
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async purchase(req, res) {
+    try {
+      const userId = req.user.id;
+      const flashSaleId = parseInt(req.params.id, 10);
+      const { quantity, shippingAddress, paymentMethod } = req.body;
+
+      if (!shippingAddress || !shippingAddress.id) {
+        return res.status(400).json({
+          success: false,
+          message: '请选择收货地址'
+        });
+      }
+
+      const result = await flashSaleService.purchase(userId, flashSaleId, { quantity, shippingAddress, paymentMethod });
+
+      res.status(202).json({
+        success: true,
+        message: '抢购成功，正在为您创建订单',
+        data: result
+      });
+    } catch (error) {
+      if (!error.statusCode || error.statusCode >= 500) {
+        logger.error('秒杀抢购失败', error, { flashSaleId: req.params.id });
+      }
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 查询抢购结果，下单成功后返回订单ID
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getRequest(req, res) {
+    try {
+      const result = await flashSaleService.getRequest(req.user.id, parseInt(req.params.id, 10), req.params.requestNo);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('查询抢购结果失败', error, { requestNo: req.params.requestNo });
+      sendError(res, error);
+    }
+  }
+}
+
+module.exports = new FlashSaleController();
@@ -0,0 +1,31 @@
+/**
+ * 买家端API - 秒杀模块入口
+ * 整合秒杀相关的控制器和路由，秒杀业务逻辑由核心秒杀服务提供
+ */
+
+const logger = require('../../core/utils/logger');
+const di = require('../../core/di/container');
+const flashSaleRoutes = require('./routes/flashSaleRoutes');
+const flashSaleController = require('./controllers/flashSaleController');
+
+/**
+ * 初始化秒杀模块
+ * @param {Object} app - Express应用实例
+ */
+function initializeFlashSaleModule(app) {
+  // 注册控制器到DI容器
+  di.register('flashSaleController', () => flashSaleController);
+  
+  // 注册路由
+  flashSaleRoutes.register(app);
+  
+  logger.info('买家端API秒杀模块初始化完成');
+}
+
+module.exports = {
+  initialize: initializeFlashSaleModule,
+  controllers: {
+    flashSale: flashSaleController
+  },
+  routes: flashSaleRoutes
+};
@@ -0,0 +1,140 @@
+/**
+ * 秒杀路由配置
+ * 定义秒杀活动、抢购和抢购结果查询的API端点
+ */
+
+const express = require('express');
+const router = express.Router();
+const flashSaleController = require('../controllers/flashSaleController');
+const authMiddleware = require('../../../core/security/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 秒杀
+ *   description: 秒杀活动、抢购和抢购结果
+ */
+
+// 所有秒杀路由都需要认证
+router.use(authMiddleware.authenticate);
+
+/**
+ * @swagger
+ * /api/flash-sales:
+ *   get:
+ *     summary: 获取秒杀活动列表
+ *     description: 返回进行中和即将开始的秒杀活动，按开始时间排序
+ *     tags: [秒杀]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: keyword
+ *         schema: { type: string }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, default: 20 }
+ *     responses:
+ *       200:
+ *         description: 秒杀活动分页列表
+ */
+router.get('/', flashSaleController.getFlashSales);
+
+/**
+ * @swagger
+ * /api/flash-sales/{id}:
+ *   get:
+ *     summary: 获取秒杀活动详情
+ *     tags: [秒杀]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: 秒杀活动（秒杀价、每人限购和剩余库存）
+ *       404:
+ *         description: 秒杀活动不存在
+ */
+router.get('/:id(\\d+)', flashSaleController.getFlashSale);
+
+/**
+ * @swagger
+ * /api/flash-sales/{id}/purchase:
+ *   post:
+ *     summary: 抢购
+ *     description: 抢到库存后进入下单队列并返回请求编号，订单异步创建，通过抢购结果接口查询订单
+ *     tags: [秒杀]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [shippingAddress]
+ *             properties:
+ *               quantity: { type: integer, default: 1 }
+ *               shippingAddress: { type: object, description: '收货地址' }
+ *               paymentMethod: { type: string, description: '支付方式' }
+ *     responses:
+ *       202:
+ *         description: 已进入下单队列（含请求编号）
+ *       404:
+ *         description: 秒杀活动不存在
+ *       409:
+ *         description: 活动未开始、已结束、已抢光或超出每人限购
+ *       503:
+ *         description: 抢购人数过多，请稍后再试
+ */
+router.post('/:id(\\d+)/purchase', flashSaleController.purchase);
+
+/**
+ * @swagger
+ * /api/flash-sales/{id}/requests/{requestNo}:
+ *   get:
+ *     summary: 查询抢购结果
+ *     tags: [秒杀]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: path
+ *         name: requestNo
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: 抢购结果（queued 排队中、processing 下单中、ordered 已下单、failed 下单失败、released 订单已取消）
+ *       404:
+ *         description: 抢购请求不存在
+ */
+router.get('/:id(\\d+)/requests/:requestNo', flashSaleController.getRequest);
+
+/**
+ * 注册秒杀路由
+ * @param {Object} app - Express应用实例
+ */
+function registerFlashSaleRoutes(app) {
+  app.use('/api/flash-sales', router);
+}
+
+module.exports = {
+  register: registerFlashSaleRoutes,
+  router
+};
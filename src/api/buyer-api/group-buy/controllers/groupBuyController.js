@@ -0,0 +1,207 @@
+/**
+ * 拼团控制器
+ * 处理买家查看拼团活动、开团、参团和查看拼团进度相关的HTTP请求
+ */
+
+const logger = require('../../../core/utils/logger');
+const groupBuyService = require('../../../core/services/groupBuyService');
+const orderService = require('../../order/services/orderService');
+const messageQueue = require('../../../core/messaging/messageQueue');
+
+/**
+ * 返回错误响应
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误
+ */
+function sendError(res, error) {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? '服务器内部错误' : error.message,
+    errorCode: error.errorCode
+  });
+}
+
+/**
+ * 创建拼团订单并发送订单创建消息
+ * @param {string} userId - 用户ID
+ * @param {Object} params - { promotionId, teamNo, productId, skuId, quantity }
+ * @param {Object} orderData - { shippingAddress, paymentMethod }
+ * @returns {Promise<Object>} 订单
+ */
+async function placeOrder(userId, params, orderData) {
+  const order = await orderService.createGroupBuyOrder(userId, {
+    ...params,
+    quantity: parseInt(params.quantity, 10) || 1
+  }, orderData);
+
+  // 发送创建订单消息到消息队列
+  await messageQueue.publish('order.created', {
+    userId,
+    orderId: order.id,
+    timestamp: new Date()
+  });
+
+  return order;
+}
+
+class GroupBuyController {
+  /**
+   * 获取拼团活动详情
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getPromotion(req, res) {
+    try {
+      const promotion = await groupBuyService.getPublicPromotion(parseInt(req.params.id, 10));
+
+      res.json({
+        success: true,
+        data: promotion
+      });
+    } catch (error) {
+      logger.error('获取拼团活动详情失败', error, { promotionId: req.params.id });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取活动中可参加的团
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getJoinableTeams(req, res) {
+    try {
+      const { productId, page, pageSize } = req.query;
+      const teams = await groupBuyService.getJoinableTeams(parseInt(req.params.id, 10), { productId, page, pageSize });
+
+      res.json({
+        success: true,
+        data: teams
+      });
+    } catch (error) {
+      logger.error('获取可参加的团失败', error, { promotionId: req.params.id });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取我参加的团
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getMyTeams(req, res) {
+    try {
+      const { status, page, pageSize } = req.query;
+      const teams = await groupBuyService.getUserTeams(req.user.id, { status, page, pageSize });
+
+      res.json({
+        success: true,
+        data: teams
+      });
+    } catch (error) {
+      logger.error('获取我的拼团失败', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取拼团详情，团员和好友打开分享链接时查看拼团进度
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getTeam(req, res) {
+    try {
+      const team = await groupBuyService.getPublicTeam(req.params.teamNo);
+
+      res.json({
+        success: true,
+        data: team
+      });
+    } catch (error) {
+      logger.error('获取拼团详情失败', error, { teamNo: req.params.teamNo });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 开团：以拼团价下单并成为团长
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async openTeam(req, res) {
+    try {
+      const userId = req.user.id;
+      const promotionId = parseInt(req.params.id, 10);
+      const { productId, skuId, quantity, shippingAddress, paymentMethod } = req.body;
+
+      if (!productId) {
+        return res.status(400).json({
+          success: false,
+          message: '请选择拼团商品'
+        });
+      }
+      if (!shippingAddress || !shippingAddress.id) {
+        return res.status(400).json({
+          success: false,
+          message: '请选择收货地址'
+        });
+      }
+
+      logger.info(`开团 - 用户ID: ${userId}`, { promotionId, productId });
+
+      const order = await placeOrder(userId, { promotionId, productId, skuId, quantity }, { shippingAddress, paymentMethod });
+
+      res.status(201).json({
+        success: true,
+        message: '开团成功，支付后即可邀请好友参团',
+        data: order
+      });
+    } catch (error) {
+      logger.error('开团失败', error, { promotionId: req.params.id });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 参团：以拼团价下单加入指定的团
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async joinTeam(req, res) {
+    try {
+      const userId = req.user.id;
+      const { teamNo } = req.params;
+      const { quantity, shippingAddress, paymentMethod } = req.body;
+
+      if (!shippingAddress || !shippingAddress.id) {
+        return res.status(400).json({
+          success: false,
+          message: '请选择收货地址'
+        });
+      }
+
+      logger.info(`参团 - 用户ID: ${userId}`, { teamNo });
+
+      const team = await groupBuyService.getPublicTeam(teamNo);
+      const order = await placeOrder(userId, {
+        promotionId: team.promotionId,
+        teamNo,
+        productId: team.productId,
+        skuId: team.skuId,
+        quantity
+      }, { shippingAddress, paymentMethod });
+
+      res.status(201).json({
+        success: true,
+        message: '参团成功，请尽快完成支付',
+        data: order
+      });
+    } catch (error) {
+      logger.error('参团失败', error, { teamNo: req.params.teamNo });
+      sendError(res, error);
+    }
+  }
+}
+
+module.exports = new GroupBuyController();
@@ -0,0 +1,31 @@
+/**
+ * 买家端API - 拼团模块入口
+ * 整合拼团相关的控制器和路由，拼团业务逻辑由核心拼团服务提供
+ */
+
+const logger = require('../../core/utils/logger');
+const di = require('../../core/di/container');
+const groupBuyRoutes = require('./routes/groupBuyRoutes');
+const groupBuyController = require('./controllers/groupBuyController');
+
+/**
+ * 初始化拼团模块
+ * @param {Object} app - Express应用实例
+ */
+function initializeGroupBuyModule(app) {
+  // 注册控制器到DI容器
+  di.register('groupBuyController', () => groupBuyController);
+  
+  // 注册路由
+  groupBuyRoutes.register(app);
+  
+  logger.info('买家端API拼团模块初始化完成');
+}
+
+module.exports = {
+  initialize: initializeGroupBuyModule,
+  controllers: {
+    groupBuy: groupBuyController
+  },
+  routes: groupBuyRoutes
+};
@@ -0,0 +1,186 @@
+/**
+ * 拼团路由配置
+ * 定义拼团活动、开团、参团和拼团进度的API端点
+ */
+
+const express = require('express');
+const router = express.Router();
+const groupBuyController = require('../controllers/groupBuyController');
+const authMiddleware = require('../../../core/security/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 拼团
+ *   description: 拼团活动、开团、参团和拼团进度
+ */
+
+// 所有拼团路由都需要认证
+router.use(authMiddleware.authenticate);
+
+/**
+ * @swagger
+ * /api/group-buys/teams:
+ *   get:
+ *     summary: 获取我参加的团
+ *     tags: [拼团]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: ['open', 'success', 'failed'] }
+ *     responses:
+ *       200:
+ *         description: 拼团分页列表
+ */
+router.get('/teams', groupBuyController.getMyTeams);
+
+/**
+ * @swagger
+ * /api/group-buys/teams/{teamNo}:
+ *   get:
+ *     summary: 获取拼团详情
+ *     description: 团员和好友打开分享链接时查看拼团进度、剩余名额和团员
+ *     tags: [拼团]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamNo
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: 拼团详情（含分享链接和团员）
+ *       404:
+ *         description: 拼团不存在
+ */
+router.get('/teams/:teamNo', groupBuyController.getTeam);
+
+/**
+ * @swagger
+ * /api/group-buys/teams/{teamNo}/join:
+ *   post:
+ *     summary: 参团
+ *     description: 按拼团价下单加入指定的团，团长支付后才能参团，同一买家在一个团中只能参团一次
+ *     tags: [拼团]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamNo
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [shippingAddress]
+ *             properties:
+ *               quantity: { type: integer, default: 1 }
+ *               shippingAddress: { type: object, description: '收货地址' }
+ *               paymentMethod: { type: string, description: '支付方式' }
+ *     responses:
+ *       201:
+ *         description: 拼团订单（含团信息）
+ *       409:
+ *         description: 团已结束、已满员、团长未支付或已参加该团
+ */
+router.post('/teams/:teamNo/join', groupBuyController.joinTeam);
+
+/**
+ * @swagger
+ * /api/group-buys/{id}:
+ *   get:
+ *     summary: 获取拼团活动详情
+ *     tags: [拼团]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: 拼团活动（拼团价、成团人数、成团时限和活动商品）
+ *       404:
+ *         description: 拼团活动不存在
+ */
+router.get('/:id(\\d+)', groupBuyController.getPromotion);
+
+/**
+ * @swagger
+ * /api/group-buys/{id}/teams:
+ *   get:
+ *     summary: 获取活动中可参加的团
+ *     description: 按成团截止时间排序，只返回团长已支付且仍有空余名额的团
+ *     tags: [拼团]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: productId
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: 拼团分页列表
+ */
+router.get('/:id(\\d+)/teams', groupBuyController.getJoinableTeams);
+
+/**
+ * @swagger
+ * /api/group-buys/{id}/teams:
+ *   post:
+ *     summary: 开团
+ *     description: 按拼团价下单并成为团长，支付后其他买家可以参团，成团时限内凑齐人数即成团
+ *     tags: [拼团]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [productId, shippingAddress]
+ *             properties:
+ *               productId: { type: string }
+ *               skuId: { type: string }
+ *               quantity: { type: integer, default: 1 }
+ *               shippingAddress: { type: object, description: '收货地址' }
+ *               paymentMethod: { type: string, description: '支付方式' }
+ *     responses:
+ *       201:
+ *         description: 拼团订单（含团号和分享链接）
+ *       400:
+ *         description: 商品不参与该拼团活动
+ *       409:
+ *         description: 拼团活动未在进行中
+ */
+router.post('/:id(\\d+)/teams', groupBuyController.openTeam);
+
+/**
+ * 注册拼团路由
+ * @param {Object} app - Express应用实例
+ */
+function registerGroupBuyRoutes(app) {
+  app.use('/api/group-buys', router);
+}
+
+module.exports = {
+  register: registerGroupBuyRoutes,
+  router
+};
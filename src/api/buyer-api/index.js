@@ -13,6 +13,16 @@ const cartModule = require('./cart');
 const orderModule = require('./order');
 const addressModule = require('./address');
 const reviewModule = require('./review');
+const pointModule = require('./point');
+const afterSalesModule = require('./after-sales');
+const paymentModule = require('./payment');
+const walletModule = require('./wallet');
+const distributionModule = require('./distribution');
+const bargainModule = require('./bargain');
+const groupBuyModule = require('./group-buy');
+const flashSaleModule = require('./flash-sale');
+const couponModule = require('./coupon');
+const regionModule = require('./region');
 
 /**
  * 注册买家端API模块
@@ -28,6 +38,16 @@ function register(app) {
   orderModule.initialize(app);
   addressModule.initialize(app);
   reviewModule.initialize(app);
+  pointModule.initialize(app);
+  afterSalesModule.initialize(app);
+  paymentModule.initialize(app);
+  walletModule.initialize(app);
+  distributionModule.initialize(app);
+  bargainModule.initialize(app);
+  groupBuyModule.initialize(app);
+  flashSaleModule.initialize(app);
+  couponModule.initialize(app);
+  regionModule.initialize(app);
   
   // TODO: 注册其他业务模块
   
@@ -41,6 +41,31 @@ class OrderController {
     }
   }
   
+  /**
+   * 预览订单价格
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   * @param {Function} next - 下一个中间件
+   */
+  async previewPrice(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const previewData = req.body;
+      
+      logger.info(`预览订单价格 - 用户ID: ${userId}`, { previewData });
+      
+      const breakdown = await orderService.previewPrice(userId, previewData);
+      
+      res.json({
+        success: true,
+        data: breakdown
+      });
+    } catch (error) {
+      logger.error('预览订单价格失败', { error: error.message, stack: error.stack });
+      next(error);
+    }
+  }
+  
   /**
    * 获取用户订单列表
    * @param {Object} req - HTTP请求对象
@@ -175,16 +200,9 @@ class OrderController {
       
       logger.info(`申请退款请求 - 用户ID: ${userId}, 订单ID: ${orderId}`, { refundData });
       
+      // 售后服务在申请创建后发布 after_sales.created 消息
       const refund = await orderService.requestRefund(userId, orderId, refundData);
       
-      // 发送退款申请消息
-      await messageQueue.publish('refund.requested', {
-        userId,
-        orderId,
-        refundId: refund.id,
-        timestamp: new Date()
-      });
-      
       res.status(201).json({
         success: true,
         message: '退款申请提交成功',
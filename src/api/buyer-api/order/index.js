@@ -3,6 +3,7 @@
  * 整合订单相关的控制器、服务、仓库和路由
  */
 
+const logger = require('../../core/utils/logger');
 const di = require('../../core/di/container');
 const orderRoutes = require('./routes/orderRoutes');
 const orderController = require('./controllers/orderController');
@@ -20,7 +21,7 @@ function initializeOrderModule(app) {
   // 注册路由
   orderRoutes.register(app);
   
-  console.log('买家端API订单模块初始化完成');
+  logger.info('买家端API订单模块初始化完成');
 }
 
 /**
@@ -36,7 +37,7 @@ function registerServices() {
   // 注册控制器
   di.register('orderController', () => orderController);
   
-  console.log('订单模块服务注册完成');
+  logger.info('订单模块服务注册完成');
 }
 
 module.exports = {
@@ -8,9 +8,7 @@ const BaseRepository = require('../../../core/repositories/baseRepository');
 
 // 模拟订单数据存储
 let orders = [];
-let refunds = [];
 let orderIdCounter = 1;
-let refundIdCounter = 1;
 
 class OrderRepository extends BaseRepository {
   constructor() {
@@ -21,9 +19,10 @@ class OrderRepository extends BaseRepository {
   /**
    * 创建订单
    * @param {Object} orderData - 订单数据
+   * @param {Object} [transaction] - 事务对象，事务回滚时撤销创建
    * @returns {Promise<Object>} 创建的订单
    */
-  async createOrder(orderData) {
+  async createOrder(orderData, transaction = null) {
     try {
       const order = {
         id: `order_${orderIdCounter++}`,
@@ -31,6 +30,12 @@ class OrderRepository extends BaseRepository {
       };
       
       orders.push(order);
+      
+      if (transaction) {
+        transaction.onRollback(() => {
+          orders = orders.filter(item => item.id !== order.id);
+        });
+      }
       logger.info('订单创建成功', { orderId: order.id });
       
       return order;
@@ -98,9 +103,10 @@ class OrderRepository extends BaseRepository {
    * 更新订单
    * @param {string} orderId - 订单ID
    * @param {Object} updateData - 更新数据
+   * @param {Object} [transaction] - 事务对象，事务回滚时恢复原订单
    * @returns {Promise<Object>} 更新后的订单
    */
-  async updateOrder(orderId, updateData) {
+  async updateOrder(orderId, updateData, transaction = null) {
     try {
       const orderIndex = orders.findIndex(order => order.id === orderId);
       
@@ -108,6 +114,16 @@ class OrderRepository extends BaseRepository {
         throw new Error('订单不存在');
       }
       
+      if (transaction) {
+        const previous = orders[orderIndex];
+        transaction.onRollback(() => {
+          const index = orders.findIndex(order => order.id === orderId);
+          if (index !== -1) {
+            orders[index] = previous;
+          }
+        });
+      }
+      
       orders[orderIndex] = {
         ...orders[orderIndex],
         ...updateData
@@ -121,43 +137,6 @@ class OrderRepository extends BaseRepository {
     }
   }
   
-  /**
-   * 创建退款申请
-   * @param {Object} refundData - 退款数据
-   * @returns {Promise<Object>} 创建的退款申请
-   */
-  async createRefund(refundData) {
-    try {
-      const refund = {
-        id: `refund_${refundIdCounter++}`,
-        ...refundData
-      };
-      
-      refunds.push(refund);
-      logger.info('退款申请创建成功', { refundId: refund.id });
-      
-      return refund;
-    } catch (error) {
-      logger.error('创建退款申请失败', { error: error.message });
-      throw error;
-    }
-  }
-  
-  /**
-   * 获取订单的退款申请
-   * @param {string} orderId - 订单ID
-   * @returns {Promise<Object|null>} 退款申请或null
-   */
-  async getOrderRefund(orderId) {
-    try {
-      const refund = refunds.find(refund => refund.orderId === orderId);
-      return refund || null;
-    } catch (error) {
-      logger.error('获取订单退款申请失败', { orderId, error: error.message });
-      throw error;
-    }
-  }
-  
   /**
    * 获取订单状态统计
    * @param {string} userId - 用户ID
@@ -173,8 +152,7 @@ class OrderRepository extends BaseRepository {
         paid: 0,           // 已支付
         shipped: 0,        // 已发货
         completed: 0,      // 已完成
-        canceled: 0,       // 已取消
-        refunding: 0       // 退款中
+        canceled: 0        // 已取消
       };
       
       // 统计各状态订单数量
@@ -182,14 +160,6 @@ class OrderRepository extends BaseRepository {
         if (stats.hasOwnProperty(order.status)) {
           stats[order.status]++;
         }
-        
-        // 检查是否有退款申请
-        const hasRefund = refunds.some(refund => 
-          refund.orderId === order.id && refund.status === 'pending'
-        );
-        if (hasRefund) {
-          stats.refunding++;
-        }
       });
       
       return stats;
@@ -213,8 +183,6 @@ class OrderRepository extends BaseRepository {
       
       if (deleted) {
         logger.info('订单删除成功', { orderId });
-        // 同时删除相关退款记录
-        refunds = refunds.filter(refund => refund.orderId !== orderId);
       }
       
       return deleted;
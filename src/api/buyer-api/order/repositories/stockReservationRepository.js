@@ -0,0 +1,114 @@
+/**
+ * 库存预占数据仓库
+ * 负责订单库存预占记录（库存数量的锁定与解锁由库存服务完成），所有方法均在调用方的事务连接上执行
+ */
+
+const logger = require('../../../core/utils/logger');
+
+/**
+ * 预占状态
+ */
+const RESERVATION_STATUS = {
+  ACTIVE: 'active',       // 预占中（订单待支付）
+  CONFIRMED: 'confirmed', // 已确认（订单已支付）
+  RELEASED: 'released'    // 已释放（订单取消或超时关闭）
+};
+
+class StockReservationRepository {
+  /**
+   * 创建库存预占记录
+   * @param {Object} connection - 事务连接
+   * @param {string} orderId - 订单ID
+   * @param {Array} items - 预占商品列表 [{ productId, skuId, quantity }]
+   * @param {Date} expiresAt - 预占过期时间
+   * @returns {Promise<void>}
+   */
+  async createReservations(connection, orderId, items, expiresAt) {
+    try {
+      const rows = items.map(item => [
+        orderId,
+        item.productId,
+        item.skuId || '',
+        item.quantity,
+        RESERVATION_STATUS.ACTIVE,
+        expiresAt,
+        new Date()
+      ]);
+
+      await connection.query(
+        'INSERT INTO stock_reservations (order_id, product_id, sku_id, quantity, status, expires_at, created_at) VALUES ?',
+        [rows]
+      );
+    } catch (error) {
+      logger.error('创建库存预占记录失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取订单的预占记录并加行锁
+   * @param {Object} connection - 事务连接
+   * @param {string} orderId - 订单ID
+   * @param {string} status - 预占状态
+   * @returns {Promise<Array>} 预占记录列表
+   */
+  async getOrderReservationsForUpdate(connection, orderId, status) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT * FROM stock_reservations WHERE order_id = ? AND status = ? FOR UPDATE',
+        [orderId, status]
+      );
+
+      return rows;
+    } catch (error) {
+      logger.error('获取订单预占记录失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新订单预占记录状态
+   * @param {Object} connection - 事务连接
+   * @param {string} orderId - 订单ID
+   * @param {string} fromStatus - 原状态
+   * @param {string} toStatus - 新状态
+   * @param {string} [reason] - 状态变更原因
+   * @returns {Promise<number>} 更新的记录数
+   */
+  async updateOrderReservationStatus(connection, orderId, fromStatus, toStatus, reason = null) {
+    try {
+      const [result] = await connection.query(
+        'UPDATE stock_reservations SET status = ?, release_reason = ?, updated_at = NOW() WHERE order_id = ? AND status = ?',
+        [toStatus, reason, orderId, fromStatus]
+      );
+
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('更新订单预占记录状态失败', { orderId, toStatus, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取已过期仍在预占中的订单ID
+   * @param {Object} connection - 数据库连接
+   * @param {number} limit - 最大返回数量
+   * @returns {Promise<Array<string>>} 订单ID列表
+   */
+  async getExpiredOrderIds(connection, limit = 100) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT DISTINCT order_id FROM stock_reservations WHERE status = ? AND expires_at <= NOW() LIMIT ?',
+        [RESERVATION_STATUS.ACTIVE, limit]
+      );
+
+      return rows.map(row => row.order_id);
+    } catch (error) {
+      logger.error('获取过期库存预占失败', { error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new StockReservationRepository();
+module.exports.RESERVATION_STATUS = RESERVATION_STATUS;
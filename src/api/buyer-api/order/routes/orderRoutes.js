@@ -18,6 +18,7 @@ function registerOrderRoutes(app) {
   
   // 订单基本操作
   router.post('/', orderController.createOrder);
+  router.post('/preview-price', orderController.previewPrice);
   router.get('/', orderController.getUserOrders);
   router.get('/stats', orderController.getOrderStats);
   router.get('/:id', orderController.getOrderDetail);
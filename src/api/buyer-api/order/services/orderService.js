@@ -5,10 +5,20 @@
 
 const logger = require('../../../core/utils/logger');
 const orderRepository = require('../repositories/orderRepository');
-const productService = require('../../product/services/productService');
 const cartService = require('../../cart/services/cartService');
+const pricingService = require('./pricingService');
+const stockReservationService = require('./stockReservationService');
+const pointService = require('../../../core/services/pointService');
+const inventoryService = require('../../../core/services/inventoryService');
+const afterSalesService = require('../../../core/services/afterSalesService');
+const bargainService = require('../../../core/services/bargainService');
+const groupBuyService = require('../../../core/services/groupBuyService');
+const flashSaleService = require('../../../core/services/flashSaleService');
+const couponService = require('../../../core/services/couponService');
+const addressService = require('../../address/services/addressService');
 const cacheService = require('../../../core/cache/cacheService');
 const messageQueue = require('../../../core/messaging/messageQueue');
+const { ValidationError } = require('../../../core/exception/handlers/errorHandler');
 
 class OrderService {
   /**
@@ -30,42 +40,57 @@ class OrderService {
         throw new Error('购物车为空，无法创建订单');
       }
       
-      // 检查库存
-      for (const item of cart.items) {
-        const product = await productService.getProductById(item.productId);
-        if (!product || product.stock < item.quantity) {
-          throw new Error(`${product.name}库存不足`);
-        }
-      }
+      // 以买家地址簿中的地址为准计算运费，订单保存下单时的地址快照
+      const shippingAddress = await addressService.getAddressDetail(userId, orderData.shippingAddress.id);
       
-      // 计算订单金额
-      const totalAmount = cart.items.reduce((sum, item) => {
-        return sum + item.price * item.quantity;
-      }, 0);
+      // 计算订单金额（应用促销和运费）
+      const priceBreakdown = await pricingService.calculateOrderPrice(userId, cart.items, {
+        couponIds: orderData.couponIds,
+        usePoints: orderData.usePoints,
+        address: shippingAddress
+      });
       
       // 构建订单数据
       const order = {
         userId,
         items: cart.items,
-        totalAmount,
-        shippingAddress: orderData.shippingAddress,
+        gifts: priceBreakdown.gifts,
+        originalAmount: priceBreakdown.summary.originalAmount,
+        discountAmount: priceBreakdown.summary.discountAmount,
+        totalAmount: priceBreakdown.summary.payableAmount,
+        shippingFee: priceBreakdown.summary.shippingFee,
+        shippingDiscount: priceBreakdown.summary.shippingDiscount,
+        pointsUsed: priceBreakdown.points.used,
+        pointsAmount: priceBreakdown.points.amount,
+        priceBreakdown,
+        shippingAddress,
         paymentMethod: orderData.paymentMethod || 'online',
         status: 'pending', // 待支付
         orderNumber: this.generateOrderNumber(),
+        reservationExpiresAt: stockReservationService.getExpiresAt(),
         createdAt: new Date(),
         updatedAt: new Date()
       };
       
-      // 创建订单
-      const createdOrder = await orderRepository.createOrder(order);
-      
-      // 扣减库存
-      for (const item of cart.items) {
-        await productService.updateStock(item.productId, -item.quantity);
-      }
+      // 在同一事务中写入订单、预占库存、锁定优惠券、扣减积分并清空购物车，任一步骤失败全部回滚
+      let pointsChange = null;
+      let stockChanges = [];
+      const createdOrder = await stockReservationService.runInTransaction(async (connection, transaction) => {
+        const created = await orderRepository.createOrder(order, transaction);
+        
+        stockChanges = await stockReservationService.reserve(connection, created.id, priceBreakdown.lines, order.reservationExpiresAt);
+        
+        await couponService.lockForOrder(connection, userId, created.id, priceBreakdown.coupons.selected);
+        
+        pointsChange = await pointService.redeemForOrder(connection, userId, created.id, order.pointsUsed);
+        
+        await cartService.clearCart(userId, transaction);
+        
+        return created;
+      });
       
-      // 清空购物车
-      await cartService.clearCart(userId);
+      await pointService.publishChange(pointsChange);
+      await inventoryService.publishAlerts(stockChanges);
       
       // 清除缓存
       await cacheService.delete(`user:${userId}:orders`);
@@ -79,6 +104,347 @@ class OrderService {
     }
   }
   
+  /**
+   * 按砍价底价创建特价订单
+   * 订单只包含砍价商品一件，不叠加其他促销、优惠券和积分，运费按运费模板另计；砍价记录在同一事务中标记为已下单
+   * @param {string} userId - 用户ID
+   * @param {string} recordNo - 砍价编号
+   * @param {Object} orderData - 订单数据 { shippingAddress, paymentMethod }
+   * @returns {Promise<Object>} 创建的订单
+   */
+  async createBargainOrder(userId, recordNo, orderData) {
+    try {
+      // 验证收货地址
+      if (!orderData.shippingAddress || !orderData.shippingAddress.id) {
+        throw new Error('请选择收货地址');
+      }
+
+      // 以买家地址簿中的地址为准计算运费，订单保存下单时的地址快照
+      const shippingAddress = await addressService.getAddressDetail(userId, orderData.shippingAddress.id);
+
+      let stockChanges = [];
+      const createdOrder = await stockReservationService.runInTransaction(async (connection, transaction) => {
+        const bargain = await bargainService.lockForOrder(connection, userId, recordNo);
+        const discount = Math.round((bargain.originalPrice - bargain.price) * 100) / 100;
+
+        const line = {
+          productId: bargain.productId,
+          skuId: bargain.skuId,
+          sellerId: bargain.sellerId,
+          name: bargain.productName,
+          specs: {},
+          quantity: 1,
+          unitPrice: bargain.originalPrice,
+          originalAmount: bargain.originalPrice,
+          discountAmount: discount,
+          payableAmount: bargain.price,
+          promotions: [{ type: 'bargain', name: '砍价', recordNo, discount }]
+        };
+        const shipping = await pricingService.calculateFixedPriceShipping(userId, [line], shippingAddress);
+        const priceBreakdown = {
+          lines: [line],
+          gifts: [],
+          appliedPromotions: [],
+          summary: {
+            originalAmount: line.originalAmount,
+            discountAmount: line.discountAmount,
+            shippingFee: shipping.fee,
+            shippingDiscount: shipping.discount,
+            payableAmount: Math.round((line.payableAmount + shipping.payable) * 100) / 100
+          },
+          shipping,
+          points: { used: 0, amount: 0 },
+          calculatedAt: new Date()
+        };
+
+        const order = {
+          userId,
+          items: [{ productId: line.productId, skuId: line.skuId, quantity: 1 }],
+          gifts: [],
+          originalAmount: line.originalAmount,
+          discountAmount: line.discountAmount,
+          totalAmount: priceBreakdown.summary.payableAmount,
+          shippingFee: shipping.fee,
+          shippingDiscount: shipping.discount,
+          pointsUsed: 0,
+          pointsAmount: 0,
+          priceBreakdown,
+          bargainRecordNo: recordNo,
+          shippingAddress,
+          paymentMethod: orderData.paymentMethod || 'online',
+          status: 'pending', // 待支付
+          orderNumber: this.generateOrderNumber(),
+          reservationExpiresAt: stockReservationService.getExpiresAt(),
+          createdAt: new Date(),
+          updatedAt: new Date()
+        };
+
+        const created = await orderRepository.createOrder(order, transaction);
+
+        stockChanges = await stockReservationService.reserve(connection, created.id, priceBreakdown.lines, order.reservationExpiresAt);
+
+        await bargainService.markOrdered(connection, bargain.recordId, created.id);
+
+        return created;
+      });
+
+      await inventoryService.publishAlerts(stockChanges);
+
+      // 清除缓存
+      await cacheService.delete(`user:${userId}:orders`);
+
+      logger.info('砍价订单创建成功', { orderId: createdOrder.id, userId, recordNo });
+
+      return createdOrder;
+    } catch (error) {
+      logger.error('创建砍价订单失败', { userId, recordNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建秒杀订单
+   * 由秒杀下单队列的消费者调用，库存已在 Redis 中扣减，订单按秒杀价加运费创建并在同一事务中记录秒杀订单
+   * @param {string} userId - 用户ID
+   * @param {Object} params - { flashSaleId, requestNo, quantity }
+   * @param {Object} orderData - { shippingAddress, paymentMethod }
+   * @returns {Promise<Object>} 创建的订单
+   */
+  async createFlashSaleOrder(userId, params, orderData) {
+    try {
+      // 验证收货地址
+      if (!orderData.shippingAddress || !orderData.shippingAddress.id) {
+        throw new ValidationError('请选择收货地址');
+      }
+
+      // 以买家地址簿中的地址为准计算运费，订单保存下单时的地址快照；
+      // 地址已删除或不属于买家时按业务失败抛出，避免秒杀下单消息反复重试
+      let shippingAddress;
+      try {
+        shippingAddress = await addressService.getAddressDetail(userId, orderData.shippingAddress.id);
+      } catch (error) {
+        if (/^(地址不存在|无权访问该地址)$/.test(error.message)) {
+          throw new ValidationError(error.message);
+        }
+        throw error;
+      }
+
+      let stockChanges = [];
+      const createdOrder = await stockReservationService.runInTransaction(async (connection, transaction) => {
+        const sale = await flashSaleService.lockForOrder(connection, userId, params);
+        const quantity = params.quantity;
+        const originalAmount = Math.round(sale.originalPrice * quantity * 100) / 100;
+        const payableAmount = Math.round(sale.flashPrice * quantity * 100) / 100;
+        const discount = Math.round((originalAmount - payableAmount) * 100) / 100;
+
+        const line = {
+          productId: sale.productId,
+          skuId: sale.skuId,
+          sellerId: sale.sellerId,
+          name: sale.productName,
+          specs: {},
+          quantity,
+          unitPrice: sale.originalPrice,
+          originalAmount,
+          discountAmount: discount,
+          payableAmount,
+          promotions: [{ type: 'flash_sale', name: '秒杀', flashSaleId: sale.flashSaleId, discount }]
+        };
+        const shipping = await pricingService.calculateFixedPriceShipping(userId, [line], shippingAddress);
+        const priceBreakdown = {
+          lines: [line],
+          gifts: [],
+          appliedPromotions: [],
+          summary: {
+            originalAmount: line.originalAmount,
+            discountAmount: line.discountAmount,
+            shippingFee: shipping.fee,
+            shippingDiscount: shipping.discount,
+            payableAmount: Math.round((line.payableAmount + shipping.payable) * 100) / 100
+          },
+          shipping,
+          points: { used: 0, amount: 0 },
+          calculatedAt: new Date()
+        };
+
+        const order = {
+          userId,
+          items: [{ productId: line.productId, skuId: line.skuId, quantity }],
+          gifts: [],
+          originalAmount: line.originalAmount,
+          discountAmount: line.discountAmount,
+          totalAmount: priceBreakdown.summary.payableAmount,
+          shippingFee: shipping.fee,
+          shippingDiscount: shipping.discount,
+          pointsUsed: 0,
+          pointsAmount: 0,
+          priceBreakdown,
+          flashSaleId: sale.flashSaleId,
+          flashSaleRequestNo: params.requestNo,
+          shippingAddress,
+          paymentMethod: orderData.paymentMethod || 'online',
+          status: 'pending', // 待支付
+          orderNumber: this.generateOrderNumber(),
+          reservationExpiresAt: stockReservationService.getExpiresAt(),
+          createdAt: new Date(),
+          updatedAt: new Date()
+        };
+
+        const created = await orderRepository.createOrder(order, transaction);
+
+        stockChanges = await stockReservationService.reserve(connection, created.id, priceBreakdown.lines, order.reservationExpiresAt);
+
+        await flashSaleService.recordOrder(connection, {
+          requestNo: params.requestNo,
+          flashSaleId: sale.flashSaleId,
+          userId,
+          sellerId: sale.sellerId,
+          quantity,
+          amount: payableAmount,
+          orderId: created.id
+        });
+
+        return created;
+      });
+
+      await inventoryService.publishAlerts(stockChanges);
+
+      // 清除缓存
+      await cacheService.delete(`user:${userId}:orders`);
+
+      logger.info('秒杀订单创建成功', { orderId: createdOrder.id, userId, requestNo: params.requestNo });
+
+      return createdOrder;
+    } catch (error) {
+      logger.error('创建秒杀订单失败', { userId, requestNo: params.requestNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按拼团价创建拼团订单，未指定团号时开新团，否则参加指定的团
+   * 订单只包含拼团商品，按所选拼团活动计价，不使用优惠券和积分；团员记录在同一事务中创建并占用团内名额
+   * @param {string} userId - 用户ID
+   * @param {Object} params - { promotionId, teamNo, productId, skuId, quantity }
+   * @param {Object} orderData - 订单数据 { shippingAddress, paymentMethod }
+   * @returns {Promise<Object>} 创建的订单（含 groupBuy 团信息）
+   */
+  async createGroupBuyOrder(userId, params, orderData) {
+    try {
+      // 验证收货地址
+      if (!orderData.shippingAddress || !orderData.shippingAddress.id) {
+        throw new Error('请选择收货地址');
+      }
+
+      // 以买家地址簿中的地址为准计算运费，订单保存下单时的地址快照
+      const shippingAddress = await addressService.getAddressDetail(userId, orderData.shippingAddress.id);
+
+      const item = {
+        productId: params.productId,
+        skuId: params.skuId || null,
+        quantity: params.quantity || 1,
+        groupBuy: true,
+        groupBuyPromotionId: params.promotionId
+      };
+      const priceBreakdown = await pricingService.calculateOrderPrice(userId, [item], { address: shippingAddress });
+      const [line] = priceBreakdown.lines;
+      if (!line.promotions.some(promotion => String(promotion.promotionId) === String(params.promotionId))) {
+        throw new ValidationError('该商品当前不能按拼团价购买');
+      }
+
+      const order = {
+        userId,
+        items: [{ productId: line.productId, skuId: line.skuId, quantity: line.quantity }],
+        gifts: priceBreakdown.gifts,
+        originalAmount: priceBreakdown.summary.originalAmount,
+        discountAmount: priceBreakdown.summary.discountAmount,
+        totalAmount: priceBreakdown.summary.payableAmount,
+        shippingFee: priceBreakdown.summary.shippingFee,
+        shippingDiscount: priceBreakdown.summary.shippingDiscount,
+        pointsUsed: 0,
+        pointsAmount: 0,
+        priceBreakdown,
+        shippingAddress,
+        paymentMethod: orderData.paymentMethod || 'online',
+        status: 'pending', // 待支付
+        orderNumber: this.generateOrderNumber(),
+        reservationExpiresAt: stockReservationService.getExpiresAt(),
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+
+      let stockChanges = [];
+      const createdOrder = await stockReservationService.runInTransaction(async (connection, transaction) => {
+        const created = await orderRepository.createOrder(order, transaction);
+
+        stockChanges = await stockReservationService.reserve(connection, created.id, priceBreakdown.lines, order.reservationExpiresAt);
+
+        const team = await groupBuyService.joinTeam(connection, userId, {
+          promotionId: params.promotionId,
+          teamNo: params.teamNo,
+          productId: line.productId,
+          skuId: line.skuId,
+          sellerId: line.sellerId,
+          quantity: line.quantity,
+          orderId: created.id,
+          amount: order.totalAmount
+        });
+
+        return { ...created, groupBuy: team };
+      });
+
+      await inventoryService.publishAlerts(stockChanges);
+
+      // 清除缓存
+      await cacheService.delete(`user:${userId}:orders`);
+
+      logger.info('拼团订单创建成功', { orderId: createdOrder.id, userId, teamNo: createdOrder.groupBuy.teamNo });
+
+      return createdOrder;
+    } catch (error) {
+      logger.error('创建拼团订单失败', { userId, promotionId: params.promotionId, teamNo: params.teamNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 预览订单价格
+   * 与下单使用相同的计价逻辑，未指定商品时按购物车计价
+   * @param {string} userId - 用户ID
+   * @param {Object} previewData - 预览数据
+   * @param {Array} [previewData.items] - 商品列表
+   * @param {Array} [previewData.couponIds] - 选择的优惠券
+   * @param {number} [previewData.usePoints] - 使用的积分
+   * @param {string} [previewData.addressId] - 收货地址ID，提供时计算运费
+   * @returns {Promise<Object>} 价格明细
+   */
+  async previewPrice(userId, previewData = {}) {
+    try {
+      let items = previewData.items;
+      
+      if (!items || items.length === 0) {
+        const cart = await cartService.getCart(userId);
+        if (!cart || cart.items.length === 0) {
+          throw new Error('购物车为空，无法计算价格');
+        }
+        items = cart.items;
+      }
+      
+      const address = previewData.addressId
+        ? await addressService.getAddressDetail(userId, previewData.addressId)
+        : null;
+      
+      return await pricingService.calculateOrderPrice(userId, items, {
+        couponIds: previewData.couponIds,
+        usePoints: previewData.usePoints,
+        address
+      });
+    } catch (error) {
+      logger.error('预览订单价格失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+  
   /**
    * 获取用户订单列表
    * @param {string} userId - 用户ID
@@ -146,16 +512,26 @@ class OrderService {
         throw new Error('该订单状态不允许取消');
       }
       
-      // 更新订单状态
-      const updatedOrder = await orderRepository.updateOrder(orderId, {
-        status: 'canceled',
-        updatedAt: new Date(),
-        canceledAt: new Date()
+      // 更新订单状态、释放库存预占、恢复优惠券并退回使用的积分
+      let pointsChanges = [];
+      const updatedOrder = await stockReservationService.runInTransaction(async (connection, transaction) => {
+        const updated = await orderRepository.updateOrder(orderId, {
+          status: 'canceled',
+          updatedAt: new Date(),
+          canceledAt: new Date()
+        }, transaction);
+        
+        await stockReservationService.release(orderId, 'buyer_canceled', connection);
+        
+        await couponService.releaseOrder(orderId, connection);
+        
+        pointsChanges = await pointService.returnOrderPoints(orderId, { reason: '订单取消' }, connection);
+        
+        return updated;
       });
       
-      // 恢复库存
-      for (const item of order.items) {
-        await productService.updateStock(item.productId, item.quantity);
+      for (const change of pointsChanges) {
+        await pointService.publishChange(change);
       }
       
       // 清除缓存
@@ -206,42 +582,36 @@ class OrderService {
   
   /**
    * 申请退款
+   * 创建售后申请，未指定商品时对订单全部剩余商品申请
    * @param {string} userId - 用户ID
    * @param {string} orderId - 订单ID
    * @param {Object} refundData - 退款数据
-   * @returns {Promise<Object>} 退款申请
+   * @param {string} [refundData.type] - 售后类型：refund 仅退款 / refund_with_return 退货退款 / exchange 换货，默认仅退款
+   * @param {Array} [refundData.items] - 申请的商品 [{ productId, skuId, quantity }]
+   * @param {number} [refundData.refundAmount] - 申请退款金额（元）
+   * @returns {Promise<Object>} 售后申请
    */
   async requestRefund(userId, orderId, refundData) {
     try {
       const order = await this.getOrderDetail(userId, orderId);
       
-      // 检查订单状态是否允许退款
-      if (!['shipped', 'completed'].includes(order.status)) {
-        throw new Error('该订单状态不允许申请退款');
-      }
-      
-      // 检查是否已申请过退款
-      const existingRefund = await orderRepository.getOrderRefund(orderId);
-      if (existingRefund) {
-        throw new Error('该订单已有退款申请');
-      }
-      
-      // 创建退款申请
-      const refund = {
-        orderId,
+      const request = await afterSalesService.createRequest({
+        order,
         userId,
-        amount: order.totalAmount,
+        type: refundData.type || afterSalesService.TYPE.REFUND,
+        items: refundData.items,
+        refundAmount: refundData.refundAmount,
         reason: refundData.reason,
         description: refundData.description,
-        status: 'pending',
-        createdAt: new Date()
-      };
+        images: refundData.images
+      });
       
-      const createdRefund = await orderRepository.createRefund(refund);
+      // 清除订单统计缓存
+      await cacheService.delete(`user:${userId}:orderStats`);
       
-      logger.info('退款申请提交成功', { refundId: createdRefund.id, orderId, userId });
+      logger.info('退款申请提交成功', { requestId: request.id, orderId, userId });
       
-      return createdRefund;
+      return request;
     } catch (error) {
       logger.error('申请退款失败', { userId, orderId, error: error.message });
       throw error;
@@ -263,6 +633,7 @@ class OrderService {
       }
       
       const stats = await orderRepository.getOrderStats(userId);
+      stats.refunding = await afterSalesService.countActiveByUser(userId); // 售后处理中
       
       // 缓存结果
       await cacheService.set(cacheKey, JSON.stringify(stats), 600); // 10分钟缓存
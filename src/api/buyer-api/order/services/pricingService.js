@@ -0,0 +1,719 @@
+/**
+ * 订单计价服务
+ * 根据卖家配置的促销活动和买家选择的优惠券计算订单价格，生成逐行价格明细
+ *
+ * 计价分为六个阶段：
+ * 1. 单品优惠：秒杀、拼团、折扣，每个商品行只取最优的一个
+ * 2. 满减：按促销关联商品分组计算阶梯满减，每个商品行只参与一个满减
+ * 3. 优惠券：买家券包中选择的优惠券，每笔订单最多一张商品券和一张运费券
+ * 4. 会员折扣：按买家会员等级权益对剩余应付金额打折
+ * 5. 赠品：满足门槛即赠送，不影响其他优惠
+ * 6. 积分抵扣：买家选择使用的积分按比例抵扣剩余应付金额
+ *
+ * 运费在满减之后按收货地址和商品的运费模板计算，模板的包邮金额按满减后的商品金额判断；
+ * 会员等级有包邮权益时免全部运费，否则可使用运费券减免。
+ * 秒杀、拼团以及规则中标记了 exclusive 的促销为互斥促销，
+ * 使用了互斥促销的商品行不再参与后续阶段的订单级优惠（赠品除外）。
+ * 所有金额在内部以分为单位计算，避免浮点误差。
+ */
+
+const logger = require('../../../core/utils/logger');
+const productService = require('../../product/services/productService');
+const promotionService = require('../../../seller-api/promotion/services/promotionService');
+const memberCardService = require('../../../core/services/memberCardService');
+const pointService = require('../../../core/services/pointService');
+const couponService = require('../../../core/services/couponService');
+const freightService = require('../../../core/services/freightService');
+const { COUPON_TYPE, COUPON_SCOPE } = require('../../../core/services/couponService');
+
+/**
+ * 促销类型（与卖家端促销服务保持一致）
+ */
+const PROMOTION_TYPE = {
+  DISCOUNT: 'discount',           // 折扣
+  FULL_REDUCTION: 'full_reduction', // 满减
+  FREE_GIFT: 'free_gift',         // 赠品
+  COUPON: 'coupon',               // 优惠券
+  FLASH_SALE: 'flash_sale',       // 秒杀
+  GROUP_BUY: 'group_buy'          // 团购
+};
+
+/**
+ * 单品级促销类型
+ */
+const ITEM_LEVEL_TYPES = [PROMOTION_TYPE.FLASH_SALE, PROMOTION_TYPE.GROUP_BUY, PROMOTION_TYPE.DISCOUNT];
+
+/**
+ * 互斥促销类型，命中后商品行不再参与订单级优惠
+ */
+const EXCLUSIVE_TYPES = [PROMOTION_TYPE.FLASH_SALE, PROMOTION_TYPE.GROUP_BUY];
+
+/**
+ * 元转分
+ * @param {number|string} amount - 金额（元）
+ * @returns {number} 金额（分）
+ */
+function toCents(amount) {
+  return Math.round(Number(amount || 0) * 100);
+}
+
+/**
+ * 分转元
+ * @param {number} cents - 金额（分）
+ * @returns {number} 金额（元）
+ */
+function toYuan(cents) {
+  return Number((cents / 100).toFixed(2));
+}
+
+class PricingService {
+  /**
+   * 计算订单价格
+   * @param {string} userId - 用户ID
+   * @param {Array} items - 商品列表（购物车商品或预览商品）
+   * @param {Object} [options] - 计价选项
+   * @param {Array} [options.couponIds] - 买家选择的优惠券ID（券包中的优惠券）
+   * @param {number} [options.usePoints] - 买家希望使用的积分
+   * @param {Object} [options.address] - 收货地址，未提供时不计算运费
+   * @param {Date} [options.at] - 计价时间点，默认为当前时间
+   * @returns {Promise<Object>} 价格明细
+   */
+  async calculateOrderPrice(userId, items, options = {}) {
+    try {
+      if (!items || items.length === 0) {
+        throw new Error('计价商品不能为空');
+      }
+
+      const { couponIds = [], usePoints = 0, address = null, at = new Date() } = options;
+
+      const lines = await this.buildLines(items);
+      const promotions = await promotionService.getActivePromotions({
+        productIds: lines.map(line => line.productId),
+        at
+      });
+
+      this.applyItemPromotions(lines, promotions);
+      this.applyFullReductions(lines, promotions);
+      const memberBenefits = await memberCardService.getMemberBenefits(userId);
+      const shipping = await this.calculateShipping(lines, address, memberBenefits);
+      const coupons = await this.applyCoupons(userId, lines, shipping, couponIds.map(String), at);
+      this.applyMemberDiscount(lines, memberBenefits);
+      const gifts = this.resolveGifts(lines, promotions);
+      const points = await this.applyPointsDeduction(userId, lines, usePoints);
+
+      const breakdown = this.buildBreakdown(lines, gifts, at, memberBenefits, points, shipping, coupons);
+
+      logger.info('订单计价完成', {
+        userId,
+        originalAmount: breakdown.summary.originalAmount,
+        payableAmount: breakdown.summary.payableAmount
+      });
+
+      return breakdown;
+    } catch (error) {
+      logger.error('订单计价失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 构建计价商品行
+   * 单价以商品当前售价为准，避免购物车中的过期价格；选择了SKU的商品行按SKU售价计价
+   * @param {Array} items - 商品列表
+   * @returns {Promise<Array>} 计价商品行
+   */
+  async buildLines(items) {
+    const lines = [];
+
+    for (const item of items) {
+      const quantity = parseInt(item.quantity, 10);
+      if (!quantity || quantity <= 0) {
+        throw new Error('商品数量必须大于0');
+      }
+
+      const product = await productService.getProductById(item.productId);
+      if (!product) {
+        throw new Error(`商品不存在 (ID: ${item.productId})`);
+      }
+
+      const skuId = item.skuId !== undefined && item.skuId !== null ? String(item.skuId) : null;
+      let price = product.price;
+      if (skuId) {
+        const sku = await productService.getSkuById(item.productId, skuId);
+        if (!sku) {
+          throw new Error(`商品SKU不存在 (商品ID: ${item.productId}, SKU ID: ${skuId})`);
+        }
+        price = sku.price;
+      }
+
+      const unitPrice = toCents(price);
+
+      lines.push({
+        productId: String(item.productId),
+        skuId,
+        sellerId: product.sellerId !== undefined ? String(product.sellerId) : null,
+        categoryId: product.categoryId !== undefined && product.categoryId !== null ? String(product.categoryId) : null,
+        name: product.name,
+        specs: item.specs || {},
+        quantity,
+        groupBuy: item.groupBuy === true,
+        groupBuyPromotionId: item.groupBuyPromotionId ? String(item.groupBuyPromotionId) : null,
+        unitPrice,
+        originalAmount: unitPrice * quantity,
+        itemAmount: unitPrice * quantity,
+        orderDiscount: 0,
+        exclusive: false,
+        usedFullReduction: false,
+        promotions: []
+      });
+    }
+
+    return lines;
+  }
+
+  /**
+   * 判断促销是否适用于商品行
+   * 未关联产品的促销对同一卖家的全部商品生效
+   * @param {Object} promotion - 促销活动
+   * @param {Object} line - 商品行
+   * @returns {boolean} 是否适用
+   */
+  isApplicable(promotion, line) {
+    if (promotion.productIds.length > 0) {
+      return promotion.productIds.includes(line.productId);
+    }
+    return !line.sellerId || !promotion.sellerId || String(promotion.sellerId) === line.sellerId;
+  }
+
+  /**
+   * 计算单品促销后的单价
+   * @param {Object} promotion - 促销活动
+   * @param {Object} line - 商品行
+   * @returns {number|null} 促销单价（分），不适用时返回null
+   */
+  getPromotionUnitPrice(promotion, line) {
+    const { rule } = promotion;
+
+    switch (promotion.type) {
+      case PROMOTION_TYPE.FLASH_SALE:
+        if (rule.limitPerOrder && line.quantity > rule.limitPerOrder) {
+          return null;
+        }
+        return toCents(rule.flashPrice);
+      case PROMOTION_TYPE.GROUP_BUY:
+        // 拼团价仅在买家选择拼团购买时生效，开团或参团时只使用所选的拼团活动
+        if (!line.groupBuy || (line.groupBuyPromotionId && line.groupBuyPromotionId !== String(promotion.id))) {
+          return null;
+        }
+        return toCents(rule.groupPrice);
+      case PROMOTION_TYPE.DISCOUNT: {
+        const rate = Number(rule.discountRate);
+        if (!(rate > 0 && rate < 1)) {
+          return null;
+        }
+        let discount = Math.round(line.unitPrice * (1 - rate));
+        if (rule.maxDiscount) {
+          discount = Math.min(discount, toCents(rule.maxDiscount));
+        }
+        return line.unitPrice - discount;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 应用单品级促销，每个商品行取最低单价
+   * @param {Array} lines - 计价商品行
+   * @param {Array} promotions - 生效促销列表
+   */
+  applyItemPromotions(lines, promotions) {
+    const candidates = promotions.filter(promotion => ITEM_LEVEL_TYPES.includes(promotion.type));
+
+    for (const line of lines) {
+      let best = null;
+
+      for (const promotion of candidates) {
+        if (!this.isApplicable(promotion, line)) {
+          continue;
+        }
+        // 拼团订单按团的拼团价成交，不再比较其他单品促销
+        if (line.groupBuyPromotionId && promotion.type !== PROMOTION_TYPE.GROUP_BUY) {
+          continue;
+        }
+
+        const unitPrice = this.getPromotionUnitPrice(promotion, line);
+        if (unitPrice === null || unitPrice < 0 || unitPrice >= line.unitPrice) {
+          continue;
+        }
+
+        if (!best || unitPrice < best.unitPrice) {
+          best = { promotion, unitPrice };
+        }
+      }
+
+      if (!best) {
+        continue;
+      }
+
+      const { promotion, unitPrice } = best;
+      line.itemAmount = unitPrice * line.quantity;
+      line.exclusive = EXCLUSIVE_TYPES.includes(promotion.type) || promotion.rule.exclusive === true;
+      line.promotions.push({
+        promotionId: promotion.id,
+        type: promotion.type,
+        name: promotion.name,
+        discount: line.originalAmount - line.itemAmount
+      });
+    }
+  }
+
+  /**
+   * 计算满减金额
+   * 支持 { tiers: [{ threshold, reduction }] } 阶梯规则或单档 { threshold, reduction }
+   * @param {Object} rule - 满减规则
+   * @param {number} amount - 参与满减的金额（分）
+   * @returns {number} 满减金额（分）
+   */
+  getFullReductionAmount(rule, amount) {
+    const tiers = Array.isArray(rule.tiers) ? rule.tiers : [{ threshold: rule.threshold, reduction: rule.reduction }];
+
+    let reduction = 0;
+    for (const tier of tiers) {
+      const threshold = toCents(tier.threshold);
+      if (amount >= threshold) {
+        // 每满减：按门槛倍数累计
+        const times = rule.cumulative && threshold > 0 ? Math.floor(amount / threshold) : 1;
+        reduction = Math.max(reduction, toCents(tier.reduction) * times);
+      }
+    }
+
+    if (rule.maxReduction) {
+      reduction = Math.min(reduction, toCents(rule.maxReduction));
+    }
+
+    return Math.min(reduction, amount);
+  }
+
+  /**
+   * 应用满减促销
+   * 优惠金额大的满减优先占用商品行，每个商品行只参与一个满减
+   * @param {Array} lines - 计价商品行
+   * @param {Array} promotions - 生效促销列表
+   */
+  applyFullReductions(lines, promotions) {
+    const pending = promotions.filter(promotion => promotion.type === PROMOTION_TYPE.FULL_REDUCTION);
+
+    while (pending.length > 0) {
+      let best = null;
+
+      pending.forEach((promotion, index) => {
+        const eligible = lines.filter(line =>
+          !line.exclusive && !line.usedFullReduction && this.isApplicable(promotion, line)
+        );
+        const amount = eligible.reduce((sum, line) => sum + this.getLineAmount(line), 0);
+        const reduction = this.getFullReductionAmount(promotion.rule, amount);
+
+        if (reduction > 0 && (!best || reduction > best.reduction)) {
+          best = { promotion, index, eligible, reduction };
+        }
+      });
+
+      if (!best) {
+        break;
+      }
+
+      pending.splice(best.index, 1);
+      this.allocateOrderDiscount(best.eligible, best.promotion, best.reduction);
+
+      best.eligible.forEach(line => {
+        line.usedFullReduction = true;
+        if (best.promotion.rule.exclusive === true) {
+          line.exclusive = true;
+        }
+      });
+    }
+  }
+
+  /**
+   * 判断优惠券是否适用于商品行
+   * 卖家券只适用于本店商品，平台券适用于全部卖家的商品
+   * @param {Object} coupon - 买家优惠券
+   * @param {Object} line - 商品行
+   * @returns {boolean} 是否适用
+   */
+  isCouponApplicable(coupon, line) {
+    if (coupon.sellerId && coupon.sellerId !== line.sellerId) {
+      return false;
+    }
+    switch (coupon.scope) {
+      case COUPON_SCOPE.PRODUCT:
+        return coupon.scopeIds.includes(line.productId);
+      case COUPON_SCOPE.CATEGORY:
+        return line.categoryId !== null && coupon.scopeIds.includes(line.categoryId);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * 按收货地址计算订单运费，会员有包邮权益时减免全部运费
+   * @param {Array} lines - 计价商品行
+   * @param {Object|null} address - 收货地址
+   * @param {Object} memberBenefits - 会员权益
+   * @returns {Promise<Object>} 运费 { fee, discount（分）, groups, memberFree }
+   */
+  async calculateShipping(lines, address, memberBenefits) {
+    if (!address) {
+      return { fee: 0, discount: 0, groups: [], memberFree: false };
+    }
+    const freight = await freightService.calculate(lines.map(line => ({
+      productId: line.productId,
+      quantity: line.quantity,
+      amount: toYuan(this.getLineAmount(line))
+    })), address);
+    const fee = toCents(freight.fee);
+    const memberFree = Boolean(memberBenefits.freeShipping) && fee > 0;
+    return { fee, discount: memberFree ? fee : 0, groups: freight.groups, memberFree };
+  }
+
+  /**
+   * 计算不经过促销计价的特价订单（砍价、秒杀）的运费
+   * 与普通订单一样按运费模板和会员包邮权益计算，特价订单不使用运费券
+   * @param {string} userId - 用户ID
+   * @param {Array} lines - 价格明细中的商品行 [{ productId, quantity, payableAmount（元） }]
+   * @param {Object} address - 收货地址
+   * @returns {Promise<Object>} 运费 { fee, discount, payable（元）, memberFree, groups }
+   */
+  async calculateFixedPriceShipping(userId, lines, address) {
+    const memberBenefits = await memberCardService.getMemberBenefits(userId);
+    const shipping = await this.calculateShipping(lines.map(line => ({
+      productId: String(line.productId),
+      quantity: line.quantity,
+      itemAmount: toCents(line.payableAmount),
+      orderDiscount: 0
+    })), address, memberBenefits);
+
+    return {
+      fee: toYuan(shipping.fee),
+      discount: toYuan(shipping.discount),
+      payable: toYuan(shipping.fee - shipping.discount),
+      memberFree: shipping.memberFree,
+      groups: shipping.groups
+    };
+  }
+
+  /**
+   * 计算优惠券在当前订单中的优惠金额
+   * 门槛按适用商品行当前应付金额计算；运费券减免订单剩余运费，优惠金额为减免上限，未设置时免全部剩余运费
+   * @param {Object} coupon - 买家优惠券
+   * @param {Array} lines - 计价商品行
+   * @param {Object} shipping - 运费 { fee, discount（分） }
+   * @returns {Object} { eligible, discount（分）, reason }
+   */
+  evaluateCoupon(coupon, lines, shipping) {
+    const eligible = lines.filter(line => !line.exclusive && this.getLineAmount(line) > 0 && this.isCouponApplicable(coupon, line));
+    const amount = eligible.reduce((sum, line) => sum + this.getLineAmount(line), 0);
+
+    if (eligible.length === 0) {
+      return { eligible, discount: 0, reason: '订单中没有适用商品' };
+    }
+    if (amount < toCents(coupon.threshold)) {
+      return { eligible, discount: 0, reason: `未达到使用门槛（满${coupon.threshold}元可用）` };
+    }
+
+    let discount = 0;
+    switch (coupon.type) {
+      case COUPON_TYPE.FIXED:
+      case COUPON_TYPE.THRESHOLD:
+        discount = Math.min(toCents(coupon.amount), amount);
+        break;
+      case COUPON_TYPE.PERCENTAGE: {
+        const rate = Number(coupon.discountRate);
+        if (!(rate >= 0 && rate < 1)) {
+          break;
+        }
+        discount = Math.round(amount * (1 - rate));
+        if (coupon.maxDiscount) {
+          discount = Math.min(discount, toCents(coupon.maxDiscount));
+        }
+        // 优惠不超过适用商品行在前序阶段之后的应付金额
+        discount = Math.min(discount, amount);
+        break;
+      }
+      case COUPON_TYPE.SHIPPING: {
+        const remaining = shipping.fee - shipping.discount;
+        if (remaining <= 0) {
+          return { eligible, discount: 0, reason: shipping.fee === 0 ? '订单无运费' : '订单运费已减免' };
+        }
+        discount = coupon.amount ? Math.min(toCents(coupon.amount), remaining) : remaining;
+        break;
+      }
+      default:
+        break;
+    }
+    return { eligible, discount, reason: discount > 0 ? null : '不满足使用条件' };
+  }
+
+  /**
+   * 应用优惠券
+   * 计算买家券包中每张可用优惠券的优惠金额，从买家所选的优惠券中各取优惠最大的一张商品券和一张运费券；
+   * 商品券按金额比例分摊到适用商品行，运费券减免订单运费
+   * @param {string} userId - 用户ID
+   * @param {Array} lines - 计价商品行
+   * @param {Object} shipping - 运费 { fee, discount（分） }，运费券的减免金额写入 discount
+   * @param {Array} couponIds - 买家选择的优惠券ID
+   * @param {Date} at - 计价时间点
+   * @returns {Promise<Object>} { selected, available, unavailable }
+   */
+  async applyCoupons(userId, lines, shipping, couponIds, at) {
+    const userCoupons = await couponService.getUsableCoupons(userId, at);
+    const evaluated = userCoupons.map(coupon => ({ coupon, ...this.evaluateCoupon(coupon, lines, shipping) }));
+
+    const pickBest = (shippingCoupon) => evaluated
+      .filter(item => couponIds.includes(item.coupon.userCouponId) && item.discount > 0
+        && (item.coupon.type === COUPON_TYPE.SHIPPING) === shippingCoupon)
+      .reduce((best, item) => (!best || item.discount > best.discount ? item : best), null);
+    const selected = [pickBest(false), pickBest(true)].filter(Boolean);
+
+    selected.forEach(({ coupon, eligible, discount }) => {
+      if (coupon.type === COUPON_TYPE.SHIPPING) {
+        shipping.discount += discount;
+      } else {
+        this.allocateOrderDiscount(eligible, {
+          id: `coupon:${coupon.userCouponId}`,
+          type: PROMOTION_TYPE.COUPON,
+          name: coupon.name
+        }, discount);
+      }
+    });
+
+    const summarize = ({ coupon, discount }) => ({
+      userCouponId: coupon.userCouponId,
+      couponNo: coupon.couponNo,
+      sellerId: coupon.sellerId,
+      name: coupon.name,
+      type: coupon.type,
+      discount: toYuan(discount),
+      validUntil: coupon.validUntil
+    });
+    return {
+      selected: selected.map(summarize),
+      available: evaluated.filter(item => item.discount > 0)
+        .sort((a, b) => b.discount - a.discount)
+        .map(summarize),
+      unavailable: evaluated.filter(item => item.discount === 0)
+        .map(item => ({ ...summarize(item), reason: item.reason }))
+    };
+  }
+
+  /**
+   * 应用会员等级折扣，使用了互斥促销的商品行不参与
+   * @param {Array} lines - 计价商品行
+   * @param {Object} benefits - 会员权益
+   */
+  applyMemberDiscount(lines, benefits) {
+    const rate = Number(benefits.discountRate);
+    if (!(rate > 0 && rate < 1)) {
+      return;
+    }
+
+    const eligible = lines.filter(line => !line.exclusive && this.getLineAmount(line) > 0);
+    const amount = eligible.reduce((sum, line) => sum + this.getLineAmount(line), 0);
+    const discount = Math.round(amount * (1 - rate));
+
+    if (discount > 0) {
+      this.allocateOrderDiscount(eligible, {
+        id: `member:${benefits.levelCode}`,
+        type: 'member_discount',
+        name: `${benefits.level}折扣`
+      }, discount);
+    }
+  }
+
+  /**
+   * 计算满足门槛的赠品
+   * 规则格式 { threshold, gifts: [{ productId, name, quantity }] }
+   * @param {Array} lines - 计价商品行
+   * @param {Array} promotions - 生效促销列表
+   * @returns {Array} 赠品列表
+   */
+  resolveGifts(lines, promotions) {
+    const gifts = [];
+
+    promotions
+      .filter(promotion => promotion.type === PROMOTION_TYPE.FREE_GIFT)
+      .forEach(promotion => {
+        const eligible = lines.filter(line => this.isApplicable(promotion, line));
+        if (eligible.length === 0) {
+          return;
+        }
+
+        const amount = eligible.reduce((sum, line) => sum + this.getLineAmount(line), 0);
+        if (amount < toCents(promotion.rule.threshold)) {
+          return;
+        }
+
+        (promotion.rule.gifts || []).forEach(gift => {
+          gifts.push({
+            productId: String(gift.productId),
+            name: gift.name,
+            quantity: gift.quantity || 1,
+            price: 0,
+            promotionId: promotion.id,
+            promotionName: promotion.name
+          });
+        });
+      });
+
+    return gifts;
+  }
+
+  /**
+   * 应用积分抵扣
+   * @param {string} userId - 用户ID
+   * @param {Array} lines - 计价商品行
+   * @param {number} usePoints - 买家希望使用的积分
+   * @returns {Promise<Object>} { points, amount（分） }
+   */
+  async applyPointsDeduction(userId, lines, usePoints) {
+    const eligible = lines.filter(line => this.getLineAmount(line) > 0);
+    const payable = eligible.reduce((sum, line) => sum + this.getLineAmount(line), 0);
+    const deduction = await pointService.calculateDeduction(userId, usePoints, payable);
+
+    if (deduction.amount > 0) {
+      this.allocateOrderDiscount(eligible, { id: 'points', type: 'points', name: '积分抵扣' }, deduction.amount);
+    }
+
+    return deduction;
+  }
+
+  /**
+   * 获取商品行当前应付金额
+   * @param {Object} line - 计价商品行
+   * @returns {number} 金额（分）
+   */
+  getLineAmount(line) {
+    return line.itemAmount - line.orderDiscount;
+  }
+
+  /**
+   * 将订单级优惠按金额比例分摊到商品行
+   * 优惠总额不超过商品行的应付金额合计；每行分摊额不超过该行的应付金额，
+   * 按比例取整后的尾差从最后一行向前分给仍有剩余应付金额的商品行，商品行应付金额不会为负
+   * @param {Array} lines - 参与优惠的商品行
+   * @param {Object} promotion - 促销活动
+   * @param {number} discount - 优惠总额（分）
+   * @returns {number} 实际分摊的优惠金额（分）
+   */
+  allocateOrderDiscount(lines, promotion, discount) {
+    const amounts = lines.map(line => Math.max(this.getLineAmount(line), 0));
+    const total = amounts.reduce((sum, amount) => sum + amount, 0);
+    const allocatable = Math.max(Math.min(discount, total), 0);
+
+    const shares = amounts.map(amount =>
+      (total > 0 ? Math.min(Math.floor(allocatable * amount / total), amount) : 0)
+    );
+
+    let residue = allocatable - shares.reduce((sum, share) => sum + share, 0);
+    for (let index = lines.length - 1; index >= 0 && residue > 0; index--) {
+      const extra = Math.min(amounts[index] - shares[index], residue);
+      shares[index] += extra;
+      residue -= extra;
+    }
+
+    lines.forEach((line, index) => {
+      line.orderDiscount += shares[index];
+      line.promotions.push({
+        promotionId: promotion.id,
+        type: promotion.type,
+        name: promotion.name,
+        discount: shares[index]
+      });
+    });
+
+    return allocatable;
+  }
+
+  /**
+   * 生成价格明细（金额转换为元）
+   * @param {Array} lines - 计价商品行
+   * @param {Array} gifts - 赠品列表
+   * @param {Date} at - 计价时间点
+   * @param {Object} memberBenefits - 会员权益
+   * @param {Object} points - 积分抵扣
+   * @param {Object} shipping - 运费 { fee, discount（分）, groups, memberFree }
+   * @param {Object} coupons - 优惠券 { selected, available, unavailable }
+   * @returns {Object} 价格明细
+   */
+  buildBreakdown(lines, gifts, at, memberBenefits, points, shipping, coupons) {
+    const applied = new Map();
+
+    const breakdownLines = lines.map(line => {
+      line.promotions.forEach(item => {
+        const entry = applied.get(item.promotionId) || {
+          promotionId: item.promotionId,
+          type: item.type,
+          name: item.name,
+          discount: 0
+        };
+        entry.discount += item.discount;
+        applied.set(item.promotionId, entry);
+      });
+
+      const payable = this.getLineAmount(line);
+
+      return {
+        productId: line.productId,
+        skuId: line.skuId,
+        sellerId: line.sellerId,
+        name: line.name,
+        specs: line.specs,
+        quantity: line.quantity,
+        unitPrice: toYuan(line.unitPrice),
+        originalAmount: toYuan(line.originalAmount),
+        discountAmount: toYuan(line.originalAmount - payable),
+        payableAmount: toYuan(payable),
+        promotions: line.promotions.map(item => ({ ...item, discount: toYuan(item.discount) }))
+      };
+    });
+
+    const originalAmount = lines.reduce((sum, line) => sum + line.originalAmount, 0);
+    const goodsPayable = lines.reduce((sum, line) => sum + this.getLineAmount(line), 0);
+    const shippingPayable = shipping.fee - shipping.discount;
+
+    return {
+      lines: breakdownLines,
+      gifts,
+      appliedPromotions: Array.from(applied.values()).map(item => ({ ...item, discount: toYuan(item.discount) })),
+      summary: {
+        originalAmount: toYuan(originalAmount),
+        discountAmount: toYuan(originalAmount - goodsPayable),
+        shippingFee: toYuan(shipping.fee),
+        shippingDiscount: toYuan(shipping.discount),
+        payableAmount: toYuan(goodsPayable + shippingPayable)
+      },
+      shipping: {
+        fee: toYuan(shipping.fee),
+        discount: toYuan(shipping.discount),
+        payable: toYuan(shippingPayable),
+        memberFree: shipping.memberFree,
+        groups: shipping.groups
+      },
+      coupons,
+      member: {
+        levelCode: memberBenefits.levelCode,
+        level: memberBenefits.level,
+        freeShipping: memberBenefits.freeShipping,
+        pointsMultiplier: memberBenefits.pointsMultiplier
+      },
+      points: {
+        used: points.points,
+        amount: toYuan(points.amount)
+      },
+      calculatedAt: at
+    };
+  }
+}
+
+module.exports = new PricingService();
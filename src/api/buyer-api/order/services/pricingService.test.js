@@ -0,0 +1,263 @@
+/**
+ * 订单计价服务测试
+ */
+
+jest.mock('../../../core/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../product/services/productService', () => ({
+  getProductById: jest.fn(),
+  getSkuById: jest.fn()
+}));
+jest.mock('../../../seller-api/promotion/services/promotionService', () => ({
+  getActivePromotions: jest.fn()
+}));
+jest.mock('../../../core/services/memberCardService', () => ({
+  getMemberBenefits: jest.fn()
+}));
+jest.mock('../../../core/services/pointService', () => ({
+  calculateDeduction: jest.fn()
+}));
+jest.mock('../../../core/services/freightService', () => ({
+  calculate: jest.fn()
+}));
+jest.mock('../../../core/services/couponService', () => ({
+  COUPON_TYPE: {
+    FIXED: 'fixed',
+    THRESHOLD: 'threshold',
+    PERCENTAGE: 'percentage',
+    SHIPPING: 'shipping'
+  },
+  COUPON_SCOPE: {
+    ALL: 'all',
+    PRODUCT: 'product',
+    CATEGORY: 'category'
+  },
+  getUsableCoupons: jest.fn()
+}));
+
+const productService = require('../../product/services/productService');
+const promotionService = require('../../../seller-api/promotion/services/promotionService');
+const memberCardService = require('../../../core/services/memberCardService');
+const pointService = require('../../../core/services/pointService');
+const freightService = require('../../../core/services/freightService');
+const couponService = require('../../../core/services/couponService');
+const pricingService = require('./pricingService');
+
+const PRODUCTS = {
+  1: { name: '商品A', price: 100, sellerId: 10, categoryId: 100 },
+  2: { name: '商品B', price: 50, sellerId: 10, categoryId: 200 }
+};
+
+const SKUS = {
+  11: { id: '11', productId: '1', specs: { 颜色: '红色' }, price: 120 }
+};
+
+/**
+ * 构建计价商品行（金额单位为分）
+ * @param {Array<number>} amounts - 每行应付金额
+ * @returns {Array} 计价商品行
+ */
+function makeLines(amounts) {
+  return amounts.map((amount, index) => ({
+    productId: String(index + 1),
+    sellerId: '10',
+    categoryId: null,
+    quantity: 1,
+    unitPrice: amount,
+    originalAmount: amount,
+    itemAmount: amount,
+    orderDiscount: 0,
+    exclusive: false,
+    promotions: []
+  }));
+}
+
+function makeCoupon(overrides) {
+  return {
+    userCouponId: '1',
+    couponNo: 'C1',
+    sellerId: null,
+    name: '优惠券',
+    scope: 'all',
+    scopeIds: [],
+    threshold: 0,
+    amount: 0,
+    discountRate: null,
+    maxDiscount: null,
+    validUntil: null,
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  productService.getProductById.mockImplementation(async (id) => PRODUCTS[id] || null);
+  productService.getSkuById.mockImplementation(async (productId, skuId) => {
+    const sku = SKUS[skuId];
+    return sku && sku.productId === String(productId) ? sku : null;
+  });
+  promotionService.getActivePromotions.mockResolvedValue([]);
+  memberCardService.getMemberBenefits.mockResolvedValue({
+    discountRate: 1, levelCode: 'normal', level: '普通会员', freeShipping: false, pointsMultiplier: 1
+  });
+  pointService.calculateDeduction.mockResolvedValue({ points: 0, amount: 0 });
+  freightService.calculate.mockResolvedValue({ fee: 10, groups: [] });
+  couponService.getUsableCoupons.mockResolvedValue([]);
+});
+
+describe('allocateOrderDiscount', () => {
+  test('按比例分摊，尾差分给仍有余额的商品行，且不出现负数', () => {
+    const lines = makeLines([1, 1, 1]);
+    const allocated = pricingService.allocateOrderDiscount(lines, { id: 'p', type: 'discount', name: '优惠' }, 2);
+
+    expect(allocated).toBe(2);
+    lines.forEach(line => {
+      expect(line.orderDiscount).toBeGreaterThanOrEqual(0);
+      expect(line.orderDiscount).toBeLessThanOrEqual(line.itemAmount);
+    });
+    expect(lines.reduce((sum, line) => sum + line.orderDiscount, 0)).toBe(2);
+  });
+
+  test('优惠总额超过应付金额时只分摊应付金额', () => {
+    const lines = makeLines([300, 200]);
+    const allocated = pricingService.allocateOrderDiscount(lines, { id: 'p', type: 'discount', name: '优惠' }, 1000);
+
+    expect(allocated).toBe(500);
+    expect(lines.map(line => pricingService.getLineAmount(line))).toEqual([0, 0]);
+  });
+});
+
+describe('evaluateCoupon', () => {
+  const shipping = { fee: 0, discount: 0 };
+
+  test('满减券优惠不超过适用商品金额', () => {
+    const lines = makeLines([500]);
+    const result = pricingService.evaluateCoupon(makeCoupon({ type: 'fixed', amount: 20 }), lines, shipping);
+    expect(result.discount).toBe(500);
+  });
+
+  test('折扣券按折扣率计算并受最高优惠限制', () => {
+    const lines = makeLines([10000]);
+    const result = pricingService.evaluateCoupon(
+      makeCoupon({ type: 'percentage', discountRate: 0.8, maxDiscount: 15 }), lines, shipping
+    );
+    expect(result.discount).toBe(1500);
+  });
+
+  test('折扣率无效时不可用', () => {
+    const lines = makeLines([10000]);
+    const result = pricingService.evaluateCoupon(makeCoupon({ type: 'percentage', discountRate: 1.5 }), lines, shipping);
+    expect(result.discount).toBe(0);
+    expect(result.reason).toBe('不满足使用条件');
+  });
+
+  test('未达到门槛时不可用', () => {
+    const lines = makeLines([1000]);
+    const result = pricingService.evaluateCoupon(makeCoupon({ type: 'threshold', threshold: 20, amount: 5 }), lines, shipping);
+    expect(result.discount).toBe(0);
+  });
+});
+
+describe('calculateFixedPriceShipping', () => {
+  test('按特价订单商品行金额计算运费', async () => {
+    const shipping = await pricingService.calculateFixedPriceShipping('u1', [
+      { productId: 1, quantity: 2, payableAmount: 59.9 }
+    ], { id: 1 });
+
+    expect(freightService.calculate).toHaveBeenCalledWith([{ productId: '1', quantity: 2, amount: 59.9 }], { id: 1 });
+    expect(shipping).toMatchObject({ fee: 10, discount: 0, payable: 10, memberFree: false });
+  });
+
+  test('会员包邮时运费全部减免', async () => {
+    memberCardService.getMemberBenefits.mockResolvedValue({
+      discountRate: 1, levelCode: 'gold', level: '黄金会员', freeShipping: true, pointsMultiplier: 1
+    });
+
+    const shipping = await pricingService.calculateFixedPriceShipping('u1', [
+      { productId: 1, quantity: 1, payableAmount: 20 }
+    ], { id: 1 });
+
+    expect(shipping).toMatchObject({ fee: 10, discount: 10, payable: 0, memberFree: true });
+  });
+});
+
+describe('buildLines', () => {
+  test('选择了SKU的商品行按SKU售价计价', async () => {
+    const lines = await pricingService.buildLines([
+      { productId: 1, skuId: 11, quantity: 2 },
+      { productId: 2, quantity: 1 }
+    ]);
+
+    expect(productService.getSkuById).toHaveBeenCalledWith(1, '11');
+    expect(lines[0]).toMatchObject({ skuId: '11', unitPrice: 12000, originalAmount: 24000 });
+    expect(lines[1]).toMatchObject({ skuId: null, unitPrice: 5000, originalAmount: 5000 });
+  });
+
+  test('SKU不属于该商品时报错', async () => {
+    await expect(pricingService.buildLines([{ productId: 2, skuId: 11, quantity: 1 }]))
+      .rejects.toThrow('商品SKU不存在');
+  });
+});
+
+describe('calculateOrderPrice', () => {
+  test('依次应用单品优惠、满减、运费、优惠券、会员折扣和积分抵扣', async () => {
+    promotionService.getActivePromotions.mockResolvedValue([
+      { id: 'd1', type: 'discount', name: '九折', productIds: ['1'], sellerId: 10, rule: { discountRate: 0.9 } },
+      { id: 'f1', type: 'full_reduction', name: '满100减10', productIds: [], sellerId: 10, rule: { threshold: 100, reduction: 10 } },
+      { id: 'g1', type: 'free_gift', name: '满额赠', productIds: [], sellerId: 10, rule: { threshold: 50, gifts: [{ productId: 9, name: '赠品' }] } }
+    ]);
+    memberCardService.getMemberBenefits.mockResolvedValue({
+      discountRate: 0.95, levelCode: 'gold', level: '黄金会员', freeShipping: false, pointsMultiplier: 2
+    });
+    couponService.getUsableCoupons.mockResolvedValue([
+      makeCoupon({ userCouponId: '1', type: 'fixed', amount: 20 }),
+      makeCoupon({ userCouponId: '2', type: 'shipping', amount: 0 })
+    ]);
+    pointService.calculateDeduction.mockResolvedValue({ points: 100, amount: 100 });
+
+    const result = await pricingService.calculateOrderPrice('u1', [
+      { productId: 1, quantity: 1 },
+      { productId: 2, quantity: 2 }
+    ], { couponIds: ['1', '2'], usePoints: 100, address: { id: 1 } });
+
+    // 原价 100 + 50*2 = 200；九折后 190；满减 10 后 180；优惠券 20 后 160；会员 95 折减 8 后 152；积分抵扣 1 元后 151
+    expect(result.summary.originalAmount).toBe(200);
+    expect(result.summary.shippingFee).toBe(10);
+    expect(result.summary.shippingDiscount).toBe(10);
+    expect(result.summary.payableAmount).toBe(151);
+    expect(result.coupons.selected.map(coupon => coupon.userCouponId)).toEqual(['1', '2']);
+    expect(result.gifts).toHaveLength(1);
+    expect(result.points).toEqual({ used: 100, amount: 1 });
+    expect(pointService.calculateDeduction).toHaveBeenCalledWith('u1', 100, 15200);
+
+    const promotionIds = result.appliedPromotions.map(item => item.promotionId);
+    expect(promotionIds).toEqual(['d1', 'f1', 'coupon:1', 'member:gold', 'points']);
+    result.lines.forEach(line => expect(line.payableAmount).toBeGreaterThanOrEqual(0));
+  });
+
+  test('使用互斥促销的商品行不参与满减和优惠券', async () => {
+    promotionService.getActivePromotions.mockResolvedValue([
+      { id: 's1', type: 'flash_sale', name: '秒杀', productIds: ['1'], sellerId: 10, rule: { flashPrice: 60 } },
+      { id: 'f1', type: 'full_reduction', name: '满50减5', productIds: [], sellerId: 10, rule: { threshold: 50, reduction: 5 } }
+    ]);
+
+    const result = await pricingService.calculateOrderPrice('u1', [
+      { productId: 1, quantity: 1 },
+      { productId: 2, quantity: 1 }
+    ]);
+
+    const [flashLine, normalLine] = result.lines;
+    expect(flashLine.payableAmount).toBe(60);
+    expect(flashLine.promotions.map(item => item.promotionId)).toEqual(['s1']);
+    expect(normalLine.payableAmount).toBe(45);
+    expect(result.summary.shippingFee).toBe(0);
+    expect(freightService.calculate).not.toHaveBeenCalled();
+  });
+
+  test('商品列表为空时报错', async () => {
+    await expect(pricingService.calculateOrderPrice('u1', [])).rejects.toThrow('计价商品不能为空');
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * 库存预占服务
+ * 下单时在事务内通过库存服务锁定库存并生成带过期时间的预占记录，
+ * 支付成功后将锁定库存确认为已售，订单取消或超时关闭时释放预占并解锁库存
+ */
+
+const logger = require('../../../core/utils/logger');
+const { TransactionManager } = require('../../../core/data-access/database/TransactionManager');
+const { connectionPoolManager } = require('../../../core/data-access/database/ConnectionPoolManager');
+const { TransactionError } = require('../../../core/exception/handlers/errorHandler');
+const inventoryService = require('../../../core/services/inventoryService');
+const stockReservationRepository = require('../repositories/stockReservationRepository');
+
+const { RESERVATION_STATUS } = stockReservationRepository;
+
+// 订单数据库连接池ID
+const DB_POOL_ID = process.env.DB_POOL_ID || 'default';
+
+// 待支付订单的库存预占时长（分钟），与订单自动关闭时间保持一致
+const PAYMENT_TIMEOUT_MINUTES = parseInt(process.env.ORDER_PAYMENT_TIMEOUT_MINUTES || '30', 10);
+
+class StockReservationService {
+  constructor() {
+    this.paymentTimeoutMinutes = PAYMENT_TIMEOUT_MINUTES;
+    this.transactionManager = new TransactionManager({
+      getConnection: () => connectionPoolManager.getConnection(DB_POOL_ID)
+    });
+  }
+
+  /**
+   * 在订单事务中执行操作
+   * 事务失败时抛出导致失败的原始业务错误，而非事务包装错误
+   * @param {Function} operation - 操作函数 (connection, transaction) => Promise
+   * @returns {Promise<any>} 操作结果
+   */
+  async runInTransaction(operation) {
+    try {
+      return await this.transactionManager.executeInTransaction(operation);
+    } catch (error) {
+      if (error instanceof TransactionError && error.originalError) {
+        throw error.originalError;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 计算新预占的过期时间
+   * @param {Date} [from] - 起始时间
+   * @returns {Date} 过期时间
+   */
+  getExpiresAt(from = new Date()) {
+    return new Date(from.getTime() + this.paymentTimeoutMinutes * 60 * 1000);
+  }
+
+  /**
+   * 预占订单库存
+   * 必须在 runInTransaction 提供的事务连接上调用，任一商品库存不足时抛错并由事务整体回滚
+   * @param {Object} connection - 事务连接
+   * @param {string} orderId - 订单ID
+   * @param {Array} items - 订单商品 [{ productId, skuId, quantity, name }]
+   * @param {Date} expiresAt - 预占过期时间
+   * @returns {Promise<Array>} 库存变动列表，事务提交后交给 inventoryService.publishAlerts
+   */
+  async reserve(connection, orderId, items, expiresAt) {
+    const changes = await inventoryService.lock(connection, items, {
+      sourceType: 'order',
+      sourceId: orderId,
+      reason: '下单锁定库存'
+    });
+
+    await stockReservationRepository.createReservations(
+      connection,
+      orderId,
+      changes.map(change => ({ productId: change.productId, skuId: change.skuId, quantity: change.quantity })),
+      expiresAt
+    );
+
+    logger.info('订单库存预占成功', { orderId, expiresAt });
+    return changes;
+  }
+
+  /**
+   * 释放订单库存预占并解锁库存
+   * 传入事务连接时在调用方事务中执行，否则开启独立事务；重复释放不会重复解锁库存
+   * @param {string} orderId - 订单ID
+   * @param {string} reason - 释放原因
+   * @param {Object} [connection] - 事务连接
+   * @returns {Promise<Array>} 被释放的预占记录
+   */
+  async release(orderId, reason, connection = null) {
+    if (!connection) {
+      return this.runInTransaction(conn => this.release(orderId, reason, conn));
+    }
+
+    const reservations = await stockReservationRepository.getOrderReservationsForUpdate(
+      connection,
+      orderId,
+      RESERVATION_STATUS.ACTIVE
+    );
+
+    if (reservations.length > 0) {
+      await inventoryService.unlock(connection, this.toInventoryItems(reservations), {
+        sourceType: 'order',
+        sourceId: orderId,
+        reason
+      });
+      await stockReservationRepository.updateOrderReservationStatus(
+        connection,
+        orderId,
+        RESERVATION_STATUS.ACTIVE,
+        RESERVATION_STATUS.RELEASED,
+        reason
+      );
+      logger.info('订单库存预占已释放', { orderId, reason, count: reservations.length });
+    }
+
+    return reservations;
+  }
+
+  /**
+   * 确认订单库存预占（订单支付成功后调用），锁定库存转为已售，确认后不再随超时释放
+   * @param {string} orderId - 订单ID
+   * @param {Object} [connection] - 事务连接
+   * @returns {Promise<number>} 确认的预占记录数
+   */
+  async confirm(orderId, connection = null) {
+    if (!connection) {
+      return this.runInTransaction(conn => this.confirm(orderId, conn));
+    }
+
+    const reservations = await stockReservationRepository.getOrderReservationsForUpdate(
+      connection,
+      orderId,
+      RESERVATION_STATUS.ACTIVE
+    );
+
+    if (reservations.length === 0) {
+      return 0;
+    }
+
+    await inventoryService.confirmSale(connection, this.toInventoryItems(reservations), {
+      sourceType: 'order',
+      sourceId: orderId,
+      reason: '订单支付'
+    });
+
+    return stockReservationRepository.updateOrderReservationStatus(
+      connection,
+      orderId,
+      RESERVATION_STATUS.ACTIVE,
+      RESERVATION_STATUS.CONFIRMED
+    );
+  }
+
+  /**
+   * 检查订单库存预占是否仍有效（预占中且未过期），并对预占记录加行锁
+   * 订单支付入账前在同一事务中调用：预占已过期或已释放的订单正在或已经被关闭，锁定的库存可能已归还
+   * @param {string} orderId - 订单ID
+   * @param {Object} connection - 事务连接
+   * @param {Date} [now] - 当前时间
+   * @returns {Promise<boolean>} 是否有效
+   */
+  async isActive(orderId, connection, now = new Date()) {
+    const reservations = await stockReservationRepository.getOrderReservationsForUpdate(
+      connection,
+      orderId,
+      RESERVATION_STATUS.ACTIVE
+    );
+
+    return reservations.length > 0 && reservations.every(reservation => new Date(reservation.expires_at) > now);
+  }
+
+  /**
+   * 将预占记录转换为库存项
+   * @param {Array} reservations - 预占记录
+   * @returns {Array} 库存项 [{ productId, skuId, quantity }]
+   */
+  toInventoryItems(reservations) {
+    return reservations.map(reservation => ({
+      productId: reservation.product_id,
+      skuId: reservation.sku_id,
+      quantity: reservation.quantity
+    }));
+  }
+
+  /**
+   * 获取预占已过期的订单ID
+   * @param {number} [limit] - 最大返回数量
+   * @returns {Promise<Array<string>>} 订单ID列表
+   */
+  async getExpiredOrderIds(limit = 100) {
+    const connection = await connectionPoolManager.getConnection(DB_POOL_ID);
+    try {
+      return await stockReservationRepository.getExpiredOrderIds(connection, limit);
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+module.exports = new StockReservationService();
@@ -0,0 +1,212 @@
+/**
+ * 库存预占服务测试
+ */
+
+jest.mock('../../../core/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../../core/data-access/database/TransactionManager', () => ({
+  TransactionManager: jest.fn().mockImplementation(() => ({
+    executeInTransaction: jest.fn()
+  }))
+}));
+jest.mock('../../../core/data-access/database/ConnectionPoolManager', () => ({
+  connectionPoolManager: { getConnection: jest.fn() }
+}));
+jest.mock('../../../core/exception/handlers/errorHandler', () => {
+  class TransactionError extends Error {
+    constructor(message, originalError) {
+      super(message);
+      this.originalError = originalError;
+    }
+  }
+  return { TransactionError };
+});
+jest.mock('../../../core/services/inventoryService', () => ({
+  lock: jest.fn(),
+  unlock: jest.fn(),
+  confirmSale: jest.fn()
+}));
+jest.mock('../repositories/stockReservationRepository', () => ({
+  RESERVATION_STATUS: {
+    ACTIVE: 'active',
+    RELEASED: 'released',
+    CONFIRMED: 'confirmed'
+  },
+  createReservations: jest.fn(),
+  getOrderReservationsForUpdate: jest.fn(),
+  updateOrderReservationStatus: jest.fn(),
+  getExpiredOrderIds: jest.fn()
+}));
+
+const { connectionPoolManager } = require('../../../core/data-access/database/ConnectionPoolManager');
+const { TransactionError } = require('../../../core/exception/handlers/errorHandler');
+const inventoryService = require('../../../core/services/inventoryService');
+const stockReservationRepository = require('../repositories/stockReservationRepository');
+const stockReservationService = require('./stockReservationService');
+
+const connection = { query: jest.fn() };
+const NOW = new Date('2026-01-01T10:00:00Z');
+
+/**
+ * 构建预占记录
+ * @param {Object} overrides - 覆盖字段
+ * @returns {Object} 预占记录
+ */
+function makeReservation(overrides) {
+  return {
+    product_id: 1,
+    sku_id: 11,
+    quantity: 2,
+    expires_at: new Date(NOW.getTime() + 60 * 1000),
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  stockReservationService.transactionManager.executeInTransaction.mockImplementation(
+    operation => operation(connection, {})
+  );
+  stockReservationRepository.getOrderReservationsForUpdate.mockResolvedValue([]);
+  stockReservationRepository.updateOrderReservationStatus.mockResolvedValue(0);
+});
+
+describe('getExpiresAt', () => {
+  test('按待支付超时时间计算预占过期时间', () => {
+    const expiresAt = stockReservationService.getExpiresAt(NOW);
+    expect(expiresAt.getTime() - NOW.getTime()).toBe(stockReservationService.paymentTimeoutMinutes * 60 * 1000);
+  });
+});
+
+describe('reserve', () => {
+  test('锁定库存并按库存变动生成预占记录', async () => {
+    const items = [{ productId: 1, skuId: 11, quantity: 2, name: '商品A' }];
+    const changes = [{ productId: 1, skuId: 11, quantity: 2, before: 10, after: 8 }];
+    inventoryService.lock.mockResolvedValue(changes);
+    const expiresAt = stockReservationService.getExpiresAt(NOW);
+
+    const result = await stockReservationService.reserve(connection, 'o1', items, expiresAt);
+
+    expect(result).toBe(changes);
+    expect(inventoryService.lock).toHaveBeenCalledWith(connection, items, {
+      sourceType: 'order', sourceId: 'o1', reason: '下单锁定库存'
+    });
+    expect(stockReservationRepository.createReservations).toHaveBeenCalledWith(
+      connection, 'o1', [{ productId: 1, skuId: 11, quantity: 2 }], expiresAt
+    );
+  });
+
+  test('库存不足时不生成预占记录', async () => {
+    inventoryService.lock.mockRejectedValue(new Error('库存不足'));
+
+    await expect(stockReservationService.reserve(connection, 'o1', [{ productId: 1, quantity: 99 }], NOW))
+      .rejects.toThrow('库存不足');
+    expect(stockReservationRepository.createReservations).not.toHaveBeenCalled();
+  });
+});
+
+describe('release', () => {
+  test('解锁预占中的库存并将预占记为已释放', async () => {
+    const reservations = [makeReservation(), makeReservation({ product_id: 2, sku_id: null, quantity: 1 })];
+    stockReservationRepository.getOrderReservationsForUpdate.mockResolvedValue(reservations);
+
+    const released = await stockReservationService.release('o1', 'order_timeout', connection);
+
+    expect(released).toBe(reservations);
+    expect(stockReservationRepository.getOrderReservationsForUpdate).toHaveBeenCalledWith(connection, 'o1', 'active');
+    expect(inventoryService.unlock).toHaveBeenCalledWith(connection, [
+      { productId: 1, skuId: 11, quantity: 2 },
+      { productId: 2, skuId: null, quantity: 1 }
+    ], { sourceType: 'order', sourceId: 'o1', reason: 'order_timeout' });
+    expect(stockReservationRepository.updateOrderReservationStatus).toHaveBeenCalledWith(
+      connection, 'o1', 'active', 'released', 'order_timeout'
+    );
+  });
+
+  test('没有预占中的记录时不重复解锁库存', async () => {
+    const released = await stockReservationService.release('o1', 'order_canceled', connection);
+
+    expect(released).toEqual([]);
+    expect(inventoryService.unlock).not.toHaveBeenCalled();
+    expect(stockReservationRepository.updateOrderReservationStatus).not.toHaveBeenCalled();
+  });
+
+  test('未传入事务连接时开启独立事务', async () => {
+    stockReservationRepository.getOrderReservationsForUpdate.mockResolvedValue([makeReservation()]);
+
+    await stockReservationService.release('o1', 'order_canceled');
+
+    expect(stockReservationService.transactionManager.executeInTransaction).toHaveBeenCalledTimes(1);
+    expect(inventoryService.unlock).toHaveBeenCalledWith(connection, expect.any(Array), expect.any(Object));
+  });
+
+  test('事务失败时抛出原始业务错误', async () => {
+    const original = new Error('库存记录不存在');
+    stockReservationService.transactionManager.executeInTransaction.mockRejectedValue(
+      new TransactionError('事务执行失败', original)
+    );
+
+    await expect(stockReservationService.release('o1', 'order_canceled')).rejects.toBe(original);
+  });
+});
+
+describe('confirm', () => {
+  test('锁定库存转为已售并将预占记为已确认', async () => {
+    stockReservationRepository.getOrderReservationsForUpdate.mockResolvedValue([makeReservation()]);
+    stockReservationRepository.updateOrderReservationStatus.mockResolvedValue(1);
+
+    const confirmed = await stockReservationService.confirm('o1', connection);
+
+    expect(confirmed).toBe(1);
+    expect(inventoryService.confirmSale).toHaveBeenCalledWith(connection, [
+      { productId: 1, skuId: 11, quantity: 2 }
+    ], { sourceType: 'order', sourceId: 'o1', reason: '订单支付' });
+    expect(stockReservationRepository.updateOrderReservationStatus).toHaveBeenCalledWith(
+      connection, 'o1', 'active', 'confirmed'
+    );
+  });
+
+  test('预占已释放或已确认时不做处理', async () => {
+    const confirmed = await stockReservationService.confirm('o1', connection);
+
+    expect(confirmed).toBe(0);
+    expect(inventoryService.confirmSale).not.toHaveBeenCalled();
+    expect(stockReservationRepository.updateOrderReservationStatus).not.toHaveBeenCalled();
+  });
+});
+
+describe('isActive', () => {
+  test('所有预占记录均未过期时有效', async () => {
+    stockReservationRepository.getOrderReservationsForUpdate.mockResolvedValue([makeReservation(), makeReservation()]);
+
+    await expect(stockReservationService.isActive('o1', connection, NOW)).resolves.toBe(true);
+  });
+
+  test('任一预占记录已过期时无效', async () => {
+    stockReservationRepository.getOrderReservationsForUpdate.mockResolvedValue([
+      makeReservation(),
+      makeReservation({ expires_at: NOW })
+    ]);
+
+    await expect(stockReservationService.isActive('o1', connection, NOW)).resolves.toBe(false);
+  });
+
+  test('没有预占中的记录时无效', async () => {
+    await expect(stockReservationService.isActive('o1', connection, NOW)).resolves.toBe(false);
+  });
+});
+
+describe('getExpiredOrderIds', () => {
+  test('查询预占已过期的订单并归还连接', async () => {
+    const pooled = { release: jest.fn() };
+    connectionPoolManager.getConnection.mockResolvedValue(pooled);
+    stockReservationRepository.getExpiredOrderIds.mockResolvedValue(['o1', 'o2']);
+
+    await expect(stockReservationService.getExpiredOrderIds(50)).resolves.toEqual(['o1', 'o2']);
+    expect(stockReservationRepository.getExpiredOrderIds).toHaveBeenCalledWith(pooled, 50);
+    expect(pooled.release).toHaveBeenCalled();
+  });
+});
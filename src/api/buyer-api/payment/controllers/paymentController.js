@@ -0,0 +1,133 @@
+/**
+ * 支付控制器
+ * 处理买家下单支付、支付状态查询以及微信支付、支付宝异步通知相关的HTTP请求
+ */
+
+const logger = require('../../../core/utils/logger');
+const { PaymentService } = require('../../../core/services/paymentService');
+
+/**
+ * 返回错误响应
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误
+ */
+function sendError(res, error) {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? '服务器内部错误' : error.message,
+    errorCode: error.errorCode
+  });
+}
+
+/**
+ * 返回支付渠道要求的通知应答
+ * @param {Object} res - Express响应对象
+ * @param {Object} reply - 应答 { status, contentType, body }
+ */
+function sendNotifyReply(res, reply) {
+  if (reply.body === undefined || reply.body === null) {
+    res.status(reply.status).end();
+    return;
+  }
+  res.status(reply.status).type(reply.contentType || 'application/json').send(reply.body);
+}
+
+class PaymentController {
+  /**
+   * 获取可用的支付渠道
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getChannels(req, res) {
+    try {
+      const channels = PaymentService.getInstance().getAvailablePaymentMethods()
+        .filter(method => method.tradeTypes.length > 0);
+
+      res.json({
+        success: true,
+        data: channels
+      });
+    } catch (error) {
+      logger.error('获取支付渠道失败', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 发起支付：向微信支付或支付宝下单，返回调起支付所需的凭证
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async createPayment(req, res) {
+    try {
+      const userId = req.user.id;
+      const { orderId, channel, tradeType, openid } = req.body;
+
+      if (!orderId || !channel || !tradeType) {
+        return res.status(400).json({ success: false, message: 'orderId、channel、tradeType 不能为空' });
+      }
+
+      logger.info(`发起支付请求 - 用户ID: ${userId}, 订单ID: ${orderId}`, { channel, tradeType });
+
+      const payment = await PaymentService.getInstance().createChannelPayment(userId, {
+        orderId,
+        channel,
+        tradeType,
+        openid,
+        clientIp: req.ip
+      });
+
+      res.status(201).json({
+        success: true,
+        message: '支付单创建成功',
+        data: payment
+      });
+    } catch (error) {
+      logger.error('发起支付失败', error, { orderId: req.body.orderId });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 查询订单支付状态
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getPaymentStatus(req, res) {
+    try {
+      const status = await PaymentService.getInstance().getOrderPaymentStatus(req.user.id, req.params.orderId);
+
+      res.json({
+        success: true,
+        data: status
+      });
+    } catch (error) {
+      logger.error('查询支付状态失败', error, { orderId: req.params.orderId });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 接收支付渠道的异步通知
+   * 微信支付按原始报文验签，支付宝按表单参数验签
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async handleNotify(req, res) {
+    const { channel } = req.params;
+    try {
+      const reply = await PaymentService.getInstance().handleChannelNotify(channel, {
+        headers: req.headers,
+        rawBody: req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {}),
+        body: req.body
+      });
+      sendNotifyReply(res, reply);
+    } catch (error) {
+      logger.error('处理支付通知失败', error, { channel });
+      sendError(res, error);
+    }
+  }
+}
+
+module.exports = new PaymentController();
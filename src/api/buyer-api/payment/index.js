@@ -0,0 +1,40 @@
+/**
+ * 买家端API - 支付模块入口
+ * 整合支付相关的控制器和路由，支付业务逻辑由核心支付服务提供
+ */
+
+const logger = require('../../core/utils/logger');
+const di = require('../../core/di/container');
+const config = require('../../core/config/config');
+const paymentRoutes = require('./routes/paymentRoutes');
+const paymentController = require('./controllers/paymentController');
+const { PaymentService } = require('../../core/services/paymentService');
+
+/**
+ * 初始化支付模块
+ * @param {Object} app - Express应用实例
+ */
+function initializePaymentModule(app) {
+  // 注册控制器到DI容器
+  di.register('paymentController', () => paymentController);
+  
+  // 注册路由
+  paymentRoutes.register(app);
+  
+  // 本地联调时挂载模拟支付网关（收银台页面、渠道接口和支付通知）
+  if (PaymentService.getInstance().fakeGatewayEnabled) {
+    const fakeGateway = require('../../core/services/payment/fakeGateway');
+    app.use('/api/fake-gateway', fakeGateway.createRouter());
+    logger.info(`模拟支付网关已启用: ${config.get('payment.notifyBaseUrl')}/api/fake-gateway/trades`);
+  }
+  
+  logger.info('买家端API支付模块初始化完成');
+}
+
+module.exports = {
+  initialize: initializePaymentModule,
+  controllers: {
+    payment: paymentController
+  },
+  routes: paymentRoutes
+};
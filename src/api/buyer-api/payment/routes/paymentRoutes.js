@@ -0,0 +1,116 @@
+/**
+ * 支付路由配置
+ * 定义买家发起支付、查询支付状态以及支付渠道异步通知的API端点
+ */
+
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+const authMiddleware = require('../../../core/security/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 支付
+ *   description: 微信支付、支付宝下单，支付状态查询和支付通知
+ */
+
+/**
+ * @swagger
+ * /api/payment/notify/{channel}:
+ *   post:
+ *     summary: 支付渠道异步通知
+ *     description: 微信支付（wechatPay）和支付宝（alipay）的支付结果通知，验签通过后入账，重复通知只入账一次
+ *     tags: [支付]
+ *     parameters:
+ *       - in: path
+ *         name: channel
+ *         required: true
+ *         schema: { type: string, enum: ['wechatPay', 'alipay'] }
+ *     responses:
+ *       200:
+ *         description: 支付宝应答 success
+ *       204:
+ *         description: 微信支付应答成功
+ */
+router.post('/notify/:channel', paymentController.handleNotify);
+
+/**
+ * @swagger
+ * /api/payment/channels:
+ *   get:
+ *     summary: 获取可用的支付渠道
+ *     tags: [支付]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 支付渠道列表 [{ id, name, tradeTypes }]
+ */
+router.get('/channels', authMiddleware.authenticate, paymentController.getChannels);
+
+/**
+ * @swagger
+ * /api/payment/create:
+ *   post:
+ *     summary: 发起支付
+ *     description: 为待支付订单向支付渠道下单，未过期的同类支付单直接复用
+ *     tags: [支付]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [orderId, channel, tradeType]
+ *             properties:
+ *               orderId: { type: string, description: '订单ID' }
+ *               channel: { type: string, enum: ['wechatPay', 'alipay'] }
+ *               tradeType: { type: string, enum: ['jsapi', 'native', 'h5', 'page', 'wap'] }
+ *               openid: { type: string, description: '微信用户 openid（JSAPI 必填）' }
+ *     responses:
+ *       201:
+ *         description: 支付单和支付凭证（JSAPI 调起参数、二维码链接或跳转地址）
+ *       404:
+ *         description: 订单不存在
+ *       409:
+ *         description: 订单不是待支付状态或已超过支付时限
+ *       502:
+ *         description: 支付渠道下单失败
+ */
+router.post('/create', authMiddleware.authenticate, paymentController.createPayment);
+
+/**
+ * @swagger
+ * /api/payment/status/{orderId}:
+ *   get:
+ *     summary: 查询订单支付状态
+ *     description: 订单仍待支付时先向支付渠道查询最近一张支付单
+ *     tags: [支付]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: 订单支付状态和支付单列表
+ */
+router.get('/status/:orderId', authMiddleware.authenticate, paymentController.getPaymentStatus);
+
+/**
+ * 注册支付路由
+ * @param {Object} app - Express应用实例
+ */
+function registerPaymentRoutes(app) {
+  app.use('/api/payment', router);
+}
+
+module.exports = {
+  register: registerPaymentRoutes,
+  router
+};
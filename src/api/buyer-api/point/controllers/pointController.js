@@ -0,0 +1,130 @@
+/**
+ * 积分控制器
+ * 处理买家积分相关的HTTP请求
+ */
+
+const logger = require('../../../core/utils/logger');
+const pointService = require('../../../core/services/pointService');
+
+class PointController {
+  /**
+   * 获取积分余额
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   * @param {Function} next - 下一个中间件
+   */
+  async getBalance(req, res, next) {
+    try {
+      const userId = req.user.id;
+      
+      const balance = await pointService.getUserPoints(userId);
+      
+      res.json({
+        success: true,
+        data: { balance, pointsPerYuan: pointService.pointsPerYuan }
+      });
+    } catch (error) {
+      logger.error('获取积分余额失败', { error: error.message, stack: error.stack });
+      next(error);
+    }
+  }
+  
+  /**
+   * 获取积分明细
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   * @param {Function} next - 下一个中间件
+   */
+  async getHistory(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { page = 1, limit = 20 } = req.query;
+      
+      const history = await pointService.getUserPointHistory(userId, {
+        page: parseInt(page),
+        pageSize: parseInt(limit)
+      });
+      
+      res.json({
+        success: true,
+        data: history
+      });
+    } catch (error) {
+      logger.error('获取积分明细失败', { error: error.message, stack: error.stack });
+      next(error);
+    }
+  }
+  
+  /**
+   * 每日签到
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   * @param {Function} next - 下一个中间件
+   */
+  async signIn(req, res, next) {
+    try {
+      const userId = req.user.id;
+      
+      logger.info(`签到请求 - 用户ID: ${userId}`);
+      
+      const result = await pointService.signIn(userId);
+      
+      res.json({
+        success: true,
+        message: result.signedIn ? `签到成功，获得${result.points}积分` : '今日已签到',
+        data: result
+      });
+    } catch (error) {
+      logger.error('签到失败', { error: error.message, stack: error.stack });
+      next(error);
+    }
+  }
+  
+  /**
+   * 获取积分兑换商品列表
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   * @param {Function} next - 下一个中间件
+   */
+  async getExchangeItems(req, res, next) {
+    try {
+      const items = await pointService.getExchangeItems();
+      
+      res.json({
+        success: true,
+        data: items
+      });
+    } catch (error) {
+      logger.error('获取积分兑换商品失败', { error: error.message, stack: error.stack });
+      next(error);
+    }
+  }
+  
+  /**
+   * 积分兑换商品
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   * @param {Function} next - 下一个中间件
+   */
+  async exchange(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { itemId, quantity = 1 } = req.body;
+      
+      logger.info(`积分兑换请求 - 用户ID: ${userId}, 商品ID: ${itemId}, 数量: ${quantity}`);
+      
+      const record = await pointService.exchangeItem(userId, itemId, parseInt(quantity));
+      
+      res.status(201).json({
+        success: true,
+        message: '兑换成功',
+        data: record
+      });
+    } catch (error) {
+      logger.error('积分兑换失败', { error: error.message, stack: error.stack });
+      next(error);
+    }
+  }
+}
+
+module.exports = new PointController();
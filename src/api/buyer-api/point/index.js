@@ -0,0 +1,31 @@
+/**
+ * 买家端API - 积分模块入口
+ * 整合积分相关的控制器和路由，积分业务逻辑由核心积分服务提供
+ */
+
+const logger = require('../../core/utils/logger');
+const di = require('../../core/di/container');
+const pointRoutes = require('./routes/pointRoutes');
+const pointController = require('./controllers/pointController');
+
+/**
+ * 初始化积分模块
+ * @param {Object} app - Express应用实例
+ */
+function initializePointModule(app) {
+  // 注册控制器到DI容器
+  di.register('pointController', () => pointController);
+  
+  // 注册路由
+  pointRoutes.register(app);
+  
+  logger.info('买家端API积分模块初始化完成');
+}
+
+module.exports = {
+  initialize: initializePointModule,
+  controllers: {
+    point: pointController
+  },
+  routes: pointRoutes
+};
@@ -0,0 +1,32 @@
+/**
+ * 积分路由配置
+ * 定义积分相关的API端点
+ */
+
+const express = require('express');
+const router = express.Router();
+const pointController = require('../controllers/pointController');
+const authMiddleware = require('../../../core/security/authMiddleware');
+
+/**
+ * 注册积分路由
+ * @param {Object} app - Express应用实例
+ */
+function registerPointRoutes(app) {
+  // 所有积分路由都需要认证
+  router.use(authMiddleware.authenticate);
+  
+  router.get('/', pointController.getBalance);
+  router.get('/history', pointController.getHistory);
+  router.post('/sign-in', pointController.signIn);
+  router.get('/exchange-items', pointController.getExchangeItems);
+  router.post('/exchange', pointController.exchange);
+  
+  // 将积分路由注册到应用
+  app.use('/api/points', router);
+}
+
+module.exports = {
+  register: registerPointRoutes,
+  router
+};
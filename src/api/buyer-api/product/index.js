@@ -3,6 +3,7 @@
  * 整合商品相关的控制器、服务、仓库和路由
  */
 
+const logger = require('../../core/utils/logger');
 const di = require('../../core/di/container');
 const productRoutes = require('./routes/productRoutes');
 const productController = require('./controllers/productController');
@@ -20,7 +21,7 @@ function initializeProductModule(app) {
   // 注册路由
   productRoutes.register(app);
   
-  console.log('买家端API商品模块初始化完成');
+  logger.info('买家端API商品模块初始化完成');
 }
 
 /**
@@ -36,7 +37,7 @@ function registerServices() {
   // 注册控制器
   di.register('productController', () => productController);
   
-  console.log('商品模块服务注册完成');
+  logger.info('商品模块服务注册完成');
 }
 
 module.exports = {
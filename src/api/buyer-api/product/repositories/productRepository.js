@@ -63,6 +63,27 @@ class ProductRepository extends BaseRepository {
     }
   }
   
+  /**
+   * 获取商品SKU
+   * @param {string} productId - 商品ID
+   * @param {string} skuId - SKU ID
+   * @returns {Promise<Object|null>} SKU对象（{ id, productId, specs, price, stock }）或null
+   */
+  async getSkuById(productId, skuId) {
+    try {
+      // 在实际项目中，这里应该查询 product_skus 表
+      logger.info('获取商品SKU:', { productId, skuId });
+
+      // 使用模拟数据
+      const product = this.getMockProductById(productId);
+      const sku = product && (product.skus || []).find(item => item.id === String(skuId));
+      return sku ? { ...sku, productId: product.id } : null;
+    } catch (error) {
+      logger.error(`获取商品SKU失败 (商品ID: ${productId}, SKU ID: ${skuId}):`, error);
+      throw error;
+    }
+  }
+
   /**
    * 搜索商品
    * @param {string} keyword - 搜索关键词
@@ -104,6 +125,27 @@ class ProductRepository extends BaseRepository {
     }
   }
   
+  /**
+   * 获取用于构建搜索索引的商品数据（附带分类、品牌名称）
+   * @returns {Promise<Array>} 商品列表
+   */
+  async getSearchDocuments() {
+    try {
+      // 在实际项目中，这里应该分批查询数据库中的上架商品
+      const categories = this.getMockCategories();
+      const brands = this.getMockBrands();
+      
+      return this.getMockProducts().map(product => ({
+        ...product,
+        categoryName: (categories.find(category => category.id === product.categoryId) || {}).name,
+        brandName: (brands.find(brand => brand.id === product.brandId) || {}).name
+      }));
+    } catch (error) {
+      logger.error('获取搜索索引商品数据失败:', error);
+      throw error;
+    }
+  }
+  
   /**
    * 获取商品分类
    * @returns {Promise<Array>} 分类列表
@@ -304,6 +346,12 @@ class ProductRepository extends BaseRepository {
         images: ['/uploads/iphone15pro-1.jpg', '/uploads/iphone15pro-2.jpg'],
         colors: ['深空黑', '原色钛金属', '白色钛金属', '蓝色钛金属'],
         specs: [{ name: '内存', options: ['128GB', '256GB', '512GB', '1TB'] }],
+        skus: [
+          { id: '101', specs: { 内存: '128GB' }, price: 7999, stock: 40 },
+          { id: '102', specs: { 内存: '256GB' }, price: 8999, stock: 30 },
+          { id: '103', specs: { 内存: '512GB' }, price: 10999, stock: 20 },
+          { id: '104', specs: { 内存: '1TB' }, price: 12999, stock: 10 }
+        ],
         isHot: true,
         isNew: true,
         viewCount: 1567,
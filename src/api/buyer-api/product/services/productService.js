@@ -7,6 +7,7 @@ const logger = require('../../../core/utils/logger');
 const productRepository = require('../repositories/productRepository');
 const cacheService = require('../../../core/cache/cacheService');
 const messageQueue = require('../../../core/messaging/messageQueue');
+const searchService = require('../../../core/services/searchService');
 
 class ProductService {
   /**
@@ -82,14 +83,29 @@ class ProductService {
     }
   }
   
+  /**
+   * 获取商品SKU
+   * @param {string} productId - 商品ID
+   * @param {string} skuId - SKU ID
+   * @returns {Promise<Object|null>} SKU对象或null
+   */
+  async getSkuById(productId, skuId) {
+    try {
+      return await productRepository.getSkuById(productId, skuId);
+    } catch (error) {
+      logger.error(`获取商品SKU失败 (商品ID: ${productId}, SKU ID: ${skuId}):`, error);
+      throw error;
+    }
+  }
+
   /**
    * 搜索商品
    * @param {string} keyword - 搜索关键词
-   * @param {Object} filters - 筛选条件
+   * @param {Object} filters - 筛选条件（categoryId、brandId、minPrice、maxPrice）
    * @param {number} page - 页码
    * @param {number} limit - 每页数量
    * @param {string} sort - 排序方式
-   * @returns {Promise<Object>} 搜索结果和分页信息
+   * @returns {Promise<Object>} 搜索结果、分页信息、分面统计和纠错信息
    */
   async searchProducts(keyword, filters = {}, page = 1, limit = 10, sort = 'relevance:desc') {
     try {
@@ -102,8 +118,34 @@ class ProductService {
         return cachedResult;
       }
       
+      // 尚未全量构建时（如服务刚启动）从商品库加载，之后由商品消息增量维护；
+      // 启动后先收到的商品消息只会增量索引个别商品，不能据此跳过全量构建
+      await searchService.ensureIndex(() => productRepository.getSearchDocuments());
+      
       // 执行搜索
-      const result = await productRepository.searchProducts(keyword, filters, page, limit, sort);
+      const searchResult = await searchService.searchProducts({
+        keyword,
+        categoryId: filters.categoryId,
+        brandId: filters.brandId,
+        minPrice: filters.minPrice,
+        maxPrice: filters.maxPrice,
+        sort,
+        page,
+        pageSize: limit
+      });
+      
+      const result = {
+        products: searchResult.items,
+        pagination: {
+          page: searchResult.page,
+          limit: searchResult.pageSize,
+          total: searchResult.total,
+          pages: Math.ceil(searchResult.total / searchResult.pageSize)
+        },
+        facets: searchResult.facets,
+        corrections: searchResult.corrections,
+        correctedKeyword: searchResult.correctedKeyword
+      };
       
       // 缓存搜索结果（3分钟）
       await cacheService.set(cacheKey, result, 180);
@@ -112,7 +154,7 @@ class ProductService {
       messageQueue.publish('search.analytics', {
         keyword,
         filters,
-        resultsCount: result.total,
+        resultsCount: result.pagination.total,
         timestamp: new Date().toISOString()
       });
       
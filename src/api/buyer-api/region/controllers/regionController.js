@@ -0,0 +1,63 @@
+/**
+ * 行政地区控制器
+ * 处理收货地址选择省、市、区县相关的HTTP请求
+ */
+
+const logger = require('../../../core/utils/logger');
+const regionService = require('../../../core/services/regionService');
+
+/**
+ * 返回错误响应
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误
+ */
+function sendError(res, error) {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? '服务器内部错误' : error.message,
+    errorCode: error.errorCode
+  });
+}
+
+class RegionController {
+  /**
+   * 获取下级地区列表，未指定上级地区时返回省级地区
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getRegions(req, res) {
+    try {
+      const regions = await regionService.getChildren(req.query.parentCode || null);
+
+      res.json({
+        success: true,
+        data: regions
+      });
+    } catch (error) {
+      logger.error('获取地区列表失败', error, { parentCode: req.query.parentCode });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取地区详情（含从省到该地区的名称路径）
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getRegion(req, res) {
+    try {
+      const region = await regionService.getRegion(req.params.code);
+
+      res.json({
+        success: true,
+        data: region
+      });
+    } catch (error) {
+      logger.error('获取地区详情失败', error, { code: req.params.code });
+      sendError(res, error);
+    }
+  }
+}
+
+module.exports = new RegionController();
@@ -0,0 +1,31 @@
+/**
+ * 买家端API - 行政地区模块入口
+ * 整合地区查询相关的控制器和路由，地区数据由核心地区服务提供
+ */
+
+const logger = require('../../core/utils/logger');
+const di = require('../../core/di/container');
+const regionRoutes = require('./routes/regionRoutes');
+const regionController = require('./controllers/regionController');
+
+/**
+ * 初始化行政地区模块
+ * @param {Object} app - Express应用实例
+ */
+function initializeRegionModule(app) {
+  // 注册控制器到DI容器
+  di.register('regionController', () => regionController);
+  
+  // 注册路由
+  regionRoutes.register(app);
+  
+  logger.info('买家端API行政地区模块初始化完成');
+}
+
+module.exports = {
+  initialize: initializeRegionModule,
+  controllers: {
+    region: regionController
+  },
+  routes: regionRoutes
+};
@@ -0,0 +1,66 @@
+/**
+ * 行政地区路由配置
+ * 定义省、市、区县查询的API端点，无需登录即可访问
+ */
+
+const express = require('express');
+const router = express.Router();
+const regionController = require('../controllers/regionController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 行政地区
+ *   description: 省、市、区县数据
+ */
+
+/**
+ * @swagger
+ * /api/regions:
+ *   get:
+ *     summary: 获取下级地区列表
+ *     description: 未指定上级地区时返回省级地区，已停用的地区不返回
+ *     tags: [行政地区]
+ *     parameters:
+ *       - in: query
+ *         name: parentCode
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: 地区列表（hasChildren 表示是否有下级地区）
+ *       404:
+ *         description: 上级地区不存在
+ */
+router.get('/', regionController.getRegions);
+
+/**
+ * @swagger
+ * /api/regions/{code}:
+ *   get:
+ *     summary: 获取地区详情
+ *     tags: [行政地区]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: 地区（path 为从省到该地区的名称列表）
+ *       404:
+ *         description: 地区不存在
+ */
+router.get('/:code(\\d{6})', regionController.getRegion);
+
+/**
+ * 注册行政地区路由
+ * @param {Object} app - Express应用实例
+ */
+function registerRegionRoutes(app) {
+  app.use('/api/regions', router);
+}
+
+module.exports = {
+  register: registerRegionRoutes,
+  router
+};
@@ -6,6 +6,7 @@
 const logger = require('../../../core/utils/logger');
 const reviewRepository = require('../repositories/reviewRepository');
 const orderService = require('../../order/services/orderService');
+const pointService = require('../../../core/services/pointService');
 const AppError = require('../../../core/errors/AppError');
 
 class ReviewService {
@@ -53,6 +54,13 @@ class ReviewService {
       // 更新订单项评价状态
       await orderService.updateOrderItemReviewStatus(orderItemId, true);
       
+      // 发放评价积分，发放失败不影响评价结果
+      try {
+        await pointService.earnForReview(userId, review.id);
+      } catch (pointError) {
+        logger.error('发放评价积分失败:', pointError);
+      }
+      
       return review;
     } catch (error) {
       logger.error('创建评价失败:', error);
@@ -1,53 +0,0 @@
-/**
- * 支付路由模块
- * 处理买家端支付相关请求
- */
-
-const express = require('express');
-const router = express.Router();
-const logger = require('../../core/utils/logger');
-
-/**
- * 创建支付订单
- */
-router.post('/create', (req, res) => {
-  try {
-    logger.info('创建支付订单请求');
-    res.json({ message: '支付订单创建成功', success: true });
-  } catch (error) {
-    logger.error('创建支付订单失败:', error);
-    res.status(500).json({ message: '服务器内部错误', success: false });
-  }
-});
-
-/**
- * 支付回调处理
- */
-router.post('/callback', (req, res) => {
-  try {
-    logger.info('支付回调请求');
-    res.json({ message: '支付回调处理成功', success: true });
-  } catch (error) {
-    logger.error('支付回调处理失败:', error);
-    res.status(500).json({ message: '服务器内部错误', success: false });
-  }
-});
-
-/**
- * 查询支付状态
- */
-router.get('/status/:orderId', (req, res) => {
-  try {
-    logger.info('查询支付状态请求');
-    res.json({ 
-      message: '查询支付状态成功', 
-      success: true,
-      data: { status: 'pending' }
-    });
-  } catch (error) {
-    logger.error('查询支付状态失败:', error);
-    res.status(500).json({ message: '服务器内部错误', success: false });
-  }
-});
-
-module.exports = router;
\ No newline at end of file
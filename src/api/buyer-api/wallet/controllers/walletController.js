@@ -0,0 +1,193 @@
+/**
+ * 钱包控制器
+ * 处理买家钱包余额、资金流水、余额充值、余额支付和提现申请相关的HTTP请求
+ */
+
+const logger = require('../../../core/utils/logger');
+const walletService = require('../../../core/services/walletService');
+
+/**
+ * 返回错误响应
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误
+ */
+function sendError(res, error) {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? '服务器内部错误' : error.message,
+    errorCode: error.errorCode
+  });
+}
+
+class WalletController {
+  /**
+   * 获取钱包余额
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getWallet(req, res) {
+    try {
+      const wallet = await walletService.getWallet(req.user.id);
+
+      res.json({
+        success: true,
+        data: wallet
+      });
+    } catch (error) {
+      logger.error('获取钱包余额失败', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取资金流水
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getJournal(req, res) {
+    try {
+      const { type, page, pageSize } = req.query;
+      const journal = await walletService.getJournal({ userId: req.user.id, type, page, pageSize });
+
+      res.json({
+        success: true,
+        data: journal
+      });
+    } catch (error) {
+      logger.error('获取资金流水失败', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 余额充值：创建充值单并返回调起支付所需的凭证
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async createRecharge(req, res) {
+    try {
+      const userId = req.user.id;
+      const { amount, channel, tradeType, openid } = req.body;
+
+      if (!amount || !channel || !tradeType) {
+        return res.status(400).json({ success: false, message: 'amount、channel、tradeType 不能为空' });
+      }
+
+      logger.info(`余额充值请求 - 用户ID: ${userId}`, { amount, channel, tradeType });
+
+      const recharge = await walletService.createRecharge(userId, {
+        amount,
+        channel,
+        tradeType,
+        openid,
+        clientIp: req.ip
+      });
+
+      res.status(201).json({
+        success: true,
+        message: '充值单创建成功',
+        data: recharge
+      });
+    } catch (error) {
+      logger.error('余额充值失败', error, { amount: req.body.amount });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取充值记录
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getRecharges(req, res) {
+    try {
+      const { status, page, pageSize } = req.query;
+      const recharges = await walletService.getRecharges({ userId: req.user.id, status, page, pageSize });
+
+      res.json({
+        success: true,
+        data: recharges
+      });
+    } catch (error) {
+      logger.error('获取充值记录失败', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 使用余额支付订单
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async payOrder(req, res) {
+    try {
+      const userId = req.user.id;
+      const { orderId } = req.body;
+
+      if (!orderId) {
+        return res.status(400).json({ success: false, message: 'orderId 不能为空' });
+      }
+
+      logger.info(`余额支付请求 - 用户ID: ${userId}, 订单ID: ${orderId}`);
+
+      const result = await walletService.payOrder(userId, orderId);
+
+      res.json({
+        success: true,
+        message: '支付成功',
+        data: result
+      });
+    } catch (error) {
+      logger.error('余额支付失败', error, { orderId: req.body.orderId });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 申请提现
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async requestWithdrawal(req, res) {
+    try {
+      const userId = req.user.id;
+      const { amount, accountType, accountNo, accountName } = req.body;
+
+      logger.info(`提现申请 - 用户ID: ${userId}`, { amount, accountType });
+
+      const withdrawal = await walletService.requestWithdrawal(userId, { amount, accountType, accountNo, accountName });
+
+      res.status(201).json({
+        success: true,
+        message: '提现申请已提交',
+        data: withdrawal
+      });
+    } catch (error) {
+      logger.error('提现申请失败', error, { amount: req.body.amount });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取提现记录
+   * @param {Object} req - HTTP请求对象
+   * @param {Object} res - HTTP响应对象
+   */
+  async getWithdrawals(req, res) {
+    try {
+      const { status, page, pageSize } = req.query;
+      const withdrawals = await walletService.getWithdrawals({ userId: req.user.id, status, page, pageSize });
+
+      res.json({
+        success: true,
+        data: withdrawals
+      });
+    } catch (error) {
+      logger.error('获取提现记录失败', error);
+      sendError(res, error);
+    }
+  }
+}
+
+module.exports = new WalletController();
@@ -0,0 +1,31 @@
+/**
+ * 买家端API - 钱包模块入口
+ * 整合钱包相关的控制器和路由，钱包业务逻辑由核心钱包服务提供
+ */
+
+const logger = require('../../core/utils/logger');
+const di = require('../../core/di/container');
+const walletRoutes = require('./routes/walletRoutes');
+const walletController = require('./controllers/walletController');
+
+/**
+ * 初始化钱包模块
+ * @param {Object} app - Express应用实例
+ */
+function initializeWalletModule(app) {
+  // 注册控制器到DI容器
+  di.register('walletController', () => walletController);
+  
+  // 注册路由
+  walletRoutes.register(app);
+  
+  logger.info('买家端API钱包模块初始化完成');
+}
+
+module.exports = {
+  initialize: initializeWalletModule,
+  controllers: {
+    wallet: walletController
+  },
+  routes: walletRoutes
+};
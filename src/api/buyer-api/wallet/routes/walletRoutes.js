@@ -0,0 +1,183 @@
+/**
+ * 钱包路由配置
+ * 定义余额查询、资金流水、余额充值、余额支付和提现申请的API端点
+ */
+
+const express = require('express');
+const router = express.Router();
+const walletController = require('../controllers/walletController');
+const authMiddleware = require('../../../core/security/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 钱包
+ *   description: 会员钱包余额、充值、余额支付和提现
+ */
+
+// 所有钱包路由都需要认证
+router.use(authMiddleware.authenticate);
+
+/**
+ * @swagger
+ * /api/wallet:
+ *   get:
+ *     summary: 获取钱包余额
+ *     tags: [钱包]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 可用余额、冻结金额和累计充值、消费、提现金额
+ */
+router.get('/', walletController.getWallet);
+
+/**
+ * @swagger
+ * /api/wallet/journal:
+ *   get:
+ *     summary: 获取资金流水
+ *     tags: [钱包]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema: { type: string, enum: ['recharge', 'payment', 'refund', 'withdraw_freeze', 'withdraw_paid', 'withdraw_reject'] }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: 资金流水分页列表
+ */
+router.get('/journal', walletController.getJournal);
+
+/**
+ * @swagger
+ * /api/wallet/recharges:
+ *   post:
+ *     summary: 余额充值
+ *     description: 创建充值单并向支付渠道下单，支付成功后充值金额计入余额
+ *     tags: [钱包]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount, channel, tradeType]
+ *             properties:
+ *               amount: { type: number, description: '充值金额（元）' }
+ *               channel: { type: string, enum: ['wechatPay', 'alipay'] }
+ *               tradeType: { type: string, enum: ['jsapi', 'native', 'h5', 'page', 'wap'] }
+ *               openid: { type: string, description: '微信用户 openid（JSAPI 必填）' }
+ *     responses:
+ *       201:
+ *         description: 充值单和支付凭证
+ *       400:
+ *         description: 充值金额超出范围
+ */
+router.post('/recharges', walletController.createRecharge);
+
+/**
+ * @swagger
+ * /api/wallet/recharges:
+ *   get:
+ *     summary: 获取充值记录
+ *     tags: [钱包]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 充值单分页列表
+ */
+router.get('/recharges', walletController.getRecharges);
+
+/**
+ * @swagger
+ * /api/wallet/pay:
+ *   post:
+ *     summary: 使用余额支付订单
+ *     tags: [钱包]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [orderId]
+ *             properties:
+ *               orderId: { type: string, description: '订单ID' }
+ *     responses:
+ *       200:
+ *         description: 支付成功，返回支付金额和剩余余额
+ *       404:
+ *         description: 订单不存在
+ *       409:
+ *         description: 余额不足、订单不是待支付状态或已超过支付时限
+ */
+router.post('/pay', walletController.payOrder);
+
+/**
+ * @swagger
+ * /api/wallet/withdrawals:
+ *   post:
+ *     summary: 申请提现
+ *     description: 提现金额从可用余额冻结，管理员审核通过后打款，驳回后退回余额
+ *     tags: [钱包]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount, accountType, accountNo, accountName]
+ *             properties:
+ *               amount: { type: number, description: '提现金额（元）' }
+ *               accountType: { type: string, enum: ['alipay', 'wechat', 'bank'] }
+ *               accountNo: { type: string, description: '收款账号' }
+ *               accountName: { type: string, description: '收款人姓名' }
+ *     responses:
+ *       201:
+ *         description: 提现申请
+ *       409:
+ *         description: 余额不足
+ */
+router.post('/withdrawals', walletController.requestWithdrawal);
+
+/**
+ * @swagger
+ * /api/wallet/withdrawals:
+ *   get:
+ *     summary: 获取提现记录
+ *     tags: [钱包]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 提现申请分页列表
+ */
+router.get('/withdrawals', walletController.getWithdrawals);
+
+/**
+ * 注册钱包路由
+ * @param {Object} app - Express应用实例
+ */
+function registerWalletRoutes(app) {
+  app.use('/api/wallet', router);
+}
+
+module.exports = {
+  register: registerWalletRoutes,
+  router
+};
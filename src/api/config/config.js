@@ -119,6 +119,21 @@ const config = {
     maxStored: getEnvNumber('NOTIFICATION_MAX_STORED', 100)
   },
   
+  // 满意度调查配置（会话关闭后发送给用户）
+  satisfactionSurvey: {
+    enabled: getEnvBoolean('SATISFACTION_SURVEY_ENABLED', true),
+    ratingQuestion: getEnv('SATISFACTION_SURVEY_RATING_QUESTION', '您对本次服务满意吗？'),
+    commentQuestion: getEnv('SATISFACTION_SURVEY_COMMENT_QUESTION', '还有什么想告诉我们的吗？'),
+    // 可选择的原因标签（逗号分隔）
+    tags: getEnv('SATISFACTION_SURVEY_TAGS', '回复太慢,问题没有解决,态度不好,不够专业,需要重复描述问题,其他')
+      .split(',').map(tag => tag.trim()).filter(Boolean),
+    npsEnabled: getEnvBoolean('SATISFACTION_SURVEY_NPS_ENABLED', false),
+    npsQuestion: getEnv('SATISFACTION_SURVEY_NPS_QUESTION', '您有多大可能向朋友推荐我们？'),
+    lowScoreThreshold: getEnvNumber('SATISFACTION_SURVEY_LOW_SCORE', 3), // 评分不高于该值为低分
+    reminderMinutes: getEnvNumber('SATISFACTION_SURVEY_REMINDER_MINUTES', 30), // 未填写时发送后多久提醒
+    expireHours: getEnvNumber('SATISFACTION_SURVEY_EXPIRE_HOURS', 72) // 有效期
+  },
+  
   // 工作时间配置
   workHours: {
     start: getEnv('WORK_HOURS_START', '09:00'),
@@ -8,6 +8,8 @@ const {
     ConflictError,
     InternalServerError
   } = require('../utils/errors.js');
+const slaService = require('../core/services/slaService');
+const satisfactionSurveyService = require('../core/services/satisfactionSurveyService');
 
 const { Conversation, Message, User, ConversationAssignment, Tag } = db.models;
 
@@ -54,6 +56,10 @@ class ConversationController {
         participants
       });
 
+      // 按SLA策略开始首次响应和解决计时，失败不影响会话创建
+      await slaService.startConversationTimers(conversation)
+        .catch(error => console.error('开始会话SLA计时失败:', error));
+
       // 记录创建日志
       await db.models.WorkLog.logSessionStart({
         userId: currentUserId,
@@ -200,12 +206,15 @@ class ConversationController {
       // 查询会话
       const { count, rows } = await Conversation.findAndCountAll(query);
 
+      // 获取每个会话的SLA状态
+      const slaStates = await slaService.getConversationStates(rows.map(conversation => conversation.id));
+
       // 获取每个会话的未读消息数
       const conversationsWithUnread = await Promise.all(
         rows.map(async (conversation) => {
           const unreadCount = await Message.getUnreadCount(conversation.id, currentUserId);
           const response = conversation.toResponseObject(true);
-          return { ...response, unreadCount };
+          return { ...response, unreadCount, sla: slaStates[conversation.id] };
         })
       );
 
@@ -272,13 +281,17 @@ class ConversationController {
       // 获取当前分配的客服
       const currentAssignee = await conversation.getCurrentAssignee();
 
+      // 获取SLA状态
+      const slaStates = await slaService.getConversationStates([conversation.id]);
+
       res.status(200).json({
         success: true,
         data: {
           conversation: {
             ...conversation.toResponseObject(true),
             unreadCount,
-            currentAssignee: currentAssignee ? currentAssignee.toSafeObject() : null
+            currentAssignee: currentAssignee ? currentAssignee.toSafeObject() : null,
+            sla: slaStates[conversation.id]
           }
         }
       });
@@ -350,8 +363,20 @@ class ConversationController {
       }
 
       // 更新会话
+      const previousStatus = conversation.status;
       await conversation.update(updateData);
 
+      // 优先级或分类变更时按新策略重新计算SLA计时，状态变为关闭时完成解决计时并发送满意度调查
+      if (updateData.status === 'closed' && previousStatus !== 'closed') {
+        await slaService.handleConversationClosed(conversation)
+          .catch(error => console.error('处理会话关闭的SLA计时失败:', error));
+        await satisfactionSurveyService.sendSurvey(conversation.id)
+          .catch(error => console.error('发送满意度调查失败:', error));
+      } else if (updateData.priority !== undefined || updateData.category !== undefined) {
+        await slaService.reapplyPolicy(conversation)
+          .catch(error => console.error('重新计算会话SLA计时失败:', error));
+      }
+
       // 记录更新日志
       await db.models.WorkLog.logConversationUpdate({
         userId: currentUserId,
@@ -406,6 +431,14 @@ class ConversationController {
         satisfactionScore
       });
 
+      // 完成解决计时，取消未完成的响应计时
+      await slaService.handleConversationClosed(conversation)
+        .catch(error => console.error('处理会话关闭的SLA计时失败:', error));
+
+      // 向用户发送满意度调查
+      await satisfactionSurveyService.sendSurvey(conversation.id)
+        .catch(error => console.error('发送满意度调查失败:', error));
+
       // 记录关闭日志
       await db.models.WorkLog.logSessionEnd({
         userId: currentUserId,
@@ -456,6 +489,10 @@ class ConversationController {
       // 重新打开会话
       await conversation.reopen(currentUserId, reason || '需要进一步处理');
 
+      // 重新开始解决计时
+      await slaService.handleConversationReopened(conversation)
+        .catch(error => console.error('处理会话重新打开的SLA计时失败:', error));
+
       // 记录重新打开日志
       await db.models.WorkLog.logSessionReopen({
         userId: currentUserId,
@@ -640,6 +677,11 @@ class ConversationController {
       
       if (req.user.role === 'agent' || req.user.role === 'supervisor' || req.user.role === 'admin') {
         await conversation.updateResponseStats(responseTime);
+        await slaService.handleAgentReply(conversation, now)
+          .catch(error => console.error('处理客服回复的SLA计时失败:', error));
+      } else {
+        await slaService.handleCustomerMessage(conversation, now)
+          .catch(error => console.error('处理用户消息的SLA计时失败:', error));
       }
 
       // 记录发送消息日志
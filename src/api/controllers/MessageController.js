@@ -7,6 +7,7 @@ const {
     NotFoundError,
     InternalServerError
   } = require('../utils/errors.js');
+const slaService = require('../core/services/slaService');
 
 const { Message, Conversation, User, Tag, Notification, AutoReplyLog } = db.models;
 
@@ -94,6 +95,15 @@ class MessageController {
         // 提交事务
         await transaction.commit();
 
+        // 用户消息开始后续响应计时，客服消息完成响应计时
+        if (req.user.role === 'user') {
+          await slaService.handleCustomerMessage(conversation, message.createdAt)
+            .catch(error => console.error('处理用户消息的SLA计时失败:', error));
+        } else {
+          await slaService.handleAgentReply(conversation, message.createdAt)
+            .catch(error => console.error('处理客服回复的SLA计时失败:', error));
+        }
+
         // 如果是用户（非客服）发送的消息，检查是否需要自动回复
         if (req.user.role === 'user') {
           // 异步触发自动回复检查，不阻塞主流程
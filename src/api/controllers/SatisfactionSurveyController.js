@@ -0,0 +1,65 @@
+const satisfactionSurveyService = require('../core/services/satisfactionSurveyService');
+
+/**
+ * 满意度调查控制器
+ * 用户查看和填写会话关闭后收到的满意度调查
+ */
+class SatisfactionSurveyController {
+  /**
+   * 获取当前用户待填写的调查
+   */
+  static async getPendingSurveys(req, res, next) {
+    try {
+      const surveys = await satisfactionSurveyService.getPendingSurveys(req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        data: { surveys: surveys.map(survey => survey.toResponseObject()) }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取调查详情
+   */
+  static async getSurveyById(req, res, next) {
+    try {
+      const survey = await satisfactionSurveyService.getSurvey(req.params.surveyId, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        data: { survey: survey.toResponseObject() }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 提交调查回答
+   */
+  static async submitResponse(req, res, next) {
+    try {
+      const { rating, npsScore, tags, comment } = req.body;
+
+      const survey = await satisfactionSurveyService.submitResponse(req.params.surveyId, req.user.userId, {
+        rating,
+        npsScore,
+        tags,
+        comment
+      });
+
+      res.status(200).json({
+        success: true,
+        message: '感谢您的评价',
+        data: { survey: survey.toResponseObject() }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = SatisfactionSurveyController;
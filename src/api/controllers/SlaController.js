@@ -0,0 +1,306 @@
+const db = require('../models/index.js');
+const {
+    BadRequestError,
+    NotFoundError,
+    ConflictError
+  } = require('../utils/errors.js');
+const slaService = require('../core/services/slaService');
+
+const { SlaPolicy, SlaTimer, BusinessCalendar, Conversation } = db.models;
+
+// 策略可编辑字段
+const POLICY_FIELDS = [
+  'name',
+  'description',
+  'priority',
+  'category',
+  'firstResponseMinutes',
+  'nextResponseMinutes',
+  'resolutionMinutes',
+  'warningPercent',
+  'calendarId',
+  'breachAction',
+  'escalateTo',
+  'status',
+  'metadata'
+];
+
+// 工作日历可编辑字段
+const CALENDAR_FIELDS = [
+  'name',
+  'description',
+  'timezoneOffset',
+  'workingHours',
+  'holidays',
+  'extraWorkdays',
+  'status',
+  'metadata'
+];
+
+/**
+ * 从请求体中提取允许修改的字段
+ * @param {Object} body - 请求体
+ * @param {Array<string>} fields - 字段列表
+ * @returns {Object} 字段值
+ */
+function pickFields(body, fields) {
+  return fields.reduce((data, field) => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+    return data;
+  }, {});
+}
+
+/**
+ * SLA控制器
+ * 管理SLA策略和工作日历，查询会话的SLA计时
+ */
+class SlaController {
+  /**
+   * 创建SLA策略
+   */
+  static async createPolicy(req, res, next) {
+    try {
+      const data = pickFields(req.body, POLICY_FIELDS);
+
+      if (data.calendarId && !(await BusinessCalendar.findByPk(data.calendarId))) {
+        throw new BadRequestError('工作日历不存在');
+      }
+
+      const policy = await SlaPolicy.create({
+        ...data,
+        createdBy: req.user.userId
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'SLA策略创建成功',
+        data: { policy: policy.toResponseObject() }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取SLA策略列表
+   */
+  static async getPolicies(req, res, next) {
+    try {
+      const { status, priority, category } = req.query;
+
+      const where = {};
+      if (status) where.status = status;
+      if (priority) where.priority = priority;
+      if (category) where.category = category;
+
+      const policies = await SlaPolicy.findAll({
+        where,
+        include: [{ model: BusinessCalendar, as: 'calendar' }],
+        order: [['priority', 'ASC'], ['category', 'ASC'], ['updatedAt', 'DESC']]
+      });
+
+      res.status(200).json({
+        success: true,
+        data: { policies: policies.map(policy => policy.toResponseObject()) }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取SLA策略详情
+   */
+  static async getPolicyById(req, res, next) {
+    try {
+      const policy = await SlaPolicy.findByPk(req.params.policyId, {
+        include: [{ model: BusinessCalendar, as: 'calendar' }]
+      });
+
+      if (!policy) {
+        throw new NotFoundError('SLA策略不存在');
+      }
+
+      res.status(200).json({
+        success: true,
+        data: { policy: policy.toResponseObject() }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 更新SLA策略
+   * 修改后的目标只对之后开始的计时生效，已开始的计时在会话优先级或分类变更时才重新计算
+   */
+  static async updatePolicy(req, res, next) {
+    try {
+      const policy = await SlaPolicy.findByPk(req.params.policyId);
+      if (!policy) {
+        throw new NotFoundError('SLA策略不存在');
+      }
+
+      const data = pickFields(req.body, POLICY_FIELDS);
+      if (data.calendarId && !(await BusinessCalendar.findByPk(data.calendarId))) {
+        throw new BadRequestError('工作日历不存在');
+      }
+
+      await policy.update(data);
+
+      res.status(200).json({
+        success: true,
+        message: 'SLA策略更新成功',
+        data: { policy: policy.toResponseObject() }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 删除SLA策略
+   * 已开始的计时继续按原到期时间计时
+   */
+  static async deletePolicy(req, res, next) {
+    try {
+      const policy = await SlaPolicy.findByPk(req.params.policyId);
+      if (!policy) {
+        throw new NotFoundError('SLA策略不存在');
+      }
+
+      await policy.destroy();
+
+      res.status(200).json({
+        success: true,
+        message: 'SLA策略已删除'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 创建工作日历
+   */
+  static async createCalendar(req, res, next) {
+    try {
+      const calendar = await BusinessCalendar.create({
+        ...pickFields(req.body, CALENDAR_FIELDS),
+        createdBy: req.user.userId
+      });
+
+      res.status(201).json({
+        success: true,
+        message: '工作日历创建成功',
+        data: { calendar: calendar.toResponseObject() }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取工作日历列表
+   */
+  static async getCalendars(req, res, next) {
+    try {
+      const where = {};
+      if (req.query.status) where.status = req.query.status;
+
+      const calendars = await BusinessCalendar.findAll({
+        where,
+        order: [['name', 'ASC']]
+      });
+
+      res.status(200).json({
+        success: true,
+        data: { calendars: calendars.map(calendar => calendar.toResponseObject()) }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 更新工作日历
+   */
+  static async updateCalendar(req, res, next) {
+    try {
+      const calendar = await BusinessCalendar.findByPk(req.params.calendarId);
+      if (!calendar) {
+        throw new NotFoundError('工作日历不存在');
+      }
+
+      await calendar.update(pickFields(req.body, CALENDAR_FIELDS));
+
+      res.status(200).json({
+        success: true,
+        message: '工作日历更新成功',
+        data: { calendar: calendar.toResponseObject() }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 删除工作日历，仍有策略使用时不能删除
+   */
+  static async deleteCalendar(req, res, next) {
+    try {
+      const calendar = await BusinessCalendar.findByPk(req.params.calendarId);
+      if (!calendar) {
+        throw new NotFoundError('工作日历不存在');
+      }
+
+      const policyCount = await SlaPolicy.count({ where: { calendarId: calendar.id } });
+      if (policyCount > 0) {
+        throw new ConflictError(`工作日历仍被 ${policyCount} 个SLA策略使用`);
+      }
+
+      await calendar.destroy();
+
+      res.status(200).json({
+        success: true,
+        message: '工作日历已删除'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * 获取会话的SLA计时记录
+   */
+  static async getConversationTimers(req, res, next) {
+    try {
+      const { conversationId } = req.params;
+
+      const conversation = await Conversation.findByPk(conversationId);
+      if (!conversation) {
+        throw new NotFoundError('会话不存在');
+      }
+
+      const timers = await SlaTimer.findAll({
+        where: { conversationId },
+        order: [['startedAt', 'ASC']]
+      });
+      const states = await slaService.getConversationStates([conversationId]);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          sla: states[conversationId],
+          timers: timers.map(timer => timer.toResponseObject())
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = SlaController;
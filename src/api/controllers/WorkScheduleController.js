@@ -11,6 +11,22 @@ const {
 
 const { WorkSchedule, User } = db.models;
 
+/**
+ * 查找用户已签到（工作中或休息中）的排班
+ * 跨天班次在次日仍按前一天的排班签退，因此不限定排班日期
+ * @param {string} userId - 用户ID
+ * @returns {Promise<WorkSchedule|null>} 排班
+ */
+function findOpenSchedule(userId) {
+  return WorkSchedule.findOne({
+    where: {
+      userId,
+      status: { [db.Sequelize.Op.in]: ['clocked_in', 'on_break'] }
+    },
+    order: [['scheduleDate', 'DESC'], ['startTime', 'DESC']]
+  });
+}
+
 /**
  * 工作时间控制器
  * 处理客服系统中的工作时间管理相关业务逻辑
@@ -391,6 +407,7 @@ class WorkScheduleController {
 
   /**
    * 签到打卡
+   * 签到后排班状态为 clocked_in，客服开始接收自动分配的会话
    */
   static async checkIn(req, res, next) {
     try {
@@ -398,57 +415,45 @@ class WorkScheduleController {
       const now = new Date();
       const today = now.toISOString().split('T')[0];
 
-      // 查找今天的排班
+      // 查找今天待签到的排班
       const schedule = await WorkSchedule.findOne({
         where: {
           userId: currentUserId,
-          date: today
-        }
+          scheduleDate: today,
+          status: { [db.Sequelize.Op.in]: ['scheduled', 'confirmed'] }
+        },
+        order: [['startTime', 'ASC']]
       });
 
       if (!schedule) {
+        if (await findOpenSchedule(currentUserId)) {
+          throw new ConflictError('已经签到打卡');
+        }
         throw new NotFoundError('今天没有排班安排');
       }
 
-      // 检查是否已签到
-      if (schedule.actualStartTime) {
-        throw new ConflictError('已经签到打卡');
-      }
-
       // 计算迟到时间
       const scheduledStart = new Date(`${today}T${schedule.startTime}`);
       const isLate = now > scheduledStart;
       const lateMinutes = isLate ? Math.floor((now - scheduledStart) / (1000 * 60)) : 0;
 
       // 更新签到信息
-      await schedule.update({
-        actualStartTime: now,
-        isLate,
-        lateMinutes,
-        status: 'working',
-        updatedAt: now
-      });
+      schedule.isLate = isLate;
+      schedule.lateMinutes = lateMinutes;
+      await schedule.clockIn(req.body.location || null);
 
       // 更新用户状态为在线
       await User.update(
-        { availabilityStatus: 'online', lastActive: now },
+        { status: 'online', lastActive: now },
         { where: { id: currentUserId } }
       );
 
-      // 记录操作日志
-      await db.models.WorkLog.logCheckIn({
-        userId: currentUserId,
-        scheduleId: schedule.id,
-        isLate,
-        lateMinutes
-      });
-
       res.status(200).json({
         success: true,
         message: isLate ? `签到成功，迟到${lateMinutes}分钟` : '签到成功',
         data: {
           scheduleId: schedule.id,
-          checkInTime: now,
+          checkInTime: schedule.actualClockInTime,
           isLate,
           lateMinutes
         }
@@ -460,85 +465,45 @@ class WorkScheduleController {
 
   /**
    * 签退打卡
+   * 休息中签退时先结束休息，签退后不再接收自动分配的会话
    */
   static async checkOut(req, res, next) {
     try {
       const currentUserId = req.user.userId;
       const now = new Date();
-      const today = now.toISOString().split('T')[0];
-
-      // 查找今天的排班
-      const schedule = await WorkSchedule.findOne({
-        where: {
-          userId: currentUserId,
-          date: today
-        }
-      });
 
+      // 查找已签到的排班
+      const schedule = await findOpenSchedule(currentUserId);
       if (!schedule) {
-        throw new NotFoundError('今天没有排班安排');
-      }
-
-      // 检查是否已签到
-      if (!schedule.actualStartTime) {
         throw new ConflictError('请先签到打卡');
       }
 
-      // 检查是否已签退
-      if (schedule.actualEndTime) {
-        throw new ConflictError('已经签退打卡');
+      // 计算早退时间，跨天班次在排班日期的次日下班
+      const scheduledStart = new Date(`${schedule.scheduleDate}T${schedule.startTime}`);
+      const scheduledEnd = new Date(`${schedule.scheduleDate}T${schedule.endTime}`);
+      if (scheduledEnd <= scheduledStart) {
+        scheduledEnd.setDate(scheduledEnd.getDate() + 1);
       }
-
-      // 检查是否正在休息
-      if (schedule.status === 'resting' && !schedule.restEndTime) {
-        throw new ConflictError('请先结束休息');
-      }
-
-      // 计算工作时间
-      const totalWorkMinutes = Math.floor((now - new Date(schedule.actualStartTime)) / (1000 * 60));
-      const totalRestMinutes = schedule.totalRestMinutes || 0;
-      const netWorkMinutes = totalWorkMinutes - totalRestMinutes;
-      
-      // 计算早退时间
-      const scheduledEnd = new Date(`${today}T${schedule.endTime}`);
       const isEarly = now < scheduledEnd;
       const earlyMinutes = isEarly ? Math.floor((scheduledEnd - now) / (1000 * 60)) : 0;
 
       // 更新签退信息
-      await schedule.update({
-        actualEndTime: now,
-        totalWorkMinutes,
-        netWorkMinutes,
-        isEarly,
-        earlyMinutes,
-        status: 'completed',
-        updatedAt: now
-      });
+      await schedule.clockOut(req.body.location || null);
 
       // 更新用户状态为离线
       await User.update(
-        { availabilityStatus: 'offline' },
+        { status: 'offline' },
         { where: { id: currentUserId } }
       );
 
-      // 记录操作日志
-      await db.models.WorkLog.logCheckOut({
-        userId: currentUserId,
-        scheduleId: schedule.id,
-        totalWorkMinutes,
-        netWorkMinutes,
-        isEarly,
-        earlyMinutes
-      });
-
       res.status(200).json({
         success: true,
         message: isEarly ? `签退成功，提前${earlyMinutes}分钟` : '签退成功',
         data: {
           scheduleId: schedule.id,
-          checkOutTime: now,
-          totalWorkMinutes,
-          netWorkMinutes,
+          checkOutTime: schedule.actualClockOutTime,
+          netWorkMinutes: schedule.actualWorkMinutes,
+          totalRestMinutes: schedule.breakTime,
           isEarly,
           earlyMinutes
         }
@@ -550,66 +515,39 @@ class WorkScheduleController {
 
   /**
    * 开始休息
+   * 休息中的排班状态为 on_break，休息期间不接收自动分配的会话
    */
   static async startRest(req, res, next) {
     try {
       const currentUserId = req.user.userId;
       const now = new Date();
-      const today = now.toISOString().split('T')[0];
-
-      // 查找今天的排班
-      const schedule = await WorkSchedule.findOne({
-        where: {
-          userId: currentUserId,
-          date: today
-        }
-      });
 
+      // 查找已签到的排班
+      const schedule = await findOpenSchedule(currentUserId);
       if (!schedule) {
-        throw new NotFoundError('今天没有排班安排');
-      }
-
-      // 检查是否已签到
-      if (!schedule.actualStartTime) {
         throw new ConflictError('请先签到打卡');
       }
 
-      // 检查是否已签退
-      if (schedule.actualEndTime) {
-        throw new ConflictError('已经签退打卡');
-      }
-
       // 检查是否正在休息
-      if (schedule.status === 'resting' && !schedule.restEndTime) {
+      if (schedule.status === 'on_break') {
         throw new ConflictError('已经开始休息');
       }
 
       // 更新休息状态
-      await schedule.update({
-        restStartTime: now,
-        status: 'resting',
-        updatedAt: now
-      });
+      await schedule.startBreak();
 
       // 更新用户状态为休息中
       await User.update(
-        { availabilityStatus: 'away', lastActive: now },
+        { status: 'away', lastActive: now },
         { where: { id: currentUserId } }
       );
 
-      // 记录操作日志
-      await db.models.WorkLog.logRestStarted({
-        userId: currentUserId,
-        scheduleId: schedule.id,
-        startTime: now
-      });
-
       res.status(200).json({
         success: true,
         message: '开始休息',
         data: {
           scheduleId: schedule.id,
-          restStartTime: now
+          restStartTime: schedule.metadata.breakStartTime
         }
       });
     } catch (error) {
@@ -624,51 +562,24 @@ class WorkScheduleController {
     try {
       const currentUserId = req.user.userId;
       const now = new Date();
-      const today = now.toISOString().split('T')[0];
 
-      // 查找今天的排班
-      const schedule = await WorkSchedule.findOne({
-        where: {
-          userId: currentUserId,
-          date: today
-        }
-      });
-
-      if (!schedule) {
-        throw new NotFoundError('今天没有排班安排');
-      }
-
-      // 检查是否在休息中
-      if (schedule.status !== 'resting' || !schedule.restStartTime || schedule.restEndTime) {
+      // 查找休息中的排班
+      const schedule = await findOpenSchedule(currentUserId);
+      if (!schedule || schedule.status !== 'on_break') {
         throw new ConflictError('未开始休息或已结束休息');
       }
 
-      // 计算休息时间
-      const restMinutes = Math.floor((now - new Date(schedule.restStartTime)) / (1000 * 60));
-      const totalRestMinutes = (schedule.totalRestMinutes || 0) + restMinutes;
-
-      // 更新休息状态
-      await schedule.update({
-        restEndTime: now,
-        totalRestMinutes,
-        status: 'working',
-        updatedAt: now
-      });
+      // 更新休息状态，休息时长计入排班的休息时间
+      const previousRestMinutes = schedule.breakTime;
+      await schedule.endBreak();
+      const restMinutes = schedule.breakTime - previousRestMinutes;
 
       // 更新用户状态为在线
       await User.update(
-        { availabilityStatus: 'online', lastActive: now },
+        { status: 'online', lastActive: now },
         { where: { id: currentUserId } }
       );
 
-      // 记录操作日志
-      await db.models.WorkLog.logRestEnded({
-        userId: currentUserId,
-        scheduleId: schedule.id,
-        endTime: now,
-        restMinutes
-      });
-
       res.status(200).json({
         success: true,
         message: `休息结束，共休息${restMinutes}分钟`,
@@ -676,7 +587,7 @@ class WorkScheduleController {
           scheduleId: schedule.id,
           restEndTime: now,
           restMinutes,
-          totalRestMinutes
+          totalRestMinutes: schedule.breakTime
         }
       });
     } catch (error) {
@@ -0,0 +1,313 @@
+/**
+ * 秒杀库存（Redis）
+ * 秒杀活动的剩余库存、买家已抢件数、活动状态和排队凭证保存在 Redis 中，所有读写通过 Lua 脚本原子执行：
+ * 抢购时在一个脚本中校验活动时间、剩余库存和每人限购并扣减库存，库存不足的请求在 Redis 中直接拒绝；
+ * 抢到的请求生成排队凭证（queued → processing → ordered），下单失败、排队超时或订单取消时按凭证归还库存，同一凭证只归还一次。
+ *
+ * Redis 键（同一活动使用相同的哈希标签 {saleId}）：
+ * - flash_sale:{id}:stock：剩余库存
+ * - flash_sale:{id}:users：买家已抢件数（userId → 件数）
+ * - flash_sale:{id}:meta：活动状态、开始和结束时间（毫秒）、每人限购
+ * - flash_sale:{id}:pending：排队中和下单中的请求（请求编号 → 最近处理时间，毫秒）
+ * - flash_sale:{id}:request:<requestNo>：排队凭证（status, userId, quantity, createdAt, orderId, reason, finishedAt）
+ */
+
+/**
+ * 抢购脚本结果码
+ */
+const RESERVE_RESULT = {
+  OK: 1,             // 抢购成功
+  NOT_PRELOADED: -1, // 库存未预热
+  CLOSED: -2,        // 活动已手动结束
+  NOT_STARTED: -3,   // 活动未开始
+  ENDED: -4,         // 活动已结束
+  SOLD_OUT: -5,      // 剩余库存不足
+  OVER_LIMIT: -6     // 超出每人限购
+};
+
+/**
+ * 记录已下单脚本结果码
+ */
+const CONFIRM_RESULT = {
+  OK: 1,        // 已记为已下单
+  NOT_FOUND: 0, // 凭证不存在或已释放
+  SOLD_OUT: -1  // 凭证已因超时失败，归还的库存已被抢走
+};
+
+// 预热库存：活动开始前覆盖库存，开始后只在库存不存在时写入；同时写入活动状态、时间和限购
+const PRELOAD_SCRIPT = `
+if ARGV[7] == '1' or redis.call('EXISTS', KEYS[1]) == 0 then
+  redis.call('SET', KEYS[1], ARGV[1])
+end
+redis.call('HSET', KEYS[2], 'status', ARGV[2], 'start', ARGV[3], 'end', ARGV[4], 'limit', ARGV[5])
+redis.call('EXPIREAT', KEYS[1], ARGV[6])
+redis.call('EXPIREAT', KEYS[2], ARGV[6])
+return tonumber(redis.call('GET', KEYS[1]))
+`;
+
+// 抢购：校验活动、库存和限购后扣减库存并生成排队凭证，返回 { 结果码, 剩余库存 }
+const RESERVE_SCRIPT = `
+local meta = redis.call('HMGET', KEYS[3], 'status', 'start', 'end', 'limit')
+if not meta[1] then return {-1, 0} end
+if meta[1] ~= 'active' then return {-2, 0} end
+local now = tonumber(ARGV[3])
+if now < tonumber(meta[2]) then return {-3, 0} end
+if now >= tonumber(meta[3]) then return {-4, 0} end
+local qty = tonumber(ARGV[2])
+local stock = tonumber(redis.call('GET', KEYS[1]) or '0')
+if stock < qty then return {-5, stock} end
+local bought = tonumber(redis.call('HGET', KEYS[2], ARGV[1]) or '0')
+if bought + qty > tonumber(meta[4]) then return {-6, stock} end
+redis.call('DECRBY', KEYS[1], qty)
+redis.call('HINCRBY', KEYS[2], ARGV[1], qty)
+redis.call('HSET', KEYS[5], 'status', 'queued', 'userId', ARGV[1], 'quantity', qty, 'createdAt', ARGV[3])
+redis.call('EXPIRE', KEYS[5], ARGV[5])
+redis.call('ZADD', KEYS[4], ARGV[3], ARGV[4])
+local ttl = redis.call('TTL', KEYS[3])
+if ttl > 0 then
+  redis.call('EXPIRE', KEYS[2], ttl)
+  redis.call('EXPIRE', KEYS[4], ttl)
+end
+return {1, stock - qty}
+`;
+
+// 领取排队凭证开始下单，消息重新投递时允许再次领取
+const CLAIM_SCRIPT = `
+local status = redis.call('HGET', KEYS[1], 'status')
+if status ~= 'queued' and status ~= 'processing' then return 0 end
+redis.call('HSET', KEYS[1], 'status', 'processing')
+redis.call('ZADD', KEYS[2], ARGV[2], ARGV[1])
+return 1
+`;
+
+// 记录已下单；凭证已因超时失败归还库存时重新扣减，与数据库中的订单保持一致，剩余库存不足时不扣减并返回 -1
+const CONFIRM_SCRIPT = `
+local ticket = redis.call('HMGET', KEYS[3], 'status', 'userId', 'quantity')
+if ticket[1] == 'ordered' then return 1 end
+if not ticket[1] or ticket[1] == 'released' then return 0 end
+if ticket[1] == 'failed' then
+  local qty = tonumber(ticket[3])
+  if redis.call('EXISTS', KEYS[1]) == 1 then
+    if tonumber(redis.call('GET', KEYS[1])) < qty then return -1 end
+    redis.call('DECRBY', KEYS[1], qty)
+  end
+  if redis.call('EXISTS', KEYS[2]) == 1 then redis.call('HINCRBY', KEYS[2], ticket[2], qty) end
+end
+redis.call('HSET', KEYS[3], 'status', 'ordered', 'orderId', ARGV[2])
+redis.call('HDEL', KEYS[3], 'reason')
+redis.call('ZREM', KEYS[4], ARGV[1])
+return 1
+`;
+
+// 归还库存和限购名额，凭证只会归还一次，返回归还件数
+const RELEASE_SCRIPT = `
+local ticket = redis.call('HMGET', KEYS[4], 'status', 'userId', 'quantity')
+if ticket[1] ~= 'queued' and ticket[1] ~= 'processing' and ticket[1] ~= 'ordered' then return 0 end
+local qty = tonumber(ticket[3])
+if redis.call('EXISTS', KEYS[1]) == 1 then redis.call('INCRBY', KEYS[1], qty) end
+if redis.call('EXISTS', KEYS[2]) == 1 then redis.call('HINCRBY', KEYS[2], ticket[2], -qty) end
+redis.call('HSET', KEYS[4], 'status', ARGV[2], 'reason', ARGV[3], 'finishedAt', ARGV[4])
+redis.call('ZREM', KEYS[3], ARGV[1])
+return qty
+`;
+
+// 结束活动，不再接受抢购
+const CLOSE_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then redis.call('HSET', KEYS[1], 'status', ARGV[1]) end
+return 1
+`;
+
+// 读取剩余库存、买家已抢件数、排队凭证和排队超时的请求
+const STOCK_SCRIPT = `return redis.call('GET', KEYS[1])`;
+const USER_SCRIPT = `return redis.call('HGET', KEYS[1], ARGV[1])`;
+const TICKET_SCRIPT = `return redis.call('HGETALL', KEYS[1])`;
+const STALE_SCRIPT = `return redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, ARGV[2])`;
+
+/**
+ * 活动的 Redis 键，使用同一哈希标签保证集群模式下脚本中的键位于同一节点
+ * @param {number} saleId - 活动ID
+ * @returns {Object} { stock, users, meta, pending }
+ */
+function saleKeys(saleId) {
+  const prefix = `flash_sale:{${saleId}}`;
+  return {
+    stock: `${prefix}:stock`,
+    users: `${prefix}:users`,
+    meta: `${prefix}:meta`,
+    pending: `${prefix}:pending`
+  };
+}
+
+/**
+ * 排队凭证的 Redis 键
+ * @param {number} saleId - 活动ID
+ * @param {string} requestNo - 请求编号
+ * @returns {string} 键
+ */
+function ticketKey(saleId, requestNo) {
+  return `flash_sale:{${saleId}}:request:${requestNo}`;
+}
+
+/**
+ * 将 HGETALL 返回的键值数组转换为对象
+ * @param {Array} reply - [field, value, ...]
+ * @returns {Object|null} 对象，键不存在时返回 null
+ */
+function toHash(reply) {
+  if (!Array.isArray(reply) || reply.length === 0) {
+    return null;
+  }
+  const hash = {};
+  for (let i = 0; i < reply.length; i += 2) {
+    hash[reply[i]] = reply[i + 1];
+  }
+  return hash;
+}
+
+/**
+ * 秒杀库存
+ */
+class FlashSaleStock {
+  /**
+   * 构造函数
+   * @param {Object} cacheClient - Redis客户端实例（需支持 ready 和 evalScript）
+   */
+  constructor(cacheClient) {
+    this.cacheClient = cacheClient;
+  }
+
+  /**
+   * 执行秒杀脚本
+   * @private
+   * @param {string} script - Lua脚本
+   * @param {Array<string>} keys - 键
+   * @param {Array} [args] - 参数
+   * @returns {Promise<any>} 脚本返回值
+   */
+  async _run(script, keys, args = []) {
+    await this.cacheClient.ready();
+    return this.cacheClient.evalScript(script, keys, args);
+  }
+
+  /**
+   * 预热活动库存，force 为 true 时覆盖已有库存（仅在活动开始前使用），否则只在库存不存在时写入
+   * @param {number} saleId - 活动ID
+   * @param {Object} sale - { stock, status, startMs, endMs, limitPerUser, expireAt（秒）, force }
+   * @returns {Promise<number>} 剩余库存
+   */
+  async preload(saleId, sale) {
+    const keys = saleKeys(saleId);
+    const remaining = await this._run(PRELOAD_SCRIPT, [keys.stock, keys.meta], [
+      sale.stock, sale.status, sale.startMs, sale.endMs, sale.limitPerUser, sale.expireAt, sale.force ? '1' : '0'
+    ]);
+    return Number(remaining);
+  }
+
+  /**
+   * 抢购：原子扣减库存和限购名额并生成排队凭证
+   * @param {number} saleId - 活动ID
+   * @param {Object} request - { requestNo, userId, quantity, now（毫秒）, ticketTtl（秒） }
+   * @returns {Promise<Object>} { code, remaining }，code 见 RESERVE_RESULT
+   */
+  async reserve(saleId, request) {
+    const keys = saleKeys(saleId);
+    const [code, remaining] = await this._run(RESERVE_SCRIPT, [
+      keys.stock, keys.users, keys.meta, keys.pending, ticketKey(saleId, request.requestNo)
+    ], [request.userId, request.quantity, request.now, request.requestNo, request.ticketTtl]);
+    return { code: Number(code), remaining: Number(remaining) };
+  }
+
+  /**
+   * 领取排队凭证开始下单
+   * @param {number} saleId - 活动ID
+   * @param {string} requestNo - 请求编号
+   * @param {number} now - 当前时间（毫秒）
+   * @returns {Promise<boolean>} 凭证已失败或已下单时返回 false
+   */
+  async claim(saleId, requestNo, now) {
+    return Number(await this._run(CLAIM_SCRIPT, [ticketKey(saleId, requestNo), saleKeys(saleId).pending], [requestNo, now])) === 1;
+  }
+
+  /**
+   * 记录凭证已下单
+   * @param {number} saleId - 活动ID
+   * @param {string} requestNo - 请求编号
+   * @param {string} orderId - 订单ID
+   * @returns {Promise<number>} 结果码，见 CONFIRM_RESULT
+   */
+  async confirm(saleId, requestNo, orderId) {
+    const keys = saleKeys(saleId);
+    return Number(await this._run(CONFIRM_SCRIPT, [keys.stock, keys.users, ticketKey(saleId, requestNo), keys.pending], [
+      requestNo, String(orderId)
+    ]));
+  }
+
+  /**
+   * 结束凭证并归还库存和限购名额
+   * @param {number} saleId - 活动ID
+   * @param {string} requestNo - 请求编号
+   * @param {Object} result - { status: failed | released, reason, now（毫秒） }
+   * @returns {Promise<number>} 归还件数，已归还过时返回 0
+   */
+  async release(saleId, requestNo, result) {
+    const keys = saleKeys(saleId);
+    return Number(await this._run(RELEASE_SCRIPT, [keys.stock, keys.users, keys.pending, ticketKey(saleId, requestNo)], [
+      requestNo, result.status, result.reason, result.now
+    ]));
+  }
+
+  /**
+   * 更新活动状态（如手动结束），未预热时不处理
+   * @param {number} saleId - 活动ID
+   * @param {string} status - 活动状态
+   * @returns {Promise<void>}
+   */
+  async setStatus(saleId, status) {
+    await this._run(CLOSE_SCRIPT, [saleKeys(saleId).meta], [status]);
+  }
+
+  /**
+   * 读取剩余库存
+   * @param {number} saleId - 活动ID
+   * @returns {Promise<number|null>} 剩余库存，未预热时返回 null
+   */
+  async getStock(saleId) {
+    const stock = await this._run(STOCK_SCRIPT, [saleKeys(saleId).stock]);
+    return stock === null || stock === undefined ? null : Number(stock);
+  }
+
+  /**
+   * 读取买家已抢件数
+   * @param {number} saleId - 活动ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<number>} 件数
+   */
+  async getUserQuantity(saleId, userId) {
+    return Number(await this._run(USER_SCRIPT, [saleKeys(saleId).users], [userId]) || 0);
+  }
+
+  /**
+   * 读取排队凭证
+   * @param {number} saleId - 活动ID
+   * @param {string} requestNo - 请求编号
+   * @returns {Promise<Object|null>} 凭证，不存在时返回 null
+   */
+  async getTicket(saleId, requestNo) {
+    return toHash(await this._run(TICKET_SCRIPT, [ticketKey(saleId, requestNo)]));
+  }
+
+  /**
+   * 查询最近处理时间早于指定时间的排队请求
+   * @param {number} saleId - 活动ID
+   * @param {number} before - 时间上限（毫秒）
+   * @param {number} limit - 数量
+   * @returns {Promise<Array<string>>} 请求编号
+   */
+  async getStaleRequests(saleId, before, limit) {
+    return (await this._run(STALE_SCRIPT, [saleKeys(saleId).pending], [before, limit])) || [];
+  }
+}
+
+module.exports = FlashSaleStock;
+module.exports.RESERVE_RESULT = RESERVE_RESULT;
+module.exports.CONFIRM_RESULT = CONFIRM_RESULT;
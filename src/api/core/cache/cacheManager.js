@@ -19,8 +19,8 @@ const localCacheTtl = new Map();
  */
 async function initialize() {
   try {
-    // 初始化Redis客户端
-    await redisClient.init();
+    // 初始化Redis客户端（与其他模块共用同一次初始化）
+    await redisClient.ready();
     
     logger.info('Redis缓存管理器初始化成功');
     
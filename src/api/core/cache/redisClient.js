@@ -3,9 +3,10 @@
  * 提供Redis连接和操作功能
  */
 
+const crypto = require('crypto');
 const redis = require('redis');
 const logger = require('../utils/logger');
-const config = require('../../config/config');
+const { config } = require('../../config/config');
 
 class RedisClient {
   constructor() {
@@ -17,6 +18,9 @@ class RedisClient {
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 1000;
     this.config = this.loadConfig();
+    this.initPromise = null;
+    this.scriptShas = new Map();
+    this.isMock = false;
   }
 
   /**
@@ -47,34 +51,34 @@ class RedisClient {
    */
   async init() {
     try {
-      // 创建主要客户端
-      this.client = redis.createClient({
-        ...this.config,
+      // node-redis v4 通过 socket 指定地址，password 为空时不发送 AUTH
+      const clientOptions = {
+        socket: {
+          host: this.config.host,
+          port: this.config.port,
+          reconnectStrategy: (times) => this.config.retryStrategy(times) || new Error('Redis重连次数超过限制')
+        },
+        password: this.config.password || undefined,
+        database: this.config.db,
         legacyMode: true
-      });
+      };
+
+      // 创建主要客户端
+      this.client = redis.createClient(clientOptions);
 
       // 创建发布订阅客户端
-      this.pubClient = redis.createClient({
-        ...this.config,
-        legacyMode: true
-      });
+      this.pubClient = redis.createClient(clientOptions);
 
-      this.subClient = redis.createClient({
-        ...this.config,
-        legacyMode: true
-      });
+      this.subClient = redis.createClient(clientOptions);
 
-      // 等待连接
-      await this.connectClient(this.client);
-      await this.connectClient(this.pubClient);
-      await this.connectClient(this.subClient);
+      // 先注册事件处理器，避免连接失败时未处理的 error 事件
+      this.setupEventHandlers();
 
-      // 转换为Promise API
+      // 建立连接（connect 在连接就绪后返回）
       await this.client.connect();
       await this.pubClient.connect();
       await this.subClient.connect();
 
-      this.setupEventHandlers();
       this.isConnected = true;
       logger.info('Redis客户端初始化成功');
       
@@ -88,13 +92,14 @@ class RedisClient {
   }
 
   /**
-   * 连接客户端
+   * 确保客户端已初始化，多次调用只初始化一次
+   * @returns {Promise<RedisClient>} 客户端实例
    */
-  async connectClient(client) {
-    return new Promise((resolve, reject) => {
-      client.once('connect', resolve);
-      client.once('error', reject);
-    });
+  async ready() {
+    if (!this.initPromise) {
+      this.initPromise = this.init();
+    }
+    return this.initPromise;
   }
 
   /**
@@ -121,6 +126,13 @@ class RedisClient {
       logger.info('Redis客户端连接已关闭');
       this.isConnected = false;
     });
+
+    // 发布订阅客户端事件
+    [this.pubClient, this.subClient].forEach((client) => {
+      client.on('error', (error) => {
+        logger.error('Redis发布订阅客户端错误:', error);
+      });
+    });
   }
 
   /**
@@ -206,6 +218,10 @@ class RedisClient {
         return 0;
       },
       smembers: async (key) => mockData[key] ? Array.from(mockData[key]) : [],
+      // 模拟客户端无法执行Lua脚本，依赖原子脚本的功能（如秒杀库存）在此模式下不可用
+      eval: async () => {
+        throw new Error('模拟Redis客户端不支持Lua脚本');
+      },
       connect: async () => Promise.resolve(),
       disconnect: async () => Promise.resolve()
     };
@@ -218,7 +234,8 @@ class RedisClient {
         if (mockSubscriptions.has(channel)) {
           mockSubscriptions.get(channel).forEach(callback => {
             try {
-              callback(channel, message);
+              // 与真实客户端的监听函数参数一致：(message, channel)
+              callback(message, channel);
             } catch (error) {
               logger.error('订阅回调执行失败:', error);
             }
@@ -247,6 +264,7 @@ class RedisClient {
     };
 
     this.isConnected = true;
+    this.isMock = true;
   }
 
   /**
@@ -487,13 +505,50 @@ class RedisClient {
     }
   }
 
+  /**
+   * 执行Lua脚本，脚本在Redis中原子执行
+   * 优先按SHA1执行已缓存的脚本，Redis未缓存（NOSCRIPT）时发送脚本原文执行并缓存
+   * @param {string} script - Lua脚本
+   * @param {Array<string>} [keys] - 脚本使用的键（KEYS）
+   * @param {Array<string|number>} [args] - 脚本参数（ARGV）
+   * @returns {Promise<any>} 脚本返回值
+   */
+  async evalScript(script, keys = [], args = []) {
+    const options = { keys: keys.map(String), arguments: args.map(String) };
+    // legacyMode 下通过 v4 使用 Promise API
+    const client = this.client && this.client.v4 ? this.client.v4 : this.client;
+    if (!client) {
+      throw new Error('Redis客户端未初始化');
+    }
+    if (typeof client.evalSha !== 'function') {
+      return client.eval(script, options);
+    }
+
+    let sha = this.scriptShas.get(script);
+    if (!sha) {
+      sha = crypto.createHash('sha1').update(script).digest('hex');
+      this.scriptShas.set(script, sha);
+    }
+    try {
+      return await client.evalSha(sha, options);
+    } catch (error) {
+      if (error && String(error.message).startsWith('NOSCRIPT')) {
+        return client.eval(script, options);
+      }
+      logger.error('Redis 执行脚本失败:', error);
+      throw error;
+    }
+  }
+
   /**
    * 发布消息
    */
   async publish(channel, message) {
     try {
       const msgStr = typeof message === 'string' ? message : JSON.stringify(message);
-      return await this.pubClient.publish(channel, msgStr);
+      // legacyMode 下的 publish 不走 Promise，通过 v4 调用
+      const pubClient = this.pubClient.v4 || this.pubClient;
+      return await pubClient.publish(channel, msgStr);
     } catch (error) {
       logger.error(`Redis publish操作失败 (${channel}):`, error);
       throw error;
@@ -505,7 +560,9 @@ class RedisClient {
    */
   async subscribe(channel, callback) {
     try {
-      return await this.subClient.subscribe(channel, (message, channelName) => {
+      // legacyMode 下的 subscribe 不会进入订阅模式，必须通过 v4 订阅并注册监听函数
+      const subClient = this.subClient.v4 || this.subClient;
+      return await subClient.subscribe(channel, (message, channelName) => {
         try {
           // 尝试解析JSON
           let parsedMessage = message;
@@ -532,7 +589,8 @@ class RedisClient {
    */
   async unsubscribe(channel) {
     try {
-      return await this.subClient.unsubscribe(channel);
+      const subClient = this.subClient.v4 || this.subClient;
+      return await subClient.unsubscribe(channel);
     } catch (error) {
       logger.error(`Redis unsubscribe操作失败 (${channel}):`, error);
       throw error;
@@ -588,11 +646,12 @@ class RedisClient {
 // 创建单例实例
 const redisClient = new RedisClient();
 
-// 导出初始化函数和实例
+// 导出初始化函数和实例；RedisClient 用于需要独立连接的场景（如多实例集成测试）
 module.exports = {
   redisClient,
+  RedisClient,
   initRedis: async () => {
-    await redisClient.init();
+    await redisClient.ready();
     return redisClient;
   }
 };
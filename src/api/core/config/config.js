@@ -105,6 +105,32 @@ const config = {
     timeout: process.env.API_TIMEOUT || 30000 // 30秒
   },
 
+  // 在线支付配置
+  payment: {
+    defaultCurrency: process.env.PAYMENT_DEFAULT_CURRENCY || 'CNY',
+    notifyBaseUrl: process.env.PAYMENT_NOTIFY_BASE_URL || `http://127.0.0.1:${process.env.PORT || 3000}`, // 支付通知回调地址前缀
+    fakeGateway: process.env.PAYMENT_FAKE_GATEWAY === 'true', // 使用模拟支付网关（非生产环境）
+    wechatPay: {
+      enabled: process.env.WECHAT_PAY_ENABLED === 'true',
+      appId: process.env.WECHAT_APPID || '',
+      mchId: process.env.WECHAT_MCH_ID || '',
+      serialNo: process.env.WECHAT_PAY_SERIAL_NO || '', // 商户API证书序列号
+      privateKey: process.env.WECHAT_PAY_PRIVATE_KEY_PATH || '', // 商户API私钥
+      apiV3Key: process.env.WECHAT_PAY_API_V3_KEY || '',
+      platformPublicKey: process.env.WECHAT_PAY_PLATFORM_CERT_PATH || '', // 微信支付平台证书或公钥
+      platformSerialNo: process.env.WECHAT_PAY_PLATFORM_SERIAL_NO || '',
+      baseUrl: process.env.WECHAT_PAY_BASE_URL || 'https://api.mch.weixin.qq.com'
+    },
+    alipay: {
+      enabled: process.env.ALIPAY_ENABLED === 'true',
+      appId: process.env.ALIPAY_APP_ID || '',
+      privateKey: process.env.ALIPAY_PRIVATE_KEY_PATH || '', // 应用私钥
+      alipayPublicKey: process.env.ALIPAY_PUBLIC_KEY_PATH || '', // 支付宝公钥
+      gateway: process.env.ALIPAY_GATEWAY || 'https://openapi.alipay.com/gateway.do',
+      returnUrl: process.env.ALIPAY_RETURN_URL || ''
+    }
+  },
+
   // 外部服务配置
   externalServices: {
     email: {
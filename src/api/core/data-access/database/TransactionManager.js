@@ -6,8 +6,8 @@
 const logger = require('../../utils/logger');
 const { AppError } = require('../../exception/handlers/errorHandler');
 const { TransactionError } = require('../../exception/handlers/errorHandler');
-const { EventBus } = require('../../events/EventBus');
-const { TimerUtils } = require('../../utils/timer/TimerUtils');
+const EventBus = require('../../events/EventBus');
+const TimerUtils = require('../../utils/timer/TimerUtils');
 
 /**
  * 事务隔离级别
@@ -108,9 +108,13 @@ class TransactionManager {
         name,
         timeoutTimer: null,
         operations: 0,
-        error: null
+        error: null,
+        rollbackHandlers: []
       };
 
+      // 供仓库层登记补偿操作，用于回滚非数据库资源（缓存、内存数据等）
+      transaction.onRollback = (handler) => this.onRollback(transaction, handler);
+
       // 设置隔离级别
       if (isolationLevel && connection.setIsolationLevel) {
         await connection.setIsolationLevel(isolationLevel);
@@ -136,7 +140,7 @@ class TransactionManager {
 
       // 设置事务超时
       if (timeout > 0) {
-        transaction.timeoutTimer = this.timerUtils.setTimeout(() => {
+        transaction.timeoutTimer = this.timerUtils.createTimeout(() => {
           this._handleTransactionTimeout(transaction);
         }, timeout);
       }
@@ -299,6 +303,9 @@ class TransactionManager {
         logger.warn('不支持的连接接口，无法显式回滚', { transactionId });
       }
 
+      // 执行补偿操作
+      await this._runRollbackHandlers(transaction);
+
       // 更新事务状态
       transaction.state = TransactionState.ROLLED_BACK;
       transaction.endTime = Date.now();
@@ -389,7 +396,7 @@ class TransactionManager {
         });
 
         // 延迟后重试
-        await this.timerUtils.sleep(retryDelay);
+        await TimerUtils.sleep(retryDelay);
 
         // 递归重试
         return this.executeInTransaction(operation, {
@@ -433,6 +440,22 @@ class TransactionManager {
     }, options);
   }
 
+  /**
+   * 登记事务回滚时执行的补偿操作
+   * 数据库之外的资源无法随数据库事务回滚，由调用方登记补偿逻辑，回滚时按登记的逆序执行
+   * @param {Object} transaction - 事务对象
+   * @param {Function} handler - 补偿函数
+   * @returns {TransactionManager} 事务管理器实例
+   */
+  onRollback(transaction, handler) {
+    if (!transaction || !this.activeTransactions.has(transaction.id)) {
+      throw new AppError('INVALID_TRANSACTION', '无效的事务对象', 400);
+    }
+
+    transaction.rollbackHandlers.push(handler);
+    return this;
+  }
+
   /**
    * 获取活动事务数量
    * @returns {number} 活动事务数量
@@ -509,6 +532,26 @@ class TransactionManager {
     );
   }
 
+  /**
+   * 逆序执行回滚补偿操作，单个补偿失败不影响其余补偿
+   * @private
+   * @param {Object} transaction - 事务对象
+   * @returns {Promise<void>}
+   */
+  async _runRollbackHandlers(transaction) {
+    const handlers = transaction.rollbackHandlers || [];
+
+    for (let i = handlers.length - 1; i >= 0; i--) {
+      try {
+        await handlers[i]();
+      } catch (error) {
+        logger.error('执行事务补偿操作失败', { transactionId: transaction.id, error: error.message });
+      }
+    }
+
+    transaction.rollbackHandlers = [];
+  }
+
   /**
    * 生成事务ID
    * @private
@@ -611,7 +654,9 @@ class TransactionManager {
    */
   _emitEvent(eventType, data) {
     if (this.options.enableEvents) {
-      this.eventBus.emit(eventType, data);
+      this.eventBus.publish(eventType, data).catch(error => {
+        logger.warn('发布事务事件失败', { eventType, error: error.message });
+      });
     }
   }
 
@@ -623,7 +668,7 @@ class TransactionManager {
    */
   on(eventType, listener) {
     if (this.options.enableEvents) {
-      this.eventBus.on(eventType, listener);
+      this.eventBus.subscribe(eventType, listener);
     }
     return this;
   }
@@ -631,12 +676,12 @@ class TransactionManager {
   /**
    * 移除事务事件监听器
    * @param {string} eventType - 事件类型
-   * @param {Function} listener - 监听器函数
+   * @param {string} listener - 订阅时返回的监听器ID
    * @returns {TransactionManager} 事务管理器实例
    */
   off(eventType, listener) {
     if (this.options.enableEvents) {
-      this.eventBus.off(eventType, listener);
+      this.eventBus.unsubscribe(eventType, listener);
     }
     return this;
   }
@@ -65,6 +65,18 @@ class ServerError extends AppError {
   }
 }
 
+/**
+ * 事务错误类
+ * 保留导致事务失败的原始错误，便于业务层还原错误信息
+ */
+class TransactionError extends AppError {
+  constructor(message, originalError = null, details = null) {
+    super(500, message || '事务执行失败', 500);
+    this.originalError = originalError;
+    this.details = details;
+  }
+}
+
 /**
  * 错误处理中间件
  * @param {Error} err - 错误对象
@@ -134,4 +146,5 @@ module.exports.ValidationError = ValidationError;
 module.exports.AuthenticationError = AuthenticationError;
 module.exports.AuthorizationError = AuthorizationError;
 module.exports.NotFoundError = NotFoundError;
-module.exports.ServerError = ServerError;
\ No newline at end of file
+module.exports.ServerError = ServerError;
+module.exports.TransactionError = TransactionError;
\ No newline at end of file
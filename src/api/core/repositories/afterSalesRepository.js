@@ -0,0 +1,431 @@
+/**
+ * 售后数据仓库
+ * 售后单记录买家的仅退款、退货退款、换货申请，按商品行记录申请数量和退款金额，
+ * 每次状态流转在 after_sales_logs 中追加一条日志。
+ * 所有写操作均在调用方的事务连接上执行。
+ *
+ * 数据表：
+ * - after_sales_requests：售后单（request_no, order_id, user_id, seller_id, type, status, reason, description, images,
+ *   refund_amount, approved_amount, order_amount, payment_transaction_id, payment_method, reject_reason, seller_remark,
+ *   return_logistics_company, return_tracking_no, return_shipped_at, return_received_at,
+ *   exchange_logistics_company, exchange_tracking_no, exchange_shipped_at, seller_deadline,
+ *   refund_attempts, refund_id, refund_fail_reason, refunded_at, completed_at），request_no 唯一
+ * - after_sales_items：售后商品行（request_id, order_id, line_index, product_id, sku_id, name, quantity, refund_amount）
+ * - after_sales_logs：状态流转日志（request_id, from_status, to_status, action, operator_type, operator_id, remark）
+ * - after_sales_order_locks：订单级互斥锁（order_id 唯一），同一订单的售后申请串行创建
+ */
+
+const logger = require('../utils/logger');
+
+// 不再占用订单可售后数量的售后状态
+const RELEASED_STATUSES = ['rejected', 'canceled'];
+
+class AfterSalesRepository {
+  /**
+   * 锁定订单的售后记录，同一订单并发提交售后申请时串行执行
+   * @param {Object} connection - 事务连接
+   * @param {string} orderId - 订单ID
+   * @returns {Promise<void>}
+   */
+  async lockOrder(connection, orderId) {
+    try {
+      await connection.query(
+        'INSERT IGNORE INTO after_sales_order_locks (order_id, created_at) VALUES (?, NOW())',
+        [orderId]
+      );
+      await connection.query(
+        'SELECT order_id FROM after_sales_order_locks WHERE order_id = ? FOR UPDATE',
+        [orderId]
+      );
+    } catch (error) {
+      logger.error('锁定订单售后记录失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 汇总订单各商品行已申请退款的数量和退款金额（不含换货以及已拒绝、已撤销的售后单）
+   * @param {Object} connection - 数据库连接
+   * @param {string} orderId - 订单ID
+   * @returns {Promise<Array>} [{ line_index, quantity, refund_amount }]
+   */
+  async getAllocatedLines(connection, orderId) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT i.line_index, SUM(i.quantity) AS quantity, SUM(i.refund_amount) AS refund_amount
+         FROM after_sales_items i JOIN after_sales_requests r ON i.request_id = r.id
+         WHERE i.order_id = ? AND r.type <> 'exchange' AND r.status NOT IN (?)
+         GROUP BY i.line_index`,
+        [orderId, RELEASED_STATUSES]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('汇总订单售后商品行失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建售后单
+   * @param {Object} connection - 事务连接
+   * @param {Object} request - 售后单
+   * @returns {Promise<number>} 售后单ID
+   */
+  async createRequest(connection, request) {
+    try {
+      const [result] = await connection.query(
+        `INSERT INTO after_sales_requests
+          (request_no, order_id, user_id, seller_id, type, status, reason, description, images,
+           refund_amount, order_amount, payment_transaction_id, payment_method, seller_deadline,
+           refund_attempts, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, NOW(), NOW())`,
+        [
+          request.requestNo,
+          request.orderId,
+          request.userId,
+          request.sellerId,
+          request.type,
+          request.status,
+          request.reason,
+          request.description,
+          JSON.stringify(request.images || []),
+          request.refundAmount,
+          request.orderAmount,
+          request.paymentTransactionId,
+          request.paymentMethod,
+          request.sellerDeadline
+        ]
+      );
+
+      return result.insertId;
+    } catch (error) {
+      logger.error('创建售后单失败', { orderId: request.orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 写入售后商品行
+   * @param {Object} connection - 事务连接
+   * @param {number} requestId - 售后单ID
+   * @param {Array} items - 售后商品行
+   * @returns {Promise<void>}
+   */
+  async createItems(connection, requestId, items) {
+    try {
+      const values = items.map(item => [
+        requestId,
+        item.orderId,
+        item.lineIndex,
+        item.productId,
+        item.skuId,
+        item.name,
+        item.quantity,
+        item.refundAmount
+      ]);
+
+      await connection.query(
+        `INSERT INTO after_sales_items
+          (request_id, order_id, line_index, product_id, sku_id, name, quantity, refund_amount)
+         VALUES ?`,
+        [values]
+      );
+    } catch (error) {
+      logger.error('写入售后商品行失败', { requestId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取售后单
+   * @param {Object} connection - 数据库连接
+   * @param {number} requestId - 售后单ID
+   * @param {boolean} [forUpdate=false] - 是否加行锁
+   * @returns {Promise<Object|null>} 售后单
+   */
+  async getRequest(connection, requestId, forUpdate = false) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT * FROM after_sales_requests WHERE id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+        [requestId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('获取售后单失败', { requestId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取售后商品行
+   * @param {Object} connection - 数据库连接
+   * @param {number} requestId - 售后单ID
+   * @returns {Promise<Array>} 售后商品行
+   */
+  async getItems(connection, requestId) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT * FROM after_sales_items WHERE request_id = ? ORDER BY line_index',
+        [requestId]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('获取售后商品行失败', { requestId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按当前状态更新售后单状态，状态已被其他操作改变时不更新
+   * @param {Object} connection - 事务连接
+   * @param {number} requestId - 售后单ID
+   * @param {string} fromStatus - 当前状态
+   * @param {string} toStatus - 目标状态
+   * @param {Object} [fields] - 同时更新的字段（列名 => 值）
+   * @returns {Promise<boolean>} 是否更新成功
+   */
+  async updateStatus(connection, requestId, fromStatus, toStatus, fields = {}) {
+    try {
+      const columns = Object.keys(fields);
+      const assignments = columns.map(column => `${column} = ?`);
+
+      const [result] = await connection.query(
+        `UPDATE after_sales_requests
+         SET status = ?, ${assignments.length ? `${assignments.join(', ')}, ` : ''}updated_at = NOW()
+         WHERE id = ? AND status = ?`,
+        [toStatus, ...columns.map(column => fields[column]), requestId, fromStatus]
+      );
+
+      return result.affectedRows === 1;
+    } catch (error) {
+      logger.error('更新售后单状态失败', { requestId, fromStatus, toStatus, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 追加售后状态流转日志
+   * @param {Object} connection - 事务连接
+   * @param {Object} log - { requestId, fromStatus, toStatus, action, operatorType, operatorId, remark }
+   * @returns {Promise<void>}
+   */
+  async addLog(connection, log) {
+    try {
+      await connection.query(
+        `INSERT INTO after_sales_logs
+          (request_id, from_status, to_status, action, operator_type, operator_id, remark, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [
+          log.requestId,
+          log.fromStatus,
+          log.toStatus,
+          log.action,
+          log.operatorType,
+          log.operatorId,
+          log.remark
+        ]
+      );
+    } catch (error) {
+      logger.error('写入售后日志失败', { requestId: log.requestId, action: log.action, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取售后状态流转日志
+   * @param {Object} connection - 数据库连接
+   * @param {number} requestId - 售后单ID
+   * @returns {Promise<Array>} 日志列表
+   */
+  async getLogs(connection, requestId) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT * FROM after_sales_logs WHERE request_id = ? ORDER BY id',
+        [requestId]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('获取售后日志失败', { requestId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询售后单
+   * @param {Object} connection - 数据库连接
+   * @param {Object} query - { userId, sellerId, orderId, type, status, startDate, endDate }
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 限制数量
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async getRequests(connection, query, offset, limit) {
+    try {
+      let where = 'WHERE 1 = 1';
+      const params = [];
+
+      if (query.userId) {
+        where += ' AND user_id = ?';
+        params.push(query.userId);
+      }
+      if (query.sellerId) {
+        where += ' AND seller_id = ?';
+        params.push(query.sellerId);
+      }
+      if (query.orderId) {
+        where += ' AND order_id = ?';
+        params.push(query.orderId);
+      }
+      if (query.type) {
+        where += ' AND type = ?';
+        params.push(query.type);
+      }
+      if (query.status) {
+        where += ' AND status = ?';
+        params.push(query.status);
+      }
+      if (query.startDate) {
+        where += ' AND created_at >= ?';
+        params.push(query.startDate);
+      }
+      if (query.endDate) {
+        where += ' AND created_at <= ?';
+        params.push(query.endDate);
+      }
+
+      const [rows] = await connection.query(
+        `SELECT * FROM after_sales_requests ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const [countRows] = await connection.query(
+        `SELECT COUNT(*) AS total FROM after_sales_requests ${where}`,
+        params
+      );
+
+      return { rows, total: Number(countRows[0].total) };
+    } catch (error) {
+      logger.error('查询售后单失败', { ...query, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取订单当前未结束的售后单
+   * @param {Object} connection - 数据库连接
+   * @param {string} orderId - 订单ID
+   * @param {Array} closedStatuses - 已结束的状态
+   * @returns {Promise<Object|null>} 售后单
+   */
+  async getOpenRequestByOrder(connection, orderId, closedStatuses) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT * FROM after_sales_requests WHERE order_id = ? AND status NOT IN (?) ORDER BY id DESC LIMIT 1',
+        [orderId, closedStatuses]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('获取订单售后单失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取卖家处理超时的待审核售后单ID
+   * @param {Object} connection - 数据库连接
+   * @param {Date} now - 当前时间
+   * @param {number} limit - 限制数量
+   * @returns {Promise<Array>} 售后单ID列表
+   */
+  async getOverduePending(connection, now, limit) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT id FROM after_sales_requests
+         WHERE status = 'pending' AND seller_deadline <= ? ORDER BY seller_deadline LIMIT ?`,
+        [now, limit]
+      );
+      return rows.map(row => row.id);
+    } catch (error) {
+      logger.error('获取超时待审核售后单失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取待发起或需要重试退款的售后单ID
+   * @param {Object} connection - 数据库连接
+   * @param {number} maxAttempts - 最大退款尝试次数
+   * @param {number} limit - 限制数量
+   * @returns {Promise<Array>} 售后单ID列表
+   */
+  async getPendingRefunds(connection, maxAttempts, limit) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT id FROM after_sales_requests
+         WHERE refund_attempts < ? AND (
+           status = 'refund_failed'
+           OR (status = 'approved' AND type = 'refund')
+           OR (status = 'return_received' AND type = 'refund_with_return')
+         )
+         ORDER BY updated_at LIMIT ?`,
+        [maxAttempts, limit]
+      );
+      return rows.map(row => row.id);
+    } catch (error) {
+      logger.error('获取待退款售后单失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 统计售后单数量和退款金额
+   * @param {Object} connection - 数据库连接
+   * @param {Object} query - { sellerId, startDate, endDate }
+   * @returns {Promise<Array>} [{ status, count, approved_amount }]
+   */
+  async getStatistics(connection, query) {
+    try {
+      let where = 'WHERE seller_id = ?';
+      const params = [query.sellerId];
+
+      if (query.startDate) {
+        where += ' AND created_at >= ?';
+        params.push(query.startDate);
+      }
+      if (query.endDate) {
+        where += ' AND created_at <= ?';
+        params.push(query.endDate);
+      }
+
+      const [rows] = await connection.query(
+        `SELECT status, COUNT(*) AS count, COALESCE(SUM(approved_amount), 0) AS approved_amount
+         FROM after_sales_requests ${where} GROUP BY status`,
+        params
+      );
+      return rows;
+    } catch (error) {
+      logger.error('统计售后单失败', { sellerId: query.sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 统计用户未结束的售后单数量
+   * @param {Object} connection - 数据库连接
+   * @param {string} userId - 用户ID
+   * @param {Array} closedStatuses - 已结束的状态
+   * @returns {Promise<number>} 售后单数量
+   */
+  async countActiveByUser(connection, userId, closedStatuses) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT COUNT(*) AS total FROM after_sales_requests WHERE user_id = ? AND status NOT IN (?)',
+        [userId, closedStatuses]
+      );
+      return Number(rows[0].total);
+    } catch (error) {
+      logger.error('统计用户售后单失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new AfterSalesRepository();
@@ -0,0 +1,569 @@
+/**
+ * 砍价数据仓库
+ * 卖家或平台按商品 SKU 创建砍价活动；买家发起砍价后生成砍价记录，记录保存发起时的原价、底价、助力人数和每刀砍价区间，
+ * 活动修改只影响之后发起的砍价。好友助力一人一刀，最后一位助力好友砍到底价时砍价成功，买家在下单期限内按底价下单。
+ * 活动库存在发起砍价时占用，砍价失败或成功后未下单过期时归还。所有写操作均在调用方的事务连接上执行。
+ *
+ * 数据表：
+ * - bargain_campaigns：砍价活动（seller_id, product_id, sku_id（无规格为空字符串）, name, original_price, floor_price,
+ *   helper_count, min_cut, max_cut, duration_hours, stock, remaining_stock, limit_per_user, start_time, end_time,
+ *   status, created_by, creator_type, deleted_at）
+ * - bargain_records：砍价记录（record_no 唯一, campaign_id, user_id, seller_id, product_id, sku_id, original_price,
+ *   floor_price, current_price, cut_amount, helper_count, helped_count, min_cut, max_cut, status, expires_at,
+ *   success_at, order_deadline, order_id, finished_at）
+ * - bargain_helps：好友助力（record_id, user_id, cut_amount, price_after, client_ip），(record_id, user_id) 唯一
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * 拼接查询条件
+ * @param {Array} conditions - 条件列表
+ * @returns {string} WHERE 子句
+ */
+function buildWhere(conditions) {
+  return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+// 活动列表字段（含商品名称、主图和店铺名称）
+const CAMPAIGN_COLUMNS = `c.*, p.name AS product_name, p.images AS product_images, p.stock_quantity, s.name AS shop_name`;
+const CAMPAIGN_FROM = `FROM bargain_campaigns c
+         LEFT JOIN products p ON p.id = c.product_id
+         LEFT JOIN shops s ON s.seller_id = c.seller_id`;
+
+// 砍价记录字段（含活动名称、商品和发起人）
+const RECORD_COLUMNS = `r.*, c.name AS campaign_name, p.name AS product_name, p.images AS product_images,
+                u.username, u.phone AS user_phone`;
+const RECORD_FROM = `FROM bargain_records r
+         LEFT JOIN bargain_campaigns c ON c.id = r.campaign_id
+         LEFT JOIN products p ON p.id = r.product_id
+         LEFT JOIN users u ON u.id = r.user_id`;
+
+class BargainRepository {
+  /**
+   * 获取活动商品（含 SKU 价格）
+   * @param {Object} connection - 数据库连接
+   * @param {string} productId - 商品ID
+   * @param {string} [skuId] - SKU ID
+   * @returns {Promise<Object|null>} { id, seller_id, name, price, is_active, sku_id, sku_price }
+   */
+  async getProduct(connection, productId, skuId) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT p.id, p.seller_id, p.name, p.price, p.is_active, sk.id AS sku_id, sk.price AS sku_price
+         FROM products p LEFT JOIN product_skus sk ON sk.product_id = p.id AND sk.id = ?
+         WHERE p.id = ? AND p.deleted_at IS NULL`,
+        [skuId || null, productId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询砍价商品失败', { productId, skuId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建砍价活动
+   * @param {Object} connection - 事务连接
+   * @param {Object} campaign - 活动数据
+   * @returns {Promise<number>} 活动ID
+   */
+  async createCampaign(connection, campaign) {
+    try {
+      const [result] = await connection.query(
+        `INSERT INTO bargain_campaigns
+          (seller_id, product_id, sku_id, name, original_price, floor_price, helper_count, min_cut, max_cut,
+           duration_hours, stock, remaining_stock, limit_per_user, start_time, end_time, status, created_by, creator_type,
+           created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        [
+          campaign.sellerId, campaign.productId, campaign.skuId, campaign.name, campaign.originalPrice,
+          campaign.floorPrice, campaign.helperCount, campaign.minCut, campaign.maxCut, campaign.durationHours,
+          campaign.stock, campaign.stock, campaign.limitPerUser, campaign.startTime, campaign.endTime,
+          campaign.status, campaign.createdBy, campaign.creatorType
+        ]
+      );
+      return result.insertId;
+    } catch (error) {
+      logger.error('创建砍价活动失败', { productId: campaign.productId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 修改砍价活动，活动库存按变化量同步调整剩余库存
+   * @param {Object} connection - 事务连接
+   * @param {number} campaignId - 活动ID
+   * @param {Object} campaign - 活动数据
+   * @param {number} stockDelta - 活动库存变化量
+   * @returns {Promise<void>}
+   */
+  async updateCampaign(connection, campaignId, campaign, stockDelta) {
+    try {
+      await connection.query(
+        `UPDATE bargain_campaigns
+         SET name = ?, original_price = ?, floor_price = ?, helper_count = ?, min_cut = ?, max_cut = ?,
+             duration_hours = ?, stock = ?, remaining_stock = remaining_stock + ?, limit_per_user = ?,
+             start_time = ?, end_time = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [
+          campaign.name, campaign.originalPrice, campaign.floorPrice, campaign.helperCount, campaign.minCut,
+          campaign.maxCut, campaign.durationHours, campaign.stock, stockDelta, campaign.limitPerUser,
+          campaign.startTime, campaign.endTime, campaignId
+        ]
+      );
+    } catch (error) {
+      logger.error('修改砍价活动失败', { campaignId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新活动状态
+   * @param {Object} connection - 事务连接
+   * @param {number} campaignId - 活动ID
+   * @param {string} status - 活动状态
+   * @returns {Promise<void>}
+   */
+  async updateCampaignStatus(connection, campaignId, status) {
+    try {
+      await connection.query(
+        'UPDATE bargain_campaigns SET status = ?, updated_at = NOW() WHERE id = ?',
+        [status, campaignId]
+      );
+    } catch (error) {
+      logger.error('更新砍价活动状态失败', { campaignId, status, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除砍价活动（软删除），已发起的砍价可继续完成
+   * @param {Object} connection - 事务连接
+   * @param {number} campaignId - 活动ID
+   * @returns {Promise<void>}
+   */
+  async deleteCampaign(connection, campaignId) {
+    try {
+      await connection.query(
+        'UPDATE bargain_campaigns SET deleted_at = NOW(), updated_at = NOW() WHERE id = ?',
+        [campaignId]
+      );
+    } catch (error) {
+      logger.error('删除砍价活动失败', { campaignId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取砍价活动
+   * @param {Object} connection - 数据库连接
+   * @param {number} campaignId - 活动ID
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.forUpdate] - 是否加行锁
+   * @returns {Promise<Object|null>} 活动
+   */
+  async getCampaign(connection, campaignId, options = {}) {
+    try {
+      const sql = options.forUpdate
+        ? 'SELECT * FROM bargain_campaigns WHERE id = ? AND deleted_at IS NULL FOR UPDATE'
+        : `SELECT ${CAMPAIGN_COLUMNS} ${CAMPAIGN_FROM} WHERE c.id = ? AND c.deleted_at IS NULL`;
+      const [rows] = await connection.query(sql, [campaignId]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询砍价活动失败', { campaignId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 占用一件活动库存
+   * @param {Object} connection - 事务连接
+   * @param {number} campaignId - 活动ID
+   * @returns {Promise<boolean>} 是否占用成功（库存不足时返回 false）
+   */
+  async takeStock(connection, campaignId) {
+    try {
+      const [result] = await connection.query(
+        `UPDATE bargain_campaigns SET remaining_stock = remaining_stock - 1, updated_at = NOW()
+         WHERE id = ? AND remaining_stock > 0`,
+        [campaignId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('占用砍价活动库存失败', { campaignId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 归还一件活动库存
+   * @param {Object} connection - 事务连接
+   * @param {number} campaignId - 活动ID
+   * @returns {Promise<void>}
+   */
+  async returnStock(connection, campaignId) {
+    try {
+      await connection.query(
+        'UPDATE bargain_campaigns SET remaining_stock = remaining_stock + 1, updated_at = NOW() WHERE id = ?',
+        [campaignId]
+      );
+    } catch (error) {
+      logger.error('归还砍价活动库存失败', { campaignId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询砍价活动
+   * @param {Object} connection - 数据库连接
+   * @param {Object} filters - { sellerId, keyword, state, startDate, endDate }
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 数量
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async findCampaigns(connection, filters, offset, limit) {
+    try {
+      const conditions = ['c.deleted_at IS NULL'];
+      const params = [];
+      if (filters.sellerId) {
+        conditions.push('c.seller_id = ?');
+        params.push(filters.sellerId);
+      }
+      if (filters.keyword) {
+        conditions.push('(c.name LIKE ? OR p.name LIKE ?)');
+        params.push(`%${filters.keyword}%`, `%${filters.keyword}%`);
+      }
+      // 活动状态：未开始、进行中、已结束（到期或手动结束）
+      if (filters.state === 'not_started') {
+        conditions.push("c.status = 'active' AND c.start_time > NOW()");
+      } else if (filters.state === 'ongoing') {
+        conditions.push("c.status = 'active' AND c.start_time <= NOW() AND c.end_time > NOW()");
+      } else if (filters.state === 'ended') {
+        conditions.push("(c.status = 'closed' OR c.end_time <= NOW())");
+      }
+      if (filters.startDate) {
+        conditions.push('c.end_time >= ?');
+        params.push(filters.startDate);
+      }
+      if (filters.endDate) {
+        conditions.push('c.start_time <= ?');
+        params.push(filters.endDate);
+      }
+      const where = buildWhere(conditions);
+
+      const [rows] = await connection.query(
+        `SELECT ${CAMPAIGN_COLUMNS} ${CAMPAIGN_FROM} ${where} ORDER BY c.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const [[count]] = await connection.query(
+        `SELECT COUNT(*) AS total FROM bargain_campaigns c LEFT JOIN products p ON p.id = c.product_id ${where}`,
+        params
+      );
+
+      return { rows, total: Number(count.total) };
+    } catch (error) {
+      logger.error('查询砍价活动列表失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 统计活动的砍价记录
+   * @param {Object} connection - 数据库连接
+   * @param {Array<number>} campaignIds - 活动ID列表
+   * @returns {Promise<Array>} [{ campaign_id, status, count }]
+   */
+  async countRecordsByStatus(connection, campaignIds) {
+    if (campaignIds.length === 0) {
+      return [];
+    }
+    try {
+      const [rows] = await connection.query(
+        `SELECT campaign_id, status, COUNT(*) AS count FROM bargain_records
+         WHERE campaign_id IN (?) GROUP BY campaign_id, status`,
+        [campaignIds]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('统计砍价记录失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 统计买家在活动中占用名额的砍价记录（进行中、已成功、已下单）
+   * @param {Object} connection - 事务连接
+   * @param {number} campaignId - 活动ID
+   * @param {string} userId - 用户ID
+   * @param {Array<string>} statuses - 占用名额的状态
+   * @returns {Promise<Array>} 砍价记录
+   */
+  async getUserRecords(connection, campaignId, userId, statuses) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT id, record_no, status FROM bargain_records WHERE campaign_id = ? AND user_id = ? AND status IN (?)',
+        [campaignId, userId, statuses]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('查询买家砍价记录失败', { campaignId, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建砍价记录
+   * @param {Object} connection - 事务连接
+   * @param {Object} record - 砍价记录
+   * @returns {Promise<number>} 记录ID
+   */
+  async createRecord(connection, record) {
+    try {
+      const [result] = await connection.query(
+        `INSERT INTO bargain_records
+          (record_no, campaign_id, user_id, seller_id, product_id, sku_id, original_price, floor_price, current_price,
+           cut_amount, helper_count, helped_count, min_cut, max_cut, status, expires_at, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, 0, ?, ?, ?, ?, NOW(), NOW())`,
+        [
+          record.recordNo, record.campaignId, record.userId, record.sellerId, record.productId, record.skuId,
+          record.originalPrice, record.floorPrice, record.originalPrice, record.helperCount, record.minCut,
+          record.maxCut, record.status, record.expiresAt
+        ]
+      );
+      return result.insertId;
+    } catch (error) {
+      logger.error('创建砍价记录失败', { campaignId: record.campaignId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取砍价记录
+   * @param {Object} connection - 数据库连接
+   * @param {string} recordNo - 砍价编号
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.forUpdate] - 是否加行锁
+   * @returns {Promise<Object|null>} 砍价记录
+   */
+  async getRecordByNo(connection, recordNo, options = {}) {
+    try {
+      const sql = options.forUpdate
+        ? 'SELECT * FROM bargain_records WHERE record_no = ? FOR UPDATE'
+        : `SELECT ${RECORD_COLUMNS} ${RECORD_FROM} WHERE r.record_no = ?`;
+      const [rows] = await connection.query(sql, [recordNo]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询砍价记录失败', { recordNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按订单获取砍价记录
+   * @param {Object} connection - 事务连接
+   * @param {string} orderId - 订单ID
+   * @returns {Promise<Object|null>} 砍价记录（加行锁）
+   */
+  async getRecordByOrder(connection, orderId) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT * FROM bargain_records WHERE order_id = ? FOR UPDATE',
+        [orderId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('按订单查询砍价记录失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 记录一次助力后的砍价进度
+   * @param {Object} connection - 事务连接
+   * @param {number} recordId - 记录ID
+   * @param {Object} progress - { currentPrice, cutAmount, helpedCount, status, successAt, orderDeadline }
+   * @returns {Promise<void>}
+   */
+  async updateProgress(connection, recordId, progress) {
+    try {
+      await connection.query(
+        `UPDATE bargain_records
+         SET current_price = ?, cut_amount = ?, helped_count = ?, status = ?, success_at = ?, order_deadline = ?,
+             updated_at = NOW()
+         WHERE id = ?`,
+        [
+          progress.currentPrice, progress.cutAmount, progress.helpedCount, progress.status,
+          progress.successAt || null, progress.orderDeadline || null, recordId
+        ]
+      );
+    } catch (error) {
+      logger.error('更新砍价进度失败', { recordId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新砍价记录状态
+   * @param {Object} connection - 事务连接
+   * @param {number} recordId - 记录ID
+   * @param {string} status - 状态
+   * @param {Object} [fields] - { orderId, finished }，orderId 为 null 时清除关联订单
+   * @returns {Promise<void>}
+   */
+  async updateRecordStatus(connection, recordId, status, fields = {}) {
+    try {
+      const sets = ['status = ?', 'updated_at = NOW()'];
+      const params = [status];
+      if (fields.orderId !== undefined) {
+        sets.push('order_id = ?');
+        params.push(fields.orderId);
+      }
+      if (fields.finished) {
+        sets.push('finished_at = NOW()');
+      }
+      await connection.query(`UPDATE bargain_records SET ${sets.join(', ')} WHERE id = ?`, [...params, recordId]);
+    } catch (error) {
+      logger.error('更新砍价记录状态失败', { recordId, status, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询砍价记录
+   * @param {Object} connection - 数据库连接
+   * @param {Object} filters - { campaignId, userId, sellerId, status }
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 数量
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async findRecords(connection, filters, offset, limit) {
+    try {
+      const conditions = [];
+      const params = [];
+      for (const [field, column] of [['campaignId', 'campaign_id'], ['userId', 'user_id'], ['sellerId', 'seller_id'], ['status', 'status']]) {
+        if (filters[field]) {
+          conditions.push(`r.${column} = ?`);
+          params.push(filters[field]);
+        }
+      }
+      const where = buildWhere(conditions);
+
+      const [rows] = await connection.query(
+        `SELECT ${RECORD_COLUMNS} ${RECORD_FROM} ${where} ORDER BY r.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const [[count]] = await connection.query(`SELECT COUNT(*) AS total FROM bargain_records r ${where}`, params);
+
+      return { rows, total: Number(count.total) };
+    } catch (error) {
+      logger.error('查询砍价记录列表失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 查询已到期的砍价记录：进行中且超过砍价时限，或已成功且超过下单期限
+   * @param {Object} connection - 数据库连接
+   * @param {Date} now - 当前时间
+   * @param {number} limit - 数量
+   * @returns {Promise<Array>} [{ id, record_no, status }]
+   */
+  async findExpiredRecords(connection, now, limit) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT id, record_no, status FROM bargain_records
+         WHERE (status = 'in_progress' AND expires_at <= ?) OR (status = 'success' AND order_deadline <= ?)
+         ORDER BY id ASC LIMIT ?`,
+        [now, now, limit]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('查询到期砍价记录失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 记录好友助力，同一好友对同一砍价只能助力一次
+   * @param {Object} connection - 事务连接
+   * @param {Object} help - { recordId, userId, cutAmount, priceAfter, clientIp }
+   * @returns {Promise<boolean>} 是否新增（已助力过时返回 false）
+   */
+  async createHelp(connection, help) {
+    try {
+      const [result] = await connection.query(
+        `INSERT IGNORE INTO bargain_helps (record_id, user_id, cut_amount, price_after, client_ip, created_at)
+         VALUES (?, ?, ?, ?, ?, NOW())`,
+        [help.recordId, help.userId, help.cutAmount, help.priceAfter, help.clientIp]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('记录砍价助力失败', { recordId: help.recordId, userId: help.userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取砍价的助力记录
+   * @param {Object} connection - 数据库连接
+   * @param {number} recordId - 记录ID
+   * @returns {Promise<Array>} 助力记录（含好友用户名）
+   */
+  async getHelps(connection, recordId) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT h.user_id, h.cut_amount, h.price_after, h.created_at, u.username, u.phone AS user_phone
+         FROM bargain_helps h LEFT JOIN users u ON u.id = h.user_id
+         WHERE h.record_id = ? ORDER BY h.id ASC`,
+        [recordId]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('查询砍价助力记录失败', { recordId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 统计好友自某时间起的助力次数
+   * @param {Object} connection - 事务连接
+   * @param {string} userId - 用户ID
+   * @param {Date} since - 起始时间
+   * @returns {Promise<number>} 助力次数
+   */
+  async countUserHelpsSince(connection, userId, since) {
+    try {
+      const [[row]] = await connection.query(
+        'SELECT COUNT(*) AS count FROM bargain_helps WHERE user_id = ? AND created_at >= ?',
+        [userId, since]
+      );
+      return Number(row.count);
+    } catch (error) {
+      logger.error('统计好友助力次数失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 统计同一IP对同一砍价的助力次数
+   * @param {Object} connection - 事务连接
+   * @param {number} recordId - 记录ID
+   * @param {string} clientIp - 客户端IP
+   * @returns {Promise<number>} 助力次数
+   */
+  async countIpHelps(connection, recordId, clientIp) {
+    try {
+      const [[row]] = await connection.query(
+        'SELECT COUNT(*) AS count FROM bargain_helps WHERE record_id = ? AND client_ip = ?',
+        [recordId, clientIp]
+      );
+      return Number(row.count);
+    } catch (error) {
+      logger.error('统计IP助力次数失败', { recordId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new BargainRepository();
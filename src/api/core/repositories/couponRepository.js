@@ -0,0 +1,829 @@
+/**
+ * 优惠券数据仓库
+ * 平台或卖家创建优惠券模板，设置券类型、适用范围、发放总量和每人限领；买家通过领取、平台定向发放、注册、生日和兑换码获得优惠券。
+ * 下单时锁定所选优惠券，支付后核销，订单取消或超时关闭时恢复为未使用（已过有效期的记为已过期）。
+ * 所有写操作均在调用方的事务连接上执行。
+ *
+ * 数据表：
+ * - coupon_templates：优惠券模板（seller_id（平台券为空）, name, type, amount, threshold, discount_rate, max_discount,
+ *   scope, scope_ids, issue_type, total_quantity（0 不限）, issued_count, used_count, per_user_limit, claim_start_time,
+ *   claim_end_time, valid_type, valid_start_time, valid_end_time, valid_days, description, status, created_by, creator_type）
+ * - user_coupons：买家优惠券（coupon_no 唯一, template_id, user_id, seller_id, source, source_ref, issue_key 唯一, status,
+ *   valid_from, valid_until, order_id, discount_amount, locked_at, used_at）
+ * - coupon_redeem_codes：兑换码（code 唯一, template_id, batch_no, status, user_id, user_coupon_id, redeemed_at）
+ * - coupon_issue_tasks：定向发放任务（template_id, segment, status, total_users, issued_count, skipped_count, last_user_id,
+ *   error, created_by, started_at, finished_at）
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * 拼接查询条件
+ * @param {Array} conditions - 条件列表
+ * @returns {string} WHERE 子句
+ */
+function buildWhere(conditions) {
+  return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+// 模板状态：未开始、进行中、已结束（领取期结束或手动停用）
+const TEMPLATE_STATE_CONDITIONS = {
+  not_started: "(t.status = 'active' AND t.claim_start_time > NOW())",
+  ongoing: "(t.status = 'active' AND (t.claim_start_time IS NULL OR t.claim_start_time <= NOW()) AND (t.claim_end_time IS NULL OR t.claim_end_time > NOW()))",
+  ended: "(t.status = 'closed' OR t.claim_end_time <= NOW())"
+};
+
+// 模板列表字段（含店铺名称）
+const TEMPLATE_COLUMNS = 't.*, s.name AS shop_name';
+const TEMPLATE_FROM = 'FROM coupon_templates t LEFT JOIN shops s ON s.seller_id = t.seller_id';
+
+class CouponRepository {
+  /**
+   * 创建优惠券模板
+   * @param {Object} connection - 事务连接
+   * @param {Object} template - 模板数据
+   * @returns {Promise<number>} 模板ID
+   */
+  async createTemplate(connection, template) {
+    try {
+      const [result] = await connection.query(
+        `INSERT INTO coupon_templates
+          (seller_id, name, type, amount, threshold, discount_rate, max_discount, scope, scope_ids, issue_type,
+           total_quantity, issued_count, used_count, per_user_limit, claim_start_time, claim_end_time, valid_type,
+           valid_start_time, valid_end_time, valid_days, description, status, created_by, creator_type, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, 0, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        [
+          template.sellerId, template.name, template.type, template.amount, template.threshold, template.discountRate,
+          template.maxDiscount, template.scope, JSON.stringify(template.scopeIds), template.issueType, template.totalQuantity,
+          template.perUserLimit, template.claimStartTime, template.claimEndTime, template.validType, template.validStartTime,
+          template.validEndTime, template.validDays, template.description, template.status, template.createdBy,
+          template.creatorType
+        ]
+      );
+      return result.insertId;
+    } catch (error) {
+      logger.error('创建优惠券模板失败', { name: template.name, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 修改优惠券模板
+   * @param {Object} connection - 事务连接
+   * @param {number} templateId - 模板ID
+   * @param {Object} template - 模板数据
+   * @returns {Promise<void>}
+   */
+  async updateTemplate(connection, templateId, template) {
+    try {
+      await connection.query(
+        `UPDATE coupon_templates
+         SET name = ?, type = ?, amount = ?, threshold = ?, discount_rate = ?, max_discount = ?, scope = ?, scope_ids = ?,
+             total_quantity = ?, per_user_limit = ?, claim_start_time = ?, claim_end_time = ?, valid_type = ?,
+             valid_start_time = ?, valid_end_time = ?, valid_days = ?, description = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [
+          template.name, template.type, template.amount, template.threshold, template.discountRate, template.maxDiscount,
+          template.scope, JSON.stringify(template.scopeIds), template.totalQuantity, template.perUserLimit,
+          template.claimStartTime, template.claimEndTime, template.validType, template.validStartTime, template.validEndTime,
+          template.validDays, template.description, templateId
+        ]
+      );
+    } catch (error) {
+      logger.error('修改优惠券模板失败', { templateId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新模板状态
+   * @param {Object} connection - 事务连接
+   * @param {number} templateId - 模板ID
+   * @param {string} status - 模板状态
+   * @returns {Promise<void>}
+   */
+  async updateTemplateStatus(connection, templateId, status) {
+    try {
+      await connection.query(
+        'UPDATE coupon_templates SET status = ?, updated_at = NOW() WHERE id = ?',
+        [status, templateId]
+      );
+    } catch (error) {
+      logger.error('更新优惠券模板状态失败', { templateId, status, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取优惠券模板
+   * @param {Object} connection - 数据库连接
+   * @param {number} templateId - 模板ID
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.forUpdate] - 是否加行锁
+   * @returns {Promise<Object|null>} 模板
+   */
+  async getTemplate(connection, templateId, options = {}) {
+    try {
+      const sql = options.forUpdate
+        ? 'SELECT * FROM coupon_templates WHERE id = ? FOR UPDATE'
+        : `SELECT ${TEMPLATE_COLUMNS} ${TEMPLATE_FROM} WHERE t.id = ?`;
+      const [rows] = await connection.query(sql, [templateId]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询优惠券模板失败', { templateId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询优惠券模板
+   * @param {Object} connection - 数据库连接
+   * @param {Object} filters - { sellerId, platformOnly, keyword, type, issueType, state }
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 数量
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async findTemplates(connection, filters, offset, limit) {
+    try {
+      const conditions = [];
+      const params = [];
+      if (filters.sellerId) {
+        conditions.push('t.seller_id = ?');
+        params.push(filters.sellerId);
+      } else if (filters.platformOnly) {
+        conditions.push('t.seller_id IS NULL');
+      }
+      if (filters.keyword) {
+        conditions.push('t.name LIKE ?');
+        params.push(`%${filters.keyword}%`);
+      }
+      if (filters.type) {
+        conditions.push('t.type = ?');
+        params.push(filters.type);
+      }
+      if (filters.issueType) {
+        conditions.push('t.issue_type = ?');
+        params.push(filters.issueType);
+      }
+      if (filters.state && TEMPLATE_STATE_CONDITIONS[filters.state]) {
+        conditions.push(TEMPLATE_STATE_CONDITIONS[filters.state]);
+      }
+      const where = buildWhere(conditions);
+
+      const [rows] = await connection.query(
+        `SELECT ${TEMPLATE_COLUMNS} ${TEMPLATE_FROM} ${where} ORDER BY t.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const [[count]] = await connection.query(`SELECT COUNT(*) AS total FROM coupon_templates t ${where}`, params);
+
+      return { rows, total: Number(count.total) };
+    } catch (error) {
+      logger.error('查询优惠券模板列表失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 查询买家可领取的模板：领取方式为领取、启用、在领取期内且未领完
+   * @param {Object} connection - 数据库连接
+   * @param {Object} filters - { sellerId }
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 数量
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async findClaimableTemplates(connection, filters, offset, limit) {
+    try {
+      const conditions = [
+        "t.issue_type = 'claim'",
+        TEMPLATE_STATE_CONDITIONS.ongoing,
+        '(t.total_quantity = 0 OR t.issued_count < t.total_quantity)'
+      ];
+      const params = [];
+      if (filters.sellerId) {
+        conditions.push('t.seller_id = ?');
+        params.push(filters.sellerId);
+      }
+      const where = buildWhere(conditions);
+
+      const [rows] = await connection.query(
+        `SELECT ${TEMPLATE_COLUMNS} ${TEMPLATE_FROM} ${where} ORDER BY t.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const [[count]] = await connection.query(`SELECT COUNT(*) AS total FROM coupon_templates t ${where}`, params);
+
+      return { rows, total: Number(count.total) };
+    } catch (error) {
+      logger.error('查询可领取优惠券失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 查询指定发放方式且在领取期内的启用模板（注册、生日发券）
+   * @param {Object} connection - 数据库连接
+   * @param {string} issueType - 发放方式
+   * @returns {Promise<Array>} 模板列表
+   */
+  async findActiveTemplatesByIssueType(connection, issueType) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT t.* FROM coupon_templates t WHERE t.issue_type = ? AND ${TEMPLATE_STATE_CONDITIONS.ongoing} ORDER BY t.id ASC`,
+        [issueType]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('查询发券模板失败', { issueType, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 累加模板已发放数量，设置了发放总量时不超过总量
+   * @param {Object} connection - 事务连接
+   * @param {number} templateId - 模板ID
+   * @returns {Promise<boolean>} 是否累加成功
+   */
+  async incrementIssued(connection, templateId) {
+    try {
+      const [result] = await connection.query(
+        `UPDATE coupon_templates SET issued_count = issued_count + 1, updated_at = NOW()
+         WHERE id = ? AND (total_quantity = 0 OR issued_count < total_quantity)`,
+        [templateId]
+      );
+      return result.affectedRows === 1;
+    } catch (error) {
+      logger.error('累加优惠券发放数量失败', { templateId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 调整模板已核销数量
+   * @param {Object} connection - 事务连接
+   * @param {number} templateId - 模板ID
+   * @param {number} delta - 变化量
+   * @returns {Promise<void>}
+   */
+  async adjustUsed(connection, templateId, delta) {
+    try {
+      await connection.query(
+        'UPDATE coupon_templates SET used_count = GREATEST(used_count + ?, 0), updated_at = NOW() WHERE id = ?',
+        [delta, templateId]
+      );
+    } catch (error) {
+      logger.error('更新优惠券核销数量失败', { templateId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 统计买家已获得的某模板优惠券数量
+   * @param {Object} connection - 数据库连接
+   * @param {number} templateId - 模板ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<number>} 数量
+   */
+  async countUserTemplateCoupons(connection, templateId, userId) {
+    try {
+      const [[row]] = await connection.query(
+        'SELECT COUNT(*) AS total FROM user_coupons WHERE template_id = ? AND user_id = ?',
+        [templateId, userId]
+      );
+      return Number(row.total);
+    } catch (error) {
+      logger.error('统计买家优惠券数量失败', { templateId, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 统计买家在多个模板下已获得的优惠券数量
+   * @param {Object} connection - 数据库连接
+   * @param {string} userId - 用户ID
+   * @param {Array<number>} templateIds - 模板ID列表
+   * @returns {Promise<Map>} 模板ID -> 数量
+   */
+  async countUserCouponsByTemplates(connection, userId, templateIds) {
+    try {
+      if (templateIds.length === 0) {
+        return new Map();
+      }
+      const [rows] = await connection.query(
+        `SELECT template_id, COUNT(*) AS total FROM user_coupons
+         WHERE user_id = ? AND template_id IN (?) GROUP BY template_id`,
+        [userId, templateIds]
+      );
+      return new Map(rows.map(row => [Number(row.template_id), Number(row.total)]));
+    } catch (error) {
+      logger.error('统计买家优惠券数量失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建买家优惠券，发放标识已存在时不重复创建
+   * @param {Object} connection - 事务连接
+   * @param {Object} coupon - 优惠券数据
+   * @returns {Promise<number|null>} 优惠券ID，重复发放时返回 null
+   */
+  async createUserCoupon(connection, coupon) {
+    try {
+      const [result] = await connection.query(
+        `INSERT IGNORE INTO user_coupons
+          (coupon_no, template_id, user_id, seller_id, source, source_ref, issue_key, status, valid_from, valid_until,
+           created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        [
+          coupon.couponNo, coupon.templateId, coupon.userId, coupon.sellerId, coupon.source, coupon.sourceRef,
+          coupon.issueKey, coupon.status, coupon.validFrom, coupon.validUntil
+        ]
+      );
+      return result.affectedRows === 1 ? result.insertId : null;
+    } catch (error) {
+      logger.error('创建买家优惠券失败', { templateId: coupon.templateId, userId: coupon.userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取买家优惠券（含模板规则）
+   * @param {Object} connection - 数据库连接
+   * @param {number} couponId - 优惠券ID
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.forUpdate] - 是否加行锁
+   * @returns {Promise<Object|null>} 优惠券
+   */
+  async getUserCoupon(connection, couponId, options = {}) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT c.*, t.name, t.type, t.amount, t.threshold, t.discount_rate, t.max_discount, t.scope, t.scope_ids,
+                t.description
+         FROM user_coupons c JOIN coupon_templates t ON t.id = c.template_id
+         WHERE c.id = ?${options.forUpdate ? ' FOR UPDATE' : ''}`,
+        [couponId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询买家优惠券失败', { couponId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 查询订单使用的优惠券
+   * @param {Object} connection - 数据库连接
+   * @param {string} orderId - 订单ID
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.forUpdate] - 是否加行锁
+   * @returns {Promise<Array>} 优惠券列表
+   */
+  async findCouponsByOrder(connection, orderId, options = {}) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT * FROM user_coupons WHERE order_id = ? ORDER BY id ASC${options.forUpdate ? ' FOR UPDATE' : ''}`,
+        [orderId]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('查询订单优惠券失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 查询买家未使用且在有效期内的优惠券（含模板规则）
+   * @param {Object} connection - 数据库连接
+   * @param {string} userId - 用户ID
+   * @param {Date} at - 时间点
+   * @returns {Promise<Array>} 优惠券列表
+   */
+  async findUsableCoupons(connection, userId, at) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT c.*, t.name, t.type, t.amount, t.threshold, t.discount_rate, t.max_discount, t.scope, t.scope_ids
+         FROM user_coupons c JOIN coupon_templates t ON t.id = c.template_id
+         WHERE c.user_id = ? AND c.status = 'unused' AND c.valid_from <= ? AND c.valid_until > ?
+         ORDER BY c.valid_until ASC, c.id ASC`,
+        [userId, at, at]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('查询买家可用优惠券失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询买家优惠券（含模板规则和店铺名称）
+   * @param {Object} connection - 数据库连接
+   * @param {Object} filters - { userId, templateId, sellerId, status, couponNo }
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 数量
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async findUserCoupons(connection, filters, offset, limit) {
+    try {
+      const conditions = [];
+      const params = [];
+      if (filters.userId) {
+        conditions.push('c.user_id = ?');
+        params.push(filters.userId);
+      }
+      if (filters.templateId) {
+        conditions.push('c.template_id = ?');
+        params.push(filters.templateId);
+      }
+      if (filters.sellerId) {
+        conditions.push('t.seller_id = ?');
+        params.push(filters.sellerId);
+      }
+      if (filters.status) {
+        conditions.push('c.status = ?');
+        params.push(filters.status);
+      }
+      if (filters.couponNo) {
+        conditions.push('c.coupon_no = ?');
+        params.push(filters.couponNo);
+      }
+      const where = buildWhere(conditions);
+      const from = `FROM user_coupons c JOIN coupon_templates t ON t.id = c.template_id
+         LEFT JOIN shops s ON s.seller_id = t.seller_id`;
+
+      const [rows] = await connection.query(
+        `SELECT c.*, t.name, t.type, t.amount, t.threshold, t.discount_rate, t.max_discount, t.scope, t.scope_ids,
+                t.description, s.name AS shop_name
+         ${from} ${where}
+         ORDER BY ${filters.userId ? "c.status = 'unused' DESC, c.valid_until ASC, c.id DESC" : 'c.id DESC'} LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const [[count]] = await connection.query(`SELECT COUNT(*) AS total ${from} ${where}`, params);
+
+      return { rows, total: Number(count.total) };
+    } catch (error) {
+      logger.error('查询买家优惠券列表失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新买家优惠券状态
+   * @param {Object} connection - 事务连接
+   * @param {number} couponId - 优惠券ID
+   * @param {string} status - 状态
+   * @param {Object} [fields] - { orderId, discountAmount }，锁定时记录订单和优惠金额，恢复时清空
+   * @returns {Promise<void>}
+   */
+  async updateUserCouponStatus(connection, couponId, status, fields = {}) {
+    try {
+      const sets = ['status = ?'];
+      const params = [status];
+      if (status === 'locked') {
+        sets.push('order_id = ?', 'discount_amount = ?', 'locked_at = NOW()');
+        params.push(fields.orderId, fields.discountAmount);
+      } else if (status === 'used') {
+        sets.push('used_at = NOW()');
+      } else {
+        sets.push('order_id = NULL', 'discount_amount = NULL', 'locked_at = NULL');
+      }
+      await connection.query(
+        `UPDATE user_coupons SET ${sets.join(', ')}, updated_at = NOW() WHERE id = ?`,
+        [...params, couponId]
+      );
+    } catch (error) {
+      logger.error('更新买家优惠券状态失败', { couponId, status, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 将过期的未使用优惠券记为已过期
+   * @param {Object} connection - 事务连接
+   * @param {Date} now - 当前时间
+   * @param {number} limit - 单次处理数量
+   * @returns {Promise<number>} 处理数量
+   */
+  async expireCoupons(connection, now, limit) {
+    try {
+      const [result] = await connection.query(
+        `UPDATE user_coupons SET status = 'expired', updated_at = NOW()
+         WHERE status = 'unused' AND valid_until <= ? LIMIT ?`,
+        [now, limit]
+      );
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('处理过期优惠券失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按状态统计模板下的买家优惠券
+   * @param {Object} connection - 数据库连接
+   * @param {number} templateId - 模板ID
+   * @returns {Promise<Object>} { status: count }
+   */
+  async countCouponsByStatus(connection, templateId) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT status, COUNT(*) AS total FROM user_coupons WHERE template_id = ? GROUP BY status',
+        [templateId]
+      );
+      return rows.reduce((result, row) => ({ ...result, [row.status]: Number(row.total) }), {});
+    } catch (error) {
+      logger.error('统计优惠券状态失败', { templateId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 批量创建兑换码
+   * @param {Object} connection - 事务连接
+   * @param {number} templateId - 模板ID
+   * @param {string} batchNo - 批次号
+   * @param {Array<string>} codes - 兑换码
+   * @returns {Promise<void>}
+   */
+  async createRedeemCodes(connection, templateId, batchNo, codes) {
+    try {
+      await connection.query(
+        `INSERT INTO coupon_redeem_codes (code, template_id, batch_no, status, created_at, updated_at) VALUES ?`,
+        [codes.map(code => [code, templateId, batchNo, 'unused', new Date(), new Date()])]
+      );
+    } catch (error) {
+      logger.error('创建兑换码失败', { templateId, batchNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取兑换码
+   * @param {Object} connection - 数据库连接
+   * @param {string} code - 兑换码
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.forUpdate] - 是否加行锁
+   * @returns {Promise<Object|null>} 兑换码
+   */
+  async getRedeemCode(connection, code, options = {}) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT * FROM coupon_redeem_codes WHERE code = ?${options.forUpdate ? ' FOR UPDATE' : ''}`,
+        [code]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询兑换码失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 记录兑换码已兑换
+   * @param {Object} connection - 事务连接
+   * @param {number} codeId - 兑换码ID
+   * @param {string} userId - 用户ID
+   * @param {number} userCouponId - 兑换得到的优惠券ID
+   * @returns {Promise<void>}
+   */
+  async markCodeRedeemed(connection, codeId, userId, userCouponId) {
+    try {
+      await connection.query(
+        `UPDATE coupon_redeem_codes SET status = 'redeemed', user_id = ?, user_coupon_id = ?, redeemed_at = NOW(), updated_at = NOW()
+         WHERE id = ?`,
+        [userId, userCouponId, codeId]
+      );
+    } catch (error) {
+      logger.error('记录兑换码已兑换失败', { codeId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询模板的兑换码
+   * @param {Object} connection - 数据库连接
+   * @param {Object} filters - { templateId, batchNo, status }
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 数量
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async findRedeemCodes(connection, filters, offset, limit) {
+    try {
+      const conditions = ['template_id = ?'];
+      const params = [filters.templateId];
+      if (filters.batchNo) {
+        conditions.push('batch_no = ?');
+        params.push(filters.batchNo);
+      }
+      if (filters.status) {
+        conditions.push('status = ?');
+        params.push(filters.status);
+      }
+      const where = buildWhere(conditions);
+
+      const [rows] = await connection.query(
+        `SELECT * FROM coupon_redeem_codes ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const [[count]] = await connection.query(`SELECT COUNT(*) AS total FROM coupon_redeem_codes ${where}`, params);
+
+      return { rows, total: Number(count.total) };
+    } catch (error) {
+      logger.error('查询兑换码列表失败', { templateId: filters.templateId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建定向发放任务
+   * @param {Object} connection - 事务连接
+   * @param {Object} task - { templateId, segment, totalUsers, createdBy }
+   * @returns {Promise<number>} 任务ID
+   */
+  async createIssueTask(connection, task) {
+    try {
+      const [result] = await connection.query(
+        `INSERT INTO coupon_issue_tasks
+          (template_id, segment, status, total_users, issued_count, skipped_count, last_user_id, created_by, created_at, updated_at)
+         VALUES (?, ?, 'pending', ?, 0, 0, NULL, ?, NOW(), NOW())`,
+        [task.templateId, JSON.stringify(task.segment), task.totalUsers, task.createdBy]
+      );
+      return result.insertId;
+    } catch (error) {
+      logger.error('创建定向发放任务失败', { templateId: task.templateId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取定向发放任务
+   * @param {Object} connection - 数据库连接
+   * @param {number} taskId - 任务ID
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.forUpdate] - 是否加行锁
+   * @returns {Promise<Object|null>} 任务（含模板名称）
+   */
+  async getIssueTask(connection, taskId, options = {}) {
+    try {
+      const sql = options.forUpdate
+        ? 'SELECT * FROM coupon_issue_tasks WHERE id = ? FOR UPDATE'
+        : `SELECT k.*, t.name AS template_name FROM coupon_issue_tasks k
+           LEFT JOIN coupon_templates t ON t.id = k.template_id WHERE k.id = ?`;
+      const [rows] = await connection.query(sql, [taskId]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询定向发放任务失败', { taskId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询定向发放任务
+   * @param {Object} connection - 数据库连接
+   * @param {Object} filters - { templateId, status }
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 数量
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async findIssueTasks(connection, filters, offset, limit) {
+    try {
+      const conditions = [];
+      const params = [];
+      if (filters.templateId) {
+        conditions.push('k.template_id = ?');
+        params.push(filters.templateId);
+      }
+      if (filters.status) {
+        conditions.push('k.status = ?');
+        params.push(filters.status);
+      }
+      const where = buildWhere(conditions);
+
+      const [rows] = await connection.query(
+        `SELECT k.*, t.name AS template_name FROM coupon_issue_tasks k
+         LEFT JOIN coupon_templates t ON t.id = k.template_id ${where} ORDER BY k.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const [[count]] = await connection.query(`SELECT COUNT(*) AS total FROM coupon_issue_tasks k ${where}`, params);
+
+      return { rows, total: Number(count.total) };
+    } catch (error) {
+      logger.error('查询定向发放任务列表失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 查询待执行和执行中的定向发放任务
+   * @param {Object} connection - 数据库连接
+   * @param {number} limit - 数量
+   * @returns {Promise<Array>} 任务列表
+   */
+  async findRunnableIssueTasks(connection, limit) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT * FROM coupon_issue_tasks WHERE status IN ('pending', 'running') ORDER BY id ASC LIMIT ?`,
+        [limit]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('查询待执行发放任务失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新定向发放任务进度
+   * @param {Object} connection - 事务连接
+   * @param {number} taskId - 任务ID
+   * @param {Object} progress - { status, totalUsers, issued, skipped, lastUserId, error }，issued、skipped 为本批增量
+   * @returns {Promise<void>}
+   */
+  async updateIssueTask(connection, taskId, progress) {
+    try {
+      const finished = ['completed', 'failed', 'canceled'].includes(progress.status);
+      await connection.query(
+        `UPDATE coupon_issue_tasks
+         SET status = ?, total_users = COALESCE(?, total_users), issued_count = issued_count + ?,
+             skipped_count = skipped_count + ?, last_user_id = COALESCE(?, last_user_id), error = ?,
+             started_at = COALESCE(started_at, NOW()), finished_at = ${finished ? 'NOW()' : 'NULL'}, updated_at = NOW()
+         WHERE id = ?`,
+        [
+          progress.status, progress.totalUsers !== undefined ? progress.totalUsers : null, progress.issued || 0,
+          progress.skipped || 0, progress.lastUserId !== undefined ? progress.lastUserId : null, progress.error || null,
+          taskId
+        ]
+      );
+    } catch (error) {
+      logger.error('更新定向发放任务失败', { taskId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按人群条件拼接用户查询条件
+   * @param {Object} segment - { userIds, tierCodes, registeredFrom, registeredTo }
+   * @returns {Object} { where, params }
+   */
+  buildSegmentWhere(segment) {
+    const conditions = ["u.status = 'active'"];
+    const params = [];
+    if (Array.isArray(segment.userIds) && segment.userIds.length > 0) {
+      conditions.push('u.id IN (?)');
+      params.push(segment.userIds);
+    }
+    if (Array.isArray(segment.tierCodes) && segment.tierCodes.length > 0) {
+      conditions.push("EXISTS (SELECT 1 FROM member_cards mc WHERE mc.user_id = u.id AND mc.status = 'active' AND mc.tier_code IN (?))");
+      params.push(segment.tierCodes);
+    }
+    if (segment.registeredFrom) {
+      conditions.push('u.created_at >= ?');
+      params.push(new Date(segment.registeredFrom));
+    }
+    if (segment.registeredTo) {
+      conditions.push('u.created_at < ?');
+      params.push(new Date(segment.registeredTo));
+    }
+    return { where: buildWhere(conditions), params };
+  }
+
+  /**
+   * 统计人群用户数
+   * @param {Object} connection - 数据库连接
+   * @param {Object} segment - 人群条件
+   * @returns {Promise<number>} 用户数
+   */
+  async countSegmentUsers(connection, segment) {
+    try {
+      const { where, params } = this.buildSegmentWhere(segment);
+      const [[row]] = await connection.query(`SELECT COUNT(*) AS total FROM users u ${where}`, params);
+      return Number(row.total);
+    } catch (error) {
+      logger.error('统计人群用户数失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按用户ID顺序分批查询人群用户
+   * @param {Object} connection - 数据库连接
+   * @param {Object} segment - 人群条件
+   * @param {number|null} afterUserId - 上一批最后一个用户ID
+   * @param {number} limit - 数量
+   * @returns {Promise<Array>} 用户ID列表
+   */
+  async findSegmentUserIds(connection, segment, afterUserId, limit) {
+    try {
+      const { where, params } = this.buildSegmentWhere(segment);
+      const cursor = afterUserId !== null && afterUserId !== undefined ? `${where ? ' AND' : 'WHERE'} u.id > ?` : '';
+      const [rows] = await connection.query(
+        `SELECT u.id FROM users u ${where}${cursor} ORDER BY u.id ASC LIMIT ?`,
+        [...params, ...(cursor ? [afterUserId] : []), limit]
+      );
+      return rows.map(row => row.id);
+    } catch (error) {
+      logger.error('查询人群用户失败', { error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new CouponRepository();
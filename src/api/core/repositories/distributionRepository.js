@@ -0,0 +1,932 @@
+/**
+ * 分销数据仓库
+ * 买家申请成为分销员，审核通过后获得推广码；其他买家通过推广码绑定上级分销员，绑定关系一经建立不再变更。
+ * 订单支付后按绑定关系为一级、二级分销员生成冻结佣金，订单完成且售后期结束后转为可提现，
+ * 售后退款时按退款比例冲减佣金。分销员账户缓存各状态佣金合计，所有金额变动都在调用方的事务中执行。
+ *
+ * 数据表：
+ * - distribution_settings：分销设置（id 固定为 1, enabled, levels, level1_rate, level2_rate, freeze_days, updated_by）
+ * - distributors：分销员（user_id 唯一, share_code 唯一, status, real_name, phone, qq_account, id_card, bank_name,
+ *   bank_account, bank_branch, apply_remark, reviewer_id, review_remark, reviewed_at, total_commission,
+ *   available_commission, frozen_commission, withdrawing_commission, withdrawn_commission）
+ * - distribution_bindings：推广绑定（user_id 唯一, distributor_user_id, share_code, bound_at）
+ * - distribution_commission_rules：佣金规则（target_type, target_id, level1_rate, level2_rate, updated_by），
+ *   (target_type, target_id) 唯一
+ * - distribution_commissions：分销佣金（order_id, order_no, seller_id, buyer_id, distributor_user_id, level, product_id,
+ *   base_amount, rate, amount, reversed_amount, status, unfreeze_at, settled_at），(order_id, product_id, level) 唯一
+ * - distribution_commission_reversals：佣金冲减记录（commission_id, refund_id, amount），(commission_id, refund_id) 唯一
+ * - distribution_withdrawals：佣金提现（withdraw_no 唯一, distributor_user_id, amount, real_name, id_card, bank_name,
+ *   bank_account, bank_branch, status, reviewer_id, review_remark, payout_reference, reviewed_at）
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * 拼接分页查询条件
+ * @param {Array} conditions - 条件列表
+ * @returns {string} WHERE 子句
+ */
+function buildWhere(conditions) {
+  return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+/**
+ * 会员关键字（用户名、手机号或真实姓名）和时间范围条件
+ * @param {Object} filters - { keyword, startDate, endDate }
+ * @param {string} alias - 业务表别名
+ * @param {Array} conditions - 条件列表
+ * @param {Array} params - 参数列表
+ */
+function appendCommonFilters(filters, alias, conditions, params) {
+  if (filters.keyword) {
+    conditions.push('(u.username LIKE ? OR u.phone LIKE ? OR d.real_name LIKE ?)');
+    params.push(`%${filters.keyword}%`, `%${filters.keyword}%`, `%${filters.keyword}%`);
+  }
+  if (filters.startDate) {
+    conditions.push(`${alias}.created_at >= ?`);
+    params.push(filters.startDate);
+  }
+  if (filters.endDate) {
+    conditions.push(`${alias}.created_at < DATE_ADD(?, INTERVAL 1 DAY)`);
+    params.push(filters.endDate);
+  }
+}
+
+class DistributionRepository {
+  /**
+   * 获取分销设置
+   * @param {Object} connection - 数据库连接
+   * @returns {Promise<Object|null>} 分销设置
+   */
+  async getSettings(connection) {
+    try {
+      const [rows] = await connection.query('SELECT * FROM distribution_settings WHERE id = 1');
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('获取分销设置失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 保存分销设置
+   * @param {Object} connection - 数据库连接
+   * @param {Object} settings - { enabled, levels, level1Rate, level2Rate, freezeDays }
+   * @param {string} operatorId - 操作人ID
+   * @returns {Promise<void>}
+   */
+  async saveSettings(connection, settings, operatorId) {
+    try {
+      await connection.query(
+        `INSERT INTO distribution_settings (id, enabled, levels, level1_rate, level2_rate, freeze_days, updated_by, updated_at)
+         VALUES (1, ?, ?, ?, ?, ?, ?, NOW())
+         ON DUPLICATE KEY UPDATE enabled = VALUES(enabled), levels = VALUES(levels), level1_rate = VALUES(level1_rate),
+           level2_rate = VALUES(level2_rate), freeze_days = VALUES(freeze_days), updated_by = VALUES(updated_by), updated_at = NOW()`,
+        [settings.enabled ? 1 : 0, settings.levels, settings.level1Rate, settings.level2Rate, settings.freezeDays, operatorId]
+      );
+    } catch (error) {
+      logger.error('保存分销设置失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按用户获取分销员
+   * @param {Object} connection - 数据库连接
+   * @param {string} userId - 用户ID
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.forUpdate] - 是否加行锁
+   * @returns {Promise<Object|null>} 分销员
+   */
+  async getDistributorByUser(connection, userId, options = {}) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT * FROM distributors WHERE user_id = ?${options.forUpdate ? ' FOR UPDATE' : ''}`,
+        [userId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('获取分销员失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按ID获取分销员（含会员名称）
+   * @param {Object} connection - 数据库连接
+   * @param {number} distributorId - 分销员ID
+   * @returns {Promise<Object|null>} 分销员
+   */
+  async getDistributorById(connection, distributorId) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT d.*, u.username, u.phone AS user_phone FROM distributors d
+         LEFT JOIN users u ON u.id = d.user_id WHERE d.id = ?`,
+        [distributorId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('获取分销员失败', { distributorId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按推广码获取分销员
+   * @param {Object} connection - 数据库连接
+   * @param {string} shareCode - 推广码
+   * @returns {Promise<Object|null>} 分销员
+   */
+  async getDistributorByCode(connection, shareCode) {
+    try {
+      const [rows] = await connection.query('SELECT * FROM distributors WHERE share_code = ?', [shareCode]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('按推广码获取分销员失败', { shareCode, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建分销员申请
+   * @param {Object} connection - 数据库连接
+   * @param {Object} application - { userId, realName, phone, qqAccount, idCard, bankName, bankAccount, bankBranch, remark }
+   * @returns {Promise<number>} 分销员ID
+   */
+  async createApplication(connection, application) {
+    try {
+      const [result] = await connection.query(
+        `INSERT INTO distributors
+          (user_id, status, real_name, phone, qq_account, id_card, bank_name, bank_account, bank_branch, apply_remark,
+           total_commission, available_commission, frozen_commission, withdrawing_commission, withdrawn_commission,
+           created_at, updated_at)
+         VALUES (?, 'pending', ?, ?, ?, ?, ?, ?, ?, ?, 0, 0, 0, 0, 0, NOW(), NOW())`,
+        [
+          application.userId, application.realName, application.phone, application.qqAccount || null, application.idCard,
+          application.bankName, application.bankAccount, application.bankBranch || null, application.remark || null
+        ]
+      );
+      return result.insertId;
+    } catch (error) {
+      logger.error('创建分销员申请失败', { userId: application.userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 被驳回后重新提交申请
+   * @param {Object} connection - 数据库连接
+   * @param {number} distributorId - 分销员ID
+   * @param {Object} application - 申请资料
+   * @returns {Promise<boolean>} 是否更新
+   */
+  async resubmitApplication(connection, distributorId, application) {
+    try {
+      const [result] = await connection.query(
+        `UPDATE distributors
+         SET status = 'pending', real_name = ?, phone = ?, qq_account = ?, id_card = ?, bank_name = ?, bank_account = ?,
+             bank_branch = ?, apply_remark = ?, reviewer_id = NULL, review_remark = NULL, reviewed_at = NULL,
+             created_at = NOW(), updated_at = NOW()
+         WHERE id = ? AND status = 'rejected'`,
+        [
+          application.realName, application.phone, application.qqAccount || null, application.idCard,
+          application.bankName, application.bankAccount, application.bankBranch || null, application.remark || null,
+          distributorId
+        ]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('重新提交分销员申请失败', { distributorId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 审核分销员申请，通过时写入推广码
+   * @param {Object} connection - 数据库连接
+   * @param {number} distributorId - 分销员ID
+   * @param {Object} review - { status, shareCode, reviewerId, remark }
+   * @returns {Promise<boolean>} 是否更新（申请不是待审核时不更新）
+   */
+  async reviewApplication(connection, distributorId, review) {
+    try {
+      const [result] = await connection.query(
+        `UPDATE distributors
+         SET status = ?, share_code = COALESCE(share_code, ?), reviewer_id = ?, review_remark = ?, reviewed_at = NOW(), updated_at = NOW()
+         WHERE id = ? AND status = 'pending'`,
+        [review.status, review.shareCode || null, review.reviewerId, review.remark || null, distributorId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('审核分销员申请失败', { distributorId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 变更分销员状态（清退、恢复）
+   * @param {Object} connection - 数据库连接
+   * @param {number} distributorId - 分销员ID
+   * @param {string} fromStatus - 当前状态
+   * @param {string} toStatus - 目标状态
+   * @returns {Promise<boolean>} 是否更新
+   */
+  async updateStatus(connection, distributorId, fromStatus, toStatus) {
+    try {
+      const [result] = await connection.query(
+        'UPDATE distributors SET status = ?, updated_at = NOW() WHERE id = ? AND status = ?',
+        [toStatus, distributorId, fromStatus]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('变更分销员状态失败', { distributorId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 修改分销员资料
+   * @param {Object} connection - 数据库连接
+   * @param {number} distributorId - 分销员ID
+   * @param {Object} profile - { realName, phone, idCard, bankName, bankAccount, bankBranch }
+   * @returns {Promise<boolean>} 是否更新
+   */
+  async updateProfile(connection, distributorId, profile) {
+    try {
+      const [result] = await connection.query(
+        `UPDATE distributors
+         SET real_name = ?, phone = ?, id_card = ?, bank_name = ?, bank_account = ?, bank_branch = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [profile.realName, profile.phone, profile.idCard, profile.bankName, profile.bankAccount, profile.bankBranch || null, distributorId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('修改分销员资料失败', { distributorId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 变动分销员佣金合计（事务内调用，调用方已锁定分销员）
+   * @param {Object} connection - 事务连接
+   * @param {string} userId - 分销员用户ID
+   * @param {Object} change - { total, available, frozen, withdrawing, withdrawn }（元）
+   * @returns {Promise<void>}
+   */
+  async adjustCommission(connection, userId, change) {
+    try {
+      await connection.query(
+        `UPDATE distributors
+         SET total_commission = total_commission + ?, available_commission = available_commission + ?,
+             frozen_commission = frozen_commission + ?, withdrawing_commission = withdrawing_commission + ?,
+             withdrawn_commission = withdrawn_commission + ?, updated_at = NOW()
+         WHERE user_id = ?`,
+        [
+          change.total || 0, change.available || 0, change.frozen || 0, change.withdrawing || 0, change.withdrawn || 0,
+          userId
+        ]
+      );
+    } catch (error) {
+      logger.error('更新分销员佣金失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询分销员（含推广人数和推广订单统计）
+   * @param {Object} connection - 数据库连接
+   * @param {Object} filters - { status, keyword, startDate, endDate }
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 数量
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async findDistributors(connection, filters, offset, limit) {
+    try {
+      const conditions = [];
+      const params = [];
+      appendCommonFilters(filters, 'd', conditions, params);
+      if (filters.status) {
+        conditions.push('d.status IN (?)');
+        params.push(Array.isArray(filters.status) ? filters.status : [filters.status]);
+      }
+      const where = buildWhere(conditions);
+
+      const [rows] = await connection.query(
+        `SELECT d.*, u.username, u.phone AS user_phone,
+           (SELECT COUNT(*) FROM distribution_bindings b WHERE b.distributor_user_id = d.user_id) AS promotion_count,
+           (SELECT COUNT(DISTINCT c.order_id) FROM distribution_commissions c
+             WHERE c.distributor_user_id = d.user_id AND c.level = 1) AS order_count,
+           (SELECT COALESCE(SUM(c.base_amount), 0) FROM distribution_commissions c
+             WHERE c.distributor_user_id = d.user_id AND c.level = 1) AS order_amount
+         FROM distributors d LEFT JOIN users u ON u.id = d.user_id
+         ${where} ORDER BY d.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const [[count]] = await connection.query(
+        `SELECT COUNT(*) AS total FROM distributors d LEFT JOIN users u ON u.id = d.user_id ${where}`,
+        params
+      );
+
+      return { rows, total: Number(count.total) };
+    } catch (error) {
+      logger.error('查询分销员列表失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取买家的推广绑定
+   * @param {Object} connection - 数据库连接
+   * @param {string} userId - 买家用户ID
+   * @returns {Promise<Object|null>} 绑定关系
+   */
+  async getBinding(connection, userId) {
+    try {
+      const [rows] = await connection.query('SELECT * FROM distribution_bindings WHERE user_id = ?', [userId]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('获取推广绑定失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建推广绑定，买家已绑定时不覆盖
+   * @param {Object} connection - 数据库连接
+   * @param {Object} binding - { userId, distributorUserId, shareCode }
+   * @returns {Promise<boolean>} 是否新绑定
+   */
+  async createBinding(connection, binding) {
+    try {
+      const [result] = await connection.query(
+        `INSERT IGNORE INTO distribution_bindings (user_id, distributor_user_id, share_code, bound_at)
+         VALUES (?, ?, ?, NOW())`,
+        [binding.userId, binding.distributorUserId, binding.shareCode]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('创建推广绑定失败', { userId: binding.userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询分销员推广的买家
+   * @param {Object} connection - 数据库连接
+   * @param {string} distributorUserId - 分销员用户ID
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 数量
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async findBindings(connection, distributorUserId, offset, limit) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT b.*, u.username, u.phone FROM distribution_bindings b
+         LEFT JOIN users u ON u.id = b.user_id
+         WHERE b.distributor_user_id = ? ORDER BY b.bound_at DESC LIMIT ? OFFSET ?`,
+        [distributorUserId, limit, offset]
+      );
+      const [[count]] = await connection.query(
+        'SELECT COUNT(*) AS total FROM distribution_bindings WHERE distributor_user_id = ?',
+        [distributorUserId]
+      );
+
+      return { rows, total: Number(count.total) };
+    } catch (error) {
+      logger.error('查询推广买家失败', { distributorUserId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取佣金规则
+   * @param {Object} connection - 数据库连接
+   * @param {string} [targetType] - 规则对象类型（product、category），不传时返回全部
+   * @returns {Promise<Array>} 佣金规则（分类规则含分类名称）
+   */
+  async getRules(connection, targetType) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT r.*, c.name AS category_name FROM distribution_commission_rules r
+         LEFT JOIN categories c ON r.target_type = 'category' AND c.id = r.target_id
+         ${targetType ? 'WHERE r.target_type = ?' : ''} ORDER BY r.target_type, r.target_id`,
+        targetType ? [targetType] : []
+      );
+      return rows;
+    } catch (error) {
+      logger.error('获取佣金规则失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取指定商品的佣金规则
+   * @param {Object} connection - 数据库连接
+   * @param {Array} productIds - 商品ID列表
+   * @returns {Promise<Array>} 佣金规则
+   */
+  async getProductRules(connection, productIds) {
+    if (productIds.length === 0) {
+      return [];
+    }
+    try {
+      const [rows] = await connection.query(
+        "SELECT * FROM distribution_commission_rules WHERE target_type = 'product' AND target_id IN (?)",
+        [productIds]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('获取商品佣金规则失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 保存佣金规则
+   * @param {Object} connection - 数据库连接
+   * @param {Object} rule - { targetType, targetId, level1Rate, level2Rate }
+   * @param {string} operatorId - 操作人ID
+   * @returns {Promise<void>}
+   */
+  async saveRule(connection, rule, operatorId) {
+    try {
+      await connection.query(
+        `INSERT INTO distribution_commission_rules (target_type, target_id, level1_rate, level2_rate, updated_by, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, NOW(), NOW())
+         ON DUPLICATE KEY UPDATE level1_rate = VALUES(level1_rate), level2_rate = VALUES(level2_rate),
+           updated_by = VALUES(updated_by), updated_at = NOW()`,
+        [rule.targetType, rule.targetId, rule.level1Rate, rule.level2Rate, operatorId]
+      );
+    } catch (error) {
+      logger.error('保存佣金规则失败', { targetType: rule.targetType, targetId: rule.targetId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除佣金规则
+   * @param {Object} connection - 数据库连接
+   * @param {string} targetType - 规则对象类型
+   * @param {string} targetId - 商品或分类ID
+   * @returns {Promise<boolean>} 是否删除
+   */
+  async deleteRule(connection, targetType, targetId) {
+    try {
+      const [result] = await connection.query(
+        'DELETE FROM distribution_commission_rules WHERE target_type = ? AND target_id = ?',
+        [targetType, targetId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('删除佣金规则失败', { targetType, targetId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取分类的上级关系
+   * @param {Object} connection - 数据库连接
+   * @returns {Promise<Array>} [{ id, parent_id }]
+   */
+  async getCategoryParents(connection) {
+    try {
+      const [rows] = await connection.query('SELECT id, parent_id FROM categories');
+      return rows;
+    } catch (error) {
+      logger.error('获取分类层级失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询参与分销的商品（上架商品）
+   * @param {Object} connection - 数据库连接
+   * @param {Object} filters - { keyword, categoryId }
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 数量
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async findProducts(connection, filters, offset, limit) {
+    try {
+      const conditions = ['p.deleted_at IS NULL', 'p.is_active = 1'];
+      const params = [];
+      if (filters.keyword) {
+        conditions.push('p.name LIKE ?');
+        params.push(`%${filters.keyword}%`);
+      }
+      if (filters.categoryId) {
+        conditions.push('p.category_id = ?');
+        params.push(filters.categoryId);
+      }
+      const where = buildWhere(conditions);
+
+      const [rows] = await connection.query(
+        `SELECT p.id, p.name, p.price, p.stock_quantity, p.images, p.category_id, p.created_at
+         FROM products p ${where} ORDER BY p.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const [[count]] = await connection.query(`SELECT COUNT(*) AS total FROM products p ${where}`, params);
+
+      return { rows, total: Number(count.total) };
+    } catch (error) {
+      logger.error('查询分销商品失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取订单
+   * @param {Object} connection - 数据库连接
+   * @param {string} orderId - 订单ID
+   * @returns {Promise<Object|null>} 订单
+   */
+  async getOrder(connection, orderId) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT id, order_no, user_id, seller_id, status, total_amount, payment_amount, updated_at
+         FROM orders WHERE id = ?`,
+        [orderId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询订单失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取订单商品行及商品分类
+   * @param {Object} connection - 数据库连接
+   * @param {string} orderId - 订单ID
+   * @returns {Promise<Array>} [{ product_id, category_id, price, quantity }]
+   */
+  async getOrderLines(connection, orderId) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT oi.product_id, p.category_id, oi.price, oi.quantity
+         FROM order_items oi LEFT JOIN products p ON p.id = oi.product_id
+         WHERE oi.order_id = ?`,
+        [orderId]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('查询订单商品行失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建冻结佣金，同一订单商品同一层级已存在时不重复创建
+   * @param {Object} connection - 事务连接
+   * @param {Object} commission - 佣金
+   * @returns {Promise<boolean>} 是否新建
+   */
+  async createCommission(connection, commission) {
+    try {
+      const [result] = await connection.query(
+        `INSERT IGNORE INTO distribution_commissions
+          (order_id, order_no, seller_id, buyer_id, distributor_user_id, level, product_id, base_amount, rate, amount,
+           reversed_amount, status, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, 'frozen', NOW(), NOW())`,
+        [
+          commission.orderId, commission.orderNo, commission.sellerId, commission.buyerId, commission.distributorUserId,
+          commission.level, commission.productId, commission.baseAmount, commission.rate, commission.amount
+        ]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('创建分销佣金失败', { orderId: commission.orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 记录订单佣金的预计解冻时间
+   * @param {Object} connection - 数据库连接
+   * @param {string} orderId - 订单ID
+   * @param {Date} unfreezeAt - 解冻时间
+   * @returns {Promise<number>} 更新条数
+   */
+  async setUnfreezeAt(connection, orderId, unfreezeAt) {
+    try {
+      const [result] = await connection.query(
+        `UPDATE distribution_commissions SET unfreeze_at = ?, updated_at = NOW()
+         WHERE order_id = ? AND status = 'frozen' AND unfreeze_at IS NULL`,
+        [unfreezeAt, orderId]
+      );
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('记录佣金解冻时间失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取到期可解冻的佣金：订单已完成、已过冻结期且没有处理中的售后单
+   * 未记录解冻时间的（未收到订单完成消息）按订单完成时间加冻结天数计算
+   * @param {Object} connection - 数据库连接
+   * @param {Date} now - 当前时间
+   * @param {number} freezeDays - 冻结天数
+   * @param {Array} closedStatuses - 售后单已结束的状态
+   * @param {number} limit - 数量上限
+   * @returns {Promise<Array>} 佣金ID列表
+   */
+  async findMaturedCommissions(connection, now, freezeDays, closedStatuses, limit) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT c.id FROM distribution_commissions c JOIN orders o ON o.id = c.order_id
+         WHERE c.status = 'frozen' AND o.status = 'completed'
+           AND COALESCE(c.unfreeze_at, DATE_ADD(o.updated_at, INTERVAL ? DAY)) <= ?
+           AND NOT EXISTS (SELECT 1 FROM after_sales_requests a WHERE a.order_id = c.order_id AND a.status NOT IN (?))
+         ORDER BY c.id LIMIT ?`,
+        [freezeDays, now, closedStatuses, limit]
+      );
+      return rows.map(row => row.id);
+    } catch (error) {
+      logger.error('查询到期佣金失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取佣金
+   * @param {Object} connection - 数据库连接
+   * @param {number} commissionId - 佣金ID
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.forUpdate] - 是否加行锁
+   * @returns {Promise<Object|null>} 佣金
+   */
+  async getCommission(connection, commissionId, options = {}) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT * FROM distribution_commissions WHERE id = ?${options.forUpdate ? ' FOR UPDATE' : ''}`,
+        [commissionId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('获取分销佣金失败', { commissionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取订单的全部佣金
+   * @param {Object} connection - 数据库连接
+   * @param {string} orderId - 订单ID
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.forUpdate] - 是否加行锁
+   * @returns {Promise<Array>} 佣金列表
+   */
+  async getCommissionsByOrder(connection, orderId, options = {}) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT * FROM distribution_commissions WHERE order_id = ? ORDER BY id${options.forUpdate ? ' FOR UPDATE' : ''}`,
+        [orderId]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('获取订单佣金失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 冻结佣金转为可提现
+   * @param {Object} connection - 事务连接
+   * @param {number} commissionId - 佣金ID
+   * @returns {Promise<boolean>} 是否更新
+   */
+  async markAvailable(connection, commissionId) {
+    try {
+      const [result] = await connection.query(
+        `UPDATE distribution_commissions SET status = 'available', settled_at = NOW(), updated_at = NOW()
+         WHERE id = ? AND status = 'frozen'`,
+        [commissionId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('解冻分销佣金失败', { commissionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 记录佣金冲减，同一退款对同一佣金只冲减一次
+   * @param {Object} connection - 事务连接
+   * @param {Object} reversal - { commissionId, refundId, amount }
+   * @returns {Promise<boolean>} 是否首次冲减
+   */
+  async createReversal(connection, reversal) {
+    try {
+      const [result] = await connection.query(
+        `INSERT IGNORE INTO distribution_commission_reversals (commission_id, refund_id, amount, created_at)
+         VALUES (?, ?, ?, NOW())`,
+        [reversal.commissionId, reversal.refundId, reversal.amount]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('记录佣金冲减失败', { commissionId: reversal.commissionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 累加佣金已冲减金额，全部冲减时佣金状态改为已冲减
+   * @param {Object} connection - 事务连接
+   * @param {number} commissionId - 佣金ID
+   * @param {number} amount - 本次冲减金额（元）
+   * @returns {Promise<void>}
+   */
+  async applyReversal(connection, commissionId, amount) {
+    try {
+      await connection.query(
+        `UPDATE distribution_commissions
+         SET reversed_amount = reversed_amount + ?,
+             status = IF(reversed_amount >= amount, 'reversed', status), updated_at = NOW()
+         WHERE id = ?`,
+        [amount, commissionId]
+      );
+    } catch (error) {
+      logger.error('冲减分销佣金失败', { commissionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询分销佣金（分销订单）
+   * @param {Object} connection - 数据库连接
+   * @param {Object} filters - { distributorUserId, keyword, orderNo, shopName, status, level, startDate, endDate }
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 数量
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async findCommissions(connection, filters, offset, limit) {
+    try {
+      const conditions = [];
+      const params = [];
+      appendCommonFilters(filters, 'c', conditions, params);
+      if (filters.distributorUserId) {
+        conditions.push('c.distributor_user_id = ?');
+        params.push(filters.distributorUserId);
+      }
+      if (filters.orderNo) {
+        conditions.push('c.order_no = ?');
+        params.push(filters.orderNo);
+      }
+      if (filters.shopName) {
+        conditions.push('s.name LIKE ?');
+        params.push(`%${filters.shopName}%`);
+      }
+      if (filters.status) {
+        conditions.push('c.status = ?');
+        params.push(filters.status);
+      }
+      if (filters.level) {
+        conditions.push('c.level = ?');
+        params.push(filters.level);
+      }
+      const where = buildWhere(conditions);
+      const joins = `LEFT JOIN distributors d ON d.user_id = c.distributor_user_id
+         LEFT JOIN users u ON u.id = c.distributor_user_id
+         LEFT JOIN shops s ON s.seller_id = c.seller_id`;
+
+      const [rows] = await connection.query(
+        `SELECT c.*, u.username, u.phone, d.real_name, s.name AS shop_name, o.status AS order_status,
+           p.name AS product_name, p.images AS product_images
+         FROM distribution_commissions c ${joins}
+         LEFT JOIN orders o ON o.id = c.order_id
+         LEFT JOIN products p ON p.id = c.product_id
+         ${where} ORDER BY c.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const [[count]] = await connection.query(
+        `SELECT COUNT(*) AS total FROM distribution_commissions c ${joins} ${where}`,
+        params
+      );
+
+      return { rows, total: Number(count.total) };
+    } catch (error) {
+      logger.error('查询分销佣金列表失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建佣金提现申请
+   * @param {Object} connection - 事务连接
+   * @param {Object} withdrawal - { withdrawNo, userId, amount, realName, idCard, bankName, bankAccount, bankBranch }
+   * @returns {Promise<number>} 申请ID
+   */
+  async createWithdrawal(connection, withdrawal) {
+    try {
+      const [result] = await connection.query(
+        `INSERT INTO distribution_withdrawals
+          (withdraw_no, distributor_user_id, amount, real_name, id_card, bank_name, bank_account, bank_branch, status,
+           created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', NOW(), NOW())`,
+        [
+          withdrawal.withdrawNo, withdrawal.userId, withdrawal.amount, withdrawal.realName, withdrawal.idCard,
+          withdrawal.bankName, withdrawal.bankAccount, withdrawal.bankBranch || null
+        ]
+      );
+      return result.insertId;
+    } catch (error) {
+      logger.error('创建佣金提现申请失败', { userId: withdrawal.userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按编号获取佣金提现申请
+   * @param {Object} connection - 数据库连接
+   * @param {string} withdrawNo - 申请编号
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.forUpdate] - 是否加行锁
+   * @returns {Promise<Object|null>} 提现申请
+   */
+  async getWithdrawalByNo(connection, withdrawNo, options = {}) {
+    try {
+      const [rows] = await connection.query(
+        options.forUpdate
+          ? 'SELECT * FROM distribution_withdrawals WHERE withdraw_no = ? FOR UPDATE'
+          : `SELECT w.*, u.username, u.phone FROM distribution_withdrawals w
+             LEFT JOIN users u ON u.id = w.distributor_user_id WHERE w.withdraw_no = ?`,
+        [withdrawNo]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('获取佣金提现申请失败', { withdrawNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 审核佣金提现申请
+   * @param {Object} connection - 事务连接
+   * @param {number} withdrawalId - 申请ID
+   * @param {Object} review - { status, reviewerId, remark, payoutReference }
+   * @returns {Promise<boolean>} 是否更新
+   */
+  async reviewWithdrawal(connection, withdrawalId, review) {
+    try {
+      const [result] = await connection.query(
+        `UPDATE distribution_withdrawals
+         SET status = ?, reviewer_id = ?, review_remark = ?, payout_reference = ?, reviewed_at = NOW(), updated_at = NOW()
+         WHERE id = ? AND status = 'pending'`,
+        [review.status, review.reviewerId, review.remark || null, review.payoutReference || null, withdrawalId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('审核佣金提现申请失败', { withdrawalId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询佣金提现申请
+   * @param {Object} connection - 数据库连接
+   * @param {Object} filters - { distributorUserId, keyword, withdrawNo, status, startDate, endDate }
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 数量
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async findWithdrawals(connection, filters, offset, limit) {
+    try {
+      const conditions = [];
+      const params = [];
+      appendCommonFilters(filters, 'w', conditions, params);
+      if (filters.distributorUserId) {
+        conditions.push('w.distributor_user_id = ?');
+        params.push(filters.distributorUserId);
+      }
+      if (filters.withdrawNo) {
+        conditions.push('w.withdraw_no = ?');
+        params.push(filters.withdrawNo);
+      }
+      if (filters.status) {
+        conditions.push('w.status = ?');
+        params.push(filters.status);
+      }
+      const where = buildWhere(conditions);
+      const joins = `LEFT JOIN users u ON u.id = w.distributor_user_id
+         LEFT JOIN distributors d ON d.user_id = w.distributor_user_id`;
+
+      const [rows] = await connection.query(
+        `SELECT w.*, u.username, u.phone FROM distribution_withdrawals w ${joins}
+         ${where} ORDER BY w.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const [[count]] = await connection.query(
+        `SELECT COUNT(*) AS total FROM distribution_withdrawals w ${joins} ${where}`,
+        params
+      );
+
+      return { rows, total: Number(count.total) };
+    } catch (error) {
+      logger.error('查询佣金提现申请失败', { error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new DistributionRepository();
@@ -0,0 +1,388 @@
+/**
+ * 秒杀数据仓库
+ * 卖家按商品 SKU 创建秒杀活动，设置秒杀价、活动库存和每人限购。活动开始前库存预热到 Redis，抢购时在 Redis 中原子扣减，
+ * 数据库只记录异步创建成功的秒杀订单；订单取消或超时关闭后记录标记为已释放，库存归还到 Redis 库存池。
+ * 所有写操作均在调用方的事务连接上执行。
+ *
+ * 数据表：
+ * - flash_sales：秒杀活动（seller_id, product_id, sku_id（无规格为空字符串）, name, original_price, flash_price, stock,
+ *   sold_count, limit_per_user, start_time, end_time, status, preloaded_at, created_by, creator_type）
+ * - flash_sale_orders：秒杀订单（request_no 唯一, flash_sale_id, user_id, seller_id, quantity, amount, order_id 唯一,
+ *   status, paid_at, released_at）
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * 拼接查询条件
+ * @param {Array} conditions - 条件列表
+ * @returns {string} WHERE 子句
+ */
+function buildWhere(conditions) {
+  return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+// 活动列表字段（含商品名称、主图和店铺名称）
+const SALE_COLUMNS = `f.*, p.name AS product_name, p.images AS product_images, s.name AS shop_name`;
+const SALE_FROM = `FROM flash_sales f
+         LEFT JOIN products p ON p.id = f.product_id
+         LEFT JOIN shops s ON s.seller_id = f.seller_id`;
+
+class FlashSaleRepository {
+  /**
+   * 获取活动商品（含 SKU 价格）
+   * @param {Object} connection - 数据库连接
+   * @param {string} productId - 商品ID
+   * @param {string} [skuId] - SKU ID
+   * @returns {Promise<Object|null>} { id, seller_id, name, price, is_active, sku_id, sku_price }
+   */
+  async getProduct(connection, productId, skuId) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT p.id, p.seller_id, p.name, p.price, p.is_active, sk.id AS sku_id, sk.price AS sku_price
+         FROM products p LEFT JOIN product_skus sk ON sk.product_id = p.id AND sk.id = ?
+         WHERE p.id = ? AND p.deleted_at IS NULL`,
+        [skuId || null, productId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询秒杀商品失败', { productId, skuId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建秒杀活动
+   * @param {Object} connection - 事务连接
+   * @param {Object} sale - 活动数据
+   * @returns {Promise<number>} 活动ID
+   */
+  async createFlashSale(connection, sale) {
+    try {
+      const [result] = await connection.query(
+        `INSERT INTO flash_sales
+          (seller_id, product_id, sku_id, name, original_price, flash_price, stock, sold_count, limit_per_user,
+           start_time, end_time, status, created_by, creator_type, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        [
+          sale.sellerId, sale.productId, sale.skuId, sale.name, sale.originalPrice, sale.flashPrice, sale.stock,
+          sale.limitPerUser, sale.startTime, sale.endTime, sale.status, sale.createdBy, sale.creatorType
+        ]
+      );
+      return result.insertId;
+    } catch (error) {
+      logger.error('创建秒杀活动失败', { productId: sale.productId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 修改秒杀活动，修改后需重新预热库存
+   * @param {Object} connection - 事务连接
+   * @param {number} saleId - 活动ID
+   * @param {Object} sale - 活动数据
+   * @returns {Promise<void>}
+   */
+  async updateFlashSale(connection, saleId, sale) {
+    try {
+      await connection.query(
+        `UPDATE flash_sales
+         SET name = ?, flash_price = ?, stock = ?, limit_per_user = ?, start_time = ?, end_time = ?,
+             preloaded_at = NULL, updated_at = NOW()
+         WHERE id = ?`,
+        [sale.name, sale.flashPrice, sale.stock, sale.limitPerUser, sale.startTime, sale.endTime, saleId]
+      );
+    } catch (error) {
+      logger.error('修改秒杀活动失败', { saleId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新活动状态
+   * @param {Object} connection - 事务连接
+   * @param {number} saleId - 活动ID
+   * @param {string} status - 活动状态
+   * @returns {Promise<void>}
+   */
+  async updateFlashSaleStatus(connection, saleId, status) {
+    try {
+      await connection.query(
+        'UPDATE flash_sales SET status = ?, updated_at = NOW() WHERE id = ?',
+        [status, saleId]
+      );
+    } catch (error) {
+      logger.error('更新秒杀活动状态失败', { saleId, status, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 记录活动库存已预热
+   * @param {Object} connection - 数据库连接
+   * @param {number} saleId - 活动ID
+   * @returns {Promise<void>}
+   */
+  async markPreloaded(connection, saleId) {
+    try {
+      await connection.query(
+        'UPDATE flash_sales SET preloaded_at = NOW(), updated_at = NOW() WHERE id = ?',
+        [saleId]
+      );
+    } catch (error) {
+      logger.error('记录秒杀库存预热失败', { saleId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取秒杀活动
+   * @param {Object} connection - 数据库连接
+   * @param {number} saleId - 活动ID
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.forUpdate] - 是否加行锁
+   * @returns {Promise<Object|null>} 活动
+   */
+  async getFlashSale(connection, saleId, options = {}) {
+    try {
+      const sql = options.forUpdate
+        ? 'SELECT * FROM flash_sales WHERE id = ? FOR UPDATE'
+        : `SELECT ${SALE_COLUMNS} ${SALE_FROM} WHERE f.id = ?`;
+      const [rows] = await connection.query(sql, [saleId]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询秒杀活动失败', { saleId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询秒杀活动
+   * @param {Object} connection - 数据库连接
+   * @param {Object} filters - { sellerId, keyword, state, states }
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 数量
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async findFlashSales(connection, filters, offset, limit) {
+    try {
+      const conditions = [];
+      const params = [];
+      if (filters.sellerId) {
+        conditions.push('f.seller_id = ?');
+        params.push(filters.sellerId);
+      }
+      if (filters.keyword) {
+        conditions.push('(f.name LIKE ? OR p.name LIKE ?)');
+        params.push(`%${filters.keyword}%`, `%${filters.keyword}%`);
+      }
+      // 活动状态：未开始、进行中、已结束（到期或手动结束）；买家端同时查询进行中和即将开始的活动
+      const stateConditions = {
+        not_started: "(f.status = 'active' AND f.start_time > NOW())",
+        ongoing: "(f.status = 'active' AND f.start_time <= NOW() AND f.end_time > NOW())",
+        ended: "(f.status = 'closed' OR f.end_time <= NOW())"
+      };
+      const states = (filters.states || (filters.state ? [filters.state] : [])).filter(state => stateConditions[state]);
+      if (states.length > 0) {
+        conditions.push(`(${states.map(state => stateConditions[state]).join(' OR ')})`);
+      }
+      const where = buildWhere(conditions);
+
+      const [rows] = await connection.query(
+        `SELECT ${SALE_COLUMNS} ${SALE_FROM} ${where}
+         ORDER BY ${filters.orderByStart ? 'f.start_time ASC, f.id ASC' : 'f.id DESC'} LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const [[count]] = await connection.query(
+        `SELECT COUNT(*) AS total FROM flash_sales f LEFT JOIN products p ON p.id = f.product_id ${where}`,
+        params
+      );
+
+      return { rows, total: Number(count.total) };
+    } catch (error) {
+      logger.error('查询秒杀活动列表失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 查询需要预热库存的活动：未手动结束、未预热且在指定时间前开始、尚未结束
+   * @param {Object} connection - 数据库连接
+   * @param {Date} before - 开始时间上限
+   * @param {number} limit - 数量
+   * @returns {Promise<Array>} 活动列表
+   */
+  async findSalesToPreload(connection, before, limit) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT * FROM flash_sales
+         WHERE status = 'active' AND preloaded_at IS NULL AND start_time <= ? AND end_time > NOW()
+         ORDER BY start_time ASC LIMIT ?`,
+        [before, limit]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('查询待预热秒杀活动失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 查询已预热且结束不超过指定时间的活动，用于清理排队超时的抢购请求
+   * @param {Object} connection - 数据库连接
+   * @param {Date} endedAfter - 结束时间下限
+   * @param {number} limit - 数量
+   * @returns {Promise<Array>} 活动列表
+   */
+  async findPreloadedSales(connection, endedAfter, limit) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT * FROM flash_sales WHERE preloaded_at IS NOT NULL AND end_time > ?
+         ORDER BY id ASC LIMIT ?`,
+        [endedAfter, limit]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('查询已预热秒杀活动失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建秒杀订单记录
+   * @param {Object} connection - 事务连接
+   * @param {Object} record - { requestNo, flashSaleId, userId, sellerId, quantity, amount, orderId, status }
+   * @returns {Promise<number>} 记录ID
+   */
+  async createOrderRecord(connection, record) {
+    try {
+      const [result] = await connection.query(
+        `INSERT INTO flash_sale_orders
+          (request_no, flash_sale_id, user_id, seller_id, quantity, amount, order_id, status, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        [
+          record.requestNo, record.flashSaleId, record.userId, record.sellerId, record.quantity, record.amount,
+          record.orderId, record.status
+        ]
+      );
+      return result.insertId;
+    } catch (error) {
+      logger.error('创建秒杀订单记录失败', { requestNo: record.requestNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取秒杀订单记录
+   * @param {Object} connection - 数据库连接
+   * @param {Object} where - { requestNo } 或 { orderId }
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.forUpdate] - 是否加行锁
+   * @returns {Promise<Object|null>} 订单记录
+   */
+  async getOrderRecord(connection, where, options = {}) {
+    try {
+      const column = where.requestNo !== undefined ? 'request_no' : 'order_id';
+      const value = where.requestNo !== undefined ? where.requestNo : where.orderId;
+      const [rows] = await connection.query(
+        `SELECT * FROM flash_sale_orders WHERE ${column} = ?${options.forUpdate ? ' FOR UPDATE' : ''}`,
+        [value]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询秒杀订单记录失败', { ...where, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新秒杀订单记录状态
+   * @param {Object} connection - 事务连接
+   * @param {number} recordId - 记录ID
+   * @param {string} status - 状态
+   * @returns {Promise<void>}
+   */
+  async updateOrderRecordStatus(connection, recordId, status) {
+    try {
+      const timeColumn = status === 'paid' ? 'paid_at = NOW(), ' : (status === 'released' ? 'released_at = NOW(), ' : '');
+      await connection.query(
+        `UPDATE flash_sale_orders SET status = ?, ${timeColumn}updated_at = NOW() WHERE id = ?`,
+        [status, recordId]
+      );
+    } catch (error) {
+      logger.error('更新秒杀订单记录状态失败', { recordId, status, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 累加活动已售数量
+   * @param {Object} connection - 事务连接
+   * @param {number} saleId - 活动ID
+   * @param {number} quantity - 数量
+   * @returns {Promise<void>}
+   */
+  async incrementSold(connection, saleId, quantity) {
+    try {
+      await connection.query(
+        'UPDATE flash_sales SET sold_count = sold_count + ?, updated_at = NOW() WHERE id = ?',
+        [quantity, saleId]
+      );
+    } catch (error) {
+      logger.error('累加秒杀已售数量失败', { saleId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 统计活动中未释放的秒杀订单件数（已下单和已支付），指定买家时只统计该买家
+   * @param {Object} connection - 事务连接
+   * @param {number} saleId - 活动ID
+   * @param {string} [userId] - 用户ID
+   * @returns {Promise<number>} 件数
+   */
+  async sumActiveQuantity(connection, saleId, userId) {
+    try {
+      const params = [saleId];
+      let userCondition = '';
+      if (userId) {
+        userCondition = ' AND user_id = ?';
+        params.push(userId);
+      }
+      const [[row]] = await connection.query(
+        `SELECT COALESCE(SUM(quantity), 0) AS quantity FROM flash_sale_orders
+         WHERE flash_sale_id = ? AND status IN ('ordered', 'paid')${userCondition}`,
+        params
+      );
+      return Number(row.quantity);
+    } catch (error) {
+      logger.error('统计秒杀订单件数失败', { saleId, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按状态统计活动的秒杀订单件数
+   * @param {Object} connection - 数据库连接
+   * @param {Array<number>} saleIds - 活动ID列表
+   * @returns {Promise<Array>} [{ flash_sale_id, status, orders, quantity }]
+   */
+  async countOrdersByStatus(connection, saleIds) {
+    if (saleIds.length === 0) {
+      return [];
+    }
+    try {
+      const [rows] = await connection.query(
+        `SELECT flash_sale_id, status, COUNT(*) AS orders, COALESCE(SUM(quantity), 0) AS quantity
+         FROM flash_sale_orders WHERE flash_sale_id IN (?) GROUP BY flash_sale_id, status`,
+        [saleIds]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('统计秒杀订单失败', { error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new FlashSaleRepository();
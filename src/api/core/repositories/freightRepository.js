@@ -0,0 +1,290 @@
+/**
+ * 运费模板数据仓库
+ * 卖家创建运费模板：按件数、重量或体积计费，按配送地区设置首件（首重、首体积）和续件费用，设置包邮条件和不配送地区；
+ * 商品关联运费模板并记录重量和体积，未关联模板的商品使用店铺的默认模板，店铺没有默认模板时包邮。
+ * 所有写操作均在调用方的事务连接上执行。
+ *
+ * 数据表：
+ * - freight_templates：运费模板（seller_id, name, charge_type, rules（计费规则 JSON）, free_rules（包邮条件 JSON）,
+ *   undeliverable_regions（不配送地区代码 JSON）, is_default, created_by, deleted_at）
+ * - products：商品的 freight_template_id、weight（千克）、volume（立方米）
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * 拼接查询条件
+ * @param {Array} conditions - 条件列表
+ * @returns {string} WHERE 子句
+ */
+function buildWhere(conditions) {
+  return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+// 模板列表字段（含关联商品数量）
+const TEMPLATE_COLUMNS = `t.*, (SELECT COUNT(*) FROM products p WHERE p.freight_template_id = t.id AND p.deleted_at IS NULL) AS product_count`;
+
+class FreightRepository {
+  /**
+   * 创建运费模板
+   * @param {Object} connection - 事务连接
+   * @param {Object} template - 模板数据
+   * @returns {Promise<number>} 模板ID
+   */
+  async createTemplate(connection, template) {
+    try {
+      const [result] = await connection.query(
+        `INSERT INTO freight_templates
+          (seller_id, name, charge_type, rules, free_rules, undeliverable_regions, is_default, created_by, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        [
+          template.sellerId, template.name, template.chargeType, JSON.stringify(template.rules),
+          JSON.stringify(template.freeRules), JSON.stringify(template.undeliverableRegions), template.isDefault ? 1 : 0,
+          template.createdBy
+        ]
+      );
+      return result.insertId;
+    } catch (error) {
+      logger.error('创建运费模板失败', { sellerId: template.sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 修改运费模板
+   * @param {Object} connection - 事务连接
+   * @param {number} templateId - 模板ID
+   * @param {Object} template - 模板数据
+   * @returns {Promise<void>}
+   */
+  async updateTemplate(connection, templateId, template) {
+    try {
+      await connection.query(
+        `UPDATE freight_templates
+         SET name = ?, charge_type = ?, rules = ?, free_rules = ?, undeliverable_regions = ?, is_default = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [
+          template.name, template.chargeType, JSON.stringify(template.rules), JSON.stringify(template.freeRules),
+          JSON.stringify(template.undeliverableRegions), template.isDefault ? 1 : 0, templateId
+        ]
+      );
+    } catch (error) {
+      logger.error('修改运费模板失败', { templateId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除运费模板
+   * @param {Object} connection - 事务连接
+   * @param {number} templateId - 模板ID
+   * @returns {Promise<void>}
+   */
+  async deleteTemplate(connection, templateId) {
+    try {
+      await connection.query(
+        'UPDATE freight_templates SET is_default = 0, deleted_at = NOW(), updated_at = NOW() WHERE id = ?',
+        [templateId]
+      );
+    } catch (error) {
+      logger.error('删除运费模板失败', { templateId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 取消店铺的默认运费模板
+   * @param {Object} connection - 事务连接
+   * @param {string} sellerId - 卖家ID
+   * @returns {Promise<void>}
+   */
+  async clearDefault(connection, sellerId) {
+    try {
+      await connection.query(
+        'UPDATE freight_templates SET is_default = 0, updated_at = NOW() WHERE seller_id = ? AND is_default = 1',
+        [sellerId]
+      );
+    } catch (error) {
+      logger.error('取消默认运费模板失败', { sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取运费模板
+   * @param {Object} connection - 数据库连接
+   * @param {number} templateId - 模板ID
+   * @param {Object} [options] - { forUpdate: 是否加行锁 }
+   * @returns {Promise<Object|null>} 模板（含关联商品数量）
+   */
+  async findById(connection, templateId, options = {}) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT ${TEMPLATE_COLUMNS} FROM freight_templates t WHERE t.id = ? AND t.deleted_at IS NULL${options.forUpdate ? ' FOR UPDATE' : ''}`,
+        [templateId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询运费模板失败', { templateId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询店铺运费模板
+   * @param {Object} connection - 数据库连接
+   * @param {string} sellerId - 卖家ID
+   * @param {Object} filters - { keyword, chargeType }
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 数量
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async findBySeller(connection, sellerId, filters, offset, limit) {
+    try {
+      const conditions = ['t.seller_id = ?', 't.deleted_at IS NULL'];
+      const params = [sellerId];
+      if (filters.keyword) {
+        conditions.push('t.name LIKE ?');
+        params.push(`%${filters.keyword}%`);
+      }
+      if (filters.chargeType) {
+        conditions.push('t.charge_type = ?');
+        params.push(filters.chargeType);
+      }
+      const where = buildWhere(conditions);
+
+      const [rows] = await connection.query(
+        `SELECT ${TEMPLATE_COLUMNS} FROM freight_templates t ${where} ORDER BY t.is_default DESC, t.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const [[count]] = await connection.query(`SELECT COUNT(*) AS total FROM freight_templates t ${where}`, params);
+
+      return { rows, total: Number(count.total) };
+    } catch (error) {
+      logger.error('查询店铺运费模板失败', { sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 批量获取运费模板
+   * @param {Object} connection - 数据库连接
+   * @param {Array<number>} templateIds - 模板ID
+   * @returns {Promise<Array>} 模板列表（已删除的模板不返回）
+   */
+  async findByIds(connection, templateIds) {
+    if (templateIds.length === 0) {
+      return [];
+    }
+    try {
+      const [rows] = await connection.query(
+        'SELECT * FROM freight_templates WHERE id IN (?) AND deleted_at IS NULL',
+        [templateIds]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('批量查询运费模板失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取店铺的默认运费模板
+   * @param {Object} connection - 数据库连接
+   * @param {Array<string>} sellerIds - 卖家ID
+   * @returns {Promise<Array>} 默认模板列表
+   */
+  async findDefaults(connection, sellerIds) {
+    if (sellerIds.length === 0) {
+      return [];
+    }
+    try {
+      const [rows] = await connection.query(
+        'SELECT * FROM freight_templates WHERE seller_id IN (?) AND is_default = 1 AND deleted_at IS NULL',
+        [sellerIds]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('查询默认运费模板失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取商品的运费信息
+   * @param {Object} connection - 数据库连接
+   * @param {Array<string>} productIds - 商品ID
+   * @returns {Promise<Array>} [{ id, seller_id, name, freight_template_id, weight, volume }]
+   */
+  async findProducts(connection, productIds) {
+    if (productIds.length === 0) {
+      return [];
+    }
+    try {
+      const [rows] = await connection.query(
+        `SELECT id, seller_id, name, freight_template_id, weight, volume
+         FROM products WHERE id IN (?) AND deleted_at IS NULL`,
+        [productIds]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('查询商品运费信息失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询关联了运费模板的商品
+   * @param {Object} connection - 数据库连接
+   * @param {number} templateId - 模板ID
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 数量
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async findTemplateProducts(connection, templateId, offset, limit) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT id, name, weight, volume FROM products
+         WHERE freight_template_id = ? AND deleted_at IS NULL ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [templateId, limit, offset]
+      );
+      const [[count]] = await connection.query(
+        'SELECT COUNT(*) AS total FROM products WHERE freight_template_id = ? AND deleted_at IS NULL',
+        [templateId]
+      );
+      return { rows, total: Number(count.total) };
+    } catch (error) {
+      logger.error('查询运费模板关联商品失败', { templateId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 设置商品的运费模板、重量和体积，重量和体积为空时保留原值
+   * @param {Object} connection - 事务连接
+   * @param {string} sellerId - 卖家ID
+   * @param {number|null} templateId - 模板ID，为空时取消关联
+   * @param {Array} products - [{ productId, weight, volume }]
+   * @returns {Promise<number>} 更新的商品数量
+   */
+  async bindProducts(connection, sellerId, templateId, products) {
+    try {
+      let updated = 0;
+      for (const product of products) {
+        const [result] = await connection.query(
+          `UPDATE products
+           SET freight_template_id = ?, weight = COALESCE(?, weight), volume = COALESCE(?, volume), updated_at = NOW()
+           WHERE id = ? AND seller_id = ? AND deleted_at IS NULL`,
+          [templateId, product.weight, product.volume, product.productId, sellerId]
+        );
+        updated += result.affectedRows;
+      }
+      return updated;
+    } catch (error) {
+      logger.error('设置商品运费模板失败', { sellerId, templateId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new FreightRepository();
@@ -0,0 +1,494 @@
+/**
+ * 拼团数据仓库
+ * 卖家在促销活动中配置拼团（type = group_buy），规则包含拼团价、成团人数、成团时限和模拟成团设置。
+ * 买家按拼团价下单时开团或参团，每笔拼团订单对应一名团员；团员下单即占用名额，订单取消或关闭时释放名额，
+ * 支付成功后计入已支付人数，已支付人数达到成团人数时成团。到期未成团的团记为失败，已支付团员原路退款。
+ * 所有写操作均在调用方的事务连接上执行。
+ *
+ * 数据表：
+ * - group_buy_teams：拼团团队（team_no 唯一, promotion_id, seller_id, product_id, sku_id（无规格为空字符串）,
+ *   leader_user_id, group_size, group_price, paid_count, reserved_count, status, simulated, expires_at,
+ *   succeeded_at, failed_at）
+ * - group_buy_members：团员（team_id, order_id 唯一, user_id, is_leader, quantity, amount, status, paid_at,
+ *   refund_no, refund_attempts, refund_fail_reason, refunded_at）
+ * - promotions / promotion_products：卖家促销活动及关联商品（只读，结束活动时更新 status）
+ * - orders：拼团失败退款成功后更新 status 为 refunded
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * 拼接查询条件
+ * @param {Array} conditions - 条件列表
+ * @returns {string} WHERE 子句
+ */
+function buildWhere(conditions) {
+  return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+// 团队列表字段（含活动名称、商品、团长和店铺名称）
+const TEAM_COLUMNS = `t.*, pr.name AS promotion_name, p.name AS product_name, p.images AS product_images,
+                u.username AS leader_name, u.phone AS leader_phone, s.name AS shop_name`;
+const TEAM_FROM = `FROM group_buy_teams t
+         LEFT JOIN promotions pr ON pr.id = t.promotion_id
+         LEFT JOIN products p ON p.id = t.product_id
+         LEFT JOIN users u ON u.id = t.leader_user_id
+         LEFT JOIN shops s ON s.seller_id = t.seller_id`;
+
+// 拼团活动成团规则字段
+const GROUP_SIZE_SQL = "CAST(JSON_UNQUOTE(JSON_EXTRACT(pr.rule, '$.groupSize')) AS UNSIGNED)";
+
+class GroupBuyRepository {
+  /**
+   * 获取拼团活动
+   * @param {Object} connection - 数据库连接
+   * @param {number} promotionId - 促销活动ID
+   * @returns {Promise<Object|null>} 促销活动（含店铺名称）
+   */
+  async getPromotion(connection, promotionId) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT pr.id, pr.seller_id, pr.name, pr.type, pr.description, pr.rule, pr.status, pr.start_time, pr.end_time,
+                pr.created_at, s.name AS shop_name
+         FROM promotions pr LEFT JOIN shops s ON s.seller_id = pr.seller_id
+         WHERE pr.id = ? AND pr.type = 'group_buy'`,
+        [promotionId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询拼团活动失败', { promotionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取拼团活动关联的商品ID
+   * @param {Object} connection - 数据库连接
+   * @param {number} promotionId - 促销活动ID
+   * @returns {Promise<Array<string>>} 商品ID列表
+   */
+  async getPromotionProductIds(connection, promotionId) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT product_id FROM promotion_products WHERE promotion_id = ?',
+        [promotionId]
+      );
+      return rows.map(row => String(row.product_id));
+    } catch (error) {
+      logger.error('查询拼团活动商品失败', { promotionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询拼团活动
+   * @param {Object} connection - 数据库连接
+   * @param {Object} filters - { sellerId, keyword, state, groupSize }
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 数量
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async findPromotions(connection, filters, offset, limit) {
+    try {
+      const conditions = ["pr.type = 'group_buy'"];
+      const params = [];
+      if (filters.sellerId) {
+        conditions.push('pr.seller_id = ?');
+        params.push(filters.sellerId);
+      }
+      if (filters.keyword) {
+        conditions.push('pr.name LIKE ?');
+        params.push(`%${filters.keyword}%`);
+      }
+      // 活动状态：未开始、进行中、已暂停、已结束（到期、手动结束或已过期）
+      if (filters.state === 'not_started') {
+        conditions.push("pr.status NOT IN ('ended', 'expired', 'paused') AND pr.end_time > NOW() AND (pr.status <> 'active' OR pr.start_time > NOW())");
+      } else if (filters.state === 'ongoing') {
+        conditions.push("pr.status = 'active' AND pr.start_time <= NOW() AND pr.end_time > NOW()");
+      } else if (filters.state === 'paused') {
+        conditions.push("pr.status = 'paused' AND pr.end_time > NOW()");
+      } else if (filters.state === 'ended') {
+        conditions.push("(pr.status IN ('ended', 'expired') OR pr.end_time <= NOW())");
+      }
+      if (filters.groupSize) {
+        conditions.push(`${GROUP_SIZE_SQL} = ?`);
+        params.push(filters.groupSize);
+      }
+      const where = buildWhere(conditions);
+
+      const [rows] = await connection.query(
+        `SELECT pr.id, pr.seller_id, pr.name, pr.type, pr.description, pr.rule, pr.status, pr.start_time, pr.end_time,
+                pr.created_at, s.name AS shop_name
+         FROM promotions pr LEFT JOIN shops s ON s.seller_id = pr.seller_id
+         ${where} ORDER BY pr.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const [[count]] = await connection.query(`SELECT COUNT(*) AS total FROM promotions pr ${where}`, params);
+
+      return { rows, total: Number(count.total) };
+    } catch (error) {
+      logger.error('查询拼团活动列表失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新拼团活动状态
+   * @param {Object} connection - 事务连接
+   * @param {number} promotionId - 促销活动ID
+   * @param {string} status - 活动状态
+   * @returns {Promise<void>}
+   */
+  async updatePromotionStatus(connection, promotionId, status) {
+    try {
+      await connection.query(
+        'UPDATE promotions SET status = ?, updated_at = NOW() WHERE id = ?',
+        [status, promotionId]
+      );
+    } catch (error) {
+      logger.error('更新拼团活动状态失败', { promotionId, status, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建团队
+   * @param {Object} connection - 事务连接
+   * @param {Object} team - 团队数据
+   * @returns {Promise<number>} 团队ID
+   */
+  async createTeam(connection, team) {
+    try {
+      const [result] = await connection.query(
+        `INSERT INTO group_buy_teams
+          (team_no, promotion_id, seller_id, product_id, sku_id, leader_user_id, group_size, group_price,
+           paid_count, reserved_count, status, simulated, expires_at, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, 0, ?, 0, ?, NOW(), NOW())`,
+        [
+          team.teamNo, team.promotionId, team.sellerId, team.productId, team.skuId, team.leaderUserId,
+          team.groupSize, team.groupPrice, team.status, team.expiresAt
+        ]
+      );
+      return result.insertId;
+    } catch (error) {
+      logger.error('创建拼团团队失败', { promotionId: team.promotionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取团队
+   * @param {Object} connection - 数据库连接
+   * @param {Object} criteria - { id } 或 { teamNo }
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.forUpdate] - 是否加行锁
+   * @returns {Promise<Object|null>} 团队
+   */
+  async getTeam(connection, criteria, options = {}) {
+    try {
+      const column = criteria.teamNo !== undefined ? 'team_no' : 'id';
+      const value = criteria.teamNo !== undefined ? criteria.teamNo : criteria.id;
+      const sql = options.forUpdate
+        ? `SELECT * FROM group_buy_teams WHERE ${column} = ? FOR UPDATE`
+        : `SELECT ${TEAM_COLUMNS} ${TEAM_FROM} WHERE t.${column} = ?`;
+      const [rows] = await connection.query(sql, [value]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询拼团团队失败', { criteria, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 调整团队占用名额和已支付人数
+   * @param {Object} connection - 事务连接
+   * @param {number} teamId - 团队ID
+   * @param {Object} delta - { reserved, paid }
+   * @returns {Promise<void>}
+   */
+  async adjustTeamCounts(connection, teamId, delta) {
+    try {
+      await connection.query(
+        `UPDATE group_buy_teams
+         SET reserved_count = GREATEST(reserved_count + ?, 0), paid_count = GREATEST(paid_count + ?, 0), updated_at = NOW()
+         WHERE id = ?`,
+        [delta.reserved || 0, delta.paid || 0, teamId]
+      );
+    } catch (error) {
+      logger.error('更新拼团团队人数失败', { teamId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 结束团队：成团或拼团失败
+   * @param {Object} connection - 事务连接
+   * @param {number} teamId - 团队ID
+   * @param {string} status - success 或 failed
+   * @param {Object} [fields] - { simulated }
+   * @returns {Promise<void>}
+   */
+  async finishTeam(connection, teamId, status, fields = {}) {
+    try {
+      const timeColumn = status === 'success' ? 'succeeded_at' : 'failed_at';
+      await connection.query(
+        `UPDATE group_buy_teams SET status = ?, simulated = ?, ${timeColumn} = NOW(), updated_at = NOW() WHERE id = ?`,
+        [status, fields.simulated ? 1 : 0, teamId]
+      );
+    } catch (error) {
+      logger.error('更新拼团团队状态失败', { teamId, status, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询团队
+   * @param {Object} connection - 数据库连接
+   * @param {Object} filters - { promotionId, sellerId, productId, status, userId, teamNo, joinable }
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 数量
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async findTeams(connection, filters, offset, limit) {
+    try {
+      const conditions = [];
+      const params = [];
+      for (const [field, column] of [
+        ['promotionId', 'promotion_id'], ['sellerId', 'seller_id'], ['productId', 'product_id'],
+        ['status', 'status'], ['teamNo', 'team_no']
+      ]) {
+        if (filters[field]) {
+          conditions.push(`t.${column} = ?`);
+          params.push(filters[field]);
+        }
+      }
+      // 可参团：进行中、未到期、已有团员支付且仍有空余名额
+      if (filters.joinable) {
+        conditions.push("t.status = 'open' AND t.expires_at > NOW() AND t.paid_count > 0 AND t.reserved_count < t.group_size");
+      }
+      if (filters.userId) {
+        conditions.push(`EXISTS (SELECT 1 FROM group_buy_members m
+          WHERE m.team_id = t.id AND m.user_id = ? AND m.status <> 'canceled')`);
+        params.push(filters.userId);
+      }
+      const where = buildWhere(conditions);
+      const order = filters.joinable ? 't.expires_at ASC' : 't.id DESC';
+
+      const [rows] = await connection.query(
+        `SELECT ${TEAM_COLUMNS} ${TEAM_FROM} ${where} ORDER BY ${order} LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const [[count]] = await connection.query(`SELECT COUNT(*) AS total FROM group_buy_teams t ${where}`, params);
+
+      return { rows, total: Number(count.total) };
+    } catch (error) {
+      logger.error('查询拼团团队列表失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 统计活动的团队
+   * @param {Object} connection - 数据库连接
+   * @param {Array<number>} promotionIds - 促销活动ID列表
+   * @returns {Promise<Array>} [{ promotion_id, status, count, simulated, members }]
+   */
+  async countTeamsByStatus(connection, promotionIds) {
+    if (promotionIds.length === 0) {
+      return [];
+    }
+    try {
+      const [rows] = await connection.query(
+        `SELECT promotion_id, status, COUNT(*) AS count, SUM(simulated) AS simulated, SUM(paid_count) AS members
+         FROM group_buy_teams WHERE promotion_id IN (?) GROUP BY promotion_id, status`,
+        [promotionIds]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('统计拼团团队失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 查询已到期仍未成团的团队
+   * @param {Object} connection - 数据库连接
+   * @param {Date} now - 当前时间
+   * @param {number} limit - 数量
+   * @returns {Promise<Array>} [{ id, team_no }]
+   */
+  async findExpiredTeams(connection, now, limit) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT id, team_no FROM group_buy_teams WHERE status = 'open' AND expires_at <= ?
+         ORDER BY expires_at ASC LIMIT ?`,
+        [now, limit]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('查询到期拼团团队失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建团员
+   * @param {Object} connection - 事务连接
+   * @param {Object} member - { teamId, orderId, userId, isLeader, quantity, amount, status }
+   * @returns {Promise<number>} 团员ID
+   */
+  async createMember(connection, member) {
+    try {
+      const [result] = await connection.query(
+        `INSERT INTO group_buy_members
+          (team_id, order_id, user_id, is_leader, quantity, amount, status, refund_attempts, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 0, NOW(), NOW())`,
+        [
+          member.teamId, member.orderId, member.userId, member.isLeader ? 1 : 0, member.quantity,
+          member.amount, member.status
+        ]
+      );
+      return result.insertId;
+    } catch (error) {
+      logger.error('创建拼团团员失败', { teamId: member.teamId, orderId: member.orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取团员
+   * @param {Object} connection - 数据库连接
+   * @param {Object} criteria - { id } 或 { orderId }
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.forUpdate] - 是否加行锁
+   * @returns {Promise<Object|null>} 团员（含团队商品信息）
+   */
+  async getMember(connection, criteria, options = {}) {
+    try {
+      const column = criteria.orderId !== undefined ? 'm.order_id' : 'm.id';
+      const value = criteria.orderId !== undefined ? criteria.orderId : criteria.id;
+      const [rows] = await connection.query(
+        `SELECT m.*, t.team_no, t.promotion_id, t.product_id, t.sku_id, t.seller_id, t.status AS team_status,
+                p.name AS product_name
+         FROM group_buy_members m
+         JOIN group_buy_teams t ON t.id = m.team_id
+         LEFT JOIN products p ON p.id = t.product_id
+         WHERE ${column} = ?${options.forUpdate ? ' FOR UPDATE' : ''}`,
+        [value]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询拼团团员失败', { criteria, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 查询买家在团队中的有效团员记录（待支付或已支付）
+   * @param {Object} connection - 事务连接
+   * @param {number} teamId - 团队ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object|null>} 团员
+   */
+  async getActiveMember(connection, teamId, userId) {
+    try {
+      const [rows] = await connection.query(
+        "SELECT id, status FROM group_buy_members WHERE team_id = ? AND user_id = ? AND status IN ('pending', 'paid')",
+        [teamId, userId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询买家拼团记录失败', { teamId, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取团队的团员列表
+   * @param {Object} connection - 数据库连接
+   * @param {number} teamId - 团队ID
+   * @returns {Promise<Array>} 团员列表（含用户名称）
+   */
+  async getMembers(connection, teamId) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT m.*, u.username, u.phone AS user_phone
+         FROM group_buy_members m LEFT JOIN users u ON u.id = m.user_id
+         WHERE m.team_id = ? ORDER BY m.is_leader DESC, m.id ASC`,
+        [teamId]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('查询拼团团员列表失败', { teamId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新团员状态
+   * @param {Object} connection - 事务连接
+   * @param {number} memberId - 团员ID
+   * @param {string} status - 状态
+   * @param {Object} [fields] - 同时更新的字段 { paid_at, refund_no, refund_attempts, refund_fail_reason, refunded_at }
+   * @returns {Promise<void>}
+   */
+  async updateMember(connection, memberId, status, fields = {}) {
+    try {
+      const sets = ['status = ?', 'updated_at = NOW()'];
+      const params = [status];
+      for (const column of ['paid_at', 'refund_no', 'refund_attempts', 'refund_fail_reason', 'refunded_at']) {
+        if (fields[column] !== undefined) {
+          sets.push(`${column} = ?`);
+          params.push(fields[column]);
+        }
+      }
+      await connection.query(`UPDATE group_buy_members SET ${sets.join(', ')} WHERE id = ?`, [...params, memberId]);
+    } catch (error) {
+      logger.error('更新拼团团员状态失败', { memberId, status, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 查询需要重试的退款：退款失败且未超过重试次数，或退款中但长时间未完成
+   * @param {Object} connection - 数据库连接
+   * @param {number} maxAttempts - 最大退款尝试次数
+   * @param {Date} staleBefore - 退款中超过该时间未更新视为中断
+   * @param {number} limit - 数量
+   * @returns {Promise<Array<number>>} 团员ID列表
+   */
+  async findRefundRetries(connection, maxAttempts, staleBefore, limit) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT id FROM group_buy_members
+         WHERE (status = 'refund_failed' AND refund_attempts < ?) OR (status = 'refunding' AND updated_at <= ?)
+         ORDER BY id ASC LIMIT ?`,
+        [maxAttempts, staleBefore, limit]
+      );
+      return rows.map(row => row.id);
+    } catch (error) {
+      logger.error('查询待重试拼团退款失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 将拼团失败已退款的订单标记为已退款
+   * @param {Object} connection - 事务连接
+   * @param {string} orderId - 订单ID
+   * @returns {Promise<void>}
+   */
+  async markOrderRefunded(connection, orderId) {
+    try {
+      await connection.query(
+        "UPDATE orders SET status = 'refunded', updated_at = NOW() WHERE id = ? AND status IN ('paid', 'pending_shipment')",
+        [orderId]
+      );
+    } catch (error) {
+      logger.error('更新拼团订单退款状态失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new GroupBuyRepository();
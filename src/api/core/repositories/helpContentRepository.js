@@ -0,0 +1,62 @@
+/**
+ * 帮助内容数据仓库
+ * 读取已发布的帮助文章和知识库文档，作为AI助手知识库的检索来源。
+ * 帮助内容由管理端内容管理维护，本仓库只读。
+ *
+ * 数据表：
+ * - help_articles：帮助文章（title, content, category, status（draft/published）, ...）
+ * - knowledge_docs：知识库文档（title, content, category, status, ...）
+ * - knowledge_doc_tags：知识库文档标签（doc_id, tag）
+ */
+
+const logger = require('../utils/logger');
+
+class HelpContentRepository {
+  /**
+   * 获取已发布的帮助文章
+   * @param {Object} connection - 数据库连接
+   * @returns {Promise<Array>} 帮助文章记录
+   */
+  async findPublishedHelpArticles(connection) {
+    try {
+      const [rows] = await connection.query("SELECT * FROM help_articles WHERE status = 'published' ORDER BY id");
+      return rows;
+    } catch (error) {
+      logger.error('查询已发布帮助文章失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取已发布的知识库文档及其标签
+   * @param {Object} connection - 数据库连接
+   * @returns {Promise<Array>} 知识库文档记录（含 tags）
+   */
+  async findPublishedKnowledgeDocs(connection) {
+    try {
+      const [docs] = await connection.query("SELECT * FROM knowledge_docs WHERE status = 'published' ORDER BY id");
+      if (docs.length === 0) {
+        return docs;
+      }
+
+      const [tags] = await connection.query(
+        'SELECT doc_id, tag FROM knowledge_doc_tags WHERE doc_id IN (?)',
+        [docs.map(doc => doc.id)]
+      );
+      const tagsByDoc = new Map();
+      tags.forEach(({ doc_id: docId, tag }) => {
+        if (!tagsByDoc.has(docId)) {
+          tagsByDoc.set(docId, []);
+        }
+        tagsByDoc.get(docId).push(tag);
+      });
+
+      return docs.map(doc => ({ ...doc, tags: tagsByDoc.get(doc.id) || [] }));
+    } catch (error) {
+      logger.error('查询已发布知识库文档失败', { error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new HelpContentRepository();
@@ -0,0 +1,227 @@
+/**
+ * 库存数据仓库
+ * 库存按商品 + SKU 记录可售（available）、锁定（locked）、已售（sold）三种数量，
+ * 每次数量变动都在 inventory_movements 中追加一条流水，流水只增不改。
+ * 所有写操作均在调用方的事务连接上执行。
+ *
+ * 数据表：
+ * - inventory：库存（seller_id, product_id, sku_id, available, locked, sold, alert_threshold, updated_by），(product_id, sku_id) 唯一，无规格商品的 sku_id 为空字符串
+ * - inventory_movements：库存流水（inventory_id, product_id, sku_id, type, available_change, locked_change, sold_change,
+ *   available_after, locked_after, sold_after, source_type, source_id, reason, operator_id），(type, source_type, source_id, product_id, sku_id) 唯一
+ */
+
+const logger = require('../utils/logger');
+
+class InventoryRepository {
+  /**
+   * 锁定库存记录
+   * @param {Object} connection - 事务连接
+   * @param {string} productId - 商品ID
+   * @param {string} skuId - SKU ID
+   * @returns {Promise<Object|null>} 库存记录
+   */
+  async lockStock(connection, productId, skuId) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT * FROM inventory WHERE product_id = ? AND sku_id = ? FOR UPDATE',
+        [productId, skuId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('锁定库存记录失败', { productId, skuId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取库存记录
+   * @param {Object} connection - 数据库连接
+   * @param {string} productId - 商品ID
+   * @param {string} skuId - SKU ID
+   * @returns {Promise<Object|null>} 库存记录
+   */
+  async getStock(connection, productId, skuId) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT * FROM inventory WHERE product_id = ? AND sku_id = ?',
+        [productId, skuId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('获取库存记录失败', { productId, skuId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建库存记录，记录已存在时不重复创建
+   * @param {Object} connection - 事务连接
+   * @param {Object} stock - { sellerId, productId, skuId, operatorId }
+   * @returns {Promise<void>}
+   */
+  async createStock(connection, stock) {
+    try {
+      await connection.query(
+        `INSERT IGNORE INTO inventory
+          (seller_id, product_id, sku_id, available, locked, sold, alert_threshold, updated_by, created_at, updated_at)
+         VALUES (?, ?, ?, 0, 0, 0, 0, ?, NOW(), NOW())`,
+        [stock.sellerId, stock.productId, stock.skuId, stock.operatorId]
+      );
+    } catch (error) {
+      logger.error('创建库存记录失败', { productId: stock.productId, skuId: stock.skuId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按增量变更库存数量，任一数量变为负数时不变更
+   * @param {Object} connection - 事务连接
+   * @param {number} inventoryId - 库存记录ID
+   * @param {Object} change - { available, locked, sold } 各数量的增量
+   * @param {string} [operatorId] - 操作人ID
+   * @returns {Promise<boolean>} 是否变更成功
+   */
+  async applyChange(connection, inventoryId, change, operatorId = null) {
+    try {
+      const { available = 0, locked = 0, sold = 0 } = change;
+      const [result] = await connection.query(
+        `UPDATE inventory
+         SET available = available + ?, locked = locked + ?, sold = sold + ?,
+             updated_by = COALESCE(?, updated_by), updated_at = NOW()
+         WHERE id = ? AND available + ? >= 0 AND locked + ? >= 0 AND sold + ? >= 0`,
+        [available, locked, sold, operatorId, inventoryId, available, locked, sold]
+      );
+
+      return result.affectedRows === 1;
+    } catch (error) {
+      logger.error('变更库存数量失败', { inventoryId, change, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新库存预警阈值
+   * @param {Object} connection - 事务连接
+   * @param {number} inventoryId - 库存记录ID
+   * @param {number} alertThreshold - 预警阈值
+   * @returns {Promise<void>}
+   */
+  async updateAlertThreshold(connection, inventoryId, alertThreshold) {
+    try {
+      await connection.query(
+        'UPDATE inventory SET alert_threshold = ?, updated_at = NOW() WHERE id = ?',
+        [alertThreshold, inventoryId]
+      );
+    } catch (error) {
+      logger.error('更新库存预警阈值失败', { inventoryId, alertThreshold, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按来源查找库存流水
+   * @param {Object} connection - 数据库连接
+   * @param {Object} key - { type, sourceType, sourceId, productId, skuId }
+   * @returns {Promise<Object|null>} 库存流水
+   */
+  async findMovement(connection, key) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT * FROM inventory_movements
+         WHERE type = ? AND source_type = ? AND source_id = ? AND product_id = ? AND sku_id = ? LIMIT 1`,
+        [key.type, key.sourceType, key.sourceId, key.productId, key.skuId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查找库存流水失败', { ...key, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 追加库存流水
+   * @param {Object} connection - 事务连接
+   * @param {Object} movement - 库存流水
+   * @returns {Promise<number>} 流水ID
+   */
+  async createMovement(connection, movement) {
+    try {
+      const [result] = await connection.query(
+        `INSERT INTO inventory_movements
+          (inventory_id, product_id, sku_id, type, available_change, locked_change, sold_change,
+           available_after, locked_after, sold_after, source_type, source_id, reason, operator_id, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [
+          movement.inventoryId,
+          movement.productId,
+          movement.skuId,
+          movement.type,
+          movement.availableChange,
+          movement.lockedChange,
+          movement.soldChange,
+          movement.availableAfter,
+          movement.lockedAfter,
+          movement.soldAfter,
+          movement.sourceType,
+          movement.sourceId,
+          movement.reason,
+          movement.operatorId
+        ]
+      );
+
+      return result.insertId;
+    } catch (error) {
+      logger.error('写入库存流水失败', { productId: movement.productId, type: movement.type, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询库存流水
+   * @param {Object} connection - 数据库连接
+   * @param {Object} query - { sellerId, productId, skuId, type }
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 限制数量
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async getMovements(connection, query, offset, limit) {
+    try {
+      let where = 'WHERE 1 = 1';
+      const params = [];
+
+      if (query.sellerId) {
+        where += ' AND i.seller_id = ?';
+        params.push(query.sellerId);
+      }
+      if (query.productId) {
+        where += ' AND m.product_id = ?';
+        params.push(query.productId);
+      }
+      if (query.skuId !== undefined && query.skuId !== null) {
+        where += ' AND m.sku_id = ?';
+        params.push(query.skuId);
+      }
+      if (query.type) {
+        where += ' AND m.type = ?';
+        params.push(query.type);
+      }
+
+      const [rows] = await connection.query(
+        `SELECT m.* FROM inventory_movements m JOIN inventory i ON m.inventory_id = i.id
+         ${where} ORDER BY m.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const [countRows] = await connection.query(
+        `SELECT COUNT(*) AS total FROM inventory_movements m JOIN inventory i ON m.inventory_id = i.id ${where}`,
+        params
+      );
+
+      return { rows, total: Number(countRows[0].total) };
+    } catch (error) {
+      logger.error('查询库存流水失败', { ...query, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new InventoryRepository();
@@ -0,0 +1,165 @@
+/**
+ * 物流公司数据仓库
+ * 平台维护可用的物流公司，卖家发货时从启用的物流公司中选择。
+ * 所有写操作均在调用方的事务连接上执行。
+ *
+ * 数据表：
+ * - logistics_companies：物流公司（code 唯一, name, phone, website, tracking_url（含 {trackingNumber} 占位符的查询地址）,
+ *   sort_order, status）
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * 拼接查询条件
+ * @param {Array} conditions - 条件列表
+ * @returns {string} WHERE 子句
+ */
+function buildWhere(conditions) {
+  return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+class LogisticsCompanyRepository {
+  /**
+   * 分页查询物流公司
+   * @param {Object} connection - 数据库连接
+   * @param {Object} filters - { keyword, status }
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 数量
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async findCompanies(connection, filters, offset, limit) {
+    try {
+      const conditions = [];
+      const params = [];
+      if (filters.keyword) {
+        conditions.push('(name LIKE ? OR code LIKE ?)');
+        params.push(`%${filters.keyword}%`, `%${filters.keyword}%`);
+      }
+      if (filters.status) {
+        conditions.push('status = ?');
+        params.push(filters.status);
+      }
+      const where = buildWhere(conditions);
+
+      const [rows] = await connection.query(
+        `SELECT * FROM logistics_companies ${where} ORDER BY sort_order, id LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const [[count]] = await connection.query(`SELECT COUNT(*) AS total FROM logistics_companies ${where}`, params);
+
+      return { rows, total: Number(count.total) };
+    } catch (error) {
+      logger.error('查询物流公司失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取全部启用的物流公司
+   * @param {Object} connection - 数据库连接
+   * @returns {Promise<Array>} 物流公司列表
+   */
+  async findActive(connection) {
+    try {
+      const [rows] = await connection.query(
+        "SELECT * FROM logistics_companies WHERE status = 'active' ORDER BY sort_order, id"
+      );
+      return rows;
+    } catch (error) {
+      logger.error('查询启用的物流公司失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按ID获取物流公司
+   * @param {Object} connection - 数据库连接
+   * @param {number} id - 物流公司ID
+   * @returns {Promise<Object|null>} 物流公司
+   */
+  async findById(connection, id) {
+    try {
+      const [rows] = await connection.query('SELECT * FROM logistics_companies WHERE id = ?', [id]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询物流公司失败', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按编码获取物流公司
+   * @param {Object} connection - 数据库连接
+   * @param {string} code - 物流公司编码
+   * @returns {Promise<Object|null>} 物流公司
+   */
+  async findByCode(connection, code) {
+    try {
+      const [rows] = await connection.query('SELECT * FROM logistics_companies WHERE code = ?', [code]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询物流公司失败', { code, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 新增物流公司
+   * @param {Object} connection - 事务连接
+   * @param {Object} company - 物流公司数据
+   * @returns {Promise<number>} 物流公司ID
+   */
+  async createCompany(connection, company) {
+    try {
+      const [result] = await connection.query(
+        `INSERT INTO logistics_companies (code, name, phone, website, tracking_url, sort_order, status, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        [company.code, company.name, company.phone, company.website, company.trackingUrl, company.sortOrder, company.status]
+      );
+      return result.insertId;
+    } catch (error) {
+      logger.error('新增物流公司失败', { code: company.code, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 修改物流公司
+   * @param {Object} connection - 事务连接
+   * @param {number} id - 物流公司ID
+   * @param {Object} company - 物流公司数据
+   * @returns {Promise<void>}
+   */
+  async updateCompany(connection, id, company) {
+    try {
+      await connection.query(
+        `UPDATE logistics_companies
+         SET name = ?, phone = ?, website = ?, tracking_url = ?, sort_order = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [company.name, company.phone, company.website, company.trackingUrl, company.sortOrder, id]
+      );
+    } catch (error) {
+      logger.error('修改物流公司失败', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 修改物流公司状态
+   * @param {Object} connection - 事务连接
+   * @param {number} id - 物流公司ID
+   * @param {string} status - 状态
+   * @returns {Promise<void>}
+   */
+  async updateStatus(connection, id, status) {
+    try {
+      await connection.query('UPDATE logistics_companies SET status = ?, updated_at = NOW() WHERE id = ?', [status, id]);
+    } catch (error) {
+      logger.error('修改物流公司状态失败', { id, status, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new LogisticsCompanyRepository();
@@ -0,0 +1,176 @@
+/**
+ * 会员数据仓库
+ * 处理会员等级、会员卡、成长记录和等级变更日志的数据操作
+ *
+ * 数据表：
+ * - member_tiers：会员等级定义（code, name, rank, min_spend, min_points, discount_rate, free_shipping, points_multiplier, status）
+ * - member_cards：会员卡（user_id 唯一, card_no, tier_code, status, joined_at, expires_at, tier_evaluate_at）
+ * - member_growth_records：成长记录（user_id, spend, points, source, source_id），(source, source_id) 唯一
+ * - member_tier_logs：等级变更日志（user_id, from_tier, to_tier, direction, reason）
+ */
+
+const BaseRepository = require('./baseRepository');
+
+class MemberRepository extends BaseRepository {
+  /**
+   * 获取启用的会员等级，按等级从低到高排序
+   * @returns {Promise<Array>} 会员等级列表
+   */
+  async getTiers() {
+    return this.query(
+      'SELECT * FROM member_tiers WHERE status = ? ORDER BY `rank` ASC',
+      ['active']
+    );
+  }
+
+  /**
+   * 根据用户ID获取会员卡
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object|null>} 会员卡记录
+   */
+  async getCardByUserId(userId) {
+    const rows = await this.query('SELECT * FROM member_cards WHERE user_id = ? LIMIT 1', [userId]);
+    return rows[0] || null;
+  }
+
+  /**
+   * 创建会员卡，用户已有会员卡时不重复创建
+   * @param {Object} card - 会员卡数据
+   * @returns {Promise<boolean>} 是否新建
+   */
+  async createCard(card) {
+    const result = await this.execute(
+      `INSERT IGNORE INTO member_cards
+        (user_id, card_no, tier_code, status, joined_at, expires_at, tier_evaluate_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [card.userId, card.cardNo, card.tierCode, card.status, card.joinedAt, card.expiresAt, card.tierEvaluateAt]
+    );
+    return this.getAffectedRows(result) === 1;
+  }
+
+  /**
+   * 变更会员卡等级
+   * 以原等级作为条件更新，并发评估时只有一次变更生效
+   * @param {number} cardId - 会员卡ID
+   * @param {string} fromTier - 原等级编码
+   * @param {string} toTier - 新等级编码
+   * @param {Date} tierEvaluateAt - 下次保级评估时间
+   * @returns {Promise<boolean>} 是否变更成功
+   */
+  async updateCardTier(cardId, fromTier, toTier, tierEvaluateAt) {
+    const result = await this.execute(
+      'UPDATE member_cards SET tier_code = ?, tier_evaluate_at = ?, updated_at = NOW() WHERE id = ? AND tier_code = ?',
+      [toTier, tierEvaluateAt, cardId, fromTier]
+    );
+    return this.getAffectedRows(result) === 1;
+  }
+
+  /**
+   * 更新下次保级评估时间
+   * @param {number} cardId - 会员卡ID
+   * @param {Date} tierEvaluateAt - 下次保级评估时间
+   * @returns {Promise<void>}
+   */
+  async updateTierEvaluateAt(cardId, tierEvaluateAt) {
+    await this.execute(
+      'UPDATE member_cards SET tier_evaluate_at = ?, updated_at = NOW() WHERE id = ?',
+      [tierEvaluateAt, cardId]
+    );
+  }
+
+  /**
+   * 更新会员卡有效期和状态
+   * @param {number} cardId - 会员卡ID
+   * @param {string} status - 会员卡状态
+   * @param {Date} expiresAt - 过期时间
+   * @returns {Promise<void>}
+   */
+  async updateCardValidity(cardId, status, expiresAt) {
+    await this.execute(
+      'UPDATE member_cards SET status = ?, expires_at = ?, updated_at = NOW() WHERE id = ?',
+      [status, expiresAt, cardId]
+    );
+  }
+
+  /**
+   * 将已过期的会员卡标记为过期
+   * @param {Date} now - 当前时间
+   * @param {number} limit - 最大处理数量
+   * @returns {Promise<Array>} 被标记过期的会员卡
+   */
+  async expireCards(now, limit = 500) {
+    const rows = await this.query(
+      'SELECT * FROM member_cards WHERE status = ? AND expires_at <= ? LIMIT ?',
+      ['active', now, limit]
+    );
+
+    if (rows.length > 0) {
+      await this.execute(
+        `UPDATE member_cards SET status = ?, updated_at = NOW() WHERE id IN (${rows.map(() => '?').join(', ')}) AND status = ?`,
+        ['expired', ...rows.map(row => row.id), 'active']
+      );
+    }
+
+    return rows;
+  }
+
+  /**
+   * 获取到期需要保级评估的会员卡
+   * @param {Date} now - 当前时间
+   * @param {number} limit - 最大返回数量
+   * @returns {Promise<Array>} 会员卡列表
+   */
+  async getCardsDueForEvaluation(now, limit = 500) {
+    return this.query(
+      'SELECT * FROM member_cards WHERE status = ? AND tier_evaluate_at <= ? ORDER BY tier_evaluate_at ASC LIMIT ?',
+      ['active', now, limit]
+    );
+  }
+
+  /**
+   * 写入成长记录，同一来源重复写入时忽略
+   * @param {Object} record - 成长记录
+   * @returns {Promise<boolean>} 是否写入
+   */
+  async addGrowthRecord(record) {
+    const result = await this.execute(
+      `INSERT IGNORE INTO member_growth_records (user_id, spend, points, source, source_id, created_at)
+       VALUES (?, ?, ?, ?, ?, NOW())`,
+      [record.userId, record.spend, record.points, record.source, record.sourceId]
+    );
+    return this.getAffectedRows(result) === 1;
+  }
+
+  /**
+   * 汇总指定时间之后的消费金额和积分
+   * @param {string} userId - 用户ID
+   * @param {Date} since - 起始时间
+   * @returns {Promise<Object>} { spend, points }
+   */
+  async getGrowthSummary(userId, since) {
+    const rows = await this.query(
+      `SELECT COALESCE(SUM(spend), 0) AS spend, COALESCE(SUM(points), 0) AS points
+       FROM member_growth_records WHERE user_id = ? AND created_at >= ?`,
+      [userId, since]
+    );
+    return {
+      spend: Number(rows[0].spend),
+      points: Number(rows[0].points)
+    };
+  }
+
+  /**
+   * 写入等级变更日志
+   * @param {Object} log - 变更日志
+   * @returns {Promise<void>}
+   */
+  async addTierLog(log) {
+    await this.execute(
+      `INSERT INTO member_tier_logs (user_id, from_tier, to_tier, direction, reason, created_at)
+       VALUES (?, ?, ?, ?, ?, NOW())`,
+      [log.userId, log.fromTier, log.toTier, log.direction, log.reason]
+    );
+  }
+}
+
+module.exports = new MemberRepository();
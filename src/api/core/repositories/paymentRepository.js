@@ -0,0 +1,402 @@
+/**
+ * 在线支付数据仓库
+ * 每次向支付渠道下单生成一张支付单（payment_no 即渠道侧商户订单号），订单可对应多张支付单（切换渠道、超时重新下单），
+ * 其中只有一张支付单使订单变为已支付。支付单按业务类型（biz_type）区分商品订单和钱包充值单，
+ * order_id、order_no 为对应业务单的ID和单号。
+ * 支付通知按 (channel, notify_id) 去重，支付单只会从待支付流转为已支付一次，重复通知和主动查询不会重复入账。
+ * 订单已关闭或库存预占已失效后才支付成功的款项不入账，支付单标记为待退款，由支付服务向渠道原路退款。
+ *
+ * 数据表：
+ * - payment_orders：支付单（payment_no 唯一, biz_type, order_id, order_no, user_id, channel, trade_type, amount, status,
+ *   credential JSON, transaction_id, payer, paid_at, expires_at, closed_at, refunded_at, query_count, last_queried_at）
+ * - payment_notifications：支付通知记录（channel, notify_id, payment_no, result, payload JSON），(channel, notify_id) 唯一
+ * - orders：支付成功时更新 status、payment_method、payment_transaction_id、paid_at
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * 支付单状态
+ */
+const PAYMENT_STATUS = {
+  PENDING: 'pending', // 待支付
+  PAID: 'paid',       // 已支付
+  CLOSED: 'closed',   // 已关闭（超时或渠道下单失败）
+  REFUNDING: 'refunding', // 待退款（支付成功时订单已不可支付，需原路退回）
+  REFUNDED: 'refunded'    // 已退款
+};
+
+/**
+ * 支付业务类型
+ */
+const PAYMENT_BIZ_TYPE = {
+  ORDER: 'order',      // 商品订单
+  RECHARGE: 'recharge' // 钱包充值
+};
+
+class PaymentRepository {
+  /**
+   * 获取订单
+   * @param {Object} connection - 数据库连接
+   * @param {string} orderId - 订单ID
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.forUpdate] - 是否加行锁
+   * @returns {Promise<Object|null>} 订单
+   */
+  async getOrder(connection, orderId, options = {}) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT id, order_no, user_id, seller_id, status, total_amount, payment_amount, payment_method,
+                payment_transaction_id, paid_at, created_at
+         FROM orders WHERE id = ?${options.forUpdate ? ' FOR UPDATE' : ''}`,
+        [orderId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询订单失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取订单商品行
+   * @param {Object} connection - 数据库连接
+   * @param {string} orderId - 订单ID
+   * @returns {Promise<Array>} [{ product_id, price, quantity }]
+   */
+  async getOrderLines(connection, orderId) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT product_id, price, quantity FROM order_items WHERE order_id = ?',
+        [orderId]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('查询订单商品行失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 将待支付订单更新为已支付
+   * @param {Object} connection - 事务连接
+   * @param {string} orderId - 订单ID
+   * @param {Object} payment - 支付信息 { paymentMethod, transactionId, paidAt }
+   * @returns {Promise<boolean>} 是否更新（订单不是待支付时不更新）
+   */
+  async markOrderPaid(connection, orderId, payment) {
+    try {
+      const [result] = await connection.query(
+        `UPDATE orders SET status = 'paid', payment_method = ?, payment_transaction_id = ?, paid_at = ?, updated_at = NOW()
+         WHERE id = ? AND status = 'pending'`,
+        [payment.paymentMethod, payment.transactionId, payment.paidAt, orderId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('更新订单支付状态失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 将待支付订单更新为已关闭（超时未支付）
+   * @param {Object} connection - 事务连接
+   * @param {string} orderId - 订单ID
+   * @returns {Promise<boolean>} 是否更新（订单已支付、已取消或已关闭时不更新）
+   */
+  async closePendingOrder(connection, orderId) {
+    try {
+      const [result] = await connection.query(
+        `UPDATE orders SET status = 'closed', updated_at = NOW()
+         WHERE id = ? AND status = 'pending'`,
+        [orderId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('关闭待支付订单失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建支付单
+   * @param {Object} connection - 数据库连接
+   * @param {Object} payment - 支付单
+   * @returns {Promise<number>} 支付单ID
+   */
+  async createPayment(connection, payment) {
+    try {
+      const [result] = await connection.query(
+        `INSERT INTO payment_orders
+          (payment_no, biz_type, order_id, order_no, user_id, channel, trade_type, amount, status, payer, expires_at,
+           query_count, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, NOW(), NOW())`,
+        [
+          payment.paymentNo, payment.bizType || PAYMENT_BIZ_TYPE.ORDER, payment.orderId, payment.orderNo, payment.userId, payment.channel, payment.tradeType,
+          payment.amount, PAYMENT_STATUS.PENDING, payment.payer || null, payment.expiresAt
+        ]
+      );
+      return result.insertId;
+    } catch (error) {
+      logger.error('创建支付单失败', { orderId: payment.orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 保存渠道下单返回的支付凭证
+   * @param {Object} connection - 数据库连接
+   * @param {string} paymentNo - 支付单号
+   * @param {Object} credential - 支付凭证
+   * @returns {Promise<void>}
+   */
+  async saveCredential(connection, paymentNo, credential) {
+    try {
+      await connection.query(
+        'UPDATE payment_orders SET credential = ?, updated_at = NOW() WHERE payment_no = ?',
+        [JSON.stringify(credential), paymentNo]
+      );
+    } catch (error) {
+      logger.error('保存支付凭证失败', { paymentNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取支付单
+   * @param {Object} connection - 数据库连接
+   * @param {string} paymentNo - 支付单号
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.forUpdate] - 是否加行锁
+   * @returns {Promise<Object|null>} 支付单
+   */
+  async getPaymentByNo(connection, paymentNo, options = {}) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT * FROM payment_orders WHERE payment_no = ?${options.forUpdate ? ' FOR UPDATE' : ''}`,
+        [paymentNo]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询支付单失败', { paymentNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取业务单的支付单（按创建时间倒序）
+   * @param {Object} connection - 数据库连接
+   * @param {string} orderId - 业务单ID
+   * @param {string} [bizType] - 业务类型，默认商品订单
+   * @returns {Promise<Array>} 支付单列表
+   */
+  async getPaymentsByOrder(connection, orderId, bizType = PAYMENT_BIZ_TYPE.ORDER) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT * FROM payment_orders WHERE biz_type = ? AND order_id = ? ORDER BY created_at DESC, id DESC',
+        [bizType, orderId]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('查询订单支付单失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取可复用的待支付支付单（同一渠道、交易类型和付款人，且未过期、已拿到支付凭证）
+   * @param {Object} connection - 数据库连接
+   * @param {Object} criteria - 条件 { bizType, orderId, channel, tradeType, payer }
+   * @returns {Promise<Object|null>} 支付单
+   */
+  async getReusablePayment(connection, criteria) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT * FROM payment_orders
+         WHERE biz_type = ? AND order_id = ? AND channel = ? AND trade_type = ? AND status = ? AND credential IS NOT NULL
+           AND expires_at > NOW() AND (payer <=> ?)
+         ORDER BY created_at DESC LIMIT 1`,
+        [criteria.bizType || PAYMENT_BIZ_TYPE.ORDER, criteria.orderId, criteria.channel, criteria.tradeType, PAYMENT_STATUS.PENDING, criteria.payer || null]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询可复用支付单失败', { orderId: criteria.orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 将支付单更新为已支付（待支付或已关闭的支付单都可能收到渠道的支付成功结果）
+   * @param {Object} connection - 事务连接
+   * @param {number} paymentId - 支付单ID
+   * @param {Object} result - 支付结果 { tradeNo, payer, paidAt }
+   * @returns {Promise<boolean>} 是否更新
+   */
+  async markPaymentPaid(connection, paymentId, result) {
+    try {
+      const [updated] = await connection.query(
+        `UPDATE payment_orders
+         SET status = ?, transaction_id = ?, payer = COALESCE(?, payer), paid_at = ?, updated_at = NOW()
+         WHERE id = ? AND status IN (?)`,
+        [
+          PAYMENT_STATUS.PAID, result.tradeNo, result.payer || null, result.paidAt, paymentId,
+          [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.CLOSED]
+        ]
+      );
+      return updated.affectedRows > 0;
+    } catch (error) {
+      logger.error('更新支付单为已支付失败', { paymentId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 将支付单更新为待退款：渠道已扣款，但订单已不能入账
+   * @param {Object} connection - 事务连接
+   * @param {number} paymentId - 支付单ID
+   * @param {Object} result - 支付结果 { tradeNo, payer, paidAt }
+   * @returns {Promise<boolean>} 是否更新
+   */
+  async markPaymentRefunding(connection, paymentId, result) {
+    try {
+      const [updated] = await connection.query(
+        `UPDATE payment_orders
+         SET status = ?, transaction_id = ?, payer = COALESCE(?, payer), paid_at = ?, updated_at = NOW()
+         WHERE id = ? AND status IN (?)`,
+        [
+          PAYMENT_STATUS.REFUNDING, result.tradeNo, result.payer || null, result.paidAt, paymentId,
+          [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.CLOSED]
+        ]
+      );
+      return updated.affectedRows > 0;
+    } catch (error) {
+      logger.error('更新支付单为待退款失败', { paymentId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 将待退款的支付单更新为已退款
+   * @param {Object} connection - 数据库连接
+   * @param {string} paymentNo - 支付单号
+   * @returns {Promise<boolean>} 是否更新
+   */
+  async markPaymentRefunded(connection, paymentNo) {
+    try {
+      const [result] = await connection.query(
+        'UPDATE payment_orders SET status = ?, refunded_at = NOW(), updated_at = NOW() WHERE payment_no = ? AND status = ?',
+        [PAYMENT_STATUS.REFUNDED, paymentNo, PAYMENT_STATUS.REFUNDING]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('更新支付单为已退款失败', { paymentNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取待退款的支付单，最早支付的优先
+   * @param {Object} connection - 数据库连接
+   * @param {number} limit - 数量上限
+   * @returns {Promise<Array>} 支付单号列表
+   */
+  async getRefundingPayments(connection, limit) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT payment_no FROM payment_orders WHERE status = ? ORDER BY paid_at, id LIMIT ?',
+        [PAYMENT_STATUS.REFUNDING, limit]
+      );
+      return rows.map(row => row.payment_no);
+    } catch (error) {
+      logger.error('查询待退款支付单失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 关闭待支付的支付单
+   * @param {Object} connection - 数据库连接
+   * @param {string} paymentNo - 支付单号
+   * @returns {Promise<boolean>} 是否关闭
+   */
+  async closePayment(connection, paymentNo) {
+    try {
+      const [result] = await connection.query(
+        'UPDATE payment_orders SET status = ?, closed_at = NOW(), updated_at = NOW() WHERE payment_no = ? AND status = ?',
+        [PAYMENT_STATUS.CLOSED, paymentNo, PAYMENT_STATUS.PENDING]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('关闭支付单失败', { paymentNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 记录一次主动查询
+   * @param {Object} connection - 数据库连接
+   * @param {string} paymentNo - 支付单号
+   * @returns {Promise<void>}
+   */
+  async touchQuery(connection, paymentNo) {
+    try {
+      await connection.query(
+        'UPDATE payment_orders SET query_count = query_count + 1, last_queried_at = NOW() WHERE payment_no = ?',
+        [paymentNo]
+      );
+    } catch (error) {
+      logger.error('记录支付单查询失败', { paymentNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取需要主动查询的待支付支付单，最久未查询的优先
+   * @param {Object} connection - 数据库连接
+   * @param {Date} createdBefore - 只查询该时间之前创建的支付单（给支付通知留出时间）
+   * @param {number} limit - 数量上限
+   * @returns {Promise<Array>} 支付单号列表
+   */
+  async getPendingPayments(connection, createdBefore, limit) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT payment_no FROM payment_orders
+         WHERE status = ? AND created_at < ?
+         ORDER BY last_queried_at IS NOT NULL, last_queried_at, id
+         LIMIT ?`,
+        [PAYMENT_STATUS.PENDING, createdBefore, limit]
+      );
+      return rows.map(row => row.payment_no);
+    } catch (error) {
+      logger.error('查询待支付支付单失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 记录支付通知，同一通知重复到达时不重复记录
+   * @param {Object} connection - 事务连接
+   * @param {Object} notification - 通知 { channel, notifyId, paymentNo, result, payload }
+   * @returns {Promise<boolean>} 是否首次收到
+   */
+  async recordNotification(connection, notification) {
+    try {
+      const [result] = await connection.query(
+        `INSERT IGNORE INTO payment_notifications (channel, notify_id, payment_no, result, payload, created_at)
+         VALUES (?, ?, ?, ?, ?, NOW())`,
+        [
+          notification.channel, notification.notifyId, notification.paymentNo, notification.result,
+          JSON.stringify(notification.payload || {})
+        ]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('记录支付通知失败', { paymentNo: notification.paymentNo, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new PaymentRepository();
+module.exports.PAYMENT_STATUS = PAYMENT_STATUS;
+module.exports.PAYMENT_BIZ_TYPE = PAYMENT_BIZ_TYPE;
@@ -0,0 +1,479 @@
+/**
+ * 积分数据仓库
+ * 积分采用复式记账：每笔积分交易在 point_ledger_entries 中写入借贷相等的两条分录，
+ * 用户账户余额缓存在 point_accounts 中，积分按发放批次（point_lots）记录剩余数量和过期时间。
+ * 所有写操作均在调用方的事务连接上执行。
+ *
+ * 数据表：
+ * - point_accounts：用户积分账户（user_id 唯一, balance, total_earned, total_spent）
+ * - point_transactions：积分交易（user_id, type, amount, balance_after, rule_code, source, source_id, reason），(type, source, source_id) 唯一
+ * - point_ledger_entries：记账分录（transaction_id, account, direction, amount）
+ * - point_lots：积分批次（user_id, transaction_id, amount, remaining, expires_at）
+ * - point_lot_usages：批次消耗记录（lot_id, transaction_id, amount, returned）
+ * - point_earning_rules：积分获取规则（code, name, points, per_amount, daily_limit, expire_days, status）
+ * - point_exchange_items：积分兑换商品（product_id, name, points, stock, limit_per_user, status）
+ * - point_exchange_records：积分兑换记录（user_id, item_id, quantity, points, transaction_id, status）
+ */
+
+const logger = require('../utils/logger');
+
+class PointRepository {
+  /**
+   * 锁定用户积分账户，账户不存在时先创建
+   * @param {Object} connection - 事务连接
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} 积分账户
+   */
+  async lockAccount(connection, userId) {
+    try {
+      await connection.query(
+        'INSERT IGNORE INTO point_accounts (user_id, balance, total_earned, total_spent, updated_at) VALUES (?, 0, 0, 0, NOW())',
+        [userId]
+      );
+      const [rows] = await connection.query('SELECT * FROM point_accounts WHERE user_id = ? FOR UPDATE', [userId]);
+
+      return rows[0];
+    } catch (error) {
+      logger.error('锁定积分账户失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取用户积分账户
+   * @param {Object} connection - 数据库连接
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object|null>} 积分账户
+   */
+  async getAccount(connection, userId) {
+    try {
+      const [rows] = await connection.query('SELECT * FROM point_accounts WHERE user_id = ?', [userId]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('获取积分账户失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 增加账户余额
+   * @param {Object} connection - 事务连接
+   * @param {string} userId - 用户ID
+   * @param {number} points - 积分
+   * @param {boolean} countAsEarned - 是否计入累计获取
+   * @returns {Promise<void>}
+   */
+  async creditAccount(connection, userId, points, countAsEarned) {
+    try {
+      await connection.query(
+        `UPDATE point_accounts SET balance = balance + ?, total_earned = total_earned + ?, updated_at = NOW()
+         WHERE user_id = ?`,
+        [points, countAsEarned ? points : 0, userId]
+      );
+    } catch (error) {
+      logger.error('增加积分余额失败', { userId, points, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 条件扣减账户余额，余额不足时不扣减
+   * @param {Object} connection - 事务连接
+   * @param {string} userId - 用户ID
+   * @param {number} points - 积分
+   * @param {boolean} countAsSpent - 是否计入累计使用
+   * @returns {Promise<boolean>} 是否扣减成功
+   */
+  async debitAccount(connection, userId, points, countAsSpent) {
+    try {
+      const [result] = await connection.query(
+        `UPDATE point_accounts SET balance = balance - ?, total_spent = total_spent + ?, updated_at = NOW()
+         WHERE user_id = ? AND balance >= ?`,
+        [points, countAsSpent ? points : 0, userId, points]
+      );
+
+      return result.affectedRows === 1;
+    } catch (error) {
+      logger.error('扣减积分余额失败', { userId, points, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 写入积分交易及其借贷分录
+   * @param {Object} connection - 事务连接
+   * @param {Object} transaction - 交易数据
+   * @param {string} debitAccount - 借方账户
+   * @param {string} creditAccount - 贷方账户
+   * @returns {Promise<number|null>} 交易ID，同一来源的交易已存在时返回null
+   */
+  async createTransaction(connection, transaction, debitAccount, creditAccount) {
+    try {
+      const [result] = await connection.query(
+        `INSERT IGNORE INTO point_transactions
+          (user_id, type, amount, balance_after, rule_code, source, source_id, reason, related_transaction_id, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [
+          transaction.userId,
+          transaction.type,
+          transaction.amount,
+          transaction.balanceAfter,
+          transaction.ruleCode || null,
+          transaction.source,
+          transaction.sourceId,
+          transaction.reason || null,
+          transaction.relatedTransactionId || null
+        ]
+      );
+
+      if (result.affectedRows !== 1) {
+        return null;
+      }
+
+      const points = Math.abs(transaction.amount);
+      await connection.query(
+        `INSERT INTO point_ledger_entries (transaction_id, account, direction, amount, created_at)
+         VALUES (?, ?, 'debit', ?, NOW()), (?, ?, 'credit', ?, NOW())`,
+        [result.insertId, debitAccount, points, result.insertId, creditAccount, points]
+      );
+
+      return result.insertId;
+    } catch (error) {
+      logger.error('写入积分交易失败', { userId: transaction.userId, type: transaction.type, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按来源查找积分交易
+   * @param {Object} connection - 数据库连接
+   * @param {string} type - 交易类型
+   * @param {string} source - 来源类型
+   * @param {string} sourceId - 来源ID
+   * @returns {Promise<Object|null>} 积分交易
+   */
+  async findTransactionBySource(connection, type, source, sourceId) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT * FROM point_transactions WHERE type = ? AND source = ? AND source_id = ? LIMIT 1',
+        [type, source, sourceId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询积分交易失败', { type, source, sourceId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 统计用户当天通过某规则获取的积分
+   * @param {Object} connection - 数据库连接
+   * @param {string} userId - 用户ID
+   * @param {string} ruleCode - 规则编码
+   * @param {Date} since - 当天零点
+   * @returns {Promise<number>} 积分
+   */
+  async sumEarnedSince(connection, userId, ruleCode, since) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT COALESCE(SUM(amount), 0) AS total FROM point_transactions
+         WHERE user_id = ? AND type = 'earn' AND rule_code = ? AND created_at >= ?`,
+        [userId, ruleCode, since]
+      );
+      return Number(rows[0].total);
+    } catch (error) {
+      logger.error('统计积分获取失败', { userId, ruleCode, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建积分批次
+   * @param {Object} connection - 事务连接
+   * @param {string} userId - 用户ID
+   * @param {number} transactionId - 发放交易ID
+   * @param {number} points - 积分
+   * @param {Date} expiresAt - 过期时间
+   * @returns {Promise<void>}
+   */
+  async createLot(connection, userId, transactionId, points, expiresAt) {
+    try {
+      await connection.query(
+        `INSERT INTO point_lots (user_id, transaction_id, amount, remaining, expires_at, created_at)
+         VALUES (?, ?, ?, ?, ?, NOW())`,
+        [userId, transactionId, points, points, expiresAt]
+      );
+    } catch (error) {
+      logger.error('创建积分批次失败', { userId, transactionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按过期时间先后锁定用户未过期的可用积分批次
+   * @param {Object} connection - 事务连接
+   * @param {string} userId - 用户ID
+   * @param {Date} now - 当前时间
+   * @returns {Promise<Array>} 积分批次
+   */
+  async lockAvailableLots(connection, userId, now) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT * FROM point_lots WHERE user_id = ? AND remaining > 0 AND expires_at > ?
+         ORDER BY expires_at ASC, id ASC FOR UPDATE`,
+        [userId, now]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('锁定积分批次失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 锁定用户已过期仍有剩余的积分批次
+   * @param {Object} connection - 事务连接
+   * @param {string} userId - 用户ID
+   * @param {Date} now - 当前时间
+   * @returns {Promise<Array>} 积分批次
+   */
+  async lockExpiredLots(connection, userId, now) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT * FROM point_lots WHERE user_id = ? AND remaining > 0 AND expires_at <= ? FOR UPDATE',
+        [userId, now]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('锁定过期积分批次失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取有过期积分的用户
+   * @param {Object} connection - 数据库连接
+   * @param {Date} now - 当前时间
+   * @param {number} limit - 最大返回数量
+   * @returns {Promise<Array<string>>} 用户ID列表
+   */
+  async getUsersWithExpiredLots(connection, now, limit = 500) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT DISTINCT user_id FROM point_lots WHERE remaining > 0 AND expires_at <= ? LIMIT ?',
+        [now, limit]
+      );
+      return rows.map(row => row.user_id);
+    } catch (error) {
+      logger.error('获取过期积分用户失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 调整批次剩余积分
+   * @param {Object} connection - 事务连接
+   * @param {number} lotId - 批次ID
+   * @param {number} delta - 变动数量（负数为消耗）
+   * @returns {Promise<void>}
+   */
+  async adjustLotRemaining(connection, lotId, delta) {
+    try {
+      await connection.query('UPDATE point_lots SET remaining = remaining + ? WHERE id = ?', [delta, lotId]);
+    } catch (error) {
+      logger.error('调整积分批次失败', { lotId, delta, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 记录批次消耗
+   * @param {Object} connection - 事务连接
+   * @param {number} lotId - 批次ID
+   * @param {number} transactionId - 消耗交易ID
+   * @param {number} points - 消耗积分
+   * @returns {Promise<void>}
+   */
+  async createLotUsage(connection, lotId, transactionId, points) {
+    try {
+      await connection.query(
+        'INSERT INTO point_lot_usages (lot_id, transaction_id, amount, returned, created_at) VALUES (?, ?, ?, 0, NOW())',
+        [lotId, transactionId, points]
+      );
+    } catch (error) {
+      logger.error('记录积分批次消耗失败', { lotId, transactionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 锁定某笔交易的批次消耗记录
+   * @param {Object} connection - 事务连接
+   * @param {number} transactionId - 消耗交易ID
+   * @returns {Promise<Array>} 消耗记录
+   */
+  async lockLotUsages(connection, transactionId) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT * FROM point_lot_usages WHERE transaction_id = ? AND amount > returned FOR UPDATE',
+        [transactionId]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('锁定积分批次消耗记录失败', { transactionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 累加批次消耗记录的已退回数量
+   * @param {Object} connection - 事务连接
+   * @param {number} usageId - 消耗记录ID
+   * @param {number} points - 退回积分
+   * @returns {Promise<void>}
+   */
+  async markUsageReturned(connection, usageId, points) {
+    try {
+      await connection.query('UPDATE point_lot_usages SET returned = returned + ? WHERE id = ?', [points, usageId]);
+    } catch (error) {
+      logger.error('更新积分批次消耗记录失败', { usageId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询用户积分交易
+   * @param {Object} connection - 数据库连接
+   * @param {string} userId - 用户ID
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 数量
+   * @returns {Promise<Object>} { items, total }
+   */
+  async getUserTransactions(connection, userId, offset, limit) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT * FROM point_transactions WHERE user_id = ? ORDER BY id DESC LIMIT ? OFFSET ?',
+        [userId, limit, offset]
+      );
+      const [countRows] = await connection.query(
+        'SELECT COUNT(*) AS total FROM point_transactions WHERE user_id = ?',
+        [userId]
+      );
+      return { items: rows, total: Number(countRows[0].total) };
+    } catch (error) {
+      logger.error('查询积分交易失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取启用的积分获取规则
+   * @param {Object} connection - 数据库连接
+   * @returns {Promise<Array>} 规则列表
+   */
+  async getEarningRules(connection) {
+    try {
+      const [rows] = await connection.query('SELECT * FROM point_earning_rules WHERE status = ?', ['active']);
+      return rows;
+    } catch (error) {
+      logger.error('获取积分规则失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取上架中的积分兑换商品
+   * @param {Object} connection - 数据库连接
+   * @returns {Promise<Array>} 兑换商品列表
+   */
+  async getExchangeItems(connection) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT * FROM point_exchange_items WHERE status = ? ORDER BY points ASC',
+        ['active']
+      );
+      return rows;
+    } catch (error) {
+      logger.error('获取积分兑换商品失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取积分兑换商品
+   * @param {Object} connection - 数据库连接
+   * @param {number} itemId - 兑换商品ID
+   * @returns {Promise<Object|null>} 兑换商品
+   */
+  async getExchangeItem(connection, itemId) {
+    try {
+      const [rows] = await connection.query('SELECT * FROM point_exchange_items WHERE id = ?', [itemId]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('获取积分兑换商品失败', { itemId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 条件扣减兑换商品库存
+   * @param {Object} connection - 事务连接
+   * @param {number} itemId - 兑换商品ID
+   * @param {number} quantity - 数量
+   * @returns {Promise<boolean>} 是否扣减成功
+   */
+  async decrementExchangeStock(connection, itemId, quantity) {
+    try {
+      const [result] = await connection.query(
+        'UPDATE point_exchange_items SET stock = stock - ? WHERE id = ? AND status = ? AND stock >= ?',
+        [quantity, itemId, 'active', quantity]
+      );
+      return result.affectedRows === 1;
+    } catch (error) {
+      logger.error('扣减积分兑换商品库存失败', { itemId, quantity, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 统计用户已兑换某商品的数量
+   * @param {Object} connection - 事务连接
+   * @param {string} userId - 用户ID
+   * @param {number} itemId - 兑换商品ID
+   * @returns {Promise<number>} 已兑换数量
+   */
+  async countUserExchanges(connection, userId, itemId) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT COALESCE(SUM(quantity), 0) AS total FROM point_exchange_records WHERE user_id = ? AND item_id = ?',
+        [userId, itemId]
+      );
+      return Number(rows[0].total);
+    } catch (error) {
+      logger.error('统计积分兑换数量失败', { userId, itemId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建积分兑换记录
+   * @param {Object} connection - 事务连接
+   * @param {Object} record - 兑换记录
+   * @returns {Promise<number>} 兑换记录ID
+   */
+  async createExchangeRecord(connection, record) {
+    try {
+      const [result] = await connection.query(
+        `INSERT INTO point_exchange_records (user_id, item_id, quantity, points, transaction_id, status, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+        [record.userId, record.itemId, record.quantity, record.points, record.transactionId, record.status]
+      );
+      return result.insertId;
+    } catch (error) {
+      logger.error('创建积分兑换记录失败', { userId: record.userId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new PointRepository();
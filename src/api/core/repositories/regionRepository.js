@@ -0,0 +1,125 @@
+/**
+ * 行政地区数据仓库
+ * 省、市、区县三级行政地区，代码采用国家行政区划代码（6位），区县的上级为市，市的上级为省。
+ * 地区数据量小且很少变化，查询时整表读取，由地区服务缓存；所有写操作均在调用方的事务连接上执行。
+ *
+ * 数据表：
+ * - regions：行政地区（code 主键, parent_code（省为空）, name, level（1 省、2 市、3 区县）, sort_order, status）
+ */
+
+const logger = require('../utils/logger');
+
+class RegionRepository {
+  /**
+   * 获取全部地区（含已停用）
+   * @param {Object} connection - 数据库连接
+   * @returns {Promise<Array>} 地区列表
+   */
+  async findAll(connection) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT code, parent_code, name, level, sort_order, status FROM regions ORDER BY level, sort_order, code'
+      );
+      return rows;
+    } catch (error) {
+      logger.error('查询行政地区失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按代码获取地区
+   * @param {Object} connection - 数据库连接
+   * @param {string} code - 地区代码
+   * @returns {Promise<Object|null>} 地区
+   */
+  async findByCode(connection, code) {
+    try {
+      const [rows] = await connection.query('SELECT * FROM regions WHERE code = ?', [code]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询行政地区失败', { code, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 新增地区
+   * @param {Object} connection - 事务连接
+   * @param {Object} region - 地区数据 { code, parentCode, name, level, sortOrder }
+   * @returns {Promise<void>}
+   */
+  async createRegion(connection, region) {
+    try {
+      await connection.query(
+        `INSERT INTO regions (code, parent_code, name, level, sort_order, status, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, 'active', NOW(), NOW())`,
+        [region.code, region.parentCode, region.name, region.level, region.sortOrder]
+      );
+    } catch (error) {
+      logger.error('新增行政地区失败', { code: region.code, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 修改地区名称和排序
+   * @param {Object} connection - 事务连接
+   * @param {string} code - 地区代码
+   * @param {Object} region - { name, sortOrder }
+   * @returns {Promise<void>}
+   */
+  async updateRegion(connection, code, region) {
+    try {
+      await connection.query(
+        'UPDATE regions SET name = ?, sort_order = ?, updated_at = NOW() WHERE code = ?',
+        [region.name, region.sortOrder, code]
+      );
+    } catch (error) {
+      logger.error('修改行政地区失败', { code, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 修改地区状态
+   * @param {Object} connection - 事务连接
+   * @param {string} code - 地区代码
+   * @param {string} status - 状态
+   * @returns {Promise<void>}
+   */
+  async updateStatus(connection, code, status) {
+    try {
+      await connection.query('UPDATE regions SET status = ?, updated_at = NOW() WHERE code = ?', [status, code]);
+    } catch (error) {
+      logger.error('修改行政地区状态失败', { code, status, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 批量导入地区，已存在的地区更新名称、上级和级别，保留状态和排序
+   * @param {Object} connection - 事务连接
+   * @param {Array} regions - 地区列表 [{ code, parentCode, name, level, sortOrder }]
+   * @returns {Promise<number>} 影响行数
+   */
+  async upsertRegions(connection, regions) {
+    if (regions.length === 0) {
+      return 0;
+    }
+    try {
+      const [result] = await connection.query(
+        `INSERT INTO regions (code, parent_code, name, level, sort_order, status, created_at, updated_at)
+         VALUES ${regions.map(() => "(?, ?, ?, ?, ?, 'active', NOW(), NOW())").join(', ')}
+         ON DUPLICATE KEY UPDATE parent_code = VALUES(parent_code), name = VALUES(name), level = VALUES(level), updated_at = NOW()`,
+        regions.flatMap(region => [region.code, region.parentCode, region.name, region.level, region.sortOrder])
+      );
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('导入行政地区失败', { count: regions.length, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new RegionRepository();
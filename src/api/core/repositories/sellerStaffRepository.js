@@ -0,0 +1,432 @@
+/**
+ * 店铺员工数据仓库
+ * 店铺主账号（卖家）可在店铺下创建员工子账号并分配店铺角色，员工的操作记录在审计日志中。
+ *
+ * 数据表：
+ * - shops：店铺（id, seller_id, name, ...）
+ * - seller_roles：店铺角色（shop_id, name, permissions JSON, description），(shop_id, name) 唯一
+ * - seller_staff：店铺员工（shop_id, role_id, name, username 唯一, phone, password_hash, status,
+ *   invite_token_hash, invite_expires_at, invited_by, last_login_at, disabled_at）
+ * - seller_audit_logs：店铺操作审计日志（shop_id, staff_id, operator_name, action, method, path,
+ *   target_id, status_code, ip, detail JSON）
+ */
+
+const logger = require('../utils/logger');
+
+class SellerStaffRepository {
+  /**
+   * 根据卖家ID获取店铺
+   * @param {Object} connection - 数据库连接
+   * @param {string} sellerId - 卖家ID
+   * @returns {Promise<Object|null>} 店铺
+   */
+  async getShopBySellerId(connection, sellerId) {
+    try {
+      const [rows] = await connection.query('SELECT id, seller_id, name FROM shops WHERE seller_id = ? LIMIT 1', [sellerId]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('获取卖家店铺失败', { sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取店铺角色列表
+   * @param {Object} connection - 数据库连接
+   * @param {string} shopId - 店铺ID
+   * @returns {Promise<Array>} 角色列表（含员工数）
+   */
+  async getRoles(connection, shopId) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT r.*, (SELECT COUNT(*) FROM seller_staff s WHERE s.role_id = r.id) AS staff_count
+         FROM seller_roles r WHERE r.shop_id = ? ORDER BY r.id`,
+        [shopId]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('获取店铺角色列表失败', { shopId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取店铺角色
+   * @param {Object} connection - 数据库连接
+   * @param {string} shopId - 店铺ID
+   * @param {string} roleId - 角色ID
+   * @returns {Promise<Object|null>} 角色
+   */
+  async getRole(connection, shopId, roleId) {
+    try {
+      const [rows] = await connection.query('SELECT * FROM seller_roles WHERE id = ? AND shop_id = ?', [roleId, shopId]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('获取店铺角色失败', { shopId, roleId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建店铺角色
+   * @param {Object} connection - 数据库连接
+   * @param {Object} role - 角色 { shopId, name, permissions, description }
+   * @returns {Promise<number>} 角色ID
+   */
+  async createRole(connection, role) {
+    try {
+      const [result] = await connection.query(
+        `INSERT INTO seller_roles (shop_id, name, permissions, description, created_at, updated_at)
+         VALUES (?, ?, ?, ?, NOW(), NOW())`,
+        [role.shopId, role.name, JSON.stringify(role.permissions), role.description || null]
+      );
+      return result.insertId;
+    } catch (error) {
+      logger.error('创建店铺角色失败', { shopId: role.shopId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新店铺角色
+   * @param {Object} connection - 数据库连接
+   * @param {string} shopId - 店铺ID
+   * @param {string} roleId - 角色ID
+   * @param {Object} role - 角色 { name, permissions, description }
+   * @returns {Promise<boolean>} 是否更新
+   */
+  async updateRole(connection, shopId, roleId, role) {
+    try {
+      const [result] = await connection.query(
+        `UPDATE seller_roles SET name = ?, permissions = ?, description = ?, updated_at = NOW()
+         WHERE id = ? AND shop_id = ?`,
+        [role.name, JSON.stringify(role.permissions), role.description || null, roleId, shopId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('更新店铺角色失败', { shopId, roleId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除店铺角色（仍有员工使用时不删除）
+   * @param {Object} connection - 数据库连接
+   * @param {string} shopId - 店铺ID
+   * @param {string} roleId - 角色ID
+   * @returns {Promise<boolean>} 是否删除
+   */
+  async deleteUnusedRole(connection, shopId, roleId) {
+    try {
+      const [result] = await connection.query(
+        `DELETE FROM seller_roles WHERE id = ? AND shop_id = ?
+         AND NOT EXISTS (SELECT 1 FROM seller_staff WHERE role_id = ?)`,
+        [roleId, shopId, roleId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('删除店铺角色失败', { shopId, roleId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取店铺员工列表
+   * @param {Object} connection - 数据库连接
+   * @param {string} shopId - 店铺ID
+   * @param {Object} filters - 筛选条件 { status, roleId }
+   * @returns {Promise<Array>} 员工列表（含角色名）
+   */
+  async getStaffList(connection, shopId, filters = {}) {
+    try {
+      let where = 'WHERE s.shop_id = ?';
+      const params = [shopId];
+      if (filters.status) {
+        where += ' AND s.status = ?';
+        params.push(filters.status);
+      }
+      if (filters.roleId) {
+        where += ' AND s.role_id = ?';
+        params.push(filters.roleId);
+      }
+
+      const [rows] = await connection.query(
+        `SELECT s.*, r.name AS role_name FROM seller_staff s
+         LEFT JOIN seller_roles r ON r.id = s.role_id
+         ${where} ORDER BY s.id`,
+        params
+      );
+      return rows;
+    } catch (error) {
+      logger.error('获取店铺员工列表失败', { shopId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取员工（含店铺和角色信息）
+   * @param {Object} connection - 数据库连接
+   * @param {string} staffId - 员工ID
+   * @returns {Promise<Object|null>} 员工
+   */
+  async getStaffById(connection, staffId) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT s.*, sh.seller_id, r.name AS role_name, r.permissions AS role_permissions
+         FROM seller_staff s
+         JOIN shops sh ON sh.id = s.shop_id
+         LEFT JOIN seller_roles r ON r.id = s.role_id
+         WHERE s.id = ?`,
+        [staffId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('获取店铺员工失败', { staffId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 根据登录账号获取员工
+   * @param {Object} connection - 数据库连接
+   * @param {string} username - 登录账号
+   * @returns {Promise<Object|null>} 员工
+   */
+  async getStaffByUsername(connection, username) {
+    try {
+      const [rows] = await connection.query('SELECT * FROM seller_staff WHERE username = ?', [username]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('根据账号获取店铺员工失败', { username, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 根据邀请码哈希锁定员工
+   * @param {Object} connection - 事务连接
+   * @param {string} tokenHash - 邀请码哈希
+   * @returns {Promise<Object|null>} 员工
+   */
+  async lockStaffByInviteToken(connection, tokenHash) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT * FROM seller_staff WHERE invite_token_hash = ? FOR UPDATE',
+        [tokenHash]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('根据邀请码获取店铺员工失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建员工邀请
+   * @param {Object} connection - 数据库连接
+   * @param {Object} staff - 员工 { shopId, roleId, name, username, phone, inviteTokenHash, inviteExpiresAt, invitedBy }
+   * @returns {Promise<number>} 员工ID
+   */
+  async createStaff(connection, staff) {
+    try {
+      const [result] = await connection.query(
+        `INSERT INTO seller_staff
+          (shop_id, role_id, name, username, phone, status, invite_token_hash, invite_expires_at, invited_by, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, 'invited', ?, ?, ?, NOW(), NOW())`,
+        [
+          staff.shopId, staff.roleId, staff.name, staff.username, staff.phone || null,
+          staff.inviteTokenHash, staff.inviteExpiresAt, staff.invitedBy || null
+        ]
+      );
+      return result.insertId;
+    } catch (error) {
+      logger.error('创建店铺员工失败', { shopId: staff.shopId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新员工资料和角色
+   * @param {Object} connection - 数据库连接
+   * @param {string} shopId - 店铺ID
+   * @param {string} staffId - 员工ID
+   * @param {Object} fields - 字段 { name, phone, roleId }
+   * @returns {Promise<boolean>} 是否更新
+   */
+  async updateStaff(connection, shopId, staffId, fields) {
+    try {
+      const columns = { name: 'name', phone: 'phone', roleId: 'role_id' };
+      const sets = [];
+      const params = [];
+      Object.entries(columns).forEach(([key, column]) => {
+        if (fields[key] !== undefined) {
+          sets.push(`${column} = ?`);
+          params.push(fields[key]);
+        }
+      });
+      if (sets.length === 0) {
+        return false;
+      }
+
+      const [result] = await connection.query(
+        `UPDATE seller_staff SET ${sets.join(', ')}, updated_at = NOW() WHERE id = ? AND shop_id = ?`,
+        [...params, staffId, shopId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('更新店铺员工失败', { shopId, staffId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 重新生成邀请码
+   * @param {Object} connection - 数据库连接
+   * @param {string} shopId - 店铺ID
+   * @param {string} staffId - 员工ID
+   * @param {string} tokenHash - 邀请码哈希
+   * @param {Date} expiresAt - 过期时间
+   * @returns {Promise<boolean>} 是否更新（仅未激活的员工）
+   */
+  async resetInvitation(connection, shopId, staffId, tokenHash, expiresAt) {
+    try {
+      const [result] = await connection.query(
+        `UPDATE seller_staff SET invite_token_hash = ?, invite_expires_at = ?, updated_at = NOW()
+         WHERE id = ? AND shop_id = ? AND status = 'invited'`,
+        [tokenHash, expiresAt, staffId, shopId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('重新生成员工邀请码失败', { shopId, staffId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 激活员工账号：设置密码并作废邀请码
+   * @param {Object} connection - 事务连接
+   * @param {string} staffId - 员工ID
+   * @param {string} passwordHash - 密码哈希
+   * @returns {Promise<boolean>} 是否激活
+   */
+  async activateStaff(connection, staffId, passwordHash) {
+    try {
+      const [result] = await connection.query(
+        `UPDATE seller_staff SET password_hash = ?, status = 'active', invite_token_hash = NULL,
+         invite_expires_at = NULL, updated_at = NOW() WHERE id = ? AND status = 'invited'`,
+        [passwordHash, staffId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('激活店铺员工失败', { staffId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新员工状态
+   * @param {Object} connection - 数据库连接
+   * @param {string} shopId - 店铺ID
+   * @param {string} staffId - 员工ID
+   * @param {string} fromStatus - 原状态
+   * @param {string} toStatus - 新状态
+   * @returns {Promise<boolean>} 是否更新
+   */
+  async updateStaffStatus(connection, shopId, staffId, fromStatus, toStatus) {
+    try {
+      const [result] = await connection.query(
+        `UPDATE seller_staff SET status = ?, disabled_at = ${toStatus === 'disabled' ? 'NOW()' : 'NULL'}, updated_at = NOW()
+         WHERE id = ? AND shop_id = ? AND status = ?`,
+        [toStatus, staffId, shopId, fromStatus]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('更新店铺员工状态失败', { shopId, staffId, toStatus, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 记录员工登录时间
+   * @param {Object} connection - 数据库连接
+   * @param {string} staffId - 员工ID
+   * @returns {Promise<void>}
+   */
+  async touchLogin(connection, staffId) {
+    try {
+      await connection.query('UPDATE seller_staff SET last_login_at = NOW() WHERE id = ?', [staffId]);
+    } catch (error) {
+      logger.error('记录员工登录时间失败', { staffId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 写入审计日志
+   * @param {Object} connection - 数据库连接
+   * @param {Object} log - 日志 { shopId, staffId, operatorName, action, method, path, targetId, statusCode, ip, detail }
+   * @returns {Promise<void>}
+   */
+  async createAuditLog(connection, log) {
+    try {
+      await connection.query(
+        `INSERT INTO seller_audit_logs
+          (shop_id, staff_id, operator_name, action, method, path, target_id, status_code, ip, detail, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [
+          log.shopId, log.staffId || null, log.operatorName, log.action, log.method, log.path,
+          log.targetId || null, log.statusCode || null, log.ip || null, log.detail ? JSON.stringify(log.detail) : null
+        ]
+      );
+    } catch (error) {
+      logger.error('写入店铺审计日志失败', { shopId: log.shopId, action: log.action, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询审计日志
+   * @param {Object} connection - 数据库连接
+   * @param {string} shopId - 店铺ID
+   * @param {Object} filters - 筛选条件 { staffId, action, startDate, endDate, page, pageSize }
+   * @returns {Promise<Object>} { list, total }
+   */
+  async getAuditLogs(connection, shopId, filters = {}) {
+    try {
+      const page = Math.max(1, parseInt(filters.page, 10) || 1);
+      const pageSize = Math.min(100, Math.max(1, parseInt(filters.pageSize, 10) || 20));
+
+      let where = 'WHERE shop_id = ?';
+      const params = [shopId];
+      if (filters.staffId) {
+        where += ' AND staff_id = ?';
+        params.push(filters.staffId);
+      }
+      if (filters.action) {
+        where += ' AND action = ?';
+        params.push(filters.action);
+      }
+      if (filters.startDate) {
+        where += ' AND created_at >= ?';
+        params.push(filters.startDate);
+      }
+      if (filters.endDate) {
+        where += ' AND created_at < DATE_ADD(?, INTERVAL 1 DAY)';
+        params.push(filters.endDate);
+      }
+
+      const [[{ total }]] = await connection.query(`SELECT COUNT(*) AS total FROM seller_audit_logs ${where}`, params);
+      const [rows] = await connection.query(
+        `SELECT * FROM seller_audit_logs ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...params, pageSize, (page - 1) * pageSize]
+      );
+
+      return { list: rows, total: Number(total), page, pageSize };
+    } catch (error) {
+      logger.error('查询店铺审计日志失败', { shopId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new SellerStaffRepository();
@@ -0,0 +1,699 @@
+/**
+ * 卖家结算数据仓库
+ * 按结算周期把已完成订单汇总为结算单：订单金额按商品分类扣除平台佣金，结算后发生的退款在下一期结算单中冲减，
+ * 结算金额为负的结算单结转到下一期抵扣。
+ * 每个订单、每笔退款、每张结转的结算单只会进入一张结算单（settlement_bill_items 的 (item_type, ref_id) 唯一）。
+ * 订单完成时间取 orders.updated_at（订单完成后不再变更）。
+ *
+ * 数据表：
+ * - settlement_configs：结算周期配置（seller_id 唯一，0 为平台默认，cycle_type, cycle_days, settle_day, updated_by）
+ * - settlement_commission_rates：分类佣金比例（category_id 唯一，rate, updated_by），未配置的分类沿用上级分类或平台默认比例
+ * - settlement_bills：结算单（bill_no 唯一, seller_id, cycle_type, period_start, period_end, order_count, order_amount,
+ *   commission_amount, refund_amount, refund_commission_amount, carry_over_amount, settle_amount, status,
+ *   approved_by, approved_at, paid_by, paid_at, payout_channel, payout_reference, remark），(seller_id, period_end) 唯一
+ * - settlement_bill_items：结算明细（bill_id, seller_id, item_type, ref_id, order_id, order_no, amount,
+ *   commission_rate, commission_amount, settle_amount, occurred_at, detail JSON），(item_type, ref_id) 唯一
+ * - settlement_locks：卖家结算锁（seller_id 唯一），同一卖家的结算单串行生成
+ */
+
+const logger = require('../utils/logger');
+
+// 结算后产生退款的售后类型（换货不涉及退款）
+const REFUND_TYPES = ['refund', 'refund_with_return'];
+
+class SettlementRepository {
+  /**
+   * 获取结算周期配置
+   * @param {Object} connection - 数据库连接
+   * @param {string} sellerId - 卖家ID
+   * @returns {Promise<Object|null>} 卖家配置，未配置时返回平台默认配置
+   */
+  async getConfig(connection, sellerId) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT * FROM settlement_configs WHERE seller_id IN (?, 0) ORDER BY seller_id DESC LIMIT 1',
+        [sellerId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('获取结算周期配置失败', { sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取所有结算周期配置
+   * @param {Object} connection - 数据库连接
+   * @returns {Promise<Array>} 配置列表（含店铺名称）
+   */
+  async getConfigs(connection) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT c.*, s.name AS shop_name FROM settlement_configs c
+         LEFT JOIN shops s ON s.seller_id = c.seller_id
+         ORDER BY c.seller_id`
+      );
+      return rows;
+    } catch (error) {
+      logger.error('获取结算周期配置列表失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 保存结算周期配置
+   * @param {Object} connection - 数据库连接
+   * @param {Object} config - 配置（sellerId 为 0 表示平台默认）
+   * @returns {Promise<void>}
+   */
+  async saveConfig(connection, config) {
+    try {
+      await connection.query(
+        `INSERT INTO settlement_configs (seller_id, cycle_type, cycle_days, settle_day, updated_by, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, NOW(), NOW())
+         ON DUPLICATE KEY UPDATE cycle_type = VALUES(cycle_type), cycle_days = VALUES(cycle_days),
+           settle_day = VALUES(settle_day), updated_by = VALUES(updated_by), updated_at = NOW()`,
+        [config.sellerId, config.cycleType, config.cycleDays, config.settleDay, config.updatedBy]
+      );
+    } catch (error) {
+      logger.error('保存结算周期配置失败', { sellerId: config.sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除卖家的结算周期配置，恢复使用平台默认配置
+   * @param {Object} connection - 数据库连接
+   * @param {string} sellerId - 卖家ID
+   * @returns {Promise<boolean>} 是否删除
+   */
+  async deleteConfig(connection, sellerId) {
+    try {
+      const [result] = await connection.query('DELETE FROM settlement_configs WHERE seller_id = ? AND seller_id <> 0', [sellerId]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('删除结算周期配置失败', { sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取分类佣金比例
+   * @param {Object} connection - 数据库连接
+   * @returns {Promise<Array>} [{ category_id, category_name, parent_id, rate }]
+   */
+  async getCommissionRates(connection) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT r.category_id, r.rate, r.updated_at, c.name AS category_name, c.parent_id
+         FROM settlement_commission_rates r LEFT JOIN categories c ON c.id = r.category_id
+         ORDER BY r.category_id`
+      );
+      return rows;
+    } catch (error) {
+      logger.error('获取分类佣金比例失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 设置分类佣金比例
+   * @param {Object} connection - 数据库连接
+   * @param {string} categoryId - 分类ID
+   * @param {number} rate - 佣金比例（0-1）
+   * @param {string} operatorId - 操作人ID
+   * @returns {Promise<void>}
+   */
+  async saveCommissionRate(connection, categoryId, rate, operatorId) {
+    try {
+      await connection.query(
+        `INSERT INTO settlement_commission_rates (category_id, rate, updated_by, created_at, updated_at)
+         VALUES (?, ?, ?, NOW(), NOW())
+         ON DUPLICATE KEY UPDATE rate = VALUES(rate), updated_by = VALUES(updated_by), updated_at = NOW()`,
+        [categoryId, rate, operatorId]
+      );
+    } catch (error) {
+      logger.error('设置分类佣金比例失败', { categoryId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除分类佣金比例，恢复沿用上级分类或平台默认比例
+   * @param {Object} connection - 数据库连接
+   * @param {string} categoryId - 分类ID
+   * @returns {Promise<boolean>} 是否删除
+   */
+  async deleteCommissionRate(connection, categoryId) {
+    try {
+      const [result] = await connection.query('DELETE FROM settlement_commission_rates WHERE category_id = ?', [categoryId]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('删除分类佣金比例失败', { categoryId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取分类的上级关系
+   * @param {Object} connection - 数据库连接
+   * @returns {Promise<Array>} [{ id, parent_id }]
+   */
+  async getCategoryParents(connection) {
+    try {
+      const [rows] = await connection.query('SELECT id, parent_id FROM categories');
+      return rows;
+    } catch (error) {
+      logger.error('获取分类层级失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取截止时间前有未结算订单或退款的卖家
+   * @param {Object} connection - 数据库连接
+   * @param {Date} cutoff - 截止时间
+   * @returns {Promise<Array>} 卖家ID列表
+   */
+  async getSellersWithUnsettled(connection, cutoff) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT DISTINCT o.seller_id FROM orders o
+         WHERE o.status = 'completed' AND o.updated_at < ?
+           AND NOT EXISTS (SELECT 1 FROM settlement_bill_items i WHERE i.item_type = 'order' AND i.ref_id = o.id)
+         UNION
+         SELECT DISTINCT r.seller_id FROM after_sales_requests r
+         WHERE r.status = 'completed' AND r.type IN (?) AND r.refunded_at < ?
+           AND EXISTS (SELECT 1 FROM settlement_bill_items i WHERE i.item_type = 'order' AND i.ref_id = r.order_id)
+           AND NOT EXISTS (SELECT 1 FROM settlement_bill_items i WHERE i.item_type = 'refund' AND i.ref_id = r.id)`,
+        [cutoff, REFUND_TYPES, cutoff]
+      );
+      return rows.map(row => String(row.seller_id));
+    } catch (error) {
+      logger.error('查询待结算卖家失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 锁定卖家的结算，同一卖家的结算单串行生成
+   * @param {Object} connection - 事务连接
+   * @param {string} sellerId - 卖家ID
+   * @returns {Promise<void>}
+   */
+  async lockSeller(connection, sellerId) {
+    try {
+      await connection.query(
+        'INSERT IGNORE INTO settlement_locks (seller_id, created_at) VALUES (?, NOW())',
+        [sellerId]
+      );
+      await connection.query('SELECT seller_id FROM settlement_locks WHERE seller_id = ? FOR UPDATE', [sellerId]);
+    } catch (error) {
+      logger.error('锁定卖家结算失败', { sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取卖家最近一张结算单
+   * @param {Object} connection - 数据库连接
+   * @param {string} sellerId - 卖家ID
+   * @returns {Promise<Object|null>} 结算单
+   */
+  async getLastBill(connection, sellerId) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT * FROM settlement_bills WHERE seller_id = ? ORDER BY period_end DESC LIMIT 1',
+        [sellerId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('获取最近结算单失败', { sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取截止时间前已完成且未结算的订单
+   * @param {Object} connection - 事务连接
+   * @param {string} sellerId - 卖家ID
+   * @param {Date} cutoff - 截止时间
+   * @returns {Promise<Array>} 订单列表
+   */
+  async getUnsettledOrders(connection, sellerId, cutoff) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT o.id, o.order_no, o.total_amount, o.payment_amount, o.updated_at AS completed_at
+         FROM orders o
+         WHERE o.seller_id = ? AND o.status = 'completed' AND o.updated_at < ?
+           AND NOT EXISTS (SELECT 1 FROM settlement_bill_items i WHERE i.item_type = 'order' AND i.ref_id = o.id)
+         ORDER BY o.updated_at`,
+        [sellerId, cutoff]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('查询未结算订单失败', { sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取订单商品行及商品分类
+   * @param {Object} connection - 数据库连接
+   * @param {Array} orderIds - 订单ID列表
+   * @returns {Promise<Array>} [{ order_id, product_id, category_id, price, quantity }]
+   */
+  async getOrderLines(connection, orderIds) {
+    if (orderIds.length === 0) {
+      return [];
+    }
+    try {
+      const [rows] = await connection.query(
+        `SELECT oi.order_id, oi.product_id, p.category_id, oi.price, oi.quantity
+         FROM order_items oi LEFT JOIN products p ON p.id = oi.product_id
+         WHERE oi.order_id IN (?)`,
+        [orderIds]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('查询订单商品行失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取订单已结算后（或随订单一起结算）尚未入账的退款
+   * 订单已进入结算单，或订单本次一起结算（orderIds）时，退款才可入账
+   * @param {Object} connection - 事务连接
+   * @param {string} sellerId - 卖家ID
+   * @param {Date} cutoff - 截止时间
+   * @param {Array} orderIds - 本次结算的订单ID
+   * @returns {Promise<Array>} 退款售后单列表
+   */
+  async getUnsettledRefunds(connection, sellerId, cutoff, orderIds) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT r.id, r.request_no, r.order_id, r.approved_amount, r.refunded_at
+         FROM after_sales_requests r
+         WHERE r.seller_id = ? AND r.status = 'completed' AND r.type IN (?) AND r.refunded_at < ?
+           AND (r.order_id IN (?) OR EXISTS (
+             SELECT 1 FROM settlement_bill_items i WHERE i.item_type = 'order' AND i.ref_id = r.order_id))
+           AND NOT EXISTS (SELECT 1 FROM settlement_bill_items i WHERE i.item_type = 'refund' AND i.ref_id = r.id)
+         ORDER BY r.refunded_at`,
+        [sellerId, REFUND_TYPES, cutoff, orderIds.length > 0 ? orderIds : [null]]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('查询未结算退款失败', { sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取订单的结算明细（用于退款按原佣金比例冲回）
+   * @param {Object} connection - 数据库连接
+   * @param {Array} orderIds - 订单ID列表
+   * @returns {Promise<Array>} 订单结算明细
+   */
+  async getOrderItems(connection, orderIds) {
+    if (orderIds.length === 0) {
+      return [];
+    }
+    try {
+      const [rows] = await connection.query(
+        `SELECT i.*, b.bill_no FROM settlement_bill_items i JOIN settlement_bills b ON b.id = i.bill_id
+         WHERE i.item_type = 'order' AND i.ref_id IN (?)`,
+        [orderIds]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('查询订单结算明细失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取待结转的负数结算单
+   * @param {Object} connection - 事务连接
+   * @param {string} sellerId - 卖家ID
+   * @returns {Promise<Array>} 结算单列表
+   */
+  async getUncarriedBills(connection, sellerId) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT b.* FROM settlement_bills b
+         WHERE b.seller_id = ? AND b.status = 'carried_over'
+           AND NOT EXISTS (SELECT 1 FROM settlement_bill_items i WHERE i.item_type = 'carry_over' AND i.ref_id = b.id)
+         ORDER BY b.period_end`,
+        [sellerId]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('查询待结转结算单失败', { sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建结算单
+   * @param {Object} connection - 事务连接
+   * @param {Object} bill - 结算单
+   * @returns {Promise<number>} 结算单ID
+   */
+  async createBill(connection, bill) {
+    try {
+      const [result] = await connection.query(
+        `INSERT INTO settlement_bills
+          (bill_no, seller_id, cycle_type, period_start, period_end, order_count, order_amount, commission_amount,
+           refund_amount, refund_commission_amount, carry_over_amount, settle_amount, status, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        [
+          bill.billNo, bill.sellerId, bill.cycleType, bill.periodStart, bill.periodEnd, bill.orderCount,
+          bill.orderAmount, bill.commissionAmount, bill.refundAmount, bill.refundCommissionAmount,
+          bill.carryOverAmount, bill.settleAmount, bill.status
+        ]
+      );
+      return result.insertId;
+    } catch (error) {
+      logger.error('创建结算单失败', { sellerId: bill.sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 批量创建结算明细
+   * @param {Object} connection - 事务连接
+   * @param {number} billId - 结算单ID
+   * @param {Array} items - 结算明细
+   * @returns {Promise<void>}
+   */
+  async createBillItems(connection, billId, items) {
+    if (items.length === 0) {
+      return;
+    }
+    try {
+      await connection.query(
+        `INSERT INTO settlement_bill_items
+          (bill_id, seller_id, item_type, ref_id, order_id, order_no, amount, commission_rate, commission_amount,
+           settle_amount, occurred_at, detail, created_at)
+         VALUES ?`,
+        [items.map(item => [
+          billId, item.sellerId, item.itemType, item.refId, item.orderId, item.orderNo, item.amount,
+          item.commissionRate, item.commissionAmount, item.settleAmount, item.occurredAt,
+          JSON.stringify(item.detail || {}), new Date()
+        ])]
+      );
+    } catch (error) {
+      logger.error('创建结算明细失败', { billId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 根据结算单号获取结算单
+   * @param {Object} connection - 数据库连接
+   * @param {string} billNo - 结算单号
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.forUpdate] - 是否加行锁
+   * @returns {Promise<Object|null>} 结算单（含店铺名称）
+   */
+  async getBillByNo(connection, billNo, options = {}) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT b.*, s.id AS shop_id, s.name AS shop_name FROM settlement_bills b
+         LEFT JOIN shops s ON s.seller_id = b.seller_id
+         WHERE b.bill_no = ?${options.forUpdate ? ' FOR UPDATE' : ''}`,
+        [billNo]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('获取结算单失败', { billNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取结算单明细
+   * @param {Object} connection - 数据库连接
+   * @param {number} billId - 结算单ID
+   * @returns {Promise<Array>} 结算明细
+   */
+  async getBillItems(connection, billId) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT * FROM settlement_bill_items WHERE bill_id = ? ORDER BY occurred_at, id',
+        [billId]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('获取结算明细失败', { billId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按状态更新结算单，状态不匹配时不更新
+   * @param {Object} connection - 事务连接
+   * @param {number} billId - 结算单ID
+   * @param {string} fromStatus - 当前状态
+   * @param {string} toStatus - 目标状态
+   * @param {Object} fields - 同时更新的字段
+   * @returns {Promise<boolean>} 是否更新
+   */
+  async updateBillStatus(connection, billId, fromStatus, toStatus, fields = {}) {
+    try {
+      const columns = Object.keys(fields);
+      const assignments = columns.map(column => `${column} = ?`);
+      const [result] = await connection.query(
+        `UPDATE settlement_bills
+         SET status = ?, ${assignments.length ? `${assignments.join(', ')}, ` : ''}updated_at = NOW()
+         WHERE id = ? AND status = ?`,
+        [toStatus, ...columns.map(column => fields[column]), billId, fromStatus]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('更新结算单状态失败', { billId, toStatus, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询结算单
+   * @param {Object} connection - 数据库连接
+   * @param {Object} filters - 查询条件
+   * @param {string} [filters.sellerId] - 卖家ID
+   * @param {string} [filters.billNo] - 结算单号（模糊匹配）
+   * @param {string} [filters.status] - 状态
+   * @param {string} [filters.startDate] - 出账开始日期
+   * @param {string} [filters.endDate] - 出账结束日期
+   * @param {number} [filters.page] - 页码
+   * @param {number} [filters.pageSize] - 每页数量
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getBills(connection, filters = {}) {
+    try {
+      const page = Math.max(1, parseInt(filters.page, 10) || 1);
+      const pageSize = Math.min(1000, Math.max(1, parseInt(filters.pageSize, 10) || 10));
+      const { where, params } = this.buildBillWhere(filters);
+
+      const [[{ total }]] = await connection.query(`SELECT COUNT(*) AS total FROM settlement_bills b ${where}`, params);
+      const [rows] = await connection.query(
+        `SELECT b.*, s.id AS shop_id, s.name AS shop_name FROM settlement_bills b
+         LEFT JOIN shops s ON s.seller_id = b.seller_id
+         ${where} ORDER BY b.id DESC LIMIT ? OFFSET ?`,
+        [...params, pageSize, (page - 1) * pageSize]
+      );
+
+      return { list: rows, total: Number(total), page, pageSize };
+    } catch (error) {
+      logger.error('查询结算单列表失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 构建结算单查询条件
+   * @param {Object} filters - 查询条件
+   * @returns {Object} { where, params }
+   */
+  buildBillWhere(filters) {
+    const conditions = [];
+    const params = [];
+    if (filters.sellerId) {
+      conditions.push('b.seller_id = ?');
+      params.push(filters.sellerId);
+    }
+    if (filters.billNo) {
+      conditions.push('b.bill_no LIKE ?');
+      params.push(`%${filters.billNo}%`);
+    }
+    if (filters.status) {
+      conditions.push('b.status = ?');
+      params.push(filters.status);
+    }
+    if (filters.startDate) {
+      conditions.push('b.created_at >= ?');
+      params.push(filters.startDate);
+    }
+    if (filters.endDate) {
+      conditions.push('b.created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+      params.push(filters.endDate);
+    }
+    return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+  }
+
+  /**
+   * 按状态汇总卖家结算金额
+   * @param {Object} connection - 数据库连接
+   * @param {string} sellerId - 卖家ID
+   * @returns {Promise<Array>} [{ status, bill_count, settle_amount }]
+   */
+  async sumBillsByStatus(connection, sellerId) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT status, COUNT(*) AS bill_count, SUM(settle_amount) AS settle_amount
+         FROM settlement_bills WHERE seller_id = ? GROUP BY status`,
+        [sellerId]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('汇总卖家结算金额失败', { sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 汇总卖家已完成但尚未进入结算单的订单
+   * @param {Object} connection - 数据库连接
+   * @param {string} sellerId - 卖家ID
+   * @returns {Promise<Object>} { order_count, order_amount }
+   */
+  async sumUnsettledOrders(connection, sellerId) {
+    try {
+      const [[row]] = await connection.query(
+        `SELECT COUNT(*) AS order_count, COALESCE(SUM(o.payment_amount), 0) AS order_amount FROM orders o
+         WHERE o.seller_id = ? AND o.status = 'completed'
+           AND NOT EXISTS (SELECT 1 FROM settlement_bill_items i WHERE i.item_type = 'order' AND i.ref_id = o.id)`,
+        [sellerId]
+      );
+      return row;
+    } catch (error) {
+      logger.error('汇总未结算订单失败', { sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询订单对账记录：已完成订单及其结算情况
+   * @param {Object} connection - 数据库连接
+   * @param {Object} filters - 查询条件
+   * @param {string} [filters.sellerId] - 卖家ID
+   * @param {string} [filters.shopId] - 店铺ID
+   * @param {string} [filters.orderNo] - 订单号
+   * @param {string} [filters.settled] - settled 已结算 / unsettled 未结算
+   * @param {string} [filters.startDate] - 订单完成开始日期
+   * @param {string} [filters.endDate] - 订单完成结束日期
+   * @param {number} [filters.page] - 页码
+   * @param {number} [filters.pageSize] - 每页数量
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getReconciliationOrders(connection, filters = {}) {
+    try {
+      const page = Math.max(1, parseInt(filters.page, 10) || 1);
+      const pageSize = Math.min(100, Math.max(1, parseInt(filters.pageSize, 10) || 10));
+
+      const conditions = ["o.status = 'completed'"];
+      const params = [];
+      if (filters.sellerId) {
+        conditions.push('o.seller_id = ?');
+        params.push(filters.sellerId);
+      }
+      if (filters.shopId) {
+        conditions.push('s.id = ?');
+        params.push(filters.shopId);
+      }
+      if (filters.orderNo) {
+        conditions.push('o.order_no = ?');
+        params.push(filters.orderNo);
+      }
+      if (filters.settled === 'settled') {
+        conditions.push('i.id IS NOT NULL');
+      } else if (filters.settled === 'unsettled') {
+        conditions.push('i.id IS NULL');
+      }
+      if (filters.startDate) {
+        conditions.push('o.updated_at >= ?');
+        params.push(filters.startDate);
+      }
+      if (filters.endDate) {
+        conditions.push('o.updated_at < DATE_ADD(?, INTERVAL 1 DAY)');
+        params.push(filters.endDate);
+      }
+
+      const from = `FROM orders o
+        LEFT JOIN shops s ON s.seller_id = o.seller_id
+        LEFT JOIN settlement_bill_items i ON i.item_type = 'order' AND i.ref_id = o.id
+        LEFT JOIN settlement_bills b ON b.id = i.bill_id
+        WHERE ${conditions.join(' AND ')}`;
+
+      const [[{ total }]] = await connection.query(`SELECT COUNT(*) AS total ${from}`, params);
+      const [rows] = await connection.query(
+        `SELECT o.id, o.order_no, o.seller_id, o.payment_amount, o.created_at, o.updated_at AS completed_at,
+           s.id AS shop_id, s.name AS shop_name, i.commission_rate, i.commission_amount, i.settle_amount,
+           b.bill_no, b.status AS bill_status
+         ${from} ORDER BY o.updated_at DESC LIMIT ? OFFSET ?`,
+        [...params, pageSize, (page - 1) * pageSize]
+      );
+
+      return { list: rows, total: Number(total), page, pageSize };
+    } catch (error) {
+      logger.error('查询订单对账记录失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取订单的对账信息
+   * @param {Object} connection - 数据库连接
+   * @param {string} orderNo - 订单号
+   * @returns {Promise<Object|null>} 订单（含店铺名称）
+   */
+  async getReconciliationOrder(connection, orderNo) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT o.id, o.order_no, o.seller_id, o.status, o.total_amount, o.payment_amount, o.created_at,
+           o.updated_at AS completed_at, s.id AS shop_id, s.name AS shop_name
+         FROM orders o LEFT JOIN shops s ON s.seller_id = o.seller_id
+         WHERE o.order_no = ?`,
+        [orderNo]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('获取订单对账信息失败', { orderNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取订单在各结算单中的明细（订单结算和结算后的退款冲减）
+   * @param {Object} connection - 数据库连接
+   * @param {string} orderId - 订单ID
+   * @returns {Promise<Array>} 结算明细（含结算单号和状态）
+   */
+  async getItemsByOrderId(connection, orderId) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT i.*, b.bill_no, b.status AS bill_status FROM settlement_bill_items i
+         JOIN settlement_bills b ON b.id = i.bill_id
+         WHERE i.order_id = ? ORDER BY i.occurred_at, i.id`,
+        [orderId]
+      );
+      return rows;
+    } catch (error) {
+      logger.error('获取订单结算明细失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new SettlementRepository();
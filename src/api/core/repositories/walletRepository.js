@@ -0,0 +1,561 @@
+/**
+ * 会员钱包数据仓库
+ * 钱包账户（wallet_accounts）缓存可用余额和冻结金额，每次变动都在同一事务中写入一条资金流水（wallet_journal），
+ * 流水只插入不修改、不删除，账户可用余额、冻结金额应分别等于该用户全部流水 amount、frozen_amount 之和。
+ * 所有写操作均在调用方的事务连接上执行。
+ *
+ * 数据表：
+ * - wallet_accounts：钱包账户（user_id 唯一, balance, frozen, total_recharged, total_spent, total_withdrawn）
+ * - wallet_journal：资金流水（user_id, type, amount, frozen_amount, balance_after, frozen_after, source, source_id,
+ *   remark, operator_id），(type, source, source_id) 唯一
+ * - wallet_recharges：充值单（recharge_no 唯一, user_id, amount, status, channel, trade_type, payment_no,
+ *   transaction_id, journal_id, expires_at, paid_at）
+ * - wallet_withdrawals：提现申请（withdraw_no 唯一, user_id, amount, account_type, account_no, account_name, status,
+ *   reviewer_id, review_remark, payout_reference, reviewed_at）
+ * - wallet_reconcile_issues：对账差异（run_date, user_id, account_balance, journal_balance, account_frozen,
+ *   journal_frozen, status, resolver_id, resolve_remark, resolved_at），(run_date, user_id) 唯一
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * 拼接分页查询条件
+ * @param {Array} conditions - 条件列表
+ * @returns {string} WHERE 子句
+ */
+function buildWhere(conditions) {
+  return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+/**
+ * 会员关键字（用户名或手机号）和时间范围条件
+ * @param {Object} filters - { keyword, startDate, endDate }
+ * @param {string} alias - 业务表别名
+ * @param {Array} conditions - 条件列表
+ * @param {Array} params - 参数列表
+ */
+function appendCommonFilters(filters, alias, conditions, params) {
+  if (filters.userId) {
+    conditions.push(`${alias}.user_id = ?`);
+    params.push(filters.userId);
+  }
+  if (filters.keyword) {
+    conditions.push('(u.username LIKE ? OR u.phone LIKE ?)');
+    params.push(`%${filters.keyword}%`, `%${filters.keyword}%`);
+  }
+  if (filters.startDate) {
+    conditions.push(`${alias}.created_at >= ?`);
+    params.push(filters.startDate);
+  }
+  if (filters.endDate) {
+    conditions.push(`${alias}.created_at < DATE_ADD(?, INTERVAL 1 DAY)`);
+    params.push(filters.endDate);
+  }
+}
+
+class WalletRepository {
+  /**
+   * 锁定用户钱包账户，账户不存在时先创建
+   * @param {Object} connection - 事务连接
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} 钱包账户
+   */
+  async lockAccount(connection, userId) {
+    try {
+      await connection.query(
+        `INSERT IGNORE INTO wallet_accounts
+          (user_id, balance, frozen, total_recharged, total_spent, total_withdrawn, updated_at)
+         VALUES (?, 0, 0, 0, 0, 0, NOW())`,
+        [userId]
+      );
+      const [rows] = await connection.query('SELECT * FROM wallet_accounts WHERE user_id = ? FOR UPDATE', [userId]);
+
+      return rows[0];
+    } catch (error) {
+      logger.error('锁定钱包账户失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取用户钱包账户
+   * @param {Object} connection - 数据库连接
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object|null>} 钱包账户
+   */
+  async getAccount(connection, userId) {
+    try {
+      const [rows] = await connection.query('SELECT * FROM wallet_accounts WHERE user_id = ?', [userId]);
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('获取钱包账户失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 条件更新账户余额，可用余额或冻结金额变动后为负时不更新
+   * @param {Object} connection - 事务连接
+   * @param {string} userId - 用户ID
+   * @param {Object} change - 变动 { amount, frozenAmount, recharged, spent, withdrawn }
+   * @returns {Promise<boolean>} 是否更新成功
+   */
+  async applyChange(connection, userId, change) {
+    try {
+      const amount = change.amount || 0;
+      const frozenAmount = change.frozenAmount || 0;
+      const [result] = await connection.query(
+        `UPDATE wallet_accounts
+         SET balance = balance + ?, frozen = frozen + ?, total_recharged = total_recharged + ?,
+             total_spent = total_spent + ?, total_withdrawn = total_withdrawn + ?, updated_at = NOW()
+         WHERE user_id = ? AND balance + ? >= 0 AND frozen + ? >= 0`,
+        [
+          amount, frozenAmount, change.recharged || 0, change.spent || 0, change.withdrawn || 0,
+          userId, amount, frozenAmount
+        ]
+      );
+
+      return result.affectedRows === 1;
+    } catch (error) {
+      logger.error('更新钱包余额失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 写入资金流水
+   * @param {Object} connection - 事务连接
+   * @param {Object} entry - 流水 { userId, type, amount, frozenAmount, balanceAfter, frozenAfter, source, sourceId, remark, operatorId }
+   * @returns {Promise<number|null>} 流水ID，同一来源的流水已存在时返回null
+   */
+  async createJournal(connection, entry) {
+    try {
+      const [result] = await connection.query(
+        `INSERT IGNORE INTO wallet_journal
+          (user_id, type, amount, frozen_amount, balance_after, frozen_after, source, source_id, remark, operator_id, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [
+          entry.userId,
+          entry.type,
+          entry.amount,
+          entry.frozenAmount || 0,
+          entry.balanceAfter,
+          entry.frozenAfter,
+          entry.source,
+          entry.sourceId,
+          entry.remark || null,
+          entry.operatorId || null
+        ]
+      );
+
+      return result.affectedRows === 1 ? result.insertId : null;
+    } catch (error) {
+      logger.error('写入资金流水失败', { userId: entry.userId, type: entry.type, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按来源查找资金流水
+   * @param {Object} connection - 数据库连接
+   * @param {string} type - 流水类型
+   * @param {string} source - 来源类型
+   * @param {string} sourceId - 来源ID
+   * @returns {Promise<Object|null>} 资金流水
+   */
+  async findJournalBySource(connection, type, source, sourceId) {
+    try {
+      const [rows] = await connection.query(
+        'SELECT * FROM wallet_journal WHERE type = ? AND source = ? AND source_id = ? LIMIT 1',
+        [type, source, sourceId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('查询资金流水失败', { type, source, sourceId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询资金流水
+   * @param {Object} connection - 数据库连接
+   * @param {Object} filters - { userId, keyword, type, startDate, endDate }
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 数量
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async findJournal(connection, filters, offset, limit) {
+    try {
+      const conditions = [];
+      const params = [];
+      appendCommonFilters(filters, 'j', conditions, params);
+      if (filters.type) {
+        conditions.push('j.type = ?');
+        params.push(filters.type);
+      }
+      const where = buildWhere(conditions);
+
+      const [rows] = await connection.query(
+        `SELECT j.*, u.username, u.phone FROM wallet_journal j
+         LEFT JOIN users u ON u.id = j.user_id
+         ${where} ORDER BY j.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const [[count]] = await connection.query(
+        `SELECT COUNT(*) AS total FROM wallet_journal j LEFT JOIN users u ON u.id = j.user_id ${where}`,
+        params
+      );
+
+      return { rows, total: Number(count.total) };
+    } catch (error) {
+      logger.error('查询资金流水列表失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建充值单
+   * @param {Object} connection - 数据库连接
+   * @param {Object} recharge - 充值单 { rechargeNo, userId, amount, channel, tradeType, expiresAt }
+   * @returns {Promise<number>} 充值单ID
+   */
+  async createRecharge(connection, recharge) {
+    try {
+      const [result] = await connection.query(
+        `INSERT INTO wallet_recharges
+          (recharge_no, user_id, amount, status, channel, trade_type, expires_at, created_at, updated_at)
+         VALUES (?, ?, ?, 'pending', ?, ?, ?, NOW(), NOW())`,
+        [recharge.rechargeNo, recharge.userId, recharge.amount, recharge.channel, recharge.tradeType, recharge.expiresAt]
+      );
+      return result.insertId;
+    } catch (error) {
+      logger.error('创建充值单失败', { userId: recharge.userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取充值单
+   * @param {Object} connection - 数据库连接
+   * @param {string} rechargeId - 充值单ID
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.forUpdate] - 是否加行锁
+   * @returns {Promise<Object|null>} 充值单
+   */
+  async getRecharge(connection, rechargeId, options = {}) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT * FROM wallet_recharges WHERE id = ?${options.forUpdate ? ' FOR UPDATE' : ''}`,
+        [rechargeId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('获取充值单失败', { rechargeId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 充值单支付成功：记录支付信息和入账流水（待支付或已关闭的充值单都可能收到支付结果）
+   * @param {Object} connection - 事务连接
+   * @param {string} rechargeId - 充值单ID
+   * @param {Object} payment - 支付信息 { paymentNo, channel, tradeType, transactionId, paidAt, journalId }
+   * @returns {Promise<boolean>} 是否更新
+   */
+  async markRechargePaid(connection, rechargeId, payment) {
+    try {
+      const [result] = await connection.query(
+        `UPDATE wallet_recharges
+         SET status = 'paid', channel = ?, trade_type = ?, payment_no = ?, transaction_id = ?, journal_id = ?,
+             paid_at = ?, updated_at = NOW()
+         WHERE id = ? AND status IN ('pending', 'closed')`,
+        [
+          payment.channel, payment.tradeType, payment.paymentNo, payment.transactionId, payment.journalId,
+          payment.paidAt, rechargeId
+        ]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('更新充值单支付状态失败', { rechargeId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 关闭已过期的待支付充值单
+   * @param {Object} connection - 数据库连接
+   * @param {Date} before - 过期时间早于该时间
+   * @returns {Promise<number>} 关闭数量
+   */
+  async closeExpiredRecharges(connection, before) {
+    try {
+      const [result] = await connection.query(
+        `UPDATE wallet_recharges SET status = 'closed', updated_at = NOW()
+         WHERE status = 'pending' AND expires_at < ?`,
+        [before]
+      );
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('关闭过期充值单失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询充值单
+   * @param {Object} connection - 数据库连接
+   * @param {Object} filters - { userId, keyword, rechargeNo, status, startDate, endDate }
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 数量
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async findRecharges(connection, filters, offset, limit) {
+    try {
+      const conditions = [];
+      const params = [];
+      appendCommonFilters(filters, 'r', conditions, params);
+      if (filters.rechargeNo) {
+        conditions.push('r.recharge_no = ?');
+        params.push(filters.rechargeNo);
+      }
+      if (filters.status) {
+        conditions.push('r.status = ?');
+        params.push(filters.status);
+      }
+      const where = buildWhere(conditions);
+
+      const [rows] = await connection.query(
+        `SELECT r.*, u.username, u.phone FROM wallet_recharges r
+         LEFT JOIN users u ON u.id = r.user_id
+         ${where} ORDER BY r.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const [[count]] = await connection.query(
+        `SELECT COUNT(*) AS total FROM wallet_recharges r LEFT JOIN users u ON u.id = r.user_id ${where}`,
+        params
+      );
+
+      return { rows, total: Number(count.total) };
+    } catch (error) {
+      logger.error('查询充值单列表失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建提现申请
+   * @param {Object} connection - 事务连接
+   * @param {Object} withdrawal - 提现申请 { withdrawNo, userId, amount, accountType, accountNo, accountName }
+   * @returns {Promise<number>} 提现申请ID
+   */
+  async createWithdrawal(connection, withdrawal) {
+    try {
+      const [result] = await connection.query(
+        `INSERT INTO wallet_withdrawals
+          (withdraw_no, user_id, amount, account_type, account_no, account_name, status, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, 'pending', NOW(), NOW())`,
+        [
+          withdrawal.withdrawNo, withdrawal.userId, withdrawal.amount, withdrawal.accountType,
+          withdrawal.accountNo, withdrawal.accountName
+        ]
+      );
+      return result.insertId;
+    } catch (error) {
+      logger.error('创建提现申请失败', { userId: withdrawal.userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按申请编号获取提现申请
+   * @param {Object} connection - 数据库连接
+   * @param {string} withdrawNo - 申请编号
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.forUpdate] - 是否加行锁（加锁时不关联用户信息）
+   * @returns {Promise<Object|null>} 提现申请
+   */
+  async getWithdrawalByNo(connection, withdrawNo, options = {}) {
+    try {
+      const [rows] = await connection.query(
+        options.forUpdate
+          ? 'SELECT * FROM wallet_withdrawals WHERE withdraw_no = ? FOR UPDATE'
+          : `SELECT w.*, u.username, u.phone FROM wallet_withdrawals w
+             LEFT JOIN users u ON u.id = w.user_id WHERE w.withdraw_no = ?`,
+        [withdrawNo]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      logger.error('获取提现申请失败', { withdrawNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 审核提现申请，只更新待审核的申请
+   * @param {Object} connection - 事务连接
+   * @param {number} withdrawalId - 提现申请ID
+   * @param {Object} review - 审核结果 { status, reviewerId, remark, payoutReference }
+   * @returns {Promise<boolean>} 是否更新
+   */
+  async reviewWithdrawal(connection, withdrawalId, review) {
+    try {
+      const [result] = await connection.query(
+        `UPDATE wallet_withdrawals
+         SET status = ?, reviewer_id = ?, review_remark = ?, payout_reference = ?, reviewed_at = NOW(), updated_at = NOW()
+         WHERE id = ? AND status = 'pending'`,
+        [review.status, review.reviewerId, review.remark || null, review.payoutReference || null, withdrawalId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('审核提现申请失败', { withdrawalId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询提现申请
+   * @param {Object} connection - 数据库连接
+   * @param {Object} filters - { userId, keyword, status, startDate, endDate }
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 数量
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async findWithdrawals(connection, filters, offset, limit) {
+    try {
+      const conditions = [];
+      const params = [];
+      appendCommonFilters(filters, 'w', conditions, params);
+      if (filters.status) {
+        conditions.push('w.status = ?');
+        params.push(filters.status);
+      }
+      const where = buildWhere(conditions);
+
+      const [rows] = await connection.query(
+        `SELECT w.*, u.username, u.phone FROM wallet_withdrawals w
+         LEFT JOIN users u ON u.id = w.user_id
+         ${where} ORDER BY w.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const [[count]] = await connection.query(
+        `SELECT COUNT(*) AS total FROM wallet_withdrawals w LEFT JOIN users u ON u.id = w.user_id ${where}`,
+        params
+      );
+
+      return { rows, total: Number(count.total) };
+    } catch (error) {
+      logger.error('查询提现申请列表失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 查找账户余额与流水合计不一致的钱包账户
+   * 单条语句读取同一快照，对账期间的并发变动不会造成误报
+   * @param {Object} connection - 数据库连接
+   * @returns {Promise<Array>} [{ user_id, balance, frozen, journal_balance, journal_frozen }]
+   */
+  async findBalanceMismatches(connection) {
+    try {
+      const [rows] = await connection.query(
+        `SELECT a.user_id, a.balance, a.frozen,
+                COALESCE(j.journal_balance, 0) AS journal_balance, COALESCE(j.journal_frozen, 0) AS journal_frozen
+         FROM wallet_accounts a
+         LEFT JOIN (
+           SELECT user_id, SUM(amount) AS journal_balance, SUM(frozen_amount) AS journal_frozen
+           FROM wallet_journal GROUP BY user_id
+         ) j ON j.user_id = a.user_id
+         WHERE a.balance <> COALESCE(j.journal_balance, 0) OR a.frozen <> COALESCE(j.journal_frozen, 0)`
+      );
+      return rows;
+    } catch (error) {
+      logger.error('钱包余额对账查询失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 记录对账差异，同一天同一用户只记录一次
+   * @param {Object} connection - 数据库连接
+   * @param {string} runDate - 对账日期（YYYY-MM-DD）
+   * @param {Object} mismatch - 差异 { user_id, balance, frozen, journal_balance, journal_frozen }
+   * @returns {Promise<boolean>} 是否新记录
+   */
+  async createReconcileIssue(connection, runDate, mismatch) {
+    try {
+      const [result] = await connection.query(
+        `INSERT IGNORE INTO wallet_reconcile_issues
+          (run_date, user_id, account_balance, journal_balance, account_frozen, journal_frozen, status, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, 'open', NOW())`,
+        [
+          runDate, mismatch.user_id, mismatch.balance, mismatch.journal_balance,
+          mismatch.frozen, mismatch.journal_frozen
+        ]
+      );
+      return result.affectedRows === 1;
+    } catch (error) {
+      logger.error('记录对账差异失败', { userId: mismatch.user_id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询对账差异
+   * @param {Object} connection - 数据库连接
+   * @param {Object} filters - { status, keyword }
+   * @param {number} offset - 偏移量
+   * @param {number} limit - 数量
+   * @returns {Promise<Object>} { rows, total }
+   */
+  async findReconcileIssues(connection, filters, offset, limit) {
+    try {
+      const conditions = [];
+      const params = [];
+      appendCommonFilters({ keyword: filters.keyword }, 'i', conditions, params);
+      if (filters.status) {
+        conditions.push('i.status = ?');
+        params.push(filters.status);
+      }
+      const where = buildWhere(conditions);
+
+      const [rows] = await connection.query(
+        `SELECT i.*, u.username, u.phone FROM wallet_reconcile_issues i
+         LEFT JOIN users u ON u.id = i.user_id
+         ${where} ORDER BY i.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+      const [[count]] = await connection.query(
+        `SELECT COUNT(*) AS total FROM wallet_reconcile_issues i LEFT JOIN users u ON u.id = i.user_id ${where}`,
+        params
+      );
+
+      return { rows, total: Number(count.total) };
+    } catch (error) {
+      logger.error('查询对账差异失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 处理对账差异
+   * @param {Object} connection - 数据库连接
+   * @param {number} issueId - 差异ID
+   * @param {Object} resolution - { resolverId, remark }
+   * @returns {Promise<boolean>} 是否更新
+   */
+  async resolveReconcileIssue(connection, issueId, resolution) {
+    try {
+      const [result] = await connection.query(
+        `UPDATE wallet_reconcile_issues SET status = 'resolved', resolver_id = ?, resolve_remark = ?, resolved_at = NOW()
+         WHERE id = ? AND status = 'open'`,
+        [resolution.resolverId, resolution.remark || null, issueId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('处理对账差异失败', { issueId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new WalletRepository();
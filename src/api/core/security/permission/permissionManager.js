@@ -14,6 +14,7 @@ class PermissionManager {
     this.defaultRoles = {
       ADMIN: 'admin',
       SELLER: 'seller',
+      SELLER_STAFF: 'seller_staff',
       BUYER: 'buyer',
       GUEST: 'guest'
     };
@@ -71,10 +72,15 @@ class PermissionManager {
       'order:read',
       'order:update',
       'seller:profile:read',
-      'seller:profile:update'
+      'seller:profile:update',
+      // 店主拥有店铺全部模块权限
+      'shop:*'
       // 企业微信平台接口权限需要管理员单独分配
     ]);
 
+    // 店铺员工权限（员工的店铺模块权限来自所属店铺角色，见 sellerStaffService）
+    this.setRolePermissions(this.defaultRoles.SELLER_STAFF, []);
+
     // 买家权限
     this.setRolePermissions(this.defaultRoles.BUYER, [
       'product:read',
@@ -124,6 +130,14 @@ class PermissionManager {
     }
   }
 
+  /**
+   * 移除角色
+   * @param {string} role - 角色名称
+   */
+  removeRole(role) {
+    this.rolePermissions.delete(role);
+  }
+
   /**
    * 检查角色是否有权限
    * @param {string} role - 角色名称
@@ -0,0 +1,273 @@
+/**
+ * 店铺权限守卫
+ * 挂载在卖家端接口（/api/seller）之前：认证店主或店铺员工，确定操作的店铺，
+ * 按接口所属模块（商品、订单、促销、财务、设置）通过权限管理器校验权限，并记录写操作审计日志。
+ * 店主的 seller 角色拥有 shop:* 权限；员工的权限来自所属店铺角色。
+ */
+
+const logger = require('../../utils/logger');
+const securityUtils = require('../securityUtils');
+const permissionManager = require('./permissionManager');
+const sellerStaffService = require('../../services/sellerStaffService');
+
+const { SHOP_PERMISSION, STAFF_STATUS, toPermission } = sellerStaffService;
+
+// 无需登录的接口（相对于 /api/seller）
+const PUBLIC_PATHS = ['/register', '/login', '/staff/login', '/staff/invitations/accept'];
+
+// 登录后任何店主或员工都可访问的接口（当前账号信息）
+const SELF_PATHS = ['/me'];
+
+// 接口路径前缀 -> 权限模块，未列出的接口仅店主可访问
+const ROUTE_PERMISSIONS = [
+  { prefixes: ['/goods', '/products', '/brands', '/categories', '/inventory', '/freight-templates'], module: SHOP_PERMISSION.GOODS },
+  { prefixes: ['/orders', '/aftersale', '/refunds', '/logistics-companies'], module: SHOP_PERMISSION.ORDERS },
+  { prefixes: ['/coupons', '/promotion', '/promotions'], module: SHOP_PERMISSION.PROMOTION },
+  { prefixes: ['/settlement', '/finance', '/statistics'], module: SHOP_PERMISSION.FINANCE },
+  { prefixes: ['/shop', '/staff', '/roles', '/audit-logs', '/profile', '/password', '/verify'], module: SHOP_PERMISSION.SETTINGS }
+];
+
+// 不记录审计日志的请求方法
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// 审计日志中需要隐藏的请求字段
+const SENSITIVE_FIELDS = ['password', 'oldPassword', 'newPassword', 'token', 'inviteToken'];
+
+// 写操作类型
+const METHOD_ACTIONS = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+/**
+ * 判断路径是否匹配前缀
+ * @param {string} path - 请求路径
+ * @param {string} prefix - 路径前缀
+ * @returns {boolean} 是否匹配
+ */
+function matchesPrefix(path, prefix) {
+  return path === prefix || path.startsWith(`${prefix}/`);
+}
+
+/**
+ * 获取接口所属的权限模块
+ * @param {string} path - 请求路径（相对于 /api/seller）
+ * @returns {string|null} 权限模块
+ */
+function resolveModule(path) {
+  const entry = ROUTE_PERMISSIONS.find(item => item.prefixes.some(prefix => matchesPrefix(path, prefix)));
+  return entry ? entry.module : null;
+}
+
+/**
+ * 是否为无需登录的接口
+ * @param {string} path - 请求路径
+ * @returns {boolean} 是否公开
+ */
+function isPublicPath(path) {
+  return PUBLIC_PATHS.includes(path.replace(/\/+$/, ''));
+}
+
+/**
+ * 返回错误响应
+ * @param {Object} res - Express响应对象
+ * @param {number} status - HTTP状态码
+ * @param {string} message - 错误信息
+ */
+function reject(res, status, message) {
+  res.status(status).json({ code: status, message, data: null });
+}
+
+/**
+ * 隐藏请求体中的敏感字段
+ * @param {Object} body - 请求体
+ * @returns {Object|null} 脱敏后的请求体
+ */
+function redact(body) {
+  if (!body || typeof body !== 'object' || Object.keys(body).length === 0) {
+    return null;
+  }
+  const result = { ...body };
+  SENSITIVE_FIELDS.forEach(field => {
+    if (result[field] !== undefined) {
+      result[field] = '***';
+    }
+  });
+  return result;
+}
+
+/**
+ * 认证中间件：校验令牌并建立店铺上下文 req.shopContext
+ * { shopId, sellerId, staffId, operatorName, roleKey, isOwner }
+ * 员工令牌中的 id 为店主的卖家ID，原有按 req.user.id 查询的接口按所属店铺处理
+ * @returns {Function} 中间件函数
+ */
+function authenticate() {
+  return async (req, res, next) => {
+    if (isPublicPath(req.path)) {
+      return next();
+    }
+
+    const [bearer, token] = (req.headers.authorization || '').split(' ');
+    if (bearer !== 'Bearer' || !token) {
+      return reject(res, 401, '缺少认证令牌');
+    }
+
+    let decoded;
+    try {
+      decoded = securityUtils.verifyToken(token);
+    } catch (error) {
+      return reject(res, 401, '认证令牌无效或已过期');
+    }
+
+    try {
+      if (decoded.role === permissionManager.defaultRoles.SELLER_STAFF) {
+        const staff = await sellerStaffService.getStaffContext(decoded.staffId);
+        if (!staff || String(staff.shopId) !== String(decoded.shopId)) {
+          return reject(res, 401, '员工账号不存在');
+        }
+        if (staff.status !== STAFF_STATUS.ACTIVE) {
+          return reject(res, 403, '员工账号已被禁用');
+        }
+
+        req.user = { ...decoded, id: staff.sellerId, sellerId: staff.sellerId, shopId: staff.shopId };
+        req.shopContext = {
+          shopId: staff.shopId,
+          sellerId: staff.sellerId,
+          staffId: staff.staffId,
+          operatorName: staff.name,
+          roleKey: staff.roleKey,
+          isOwner: false
+        };
+        return next();
+      }
+
+      if (decoded.role !== permissionManager.defaultRoles.SELLER) {
+        return reject(res, 403, '仅卖家或店铺员工可访问');
+      }
+
+      const shop = await sellerStaffService.getShopBySellerId(decoded.id);
+      req.user = { ...decoded, sellerId: decoded.sellerId || decoded.id, shopId: shop ? shop.id : null };
+      req.shopContext = {
+        shopId: shop ? shop.id : null,
+        sellerId: decoded.id,
+        staffId: null,
+        operatorName: decoded.username || decoded.name || '店主',
+        roleKey: permissionManager.defaultRoles.SELLER,
+        isOwner: true
+      };
+      return next();
+    } catch (error) {
+      logger.error('店铺权限守卫认证失败:', error);
+      return reject(res, 500, '认证失败');
+    }
+  };
+}
+
+/**
+ * 检查当前请求是否拥有店铺模块权限
+ * @param {Object} req - Express请求对象
+ * @param {string|null} module - 权限模块，为空时仅店主可访问
+ * @returns {boolean} 是否有权限
+ */
+function hasShopPermission(req, module) {
+  const context = req.shopContext;
+  if (!context) {
+    return false;
+  }
+  if (!module) {
+    return context.isOwner;
+  }
+  return permissionManager.hasPermission(context.roleKey, toPermission(module));
+}
+
+/**
+ * 授权中间件：按接口路径所属模块校验权限
+ * @returns {Function} 中间件函数
+ */
+function authorize() {
+  return (req, res, next) => {
+    if (isPublicPath(req.path) || (req.shopContext && SELF_PATHS.includes(req.path))) {
+      return next();
+    }
+
+    const module = resolveModule(req.path);
+    if (!hasShopPermission(req, module)) {
+      logger.warn('店铺员工权限不足', {
+        shopId: req.shopContext && req.shopContext.shopId,
+        staffId: req.shopContext && req.shopContext.staffId,
+        module,
+        method: req.method,
+        path: req.path
+      });
+      return reject(res, 403, module ? `权限不足，需要${module}模块权限` : '仅店主可访问');
+    }
+    return next();
+  };
+}
+
+/**
+ * 指定模块的权限检查中间件，用于路径前缀无法区分模块的接口
+ * @param {string} module - 权限模块
+ * @returns {Function} 中间件函数
+ */
+function requirePermission(module) {
+  return (req, res, next) => {
+    if (!hasShopPermission(req, module)) {
+      return reject(res, 403, `权限不足，需要${module}模块权限`);
+    }
+    return next();
+  };
+}
+
+/**
+ * 审计中间件：请求完成后记录写操作，包括被拒绝的操作
+ * @returns {Function} 中间件函数
+ */
+function audit() {
+  return (req, res, next) => {
+    const context = req.shopContext;
+    if (!context || !context.shopId || READ_METHODS.includes(req.method)) {
+      return next();
+    }
+
+    const path = req.path;
+    const fullPath = `${req.baseUrl}${req.path}`;
+    const body = redact(req.body);
+    res.on('finish', () => {
+      const module = resolveModule(path) || 'other';
+      sellerStaffService.recordAudit({
+        shopId: context.shopId,
+        staffId: context.staffId,
+        operatorName: context.operatorName,
+        action: `${module}.${METHOD_ACTIONS[req.method] || req.method.toLowerCase()}`,
+        method: req.method,
+        path: fullPath,
+        // 路由处理完成后 req.params 为匹配到的路由参数
+        targetId: req.params && req.params.id,
+        statusCode: res.statusCode,
+        ip: req.ip,
+        detail: body
+      }).catch(() => {
+        // 审计日志写入失败不影响业务请求，错误已在服务中记录
+      });
+    });
+    return next();
+  };
+}
+
+/**
+ * 卖家端接口守卫：认证、审计、授权
+ * @returns {Array<Function>} 中间件列表
+ */
+function guard() {
+  return [authenticate(), audit(), authorize()];
+}
+
+module.exports = {
+  guard,
+  authenticate,
+  authorize,
+  audit,
+  requirePermission,
+  hasShopPermission,
+  resolveModule,
+  ROUTE_PERMISSIONS
+};
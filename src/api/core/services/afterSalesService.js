@@ -0,0 +1,1133 @@
+/**
+ * 售后服务
+ * 统一处理仅退款、退货退款、换货三类售后申请的状态流转：
+ *
+ * - 仅退款：pending → approved → refunding → completed
+ * - 退货退款：pending → waiting_return → return_shipped → return_received → refunding → completed
+ * - 换货：pending → waiting_return → return_shipped → return_received → exchange_shipped → completed
+ *
+ * 待审核的申请可被卖家拒绝（rejected），待审核和待退货的申请可被买家撤销（canceled），
+ * 退款失败（refund_failed）的申请可重新发起退款。卖家超时未审核的申请由定时任务自动同意。
+ * 售后按订单商品行申请，同一商品行可多次部分退款，累计数量和金额不超过该行实付。
+ * 卖家确认收到退货时在同一事务中退回库存，换货发出时扣减库存。
+ * 每次状态流转写入售后日志，并在事务提交后发布 after_sales.* 消息。
+ * 所有金额在内部以分为单位计算。
+ */
+
+const di = require('@core/di/container');
+const { TransactionManager } = require('../data-access/database/TransactionManager');
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const { TransactionError } = require('../exception/handlers/errorHandler');
+const afterSalesRepository = require('../repositories/afterSalesRepository');
+const inventoryService = require('./inventoryService');
+const refundService = require('./refundService');
+
+// 数据库连接池ID
+const DB_POOL_ID = process.env.DB_POOL_ID || 'default';
+
+// 卖家审核售后申请的时限（小时），超时自动同意
+const SELLER_TIMEOUT_HOURS = parseInt(process.env.AFTER_SALES_SELLER_TIMEOUT_HOURS, 10) || 48;
+
+// 自动重试退款的最大次数
+const MAX_REFUND_ATTEMPTS = parseInt(process.env.AFTER_SALES_MAX_REFUND_ATTEMPTS, 10) || 5;
+
+/**
+ * 售后类型
+ */
+const TYPE = {
+  REFUND: 'refund',                         // 仅退款
+  REFUND_WITH_RETURN: 'refund_with_return', // 退货退款
+  EXCHANGE: 'exchange'                      // 换货
+};
+
+/**
+ * 售后状态
+ */
+const STATUS = {
+  PENDING: 'pending',                   // 待卖家审核
+  APPROVED: 'approved',                 // 已同意（仅退款，待退款）
+  WAITING_RETURN: 'waiting_return',     // 待买家退货
+  RETURN_SHIPPED: 'return_shipped',     // 买家已退货
+  RETURN_RECEIVED: 'return_received',   // 卖家已收货
+  REFUNDING: 'refunding',               // 退款中
+  REFUND_FAILED: 'refund_failed',       // 退款失败
+  EXCHANGE_SHIPPED: 'exchange_shipped', // 换货已发出
+  COMPLETED: 'completed',               // 已完成
+  REJECTED: 'rejected',                 // 已拒绝
+  CANCELED: 'canceled'                  // 已撤销
+};
+
+// 已结束的售后状态
+const CLOSED_STATUSES = [STATUS.COMPLETED, STATUS.REJECTED, STATUS.CANCELED];
+
+/**
+ * 各操作允许的当前状态
+ */
+const TRANSITIONS = {
+  approve: [STATUS.PENDING],
+  reject: [STATUS.PENDING],
+  cancel: [STATUS.PENDING, STATUS.WAITING_RETURN],
+  shipReturn: [STATUS.WAITING_RETURN],
+  receiveReturn: [STATUS.RETURN_SHIPPED],
+  shipExchange: [STATUS.RETURN_RECEIVED],
+  confirmExchange: [STATUS.EXCHANGE_SHIPPED]
+};
+
+// 各售后类型允许申请的订单状态
+const ORDER_STATUSES = {
+  [TYPE.REFUND]: ['paid', 'shipped', 'completed'],
+  [TYPE.REFUND_WITH_RETURN]: ['shipped', 'completed'],
+  [TYPE.EXCHANGE]: ['shipped', 'completed']
+};
+
+/**
+ * 元转分
+ * @param {number|string} amount - 金额（元）
+ * @returns {number} 金额（分）
+ */
+function toCents(amount) {
+  return Math.round(Number(amount || 0) * 100);
+}
+
+/**
+ * 分转元
+ * @param {number} cents - 金额（分）
+ * @returns {number} 金额（元）
+ */
+function toYuan(cents) {
+  return Number((cents / 100).toFixed(2));
+}
+
+/**
+ * 获取订单商品行，优先使用下单时的价格明细
+ * @param {Object} order - 订单
+ * @returns {Array} [{ lineIndex, productId, skuId, sellerId, name, quantity, amount（分） }]
+ */
+function getOrderLines(order) {
+  const breakdownLines = order.priceBreakdown && order.priceBreakdown.lines;
+
+  if (breakdownLines && breakdownLines.length > 0) {
+    return breakdownLines.map((line, index) => ({
+      lineIndex: index,
+      productId: String(line.productId),
+      skuId: line.skuId === undefined || line.skuId === null ? null : String(line.skuId),
+      sellerId: line.sellerId ? String(line.sellerId) : null,
+      name: line.name,
+      quantity: parseInt(line.quantity, 10),
+      amount: toCents(line.payableAmount)
+    }));
+  }
+
+  return (order.items || []).map((item, index) => ({
+    lineIndex: index,
+    productId: String(item.productId),
+    skuId: item.skuId === undefined || item.skuId === null ? null : String(item.skuId),
+    sellerId: item.sellerId ? String(item.sellerId) : null,
+    name: item.name,
+    quantity: parseInt(item.quantity, 10),
+    amount: toCents(item.price) * parseInt(item.quantity, 10)
+  }));
+}
+
+/**
+ * 解析 JSON 字段
+ * @param {string|Array} value - 字段值
+ * @returns {Array} 解析结果
+ */
+function parseList(value) {
+  if (!value) {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * 格式化售后单
+ * @param {Object} row - 售后单记录
+ * @param {Array} [items] - 售后商品行记录
+ * @param {Array} [logs] - 售后日志记录
+ * @returns {Object} 售后单
+ */
+function formatRequest(row, items = null, logs = null) {
+  const request = {
+    id: row.id,
+    requestNo: row.request_no,
+    orderId: row.order_id,
+    userId: row.user_id,
+    sellerId: row.seller_id,
+    type: row.type,
+    status: row.status,
+    reason: row.reason,
+    description: row.description,
+    images: parseList(row.images),
+    refundAmount: Number(row.refund_amount),
+    approvedAmount: row.approved_amount === null || row.approved_amount === undefined ? null : Number(row.approved_amount),
+    rejectReason: row.reject_reason,
+    sellerRemark: row.seller_remark,
+    returnLogistics: row.return_tracking_no ? {
+      logisticsCompany: row.return_logistics_company,
+      trackingNumber: row.return_tracking_no,
+      shippedAt: row.return_shipped_at,
+      receivedAt: row.return_received_at
+    } : null,
+    exchangeLogistics: row.exchange_tracking_no ? {
+      logisticsCompany: row.exchange_logistics_company,
+      trackingNumber: row.exchange_tracking_no,
+      shippedAt: row.exchange_shipped_at
+    } : null,
+    sellerDeadline: row.seller_deadline,
+    refundId: row.refund_id,
+    refundFailReason: row.refund_fail_reason,
+    refundedAt: row.refunded_at,
+    completedAt: row.completed_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+
+  if (items) {
+    request.items = items.map(item => ({
+      lineIndex: Number(item.line_index),
+      productId: item.product_id,
+      skuId: item.sku_id || null,
+      name: item.name,
+      quantity: Number(item.quantity),
+      refundAmount: Number(item.refund_amount)
+    }));
+  }
+
+  if (logs) {
+    request.logs = logs.map(log => ({
+      fromStatus: log.from_status,
+      toStatus: log.to_status,
+      action: log.action,
+      operatorType: log.operator_type,
+      operatorId: log.operator_id,
+      remark: log.remark,
+      createdAt: log.created_at
+    }));
+  }
+
+  return request;
+}
+
+/**
+ * 售后商品行转换为库存项
+ * @param {Array} items - 售后商品行记录
+ * @returns {Array} 库存项
+ */
+function toInventoryItems(items) {
+  return items.map(item => ({
+    productId: item.product_id,
+    skuId: item.sku_id || null,
+    quantity: Number(item.quantity),
+    name: item.name
+  }));
+}
+
+class AfterSalesService {
+  constructor() {
+    // 初始化售后相关配置
+    this.transactionManager = new TransactionManager({
+      getConnection: () => connectionPoolManager.getConnection(DB_POOL_ID)
+    });
+  }
+
+  // 获取logger服务
+  getLogger() {
+    if (!this._logger) {
+      this._logger = di.resolve('logger');
+    }
+    return this._logger;
+  }
+
+  // 获取缓存管理器（用于发布售后消息）
+  getCacheManager() {
+    if (!this._cacheManager) {
+      this._cacheManager = di.resolve('cacheManager');
+    }
+    return this._cacheManager;
+  }
+
+  /**
+   * 在售后事务中执行操作，事务失败时抛出原始业务错误
+   * @param {Function} operation - 操作函数 (connection, transaction) => Promise
+   * @returns {Promise<any>} 操作结果
+   */
+  async runInTransaction(operation) {
+    try {
+      return await this.transactionManager.executeInTransaction(operation);
+    } catch (error) {
+      if (error instanceof TransactionError && error.originalError) {
+        throw error.originalError;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 使用非事务连接执行只读查询
+   * @param {Function} operation - 操作函数 (connection) => Promise
+   * @returns {Promise<any>} 查询结果
+   */
+  async withConnection(operation) {
+    const connection = await connectionPoolManager.getConnection(DB_POOL_ID);
+    try {
+      return await operation(connection);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 发布售后消息
+   * 在事务提交后调用，消息发布失败不影响已提交的状态流转
+   * @param {string} event - 事件名（不含 after_sales. 前缀）
+   * @param {Object} request - 售后单
+   * @param {Object} [payload] - 附加消息内容
+   * @returns {Promise<void>}
+   */
+  async publishEvent(event, request, payload = {}) {
+    try {
+      await this.getCacheManager().publish(`after_sales.${event}`, {
+        requestId: request.id,
+        requestNo: request.requestNo,
+        userId: request.userId,
+        sellerId: request.sellerId,
+        orderId: request.orderId,
+        type: request.type,
+        status: request.status,
+        ...payload,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.getLogger().error('发布售后消息失败', { requestId: request.id, event, error: error.message });
+    }
+  }
+
+  /**
+   * 生成售后单号
+   * @returns {string} 售后单号
+   */
+  generateRequestNo() {
+    const timestamp = Date.now();
+    const random = Math.floor(Math.random() * 10000);
+    return `AS${timestamp}${random.toString().padStart(4, '0')}`;
+  }
+
+  /**
+   * 计算本次申请的售后商品行和退款金额
+   * 每个商品行按剩余可退数量和金额分摊，申请剩余全部数量时退还该行剩余全部金额，避免分摊误差
+   * @param {Object} order - 订单
+   * @param {string} type - 售后类型
+   * @param {Array} [requested] - 申请的商品 [{ lineIndex 或 productId + skuId, quantity }]，为空时申请全部剩余商品
+   * @param {Array} allocated - 已申请退款的商品行汇总
+   * @returns {Array} 售后商品行（金额单位：分）
+   */
+  allocateItems(order, type, requested, allocated) {
+    const lines = getOrderLines(order);
+    const used = new Map(allocated.map(row => [Number(row.line_index), {
+      quantity: Number(row.quantity),
+      amount: toCents(row.refund_amount)
+    }]));
+
+    const remainingOf = (line) => {
+      const usage = used.get(line.lineIndex) || { quantity: 0, amount: 0 };
+      return {
+        quantity: line.quantity - usage.quantity,
+        amount: Math.max(line.amount - usage.amount, 0)
+      };
+    };
+
+    const selections = requested && requested.length > 0
+      ? requested.map(item => {
+        const line = item.lineIndex !== undefined && item.lineIndex !== null
+          ? lines.find(candidate => candidate.lineIndex === Number(item.lineIndex))
+          : lines.find(candidate =>
+            candidate.productId === String(item.productId) &&
+            (candidate.skuId || '') === (item.skuId === undefined || item.skuId === null ? '' : String(item.skuId))
+          );
+        if (!line) {
+          throw new Error(`订单中不存在商品 ${item.productId || item.lineIndex}`);
+        }
+        return { line, quantity: parseInt(item.quantity, 10) || remainingOf(line).quantity };
+      })
+      : lines.map(line => ({ line, quantity: remainingOf(line).quantity })).filter(selection => selection.quantity > 0);
+
+    const seen = new Set();
+    const items = selections.map(({ line, quantity }) => {
+      if (seen.has(line.lineIndex)) {
+        throw new Error(`商品 ${line.name || line.productId} 重复申请`);
+      }
+      seen.add(line.lineIndex);
+
+      const remaining = remainingOf(line);
+      if (quantity <= 0 || quantity > remaining.quantity) {
+        throw new Error(`商品 ${line.name || line.productId} 可申请售后数量不足，剩余 ${Math.max(remaining.quantity, 0)} 件`);
+      }
+
+      let refundAmount = 0;
+      if (type !== TYPE.EXCHANGE) {
+        refundAmount = quantity === remaining.quantity
+          ? remaining.amount
+          : Math.min(Math.floor(line.amount * quantity / line.quantity), remaining.amount);
+      }
+
+      return {
+        orderId: String(order.id),
+        lineIndex: line.lineIndex,
+        productId: line.productId,
+        skuId: line.skuId || '',
+        sellerId: line.sellerId,
+        name: line.name,
+        quantity,
+        refundAmount
+      };
+    });
+
+    if (items.length === 0) {
+      throw new Error('订单商品均已申请售后');
+    }
+
+    return items;
+  }
+
+  /**
+   * 将申请的退款金额按商品行可退金额比例分摊，最后一行承担分摊余数
+   * @param {Array} items - 售后商品行
+   * @param {number} amount - 申请退款金额（分）
+   * @returns {void}
+   */
+  distributeRefund(items, amount) {
+    const total = items.reduce((sum, item) => sum + item.refundAmount, 0);
+    let rest = amount;
+
+    items.forEach((item, index) => {
+      const share = index === items.length - 1
+        ? rest
+        : Math.floor(amount * item.refundAmount / total);
+      item.refundAmount = share;
+      rest -= share;
+    });
+  }
+
+  /**
+   * 创建售后申请
+   * @param {Object} params - 申请参数
+   * @param {Object} params.order - 订单（需包含 id、userId、status、totalAmount 以及 priceBreakdown 或 items）
+   * @param {string} params.userId - 申请用户ID
+   * @param {string} params.type - 售后类型
+   * @param {Array} [params.items] - 申请的商品，为空时申请订单全部剩余商品
+   * @param {number} [params.refundAmount] - 申请退款金额（元），默认为所选商品的剩余可退金额
+   * @param {string} params.reason - 申请原因
+   * @param {string} [params.description] - 问题描述
+   * @param {Array} [params.images] - 凭证图片
+   * @returns {Promise<Object>} 售后单
+   */
+  async createRequest(params) {
+    try {
+      const { order, userId, type, reason, description, images } = params;
+
+      this.getLogger().info('尝试创建售后申请', { orderId: order.id, userId, type });
+
+      if (!Object.values(TYPE).includes(type)) {
+        throw new Error('不支持的售后类型');
+      }
+      if (String(order.userId) !== String(userId)) {
+        throw new Error('订单不存在');
+      }
+      if (!ORDER_STATUSES[type].includes(order.status)) {
+        throw new Error('该订单状态不允许申请售后');
+      }
+      if (!reason) {
+        throw new Error('请填写售后原因');
+      }
+
+      const request = await this.runInTransaction(async (connection) => {
+        await afterSalesRepository.lockOrder(connection, String(order.id));
+
+        const open = await afterSalesRepository.getOpenRequestByOrder(connection, String(order.id), CLOSED_STATUSES);
+        if (open) {
+          throw new Error('该订单已有处理中的售后申请');
+        }
+
+        const allocated = await afterSalesRepository.getAllocatedLines(connection, String(order.id));
+        const items = this.allocateItems(order, type, params.items, allocated);
+
+        const sellerIds = [...new Set(items.map(item => item.sellerId).filter(Boolean))];
+        if (sellerIds.length > 1) {
+          throw new Error('不同店铺的商品请分别申请售后');
+        }
+
+        const maxRefund = items.reduce((sum, item) => sum + item.refundAmount, 0);
+        let refundAmount = maxRefund;
+        if (type !== TYPE.EXCHANGE && params.refundAmount !== undefined && params.refundAmount !== null) {
+          refundAmount = toCents(params.refundAmount);
+          if (refundAmount <= 0 || refundAmount > maxRefund) {
+            throw new Error(`退款金额须大于0且不超过 ${toYuan(maxRefund)} 元`);
+          }
+          this.distributeRefund(items, refundAmount);
+        }
+
+        const sellerDeadline = new Date(Date.now() + SELLER_TIMEOUT_HOURS * 60 * 60 * 1000);
+        const requestId = await afterSalesRepository.createRequest(connection, {
+          requestNo: this.generateRequestNo(),
+          orderId: String(order.id),
+          userId: String(userId),
+          sellerId: sellerIds[0] || (order.sellerId ? String(order.sellerId) : null),
+          type,
+          status: STATUS.PENDING,
+          reason,
+          description: description || null,
+          images,
+          refundAmount: toYuan(refundAmount),
+          orderAmount: order.totalAmount,
+          paymentTransactionId: order.paymentTransactionId || order.transactionId || null,
+          paymentMethod: order.paymentMethod || null,
+          sellerDeadline
+        });
+
+        await afterSalesRepository.createItems(connection, requestId, items.map(item => ({
+          ...item,
+          refundAmount: toYuan(item.refundAmount)
+        })));
+        await afterSalesRepository.addLog(connection, {
+          requestId,
+          fromStatus: null,
+          toStatus: STATUS.PENDING,
+          action: 'create',
+          operatorType: 'buyer',
+          operatorId: String(userId),
+          remark: reason
+        });
+
+        const row = await afterSalesRepository.getRequest(connection, requestId);
+        const itemRows = await afterSalesRepository.getItems(connection, requestId);
+        return formatRequest(row, itemRows);
+      });
+
+      await this.publishEvent('created', request, {
+        productId: request.items[0].productId,
+        reason: request.reason,
+        refundAmount: request.refundAmount,
+        items: request.items
+      });
+
+      this.getLogger().info('售后申请创建成功', { requestId: request.id, orderId: order.id, type });
+      return request;
+    } catch (error) {
+      this.getLogger().error('售后申请创建失败', { orderId: params.order && params.order.id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 锁定售后单并执行一次状态流转
+   * @param {number} requestId - 售后单ID
+   * @param {string} action - 操作（TRANSITIONS 中的键）
+   * @param {Object} operator - { operatorType: buyer|seller|system, operatorId, userId, sellerId }
+   * @param {Function} handler - (connection, row) => Promise<{ toStatus, fields, remark }>
+   * @returns {Promise<Object>} 流转后的售后单（含商品行）
+   */
+  async transition(requestId, action, operator, handler) {
+    return this.runInTransaction(async (connection) => {
+      const row = await afterSalesRepository.getRequest(connection, requestId, true);
+      if (!row ||
+        (operator.userId && String(row.user_id) !== String(operator.userId)) ||
+        (operator.sellerId && String(row.seller_id) !== String(operator.sellerId))) {
+        throw new Error('售后申请不存在');
+      }
+      if (!TRANSITIONS[action].includes(row.status)) {
+        throw new Error('当前售后状态不允许此操作');
+      }
+
+      const { toStatus, fields, remark } = await handler(connection, row);
+      await this.changeStatus(connection, row, toStatus, { action, operator, fields, remark });
+
+      const updated = await afterSalesRepository.getRequest(connection, requestId);
+      const items = await afterSalesRepository.getItems(connection, requestId);
+      return formatRequest(updated, items);
+    });
+  }
+
+  /**
+   * 在事务中更新售后状态并写入日志
+   * @param {Object} connection - 事务连接
+   * @param {Object} row - 已锁定的售后单记录
+   * @param {string} toStatus - 目标状态
+   * @param {Object} options - { action, operator, fields, remark }
+   * @returns {Promise<void>}
+   */
+  async changeStatus(connection, row, toStatus, options) {
+    const { action, operator, fields = {}, remark = null } = options;
+
+    const updated = await afterSalesRepository.updateStatus(connection, row.id, row.status, toStatus, fields);
+    if (!updated) {
+      throw new Error('售后状态已变更，请刷新后重试');
+    }
+
+    await afterSalesRepository.addLog(connection, {
+      requestId: row.id,
+      fromStatus: row.status,
+      toStatus,
+      action,
+      operatorType: operator.operatorType,
+      operatorId: operator.operatorId ? String(operator.operatorId) : null,
+      remark
+    });
+  }
+
+  /**
+   * 卖家同意售后申请
+   * 仅退款进入待退款，退货退款和换货进入待买家退货
+   * @param {number} requestId - 售后单ID
+   * @param {Object} [options] - { sellerId, refundAmount（同意退款金额，元，不超过申请金额）, remark, operatorType, operatorId }
+   * @returns {Promise<Object>} 售后单
+   */
+  async approve(requestId, options = {}) {
+    try {
+      const operator = {
+        operatorType: options.operatorType || 'seller',
+        operatorId: options.operatorId || options.sellerId,
+        sellerId: options.sellerId
+      };
+
+      const request = await this.transition(requestId, 'approve', operator, async (connection, row) => {
+        const requested = toCents(row.refund_amount);
+        let approved = row.type === TYPE.EXCHANGE ? 0 : requested;
+
+        if (row.type !== TYPE.EXCHANGE && options.refundAmount !== undefined && options.refundAmount !== null) {
+          approved = toCents(options.refundAmount);
+          if (approved < 0 || approved > requested) {
+            throw new Error(`同意退款金额不能超过申请金额 ${toYuan(requested)} 元`);
+          }
+        }
+
+        return {
+          toStatus: row.type === TYPE.REFUND ? STATUS.APPROVED : STATUS.WAITING_RETURN,
+          fields: { approved_amount: toYuan(approved), seller_remark: options.remark || null },
+          remark: options.remark || (operator.operatorType === 'system' ? '卖家超时未处理，系统自动同意' : null)
+        };
+      });
+
+      await this.publishEvent('approved', request, {
+        approved: true,
+        refundAmount: request.approvedAmount
+      });
+
+      this.getLogger().info('售后申请已同意', { requestId, status: request.status, operatorType: operator.operatorType });
+      return request;
+    } catch (error) {
+      this.getLogger().error('同意售后申请失败', { requestId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 卖家拒绝售后申请
+   * @param {number} requestId - 售后单ID
+   * @param {Object} options - { sellerId, rejectReason, operatorId }
+   * @returns {Promise<Object>} 售后单
+   */
+  async reject(requestId, options = {}) {
+    try {
+      if (!options.rejectReason) {
+        throw new Error('请填写拒绝原因');
+      }
+
+      const operator = { operatorType: 'seller', operatorId: options.operatorId || options.sellerId, sellerId: options.sellerId };
+      const request = await this.transition(requestId, 'reject', operator, async () => ({
+        toStatus: STATUS.REJECTED,
+        fields: { reject_reason: options.rejectReason, completed_at: new Date() },
+        remark: options.rejectReason
+      }));
+
+      await this.publishEvent('approved', request, {
+        approved: false,
+        rejectReason: request.rejectReason
+      });
+
+      this.getLogger().info('售后申请已拒绝', { requestId });
+      return request;
+    } catch (error) {
+      this.getLogger().error('拒绝售后申请失败', { requestId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 买家撤销售后申请
+   * @param {number} requestId - 售后单ID
+   * @param {string} userId - 用户ID
+   * @param {string} [remark] - 撤销说明
+   * @returns {Promise<Object>} 售后单
+   */
+  async cancel(requestId, userId, remark = null) {
+    try {
+      const operator = { operatorType: 'buyer', operatorId: userId, userId };
+      const request = await this.transition(requestId, 'cancel', operator, async () => ({
+        toStatus: STATUS.CANCELED,
+        fields: { completed_at: new Date() },
+        remark
+      }));
+
+      await this.publishEvent('canceled', request, { remark });
+
+      this.getLogger().info('售后申请已撤销', { requestId, userId });
+      return request;
+    } catch (error) {
+      this.getLogger().error('撤销售后申请失败', { requestId, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 买家填写退货物流
+   * @param {number} requestId - 售后单ID
+   * @param {string} userId - 用户ID
+   * @param {Object} logistics - { logisticsCompany, trackingNumber }
+   * @returns {Promise<Object>} 售后单
+   */
+  async shipReturn(requestId, userId, logistics) {
+    try {
+      if (!logistics || !logistics.logisticsCompany || !logistics.trackingNumber) {
+        throw new Error('请填写退货物流公司和物流单号');
+      }
+
+      const operator = { operatorType: 'buyer', operatorId: userId, userId };
+      const request = await this.transition(requestId, 'shipReturn', operator, async () => ({
+        toStatus: STATUS.RETURN_SHIPPED,
+        fields: {
+          return_logistics_company: logistics.logisticsCompany,
+          return_tracking_no: logistics.trackingNumber,
+          return_shipped_at: new Date()
+        },
+        remark: `${logistics.logisticsCompany} ${logistics.trackingNumber}`
+      }));
+
+      await this.publishEvent('return_shipped', request, {
+        trackingNumber: logistics.trackingNumber,
+        logisticsCompany: logistics.logisticsCompany
+      });
+
+      this.getLogger().info('买家已退货', { requestId, trackingNumber: logistics.trackingNumber });
+      return request;
+    } catch (error) {
+      this.getLogger().error('填写退货物流失败', { requestId, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 卖家确认收到退货，在同一事务中将退货商品退回库存
+   * 退货退款在收货后发起退款，换货在收货后等待卖家发出换货商品
+   * @param {number} requestId - 售后单ID
+   * @param {Object} [options] - { sellerId, remark, operatorId }
+   * @returns {Promise<Object>} 售后单
+   */
+  async receiveReturn(requestId, options = {}) {
+    try {
+      const operator = { operatorType: 'seller', operatorId: options.operatorId || options.sellerId, sellerId: options.sellerId };
+      const request = await this.transition(requestId, 'receiveReturn', operator, async (connection, row) => {
+        const items = await afterSalesRepository.getItems(connection, row.id);
+        await inventoryService.restock(connection, toInventoryItems(items), {
+          sourceType: 'after_sale',
+          sourceId: String(row.id),
+          reason: '售后退货入库',
+          operatorId: operator.operatorId ? String(operator.operatorId) : null
+        });
+
+        return {
+          toStatus: STATUS.RETURN_RECEIVED,
+          fields: { return_received_at: new Date() },
+          remark: options.remark || null
+        };
+      });
+
+      await this.publishEvent('return_received', request, {
+        refundAmount: request.approvedAmount,
+        items: request.items
+      });
+
+      this.getLogger().info('卖家已确认收到退货', { requestId });
+      return request;
+    } catch (error) {
+      this.getLogger().error('确认收到退货失败', { requestId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 卖家发出换货商品，在同一事务中扣减库存
+   * @param {number} requestId - 售后单ID
+   * @param {Object} options - { sellerId, logisticsCompany, trackingNumber, operatorId }
+   * @returns {Promise<Object>} 售后单
+   */
+  async shipExchange(requestId, options = {}) {
+    try {
+      if (!options.logisticsCompany || !options.trackingNumber) {
+        throw new Error('请填写换货物流公司和物流单号');
+      }
+
+      const operator = { operatorType: 'seller', operatorId: options.operatorId || options.sellerId, sellerId: options.sellerId };
+      let stockChanges = [];
+      const request = await this.transition(requestId, 'shipExchange', operator, async (connection, row) => {
+        if (row.type !== TYPE.EXCHANGE) {
+          throw new Error('只有换货申请需要发出换货商品');
+        }
+
+        const items = await afterSalesRepository.getItems(connection, row.id);
+        stockChanges = await inventoryService.deduct(connection, toInventoryItems(items), {
+          sourceType: 'after_sale_exchange',
+          sourceId: String(row.id),
+          reason: '售后换货出库',
+          operatorId: operator.operatorId ? String(operator.operatorId) : null
+        });
+
+        return {
+          toStatus: STATUS.EXCHANGE_SHIPPED,
+          fields: {
+            exchange_logistics_company: options.logisticsCompany,
+            exchange_tracking_no: options.trackingNumber,
+            exchange_shipped_at: new Date()
+          },
+          remark: `${options.logisticsCompany} ${options.trackingNumber}`
+        };
+      });
+
+      await inventoryService.publishAlerts(stockChanges);
+      await this.publishEvent('exchange_shipped', request, {
+        trackingNumber: options.trackingNumber,
+        logisticsCompany: options.logisticsCompany
+      });
+
+      this.getLogger().info('换货商品已发出', { requestId, trackingNumber: options.trackingNumber });
+      return request;
+    } catch (error) {
+      this.getLogger().error('发出换货商品失败', { requestId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 买家确认收到换货商品，售后完成
+   * @param {number} requestId - 售后单ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} 售后单
+   */
+  async confirmExchange(requestId, userId) {
+    try {
+      const operator = { operatorType: 'buyer', operatorId: userId, userId };
+      const request = await this.transition(requestId, 'confirmExchange', operator, async () => ({
+        toStatus: STATUS.COMPLETED,
+        fields: { completed_at: new Date() }
+      }));
+
+      await this.publishEvent('completed', request, { resolution: '换货完成' });
+
+      this.getLogger().info('换货已完成', { requestId, userId });
+      return request;
+    } catch (error) {
+      this.getLogger().error('确认收到换货失败', { requestId, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 判断售后单当前是否可以发起退款
+   * @param {Object} row - 售后单记录
+   * @returns {boolean} 是否可以发起退款
+   */
+  isRefundable(row) {
+    return row.status === STATUS.REFUND_FAILED ||
+      (row.status === STATUS.APPROVED && row.type === TYPE.REFUND) ||
+      (row.status === STATUS.RETURN_RECEIVED && row.type === TYPE.REFUND_WITH_RETURN);
+  }
+
+  /**
+   * 发起售后退款：调用支付服务原路退回同意退款金额
+   * 售后单不处于待退款状态时不做处理，同一售后单同一时刻只会有一次退款在进行
+   * 退款成功后售后完成，失败时进入退款失败状态，由定时任务重试
+   * @param {number} requestId - 售后单ID
+   * @param {Object} [operator] - { operatorType, operatorId }
+   * @returns {Promise<Object|null>} 售后单，未发起退款时返回null
+   */
+  async initiateRefund(requestId, operator = { operatorType: 'system', operatorId: 'system' }) {
+    let request = null;
+
+    try {
+      request = await this.runInTransaction(async (connection) => {
+        const row = await afterSalesRepository.getRequest(connection, requestId, true);
+        if (!row || !this.isRefundable(row)) {
+          return null;
+        }
+
+        await this.changeStatus(connection, row, STATUS.REFUNDING, {
+          action: 'refund',
+          operator,
+          fields: { refund_attempts: Number(row.refund_attempts) + 1 }
+        });
+
+        return formatRequest(await afterSalesRepository.getRequest(connection, requestId));
+      });
+
+      if (!request) {
+        return null;
+      }
+      await this.publishEvent('refunding', request, { refundAmount: request.approvedAmount });
+    } catch (error) {
+      this.getLogger().error('发起售后退款失败', { requestId, error: error.message });
+      throw error;
+    }
+
+    const row = await this.withConnection(connection => afterSalesRepository.getRequest(connection, requestId));
+    const amount = toCents(row.approved_amount);
+    let result = null;
+
+    try {
+      if (amount > 0) {
+        result = await refundService.processRefundPayment(row.request_no, {
+          transactionId: row.payment_transaction_id,
+          paymentMethod: row.payment_method,
+          userId: row.user_id,
+          amount: toYuan(amount),
+          reason: row.reason
+        });
+      }
+    } catch (error) {
+      this.getLogger().error('售后退款支付失败', { requestId, error: error.message });
+
+      const failed = await this.finishRefund(requestId, STATUS.REFUND_FAILED, {
+        refund_fail_reason: String(error.message).slice(0, 255)
+      }, operator);
+      await this.publishEvent('refund_failed', failed, {
+        refundAmount: failed.approvedAmount,
+        failReason: error.message
+      });
+      throw error;
+    }
+
+    const now = new Date();
+    const completed = await this.finishRefund(requestId, STATUS.COMPLETED, {
+      refund_id: result ? result.refundId : null,
+      refund_fail_reason: null,
+      refunded_at: now,
+      completed_at: now
+    }, operator);
+
+    const orderAmount = toCents(row.order_amount);
+    await this.publishEvent('refund_completed', completed, {
+      refundAmount: completed.approvedAmount,
+      refundTime: now.toISOString(),
+      refundMethod: row.payment_method,
+      refundRatio: orderAmount > 0 ? Math.min(amount / orderAmount, 1) : 1
+    });
+    await this.publishEvent('completed', completed, {
+      resolution: row.type === TYPE.REFUND ? '仅退款' : '退货退款'
+    });
+
+    this.getLogger().info('售后退款成功', { requestId, amount: toYuan(amount) });
+    return completed;
+  }
+
+  /**
+   * 结束退款中的售后单
+   * @param {number} requestId - 售后单ID
+   * @param {string} toStatus - 目标状态
+   * @param {Object} fields - 同时更新的字段
+   * @param {Object} operator - { operatorType, operatorId }
+   * @returns {Promise<Object>} 售后单
+   */
+  async finishRefund(requestId, toStatus, fields, operator) {
+    return this.runInTransaction(async (connection) => {
+      const row = await afterSalesRepository.getRequest(connection, requestId, true);
+      await this.changeStatus(connection, row, toStatus, {
+        action: toStatus === STATUS.COMPLETED ? 'refund_success' : 'refund_fail',
+        operator,
+        fields,
+        remark: fields.refund_fail_reason || null
+      });
+
+      const updated = await afterSalesRepository.getRequest(connection, requestId);
+      const items = await afterSalesRepository.getItems(connection, requestId);
+      return formatRequest(updated, items);
+    });
+  }
+
+  /**
+   * 自动同意卖家超时未审核的售后申请
+   * @param {number} [limit] - 单次最多处理的售后单数
+   * @returns {Promise<Object>} { approved, failed }
+   */
+  async autoApproveOverdue(limit = 200) {
+    const ids = await this.withConnection(connection =>
+      afterSalesRepository.getOverduePending(connection, new Date(), limit)
+    );
+    let approved = 0;
+    let failed = 0;
+
+    for (const id of ids) {
+      try {
+        await this.approve(id, { operatorType: 'system', operatorId: 'system' });
+        approved++;
+      } catch (error) {
+        failed++;
+      }
+    }
+
+    if (ids.length > 0) {
+      this.getLogger().info('超时售后申请已自动同意', { approved, failed });
+    }
+    return { approved, failed };
+  }
+
+  /**
+   * 发起待退款以及退款失败的售后退款
+   * @param {number} [limit] - 单次最多处理的售后单数
+   * @returns {Promise<Object>} { refunded, failed }
+   */
+  async retryPendingRefunds(limit = 100) {
+    const ids = await this.withConnection(connection =>
+      afterSalesRepository.getPendingRefunds(connection, MAX_REFUND_ATTEMPTS, limit)
+    );
+    let refunded = 0;
+    let failed = 0;
+
+    for (const id of ids) {
+      try {
+        if (await this.initiateRefund(id)) {
+          refunded++;
+        }
+      } catch (error) {
+        failed++;
+      }
+    }
+
+    if (ids.length > 0) {
+      this.getLogger().info('售后退款重试完成', { refunded, failed });
+    }
+    return { refunded, failed };
+  }
+
+  /**
+   * 获取售后单详情
+   * @param {number} requestId - 售后单ID
+   * @param {Object} [scope] - { userId } 或 { sellerId }，限定只能查看自己的售后单
+   * @returns {Promise<Object>} 售后单（含商品行和日志）
+   */
+  async getRequest(requestId, scope = {}) {
+    try {
+      return await this.withConnection(async (connection) => {
+        const row = await afterSalesRepository.getRequest(connection, requestId);
+        if (!row ||
+          (scope.userId && String(row.user_id) !== String(scope.userId)) ||
+          (scope.sellerId && String(row.seller_id) !== String(scope.sellerId))) {
+          throw new Error('售后申请不存在');
+        }
+
+        const items = await afterSalesRepository.getItems(connection, requestId);
+        const logs = await afterSalesRepository.getLogs(connection, requestId);
+        return formatRequest(row, items, logs);
+      });
+    } catch (error) {
+      this.getLogger().error('获取售后单详情失败', { requestId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询售后单
+   * @param {Object} query - { userId, sellerId, orderId, type, status, startDate, endDate }
+   * @param {Object} [pagination] - { page, pageSize }
+   * @returns {Promise<Object>} 售后单列表和分页信息
+   */
+  async listRequests(query, pagination = { page: 1, pageSize: 20 }) {
+    try {
+      const page = Math.max(parseInt(pagination.page, 10) || 1, 1);
+      const pageSize = Math.max(parseInt(pagination.pageSize, 10) || 20, 1);
+
+      const { rows, total } = await this.withConnection(connection =>
+        afterSalesRepository.getRequests(connection, query, (page - 1) * pageSize, pageSize)
+      );
+
+      return {
+        list: rows.map(row => formatRequest(row)),
+        pagination: {
+          page,
+          pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize)
+        }
+      };
+    } catch (error) {
+      this.getLogger().error('查询售后单失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取订单当前未结束的售后单
+   * @param {string} orderId - 订单ID
+   * @returns {Promise<Object|null>} 售后单
+   */
+  async getOpenRequestByOrder(orderId) {
+    const row = await this.withConnection(connection =>
+      afterSalesRepository.getOpenRequestByOrder(connection, String(orderId), CLOSED_STATUSES)
+    );
+    return row ? formatRequest(row) : null;
+  }
+
+  /**
+   * 统计用户未结束的售后单数量
+   * @param {string} userId - 用户ID
+   * @returns {Promise<number>} 售后单数量
+   */
+  async countActiveByUser(userId) {
+    return this.withConnection(connection =>
+      afterSalesRepository.countActiveByUser(connection, String(userId), CLOSED_STATUSES)
+    );
+  }
+
+  /**
+   * 获取卖家售后统计
+   * @param {Object} query - { sellerId, startDate, endDate }
+   * @returns {Promise<Object>} { total, byStatus, refundedAmount, pending }
+   */
+  async getStatistics(query) {
+    try {
+      const rows = await this.withConnection(connection =>
+        afterSalesRepository.getStatistics(connection, query)
+      );
+
+      const byStatus = {};
+      let total = 0;
+      rows.forEach(row => {
+        byStatus[row.status] = Number(row.count);
+        total += Number(row.count);
+      });
+
+      const completed = rows.find(row => row.status === STATUS.COMPLETED);
+      return {
+        total,
+        byStatus,
+        pending: byStatus[STATUS.PENDING] || 0,
+        refundedAmount: completed ? Number(completed.approved_amount) : 0
+      };
+    } catch (error) {
+      this.getLogger().error('获取售后统计失败', { sellerId: query.sellerId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+// 导出单例实例
+const afterSalesService = new AfterSalesService();
+module.exports = afterSalesService;
+module.exports.TYPE = TYPE;
+module.exports.STATUS = STATUS;
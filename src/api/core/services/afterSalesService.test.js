@@ -0,0 +1,156 @@
+/**
+ * 售后服务测试
+ */
+
+const mockCacheManager = { publish: jest.fn() };
+const mockLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+jest.mock('@core/di/container', () => ({
+  resolve: name => (name === 'cacheManager' ? mockCacheManager : mockLogger)
+}), { virtual: true });
+jest.mock('../data-access/database/TransactionManager', () => ({
+  TransactionManager: jest.fn().mockImplementation(() => ({
+    executeInTransaction: jest.fn()
+  }))
+}));
+jest.mock('../data-access/database/ConnectionPoolManager', () => ({
+  connectionPoolManager: { getConnection: jest.fn() }
+}));
+jest.mock('./inventoryService', () => ({
+  restock: jest.fn(),
+  deduct: jest.fn()
+}));
+jest.mock('./refundService', () => ({
+  processRefundPayment: jest.fn()
+}));
+jest.mock('../repositories/afterSalesRepository', () => ({
+  getRequest: jest.fn(),
+  getItems: jest.fn(),
+  updateStatus: jest.fn(),
+  addLog: jest.fn()
+}));
+
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const refundService = require('./refundService');
+const afterSalesRepository = require('../repositories/afterSalesRepository');
+const afterSalesService = require('./afterSalesService');
+
+const { TYPE, STATUS } = afterSalesService;
+
+const connection = { query: jest.fn(), release: jest.fn() };
+
+// 一行 3 件共 100 元、一行 1 件 20 元的订单
+const ORDER = {
+  id: 1,
+  priceBreakdown: {
+    lines: [
+      { productId: 1, skuId: 11, sellerId: 10, name: '商品A', quantity: 3, payableAmount: 100 },
+      { productId: 2, skuId: null, sellerId: 10, name: '商品B', quantity: 1, payableAmount: 20 }
+    ]
+  }
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  afterSalesService.transactionManager.executeInTransaction.mockImplementation(operation => operation(connection, {}));
+  connectionPoolManager.getConnection.mockResolvedValue(connection);
+});
+
+describe('allocateItems', () => {
+  test('部分数量按比例退款，申请剩余全部数量时退还剩余全部金额', () => {
+    const [first] = afterSalesService.allocateItems(ORDER, TYPE.REFUND, [{ lineIndex: 0, quantity: 1 }], []);
+    expect(first).toMatchObject({ lineIndex: 0, skuId: '11', quantity: 1, refundAmount: 3333 });
+
+    const [rest] = afterSalesService.allocateItems(ORDER, TYPE.REFUND, [{ productId: 1, skuId: 11 }], [
+      { line_index: 0, quantity: 1, refund_amount: 33.33 }
+    ]);
+    expect(rest).toMatchObject({ quantity: 2, refundAmount: 6667 });
+  });
+
+  test('未指定商品时申请全部剩余商品', () => {
+    const items = afterSalesService.allocateItems(ORDER, TYPE.REFUND, [], [
+      { line_index: 0, quantity: 3, refund_amount: 100 }
+    ]);
+
+    expect(items).toEqual([expect.objectContaining({ lineIndex: 1, quantity: 1, refundAmount: 2000 })]);
+  });
+
+  test('申请数量超过剩余可申请数量时报错', () => {
+    expect(() => afterSalesService.allocateItems(ORDER, TYPE.REFUND, [{ lineIndex: 0, quantity: 2 }], [
+      { line_index: 0, quantity: 2, refund_amount: 66.66 }
+    ])).toThrow('可申请售后数量不足，剩余 1 件');
+  });
+
+  test('换货不退款', () => {
+    const [item] = afterSalesService.allocateItems(ORDER, TYPE.EXCHANGE, [{ lineIndex: 1, quantity: 1 }], []);
+    expect(item.refundAmount).toBe(0);
+  });
+});
+
+describe('distributeRefund', () => {
+  test('按可退金额比例分摊申请退款金额，最后一行承担余数', () => {
+    const items = [{ refundAmount: 10000 }, { refundAmount: 2000 }];
+    afterSalesService.distributeRefund(items, 5000);
+    expect(items.map(item => item.refundAmount)).toEqual([4166, 834]);
+  });
+});
+
+describe('initiateRefund', () => {
+  let row;
+
+  beforeEach(() => {
+    row = {
+      id: 5,
+      request_no: 'AS1',
+      order_id: '1',
+      user_id: 'u1',
+      seller_id: '10',
+      type: TYPE.REFUND,
+      status: STATUS.APPROVED,
+      reason: '不想要了',
+      approved_amount: 50,
+      order_amount: 200,
+      refund_attempts: 0,
+      payment_transaction_id: 'T1',
+      payment_method: 'wechat'
+    };
+    afterSalesRepository.getRequest.mockImplementation(async () => ({ ...row }));
+    afterSalesRepository.getItems.mockResolvedValue([]);
+    afterSalesRepository.updateStatus.mockImplementation(async (conn, id, from, to, fields) => {
+      row = { ...row, ...fields, status: to };
+      return true;
+    });
+  });
+
+  test('退款成功后售后完成并发布退款完成消息', async () => {
+    refundService.processRefundPayment.mockResolvedValue({ refundId: 'R1' });
+
+    const request = await afterSalesService.initiateRefund(5);
+
+    expect(refundService.processRefundPayment).toHaveBeenCalledWith('AS1', {
+      transactionId: 'T1', paymentMethod: 'wechat', userId: 'u1', amount: 50, reason: '不想要了'
+    });
+    expect(request).toMatchObject({ status: STATUS.COMPLETED, refundId: 'R1' });
+    expect(mockCacheManager.publish).toHaveBeenCalledWith('after_sales.refund_completed', expect.objectContaining({
+      requestId: 5, refundAmount: 50, refundRatio: 0.25
+    }));
+  });
+
+  test('退款支付失败时进入退款失败状态并记录失败原因', async () => {
+    refundService.processRefundPayment.mockRejectedValue(new Error('渠道余额不足'));
+
+    await expect(afterSalesService.initiateRefund(5)).rejects.toThrow('渠道余额不足');
+
+    expect(row).toMatchObject({ status: STATUS.REFUND_FAILED, refund_fail_reason: '渠道余额不足', refund_attempts: 1 });
+    expect(mockCacheManager.publish).toHaveBeenCalledWith('after_sales.refund_failed', expect.objectContaining({
+      failReason: '渠道余额不足'
+    }));
+  });
+
+  test('售后单不处于待退款状态时不发起退款', async () => {
+    row.status = STATUS.PENDING;
+
+    await expect(afterSalesService.initiateRefund(5)).resolves.toBeNull();
+    expect(refundService.processRefundPayment).not.toHaveBeenCalled();
+  });
+});
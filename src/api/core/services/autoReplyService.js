@@ -3,9 +3,15 @@
  * 提供智能回复和关键词匹配功能
  */
 
-const { logger } = require('../utils/logger');
-const { AppError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const { AppError } = require('../errors/appError');
 const customerServiceDb = require('./customerServiceDb');
+const knowledgeBaseService = require('./knowledgeBaseService');
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const helpContentRepository = require('../repositories/helpContentRepository');
+
+// 数据库连接池ID
+const DB_POOL_ID = process.env.DB_POOL_ID || 'default';
 
 class AutoReplyService {
   constructor() {
@@ -27,12 +33,32 @@ class AutoReplyService {
       // 由于数据库模型可能尚未创建，先使用默认规则
       this.loadDefaultRules();
       this.loadDefaultFaq();
+      // FAQ、已发布的帮助文章和知识库文档作为AI助手的知识来源
+      knowledgeBaseService.registerSource(knowledgeBaseService.SOURCE_TYPE.FAQ, async () => this.exportFaqs());
+      knowledgeBaseService.registerSource(knowledgeBaseService.SOURCE_TYPE.HELP_ARTICLE,
+        () => this.loadHelpContent(connection => helpContentRepository.findPublishedHelpArticles(connection)));
+      knowledgeBaseService.registerSource(knowledgeBaseService.SOURCE_TYPE.KNOWLEDGE_DOC,
+        () => this.loadHelpContent(connection => helpContentRepository.findPublishedKnowledgeDocs(connection)));
       logger.info('Auto reply service initialized with default rules');
     } catch (error) {
       logger.error('Failed to initialize auto reply service:', error);
     }
   }
 
+  /**
+   * 从数据库读取帮助内容
+   * @param {Function} query - 查询函数 (connection) => Promise<Array>
+   * @returns {Promise<Array>} 文档列表
+   */
+  async loadHelpContent(query) {
+    const connection = await connectionPoolManager.getConnection(DB_POOL_ID);
+    try {
+      return await query(connection);
+    } finally {
+      connection.release();
+    }
+  }
+
   /**
    * 加载默认回复规则
    */
@@ -405,6 +431,16 @@ class AutoReplyService {
     }
   }
 
+  /**
+   * 同步AI助手的知识库索引，索引失败不影响FAQ维护
+   * @param {Function} action 同步操作
+   */
+  syncKnowledgeBase(action) {
+    Promise.resolve()
+      .then(action)
+      .catch(error => logger.warn('Failed to sync FAQ to knowledge base:', error));
+  }
+
   /**
    * 添加FAQ
    * @param {Object} faqData FAQ数据
@@ -418,6 +454,7 @@ class AutoReplyService {
       };
 
       this.faqCollection.push(newFaq);
+      this.syncKnowledgeBase(() => knowledgeBaseService.upsertDocument(knowledgeBaseService.SOURCE_TYPE.FAQ, newFaq));
       logger.info(`Added new FAQ: ${newFaq.id}`);
       
       // 这里应该将FAQ保存到数据库
@@ -470,8 +507,10 @@ class AutoReplyService {
         ...updates
       };
 
+      const updatedFaq = this.faqCollection[faqIndex];
+      this.syncKnowledgeBase(() => knowledgeBaseService.upsertDocument(knowledgeBaseService.SOURCE_TYPE.FAQ, updatedFaq));
       logger.info(`Updated FAQ: ${faqId}`);
-      return this.faqCollection[faqIndex];
+      return updatedFaq;
     } catch (error) {
       logger.error(`Failed to update FAQ ${faqId}:`, error);
       throw error;
@@ -492,6 +531,7 @@ class AutoReplyService {
         throw new AppError('FAQ不存在', 404);
       }
 
+      this.syncKnowledgeBase(() => knowledgeBaseService.removeDocument(knowledgeBaseService.SOURCE_TYPE.FAQ, faqId));
       logger.info(`Deleted FAQ: ${faqId}`);
       return true;
     } catch (error) {
@@ -529,6 +569,7 @@ class AutoReplyService {
    */
   clearAllFaqs() {
     this.faqCollection = [];
+    this.syncKnowledgeBase(() => knowledgeBaseService.rebuildSource(knowledgeBaseService.SOURCE_TYPE.FAQ, []));
     logger.info('Cleared all FAQs');
   }
 }
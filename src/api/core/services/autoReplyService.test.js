@@ -0,0 +1,78 @@
+/**
+ * 自动回复服务测试
+ * 服务启动时注册FAQ、帮助文章和知识库文档三类知识来源，AI助手检索时从数据库加载帮助内容
+ */
+
+jest.mock('../utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('@core/di/container', () => ({
+  resolve: () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() })
+}), { virtual: true });
+jest.mock('./customerServiceDb', () => ({}));
+jest.mock('../data-access/database/ConnectionPoolManager', () => ({
+  connectionPoolManager: { getConnection: jest.fn() }
+}));
+
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const knowledgeBaseService = require('./knowledgeBaseService');
+require('./autoReplyService');
+
+const HELP_ARTICLES = [
+  {
+    id: 7,
+    title: '如何申请发票',
+    content: '<p>订单确认收货后，在订单详情页点击申请发票，填写抬头和税号后提交，电子发票将在3个工作日内发送到您的邮箱。</p>',
+    category: '发票',
+    status: 'published'
+  }
+];
+
+const KNOWLEDGE_DOCS = [
+  { id: 3, title: '积分规则', content: '每消费1元获得1积分，积分可在下单时抵扣。', category: '会员', status: 'published' }
+];
+
+/**
+ * 创建返回帮助内容的数据库连接
+ * @returns {Object} 数据库连接
+ */
+function createConnection() {
+  return {
+    release: jest.fn(),
+    query: jest.fn(async (sql) => {
+      if (sql.includes('FROM help_articles')) {
+        return [HELP_ARTICLES];
+      }
+      if (sql.includes('FROM knowledge_docs')) {
+        return [KNOWLEDGE_DOCS];
+      }
+      if (sql.includes('FROM knowledge_doc_tags')) {
+        return [[{ doc_id: 3, tag: '积分' }]];
+      }
+      throw new Error(`未模拟的SQL: ${sql}`);
+    })
+  };
+}
+
+test('启动时注册帮助文章、知识库文档和FAQ三类知识来源', () => {
+  const sources = knowledgeBaseService.getStats().sources.map(source => source.sourceType);
+  expect(sources).toEqual(expect.arrayContaining(['faq', 'help_article', 'knowledge_doc']));
+});
+
+test('从已发布的帮助文章中检索答案并标注来源', async () => {
+  const connection = createConnection();
+  connectionPoolManager.getConnection.mockResolvedValue(connection);
+
+  const passages = await knowledgeBaseService.retrieve('怎么申请发票');
+
+  expect(passages.length).toBeGreaterThan(0);
+  expect(passages[0]).toMatchObject({ citationId: 'help_article:7', sourceType: 'help_article', title: '如何申请发票' });
+  expect(passages[0].content).toContain('电子发票将在3个工作日内发送到您的邮箱');
+  expect(connection.release).toHaveBeenCalled();
+
+  const citations = knowledgeBaseService.buildCitations(passages, '确认收货后可在订单详情页申请发票[help_article:7]。');
+  expect(citations[0]).toMatchObject({ id: 'help_article:7', cited: true });
+});
@@ -0,0 +1,945 @@
+/**
+ * 砍价服务
+ * 卖家或平台按商品 SKU 创建砍价活动，设置底价、助力人数、砍价时限、活动库存和每人限购。
+ * 买家发起砍价时占用一件活动库存并分享给好友，好友每人助力一刀，每刀金额在剩余可砍金额内随机，
+ * 并保证剩余助力人数始终能按每刀最低、最高金额砍完，最后一位好友恰好砍到底价。
+ * 助力前校验防刷规则：不能为自己砍价、每人每天助力次数上限、同一IP对同一砍价的助力次数上限。
+ * 砍价成功后买家在下单期限内按底价生成特价订单；砍价超时未成功或成功后未下单时归还活动库存。
+ */
+
+const crypto = require('crypto');
+const di = require('@core/di/container');
+const { TransactionManager } = require('../data-access/database/TransactionManager');
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const { AppError, NotFoundError, ValidationError, TransactionError } = require('../exception/handlers/errorHandler');
+const bargainRepository = require('../repositories/bargainRepository');
+
+// 数据库连接池ID
+const DB_POOL_ID = process.env.DB_POOL_ID || 'default';
+
+// 砍价成功后的下单期限（小时）
+const ORDER_HOURS = parseInt(process.env.BARGAIN_ORDER_HOURS || '24', 10);
+
+// 每位好友每天最多助力次数
+const DAILY_HELP_LIMIT = parseInt(process.env.BARGAIN_DAILY_HELP_LIMIT || '10', 10);
+
+// 同一IP对同一砍价最多助力次数
+const IP_HELP_LIMIT = parseInt(process.env.BARGAIN_IP_HELP_LIMIT || '3', 10);
+
+// 砍价分享链接地址
+const SHARE_BASE_URL = process.env.BARGAIN_SHARE_BASE_URL || 'http://localhost:3000';
+
+// 到期任务单次处理的砍价记录数量
+const EXPIRE_BATCH_SIZE = 500;
+
+// 助力人数和砍价时限上限
+const MAX_HELPER_COUNT = 100;
+const MAX_DURATION_HOURS = 168;
+
+// 默认分页大小和上限
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * 砍价活动状态
+ */
+const CAMPAIGN_STATUS = {
+  ACTIVE: 'active', // 启用
+  CLOSED: 'closed'  // 已手动结束
+};
+
+/**
+ * 砍价活动进行状态（由活动状态和活动时间计算）
+ */
+const CAMPAIGN_STATE = {
+  NOT_STARTED: 'not_started', // 未开始
+  ONGOING: 'ongoing',         // 进行中
+  ENDED: 'ended'              // 已结束
+};
+
+/**
+ * 砍价记录状态
+ */
+const RECORD_STATUS = {
+  IN_PROGRESS: 'in_progress', // 砍价中
+  SUCCESS: 'success',         // 已砍到底价，待下单
+  ORDERED: 'ordered',         // 已下单
+  FAILED: 'failed',           // 超时未砍到底价
+  EXPIRED: 'expired'          // 砍价成功后超时未下单
+};
+
+// 占用买家限购名额的砍价记录状态
+const OCCUPYING_STATUSES = [RECORD_STATUS.IN_PROGRESS, RECORD_STATUS.SUCCESS, RECORD_STATUS.ORDERED];
+
+/**
+ * 元转分
+ * @param {number|string} amount - 金额（元）
+ * @returns {number} 金额（分）
+ */
+function toCents(amount) {
+  return Math.round(Number(amount || 0) * 100);
+}
+
+/**
+ * 分转元
+ * @param {number} cents - 金额（分）
+ * @returns {number} 金额（元）
+ */
+function toYuan(cents) {
+  return Math.round(cents) / 100;
+}
+
+/**
+ * 生成砍价编号
+ * @returns {string} 砍价编号
+ */
+function generateRecordNo() {
+  return `BG${Date.now()}${crypto.randomInt(0, 1000000).toString().padStart(6, '0')}`;
+}
+
+/**
+ * 规范化分页参数
+ * @param {Object} filters - { page, pageSize }
+ * @returns {Object} { page, pageSize, offset }
+ */
+function normalizePage(filters = {}) {
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(filters.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page, pageSize, offset: (page - 1) * pageSize };
+}
+
+/**
+ * 计算一位好友的砍价金额（分）
+ * 每刀金额须让剩余好友仍能按每刀最低、最高金额砍完剩余金额，最后一位好友砍掉全部剩余金额；
+ * 未设置最高金额时每刀不超过剩余人均金额的两倍，避免前几刀砍掉大部分金额。
+ * @param {number} remaining - 剩余可砍金额（分）
+ * @param {number} helpersLeft - 包括本次在内的剩余助力人数
+ * @param {number} minCut - 每刀最低金额（分），至少 1 分
+ * @param {number|null} maxCut - 每刀最高金额（分），未设置时为 null
+ * @returns {number} 砍价金额（分）
+ */
+function computeCut(remaining, helpersLeft, minCut, maxCut) {
+  if (helpersLeft <= 1) {
+    return remaining;
+  }
+  const max = maxCut || remaining;
+  const low = Math.max(minCut, remaining - (helpersLeft - 1) * max);
+  let high = Math.min(max, remaining - (helpersLeft - 1) * minCut);
+  if (!maxCut) {
+    high = Math.max(low, Math.min(high, Math.floor((remaining * 2) / helpersLeft)));
+  }
+  return crypto.randomInt(low, high + 1);
+}
+
+/**
+ * 会员展示名称，手机号隐藏中间四位
+ * @param {Object} row - 含 username、user_phone 的记录
+ * @param {string} userId - 用户ID
+ * @returns {string} 会员名称
+ */
+function memberName(row, userId) {
+  if (row.username) {
+    return row.username;
+  }
+  if (row.user_phone) {
+    return String(row.user_phone).replace(/^(\d{3})\d{4}(\d+)$/, '$1****$2');
+  }
+  return `用户${userId}`;
+}
+
+/**
+ * 解析商品主图
+ * @param {string|Array} images - 商品图片JSON
+ * @returns {string|null} 主图地址
+ */
+function firstImage(images) {
+  try {
+    const list = typeof images === 'string' ? JSON.parse(images) : images;
+    return Array.isArray(list) && list.length > 0 ? list[0] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 计算活动进行状态
+ * @param {Object} row - 活动记录
+ * @param {Date} [now] - 当前时间
+ * @returns {string} 进行状态
+ */
+function resolveState(row, now = new Date()) {
+  if (row.status === CAMPAIGN_STATUS.CLOSED || new Date(row.end_time) <= now) {
+    return CAMPAIGN_STATE.ENDED;
+  }
+  return new Date(row.start_time) > now ? CAMPAIGN_STATE.NOT_STARTED : CAMPAIGN_STATE.ONGOING;
+}
+
+/**
+ * 格式化砍价活动
+ * @param {Object} row - 活动记录
+ * @param {Object} [stats] - 砍价记录统计 { status: count }
+ * @returns {Object} 砍价活动
+ */
+function formatCampaign(row, stats) {
+  const campaign = {
+    id: row.id,
+    sellerId: String(row.seller_id),
+    shopName: row.shop_name || null,
+    productId: String(row.product_id),
+    skuId: row.sku_id || null,
+    productName: row.product_name || null,
+    productImage: firstImage(row.product_images),
+    productStock: row.stock_quantity !== undefined ? Number(row.stock_quantity) : undefined,
+    name: row.name,
+    originalPrice: Number(row.original_price),
+    floorPrice: Number(row.floor_price),
+    helperCount: Number(row.helper_count),
+    minCut: row.min_cut !== null ? Number(row.min_cut) : null,
+    maxCut: row.max_cut !== null ? Number(row.max_cut) : null,
+    durationHours: Number(row.duration_hours),
+    stock: Number(row.stock),
+    remainingStock: Number(row.remaining_stock),
+    limitPerUser: Number(row.limit_per_user),
+    startTime: row.start_time,
+    endTime: row.end_time,
+    status: row.status,
+    state: resolveState(row),
+    creatorType: row.creator_type,
+    createdAt: row.created_at
+  };
+  if (stats) {
+    campaign.stats = {
+      participants: Object.values(stats).reduce((sum, count) => sum + count, 0),
+      inProgress: stats[RECORD_STATUS.IN_PROGRESS] || 0,
+      success: (stats[RECORD_STATUS.SUCCESS] || 0) + (stats[RECORD_STATUS.ORDERED] || 0),
+      ordered: stats[RECORD_STATUS.ORDERED] || 0
+    };
+  }
+  return campaign;
+}
+
+/**
+ * 格式化砍价记录
+ * @param {Object} row - 砍价记录
+ * @returns {Object} 砍价记录
+ */
+function formatRecord(row) {
+  return {
+    recordNo: row.record_no,
+    campaignId: row.campaign_id,
+    campaignName: row.campaign_name || null,
+    productId: String(row.product_id),
+    skuId: row.sku_id || null,
+    productName: row.product_name || null,
+    productImage: firstImage(row.product_images),
+    userId: String(row.user_id),
+    memberName: memberName(row, row.user_id),
+    originalPrice: Number(row.original_price),
+    floorPrice: Number(row.floor_price),
+    currentPrice: Number(row.current_price),
+    cutAmount: Number(row.cut_amount),
+    helperCount: Number(row.helper_count),
+    helpedCount: Number(row.helped_count),
+    remainingHelpers: Number(row.helper_count) - Number(row.helped_count),
+    status: row.status,
+    expiresAt: row.expires_at,
+    successAt: row.success_at || null,
+    orderDeadline: row.order_deadline || null,
+    orderId: row.order_id || null,
+    createdAt: row.created_at
+  };
+}
+
+class BargainService {
+  constructor() {
+    this.transactionManager = new TransactionManager({
+      getConnection: () => connectionPoolManager.getConnection(DB_POOL_ID)
+    });
+  }
+
+  // 获取logger服务
+  getLogger() {
+    if (!this._logger) {
+      this._logger = di.resolve('logger');
+    }
+    return this._logger;
+  }
+
+  // 获取缓存管理器（用于发布砍价消息）
+  getCacheManager() {
+    if (!this._cacheManager) {
+      this._cacheManager = di.resolve('cacheManager');
+    }
+    return this._cacheManager;
+  }
+
+  /**
+   * 在砍价事务中执行操作，事务失败时抛出原始业务错误
+   * @param {Function} operation - 操作函数 (connection, transaction) => Promise
+   * @returns {Promise<any>} 操作结果
+   */
+  async runInTransaction(operation) {
+    try {
+      return await this.transactionManager.executeInTransaction(operation);
+    } catch (error) {
+      if (error instanceof TransactionError && error.originalError) {
+        throw error.originalError;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 使用非事务连接执行只读查询
+   * @param {Function} operation - 操作函数 (connection) => Promise
+   * @returns {Promise<any>} 查询结果
+   */
+  async withConnection(operation) {
+    const connection = await connectionPoolManager.getConnection(DB_POOL_ID);
+    try {
+      return await operation(connection);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 发布砍价消息，事务已提交，发布失败只记录日志
+   * @param {string} topic - 消息主题
+   * @param {Object} payload - 消息内容
+   * @returns {Promise<void>}
+   */
+  async publish(topic, payload) {
+    try {
+      await this.getCacheManager().publish(topic, { ...payload, timestamp: new Date().toISOString() });
+    } catch (error) {
+      this.getLogger().error('发布砍价消息失败', { topic, error: error.message });
+    }
+  }
+
+  /**
+   * 生成砍价分享链接
+   * @param {string} recordNo - 砍价编号
+   * @returns {string} 分享链接
+   */
+  buildShareLink(recordNo) {
+    return `${SHARE_BASE_URL.replace(/\/$/, '')}/bargain/${encodeURIComponent(recordNo)}`;
+  }
+
+  /**
+   * 校验并规范化活动参数
+   * @param {Object} params - 活动参数
+   * @param {number} originalPrice - 商品原价（元）
+   * @returns {Object} 活动数据
+   */
+  parseCampaign(params, originalPrice) {
+    const originalCents = toCents(originalPrice);
+    const floorCents = toCents(params.floorPrice);
+    const helperCount = Number(params.helperCount);
+    const durationHours = Number(params.durationHours);
+    const stock = Number(params.stock);
+    const limitPerUser = params.limitPerUser !== undefined && params.limitPerUser !== null ? Number(params.limitPerUser) : 1;
+    const minCents = params.minCut !== undefined && params.minCut !== null && params.minCut !== '' ? toCents(params.minCut) : null;
+    const maxCents = params.maxCut !== undefined && params.maxCut !== null && params.maxCut !== '' ? toCents(params.maxCut) : null;
+    const startTime = new Date(params.startTime);
+    const endTime = new Date(params.endTime);
+
+    if (!(floorCents > 0) || floorCents >= originalCents) {
+      throw new ValidationError('底价须大于 0 且低于商品原价');
+    }
+    if (!Number.isInteger(helperCount) || helperCount < 1 || helperCount > MAX_HELPER_COUNT) {
+      throw new ValidationError(`助力人数须为 1 到 ${MAX_HELPER_COUNT} 的整数`);
+    }
+    if (!Number.isInteger(durationHours) || durationHours < 1 || durationHours > MAX_DURATION_HOURS) {
+      throw new ValidationError(`砍价时限须为 1 到 ${MAX_DURATION_HOURS} 小时`);
+    }
+    if (!Number.isInteger(stock) || stock < 1) {
+      throw new ValidationError('活动库存须为正整数');
+    }
+    if (!Number.isInteger(limitPerUser) || limitPerUser < 1) {
+      throw new ValidationError('每人限购须为正整数');
+    }
+    if (isNaN(startTime.getTime()) || isNaN(endTime.getTime()) || startTime >= endTime) {
+      throw new ValidationError('活动开始时间须早于结束时间');
+    }
+
+    // 校验助力人数能恰好砍到底价：每刀至少 1 分，且在每刀最低、最高金额范围内
+    const totalCut = originalCents - floorCents;
+    const minCut = minCents || 1;
+    if ((minCents !== null && minCents <= 0) || (maxCents !== null && maxCents < minCut)) {
+      throw new ValidationError('每刀最高金额不能低于最低金额');
+    }
+    if (helperCount * minCut > totalCut) {
+      throw new ValidationError('可砍金额不足以让每位助力好友按最低金额砍价');
+    }
+    if (maxCents !== null && helperCount * maxCents < totalCut) {
+      throw new ValidationError('按每刀最高金额无法砍到底价，请增加助力人数或提高每刀最高金额');
+    }
+
+    return {
+      name: params.name ? String(params.name).trim() : null,
+      originalPrice: toYuan(originalCents),
+      floorPrice: toYuan(floorCents),
+      helperCount,
+      minCut: minCents !== null ? toYuan(minCents) : null,
+      maxCut: maxCents !== null ? toYuan(maxCents) : null,
+      durationHours,
+      stock,
+      limitPerUser,
+      startTime,
+      endTime
+    };
+  }
+
+  /**
+   * 获取可管理的活动并加锁，卖家只能管理自己店铺的活动
+   * @param {Object} connection - 事务连接
+   * @param {number} campaignId - 活动ID
+   * @param {Object} scope - { sellerId }，平台为空对象
+   * @returns {Promise<Object>} 活动记录
+   */
+  async lockManagedCampaign(connection, campaignId, scope) {
+    const campaign = await bargainRepository.getCampaign(connection, campaignId, { forUpdate: true });
+    if (!campaign || (scope.sellerId && String(campaign.seller_id) !== String(scope.sellerId))) {
+      throw new NotFoundError('砍价活动不存在');
+    }
+    return campaign;
+  }
+
+  /**
+   * 创建砍价活动
+   * @param {Object} params - { productId, skuId, name, floorPrice, helperCount, minCut, maxCut, durationHours, stock,
+   *   limitPerUser, startTime, endTime }
+   * @param {Object} operator - 操作人 { id, type: 'seller' | 'admin' }
+   * @param {Object} [scope] - { sellerId }，卖家只能为自己的商品创建活动
+   * @returns {Promise<Object>} 砍价活动
+   */
+  async createCampaign(params, operator, scope = {}) {
+    try {
+      const campaignId = await this.runInTransaction(async (connection) => {
+        const product = await bargainRepository.getProduct(connection, params.productId, params.skuId);
+        if (!product || (scope.sellerId && String(product.seller_id) !== String(scope.sellerId))) {
+          throw new NotFoundError('商品不存在');
+        }
+        if (!product.is_active) {
+          throw new AppError(409, '商品未上架', 409);
+        }
+        if (params.skuId && !product.sku_id) {
+          throw new NotFoundError('商品规格不存在');
+        }
+
+        const campaign = this.parseCampaign(params, product.sku_id ? product.sku_price : product.price);
+        return bargainRepository.createCampaign(connection, {
+          ...campaign,
+          name: campaign.name || product.name,
+          sellerId: product.seller_id,
+          productId: product.id,
+          skuId: product.sku_id ? String(product.sku_id) : '',
+          status: CAMPAIGN_STATUS.ACTIVE,
+          createdBy: operator.id,
+          creatorType: operator.type
+        });
+      });
+
+      this.getLogger().info('砍价活动已创建', { campaignId, productId: params.productId, operatorId: operator.id });
+      return this.getCampaign(campaignId, scope);
+    } catch (error) {
+      this.getLogger().error('创建砍价活动失败', { productId: params.productId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 修改砍价活动，只影响之后发起的砍价；活动库存不能低于已占用的数量
+   * @param {number} campaignId - 活动ID
+   * @param {Object} params - 活动参数（同创建，商品和规格不可修改）
+   * @param {Object} operator - 操作人
+   * @param {Object} [scope] - { sellerId }
+   * @returns {Promise<Object>} 砍价活动
+   */
+  async updateCampaign(campaignId, params, operator, scope = {}) {
+    try {
+      await this.runInTransaction(async (connection) => {
+        const existing = await this.lockManagedCampaign(connection, campaignId, scope);
+        if (resolveState(existing) === CAMPAIGN_STATE.ENDED) {
+          throw new AppError(409, '活动已结束，不能修改', 409);
+        }
+
+        const campaign = this.parseCampaign(params, existing.original_price);
+        const used = Number(existing.stock) - Number(existing.remaining_stock);
+        if (campaign.stock < used) {
+          throw new ValidationError(`活动库存不能少于已发起砍价占用的 ${used} 件`);
+        }
+        await bargainRepository.updateCampaign(connection, campaignId, {
+          ...campaign,
+          name: campaign.name || existing.name
+        }, campaign.stock - Number(existing.stock));
+      });
+
+      this.getLogger().info('砍价活动已修改', { campaignId, operatorId: operator.id });
+      return this.getCampaign(campaignId, scope);
+    } catch (error) {
+      this.getLogger().error('修改砍价活动失败', { campaignId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 手动结束砍价活动，不能再发起新的砍价，已发起的砍价可继续完成
+   * @param {number} campaignId - 活动ID
+   * @param {Object} operator - 操作人
+   * @param {Object} [scope] - { sellerId }
+   * @returns {Promise<Object>} 砍价活动
+   */
+  async closeCampaign(campaignId, operator, scope = {}) {
+    try {
+      await this.runInTransaction(async (connection) => {
+        await this.lockManagedCampaign(connection, campaignId, scope);
+        await bargainRepository.updateCampaignStatus(connection, campaignId, CAMPAIGN_STATUS.CLOSED);
+      });
+
+      this.getLogger().info('砍价活动已结束', { campaignId, operatorId: operator.id });
+      return this.getCampaign(campaignId, scope);
+    } catch (error) {
+      this.getLogger().error('结束砍价活动失败', { campaignId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除砍价活动，已发起的砍价可继续完成
+   * @param {number} campaignId - 活动ID
+   * @param {Object} operator - 操作人
+   * @param {Object} [scope] - { sellerId }
+   * @returns {Promise<void>}
+   */
+  async deleteCampaign(campaignId, operator, scope = {}) {
+    try {
+      await this.runInTransaction(async (connection) => {
+        await this.lockManagedCampaign(connection, campaignId, scope);
+        await bargainRepository.deleteCampaign(connection, campaignId);
+      });
+
+      this.getLogger().info('砍价活动已删除', { campaignId, operatorId: operator.id });
+    } catch (error) {
+      this.getLogger().error('删除砍价活动失败', { campaignId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取砍价活动详情
+   * @param {number} campaignId - 活动ID
+   * @param {Object} [scope] - { sellerId }
+   * @returns {Promise<Object>} 砍价活动（含砍价记录统计）
+   */
+  async getCampaign(campaignId, scope = {}) {
+    try {
+      const { row, counts } = await this.withConnection(async (connection) => ({
+        row: await bargainRepository.getCampaign(connection, campaignId),
+        counts: await bargainRepository.countRecordsByStatus(connection, [campaignId])
+      }));
+      if (!row || (scope.sellerId && String(row.seller_id) !== String(scope.sellerId))) {
+        throw new NotFoundError('砍价活动不存在');
+      }
+      const stats = {};
+      counts.forEach((item) => { stats[item.status] = Number(item.count); });
+      return formatCampaign(row, stats);
+    } catch (error) {
+      this.getLogger().error('获取砍价活动失败', { campaignId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询砍价活动
+   * @param {Object} filters - { sellerId, keyword, state, startDate, endDate, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getCampaigns(filters = {}) {
+    try {
+      const { page, pageSize, offset } = normalizePage(filters);
+      const { rows, total, counts } = await this.withConnection(async (connection) => {
+        const result = await bargainRepository.findCampaigns(connection, filters, offset, pageSize);
+        return { ...result, counts: await bargainRepository.countRecordsByStatus(connection, result.rows.map(row => row.id)) };
+      });
+
+      const stats = {};
+      counts.forEach((item) => {
+        stats[item.campaign_id] = stats[item.campaign_id] || {};
+        stats[item.campaign_id][item.status] = Number(item.count);
+      });
+      return { list: rows.map(row => formatCampaign(row, stats[row.id] || {})), total, page, pageSize };
+    } catch (error) {
+      this.getLogger().error('查询砍价活动失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 查询进行中的砍价活动（买家端）
+   * @param {Object} filters - { keyword, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getOngoingCampaigns(filters = {}) {
+    const result = await this.getCampaigns({ keyword: filters.keyword, state: CAMPAIGN_STATE.ONGOING, page: filters.page, pageSize: filters.pageSize });
+    return {
+      ...result,
+      list: result.list.map(({ stats, creatorType, ...campaign }) => campaign)
+    };
+  }
+
+  /**
+   * 获取砍价活动详情（买家端）
+   * @param {number} campaignId - 活动ID
+   * @returns {Promise<Object>} 砍价活动
+   */
+  async getPublicCampaign(campaignId) {
+    const { stats, creatorType, ...campaign } = await this.getCampaign(campaignId);
+    return campaign;
+  }
+
+  /**
+   * 分页查询砍价记录
+   * @param {Object} filters - { campaignId, userId, sellerId, status, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getRecords(filters = {}) {
+    try {
+      const { page, pageSize, offset } = normalizePage(filters);
+      const { rows, total } = await this.withConnection(connection => bargainRepository.findRecords(connection, filters, offset, pageSize));
+      return { list: rows.map(formatRecord), total, page, pageSize };
+    } catch (error) {
+      this.getLogger().error('查询砍价记录失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 发起砍价，占用一件活动库存
+   * @param {string} userId - 买家用户ID
+   * @param {number} campaignId - 活动ID
+   * @returns {Promise<Object>} 砍价记录（含分享链接）
+   */
+  async start(userId, campaignId) {
+    try {
+      const recordNo = await this.runInTransaction(async (connection) => {
+        const campaign = await bargainRepository.getCampaign(connection, campaignId, { forUpdate: true });
+        if (!campaign) {
+          throw new NotFoundError('砍价活动不存在');
+        }
+        const state = resolveState(campaign);
+        if (state !== CAMPAIGN_STATE.ONGOING) {
+          throw new AppError(409, state === CAMPAIGN_STATE.NOT_STARTED ? '砍价活动尚未开始' : '砍价活动已结束', 409);
+        }
+
+        const records = await bargainRepository.getUserRecords(connection, campaignId, userId, OCCUPYING_STATUSES);
+        const inProgress = records.find(record => record.status === RECORD_STATUS.IN_PROGRESS);
+        if (inProgress) {
+          throw new AppError(409, '您已发起该商品的砍价，请继续邀请好友助力', 409);
+        }
+        if (records.length >= Number(campaign.limit_per_user)) {
+          throw new AppError(409, `每人限砍 ${campaign.limit_per_user} 件`, 409);
+        }
+        if (!(await bargainRepository.takeStock(connection, campaignId))) {
+          throw new AppError(409, '砍价商品已抢光', 409);
+        }
+
+        // 砍价时限不超过活动结束时间
+        const expiresAt = new Date(Math.min(
+          Date.now() + Number(campaign.duration_hours) * 60 * 60 * 1000,
+          new Date(campaign.end_time).getTime()
+        ));
+        const no = generateRecordNo();
+        await bargainRepository.createRecord(connection, {
+          recordNo: no,
+          campaignId,
+          userId,
+          sellerId: campaign.seller_id,
+          productId: campaign.product_id,
+          skuId: campaign.sku_id,
+          originalPrice: campaign.original_price,
+          floorPrice: campaign.floor_price,
+          helperCount: campaign.helper_count,
+          minCut: campaign.min_cut,
+          maxCut: campaign.max_cut,
+          status: RECORD_STATUS.IN_PROGRESS,
+          expiresAt
+        });
+        return no;
+      });
+
+      this.getLogger().info('买家发起砍价', { userId, campaignId, recordNo });
+      await this.publish('bargain.started', { recordNo, campaignId, userId: String(userId) });
+      return this.getRecord(recordNo, userId);
+    } catch (error) {
+      this.getLogger().error('发起砍价失败', { userId, campaignId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取砍价详情（含助力好友），好友打开分享链接时也通过此接口查看进度
+   * @param {string} recordNo - 砍价编号
+   * @param {string} [viewerId] - 查看人用户ID
+   * @returns {Promise<Object>} 砍价记录
+   */
+  async getRecord(recordNo, viewerId) {
+    try {
+      const { row, helps } = await this.withConnection(async (connection) => {
+        const record = await bargainRepository.getRecordByNo(connection, recordNo);
+        return { row: record, helps: record ? await bargainRepository.getHelps(connection, record.id) : [] };
+      });
+      if (!row) {
+        throw new NotFoundError('砍价不存在');
+      }
+
+      const record = formatRecord(row);
+      const isOwner = viewerId !== undefined && String(viewerId) === String(row.user_id);
+      const helped = viewerId !== undefined && helps.some(help => String(help.user_id) === String(viewerId));
+      return {
+        ...record,
+        shareLink: this.buildShareLink(record.recordNo),
+        isOwner,
+        helped,
+        canHelp: !isOwner && !helped && row.status === RECORD_STATUS.IN_PROGRESS && new Date(row.expires_at) > new Date(),
+        helpers: helps.map(help => ({
+          memberName: memberName(help, help.user_id),
+          cutAmount: Number(help.cut_amount),
+          priceAfter: Number(help.price_after),
+          helpedAt: help.created_at
+        }))
+      };
+    } catch (error) {
+      this.getLogger().error('获取砍价详情失败', { recordNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 好友助力砍一刀
+   * @param {string} userId - 助力好友用户ID
+   * @param {string} recordNo - 砍价编号
+   * @param {Object} [context] - { clientIp }
+   * @returns {Promise<Object>} { cutAmount, record }
+   */
+  async help(userId, recordNo, context = {}) {
+    try {
+      const clientIp = context.clientIp || null;
+      const result = await this.runInTransaction(async (connection) => {
+        const record = await bargainRepository.getRecordByNo(connection, recordNo, { forUpdate: true });
+        if (!record) {
+          throw new NotFoundError('砍价不存在');
+        }
+        if (String(record.user_id) === String(userId)) {
+          throw new ValidationError('不能为自己砍价');
+        }
+        if (record.status !== RECORD_STATUS.IN_PROGRESS) {
+          throw new AppError(409, '该砍价已结束', 409);
+        }
+        const now = new Date();
+        if (new Date(record.expires_at) <= now) {
+          throw new AppError(409, '该砍价已过期', 409);
+        }
+
+        const startOfDay = new Date(now);
+        startOfDay.setHours(0, 0, 0, 0);
+        if (await bargainRepository.countUserHelpsSince(connection, userId, startOfDay) >= DAILY_HELP_LIMIT) {
+          throw new AppError(429, '今日助力次数已用完', 429);
+        }
+        if (clientIp && await bargainRepository.countIpHelps(connection, record.id, clientIp) >= IP_HELP_LIMIT) {
+          throw new AppError(429, '助力过于频繁，请稍后再试', 429);
+        }
+
+        const remaining = toCents(record.current_price) - toCents(record.floor_price);
+        const helpersLeft = Number(record.helper_count) - Number(record.helped_count);
+        const minCut = record.min_cut !== null ? toCents(record.min_cut) : 1;
+        const maxCut = record.max_cut !== null ? toCents(record.max_cut) : null;
+        const cut = computeCut(remaining, helpersLeft, minCut, maxCut);
+        const priceAfter = toCents(record.current_price) - cut;
+
+        const inserted = await bargainRepository.createHelp(connection, {
+          recordId: record.id,
+          userId,
+          cutAmount: toYuan(cut),
+          priceAfter: toYuan(priceAfter),
+          clientIp
+        });
+        if (!inserted) {
+          throw new AppError(409, '您已经帮TA砍过了', 409);
+        }
+
+        const succeeded = helpersLeft === 1;
+        await bargainRepository.updateProgress(connection, record.id, {
+          currentPrice: toYuan(priceAfter),
+          cutAmount: toYuan(toCents(record.cut_amount) + cut),
+          helpedCount: Number(record.helped_count) + 1,
+          status: succeeded ? RECORD_STATUS.SUCCESS : RECORD_STATUS.IN_PROGRESS,
+          successAt: succeeded ? now : null,
+          orderDeadline: succeeded ? new Date(now.getTime() + ORDER_HOURS * 60 * 60 * 1000) : null
+        });
+        return { cut, priceAfter, succeeded, ownerId: String(record.user_id), campaignId: record.campaign_id };
+      });
+
+      this.getLogger().info('好友助力砍价', { userId, recordNo, cutAmount: toYuan(result.cut) });
+      await this.publish('bargain.helped', {
+        recordNo,
+        userId: result.ownerId,
+        helperId: String(userId),
+        cutAmount: toYuan(result.cut),
+        currentPrice: toYuan(result.priceAfter)
+      });
+      if (result.succeeded) {
+        await this.publish('bargain.succeeded', {
+          recordNo,
+          campaignId: result.campaignId,
+          userId: result.ownerId,
+          floorPrice: toYuan(result.priceAfter)
+        });
+      }
+
+      return { cutAmount: toYuan(result.cut), record: await this.getRecord(recordNo, userId) };
+    } catch (error) {
+      this.getLogger().error('砍价助力失败', { userId, recordNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 锁定待下单的砍价记录，供下单事务使用
+   * 必须在下单事务连接上调用，只有发起人在下单期限内可以下单
+   * @param {Object} connection - 事务连接
+   * @param {string} userId - 买家用户ID
+   * @param {string} recordNo - 砍价编号
+   * @returns {Promise<Object>} { recordId, productId, skuId, sellerId, productName, price }
+   */
+  async lockForOrder(connection, userId, recordNo) {
+    const record = await bargainRepository.getRecordByNo(connection, recordNo, { forUpdate: true });
+    if (!record || String(record.user_id) !== String(userId)) {
+      throw new NotFoundError('砍价不存在');
+    }
+    if (record.status === RECORD_STATUS.ORDERED) {
+      throw new AppError(409, '该砍价已下单', 409);
+    }
+    if (record.status !== RECORD_STATUS.SUCCESS) {
+      throw new AppError(409, '尚未砍到底价，不能下单', 409);
+    }
+    if (new Date(record.order_deadline) <= new Date()) {
+      throw new AppError(409, '砍价下单已超时', 409);
+    }
+
+    const product = await bargainRepository.getProduct(connection, record.product_id, record.sku_id || null);
+    if (!product) {
+      throw new NotFoundError('商品不存在');
+    }
+    return {
+      recordId: record.id,
+      productId: String(record.product_id),
+      skuId: record.sku_id || null,
+      sellerId: String(record.seller_id),
+      productName: product.name,
+      originalPrice: Number(record.original_price),
+      price: Number(record.current_price)
+    };
+  }
+
+  /**
+   * 记录砍价已下单，必须与订单创建在同一事务中调用
+   * @param {Object} connection - 事务连接
+   * @param {number} recordId - 砍价记录ID
+   * @param {string} orderId - 订单ID
+   * @returns {Promise<void>}
+   */
+  async markOrdered(connection, recordId, orderId) {
+    await bargainRepository.updateRecordStatus(connection, recordId, RECORD_STATUS.ORDERED, { orderId: String(orderId) });
+  }
+
+  /**
+   * 砍价订单取消或关闭后恢复砍价记录：仍在下单期限内的可重新下单，否则归还活动库存
+   * 传入事务连接时在调用方事务中执行，否则开启独立事务；非砍价订单或已恢复的订单不做处理
+   * @param {string} orderId - 订单ID
+   * @param {Object} [connection] - 事务连接
+   * @returns {Promise<Object|null>} { recordNo, status }，非砍价订单返回 null
+   */
+  async releaseOrder(orderId, connection) {
+    const release = async (conn) => {
+      const record = await bargainRepository.getRecordByOrder(conn, String(orderId));
+      if (!record || record.status !== RECORD_STATUS.ORDERED) {
+        return null;
+      }
+      if (new Date(record.order_deadline) > new Date()) {
+        await bargainRepository.updateRecordStatus(conn, record.id, RECORD_STATUS.SUCCESS, { orderId: null });
+        return { recordNo: record.record_no, status: RECORD_STATUS.SUCCESS };
+      }
+      await bargainRepository.updateRecordStatus(conn, record.id, RECORD_STATUS.EXPIRED, { finished: true });
+      await bargainRepository.returnStock(conn, record.campaign_id);
+      return { recordNo: record.record_no, status: RECORD_STATUS.EXPIRED };
+    };
+
+    try {
+      const result = connection ? await release(connection) : await this.runInTransaction(release);
+
+      if (result) {
+        this.getLogger().info('砍价订单已取消，砍价记录已恢复', { orderId, ...result });
+      }
+      return result;
+    } catch (error) {
+      this.getLogger().error('恢复砍价记录失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 处理到期的砍价：超时未砍到底价的记为失败，砍价成功后超过下单期限的记为过期，均归还活动库存
+   * @param {Date} [now] - 当前时间
+   * @returns {Promise<Object>} { failed, expired }
+   */
+  async expireRecords(now = new Date()) {
+    try {
+      const candidates = await this.withConnection(connection => bargainRepository.findExpiredRecords(connection, now, EXPIRE_BATCH_SIZE));
+
+      let failed = 0;
+      let expired = 0;
+      for (const candidate of candidates) {
+        const change = await this.runInTransaction(async (connection) => {
+          const record = await bargainRepository.getRecordByNo(connection, candidate.record_no, { forUpdate: true });
+          let status = null;
+          if (record.status === RECORD_STATUS.IN_PROGRESS && new Date(record.expires_at) <= now) {
+            status = RECORD_STATUS.FAILED;
+          } else if (record.status === RECORD_STATUS.SUCCESS && new Date(record.order_deadline) <= now) {
+            status = RECORD_STATUS.EXPIRED;
+          }
+          if (!status) {
+            return null;
+          }
+          await bargainRepository.updateRecordStatus(connection, record.id, status, { finished: true });
+          await bargainRepository.returnStock(connection, record.campaign_id);
+          return { recordNo: record.record_no, userId: String(record.user_id), status };
+        });
+        if (!change) {
+          continue;
+        }
+        if (change.status === RECORD_STATUS.FAILED) {
+          failed++;
+          await this.publish('bargain.failed', change);
+        } else {
+          expired++;
+          await this.publish('bargain.expired', change);
+        }
+      }
+
+      return { failed, expired };
+    } catch (error) {
+      this.getLogger().error('处理到期砍价失败', { error: error.message });
+      throw error;
+    }
+  }
+}
+
+// 导出单例实例
+const bargainService = new BargainService();
+module.exports = bargainService;
+module.exports.CAMPAIGN_STATUS = CAMPAIGN_STATUS;
+module.exports.CAMPAIGN_STATE = CAMPAIGN_STATE;
+module.exports.RECORD_STATUS = RECORD_STATUS;
+module.exports.computeCut = computeCut;
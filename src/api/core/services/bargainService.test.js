@@ -0,0 +1,200 @@
+/**
+ * 砍价服务测试
+ */
+
+const mockCacheManager = { publish: jest.fn() };
+const mockLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+jest.mock('@core/di/container', () => ({
+  resolve: name => (name === 'cacheManager' ? mockCacheManager : mockLogger)
+}), { virtual: true });
+jest.mock('../data-access/database/TransactionManager', () => ({
+  TransactionManager: jest.fn().mockImplementation(() => ({
+    executeInTransaction: jest.fn()
+  }))
+}));
+jest.mock('../data-access/database/ConnectionPoolManager', () => ({
+  connectionPoolManager: { getConnection: jest.fn() }
+}));
+jest.mock('../repositories/bargainRepository', () => ({
+  getCampaign: jest.fn(),
+  getUserRecords: jest.fn(),
+  takeStock: jest.fn(),
+  returnStock: jest.fn(),
+  createRecord: jest.fn(),
+  getRecordByNo: jest.fn(),
+  getRecordByOrder: jest.fn(),
+  getHelps: jest.fn(),
+  countUserHelpsSince: jest.fn(),
+  countIpHelps: jest.fn(),
+  createHelp: jest.fn(),
+  updateProgress: jest.fn(),
+  updateRecordStatus: jest.fn()
+}));
+
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const bargainRepository = require('../repositories/bargainRepository');
+const bargainService = require('./bargainService');
+
+const { CAMPAIGN_STATUS, RECORD_STATUS, computeCut } = bargainService;
+
+const connection = { query: jest.fn(), release: jest.fn() };
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * 构建砍价记录
+ * @param {Object} overrides - 覆盖字段
+ * @returns {Object} 砍价记录
+ */
+function makeRecord(overrides) {
+  return {
+    id: 1,
+    record_no: 'BG1',
+    campaign_id: 3,
+    user_id: 'u1',
+    product_id: 1,
+    original_price: '100.00',
+    floor_price: '10.00',
+    current_price: '40.00',
+    cut_amount: '60.00',
+    helper_count: 5,
+    helped_count: 3,
+    min_cut: null,
+    max_cut: null,
+    status: RECORD_STATUS.IN_PROGRESS,
+    expires_at: new Date(Date.now() + HOUR),
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  bargainService.transactionManager.executeInTransaction.mockImplementation(operation => operation(connection, {}));
+  connectionPoolManager.getConnection.mockResolvedValue(connection);
+  bargainRepository.getHelps.mockResolvedValue([]);
+  bargainRepository.countUserHelpsSince.mockResolvedValue(0);
+  bargainRepository.countIpHelps.mockResolvedValue(0);
+  bargainRepository.createHelp.mockResolvedValue(true);
+});
+
+describe('computeCut', () => {
+  test('每刀金额让剩余好友仍能按最低、最高金额砍完', () => {
+    for (let i = 0; i < 50; i++) {
+      const cut = computeCut(1000, 3, 100, 500);
+      expect(cut).toBeGreaterThanOrEqual(100);
+      expect(cut).toBeLessThanOrEqual(500);
+      // 剩余两位好友每人至少砍 100 分
+      expect(1000 - cut).toBeGreaterThanOrEqual(200);
+    }
+  });
+
+  test('未设置最高金额时不超过剩余人均金额的两倍', () => {
+    for (let i = 0; i < 50; i++) {
+      expect(computeCut(1000, 4, 1, null)).toBeLessThanOrEqual(500);
+    }
+  });
+
+  test('最后一位好友砍掉全部剩余金额', () => {
+    expect(computeCut(123, 1, 1, 50)).toBe(123);
+  });
+});
+
+describe('start', () => {
+  const campaign = {
+    id: 3,
+    status: CAMPAIGN_STATUS.ACTIVE,
+    start_time: new Date(Date.now() - HOUR),
+    end_time: new Date(Date.now() + 2 * HOUR),
+    limit_per_user: 1,
+    duration_hours: 24,
+    original_price: '100.00',
+    floor_price: '10.00',
+    helper_count: 5
+  };
+
+  test('砍价时限不超过活动结束时间', async () => {
+    bargainRepository.getCampaign.mockResolvedValue(campaign);
+    bargainRepository.getUserRecords.mockResolvedValue([]);
+    bargainRepository.takeStock.mockResolvedValue(true);
+    bargainRepository.getRecordByNo.mockImplementation(async (conn, recordNo) => makeRecord({ record_no: recordNo }));
+
+    const record = await bargainService.start('u1', 3);
+
+    expect(bargainRepository.createRecord).toHaveBeenCalledWith(connection, expect.objectContaining({
+      campaignId: 3, status: RECORD_STATUS.IN_PROGRESS, expiresAt: new Date(campaign.end_time)
+    }));
+    expect(record).toMatchObject({ isOwner: true, canHelp: false });
+  });
+
+  test('超过每人限砍数量时报错且不占用库存', async () => {
+    bargainRepository.getCampaign.mockResolvedValue(campaign);
+    bargainRepository.getUserRecords.mockResolvedValue([{ status: RECORD_STATUS.ORDERED }]);
+
+    await expect(bargainService.start('u1', 3)).rejects.toThrow('每人限砍 1 件');
+    expect(bargainRepository.takeStock).not.toHaveBeenCalled();
+  });
+
+  test('活动尚未开始时报错', async () => {
+    bargainRepository.getCampaign.mockResolvedValue({ ...campaign, start_time: new Date(Date.now() + HOUR) });
+
+    await expect(bargainService.start('u1', 3)).rejects.toMatchObject({ statusCode: 409, message: '砍价活动尚未开始' });
+  });
+});
+
+describe('help', () => {
+  test('最后一位好友砍到底价，砍价成功并记录下单期限', async () => {
+    bargainRepository.getRecordByNo.mockResolvedValue(makeRecord({ helped_count: 4 }));
+
+    const { cutAmount } = await bargainService.help('u2', 'BG1', { clientIp: '10.0.0.1' });
+
+    expect(cutAmount).toBe(30);
+    expect(bargainRepository.updateProgress).toHaveBeenCalledWith(connection, 1, expect.objectContaining({
+      currentPrice: 10, cutAmount: 90, helpedCount: 5, status: RECORD_STATUS.SUCCESS, orderDeadline: expect.any(Date)
+    }));
+    expect(mockCacheManager.publish).toHaveBeenCalledWith('bargain.succeeded', expect.objectContaining({
+      recordNo: 'BG1', userId: 'u1', floorPrice: 10
+    }));
+  });
+
+  test('不能为自己砍价', async () => {
+    bargainRepository.getRecordByNo.mockResolvedValue(makeRecord());
+
+    await expect(bargainService.help('u1', 'BG1')).rejects.toThrow('不能为自己砍价');
+  });
+
+  test('已帮同一砍价助力过时报错', async () => {
+    bargainRepository.getRecordByNo.mockResolvedValue(makeRecord());
+    bargainRepository.createHelp.mockResolvedValue(false);
+
+    await expect(bargainService.help('u2', 'BG1')).rejects.toMatchObject({ statusCode: 409, message: '您已经帮TA砍过了' });
+    expect(bargainRepository.updateProgress).not.toHaveBeenCalled();
+  });
+
+  test('同一IP助力次数过多时返回429', async () => {
+    bargainRepository.getRecordByNo.mockResolvedValue(makeRecord());
+    bargainRepository.countIpHelps.mockResolvedValue(3);
+
+    await expect(bargainService.help('u2', 'BG1', { clientIp: '10.0.0.1' })).rejects.toMatchObject({ statusCode: 429 });
+  });
+});
+
+describe('releaseOrder', () => {
+  test('仍在下单期限内时恢复为待下单', async () => {
+    bargainRepository.getRecordByOrder.mockResolvedValue(makeRecord({
+      status: RECORD_STATUS.ORDERED, order_deadline: new Date(Date.now() + HOUR)
+    }));
+
+    await expect(bargainService.releaseOrder('9')).resolves.toEqual({ recordNo: 'BG1', status: RECORD_STATUS.SUCCESS });
+    expect(bargainRepository.returnStock).not.toHaveBeenCalled();
+  });
+
+  test('已超过下单期限时记为过期并归还活动库存', async () => {
+    bargainRepository.getRecordByOrder.mockResolvedValue(makeRecord({
+      status: RECORD_STATUS.ORDERED, order_deadline: new Date(Date.now() - HOUR)
+    }));
+
+    await expect(bargainService.releaseOrder('9', connection)).resolves.toEqual({ recordNo: 'BG1', status: RECORD_STATUS.EXPIRED });
+    expect(bargainRepository.returnStock).toHaveBeenCalledWith(connection, 3);
+    expect(bargainService.transactionManager.executeInTransaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,1366 @@
+/**
+ * 优惠券服务
+ * 平台或卖家创建优惠券模板：立减券、满减券、折扣券和运费券，可限定适用商品或分类，设置发放总量和每人限领。
+ * 优惠券的发放方式由模板决定：买家在领券中心领取、平台向指定人群定向发放、注册和生日时自动发放、使用兑换码兑换。
+ * 下单时在订单事务中锁定所选优惠券，订单支付后核销；订单取消或超时关闭时恢复为未使用，已过有效期的记为已过期。
+ * 优惠金额由订单计价服务按下单时的商品金额计算，每笔订单最多使用一张商品券和一张运费券。
+ */
+
+const crypto = require('crypto');
+const di = require('@core/di/container');
+const { TransactionManager } = require('../data-access/database/TransactionManager');
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const { AppError, NotFoundError, ValidationError, TransactionError } = require('../exception/handlers/errorHandler');
+const couponRepository = require('../repositories/couponRepository');
+
+// 数据库连接池ID
+const DB_POOL_ID = process.env.DB_POOL_ID || 'default';
+
+// 定时任务单次处理的发放任务数、每个任务单批发放的用户数和单次过期处理数量
+const ISSUE_TASK_BATCH_SIZE = 5;
+const ISSUE_USER_BATCH_SIZE = parseInt(process.env.COUPON_ISSUE_BATCH_SIZE || '200', 10);
+const EXPIRE_BATCH_SIZE = 1000;
+
+// 单次生成兑换码数量上限
+const MAX_CODE_COUNT = 10000;
+
+// 定向发放时指定用户数量上限
+const MAX_SEGMENT_USER_IDS = 10000;
+
+// 按天计算有效期的最长天数
+const MAX_VALID_DAYS = 3650;
+
+// 默认分页大小和上限
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * 优惠券类型
+ */
+const COUPON_TYPE = {
+  FIXED: 'fixed',           // 立减券（无门槛）
+  THRESHOLD: 'threshold',   // 满减券
+  PERCENTAGE: 'percentage', // 折扣券
+  SHIPPING: 'shipping'      // 运费券
+};
+
+/**
+ * 适用范围
+ */
+const COUPON_SCOPE = {
+  ALL: 'all',           // 全部商品（卖家券为本店全部商品）
+  PRODUCT: 'product',   // 指定商品
+  CATEGORY: 'category'  // 指定分类
+};
+
+/**
+ * 发放方式
+ */
+const ISSUE_TYPE = {
+  CLAIM: 'claim',       // 领券中心领取
+  PUSH: 'push',         // 平台定向发放
+  REGISTER: 'register', // 注册赠券
+  BIRTHDAY: 'birthday', // 生日赠券
+  CODE: 'code'          // 兑换码兑换
+};
+
+// 卖家可使用的发放方式，其余方式只能由平台创建
+const SELLER_ISSUE_TYPES = [ISSUE_TYPE.CLAIM, ISSUE_TYPE.CODE];
+
+/**
+ * 模板状态
+ */
+const TEMPLATE_STATUS = {
+  ACTIVE: 'active', // 启用
+  CLOSED: 'closed'  // 已停用，停止发放，已发放的优惠券仍可使用
+};
+
+/**
+ * 模板发放状态（由模板状态和领取时间计算）
+ */
+const TEMPLATE_STATE = {
+  NOT_STARTED: 'not_started', // 未开始
+  ONGOING: 'ongoing',         // 进行中
+  ENDED: 'ended'              // 已结束
+};
+
+/**
+ * 有效期类型
+ */
+const VALID_TYPE = {
+  FIXED: 'fixed', // 固定时间段
+  DAYS: 'days'    // 领取后若干天内有效
+};
+
+/**
+ * 买家优惠券状态
+ */
+const COUPON_STATUS = {
+  UNUSED: 'unused',   // 未使用
+  LOCKED: 'locked',   // 已下单待支付
+  USED: 'used',       // 已使用
+  EXPIRED: 'expired'  // 已过期
+};
+
+/**
+ * 定向发放任务状态
+ */
+const TASK_STATUS = {
+  PENDING: 'pending',     // 待执行
+  RUNNING: 'running',     // 执行中
+  COMPLETED: 'completed', // 已完成
+  FAILED: 'failed',       // 执行失败
+  CANCELED: 'canceled'    // 已取消
+};
+
+/**
+ * 元转分
+ * @param {number|string} amount - 金额（元）
+ * @returns {number} 金额（分）
+ */
+function toCents(amount) {
+  return Math.round(Number(amount || 0) * 100);
+}
+
+/**
+ * 分转元
+ * @param {number} cents - 金额（分）
+ * @returns {number} 金额（元）
+ */
+function toYuan(cents) {
+  return Math.round(cents) / 100;
+}
+
+/**
+ * 生成优惠券编号
+ * @returns {string} 优惠券编号
+ */
+function generateCouponNo() {
+  return `CP${Date.now()}${crypto.randomInt(0, 1000000).toString().padStart(6, '0')}`;
+}
+
+/**
+ * 生成兑换码（去掉易混淆的字符）
+ * @returns {string} 兑换码
+ */
+function generateRedeemCode() {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  return Array.from({ length: 12 }, () => alphabet[crypto.randomInt(0, alphabet.length)]).join('');
+}
+
+/**
+ * 规范化兑换码（忽略大小写、空格和连字符）
+ * @param {string} code - 兑换码
+ * @returns {string} 兑换码
+ */
+function normalizeCode(code) {
+  return String(code || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * 规范化分页参数
+ * @param {Object} filters - { page, pageSize }
+ * @returns {Object} { page, pageSize, offset }
+ */
+function normalizePage(filters = {}) {
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(filters.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page, pageSize, offset: (page - 1) * pageSize };
+}
+
+/**
+ * 解析JSON字段
+ * @param {string|Object} value - JSON
+ * @param {any} fallback - 解析失败时的默认值
+ * @returns {any} 解析结果
+ */
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) {
+    return fallback;
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * 解析可选时间
+ * @param {string|Date} value - 时间
+ * @returns {Date|null} 时间
+ */
+function parseOptionalDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  return new Date(value);
+}
+
+/**
+ * 计算模板发放状态
+ * @param {Object} row - 模板记录
+ * @param {Date} [now] - 当前时间
+ * @returns {string} 发放状态
+ */
+function resolveState(row, now = new Date()) {
+  if (row.status === TEMPLATE_STATUS.CLOSED || (row.claim_end_time && new Date(row.claim_end_time) <= now)) {
+    return TEMPLATE_STATE.ENDED;
+  }
+  return row.claim_start_time && new Date(row.claim_start_time) > now ? TEMPLATE_STATE.NOT_STARTED : TEMPLATE_STATE.ONGOING;
+}
+
+/**
+ * 格式化优惠规则（模板和买家优惠券共用）
+ * @param {Object} row - 模板或买家优惠券记录
+ * @returns {Object} 优惠规则
+ */
+function formatRule(row) {
+  return {
+    name: row.name,
+    type: row.type,
+    amount: row.amount !== null && row.amount !== undefined ? Number(row.amount) : null,
+    threshold: Number(row.threshold || 0),
+    discountRate: row.discount_rate !== null && row.discount_rate !== undefined ? Number(row.discount_rate) : null,
+    maxDiscount: row.max_discount !== null && row.max_discount !== undefined ? Number(row.max_discount) : null,
+    scope: row.scope,
+    scopeIds: parseJson(row.scope_ids, []).map(String)
+  };
+}
+
+/**
+ * 格式化优惠券模板
+ * @param {Object} row - 模板记录
+ * @param {Object} [stats] - 买家优惠券状态统计 { status: count }
+ * @returns {Object} 优惠券模板
+ */
+function formatTemplate(row, stats) {
+  const totalQuantity = Number(row.total_quantity);
+  const template = {
+    id: row.id,
+    sellerId: row.seller_id ? String(row.seller_id) : null,
+    shopName: row.shop_name || null,
+    ...formatRule(row),
+    issueType: row.issue_type,
+    totalQuantity,
+    issuedCount: Number(row.issued_count),
+    usedCount: Number(row.used_count),
+    remaining: totalQuantity > 0 ? Math.max(totalQuantity - Number(row.issued_count), 0) : null,
+    perUserLimit: Number(row.per_user_limit),
+    claimStartTime: row.claim_start_time,
+    claimEndTime: row.claim_end_time,
+    validType: row.valid_type,
+    validStartTime: row.valid_start_time,
+    validEndTime: row.valid_end_time,
+    validDays: row.valid_days !== null && row.valid_days !== undefined ? Number(row.valid_days) : null,
+    description: row.description || null,
+    status: row.status,
+    state: resolveState(row),
+    creatorType: row.creator_type,
+    createdAt: row.created_at
+  };
+  if (stats) {
+    template.stats = Object.values(COUPON_STATUS).reduce((result, status) => ({ ...result, [status]: stats[status] || 0 }), {});
+  }
+  return template;
+}
+
+/**
+ * 格式化买家优惠券，未使用但已过有效期的优惠券显示为已过期
+ * @param {Object} row - 买家优惠券记录
+ * @param {Date} [now] - 当前时间
+ * @returns {Object} 买家优惠券
+ */
+function formatUserCoupon(row, now = new Date()) {
+  const expired = row.status === COUPON_STATUS.UNUSED && new Date(row.valid_until) <= now;
+  return {
+    id: row.id,
+    couponNo: row.coupon_no,
+    templateId: row.template_id,
+    userId: String(row.user_id),
+    sellerId: row.seller_id ? String(row.seller_id) : null,
+    shopName: row.shop_name || null,
+    ...formatRule(row),
+    description: row.description || null,
+    source: row.source,
+    status: expired ? COUPON_STATUS.EXPIRED : row.status,
+    validFrom: row.valid_from,
+    validUntil: row.valid_until,
+    orderId: row.order_id || null,
+    discountAmount: row.discount_amount !== null && row.discount_amount !== undefined ? Number(row.discount_amount) : null,
+    usedAt: row.used_at || null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * 格式化定向发放任务
+ * @param {Object} row - 任务记录
+ * @returns {Object} 定向发放任务
+ */
+function formatTask(row) {
+  return {
+    id: row.id,
+    templateId: row.template_id,
+    templateName: row.template_name || null,
+    segment: parseJson(row.segment, {}),
+    status: row.status,
+    totalUsers: Number(row.total_users),
+    issuedCount: Number(row.issued_count),
+    skippedCount: Number(row.skipped_count),
+    error: row.error || null,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    startedAt: row.started_at || null,
+    finishedAt: row.finished_at || null
+  };
+}
+
+class CouponService {
+  constructor() {
+    this.transactionManager = new TransactionManager({
+      getConnection: () => connectionPoolManager.getConnection(DB_POOL_ID)
+    });
+  }
+
+  // 获取logger服务
+  getLogger() {
+    if (!this._logger) {
+      this._logger = di.resolve('logger');
+    }
+    return this._logger;
+  }
+
+  // 获取缓存管理器（用于发布优惠券消息）
+  getCacheManager() {
+    if (!this._cacheManager) {
+      this._cacheManager = di.resolve('cacheManager');
+    }
+    return this._cacheManager;
+  }
+
+  /**
+   * 在优惠券事务中执行操作，事务失败时抛出原始业务错误
+   * @param {Function} operation - 操作函数 (connection, transaction) => Promise
+   * @returns {Promise<any>} 操作结果
+   */
+  async runInTransaction(operation) {
+    try {
+      return await this.transactionManager.executeInTransaction(operation);
+    } catch (error) {
+      if (error instanceof TransactionError && error.originalError) {
+        throw error.originalError;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 使用非事务连接执行只读查询
+   * @param {Function} operation - 操作函数 (connection) => Promise
+   * @returns {Promise<any>} 查询结果
+   */
+  async withConnection(operation) {
+    const connection = await connectionPoolManager.getConnection(DB_POOL_ID);
+    try {
+      return await operation(connection);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 发布优惠券消息，事务已提交，发布失败只记录日志
+   * @param {string} topic - 消息主题
+   * @param {Object} payload - 消息内容
+   * @returns {Promise<void>}
+   */
+  async publish(topic, payload) {
+    try {
+      await this.getCacheManager().publish(topic, { ...payload, timestamp: new Date().toISOString() });
+    } catch (error) {
+      this.getLogger().error('发布优惠券消息失败', { topic, error: error.message });
+    }
+  }
+
+  /**
+   * 校验并规范化模板参数
+   * @param {Object} params - 模板参数
+   * @param {Object} scope - { sellerId }，卖家只能使用领取和兑换码发放
+   * @returns {Object} 模板数据
+   */
+  parseTemplate(params, scope = {}) {
+    const type = params.type;
+    if (!Object.values(COUPON_TYPE).includes(type)) {
+      throw new ValidationError('无效的优惠券类型');
+    }
+    const issueType = params.issueType || ISSUE_TYPE.CLAIM;
+    if (!Object.values(ISSUE_TYPE).includes(issueType) || (scope.sellerId && !SELLER_ISSUE_TYPES.includes(issueType))) {
+      throw new ValidationError('无效的发放方式');
+    }
+
+    const amountCents = toCents(params.amount);
+    const thresholdCents = toCents(params.threshold);
+    let discountRate = null;
+    let maxDiscountCents = params.maxDiscount ? toCents(params.maxDiscount) : null;
+    if (thresholdCents < 0) {
+      throw new ValidationError('使用门槛不能为负数');
+    }
+    switch (type) {
+      case COUPON_TYPE.FIXED:
+        if (!(amountCents > 0)) {
+          throw new ValidationError('优惠金额须大于 0');
+        }
+        break;
+      case COUPON_TYPE.THRESHOLD:
+        if (!(amountCents > 0) || !(thresholdCents > amountCents)) {
+          throw new ValidationError('满减券的优惠金额须大于 0 且低于使用门槛');
+        }
+        break;
+      case COUPON_TYPE.PERCENTAGE:
+        discountRate = Number(params.discountRate);
+        if (!(discountRate > 0 && discountRate < 1)) {
+          throw new ValidationError('折扣须大于 0 且小于 1');
+        }
+        break;
+      case COUPON_TYPE.SHIPPING:
+        // 运费券的优惠金额为减免上限，不填时免全部运费
+        if (amountCents < 0) {
+          throw new ValidationError('运费减免金额不能为负数');
+        }
+        break;
+      default:
+        break;
+    }
+    if (maxDiscountCents !== null && !(maxDiscountCents > 0)) {
+      throw new ValidationError('最高优惠金额须大于 0');
+    }
+
+    const couponScope = params.scope || COUPON_SCOPE.ALL;
+    if (!Object.values(COUPON_SCOPE).includes(couponScope)) {
+      throw new ValidationError('无效的适用范围');
+    }
+    const scopeIds = couponScope === COUPON_SCOPE.ALL ? [] : [...new Set((params.scopeIds || []).map(String))];
+    if (couponScope !== COUPON_SCOPE.ALL && scopeIds.length === 0) {
+      throw new ValidationError(couponScope === COUPON_SCOPE.PRODUCT ? '请选择适用商品' : '请选择适用分类');
+    }
+    if (type === COUPON_TYPE.SHIPPING && couponScope !== COUPON_SCOPE.ALL) {
+      throw new ValidationError('运费券只能适用于全部商品');
+    }
+
+    const totalQuantity = params.totalQuantity !== undefined && params.totalQuantity !== null ? Number(params.totalQuantity) : 0;
+    const perUserLimit = params.perUserLimit !== undefined && params.perUserLimit !== null ? Number(params.perUserLimit) : 1;
+    if (!Number.isInteger(totalQuantity) || totalQuantity < 0) {
+      throw new ValidationError('发放总量须为非负整数，0 表示不限');
+    }
+    if (!Number.isInteger(perUserLimit) || perUserLimit < 1) {
+      throw new ValidationError('每人限领须为正整数');
+    }
+
+    const claimStartTime = parseOptionalDate(params.claimStartTime);
+    const claimEndTime = parseOptionalDate(params.claimEndTime);
+    if ((claimStartTime && isNaN(claimStartTime.getTime())) || (claimEndTime && isNaN(claimEndTime.getTime()))) {
+      throw new ValidationError('领取时间格式不正确');
+    }
+    if (claimStartTime && claimEndTime && claimStartTime >= claimEndTime) {
+      throw new ValidationError('领取开始时间须早于结束时间');
+    }
+
+    const validType = params.validType || VALID_TYPE.DAYS;
+    let validStartTime = null;
+    let validEndTime = null;
+    let validDays = null;
+    if (validType === VALID_TYPE.FIXED) {
+      validStartTime = new Date(params.validStartTime);
+      validEndTime = new Date(params.validEndTime);
+      if (isNaN(validStartTime.getTime()) || isNaN(validEndTime.getTime()) || validStartTime >= validEndTime) {
+        throw new ValidationError('有效期开始时间须早于结束时间');
+      }
+      if (validEndTime <= new Date()) {
+        throw new ValidationError('有效期结束时间须晚于当前时间');
+      }
+    } else if (validType === VALID_TYPE.DAYS) {
+      validDays = Number(params.validDays);
+      if (!Number.isInteger(validDays) || validDays < 1 || validDays > MAX_VALID_DAYS) {
+        throw new ValidationError(`有效天数须为 1-${MAX_VALID_DAYS} 的整数`);
+      }
+    } else {
+      throw new ValidationError('无效的有效期类型');
+    }
+
+    const name = String(params.name || '').trim();
+    if (!name) {
+      throw new ValidationError('请输入优惠券名称');
+    }
+
+    return {
+      name,
+      type,
+      amount: type === COUPON_TYPE.PERCENTAGE ? null : toYuan(amountCents),
+      threshold: toYuan(thresholdCents),
+      discountRate,
+      maxDiscount: type === COUPON_TYPE.PERCENTAGE && maxDiscountCents ? toYuan(maxDiscountCents) : null,
+      scope: couponScope,
+      scopeIds,
+      issueType,
+      totalQuantity,
+      perUserLimit,
+      claimStartTime,
+      claimEndTime,
+      validType,
+      validStartTime,
+      validEndTime,
+      validDays,
+      description: params.description ? String(params.description).trim() : null
+    };
+  }
+
+  /**
+   * 获取可管理的模板并加锁，卖家只能管理自己店铺的模板，平台只能管理平台模板
+   * @param {Object} connection - 事务连接
+   * @param {number} templateId - 模板ID
+   * @param {Object} scope - { sellerId }，平台为空对象
+   * @returns {Promise<Object>} 模板记录
+   */
+  async lockManagedTemplate(connection, templateId, scope) {
+    const template = await couponRepository.getTemplate(connection, templateId, { forUpdate: true });
+    const owned = template && (scope.sellerId ? String(template.seller_id) === String(scope.sellerId) : !template.seller_id);
+    if (!owned) {
+      throw new NotFoundError('优惠券不存在');
+    }
+    return template;
+  }
+
+  /**
+   * 创建优惠券模板
+   * @param {Object} params - 模板参数
+   * @param {Object} operator - 操作人 { id, type: 'seller' | 'admin' }
+   * @param {Object} [scope] - { sellerId }，卖家创建本店优惠券，平台为空对象
+   * @returns {Promise<Object>} 优惠券模板
+   */
+  async createTemplate(params, operator, scope = {}) {
+    try {
+      const template = this.parseTemplate(params, scope);
+      const templateId = await this.runInTransaction(connection => couponRepository.createTemplate(connection, {
+        ...template,
+        sellerId: scope.sellerId || null,
+        status: TEMPLATE_STATUS.ACTIVE,
+        createdBy: operator.id,
+        creatorType: operator.type
+      }));
+
+      this.getLogger().info('优惠券模板已创建', { templateId, sellerId: scope.sellerId, operatorId: operator.id });
+      return this.getTemplate(templateId, scope);
+    } catch (error) {
+      this.getLogger().error('创建优惠券模板失败', { sellerId: scope.sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 修改优惠券模板
+   * 已发放的优惠券使用模板的优惠规则，发放后只能修改名称、说明、发放数量和领取时间；发放方式不可修改
+   * @param {number} templateId - 模板ID
+   * @param {Object} params - 模板参数
+   * @param {Object} operator - 操作人
+   * @param {Object} [scope] - { sellerId }
+   * @returns {Promise<Object>} 优惠券模板
+   */
+  async updateTemplate(templateId, params, operator, scope = {}) {
+    try {
+      await this.runInTransaction(async (connection) => {
+        const existing = await this.lockManagedTemplate(connection, templateId, scope);
+        const template = this.parseTemplate({ ...params, issueType: existing.issue_type }, scope);
+
+        if (Number(existing.issued_count) > 0) {
+          const current = formatRule(existing);
+          const ruleChanged = template.type !== current.type
+            || toCents(template.amount) !== toCents(current.amount)
+            || toCents(template.threshold) !== toCents(current.threshold)
+            || Number(template.discountRate) !== Number(current.discountRate)
+            || toCents(template.maxDiscount) !== toCents(current.maxDiscount)
+            || template.scope !== current.scope
+            || template.scopeIds.join(',') !== current.scopeIds.join(',')
+            || template.validType !== existing.valid_type
+            || Number(template.validDays) !== Number(existing.valid_days)
+            || (template.validType === VALID_TYPE.FIXED && (
+              template.validStartTime.getTime() !== new Date(existing.valid_start_time).getTime()
+              || template.validEndTime.getTime() !== new Date(existing.valid_end_time).getTime()));
+          if (ruleChanged) {
+            throw new AppError(409, '优惠券已发放，不能修改优惠规则、适用范围和有效期', 409);
+          }
+        }
+        if (template.totalQuantity > 0 && template.totalQuantity < Number(existing.issued_count)) {
+          throw new ValidationError(`发放总量不能少于已发放数量 ${existing.issued_count}`);
+        }
+
+        await couponRepository.updateTemplate(connection, templateId, template);
+      });
+
+      this.getLogger().info('优惠券模板已修改', { templateId, operatorId: operator.id });
+      return this.getTemplate(templateId, scope);
+    } catch (error) {
+      this.getLogger().error('修改优惠券模板失败', { templateId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 启用或停用优惠券模板，停用后停止发放，已发放的优惠券仍可在有效期内使用
+   * @param {number} templateId - 模板ID
+   * @param {string} status - 模板状态
+   * @param {Object} operator - 操作人
+   * @param {Object} [scope] - { sellerId }
+   * @returns {Promise<Object>} 优惠券模板
+   */
+  async setTemplateStatus(templateId, status, operator, scope = {}) {
+    try {
+      if (!Object.values(TEMPLATE_STATUS).includes(status)) {
+        throw new ValidationError('无效的优惠券状态');
+      }
+      await this.runInTransaction(async (connection) => {
+        const template = await this.lockManagedTemplate(connection, templateId, scope);
+        if (template.status !== status) {
+          await couponRepository.updateTemplateStatus(connection, templateId, status);
+        }
+      });
+
+      this.getLogger().info('优惠券模板状态已更新', { templateId, status, operatorId: operator.id });
+      return this.getTemplate(templateId, scope);
+    } catch (error) {
+      this.getLogger().error('更新优惠券模板状态失败', { templateId, status, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取优惠券模板详情
+   * @param {number} templateId - 模板ID
+   * @param {Object} [scope] - { sellerId }，为空时不限制归属
+   * @returns {Promise<Object>} 优惠券模板（含买家优惠券状态统计）
+   */
+  async getTemplate(templateId, scope = {}) {
+    try {
+      const { row, stats } = await this.withConnection(async (connection) => ({
+        row: await couponRepository.getTemplate(connection, templateId),
+        stats: await couponRepository.countCouponsByStatus(connection, templateId)
+      }));
+      if (!row || (scope.sellerId && String(row.seller_id) !== String(scope.sellerId))) {
+        throw new NotFoundError('优惠券不存在');
+      }
+      return formatTemplate(row, stats);
+    } catch (error) {
+      this.getLogger().error('获取优惠券模板失败', { templateId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询优惠券模板
+   * @param {Object} filters - { sellerId, platformOnly, keyword, type, issueType, state, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getTemplates(filters = {}) {
+    try {
+      const { page, pageSize, offset } = normalizePage(filters);
+      const { rows, total } = await this.withConnection(connection =>
+        couponRepository.findTemplates(connection, filters, offset, pageSize)
+      );
+      return { list: rows.map(row => formatTemplate(row)), total, page, pageSize };
+    } catch (error) {
+      this.getLogger().error('查询优惠券模板失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询已发放的优惠券
+   * @param {Object} filters - { templateId, sellerId, userId, status, couponNo, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getIssuedCoupons(filters = {}) {
+    try {
+      const { page, pageSize, offset } = normalizePage(filters);
+      const { rows, total } = await this.withConnection(connection =>
+        couponRepository.findUserCoupons(connection, filters, offset, pageSize)
+      );
+      return { list: rows.map(row => formatUserCoupon(row)), total, page, pageSize };
+    } catch (error) {
+      this.getLogger().error('查询已发放优惠券失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 计算优惠券有效期
+   * @param {Object} template - 模板记录
+   * @param {Date} now - 发放时间
+   * @returns {Object} { validFrom, validUntil }
+   */
+  resolveValidity(template, now) {
+    if (template.valid_type === VALID_TYPE.FIXED) {
+      return { validFrom: new Date(template.valid_start_time), validUntil: new Date(template.valid_end_time) };
+    }
+    return { validFrom: now, validUntil: new Date(now.getTime() + Number(template.valid_days) * 24 * 60 * 60 * 1000) };
+  }
+
+  /**
+   * 在调用方事务中向买家发放一张优惠券
+   * 锁定模板后校验状态、领取时间、发放总量和每人限领；发放标识已存在时视为已发放，不重复发放
+   * @param {Object} connection - 事务连接
+   * @param {number} templateId - 模板ID
+   * @param {string} userId - 用户ID
+   * @param {Object} issue - { source, sourceRef, issueKey }
+   * @returns {Promise<Object|null>} { id, couponNo, templateId }，重复发放时返回 null
+   */
+  async issueCoupon(connection, templateId, userId, issue) {
+    const now = new Date();
+    const template = await couponRepository.getTemplate(connection, templateId, { forUpdate: true });
+    if (!template) {
+      throw new NotFoundError('优惠券不存在');
+    }
+    const state = resolveState(template, now);
+    if (state === TEMPLATE_STATE.NOT_STARTED) {
+      throw new AppError(409, '优惠券尚未开始发放', 409);
+    }
+    if (state === TEMPLATE_STATE.ENDED) {
+      throw new AppError(409, '优惠券已停止发放', 409);
+    }
+    const total = Number(template.total_quantity);
+    if (total > 0 && Number(template.issued_count) >= total) {
+      throw new AppError(409, '优惠券已领完', 409);
+    }
+    const { validFrom, validUntil } = this.resolveValidity(template, now);
+    if (validUntil <= now) {
+      throw new AppError(409, '优惠券已过有效期', 409);
+    }
+    if (await couponRepository.countUserTemplateCoupons(connection, templateId, userId) >= Number(template.per_user_limit)) {
+      throw new AppError(409, '已达到每人限领数量', 409);
+    }
+
+    const couponNo = generateCouponNo();
+    const couponId = await couponRepository.createUserCoupon(connection, {
+      couponNo,
+      templateId,
+      userId,
+      sellerId: template.seller_id || null,
+      source: issue.source,
+      sourceRef: issue.sourceRef || null,
+      issueKey: issue.issueKey || null,
+      status: COUPON_STATUS.UNUSED,
+      validFrom,
+      validUntil
+    });
+    if (!couponId) {
+      return null;
+    }
+    if (!(await couponRepository.incrementIssued(connection, templateId))) {
+      throw new AppError(409, '优惠券已领完', 409);
+    }
+    return { id: couponId, couponNo, templateId };
+  }
+
+  /**
+   * 买家在领券中心领取优惠券
+   * @param {string} userId - 用户ID
+   * @param {number} templateId - 模板ID
+   * @returns {Promise<Object>} 领取到的优惠券
+   */
+  async claim(userId, templateId) {
+    try {
+      const issued = await this.runInTransaction(async (connection) => {
+        const template = await couponRepository.getTemplate(connection, templateId);
+        if (!template || template.issue_type !== ISSUE_TYPE.CLAIM) {
+          throw new NotFoundError('优惠券不存在');
+        }
+        return this.issueCoupon(connection, templateId, userId, { source: ISSUE_TYPE.CLAIM });
+      });
+
+      this.getLogger().info('优惠券已领取', { userId, templateId, couponNo: issued.couponNo });
+      await this.publish('coupon.issued', { userId, templateId, couponId: issued.id, source: ISSUE_TYPE.CLAIM });
+      return this.getUserCoupon(userId, issued.id);
+    } catch (error) {
+      this.getLogger().error('领取优惠券失败', { userId, templateId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 买家使用兑换码兑换优惠券
+   * @param {string} userId - 用户ID
+   * @param {string} code - 兑换码
+   * @returns {Promise<Object>} 兑换到的优惠券
+   */
+  async redeemCode(userId, code) {
+    try {
+      const normalized = normalizeCode(code);
+      if (!normalized) {
+        throw new ValidationError('请输入兑换码');
+      }
+      const issued = await this.runInTransaction(async (connection) => {
+        const redeemCode = await couponRepository.getRedeemCode(connection, normalized, { forUpdate: true });
+        if (!redeemCode) {
+          throw new NotFoundError('兑换码不存在');
+        }
+        if (redeemCode.status !== 'unused') {
+          throw new AppError(409, '兑换码已被使用', 409);
+        }
+        const coupon = await this.issueCoupon(connection, redeemCode.template_id, userId, {
+          source: ISSUE_TYPE.CODE,
+          sourceRef: normalized,
+          issueKey: `code:${normalized}`
+        });
+        if (!coupon) {
+          throw new AppError(409, '兑换码已被使用', 409);
+        }
+        await couponRepository.markCodeRedeemed(connection, redeemCode.id, userId, coupon.id);
+        return coupon;
+      });
+
+      this.getLogger().info('兑换码已兑换', { userId, couponNo: issued.couponNo });
+      await this.publish('coupon.issued', { userId, templateId: issued.templateId, couponId: issued.id, source: ISSUE_TYPE.CODE });
+      return this.getUserCoupon(userId, issued.id);
+    } catch (error) {
+      this.getLogger().error('兑换优惠券失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 为兑换码发放的模板批量生成兑换码
+   * @param {number} templateId - 模板ID
+   * @param {number} count - 生成数量
+   * @param {Object} operator - 操作人
+   * @param {Object} [scope] - { sellerId }
+   * @returns {Promise<Object>} { batchNo, codes }
+   */
+  async generateCodes(templateId, count, operator, scope = {}) {
+    try {
+      const quantity = Number(count);
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_CODE_COUNT) {
+        throw new ValidationError(`生成数量须为 1-${MAX_CODE_COUNT} 的整数`);
+      }
+      const batchNo = `RB${Date.now()}${crypto.randomInt(0, 1000).toString().padStart(3, '0')}`;
+      const codes = [...new Set(Array.from({ length: quantity }, generateRedeemCode))];
+
+      await this.runInTransaction(async (connection) => {
+        const template = await this.lockManagedTemplate(connection, templateId, scope);
+        if (template.issue_type !== ISSUE_TYPE.CODE) {
+          throw new AppError(409, '该优惠券不是兑换码发放', 409);
+        }
+        if (template.status !== TEMPLATE_STATUS.ACTIVE) {
+          throw new AppError(409, '优惠券已停用', 409);
+        }
+        await couponRepository.createRedeemCodes(connection, templateId, batchNo, codes);
+      });
+
+      this.getLogger().info('兑换码已生成', { templateId, batchNo, count: codes.length, operatorId: operator.id });
+      return { batchNo, codes };
+    } catch (error) {
+      this.getLogger().error('生成兑换码失败', { templateId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询模板的兑换码
+   * @param {number} templateId - 模板ID
+   * @param {Object} filters - { batchNo, status, page, pageSize }
+   * @param {Object} [scope] - { sellerId }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getRedeemCodes(templateId, filters = {}, scope = {}) {
+    try {
+      await this.getTemplate(templateId, scope);
+      const { page, pageSize, offset } = normalizePage(filters);
+      const { rows, total } = await this.withConnection(connection =>
+        couponRepository.findRedeemCodes(connection, { ...filters, templateId }, offset, pageSize)
+      );
+      return {
+        list: rows.map(row => ({
+          code: row.code,
+          batchNo: row.batch_no,
+          status: row.status,
+          userId: row.user_id ? String(row.user_id) : null,
+          redeemedAt: row.redeemed_at || null,
+          createdAt: row.created_at
+        })),
+        total,
+        page,
+        pageSize
+      };
+    } catch (error) {
+      this.getLogger().error('查询兑换码失败', { templateId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 注册或生日时自动发放优惠券，按发放标识去重（生日券每年发放一次）
+   * 单个模板发放失败（如已领完）不影响其他模板
+   * @param {string} userId - 用户ID
+   * @param {string} issueType - register | birthday
+   * @param {Date} [now] - 当前时间
+   * @returns {Promise<number>} 发放数量
+   */
+  async issueOnEvent(userId, issueType, now = new Date()) {
+    try {
+      const templates = await this.withConnection(connection =>
+        couponRepository.findActiveTemplatesByIssueType(connection, issueType)
+      );
+
+      let issued = 0;
+      for (const template of templates) {
+        const sourceRef = issueType === ISSUE_TYPE.BIRTHDAY ? String(now.getFullYear()) : null;
+        const issueKey = [issueType, template.id, userId, sourceRef].filter(Boolean).join(':');
+        try {
+          const coupon = await this.runInTransaction(connection =>
+            this.issueCoupon(connection, template.id, userId, { source: issueType, sourceRef, issueKey })
+          );
+          if (coupon) {
+            issued++;
+            await this.publish('coupon.issued', { userId, templateId: template.id, couponId: coupon.id, source: issueType });
+          }
+        } catch (error) {
+          this.getLogger().warn('自动发放优惠券失败', { userId, templateId: template.id, issueType, error: error.message });
+        }
+      }
+
+      if (issued > 0) {
+        this.getLogger().info('已自动发放优惠券', { userId, issueType, issued });
+      }
+      return issued;
+    } catch (error) {
+      this.getLogger().error('自动发放优惠券失败', { userId, issueType, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 校验人群条件
+   * @param {Object} segment - { userIds, tierCodes, registeredFrom, registeredTo }
+   * @returns {Object} 人群条件
+   */
+  parseSegment(segment = {}) {
+    const userIds = [...new Set((segment.userIds || []).map(String).filter(Boolean))];
+    const tierCodes = [...new Set((segment.tierCodes || []).map(String).filter(Boolean))];
+    if (userIds.length > MAX_SEGMENT_USER_IDS) {
+      throw new ValidationError(`指定用户不能超过 ${MAX_SEGMENT_USER_IDS} 个`);
+    }
+    const registeredFrom = parseOptionalDate(segment.registeredFrom);
+    const registeredTo = parseOptionalDate(segment.registeredTo);
+    if ((registeredFrom && isNaN(registeredFrom.getTime())) || (registeredTo && isNaN(registeredTo.getTime()))) {
+      throw new ValidationError('注册时间格式不正确');
+    }
+    return {
+      userIds,
+      tierCodes,
+      registeredFrom: registeredFrom ? registeredFrom.toISOString() : null,
+      registeredTo: registeredTo ? registeredTo.toISOString() : null
+    };
+  }
+
+  /**
+   * 创建定向发放任务，由定时任务分批向人群中的用户发放
+   * 人群条件为空时发放给全部正常状态的用户
+   * @param {number} templateId - 模板ID（发放方式须为定向发放的平台优惠券）
+   * @param {Object} segment - 人群条件
+   * @param {Object} operator - 操作人
+   * @returns {Promise<Object>} 定向发放任务
+   */
+  async createIssueTask(templateId, segment, operator) {
+    try {
+      const parsed = this.parseSegment(segment);
+      const taskId = await this.runInTransaction(async (connection) => {
+        const template = await this.lockManagedTemplate(connection, templateId, {});
+        if (template.issue_type !== ISSUE_TYPE.PUSH) {
+          throw new AppError(409, '该优惠券不是定向发放', 409);
+        }
+        if (resolveState(template) === TEMPLATE_STATE.ENDED) {
+          throw new AppError(409, '优惠券已停止发放', 409);
+        }
+        return couponRepository.createIssueTask(connection, {
+          templateId,
+          segment: parsed,
+          totalUsers: await couponRepository.countSegmentUsers(connection, parsed),
+          createdBy: operator.id
+        });
+      });
+
+      this.getLogger().info('定向发放任务已创建', { taskId, templateId, operatorId: operator.id });
+      return this.getIssueTask(taskId);
+    } catch (error) {
+      this.getLogger().error('创建定向发放任务失败', { templateId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 取消未完成的定向发放任务，已发放的优惠券不收回
+   * @param {number} taskId - 任务ID
+   * @param {Object} operator - 操作人
+   * @returns {Promise<Object>} 定向发放任务
+   */
+  async cancelIssueTask(taskId, operator) {
+    try {
+      await this.runInTransaction(async (connection) => {
+        const task = await couponRepository.getIssueTask(connection, taskId, { forUpdate: true });
+        if (!task) {
+          throw new NotFoundError('发放任务不存在');
+        }
+        if (![TASK_STATUS.PENDING, TASK_STATUS.RUNNING].includes(task.status)) {
+          throw new AppError(409, '发放任务已结束', 409);
+        }
+        await couponRepository.updateIssueTask(connection, taskId, { status: TASK_STATUS.CANCELED });
+      });
+
+      this.getLogger().info('定向发放任务已取消', { taskId, operatorId: operator.id });
+      return this.getIssueTask(taskId);
+    } catch (error) {
+      this.getLogger().error('取消定向发放任务失败', { taskId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取定向发放任务
+   * @param {number} taskId - 任务ID
+   * @returns {Promise<Object>} 定向发放任务
+   */
+  async getIssueTask(taskId) {
+    const row = await this.withConnection(connection => couponRepository.getIssueTask(connection, taskId));
+    if (!row) {
+      throw new NotFoundError('发放任务不存在');
+    }
+    return formatTask(row);
+  }
+
+  /**
+   * 分页查询定向发放任务
+   * @param {Object} filters - { templateId, status, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getIssueTasks(filters = {}) {
+    try {
+      const { page, pageSize, offset } = normalizePage(filters);
+      const { rows, total } = await this.withConnection(connection =>
+        couponRepository.findIssueTasks(connection, filters, offset, pageSize)
+      );
+      return { list: rows.map(formatTask), total, page, pageSize };
+    } catch (error) {
+      this.getLogger().error('查询定向发放任务失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 执行一批定向发放：按用户ID顺序向下一批用户发放，记录进度以便下次继续
+   * 用户已达到每人限领时跳过；优惠券领完或停用时任务结束
+   * @param {Object} task - 任务记录
+   * @returns {Promise<Object>} { issued, skipped, finished }
+   */
+  async runIssueBatch(task) {
+    const segment = parseJson(task.segment, {});
+    const userIds = await this.withConnection(connection =>
+      couponRepository.findSegmentUserIds(connection, segment, task.last_user_id, ISSUE_USER_BATCH_SIZE)
+    );
+
+    let issued = 0;
+    let skipped = 0;
+    let stopReason = null;
+    let lastUserId = null;
+    for (const userId of userIds) {
+      try {
+        const coupon = await this.runInTransaction(connection =>
+          this.issueCoupon(connection, task.template_id, String(userId), {
+            source: ISSUE_TYPE.PUSH,
+            sourceRef: String(task.id),
+            issueKey: `push:${task.id}:${userId}`
+          })
+        );
+        if (coupon) {
+          issued++;
+        } else {
+          skipped++;
+        }
+      } catch (error) {
+        if (!error.statusCode || error.statusCode >= 500) {
+          throw error;
+        }
+        if (error.message !== '已达到每人限领数量') {
+          stopReason = error.message;
+          break;
+        }
+        skipped++;
+      }
+      lastUserId = userId;
+    }
+
+    const finished = stopReason !== null || userIds.length < ISSUE_USER_BATCH_SIZE;
+    await this.runInTransaction(async (connection) => {
+      const current = await couponRepository.getIssueTask(connection, task.id, { forUpdate: true });
+      const status = current.status === TASK_STATUS.CANCELED
+        ? TASK_STATUS.CANCELED
+        : (finished ? TASK_STATUS.COMPLETED : TASK_STATUS.RUNNING);
+      await couponRepository.updateIssueTask(connection, task.id, {
+        status,
+        issued,
+        skipped,
+        lastUserId,
+        error: stopReason ? `${stopReason}，剩余用户未发放` : null
+      });
+    });
+    return { issued, skipped, finished };
+  }
+
+  /**
+   * 执行待处理的定向发放任务（定时任务调用），每个任务每次执行一批
+   * @returns {Promise<Object>} { tasks, issued }
+   */
+  async processIssueTasks() {
+    try {
+      const tasks = await this.withConnection(connection =>
+        couponRepository.findRunnableIssueTasks(connection, ISSUE_TASK_BATCH_SIZE)
+      );
+
+      let issued = 0;
+      for (const task of tasks) {
+        try {
+          const result = await this.runIssueBatch(task);
+          issued += result.issued;
+          if (result.finished) {
+            this.getLogger().info('定向发放任务已完成', { taskId: task.id, templateId: task.template_id });
+          }
+        } catch (error) {
+          this.getLogger().error('执行定向发放任务失败', { taskId: task.id, error: error.message });
+          await this.runInTransaction(connection =>
+            couponRepository.updateIssueTask(connection, task.id, { status: TASK_STATUS.FAILED, error: error.message })
+          ).catch(updateError => this.getLogger().error('记录发放任务失败状态失败', { taskId: task.id, error: updateError.message }));
+        }
+      }
+      return { tasks: tasks.length, issued };
+    } catch (error) {
+      this.getLogger().error('执行定向发放任务失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 将过期的未使用优惠券记为已过期（定时任务调用）
+   * @param {Date} [now] - 当前时间
+   * @returns {Promise<number>} 处理数量
+   */
+  async expireCoupons(now = new Date()) {
+    try {
+      const expired = await this.runInTransaction(connection => couponRepository.expireCoupons(connection, now, EXPIRE_BATCH_SIZE));
+      if (expired > 0) {
+        this.getLogger().info('优惠券已过期', { count: expired });
+      }
+      return expired;
+    } catch (error) {
+      this.getLogger().error('处理过期优惠券失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 查询买家可领取的优惠券（领券中心），含买家已领取数量
+   * @param {string} userId - 用户ID
+   * @param {Object} filters - { sellerId, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getClaimableTemplates(userId, filters = {}) {
+    try {
+      const { page, pageSize, offset } = normalizePage(filters);
+      const { rows, total, claimed } = await this.withConnection(async (connection) => {
+        const result = await couponRepository.findClaimableTemplates(connection, filters, offset, pageSize);
+        return {
+          ...result,
+          claimed: await couponRepository.countUserCouponsByTemplates(connection, userId, result.rows.map(row => row.id))
+        };
+      });
+
+      return {
+        list: rows.map((row) => {
+          const { stats, creatorType, usedCount, issuedCount, ...template } = formatTemplate(row);
+          const claimedCount = claimed.get(Number(row.id)) || 0;
+          return { ...template, claimedCount, claimable: claimedCount < template.perUserLimit };
+        }),
+        total,
+        page,
+        pageSize
+      };
+    } catch (error) {
+      this.getLogger().error('查询可领取优惠券失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取买家的优惠券
+   * @param {string} userId - 用户ID
+   * @param {number} couponId - 优惠券ID
+   * @returns {Promise<Object>} 买家优惠券
+   */
+  async getUserCoupon(userId, couponId) {
+    const coupon = await this.withConnection(connection => couponRepository.getUserCoupon(connection, couponId));
+    if (!coupon || String(coupon.user_id) !== String(userId)) {
+      throw new NotFoundError('优惠券不存在');
+    }
+    return formatUserCoupon(coupon);
+  }
+
+  /**
+   * 买家券包：按状态分页查询买家的优惠券，未使用的排在前面并按到期时间排序
+   * 未使用但已过有效期、尚未被定时任务处理的优惠券按已过期显示
+   * @param {string} userId - 用户ID
+   * @param {Object} filters - { status, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getWallet(userId, filters = {}) {
+    try {
+      if (filters.status && !Object.values(COUPON_STATUS).includes(filters.status)) {
+        throw new ValidationError('无效的优惠券状态');
+      }
+      return await this.getIssuedCoupons({ userId, status: filters.status, page: filters.page, pageSize: filters.pageSize });
+    } catch (error) {
+      this.getLogger().error('查询买家券包失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 查询买家未使用且在有效期内的优惠券，供订单计价使用
+   * @param {string} userId - 用户ID
+   * @param {Date} [at] - 计价时间点
+   * @returns {Promise<Array>} 优惠券 [{ userCouponId, couponNo, sellerId, name, type, amount, threshold, discountRate, maxDiscount, scope, scopeIds, validUntil }]
+   */
+  async getUsableCoupons(userId, at = new Date()) {
+    try {
+      const rows = await this.withConnection(connection => couponRepository.findUsableCoupons(connection, userId, at));
+      return rows.map(row => ({
+        userCouponId: String(row.id),
+        couponNo: row.coupon_no,
+        sellerId: row.seller_id ? String(row.seller_id) : null,
+        ...formatRule(row),
+        validUntil: row.valid_until
+      }));
+    } catch (error) {
+      this.getLogger().error('查询买家可用优惠券失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 下单时锁定计价所用的优惠券（在订单事务中调用）
+   * 计价后优惠券被其他订单使用或已过期时下单失败
+   * @param {Object} connection - 订单事务连接
+   * @param {string} userId - 用户ID
+   * @param {string} orderId - 订单ID
+   * @param {Array} coupons - 计价结果中使用的优惠券 [{ userCouponId, discount }]
+   * @returns {Promise<Array>} 锁定的优惠券ID
+   */
+  async lockForOrder(connection, userId, orderId, coupons = []) {
+    const locked = [];
+    const now = new Date();
+    for (const item of coupons) {
+      const coupon = await couponRepository.getUserCoupon(connection, item.userCouponId, { forUpdate: true });
+      if (!coupon || String(coupon.user_id) !== String(userId)) {
+        throw new NotFoundError('优惠券不存在');
+      }
+      if (coupon.status !== COUPON_STATUS.UNUSED) {
+        throw new AppError(409, `优惠券「${coupon.name}」已使用`, 409);
+      }
+      if (new Date(coupon.valid_from) > now || new Date(coupon.valid_until) <= now) {
+        throw new AppError(409, `优惠券「${coupon.name}」不在有效期内`, 409);
+      }
+      await couponRepository.updateUserCouponStatus(connection, coupon.id, COUPON_STATUS.LOCKED, {
+        orderId: String(orderId),
+        discountAmount: item.discount
+      });
+      locked.push(coupon.id);
+    }
+
+    if (locked.length > 0) {
+      this.getLogger().info('订单优惠券已锁定', { userId, orderId, couponIds: locked });
+    }
+    return locked;
+  }
+
+  /**
+   * 订单支付后核销优惠券
+   * @param {string} orderId - 订单ID
+   * @returns {Promise<number>} 核销数量
+   */
+  async onOrderPaid(orderId) {
+    try {
+      const used = await this.runInTransaction(async (connection) => {
+        const coupons = await couponRepository.findCouponsByOrder(connection, String(orderId), { forUpdate: true });
+        const locked = coupons.filter(coupon => coupon.status === COUPON_STATUS.LOCKED);
+        for (const coupon of locked) {
+          await couponRepository.updateUserCouponStatus(connection, coupon.id, COUPON_STATUS.USED);
+          await couponRepository.adjustUsed(connection, coupon.template_id, 1);
+        }
+        return locked;
+      });
+
+      for (const coupon of used) {
+        await this.publish('coupon.used', { userId: coupon.user_id, couponId: coupon.id, templateId: coupon.template_id, orderId });
+      }
+      if (used.length > 0) {
+        this.getLogger().info('订单优惠券已核销', { orderId, count: used.length });
+      }
+      return used.length;
+    } catch (error) {
+      this.getLogger().error('核销订单优惠券失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 订单取消或超时关闭后恢复优惠券：仍在有效期内的恢复为未使用，否则记为已过期
+   * 未传入事务连接时开启独立事务；未使用优惠券或已恢复的订单不做处理
+   * @param {string} orderId - 订单ID
+   * @param {Object} [connection] - 事务连接
+   * @returns {Promise<number>} 恢复数量
+   */
+  async releaseOrder(orderId, connection) {
+    const release = async (conn) => {
+      const coupons = await couponRepository.findCouponsByOrder(conn, String(orderId), { forUpdate: true });
+      const locked = coupons.filter(coupon => coupon.status === COUPON_STATUS.LOCKED);
+      const now = new Date();
+      for (const coupon of locked) {
+        const status = new Date(coupon.valid_until) > now ? COUPON_STATUS.UNUSED : COUPON_STATUS.EXPIRED;
+        await couponRepository.updateUserCouponStatus(conn, coupon.id, status);
+      }
+      return locked.length;
+    };
+
+    try {
+      const released = connection ? await release(connection) : await this.runInTransaction(release);
+
+      if (released > 0) {
+        this.getLogger().info('订单已取消，优惠券已恢复', { orderId, count: released });
+      }
+      return released;
+    } catch (error) {
+      this.getLogger().error('恢复订单优惠券失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+const couponService = new CouponService();
+
+module.exports = couponService;
+module.exports.COUPON_TYPE = COUPON_TYPE;
+module.exports.COUPON_SCOPE = COUPON_SCOPE;
+module.exports.ISSUE_TYPE = ISSUE_TYPE;
+module.exports.TEMPLATE_STATUS = TEMPLATE_STATUS;
+module.exports.TEMPLATE_STATE = TEMPLATE_STATE;
+module.exports.VALID_TYPE = VALID_TYPE;
+module.exports.COUPON_STATUS = COUPON_STATUS;
+module.exports.TASK_STATUS = TASK_STATUS;
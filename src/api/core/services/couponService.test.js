@@ -0,0 +1,186 @@
+/**
+ * 优惠券服务测试
+ */
+
+const mockCacheManager = { publish: jest.fn() };
+const mockLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+jest.mock('@core/di/container', () => ({
+  resolve: name => (name === 'cacheManager' ? mockCacheManager : mockLogger)
+}), { virtual: true });
+jest.mock('../data-access/database/TransactionManager', () => ({
+  TransactionManager: jest.fn().mockImplementation(() => ({
+    executeInTransaction: jest.fn()
+  }))
+}));
+jest.mock('../data-access/database/ConnectionPoolManager', () => ({
+  connectionPoolManager: { getConnection: jest.fn() }
+}));
+jest.mock('../repositories/couponRepository', () => ({
+  getTemplate: jest.fn(),
+  countUserTemplateCoupons: jest.fn(),
+  createUserCoupon: jest.fn(),
+  incrementIssued: jest.fn(),
+  findActiveTemplatesByIssueType: jest.fn(),
+  getUserCoupon: jest.fn(),
+  updateUserCouponStatus: jest.fn(),
+  findCouponsByOrder: jest.fn(),
+  adjustUsed: jest.fn()
+}));
+
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const couponRepository = require('../repositories/couponRepository');
+const couponService = require('./couponService');
+
+const { COUPON_TYPE, ISSUE_TYPE, TEMPLATE_STATUS, VALID_TYPE, COUPON_STATUS } = couponService;
+
+const connection = { query: jest.fn(), release: jest.fn() };
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * 构建优惠券模板记录
+ * @param {Object} overrides - 覆盖字段
+ * @returns {Object} 模板记录
+ */
+function makeTemplate(overrides) {
+  return {
+    id: 4,
+    seller_id: null,
+    issue_type: ISSUE_TYPE.REGISTER,
+    status: TEMPLATE_STATUS.ACTIVE,
+    total_quantity: 100,
+    issued_count: 10,
+    per_user_limit: 1,
+    claim_start_time: null,
+    claim_end_time: null,
+    valid_type: VALID_TYPE.DAYS,
+    valid_days: 7,
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  couponService.transactionManager.executeInTransaction.mockImplementation(operation => operation(connection, {}));
+  connectionPoolManager.getConnection.mockResolvedValue(connection);
+  couponRepository.countUserTemplateCoupons.mockResolvedValue(0);
+  couponRepository.createUserCoupon.mockResolvedValue(50);
+  couponRepository.incrementIssued.mockResolvedValue(true);
+});
+
+describe('parseTemplate', () => {
+  test('满减券的优惠金额须低于使用门槛', () => {
+    expect(() => couponService.parseTemplate({ type: COUPON_TYPE.THRESHOLD, amount: 50, threshold: 50 }))
+      .toThrow('满减券的优惠金额须大于 0 且低于使用门槛');
+  });
+
+  test('卖家不能创建平台发放方式的优惠券', () => {
+    expect(() => couponService.parseTemplate({ type: COUPON_TYPE.FIXED, amount: 5, issueType: ISSUE_TYPE.PUSH }, { sellerId: 10 }))
+      .toThrow('无效的发放方式');
+  });
+
+  test('运费券只能适用于全部商品', () => {
+    expect(() => couponService.parseTemplate({ type: COUPON_TYPE.SHIPPING, scope: 'product', scopeIds: [1] }))
+      .toThrow('运费券只能适用于全部商品');
+  });
+});
+
+describe('issueCoupon', () => {
+  test('按领取后天数计算有效期并累加发放数量', async () => {
+    couponRepository.getTemplate.mockResolvedValue(makeTemplate());
+
+    const coupon = await couponService.issueCoupon(connection, 4, 'u1', { source: ISSUE_TYPE.REGISTER, issueKey: 'register:4:u1' });
+
+    const [, record] = couponRepository.createUserCoupon.mock.calls[0];
+    expect(record).toMatchObject({ templateId: 4, userId: 'u1', issueKey: 'register:4:u1', status: COUPON_STATUS.UNUSED });
+    expect(record.validUntil - record.validFrom).toBe(7 * DAY);
+    expect(couponRepository.incrementIssued).toHaveBeenCalledWith(connection, 4);
+    expect(coupon).toMatchObject({ id: 50, templateId: 4 });
+  });
+
+  test('发放标识已存在时视为已发放，不累加发放数量', async () => {
+    couponRepository.getTemplate.mockResolvedValue(makeTemplate());
+    couponRepository.createUserCoupon.mockResolvedValue(null);
+
+    await expect(couponService.issueCoupon(connection, 4, 'u1', { source: ISSUE_TYPE.REGISTER })).resolves.toBeNull();
+    expect(couponRepository.incrementIssued).not.toHaveBeenCalled();
+  });
+
+  test('发放总量已用完或达到每人限领时不发放', async () => {
+    couponRepository.getTemplate.mockResolvedValue(makeTemplate({ issued_count: 100 }));
+    await expect(couponService.issueCoupon(connection, 4, 'u1', { source: ISSUE_TYPE.CLAIM })).rejects.toThrow('优惠券已领完');
+
+    couponRepository.getTemplate.mockResolvedValue(makeTemplate());
+    couponRepository.countUserTemplateCoupons.mockResolvedValue(1);
+    await expect(couponService.issueCoupon(connection, 4, 'u1', { source: ISSUE_TYPE.CLAIM })).rejects.toThrow('已达到每人限领数量');
+
+    expect(couponRepository.createUserCoupon).not.toHaveBeenCalled();
+  });
+});
+
+describe('issueOnEvent', () => {
+  test('生日券按年份去重，单个模板发放失败不影响其他模板', async () => {
+    couponRepository.findActiveTemplatesByIssueType.mockResolvedValue([{ id: 4 }, { id: 5 }]);
+    couponRepository.getTemplate.mockImplementation(async (conn, templateId) => (templateId === 4
+      ? makeTemplate({ id: 4, issued_count: 100 })
+      : makeTemplate({ id: 5 })));
+
+    const issued = await couponService.issueOnEvent('u1', ISSUE_TYPE.BIRTHDAY, new Date(2026, 5, 1));
+
+    expect(issued).toBe(1);
+    expect(couponRepository.createUserCoupon).toHaveBeenCalledTimes(1);
+    expect(couponRepository.createUserCoupon).toHaveBeenCalledWith(connection, expect.objectContaining({
+      templateId: 5, sourceRef: '2026', issueKey: 'birthday:5:u1:2026'
+    }));
+    expect(mockLogger.warn).toHaveBeenCalledWith('自动发放优惠券失败', expect.objectContaining({ templateId: 4 }));
+  });
+});
+
+describe('lockForOrder', () => {
+  test('锁定未使用且在有效期内的优惠券并记录优惠金额', async () => {
+    couponRepository.getUserCoupon.mockResolvedValue({
+      id: 50, user_id: 'u1', name: '满100减10', status: COUPON_STATUS.UNUSED,
+      valid_from: new Date(Date.now() - DAY), valid_until: new Date(Date.now() + DAY)
+    });
+
+    await expect(couponService.lockForOrder(connection, 'u1', 100, [{ userCouponId: 50, discount: 10 }])).resolves.toEqual([50]);
+    expect(couponRepository.updateUserCouponStatus).toHaveBeenCalledWith(connection, 50, COUPON_STATUS.LOCKED, {
+      orderId: '100', discountAmount: 10
+    });
+  });
+
+  test('优惠券不属于下单买家时报错', async () => {
+    couponRepository.getUserCoupon.mockResolvedValue({ id: 50, user_id: 'u2', status: COUPON_STATUS.UNUSED });
+
+    await expect(couponService.lockForOrder(connection, 'u1', 100, [{ userCouponId: 50, discount: 10 }]))
+      .rejects.toThrow('优惠券不存在');
+  });
+});
+
+describe('releaseOrder', () => {
+  test('仍在有效期内的恢复为未使用，已过有效期的记为已过期', async () => {
+    couponRepository.findCouponsByOrder.mockResolvedValue([
+      { id: 50, status: COUPON_STATUS.LOCKED, valid_until: new Date(Date.now() + DAY) },
+      { id: 51, status: COUPON_STATUS.LOCKED, valid_until: new Date(Date.now() - DAY) },
+      { id: 52, status: COUPON_STATUS.USED, valid_until: new Date(Date.now() + DAY) }
+    ]);
+
+    await expect(couponService.releaseOrder('100')).resolves.toBe(2);
+    expect(couponRepository.updateUserCouponStatus).toHaveBeenCalledWith(connection, 50, COUPON_STATUS.UNUSED);
+    expect(couponRepository.updateUserCouponStatus).toHaveBeenCalledWith(connection, 51, COUPON_STATUS.EXPIRED);
+    expect(couponRepository.updateUserCouponStatus).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('onOrderPaid', () => {
+  test('核销锁定的优惠券并累加模板使用数量', async () => {
+    couponRepository.findCouponsByOrder.mockResolvedValue([
+      { id: 50, user_id: 'u1', template_id: 4, status: COUPON_STATUS.LOCKED }
+    ]);
+
+    await expect(couponService.onOrderPaid('100')).resolves.toBe(1);
+    expect(couponRepository.updateUserCouponStatus).toHaveBeenCalledWith(connection, 50, COUPON_STATUS.USED);
+    expect(couponRepository.adjustUsed).toHaveBeenCalledWith(connection, 4, 1);
+    expect(mockCacheManager.publish).toHaveBeenCalledWith('coupon.used', expect.objectContaining({ couponId: 50, orderId: '100' }));
+  });
+});
@@ -10,6 +10,7 @@ const pushService = require('./pushService');
 const customerServiceDb = require('./customerServiceDb');
 const customerServiceStats = require('./customerServiceStats');
 const autoReplyService = require('./autoReplyService');
+const satisfactionSurveyService = require('./satisfactionSurveyService');
 
 class CustomerService {
   constructor() {
@@ -839,6 +840,10 @@ class CustomerService {
       // 获取会话信息
       const conversation = await this.db.getConversationById(conversationId);
       
+      // 满意度调查发给会话中的用户，评价的是离开前服务的客服
+      const customer = conversation.participants.find(participant => participant.role === 'customer');
+      const agent = conversation.participants.find(participant => participant.role === 'customer_service');
+      
       // 从客服当前会话列表移除
       for (const participant of conversation.participants) {
         if (participant.role === 'customer_service' || participant.role === 'admin') {
@@ -858,6 +863,14 @@ class CustomerService {
         reason
       });
       
+      // 发送满意度调查，失败不影响会话关闭
+      if (customer) {
+        await satisfactionSurveyService.sendSurvey(conversationId, {
+          customerId: customer.userId,
+          agentId: agent ? agent.userId : undefined
+        }).catch(error => logger.error(`Failed to send satisfaction survey for conversation ${conversationId}:`, error));
+      }
+      
       logger.info(`Conversation ${conversationId} closed: ${reason}`);
     } catch (error) {
       logger.error(`Failed to close conversation ${conversationId}:`, error);
@@ -961,6 +974,35 @@ class CustomerService {
       throw error;
     }
   }
+
+  /**
+   * 获取SLA超时率统计
+   * @param {Object} timeRange 时间范围
+   * @returns {Promise<Object>} 超时率统计
+   */
+  async getSlaBreachStats(timeRange = {}) {
+    try {
+      return await this.stats.getSlaBreachStats(timeRange);
+    } catch (error) {
+      logger.error('Failed to get SLA breach statistics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取满意度统计（CSAT/NPS）
+   * @param {Object} timeRange 时间范围
+   * @param {string} interval 时间间隔（hour, day, week, month）
+   * @returns {Promise<Object>} 满意度统计
+   */
+  async getSatisfactionStats(timeRange = {}, interval = 'day') {
+    try {
+      return await this.stats.getSatisfactionStats(timeRange, interval);
+    } catch (error) {
+      logger.error('Failed to get satisfaction statistics:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = new CustomerService();
\ No newline at end of file
@@ -6,6 +6,10 @@
 const { logger } = require('../utils/logger');
 const customerServiceDb = require('./customerServiceDb');
 const { getCurrentTime, formatTimeRange } = require('../utils/dateUtils');
+const { getConfig } = require('../../config/config');
+
+// 满意度调查中计为满意的最低评分（4-5 星）
+const SATISFIED_RATING = 4;
 
 class CustomerServiceStats {
   constructor() {
@@ -159,7 +163,7 @@ class CustomerServiceStats {
         endTime
       );
 
-      // 计算用户满意度（需要假设存在评价表）
+      // 计算用户满意度（满意度调查的 CSAT）
       const satisfactionRate = await this.calculateSatisfactionRate(
         customerServiceId,
         startTime,
@@ -228,6 +232,7 @@ class CustomerServiceStats {
 
   /**
    * 计算用户满意度
+   * 时间范围内提交的满意度调查中评分为 4-5 星的比例，没有调查时为 0
    * @param {string} customerServiceId 客服ID
    * @param {Date} startTime 开始时间
    * @param {Date} endTime 结束时间
@@ -235,13 +240,30 @@ class CustomerServiceStats {
    */
   async calculateSatisfactionRate(customerServiceId, startTime, endTime) {
     try {
-      // 这里假设存在一个会话评价表
-      // 实际项目中需要创建对应的评价模型
-      // 暂时返回一个模拟值
-      return 0.92; // 92%的满意度
+      const [result] = await this.db.db.query(
+        `SELECT COUNT(*) as response_count,
+                COUNT(*) FILTER (WHERE rating >= :satisfiedRating) as satisfied_count
+         FROM satisfaction_surveys
+         WHERE status = 'answered'
+         AND "agentId" = :customerServiceId
+         ${startTime ? 'AND "answeredAt" >= :startTime' : ''}
+         ${endTime ? 'AND "answeredAt" <= :endTime' : ''}`,
+        {
+          replacements: {
+            customerServiceId,
+            startTime,
+            endTime,
+            satisfiedRating: SATISFIED_RATING
+          },
+          type: this.db.db.QueryTypes.SELECT
+        }
+      );
+
+      const responseCount = Number(result?.response_count || 0);
+      return responseCount > 0 ? Number(result.satisfied_count) / responseCount : 0;
     } catch (error) {
       logger.error('Failed to calculate satisfaction rate:', error);
-      return 0.85; // 返回默认值
+      return 0;
     }
   }
 
@@ -392,6 +414,225 @@ class CustomerServiceStats {
     }
   }
 
+  /**
+   * 获取SLA超时率统计
+   * 统计时间范围内开始计时的SLA计时器，按指标、优先级和分类汇总按时完成和超时数量。
+   * 超时率 = 超时数 / (按时完成数 + 超时数)，仍在计时的计时器单独计数，不计入超时率
+   * @param {Object} timeRange 时间范围
+   * @returns {Promise<Object>} 超时率统计
+   */
+  async getSlaBreachStats(timeRange = {}) {
+    const cacheKey = this.generateCacheKey({ type: 'sla_breach', ...timeRange });
+    const cachedData = this.getFromCache(cacheKey);
+    if (cachedData) {
+      return cachedData;
+    }
+
+    try {
+      const { startTime, endTime } = formatTimeRange(timeRange);
+
+      const rows = await this.db.db.query(
+        `SELECT metric, priority, category,
+                COUNT(*) FILTER (WHERE status = 'met') as met_count,
+                COUNT(*) FILTER (WHERE status = 'breached') as breached_count,
+                COUNT(*) FILTER (WHERE status = 'running') as running_count,
+                SUM(EXTRACT(EPOCH FROM ("completedAt" - "startedAt"))) FILTER (WHERE "completedAt" IS NOT NULL AND status IN ('met', 'breached')) as total_completion_time,
+                COUNT(*) FILTER (WHERE "completedAt" IS NOT NULL AND status IN ('met', 'breached')) as completed_count
+         FROM sla_timers
+         WHERE status <> 'cancelled'
+         ${startTime ? 'AND "startedAt" >= :startTime' : ''}
+         ${endTime ? 'AND "startedAt" <= :endTime' : ''}
+         GROUP BY metric, priority, category`,
+        {
+          replacements: { startTime, endTime },
+          type: this.db.db.QueryTypes.SELECT
+        }
+      );
+
+      const summarize = (items) => {
+        const met = items.reduce((sum, row) => sum + Number(row.met_count || 0), 0);
+        const breached = items.reduce((sum, row) => sum + Number(row.breached_count || 0), 0);
+        const running = items.reduce((sum, row) => sum + Number(row.running_count || 0), 0);
+        const completed = items.reduce((sum, row) => sum + Number(row.completed_count || 0), 0);
+        const totalCompletionTime = items.reduce((sum, row) => sum + Number(row.total_completion_time || 0), 0);
+        return {
+          met,
+          breached,
+          running,
+          breachRate: met + breached > 0 ? Math.round((breached / (met + breached)) * 10000) / 100 : 0,
+          avgCompletionTime: completed > 0 ? Math.round(totalCompletionTime / completed) : 0
+        };
+      };
+
+      const groupBy = (field) => {
+        const groups = {};
+        rows.forEach(row => {
+          const key = row[field] || 'unspecified';
+          (groups[key] = groups[key] || []).push(row);
+        });
+        return Object.keys(groups).reduce((result, key) => {
+          result[key] = summarize(groups[key]);
+          return result;
+        }, {});
+      };
+
+      const breachStats = {
+        timeRange: { startTime, endTime },
+        overall: summarize(rows),
+        byMetric: groupBy('metric'),
+        byPriority: groupBy('priority'),
+        byCategory: groupBy('category')
+      };
+
+      this.setCache(cacheKey, breachStats);
+      return breachStats;
+    } catch (error) {
+      logger.error('Failed to get SLA breach statistics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取满意度统计
+   * 统计时间范围内提交的满意度调查，按客服、团队（客服部门）、分类和时间汇总 CSAT 和 NPS：
+   * CSAT = 4-5 星评分数 / 评分数；NPS = 推荐者（9-10 分）占比 - 贬损者（0-6 分）占比，只统计回答了推荐意愿的调查。
+   * 低分（评分不高于配置的低分阈值）的调查按原因标签汇总；回复率按时间范围内发送的调查计算
+   * @param {Object} timeRange 时间范围
+   * @param {string} interval 时间间隔（hour, day, week, month）
+   * @returns {Promise<Object>} 满意度统计
+   */
+  async getSatisfactionStats(timeRange = {}, interval = 'day') {
+    const cacheKey = this.generateCacheKey({ type: 'satisfaction', interval, ...timeRange });
+    const cachedData = this.getFromCache(cacheKey);
+    if (cachedData) {
+      return cachedData;
+    }
+
+    try {
+      const { startTime, endTime } = formatTimeRange(timeRange);
+      const lowScoreThreshold = (getConfig('satisfactionSurvey') || {}).lowScoreThreshold || 3;
+      const period = ['hour', 'day', 'week', 'month'].includes(interval) ? interval : 'day';
+
+      const answeredCondition = `s.status = 'answered'
+         ${startTime ? 'AND s."answeredAt" >= :startTime' : ''}
+         ${endTime ? 'AND s."answeredAt" <= :endTime' : ''}`;
+      const countColumns = `COUNT(*) as response_count,
+                COUNT(*) FILTER (WHERE s.rating >= :satisfiedRating) as satisfied_count,
+                SUM(s.rating) as rating_sum,
+                COUNT(*) FILTER (WHERE s.rating <= :lowScoreThreshold) as low_score_count,
+                COUNT(s."npsScore") as nps_count,
+                COUNT(*) FILTER (WHERE s."npsScore" >= 9) as promoter_count,
+                COUNT(*) FILTER (WHERE s."npsScore" <= 6) as detractor_count`;
+      const queryOptions = {
+        replacements: {
+          startTime,
+          endTime,
+          satisfiedRating: SATISFIED_RATING,
+          lowScoreThreshold
+        },
+        type: this.db.db.QueryTypes.SELECT
+      };
+
+      const rows = await this.db.db.query(
+        `SELECT s."agentId" as agent_id, u.username as agent_name, s.team, s.category,
+                ${countColumns}
+         FROM satisfaction_surveys s
+         LEFT JOIN users u ON u.id = s."agentId"
+         WHERE ${answeredCondition}
+         GROUP BY s."agentId", u.username, s.team, s.category`,
+        queryOptions
+      );
+
+      const trendRows = await this.db.db.query(
+        `SELECT DATE_TRUNC('${period}', s."answeredAt") as period,
+                ${countColumns}
+         FROM satisfaction_surveys s
+         WHERE ${answeredCondition}
+         GROUP BY 1
+         ORDER BY 1`,
+        queryOptions
+      );
+
+      const reasonRows = await this.db.db.query(
+        `SELECT tag, COUNT(*) as count
+         FROM satisfaction_surveys s, UNNEST(s.tags) AS tag
+         WHERE ${answeredCondition}
+         AND s.rating <= :lowScoreThreshold
+         GROUP BY tag
+         ORDER BY count DESC`,
+        queryOptions
+      );
+
+      const [sentRow] = await this.db.db.query(
+        `SELECT COUNT(*) as sent_count,
+                COUNT(*) FILTER (WHERE status = 'answered') as answered_count
+         FROM satisfaction_surveys
+         WHERE 1 = 1
+         ${startTime ? 'AND "sentAt" >= :startTime' : ''}
+         ${endTime ? 'AND "sentAt" <= :endTime' : ''}`,
+        queryOptions
+      );
+
+      const percent = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 100 : 0);
+
+      const summarize = (items) => {
+        const total = field => items.reduce((sum, row) => sum + Number(row[field] || 0), 0);
+        const responses = total('response_count');
+        const npsResponses = total('nps_count');
+        return {
+          responses,
+          csat: percent(total('satisfied_count'), responses),
+          averageRating: responses > 0 ? Math.round((total('rating_sum') / responses) * 100) / 100 : 0,
+          lowScoreCount: total('low_score_count'),
+          npsResponses,
+          nps: npsResponses > 0 ? percent(total('promoter_count') - total('detractor_count'), npsResponses) : null
+        };
+      };
+
+      const groupBy = (field, describe) => {
+        const groups = {};
+        rows.forEach(row => {
+          const key = row[field] || 'unspecified';
+          (groups[key] = groups[key] || []).push(row);
+        });
+        return Object.keys(groups).reduce((result, key) => {
+          result[key] = { ...(describe ? describe(groups[key][0]) : {}), ...summarize(groups[key]) };
+          return result;
+        }, {});
+      };
+
+      const lowScoreCount = rows.reduce((sum, row) => sum + Number(row.low_score_count || 0), 0);
+      const sentCount = Number(sentRow?.sent_count || 0);
+
+      const satisfactionStats = {
+        timeRange: { startTime, endTime },
+        interval: period,
+        lowScoreThreshold,
+        overall: {
+          ...summarize(rows),
+          sent: sentCount,
+          responseRate: percent(Number(sentRow?.answered_count || 0), sentCount)
+        },
+        byAgent: groupBy('agent_id', row => ({ agentName: row.agent_name || null })),
+        byTeam: groupBy('team'),
+        byCategory: groupBy('category'),
+        trend: trendRows.map(row => ({ period: row.period, ...summarize([row]) })),
+        // 低分原因：标签出现次数和占低分调查的比例（一份调查可以选择多个标签）
+        lowScoreReasons: reasonRows.map(row => ({
+          tag: row.tag,
+          count: Number(row.count),
+          percentage: percent(Number(row.count), lowScoreCount)
+        }))
+      };
+
+      this.setCache(cacheKey, satisfactionStats);
+      return satisfactionStats;
+    } catch (error) {
+      logger.error('Failed to get satisfaction statistics:', error);
+      throw error;
+    }
+  }
+
   /**
    * 生成客服工作报表
    * @param {string} customerServiceId 客服ID
@@ -0,0 +1,1238 @@
+/**
+ * 分销服务
+ * 买家申请成为分销员，审核通过后获得推广码和推广链接；其他买家通过推广码绑定上级分销员。
+ * 绑定买家的订单支付后，按商品、分类或平台默认比例为一级分销员（买家的上级）和二级分销员（一级分销员的上级）
+ * 生成冻结佣金；订单完成且超过售后期（冻结天数）、没有处理中的售后单时，佣金转为可提现。
+ * 售后退款时按退款比例冲减佣金，已解冻的佣金从可提现佣金中扣回。
+ * 可提现佣金申请提现后由平台审核，通过后线下打款，驳回时退回可提现佣金。
+ */
+
+const crypto = require('crypto');
+const di = require('@core/di/container');
+const { TransactionManager } = require('../data-access/database/TransactionManager');
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const { AppError, NotFoundError, ValidationError, TransactionError } = require('../exception/handlers/errorHandler');
+const distributionRepository = require('../repositories/distributionRepository');
+
+// 数据库连接池ID
+const DB_POOL_ID = process.env.DB_POOL_ID || 'default';
+
+// 未配置分销设置时的冻结天数（订单完成后的售后期）
+const DEFAULT_FREEZE_DAYS = parseInt(process.env.DISTRIBUTION_FREEZE_DAYS || '7', 10);
+
+// 推广链接地址
+const SHARE_BASE_URL = process.env.DISTRIBUTION_SHARE_BASE_URL || 'http://localhost:3000';
+
+// 单笔佣金提现最低金额（元）
+const WITHDRAW_MIN_AMOUNT = parseFloat(process.env.DISTRIBUTION_WITHDRAW_MIN || '10');
+
+// 解冻任务单次处理的佣金数量
+const UNFREEZE_BATCH_SIZE = 500;
+
+// 售后单已结束的状态，与售后服务保持一致
+const AFTER_SALES_CLOSED_STATUSES = ['completed', 'rejected', 'canceled'];
+
+// 默认分页大小和上限
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * 分销员状态
+ */
+const DISTRIBUTOR_STATUS = {
+  PENDING: 'pending',   // 待审核
+  PASSED: 'passed',     // 已通过
+  REJECTED: 'rejected', // 已驳回
+  RETIRED: 'retired'    // 已清退
+};
+
+/**
+ * 佣金状态
+ */
+const COMMISSION_STATUS = {
+  FROZEN: 'frozen',       // 冻结中
+  AVAILABLE: 'available', // 可提现
+  REVERSED: 'reversed'    // 已冲减（订单全额退款）
+};
+
+/**
+ * 佣金提现状态
+ */
+const WITHDRAW_STATUS = {
+  PENDING: 'pending',   // 待审核
+  APPROVED: 'approved', // 已打款
+  REJECTED: 'rejected'  // 已驳回
+};
+
+/**
+ * 佣金规则对象类型
+ */
+const RULE_TARGET = {
+  PRODUCT: 'product',
+  CATEGORY: 'category'
+};
+
+/**
+ * 元转分
+ * @param {number|string} amount - 金额（元）
+ * @returns {number} 金额（分）
+ */
+function toCents(amount) {
+  return Math.round(Number(amount || 0) * 100);
+}
+
+/**
+ * 分转元
+ * @param {number} cents - 金额（分）
+ * @returns {number} 金额（元）
+ */
+function toYuan(cents) {
+  return Math.round(cents) / 100;
+}
+
+/**
+ * 生成提现申请编号
+ * @returns {string} 申请编号
+ */
+function generateWithdrawNo() {
+  return `DW${Date.now()}${crypto.randomInt(0, 1000000).toString().padStart(6, '0')}`;
+}
+
+/**
+ * 根据分销员ID生成推广码
+ * @param {number} distributorId - 分销员ID
+ * @returns {string} 推广码
+ */
+function buildShareCode(distributorId) {
+  return `D${Number(distributorId).toString(36).toUpperCase().padStart(6, '0')}`;
+}
+
+/**
+ * 规范化分页参数
+ * @param {Object} filters - { page, pageSize }
+ * @returns {Object} { page, pageSize, offset }
+ */
+function normalizePage(filters = {}) {
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(filters.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page, pageSize, offset: (page - 1) * pageSize };
+}
+
+/**
+ * 校验佣金比例
+ * @param {*} value - 比例
+ * @param {string} label - 名称
+ * @returns {number} 比例（0-1）
+ */
+function parseRate(value, label) {
+  const rate = Number(value);
+  if (value === null || value === undefined || value === '' || isNaN(rate) || rate < 0 || rate >= 1) {
+    throw new ValidationError(`${label}须在 0 到 1 之间`);
+  }
+  return rate;
+}
+
+/**
+ * 会员展示名称
+ * @param {Object} row - 含 username、phone 的记录
+ * @param {string} userIdField - 用户ID字段
+ * @returns {string} 会员名称
+ */
+function memberName(row, userIdField = 'user_id') {
+  return row.username || row.user_phone || row.phone || `用户${row[userIdField]}`;
+}
+
+/**
+ * 解析商品主图
+ * @param {string|Array} images - 商品图片JSON
+ * @returns {string|null} 主图地址
+ */
+function firstImage(images) {
+  try {
+    const list = typeof images === 'string' ? JSON.parse(images) : images;
+    return Array.isArray(list) && list.length > 0 ? list[0] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 格式化分销设置
+ * @param {Object|null} row - 设置记录
+ * @returns {Object} 分销设置
+ */
+function formatSettings(row) {
+  if (!row) {
+    return { enabled: false, levels: 2, level1Rate: 0, level2Rate: 0, freezeDays: DEFAULT_FREEZE_DAYS };
+  }
+  return {
+    enabled: Boolean(row.enabled),
+    levels: Number(row.levels),
+    level1Rate: Number(row.level1_rate),
+    level2Rate: Number(row.level2_rate),
+    freezeDays: Number(row.freeze_days),
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * 格式化分销员
+ * @param {Object} row - 分销员记录
+ * @returns {Object} 分销员
+ */
+function formatDistributor(row) {
+  return {
+    id: row.id,
+    userId: String(row.user_id),
+    memberName: memberName(row),
+    status: row.status,
+    shareCode: row.share_code || null,
+    realName: row.real_name,
+    phone: row.phone,
+    qqAccount: row.qq_account || null,
+    idCard: row.id_card,
+    bankName: row.bank_name,
+    bankAccount: row.bank_account,
+    bankBranch: row.bank_branch || null,
+    applyRemark: row.apply_remark || null,
+    reviewRemark: row.review_remark || null,
+    reviewedAt: row.reviewed_at || null,
+    totalCommission: Number(row.total_commission),
+    availableCommission: Number(row.available_commission),
+    frozenCommission: Number(row.frozen_commission),
+    withdrawingCommission: Number(row.withdrawing_commission),
+    withdrawnCommission: Number(row.withdrawn_commission),
+    promotionCount: row.promotion_count !== undefined ? Number(row.promotion_count) : undefined,
+    orderCount: row.order_count !== undefined ? Number(row.order_count) : undefined,
+    orderAmount: row.order_amount !== undefined ? Number(row.order_amount) : undefined,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * 格式化分销佣金
+ * @param {Object} row - 佣金记录
+ * @returns {Object} 分销佣金
+ */
+function formatCommission(row) {
+  return {
+    id: row.id,
+    orderId: String(row.order_id),
+    orderNo: row.order_no,
+    orderStatus: row.order_status || null,
+    productId: String(row.product_id),
+    productName: row.product_name || null,
+    productImage: firstImage(row.product_images),
+    shopName: row.shop_name || null,
+    buyerId: String(row.buyer_id),
+    distributorUserId: String(row.distributor_user_id),
+    distributorName: row.real_name || memberName(row, 'distributor_user_id'),
+    level: Number(row.level),
+    baseAmount: Number(row.base_amount),
+    rate: Number(row.rate),
+    amount: Number(row.amount),
+    reversedAmount: Number(row.reversed_amount),
+    status: row.status,
+    unfreezeAt: row.unfreeze_at || null,
+    settledAt: row.settled_at || null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * 格式化佣金提现申请
+ * @param {Object} row - 提现申请记录
+ * @returns {Object} 提现申请
+ */
+function formatWithdrawal(row) {
+  return {
+    id: row.id,
+    withdrawNo: row.withdraw_no,
+    userId: String(row.distributor_user_id),
+    memberName: memberName(row, 'distributor_user_id'),
+    amount: Number(row.amount),
+    realName: row.real_name,
+    idCard: row.id_card,
+    bankName: row.bank_name,
+    bankAccount: row.bank_account,
+    bankBranch: row.bank_branch || null,
+    status: row.status,
+    reviewRemark: row.review_remark || null,
+    payoutReference: row.payout_reference || null,
+    reviewedAt: row.reviewed_at || null,
+    createdAt: row.created_at
+  };
+}
+
+class DistributionService {
+  constructor() {
+    this.transactionManager = new TransactionManager({
+      getConnection: () => connectionPoolManager.getConnection(DB_POOL_ID)
+    });
+  }
+
+  // 获取logger服务
+  getLogger() {
+    if (!this._logger) {
+      this._logger = di.resolve('logger');
+    }
+    return this._logger;
+  }
+
+  // 获取缓存管理器（用于发布分销消息）
+  getCacheManager() {
+    if (!this._cacheManager) {
+      this._cacheManager = di.resolve('cacheManager');
+    }
+    return this._cacheManager;
+  }
+
+  /**
+   * 在分销事务中执行操作，事务失败时抛出原始业务错误
+   * @param {Function} operation - 操作函数 (connection, transaction) => Promise
+   * @returns {Promise<any>} 操作结果
+   */
+  async runInTransaction(operation) {
+    try {
+      return await this.transactionManager.executeInTransaction(operation);
+    } catch (error) {
+      if (error instanceof TransactionError && error.originalError) {
+        throw error.originalError;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 使用非事务连接执行只读查询
+   * @param {Function} operation - 操作函数 (connection) => Promise
+   * @returns {Promise<any>} 查询结果
+   */
+  async withConnection(operation) {
+    const connection = await connectionPoolManager.getConnection(DB_POOL_ID);
+    try {
+      return await operation(connection);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 发布分销消息，事务已提交，发布失败只记录日志
+   * @param {string} topic - 消息主题
+   * @param {Object} payload - 消息内容
+   * @returns {Promise<void>}
+   */
+  async publish(topic, payload) {
+    try {
+      await this.getCacheManager().publish(topic, { ...payload, timestamp: new Date().toISOString() });
+    } catch (error) {
+      this.getLogger().error('发布分销消息失败', { topic, error: error.message });
+    }
+  }
+
+  /**
+   * 获取分销设置
+   * @returns {Promise<Object>} { enabled, levels, level1Rate, level2Rate, freezeDays }
+   */
+  async getSettings() {
+    try {
+      const row = await this.withConnection(connection => distributionRepository.getSettings(connection));
+      return formatSettings(row);
+    } catch (error) {
+      this.getLogger().error('获取分销设置失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 保存分销设置，对之后支付的订单生效
+   * @param {Object} params - { enabled, levels, level1Rate, level2Rate, freezeDays }，未传的项保持不变
+   * @param {Object} operator - 操作人 { id }
+   * @returns {Promise<Object>} 分销设置
+   */
+  async saveSettings(params, operator) {
+    try {
+      const current = await this.getSettings();
+      const settings = {
+        enabled: params.enabled !== undefined ? Boolean(params.enabled) : current.enabled,
+        levels: params.levels !== undefined ? Number(params.levels) : current.levels,
+        level1Rate: params.level1Rate !== undefined ? parseRate(params.level1Rate, '一级佣金比例') : current.level1Rate,
+        level2Rate: params.level2Rate !== undefined ? parseRate(params.level2Rate, '二级佣金比例') : current.level2Rate,
+        freezeDays: params.freezeDays !== undefined ? Number(params.freezeDays) : current.freezeDays
+      };
+      if (![1, 2].includes(settings.levels)) {
+        throw new ValidationError('分销层级只能为 1 或 2');
+      }
+      if (!Number.isInteger(settings.freezeDays) || settings.freezeDays < 0 || settings.freezeDays > 90) {
+        throw new ValidationError('佣金冻结天数须为 0 到 90 的整数');
+      }
+      if (settings.level1Rate + (settings.levels === 2 ? settings.level2Rate : 0) >= 1) {
+        throw new ValidationError('各级佣金比例之和须小于 1');
+      }
+
+      await this.withConnection(connection => distributionRepository.saveSettings(connection, settings, operator.id));
+
+      this.getLogger().info('分销设置已更新', { ...settings, operatorId: operator.id });
+      return this.getSettings();
+    } catch (error) {
+      this.getLogger().error('保存分销设置失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 申请成为分销员，被驳回的可重新提交
+   * @param {string} userId - 用户ID
+   * @param {Object} params - { realName, phone, qqAccount, idCard, bankName, bankAccount, bankBranch, remark }
+   * @returns {Promise<Object>} 分销员
+   */
+  async apply(userId, params) {
+    try {
+      const settings = await this.getSettings();
+      if (!settings.enabled) {
+        throw new AppError(409, '分销功能未开启', 409);
+      }
+      for (const [field, label] of [
+        ['realName', '真实姓名'], ['phone', '手机号'], ['idCard', '身份证号'], ['bankName', '开户名称'], ['bankAccount', '银行账号']
+      ]) {
+        if (!params[field]) {
+          throw new ValidationError(`请填写${label}`);
+        }
+      }
+
+      const distributorId = await this.runInTransaction(async (connection) => {
+        const existing = await distributionRepository.getDistributorByUser(connection, userId, { forUpdate: true });
+        if (!existing) {
+          return distributionRepository.createApplication(connection, { ...params, userId });
+        }
+        if (existing.status !== DISTRIBUTOR_STATUS.REJECTED) {
+          throw new AppError(409, existing.status === DISTRIBUTOR_STATUS.PENDING ? '申请正在审核中' : '您已是分销员', 409);
+        }
+        await distributionRepository.resubmitApplication(connection, existing.id, params);
+        return existing.id;
+      });
+
+      this.getLogger().info('分销员申请已提交', { userId, distributorId });
+      return this.getDistributor(distributorId);
+    } catch (error) {
+      this.getLogger().error('申请分销员失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取分销员详情
+   * @param {number} distributorId - 分销员ID
+   * @returns {Promise<Object>} 分销员
+   */
+  async getDistributor(distributorId) {
+    try {
+      const row = await this.withConnection(connection => distributionRepository.getDistributorById(connection, distributorId));
+      if (!row) {
+        throw new NotFoundError('分销员不存在');
+      }
+      return formatDistributor(row);
+    } catch (error) {
+      this.getLogger().error('获取分销员失败', { distributorId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取买家自己的分销员信息（含推广链接和上级）
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} { distributor, shareLink, binding }
+   */
+  async getMyProfile(userId) {
+    try {
+      const { distributor, binding } = await this.withConnection(async (connection) => ({
+        distributor: await distributionRepository.getDistributorByUser(connection, userId),
+        binding: await distributionRepository.getBinding(connection, userId)
+      }));
+      const active = distributor && distributor.status === DISTRIBUTOR_STATUS.PASSED;
+
+      return {
+        distributor: distributor ? formatDistributor(distributor) : null,
+        shareCode: active ? distributor.share_code : null,
+        shareLink: active ? this.buildShareLink(distributor.share_code) : null,
+        binding: binding ? { distributorUserId: String(binding.distributor_user_id), boundAt: binding.bound_at } : null
+      };
+    } catch (error) {
+      this.getLogger().error('获取分销员信息失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 生成推广链接，商品页链接带上商品ID
+   * @param {string} shareCode - 推广码
+   * @param {string} [productId] - 商品ID
+   * @returns {string} 推广链接
+   */
+  buildShareLink(shareCode, productId) {
+    const path = productId ? `/product/${encodeURIComponent(productId)}` : '/';
+    return `${SHARE_BASE_URL.replace(/\/$/, '')}${path}?ref=${encodeURIComponent(shareCode)}`;
+  }
+
+  /**
+   * 获取分销员的推广链接
+   * @param {string} userId - 分销员用户ID
+   * @param {string} [productId] - 商品ID
+   * @returns {Promise<Object>} { shareCode, shareLink }
+   */
+  async getShareLink(userId, productId) {
+    try {
+      const distributor = await this.withConnection(connection => distributionRepository.getDistributorByUser(connection, userId));
+      if (!distributor || distributor.status !== DISTRIBUTOR_STATUS.PASSED) {
+        throw new AppError(403, '您还不是分销员', 403);
+      }
+      return { shareCode: distributor.share_code, shareLink: this.buildShareLink(distributor.share_code, productId) };
+    } catch (error) {
+      this.getLogger().error('获取推广链接失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 买家通过推广码绑定上级分销员，绑定后不再变更
+   * 不能绑定自己，也不能绑定自己推广的下级（避免形成环）
+   * @param {string} userId - 买家用户ID
+   * @param {string} shareCode - 推广码
+   * @returns {Promise<Object>} { bound, distributorUserId }
+   */
+  async bind(userId, shareCode) {
+    try {
+      const code = String(shareCode || '').trim().toUpperCase();
+      if (!code) {
+        throw new ValidationError('请填写推广码');
+      }
+
+      const result = await this.withConnection(async (connection) => {
+        const settings = formatSettings(await distributionRepository.getSettings(connection));
+        if (!settings.enabled) {
+          throw new AppError(409, '分销功能未开启', 409);
+        }
+
+        const existing = await distributionRepository.getBinding(connection, userId);
+        if (existing) {
+          return { bound: false, distributorUserId: String(existing.distributor_user_id) };
+        }
+
+        const distributor = await distributionRepository.getDistributorByCode(connection, code);
+        if (!distributor || distributor.status !== DISTRIBUTOR_STATUS.PASSED) {
+          throw new NotFoundError('推广码无效');
+        }
+        if (String(distributor.user_id) === String(userId)) {
+          throw new ValidationError('不能绑定自己的推广码');
+        }
+
+        const visited = new Set([String(distributor.user_id)]);
+        let parent = await distributionRepository.getBinding(connection, distributor.user_id);
+        while (parent && !visited.has(String(parent.distributor_user_id))) {
+          if (String(parent.distributor_user_id) === String(userId)) {
+            throw new ValidationError('不能绑定自己推广的分销员');
+          }
+          visited.add(String(parent.distributor_user_id));
+          parent = await distributionRepository.getBinding(connection, parent.distributor_user_id);
+        }
+
+        const bound = await distributionRepository.createBinding(connection, {
+          userId,
+          distributorUserId: distributor.user_id,
+          shareCode: code
+        });
+        if (!bound) {
+          const binding = await distributionRepository.getBinding(connection, userId);
+          return { bound: false, distributorUserId: String(binding.distributor_user_id) };
+        }
+        return { bound: true, distributorUserId: String(distributor.user_id) };
+      });
+
+      if (result.bound) {
+        this.getLogger().info('买家已绑定分销员', { userId, distributorUserId: result.distributorUserId });
+        await this.publish('distribution.bound', { userId: String(userId), distributorUserId: result.distributorUserId });
+      }
+      return result;
+    } catch (error) {
+      this.getLogger().error('绑定分销员失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询分销员推广的买家
+   * @param {string} userId - 分销员用户ID
+   * @param {Object} filters - { page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getTeam(userId, filters = {}) {
+    try {
+      const { page, pageSize, offset } = normalizePage(filters);
+      const { rows, total } = await this.withConnection(connection =>
+        distributionRepository.findBindings(connection, userId, offset, pageSize)
+      );
+      return {
+        list: rows.map(row => ({ userId: String(row.user_id), memberName: memberName(row), boundAt: row.bound_at })),
+        total,
+        page,
+        pageSize
+      };
+    } catch (error) {
+      this.getLogger().error('查询推广买家失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询分销员（申请列表传 status=pending）
+   * @param {Object} filters - { status, keyword, startDate, endDate, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getDistributors(filters = {}) {
+    try {
+      const { page, pageSize, offset } = normalizePage(filters);
+      const { rows, total } = await this.withConnection(connection =>
+        distributionRepository.findDistributors(connection, filters, offset, pageSize)
+      );
+      return { list: rows.map(formatDistributor), total, page, pageSize };
+    } catch (error) {
+      this.getLogger().error('查询分销员失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 审核分销员申请，通过时生成推广码
+   * @param {number} distributorId - 分销员ID
+   * @param {Object} operator - 审核人 { id }
+   * @param {Object} review - { approved, remark }
+   * @returns {Promise<Object>} 分销员
+   */
+  async reviewApplication(distributorId, operator, review) {
+    try {
+      if (!review.approved && !review.remark) {
+        throw new ValidationError('请填写驳回原因');
+      }
+
+      const reviewed = await this.withConnection(connection => distributionRepository.reviewApplication(connection, distributorId, {
+        status: review.approved ? DISTRIBUTOR_STATUS.PASSED : DISTRIBUTOR_STATUS.REJECTED,
+        shareCode: review.approved ? buildShareCode(distributorId) : null,
+        reviewerId: operator.id,
+        remark: review.remark
+      }));
+      if (!reviewed) {
+        throw new AppError(409, '申请不存在或已审核', 409);
+      }
+
+      const distributor = await this.getDistributor(distributorId);
+      this.getLogger().info('分销员申请已审核', { distributorId, approved: Boolean(review.approved), operatorId: operator.id });
+      await this.publish(review.approved ? 'distribution.apply_approved' : 'distribution.apply_rejected', {
+        userId: distributor.userId,
+        distributorId,
+        remark: review.remark || null
+      });
+      return distributor;
+    } catch (error) {
+      this.getLogger().error('审核分销员申请失败', { distributorId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 清退或恢复分销员，清退后不再产生新佣金，已产生的佣金照常解冻和提现
+   * @param {number} distributorId - 分销员ID
+   * @param {Object} operator - 操作人 { id }
+   * @param {boolean} retired - true 清退，false 恢复
+   * @returns {Promise<Object>} 分销员
+   */
+  async setRetired(distributorId, operator, retired) {
+    try {
+      const updated = await this.withConnection(connection => distributionRepository.updateStatus(
+        connection,
+        distributorId,
+        retired ? DISTRIBUTOR_STATUS.PASSED : DISTRIBUTOR_STATUS.RETIRED,
+        retired ? DISTRIBUTOR_STATUS.RETIRED : DISTRIBUTOR_STATUS.PASSED
+      ));
+      if (!updated) {
+        throw new AppError(409, retired ? '只能清退已通过的分销员' : '只能恢复已清退的分销员', 409);
+      }
+
+      this.getLogger().info(retired ? '分销员已清退' : '分销员已恢复', { distributorId, operatorId: operator.id });
+      return this.getDistributor(distributorId);
+    } catch (error) {
+      this.getLogger().error('变更分销员状态失败', { distributorId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 修改分销员资料（真实姓名、身份证和收款银行信息）
+   * @param {number} distributorId - 分销员ID
+   * @param {Object} profile - { realName, phone, idCard, bankName, bankAccount, bankBranch }
+   * @param {Object} operator - 操作人 { id }
+   * @returns {Promise<Object>} 分销员
+   */
+  async updateProfile(distributorId, profile, operator) {
+    try {
+      const current = await this.getDistributor(distributorId);
+      const merged = {
+        realName: profile.realName ?? current.realName,
+        phone: profile.phone ?? current.phone,
+        idCard: profile.idCard ?? current.idCard,
+        bankName: profile.bankName ?? current.bankName,
+        bankAccount: profile.bankAccount ?? current.bankAccount,
+        bankBranch: profile.bankBranch ?? current.bankBranch
+      };
+      await this.withConnection(connection => distributionRepository.updateProfile(connection, distributorId, merged));
+
+      this.getLogger().info('分销员资料已修改', { distributorId, operatorId: operator.id });
+      return this.getDistributor(distributorId);
+    } catch (error) {
+      this.getLogger().error('修改分销员资料失败', { distributorId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取佣金规则
+   * @param {string} [targetType] - 规则对象类型（product、category）
+   * @returns {Promise<Array>} 佣金规则
+   */
+  async getRules(targetType) {
+    try {
+      const rows = await this.withConnection(connection => distributionRepository.getRules(connection, targetType));
+      return rows.map(row => ({
+        targetType: row.target_type,
+        targetId: String(row.target_id),
+        categoryName: row.category_name || null,
+        level1Rate: Number(row.level1_rate),
+        level2Rate: Number(row.level2_rate),
+        updatedAt: row.updated_at
+      }));
+    } catch (error) {
+      this.getLogger().error('获取佣金规则失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 设置商品或分类的佣金比例，比例为 0 表示不参与分销；对之后支付的订单生效
+   * @param {Object} params - { targetType, targetId, level1Rate, level2Rate }
+   * @param {Object} operator - 操作人 { id }
+   * @returns {Promise<Object>} 佣金规则
+   */
+  async saveRule(params, operator) {
+    try {
+      if (!Object.values(RULE_TARGET).includes(params.targetType)) {
+        throw new ValidationError('无效的规则对象类型');
+      }
+      if (!params.targetId) {
+        throw new ValidationError('请指定商品或分类');
+      }
+      const rule = {
+        targetType: params.targetType,
+        targetId: String(params.targetId),
+        level1Rate: parseRate(params.level1Rate, '一级佣金比例'),
+        level2Rate: parseRate(params.level2Rate ?? 0, '二级佣金比例')
+      };
+      if (rule.level1Rate + rule.level2Rate >= 1) {
+        throw new ValidationError('各级佣金比例之和须小于 1');
+      }
+
+      await this.withConnection(connection => distributionRepository.saveRule(connection, rule, operator.id));
+
+      this.getLogger().info('佣金规则已更新', { ...rule, operatorId: operator.id });
+      return rule;
+    } catch (error) {
+      this.getLogger().error('设置佣金规则失败', { targetType: params.targetType, targetId: params.targetId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除佣金规则，恢复使用上级分类或平台默认比例
+   * @param {string} targetType - 规则对象类型
+   * @param {string} targetId - 商品或分类ID
+   * @returns {Promise<void>}
+   */
+  async deleteRule(targetType, targetId) {
+    try {
+      const deleted = await this.withConnection(connection => distributionRepository.deleteRule(connection, targetType, targetId));
+      if (!deleted) {
+        throw new NotFoundError('佣金规则不存在');
+      }
+    } catch (error) {
+      this.getLogger().error('删除佣金规则失败', { targetType, targetId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 加载佣金比例查询函数：商品规则优先，其次为商品分类及最近上级分类的规则，都未配置时使用分销设置的比例
+   * @param {Object} connection - 数据库连接
+   * @param {Object} settings - 分销设置
+   * @param {Array} productIds - 商品ID列表
+   * @returns {Promise<Function>} (productId, categoryId) => { level1Rate, level2Rate }
+   */
+  async loadRateResolver(connection, settings, productIds) {
+    const [productRows, categoryRows, parentRows] = await Promise.all([
+      distributionRepository.getProductRules(connection, productIds),
+      distributionRepository.getRules(connection, RULE_TARGET.CATEGORY),
+      distributionRepository.getCategoryParents(connection)
+    ]);
+    const toRates = row => ({ level1Rate: Number(row.level1_rate), level2Rate: Number(row.level2_rate) });
+    const productRates = new Map(productRows.map(row => [String(row.target_id), toRates(row)]));
+    const categoryRates = new Map(categoryRows.map(row => [String(row.target_id), toRates(row)]));
+    const parents = new Map(parentRows.map(row => [String(row.id), row.parent_id ? String(row.parent_id) : null]));
+    const defaults = { level1Rate: settings.level1Rate, level2Rate: settings.level2Rate };
+
+    return (productId, categoryId) => {
+      if (productRates.has(String(productId))) {
+        return productRates.get(String(productId));
+      }
+      const visited = new Set();
+      let current = categoryId === null || categoryId === undefined ? null : String(categoryId);
+      while (current && !visited.has(current)) {
+        if (categoryRates.has(current)) {
+          return categoryRates.get(current);
+        }
+        visited.add(current);
+        current = parents.get(current) || null;
+      }
+      return defaults;
+    };
+  }
+
+  /**
+   * 分页查询分销商品及一级佣金
+   * @param {Object} filters - { keyword, categoryId, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getProducts(filters = {}) {
+    try {
+      const { page, pageSize, offset } = normalizePage(filters);
+      const result = await this.withConnection(async (connection) => {
+        const settings = formatSettings(await distributionRepository.getSettings(connection));
+        const { rows, total } = await distributionRepository.findProducts(connection, filters, offset, pageSize);
+        const resolve = await this.loadRateResolver(connection, settings, rows.map(row => row.id));
+        const productRuleIds = new Set(
+          (await distributionRepository.getProductRules(connection, rows.map(row => row.id))).map(row => String(row.target_id))
+        );
+        return { settings, rows, total, resolve, productRuleIds };
+      });
+
+      return {
+        list: result.rows.map((row) => {
+          const rates = result.resolve(row.id, row.category_id);
+          return {
+            productId: String(row.id),
+            productName: row.name,
+            image: firstImage(row.images),
+            price: Number(row.price),
+            stock: Number(row.stock_quantity),
+            addTime: row.created_at,
+            distributing: result.settings.enabled && rates.level1Rate > 0,
+            customRule: result.productRuleIds.has(String(row.id)),
+            level1Rate: rates.level1Rate,
+            level2Rate: result.settings.levels === 2 ? rates.level2Rate : 0,
+            commission: toYuan(Math.floor(toCents(row.price) * rates.level1Rate))
+          };
+        }),
+        total: result.total,
+        page,
+        pageSize
+      };
+    } catch (error) {
+      this.getLogger().error('查询分销商品失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 订单支付后为一级、二级分销员生成冻结佣金（订单支付消息调用，重复调用不会重复生成）
+   * 一级分销员为买家绑定的上级，二级分销员为一级分销员绑定的上级，已清退的分销员不再获得佣金；
+   * 佣金基数为商品行金额按订单实付金额分摊（不超过商品行金额）
+   * @param {string} orderId - 订单ID
+   * @returns {Promise<Array>} 新生成的佣金 [{ distributorUserId, level, amount }]
+   */
+  async recordOrderCommissions(orderId) {
+    try {
+      const created = await this.runInTransaction(async (connection) => {
+        const settings = formatSettings(await distributionRepository.getSettings(connection));
+        if (!settings.enabled) {
+          return [];
+        }
+        const order = await distributionRepository.getOrder(connection, orderId);
+        if (!order) {
+          throw new NotFoundError('订单不存在');
+        }
+
+        const binding = await distributionRepository.getBinding(connection, order.user_id);
+        if (!binding) {
+          return [];
+        }
+        const chain = [];
+        const level1 = await distributionRepository.getDistributorByUser(connection, binding.distributor_user_id);
+        if (!level1 || level1.status !== DISTRIBUTOR_STATUS.PASSED) {
+          return [];
+        }
+        chain.push({ level: 1, userId: level1.user_id });
+        if (settings.levels === 2) {
+          const parentBinding = await distributionRepository.getBinding(connection, level1.user_id);
+          const level2 = parentBinding
+            ? await distributionRepository.getDistributorByUser(connection, parentBinding.distributor_user_id)
+            : null;
+          if (level2 && level2.status === DISTRIBUTOR_STATUS.PASSED && String(level2.user_id) !== String(order.user_id)) {
+            chain.push({ level: 2, userId: level2.user_id });
+          }
+        }
+
+        const lines = await distributionRepository.getOrderLines(connection, order.id);
+        const resolve = await this.loadRateResolver(connection, settings, lines.map(line => line.product_id));
+        const goodsCents = lines.reduce((sum, line) => sum + toCents(line.price) * Number(line.quantity), 0);
+        const paidCents = toCents(order.payment_amount ?? order.total_amount);
+        const ratio = goodsCents > 0 ? Math.min(paidCents / goodsCents, 1) : 0;
+
+        const commissions = [];
+        for (const line of lines) {
+          const baseCents = Math.floor(toCents(line.price) * Number(line.quantity) * ratio);
+          const rates = resolve(line.product_id, line.category_id);
+          for (const member of chain) {
+            const rate = member.level === 1 ? rates.level1Rate : rates.level2Rate;
+            const amountCents = Math.floor(baseCents * rate);
+            if (amountCents > 0) {
+              commissions.push({ member, line, baseCents, rate, amountCents });
+            }
+          }
+        }
+
+        // 按用户ID顺序锁定分销员，避免并发订单互相等待
+        const userIds = [...new Set(commissions.map(item => String(item.member.userId)))].sort();
+        for (const userId of userIds) {
+          await distributionRepository.getDistributorByUser(connection, userId, { forUpdate: true });
+        }
+
+        const result = [];
+        for (const item of commissions) {
+          const inserted = await distributionRepository.createCommission(connection, {
+            orderId: order.id,
+            orderNo: order.order_no,
+            sellerId: order.seller_id,
+            buyerId: order.user_id,
+            distributorUserId: item.member.userId,
+            level: item.member.level,
+            productId: item.line.product_id,
+            baseAmount: toYuan(item.baseCents),
+            rate: item.rate,
+            amount: toYuan(item.amountCents)
+          });
+          if (inserted) {
+            await distributionRepository.adjustCommission(connection, item.member.userId, {
+              total: toYuan(item.amountCents),
+              frozen: toYuan(item.amountCents)
+            });
+            result.push({ distributorUserId: String(item.member.userId), level: item.member.level, amount: toYuan(item.amountCents) });
+          }
+        }
+        return result;
+      });
+
+      if (created.length > 0) {
+        this.getLogger().info('分销佣金已生成', { orderId, commissions: created });
+        await this.publish('distribution.commission_created', { orderId: String(orderId), commissions: created });
+      }
+      return created;
+    } catch (error) {
+      this.getLogger().error('生成分销佣金失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 订单完成后记录佣金解冻时间（订单完成时间加冻结天数，即售后期结束时间）
+   * @param {string} orderId - 订单ID
+   * @param {Date} [completedAt] - 订单完成时间
+   * @returns {Promise<Date>} 解冻时间
+   */
+  async scheduleUnfreeze(orderId, completedAt = new Date()) {
+    try {
+      const unfreezeAt = await this.withConnection(async (connection) => {
+        const settings = formatSettings(await distributionRepository.getSettings(connection));
+        const at = new Date(completedAt.getTime() + settings.freezeDays * 24 * 60 * 60 * 1000);
+        await distributionRepository.setUnfreezeAt(connection, orderId, at);
+        return at;
+      });
+      return unfreezeAt;
+    } catch (error) {
+      this.getLogger().error('记录佣金解冻时间失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 解冻到期佣金：订单已完成、已过售后期且没有处理中的售后单的冻结佣金转为可提现
+   * @param {Date} [now] - 当前时间
+   * @returns {Promise<Object>} { released, amount }
+   */
+  async unfreezeMatured(now = new Date()) {
+    try {
+      const ids = await this.withConnection(async (connection) => {
+        const settings = formatSettings(await distributionRepository.getSettings(connection));
+        return distributionRepository.findMaturedCommissions(
+          connection, now, settings.freezeDays, AFTER_SALES_CLOSED_STATUSES, UNFREEZE_BATCH_SIZE
+        );
+      });
+
+      let released = 0;
+      let releasedCents = 0;
+      for (const id of ids) {
+        const change = await this.runInTransaction(async (connection) => {
+          const commission = await distributionRepository.getCommission(connection, id);
+          await distributionRepository.getDistributorByUser(connection, commission.distributor_user_id, { forUpdate: true });
+          const locked = await distributionRepository.getCommission(connection, id, { forUpdate: true });
+          if (locked.status !== COMMISSION_STATUS.FROZEN || !(await distributionRepository.markAvailable(connection, id))) {
+            return null;
+          }
+          const netCents = toCents(locked.amount) - toCents(locked.reversed_amount);
+          await distributionRepository.adjustCommission(connection, locked.distributor_user_id, {
+            frozen: -toYuan(netCents),
+            available: toYuan(netCents)
+          });
+          return { userId: String(locked.distributor_user_id), orderId: String(locked.order_id), amount: toYuan(netCents) };
+        });
+        if (change) {
+          released++;
+          releasedCents += toCents(change.amount);
+          await this.publish('distribution.commission_settled', change);
+        }
+      }
+
+      return { released, amount: toYuan(releasedCents) };
+    } catch (error) {
+      this.getLogger().error('解冻分销佣金失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 售后退款后按退款比例冲减订单佣金，同一退款只冲减一次
+   * 冻结中的佣金直接冲减；已解冻的佣金从可提现佣金中扣回，可提现佣金不足时记为负数，从之后的佣金中抵扣
+   * @param {string} orderId - 订单ID
+   * @param {Object} options - { refundId, ratio }
+   * @returns {Promise<Array>} 冲减明细 [{ distributorUserId, level, amount }]
+   */
+  async reverseForRefund(orderId, options = {}) {
+    try {
+      const { refundId, ratio = 1 } = options;
+      if (!refundId) {
+        throw new ValidationError('缺少退款单号');
+      }
+
+      const reversed = await this.runInTransaction(async (connection) => {
+        const commissions = await distributionRepository.getCommissionsByOrder(connection, orderId);
+        if (commissions.length === 0) {
+          return [];
+        }
+        const userIds = [...new Set(commissions.map(item => String(item.distributor_user_id)))].sort();
+        for (const userId of userIds) {
+          await distributionRepository.getDistributorByUser(connection, userId, { forUpdate: true });
+        }
+
+        const result = [];
+        for (const commission of await distributionRepository.getCommissionsByOrder(connection, orderId, { forUpdate: true })) {
+          if (commission.status === COMMISSION_STATUS.REVERSED) {
+            continue;
+          }
+          const remainingCents = toCents(commission.amount) - toCents(commission.reversed_amount);
+          const cents = Math.min(Math.round(toCents(commission.amount) * Math.min(Number(ratio), 1)), remainingCents);
+          if (cents <= 0) {
+            continue;
+          }
+          const first = await distributionRepository.createReversal(connection, {
+            commissionId: commission.id,
+            refundId: String(refundId),
+            amount: toYuan(cents)
+          });
+          if (!first) {
+            continue;
+          }
+
+          await distributionRepository.applyReversal(connection, commission.id, toYuan(cents));
+          await distributionRepository.adjustCommission(connection, commission.distributor_user_id, {
+            total: -toYuan(cents),
+            [commission.status === COMMISSION_STATUS.FROZEN ? 'frozen' : 'available']: -toYuan(cents)
+          });
+          result.push({ distributorUserId: String(commission.distributor_user_id), level: Number(commission.level), amount: toYuan(cents) });
+        }
+        return result;
+      });
+
+      if (reversed.length > 0) {
+        this.getLogger().info('分销佣金已冲减', { orderId, refundId, reversed });
+        await this.publish('distribution.commission_reversed', { orderId: String(orderId), refundId: String(refundId), reversed });
+      }
+      return reversed;
+    } catch (error) {
+      this.getLogger().error('冲减分销佣金失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询分销佣金（分销订单）
+   * @param {Object} filters - { distributorUserId, keyword, orderNo, shopName, status, level, startDate, endDate, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getCommissions(filters = {}) {
+    try {
+      const { page, pageSize, offset } = normalizePage(filters);
+      const { rows, total } = await this.withConnection(connection =>
+        distributionRepository.findCommissions(connection, filters, offset, pageSize)
+      );
+      return { list: rows.map(formatCommission), total, page, pageSize };
+    } catch (error) {
+      this.getLogger().error('查询分销佣金失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 申请佣金提现，提现金额从可提现佣金转入提现中，收款信息取分销员资料
+   * @param {string} userId - 分销员用户ID
+   * @param {Object} params - { amount（元） }
+   * @returns {Promise<Object>} 提现申请
+   */
+  async requestWithdrawal(userId, params) {
+    try {
+      const cents = toCents(params.amount);
+      if (!(cents >= toCents(WITHDRAW_MIN_AMOUNT))) {
+        throw new ValidationError(`提现金额不能低于 ${WITHDRAW_MIN_AMOUNT} 元`);
+      }
+
+      const withdrawNo = generateWithdrawNo();
+      await this.runInTransaction(async (connection) => {
+        const distributor = await distributionRepository.getDistributorByUser(connection, userId, { forUpdate: true });
+        if (!distributor || ![DISTRIBUTOR_STATUS.PASSED, DISTRIBUTOR_STATUS.RETIRED].includes(distributor.status)) {
+          throw new AppError(403, '您还不是分销员', 403);
+        }
+        if (toCents(distributor.available_commission) < cents) {
+          throw new AppError(409, '可提现佣金不足', 409);
+        }
+
+        await distributionRepository.adjustCommission(connection, userId, { available: -toYuan(cents), withdrawing: toYuan(cents) });
+        await distributionRepository.createWithdrawal(connection, {
+          withdrawNo,
+          userId,
+          amount: toYuan(cents),
+          realName: distributor.real_name,
+          idCard: distributor.id_card,
+          bankName: distributor.bank_name,
+          bankAccount: distributor.bank_account,
+          bankBranch: distributor.bank_branch
+        });
+      });
+
+      this.getLogger().info('佣金提现申请已提交', { userId, withdrawNo, amount: toYuan(cents) });
+      return this.getWithdrawal(withdrawNo);
+    } catch (error) {
+      this.getLogger().error('佣金提现申请失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询佣金提现申请
+   * @param {Object} filters - { distributorUserId, keyword, withdrawNo, status, startDate, endDate, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getWithdrawals(filters = {}) {
+    try {
+      const { page, pageSize, offset } = normalizePage(filters);
+      const { rows, total } = await this.withConnection(connection =>
+        distributionRepository.findWithdrawals(connection, filters, offset, pageSize)
+      );
+      return { list: rows.map(formatWithdrawal), total, page, pageSize };
+    } catch (error) {
+      this.getLogger().error('查询佣金提现申请失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取佣金提现申请详情
+   * @param {string} withdrawNo - 申请编号
+   * @returns {Promise<Object>} 提现申请
+   */
+  async getWithdrawal(withdrawNo) {
+    try {
+      const withdrawal = await this.withConnection(connection => distributionRepository.getWithdrawalByNo(connection, withdrawNo));
+      if (!withdrawal) {
+        throw new NotFoundError('提现申请不存在');
+      }
+      return formatWithdrawal(withdrawal);
+    } catch (error) {
+      this.getLogger().error('获取佣金提现申请失败', { withdrawNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 审核佣金提现申请：通过时登记线下打款流水号，驳回时提现金额退回可提现佣金
+   * @param {string} withdrawNo - 申请编号
+   * @param {Object} operator - 审核人 { id }
+   * @param {Object} review - { approved, remark, payoutReference }
+   * @returns {Promise<Object>} 提现申请
+   */
+  async reviewWithdrawal(withdrawNo, operator, review) {
+    try {
+      if (!review.approved && !review.remark) {
+        throw new ValidationError('请填写驳回原因');
+      }
+
+      const withdrawal = await this.runInTransaction(async (connection) => {
+        const pending = await distributionRepository.getWithdrawalByNo(connection, withdrawNo);
+        if (!pending) {
+          throw new NotFoundError('提现申请不存在');
+        }
+        await distributionRepository.getDistributorByUser(connection, pending.distributor_user_id, { forUpdate: true });
+        const locked = await distributionRepository.getWithdrawalByNo(connection, withdrawNo, { forUpdate: true });
+        if (locked.status !== WITHDRAW_STATUS.PENDING) {
+          throw new AppError(409, '提现申请已审核', 409);
+        }
+
+        const amount = Number(locked.amount);
+        await distributionRepository.adjustCommission(connection, locked.distributor_user_id, review.approved
+          ? { withdrawing: -amount, withdrawn: amount }
+          : { withdrawing: -amount, available: amount });
+        await distributionRepository.reviewWithdrawal(connection, locked.id, {
+          status: review.approved ? WITHDRAW_STATUS.APPROVED : WITHDRAW_STATUS.REJECTED,
+          reviewerId: operator.id,
+          remark: review.remark,
+          payoutReference: review.payoutReference
+        });
+        return locked;
+      });
+
+      this.getLogger().info('佣金提现申请已审核', { withdrawNo, approved: Boolean(review.approved), operatorId: operator.id });
+      await this.publish(review.approved ? 'distribution.withdraw_approved' : 'distribution.withdraw_rejected', {
+        userId: String(withdrawal.distributor_user_id),
+        withdrawNo,
+        amount: Number(withdrawal.amount),
+        remark: review.remark || null
+      });
+      return this.getWithdrawal(withdrawNo);
+    } catch (error) {
+      this.getLogger().error('审核佣金提现申请失败', { withdrawNo, error: error.message });
+      throw error;
+    }
+  }
+}
+
+// 导出单例实例
+const distributionService = new DistributionService();
+module.exports = distributionService;
+module.exports.DISTRIBUTOR_STATUS = DISTRIBUTOR_STATUS;
+module.exports.COMMISSION_STATUS = COMMISSION_STATUS;
+module.exports.WITHDRAW_STATUS = WITHDRAW_STATUS;
+module.exports.RULE_TARGET = RULE_TARGET;
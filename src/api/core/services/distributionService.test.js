@@ -0,0 +1,174 @@
+/**
+ * 分销服务测试
+ */
+
+const mockCacheManager = { publish: jest.fn() };
+const mockLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+jest.mock('@core/di/container', () => ({
+  resolve: name => (name === 'cacheManager' ? mockCacheManager : mockLogger)
+}), { virtual: true });
+jest.mock('../data-access/database/TransactionManager', () => ({
+  TransactionManager: jest.fn().mockImplementation(() => ({
+    executeInTransaction: jest.fn()
+  }))
+}));
+jest.mock('../data-access/database/ConnectionPoolManager', () => ({
+  connectionPoolManager: { getConnection: jest.fn() }
+}));
+jest.mock('../repositories/distributionRepository', () => ({
+  getSettings: jest.fn(),
+  getBinding: jest.fn(),
+  createBinding: jest.fn(),
+  getDistributorByCode: jest.fn(),
+  getDistributorByUser: jest.fn(),
+  getOrder: jest.fn(),
+  getOrderLines: jest.fn(),
+  getProductRules: jest.fn(),
+  getRules: jest.fn(),
+  getCategoryParents: jest.fn(),
+  createCommission: jest.fn(),
+  adjustCommission: jest.fn(),
+  getCommissionsByOrder: jest.fn(),
+  createReversal: jest.fn(),
+  applyReversal: jest.fn()
+}));
+
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const distributionRepository = require('../repositories/distributionRepository');
+const distributionService = require('./distributionService');
+
+const { DISTRIBUTOR_STATUS, COMMISSION_STATUS } = distributionService;
+
+const connection = { query: jest.fn(), release: jest.fn() };
+
+// 二级分销：一级 10%、二级 5%
+const SETTINGS = { enabled: 1, levels: 2, level1_rate: 0.1, level2_rate: 0.05, freeze_days: 7 };
+
+// 买家 b1 绑定分销员 d1，d1 绑定分销员 d2
+const BINDINGS = { b1: 'd1', d1: 'd2' };
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  distributionService.transactionManager.executeInTransaction.mockImplementation(operation => operation(connection, {}));
+  connectionPoolManager.getConnection.mockResolvedValue(connection);
+  distributionRepository.getSettings.mockResolvedValue(SETTINGS);
+  distributionRepository.getBinding.mockImplementation(async (conn, userId) => (
+    BINDINGS[userId] ? { user_id: userId, distributor_user_id: BINDINGS[userId] } : null
+  ));
+  distributionRepository.getDistributorByUser.mockImplementation(async (conn, userId) => ({
+    user_id: userId, status: DISTRIBUTOR_STATUS.PASSED
+  }));
+  distributionRepository.getProductRules.mockResolvedValue([]);
+  distributionRepository.getRules.mockResolvedValue([]);
+  distributionRepository.getCategoryParents.mockResolvedValue([]);
+  distributionRepository.createCommission.mockResolvedValue(true);
+});
+
+describe('bind', () => {
+  test('绑定推广码对应的分销员', async () => {
+    distributionRepository.getDistributorByCode.mockResolvedValue({ user_id: 'd1', status: DISTRIBUTOR_STATUS.PASSED });
+    distributionRepository.createBinding.mockResolvedValue(true);
+
+    const result = await distributionService.bind('b2', ' d00001 ');
+
+    expect(distributionRepository.getDistributorByCode).toHaveBeenCalledWith(connection, 'D00001');
+    expect(result).toEqual({ bound: true, distributorUserId: 'd1' });
+    expect(mockCacheManager.publish).toHaveBeenCalledWith('distribution.bound', expect.objectContaining({ userId: 'b2' }));
+  });
+
+  test('已绑定分销员的买家不重复绑定', async () => {
+    const result = await distributionService.bind('b1', 'D00002');
+
+    expect(result).toEqual({ bound: false, distributorUserId: 'd1' });
+    expect(distributionRepository.createBinding).not.toHaveBeenCalled();
+  });
+
+  test('不能绑定自己推广的分销员', async () => {
+    distributionRepository.getDistributorByCode.mockResolvedValue({ user_id: 'd1', status: DISTRIBUTOR_STATUS.PASSED });
+
+    await expect(distributionService.bind('d2', 'D00001')).rejects.toThrow('不能绑定自己推广的分销员');
+    expect(distributionRepository.createBinding).not.toHaveBeenCalled();
+  });
+});
+
+describe('loadRateResolver', () => {
+  test('商品规则优先，其次沿用最近上级分类的规则，都未配置时使用分销设置', async () => {
+    distributionRepository.getProductRules.mockResolvedValue([{ target_id: 1, level1_rate: 0.2, level2_rate: 0.1 }]);
+    distributionRepository.getRules.mockResolvedValue([{ target_id: 5, level1_rate: 0.15, level2_rate: 0 }]);
+    distributionRepository.getCategoryParents.mockResolvedValue([{ id: 5, parent_id: null }, { id: 6, parent_id: 5 }]);
+
+    const resolve = await distributionService.loadRateResolver(connection, { level1Rate: 0.1, level2Rate: 0.05 }, [1, 2]);
+
+    expect(resolve(1, 6)).toEqual({ level1Rate: 0.2, level2Rate: 0.1 });
+    expect(resolve(2, 6)).toEqual({ level1Rate: 0.15, level2Rate: 0 });
+    expect(resolve(3, null)).toEqual({ level1Rate: 0.1, level2Rate: 0.05 });
+  });
+});
+
+describe('recordOrderCommissions', () => {
+  beforeEach(() => {
+    distributionRepository.getOrder.mockResolvedValue({ id: 1, order_no: 'O1', user_id: 'b1', seller_id: 9, payment_amount: '90.00' });
+    distributionRepository.getOrderLines.mockResolvedValue([{ product_id: 1, category_id: null, price: '50.00', quantity: 2 }]);
+  });
+
+  test('按实付金额分摊佣金基数，为一级和二级分销员生成冻结佣金', async () => {
+    const created = await distributionService.recordOrderCommissions('1');
+
+    // 商品金额 100 元、实付 90 元，佣金基数 90 元
+    expect(created).toEqual([
+      { distributorUserId: 'd1', level: 1, amount: 9 },
+      { distributorUserId: 'd2', level: 2, amount: 4.5 }
+    ]);
+    expect(distributionRepository.adjustCommission).toHaveBeenCalledWith(connection, 'd1', { total: 9, frozen: 9 });
+    expect(mockCacheManager.publish).toHaveBeenCalledWith('distribution.commission_created', expect.objectContaining({ orderId: '1' }));
+  });
+
+  test('一级分销员已清退时不生成佣金', async () => {
+    distributionRepository.getDistributorByUser.mockResolvedValue({ user_id: 'd1', status: DISTRIBUTOR_STATUS.RETIRED });
+
+    await expect(distributionService.recordOrderCommissions('1')).resolves.toEqual([]);
+    expect(distributionRepository.createCommission).not.toHaveBeenCalled();
+  });
+
+  test('佣金已生成时不重复累加', async () => {
+    distributionRepository.createCommission.mockResolvedValue(false);
+
+    await expect(distributionService.recordOrderCommissions('1')).resolves.toEqual([]);
+    expect(distributionRepository.adjustCommission).not.toHaveBeenCalled();
+    expect(mockCacheManager.publish).not.toHaveBeenCalled();
+  });
+});
+
+describe('reverseForRefund', () => {
+  test('按退款比例冲减佣金，冻结中和已解冻的佣金分别扣减', async () => {
+    distributionRepository.getCommissionsByOrder.mockResolvedValue([
+      { id: 1, distributor_user_id: 'd1', level: 1, amount: '9.00', reversed_amount: '0.00', status: COMMISSION_STATUS.FROZEN },
+      { id: 2, distributor_user_id: 'd2', level: 2, amount: '4.50', reversed_amount: '0.00', status: COMMISSION_STATUS.AVAILABLE }
+    ]);
+    distributionRepository.createReversal.mockResolvedValue(true);
+
+    const reversed = await distributionService.reverseForRefund('1', { refundId: 'AS1', ratio: 0.5 });
+
+    expect(reversed).toEqual([
+      { distributorUserId: 'd1', level: 1, amount: 4.5 },
+      { distributorUserId: 'd2', level: 2, amount: 2.25 }
+    ]);
+    expect(distributionRepository.adjustCommission).toHaveBeenCalledWith(connection, 'd1', { total: -4.5, frozen: -4.5 });
+    expect(distributionRepository.adjustCommission).toHaveBeenCalledWith(connection, 'd2', { total: -2.25, available: -2.25 });
+  });
+
+  test('同一退款已冲减时不重复冲减', async () => {
+    distributionRepository.getCommissionsByOrder.mockResolvedValue([
+      { id: 1, distributor_user_id: 'd1', level: 1, amount: '9.00', reversed_amount: '4.50', status: COMMISSION_STATUS.FROZEN }
+    ]);
+    distributionRepository.createReversal.mockResolvedValue(false);
+
+    await expect(distributionService.reverseForRefund('1', { refundId: 'AS1', ratio: 0.5 })).resolves.toEqual([]);
+    expect(distributionRepository.applyReversal).not.toHaveBeenCalled();
+  });
+
+  test('缺少退款单号时报错', async () => {
+    await expect(distributionService.reverseForRefund('1', {})).rejects.toThrow('缺少退款单号');
+  });
+});
@@ -0,0 +1,949 @@
+/**
+ * 秒杀服务
+ * 卖家按商品 SKU 创建秒杀活动，设置秒杀价、活动库存和每人限购。活动开始前库存预热到 Redis，
+ * 抢购时由秒杀库存（Redis Lua 脚本）原子校验活动时间、剩余库存和每人限购并扣减库存，库存不足的请求直接拒绝，不访问数据库；
+ * 抢到的请求生成排队凭证并发送到下单队列，由消息消费者按队列速度异步创建订单，买家轮询凭证获取下单结果。
+ * 下单失败、排队超时以及订单取消或超时关闭时库存归还到 Redis 库存池，可再次被抢购。
+ * 数据库在下单事务中再次校验活动库存和每人限购，Redis 数据丢失时也不会超卖。
+ */
+
+const crypto = require('crypto');
+const di = require('@core/di/container');
+const { TransactionManager } = require('../data-access/database/TransactionManager');
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const { AppError, NotFoundError, ValidationError, TransactionError } = require('../exception/handlers/errorHandler');
+const { redisClient } = require('../cache/redisClient');
+const FlashSaleStock = require('../cache/FlashSaleStock');
+const { RESERVE_RESULT, CONFIRM_RESULT } = require('../cache/FlashSaleStock');
+const messageQueue = require('../messaging/messageQueue');
+const flashSaleRepository = require('../repositories/flashSaleRepository');
+
+// 数据库连接池ID
+const DB_POOL_ID = process.env.DB_POOL_ID || 'default';
+
+// 活动开始前预热库存的时间（分钟）
+const PRELOAD_MINUTES = parseInt(process.env.FLASH_SALE_PRELOAD_MINUTES || '10', 10);
+
+// 抢购请求排队超时时间（分钟），超时未下单的请求记为失败并归还库存
+const QUEUE_TIMEOUT_MINUTES = parseInt(process.env.FLASH_SALE_QUEUE_TIMEOUT_MINUTES || '10', 10);
+
+// 单个进程同时处理的抢购请求上限，超过时直接拒绝
+const MAX_CONCURRENT = parseInt(process.env.FLASH_SALE_MAX_CONCURRENT || '2000', 10);
+
+// 异步下单队列
+const ORDER_QUEUE = 'flash_sale.order.create';
+
+// 已抢光标记和活动缓存的有效期（毫秒）
+const SOLD_OUT_TTL = 1000;
+const SALE_CACHE_TTL = 5000;
+
+// Redis 数据在活动结束后保留的时间（秒），便于查询抢购结果
+const KEY_RETENTION_SECONDS = 24 * 60 * 60;
+
+// 定时任务单次处理的活动和请求数量
+const PRELOAD_BATCH_SIZE = 100;
+const SWEEP_BATCH_SIZE = 500;
+
+// 默认分页大小和上限
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * 秒杀活动状态
+ */
+const SALE_STATUS = {
+  ACTIVE: 'active', // 启用
+  CLOSED: 'closed'  // 已手动结束
+};
+
+/**
+ * 秒杀活动进行状态（由活动状态和活动时间计算）
+ */
+const SALE_STATE = {
+  NOT_STARTED: 'not_started', // 未开始
+  ONGOING: 'ongoing',         // 进行中
+  ENDED: 'ended'              // 已结束
+};
+
+/**
+ * 抢购请求状态（Redis 排队凭证）
+ */
+const REQUEST_STATUS = {
+  QUEUED: 'queued',         // 排队中
+  PROCESSING: 'processing', // 下单中
+  ORDERED: 'ordered',       // 已下单
+  FAILED: 'failed',         // 下单失败或排队超时，库存已归还
+  RELEASED: 'released'      // 订单取消或超时关闭，库存已归还
+};
+
+/**
+ * 秒杀订单状态
+ */
+const ORDER_STATUS = {
+  ORDERED: 'ordered',  // 已下单待支付
+  PAID: 'paid',        // 已支付
+  RELEASED: 'released' // 已取消，库存已归还
+};
+
+/**
+ * 元转分
+ * @param {number|string} amount - 金额（元）
+ * @returns {number} 金额（分）
+ */
+function toCents(amount) {
+  return Math.round(Number(amount || 0) * 100);
+}
+
+/**
+ * 分转元
+ * @param {number} cents - 金额（分）
+ * @returns {number} 金额（元）
+ */
+function toYuan(cents) {
+  return Math.round(cents) / 100;
+}
+
+/**
+ * 生成抢购请求编号
+ * @returns {string} 请求编号
+ */
+function generateRequestNo() {
+  return `FS${Date.now()}${crypto.randomInt(0, 1000000).toString().padStart(6, '0')}`;
+}
+
+/**
+ * 规范化分页参数
+ * @param {Object} filters - { page, pageSize }
+ * @returns {Object} { page, pageSize, offset }
+ */
+function normalizePage(filters = {}) {
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(filters.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page, pageSize, offset: (page - 1) * pageSize };
+}
+
+/**
+ * 解析商品主图
+ * @param {string|Array} images - 商品图片JSON
+ * @returns {string|null} 主图地址
+ */
+function firstImage(images) {
+  try {
+    const list = typeof images === 'string' ? JSON.parse(images) : images;
+    return Array.isArray(list) && list.length > 0 ? list[0] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 计算活动进行状态
+ * @param {Object} row - 活动记录
+ * @param {Date} [now] - 当前时间
+ * @returns {string} 进行状态
+ */
+function resolveState(row, now = new Date()) {
+  if (row.status === SALE_STATUS.CLOSED || new Date(row.end_time) <= now) {
+    return SALE_STATE.ENDED;
+  }
+  return new Date(row.start_time) > now ? SALE_STATE.NOT_STARTED : SALE_STATE.ONGOING;
+}
+
+/**
+ * 格式化秒杀活动
+ * @param {Object} row - 活动记录
+ * @param {Object} [stats] - 秒杀订单统计 { status: { orders, quantity } }
+ * @returns {Object} 秒杀活动
+ */
+function formatFlashSale(row, stats) {
+  const sale = {
+    id: row.id,
+    sellerId: String(row.seller_id),
+    shopName: row.shop_name || null,
+    productId: String(row.product_id),
+    skuId: row.sku_id || null,
+    productName: row.product_name || null,
+    productImage: firstImage(row.product_images),
+    name: row.name,
+    originalPrice: Number(row.original_price),
+    flashPrice: Number(row.flash_price),
+    stock: Number(row.stock),
+    soldCount: Number(row.sold_count),
+    limitPerUser: Number(row.limit_per_user),
+    startTime: row.start_time,
+    endTime: row.end_time,
+    status: row.status,
+    state: resolveState(row),
+    preloaded: Boolean(row.preloaded_at),
+    creatorType: row.creator_type,
+    createdAt: row.created_at
+  };
+  if (stats) {
+    const get = status => (stats[status] || { orders: 0, quantity: 0 });
+    sale.stats = {
+      orders: get(ORDER_STATUS.ORDERED).orders + get(ORDER_STATUS.PAID).orders,
+      unpaidQuantity: get(ORDER_STATUS.ORDERED).quantity,
+      paidQuantity: get(ORDER_STATUS.PAID).quantity,
+      releasedQuantity: get(ORDER_STATUS.RELEASED).quantity
+    };
+  }
+  return sale;
+}
+
+class FlashSaleService {
+  constructor() {
+    this.transactionManager = new TransactionManager({
+      getConnection: () => connectionPoolManager.getConnection(DB_POOL_ID)
+    });
+    this.stock = new FlashSaleStock(redisClient);
+    // 本进程的已抢光标记和活动缓存，抢光后在标记有效期内直接拒绝请求
+    this.soldOut = new Map();
+    this.saleCache = new Map();
+    this.inFlight = 0;
+  }
+
+  // 获取logger服务
+  getLogger() {
+    if (!this._logger) {
+      this._logger = di.resolve('logger');
+    }
+    return this._logger;
+  }
+
+  // 获取缓存管理器（用于发布秒杀消息）
+  getCacheManager() {
+    if (!this._cacheManager) {
+      this._cacheManager = di.resolve('cacheManager');
+    }
+    return this._cacheManager;
+  }
+
+  /**
+   * 在秒杀事务中执行操作，事务失败时抛出原始业务错误
+   * @param {Function} operation - 操作函数 (connection, transaction) => Promise
+   * @returns {Promise<any>} 操作结果
+   */
+  async runInTransaction(operation) {
+    try {
+      return await this.transactionManager.executeInTransaction(operation);
+    } catch (error) {
+      if (error instanceof TransactionError && error.originalError) {
+        throw error.originalError;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 使用非事务连接执行只读查询
+   * @param {Function} operation - 操作函数 (connection) => Promise
+   * @returns {Promise<any>} 查询结果
+   */
+  async withConnection(operation) {
+    const connection = await connectionPoolManager.getConnection(DB_POOL_ID);
+    try {
+      return await operation(connection);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 发布秒杀消息，事务已提交，发布失败只记录日志
+   * @param {string} topic - 消息主题
+   * @param {Object} payload - 消息内容
+   * @returns {Promise<void>}
+   */
+  async publish(topic, payload) {
+    try {
+      await this.getCacheManager().publish(topic, { ...payload, timestamp: new Date().toISOString() });
+    } catch (error) {
+      this.getLogger().error('发布秒杀消息失败', { topic, error: error.message });
+    }
+  }
+
+  /**
+   * 校验并规范化活动参数
+   * @param {Object} params - 活动参数
+   * @param {number} originalPrice - 商品原价（元）
+   * @returns {Object} 活动数据
+   */
+  parseFlashSale(params, originalPrice) {
+    const originalCents = toCents(originalPrice);
+    const flashCents = toCents(params.flashPrice);
+    const stock = Number(params.stock);
+    const limitPerUser = params.limitPerUser !== undefined && params.limitPerUser !== null ? Number(params.limitPerUser) : 1;
+    const startTime = new Date(params.startTime);
+    const endTime = new Date(params.endTime);
+
+    if (!(flashCents > 0) || flashCents >= originalCents) {
+      throw new ValidationError('秒杀价须大于 0 且低于商品原价');
+    }
+    if (!Number.isInteger(stock) || stock < 1) {
+      throw new ValidationError('活动库存须为正整数');
+    }
+    if (!Number.isInteger(limitPerUser) || limitPerUser < 1) {
+      throw new ValidationError('每人限购须为正整数');
+    }
+    if (isNaN(startTime.getTime()) || isNaN(endTime.getTime()) || startTime >= endTime) {
+      throw new ValidationError('活动开始时间须早于结束时间');
+    }
+    if (endTime <= new Date()) {
+      throw new ValidationError('活动结束时间须晚于当前时间');
+    }
+
+    return {
+      name: params.name ? String(params.name).trim() : null,
+      originalPrice: toYuan(originalCents),
+      flashPrice: toYuan(flashCents),
+      stock,
+      limitPerUser,
+      startTime,
+      endTime
+    };
+  }
+
+  /**
+   * 获取可管理的活动并加锁，卖家只能管理自己店铺的活动
+   * @param {Object} connection - 事务连接
+   * @param {number} saleId - 活动ID
+   * @param {Object} scope - { sellerId }，平台为空对象
+   * @returns {Promise<Object>} 活动记录
+   */
+  async lockManagedSale(connection, saleId, scope) {
+    const sale = await flashSaleRepository.getFlashSale(connection, saleId, { forUpdate: true });
+    if (!sale || (scope.sellerId && String(sale.seller_id) !== String(scope.sellerId))) {
+      throw new NotFoundError('秒杀活动不存在');
+    }
+    return sale;
+  }
+
+  /**
+   * 创建秒杀活动
+   * @param {Object} params - { productId, skuId, name, flashPrice, stock, limitPerUser, startTime, endTime }
+   * @param {Object} operator - 操作人 { id, type: 'seller' | 'admin' }
+   * @param {Object} [scope] - { sellerId }，卖家只能为自己的商品创建活动
+   * @returns {Promise<Object>} 秒杀活动
+   */
+  async createFlashSale(params, operator, scope = {}) {
+    try {
+      const saleId = await this.runInTransaction(async (connection) => {
+        const product = await flashSaleRepository.getProduct(connection, params.productId, params.skuId);
+        if (!product || (scope.sellerId && String(product.seller_id) !== String(scope.sellerId))) {
+          throw new NotFoundError('商品不存在');
+        }
+        if (!product.is_active) {
+          throw new AppError(409, '商品未上架', 409);
+        }
+        if (params.skuId && !product.sku_id) {
+          throw new NotFoundError('商品规格不存在');
+        }
+
+        const sale = this.parseFlashSale(params, product.sku_id ? product.sku_price : product.price);
+        return flashSaleRepository.createFlashSale(connection, {
+          ...sale,
+          name: sale.name || product.name,
+          sellerId: product.seller_id,
+          productId: product.id,
+          skuId: product.sku_id ? String(product.sku_id) : '',
+          status: SALE_STATUS.ACTIVE,
+          createdBy: operator.id,
+          creatorType: operator.type
+        });
+      });
+
+      this.getLogger().info('秒杀活动已创建', { saleId, productId: params.productId, operatorId: operator.id });
+      return this.getFlashSale(saleId, scope);
+    } catch (error) {
+      this.getLogger().error('创建秒杀活动失败', { productId: params.productId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 修改秒杀活动，只能在活动开始前修改；已预热的活动按新的设置重新预热
+   * @param {number} saleId - 活动ID
+   * @param {Object} params - 活动参数（同创建，商品和规格不可修改）
+   * @param {Object} operator - 操作人
+   * @param {Object} [scope] - { sellerId }
+   * @returns {Promise<Object>} 秒杀活动
+   */
+  async updateFlashSale(saleId, params, operator, scope = {}) {
+    try {
+      const updated = await this.runInTransaction(async (connection) => {
+        const existing = await this.lockManagedSale(connection, saleId, scope);
+        if (resolveState(existing) !== SALE_STATE.NOT_STARTED) {
+          throw new AppError(409, '活动已开始或已结束，不能修改', 409);
+        }
+
+        const sale = this.parseFlashSale(params, existing.original_price);
+        await flashSaleRepository.updateFlashSale(connection, saleId, {
+          ...sale,
+          name: sale.name || existing.name
+        });
+        return { ...existing, ...sale, preloaded_at: null, wasPreloaded: Boolean(existing.preloaded_at) };
+      });
+      this.saleCache.delete(Number(saleId));
+
+      // 已预热的活动立即按新设置覆盖 Redis 库存，失败时由预热任务在开始前重新预热
+      if (updated.wasPreloaded) {
+        try {
+          const row = await this.withConnection(connection => flashSaleRepository.getFlashSale(connection, saleId));
+          await this.preloadSale(row);
+        } catch (error) {
+          this.getLogger().error('重新预热秒杀库存失败', { saleId, error: error.message });
+        }
+      }
+
+      this.getLogger().info('秒杀活动已修改', { saleId, operatorId: operator.id });
+      return this.getFlashSale(saleId, scope);
+    } catch (error) {
+      this.getLogger().error('修改秒杀活动失败', { saleId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 手动结束秒杀活动，不再接受抢购；已排队的请求和已下单的订单继续处理
+   * @param {number} saleId - 活动ID
+   * @param {Object} operator - 操作人
+   * @param {Object} [scope] - { sellerId }
+   * @returns {Promise<Object>} 秒杀活动
+   */
+  async closeFlashSale(saleId, operator, scope = {}) {
+    try {
+      await this.runInTransaction(async (connection) => {
+        const sale = await this.lockManagedSale(connection, saleId, scope);
+        if (sale.status === SALE_STATUS.CLOSED) {
+          return;
+        }
+        await flashSaleRepository.updateFlashSaleStatus(connection, saleId, SALE_STATUS.CLOSED);
+        // Redis 关闭失败时回滚，避免数据库已结束而 Redis 仍在接受抢购
+        if (sale.preloaded_at) {
+          await this.stock.setStatus(saleId, SALE_STATUS.CLOSED);
+        }
+      });
+      this.saleCache.delete(Number(saleId));
+
+      this.getLogger().info('秒杀活动已结束', { saleId, operatorId: operator.id });
+      return this.getFlashSale(saleId, scope);
+    } catch (error) {
+      this.getLogger().error('结束秒杀活动失败', { saleId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 读取 Redis 中的剩余库存，未预热或 Redis 不可用时返回 null
+   * @param {number} saleId - 活动ID
+   * @returns {Promise<number|null>} 剩余库存
+   */
+  async getRemainingStock(saleId) {
+    try {
+      const stock = await this.stock.getStock(saleId);
+      return stock === null ? null : Math.max(stock, 0);
+    } catch (error) {
+      this.getLogger().warn('读取秒杀剩余库存失败', { saleId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 获取秒杀活动详情
+   * @param {number} saleId - 活动ID
+   * @param {Object} [scope] - { sellerId }
+   * @returns {Promise<Object>} 秒杀活动（含剩余库存和秒杀订单统计）
+   */
+  async getFlashSale(saleId, scope = {}) {
+    try {
+      const { row, counts } = await this.withConnection(async (connection) => ({
+        row: await flashSaleRepository.getFlashSale(connection, saleId),
+        counts: await flashSaleRepository.countOrdersByStatus(connection, [saleId])
+      }));
+      if (!row || (scope.sellerId && String(row.seller_id) !== String(scope.sellerId))) {
+        throw new NotFoundError('秒杀活动不存在');
+      }
+      const stats = {};
+      counts.forEach((item) => { stats[item.status] = { orders: Number(item.orders), quantity: Number(item.quantity) }; });
+      return {
+        ...formatFlashSale(row, stats),
+        remainingStock: row.preloaded_at ? await this.getRemainingStock(row.id) : null
+      };
+    } catch (error) {
+      this.getLogger().error('获取秒杀活动失败', { saleId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询秒杀活动
+   * @param {Object} filters - { sellerId, keyword, state, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getFlashSales(filters = {}) {
+    try {
+      const { page, pageSize, offset } = normalizePage(filters);
+      const { rows, total, counts } = await this.withConnection(async (connection) => {
+        const result = await flashSaleRepository.findFlashSales(connection, filters, offset, pageSize);
+        return { ...result, counts: await flashSaleRepository.countOrdersByStatus(connection, result.rows.map(row => row.id)) };
+      });
+
+      const stats = {};
+      counts.forEach((item) => {
+        stats[item.flash_sale_id] = stats[item.flash_sale_id] || {};
+        stats[item.flash_sale_id][item.status] = { orders: Number(item.orders), quantity: Number(item.quantity) };
+      });
+      return { list: rows.map(row => formatFlashSale(row, stats[row.id] || {})), total, page, pageSize };
+    } catch (error) {
+      this.getLogger().error('查询秒杀活动失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 查询进行中和即将开始的秒杀活动（买家端），按开始时间排序
+   * @param {Object} filters - { keyword, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getPublicFlashSales(filters = {}) {
+    const result = await this.getFlashSales({
+      keyword: filters.keyword,
+      states: [SALE_STATE.ONGOING, SALE_STATE.NOT_STARTED],
+      orderByStart: true,
+      page: filters.page,
+      pageSize: filters.pageSize
+    });
+    return {
+      ...result,
+      list: result.list.map(({ stats, creatorType, preloaded, soldCount, ...sale }) => sale)
+    };
+  }
+
+  /**
+   * 获取秒杀活动详情（买家端）
+   * @param {number} saleId - 活动ID
+   * @returns {Promise<Object>} 秒杀活动（含剩余库存）
+   */
+  async getPublicFlashSale(saleId) {
+    const { stats, creatorType, preloaded, soldCount, ...sale } = await this.getFlashSale(saleId);
+    return sale;
+  }
+
+  /**
+   * 获取活动记录（短时缓存，只在库存未预热时访问数据库）
+   * @param {number} saleId - 活动ID
+   * @returns {Promise<Object|null>} 活动记录
+   */
+  async getCachedSale(saleId) {
+    const cached = this.saleCache.get(saleId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.row;
+    }
+    const row = await this.withConnection(connection => flashSaleRepository.getFlashSale(connection, saleId));
+    this.saleCache.set(saleId, { row, expiresAt: Date.now() + SALE_CACHE_TTL });
+    return row;
+  }
+
+  /**
+   * 预热活动库存到 Redis：剩余库存为活动库存减去未释放的秒杀订单件数
+   * 活动开始前覆盖 Redis 中的库存，开始后只在库存不存在（如 Redis 数据丢失）时写入
+   * @param {Object} sale - 活动记录
+   * @returns {Promise<number>} Redis 中的剩余库存
+   */
+  async preloadSale(sale) {
+    const used = await this.withConnection(connection => flashSaleRepository.sumActiveQuantity(connection, sale.id));
+    const startMs = new Date(sale.start_time).getTime();
+    const endMs = new Date(sale.end_time).getTime();
+    const remaining = await this.stock.preload(sale.id, {
+      stock: Math.max(Number(sale.stock) - used, 0),
+      status: sale.status,
+      startMs,
+      endMs,
+      limitPerUser: Number(sale.limit_per_user),
+      expireAt: Math.ceil(endMs / 1000) + KEY_RETENTION_SECONDS,
+      force: Date.now() < startMs
+    });
+    this.soldOut.delete(Number(sale.id));
+
+    this.getLogger().info('秒杀库存已预热', { saleId: sale.id, remaining });
+    return remaining;
+  }
+
+  /**
+   * 抢购：在 Redis 中原子扣减库存并排队，订单由消息消费者异步创建
+   * 已抢光、未开始、已结束或超出限购的请求直接拒绝，不访问数据库
+   * @param {string} userId - 买家用户ID
+   * @param {number} saleId - 活动ID
+   * @param {Object} params - { quantity, shippingAddress, paymentMethod }
+   * @returns {Promise<Object>} { requestNo, flashSaleId, status, remainingStock }
+   */
+  async purchase(userId, saleId, params = {}) {
+    const quantity = params.quantity !== undefined && params.quantity !== null ? Number(params.quantity) : 1;
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new ValidationError('购买数量须为正整数');
+    }
+    const soldOutUntil = this.soldOut.get(saleId);
+    if (soldOutUntil && soldOutUntil > Date.now()) {
+      throw new AppError(409, '商品已抢光', 409);
+    }
+    if (this.inFlight >= MAX_CONCURRENT) {
+      throw new AppError(503, '抢购人数过多，请稍后再试', 503);
+    }
+
+    this.inFlight++;
+    try {
+      const requestNo = generateRequestNo();
+      const reserve = () => this.stock.reserve(saleId, {
+        requestNo,
+        userId: String(userId),
+        quantity,
+        now: Date.now(),
+        ticketTtl: QUEUE_TIMEOUT_MINUTES * 60 + KEY_RETENTION_SECONDS
+      });
+
+      let { code, remaining } = await reserve();
+      if (code === RESERVE_RESULT.NOT_PRELOADED) {
+        // 库存未预热（活动即将开始或 Redis 数据丢失）时预热后重试一次
+        const sale = await this.getCachedSale(saleId);
+        if (!sale) {
+          throw new NotFoundError('秒杀活动不存在');
+        }
+        if (resolveState(sale) === SALE_STATE.ENDED) {
+          throw new AppError(409, '秒杀活动已结束', 409);
+        }
+        await this.preloadSale(sale);
+        ({ code, remaining } = await reserve());
+      }
+
+      if (code === RESERVE_RESULT.SOLD_OUT) {
+        if (remaining <= 0) {
+          this.soldOut.set(saleId, Date.now() + SOLD_OUT_TTL);
+          throw new AppError(409, '商品已抢光', 409);
+        }
+        throw new AppError(409, `剩余库存不足，最多可抢 ${remaining} 件`, 409);
+      }
+      if (code === RESERVE_RESULT.OVER_LIMIT) {
+        throw new AppError(409, '超出每人限购数量', 409);
+      }
+      if (code === RESERVE_RESULT.NOT_STARTED) {
+        throw new AppError(409, '秒杀活动尚未开始', 409);
+      }
+      if (code !== RESERVE_RESULT.OK) {
+        throw new AppError(409, '秒杀活动已结束', 409);
+      }
+
+      const sent = await messageQueue.send(ORDER_QUEUE, {
+        requestNo,
+        flashSaleId: saleId,
+        userId: String(userId),
+        quantity,
+        shippingAddress: params.shippingAddress,
+        paymentMethod: params.paymentMethod || 'online',
+        requestedAt: new Date().toISOString()
+      });
+      if (!sent) {
+        await this.releaseRequest(saleId, requestNo, REQUEST_STATUS.FAILED, '排队失败');
+        throw new AppError(503, '抢购人数过多，请稍后再试', 503);
+      }
+
+      return { requestNo, flashSaleId: saleId, status: REQUEST_STATUS.QUEUED, remainingStock: remaining };
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        this.getLogger().error('秒杀抢购失败', { saleId, userId, error: error.message });
+      }
+      throw error;
+    } finally {
+      this.inFlight--;
+    }
+  }
+
+  /**
+   * 查询抢购结果（买家轮询）
+   * @param {string} userId - 买家用户ID
+   * @param {number} saleId - 活动ID
+   * @param {string} requestNo - 请求编号
+   * @returns {Promise<Object>} { requestNo, flashSaleId, status, quantity, orderId, reason }
+   */
+  async getRequest(userId, saleId, requestNo) {
+    try {
+      const ticket = await this.stock.getTicket(saleId, requestNo);
+      if (ticket) {
+        if (ticket.userId !== String(userId)) {
+          throw new NotFoundError('抢购请求不存在');
+        }
+        return {
+          requestNo,
+          flashSaleId: saleId,
+          status: ticket.status,
+          quantity: Number(ticket.quantity),
+          orderId: ticket.orderId || null,
+          reason: ticket.reason || null
+        };
+      }
+
+      // 凭证已过期时以数据库中的秒杀订单为准
+      const record = await this.withConnection(connection => flashSaleRepository.getOrderRecord(connection, { requestNo }));
+      if (!record || String(record.user_id) !== String(userId) || Number(record.flash_sale_id) !== Number(saleId)) {
+        throw new NotFoundError('抢购请求不存在');
+      }
+      return {
+        requestNo,
+        flashSaleId: saleId,
+        status: record.status === ORDER_STATUS.RELEASED ? REQUEST_STATUS.RELEASED : REQUEST_STATUS.ORDERED,
+        quantity: Number(record.quantity),
+        orderId: record.order_id,
+        reason: null
+      };
+    } catch (error) {
+      this.getLogger().error('查询抢购结果失败', { saleId, requestNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 领取排队凭证开始下单，凭证已失败或已下单时返回 false
+   * @param {number} saleId - 活动ID
+   * @param {string} requestNo - 请求编号
+   * @returns {Promise<boolean>} 是否领取成功
+   */
+  async claimRequest(saleId, requestNo) {
+    return this.stock.claim(saleId, requestNo, Date.now());
+  }
+
+  /**
+   * 记录抢购请求已下单
+   * @param {number} saleId - 活动ID
+   * @param {string} requestNo - 请求编号
+   * @param {string} orderId - 订单ID
+   * @returns {Promise<number>} 结果码，见 CONFIRM_RESULT；凭证已因超时失败且库存已被抢走时为 SOLD_OUT
+   */
+  async confirmRequest(saleId, requestNo, orderId) {
+    return this.stock.confirm(saleId, requestNo, orderId);
+  }
+
+  /**
+   * 结束抢购请求并归还 Redis 库存和限购名额，同一请求只归还一次
+   * @param {number} saleId - 活动ID
+   * @param {string} requestNo - 请求编号
+   * @param {string} status - failed 或 released
+   * @param {string} reason - 原因
+   * @returns {Promise<number>} 归还件数
+   */
+  async releaseRequest(saleId, requestNo, status, reason) {
+    const released = await this.stock.release(saleId, requestNo, { status, reason, now: Date.now() });
+    if (released > 0) {
+      this.soldOut.delete(Number(saleId));
+      this.getLogger().info('秒杀库存已归还', { saleId, requestNo, status, quantity: released });
+    }
+    return released;
+  }
+
+  /**
+   * 按请求编号查询已创建的秒杀订单，用于消息重复投递时避免重复下单
+   * @param {string} requestNo - 请求编号
+   * @returns {Promise<Object|null>} { orderId, status }
+   */
+  async getOrderByRequest(requestNo) {
+    const record = await this.withConnection(connection => flashSaleRepository.getOrderRecord(connection, { requestNo }));
+    return record ? { orderId: record.order_id, status: record.status } : null;
+  }
+
+  /**
+   * 锁定秒杀活动并校验下单，必须在下单事务连接上调用
+   * 在数据库中再次校验活动库存和每人限购，Redis 数据丢失后重新预热也不会超卖
+   * @param {Object} connection - 事务连接
+   * @param {string} userId - 买家用户ID
+   * @param {Object} params - { flashSaleId, quantity }
+   * @returns {Promise<Object>} { flashSaleId, productId, skuId, sellerId, productName, originalPrice, flashPrice }
+   */
+  async lockForOrder(connection, userId, params) {
+    const sale = await flashSaleRepository.getFlashSale(connection, params.flashSaleId, { forUpdate: true });
+    if (!sale) {
+      throw new NotFoundError('秒杀活动不存在');
+    }
+    const used = await flashSaleRepository.sumActiveQuantity(connection, sale.id);
+    if (used + params.quantity > Number(sale.stock)) {
+      throw new AppError(409, '商品已抢光', 409);
+    }
+    const bought = await flashSaleRepository.sumActiveQuantity(connection, sale.id, userId);
+    if (bought + params.quantity > Number(sale.limit_per_user)) {
+      throw new AppError(409, '超出每人限购数量', 409);
+    }
+
+    const product = await flashSaleRepository.getProduct(connection, sale.product_id, sale.sku_id || null);
+    if (!product) {
+      throw new NotFoundError('商品不存在');
+    }
+    return {
+      flashSaleId: sale.id,
+      productId: String(sale.product_id),
+      skuId: sale.sku_id || null,
+      sellerId: String(sale.seller_id),
+      productName: product.name,
+      originalPrice: Number(sale.original_price),
+      flashPrice: Number(sale.flash_price)
+    };
+  }
+
+  /**
+   * 记录秒杀订单，必须与订单创建在同一事务中调用
+   * @param {Object} connection - 事务连接
+   * @param {Object} record - { requestNo, flashSaleId, userId, sellerId, quantity, amount, orderId }
+   * @returns {Promise<void>}
+   */
+  async recordOrder(connection, record) {
+    await flashSaleRepository.createOrderRecord(connection, {
+      ...record,
+      orderId: String(record.orderId),
+      status: ORDER_STATUS.ORDERED
+    });
+  }
+
+  /**
+   * 秒杀订单支付后记为已支付并累加已售数量，非秒杀订单不做处理
+   * @param {string} orderId - 订单ID
+   * @returns {Promise<boolean>} 是否为待支付的秒杀订单
+   */
+  async onOrderPaid(orderId) {
+    try {
+      const paid = await this.runInTransaction(async (connection) => {
+        const record = await flashSaleRepository.getOrderRecord(connection, { orderId: String(orderId) }, { forUpdate: true });
+        if (!record || record.status !== ORDER_STATUS.ORDERED) {
+          return false;
+        }
+        await flashSaleRepository.updateOrderRecordStatus(connection, record.id, ORDER_STATUS.PAID);
+        await flashSaleRepository.incrementSold(connection, record.flash_sale_id, Number(record.quantity));
+        return true;
+      });
+
+      if (paid) {
+        this.getLogger().info('秒杀订单已支付', { orderId });
+      }
+      return paid;
+    } catch (error) {
+      this.getLogger().error('记录秒杀订单支付失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 秒杀订单取消或超时关闭后释放秒杀订单
+   * 传入事务连接时在调用方事务中执行，调用方须在事务提交后调用 restoreStock 归还 Redis 库存；
+   * 否则开启独立事务并在提交后直接归还。非秒杀订单或已释放的订单不做处理
+   * @param {string} orderId - 订单ID
+   * @param {Object} [connection] - 事务连接
+   * @returns {Promise<Object|null>} { flashSaleId, requestNo, quantity }，非秒杀订单返回 null
+   */
+  async releaseOrder(orderId, connection) {
+    const release = async (conn) => {
+      const record = await flashSaleRepository.getOrderRecord(conn, { orderId: String(orderId) }, { forUpdate: true });
+      if (!record || record.status !== ORDER_STATUS.ORDERED) {
+        return null;
+      }
+      await flashSaleRepository.updateOrderRecordStatus(conn, record.id, ORDER_STATUS.RELEASED);
+      return { flashSaleId: Number(record.flash_sale_id), requestNo: record.request_no, quantity: Number(record.quantity) };
+    };
+
+    try {
+      if (connection) {
+        return await release(connection);
+      }
+      const result = await this.runInTransaction(release);
+      if (result) {
+        await this.restoreStock(result);
+      }
+      return result;
+    } catch (error) {
+      this.getLogger().error('释放秒杀订单失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 将已释放秒杀订单的库存归还到 Redis 库存池，归还失败只记录日志
+   * @param {Object|null} release - releaseOrder 的返回值
+   * @returns {Promise<void>}
+   */
+  async restoreStock(release) {
+    if (!release) {
+      return;
+    }
+    try {
+      await this.releaseRequest(release.flashSaleId, release.requestNo, REQUEST_STATUS.RELEASED, '订单已取消');
+    } catch (error) {
+      this.getLogger().error('归还秒杀库存失败', { ...release, error: error.message });
+    }
+  }
+
+  /**
+   * 预热即将开始的活动库存
+   * @param {Date} [now] - 当前时间
+   * @returns {Promise<number>} 预热的活动数量
+   */
+  async preloadUpcoming(now = new Date()) {
+    try {
+      const before = new Date(now.getTime() + PRELOAD_MINUTES * 60 * 1000);
+      const sales = await this.withConnection(connection => flashSaleRepository.findSalesToPreload(connection, before, PRELOAD_BATCH_SIZE));
+
+      let preloaded = 0;
+      for (const sale of sales) {
+        try {
+          await this.preloadSale(sale);
+          await this.withConnection(connection => flashSaleRepository.markPreloaded(connection, sale.id));
+          preloaded++;
+        } catch (error) {
+          this.getLogger().error('预热秒杀库存失败', { saleId: sale.id, error: error.message });
+        }
+      }
+      return preloaded;
+    } catch (error) {
+      this.getLogger().error('预热秒杀库存失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 清理排队超时的抢购请求：已创建订单的记为已下单，否则记为失败并归还库存
+   * @param {Date} [now] - 当前时间
+   * @returns {Promise<Object>} { confirmed, expired }
+   */
+  async sweepRequests(now = new Date()) {
+    try {
+      const sales = await this.withConnection(connection => flashSaleRepository.findPreloadedSales(
+        connection, new Date(now.getTime() - KEY_RETENTION_SECONDS * 1000), PRELOAD_BATCH_SIZE
+      ));
+      const staleBefore = now.getTime() - QUEUE_TIMEOUT_MINUTES * 60 * 1000;
+
+      let confirmed = 0;
+      let expired = 0;
+      for (const sale of sales) {
+        const requestNos = await this.stock.getStaleRequests(sale.id, staleBefore, SWEEP_BATCH_SIZE);
+        for (const requestNo of requestNos) {
+          const order = await this.getOrderByRequest(requestNo);
+          if (order && order.status !== ORDER_STATUS.RELEASED) {
+            await this.confirmRequest(sale.id, requestNo, order.orderId);
+            confirmed++;
+          } else if (order) {
+            await this.releaseRequest(sale.id, requestNo, REQUEST_STATUS.RELEASED, '订单已取消');
+          } else if (await this.releaseRequest(sale.id, requestNo, REQUEST_STATUS.FAILED, '排队超时，请重新抢购') > 0) {
+            expired++;
+          }
+        }
+      }
+      return { confirmed, expired };
+    } catch (error) {
+      this.getLogger().error('清理排队超时的抢购请求失败', { error: error.message });
+      throw error;
+    }
+  }
+}
+
+// 导出单例实例
+const flashSaleService = new FlashSaleService();
+module.exports = flashSaleService;
+module.exports.ORDER_QUEUE = ORDER_QUEUE;
+module.exports.SALE_STATUS = SALE_STATUS;
+module.exports.SALE_STATE = SALE_STATE;
+module.exports.REQUEST_STATUS = REQUEST_STATUS;
+module.exports.ORDER_STATUS = ORDER_STATUS;
+module.exports.CONFIRM_RESULT = CONFIRM_RESULT;
@@ -0,0 +1,161 @@
+/**
+ * 秒杀服务测试
+ */
+
+jest.mock('@core/di/container', () => ({
+  resolve: () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() })
+}), { virtual: true });
+jest.mock('../data-access/database/TransactionManager', () => ({
+  TransactionManager: jest.fn().mockImplementation(() => ({
+    executeInTransaction: jest.fn()
+  }))
+}));
+jest.mock('../data-access/database/ConnectionPoolManager', () => ({
+  connectionPoolManager: { getConnection: jest.fn() }
+}));
+jest.mock('../cache/redisClient', () => ({
+  redisClient: {}
+}));
+jest.mock('../messaging/messageQueue', () => ({
+  send: jest.fn()
+}));
+jest.mock('../repositories/flashSaleRepository', () => ({
+  getFlashSale: jest.fn(),
+  sumActiveQuantity: jest.fn(),
+  getProduct: jest.fn(),
+  getOrderRecord: jest.fn(),
+  updateOrderRecordStatus: jest.fn(),
+  incrementSold: jest.fn()
+}));
+
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const { RESERVE_RESULT } = require('../cache/FlashSaleStock');
+const messageQueue = require('../messaging/messageQueue');
+const flashSaleRepository = require('../repositories/flashSaleRepository');
+const flashSaleService = require('./flashSaleService');
+
+const { ORDER_QUEUE, SALE_STATUS, REQUEST_STATUS, ORDER_STATUS } = flashSaleService;
+
+const connection = { query: jest.fn(), release: jest.fn() };
+const HOUR = 60 * 60 * 1000;
+
+// 进行中的秒杀活动：库存 10 件，每人限购 2 件
+const SALE = {
+  id: 3,
+  product_id: 1,
+  sku_id: null,
+  seller_id: 10,
+  status: SALE_STATUS.ACTIVE,
+  stock: 10,
+  limit_per_user: 2,
+  original_price: '100.00',
+  flash_price: '59.00',
+  start_time: new Date(Date.now() - HOUR),
+  end_time: new Date(Date.now() + HOUR)
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  flashSaleService.transactionManager.executeInTransaction.mockImplementation(operation => operation(connection, {}));
+  connectionPoolManager.getConnection.mockResolvedValue(connection);
+  flashSaleService.stock = {
+    preload: jest.fn(),
+    reserve: jest.fn(),
+    release: jest.fn()
+  };
+  flashSaleService.soldOut.clear();
+  flashSaleService.saleCache.clear();
+  flashSaleService.inFlight = 0;
+  messageQueue.send.mockResolvedValue(true);
+});
+
+describe('purchase', () => {
+  test('扣减Redis库存后将下单请求放入队列', async () => {
+    flashSaleService.stock.reserve.mockResolvedValue({ code: RESERVE_RESULT.OK, remaining: 7 });
+
+    const result = await flashSaleService.purchase('u1', 3, { quantity: 2 });
+
+    expect(flashSaleService.stock.reserve).toHaveBeenCalledWith(3, expect.objectContaining({ userId: 'u1', quantity: 2 }));
+    expect(messageQueue.send).toHaveBeenCalledWith(ORDER_QUEUE, expect.objectContaining({
+      requestNo: result.requestNo, flashSaleId: 3, quantity: 2, paymentMethod: 'online'
+    }));
+    expect(result).toMatchObject({ status: REQUEST_STATUS.QUEUED, remainingStock: 7 });
+  });
+
+  test('库存未预热时预热后重试一次', async () => {
+    flashSaleService.stock.reserve
+      .mockResolvedValueOnce({ code: RESERVE_RESULT.NOT_PRELOADED, remaining: 0 })
+      .mockResolvedValueOnce({ code: RESERVE_RESULT.OK, remaining: 9 });
+    flashSaleRepository.getFlashSale.mockResolvedValue(SALE);
+    flashSaleRepository.sumActiveQuantity.mockResolvedValue(0);
+
+    await flashSaleService.purchase('u1', 3);
+
+    expect(flashSaleService.stock.preload).toHaveBeenCalledWith(3, expect.objectContaining({ stock: 10, limitPerUser: 2, force: false }));
+    expect(flashSaleService.stock.reserve).toHaveBeenCalledTimes(2);
+  });
+
+  test('抢光后在标记有效期内直接拒绝，不访问Redis', async () => {
+    flashSaleService.stock.reserve.mockResolvedValue({ code: RESERVE_RESULT.SOLD_OUT, remaining: 0 });
+
+    await expect(flashSaleService.purchase('u1', 3)).rejects.toThrow('商品已抢光');
+    await expect(flashSaleService.purchase('u2', 3)).rejects.toThrow('商品已抢光');
+
+    expect(flashSaleService.stock.reserve).toHaveBeenCalledTimes(1);
+  });
+
+  test('排队失败时归还库存并返回503', async () => {
+    flashSaleService.stock.reserve.mockResolvedValue({ code: RESERVE_RESULT.OK, remaining: 7 });
+    flashSaleService.stock.release.mockResolvedValue(1);
+    messageQueue.send.mockResolvedValue(false);
+
+    await expect(flashSaleService.purchase('u1', 3)).rejects.toMatchObject({ statusCode: 503 });
+    expect(flashSaleService.stock.release).toHaveBeenCalledWith(3, expect.any(String), expect.objectContaining({
+      status: REQUEST_STATUS.FAILED, reason: '排队失败'
+    }));
+    expect(flashSaleService.inFlight).toBe(0);
+  });
+});
+
+describe('lockForOrder', () => {
+  test('数据库中再次校验每人限购', async () => {
+    flashSaleRepository.getFlashSale.mockResolvedValue(SALE);
+    flashSaleRepository.sumActiveQuantity.mockResolvedValueOnce(5).mockResolvedValueOnce(2);
+
+    await expect(flashSaleService.lockForOrder(connection, 'u1', { flashSaleId: 3, quantity: 1 }))
+      .rejects.toThrow('超出每人限购数量');
+    expect(flashSaleRepository.sumActiveQuantity).toHaveBeenLastCalledWith(connection, 3, 'u1');
+  });
+});
+
+describe('releaseOrder', () => {
+  test('独立事务释放秒杀订单后归还Redis库存', async () => {
+    flashSaleRepository.getOrderRecord.mockResolvedValue({
+      id: 1, flash_sale_id: 3, request_no: 'FS1', quantity: 2, status: ORDER_STATUS.ORDERED
+    });
+    flashSaleService.stock.release.mockResolvedValue(2);
+
+    const result = await flashSaleService.releaseOrder('100');
+
+    expect(result).toEqual({ flashSaleId: 3, requestNo: 'FS1', quantity: 2 });
+    expect(flashSaleRepository.updateOrderRecordStatus).toHaveBeenCalledWith(connection, 1, ORDER_STATUS.RELEASED);
+    expect(flashSaleService.stock.release).toHaveBeenCalledWith(3, 'FS1', expect.objectContaining({ status: REQUEST_STATUS.RELEASED }));
+  });
+
+  test('在调用方事务中释放时由调用方提交后归还库存', async () => {
+    flashSaleRepository.getOrderRecord.mockResolvedValue({
+      id: 1, flash_sale_id: 3, request_no: 'FS1', quantity: 2, status: ORDER_STATUS.ORDERED
+    });
+
+    await flashSaleService.releaseOrder('100', connection);
+
+    expect(flashSaleService.stock.release).not.toHaveBeenCalled();
+  });
+
+  test('已支付的秒杀订单不释放', async () => {
+    flashSaleRepository.getOrderRecord.mockResolvedValue({ id: 1, status: ORDER_STATUS.PAID });
+
+    await expect(flashSaleService.releaseOrder('100')).resolves.toBeNull();
+    expect(flashSaleRepository.updateOrderRecordStatus).not.toHaveBeenCalled();
+  });
+});
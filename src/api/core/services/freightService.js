@@ -0,0 +1,610 @@
+/**
+ * 运费服务
+ * 卖家维护运费模板并关联到商品，下单时按收货地址计算订单运费。
+ *
+ * 运费模板：
+ * - 计费方式：按件数、按重量（千克）或按体积（立方米）
+ * - 计费规则：默认规则适用于全部地区，另可为指定省、市或区县设置首件（首重、首体积）费用和续件费用
+ * - 包邮条件：指定地区（不指定为全部地区）内商品金额达到 minAmount 元、件数达到 minQuantity 件时包邮，同时设置时需同时满足
+ * - 不配送地区：订单中有商品不配送到收货地区时不能下单
+ *
+ * 运费计算：同一订单中使用同一模板的商品合并计费（件数、重量或体积累加后计算首件和续件），不同模板的运费相加；
+ * 收货地区按区县、市、省的顺序匹配最具体的规则，没有匹配的地区规则时使用默认规则。
+ * 商品未关联模板时使用店铺的默认模板，店铺没有默认模板时包邮。包邮金额按商品优惠后的金额计算。
+ */
+
+const di = require('@core/di/container');
+const { TransactionManager } = require('../data-access/database/TransactionManager');
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const { AppError, NotFoundError, ValidationError, TransactionError } = require('../exception/handlers/errorHandler');
+const freightRepository = require('../repositories/freightRepository');
+const regionService = require('./regionService');
+
+// 数据库连接池ID
+const DB_POOL_ID = process.env.DB_POOL_ID || 'default';
+
+// 默认分页大小和上限
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// 单个模板的计费规则和包邮条件数量上限
+const MAX_RULES = 50;
+
+// 单次关联商品数量上限
+const MAX_BIND_PRODUCTS = 500;
+
+/**
+ * 计费方式
+ */
+const CHARGE_TYPE = {
+  COUNT: 'count',   // 按件数
+  WEIGHT: 'weight', // 按重量（千克）
+  VOLUME: 'volume'  // 按体积（立方米）
+};
+
+// 计费单位名称
+const CHARGE_UNIT_NAMES = {
+  [CHARGE_TYPE.COUNT]: '件',
+  [CHARGE_TYPE.WEIGHT]: '千克',
+  [CHARGE_TYPE.VOLUME]: '立方米'
+};
+
+/**
+ * 金额转换为分
+ * @param {number|string} amount - 金额（元）
+ * @returns {number} 金额（分）
+ */
+function toCents(amount) {
+  return Math.round(Number(amount || 0) * 100);
+}
+
+/**
+ * 分转换为元
+ * @param {number} cents - 金额（分）
+ * @returns {number} 金额（元）
+ */
+function toYuan(cents) {
+  return Math.round(cents) / 100;
+}
+
+/**
+ * 规范化分页参数
+ * @param {Object} filters - { page, pageSize }
+ * @returns {Object} { page, pageSize, offset }
+ */
+function normalizePage(filters = {}) {
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(filters.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page, pageSize, offset: (page - 1) * pageSize };
+}
+
+/**
+ * 解析JSON字段
+ * @param {string|Object} value - JSON
+ * @param {any} fallback - 解析失败时的默认值
+ * @returns {any} 解析结果
+ */
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) {
+    return fallback;
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * 格式化运费模板
+ * @param {Object} row - 模板记录
+ * @returns {Object} 运费模板
+ */
+function formatTemplate(row) {
+  return {
+    id: row.id,
+    sellerId: String(row.seller_id),
+    name: row.name,
+    chargeType: row.charge_type,
+    rules: parseJson(row.rules, []),
+    freeRules: parseJson(row.free_rules, []),
+    undeliverableRegions: parseJson(row.undeliverable_regions, []),
+    isDefault: Boolean(row.is_default),
+    productCount: row.product_count !== undefined ? Number(row.product_count) : undefined,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * 解析非负数
+ * @param {any} value - 输入值
+ * @param {string} label - 字段名称
+ * @param {Object} [options] - { positive: 是否必须大于0, integer: 是否必须为整数 }
+ * @returns {number} 数值
+ */
+function parseNumber(value, label, options = {}) {
+  const number = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(number) || number < 0
+    || (options.positive && number === 0) || (options.integer && !Number.isInteger(number))) {
+    throw new ValidationError(`${label}必须是${options.integer ? '整' : ''}数且${options.positive ? '大于0' : '不能为负数'}`);
+  }
+  return number;
+}
+
+/**
+ * 整理地区代码列表
+ * @param {Array} regions - 地区代码
+ * @returns {Array<string>} 去重后的地区代码
+ */
+function parseRegions(regions) {
+  if (regions !== undefined && !Array.isArray(regions)) {
+    throw new ValidationError('地区必须是地区代码列表');
+  }
+  return [...new Set((regions || []).map(String).filter(Boolean))];
+}
+
+/**
+ * 按收货地区匹配最具体的规则：依次用区县、市、省代码查找包含该地区的规则，都没有时使用不指定地区的规则
+ * @param {Array} rules - 规则列表（regions 为空表示全部地区）
+ * @param {Array<string>} codes - 收货地区代码（从区县到省）
+ * @returns {Object|null} 匹配的规则
+ */
+function matchRule(rules, codes) {
+  for (const code of codes) {
+    const rule = rules.find(item => item.regions.includes(code));
+    if (rule) {
+      return rule;
+    }
+  }
+  return rules.find(item => item.regions.length === 0) || null;
+}
+
+class FreightService {
+  constructor() {
+    this.transactionManager = new TransactionManager({
+      getConnection: () => connectionPoolManager.getConnection(DB_POOL_ID)
+    });
+  }
+
+  // 获取logger服务
+  getLogger() {
+    if (!this._logger) {
+      this._logger = di.resolve('logger');
+    }
+    return this._logger;
+  }
+
+  /**
+   * 在运费事务中执行操作，事务失败时抛出原始业务错误
+   * @param {Function} operation - 操作函数 (connection, transaction) => Promise
+   * @returns {Promise<any>} 操作结果
+   */
+  async runInTransaction(operation) {
+    try {
+      return await this.transactionManager.executeInTransaction(operation);
+    } catch (error) {
+      if (error instanceof TransactionError && error.originalError) {
+        throw error.originalError;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 使用非事务连接执行只读查询
+   * @param {Function} operation - 操作函数 (connection) => Promise
+   * @returns {Promise<any>} 查询结果
+   */
+  async withConnection(operation) {
+    const connection = await connectionPoolManager.getConnection(DB_POOL_ID);
+    try {
+      return await operation(connection);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 校验并整理运费模板参数
+   * @param {Object} params - 模板参数 { name, chargeType, rules, freeRules, undeliverableRegions, isDefault }
+   * @returns {Promise<Object>} 模板数据
+   */
+  async parseTemplate(params) {
+    const name = String(params.name || '').trim();
+    if (!name || name.length > 50) {
+      throw new ValidationError('模板名称不能为空且不能超过50个字符');
+    }
+    if (!Object.values(CHARGE_TYPE).includes(params.chargeType)) {
+      throw new ValidationError('无效的计费方式');
+    }
+    const integer = params.chargeType === CHARGE_TYPE.COUNT;
+    const unitName = CHARGE_UNIT_NAMES[params.chargeType];
+
+    if (!Array.isArray(params.rules) || params.rules.length === 0 || params.rules.length > MAX_RULES) {
+      throw new ValidationError(`请设置1-${MAX_RULES}条计费规则`);
+    }
+    const rules = params.rules.map(rule => ({
+      regions: parseRegions(rule.regions),
+      firstUnit: parseNumber(rule.firstUnit, `首${unitName}`, { positive: true, integer }),
+      firstFee: parseNumber(rule.firstFee, '首费'),
+      additionalUnit: parseNumber(rule.additionalUnit, `续${unitName}`, { positive: true, integer }),
+      additionalFee: parseNumber(rule.additionalFee, '续费')
+    }));
+    const defaultRules = rules.filter(rule => rule.regions.length === 0);
+    if (defaultRules.length !== 1) {
+      throw new ValidationError('必须且只能有一条不指定地区的默认计费规则');
+    }
+    // 默认规则排在最前
+    rules.sort((a, b) => a.regions.length - b.regions.length);
+
+    const freeRules = (params.freeRules || []).map(rule => {
+      const minAmount = rule.minAmount !== undefined && rule.minAmount !== null && rule.minAmount !== ''
+        ? parseNumber(rule.minAmount, '包邮金额') : null;
+      const minQuantity = rule.minQuantity !== undefined && rule.minQuantity !== null && rule.minQuantity !== ''
+        ? parseNumber(rule.minQuantity, '包邮件数', { positive: true, integer: true }) : null;
+      if (minAmount === null && minQuantity === null) {
+        throw new ValidationError('包邮条件需设置金额或件数');
+      }
+      return { regions: parseRegions(rule.regions), minAmount, minQuantity };
+    });
+    if (freeRules.length > MAX_RULES) {
+      throw new ValidationError(`包邮条件不能超过${MAX_RULES}条`);
+    }
+    const undeliverableRegions = parseRegions(params.undeliverableRegions);
+
+    // 同一地区只能出现在一条计费规则和一条包邮条件中，且不能同时是不配送地区
+    const assertUnique = (list, label) => {
+      const seen = new Set();
+      list.forEach(rule => rule.regions.forEach(code => {
+        if (seen.has(code)) {
+          throw new ValidationError(`同一地区不能出现在多条${label}中`);
+        }
+        if (undeliverableRegions.includes(code)) {
+          throw new ValidationError(`不配送地区不能设置${label}`);
+        }
+        seen.add(code);
+      }));
+    };
+    assertUnique(rules, '计费规则');
+    assertUnique(freeRules, '包邮条件');
+
+    await regionService.assertCodes([
+      ...rules.flatMap(rule => rule.regions),
+      ...freeRules.flatMap(rule => rule.regions),
+      ...undeliverableRegions
+    ]);
+
+    return {
+      name,
+      chargeType: params.chargeType,
+      rules,
+      freeRules,
+      undeliverableRegions,
+      isDefault: params.isDefault === true
+    };
+  }
+
+  /**
+   * 获取店铺的运费模板并加锁
+   * @param {Object} connection - 事务连接
+   * @param {string} sellerId - 卖家ID
+   * @param {number} templateId - 模板ID
+   * @returns {Promise<Object>} 模板记录
+   */
+  async lockSellerTemplate(connection, sellerId, templateId) {
+    const row = await freightRepository.findById(connection, templateId, { forUpdate: true });
+    if (!row || String(row.seller_id) !== String(sellerId)) {
+      throw new NotFoundError('运费模板不存在');
+    }
+    return row;
+  }
+
+  /**
+   * 创建运费模板
+   * @param {string} sellerId - 卖家ID
+   * @param {Object} params - 模板参数
+   * @param {Object} operator - 操作人 { id }
+   * @returns {Promise<Object>} 运费模板
+   */
+  async createTemplate(sellerId, params, operator) {
+    try {
+      const template = await this.parseTemplate(params);
+      const templateId = await this.runInTransaction(async (connection) => {
+        if (template.isDefault) {
+          await freightRepository.clearDefault(connection, sellerId);
+        }
+        return freightRepository.createTemplate(connection, { ...template, sellerId, createdBy: operator.id });
+      });
+
+      this.getLogger().info('运费模板已创建', { templateId, sellerId, operatorId: operator.id });
+      return this.getTemplate(sellerId, templateId);
+    } catch (error) {
+      this.getLogger().error('创建运费模板失败', { sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 修改运费模板，修改后新下单的订单按新规则计算运费
+   * @param {string} sellerId - 卖家ID
+   * @param {number} templateId - 模板ID
+   * @param {Object} params - 模板参数
+   * @returns {Promise<Object>} 运费模板
+   */
+  async updateTemplate(sellerId, templateId, params) {
+    try {
+      const template = await this.parseTemplate(params);
+      await this.runInTransaction(async (connection) => {
+        await this.lockSellerTemplate(connection, sellerId, templateId);
+        if (template.isDefault) {
+          await freightRepository.clearDefault(connection, sellerId);
+        }
+        await freightRepository.updateTemplate(connection, templateId, template);
+      });
+
+      this.getLogger().info('运费模板已修改', { templateId, sellerId });
+      return this.getTemplate(sellerId, templateId);
+    } catch (error) {
+      this.getLogger().error('修改运费模板失败', { templateId, sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 设为店铺默认运费模板，未关联模板的商品使用默认模板计算运费
+   * @param {string} sellerId - 卖家ID
+   * @param {number} templateId - 模板ID
+   * @returns {Promise<Object>} 运费模板
+   */
+  async setDefault(sellerId, templateId) {
+    try {
+      await this.runInTransaction(async (connection) => {
+        const row = await this.lockSellerTemplate(connection, sellerId, templateId);
+        await freightRepository.clearDefault(connection, sellerId);
+        await freightRepository.updateTemplate(connection, templateId, { ...formatTemplate(row), isDefault: true });
+      });
+
+      this.getLogger().info('默认运费模板已设置', { templateId, sellerId });
+      return this.getTemplate(sellerId, templateId);
+    } catch (error) {
+      this.getLogger().error('设置默认运费模板失败', { templateId, sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除运费模板，仍有商品关联时不能删除
+   * @param {string} sellerId - 卖家ID
+   * @param {number} templateId - 模板ID
+   * @returns {Promise<void>}
+   */
+  async deleteTemplate(sellerId, templateId) {
+    try {
+      await this.runInTransaction(async (connection) => {
+        const row = await this.lockSellerTemplate(connection, sellerId, templateId);
+        if (Number(row.product_count) > 0) {
+          throw new AppError(409, `还有 ${row.product_count} 个商品使用该模板，请先更换商品的运费模板`, 409);
+        }
+        await freightRepository.deleteTemplate(connection, templateId);
+      });
+
+      this.getLogger().info('运费模板已删除', { templateId, sellerId });
+    } catch (error) {
+      this.getLogger().error('删除运费模板失败', { templateId, sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取运费模板详情（含规则中地区的名称）
+   * @param {string} sellerId - 卖家ID
+   * @param {number} templateId - 模板ID
+   * @returns {Promise<Object>} 运费模板
+   */
+  async getTemplate(sellerId, templateId) {
+    const row = await this.withConnection(connection => freightRepository.findById(connection, templateId));
+    if (!row || String(row.seller_id) !== String(sellerId)) {
+      throw new NotFoundError('运费模板不存在');
+    }
+    const template = formatTemplate(row);
+    template.regionNames = await regionService.getNames([
+      ...template.rules.flatMap(rule => rule.regions),
+      ...template.freeRules.flatMap(rule => rule.regions),
+      ...template.undeliverableRegions
+    ]);
+    return template;
+  }
+
+  /**
+   * 分页查询店铺运费模板
+   * @param {string} sellerId - 卖家ID
+   * @param {Object} filters - { keyword, chargeType, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getTemplates(sellerId, filters = {}) {
+    try {
+      const { page, pageSize, offset } = normalizePage(filters);
+      const { rows, total } = await this.withConnection(connection =>
+        freightRepository.findBySeller(connection, sellerId, filters, offset, pageSize)
+      );
+      return { list: rows.map(formatTemplate), total, page, pageSize };
+    } catch (error) {
+      this.getLogger().error('查询运费模板失败', { sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询使用运费模板的商品
+   * @param {string} sellerId - 卖家ID
+   * @param {number} templateId - 模板ID
+   * @param {Object} filters - { page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getTemplateProducts(sellerId, templateId, filters = {}) {
+    try {
+      await this.getTemplate(sellerId, templateId);
+      const { page, pageSize, offset } = normalizePage(filters);
+      const { rows, total } = await this.withConnection(connection =>
+        freightRepository.findTemplateProducts(connection, templateId, offset, pageSize)
+      );
+      return {
+        list: rows.map(row => ({
+          productId: String(row.id),
+          name: row.name,
+          weight: row.weight !== null ? Number(row.weight) : null,
+          volume: row.volume !== null ? Number(row.volume) : null
+        })),
+        total,
+        page,
+        pageSize
+      };
+    } catch (error) {
+      this.getLogger().error('查询运费模板商品失败', { templateId, sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 设置商品的运费模板，可同时设置商品重量和体积；模板为空时取消关联，商品改用店铺默认模板
+   * @param {string} sellerId - 卖家ID
+   * @param {number|null} templateId - 模板ID
+   * @param {Array} products - [{ productId, weight（千克）, volume（立方米） }]
+   * @returns {Promise<Object>} { updated } 更新的商品数量
+   */
+  async bindProducts(sellerId, templateId, products) {
+    try {
+      if (!Array.isArray(products) || products.length === 0 || products.length > MAX_BIND_PRODUCTS) {
+        throw new ValidationError(`请选择1-${MAX_BIND_PRODUCTS}个商品`);
+      }
+      const parsed = products.map(product => ({
+        productId: String(product.productId),
+        weight: product.weight !== undefined && product.weight !== null ? parseNumber(product.weight, '商品重量') : null,
+        volume: product.volume !== undefined && product.volume !== null ? parseNumber(product.volume, '商品体积') : null
+      }));
+
+      const updated = await this.runInTransaction(async (connection) => {
+        if (templateId) {
+          await this.lockSellerTemplate(connection, sellerId, templateId);
+        }
+        const count = await freightRepository.bindProducts(connection, sellerId, templateId || null, parsed);
+        if (count !== parsed.length) {
+          throw new ValidationError('部分商品不存在或不属于本店');
+        }
+        return count;
+      });
+
+      this.getLogger().info('商品运费模板已设置', { sellerId, templateId, count: updated });
+      return { updated };
+    } catch (error) {
+      this.getLogger().error('设置商品运费模板失败', { sellerId, templateId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 按收货地址计算订单运费
+   * @param {Array} items - 商品 [{ productId, quantity, amount（该商品优惠后的金额，元，用于判断包邮） }]
+   * @param {Object} address - 收货地址 { province, city, district, provinceCode, cityCode, districtCode }
+   * @returns {Promise<Object>} { fee（元）, groups: [{ sellerId, templateId, templateName, chargeType, units, quantity, amount, fee, free }] }
+   */
+  async calculate(items, address) {
+    try {
+      const productIds = [...new Set(items.map(item => String(item.productId)))];
+      const { products, templates } = await this.withConnection(async (connection) => {
+        const productRows = await freightRepository.findProducts(connection, productIds);
+        const templateIds = [...new Set(productRows.map(row => row.freight_template_id).filter(Boolean))];
+        const bound = await freightRepository.findByIds(connection, templateIds);
+        const sellerIds = [...new Set(productRows.map(row => String(row.seller_id)))];
+        const defaults = await freightRepository.findDefaults(connection, sellerIds);
+        return { products: productRows, templates: [...bound, ...defaults].map(formatTemplate) };
+      });
+      const productMap = new Map(products.map(row => [String(row.id), row]));
+      const templateMap = new Map(templates.map(template => [String(template.id), template]));
+
+      // 按模板合并商品，模板已删除或未关联时使用店铺默认模板，都没有时包邮
+      const groups = new Map();
+      for (const item of items) {
+        const product = productMap.get(String(item.productId));
+        if (!product) {
+          continue;
+        }
+        const template = (product.freight_template_id && templateMap.get(String(product.freight_template_id)))
+          || templates.find(candidate => candidate.isDefault && candidate.sellerId === String(product.seller_id));
+        if (!template) {
+          continue;
+        }
+
+        const quantity = parseInt(item.quantity, 10) || 0;
+        const measure = template.chargeType === CHARGE_TYPE.WEIGHT ? Number(product.weight || 0)
+          : template.chargeType === CHARGE_TYPE.VOLUME ? Number(product.volume || 0) : 1;
+        if (!groups.has(template.id)) {
+          groups.set(template.id, { template, productNames: [], units: 0, quantity: 0, amount: 0 });
+        }
+        const group = groups.get(template.id);
+        group.productNames.push(product.name);
+        group.units += measure * quantity;
+        group.quantity += quantity;
+        group.amount += toCents(item.amount);
+      }
+
+      if (groups.size === 0) {
+        return { fee: 0, groups: [] };
+      }
+
+      const region = await regionService.resolveAddress(address);
+      if (region.codes.length === 0) {
+        throw new ValidationError('无法识别收货地址所在地区，请重新选择收货地址');
+      }
+
+      let total = 0;
+      const results = [];
+      for (const group of groups.values()) {
+        const { template } = group;
+        const undeliverable = region.codes.find(code => template.undeliverableRegions.includes(code));
+        if (undeliverable) {
+          const names = await regionService.getNames([undeliverable]);
+          throw new AppError(409, `商品「${group.productNames[0]}」不支持配送到${names[undeliverable] || '该地区'}`, 409);
+        }
+
+        const freeRule = matchRule(template.freeRules, region.codes);
+        const free = Boolean(freeRule)
+          && (freeRule.minAmount === null || group.amount >= toCents(freeRule.minAmount))
+          && (freeRule.minQuantity === null || group.quantity >= freeRule.minQuantity);
+
+        let fee = 0;
+        if (!free) {
+          const rule = matchRule(template.rules, region.codes);
+          // 计费量按 6 位小数取整，避免重量、体积累加的浮点误差导致多收一个续费单位
+          const units = Math.round(group.units * 1e6) / 1e6;
+          const additional = Math.max(0, Math.ceil((units - rule.firstUnit) / rule.additionalUnit));
+          fee = toCents(rule.firstFee) + additional * toCents(rule.additionalFee);
+        }
+        total += fee;
+        results.push({
+          sellerId: template.sellerId,
+          templateId: template.id,
+          templateName: template.name,
+          chargeType: template.chargeType,
+          units: Math.round(group.units * 1e6) / 1e6,
+          quantity: group.quantity,
+          amount: toYuan(group.amount),
+          fee: toYuan(fee),
+          free
+        });
+      }
+
+      return { fee: toYuan(total), groups: results };
+    } catch (error) {
+      this.getLogger().error('计算运费失败', { error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new FreightService();
+module.exports.CHARGE_TYPE = CHARGE_TYPE;
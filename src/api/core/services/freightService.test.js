@@ -0,0 +1,171 @@
+/**
+ * 运费服务测试
+ */
+
+jest.mock('@core/di/container', () => ({
+  resolve: () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() })
+}), { virtual: true });
+jest.mock('../data-access/database/TransactionManager', () => ({
+  TransactionManager: jest.fn().mockImplementation(() => ({
+    executeInTransaction: jest.fn()
+  }))
+}));
+jest.mock('../data-access/database/ConnectionPoolManager', () => ({
+  connectionPoolManager: { getConnection: jest.fn() }
+}));
+jest.mock('./regionService', () => ({
+  assertCodes: jest.fn(),
+  resolveAddress: jest.fn(),
+  getNames: jest.fn()
+}));
+jest.mock('../repositories/freightRepository', () => ({
+  findProducts: jest.fn(),
+  findByIds: jest.fn(),
+  findDefaults: jest.fn()
+}));
+
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const regionService = require('./regionService');
+const freightRepository = require('../repositories/freightRepository');
+const freightService = require('./freightService');
+
+const { CHARGE_TYPE } = freightService;
+
+const connection = { query: jest.fn(), release: jest.fn() };
+
+// 收货地址：浙江省(33) 杭州市(3301) 西湖区(330106)
+const ADDRESS = { province: '浙江省', city: '杭州市', district: '西湖区' };
+const REGION_CODES = ['330106', '3301', '33'];
+
+/**
+ * 构建运费模板记录
+ * @param {Object} overrides - 覆盖字段
+ * @returns {Object} 模板记录
+ */
+function makeTemplate(overrides) {
+  return {
+    id: 1,
+    seller_id: 10,
+    name: '按重量计费',
+    charge_type: CHARGE_TYPE.WEIGHT,
+    rules: JSON.stringify([
+      { regions: [], firstUnit: 1, firstFee: 10, additionalUnit: 1, additionalFee: 5 },
+      { regions: ['33'], firstUnit: 1, firstFee: 8, additionalUnit: 1, additionalFee: 2 },
+      { regions: ['3301'], firstUnit: 1, firstFee: 6, additionalUnit: 0.5, additionalFee: 1 }
+    ]),
+    free_rules: JSON.stringify([]),
+    undeliverable_regions: JSON.stringify([]),
+    is_default: 0,
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  connectionPoolManager.getConnection.mockResolvedValue(connection);
+  regionService.resolveAddress.mockResolvedValue({ codes: REGION_CODES });
+  freightRepository.findByIds.mockResolvedValue([]);
+  freightRepository.findDefaults.mockResolvedValue([]);
+});
+
+describe('parseTemplate', () => {
+  const rule = { firstUnit: 1, firstFee: 10, additionalUnit: 1, additionalFee: 5 };
+
+  test('必须且只能有一条默认计费规则，默认规则排在最前并校验地区代码', async () => {
+    await expect(freightService.parseTemplate({
+      name: '模板', chargeType: CHARGE_TYPE.COUNT, rules: [{ ...rule, regions: ['33'] }]
+    })).rejects.toThrow('必须且只能有一条不指定地区的默认计费规则');
+
+    const template = await freightService.parseTemplate({
+      name: '模板',
+      chargeType: CHARGE_TYPE.COUNT,
+      rules: [{ ...rule, regions: ['33'] }, rule],
+      freeRules: [{ regions: ['3301'], minAmount: 99 }],
+      undeliverableRegions: ['54']
+    });
+
+    expect(template.rules.map(item => item.regions)).toEqual([[], ['33']]);
+    expect(template.freeRules).toEqual([{ regions: ['3301'], minAmount: 99, minQuantity: null }]);
+    expect(regionService.assertCodes).toHaveBeenCalledWith(['33', '3301', '54']);
+  });
+
+  test('不配送地区不能设置计费规则', async () => {
+    await expect(freightService.parseTemplate({
+      name: '模板',
+      chargeType: CHARGE_TYPE.COUNT,
+      rules: [rule, { ...rule, regions: ['54'] }],
+      undeliverableRegions: ['54']
+    })).rejects.toThrow('不配送地区不能设置计费规则');
+  });
+
+  test('按件计费时首件和续件必须是整数', async () => {
+    await expect(freightService.parseTemplate({
+      name: '模板', chargeType: CHARGE_TYPE.COUNT, rules: [{ ...rule, firstUnit: 1.5 }]
+    })).rejects.toThrow('首件');
+  });
+});
+
+describe('calculate', () => {
+  test('同一模板的商品合并计费，按市级规则计算续重', async () => {
+    freightRepository.findProducts.mockResolvedValue([
+      { id: 1, seller_id: 10, name: '大米', freight_template_id: 1, weight: '0.7' },
+      { id: 2, seller_id: 10, name: '面粉', freight_template_id: 1, weight: '0.4' }
+    ]);
+    freightRepository.findByIds.mockResolvedValue([makeTemplate()]);
+
+    const result = await freightService.calculate([
+      { productId: 1, quantity: 2, amount: 30 },
+      { productId: 2, quantity: 1, amount: 10 }
+    ], ADDRESS);
+
+    // 共 1.8 千克：首重 1 千克 6 元，续重 0.8 千克按 0.5 千克计 2 次共 2 元
+    expect(result.fee).toBe(8);
+    expect(result.groups).toEqual([expect.objectContaining({ templateId: 1, units: 1.8, quantity: 3, amount: 40, fee: 8, free: false })]);
+  });
+
+  test('满足地区包邮条件时包邮', async () => {
+    freightRepository.findProducts.mockResolvedValue([{ id: 1, seller_id: 10, name: '大米', freight_template_id: 1, weight: '1' }]);
+    freightRepository.findByIds.mockResolvedValue([makeTemplate({
+      free_rules: JSON.stringify([{ regions: ['33'], minAmount: 99, minQuantity: null }])
+    })]);
+
+    await expect(freightService.calculate([{ productId: 1, quantity: 1, amount: 98.99 }], ADDRESS))
+      .resolves.toMatchObject({ fee: 6 });
+    await expect(freightService.calculate([{ productId: 1, quantity: 1, amount: 99 }], ADDRESS))
+      .resolves.toMatchObject({ fee: 0, groups: [expect.objectContaining({ free: true })] });
+  });
+
+  test('商品未关联模板时使用店铺默认模板，店铺没有默认模板时包邮', async () => {
+    freightRepository.findProducts.mockResolvedValue([
+      { id: 1, seller_id: 10, name: '大米', freight_template_id: null, weight: '1' },
+      { id: 2, seller_id: 20, name: '茶叶', freight_template_id: null, weight: '1' }
+    ]);
+    freightRepository.findDefaults.mockResolvedValue([makeTemplate({ id: 2, is_default: 1 })]);
+
+    const result = await freightService.calculate([
+      { productId: 1, quantity: 1, amount: 10 },
+      { productId: 2, quantity: 1, amount: 10 }
+    ], ADDRESS);
+
+    expect(freightRepository.findDefaults).toHaveBeenCalledWith(connection, ['10', '20']);
+    expect(result).toEqual({ fee: 6, groups: [expect.objectContaining({ sellerId: '10', templateId: 2 })] });
+  });
+
+  test('收货地区不配送时返回409', async () => {
+    freightRepository.findProducts.mockResolvedValue([{ id: 1, seller_id: 10, name: '大米', freight_template_id: 1, weight: '1' }]);
+    freightRepository.findByIds.mockResolvedValue([makeTemplate({ undeliverable_regions: JSON.stringify(['3301']) })]);
+    regionService.getNames.mockResolvedValue({ 3301: '杭州市' });
+
+    await expect(freightService.calculate([{ productId: 1, quantity: 1, amount: 10 }], ADDRESS))
+      .rejects.toMatchObject({ statusCode: 409, message: '商品「大米」不支持配送到杭州市' });
+  });
+
+  test('无法识别收货地区时报错', async () => {
+    freightRepository.findProducts.mockResolvedValue([{ id: 1, seller_id: 10, name: '大米', freight_template_id: 1, weight: '1' }]);
+    freightRepository.findByIds.mockResolvedValue([makeTemplate()]);
+    regionService.resolveAddress.mockResolvedValue({ codes: [] });
+
+    await expect(freightService.calculate([{ productId: 1, quantity: 1, amount: 10 }], ADDRESS))
+      .rejects.toThrow('无法识别收货地址所在地区');
+  });
+});
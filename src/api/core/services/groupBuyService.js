@@ -0,0 +1,1000 @@
+/**
+ * 拼团服务
+ * 卖家创建拼团促销活动（type = group_buy），规则为 { groupPrice, groupSize, teamHours, simulate, simulateMaxMissing }。
+ * 买家按拼团价下单即开团或参团，下单时占用团内名额，订单取消或超时关闭时释放名额；
+ * 团员支付后计入已支付人数，成团时限内已支付人数达到成团人数即拼团成功，成团前卖家不能发货。
+ * 到期未成团的团由定时任务处理：开启模拟成团且差额人数在设置范围内的团按已支付团员模拟成团，
+ * 其余团记为拼团失败，已支付团员原路退款并退回库存，退款失败由定时任务重试。
+ * 卖家也可以对差额人数在设置范围内的团手动模拟成团。
+ */
+
+const crypto = require('crypto');
+const di = require('@core/di/container');
+const { TransactionManager } = require('../data-access/database/TransactionManager');
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const { AppError, NotFoundError, ValidationError, TransactionError } = require('../exception/handlers/errorHandler');
+const groupBuyRepository = require('../repositories/groupBuyRepository');
+const paymentRepository = require('../repositories/paymentRepository');
+const inventoryService = require('./inventoryService');
+const refundService = require('./refundService');
+
+// 数据库连接池ID
+const DB_POOL_ID = process.env.DB_POOL_ID || 'default';
+
+// 拼团失败退款最大尝试次数
+const MAX_REFUND_ATTEMPTS = parseInt(process.env.GROUP_BUY_MAX_REFUND_ATTEMPTS, 10) || 3;
+
+// 拼团分享链接地址
+const SHARE_BASE_URL = process.env.GROUP_BUY_SHARE_BASE_URL || 'http://localhost:3000';
+
+// 退款中超过该时长未完成视为中断，由定时任务重新发起（分钟）
+const REFUND_STALE_MINUTES = 10;
+
+// 到期任务单次处理的团队和退款数量
+const EXPIRE_BATCH_SIZE = 200;
+
+// 成团人数和成团时限
+const MAX_GROUP_SIZE = 100;
+const DEFAULT_TEAM_HOURS = 24;
+const MAX_TEAM_HOURS = 168;
+
+// 默认分页大小和上限
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * 团队状态
+ */
+const TEAM_STATUS = {
+  OPEN: 'open',       // 拼团中
+  SUCCESS: 'success', // 已成团
+  FAILED: 'failed'    // 拼团失败
+};
+
+/**
+ * 团员状态
+ */
+const MEMBER_STATUS = {
+  PENDING: 'pending',             // 已下单待支付，占用名额
+  PAID: 'paid',                   // 已支付
+  CANCELED: 'canceled',           // 订单取消或关闭，已释放名额
+  REFUNDING: 'refunding',         // 拼团失败退款中
+  REFUNDED: 'refunded',           // 已退款
+  REFUND_FAILED: 'refund_failed'  // 退款失败，等待重试
+};
+
+/**
+ * 拼团活动进行状态（由促销状态和活动时间计算）
+ */
+const PROMOTION_STATE = {
+  NOT_STARTED: 'not_started', // 未开始（含草稿）
+  ONGOING: 'ongoing',         // 进行中
+  PAUSED: 'paused',           // 已暂停
+  ENDED: 'ended'              // 已结束
+};
+
+/**
+ * 生成团号
+ * @returns {string} 团号
+ */
+function generateTeamNo() {
+  return `GB${Date.now()}${crypto.randomInt(0, 1000000).toString().padStart(6, '0')}`;
+}
+
+/**
+ * 生成拼团退款单号
+ * @returns {string} 退款单号
+ */
+function generateRefundNo() {
+  return `GR${Date.now()}${crypto.randomInt(0, 1000000).toString().padStart(6, '0')}`;
+}
+
+/**
+ * 规范化分页参数
+ * @param {Object} filters - { page, pageSize }
+ * @returns {Object} { page, pageSize, offset }
+ */
+function normalizePage(filters = {}) {
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(filters.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page, pageSize, offset: (page - 1) * pageSize };
+}
+
+/**
+ * 解析促销规则JSON
+ * @param {string|Object} rule - 规则
+ * @returns {Object} 规则对象
+ */
+function parseRule(rule) {
+  if (!rule) {
+    return {};
+  }
+  return typeof rule === 'string' ? JSON.parse(rule) : rule;
+}
+
+/**
+ * 校验并规范化拼团规则
+ * @param {Object} rule - { groupPrice, groupSize, teamHours, simulate, simulateMaxMissing }
+ * @returns {Object} 规范化后的规则（保留其他规则字段）
+ */
+function normalizeRule(rule = {}) {
+  const groupPrice = Number(rule.groupPrice);
+  if (!(groupPrice > 0) || Math.abs(Math.round(groupPrice * 100) - groupPrice * 100) > 1e-6) {
+    throw new ValidationError('拼团价必须大于0且最多两位小数');
+  }
+
+  const groupSize = Number(rule.groupSize);
+  if (!Number.isInteger(groupSize) || groupSize < 2 || groupSize > MAX_GROUP_SIZE) {
+    throw new ValidationError(`成团人数必须是2-${MAX_GROUP_SIZE}之间的整数`);
+  }
+
+  const teamHours = rule.teamHours === undefined || rule.teamHours === null ? DEFAULT_TEAM_HOURS : Number(rule.teamHours);
+  if (!Number.isInteger(teamHours) || teamHours < 1 || teamHours > MAX_TEAM_HOURS) {
+    throw new ValidationError(`成团时限必须是1-${MAX_TEAM_HOURS}之间的整数（小时）`);
+  }
+
+  const simulateMaxMissing = rule.simulateMaxMissing === undefined || rule.simulateMaxMissing === null
+    ? 1
+    : Number(rule.simulateMaxMissing);
+  if (!Number.isInteger(simulateMaxMissing) || simulateMaxMissing < 1 || simulateMaxMissing >= groupSize) {
+    throw new ValidationError('模拟成团差额人数必须是大于0且小于成团人数的整数');
+  }
+
+  return {
+    ...rule,
+    groupPrice,
+    groupSize,
+    teamHours,
+    simulate: rule.simulate === true,
+    simulateMaxMissing
+  };
+}
+
+/**
+ * 会员展示名称，手机号隐藏中间四位
+ * @param {string} username - 用户名
+ * @param {string} phone - 手机号
+ * @param {string} userId - 用户ID
+ * @returns {string} 会员名称
+ */
+function memberName(username, phone, userId) {
+  if (username) {
+    return username;
+  }
+  if (phone) {
+    return String(phone).replace(/^(\d{3})\d{4}(\d+)$/, '$1****$2');
+  }
+  return `用户${userId}`;
+}
+
+/**
+ * 解析商品主图
+ * @param {string|Array} images - 商品图片JSON
+ * @returns {string|null} 主图地址
+ */
+function firstImage(images) {
+  try {
+    const list = typeof images === 'string' ? JSON.parse(images) : images;
+    return Array.isArray(list) && list.length > 0 ? list[0] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 计算拼团活动进行状态
+ * @param {Object} row - 促销活动记录
+ * @param {Date} [now] - 当前时间
+ * @returns {string} 进行状态
+ */
+function resolveState(row, now = new Date()) {
+  if (['ended', 'expired'].includes(row.status) || new Date(row.end_time) <= now) {
+    return PROMOTION_STATE.ENDED;
+  }
+  if (row.status === 'paused') {
+    return PROMOTION_STATE.PAUSED;
+  }
+  if (row.status !== 'active' || new Date(row.start_time) > now) {
+    return PROMOTION_STATE.NOT_STARTED;
+  }
+  return PROMOTION_STATE.ONGOING;
+}
+
+/**
+ * 格式化拼团活动
+ * @param {Object} row - 促销活动记录
+ * @param {Object} [stats] - 团队统计 { status: { count, simulated, members } }
+ * @returns {Object} 拼团活动
+ */
+function formatPromotion(row, stats) {
+  const rule = parseRule(row.rule);
+  const promotion = {
+    id: row.id,
+    sellerId: String(row.seller_id),
+    shopName: row.shop_name || null,
+    name: row.name,
+    description: row.description || null,
+    groupPrice: Number(rule.groupPrice),
+    groupSize: Number(rule.groupSize),
+    teamHours: Number(rule.teamHours || DEFAULT_TEAM_HOURS),
+    simulate: rule.simulate === true,
+    simulateMaxMissing: Number(rule.simulateMaxMissing || 1),
+    startTime: row.start_time,
+    endTime: row.end_time,
+    status: row.status,
+    state: resolveState(row),
+    createdAt: row.created_at
+  };
+  if (stats) {
+    const pick = status => stats[status] || { count: 0, simulated: 0, members: 0 };
+    promotion.stats = {
+      teams: Object.values(stats).reduce((sum, item) => sum + item.count, 0),
+      open: pick(TEAM_STATUS.OPEN).count,
+      success: pick(TEAM_STATUS.SUCCESS).count,
+      simulated: pick(TEAM_STATUS.SUCCESS).simulated,
+      failed: pick(TEAM_STATUS.FAILED).count,
+      members: Object.values(stats).reduce((sum, item) => sum + item.members, 0)
+    };
+  }
+  return promotion;
+}
+
+/**
+ * 格式化团员
+ * @param {Object} row - 团员记录
+ * @returns {Object} 团员
+ */
+function formatMember(row) {
+  return {
+    userId: String(row.user_id),
+    memberName: memberName(row.username, row.user_phone, row.user_id),
+    isLeader: Boolean(row.is_leader),
+    orderId: String(row.order_id),
+    quantity: Number(row.quantity),
+    amount: Number(row.amount),
+    status: row.status,
+    paidAt: row.paid_at || null,
+    refundNo: row.refund_no || null,
+    refundAttempts: Number(row.refund_attempts || 0),
+    refundFailReason: row.refund_fail_reason || null,
+    refundedAt: row.refunded_at || null,
+    joinedAt: row.created_at
+  };
+}
+
+/**
+ * 格式化团队
+ * @param {Object} row - 团队记录
+ * @param {Array} [members] - 团员记录
+ * @returns {Object} 团队
+ */
+function formatTeam(row, members) {
+  const team = {
+    teamNo: row.team_no,
+    promotionId: row.promotion_id,
+    promotionName: row.promotion_name || null,
+    sellerId: String(row.seller_id),
+    shopName: row.shop_name || null,
+    productId: String(row.product_id),
+    skuId: row.sku_id || null,
+    productName: row.product_name || null,
+    productImage: firstImage(row.product_images),
+    leaderUserId: String(row.leader_user_id),
+    leaderName: memberName(row.leader_name, row.leader_phone, row.leader_user_id),
+    groupSize: Number(row.group_size),
+    groupPrice: Number(row.group_price),
+    paidCount: Number(row.paid_count),
+    reservedCount: Number(row.reserved_count),
+    missingCount: Math.max(Number(row.group_size) - Number(row.paid_count), 0),
+    status: row.status,
+    simulated: Boolean(row.simulated),
+    expiresAt: row.expires_at,
+    succeededAt: row.succeeded_at || null,
+    failedAt: row.failed_at || null,
+    createdAt: row.created_at
+  };
+  if (members) {
+    team.members = members.map(formatMember);
+  }
+  return team;
+}
+
+/**
+ * 买家端可见的团队信息，隐藏团员订单和退款信息
+ * @param {Object} team - 团队
+ * @returns {Object} 团队
+ */
+function toPublicTeam(team) {
+  const { sellerId, leaderUserId, reservedCount, members, ...rest } = team;
+  const result = { ...rest, remainingSeats: Math.max(team.groupSize - reservedCount, 0) };
+  if (members) {
+    result.members = members
+      .filter(member => member.status !== MEMBER_STATUS.CANCELED)
+      .map(({ memberName: name, isLeader, status, joinedAt }) => ({ memberName: name, isLeader, status, joinedAt }));
+  }
+  return result;
+}
+
+class GroupBuyService {
+  constructor() {
+    this.transactionManager = new TransactionManager({
+      getConnection: () => connectionPoolManager.getConnection(DB_POOL_ID)
+    });
+  }
+
+  // 获取logger服务
+  getLogger() {
+    if (!this._logger) {
+      this._logger = di.resolve('logger');
+    }
+    return this._logger;
+  }
+
+  // 获取缓存管理器（用于发布拼团消息）
+  getCacheManager() {
+    if (!this._cacheManager) {
+      this._cacheManager = di.resolve('cacheManager');
+    }
+    return this._cacheManager;
+  }
+
+  /**
+   * 在拼团事务中执行操作，事务失败时抛出原始业务错误
+   * @param {Function} operation - 操作函数 (connection, transaction) => Promise
+   * @returns {Promise<any>} 操作结果
+   */
+  async runInTransaction(operation) {
+    try {
+      return await this.transactionManager.executeInTransaction(operation);
+    } catch (error) {
+      if (error instanceof TransactionError && error.originalError) {
+        throw error.originalError;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 使用非事务连接执行只读查询
+   * @param {Function} operation - 操作函数 (connection) => Promise
+   * @returns {Promise<any>} 查询结果
+   */
+  async withConnection(operation) {
+    const connection = await connectionPoolManager.getConnection(DB_POOL_ID);
+    try {
+      return await operation(connection);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 发布拼团消息，事务已提交，发布失败只记录日志
+   * @param {string} topic - 消息主题
+   * @param {Object} payload - 消息内容
+   * @returns {Promise<void>}
+   */
+  async publish(topic, payload) {
+    try {
+      await this.getCacheManager().publish(topic, { ...payload, timestamp: new Date().toISOString() });
+    } catch (error) {
+      this.getLogger().error('发布拼团消息失败', { topic, error: error.message });
+    }
+  }
+
+  /**
+   * 生成拼团分享链接
+   * @param {string} teamNo - 团号
+   * @returns {string} 分享链接
+   */
+  buildShareLink(teamNo) {
+    return `${SHARE_BASE_URL.replace(/\/$/, '')}/group-buy/${encodeURIComponent(teamNo)}`;
+  }
+
+  /**
+   * 开团或参团，必须在下单事务连接上调用
+   * 未指定团号时以买家为团长开新团；参团时团长须已支付、团内仍有空余名额，同一买家在一个团中只能有一个有效订单
+   * @param {Object} connection - 事务连接
+   * @param {string} userId - 买家用户ID
+   * @param {Object} params - { promotionId, teamNo, productId, skuId, sellerId, quantity, orderId, amount }
+   * @returns {Promise<Object>} { teamNo, isLeader, expiresAt }
+   */
+  async joinTeam(connection, userId, params) {
+    const now = new Date();
+    const promotion = await groupBuyRepository.getPromotion(connection, params.promotionId);
+    if (!promotion) {
+      throw new NotFoundError('拼团活动不存在');
+    }
+    if (resolveState(promotion, now) !== PROMOTION_STATE.ONGOING) {
+      throw new AppError(409, '拼团活动未在进行中', 409);
+    }
+    const productIds = await groupBuyRepository.getPromotionProductIds(connection, promotion.id);
+    const productId = String(params.productId);
+    if (productIds.length > 0 ? !productIds.includes(productId) : String(params.sellerId) !== String(promotion.seller_id)) {
+      throw new ValidationError('该商品不参与此拼团活动');
+    }
+    const rule = normalizeRule(parseRule(promotion.rule));
+    const skuId = params.skuId ? String(params.skuId) : '';
+
+    let team;
+    let isLeader = false;
+    if (params.teamNo) {
+      team = await groupBuyRepository.getTeam(connection, { teamNo: params.teamNo }, { forUpdate: true });
+      if (!team || String(team.promotion_id) !== String(promotion.id)) {
+        throw new NotFoundError('拼团不存在');
+      }
+      if (String(team.product_id) !== productId || String(team.sku_id || '') !== skuId) {
+        throw new ValidationError('参团商品与团长商品不一致');
+      }
+      if (team.status !== TEAM_STATUS.OPEN || new Date(team.expires_at) <= now) {
+        throw new AppError(409, '该团已结束', 409);
+      }
+      if (Number(team.paid_count) === 0) {
+        throw new AppError(409, '团长尚未支付，暂不能参团', 409);
+      }
+      if (Number(team.reserved_count) >= Number(team.group_size)) {
+        throw new AppError(409, '该团已满员', 409);
+      }
+      if (await groupBuyRepository.getActiveMember(connection, team.id, userId)) {
+        throw new AppError(409, '您已参加该团', 409);
+      }
+    } else {
+      isLeader = true;
+      const deadline = new Date(now.getTime() + rule.teamHours * 3600 * 1000);
+      const endTime = new Date(promotion.end_time);
+      const teamNo = generateTeamNo();
+      const teamId = await groupBuyRepository.createTeam(connection, {
+        teamNo,
+        promotionId: promotion.id,
+        sellerId: promotion.seller_id,
+        productId,
+        skuId,
+        leaderUserId: userId,
+        groupSize: rule.groupSize,
+        groupPrice: rule.groupPrice,
+        status: TEAM_STATUS.OPEN,
+        expiresAt: deadline < endTime ? deadline : endTime
+      });
+      team = await groupBuyRepository.getTeam(connection, { id: teamId }, { forUpdate: true });
+    }
+
+    await groupBuyRepository.createMember(connection, {
+      teamId: team.id,
+      orderId: String(params.orderId),
+      userId,
+      isLeader,
+      quantity: params.quantity,
+      amount: params.amount,
+      status: MEMBER_STATUS.PENDING
+    });
+    await groupBuyRepository.adjustTeamCounts(connection, team.id, { reserved: 1 });
+
+    return { teamNo: team.team_no, isLeader, expiresAt: team.expires_at, shareLink: this.buildShareLink(team.team_no) };
+  }
+
+  /**
+   * 锁定订单对应的团队和团员，按先团队后团员的顺序加锁，与参团保持一致
+   * @param {Object} connection - 事务连接
+   * @param {string} orderId - 订单ID
+   * @returns {Promise<Object|null>} { team, member }，非拼团订单返回 null
+   */
+  async lockByOrder(connection, orderId) {
+    const found = await groupBuyRepository.getMember(connection, { orderId: String(orderId) });
+    if (!found) {
+      return null;
+    }
+    const team = await groupBuyRepository.getTeam(connection, { id: found.team_id }, { forUpdate: true });
+    const member = await groupBuyRepository.getMember(connection, { id: found.id }, { forUpdate: true });
+    return { team, member };
+  }
+
+  /**
+   * 拼团订单支付成功：团员计入已支付人数，达到成团人数时成团
+   * 团队已结束或团员名额已释放时订单不再参团，立即原路退款
+   * @param {string} orderId - 订单ID
+   * @returns {Promise<Object|null>} { teamNo, status }，非拼团订单或已处理的订单返回 null
+   */
+  async onOrderPaid(orderId) {
+    try {
+      const outcome = await this.runInTransaction(async (connection) => {
+        const locked = await this.lockByOrder(connection, orderId);
+        if (!locked) {
+          return null;
+        }
+        const { team, member } = locked;
+
+        if (member.status === MEMBER_STATUS.PENDING && team.status === TEAM_STATUS.OPEN) {
+          await groupBuyRepository.updateMember(connection, member.id, MEMBER_STATUS.PAID, { paid_at: new Date() });
+          await groupBuyRepository.adjustTeamCounts(connection, team.id, { paid: 1 });
+          if (Number(team.paid_count) + 1 >= Number(team.group_size)) {
+            return { team, status: TEAM_STATUS.SUCCESS, succeeded: await this.succeedTeam(connection, team, false) };
+          }
+          return { team, status: MEMBER_STATUS.PAID };
+        }
+
+        if (member.status === MEMBER_STATUS.PENDING || member.status === MEMBER_STATUS.CANCELED) {
+          await groupBuyRepository.updateMember(connection, member.id, MEMBER_STATUS.REFUNDING, {
+            paid_at: new Date(),
+            refund_no: member.refund_no || generateRefundNo()
+          });
+          return { team, status: MEMBER_STATUS.REFUNDING, memberId: member.id };
+        }
+        return null;
+      });
+
+      if (!outcome) {
+        return null;
+      }
+      if (outcome.succeeded) {
+        await this.publish('group_buy.succeeded', outcome.succeeded);
+      }
+      if (outcome.memberId) {
+        this.getLogger().info('拼团已结束后支付，发起退款', { orderId, teamNo: outcome.team.team_no });
+        await this.refundMember(outcome.memberId);
+      }
+      return { teamNo: outcome.team.team_no, status: outcome.status };
+    } catch (error) {
+      this.getLogger().error('处理拼团订单支付失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 拼团订单取消或关闭后释放团内名额
+   * 传入事务连接时在调用方事务中执行，否则开启独立事务；非拼团订单或已支付的订单不做处理
+   * @param {string} orderId - 订单ID
+   * @param {Object} [connection] - 事务连接
+   * @returns {Promise<Object|null>} { teamNo }，未释放名额时返回 null
+   */
+  async onOrderCanceled(orderId, connection) {
+    const release = async (conn) => {
+      const locked = await this.lockByOrder(conn, orderId);
+      if (!locked || locked.member.status !== MEMBER_STATUS.PENDING) {
+        return null;
+      }
+      await groupBuyRepository.updateMember(conn, locked.member.id, MEMBER_STATUS.CANCELED);
+      await groupBuyRepository.adjustTeamCounts(conn, locked.team.id, { reserved: -1 });
+      return { teamNo: locked.team.team_no };
+    };
+
+    try {
+      const result = connection ? await release(connection) : await this.runInTransaction(release);
+
+      if (result) {
+        this.getLogger().info('拼团订单已取消，团内名额已释放', { orderId, ...result });
+      }
+      return result;
+    } catch (error) {
+      this.getLogger().error('释放拼团名额失败', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 成团，模拟成团时未支付的团员不再参团
+   * @param {Object} connection - 事务连接
+   * @param {Object} team - 已加锁的团队
+   * @param {boolean} simulated - 是否模拟成团
+   * @returns {Promise<Object>} 成团消息内容
+   */
+  async succeedTeam(connection, team, simulated) {
+    const members = await groupBuyRepository.getMembers(connection, team.id);
+    const pending = members.filter(member => member.status === MEMBER_STATUS.PENDING);
+    for (const member of pending) {
+      await groupBuyRepository.updateMember(connection, member.id, MEMBER_STATUS.CANCELED);
+    }
+    if (pending.length > 0) {
+      await groupBuyRepository.adjustTeamCounts(connection, team.id, { reserved: -pending.length });
+    }
+    await groupBuyRepository.finishTeam(connection, team.id, TEAM_STATUS.SUCCESS, { simulated });
+
+    return {
+      teamNo: team.team_no,
+      promotionId: team.promotion_id,
+      sellerId: String(team.seller_id),
+      productId: String(team.product_id),
+      simulated,
+      members: members
+        .filter(member => member.status === MEMBER_STATUS.PAID)
+        .map(member => ({ userId: String(member.user_id), orderId: String(member.order_id) }))
+    };
+  }
+
+  /**
+   * 拼团失败：未支付团员释放名额，已支付团员进入退款中
+   * @param {Object} connection - 事务连接
+   * @param {Object} team - 已加锁的团队
+   * @returns {Promise<Array<number>>} 待退款的团员ID
+   */
+  async failTeam(connection, team) {
+    const members = await groupBuyRepository.getMembers(connection, team.id);
+    const refundIds = [];
+    for (const member of members) {
+      if (member.status === MEMBER_STATUS.PENDING) {
+        await groupBuyRepository.updateMember(connection, member.id, MEMBER_STATUS.CANCELED);
+      } else if (member.status === MEMBER_STATUS.PAID) {
+        await groupBuyRepository.updateMember(connection, member.id, MEMBER_STATUS.REFUNDING, {
+          refund_no: member.refund_no || generateRefundNo()
+        });
+        refundIds.push(member.id);
+      }
+    }
+    await groupBuyRepository.finishTeam(connection, team.id, TEAM_STATUS.FAILED);
+    return refundIds;
+  }
+
+  /**
+   * 卖家手动模拟成团，仅限差额人数不超过活动设置的团
+   * @param {string} teamNo - 团号
+   * @param {Object} operator - { id, type }
+   * @param {Object} [scope] - { sellerId }，卖家只能操作本店铺的团
+   * @returns {Promise<Object>} 团队详情
+   */
+  async simulateTeam(teamNo, operator, scope = {}) {
+    try {
+      const succeeded = await this.runInTransaction(async (connection) => {
+        const team = await groupBuyRepository.getTeam(connection, { teamNo }, { forUpdate: true });
+        if (!team || (scope.sellerId && String(team.seller_id) !== String(scope.sellerId))) {
+          throw new NotFoundError('拼团不存在');
+        }
+        if (team.status !== TEAM_STATUS.OPEN) {
+          throw new AppError(409, '该团已结束', 409);
+        }
+        if (Number(team.paid_count) === 0) {
+          throw new AppError(409, '该团还没有已支付的团员', 409);
+        }
+
+        const promotion = await groupBuyRepository.getPromotion(connection, team.promotion_id);
+        const maxMissing = Number(parseRule(promotion && promotion.rule).simulateMaxMissing || 1);
+        const missing = Number(team.group_size) - Number(team.paid_count);
+        if (missing > maxMissing) {
+          throw new AppError(409, `该团还差 ${missing} 人，仅可对差 ${maxMissing} 人以内的团模拟成团`, 409);
+        }
+
+        return this.succeedTeam(connection, team, true);
+      });
+
+      await this.publish('group_buy.succeeded', succeeded);
+      this.getLogger().info('卖家模拟成团', { teamNo, operatorId: operator && operator.id });
+
+      return this.getTeam(teamNo, scope);
+    } catch (error) {
+      this.getLogger().error('模拟成团失败', { teamNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 处理到期未成团的团队：满足模拟成团条件的模拟成团，其余拼团失败并为已支付团员退款；
+   * 同时重试退款失败或中断的拼团退款
+   * @param {Date} [now] - 当前时间
+   * @returns {Promise<Object>} { simulated, failed, refunded, refundFailed }
+   */
+  async expireTeams(now = new Date()) {
+    try {
+      const candidates = await this.withConnection(connection => groupBuyRepository.findExpiredTeams(connection, now, EXPIRE_BATCH_SIZE));
+
+      let simulated = 0;
+      let failed = 0;
+      const refundIds = [];
+      for (const candidate of candidates) {
+        const outcome = await this.runInTransaction(async (connection) => {
+          const team = await groupBuyRepository.getTeam(connection, { id: candidate.id }, { forUpdate: true });
+          if (team.status !== TEAM_STATUS.OPEN || new Date(team.expires_at) > now) {
+            return null;
+          }
+
+          const promotion = await groupBuyRepository.getPromotion(connection, team.promotion_id);
+          const rule = parseRule(promotion && promotion.rule);
+          const missing = Number(team.group_size) - Number(team.paid_count);
+          if (rule.simulate === true && Number(team.paid_count) > 0 && missing <= Number(rule.simulateMaxMissing || 1)) {
+            return { succeeded: await this.succeedTeam(connection, team, true) };
+          }
+          return { team, refundIds: await this.failTeam(connection, team) };
+        });
+        if (!outcome) {
+          continue;
+        }
+        if (outcome.succeeded) {
+          simulated++;
+          await this.publish('group_buy.succeeded', outcome.succeeded);
+        } else {
+          failed++;
+          refundIds.push(...outcome.refundIds);
+          await this.publish('group_buy.failed', {
+            teamNo: outcome.team.team_no,
+            promotionId: outcome.team.promotion_id,
+            sellerId: String(outcome.team.seller_id),
+            paidCount: Number(outcome.team.paid_count),
+            groupSize: Number(outcome.team.group_size)
+          });
+        }
+      }
+
+      const staleBefore = new Date(now.getTime() - REFUND_STALE_MINUTES * 60 * 1000);
+      const retries = await this.withConnection(connection =>
+        groupBuyRepository.findRefundRetries(connection, MAX_REFUND_ATTEMPTS, staleBefore, EXPIRE_BATCH_SIZE)
+      );
+
+      let refunded = 0;
+      let refundFailed = 0;
+      for (const memberId of [...new Set([...refundIds, ...retries])]) {
+        const result = await this.refundMember(memberId);
+        if (result === MEMBER_STATUS.REFUNDED) {
+          refunded++;
+        } else if (result === MEMBER_STATUS.REFUND_FAILED) {
+          refundFailed++;
+        }
+      }
+
+      return { simulated, failed, refunded, refundFailed };
+    } catch (error) {
+      this.getLogger().error('处理到期拼团失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 为拼团失败的团员原路退款，退款成功后订单标记为已退款并退回库存
+   * 退款失败时记录失败原因，由定时任务重试，重试使用同一退款单号
+   * @param {number} memberId - 团员ID
+   * @returns {Promise<string|null>} refunded / refund_failed，团员不处于待退款状态时返回 null
+   */
+  async refundMember(memberId) {
+    const claimed = await this.runInTransaction(async (connection) => {
+      const member = await groupBuyRepository.getMember(connection, { id: memberId }, { forUpdate: true });
+      if (!member || ![MEMBER_STATUS.REFUNDING, MEMBER_STATUS.REFUND_FAILED].includes(member.status)) {
+        return null;
+      }
+      const refundNo = member.refund_no || generateRefundNo();
+      await groupBuyRepository.updateMember(connection, member.id, MEMBER_STATUS.REFUNDING, {
+        refund_no: refundNo,
+        refund_attempts: Number(member.refund_attempts) + 1
+      });
+      const order = await paymentRepository.getOrder(connection, member.order_id);
+      return { member, order, refundNo };
+    });
+    if (!claimed) {
+      return null;
+    }
+
+    const { member, order, refundNo } = claimed;
+    try {
+      await refundService.processRefundPayment(refundNo, {
+        transactionId: order ? order.payment_transaction_id : null,
+        paymentMethod: order ? order.payment_method : null,
+        userId: member.user_id,
+        amount: Number(member.amount),
+        reason: `拼团失败退款 ${member.team_no}`
+      });
+    } catch (error) {
+      this.getLogger().error('拼团退款失败', { memberId, orderId: member.order_id, error: error.message });
+      await this.runInTransaction(connection =>
+        groupBuyRepository.updateMember(connection, member.id, MEMBER_STATUS.REFUND_FAILED, {
+          refund_fail_reason: String(error.message).slice(0, 255)
+        })
+      );
+      return MEMBER_STATUS.REFUND_FAILED;
+    }
+
+    let stockChanges = [];
+    await this.runInTransaction(async (connection) => {
+      await groupBuyRepository.updateMember(connection, member.id, MEMBER_STATUS.REFUNDED, {
+        refund_fail_reason: null,
+        refunded_at: new Date()
+      });
+      await groupBuyRepository.markOrderRefunded(connection, member.order_id);
+      stockChanges = await inventoryService.restock(connection, [{
+        productId: member.product_id,
+        skuId: member.sku_id || null,
+        quantity: Number(member.quantity),
+        name: member.product_name
+      }], {
+        sourceType: 'group_buy',
+        sourceId: String(member.id),
+        reason: '拼团失败退款'
+      });
+    });
+
+    await inventoryService.publishAlerts(stockChanges);
+    await this.publish('group_buy.refunded', {
+      teamNo: member.team_no,
+      orderId: String(member.order_id),
+      userId: String(member.user_id),
+      sellerId: String(member.seller_id),
+      refundNo,
+      refundAmount: Number(member.amount),
+      refundMethod: order ? order.payment_method : null
+    });
+
+    this.getLogger().info('拼团退款成功', { memberId, orderId: member.order_id, refundNo });
+    return MEMBER_STATUS.REFUNDED;
+  }
+
+  /**
+   * 拼团订单发货前校验：未成团的拼团订单不能发货
+   * @param {string} orderId - 订单ID
+   * @returns {Promise<void>}
+   */
+  async assertShippable(orderId) {
+    const member = await this.withConnection(connection => groupBuyRepository.getMember(connection, { orderId: String(orderId) }));
+    if (member && member.team_status !== TEAM_STATUS.SUCCESS) {
+      throw new AppError(409, '拼团尚未成团，暂不能发货', 409);
+    }
+  }
+
+  /**
+   * 获取团队详情
+   * @param {string} teamNo - 团号
+   * @param {Object} [scope] - { sellerId }
+   * @returns {Promise<Object>} 团队（含团员）
+   */
+  async getTeam(teamNo, scope = {}) {
+    try {
+      const { row, members } = await this.withConnection(async (connection) => {
+        const team = await groupBuyRepository.getTeam(connection, { teamNo });
+        return { row: team, members: team ? await groupBuyRepository.getMembers(connection, team.id) : [] };
+      });
+      if (!row || (scope.sellerId && String(row.seller_id) !== String(scope.sellerId))) {
+        throw new NotFoundError('拼团不存在');
+      }
+      return formatTeam(row, members);
+    } catch (error) {
+      this.getLogger().error('获取拼团详情失败', { teamNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取团队详情（买家端），包含分享链接
+   * @param {string} teamNo - 团号
+   * @returns {Promise<Object>} 团队
+   */
+  async getPublicTeam(teamNo) {
+    const team = toPublicTeam(await this.getTeam(teamNo));
+    return { ...team, shareLink: this.buildShareLink(teamNo) };
+  }
+
+  /**
+   * 分页查询团队
+   * @param {Object} filters - { promotionId, sellerId, productId, status, userId, teamNo, joinable, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getTeams(filters = {}) {
+    try {
+      const { page, pageSize, offset } = normalizePage(filters);
+      const { rows, total } = await this.withConnection(connection => groupBuyRepository.findTeams(connection, filters, offset, pageSize));
+      return { list: rows.map(row => formatTeam(row)), total, page, pageSize };
+    } catch (error) {
+      this.getLogger().error('查询拼团列表失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 查询活动中可参加的团（买家端）
+   * @param {number} promotionId - 促销活动ID
+   * @param {Object} [filters] - { productId, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getJoinableTeams(promotionId, filters = {}) {
+    const result = await this.getTeams({ ...filters, promotionId, joinable: true });
+    return { ...result, list: result.list.map(toPublicTeam) };
+  }
+
+  /**
+   * 查询买家参加的团
+   * @param {string} userId - 买家用户ID
+   * @param {Object} [filters] - { status, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getUserTeams(userId, filters = {}) {
+    const result = await this.getTeams({ status: filters.status, page: filters.page, pageSize: filters.pageSize, userId });
+    return { ...result, list: result.list.map(toPublicTeam) };
+  }
+
+  /**
+   * 获取拼团活动详情
+   * @param {number} promotionId - 促销活动ID
+   * @param {Object} [scope] - { sellerId }
+   * @returns {Promise<Object>} 拼团活动（含团队统计和商品ID）
+   */
+  async getPromotion(promotionId, scope = {}) {
+    try {
+      const { row, counts, productIds } = await this.withConnection(async (connection) => ({
+        row: await groupBuyRepository.getPromotion(connection, promotionId),
+        counts: await groupBuyRepository.countTeamsByStatus(connection, [promotionId]),
+        productIds: await groupBuyRepository.getPromotionProductIds(connection, promotionId)
+      }));
+      if (!row || (scope.sellerId && String(row.seller_id) !== String(scope.sellerId))) {
+        throw new NotFoundError('拼团活动不存在');
+      }
+      const stats = {};
+      counts.forEach((item) => {
+        stats[item.status] = { count: Number(item.count), simulated: Number(item.simulated || 0), members: Number(item.members || 0) };
+      });
+      return { ...formatPromotion(row, stats), productIds };
+    } catch (error) {
+      this.getLogger().error('获取拼团活动失败', { promotionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取拼团活动详情（买家端）
+   * @param {number} promotionId - 促销活动ID
+   * @returns {Promise<Object>} 拼团活动
+   */
+  async getPublicPromotion(promotionId) {
+    const { stats, sellerId, status, ...promotion } = await this.getPromotion(promotionId);
+    // 草稿和暂停中的活动不对买家展示
+    if (!['active', 'ended', 'expired'].includes(status)) {
+      throw new NotFoundError('拼团活动不存在');
+    }
+    return promotion;
+  }
+
+  /**
+   * 分页查询拼团活动
+   * @param {Object} filters - { sellerId, keyword, state, groupSize, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getPromotions(filters = {}) {
+    try {
+      const { page, pageSize, offset } = normalizePage(filters);
+      const { rows, total, counts } = await this.withConnection(async (connection) => {
+        const result = await groupBuyRepository.findPromotions(connection, filters, offset, pageSize);
+        return { ...result, counts: await groupBuyRepository.countTeamsByStatus(connection, result.rows.map(row => row.id)) };
+      });
+
+      const stats = {};
+      counts.forEach((item) => {
+        stats[item.promotion_id] = stats[item.promotion_id] || {};
+        stats[item.promotion_id][item.status] = {
+          count: Number(item.count),
+          simulated: Number(item.simulated || 0),
+          members: Number(item.members || 0)
+        };
+      });
+      return { list: rows.map(row => formatPromotion(row, stats[row.id] || {})), total, page, pageSize };
+    } catch (error) {
+      this.getLogger().error('查询拼团活动失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 结束拼团活动，活动结束后不能再开团或参团，进行中的团在成团时限内仍可成团
+   * @param {number} promotionId - 促销活动ID
+   * @param {Object} operator - { id, type }
+   * @returns {Promise<Object>} 拼团活动
+   */
+  async endPromotion(promotionId, operator) {
+    try {
+      await this.runInTransaction(async (connection) => {
+        const promotion = await groupBuyRepository.getPromotion(connection, promotionId);
+        if (!promotion) {
+          throw new NotFoundError('拼团活动不存在');
+        }
+        if (resolveState(promotion) === PROMOTION_STATE.ENDED) {
+          throw new AppError(409, '拼团活动已结束', 409);
+        }
+        await groupBuyRepository.updatePromotionStatus(connection, promotionId, 'ended');
+      });
+
+      this.getLogger().info('拼团活动已结束', { promotionId, operatorId: operator && operator.id });
+      return this.getPromotion(promotionId);
+    } catch (error) {
+      this.getLogger().error('结束拼团活动失败', { promotionId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+// 导出单例实例
+const groupBuyService = new GroupBuyService();
+module.exports = groupBuyService;
+module.exports.TEAM_STATUS = TEAM_STATUS;
+module.exports.MEMBER_STATUS = MEMBER_STATUS;
+module.exports.PROMOTION_STATE = PROMOTION_STATE;
+module.exports.normalizeRule = normalizeRule;
@@ -0,0 +1,216 @@
+/**
+ * 拼团服务测试
+ */
+
+const mockCacheManager = { publish: jest.fn() };
+const mockLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+jest.mock('@core/di/container', () => ({
+  resolve: name => (name === 'cacheManager' ? mockCacheManager : mockLogger)
+}), { virtual: true });
+jest.mock('../data-access/database/TransactionManager', () => ({
+  TransactionManager: jest.fn().mockImplementation(() => ({
+    executeInTransaction: jest.fn()
+  }))
+}));
+jest.mock('../data-access/database/ConnectionPoolManager', () => ({
+  connectionPoolManager: { getConnection: jest.fn() }
+}));
+jest.mock('./inventoryService', () => ({
+  restock: jest.fn(),
+  publishAlerts: jest.fn()
+}));
+jest.mock('./refundService', () => ({
+  processRefundPayment: jest.fn()
+}));
+jest.mock('../repositories/paymentRepository', () => ({
+  getOrder: jest.fn()
+}));
+jest.mock('../repositories/groupBuyRepository', () => ({
+  getPromotion: jest.fn(),
+  getPromotionProductIds: jest.fn(),
+  getTeam: jest.fn(),
+  createTeam: jest.fn(),
+  getActiveMember: jest.fn(),
+  createMember: jest.fn(),
+  getMember: jest.fn(),
+  getMembers: jest.fn(),
+  updateMember: jest.fn(),
+  adjustTeamCounts: jest.fn(),
+  finishTeam: jest.fn(),
+  findExpiredTeams: jest.fn(),
+  findRefundRetries: jest.fn(),
+  markOrderRefunded: jest.fn()
+}));
+
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const inventoryService = require('./inventoryService');
+const refundService = require('./refundService');
+const groupBuyRepository = require('../repositories/groupBuyRepository');
+const paymentRepository = require('../repositories/paymentRepository');
+const groupBuyService = require('./groupBuyService');
+
+const { TEAM_STATUS, MEMBER_STATUS, normalizeRule } = groupBuyService;
+
+const connection = { query: jest.fn(), release: jest.fn() };
+const HOUR = 60 * 60 * 1000;
+
+// 3 人成团、可在差 1 人时模拟成团的拼团活动
+const PROMOTION = {
+  id: 2,
+  seller_id: 10,
+  status: 'active',
+  start_time: new Date(Date.now() - HOUR),
+  end_time: new Date(Date.now() + 48 * HOUR),
+  rule: JSON.stringify({ groupPrice: 59.9, groupSize: 3, teamHours: 24, simulate: true, simulateMaxMissing: 1 })
+};
+
+/**
+ * 构建团队记录
+ * @param {Object} overrides - 覆盖字段
+ * @returns {Object} 团队记录
+ */
+function makeTeam(overrides) {
+  return {
+    id: 5,
+    team_no: 'GB1',
+    promotion_id: 2,
+    seller_id: 10,
+    product_id: 1,
+    sku_id: '',
+    group_size: 3,
+    paid_count: 1,
+    reserved_count: 1,
+    status: TEAM_STATUS.OPEN,
+    expires_at: new Date(Date.now() + HOUR),
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  groupBuyService.transactionManager.executeInTransaction.mockImplementation(operation => operation(connection, {}));
+  connectionPoolManager.getConnection.mockResolvedValue(connection);
+  groupBuyRepository.getPromotion.mockResolvedValue(PROMOTION);
+  groupBuyRepository.getPromotionProductIds.mockResolvedValue([]);
+  groupBuyRepository.getMembers.mockResolvedValue([]);
+  groupBuyRepository.findRefundRetries.mockResolvedValue([]);
+  inventoryService.restock.mockResolvedValue([]);
+});
+
+describe('normalizeRule', () => {
+  test('未设置成团时限和模拟差额人数时使用默认值', () => {
+    expect(normalizeRule({ groupPrice: '59.9', groupSize: 3 })).toMatchObject({
+      groupPrice: 59.9, groupSize: 3, teamHours: 24, simulate: false, simulateMaxMissing: 1
+    });
+  });
+
+  test('模拟成团差额人数不能达到成团人数', () => {
+    expect(() => normalizeRule({ groupPrice: 10, groupSize: 2, simulateMaxMissing: 2 })).toThrow('模拟成团差额人数');
+  });
+});
+
+describe('joinTeam', () => {
+  const params = { promotionId: 2, productId: 1, sellerId: 10, quantity: 1, orderId: 100, amount: 59.9 };
+
+  test('未指定团号时开新团，团队截止时间不超过活动结束时间', async () => {
+    groupBuyRepository.getPromotion.mockResolvedValue({ ...PROMOTION, end_time: new Date(Date.now() + 2 * HOUR) });
+    groupBuyRepository.createTeam.mockResolvedValue(5);
+    groupBuyRepository.getTeam.mockResolvedValue(makeTeam({ paid_count: 0, reserved_count: 0 }));
+
+    const result = await groupBuyService.joinTeam(connection, 'u1', params);
+
+    const [, team] = groupBuyRepository.createTeam.mock.calls[0];
+    expect(team).toMatchObject({ leaderUserId: 'u1', groupSize: 3, groupPrice: 59.9, status: TEAM_STATUS.OPEN });
+    expect(team.expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 2 * HOUR);
+    expect(groupBuyRepository.createMember).toHaveBeenCalledWith(connection, expect.objectContaining({
+      teamId: 5, orderId: '100', isLeader: true, status: MEMBER_STATUS.PENDING
+    }));
+    expect(groupBuyRepository.adjustTeamCounts).toHaveBeenCalledWith(connection, 5, { reserved: 1 });
+    expect(result).toMatchObject({ teamNo: 'GB1', isLeader: true });
+  });
+
+  test('团长尚未支付时不能参团', async () => {
+    groupBuyRepository.getTeam.mockResolvedValue(makeTeam({ paid_count: 0 }));
+
+    await expect(groupBuyService.joinTeam(connection, 'u2', { ...params, teamNo: 'GB1' }))
+      .rejects.toThrow('团长尚未支付，暂不能参团');
+    expect(groupBuyRepository.createMember).not.toHaveBeenCalled();
+  });
+
+  test('团内名额已被占满时不能参团', async () => {
+    groupBuyRepository.getTeam.mockResolvedValue(makeTeam({ reserved_count: 3 }));
+
+    await expect(groupBuyService.joinTeam(connection, 'u2', { ...params, teamNo: 'GB1' })).rejects.toThrow('该团已满员');
+  });
+});
+
+describe('onOrderPaid', () => {
+  test('最后一位团员支付后成团，未支付的团员不再参团', async () => {
+    const team = makeTeam({ paid_count: 2, reserved_count: 3 });
+    groupBuyRepository.getMember.mockResolvedValue({ id: 7, team_id: 5, status: MEMBER_STATUS.PENDING });
+    groupBuyRepository.getTeam.mockResolvedValue(team);
+    groupBuyRepository.getMembers.mockResolvedValue([
+      { id: 6, user_id: 'u1', order_id: 99, status: MEMBER_STATUS.PAID },
+      { id: 8, user_id: 'u3', order_id: 101, status: MEMBER_STATUS.PENDING }
+    ]);
+
+    const result = await groupBuyService.onOrderPaid('100');
+
+    expect(result).toEqual({ teamNo: 'GB1', status: TEAM_STATUS.SUCCESS });
+    expect(groupBuyRepository.updateMember).toHaveBeenCalledWith(connection, 8, MEMBER_STATUS.CANCELED);
+    expect(groupBuyRepository.adjustTeamCounts).toHaveBeenCalledWith(connection, 5, { reserved: -1 });
+    expect(groupBuyRepository.finishTeam).toHaveBeenCalledWith(connection, 5, TEAM_STATUS.SUCCESS, { simulated: false });
+    expect(mockCacheManager.publish).toHaveBeenCalledWith('group_buy.succeeded', expect.objectContaining({ teamNo: 'GB1', simulated: false }));
+  });
+
+  test('团队已结束后支付的订单立即原路退款', async () => {
+    const member = { id: 7, team_id: 5, team_no: 'GB1', order_id: 100, user_id: 'u2', amount: '59.90', refund_attempts: 0 };
+    groupBuyRepository.getTeam.mockResolvedValue(makeTeam({ status: TEAM_STATUS.FAILED }));
+    groupBuyRepository.getMember
+      .mockResolvedValueOnce({ ...member, status: MEMBER_STATUS.CANCELED })
+      .mockResolvedValueOnce({ ...member, status: MEMBER_STATUS.CANCELED })
+      .mockResolvedValueOnce({ ...member, status: MEMBER_STATUS.REFUNDING, refund_no: 'GR1' });
+    paymentRepository.getOrder.mockResolvedValue({ payment_transaction_id: 'T1', payment_method: 'wechat' });
+
+    const result = await groupBuyService.onOrderPaid('100');
+
+    expect(result).toEqual({ teamNo: 'GB1', status: MEMBER_STATUS.REFUNDING });
+    expect(refundService.processRefundPayment).toHaveBeenCalledWith('GR1', expect.objectContaining({
+      transactionId: 'T1', amount: 59.9
+    }));
+    expect(groupBuyRepository.markOrderRefunded).toHaveBeenCalledWith(connection, 100);
+  });
+});
+
+describe('expireTeams', () => {
+  test('差额人数在设置范围内的团模拟成团，其余团拼团失败并为已支付团员退款', async () => {
+    const now = new Date();
+    groupBuyRepository.findExpiredTeams.mockResolvedValue([{ id: 5 }, { id: 6 }]);
+    groupBuyRepository.getTeam.mockImplementation(async (conn, { id }) => (id === 5
+      ? makeTeam({ paid_count: 2, expires_at: now })
+      : makeTeam({ id: 6, team_no: 'GB2', paid_count: 1, expires_at: now })));
+    groupBuyRepository.getMembers.mockImplementation(async (conn, teamId) => (teamId === 6
+      ? [{ id: 9, status: MEMBER_STATUS.PAID }]
+      : []));
+    groupBuyRepository.getMember.mockResolvedValue({ id: 9, status: MEMBER_STATUS.REFUNDING, refund_attempts: 0, amount: '59.90' });
+    refundService.processRefundPayment.mockRejectedValue(new Error('渠道繁忙'));
+
+    const result = await groupBuyService.expireTeams(now);
+
+    expect(result).toEqual({ simulated: 1, failed: 1, refunded: 0, refundFailed: 1 });
+    expect(groupBuyRepository.finishTeam).toHaveBeenCalledWith(connection, 5, TEAM_STATUS.SUCCESS, { simulated: true });
+    expect(groupBuyRepository.finishTeam).toHaveBeenCalledWith(connection, 6, TEAM_STATUS.FAILED);
+    expect(groupBuyRepository.updateMember).toHaveBeenCalledWith(connection, 9, MEMBER_STATUS.REFUND_FAILED, {
+      refund_fail_reason: '渠道繁忙'
+    });
+  });
+});
+
+describe('assertShippable', () => {
+  test('未成团的拼团订单不能发货', async () => {
+    groupBuyRepository.getMember.mockResolvedValue({ id: 7, team_status: TEAM_STATUS.OPEN });
+
+    await expect(groupBuyService.assertShippable('100')).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
@@ -1,13 +1,96 @@
 /**
  * 库存服务
- * 提供库存管理相关功能
+ * 提供库存管理相关功能：库存按商品 + SKU 记录可售、锁定、已售数量，
+ * 下单锁定、支付确认、取消解锁、退款退回、手工调整和批量导入都在数据库事务中锁定库存记录后进行，
+ * 每次变动追加一条库存流水。可售库存降到预警阈值时自动发送库存预警。
  */
 
 const di = require('@core/di/container');
+const { TransactionManager } = require('../data-access/database/TransactionManager');
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const { TransactionError } = require('../exception/handlers/errorHandler');
+const inventoryRepository = require('../repositories/inventoryRepository');
+
+// 数据库连接池ID
+const DB_POOL_ID = process.env.DB_POOL_ID || 'default';
+
+/**
+ * 库存流水类型
+ */
+const MOVEMENT_TYPE = {
+  LOCK: 'lock',     // 下单锁定
+  UNLOCK: 'unlock', // 取消订单解锁
+  SALE: 'sale',     // 销售出库
+  REFUND: 'refund', // 退款退回
+  ADJUST: 'adjust', // 手工调整
+  IMPORT: 'import'  // 批量导入
+};
+
+/**
+ * 规范化库存项，无规格商品的 SKU ID 为空字符串
+ * @param {Object} item - { productId, skuId, quantity, name }
+ * @returns {Object} 库存项
+ */
+function normalizeItem(item) {
+  return {
+    productId: String(item.productId),
+    skuId: item.skuId === undefined || item.skuId === null ? '' : String(item.skuId),
+    quantity: parseInt(item.quantity, 10),
+    name: item.name
+  };
+}
+
+/**
+ * 合并同一商品 SKU 的库存项，并按商品、SKU 排序，多个事务同时锁定时按相同顺序加锁避免死锁
+ * @param {Array} items - 库存项列表
+ * @returns {Array} 合并后的库存项
+ */
+function mergeItems(items) {
+  const merged = new Map();
+
+  for (const raw of items) {
+    const item = normalizeItem(raw);
+    if (!item.quantity || item.quantity <= 0) {
+      throw new Error('库存数量必须为正整数');
+    }
+
+    const key = `${item.productId}:${item.skuId}`;
+    const entry = merged.get(key);
+    if (entry) {
+      entry.quantity += item.quantity;
+    } else {
+      merged.set(key, item);
+    }
+  }
+
+  return Array.from(merged.values()).sort((a, b) =>
+    a.productId.localeCompare(b.productId) || a.skuId.localeCompare(b.skuId)
+  );
+}
+
+/**
+ * 格式化库存记录
+ * @param {Object} stock - 库存记录
+ * @returns {Object} 库存
+ */
+function formatStock(stock) {
+  return {
+    productId: stock.product_id,
+    skuId: stock.sku_id,
+    sellerId: stock.seller_id,
+    available: Number(stock.available),
+    locked: Number(stock.locked),
+    sold: Number(stock.sold),
+    alertThreshold: Number(stock.alert_threshold)
+  };
+}
 
 class InventoryService {
   constructor() {
     // 初始化库存相关配置
+    this.transactionManager = new TransactionManager({
+      getConnection: () => connectionPoolManager.getConnection(DB_POOL_ID)
+    });
   }
 
   // 获取logger服务
@@ -18,21 +101,344 @@ class InventoryService {
     return this._logger;
   }
 
+  // 获取缓存管理器（用于发布库存消息）
+  getCacheManager() {
+    if (!this._cacheManager) {
+      this._cacheManager = di.resolve('cacheManager');
+    }
+    return this._cacheManager;
+  }
+
+  /**
+   * 在库存事务中执行操作，事务失败时抛出原始业务错误
+   * @param {Function} operation - 操作函数 (connection, transaction) => Promise
+   * @returns {Promise<any>} 操作结果
+   */
+  async runInTransaction(operation) {
+    try {
+      return await this.transactionManager.executeInTransaction(operation);
+    } catch (error) {
+      if (error instanceof TransactionError && error.originalError) {
+        throw error.originalError;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 使用非事务连接执行只读查询
+   * @param {Function} operation - 操作函数 (connection) => Promise
+   * @returns {Promise<any>} 查询结果
+   */
+  async withConnection(operation) {
+    const connection = await connectionPoolManager.getConnection(DB_POOL_ID);
+    try {
+      return await operation(connection);
+    } finally {
+      connection.release();
+    }
+  }
+
   /**
-   * 减少库存
+   * 锁定库存记录并写入一条库存流水
+   * 流水带来源时同一来源只生效一次，重复调用返回null
+   * @param {Object} connection - 事务连接
+   * @param {Object} item - 规范化后的库存项
+   * @param {Object} movement - { type, sourceType, sourceId, reason, operatorId, sellerId, createIfMissing, skipMissing, compute }
+   *   compute(stock, quantity) 返回 { available, locked, sold } 各数量的增量
+   * @returns {Promise<Object|null>} 库存变动
+   */
+  async applyMovement(connection, item, movement) {
+    const { productId, skuId, quantity } = item;
+    const sourceId = movement.sourceId !== undefined && movement.sourceId !== null ? String(movement.sourceId) : null;
+
+    let stock = await inventoryRepository.lockStock(connection, productId, skuId);
+    if (!stock && movement.createIfMissing) {
+      await inventoryRepository.createStock(connection, {
+        sellerId: movement.sellerId || null,
+        productId,
+        skuId,
+        operatorId: movement.operatorId || null
+      });
+      stock = await inventoryRepository.lockStock(connection, productId, skuId);
+    }
+    if (!stock && movement.skipMissing) {
+      this.getLogger().warn('库存记录不存在，跳过库存变动', { productId, skuId, type: movement.type });
+      return null;
+    }
+    if (!stock) {
+      if (movement.type === MOVEMENT_TYPE.LOCK || movement.type === MOVEMENT_TYPE.SALE) {
+        throw new Error(`${item.name || productId}库存不足`);
+      }
+      throw new Error(`库存记录不存在 (商品: ${productId}, SKU: ${skuId || '-'})`);
+    }
+
+    if (sourceId) {
+      const existing = await inventoryRepository.findMovement(connection, {
+        type: movement.type,
+        sourceType: movement.sourceType,
+        sourceId,
+        productId,
+        skuId
+      });
+      if (existing) {
+        return null;
+      }
+    }
+
+    const before = formatStock(stock);
+    const change = { available: 0, locked: 0, sold: 0, ...movement.compute(before, quantity) };
+    const after = {
+      available: before.available + change.available,
+      locked: before.locked + change.locked,
+      sold: before.sold + change.sold
+    };
+
+    if (after.available < 0) {
+      throw new Error(`${item.name || productId}库存不足`);
+    }
+    if (after.locked < 0 || after.sold < 0) {
+      throw new Error(`库存数据不一致 (商品: ${productId}, SKU: ${skuId || '-'})`);
+    }
+
+    if (change.available === 0 && change.locked === 0 && change.sold === 0) {
+      return null;
+    }
+
+    const applied = await inventoryRepository.applyChange(connection, stock.id, change, movement.operatorId || null);
+    if (!applied) {
+      throw new Error(`${item.name || productId}库存不足`);
+    }
+
+    await inventoryRepository.createMovement(connection, {
+      inventoryId: stock.id,
+      productId,
+      skuId,
+      type: movement.type,
+      availableChange: change.available,
+      lockedChange: change.locked,
+      soldChange: change.sold,
+      availableAfter: after.available,
+      lockedAfter: after.locked,
+      soldAfter: after.sold,
+      sourceType: movement.sourceType || null,
+      sourceId,
+      reason: movement.reason || null,
+      operatorId: movement.operatorId || null
+    });
+
+    // 可售库存从阈值以上降到阈值及以下时触发预警，已处于预警状态时不重复提醒
+    const threshold = before.alertThreshold;
+    const alert = threshold > 0 && before.available > threshold && after.available <= threshold;
+
+    return {
+      productId,
+      skuId,
+      sellerId: before.sellerId,
+      name: item.name,
+      type: movement.type,
+      quantity,
+      stockChange: change.available,
+      currentStock: after.available,
+      locked: after.locked,
+      sold: after.sold,
+      alertThreshold: threshold,
+      alert
+    };
+  }
+
+  /**
+   * 对多个库存项执行同一类库存变动
+   * @param {Object} connection - 事务连接
+   * @param {Array} items - 库存项列表
+   * @param {Object} movement - 库存变动参数，见 applyMovement
+   * @returns {Promise<Array>} 库存变动列表（不含重复调用被忽略的项）
+   */
+  async applyMovements(connection, items, movement) {
+    const changes = [];
+
+    for (const item of mergeItems(items)) {
+      const change = await this.applyMovement(connection, item, movement);
+      if (change) {
+        changes.push(change);
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * 发布库存预警消息
+   * 在事务提交后调用，消息发布失败不影响已提交的库存变动
+   * @param {Array} changes - 库存变动列表
+   * @returns {Promise<void>}
+   */
+  async publishAlerts(changes) {
+    for (const change of changes || []) {
+      if (!change.alert) {
+        continue;
+      }
+
+      try {
+        await this.getCacheManager().publish('product.inventory_changed', {
+          productId: change.productId,
+          skuId: change.skuId || null,
+          sellerId: change.sellerId,
+          name: change.name,
+          stockChange: change.stockChange,
+          currentStock: change.currentStock,
+          alertThreshold: change.alertThreshold,
+          thresholdAlert: true,
+          timestamp: new Date().toISOString()
+        });
+
+        this.getLogger().info('库存预警已发送', {
+          productId: change.productId,
+          skuId: change.skuId,
+          currentStock: change.currentStock,
+          alertThreshold: change.alertThreshold
+        });
+      } catch (error) {
+        this.getLogger().error('发布库存预警失败', { productId: change.productId, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * 获取商品 SKU 的库存
+   * @param {string} productId - 商品ID
+   * @param {string} [skuId] - SKU ID
+   * @returns {Promise<Object|null>} 库存
+   */
+  async getStock(productId, skuId = null) {
+    try {
+      const { productId: key, skuId: sku } = normalizeItem({ productId, skuId });
+      const stock = await this.withConnection(connection => inventoryRepository.getStock(connection, key, sku));
+      return stock ? formatStock(stock) : null;
+    } catch (error) {
+      this.getLogger().error('获取库存失败', { productId, skuId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 检查库存是否充足
+   * @param {Array} items - 商品项数组 [{ productId, skuId, quantity }]
+   * @returns {Promise<boolean>} 库存是否充足
+   */
+  async checkInventory(items) {
+    try {
+      this.getLogger().info('检查库存充足性', { itemCount: items.length });
+
+      const merged = mergeItems(items);
+      return await this.withConnection(async (connection) => {
+        for (const item of merged) {
+          const stock = await inventoryRepository.getStock(connection, item.productId, item.skuId);
+          if (!stock || Number(stock.available) < item.quantity) {
+            return false;
+          }
+        }
+        return true;
+      });
+    } catch (error) {
+      this.getLogger().error('库存检查失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 下单锁定库存（在订单事务中调用），任一商品库存不足时抛错
+   * @param {Object} connection - 订单事务连接
+   * @param {Array} items - 商品项数组 [{ productId, skuId, quantity, name }]
+   * @param {Object} source - { sourceType, sourceId, reason }
+   * @returns {Promise<Array>} 库存变动列表，事务提交后交给 publishAlerts
+   */
+  async lock(connection, items, source) {
+    return this.applyMovements(connection, items, {
+      ...source,
+      type: MOVEMENT_TYPE.LOCK,
+      compute: (stock, quantity) => ({ available: -quantity, locked: quantity })
+    });
+  }
+
+  /**
+   * 解锁库存（订单取消或超时关闭时在事务中调用）
+   * @param {Object} connection - 事务连接
+   * @param {Array} items - 商品项数组
+   * @param {Object} source - { sourceType, sourceId, reason }
+   * @returns {Promise<Array>} 库存变动列表
+   */
+  async unlock(connection, items, source) {
+    return this.applyMovements(connection, items, {
+      ...source,
+      type: MOVEMENT_TYPE.UNLOCK,
+      compute: (stock, quantity) => ({ available: quantity, locked: -quantity })
+    });
+  }
+
+  /**
+   * 确认销售，将锁定库存转为已售（订单支付成功时在事务中调用）
+   * @param {Object} connection - 事务连接
+   * @param {Array} items - 商品项数组
+   * @param {Object} source - { sourceType, sourceId, reason }
+   * @returns {Promise<Array>} 库存变动列表
+   */
+  async confirmSale(connection, items, source) {
+    return this.applyMovements(connection, items, {
+      ...source,
+      type: MOVEMENT_TYPE.SALE,
+      compute: (stock, quantity) => ({ locked: -quantity, sold: quantity })
+    });
+  }
+
+  /**
+   * 直接从可售库存销售出库（在调用方事务中执行，不经过下单锁定的场景）
+   * @param {Object} connection - 事务连接
+   * @param {Array} items - 商品项数组
+   * @param {Object} source - { sourceType, sourceId, reason, operatorId }
+   * @returns {Promise<Array>} 库存变动列表，事务提交后交给 publishAlerts
+   */
+  async deduct(connection, items, source) {
+    return this.applyMovements(connection, items, {
+      ...source,
+      type: MOVEMENT_TYPE.SALE,
+      compute: (stock, quantity) => ({ available: -quantity, sold: quantity })
+    });
+  }
+
+  /**
+   * 退款退货时将已售库存退回可售库存（在调用方事务中执行）
+   * 同一来源重复调用只退回一次，没有库存记录的商品跳过
+   * @param {Object} connection - 事务连接
+   * @param {Array} items - 商品项数组
+   * @param {Object} source - { sourceType, sourceId, reason, operatorId }
+   * @returns {Promise<Array>} 库存变动列表
+   */
+  async restock(connection, items, source) {
+    return this.applyMovements(connection, items, {
+      ...source,
+      type: MOVEMENT_TYPE.REFUND,
+      skipMissing: true,
+      // 已售数量可能早于库存系统上线，最多冲减到0
+      compute: (stock, quantity) => ({ available: quantity, sold: -Math.min(quantity, stock.sold) })
+    });
+  }
+
+  /**
+   * 减少库存，直接从可售库存销售出库
    * @param {Array} items - 商品项数组
-   * @returns {Promise<boolean>} 是否操作成功
+   * @param {Object} [source] - { sourceType, sourceId, reason, operatorId }
+   * @returns {Promise<Array>} 库存变动列表
    */
-  async reduceInventory(items) {
+  async reduceInventory(items, source = {}) {
     try {
-      this.getLogger().info('尝试减少库存', { itemCount: items.length });
-      
-      // 这里是模拟实现
-      // 实际项目中应该更新数据库中的库存信息
-      
-      // 模拟库存减少成功
+      this.getLogger().info('尝试减少库存', { itemCount: items.length, sourceType: source.sourceType });
+
+      const changes = await this.runInTransaction(connection => this.deduct(connection, items, source));
+      await this.publishAlerts(changes);
+
       this.getLogger().info('库存减少成功', { itemCount: items.length });
-      return true;
+      return changes;
     } catch (error) {
       this.getLogger().error('库存减少失败', { error: error.message });
       throw error;
@@ -40,20 +446,19 @@ class InventoryService {
   }
 
   /**
-   * 增加库存
+   * 增加库存，退款退货时将已售库存退回可售库存
    * @param {Array} items - 商品项数组
-   * @returns {Promise<boolean>} 是否操作成功
+   * @param {Object} [source] - { sourceType, sourceId, reason, operatorId }
+   * @returns {Promise<Array>} 库存变动列表
    */
-  async increaseInventory(items) {
+  async increaseInventory(items, source = {}) {
     try {
-      this.getLogger().info('尝试增加库存', { itemCount: items.length });
-      
-      // 这里是模拟实现
-      // 实际项目中应该更新数据库中的库存信息
-      
-      // 模拟库存增加成功
+      this.getLogger().info('尝试增加库存', { itemCount: items.length, sourceType: source.sourceType });
+
+      const changes = await this.runInTransaction(connection => this.restock(connection, items, source));
+
       this.getLogger().info('库存增加成功', { itemCount: items.length });
-      return true;
+      return changes;
     } catch (error) {
       this.getLogger().error('库存增加失败', { error: error.message });
       throw error;
@@ -61,21 +466,165 @@ class InventoryService {
   }
 
   /**
-   * 检查库存是否充足
-   * @param {Array} items - 商品项数组
-   * @returns {Promise<boolean>} 库存是否充足
+   * 将可售库存设置为指定数量，差额记为一条调整或导入流水
+   * @param {Object} params - 参数
+   * @param {string} params.sellerId - 卖家ID（库存记录不存在时用于创建）
+   * @param {string} params.productId - 商品ID
+   * @param {string} [params.skuId] - SKU ID
+   * @param {number} params.quantity - 可售库存数量
+   * @param {string} [params.reason] - 调整原因
+   * @param {string} [params.operatorId] - 操作人ID
+   * @param {string} [params.type] - 流水类型，adjust 或 import
+   * @returns {Promise<Object|null>} 库存变动，数量未变化时返回null
    */
-  async checkInventory(items) {
+  async adjustInventory(params) {
+    const { sellerId, reason, operatorId, type = MOVEMENT_TYPE.ADJUST } = params;
+
     try {
-      this.getLogger().info('检查库存充足性', { itemCount: items.length });
-      
-      // 这里是模拟实现
-      // 实际项目中应该查询数据库中的库存信息
-      
-      // 模拟库存充足
-      return true;
+      const item = normalizeItem(params);
+      if (!Number.isInteger(item.quantity) || item.quantity < 0) {
+        throw new Error('库存数量不能为负数');
+      }
+      if (![MOVEMENT_TYPE.ADJUST, MOVEMENT_TYPE.IMPORT].includes(type)) {
+        throw new Error(`不支持的库存调整类型: ${type}`);
+      }
+
+      const change = await this.runInTransaction(connection => this.applyMovement(connection, item, {
+        type,
+        reason: reason || (type === MOVEMENT_TYPE.IMPORT ? '批量导入' : '手动调整'),
+        operatorId,
+        sellerId,
+        createIfMissing: true,
+        compute: (stock, quantity) => ({ available: quantity - stock.available })
+      }));
+      if (change) {
+        await this.publishAlerts([change]);
+      }
+
+      this.getLogger().info('库存调整成功', { productId: item.productId, skuId: item.skuId, quantity: item.quantity, type });
+      return change;
     } catch (error) {
-      this.getLogger().error('库存检查失败', { error: error.message });
+      this.getLogger().error('库存调整失败', { productId: params.productId, skuId: params.skuId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 批量导入库存，每一项在独立事务中设置可售库存，单项失败不影响其他项
+   * @param {Array} items - 库存项数组 [{ productId, skuId, quantity, sellerId }]
+   * @param {Object} [options] - { reason, operatorId }
+   * @returns {Promise<Object>} { imported, unchanged, failed }
+   */
+  async importInventory(items, options = {}) {
+    const result = { imported: 0, unchanged: 0, failed: 0 };
+
+    for (const item of items) {
+      try {
+        const change = await this.adjustInventory({
+          ...item,
+          reason: options.reason,
+          operatorId: options.operatorId,
+          type: MOVEMENT_TYPE.IMPORT
+        });
+        if (change) {
+          result.imported++;
+        } else {
+          result.unchanged++;
+        }
+      } catch (error) {
+        result.failed++;
+      }
+    }
+
+    this.getLogger().info('库存导入完成', result);
+    return result;
+  }
+
+  /**
+   * 设置库存预警阈值，当前可售库存已不高于新阈值时立即发送预警
+   * @param {Object} params - { productId, skuId, alertThreshold }
+   * @returns {Promise<Object|null>} 库存，库存记录不存在时返回null
+   */
+  async setAlertThreshold(params) {
+    try {
+      const item = normalizeItem({ ...params, quantity: 0 });
+      const alertThreshold = parseInt(params.alertThreshold, 10);
+      if (!Number.isInteger(alertThreshold) || alertThreshold < 0) {
+        throw new Error('预警阈值不能为负数');
+      }
+
+      const stock = await this.runInTransaction(async (connection) => {
+        const current = await inventoryRepository.lockStock(connection, item.productId, item.skuId);
+        if (!current) {
+          return null;
+        }
+        await inventoryRepository.updateAlertThreshold(connection, current.id, alertThreshold);
+        return { ...formatStock(current), alertThreshold };
+      });
+
+      if (stock && alertThreshold > 0 && stock.available <= alertThreshold) {
+        await this.publishAlerts([{
+          ...stock,
+          stockChange: 0,
+          currentStock: stock.available,
+          alert: true
+        }]);
+      }
+
+      return stock;
+    } catch (error) {
+      this.getLogger().error('设置库存预警阈值失败', { productId: params.productId, skuId: params.skuId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询库存流水
+   * @param {Object} query - { sellerId, productId, skuId, type }
+   * @param {Object} [pagination] - { page, pageSize }
+   * @returns {Promise<Object>} 流水列表和分页信息
+   */
+  async getMovements(query, pagination = { page: 1, pageSize: 20 }) {
+    try {
+      const page = Math.max(parseInt(pagination.page, 10) || 1, 1);
+      const pageSize = Math.max(parseInt(pagination.pageSize, 10) || 20, 1);
+      const filters = {
+        ...query,
+        productId: query.productId ? String(query.productId) : null,
+        skuId: query.skuId ? String(query.skuId) : null
+      };
+
+      const { rows, total } = await this.withConnection(connection =>
+        inventoryRepository.getMovements(connection, filters, (page - 1) * pageSize, pageSize)
+      );
+
+      return {
+        list: rows.map(row => ({
+          id: row.id,
+          productId: row.product_id,
+          skuId: row.sku_id || null,
+          type: row.type,
+          availableChange: Number(row.available_change),
+          lockedChange: Number(row.locked_change),
+          soldChange: Number(row.sold_change),
+          availableAfter: Number(row.available_after),
+          lockedAfter: Number(row.locked_after),
+          soldAfter: Number(row.sold_after),
+          sourceType: row.source_type,
+          sourceId: row.source_id,
+          reason: row.reason,
+          operatorId: row.operator_id,
+          createdAt: row.created_at
+        })),
+        pagination: {
+          page,
+          pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize)
+        }
+      };
+    } catch (error) {
+      this.getLogger().error('查询库存流水失败', { error: error.message });
       throw error;
     }
   }
@@ -83,4 +632,5 @@ class InventoryService {
 
 // 导出单例实例
 const inventoryService = new InventoryService();
-module.exports = inventoryService;
\ No newline at end of file
+module.exports = inventoryService;
+module.exports.MOVEMENT_TYPE = MOVEMENT_TYPE;
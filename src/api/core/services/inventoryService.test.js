@@ -0,0 +1,146 @@
+/**
+ * 库存服务测试
+ */
+
+const mockCacheManager = { publish: jest.fn() };
+const mockLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+jest.mock('@core/di/container', () => ({
+  resolve: name => (name === 'cacheManager' ? mockCacheManager : mockLogger)
+}), { virtual: true });
+jest.mock('../data-access/database/TransactionManager', () => ({
+  TransactionManager: jest.fn().mockImplementation(() => ({
+    executeInTransaction: jest.fn()
+  }))
+}));
+jest.mock('../data-access/database/ConnectionPoolManager', () => ({
+  connectionPoolManager: { getConnection: jest.fn() }
+}));
+jest.mock('../repositories/inventoryRepository', () => ({
+  lockStock: jest.fn(),
+  getStock: jest.fn(),
+  createStock: jest.fn(),
+  applyChange: jest.fn(),
+  findMovement: jest.fn(),
+  createMovement: jest.fn()
+}));
+
+const inventoryRepository = require('../repositories/inventoryRepository');
+const inventoryService = require('./inventoryService');
+
+const connection = { query: jest.fn() };
+
+/**
+ * 构建库存记录
+ * @param {Object} overrides - 覆盖字段
+ * @returns {Object} 库存记录
+ */
+function makeStock(overrides) {
+  return {
+    id: 1,
+    seller_id: 10,
+    product_id: '1',
+    sku_id: '11',
+    available: 10,
+    locked: 0,
+    sold: 0,
+    alert_threshold: 0,
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  inventoryRepository.findMovement.mockResolvedValue(null);
+  inventoryRepository.applyChange.mockResolvedValue(true);
+});
+
+describe('lock', () => {
+  test('合并同一SKU的商品项，锁定库存并写入流水', async () => {
+    inventoryRepository.lockStock.mockResolvedValue(makeStock());
+
+    const changes = await inventoryService.lock(connection, [
+      { productId: 1, skuId: 11, quantity: 2, name: '商品A' },
+      { productId: 1, skuId: 11, quantity: 3, name: '商品A' }
+    ], { sourceType: 'order', sourceId: 100, reason: '下单锁定库存' });
+
+    expect(inventoryRepository.lockStock).toHaveBeenCalledTimes(1);
+    expect(inventoryRepository.applyChange).toHaveBeenCalledWith(connection, 1, { available: -5, locked: 5, sold: 0 }, null);
+    expect(inventoryRepository.createMovement).toHaveBeenCalledWith(connection, expect.objectContaining({
+      type: 'lock', availableAfter: 5, lockedAfter: 5, sourceType: 'order', sourceId: '100'
+    }));
+    expect(changes).toEqual([expect.objectContaining({ productId: '1', skuId: '11', currentStock: 5, alert: false })]);
+  });
+
+  test('按商品和SKU顺序加锁，避免并发事务死锁', async () => {
+    inventoryRepository.lockStock.mockImplementation(async (conn, productId, skuId) => makeStock({ product_id: productId, sku_id: skuId }));
+
+    await inventoryService.lock(connection, [
+      { productId: 2, quantity: 1 },
+      { productId: 1, skuId: 12, quantity: 1 },
+      { productId: 1, skuId: 11, quantity: 1 }
+    ], { sourceType: 'order', sourceId: 100 });
+
+    expect(inventoryRepository.lockStock.mock.calls.map(call => [call[1], call[2]])).toEqual([
+      ['1', '11'], ['1', '12'], ['2', '']
+    ]);
+  });
+
+  test('可售库存不足时报错且不修改库存', async () => {
+    inventoryRepository.lockStock.mockResolvedValue(makeStock({ available: 1 }));
+
+    await expect(inventoryService.lock(connection, [{ productId: 1, skuId: 11, quantity: 2, name: '商品A' }], {
+      sourceType: 'order', sourceId: 100
+    })).rejects.toThrow('商品A库存不足');
+    expect(inventoryRepository.applyChange).not.toHaveBeenCalled();
+  });
+
+  test('同一来源重复锁定时不重复扣减', async () => {
+    inventoryRepository.lockStock.mockResolvedValue(makeStock());
+    inventoryRepository.findMovement.mockResolvedValue({ id: 5 });
+
+    const changes = await inventoryService.lock(connection, [{ productId: 1, skuId: 11, quantity: 2 }], {
+      sourceType: 'order', sourceId: 100
+    });
+
+    expect(changes).toEqual([]);
+    expect(inventoryRepository.applyChange).not.toHaveBeenCalled();
+  });
+
+  test('可售库存降到预警阈值时标记预警', async () => {
+    inventoryRepository.lockStock.mockResolvedValue(makeStock({ available: 6, alert_threshold: 5 }));
+
+    const [change] = await inventoryService.lock(connection, [{ productId: 1, skuId: 11, quantity: 1 }], {
+      sourceType: 'order', sourceId: 100
+    });
+
+    expect(change).toMatchObject({ currentStock: 5, alertThreshold: 5, alert: true });
+  });
+});
+
+describe('restock', () => {
+  test('没有库存记录的商品跳过退回', async () => {
+    inventoryRepository.lockStock.mockResolvedValue(null);
+
+    const changes = await inventoryService.restock(connection, [{ productId: 1, quantity: 1 }], {
+      sourceType: 'refund', sourceId: 7
+    });
+
+    expect(changes).toEqual([]);
+    expect(inventoryRepository.applyChange).not.toHaveBeenCalled();
+  });
+});
+
+describe('publishAlerts', () => {
+  test('只为触发预警的变动发布库存消息', async () => {
+    await inventoryService.publishAlerts([
+      { productId: '1', skuId: '', sellerId: 10, currentStock: 3, alertThreshold: 5, alert: true },
+      { productId: '2', skuId: '', sellerId: 10, currentStock: 30, alertThreshold: 5, alert: false }
+    ]);
+
+    expect(mockCacheManager.publish).toHaveBeenCalledTimes(1);
+    expect(mockCacheManager.publish).toHaveBeenCalledWith('product.inventory_changed', expect.objectContaining({
+      productId: '1', skuId: null, currentStock: 3, thresholdAlert: true
+    }));
+  });
+});
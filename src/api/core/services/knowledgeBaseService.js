@@ -0,0 +1,392 @@
+/**
+ * 知识库检索服务
+ * 为AI助手提供检索增强：将帮助文章、知识库文档和FAQ切分为段落建立倒排索引，
+ * 按问题检索相关段落并生成带来源编号的提示词。各类内容由其所属模块注册加载器并在编辑后推送变更。
+ */
+
+const di = require('@core/di/container');
+const Segmenter = require('./search/segmenter');
+const PassageIndex = require('./search/passageIndex');
+
+// 知识来源类型
+const SOURCE_TYPE = {
+  HELP_ARTICLE: 'help_article',
+  KNOWLEDGE_DOC: 'knowledge_doc',
+  FAQ: 'faq'
+};
+
+// 平台业务常用词，补充分词词典
+const DOMAIN_WORDS = [
+  '账号', '注册', '登录', '密码', '忘记密码', '手机号', '验证码', '实名认证',
+  '订单', '下单', '支付', '微信支付', '支付宝', '退款', '退货', '换货', '售后', '发货', '物流', '快递', '配送', '签收',
+  '优惠券', '积分', '会员', '会员卡', '余额', '钱包', '提现', '发票', '结算', '对账', '佣金', '分销',
+  '店铺', '商家', '卖家', '买家', '客服', '人工客服', '在线客服', '促销', '秒杀', '拼团', '砍价', '满减',
+  '商品', '上架', '下架', '库存', '运费', '运费模板', '评价', '投诉', '定时任务'
+];
+
+// 没有检索到相关内容时的回复
+const NOT_FOUND_ANSWER = '抱歉，知识库中没有找到与该问题相关的内容，无法给出可靠的回答。您可以换个说法提问，或联系人工客服。';
+
+class KnowledgeBaseService {
+  constructor() {
+    this.segmenter = new Segmenter();
+    this.segmenter.addWords(DOMAIN_WORDS);
+    this.index = new PassageIndex(this.segmenter);
+
+    this.loaders = new Map();     // sourceType -> 加载函数
+    this.loadedSources = new Set();
+    this.loading = null;
+
+    this.topK = parseInt(process.env.AI_RAG_TOP_K || 3);
+    this.minCoverage = parseFloat(process.env.AI_RAG_MIN_COVERAGE || 0.5);
+    this.chunkSize = parseInt(process.env.AI_RAG_CHUNK_SIZE || 300);
+    this.maxContextChars = parseInt(process.env.AI_RAG_MAX_CONTEXT_CHARS || 800);
+  }
+
+  // 获取logger服务
+  getLogger() {
+    if (!this._logger) {
+      this._logger = di.resolve('logger');
+    }
+    return this._logger;
+  }
+
+  /**
+   * 注册知识来源的加载函数，首次检索时调用以建立该来源的索引
+   * @param {string} sourceType - 来源类型
+   * @param {Function} loader - 异步加载函数，返回文档列表
+   */
+  registerSource(sourceType, loader) {
+    this.loaders.set(sourceType, loader);
+    this.loadedSources.delete(sourceType);
+  }
+
+  /**
+   * 加载尚未建立索引的来源，加载失败的来源在下次检索时重试
+   * @returns {Promise<void>}
+   */
+  async ensureLoaded() {
+    if (this.loading) {
+      return this.loading;
+    }
+
+    const pending = Array.from(this.loaders.keys()).filter(sourceType => !this.loadedSources.has(sourceType));
+    if (pending.length === 0) {
+      return;
+    }
+
+    this.loading = (async () => {
+      for (const sourceType of pending) {
+        try {
+          const documents = await this.loaders.get(sourceType)();
+          await this.rebuildSource(sourceType, documents || []);
+        } catch (error) {
+          this.getLogger().warn('加载知识来源失败', { sourceType, error: error.message });
+        }
+      }
+    })().finally(() => {
+      this.loading = null;
+    });
+
+    return this.loading;
+  }
+
+  /**
+   * 重建某类来源的全部索引
+   * @param {string} sourceType - 来源类型
+   * @param {Array<Object>} documents - 文档列表
+   * @returns {Promise<number>} 索引的文档数量
+   */
+  async rebuildSource(sourceType, documents) {
+    try {
+      this.index.removeByPrefix(`${sourceType}:`);
+
+      let count = 0;
+      for (const document of documents) {
+        if (this.indexDocument(sourceType, document)) {
+          count++;
+        }
+      }
+      this.loadedSources.add(sourceType);
+
+      this.getLogger().info('知识来源索引重建完成', { sourceType, count });
+      return count;
+    } catch (error) {
+      this.getLogger().error('知识来源索引重建失败', { sourceType, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 添加或更新文档索引，未发布的文档从索引中移除
+   * @param {string} sourceType - 来源类型
+   * @param {Object} document - 文档 { id, title, content, category, tags, status }
+   * @returns {Promise<boolean>} 文档是否在索引中
+   */
+  async upsertDocument(sourceType, document) {
+    try {
+      const indexed = this.indexDocument(sourceType, document);
+
+      this.getLogger().info('知识文档索引已更新', { sourceType, id: document.id, indexed });
+      return indexed;
+    } catch (error) {
+      this.getLogger().error('知识文档索引更新失败', { sourceType, id: document && document.id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除文档索引
+   * @param {string} sourceType - 来源类型
+   * @param {string|number} id - 文档ID
+   * @returns {Promise<boolean>} 是否删除成功
+   */
+  async removeDocument(sourceType, id) {
+    try {
+      const removed = this.index.removeDocument(`${sourceType}:${id}`);
+
+      this.getLogger().info('知识文档索引已删除', { sourceType, id, removed });
+      return removed;
+    } catch (error) {
+      this.getLogger().error('知识文档索引删除失败', { sourceType, id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 将文档切分为段落写入索引
+   * @param {string} sourceType - 来源类型
+   * @param {Object} document - 文档
+   * @returns {boolean} 文档是否在索引中
+   */
+  indexDocument(sourceType, document) {
+    const key = `${sourceType}:${document.id}`;
+    const normalized = this.normalizeDocument(sourceType, document);
+
+    if (!normalized) {
+      this.index.removeDocument(key);
+      return false;
+    }
+
+    const passages = this.chunk(normalized.content).map(content => ({
+      title: normalized.title,
+      keywords: normalized.keywords,
+      content,
+      meta: {
+        sourceType,
+        sourceId: String(document.id),
+        category: normalized.category
+      }
+    }));
+    if (passages.length === 0) {
+      this.index.removeDocument(key);
+      return false;
+    }
+
+    this.index.upsertDocument(key, passages);
+    return true;
+  }
+
+  /**
+   * 统一不同来源的文档字段
+   * @param {string} sourceType - 来源类型
+   * @param {Object} document - 文档
+   * @returns {Object|null} { title, keywords, content, category }，不应被检索的文档返回null
+   */
+  normalizeDocument(sourceType, document) {
+    if (sourceType === SOURCE_TYPE.FAQ) {
+      if (document.enabled === false) {
+        return null;
+      }
+      return {
+        title: document.question || '',
+        keywords: document.tags || [],
+        content: document.answer || '',
+        category: document.category || null
+      };
+    }
+
+    // 帮助文章和知识库文档只检索已发布的内容
+    if (document.status && document.status !== 'published') {
+      return null;
+    }
+    return {
+      title: document.title || '',
+      keywords: document.tags || [],
+      content: this.stripMarkup(document.content),
+      category: document.category || null
+    };
+  }
+
+  /**
+   * 去除富文本标签
+   * @param {string} text - 文本
+   * @returns {string} 纯文本
+   */
+  stripMarkup(text) {
+    return String(text || '')
+      .replace(/<(br|\/p|\/div|\/li|\/h[1-6])\s*\/?>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * 按段落切分文本，段落过长时按句子切分，相邻短段落合并至不超过chunkSize
+   * @param {string} text - 文本
+   * @returns {Array<string>} 段落列表
+   */
+  chunk(text) {
+    const pieces = [];
+
+    String(text || '')
+      .split(/\n+/)
+      .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .forEach(paragraph => {
+        if (paragraph.length <= this.chunkSize) {
+          pieces.push(paragraph);
+          return;
+        }
+
+        const sentences = paragraph.match(/[^。！？!?；;]+[。！？!?；;]?/g) || [paragraph];
+        for (const sentence of sentences) {
+          for (let i = 0; i < sentence.length; i += this.chunkSize) {
+            pieces.push(sentence.slice(i, i + this.chunkSize));
+          }
+        }
+      });
+
+    const chunks = [];
+    let current = '';
+    for (const piece of pieces) {
+      if (current && current.length + piece.length + 1 > this.chunkSize) {
+        chunks.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n${piece}` : piece;
+    }
+    if (current) {
+      chunks.push(current);
+    }
+
+    return chunks;
+  }
+
+  /**
+   * 检索与问题相关的段落
+   * @param {string} question - 问题
+   * @param {Object} [options] - 检索选项
+   * @param {number} [options.limit] - 返回段落数量，默认AI_RAG_TOP_K
+   * @returns {Promise<Array<Object>>} [{ citationId, sourceType, sourceId, title, content, category, score }]
+   */
+  async retrieve(question, options = {}) {
+    try {
+      await this.ensureLoaded();
+
+      const hits = this.index.search(question, {
+        limit: options.limit || this.topK,
+        minCoverage: this.minCoverage
+      });
+
+      // 按上下文长度预算截取段落，至少保留得分最高的一段
+      const passages = [];
+      let usedChars = 0;
+      for (const hit of hits) {
+        const length = hit.passage.title.length + hit.passage.content.length;
+        if (passages.length > 0 && usedChars + length > this.maxContextChars) {
+          break;
+        }
+        usedChars += length;
+
+        const { sourceType, sourceId, category } = hit.passage.meta;
+        passages.push({
+          citationId: `${sourceType}:${sourceId}`,
+          sourceType,
+          sourceId,
+          title: hit.passage.title,
+          content: hit.passage.content,
+          category,
+          score: Number(hit.score.toFixed(4))
+        });
+      }
+
+      this.getLogger().info('知识库检索完成', { questionLength: question.length, hits: passages.length });
+      return passages;
+    } catch (error) {
+      this.getLogger().error('知识库检索失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 生成检索增强提示词，段落以来源编号标注，要求模型按编号引用
+   * @param {string} question - 问题
+   * @param {Array<Object>} passages - retrieve返回的段落
+   * @returns {string} 提示词
+   */
+  buildPrompt(question, passages) {
+    const context = passages
+      .map(passage => `[${passage.citationId}] ${passage.title}\n${passage.content}`)
+      .join('\n\n');
+
+    return '请仅根据以下资料回答问题。回答中引用资料时，在句末用方括号标注资料编号，例如[help_article:12]。' +
+      '如果资料中没有答案，请直接说明无法回答，不要编造。\n\n' +
+      `资料：\n${context}\n\n问题：${question}`;
+  }
+
+  /**
+   * 整理回答引用的来源，同一文档的多个段落合并为一条
+   * @param {Array<Object>} passages - retrieve返回的段落
+   * @param {string} answer - 模型回答
+   * @returns {Array<Object>} [{ id, sourceType, sourceId, title, score, cited }]
+   */
+  buildCitations(passages, answer = '') {
+    const citations = new Map();
+
+    for (const passage of passages) {
+      if (!citations.has(passage.citationId)) {
+        citations.set(passage.citationId, {
+          id: passage.citationId,
+          sourceType: passage.sourceType,
+          sourceId: passage.sourceId,
+          title: passage.title,
+          score: passage.score,
+          cited: answer.includes(`[${passage.citationId}]`)
+        });
+      }
+    }
+
+    return Array.from(citations.values());
+  }
+
+  /**
+   * 没有检索到相关内容时的回复
+   * @returns {string} 回复内容
+   */
+  getNotFoundAnswer() {
+    return NOT_FOUND_ANSWER;
+  }
+
+  /**
+   * 索引统计
+   * @returns {Object} 统计信息
+   */
+  getStats() {
+    return {
+      documents: this.index.documentCount,
+      passages: this.index.size,
+      sources: Array.from(this.loaders.keys()).map(sourceType => ({
+        sourceType,
+        loaded: this.loadedSources.has(sourceType)
+      }))
+    };
+  }
+}
+
+// 导出单例实例
+const knowledgeBaseService = new KnowledgeBaseService();
+knowledgeBaseService.SOURCE_TYPE = SOURCE_TYPE;
+module.exports = knowledgeBaseService;
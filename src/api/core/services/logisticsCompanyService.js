@@ -0,0 +1,286 @@
+/**
+ * 物流公司服务
+ * 平台维护物流公司（编码、名称、客服电话和运单查询地址），卖家发货时只能选择启用的物流公司，
+ * 订单中记录物流公司编码和名称，买家可按运单查询地址跟踪物流。
+ */
+
+const di = require('@core/di/container');
+const { TransactionManager } = require('../data-access/database/TransactionManager');
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const { AppError, NotFoundError, ValidationError, TransactionError } = require('../exception/handlers/errorHandler');
+const logisticsCompanyRepository = require('../repositories/logisticsCompanyRepository');
+
+// 数据库连接池ID
+const DB_POOL_ID = process.env.DB_POOL_ID || 'default';
+
+// 默认分页大小和上限
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// 物流公司编码格式
+const COMPANY_CODE_PATTERN = /^[A-Za-z0-9_]{2,20}$/;
+
+// 运单查询地址中的运单号占位符
+const TRACKING_NUMBER_PLACEHOLDER = '{trackingNumber}';
+
+/**
+ * 物流公司状态
+ */
+const COMPANY_STATUS = {
+  ACTIVE: 'active',    // 启用
+  DISABLED: 'disabled' // 停用
+};
+
+/**
+ * 规范化分页参数
+ * @param {Object} filters - { page, pageSize }
+ * @returns {Object} { page, pageSize, offset }
+ */
+function normalizePage(filters = {}) {
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(filters.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page, pageSize, offset: (page - 1) * pageSize };
+}
+
+/**
+ * 格式化物流公司
+ * @param {Object} row - 物流公司记录
+ * @returns {Object} 物流公司
+ */
+function formatCompany(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    name: row.name,
+    phone: row.phone || null,
+    website: row.website || null,
+    trackingUrl: row.tracking_url || null,
+    sortOrder: Number(row.sort_order),
+    status: row.status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+class LogisticsCompanyService {
+  constructor() {
+    this.transactionManager = new TransactionManager({
+      getConnection: () => connectionPoolManager.getConnection(DB_POOL_ID)
+    });
+  }
+
+  // 获取logger服务
+  getLogger() {
+    if (!this._logger) {
+      this._logger = di.resolve('logger');
+    }
+    return this._logger;
+  }
+
+  /**
+   * 在物流公司事务中执行操作，事务失败时抛出原始业务错误
+   * @param {Function} operation - 操作函数 (connection, transaction) => Promise
+   * @returns {Promise<any>} 操作结果
+   */
+  async runInTransaction(operation) {
+    try {
+      return await this.transactionManager.executeInTransaction(operation);
+    } catch (error) {
+      if (error instanceof TransactionError && error.originalError) {
+        throw error.originalError;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 使用非事务连接执行只读查询
+   * @param {Function} operation - 操作函数 (connection) => Promise
+   * @returns {Promise<any>} 查询结果
+   */
+  async withConnection(operation) {
+    const connection = await connectionPoolManager.getConnection(DB_POOL_ID);
+    try {
+      return await operation(connection);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 校验并整理物流公司参数
+   * @param {Object} params - 物流公司参数
+   * @returns {Object} 物流公司数据
+   */
+  parseCompany(params) {
+    const name = String(params.name || '').trim();
+    if (!name) {
+      throw new ValidationError('请输入物流公司名称');
+    }
+    const trackingUrl = params.trackingUrl ? String(params.trackingUrl).trim() : null;
+    if (trackingUrl && !/^https?:\/\//.test(trackingUrl)) {
+      throw new ValidationError('运单查询地址必须以 http:// 或 https:// 开头');
+    }
+    return {
+      name,
+      phone: params.phone ? String(params.phone).trim() : null,
+      website: params.website ? String(params.website).trim() : null,
+      trackingUrl,
+      sortOrder: parseInt(params.sortOrder, 10) || 0
+    };
+  }
+
+  /**
+   * 分页查询物流公司
+   * @param {Object} filters - { keyword, status, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getCompanies(filters = {}) {
+    try {
+      const { page, pageSize, offset } = normalizePage(filters);
+      const { rows, total } = await this.withConnection(connection =>
+        logisticsCompanyRepository.findCompanies(connection, filters, offset, pageSize)
+      );
+      return { list: rows.map(formatCompany), total, page, pageSize };
+    } catch (error) {
+      this.getLogger().error('查询物流公司失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取全部启用的物流公司（卖家发货时选择）
+   * @returns {Promise<Array>} 物流公司列表
+   */
+  async getActiveCompanies() {
+    try {
+      const rows = await this.withConnection(connection => logisticsCompanyRepository.findActive(connection));
+      return rows.map(formatCompany);
+    } catch (error) {
+      this.getLogger().error('查询启用的物流公司失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取物流公司
+   * @param {number} id - 物流公司ID
+   * @returns {Promise<Object>} 物流公司
+   */
+  async getCompany(id) {
+    const row = await this.withConnection(connection => logisticsCompanyRepository.findById(connection, id));
+    if (!row) {
+      throw new NotFoundError('物流公司不存在');
+    }
+    return formatCompany(row);
+  }
+
+  /**
+   * 新增物流公司
+   * @param {Object} params - { code, name, phone, website, trackingUrl, sortOrder }
+   * @returns {Promise<Object>} 物流公司
+   */
+  async createCompany(params) {
+    try {
+      const code = String(params.code || '').trim().toUpperCase();
+      if (!COMPANY_CODE_PATTERN.test(code)) {
+        throw new ValidationError('物流公司编码为2-20位字母、数字或下划线');
+      }
+      const company = { ...this.parseCompany(params), code, status: COMPANY_STATUS.ACTIVE };
+
+      const id = await this.runInTransaction(async (connection) => {
+        if (await logisticsCompanyRepository.findByCode(connection, code)) {
+          throw new AppError(409, '物流公司编码已存在', 409);
+        }
+        return logisticsCompanyRepository.createCompany(connection, company);
+      });
+
+      this.getLogger().info('物流公司已新增', { id, code });
+      return this.getCompany(id);
+    } catch (error) {
+      this.getLogger().error('新增物流公司失败', { code: params.code, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 修改物流公司（编码不可修改）
+   * @param {number} id - 物流公司ID
+   * @param {Object} params - { name, phone, website, trackingUrl, sortOrder }
+   * @returns {Promise<Object>} 物流公司
+   */
+  async updateCompany(id, params) {
+    try {
+      const company = this.parseCompany(params);
+      await this.runInTransaction(async (connection) => {
+        if (!await logisticsCompanyRepository.findById(connection, id)) {
+          throw new NotFoundError('物流公司不存在');
+        }
+        await logisticsCompanyRepository.updateCompany(connection, id, company);
+      });
+
+      this.getLogger().info('物流公司已修改', { id });
+      return this.getCompany(id);
+    } catch (error) {
+      this.getLogger().error('修改物流公司失败', { id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 启用或停用物流公司，停用后卖家不能再选择该物流公司发货，已发货订单不受影响
+   * @param {number} id - 物流公司ID
+   * @param {string} status - 物流公司状态
+   * @returns {Promise<Object>} 物流公司
+   */
+  async setStatus(id, status) {
+    try {
+      if (!Object.values(COMPANY_STATUS).includes(status)) {
+        throw new ValidationError('无效的物流公司状态');
+      }
+      await this.runInTransaction(async (connection) => {
+        if (!await logisticsCompanyRepository.findById(connection, id)) {
+          throw new NotFoundError('物流公司不存在');
+        }
+        await logisticsCompanyRepository.updateStatus(connection, id, status);
+      });
+
+      this.getLogger().info('物流公司状态已修改', { id, status });
+      return this.getCompany(id);
+    } catch (error) {
+      this.getLogger().error('修改物流公司状态失败', { id, status, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 解析卖家发货时选择的物流公司，按编码或名称匹配启用的物流公司
+   * @param {string} value - 物流公司编码或名称
+   * @returns {Promise<Object>} 物流公司
+   */
+  async resolveForShipment(value) {
+    const target = String(value || '').trim();
+    const companies = await this.getActiveCompanies();
+    const company = companies.find(item => item.code === target.toUpperCase() || item.name === target);
+    if (!company) {
+      throw new ValidationError('请选择平台支持的物流公司');
+    }
+    return company;
+  }
+
+  /**
+   * 生成运单查询地址
+   * @param {Object} company - 物流公司
+   * @param {string} trackingNumber - 运单号
+   * @returns {string|null} 查询地址
+   */
+  buildTrackingUrl(company, trackingNumber) {
+    if (!company.trackingUrl) {
+      return null;
+    }
+    return company.trackingUrl.split(TRACKING_NUMBER_PLACEHOLDER).join(encodeURIComponent(trackingNumber));
+  }
+}
+
+module.exports = new LogisticsCompanyService();
+module.exports.COMPANY_STATUS = COMPANY_STATUS;
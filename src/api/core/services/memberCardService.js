@@ -1,13 +1,55 @@
 /**
  * 会员卡服务
- * 提供会员卡管理相关功能
+ * 提供会员卡管理相关功能：按消费金额和积分计算会员等级，支持升级、保级降级评估，
+ * 会员卡有效期与续期，以及结算时可使用的等级权益（折扣、包邮、积分倍率）
  */
 
 const di = require('@core/di/container');
+const memberRepository = require('../repositories/memberRepository');
+
+// 升级评估窗口（天）：统计最近N天的消费和积分
+const UPGRADE_WINDOW_DAYS = parseInt(process.env.MEMBER_UPGRADE_WINDOW_DAYS || '365', 10);
+
+// 保级评估周期（天）：等级变更后N天内不降级，到期按该周期内的消费和积分重新评估
+const RETENTION_DAYS = parseInt(process.env.MEMBER_RETENTION_DAYS || '365', 10);
+
+// 会员卡有效期（天）
+const CARD_VALIDITY_DAYS = parseInt(process.env.MEMBER_CARD_VALIDITY_DAYS || '365', 10);
+
+// 等级配置缓存时间（毫秒）
+const TIER_CACHE_TTL = 5 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 会员卡状态
+ */
+const CARD_STATUS = {
+  ACTIVE: 'active',
+  EXPIRED: 'expired'
+};
+
+/**
+ * 默认会员等级（未在 member_tiers 中配置时使用）
+ * 满足消费金额或积分任一门槛即可达到该等级
+ */
+const DEFAULT_TIERS = [
+  { code: 'normal', name: '普通会员', rank: 0, minSpend: 0, minPoints: 0, benefits: { discountRate: 1, freeShipping: false, pointsMultiplier: 1 } },
+  { code: 'silver', name: '白银会员', rank: 1, minSpend: 1000, minPoints: 2000, benefits: { discountRate: 0.98, freeShipping: false, pointsMultiplier: 1.2 } },
+  { code: 'gold', name: '黄金会员', rank: 2, minSpend: 5000, minPoints: 10000, benefits: { discountRate: 0.95, freeShipping: true, pointsMultiplier: 1.5 } },
+  { code: 'platinum', name: '铂金会员', rank: 3, minSpend: 20000, minPoints: 40000, benefits: { discountRate: 0.9, freeShipping: true, pointsMultiplier: 2 } }
+];
+
+// 无有效会员卡时的权益
+const NO_BENEFITS = { discountRate: 1, freeShipping: false, pointsMultiplier: 1 };
 
 class MemberCardService {
   constructor() {
     // 初始化会员卡相关配置
+    this.upgradeWindowDays = UPGRADE_WINDOW_DAYS;
+    this.retentionDays = RETENTION_DAYS;
+    this.cardValidityDays = CARD_VALIDITY_DAYS;
+    this.tierCache = null;
   }
 
   // 获取logger服务
@@ -18,30 +60,90 @@ class MemberCardService {
     return this._logger;
   }
 
+  // 获取缓存管理器（用于发布会员消息）
+  getCacheManager() {
+    if (!this._cacheManager) {
+      this._cacheManager = di.resolve('cacheManager');
+    }
+    return this._cacheManager;
+  }
+
+  /**
+   * 获取会员等级列表，按等级从低到高排序
+   * @returns {Promise<Array>} 会员等级列表
+   */
+  async getTiers() {
+    if (this.tierCache && this.tierCache.expiresAt > Date.now()) {
+      return this.tierCache.tiers;
+    }
+
+    const rows = await memberRepository.getTiers();
+    const tiers = rows.length > 0
+      ? rows.map(row => ({
+        code: row.code,
+        name: row.name,
+        rank: Number(row.rank),
+        minSpend: Number(row.min_spend),
+        minPoints: Number(row.min_points),
+        benefits: {
+          discountRate: Number(row.discount_rate) || 1,
+          freeShipping: Boolean(row.free_shipping),
+          pointsMultiplier: Number(row.points_multiplier) || 1
+        }
+      }))
+      : DEFAULT_TIERS;
+
+    this.tierCache = { tiers, expiresAt: Date.now() + TIER_CACHE_TTL };
+    return tiers;
+  }
+
+  /**
+   * 根据等级编码获取等级
+   * @param {string} code - 等级编码
+   * @returns {Promise<Object>} 会员等级（编码不存在时返回最低等级）
+   */
+  async getTier(code) {
+    const tiers = await this.getTiers();
+    return tiers.find(tier => tier.code === code) || tiers[0];
+  }
+
+  /**
+   * 计算消费金额和积分可达到的最高等级
+   * @param {Array} tiers - 会员等级列表
+   * @param {Object} growth - { spend, points }
+   * @returns {Object} 会员等级
+   */
+  resolveTier(tiers, growth) {
+    return tiers.reduce((matched, tier) => {
+      const qualified = growth.spend >= tier.minSpend || growth.points >= tier.minPoints;
+      return qualified && tier.rank > matched.rank ? tier : matched;
+    }, tiers[0]);
+  }
+
   /**
-   * 为用户创建会员卡
+   * 为用户创建会员卡，已有会员卡时直接返回
    * @param {string} userId - 用户ID
-   * @returns {Promise<Object>} 创建的会员卡
+   * @returns {Promise<Object>} 会员卡
    */
   async createMemberCard(userId) {
     try {
       this.getLogger().info('尝试创建会员卡', { userId });
-      
-      // 这里是模拟实现
-      // 实际项目中应该在数据库中创建会员卡记录
-      
-      // 模拟创建会员卡
-      const memberCard = {
-        id: `card_${Date.now()}`,
+
+      const tiers = await this.getTiers();
+      const now = new Date();
+      const created = await memberRepository.createCard({
         userId,
-        level: '普通会员',
-        points: 0,
-        joinDate: new Date(),
-        expireDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000), // 1年后过期
-        status: 'active'
-      };
-      
-      this.getLogger().info('会员卡创建成功', { userId, cardId: memberCard.id });
+        cardNo: `MC${now.getTime()}${Math.floor(Math.random() * 1000).toString().padStart(3, '0')}`,
+        tierCode: tiers[0].code,
+        status: CARD_STATUS.ACTIVE,
+        joinedAt: now,
+        expiresAt: new Date(now.getTime() + this.cardValidityDays * DAY_MS),
+        tierEvaluateAt: new Date(now.getTime() + this.retentionDays * DAY_MS)
+      });
+
+      const memberCard = await this.getMemberCard(userId);
+
+      this.getLogger().info(created ? '会员卡创建成功' : '会员卡已存在', { userId, cardNo: memberCard.cardNo });
       return memberCard;
     } catch (error) {
       this.getLogger().error('会员卡创建失败', { userId, error: error.message });
@@ -49,6 +151,15 @@ class MemberCardService {
     }
   }
 
+  /**
+   * 为新注册会员分配会员卡
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} 会员卡
+   */
+  async assignNewMemberCard(userId) {
+    return this.createMemberCard(userId);
+  }
+
   /**
    * 获取用户会员卡信息
    * @param {string} userId - 用户ID
@@ -57,14 +168,29 @@ class MemberCardService {
   async getMemberCard(userId) {
     try {
       this.getLogger().info('查询用户会员卡', { userId });
-      
-      // 这里是模拟实现
-      // 实际项目中应该查询数据库
-      
-      // 模拟返回会员卡信息
-      // 在实际应用中，这里会返回null或真实的会员卡信息
+
+      const card = await memberRepository.getCardByUserId(userId);
+      if (!card) {
+        return null;
+      }
+
+      const tier = await this.getTier(card.tier_code);
+      const expired = card.status === CARD_STATUS.EXPIRED || new Date(card.expires_at) <= new Date();
+
       this.getLogger().info('查询用户会员卡完成', { userId });
-      return null;
+      return {
+        id: card.id,
+        userId: card.user_id,
+        cardNo: card.card_no,
+        level: tier.name,
+        levelCode: tier.code,
+        rank: tier.rank,
+        benefits: tier.benefits,
+        status: expired ? CARD_STATUS.EXPIRED : CARD_STATUS.ACTIVE,
+        joinDate: card.joined_at,
+        expireDate: card.expires_at,
+        tierEvaluateAt: card.tier_evaluate_at
+      };
     } catch (error) {
       this.getLogger().error('查询用户会员卡失败', { userId, error: error.message });
       throw error;
@@ -72,27 +198,31 @@ class MemberCardService {
   }
 
   /**
-   * 更新会员卡等级
+   * 更新会员卡等级（后台手动调整）
    * @param {string} userId - 用户ID
-   * @param {string} newLevel - 新等级
+   * @param {string} newLevel - 新等级编码
+   * @param {string} [reason] - 调整原因
    * @returns {Promise<Object>} 更新后的会员卡
    */
-  async updateMemberCardLevel(userId, newLevel) {
+  async updateMemberCardLevel(userId, newLevel, reason = 'manual') {
     try {
       this.getLogger().info('尝试更新会员卡等级', { userId, newLevel });
-      
-      // 这里是模拟实现
-      // 实际项目中应该更新数据库中的会员卡信息
-      
-      // 模拟更新成功
-      const updatedCard = {
-        userId,
-        level: newLevel,
-        updatedAt: new Date()
-      };
-      
+
+      const tiers = await this.getTiers();
+      const target = tiers.find(tier => tier.code === newLevel);
+      if (!target) {
+        throw new Error(`会员等级不存在: ${newLevel}`);
+      }
+
+      const card = await memberRepository.getCardByUserId(userId);
+      if (!card) {
+        throw new Error('会员卡不存在');
+      }
+
+      await this.changeTier(card, target, reason);
+
       this.getLogger().info('会员卡等级更新成功', { userId, newLevel });
-      return updatedCard;
+      return this.getMemberCard(userId);
     } catch (error) {
       this.getLogger().error('会员卡等级更新失败', { userId, newLevel, error: error.message });
       throw error;
@@ -107,12 +237,10 @@ class MemberCardService {
   async isMemberCardValid(userId) {
     try {
       this.getLogger().info('检查会员卡有效性', { userId });
-      
-      // 这里是模拟实现
-      // 实际项目中应该查询并验证会员卡状态
-      
-      // 模拟返回结果
-      const isValid = false;
+
+      const card = await this.getMemberCard(userId);
+      const isValid = Boolean(card) && card.status === CARD_STATUS.ACTIVE;
+
       this.getLogger().info('会员卡有效性检查完成', { userId, isValid });
       return isValid;
     } catch (error) {
@@ -120,8 +248,255 @@ class MemberCardService {
       throw error;
     }
   }
+
+  /**
+   * 获取用户当前可享受的等级权益，会员卡无效时不享受任何权益
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} { levelCode, level, discountRate, freeShipping, pointsMultiplier }
+   */
+  async getMemberBenefits(userId) {
+    try {
+      const card = userId ? await this.getMemberCard(userId) : null;
+      if (!card || card.status !== CARD_STATUS.ACTIVE) {
+        return { levelCode: null, level: null, ...NO_BENEFITS };
+      }
+
+      return { levelCode: card.levelCode, level: card.level, ...card.benefits };
+    } catch (error) {
+      this.getLogger().error('获取会员权益失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 记录会员成长（消费金额和积分），并评估是否升级
+   * 同一来源只记录一次；退款时传入负数冲减
+   * @param {string} userId - 用户ID
+   * @param {Object} growth - 成长数据
+   * @param {number} [growth.spend] - 消费金额（元）
+   * @param {number} [growth.points] - 积分
+   * @param {string} growth.source - 来源类型，如 order、refund
+   * @param {string} growth.sourceId - 来源ID
+   * @returns {Promise<Object|null>} 评估后的会员卡
+   */
+  async recordGrowth(userId, { spend = 0, points = 0, source, sourceId }) {
+    try {
+      const recorded = await memberRepository.addGrowthRecord({
+        userId,
+        spend: Number(spend) || 0,
+        points: Number(points) || 0,
+        source,
+        sourceId: String(sourceId)
+      });
+
+      if (!recorded) {
+        this.getLogger().info('成长记录已存在，忽略', { userId, source, sourceId });
+        return this.getMemberCard(userId);
+      }
+
+      return this.evaluateUpgrade(userId);
+    } catch (error) {
+      this.getLogger().error('记录会员成长失败', { userId, source, sourceId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 升级评估：按升级评估窗口内的消费和积分计算等级，高于当前等级时立即升级
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object|null>} 评估后的会员卡
+   */
+  async evaluateUpgrade(userId) {
+    try {
+      let card = await memberRepository.getCardByUserId(userId);
+      if (!card) {
+        await this.createMemberCard(userId);
+        card = await memberRepository.getCardByUserId(userId);
+      }
+
+      if (card.status !== CARD_STATUS.ACTIVE) {
+        return this.getMemberCard(userId);
+      }
+
+      const tiers = await this.getTiers();
+      const current = await this.getTier(card.tier_code);
+      const since = new Date(Date.now() - this.upgradeWindowDays * DAY_MS);
+      const growth = await memberRepository.getGrowthSummary(userId, since);
+      const qualified = this.resolveTier(tiers, growth);
+
+      if (qualified.rank > current.rank) {
+        await this.changeTier(card, qualified, 'upgrade_evaluation');
+      }
+
+      return this.getMemberCard(userId);
+    } catch (error) {
+      this.getLogger().error('会员升级评估失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 保级评估：保级周期到期时按周期内的消费和积分重新计算等级，
+   * 未达到当前等级门槛时每次最多降一级，并开始新的保级周期
+   * @param {Object} card - 会员卡记录
+   * @returns {Promise<boolean>} 是否降级
+   */
+  async evaluateRetention(card) {
+    try {
+      const tiers = await this.getTiers();
+      const current = await this.getTier(card.tier_code);
+      const since = new Date(Date.now() - this.retentionDays * DAY_MS);
+      const growth = await memberRepository.getGrowthSummary(card.user_id, since);
+      const qualified = this.resolveTier(tiers, growth);
+
+      if (qualified.rank < current.rank) {
+        const target = tiers.filter(tier => tier.rank < current.rank).pop();
+        return this.changeTier(card, target, 'retention_evaluation');
+      }
+
+      await memberRepository.updateTierEvaluateAt(card.id, new Date(Date.now() + this.retentionDays * DAY_MS));
+      return false;
+    } catch (error) {
+      this.getLogger().error('会员保级评估失败', { userId: card.user_id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 对保级周期到期的会员执行保级评估
+   * @param {number} [limit] - 单次最大处理数量
+   * @returns {Promise<Object>} { evaluated, downgraded, failed }
+   */
+  async evaluateDueMembers(limit = 500) {
+    const cards = await memberRepository.getCardsDueForEvaluation(new Date(), limit);
+    let downgraded = 0;
+    let failed = 0;
+
+    for (const card of cards) {
+      try {
+        if (await this.evaluateRetention(card)) {
+          downgraded++;
+        }
+      } catch (error) {
+        // 单个会员评估失败不影响其他会员，错误已在 evaluateRetention 中记录
+        failed++;
+      }
+    }
+
+    this.getLogger().info('会员保级评估完成', { evaluated: cards.length, downgraded, failed });
+    return { evaluated: cards.length, downgraded, failed };
+  }
+
+  /**
+   * 续期会员卡，已过期的会员卡从当前时间开始续期并恢复有效
+   * @param {string} userId - 用户ID
+   * @param {number} [days] - 续期天数
+   * @returns {Promise<Object>} 续期后的会员卡
+   */
+  async renewMemberCard(userId, days = this.cardValidityDays) {
+    try {
+      this.getLogger().info('尝试续期会员卡', { userId, days });
+
+      const card = await memberRepository.getCardByUserId(userId);
+      if (!card) {
+        throw new Error('会员卡不存在');
+      }
+
+      const base = Math.max(Date.now(), new Date(card.expires_at).getTime());
+      const expiresAt = new Date(base + days * DAY_MS);
+      await memberRepository.updateCardValidity(card.id, CARD_STATUS.ACTIVE, expiresAt);
+
+      this.getLogger().info('会员卡续期成功', { userId, expiresAt });
+      return this.getMemberCard(userId);
+    } catch (error) {
+      this.getLogger().error('会员卡续期失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 将到期的会员卡标记为过期
+   * @param {number} [limit] - 单次最大处理数量
+   * @returns {Promise<number>} 过期的会员卡数量
+   */
+  async expireMemberCards(limit = 500) {
+    try {
+      const cards = await memberRepository.expireCards(new Date(), limit);
+
+      this.getLogger().info('会员卡过期处理完成', { count: cards.length });
+      return cards.length;
+    } catch (error) {
+      this.getLogger().error('会员卡过期处理失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 变更会员等级，记录日志并发布 member.level_changed 消息
+   * @param {Object} card - 会员卡记录
+   * @param {Object} target - 目标等级
+   * @param {string} reason - 变更原因
+   * @returns {Promise<boolean>} 是否变更
+   */
+  async changeTier(card, target, reason) {
+    const current = await this.getTier(card.tier_code);
+    if (current.code === target.code) {
+      return false;
+    }
+
+    const tierEvaluateAt = new Date(Date.now() + this.retentionDays * DAY_MS);
+    const changed = await memberRepository.updateCardTier(card.id, card.tier_code, target.code, tierEvaluateAt);
+    if (!changed) {
+      // 等级已被并发评估修改
+      return false;
+    }
+
+    const direction = target.rank > current.rank ? 'upgrade' : 'downgrade';
+    await memberRepository.addTierLog({
+      userId: card.user_id,
+      fromTier: current.code,
+      toTier: target.code,
+      direction,
+      reason
+    });
+
+    await this.getCacheManager().publish('member.level_changed', {
+      userId: card.user_id,
+      oldLevel: current.name,
+      newLevel: target.name,
+      oldLevelCode: current.code,
+      newLevelCode: target.code,
+      direction,
+      reason,
+      levelBenefits: this.describeBenefits(target.benefits),
+      timestamp: new Date().toISOString()
+    });
+
+    this.getLogger().info('会员等级已变更', { userId: card.user_id, from: current.code, to: target.code, reason });
+    return true;
+  }
+
+  /**
+   * 生成等级权益描述
+   * @param {Object} benefits - 等级权益
+   * @returns {string} 权益描述
+   */
+  describeBenefits(benefits) {
+    const items = [];
+    if (benefits.discountRate < 1) {
+      items.push(`购物${Number((benefits.discountRate * 10).toFixed(1))}折`);
+    }
+    if (benefits.freeShipping) {
+      items.push('全场包邮');
+    }
+    if (benefits.pointsMultiplier > 1) {
+      items.push(`${benefits.pointsMultiplier}倍积分`);
+    }
+    return items.join('、');
+  }
 }
 
 // 导出单例实例
 const memberCardService = new MemberCardService();
-module.exports = memberCardService;
\ No newline at end of file
+module.exports = memberCardService;
+module.exports.CARD_STATUS = CARD_STATUS;
@@ -0,0 +1,131 @@
+/**
+ * 会员卡服务测试
+ */
+
+const mockCacheManager = { publish: jest.fn() };
+const mockLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+jest.mock('@core/di/container', () => ({
+  resolve: name => (name === 'cacheManager' ? mockCacheManager : mockLogger)
+}), { virtual: true });
+jest.mock('../repositories/memberRepository', () => ({
+  getTiers: jest.fn(),
+  getCardByUserId: jest.fn(),
+  createCard: jest.fn(),
+  updateCardTier: jest.fn(),
+  updateTierEvaluateAt: jest.fn(),
+  updateCardValidity: jest.fn(),
+  expireCards: jest.fn(),
+  getCardsDueForEvaluation: jest.fn(),
+  addGrowthRecord: jest.fn(),
+  getGrowthSummary: jest.fn(),
+  addTierLog: jest.fn()
+}));
+
+const memberRepository = require('../repositories/memberRepository');
+const memberCardService = require('./memberCardService');
+
+const FUTURE = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+
+/**
+ * 构建会员卡记录
+ * @param {Object} overrides - 覆盖字段
+ * @returns {Object} 会员卡记录
+ */
+function makeCard(overrides) {
+  return {
+    id: 1,
+    user_id: 'u1',
+    card_no: 'MC1',
+    tier_code: 'normal',
+    status: 'active',
+    joined_at: new Date(),
+    expires_at: FUTURE,
+    tier_evaluate_at: FUTURE,
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  memberCardService.tierCache = null;
+  // 未配置等级时使用默认等级
+  memberRepository.getTiers.mockResolvedValue([]);
+  memberRepository.updateCardTier.mockResolvedValue(true);
+});
+
+describe('recordGrowth', () => {
+  test('升级窗口内消费达到门槛时升级并发布等级变更消息', async () => {
+    let card = makeCard();
+    memberRepository.getCardByUserId.mockImplementation(async () => card);
+    memberRepository.addGrowthRecord.mockResolvedValue(true);
+    memberRepository.getGrowthSummary.mockResolvedValue({ spend: 6000, points: 0 });
+    memberRepository.updateCardTier.mockImplementation(async (id, from, to) => {
+      card = { ...card, tier_code: to };
+      return true;
+    });
+
+    const result = await memberCardService.recordGrowth('u1', { spend: 6000, source: 'order', sourceId: 100 });
+
+    expect(memberRepository.addGrowthRecord).toHaveBeenCalledWith({
+      userId: 'u1', spend: 6000, points: 0, source: 'order', sourceId: '100'
+    });
+    expect(result).toMatchObject({ levelCode: 'gold', benefits: { freeShipping: true } });
+    expect(memberRepository.addTierLog).toHaveBeenCalledWith(expect.objectContaining({
+      fromTier: 'normal', toTier: 'gold', direction: 'upgrade', reason: 'upgrade_evaluation'
+    }));
+    expect(mockCacheManager.publish).toHaveBeenCalledWith('member.level_changed', expect.objectContaining({
+      userId: 'u1', oldLevelCode: 'normal', newLevelCode: 'gold', levelBenefits: '购物9.5折、全场包邮、1.5倍积分'
+    }));
+  });
+
+  test('同一来源重复记录时不再评估升级', async () => {
+    memberRepository.getCardByUserId.mockResolvedValue(makeCard());
+    memberRepository.addGrowthRecord.mockResolvedValue(false);
+
+    await memberCardService.recordGrowth('u1', { spend: 6000, source: 'order', sourceId: 100 });
+
+    expect(memberRepository.getGrowthSummary).not.toHaveBeenCalled();
+    expect(memberRepository.updateCardTier).not.toHaveBeenCalled();
+  });
+});
+
+describe('evaluateRetention', () => {
+  test('保级周期内未达到当前等级门槛时只降一级', async () => {
+    memberRepository.getGrowthSummary.mockResolvedValue({ spend: 0, points: 0 });
+
+    const downgraded = await memberCardService.evaluateRetention(makeCard({ tier_code: 'platinum' }));
+
+    expect(downgraded).toBe(true);
+    expect(memberRepository.updateCardTier).toHaveBeenCalledWith(1, 'platinum', 'gold', expect.any(Date));
+    expect(memberRepository.addTierLog).toHaveBeenCalledWith(expect.objectContaining({ direction: 'downgrade' }));
+  });
+
+  test('达到当前等级门槛时保级并开始新的保级周期', async () => {
+    memberRepository.getGrowthSummary.mockResolvedValue({ spend: 5000, points: 0 });
+
+    const downgraded = await memberCardService.evaluateRetention(makeCard({ tier_code: 'gold' }));
+
+    expect(downgraded).toBe(false);
+    expect(memberRepository.updateCardTier).not.toHaveBeenCalled();
+    expect(memberRepository.updateTierEvaluateAt).toHaveBeenCalledWith(1, expect.any(Date));
+  });
+});
+
+describe('getMemberBenefits', () => {
+  test('会员卡有效时返回等级权益', async () => {
+    memberRepository.getCardByUserId.mockResolvedValue(makeCard({ tier_code: 'silver' }));
+
+    await expect(memberCardService.getMemberBenefits('u1')).resolves.toEqual({
+      levelCode: 'silver', level: '白银会员', discountRate: 0.98, freeShipping: false, pointsMultiplier: 1.2
+    });
+  });
+
+  test('会员卡已过期时不享受权益', async () => {
+    memberRepository.getCardByUserId.mockResolvedValue(makeCard({ tier_code: 'gold', expires_at: new Date(Date.now() - 1000) }));
+
+    await expect(memberCardService.getMemberBenefits('u1')).resolves.toEqual({
+      levelCode: null, level: null, discountRate: 1, freeShipping: false, pointsMultiplier: 1
+    });
+  });
+});
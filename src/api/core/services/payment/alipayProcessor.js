@@ -0,0 +1,348 @@
+/**
+ * 支付宝处理器
+ * 支持电脑网站支付（page）和手机网站支付（wap），请求使用应用私钥 RSA2 签名，
+ * 异步通知和接口应答使用支付宝公钥验签
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// 支付宝交易类型与接口
+const TRADE_TYPES = {
+  page: { method: 'alipay.trade.page.pay', productCode: 'FAST_INSTANT_TRADE_PAY' },
+  wap: { method: 'alipay.trade.wap.pay', productCode: 'QUICK_WAP_WAY' }
+};
+
+/**
+ * 查询结果的交易状态映射
+ */
+const TRADE_STATUS_MAP = {
+  TRADE_SUCCESS: 'paid',
+  TRADE_FINISHED: 'paid',
+  WAIT_BUYER_PAY: 'pending',
+  TRADE_CLOSED: 'closed'
+};
+
+/**
+ * 读取密钥：支持 KeyObject、PEM 文本或 PEM 文件路径
+ * @param {KeyObject|string} value - 密钥
+ * @param {string} type - private 或 public
+ * @returns {KeyObject|null} 密钥对象
+ */
+function loadKey(value, type) {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof crypto.KeyObject) {
+    return value;
+  }
+  const pem = value.includes('-----BEGIN') ? value : fs.readFileSync(value, 'utf8');
+  return type === 'private' ? crypto.createPrivateKey(pem) : crypto.createPublicKey(pem);
+}
+
+/**
+ * 格式化为支付宝时间格式 yyyy-MM-dd HH:mm:ss（北京时间）
+ * @param {Date} date - 时间
+ * @returns {string} 时间字符串
+ */
+function formatTime(date) {
+  const pad = value => String(value).padStart(2, '0');
+  const beijing = new Date(date.getTime() + 8 * 60 * 60 * 1000);
+  return `${beijing.getUTCFullYear()}-${pad(beijing.getUTCMonth() + 1)}-${pad(beijing.getUTCDate())} ` +
+    `${pad(beijing.getUTCHours())}:${pad(beijing.getUTCMinutes())}:${pad(beijing.getUTCSeconds())}`;
+}
+
+/**
+ * 解析支付宝时间（北京时间）
+ * @param {string} value - yyyy-MM-dd HH:mm:ss
+ * @returns {Date|null} 时间
+ */
+function parseTime(value) {
+  return value ? new Date(`${value.replace(' ', 'T')}+08:00`) : null;
+}
+
+/**
+ * 生成待签名串：除 sign 外的非空参数按键名排序后以 & 连接
+ * @param {Object} params - 参数
+ * @param {Array} [excludes] - 不参与签名的参数
+ * @returns {string} 待签名串
+ */
+function buildSignContent(params, excludes = ['sign']) {
+  return Object.keys(params)
+    .filter(key => !excludes.includes(key) && params[key] !== undefined && params[key] !== null && params[key] !== '')
+    .sort()
+    .map(key => `${key}=${params[key]}`)
+    .join('&');
+}
+
+/**
+ * 从应答原文中截取 *_response 节点的原始 JSON，应答签名针对原文计算
+ * @param {string} text - 应答原文
+ * @param {string} key - 节点名
+ * @returns {string|null} 节点原文
+ */
+function extractNode(text, key) {
+  const keyIndex = text.indexOf(`"${key}"`);
+  if (keyIndex === -1) {
+    return null;
+  }
+  const start = text.indexOf('{', keyIndex);
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        return text.slice(start, i + 1);
+      }
+    }
+  }
+  return null;
+}
+
+class AlipayProcessor {
+  /**
+   * @param {Object} config - 支付宝配置
+   * @param {string} config.appId - 应用ID
+   * @param {KeyObject|string} config.privateKey - 应用私钥（PEM 或文件路径）
+   * @param {KeyObject|string} config.alipayPublicKey - 支付宝公钥（PEM 或文件路径）
+   * @param {string} [config.gateway] - 网关地址
+   * @param {string} [config.returnUrl] - 支付完成后的同步跳转地址
+   * @param {number} [config.timeout] - 请求超时（毫秒）
+   */
+  constructor(config) {
+    this.name = 'Alipay';
+    this.channel = 'alipay';
+    this.tradeTypes = Object.keys(TRADE_TYPES);
+    this.config = config;
+    this.appId = config.appId;
+    this.gateway = config.gateway || 'https://openapi.alipay.com/gateway.do';
+    this.returnUrl = config.returnUrl || '';
+    this.timeout = config.timeout || 10000;
+    this.privateKey = loadKey(config.privateKey, 'private');
+    this.alipayPublicKey = loadKey(config.alipayPublicKey, 'public');
+
+    if (!this.appId || !this.privateKey || !this.alipayPublicKey) {
+      throw new Error('支付宝配置不完整（appId、应用私钥、支付宝公钥）');
+    }
+  }
+
+  /**
+   * 使用应用私钥签名
+   * @param {string} content - 待签名串
+   * @returns {string} Base64 签名
+   */
+  sign(content) {
+    return crypto.createSign('RSA-SHA256').update(content, 'utf8').sign(this.privateKey, 'base64');
+  }
+
+  /**
+   * 使用支付宝公钥验签
+   * @param {string} content - 待验签串
+   * @param {string} signature - Base64 签名
+   * @returns {boolean} 是否通过
+   */
+  verify(content, signature) {
+    if (!signature) {
+      return false;
+    }
+    try {
+      return crypto.createVerify('RSA-SHA256').update(content, 'utf8').verify(this.alipayPublicKey, signature, 'base64');
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 生成带签名的公共请求参数
+   * @param {string} method - 接口名称
+   * @param {Object} bizContent - 业务参数
+   * @param {Object} [extra] - 其他公共参数（notify_url、return_url）
+   * @returns {Object} 请求参数
+   */
+  buildParams(method, bizContent, extra = {}) {
+    const params = {
+      app_id: this.appId,
+      method,
+      format: 'JSON',
+      charset: 'utf-8',
+      sign_type: 'RSA2',
+      timestamp: formatTime(new Date()),
+      version: '1.0',
+      ...extra,
+      biz_content: JSON.stringify(bizContent)
+    };
+    params.sign = this.sign(buildSignContent(params));
+    return params;
+  }
+
+  /**
+   * 调用支付宝接口，校验应答签名
+   * @param {string} method - 接口名称
+   * @param {Object} bizContent - 业务参数
+   * @returns {Promise<Object>} 应答节点
+   */
+  async request(method, bizContent) {
+    const params = this.buildParams(method, bizContent);
+    const response = await fetch(this.gateway, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded;charset=utf-8' },
+      body: new URLSearchParams(params).toString(),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    const text = await response.text();
+    const nodeKey = `${method.replace(/\./g, '_')}_response`;
+    const node = extractNode(text, nodeKey);
+    const data = JSON.parse(text);
+    if (!node) {
+      throw new Error(`支付宝接口应答异常（HTTP ${response.status}）`);
+    }
+    if (!this.verify(node, data.sign)) {
+      throw new Error('支付宝应答验签失败');
+    }
+    return data[nodeKey];
+  }
+
+  /**
+   * 下单：生成跳转到支付宝收银台的地址
+   * @param {Object} payment - 支付单
+   * @param {string} payment.paymentNo - 商户订单号
+   * @param {string} payment.tradeType - page 或 wap
+   * @param {number} payment.amount - 金额（分）
+   * @param {string} payment.description - 订单标题
+   * @param {string} payment.notifyUrl - 异步通知地址
+   * @param {Date} payment.expiresAt - 支付截止时间
+   * @param {string} [payment.returnUrl] - 同步跳转地址
+   * @returns {Promise<Object>} { payUrl }
+   */
+  async createPayment(payment) {
+    const tradeType = TRADE_TYPES[payment.tradeType];
+    if (!tradeType) {
+      throw new Error(`支付宝不支持的交易类型: ${payment.tradeType}`);
+    }
+
+    const params = this.buildParams(tradeType.method, {
+      out_trade_no: payment.paymentNo,
+      product_code: tradeType.productCode,
+      total_amount: (payment.amount / 100).toFixed(2),
+      subject: payment.description.slice(0, 256),
+      time_expire: formatTime(payment.expiresAt)
+    }, {
+      notify_url: payment.notifyUrl,
+      return_url: payment.returnUrl || this.returnUrl || undefined
+    });
+    Object.keys(params).forEach(key => params[key] === undefined && delete params[key]);
+
+    return { payUrl: `${this.gateway}?${new URLSearchParams(params).toString()}` };
+  }
+
+  /**
+   * 解析异步通知：验签并转换为统一的支付结果
+   * @param {Object} notification - 通知
+   * @param {Object} notification.body - 表单参数
+   * @returns {Object} { notifyId, paymentNo, tradeNo, amount, paid, paidAt, payer, raw }
+   */
+  parseNotify({ body }) {
+    const params = body || {};
+    if (!this.verify(buildSignContent(params, ['sign', 'sign_type']), params.sign)) {
+      throw new Error('支付宝通知验签失败');
+    }
+    if (params.app_id !== this.appId) {
+      throw new Error('支付宝通知的应用ID不匹配');
+    }
+
+    return {
+      notifyId: params.notify_id,
+      paymentNo: params.out_trade_no,
+      tradeNo: params.trade_no,
+      amount: params.total_amount ? Math.round(Number(params.total_amount) * 100) : null,
+      paid: TRADE_STATUS_MAP[params.trade_status] === 'paid',
+      paidAt: parseTime(params.gmt_payment) || new Date(),
+      payer: params.buyer_open_id || params.buyer_id || null,
+      raw: { tradeStatus: params.trade_status, notifyType: params.notify_type }
+    };
+  }
+
+  /**
+   * 查询订单
+   * @param {string} paymentNo - 商户订单号
+   * @returns {Promise<Object>} { state, tradeNo, amount, paidAt, payer }
+   */
+  async queryPayment(paymentNo) {
+    const data = await this.request('alipay.trade.query', { out_trade_no: paymentNo });
+    if (data.code !== '10000') {
+      if (data.sub_code === 'ACQ.TRADE_NOT_EXIST') {
+        return { state: 'not_found' };
+      }
+      throw new Error(`支付宝查询失败: ${data.sub_code || data.code} ${data.sub_msg || data.msg || ''}`.trim());
+    }
+
+    return {
+      state: TRADE_STATUS_MAP[data.trade_status] || 'pending',
+      tradeNo: data.trade_no || null,
+      amount: data.total_amount ? Math.round(Number(data.total_amount) * 100) : null,
+      paidAt: parseTime(data.send_pay_date),
+      payer: data.buyer_open_id || data.buyer_user_id || null
+    };
+  }
+
+  /**
+   * 关闭订单（用户未扫码时支付宝侧不存在交易，视为已关闭）
+   * @param {string} paymentNo - 商户订单号
+   * @returns {Promise<void>}
+   */
+  async closePayment(paymentNo) {
+    const data = await this.request('alipay.trade.close', { out_trade_no: paymentNo });
+    if (data.code !== '10000' && data.sub_code !== 'ACQ.TRADE_NOT_EXIST') {
+      throw new Error(`支付宝关闭订单失败: ${data.sub_code || data.code} ${data.sub_msg || data.msg || ''}`.trim());
+    }
+  }
+
+  /**
+   * 申请退款，同一退款请求号重复申请不会重复退款
+   * @param {Object} refund - 退款
+   * @param {string} refund.paymentNo - 商户订单号
+   * @param {string} refund.refundNo - 退款请求号
+   * @param {number} refund.amount - 退款金额（分）
+   * @param {string} [refund.reason] - 退款原因
+   * @returns {Promise<Object>} { state, refundId }
+   */
+  async refundPayment(refund) {
+    const data = await this.request('alipay.trade.refund', {
+      out_trade_no: refund.paymentNo,
+      out_request_no: refund.refundNo,
+      refund_amount: (refund.amount / 100).toFixed(2),
+      refund_reason: refund.reason || undefined
+    });
+    if (data.code !== '10000') {
+      throw new Error(`支付宝退款失败: ${data.sub_code || data.code} ${data.sub_msg || data.msg || ''}`.trim());
+    }
+    return { state: 'refunded', refundId: data.trade_no || null };
+  }
+
+  /**
+   * 生成通知应答：处理成功返回 success，其余内容支付宝会重试
+   * @param {boolean} success - 是否处理成功
+   * @returns {Object} { status, contentType, body }
+   */
+  notifyResponse(success) {
+    return { status: 200, contentType: 'text/plain', body: success ? 'success' : 'failure' };
+  }
+}
+
+module.exports = AlipayProcessor;
+module.exports.TRADE_TYPES = TRADE_TYPES;
+module.exports.buildSignContent = buildSignContent;
+module.exports.formatTime = formatTime;
@@ -0,0 +1,503 @@
+/**
+ * 本地模拟支付网关
+ * 在无法访问微信支付、支付宝的环境中联调完整支付流程：模拟网关按真实网关的方式校验商户签名、
+ * 对应答签名，并在模拟付款后向商户通知地址发送签名（微信支付另加密资源）的支付通知。
+ * 网关密钥在进程启动时随机生成，PaymentService 启用模拟网关时使用 getProcessorConfigs 返回的配置。
+ * 仅用于开发和测试环境。
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const AlipayProcessor = require('./alipayProcessor');
+
+const { buildSignContent, formatTime } = AlipayProcessor;
+
+// 模拟商户号、应用ID和证书序列号
+const WECHAT_MCH_ID = '1900000001';
+const WECHAT_APP_ID = 'wxfake0000000001';
+const WECHAT_MERCHANT_SERIAL = 'FAKEMERCHANTSERIAL0001';
+const WECHAT_PLATFORM_SERIAL = 'FAKEPLATFORMSERIAL0001';
+const ALIPAY_APP_ID = '2021000000000001';
+
+/**
+ * 生成 RSA 密钥对
+ * @returns {Object} { privateKey, publicKey }
+ */
+function generateKeyPair() {
+  return crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+}
+
+// 网关密钥：商户侧密钥用于商户签名，平台侧密钥用于网关签名
+const keys = {
+  wechatMerchant: generateKeyPair(),
+  wechatPlatform: generateKeyPair(),
+  wechatApiV3Key: crypto.randomBytes(16).toString('hex'),
+  alipayApp: generateKeyPair(),
+  alipayPlatform: generateKeyPair()
+};
+
+// 模拟交易：`${channel}:${outTradeNo}` -> 交易
+const trades = new Map();
+
+/**
+ * 获取使用模拟网关时的处理器配置
+ * @param {string} baseUrl - 模拟网关地址（如 http://127.0.0.1:3000/api/fake-gateway）
+ * @returns {Object} { wechatPay, alipay }
+ */
+function getProcessorConfigs(baseUrl) {
+  return {
+    wechatPay: {
+      appId: WECHAT_APP_ID,
+      mchId: WECHAT_MCH_ID,
+      serialNo: WECHAT_MERCHANT_SERIAL,
+      privateKey: keys.wechatMerchant.privateKey,
+      apiV3Key: keys.wechatApiV3Key,
+      platformPublicKey: keys.wechatPlatform.publicKey,
+      platformSerialNo: WECHAT_PLATFORM_SERIAL,
+      baseUrl: `${baseUrl}/wechat`
+    },
+    alipay: {
+      appId: ALIPAY_APP_ID,
+      privateKey: keys.alipayApp.privateKey,
+      alipayPublicKey: keys.alipayPlatform.publicKey,
+      gateway: `${baseUrl}/alipay/gateway.do`
+    }
+  };
+}
+
+/**
+ * 生成微信支付平台签名头
+ * @param {string} body - 报文
+ * @returns {Object} 签名头
+ */
+function signWechat(body) {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const signature = crypto.createSign('RSA-SHA256')
+    .update(`${timestamp}\n${nonce}\n${body}\n`)
+    .sign(keys.wechatPlatform.privateKey, 'base64');
+  return {
+    'Wechatpay-Timestamp': timestamp,
+    'Wechatpay-Nonce': nonce,
+    'Wechatpay-Signature': signature,
+    'Wechatpay-Serial': WECHAT_PLATFORM_SERIAL,
+    'Wechatpay-Signature-Type': 'WECHATPAY2-SHA256-RSA2048'
+  };
+}
+
+/**
+ * 返回带平台签名的微信支付应答
+ * @param {Object} res - 响应对象
+ * @param {number} status - HTTP状态码
+ * @param {Object} [data] - 应答数据
+ */
+function sendWechat(res, status, data) {
+  const body = data ? JSON.stringify(data) : '';
+  res.status(status).set(signWechat(body));
+  if (body) {
+    res.type('application/json').send(body);
+  } else {
+    res.end();
+  }
+}
+
+/**
+ * 校验商户请求的 Authorization 头
+ * @param {Object} req - 请求对象
+ * @returns {boolean} 是否通过
+ */
+function verifyWechatRequest(req) {
+  const match = /^WECHATPAY2-SHA256-RSA2048 (.+)$/.exec(req.get('Authorization') || '');
+  if (!match) {
+    return false;
+  }
+  const fields = {};
+  match[1].replace(/(\w+)="([^"]*)"/g, (_, key, value) => {
+    fields[key] = value;
+  });
+  if (fields.mchid !== WECHAT_MCH_ID || fields.serial_no !== WECHAT_MERCHANT_SERIAL) {
+    return false;
+  }
+  const body = req.method === 'GET' ? '' : (req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body));
+  return crypto.createVerify('RSA-SHA256')
+    .update(`${req.method}\n${req.originalUrl.replace(/^.*?\/wechat(?=\/v3\/)/, '')}\n${fields.timestamp}\n${fields.nonce_str}\n${body}\n`)
+    .verify(keys.wechatMerchant.publicKey, fields.signature, 'base64');
+}
+
+/**
+ * 转换为微信支付查询应答
+ * @param {Object} trade - 交易
+ * @returns {Object} 查询应答
+ */
+function toWechatTransaction(trade) {
+  const data = {
+    appid: WECHAT_APP_ID,
+    mchid: WECHAT_MCH_ID,
+    out_trade_no: trade.outTradeNo,
+    trade_type: trade.tradeType.toUpperCase() === 'H5' ? 'MWEB' : trade.tradeType.toUpperCase(),
+    trade_state: trade.status,
+    trade_state_desc: { SUCCESS: '支付成功', REFUND: '转入退款', NOTPAY: '未支付', CLOSED: '已关闭' }[trade.status],
+    amount: { total: trade.amount, currency: 'CNY' }
+  };
+  if (trade.status === 'SUCCESS' || trade.status === 'REFUND') {
+    Object.assign(data, {
+      transaction_id: trade.transactionId,
+      bank_type: 'OTHERS',
+      success_time: trade.paidAt.toISOString().replace(/\.\d{3}Z$/, '+00:00'),
+      payer: { openid: trade.payer },
+      amount: { total: trade.amount, payer_total: trade.amount, currency: 'CNY', payer_currency: 'CNY' }
+    });
+  }
+  return data;
+}
+
+/**
+ * 返回带支付宝签名的接口应答
+ * @param {Object} res - 响应对象
+ * @param {string} method - 接口名称
+ * @param {Object} data - 应答节点
+ */
+function sendAlipay(res, method, data) {
+  const node = JSON.stringify(data);
+  const sign = crypto.createSign('RSA-SHA256').update(node, 'utf8').sign(keys.alipayPlatform.privateKey, 'base64');
+  res.type('application/json').send(`{"${method.replace(/\./g, '_')}_response":${node},"sign":"${sign}"}`);
+}
+
+/**
+ * 生成支付通知
+ * @param {Object} trade - 交易
+ * @returns {Object} { headers, body }
+ */
+function buildNotification(trade) {
+  if (trade.channel === 'wechat') {
+    // 同一交易的重复通知使用相同的通知ID
+    const plaintext = JSON.stringify(toWechatTransaction(trade));
+    const nonce = crypto.randomBytes(6).toString('hex');
+    const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(keys.wechatApiV3Key), Buffer.from(nonce));
+    cipher.setAAD(Buffer.from('transaction'));
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+    const body = JSON.stringify({
+      id: trade.notifyId,
+      create_time: new Date().toISOString(),
+      resource_type: 'encrypt-resource',
+      event_type: 'TRANSACTION.SUCCESS',
+      summary: '支付成功',
+      resource: {
+        original_type: 'transaction',
+        algorithm: 'AEAD_AES_256_GCM',
+        ciphertext: ciphertext.toString('base64'),
+        associated_data: 'transaction',
+        nonce
+      }
+    });
+    return { headers: { 'Content-Type': 'application/json', ...signWechat(body) }, body };
+  }
+
+  const params = {
+    notify_time: formatTime(new Date()),
+    notify_type: 'trade_status_sync',
+    notify_id: trade.notifyId,
+    app_id: ALIPAY_APP_ID,
+    charset: 'utf-8',
+    version: '1.0',
+    sign_type: 'RSA2',
+    trade_no: trade.transactionId,
+    out_trade_no: trade.outTradeNo,
+    trade_status: 'TRADE_SUCCESS',
+    total_amount: (trade.amount / 100).toFixed(2),
+    receipt_amount: (trade.amount / 100).toFixed(2),
+    buyer_id: trade.payer,
+    subject: trade.description,
+    gmt_create: formatTime(trade.createdAt),
+    gmt_payment: formatTime(trade.paidAt)
+  };
+  params.sign = crypto.createSign('RSA-SHA256')
+    .update(buildSignContent(params, ['sign', 'sign_type']), 'utf8')
+    .sign(keys.alipayPlatform.privateKey, 'base64');
+  return {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded;charset=utf-8' },
+    body: new URLSearchParams(params).toString()
+  };
+}
+
+/**
+ * 向商户通知地址发送支付通知
+ * @param {Object} trade - 交易
+ * @returns {Promise<Object>} { status, body }
+ */
+async function sendNotification(trade) {
+  const { headers, body } = buildNotification(trade);
+  try {
+    const response = await fetch(trade.notifyUrl, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(10000)
+    });
+    return { status: response.status, body: await response.text() };
+  } catch (error) {
+    return { status: 0, body: error.message };
+  }
+}
+
+/**
+ * 创建模拟网关路由
+ * - 微信支付：POST /wechat/v3/pay/transactions/{jsapi|native|h5}、GET /wechat/v3/pay/transactions/out-trade-no/:no、
+ *   POST /wechat/v3/pay/transactions/out-trade-no/:no/close、POST /wechat/v3/refund/domestic/refunds
+ * - 支付宝：/alipay/gateway.do（page/wap 下单跳转收银台、trade.query、trade.close、trade.refund）
+ * - 模拟付款：POST /:channel/trades/:outTradeNo/pay（channel 为 wechat 或 alipay），
+ *   参数 notify=false 不发送通知（模拟通知丢失），repeat=N 重复发送通知
+ * @returns {Object} Express路由
+ */
+function createRouter() {
+  const router = express.Router();
+
+  router.post('/wechat/v3/pay/transactions/:tradeType(jsapi|native|h5)', (req, res) => {
+    if (!verifyWechatRequest(req)) {
+      return sendWechat(res, 401, { code: 'SIGN_ERROR', message: '签名错误' });
+    }
+    const body = req.body || {};
+    if (body.mchid !== WECHAT_MCH_ID || body.appid !== WECHAT_APP_ID || !body.out_trade_no || !body.notify_url ||
+      !body.amount || !(body.amount.total > 0)) {
+      return sendWechat(res, 400, { code: 'PARAM_ERROR', message: '参数错误' });
+    }
+
+    const { tradeType } = req.params;
+    const key = `wechat:${body.out_trade_no}`;
+    const existing = trades.get(key);
+    if (existing && existing.amount !== body.amount.total) {
+      return sendWechat(res, 400, { code: 'INVALID_REQUEST', message: '商户订单号重复' });
+    }
+    const trade = existing || {
+      channel: 'wechat',
+      outTradeNo: body.out_trade_no,
+      tradeType,
+      amount: body.amount.total,
+      description: body.description,
+      notifyUrl: body.notify_url,
+      payer: body.payer ? body.payer.openid : null,
+      status: 'NOTPAY',
+      prepayId: `wx${Date.now()}${crypto.randomBytes(4).toString('hex')}`,
+      createdAt: new Date()
+    };
+    trades.set(key, trade);
+
+    const origin = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+    const cashier = `${origin}/wechat/trades/${encodeURIComponent(trade.outTradeNo)}`;
+    const result = {
+      jsapi: { prepay_id: trade.prepayId },
+      native: { code_url: `weixin://wxpay/bizpayurl?pr=${trade.prepayId}` },
+      h5: { h5_url: cashier }
+    }[tradeType];
+    return sendWechat(res, 200, result);
+  });
+
+  router.get('/wechat/v3/pay/transactions/out-trade-no/:outTradeNo', (req, res) => {
+    if (!verifyWechatRequest(req)) {
+      return sendWechat(res, 401, { code: 'SIGN_ERROR', message: '签名错误' });
+    }
+    const trade = trades.get(`wechat:${req.params.outTradeNo}`);
+    if (!trade) {
+      return sendWechat(res, 404, { code: 'ORDER_NOT_EXIST', message: '订单不存在' });
+    }
+    return sendWechat(res, 200, toWechatTransaction(trade));
+  });
+
+  router.post('/wechat/v3/pay/transactions/out-trade-no/:outTradeNo/close', (req, res) => {
+    if (!verifyWechatRequest(req)) {
+      return sendWechat(res, 401, { code: 'SIGN_ERROR', message: '签名错误' });
+    }
+    const trade = trades.get(`wechat:${req.params.outTradeNo}`);
+    if (trade && trade.status === 'SUCCESS') {
+      return sendWechat(res, 400, { code: 'ORDERPAID', message: '订单已支付' });
+    }
+    if (trade) {
+      trade.status = 'CLOSED';
+    }
+    return sendWechat(res, 204);
+  });
+
+  router.post('/wechat/v3/refund/domestic/refunds', (req, res) => {
+    if (!verifyWechatRequest(req)) {
+      return sendWechat(res, 401, { code: 'SIGN_ERROR', message: '签名错误' });
+    }
+    const body = req.body || {};
+    const trade = trades.get(`wechat:${body.out_trade_no}`);
+    if (!trade) {
+      return sendWechat(res, 404, { code: 'RESOURCE_NOT_EXISTS', message: '订单不存在' });
+    }
+    trade.refunds = trade.refunds || {};
+    let refund = trade.refunds[body.out_refund_no];
+    if (!refund) {
+      const refunded = Object.values(trade.refunds).reduce((sum, item) => sum + item.amount, 0);
+      if (!trade.transactionId || !body.amount || !(body.amount.refund > 0) || body.amount.total !== trade.amount ||
+        refunded + body.amount.refund > trade.amount) {
+        return sendWechat(res, 400, { code: 'PARAM_ERROR', message: '退款金额错误或订单未支付' });
+      }
+      refund = { refundId: `50000${Date.now()}${crypto.randomInt(1000, 9999)}`, amount: body.amount.refund };
+      trade.refunds[body.out_refund_no] = refund;
+      trade.status = 'REFUND';
+    }
+    return sendWechat(res, 200, {
+      refund_id: refund.refundId,
+      out_refund_no: body.out_refund_no,
+      transaction_id: trade.transactionId,
+      out_trade_no: trade.outTradeNo,
+      status: 'SUCCESS',
+      amount: { refund: refund.amount, total: trade.amount, currency: 'CNY' }
+    });
+  });
+
+  router.all('/alipay/gateway.do', (req, res) => {
+    const params = { ...req.query, ...(req.body || {}) };
+    const verified = crypto.createVerify('RSA-SHA256')
+      .update(buildSignContent(params), 'utf8')
+      .verify(keys.alipayApp.publicKey, params.sign || '', 'base64');
+    const method = params.method || '';
+    if (!verified || params.app_id !== ALIPAY_APP_ID) {
+      return sendAlipay(res, method, { code: '40002', msg: 'Invalid Arguments', sub_code: 'isv.invalid-signature', sub_msg: '验签出错' });
+    }
+
+    const biz = JSON.parse(params.biz_content || '{}');
+    const key = `alipay:${biz.out_trade_no}`;
+    const trade = trades.get(key);
+
+    if (method === 'alipay.trade.page.pay' || method === 'alipay.trade.wap.pay') {
+      if (!trade) {
+        trades.set(key, {
+          channel: 'alipay',
+          outTradeNo: biz.out_trade_no,
+          tradeType: method === 'alipay.trade.page.pay' ? 'page' : 'wap',
+          amount: Math.round(Number(biz.total_amount) * 100),
+          description: biz.subject,
+          notifyUrl: params.notify_url,
+          returnUrl: params.return_url,
+          payer: null,
+          status: 'WAIT_BUYER_PAY',
+          createdAt: new Date()
+        });
+      }
+      return res.redirect(`${req.baseUrl}/alipay/trades/${encodeURIComponent(biz.out_trade_no)}`);
+    }
+
+    if (method === 'alipay.trade.query') {
+      if (!trade) {
+        return sendAlipay(res, method, { code: '40004', msg: 'Business Failed', sub_code: 'ACQ.TRADE_NOT_EXIST', sub_msg: '交易不存在' });
+      }
+      const data = {
+        code: '10000',
+        msg: 'Success',
+        out_trade_no: trade.outTradeNo,
+        trade_status: trade.status,
+        total_amount: (trade.amount / 100).toFixed(2)
+      };
+      if (trade.status === 'TRADE_SUCCESS') {
+        Object.assign(data, { trade_no: trade.transactionId, buyer_user_id: trade.payer, send_pay_date: formatTime(trade.paidAt) });
+      }
+      return sendAlipay(res, method, data);
+    }
+
+    if (method === 'alipay.trade.close') {
+      if (!trade) {
+        return sendAlipay(res, method, { code: '40004', msg: 'Business Failed', sub_code: 'ACQ.TRADE_NOT_EXIST', sub_msg: '交易不存在' });
+      }
+      if (trade.status === 'TRADE_SUCCESS') {
+        return sendAlipay(res, method, { code: '40004', msg: 'Business Failed', sub_code: 'ACQ.TRADE_STATUS_ERROR', sub_msg: '交易状态不合法' });
+      }
+      trade.status = 'TRADE_CLOSED';
+      return sendAlipay(res, method, { code: '10000', msg: 'Success', out_trade_no: trade.outTradeNo });
+    }
+
+    if (method === 'alipay.trade.refund') {
+      if (!trade || !trade.transactionId) {
+        return sendAlipay(res, method, { code: '40004', msg: 'Business Failed', sub_code: 'ACQ.TRADE_NOT_EXIST', sub_msg: '交易不存在' });
+      }
+      trade.refunds = trade.refunds || {};
+      const exists = Boolean(trade.refunds[biz.out_request_no]);
+      if (!exists) {
+        const amount = Math.round(Number(biz.refund_amount) * 100);
+        const refunded = Object.values(trade.refunds).reduce((sum, item) => sum + item.amount, 0);
+        if (!(amount > 0) || refunded + amount > trade.amount) {
+          return sendAlipay(res, method, { code: '40004', msg: 'Business Failed', sub_code: 'ACQ.REFUND_AMT_NOT_EQUAL_TOTAL', sub_msg: '退款金额超限' });
+        }
+        trade.refunds[biz.out_request_no] = { amount };
+        if (refunded + amount === trade.amount) {
+          trade.status = 'TRADE_CLOSED';
+        }
+      }
+      const refundFee = Object.values(trade.refunds).reduce((sum, item) => sum + item.amount, 0);
+      return sendAlipay(res, method, {
+        code: '10000',
+        msg: 'Success',
+        trade_no: trade.transactionId,
+        out_trade_no: trade.outTradeNo,
+        refund_fee: (refundFee / 100).toFixed(2),
+        fund_change: exists ? 'N' : 'Y'
+      });
+    }
+
+    return sendAlipay(res, method, { code: '40004', msg: 'Business Failed', sub_code: 'isv.invalid-method', sub_msg: '不支持的接口' });
+  });
+
+  // 模拟收银台：展示交易并提供付款按钮
+  router.get('/:channel(wechat|alipay)/trades/:outTradeNo', (req, res) => {
+    const trade = trades.get(`${req.params.channel}:${req.params.outTradeNo}`);
+    if (!trade) {
+      return res.status(404).type('text/plain').send('交易不存在');
+    }
+    return res.type('html').send(
+      `<!DOCTYPE html><html><head><meta charset="utf-8"><title>模拟收银台</title></head><body>` +
+      `<h3>模拟${trade.channel === 'wechat' ? '微信支付' : '支付宝'}收银台</h3>` +
+      `<p>商户订单号：${trade.outTradeNo}</p><p>金额：¥${(trade.amount / 100).toFixed(2)}</p><p>状态：${trade.status}</p>` +
+      `<form method="post" action="${req.baseUrl}/${trade.channel}/trades/${encodeURIComponent(trade.outTradeNo)}/pay">` +
+      `<button type="submit">确认付款</button></form></body></html>`
+    );
+  });
+
+  // 模拟付款并发送支付通知
+  router.post('/:channel(wechat|alipay)/trades/:outTradeNo/pay', async (req, res) => {
+    const params = { ...req.query, ...(req.body || {}) };
+    const trade = trades.get(`${req.params.channel}:${req.params.outTradeNo}`);
+    if (!trade) {
+      return res.status(404).json({ success: false, message: '交易不存在' });
+    }
+    const closedStatus = trade.channel === 'wechat' ? 'CLOSED' : 'TRADE_CLOSED';
+    if (trade.status === closedStatus) {
+      return res.status(409).json({ success: false, message: '交易已关闭' });
+    }
+
+    if (!trade.transactionId) {
+      trade.status = trade.channel === 'wechat' ? 'SUCCESS' : 'TRADE_SUCCESS';
+      trade.transactionId = trade.channel === 'wechat'
+        ? `42000${Date.now()}${crypto.randomInt(1000, 9999)}`
+        : `2025${Date.now()}${crypto.randomInt(1000, 9999)}`;
+      trade.notifyId = crypto.randomUUID();
+      trade.payer = trade.payer || params.payer || (trade.channel === 'wechat' ? 'oFakeOpenid0001' : '2088000000000001');
+      trade.paidAt = new Date();
+    }
+
+    const notifications = [];
+    if (params.notify !== 'false') {
+      const repeat = Math.min(Math.max(parseInt(params.repeat, 10) || 1, 1), 10);
+      for (let i = 0; i < repeat; i++) {
+        notifications.push(await sendNotification(trade));
+      }
+    }
+
+    return res.json({
+      success: true,
+      data: { outTradeNo: trade.outTradeNo, transactionId: trade.transactionId, status: trade.status, notifications }
+    });
+  });
+
+  router.get('/trades', (req, res) => {
+    res.json({ success: true, data: [...trades.values()] });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createRouter,
+  getProcessorConfigs
+};
@@ -0,0 +1,171 @@
+/**
+ * 支付渠道处理器测试
+ * 通过本地模拟网关走完下单、模拟付款、接收通知验签和查单流程
+ */
+
+const express = require('express');
+const fakeGateway = require('./fakeGateway');
+const WechatPayProcessor = require('./wechatPayProcessor');
+const AlipayProcessor = require('./alipayProcessor');
+
+let server;
+let baseUrl;
+let wechatPay;
+let alipay;
+// 商户通知地址收到的通知：渠道 -> [{ headers, rawBody, body }]
+const notifications = { wechat: [], alipay: [] };
+
+/**
+ * 保留原始报文，微信支付通知按原始报文验签
+ * @param {Object} req - 请求
+ * @param {Object} res - 响应
+ * @param {Buffer} buf - 原始报文
+ */
+function keepRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+/**
+ * 模拟付款，网关向商户通知地址发送支付通知
+ * @param {string} channel - wechat 或 alipay
+ * @param {string} paymentNo - 商户订单号
+ * @returns {Promise<Object>} 模拟付款结果
+ */
+async function pay(channel, paymentNo) {
+  const response = await fetch(`${baseUrl}/api/fake-gateway/${channel}/trades/${paymentNo}/pay`, { method: 'POST' });
+  return (await response.json()).data;
+}
+
+beforeAll(async () => {
+  const app = express();
+  app.use(express.json({ verify: keepRawBody }));
+  app.use(express.urlencoded({ extended: false, verify: keepRawBody }));
+  app.use('/api/fake-gateway', fakeGateway.createRouter());
+  app.post('/notify/:channel', (req, res) => {
+    notifications[req.params.channel].push({
+      headers: req.headers,
+      rawBody: req.rawBody.toString('utf8'),
+      body: req.body
+    });
+    res.send('success');
+  });
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const configs = fakeGateway.getProcessorConfigs(`${baseUrl}/api/fake-gateway`);
+  wechatPay = new WechatPayProcessor(configs.wechatPay);
+  alipay = new AlipayProcessor(configs.alipay);
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  notifications.wechat = [];
+  notifications.alipay = [];
+});
+
+describe('WechatPayProcessor', () => {
+  test('Native下单返回二维码链接，付款后通知验签解密并可查到已支付', async () => {
+    const result = await wechatPay.createPayment({
+      paymentNo: 'PW1001',
+      tradeType: 'native',
+      amount: 2990,
+      description: '测试商品',
+      notifyUrl: `${baseUrl}/notify/wechat`,
+      expiresAt: new Date(Date.now() + 15 * 60 * 1000)
+    });
+    expect(result.codeUrl).toMatch(/^weixin:\/\/wxpay\/bizpayurl\?pr=/);
+    await expect(wechatPay.queryPayment('PW1001')).resolves.toMatchObject({ state: 'pending' });
+
+    const paid = await pay('wechat', 'PW1001');
+    expect(paid.notifications).toEqual([{ status: 200, body: 'success' }]);
+
+    const [notification] = notifications.wechat;
+    expect(wechatPay.parseNotify(notification)).toMatchObject({
+      paymentNo: 'PW1001',
+      tradeNo: paid.transactionId,
+      amount: 2990,
+      paid: true
+    });
+    await expect(wechatPay.queryPayment('PW1001')).resolves.toMatchObject({
+      state: 'paid', tradeNo: paid.transactionId, amount: 2990
+    });
+  });
+
+  test('通知报文被篡改时验签失败', async () => {
+    await wechatPay.createPayment({
+      paymentNo: 'PW1002',
+      tradeType: 'native',
+      amount: 100,
+      description: '测试商品',
+      notifyUrl: `${baseUrl}/notify/wechat`,
+      expiresAt: new Date(Date.now() + 15 * 60 * 1000)
+    });
+    await pay('wechat', 'PW1002');
+
+    const [notification] = notifications.wechat;
+    const rawBody = notification.rawBody.replace('TRANSACTION.SUCCESS', 'TRANSACTION.FAILED');
+
+    expect(() => wechatPay.parseNotify({ ...notification, rawBody })).toThrow('微信支付通知验签失败');
+  });
+
+  test('未下单的订单查询返回不存在', async () => {
+    await expect(wechatPay.queryPayment('PW_NONE')).resolves.toMatchObject({ state: 'not_found' });
+  });
+});
+
+describe('AlipayProcessor', () => {
+  test('电脑网站下单后跳转收银台，付款后通知验签并可查到已支付', async () => {
+    const { payUrl } = await alipay.createPayment({
+      paymentNo: 'PA1001',
+      tradeType: 'page',
+      amount: 12345,
+      description: '测试商品',
+      notifyUrl: `${baseUrl}/notify/alipay`,
+      expiresAt: new Date(Date.now() + 15 * 60 * 1000)
+    });
+    const cashier = await fetch(payUrl, { redirect: 'manual' });
+    expect(cashier.status).toBe(302);
+    expect(cashier.headers.get('location')).toBe('/api/fake-gateway/alipay/trades/PA1001');
+
+    const paid = await pay('alipay', 'PA1001');
+    expect(paid.notifications).toEqual([{ status: 200, body: 'success' }]);
+
+    const [notification] = notifications.alipay;
+    expect(alipay.parseNotify(notification)).toMatchObject({
+      paymentNo: 'PA1001',
+      tradeNo: paid.transactionId,
+      amount: 12345,
+      paid: true
+    });
+    await expect(alipay.queryPayment('PA1001')).resolves.toMatchObject({
+      state: 'paid', tradeNo: paid.transactionId, amount: 12345
+    });
+  });
+
+  test('通知金额被篡改时验签失败', async () => {
+    const { payUrl } = await alipay.createPayment({
+      paymentNo: 'PA1002',
+      tradeType: 'page',
+      amount: 100,
+      description: '测试商品',
+      notifyUrl: `${baseUrl}/notify/alipay`,
+      expiresAt: new Date(Date.now() + 15 * 60 * 1000)
+    });
+    await fetch(payUrl, { redirect: 'manual' });
+    await pay('alipay', 'PA1002');
+
+    const [notification] = notifications.alipay;
+
+    expect(() => alipay.parseNotify({ body: { ...notification.body, total_amount: '0.01' } })).toThrow('支付宝通知验签失败');
+  });
+
+  test('未下单的订单查询返回不存在', async () => {
+    await expect(alipay.queryPayment('PA_NONE')).resolves.toMatchObject({ state: 'not_found' });
+  });
+});
@@ -0,0 +1,379 @@
+/**
+ * 微信支付 APIv3 处理器
+ * 支持 JSAPI、Native、H5 下单，请求使用商户私钥签名（WECHATPAY2-SHA256-RSA2048），
+ * 应答和支付通知使用微信支付平台公钥验签，通知资源以 APIv3 密钥 AES-256-GCM 解密
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// 签名时间戳允许的最大偏差（秒），超出视为重放
+const MAX_CLOCK_SKEW_SECONDS = 300;
+
+// 微信支付交易类型与下单接口
+const TRADE_TYPES = {
+  jsapi: '/v3/pay/transactions/jsapi',
+  native: '/v3/pay/transactions/native',
+  h5: '/v3/pay/transactions/h5'
+};
+
+/**
+ * 读取密钥：支持 KeyObject、PEM 文本或 PEM 文件路径
+ * @param {KeyObject|string} value - 密钥
+ * @param {string} type - private 或 public
+ * @returns {KeyObject|null} 密钥对象
+ */
+function loadKey(value, type) {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof crypto.KeyObject) {
+    return value;
+  }
+  const pem = value.includes('-----BEGIN') ? value : fs.readFileSync(value, 'utf8');
+  if (type === 'private') {
+    return crypto.createPrivateKey(pem);
+  }
+  // 平台证书取证书中的公钥
+  return pem.includes('CERTIFICATE') ? new crypto.X509Certificate(pem).publicKey : crypto.createPublicKey(pem);
+}
+
+/**
+ * 格式化为带时区的 RFC3339 时间（如 2025-01-01T10:00:00+08:00）
+ * @param {Date} date - 时间
+ * @returns {string} 时间字符串
+ */
+function toRfc3339(date) {
+  const pad = value => String(Math.abs(value)).padStart(2, '0');
+  const offset = -date.getTimezoneOffset();
+  const sign = offset >= 0 ? '+' : '-';
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:` +
+    `${pad(date.getMinutes())}:${pad(date.getSeconds())}${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(offset % 60)}`;
+}
+
+/**
+ * 查询结果的交易状态映射
+ */
+const TRADE_STATE_MAP = {
+  SUCCESS: 'paid',
+  REFUND: 'paid', // 支付成功后发生退款，支付本身已成功
+  NOTPAY: 'pending',
+  USERPAYING: 'pending',
+  CLOSED: 'closed',
+  REVOKED: 'closed',
+  PAYERROR: 'closed'
+};
+
+class WechatPayProcessor {
+  /**
+   * @param {Object} config - 微信支付配置
+   * @param {string} config.appId - 公众号/小程序/应用 AppID
+   * @param {string} config.mchId - 商户号
+   * @param {string} config.serialNo - 商户API证书序列号
+   * @param {KeyObject|string} config.privateKey - 商户API私钥（PEM 或文件路径）
+   * @param {string} config.apiV3Key - APIv3 密钥（32 字节）
+   * @param {KeyObject|string} config.platformPublicKey - 微信支付平台证书或公钥（PEM 或文件路径）
+   * @param {string} [config.platformSerialNo] - 平台证书序列号，配置后校验通知的 Wechatpay-Serial
+   * @param {string} [config.baseUrl] - 接口地址
+   * @param {number} [config.timeout] - 请求超时（毫秒）
+   */
+  constructor(config) {
+    this.name = 'WechatPay';
+    this.channel = 'wechatPay';
+    this.tradeTypes = Object.keys(TRADE_TYPES);
+    this.config = config;
+    this.appId = config.appId;
+    this.mchId = config.mchId;
+    this.serialNo = config.serialNo;
+    this.apiV3Key = config.apiV3Key;
+    this.platformSerialNo = config.platformSerialNo || null;
+    this.baseUrl = (config.baseUrl || 'https://api.mch.weixin.qq.com').replace(/\/$/, '');
+    this.timeout = config.timeout || 10000;
+    this.privateKey = loadKey(config.privateKey, 'private');
+    this.platformPublicKey = loadKey(config.platformPublicKey, 'public');
+
+    if (!this.appId || !this.mchId || !this.serialNo || !this.privateKey || !this.platformPublicKey) {
+      throw new Error('微信支付配置不完整（appId、mchId、serialNo、商户私钥、平台公钥）');
+    }
+    if (!this.apiV3Key || Buffer.byteLength(this.apiV3Key) !== 32) {
+      throw new Error('微信支付 APIv3 密钥必须为 32 字节');
+    }
+  }
+
+  /**
+   * 生成随机串
+   * @returns {string} 32 位随机串
+   */
+  createNonce() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * 使用商户私钥签名
+   * @param {string} message - 待签名串
+   * @returns {string} Base64 签名
+   */
+  sign(message) {
+    return crypto.createSign('RSA-SHA256').update(message).sign(this.privateKey, 'base64');
+  }
+
+  /**
+   * 生成请求的 Authorization 头
+   * @param {string} method - 请求方法
+   * @param {string} urlPath - 请求路径（含查询串）
+   * @param {string} body - 请求体
+   * @returns {string} Authorization 头
+   */
+  buildAuthorization(method, urlPath, body) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const nonce = this.createNonce();
+    const signature = this.sign(`${method}\n${urlPath}\n${timestamp}\n${nonce}\n${body}\n`);
+    return `WECHATPAY2-SHA256-RSA2048 mchid="${this.mchId}",nonce_str="${nonce}",` +
+      `signature="${signature}",timestamp="${timestamp}",serial_no="${this.serialNo}"`;
+  }
+
+  /**
+   * 校验微信支付应答或通知的签名
+   * @param {Object} headers - 请求头（键名小写）
+   * @param {string} body - 原始报文
+   * @returns {boolean} 是否通过
+   */
+  verifySignature(headers, body) {
+    const timestamp = headers['wechatpay-timestamp'];
+    const nonce = headers['wechatpay-nonce'];
+    const signature = headers['wechatpay-signature'];
+    const serial = headers['wechatpay-serial'];
+    if (!timestamp || !nonce || !signature) {
+      return false;
+    }
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_CLOCK_SKEW_SECONDS) {
+      return false;
+    }
+    if (this.platformSerialNo && serial !== this.platformSerialNo) {
+      return false;
+    }
+    try {
+      return crypto.createVerify('RSA-SHA256')
+        .update(`${timestamp}\n${nonce}\n${body}\n`)
+        .verify(this.platformPublicKey, signature, 'base64');
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 解密通知资源
+   * @param {Object} resource - 通知中的 resource 字段
+   * @returns {Object} 解密后的交易信息
+   */
+  decryptResource(resource) {
+    if (!resource || resource.algorithm !== 'AEAD_AES_256_GCM') {
+      throw new Error('不支持的通知加密算法');
+    }
+    const data = Buffer.from(resource.ciphertext, 'base64');
+    const authTag = data.subarray(data.length - 16);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', Buffer.from(this.apiV3Key), Buffer.from(resource.nonce));
+    decipher.setAuthTag(authTag);
+    if (resource.associated_data) {
+      decipher.setAAD(Buffer.from(resource.associated_data));
+    }
+    const plaintext = Buffer.concat([decipher.update(data.subarray(0, data.length - 16)), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+  }
+
+  /**
+   * 调用微信支付接口，校验应答签名
+   * @param {string} method - 请求方法
+   * @param {string} urlPath - 请求路径（含查询串）
+   * @param {Object} [payload] - 请求体
+   * @returns {Promise<Object>} { status, data }
+   */
+  async request(method, urlPath, payload) {
+    const body = payload ? JSON.stringify(payload) : '';
+    const response = await fetch(`${this.baseUrl}${urlPath}`, {
+      method,
+      headers: {
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+        Authorization: this.buildAuthorization(method, urlPath, body)
+      },
+      body: payload ? body : undefined,
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    const text = await response.text();
+    const headers = Object.fromEntries(response.headers.entries());
+    if (!this.verifySignature(headers, text)) {
+      throw new Error(`微信支付应答验签失败（HTTP ${response.status}）`);
+    }
+
+    const data = text ? JSON.parse(text) : {};
+    if (response.status >= 300 && response.status !== 404) {
+      throw new Error(`微信支付接口错误: ${data.code || response.status} ${data.message || ''}`.trim());
+    }
+    return { status: response.status, data };
+  }
+
+  /**
+   * 下单
+   * @param {Object} payment - 支付单
+   * @param {string} payment.paymentNo - 商户订单号
+   * @param {string} payment.tradeType - jsapi、native 或 h5
+   * @param {number} payment.amount - 金额（分）
+   * @param {string} payment.description - 商品描述
+   * @param {string} payment.notifyUrl - 通知地址
+   * @param {Date} payment.expiresAt - 支付截止时间
+   * @param {string} [payment.openid] - 付款人 openid（JSAPI 必填）
+   * @param {string} [payment.clientIp] - 用户终端IP（H5 必填）
+   * @returns {Promise<Object>} 客户端调起支付所需的凭证
+   */
+  async createPayment(payment) {
+    const path = TRADE_TYPES[payment.tradeType];
+    if (!path) {
+      throw new Error(`微信支付不支持的交易类型: ${payment.tradeType}`);
+    }
+
+    const payload = {
+      appid: this.appId,
+      mchid: this.mchId,
+      description: payment.description.slice(0, 127),
+      out_trade_no: payment.paymentNo,
+      time_expire: toRfc3339(payment.expiresAt),
+      notify_url: payment.notifyUrl,
+      amount: { total: payment.amount, currency: 'CNY' }
+    };
+    if (payment.tradeType === 'jsapi') {
+      payload.payer = { openid: payment.openid };
+    }
+    if (payment.tradeType === 'h5') {
+      payload.scene_info = { payer_client_ip: payment.clientIp, h5_info: { type: 'Wap' } };
+    }
+
+    const { data } = await this.request('POST', path, payload);
+
+    switch (payment.tradeType) {
+      case 'jsapi': {
+        // 小程序/公众号 JSAPI 调起支付参数，paySign 使用商户私钥签名
+        const timeStamp = Math.floor(Date.now() / 1000).toString();
+        const nonceStr = this.createNonce();
+        const pkg = `prepay_id=${data.prepay_id}`;
+        return {
+          appId: this.appId,
+          timeStamp,
+          nonceStr,
+          package: pkg,
+          signType: 'RSA',
+          paySign: this.sign(`${this.appId}\n${timeStamp}\n${nonceStr}\n${pkg}\n`)
+        };
+      }
+      case 'native':
+        return { codeUrl: data.code_url };
+      default:
+        return { h5Url: data.h5_url };
+    }
+  }
+
+  /**
+   * 解析支付通知：验签、解密并转换为统一的支付结果
+   * @param {Object} notification - 通知
+   * @param {Object} notification.headers - 请求头
+   * @param {string} notification.rawBody - 原始请求体
+   * @returns {Object} { notifyId, paymentNo, tradeNo, amount, paid, paidAt, payer, raw }
+   */
+  parseNotify({ headers, rawBody }) {
+    if (!rawBody || !this.verifySignature(headers, rawBody)) {
+      throw new Error('微信支付通知验签失败');
+    }
+
+    const envelope = JSON.parse(rawBody);
+    const transaction = this.decryptResource(envelope.resource);
+    if (transaction.mchid !== this.mchId || transaction.appid !== this.appId) {
+      throw new Error('微信支付通知的商户号或AppID不匹配');
+    }
+
+    return {
+      notifyId: envelope.id,
+      paymentNo: transaction.out_trade_no,
+      tradeNo: transaction.transaction_id,
+      amount: transaction.amount ? Number(transaction.amount.total) : null,
+      paid: envelope.event_type === 'TRANSACTION.SUCCESS' && transaction.trade_state === 'SUCCESS',
+      paidAt: transaction.success_time ? new Date(transaction.success_time) : new Date(),
+      payer: transaction.payer ? transaction.payer.openid : null,
+      raw: { eventType: envelope.event_type, tradeState: transaction.trade_state, tradeType: transaction.trade_type }
+    };
+  }
+
+  /**
+   * 查询订单
+   * @param {string} paymentNo - 商户订单号
+   * @returns {Promise<Object>} { state, tradeNo, amount, paidAt, payer }
+   */
+  async queryPayment(paymentNo) {
+    const { status, data } = await this.request(
+      'GET',
+      `/v3/pay/transactions/out-trade-no/${encodeURIComponent(paymentNo)}?mchid=${this.mchId}`
+    );
+    if (status === 404) {
+      return { state: 'not_found' };
+    }
+
+    return {
+      state: TRADE_STATE_MAP[data.trade_state] || 'pending',
+      tradeNo: data.transaction_id || null,
+      amount: data.amount ? Number(data.amount.total) : null,
+      paidAt: data.success_time ? new Date(data.success_time) : null,
+      payer: data.payer ? data.payer.openid : null
+    };
+  }
+
+  /**
+   * 关闭订单
+   * @param {string} paymentNo - 商户订单号
+   * @returns {Promise<void>}
+   */
+  async closePayment(paymentNo) {
+    await this.request('POST', `/v3/pay/transactions/out-trade-no/${encodeURIComponent(paymentNo)}/close`, {
+      mchid: this.mchId
+    });
+  }
+
+  /**
+   * 申请退款，同一退款单号重复申请时返回该退款单的当前状态
+   * @param {Object} refund - 退款
+   * @param {string} refund.paymentNo - 商户订单号
+   * @param {string} refund.refundNo - 商户退款单号
+   * @param {number} refund.amount - 退款金额（分）
+   * @param {number} refund.total - 原订单金额（分）
+   * @param {string} [refund.reason] - 退款原因
+   * @returns {Promise<Object>} { state（refunded 或 processing）, refundId }
+   */
+  async refundPayment(refund) {
+    const { data } = await this.request('POST', '/v3/refund/domestic/refunds', {
+      out_trade_no: refund.paymentNo,
+      out_refund_no: refund.refundNo,
+      reason: refund.reason ? refund.reason.slice(0, 80) : undefined,
+      amount: { refund: refund.amount, total: refund.total, currency: 'CNY' }
+    });
+    if (data.status !== 'SUCCESS' && data.status !== 'PROCESSING') {
+      throw new Error(`微信支付退款失败: ${data.status}`);
+    }
+    return { state: data.status === 'SUCCESS' ? 'refunded' : 'processing', refundId: data.refund_id };
+  }
+
+  /**
+   * 生成通知应答：处理成功返回 204，失败返回 5XX 让微信支付重试
+   * @param {boolean} success - 是否处理成功
+   * @param {string} [message] - 失败原因
+   * @returns {Object} { status, contentType, body }
+   */
+  notifyResponse(success, message) {
+    if (success) {
+      return { status: 204, contentType: 'application/json', body: '' };
+    }
+    return { status: 500, contentType: 'application/json', body: JSON.stringify({ code: 'FAIL', message: message || '失败' }) };
+  }
+}
+
+module.exports = WechatPayProcessor;
+module.exports.TRADE_TYPES = TRADE_TYPES;
+module.exports.toRfc3339 = toRfc3339;
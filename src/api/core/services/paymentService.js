@@ -1,21 +1,71 @@
 /**
  * 支付服务模块
  * 提供统一的支付处理、交易管理和支付方式集成功能
+ * 微信支付、支付宝按支付单（payment_orders）下单，支付结果以验签后的支付通知或主动查询为准，
+ * 支付成功后在同一事务中将订单更新为已支付，并发布 order.paid 事件；钱包充值单的支付成功后由钱包服务在同一事务中入账。
+ * 订单已不是待支付或库存预占已失效时不入账，支付单转为待退款并向渠道原路退款，退款失败由对账任务重试
  */
 
-const { Config } = require('../config/config');
-const { Logger } = require('../logging/logger');
-const { AppError } = require('../errors/appError');
-const { TransactionRepository } = require('../database/repositories/TransactionRepository');
-const { UserRepository } = require('../database/repositories/UserRepository');
 const crypto = require('crypto');
+const di = require('@core/di/container');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { AppError } = require('../errors/appError');
+const { TransactionManager } = require('../data-access/database/TransactionManager');
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const { TransactionError } = require('../exception/handlers/errorHandler');
+const paymentRepository = require('../repositories/paymentRepository');
+const stockReservationService = require('../../buyer-api/order/services/stockReservationService');
+const WechatPayProcessor = require('./payment/wechatPayProcessor');
+const AlipayProcessor = require('./payment/alipayProcessor');
+
+const { PAYMENT_STATUS, PAYMENT_BIZ_TYPE } = paymentRepository;
+
+// 数据库连接池ID
+const DB_POOL_ID = process.env.DB_POOL_ID || 'default';
+
+// 待支付订单的支付时限（分钟），与库存预占时长一致
+const PAYMENT_TIMEOUT_MINUTES = parseInt(process.env.ORDER_PAYMENT_TIMEOUT_MINUTES || '30', 10);
+
+// 支付单创建后多久开始主动查询（秒），给支付通知留出时间
+const RECONCILE_DELAY_SECONDS = parseInt(process.env.PAYMENT_RECONCILE_DELAY_SECONDS || '60', 10);
+
+// 每次对账最多查询的支付单数量
+const RECONCILE_BATCH_SIZE = parseInt(process.env.PAYMENT_RECONCILE_BATCH_SIZE || '100', 10);
+
+/**
+ * 元转分
+ * @param {number|string} amount - 金额（元）
+ * @returns {number} 金额（分）
+ */
+function toCents(amount) {
+  return Math.round(Number(amount || 0) * 100);
+}
+
+/**
+ * 解析 JSON 字段
+ * @param {string|Object} value - 字段值
+ * @returns {Object|null} 解析结果
+ */
+function parseJson(value) {
+  if (!value) {
+    return null;
+  }
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
 
 class PaymentService {
   constructor() {
-    this.config = Config.getInstance();
-    this.logger = Logger.getInstance();
-    this.transactionRepository = TransactionRepository.getInstance();
-    this.userRepository = UserRepository.getInstance();
+    this.config = config;
+    this.logger = logger;
+    this.paymentTimeoutMinutes = PAYMENT_TIMEOUT_MINUTES;
+    this.transactionManager = new TransactionManager({
+      getConnection: () => connectionPoolManager.getConnection(DB_POOL_ID)
+    });
+    
+    // 支付通知地址前缀，模拟网关挂载在同一服务下
+    this.notifyBaseUrl = this.config.get('payment.notifyBaseUrl', '').replace(/\/$/, '');
+    this.fakeGatewayEnabled = this._isFakeGatewayEnabled();
     
     // 支付处理器注册表
     this.paymentProcessors = {};
@@ -37,6 +87,46 @@ class PaymentService {
     return PaymentService.instance;
   }
 
+  /**
+   * 交易仓库（仅 Stripe、PayPal、信用卡支付和退款使用，首次使用时加载）
+   * @returns {TransactionRepository} 交易仓库
+   */
+  get transactionRepository() {
+    if (!this._transactionRepository) {
+      const { TransactionRepository } = require('../database/repositories/TransactionRepository');
+      this._transactionRepository = TransactionRepository.getInstance();
+    }
+    return this._transactionRepository;
+  }
+
+  /**
+   * 用户仓库（仅 Stripe、PayPal、信用卡支付使用，首次使用时加载）
+   * @returns {UserRepository} 用户仓库
+   */
+  get userRepository() {
+    if (!this._userRepository) {
+      const UserRepository = require('../database/repositories/UserRepository');
+      this._userRepository = new UserRepository();
+    }
+    return this._userRepository;
+  }
+
+  // 获取缓存管理器（发布订单支付事件）
+  getCacheManager() {
+    if (!this._cacheManager) {
+      this._cacheManager = di.resolve('cacheManager');
+    }
+    return this._cacheManager;
+  }
+
+  // 获取钱包服务（充值单支付时加载，钱包服务依赖支付服务下单）
+  getWalletService() {
+    if (!this._walletService) {
+      this._walletService = require('./walletService');
+    }
+    return this._walletService;
+  }
+
   /**
    * 初始化支付处理器
    * @private
@@ -52,6 +142,8 @@ class PaymentService {
       this._registerStripeProcessor();
       this._registerPayPalProcessor();
       this._registerCreditCardProcessor();
+      this._registerWechatPayProcessor();
+      this._registerAlipayProcessor();
       
       // 可以根据配置动态加载其他处理器
       processors.forEach(procConfig => {
@@ -202,6 +294,87 @@ class PaymentService {
     }
   }
 
+  /**
+   * 是否使用模拟支付网关（仅非生产环境，用于本地联调支付通知和对账）
+   * @private
+   * @returns {boolean} 是否启用
+   */
+  _isFakeGatewayEnabled() {
+    if (!this.config.get('payment.fakeGateway', false)) {
+      return false;
+    }
+    if (this.config.get('server.env') === 'production') {
+      this.logger.warn('Fake payment gateway is ignored in production');
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 获取渠道配置，启用模拟网关时使用模拟网关的商户密钥和地址
+   * @private
+   * @param {string} channel - 渠道（wechatPay、alipay）
+   * @returns {Object} 渠道配置
+   */
+  _getChannelConfig(channel) {
+    const channelConfig = this.config.get(`payment.${channel}`, {}) || {};
+    if (!this.fakeGatewayEnabled) {
+      return channelConfig;
+    }
+    const fakeGateway = require('./payment/fakeGateway');
+    return {
+      ...channelConfig,
+      ...fakeGateway.getProcessorConfigs(`${this.notifyBaseUrl}/api/fake-gateway`)[channel],
+      enabled: true
+    };
+  }
+
+  /**
+   * 注册微信支付处理器
+   * @private
+   */
+  _registerWechatPayProcessor() {
+    const wechatConfig = this._getChannelConfig('wechatPay');
+    
+    if (!wechatConfig.enabled) {
+      this.logger.debug('WeChat Pay processor is disabled');
+      return;
+    }
+    
+    try {
+      const processor = new WechatPayProcessor({ supportedCurrencies: ['CNY'], ...wechatConfig });
+      processor.enabled = true;
+      this.paymentProcessors.wechatPay = processor;
+      
+      this.logger.info('WeChat Pay processor registered', { fakeGateway: this.fakeGatewayEnabled });
+    } catch (error) {
+      this.logger.error('Failed to register WeChat Pay processor:', error);
+    }
+  }
+
+  /**
+   * 注册支付宝处理器
+   * @private
+   */
+  _registerAlipayProcessor() {
+    const alipayConfig = this._getChannelConfig('alipay');
+    
+    if (!alipayConfig.enabled) {
+      this.logger.debug('Alipay processor is disabled');
+      return;
+    }
+    
+    try {
+      const processor = new AlipayProcessor({ supportedCurrencies: ['CNY'], ...alipayConfig });
+      processor.enabled = true;
+      this.paymentProcessors.alipay = processor;
+      
+      this.logger.info('Alipay processor registered', { fakeGateway: this.fakeGatewayEnabled });
+    } catch (error) {
+      this.logger.error('Failed to register Alipay processor:', error);
+    }
+  }
+
   /**
    * Luhn算法验证信用卡号
    * @private
@@ -454,8 +627,9 @@ class PaymentService {
 
   /**
    * 退款交易
+   * 支持对同一交易多次部分退款，累计退款金额不超过交易金额
    * @param {string} transactionId - 交易ID
-   * @param {number} amount - 退款金额（可选，默认全额）
+   * @param {number} amount - 退款金额（可选，默认退还剩余全部金额）
    * @param {string} reason - 退款原因
    * @returns {Promise<Object>} 退款结果
    */
@@ -477,11 +651,14 @@ class PaymentService {
         throw new Error(`Cannot refund a transaction with status: ${transaction.status}`);
       }
       
-      // 验证退款金额
-      const refundAmount = amount || transaction.amount;
-      if (refundAmount <= 0 || refundAmount > transaction.amount) {
+      // 验证退款金额（按分比较，避免浮点误差）
+      const refundedCents = Math.round(Number(transaction.refundAmount || 0) * 100);
+      const remainingCents = Math.round(Number(transaction.amount) * 100) - refundedCents;
+      const refundCents = amount ? Math.round(Number(amount) * 100) : remainingCents;
+      if (refundCents <= 0 || refundCents > remainingCents) {
         throw new Error('Invalid refund amount');
       }
+      const refundAmount = refundCents / 100;
       
       // 检查处理器是否支持退款
       const processor = this.paymentProcessors[transaction.paymentMethod];
@@ -499,10 +676,10 @@ class PaymentService {
         timestamp: new Date()
       };
       
-      // 更新交易记录
+      // 更新交易记录，记录累计退款金额
       await this.transactionRepository.update(transactionId, {
-        refundStatus: 'refunded',
-        refundAmount: refundAmount,
+        refundStatus: refundCents === remainingCents ? 'refunded' : 'partially_refunded',
+        refundAmount: (refundedCents + refundCents) / 100,
         refundReason: reason,
         refundDetails: refundResult,
         refundedAt: new Date()
@@ -698,16 +875,605 @@ class PaymentService {
     }
   }
 
+  /**
+   * 在事务中执行操作，透出业务错误
+   * @param {Function} operation - 事务操作
+   * @returns {Promise<*>} 操作结果
+   */
+  async runInTransaction(operation) {
+    try {
+      return await this.transactionManager.executeInTransaction(operation);
+    } catch (error) {
+      if (error instanceof TransactionError && error.originalError) {
+        throw error.originalError;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 使用非事务连接执行查询
+   * @param {Function} operation - 操作
+   * @returns {Promise<*>} 操作结果
+   */
+  async withConnection(operation) {
+    const connection = await connectionPoolManager.getConnection(DB_POOL_ID);
+    try {
+      return await operation(connection);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 获取在线支付渠道处理器
+   * @param {string} channel - 渠道（wechatPay、alipay）
+   * @returns {Object} 处理器
+   */
+  getChannelProcessor(channel) {
+    const processor = this.paymentProcessors[channel];
+    if (!processor || !processor.enabled || typeof processor.parseNotify !== 'function') {
+      throw new AppError(`Unsupported or disabled payment channel: ${channel}`, 400, 'PAYMENT_CHANNEL_UNAVAILABLE');
+    }
+    return processor;
+  }
+
+  /**
+   * 锁定待支付订单并校验支付时限（事务内调用）
+   * @param {Object} connection - 事务连接
+   * @param {string} orderId - 订单ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} { order, expiresAt }
+   */
+  async lockPayableOrder(connection, orderId, userId) {
+    const order = await paymentRepository.getOrder(connection, orderId, { forUpdate: true });
+    if (!order || String(order.user_id) !== String(userId)) {
+      throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
+    }
+    if (order.status !== 'pending') {
+      throw new AppError(`Order is not awaiting payment: ${order.status}`, 409, 'ORDER_NOT_PAYABLE');
+    }
+    const expiresAt = new Date(new Date(order.created_at).getTime() + this.paymentTimeoutMinutes * 60 * 1000);
+    if (expiresAt <= new Date()) {
+      throw new AppError('Order payment has expired', 409, 'ORDER_PAYMENT_EXPIRED');
+    }
+    return { order, expiresAt };
+  }
+
+  /**
+   * 校验订单的库存预占仍有效（事务内调用，对预占记录加锁）
+   * 预占已过期或已释放的订单正在或已经被关闭，不能再支付
+   * @param {Object} connection - 事务连接
+   * @param {string} orderId - 订单ID
+   * @returns {Promise<void>}
+   */
+  async assertReservationActive(connection, orderId) {
+    if (!await stockReservationService.isActive(orderId, connection)) {
+      throw new AppError('Order stock reservation has expired or been released', 409, 'ORDER_RESERVATION_INACTIVE');
+    }
+  }
+
+  /**
+   * 锁定待支付的业务单（事务内调用）
+   * @private
+   * @param {Object} connection - 事务连接
+   * @param {string} bizType - 业务类型
+   * @param {string} orderId - 业务单ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} { id, no, userId, amount（元）, expiresAt, description }
+   */
+  async _lockPaymentTarget(connection, bizType, orderId, userId) {
+    if (bizType === PAYMENT_BIZ_TYPE.RECHARGE) {
+      return this.getWalletService().lockRechargeForPayment(connection, orderId, userId);
+    }
+    if (bizType !== PAYMENT_BIZ_TYPE.ORDER) {
+      throw new AppError(`Unsupported payment business type: ${bizType}`, 400, 'INVALID_BIZ_TYPE');
+    }
+
+    const { order, expiresAt } = await this.lockPayableOrder(connection, orderId, userId);
+    await this.assertReservationActive(connection, order.id);
+    return {
+      id: order.id,
+      no: order.order_no,
+      userId: order.user_id,
+      amount: toCents(order.payment_amount ?? order.total_amount) / 100,
+      expiresAt,
+      description: `订单 ${order.order_no}`
+    };
+  }
+
+  /**
+   * 向支付渠道下单
+   * 同一业务单、渠道、交易类型和付款人已有未过期的支付单时直接返回其支付凭证，避免重复下单
+   * @param {string} userId - 用户ID
+   * @param {Object} params - 下单参数
+   * @param {string} [params.bizType] - 业务类型（order 商品订单、recharge 钱包充值），默认商品订单
+   * @param {string} params.orderId - 业务单ID
+   * @param {string} params.channel - 渠道（wechatPay、alipay）
+   * @param {string} params.tradeType - 交易类型（jsapi、native、h5、page、wap）
+   * @param {string} [params.openid] - 微信用户 openid（JSAPI 必填）
+   * @param {string} [params.clientIp] - 用户终端IP（微信 H5 必填）
+   * @returns {Promise<Object>} 支付单和支付凭证
+   */
+  async createChannelPayment(userId, params) {
+    const { orderId, channel, tradeType } = params;
+    const bizType = params.bizType || PAYMENT_BIZ_TYPE.ORDER;
+    try {
+      const processor = this.getChannelProcessor(channel);
+      if (!processor.tradeTypes.includes(tradeType)) {
+        throw new AppError(`${processor.name} does not support trade type: ${tradeType}`, 400, 'INVALID_TRADE_TYPE');
+      }
+      if (channel === 'wechatPay' && tradeType === 'jsapi' && !params.openid) {
+        throw new AppError('openid is required for WeChat JSAPI payment', 400, 'OPENID_REQUIRED');
+      }
+      const payer = channel === 'wechatPay' && tradeType === 'jsapi' ? params.openid : null;
+
+      const prepared = await this.runInTransaction(async (connection) => {
+        const target = await this._lockPaymentTarget(connection, bizType, orderId, userId);
+
+        const reusable = await paymentRepository.getReusablePayment(connection, {
+          bizType, orderId: target.id, channel, tradeType, payer
+        });
+        if (reusable) {
+          return { reusable };
+        }
+
+        const payment = {
+          paymentNo: this._generatePaymentNo(),
+          bizType,
+          orderId: target.id,
+          orderNo: target.no,
+          userId: target.userId,
+          channel,
+          tradeType,
+          amount: target.amount,
+          payer,
+          expiresAt: target.expiresAt,
+          description: target.description
+        };
+        await paymentRepository.createPayment(connection, payment);
+        return { payment };
+      });
+
+      if (prepared.reusable) {
+        return this._formatPayment(prepared.reusable, true);
+      }
+
+      const { payment } = prepared;
+      let credential;
+      try {
+        credential = await processor.createPayment({
+          paymentNo: payment.paymentNo,
+          tradeType,
+          amount: toCents(payment.amount),
+          description: payment.description,
+          notifyUrl: `${this.notifyBaseUrl}/api/payment/notify/${channel}`,
+          expiresAt: payment.expiresAt,
+          openid: params.openid,
+          clientIp: params.clientIp
+        });
+      } catch (channelError) {
+        await this.withConnection(connection => paymentRepository.closePayment(connection, payment.paymentNo));
+        throw new AppError(`Failed to create ${processor.name} payment: ${channelError.message}`, 502, 'PAYMENT_CHANNEL_ERROR');
+      }
+      await this.withConnection(connection => paymentRepository.saveCredential(connection, payment.paymentNo, credential));
+
+      this.logger.info('Channel payment created', { paymentNo: payment.paymentNo, bizType, orderId, channel, tradeType });
+      return {
+        paymentNo: payment.paymentNo,
+        bizType,
+        orderId: String(payment.orderId),
+        orderNo: payment.orderNo,
+        channel,
+        tradeType,
+        amount: payment.amount,
+        status: PAYMENT_STATUS.PENDING,
+        expiresAt: payment.expiresAt,
+        credential
+      };
+    } catch (error) {
+      this.logger.error('Failed to create channel payment', error, { userId, bizType, orderId, channel });
+      throw error;
+    }
+  }
+
+  /**
+   * 处理支付渠道的异步通知
+   * 验签失败、金额不符或处理出错时返回失败应答让渠道重试；同一通知重复到达只入账一次
+   * @param {string} channel - 渠道（wechatPay、alipay）
+   * @param {Object} notification - 通知 { headers, rawBody, body }
+   * @returns {Promise<Object>} 渠道应答 { status, contentType, body }
+   */
+  async handleChannelNotify(channel, notification) {
+    const processor = this.getChannelProcessor(channel);
+
+    let result;
+    try {
+      result = processor.parseNotify(notification);
+    } catch (error) {
+      this.logger.warn('Rejected payment notification', { channel, error: error.message });
+      return processor.notifyResponse(false, error.message);
+    }
+
+    try {
+      const outcome = await this.runInTransaction(async (connection) => {
+        const payment = await paymentRepository.getPaymentByNo(connection, result.paymentNo, { forUpdate: true });
+        if (!payment || payment.channel !== channel) {
+          throw new AppError(`Payment not found: ${result.paymentNo}`, 404, 'PAYMENT_NOT_FOUND');
+        }
+
+        const applied = result.paid
+          ? await this._applyPaidResult(connection, payment, result)
+          : { status: 'ignored', orderPaid: false };
+        const firstTime = await paymentRepository.recordNotification(connection, {
+          channel,
+          notifyId: result.notifyId || `${result.paymentNo}:${result.tradeNo}`,
+          paymentNo: result.paymentNo,
+          result: applied.status,
+          payload: result.raw
+        });
+        return { ...applied, firstTime };
+      });
+
+      await this._publishPaidOutcome(outcome);
+      this.logger.info('Payment notification handled', {
+        channel, paymentNo: result.paymentNo, result: outcome.status, duplicate: !outcome.firstTime
+      });
+      return processor.notifyResponse(true);
+    } catch (error) {
+      this.logger.error('Failed to handle payment notification', error, { channel, paymentNo: result.paymentNo });
+      return processor.notifyResponse(false, error.message);
+    }
+  }
+
+  /**
+   * 主动查询渠道侧支付结果并同步到本地（用于支付通知丢失或延迟）
+   * @param {string} paymentNo - 支付单号
+   * @returns {Promise<Object>} 同步后的支付单
+   */
+  async syncChannelPayment(paymentNo) {
+    try {
+      const payment = await this.withConnection(connection => paymentRepository.getPaymentByNo(connection, paymentNo));
+      if (!payment) {
+        throw new AppError(`Payment not found: ${paymentNo}`, 404, 'PAYMENT_NOT_FOUND');
+      }
+      if (payment.status !== PAYMENT_STATUS.PENDING) {
+        return this._formatPayment(payment);
+      }
+
+      const processor = this.getChannelProcessor(payment.channel);
+      const result = await processor.queryPayment(paymentNo);
+      await this.withConnection(connection => paymentRepository.touchQuery(connection, paymentNo));
+
+      if (result.state === 'paid') {
+        const outcome = await this.runInTransaction(async (connection) => {
+          const locked = await paymentRepository.getPaymentByNo(connection, paymentNo, { forUpdate: true });
+          return this._applyPaidResult(connection, locked, { ...result, paymentNo, paidAt: result.paidAt || new Date() });
+        });
+        await this._publishPaidOutcome(outcome);
+        this.logger.info('Payment synced from channel query', { paymentNo, result: outcome.status });
+      } else if (result.state === 'closed' || (result.state === 'not_found' && new Date(payment.expires_at) <= new Date())) {
+        await this.withConnection(connection => paymentRepository.closePayment(connection, paymentNo));
+        this.logger.info('Payment closed after channel query', { paymentNo, state: result.state });
+      }
+
+      const synced = await this.withConnection(connection => paymentRepository.getPaymentByNo(connection, paymentNo));
+      return this._formatPayment(synced);
+    } catch (error) {
+      this.logger.error('Failed to sync channel payment', error, { paymentNo });
+      throw error;
+    }
+  }
+
+  /**
+   * 查询订单支付状态，订单仍待支付时先向渠道同步最近一张支付单
+   * @param {string} userId - 用户ID
+   * @param {string} orderId - 订单ID
+   * @returns {Promise<Object>} 订单支付状态
+   */
+  async getOrderPaymentStatus(userId, orderId) {
+    try {
+      let order = await this.withConnection(connection => paymentRepository.getOrder(connection, orderId));
+      if (!order || String(order.user_id) !== String(userId)) {
+        throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
+      }
+
+      let payments = await this.withConnection(connection => paymentRepository.getPaymentsByOrder(connection, orderId));
+      const latest = payments[0];
+      if (order.status === 'pending' && latest && latest.status === PAYMENT_STATUS.PENDING) {
+        try {
+          await this.syncChannelPayment(latest.payment_no);
+          order = await this.withConnection(connection => paymentRepository.getOrder(connection, orderId));
+          payments = await this.withConnection(connection => paymentRepository.getPaymentsByOrder(connection, orderId));
+        } catch (error) {
+          this.logger.warn('Channel query failed, returning local payment status', { orderId, error: error.message });
+        }
+      }
+
+      return {
+        orderId: String(order.id),
+        orderNo: order.order_no,
+        orderStatus: order.status,
+        paid: Boolean(order.paid_at),
+        paidAt: order.paid_at,
+        paymentMethod: order.payment_method,
+        transactionId: order.payment_transaction_id,
+        payments: payments.map(payment => this._formatPayment(payment))
+      };
+    } catch (error) {
+      this.logger.error('Failed to get order payment status', error, { userId, orderId });
+      throw error;
+    }
+  }
+
+  /**
+   * 关闭待支付的支付单：先关闭渠道侧交易，成功后再关闭本地支付单
+   * 渠道拒绝关闭（如用户刚完成支付）时抛出错误，由下次查询同步支付结果
+   * @param {string} paymentNo - 支付单号
+   * @returns {Promise<boolean>} 是否关闭
+   */
+  async closeChannelPayment(paymentNo) {
+    try {
+      const payment = await this.withConnection(connection => paymentRepository.getPaymentByNo(connection, paymentNo));
+      if (!payment || payment.status !== PAYMENT_STATUS.PENDING) {
+        return false;
+      }
+      await this.getChannelProcessor(payment.channel).closePayment(paymentNo);
+      const closed = await this.withConnection(connection => paymentRepository.closePayment(connection, paymentNo));
+      this.logger.info('Channel payment closed', { paymentNo, closed });
+      return closed;
+    } catch (error) {
+      this.logger.error('Failed to close channel payment', error, { paymentNo });
+      throw error;
+    }
+  }
+
+  /**
+   * 向渠道原路退回待退款支付单的款项，退款成功后更新为已退款
+   * 退款单号由支付单号生成，重复调用不会重复退款
+   * @param {string} paymentNo - 支付单号
+   * @returns {Promise<boolean>} 是否已退款
+   */
+  async refundChannelPayment(paymentNo) {
+    try {
+      const payment = await this.withConnection(connection => paymentRepository.getPaymentByNo(connection, paymentNo));
+      if (!payment || payment.status !== PAYMENT_STATUS.REFUNDING) {
+        return false;
+      }
+
+      const amount = toCents(payment.amount);
+      const refund = await this.getChannelProcessor(payment.channel).refundPayment({
+        paymentNo,
+        refundNo: `R${paymentNo}`,
+        amount,
+        total: amount,
+        reason: '订单已关闭，原路退款'
+      });
+      if (refund.state !== 'refunded') {
+        this.logger.info('Channel refund is processing', { paymentNo, refundId: refund.refundId });
+        return false;
+      }
+
+      const refunded = await this.withConnection(connection => paymentRepository.markPaymentRefunded(connection, paymentNo));
+      this.logger.info('Channel payment refunded', { paymentNo, orderId: payment.order_id, refundId: refund.refundId });
+      return refunded;
+    } catch (error) {
+      this.logger.error('Failed to refund channel payment', error, { paymentNo });
+      throw error;
+    }
+  }
+
+  /**
+   * 对账：主动查询创建一段时间后仍待支付的支付单，补记丢失的支付结果，关闭已超时的支付单，并重试待退款支付单的退款
+   * @param {Date} [now] - 当前时间
+   * @returns {Promise<Object>} { checked, paid, closed, refunded, failed }
+   */
+  async reconcilePendingPayments(now = new Date()) {
+    try {
+      const createdBefore = new Date(now.getTime() - RECONCILE_DELAY_SECONDS * 1000);
+      const paymentNos = await this.withConnection(connection =>
+        paymentRepository.getPendingPayments(connection, createdBefore, RECONCILE_BATCH_SIZE)
+      );
+
+      const summary = { checked: paymentNos.length, paid: 0, closed: 0, refunded: 0, failed: 0 };
+      for (const paymentNo of paymentNos) {
+        try {
+          const payment = await this.syncChannelPayment(paymentNo);
+          if (payment.status === PAYMENT_STATUS.PAID) {
+            summary.paid++;
+          } else if (payment.status === PAYMENT_STATUS.CLOSED) {
+            summary.closed++;
+          } else if (new Date(payment.expiresAt) <= now && await this.closeChannelPayment(paymentNo)) {
+            summary.closed++;
+          }
+        } catch (error) {
+          summary.failed++;
+          this.logger.warn('Failed to reconcile payment', { paymentNo, error: error.message });
+        }
+      }
+
+      const refundingNos = await this.withConnection(connection =>
+        paymentRepository.getRefundingPayments(connection, RECONCILE_BATCH_SIZE)
+      );
+      summary.checked += refundingNos.length;
+      for (const paymentNo of refundingNos) {
+        try {
+          if (await this.refundChannelPayment(paymentNo)) {
+            summary.refunded++;
+          }
+        } catch (error) {
+          summary.failed++;
+          this.logger.warn('Failed to refund payment on reconcile', { paymentNo, error: error.message });
+        }
+      }
+
+      if (summary.checked > 0) {
+        this.logger.info('Pending payments reconciled', summary);
+      }
+      return summary;
+    } catch (error) {
+      this.logger.error('Failed to reconcile pending payments', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 在事务中入账支付成功结果：更新支付单，并将仍待支付的订单更新为已支付，或将充值金额计入钱包余额
+   * 订单已不是待支付（已被其他支付单支付、已取消或已关闭）或库存预占已失效时不入账，支付单转为待退款
+   * @private
+   * @param {Object} connection - 事务连接
+   * @param {Object} payment - 已加锁的支付单
+   * @param {Object} result - 渠道支付结果 { tradeNo, amount, paidAt, payer }
+   * @returns {Promise<Object>} { status, orderPaid, order, walletChange, payment, refundPaymentNo }
+   */
+  async _applyPaidResult(connection, payment, result) {
+    if ([PAYMENT_STATUS.PAID, PAYMENT_STATUS.REFUNDING, PAYMENT_STATUS.REFUNDED].includes(payment.status)) {
+      return { status: 'duplicate', orderPaid: false };
+    }
+    if (result.amount !== null && result.amount !== undefined && result.amount !== toCents(payment.amount)) {
+      throw new AppError(
+        `Paid amount ${result.amount} does not match payment amount ${toCents(payment.amount)}`,
+        400,
+        'PAYMENT_AMOUNT_MISMATCH'
+      );
+    }
+
+    const paidPayment = { ...payment, status: PAYMENT_STATUS.PAID, transaction_id: result.tradeNo, paid_at: result.paidAt };
+
+    if (payment.biz_type === PAYMENT_BIZ_TYPE.RECHARGE) {
+      await paymentRepository.markPaymentPaid(connection, payment.id, result);
+      const walletChange = await this.getWalletService().completeRecharge(connection, payment.order_id, {
+        paymentNo: payment.payment_no,
+        channel: payment.channel,
+        tradeType: payment.trade_type,
+        transactionId: result.tradeNo,
+        paidAt: result.paidAt
+      });
+      return { status: 'paid', orderPaid: false, walletChange, payment: paidPayment };
+    }
+
+    const order = await paymentRepository.getOrder(connection, payment.order_id, { forUpdate: true });
+    const payable = order && order.status === 'pending' && await stockReservationService.isActive(order.id, connection);
+    if (!payable) {
+      await paymentRepository.markPaymentRefunding(connection, payment.id, result);
+      this.logger.warn('Payment succeeded but order can no longer be paid, refunding', {
+        paymentNo: payment.payment_no, orderId: payment.order_id, orderStatus: order ? order.status : null
+      });
+      return { status: 'refunding', orderPaid: false, refundPaymentNo: payment.payment_no };
+    }
+
+    await paymentRepository.markPaymentPaid(connection, payment.id, result);
+    const orderPaid = await paymentRepository.markOrderPaid(connection, order.id, {
+      paymentMethod: payment.channel,
+      transactionId: result.tradeNo,
+      paidAt: result.paidAt
+    });
+
+    return { status: 'paid', orderPaid, order, payment: paidPayment };
+  }
+
+  /**
+   * 支付结果入账的事务提交后，发布订单支付成功事件或钱包余额变动消息
+   * @private
+   * @param {Object} outcome - 入账结果
+   * @returns {Promise<void>}
+   */
+  async _publishPaidOutcome(outcome) {
+    if (outcome.orderPaid) {
+      await this.publishOrderPaid(outcome.order, outcome.payment);
+    }
+    if (outcome.walletChange) {
+      await this.getWalletService().publishChange(outcome.walletChange);
+    }
+    if (outcome.refundPaymentNo) {
+      try {
+        await this.refundChannelPayment(outcome.refundPaymentNo);
+      } catch (error) {
+        this.logger.warn('Refund failed, will retry on reconcile', { paymentNo: outcome.refundPaymentNo, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * 发布订单支付成功事件，事务已提交，发布失败只记录日志
+   * @param {Object} order - 订单
+   * @param {Object} payment - 支付单（余额支付时为同结构的支付信息）
+   * @returns {Promise<void>}
+   */
+  async publishOrderPaid(order, payment) {
+    try {
+      const lines = await this.withConnection(connection => paymentRepository.getOrderLines(connection, order.id));
+      await this.getCacheManager().publish('order.paid', {
+        orderId: String(order.id),
+        orderNo: order.order_no,
+        userId: String(order.user_id),
+        totalAmount: Number(payment.amount),
+        items: lines.map(line => ({
+          productId: String(line.product_id),
+          price: Number(line.price),
+          quantity: Number(line.quantity),
+          sellerId: order.seller_id ? String(order.seller_id) : null
+        })),
+        paymentInfo: {
+          paymentNo: payment.payment_no,
+          channel: payment.channel,
+          tradeType: payment.trade_type,
+          transactionId: payment.transaction_id,
+          paidAt: payment.paid_at
+        }
+      });
+    } catch (error) {
+      this.logger.error('Failed to publish order paid event', error, { orderId: order.id });
+    }
+  }
+
+  /**
+   * 生成支付单号（渠道侧商户订单号）
+   * @private
+   * @returns {string} 支付单号
+   */
+  _generatePaymentNo() {
+    return `PAY${Date.now()}${crypto.randomInt(0, 1000000).toString().padStart(6, '0')}`;
+  }
+
+  /**
+   * 格式化支付单
+   * @private
+   * @param {Object} row - 支付单记录
+   * @param {boolean} [withCredential] - 是否返回支付凭证
+   * @returns {Object} 支付单
+   */
+  _formatPayment(row, withCredential = false) {
+    const payment = {
+      paymentNo: row.payment_no,
+      orderId: String(row.order_id),
+      orderNo: row.order_no,
+      channel: row.channel,
+      tradeType: row.trade_type,
+      amount: Number(row.amount),
+      status: row.status,
+      transactionId: row.transaction_id || null,
+      paidAt: row.paid_at || null,
+      expiresAt: row.expires_at,
+      createdAt: row.created_at
+    };
+    if (withCredential) {
+      payment.credential = parseJson(row.credential);
+    }
+    return payment;
+  }
+
   /**
    * 获取支持的支付方式
    * @returns {Array} 支持的支付方式
    */
   getAvailablePaymentMethods() {
-    return Object.values(this.paymentProcessors)
-      .filter(processor => processor.enabled)
-      .map(processor => ({
-        id: processor.name.toLowerCase(),
+    return Object.entries(this.paymentProcessors)
+      .filter(([, processor]) => processor.enabled)
+      .map(([id, processor]) => ({
+        id,
         name: processor.name,
+        tradeTypes: processor.tradeTypes || [],
         config: {
           // 只返回必要的配置信息
           currencies: processor.config.supportedCurrencies || ['USD', 'EUR', 'GBP'],
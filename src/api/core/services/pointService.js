@@ -1,13 +1,82 @@
 /**
  * 积分服务
- * 提供积分管理相关功能
+ * 提供积分管理相关功能：按规则发放积分（消费、评价、签到），积分先到期先使用、到期自动过期，
+ * 下单时积分抵扣、退款时退回，以及积分兑换商品。
+ * 所有余额变动都在数据库事务中锁定用户积分账户后进行，并发操作下余额不会为负。
  */
 
 const di = require('@core/di/container');
+const { TransactionManager } = require('../data-access/database/TransactionManager');
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const { TransactionError } = require('../exception/handlers/errorHandler');
+const pointRepository = require('../repositories/pointRepository');
+const memberCardService = require('./memberCardService');
+
+// 数据库连接池ID
+const DB_POOL_ID = process.env.DB_POOL_ID || 'default';
+
+// 积分抵扣比例：多少积分抵扣1元
+const POINTS_PER_YUAN = parseInt(process.env.POINT_DEDUCTION_RATE || '100', 10);
+
+// 单笔订单积分最多抵扣应付金额的比例
+const MAX_DEDUCTION_RATIO = parseFloat(process.env.POINT_MAX_DEDUCTION_RATIO || '0.5');
+
+// 积分默认有效期（天）
+const DEFAULT_EXPIRE_DAYS = 365;
+
+// 规则缓存时间（毫秒）
+const RULE_CACHE_TTL = 5 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 积分交易类型
+ */
+const TRANSACTION_TYPE = {
+  EARN: 'earn',       // 获取
+  SPEND: 'spend',     // 使用
+  REFUND: 'refund',   // 退回已使用的积分
+  REVERSE: 'reverse', // 冲回已发放的积分
+  EXPIRE: 'expire'    // 过期
+};
+
+/**
+ * 系统记账账户
+ */
+const SYSTEM_ACCOUNT = {
+  ISSUED: 'system:issued',     // 积分发放
+  REDEEMED: 'system:redeemed', // 积分使用
+  EXPIRED: 'system:expired'    // 积分过期
+};
+
+/**
+ * 默认积分获取规则（未在 point_earning_rules 中配置时使用）
+ * perAmount 不为空时按每消费 perAmount 元获得 points 积分计算
+ */
+const DEFAULT_RULES = {
+  order_spend: { code: 'order_spend', name: '消费得积分', points: 1, perAmount: 1, dailyLimit: null, expireDays: DEFAULT_EXPIRE_DAYS },
+  review: { code: 'review', name: '评价得积分', points: 10, perAmount: null, dailyLimit: 50, expireDays: DEFAULT_EXPIRE_DAYS },
+  sign_in: { code: 'sign_in', name: '每日签到', points: 5, perAmount: null, dailyLimit: 5, expireDays: DEFAULT_EXPIRE_DAYS }
+};
+
+/**
+ * 获取用户积分记账账户
+ * @param {string} userId - 用户ID
+ * @returns {string} 账户名
+ */
+function userAccount(userId) {
+  return `user:${userId}`;
+}
 
 class PointService {
   constructor() {
     // 初始化积分相关配置
+    this.pointsPerYuan = POINTS_PER_YUAN;
+    this.maxDeductionRatio = MAX_DEDUCTION_RATIO;
+    this.ruleCache = null;
+    this.transactionManager = new TransactionManager({
+      getConnection: () => connectionPoolManager.getConnection(DB_POOL_ID)
+    });
   }
 
   // 获取logger服务
@@ -18,27 +87,410 @@ class PointService {
     return this._logger;
   }
 
+  // 获取缓存管理器（用于发布会员消息）
+  getCacheManager() {
+    if (!this._cacheManager) {
+      this._cacheManager = di.resolve('cacheManager');
+    }
+    return this._cacheManager;
+  }
+
+  /**
+   * 在积分事务中执行操作，事务失败时抛出原始业务错误
+   * @param {Function} operation - 操作函数 (connection, transaction) => Promise
+   * @returns {Promise<any>} 操作结果
+   */
+  async runInTransaction(operation) {
+    try {
+      return await this.transactionManager.executeInTransaction(operation);
+    } catch (error) {
+      if (error instanceof TransactionError && error.originalError) {
+        throw error.originalError;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 使用非事务连接执行只读查询
+   * @param {Function} operation - 操作函数 (connection) => Promise
+   * @returns {Promise<any>} 查询结果
+   */
+  async withConnection(operation) {
+    const connection = await connectionPoolManager.getConnection(DB_POOL_ID);
+    try {
+      return await operation(connection);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 获取积分获取规则
+   * @returns {Promise<Object>} 规则编码 -> 规则
+   */
+  async getEarningRules() {
+    if (this.ruleCache && this.ruleCache.expiresAt > Date.now()) {
+      return this.ruleCache.rules;
+    }
+
+    const rows = await this.withConnection(connection => pointRepository.getEarningRules(connection));
+    const rules = { ...DEFAULT_RULES };
+    rows.forEach(row => {
+      rules[row.code] = {
+        code: row.code,
+        name: row.name,
+        points: Number(row.points),
+        perAmount: row.per_amount !== null ? Number(row.per_amount) : null,
+        dailyLimit: row.daily_limit !== null ? Number(row.daily_limit) : null,
+        expireDays: Number(row.expire_days) || DEFAULT_EXPIRE_DAYS
+      };
+    });
+
+    this.ruleCache = { rules, expiresAt: Date.now() + RULE_CACHE_TTL };
+    return rules;
+  }
+
+  /**
+   * 发放积分（事务内调用）
+   * @param {Object} connection - 事务连接
+   * @param {Object} grant - 发放数据 { userId, points, ruleCode, source, sourceId, reason, expireDays }
+   * @returns {Promise<Object|null>} 积分变动，同一来源已发放时返回null
+   */
+  async grant(connection, grant) {
+    const account = await pointRepository.lockAccount(connection, grant.userId);
+    const balanceAfter = Number(account.balance) + grant.points;
+
+    const transactionId = await pointRepository.createTransaction(connection, {
+      userId: grant.userId,
+      type: TRANSACTION_TYPE.EARN,
+      amount: grant.points,
+      balanceAfter,
+      ruleCode: grant.ruleCode,
+      source: grant.source,
+      sourceId: grant.sourceId,
+      reason: grant.reason
+    }, SYSTEM_ACCOUNT.ISSUED, userAccount(grant.userId));
+
+    if (!transactionId) {
+      return null;
+    }
+
+    await pointRepository.creditAccount(connection, grant.userId, grant.points, true);
+    await pointRepository.createLot(
+      connection,
+      grant.userId,
+      transactionId,
+      grant.points,
+      new Date(Date.now() + (grant.expireDays || DEFAULT_EXPIRE_DAYS) * DAY_MS)
+    );
+
+    return { userId: grant.userId, transactionId, changeAmount: grant.points, currentBalance: balanceAfter, reason: grant.reason };
+  }
+
+  /**
+   * 扣减积分（事务内调用），按过期时间先后消耗积分批次
+   * @param {Object} connection - 事务连接
+   * @param {Object} debit - 扣减数据 { userId, points, type, source, sourceId, reason, relatedTransactionId, allowPartial }
+   * @returns {Promise<Object|null>} 积分变动，同一来源已扣减或无可扣减积分时返回null
+   */
+  async consume(connection, debit) {
+    const type = debit.type || TRANSACTION_TYPE.SPEND;
+    const account = await pointRepository.lockAccount(connection, debit.userId);
+
+    const existing = await pointRepository.findTransactionBySource(connection, type, debit.source, debit.sourceId);
+    if (existing) {
+      return null;
+    }
+
+    const lots = await pointRepository.lockAvailableLots(connection, debit.userId, new Date());
+    const available = Math.min(
+      lots.reduce((sum, lot) => sum + Number(lot.remaining), 0),
+      Number(account.balance)
+    );
+
+    let points = debit.points;
+    if (available < points) {
+      if (!debit.allowPartial) {
+        throw new Error('积分不足');
+      }
+      points = available;
+    }
+    if (points <= 0) {
+      return null;
+    }
+
+    const debited = await pointRepository.debitAccount(connection, debit.userId, points, type === TRANSACTION_TYPE.SPEND);
+    if (!debited) {
+      throw new Error('积分不足');
+    }
+
+    const balanceAfter = Number(account.balance) - points;
+    const transactionId = await pointRepository.createTransaction(connection, {
+      userId: debit.userId,
+      type,
+      amount: -points,
+      balanceAfter,
+      source: debit.source,
+      sourceId: debit.sourceId,
+      reason: debit.reason,
+      relatedTransactionId: debit.relatedTransactionId
+    }, userAccount(debit.userId), type === TRANSACTION_TYPE.REVERSE ? SYSTEM_ACCOUNT.ISSUED : SYSTEM_ACCOUNT.REDEEMED);
+
+    let remaining = points;
+    for (const lot of lots) {
+      if (remaining === 0) {
+        break;
+      }
+      const take = Math.min(remaining, Number(lot.remaining));
+      await pointRepository.adjustLotRemaining(connection, lot.id, -take);
+      await pointRepository.createLotUsage(connection, lot.id, transactionId, take);
+      remaining -= take;
+    }
+
+    return { userId: debit.userId, transactionId, changeAmount: -points, currentBalance: balanceAfter, reason: debit.reason };
+  }
+
+  /**
+   * 退回某笔交易使用的积分（事务内调用），积分退回原批次并保持原过期时间
+   * @param {Object} connection - 事务连接
+   * @param {Object} spendTransaction - 使用积分的交易
+   * @param {Object} options - { sourceId, reason, ratio }
+   * @returns {Promise<Object|null>} 积分变动，无可退回积分时返回null
+   */
+  async returnSpent(connection, spendTransaction, { sourceId, reason, ratio = 1 }) {
+    const userId = spendTransaction.user_id;
+    const account = await pointRepository.lockAccount(connection, userId);
+    const usages = await pointRepository.lockLotUsages(connection, spendTransaction.id);
+
+    const unreturned = usages.reduce((sum, usage) => sum + Number(usage.amount) - Number(usage.returned), 0);
+    const points = Math.min(unreturned, Math.floor(Math.abs(spendTransaction.amount) * ratio));
+    if (points <= 0) {
+      return null;
+    }
+
+    const balanceAfter = Number(account.balance) + points;
+    const transactionId = await pointRepository.createTransaction(connection, {
+      userId,
+      type: TRANSACTION_TYPE.REFUND,
+      amount: points,
+      balanceAfter,
+      source: spendTransaction.source,
+      sourceId,
+      reason,
+      relatedTransactionId: spendTransaction.id
+    }, SYSTEM_ACCOUNT.REDEEMED, userAccount(userId));
+
+    if (!transactionId) {
+      return null;
+    }
+
+    await pointRepository.creditAccount(connection, userId, points, false);
+
+    // 后消耗的批次先退回
+    let remaining = points;
+    for (const usage of usages.reverse()) {
+      if (remaining === 0) {
+        break;
+      }
+      const give = Math.min(remaining, Number(usage.amount) - Number(usage.returned));
+      await pointRepository.adjustLotRemaining(connection, usage.lot_id, give);
+      await pointRepository.markUsageReturned(connection, usage.id, give);
+      remaining -= give;
+    }
+
+    return { userId, transactionId, changeAmount: points, currentBalance: balanceAfter, reason };
+  }
+
+  /**
+   * 发布积分变动消息，并将获取的积分计入会员成长
+   * @param {Object|null} change - 积分变动
+   * @returns {Promise<void>}
+   */
+  async publishChange(change) {
+    if (!change) {
+      return;
+    }
+
+    try {
+      await this.getCacheManager().publish('member.points_changed', {
+        userId: change.userId,
+        changeAmount: change.changeAmount,
+        currentBalance: change.currentBalance,
+        reason: change.reason,
+        timestamp: new Date().toISOString()
+      });
+
+      if (change.earned) {
+        await memberCardService.recordGrowth(change.userId, {
+          points: change.changeAmount,
+          source: 'point',
+          sourceId: change.transactionId
+        });
+      }
+    } catch (error) {
+      // 消息发布失败不影响已提交的积分变动
+      this.getLogger().error('发布积分变动消息失败', { userId: change.userId, error: error.message });
+    }
+  }
+
+  /**
+   * 按规则发放积分
+   * @param {string} userId - 用户ID
+   * @param {string} ruleCode - 规则编码
+   * @param {Object} options - { sourceId, amount（消费金额，元）, multiplier（积分倍率）, reason }
+   * @returns {Promise<Object|null>} 积分变动，未获得积分时返回null
+   */
+  async earnByRule(userId, ruleCode, { sourceId, amount = 0, multiplier = 1, reason } = {}) {
+    try {
+      const rules = await this.getEarningRules();
+      const rule = rules[ruleCode];
+      if (!rule) {
+        throw new Error(`积分规则不存在: ${ruleCode}`);
+      }
+
+      const base = rule.perAmount ? Math.floor(Number(amount) / rule.perAmount) * rule.points : rule.points;
+      let points = Math.floor(base * multiplier);
+
+      const change = await this.runInTransaction(async (connection) => {
+        if (rule.dailyLimit) {
+          // 锁定账户后再统计，避免并发请求同时通过上限检查
+          await pointRepository.lockAccount(connection, userId);
+          const today = new Date();
+          today.setHours(0, 0, 0, 0);
+          const earnedToday = await pointRepository.sumEarnedSince(connection, userId, rule.code, today);
+          points = Math.min(points, rule.dailyLimit - earnedToday);
+        }
+
+        if (points <= 0) {
+          return null;
+        }
+
+        return this.grant(connection, {
+          userId,
+          points,
+          ruleCode: rule.code,
+          source: ruleCode,
+          sourceId: String(sourceId),
+          reason: reason || rule.name,
+          expireDays: rule.expireDays
+        });
+      });
+
+      if (change) {
+        change.earned = true;
+        await this.publishChange(change);
+        this.getLogger().info('按规则发放积分成功', { userId, ruleCode, points: change.changeAmount });
+      }
+      return change;
+    } catch (error) {
+      this.getLogger().error('按规则发放积分失败', { userId, ruleCode, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 订单完成后按消费金额发放积分，积分倍率取决于会员等级
+   * @param {string} userId - 用户ID
+   * @param {string} orderId - 订单ID
+   * @param {number} amount - 实付金额（元）
+   * @returns {Promise<Object|null>} 积分变动
+   */
+  async earnForOrder(userId, orderId, amount) {
+    const { pointsMultiplier } = await memberCardService.getMemberBenefits(userId);
+    return this.earnByRule(userId, 'order_spend', { sourceId: orderId, amount, multiplier: pointsMultiplier });
+  }
+
+  /**
+   * 发表评价后发放积分
+   * @param {string} userId - 用户ID
+   * @param {string} reviewId - 评价ID
+   * @returns {Promise<Object|null>} 积分变动
+   */
+  async earnForReview(userId, reviewId) {
+    return this.earnByRule(userId, 'review', { sourceId: reviewId });
+  }
+
+  /**
+   * 每日签到
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} { signedIn, points, currentBalance }
+   */
+  async signIn(userId) {
+    const date = new Date().toISOString().slice(0, 10);
+    const change = await this.earnByRule(userId, 'sign_in', { sourceId: `${userId}:${date}` });
+
+    return {
+      signedIn: Boolean(change),
+      points: change ? change.changeAmount : 0,
+      currentBalance: change ? change.currentBalance : await this.getUserPoints(userId)
+    };
+  }
+
+  /**
+   * 初始化会员积分账户并发放注册奖励
+   * @param {string} userId - 用户ID
+   * @param {number} points - 注册奖励积分
+   * @returns {Promise<Object|null>} 积分变动
+   */
+  async initMemberPoints(userId, points) {
+    try {
+      const change = await this.runInTransaction(async (connection) => {
+        await pointRepository.lockAccount(connection, userId);
+        if (points <= 0) {
+          return null;
+        }
+        return this.grant(connection, {
+          userId,
+          points,
+          source: 'register',
+          sourceId: String(userId),
+          reason: '注册奖励'
+        });
+      });
+
+      await this.publishChange(change);
+      return change;
+    } catch (error) {
+      this.getLogger().error('初始化会员积分失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * 增加用户积分
    * @param {string} userId - 用户ID
    * @param {number} points - 要增加的积分数量
    * @param {string} reason - 积分增加原因
+   * @param {Object} [options] - { source, sourceId, expireDays }
    * @returns {Promise<Object>} 操作结果
    */
-  async addPoints(userId, points, reason) {
+  async addPoints(userId, points, reason, options = {}) {
     try {
       this.getLogger().info('尝试增加用户积分', { userId, points, reason });
-      
-      // 这里是模拟实现
-      // 实际项目中应该更新数据库中的积分信息
-      
-      // 模拟积分增加成功
+
+      if (!Number.isInteger(points) || points <= 0) {
+        throw new Error('积分数量必须为正整数');
+      }
+
+      const change = await this.runInTransaction(connection => this.grant(connection, {
+        userId,
+        points,
+        source: options.source || 'manual',
+        sourceId: String(options.sourceId || `${userId}:${Date.now()}:${Math.random().toString(36).slice(2, 8)}`),
+        reason,
+        expireDays: options.expireDays
+      }));
+
+      await this.publishChange(change);
+
       this.getLogger().info('用户积分增加成功', { userId, points });
       return {
-        success: true,
+        success: Boolean(change),
         userId,
         points,
         reason,
+        currentBalance: change ? change.currentBalance : await this.getUserPoints(userId),
         timestamp: new Date()
       };
     } catch (error) {
@@ -52,22 +504,34 @@ class PointService {
    * @param {string} userId - 用户ID
    * @param {number} points - 要扣减的积分数量
    * @param {string} reason - 积分扣减原因
+   * @param {Object} [options] - { source, sourceId }
    * @returns {Promise<Object>} 操作结果
    */
-  async deductPoints(userId, points, reason) {
+  async deductPoints(userId, points, reason, options = {}) {
     try {
       this.getLogger().info('尝试扣减用户积分', { userId, points, reason });
-      
-      // 这里是模拟实现
-      // 实际项目中应该检查积分是否足够并更新数据库
-      
-      // 模拟积分扣减成功
+
+      if (!Number.isInteger(points) || points <= 0) {
+        throw new Error('积分数量必须为正整数');
+      }
+
+      const change = await this.runInTransaction(connection => this.consume(connection, {
+        userId,
+        points,
+        source: options.source || 'manual',
+        sourceId: String(options.sourceId || `${userId}:${Date.now()}:${Math.random().toString(36).slice(2, 8)}`),
+        reason
+      }));
+
+      await this.publishChange(change);
+
       this.getLogger().info('用户积分扣减成功', { userId, points });
       return {
-        success: true,
+        success: Boolean(change),
         userId,
         points,
         reason,
+        currentBalance: change ? change.currentBalance : await this.getUserPoints(userId),
         timestamp: new Date()
       };
     } catch (error) {
@@ -84,12 +548,10 @@ class PointService {
   async getUserPoints(userId) {
     try {
       this.getLogger().info('查询用户积分余额', { userId });
-      
-      // 这里是模拟实现
-      // 实际项目中应该查询数据库
-      
-      // 模拟返回积分余额
-      const points = 0; // 模拟返回0积分
+
+      const account = await this.withConnection(connection => pointRepository.getAccount(connection, userId));
+      const points = account ? Number(account.balance) : 0;
+
       this.getLogger().info('查询用户积分余额完成', { userId, points });
       return points;
     } catch (error) {
@@ -107,18 +569,30 @@ class PointService {
   async getUserPointHistory(userId, pagination = { page: 1, pageSize: 20 }) {
     try {
       this.getLogger().info('查询用户积分明细', { userId, ...pagination });
-      
-      // 这里是模拟实现
-      // 实际项目中应该查询数据库
-      
-      // 模拟返回积分明细
+
+      const page = Math.max(parseInt(pagination.page, 10) || 1, 1);
+      const pageSize = Math.max(parseInt(pagination.pageSize, 10) || 20, 1);
+      const { items, total } = await this.withConnection(connection =>
+        pointRepository.getUserTransactions(connection, userId, (page - 1) * pageSize, pageSize)
+      );
+
       const history = {
-        items: [],
-        total: 0,
-        page: pagination.page,
-        pageSize: pagination.pageSize
+        items: items.map(item => ({
+          id: item.id,
+          type: item.type,
+          amount: Number(item.amount),
+          balanceAfter: Number(item.balance_after),
+          ruleCode: item.rule_code,
+          source: item.source,
+          sourceId: item.source_id,
+          reason: item.reason,
+          createdAt: item.created_at
+        })),
+        total,
+        page,
+        pageSize
       };
-      
+
       this.getLogger().info('查询用户积分明细完成', { userId });
       return history;
     } catch (error) {
@@ -126,8 +600,257 @@ class PointService {
       throw error;
     }
   }
+
+  /**
+   * 计算订单可使用的积分抵扣
+   * 抵扣积分不超过用户余额和应付金额的最高抵扣比例，并按整分取整
+   * @param {string} userId - 用户ID
+   * @param {number} requestedPoints - 买家希望使用的积分
+   * @param {number} payableCents - 可抵扣的应付金额（分）
+   * @returns {Promise<Object>} { points, amount（分） }
+   */
+  async calculateDeduction(userId, requestedPoints, payableCents) {
+    const requested = Math.floor(Number(requestedPoints) || 0);
+    if (requested <= 0 || payableCents <= 0) {
+      return { points: 0, amount: 0 };
+    }
+
+    const balance = await this.getUserPoints(userId);
+    const maxAmount = Math.floor(payableCents * this.maxDeductionRatio);
+    const pointsPerCent = this.pointsPerYuan / 100;
+    const amount = Math.min(
+      Math.floor(Math.min(requested, balance) / pointsPerCent),
+      maxAmount
+    );
+
+    return { points: Math.ceil(amount * pointsPerCent), amount };
+  }
+
+  /**
+   * 下单时使用积分（在订单事务中调用）
+   * @param {Object} connection - 订单事务连接
+   * @param {string} userId - 用户ID
+   * @param {string} orderId - 订单ID
+   * @param {number} points - 使用的积分
+   * @returns {Promise<Object|null>} 积分变动
+   */
+  async redeemForOrder(connection, userId, orderId, points) {
+    if (!points) {
+      return null;
+    }
+
+    const change = await this.consume(connection, {
+      userId,
+      points,
+      source: 'order',
+      sourceId: String(orderId),
+      reason: '订单积分抵扣'
+    });
+
+    this.getLogger().info('订单积分抵扣成功', { userId, orderId, points });
+    return change;
+  }
+
+  /**
+   * 订单取消或退款时退回积分：退回下单时使用的积分，并冲回该订单发放的消费积分
+   * 未传入事务连接时开启独立事务
+   * @param {string} orderId - 订单ID
+   * @param {Object} [options] - { refundId（退款单ID，部分退款时区分多次退款）, ratio（退款比例）, reason }
+   * @param {Object} [connection] - 事务连接
+   * @returns {Promise<Array>} 积分变动列表
+   */
+  async returnOrderPoints(orderId, options = {}, connection = null) {
+    if (!connection) {
+      const changes = await this.runInTransaction(conn => this.returnOrderPoints(orderId, options, conn));
+      for (const change of changes) {
+        await this.publishChange(change);
+      }
+      return changes;
+    }
+
+    const { refundId = orderId, ratio = 1, reason = '订单退款' } = options;
+    const changes = [];
+
+    const spent = await pointRepository.findTransactionBySource(connection, TRANSACTION_TYPE.SPEND, 'order', String(orderId));
+    if (spent) {
+      const returned = await this.returnSpent(connection, spent, { sourceId: String(refundId), reason: `${reason}退回积分`, ratio });
+      if (returned) {
+        changes.push(returned);
+      }
+    }
+
+    const earned = await pointRepository.findTransactionBySource(connection, TRANSACTION_TYPE.EARN, 'order_spend', String(orderId));
+    if (earned) {
+      // 已发放的消费积分可能已被使用，最多冲回当前可用积分
+      const reversed = await this.consume(connection, {
+        userId: earned.user_id,
+        points: Math.floor(Number(earned.amount) * ratio),
+        type: TRANSACTION_TYPE.REVERSE,
+        source: 'order_spend',
+        sourceId: String(refundId),
+        reason: `${reason}扣回消费积分`,
+        relatedTransactionId: earned.id,
+        allowPartial: true
+      });
+      if (reversed) {
+        changes.push(reversed);
+      }
+    }
+
+    if (changes.length > 0) {
+      this.getLogger().info('订单积分已退回', { orderId, refundId, changes: changes.map(change => change.changeAmount) });
+    }
+    return changes;
+  }
+
+  /**
+   * 处理过期积分
+   * @param {number} [limit] - 单次最多处理的用户数
+   * @returns {Promise<Object>} { users, points }
+   */
+  async expirePoints(limit = 500) {
+    try {
+      const now = new Date();
+      const userIds = await this.withConnection(connection =>
+        pointRepository.getUsersWithExpiredLots(connection, now, limit)
+      );
+      let expiredPoints = 0;
+
+      for (const userId of userIds) {
+        const change = await this.runInTransaction(async (connection) => {
+          const account = await pointRepository.lockAccount(connection, userId);
+          const lots = await pointRepository.lockExpiredLots(connection, userId, now);
+          const points = lots.reduce((sum, lot) => sum + Number(lot.remaining), 0);
+          if (points <= 0) {
+            return null;
+          }
+
+          for (const lot of lots) {
+            await pointRepository.adjustLotRemaining(connection, lot.id, -Number(lot.remaining));
+          }
+
+          const debited = await pointRepository.debitAccount(connection, userId, points, false);
+          if (!debited) {
+            throw new Error(`积分账户余额与批次不一致 (用户: ${userId})`);
+          }
+
+          const balanceAfter = Number(account.balance) - points;
+          const transactionId = await pointRepository.createTransaction(connection, {
+            userId,
+            type: TRANSACTION_TYPE.EXPIRE,
+            amount: -points,
+            balanceAfter,
+            source: 'expiry',
+            sourceId: `${userId}:${now.getTime()}`,
+            reason: '积分过期'
+          }, userAccount(userId), SYSTEM_ACCOUNT.EXPIRED);
+
+          return { userId, transactionId, changeAmount: -points, currentBalance: balanceAfter, reason: '积分过期' };
+        });
+
+        if (change) {
+          expiredPoints += -change.changeAmount;
+          await this.publishChange(change);
+        }
+      }
+
+      this.getLogger().info('过期积分处理完成', { users: userIds.length, points: expiredPoints });
+      return { users: userIds.length, points: expiredPoints };
+    } catch (error) {
+      this.getLogger().error('过期积分处理失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取积分兑换商品列表
+   * @returns {Promise<Array>} 兑换商品列表
+   */
+  async getExchangeItems() {
+    try {
+      const items = await this.withConnection(connection => pointRepository.getExchangeItems(connection));
+      return items.map(item => ({
+        id: item.id,
+        productId: item.product_id,
+        name: item.name,
+        points: Number(item.points),
+        stock: Number(item.stock),
+        limitPerUser: item.limit_per_user !== null ? Number(item.limit_per_user) : null
+      }));
+    } catch (error) {
+      this.getLogger().error('获取积分兑换商品失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 使用积分兑换商品
+   * @param {string} userId - 用户ID
+   * @param {number} itemId - 兑换商品ID
+   * @param {number} [quantity] - 兑换数量
+   * @returns {Promise<Object>} 兑换记录
+   */
+  async exchangeItem(userId, itemId, quantity = 1) {
+    try {
+      this.getLogger().info('尝试积分兑换商品', { userId, itemId, quantity });
+
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new Error('兑换数量必须为正整数');
+      }
+
+      const result = await this.runInTransaction(async (connection) => {
+        const item = await pointRepository.getExchangeItem(connection, itemId);
+        if (!item || item.status !== 'active') {
+          throw new Error('兑换商品不存在或已下架');
+        }
+
+        // 锁定用户积分账户，串行化同一用户的兑换以校验限兑数量
+        await pointRepository.lockAccount(connection, userId);
+        if (item.limit_per_user !== null) {
+          const exchanged = await pointRepository.countUserExchanges(connection, userId, itemId);
+          if (exchanged + quantity > Number(item.limit_per_user)) {
+            throw new Error(`该商品每人限兑${item.limit_per_user}件`);
+          }
+        }
+
+        const reserved = await pointRepository.decrementExchangeStock(connection, itemId, quantity);
+        if (!reserved) {
+          throw new Error('兑换商品库存不足');
+        }
+
+        const points = Number(item.points) * quantity;
+        const change = await this.consume(connection, {
+          userId,
+          points,
+          source: 'exchange',
+          sourceId: `${userId}:${itemId}:${Date.now()}:${Math.random().toString(36).slice(2, 8)}`,
+          reason: `兑换${item.name}`
+        });
+
+        const recordId = await pointRepository.createExchangeRecord(connection, {
+          userId,
+          itemId,
+          quantity,
+          points,
+          transactionId: change.transactionId,
+          status: 'pending_delivery'
+        });
+
+        return { change, record: { id: recordId, itemId, productId: item.product_id, name: item.name, quantity, points } };
+      });
+
+      await this.publishChange(result.change);
+
+      this.getLogger().info('积分兑换商品成功', { userId, itemId, quantity });
+      return { ...result.record, currentBalance: result.change.currentBalance };
+    } catch (error) {
+      this.getLogger().error('积分兑换商品失败', { userId, itemId, error: error.message });
+      throw error;
+    }
+  }
 }
 
 // 导出单例实例
 const pointService = new PointService();
-module.exports = pointService;
\ No newline at end of file
+module.exports = pointService;
+module.exports.TRANSACTION_TYPE = TRANSACTION_TYPE;
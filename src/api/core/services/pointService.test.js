@@ -0,0 +1,141 @@
+/**
+ * 积分服务测试
+ */
+
+const mockCacheManager = { publish: jest.fn() };
+const mockLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+jest.mock('@core/di/container', () => ({
+  resolve: name => (name === 'cacheManager' ? mockCacheManager : mockLogger)
+}), { virtual: true });
+jest.mock('../data-access/database/TransactionManager', () => ({
+  TransactionManager: jest.fn().mockImplementation(() => ({
+    executeInTransaction: jest.fn()
+  }))
+}));
+jest.mock('../data-access/database/ConnectionPoolManager', () => ({
+  connectionPoolManager: { getConnection: jest.fn() }
+}));
+jest.mock('./memberCardService', () => ({
+  getMemberBenefits: jest.fn(),
+  recordGrowth: jest.fn()
+}));
+jest.mock('../repositories/pointRepository', () => ({
+  lockAccount: jest.fn(),
+  getAccount: jest.fn(),
+  creditAccount: jest.fn(),
+  debitAccount: jest.fn(),
+  createTransaction: jest.fn(),
+  findTransactionBySource: jest.fn(),
+  sumEarnedSince: jest.fn(),
+  createLot: jest.fn(),
+  lockAvailableLots: jest.fn(),
+  adjustLotRemaining: jest.fn(),
+  createLotUsage: jest.fn(),
+  getEarningRules: jest.fn()
+}));
+
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const memberCardService = require('./memberCardService');
+const pointRepository = require('../repositories/pointRepository');
+const pointService = require('./pointService');
+
+const connection = { query: jest.fn(), release: jest.fn() };
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  pointService.ruleCache = null;
+  pointService.transactionManager.executeInTransaction.mockImplementation(operation => operation(connection, {}));
+  connectionPoolManager.getConnection.mockResolvedValue(connection);
+  pointRepository.getEarningRules.mockResolvedValue([]);
+  pointRepository.createTransaction.mockResolvedValue(1);
+  pointRepository.debitAccount.mockResolvedValue(true);
+});
+
+describe('calculateDeduction', () => {
+  test('抵扣金额不超过积分余额', async () => {
+    pointRepository.getAccount.mockResolvedValue({ balance: 250 });
+
+    // 100 积分抵扣 1 元，250 积分最多抵扣 2.5 元
+    await expect(pointService.calculateDeduction('u1', 1000, 10000)).resolves.toEqual({ points: 250, amount: 250 });
+  });
+
+  test('抵扣金额不超过应付金额的最高抵扣比例', async () => {
+    pointRepository.getAccount.mockResolvedValue({ balance: 100000 });
+
+    // 应付 20 元，最多抵扣一半即 10 元
+    await expect(pointService.calculateDeduction('u1', 5000, 2000)).resolves.toEqual({ points: 1000, amount: 1000 });
+  });
+
+  test('未选择使用积分时不抵扣也不查询余额', async () => {
+    await expect(pointService.calculateDeduction('u1', 0, 2000)).resolves.toEqual({ points: 0, amount: 0 });
+    expect(pointRepository.getAccount).not.toHaveBeenCalled();
+  });
+});
+
+describe('consume', () => {
+  test('按过期时间先后消耗积分批次', async () => {
+    pointRepository.lockAccount.mockResolvedValue({ balance: 150 });
+    pointRepository.findTransactionBySource.mockResolvedValue(null);
+    pointRepository.lockAvailableLots.mockResolvedValue([
+      { id: 1, remaining: 30 },
+      { id: 2, remaining: 120 }
+    ]);
+    pointRepository.createTransaction.mockResolvedValue(9);
+
+    const change = await pointService.consume(connection, { userId: 'u1', points: 100, source: 'order', sourceId: 'o1' });
+
+    expect(change).toMatchObject({ changeAmount: -100, currentBalance: 50 });
+    expect(pointRepository.adjustLotRemaining.mock.calls).toEqual([[connection, 1, -30], [connection, 2, -70]]);
+    expect(pointRepository.createLotUsage.mock.calls).toEqual([[connection, 1, 9, 30], [connection, 2, 9, 70]]);
+  });
+
+  test('可用积分不足时报错且不扣减', async () => {
+    pointRepository.lockAccount.mockResolvedValue({ balance: 50 });
+    pointRepository.findTransactionBySource.mockResolvedValue(null);
+    pointRepository.lockAvailableLots.mockResolvedValue([{ id: 1, remaining: 50 }]);
+
+    await expect(pointService.consume(connection, { userId: 'u1', points: 100, source: 'order', sourceId: 'o1' }))
+      .rejects.toThrow('积分不足');
+    expect(pointRepository.debitAccount).not.toHaveBeenCalled();
+  });
+
+  test('同一来源已扣减时不重复扣减', async () => {
+    pointRepository.lockAccount.mockResolvedValue({ balance: 500 });
+    pointRepository.findTransactionBySource.mockResolvedValue({ id: 3 });
+
+    await expect(pointService.consume(connection, { userId: 'u1', points: 100, source: 'order', sourceId: 'o1' }))
+      .resolves.toBeNull();
+    expect(pointRepository.debitAccount).not.toHaveBeenCalled();
+  });
+});
+
+describe('earnByRule', () => {
+  test('消费积分按金额和会员积分倍率计算并计入会员成长', async () => {
+    pointRepository.lockAccount.mockResolvedValue({ balance: 0 });
+    memberCardService.getMemberBenefits.mockResolvedValue({ pointsMultiplier: 1.5 });
+
+    const change = await pointService.earnForOrder('u1', 'o1', 99.5);
+
+    expect(change).toMatchObject({ changeAmount: 148, currentBalance: 148 });
+    expect(pointRepository.createLot).toHaveBeenCalledWith(connection, 'u1', 1, 148, expect.any(Date));
+    expect(memberCardService.recordGrowth).toHaveBeenCalledWith('u1', { points: 148, source: 'point', sourceId: 1 });
+  });
+
+  test('有每日上限的规则只发放当日剩余额度', async () => {
+    pointRepository.lockAccount.mockResolvedValue({ balance: 0 });
+    pointRepository.sumEarnedSince.mockResolvedValue(45);
+
+    const change = await pointService.earnForReview('u1', 'r1');
+
+    expect(change.changeAmount).toBe(5);
+  });
+
+  test('当日额度已用完时不发放积分', async () => {
+    pointRepository.lockAccount.mockResolvedValue({ balance: 0 });
+    pointRepository.sumEarnedSince.mockResolvedValue(50);
+
+    await expect(pointService.earnForReview('u1', 'r1')).resolves.toBeNull();
+    expect(pointRepository.createTransaction).not.toHaveBeenCalled();
+  });
+});
@@ -1,6 +1,6 @@
 /**
  * 退款服务
- * 提供退款相关功能
+ * 提供退款支付相关功能，退款申请的状态流转由售后服务（afterSalesService）负责
  */
 
 const di = require('@core/di/container');
@@ -18,108 +18,66 @@ class RefundService {
     return this._logger;
   }
 
-  /**
-   * 创建退款申请
-   * @param {Object} refundData - 退款数据
-   * @returns {Promise<Object>} 创建的退款申请
-   */
-  async createRefund(refundData) {
-    try {
-      this.getLogger().info('尝试创建退款申请', { orderId: refundData.orderId, userId: refundData.userId });
-      
-      // 这里是模拟实现
-      // 实际项目中应该在数据库中创建退款记录
-      
-      // 模拟创建退款申请
-      const refund = {
-        id: `refund_${Date.now()}`,
-        ...refundData,
-        status: 'pending',
-        createTime: new Date(),
-        updateTime: new Date()
-      };
-      
-      this.getLogger().info('退款申请创建成功', { refundId: refund.id });
-      return refund;
-    } catch (error) {
-      this.getLogger().error('退款申请创建失败', { error: error.message });
-      throw error;
-    }
-  }
-
-  /**
-   * 更新退款状态
-   * @param {string} refundId - 退款ID
-   * @param {string} status - 新状态
-   * @param {Object} updateData - 更新数据
-   * @returns {Promise<Object>} 更新后的退款信息
-   */
-  async updateRefundStatus(refundId, status, updateData = {}) {
-    try {
-      this.getLogger().info('尝试更新退款状态', { refundId, status });
-      
-      // 这里是模拟实现
-      // 实际项目中应该更新数据库中的退款记录
-      
-      // 模拟更新成功
-      const updatedRefund = {
-        id: refundId,
-        status,
-        updateTime: new Date(),
-        ...updateData
-      };
-      
-      this.getLogger().info('退款状态更新成功', { refundId, status });
-      return updatedRefund;
-    } catch (error) {
-      this.getLogger().error('退款状态更新失败', { refundId, status, error: error.message });
-      throw error;
+  // 获取支付服务（首次退款时加载，避免加载退款服务时初始化支付处理器）
+  getPaymentService() {
+    if (!this._paymentService) {
+      const { PaymentService } = require('./paymentService');
+      this._paymentService = PaymentService.getInstance();
     }
+    return this._paymentService;
   }
 
-  /**
-   * 获取退款详情
-   * @param {string} refundId - 退款ID
-   * @returns {Promise<Object|null>} 退款详情或null
-   */
-  async getRefundDetail(refundId) {
-    try {
-      this.getLogger().info('查询退款详情', { refundId });
-      
-      // 这里是模拟实现
-      // 实际项目中应该查询数据库
-      
-      // 模拟返回退款详情
-      this.getLogger().info('查询退款详情完成', { refundId });
-      return null;
-    } catch (error) {
-      this.getLogger().error('查询退款详情失败', { refundId, error: error.message });
-      throw error;
+  // 获取钱包服务（余额支付的订单退款退回余额）
+  getWalletService() {
+    if (!this._walletService) {
+      this._walletService = require('./walletService');
     }
+    return this._walletService;
   }
 
   /**
-   * 处理退款支付
-   * @param {string} refundId - 退款ID
+   * 处理退款支付，按原支付交易原路退回，余额支付的订单退回钱包余额
+   * @param {string} refundId - 退款单号（售后单号）
+   * @param {Object} payment - 退款信息
+   * @param {string} payment.transactionId - 原支付交易ID
+   * @param {string} [payment.paymentMethod] - 原支付方式（balance 为余额支付）
+   * @param {string} [payment.userId] - 买家用户ID（余额退款时必填）
+   * @param {number} payment.amount - 退款金额（元）
+   * @param {string} [payment.reason] - 退款原因
    * @returns {Promise<Object>} 退款结果
    */
-  async processRefundPayment(refundId) {
+  async processRefundPayment(refundId, payment = {}) {
     try {
-      this.getLogger().info('处理退款支付', { refundId });
-      
-      // 这里是模拟实现
-      // 实际项目中应该调用支付网关API进行退款
-      
-      // 模拟退款成功
+      this.getLogger().info('处理退款支付', { refundId, transactionId: payment.transactionId, amount: payment.amount });
+
+      if (!payment.transactionId) {
+        throw new Error('订单缺少支付交易记录，无法原路退款');
+      }
+      if (!payment.amount || payment.amount <= 0) {
+        throw new Error('退款金额必须大于0');
+      }
+
+      const refund = payment.paymentMethod === 'balance'
+        ? await this.getWalletService().refundToBalance(refundId, {
+          userId: payment.userId,
+          amount: payment.amount,
+          reason: payment.reason
+        })
+        : await this.getPaymentService().refundTransaction(
+          payment.transactionId,
+          payment.amount,
+          payment.reason || `售后退款 ${refundId}`
+        );
+
       const result = {
-        refundId,
+        refundId: refund.refundId,
         status: 'success',
-        transactionId: `trans_${Date.now()}`,
-        amount: 0,
+        transactionId: payment.transactionId,
+        amount: refund.amount,
         processedAt: new Date()
       };
-      
-      this.getLogger().info('退款支付处理成功', { refundId });
+
+      this.getLogger().info('退款支付处理成功', { refundId, paymentRefundId: refund.refundId });
       return result;
     } catch (error) {
       this.getLogger().error('退款支付处理失败', { refundId, error: error.message });
@@ -130,4 +88,4 @@ class RefundService {
 
 // 导出单例实例
 const refundService = new RefundService();
-module.exports = refundService;
\ No newline at end of file
+module.exports = refundService;
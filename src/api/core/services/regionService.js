@@ -0,0 +1,436 @@
+/**
+ * 行政地区服务
+ * 提供省、市、区县三级行政地区数据：买家选择收货地址、卖家设置运费模板的配送地区、运费计算时把收货地址匹配到地区代码。
+ * 地区数据整表缓存在进程内，管理端修改后立即刷新本进程缓存，其他进程在缓存过期后生效。
+ * 已停用的地区（及其下级地区）不再出现在地区选择列表中，已保存的收货地址和运费模板不受影响。
+ */
+
+const di = require('@core/di/container');
+const { TransactionManager } = require('../data-access/database/TransactionManager');
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const { AppError, NotFoundError, ValidationError, TransactionError } = require('../exception/handlers/errorHandler');
+const regionRepository = require('../repositories/regionRepository');
+
+// 数据库连接池ID
+const DB_POOL_ID = process.env.DB_POOL_ID || 'default';
+
+// 地区缓存有效期（毫秒）
+const REGION_CACHE_TTL = 10 * 60 * 1000;
+
+// 单条导入语句的地区数量
+const IMPORT_BATCH_SIZE = 500;
+
+// 地区代码格式（国家行政区划代码）
+const REGION_CODE_PATTERN = /^\d{6}$/;
+
+/**
+ * 地区级别
+ */
+const REGION_LEVEL = {
+  PROVINCE: 1, // 省、自治区、直辖市
+  CITY: 2,     // 地级市
+  DISTRICT: 3  // 区县
+};
+
+/**
+ * 地区状态
+ */
+const REGION_STATUS = {
+  ACTIVE: 'active',    // 启用
+  DISABLED: 'disabled' // 停用
+};
+
+/**
+ * 格式化地区
+ * @param {Object} row - 地区记录
+ * @param {boolean} hasChildren - 是否有下级地区
+ * @returns {Object} 地区
+ */
+function formatRegion(row, hasChildren) {
+  return {
+    code: row.code,
+    parentCode: row.parent_code || null,
+    name: row.name,
+    level: Number(row.level),
+    sortOrder: Number(row.sort_order),
+    status: row.status,
+    hasChildren
+  };
+}
+
+/**
+ * 规范化地区名称，用于与收货地址中的名称比较
+ * @param {string} name - 地区名称
+ * @returns {string} 规范化后的名称
+ */
+function normalizeName(name) {
+  return String(name || '').replace(/\s+/g, '');
+}
+
+class RegionService {
+  constructor() {
+    this.transactionManager = new TransactionManager({
+      getConnection: () => connectionPoolManager.getConnection(DB_POOL_ID)
+    });
+    this.regionCache = null;
+  }
+
+  // 获取logger服务
+  getLogger() {
+    if (!this._logger) {
+      this._logger = di.resolve('logger');
+    }
+    return this._logger;
+  }
+
+  /**
+   * 在地区事务中执行操作，事务失败时抛出原始业务错误
+   * @param {Function} operation - 操作函数 (connection, transaction) => Promise
+   * @returns {Promise<any>} 操作结果
+   */
+  async runInTransaction(operation) {
+    try {
+      return await this.transactionManager.executeInTransaction(operation);
+    } catch (error) {
+      if (error instanceof TransactionError && error.originalError) {
+        throw error.originalError;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 使用非事务连接执行只读查询
+   * @param {Function} operation - 操作函数 (connection) => Promise
+   * @returns {Promise<any>} 查询结果
+   */
+  async withConnection(operation) {
+    const connection = await connectionPoolManager.getConnection(DB_POOL_ID);
+    try {
+      return await operation(connection);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 获取地区索引（带缓存）
+   * @returns {Promise<Object>} { byCode: Map<code, row>, children: Map<parentCode, Array<row>> }，省的上级代码为空字符串
+   */
+  async getIndex() {
+    if (this.regionCache && this.regionCache.expiresAt > Date.now()) {
+      return this.regionCache.index;
+    }
+
+    const rows = await this.withConnection(connection => regionRepository.findAll(connection));
+    const byCode = new Map();
+    const children = new Map();
+    rows.forEach(row => {
+      byCode.set(row.code, row);
+      const parentCode = row.parent_code || '';
+      if (!children.has(parentCode)) {
+        children.set(parentCode, []);
+      }
+      children.get(parentCode).push(row);
+    });
+
+    const index = { byCode, children };
+    this.regionCache = { index, expiresAt: Date.now() + REGION_CACHE_TTL };
+    return index;
+  }
+
+  // 清除本进程的地区缓存
+  clearCache() {
+    this.regionCache = null;
+  }
+
+  /**
+   * 判断地区及其全部上级地区是否启用
+   * @param {Object} index - 地区索引
+   * @param {Object} row - 地区记录
+   * @returns {boolean} 是否启用
+   */
+  isEnabled(index, row) {
+    for (let current = row; current; current = current.parent_code ? index.byCode.get(current.parent_code) : null) {
+      if (current.status !== REGION_STATUS.ACTIVE) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * 获取下级地区列表
+   * @param {string} [parentCode] - 上级地区代码，为空时返回省级地区
+   * @param {Object} [options] - { includeDisabled: 是否包含已停用的地区（管理端） }
+   * @returns {Promise<Array>} 地区列表
+   */
+  async getChildren(parentCode, options = {}) {
+    try {
+      const index = await this.getIndex();
+      if (parentCode) {
+        const parent = index.byCode.get(parentCode);
+        if (!parent) {
+          throw new NotFoundError('地区不存在');
+        }
+        if (!options.includeDisabled && !this.isEnabled(index, parent)) {
+          return [];
+        }
+      }
+
+      return (index.children.get(parentCode || '') || [])
+        .filter(row => options.includeDisabled || row.status === REGION_STATUS.ACTIVE)
+        .map(row => formatRegion(row, index.children.has(row.code)));
+    } catch (error) {
+      this.getLogger().error('获取下级地区失败', { parentCode, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取地区及其上级地区路径
+   * @param {string} code - 地区代码
+   * @returns {Promise<Object>} 地区（path 为从省到该地区的名称列表）
+   */
+  async getRegion(code) {
+    const index = await this.getIndex();
+    const row = index.byCode.get(code);
+    if (!row) {
+      throw new NotFoundError('地区不存在');
+    }
+    const path = [];
+    for (let current = row; current; current = current.parent_code ? index.byCode.get(current.parent_code) : null) {
+      path.unshift(current.name);
+    }
+    return { ...formatRegion(row, index.children.has(row.code)), path };
+  }
+
+  /**
+   * 获取多个地区的名称
+   * @param {Array<string>} codes - 地区代码
+   * @returns {Promise<Object>} { code: name }，不存在的代码不返回
+   */
+  async getNames(codes) {
+    const index = await this.getIndex();
+    return codes.reduce((names, code) => {
+      const row = index.byCode.get(code);
+      return row ? { ...names, [code]: row.name } : names;
+    }, {});
+  }
+
+  /**
+   * 校验地区代码均存在
+   * @param {Array<string>} codes - 地区代码
+   * @returns {Promise<void>}
+   */
+  async assertCodes(codes) {
+    const index = await this.getIndex();
+    const missing = codes.filter(code => !index.byCode.has(code));
+    if (missing.length > 0) {
+      throw new ValidationError(`地区不存在：${missing.slice(0, 5).join('、')}`);
+    }
+  }
+
+  /**
+   * 在上级地区下按名称查找地区
+   * 直辖市等只有一个下级的地区，名称不一致时（如地址中的“北京市”与数据中的“市辖区”）取唯一的下级地区
+   * @param {Object} index - 地区索引
+   * @param {string} parentCode - 上级地区代码（省为空字符串）
+   * @param {string} name - 地区名称
+   * @returns {Object|null} 地区记录
+   */
+  findChildByName(index, parentCode, name) {
+    const candidates = index.children.get(parentCode) || [];
+    const target = normalizeName(name);
+    const matched = candidates.find(row => normalizeName(row.name) === target);
+    if (matched) {
+      return matched;
+    }
+    return parentCode && candidates.length === 1 ? candidates[0] : null;
+  }
+
+  /**
+   * 把收货地址匹配到地区代码
+   * 地址中带有地区代码时直接使用，否则按省、市、区县名称逐级匹配；匹配不到的级别返回空
+   * @param {Object} address - 收货地址 { province, city, district, provinceCode, cityCode, districtCode }
+   * @returns {Promise<Object>} { provinceCode, cityCode, districtCode, codes（从区县到省，用于按最具体的地区匹配规则） }
+   */
+  async resolveAddress(address) {
+    const index = await this.getIndex();
+    const pick = (code, parentCode, name) => {
+      const byCode = code ? index.byCode.get(String(code)) : null;
+      if (byCode && (byCode.parent_code || '') === parentCode) {
+        return byCode;
+      }
+      return name ? this.findChildByName(index, parentCode, name) : null;
+    };
+
+    const province = pick(address.provinceCode, '', address.province);
+    const city = province ? pick(address.cityCode, province.code, address.city) : null;
+    const district = city ? pick(address.districtCode, city.code, address.district) : null;
+
+    const resolved = {
+      provinceCode: province ? province.code : null,
+      cityCode: city ? city.code : null,
+      districtCode: district ? district.code : null
+    };
+    return {
+      ...resolved,
+      codes: [resolved.districtCode, resolved.cityCode, resolved.provinceCode].filter(Boolean)
+    };
+  }
+
+  /**
+   * 新增地区
+   * @param {Object} params - { code, parentCode, name, sortOrder }
+   * @returns {Promise<Object>} 地区
+   */
+  async createRegion(params) {
+    try {
+      const code = String(params.code || '');
+      if (!REGION_CODE_PATTERN.test(code)) {
+        throw new ValidationError('地区代码必须是6位数字');
+      }
+      const name = String(params.name || '').trim();
+      if (!name) {
+        throw new ValidationError('请输入地区名称');
+      }
+
+      await this.runInTransaction(async (connection) => {
+        if (await regionRepository.findByCode(connection, code)) {
+          throw new AppError(409, '地区代码已存在', 409);
+        }
+        let level = REGION_LEVEL.PROVINCE;
+        if (params.parentCode) {
+          const parent = await regionRepository.findByCode(connection, params.parentCode);
+          if (!parent) {
+            throw new ValidationError('上级地区不存在');
+          }
+          if (Number(parent.level) >= REGION_LEVEL.DISTRICT) {
+            throw new ValidationError('区县下不能再添加地区');
+          }
+          level = Number(parent.level) + 1;
+        }
+        await regionRepository.createRegion(connection, {
+          code,
+          parentCode: params.parentCode || null,
+          name,
+          level,
+          sortOrder: parseInt(params.sortOrder, 10) || 0
+        });
+      });
+
+      this.clearCache();
+      this.getLogger().info('行政地区已新增', { code, name });
+      return this.getRegion(code);
+    } catch (error) {
+      this.getLogger().error('新增行政地区失败', { code: params.code, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 修改地区名称和排序
+   * @param {string} code - 地区代码
+   * @param {Object} params - { name, sortOrder }
+   * @returns {Promise<Object>} 地区
+   */
+  async updateRegion(code, params) {
+    try {
+      const name = String(params.name || '').trim();
+      if (!name) {
+        throw new ValidationError('请输入地区名称');
+      }
+      await this.runInTransaction(async (connection) => {
+        const region = await regionRepository.findByCode(connection, code);
+        if (!region) {
+          throw new NotFoundError('地区不存在');
+        }
+        await regionRepository.updateRegion(connection, code, {
+          name,
+          sortOrder: params.sortOrder !== undefined ? parseInt(params.sortOrder, 10) || 0 : Number(region.sort_order)
+        });
+      });
+
+      this.clearCache();
+      this.getLogger().info('行政地区已修改', { code, name });
+      return this.getRegion(code);
+    } catch (error) {
+      this.getLogger().error('修改行政地区失败', { code, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 启用或停用地区，停用后该地区及其下级地区不再出现在地区选择列表中
+   * @param {string} code - 地区代码
+   * @param {string} status - 地区状态
+   * @returns {Promise<Object>} 地区
+   */
+  async setStatus(code, status) {
+    try {
+      if (!Object.values(REGION_STATUS).includes(status)) {
+        throw new ValidationError('无效的地区状态');
+      }
+      await this.runInTransaction(async (connection) => {
+        if (!await regionRepository.findByCode(connection, code)) {
+          throw new NotFoundError('地区不存在');
+        }
+        await regionRepository.updateStatus(connection, code, status);
+      });
+
+      this.clearCache();
+      this.getLogger().info('行政地区状态已修改', { code, status });
+      return this.getRegion(code);
+    } catch (error) {
+      this.getLogger().error('修改行政地区状态失败', { code, status, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 导入行政地区数据
+   * 数据为省、市、区县三级嵌套结构 [{ code, name, children: [...] }]，已存在的地区更新名称和上级，保留启用状态和排序
+   * @param {Array} tree - 地区数据
+   * @returns {Promise<Object>} { total } 导入的地区数量
+   */
+  async importRegions(tree) {
+    try {
+      const regions = [];
+      const walk = (nodes, parentCode, level) => {
+        (nodes || []).forEach((node, position) => {
+          const code = String(node.code || '');
+          if (!REGION_CODE_PATTERN.test(code) || !node.name) {
+            throw new ValidationError(`地区数据格式不正确：${node.name || code}`);
+          }
+          if (level > REGION_LEVEL.DISTRICT) {
+            throw new ValidationError(`地区层级不能超过区县：${node.name}`);
+          }
+          regions.push({ code, parentCode, name: String(node.name).trim(), level, sortOrder: position });
+          walk(node.children, code, level + 1);
+        });
+      };
+      walk(tree, null, REGION_LEVEL.PROVINCE);
+      if (regions.length === 0) {
+        throw new ValidationError('地区数据为空');
+      }
+
+      await this.runInTransaction(async (connection) => {
+        for (let i = 0; i < regions.length; i += IMPORT_BATCH_SIZE) {
+          await regionRepository.upsertRegions(connection, regions.slice(i, i + IMPORT_BATCH_SIZE));
+        }
+      });
+
+      this.clearCache();
+      this.getLogger().info('行政地区已导入', { total: regions.length });
+      return { total: regions.length };
+    } catch (error) {
+      this.getLogger().error('导入行政地区失败', { error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new RegionService();
+module.exports.REGION_LEVEL = REGION_LEVEL;
+module.exports.REGION_STATUS = REGION_STATUS;
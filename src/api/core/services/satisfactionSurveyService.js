@@ -0,0 +1,446 @@
+/**
+ * 满意度调查服务
+ * 会话（含 im-api 在线客服会话）关闭后通过WebSocket向用户推送满意度调查（星级评分、原因标签、文字评价，配置启用时附带 NPS 推荐意愿问题），
+ * 调查记录服务的客服、客服所属团队和会话分类，统计时按这些维度汇总 CSAT 和 NPS。
+ * 发送后超过提醒时间仍未填写的调查再推送一次并发送站内通知，超过有效期后标记为已过期。
+ * 用户提交后更新会话和客服分配的满意度评分，并生成一条反馈记录
+ */
+
+const logger = require('../utils/logger');
+const { getConfig } = require('../../config/config');
+const { BadRequestError, NotFoundError, ForbiddenError, ConflictError } = require('../../utils/errors');
+
+// 每次扫描处理的调查数量上限
+const SCAN_BATCH_SIZE = parseInt(process.env.SATISFACTION_SURVEY_SCAN_BATCH_SIZE || '200', 10);
+
+// 文字评价的最大长度
+const MAX_COMMENT_LENGTH = 1000;
+
+class SatisfactionSurveyService {
+  /**
+   * 获取数据模型
+   */
+  getModels() {
+    if (!this._models) {
+      this._models = require('../../models').models;
+    }
+    return this._models;
+  }
+
+  /**
+   * 获取调查配置
+   * @returns {Object} 调查配置
+   */
+  getSettings() {
+    return getConfig('satisfactionSurvey') || {};
+  }
+
+  /**
+   * 获取已启动的WebSocket服务，未启动时返回 null
+   * @returns {Object|null} WebSocket服务实例
+   */
+  getWebSocketService() {
+    try {
+      return require('./websocketService').getInstance();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 会话关闭时向用户发送满意度调查
+   * 调查未启用、会话已发送过调查或找不到用户时不发送
+   * @param {string} conversationId - 会话ID
+   * @param {Object} [options] - 选项
+   * @param {string} [options.customerId] - 接收调查的用户ID，未指定时为会话中角色为 customer 的参与者
+   * @param {string} [options.agentId] - 服务的客服ID，未指定时为会话最近一次分配的客服
+   * @param {Date} [options.sentAt] - 发送时间
+   * @returns {Promise<Object|null>} 发送的调查
+   */
+  async sendSurvey(conversationId, options = {}) {
+    const settings = this.getSettings();
+    if (!settings.enabled) {
+      return null;
+    }
+
+    try {
+      const { Conversation, SatisfactionSurvey } = this.getModels();
+      const sentAt = options.sentAt || new Date();
+
+      const existing = await SatisfactionSurvey.findOne({ where: { conversationId } });
+      if (existing) {
+        return null;
+      }
+
+      const conversation = await Conversation.findByPk(conversationId);
+      if (!conversation) {
+        logger.warn(`会话 ${conversationId} 不存在，不发送满意度调查`);
+        return null;
+      }
+
+      const customerId = options.customerId || await this.getCustomerId(conversation);
+      if (!customerId) {
+        logger.warn(`会话 ${conversationId} 没有用户参与者，不发送满意度调查`);
+        return null;
+      }
+
+      const agentId = options.agentId || await this.getLastAgentId(conversationId);
+      return await this.createSurvey({ conversationId, customerId, agentId, category: conversation.category }, settings, sentAt);
+    } catch (error) {
+      logger.error(`发送会话 ${conversationId} 的满意度调查失败:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * im-api 在线客服会话关闭时向用户发送满意度调查
+   * 调查未启用、会话未分配过客服或已发送过调查时不发送
+   * @param {Object} session - 已关闭的会话 { sessionId, userId, csUserId, questionType }
+   * @param {Object} [options] - 选项
+   * @param {Date} [options.sentAt] - 发送时间
+   * @returns {Promise<Object|null>} 发送的调查
+   */
+  async sendSessionSurvey(session, options = {}) {
+    const settings = this.getSettings();
+    if (!settings.enabled || !session.csUserId) {
+      return null;
+    }
+
+    try {
+      const { SatisfactionSurvey } = this.getModels();
+
+      const existing = await SatisfactionSurvey.findOne({ where: { sessionId: session.sessionId } });
+      if (existing) {
+        return null;
+      }
+
+      return await this.createSurvey({
+        sessionId: session.sessionId,
+        customerId: session.userId,
+        agentId: session.csUserId,
+        category: session.questionType || null
+      }, settings, options.sentAt || new Date());
+    } catch (error) {
+      logger.error(`发送在线客服会话 ${session.sessionId} 的满意度调查失败:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 创建调查并推送给用户，记录客服所属团队和发送时的问题配置
+   * @param {Object} target - { conversationId | sessionId, customerId, agentId, category }
+   * @param {Object} settings - 调查配置
+   * @param {Date} sentAt - 发送时间
+   * @returns {Promise<Object|null>} 发送的调查，同一会话已发送过调查时返回 null
+   */
+  async createSurvey(target, settings, sentAt) {
+    const { SatisfactionSurvey, User } = this.getModels();
+    const { agentId, ...attributes } = target;
+    const agent = agentId ? await User.findByPk(agentId, { attributes: ['id', 'department'] }) : null;
+
+    let survey;
+    try {
+      survey = await SatisfactionSurvey.create({
+        ...attributes,
+        agentId: agent ? agent.id : null,
+        team: agent ? agent.department : null,
+        questions: {
+          ratingQuestion: settings.ratingQuestion,
+          commentQuestion: settings.commentQuestion,
+          tags: settings.tags || [],
+          npsEnabled: Boolean(settings.npsEnabled),
+          npsQuestion: settings.npsEnabled ? settings.npsQuestion : null
+        },
+        sentAt,
+        expiresAt: new Date(sentAt.getTime() + settings.expireHours * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      // 同一会话同时关闭多次时只有一次能创建调查
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return null;
+      }
+      throw error;
+    }
+
+    this.push(survey, 'satisfaction_survey');
+    logger.info(`会话 ${survey.conversationId || survey.sessionId} 已向用户 ${survey.customerId} 发送满意度调查 ${survey.id}`);
+    return survey;
+  }
+
+  /**
+   * 获取用户待填写的调查
+   * @param {string} customerId - 用户ID
+   * @returns {Promise<Array>} 调查列表
+   */
+  async getPendingSurveys(customerId) {
+    try {
+      const { SatisfactionSurvey } = this.getModels();
+      return await SatisfactionSurvey.findPendingForCustomer(customerId);
+    } catch (error) {
+      logger.error(`获取用户 ${customerId} 待填写的满意度调查失败:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取调查，只有接收调查的用户可以查看
+   * @param {string} surveyId - 调查ID
+   * @param {string} customerId - 当前用户ID
+   * @returns {Promise<Object>} 调查
+   */
+  async getSurvey(surveyId, customerId) {
+    const { SatisfactionSurvey } = this.getModels();
+
+    const survey = await SatisfactionSurvey.findByPk(surveyId);
+    if (!survey) {
+      throw new NotFoundError('满意度调查不存在');
+    }
+    if (survey.customerId !== customerId) {
+      throw new ForbiddenError('无权查看此满意度调查');
+    }
+    return survey;
+  }
+
+  /**
+   * 提交调查回答
+   * 更新会话的满意度评分、客服分配的满意度评分，并为服务的客服生成一条反馈记录
+   * @param {string} surveyId - 调查ID
+   * @param {string} customerId - 当前用户ID
+   * @param {Object} answers - 回答
+   * @param {number} answers.rating - 星级评分（1-5）
+   * @param {number} [answers.npsScore] - 推荐意愿（0-10），调查包含 NPS 问题时必填
+   * @param {Array<string>} [answers.tags] - 原因标签，只能从调查的标签中选择
+   * @param {string} [answers.comment] - 文字评价
+   * @returns {Promise<Object>} 提交后的调查
+   */
+  async submitResponse(surveyId, customerId, answers = {}) {
+    const survey = await this.getSurvey(surveyId, customerId);
+    const now = new Date();
+
+    if (!survey.isOpen(now)) {
+      throw new ConflictError(survey.status === 'answered' ? '满意度调查已提交' : '满意度调查已过期');
+    }
+
+    const normalized = this.validateAnswers(survey, answers);
+
+    let answered;
+    try {
+      // 同一调查同时提交多次时只有一次能记录成功
+      answered = await survey.answer(normalized, now);
+      if (answered) {
+        await this.applyResponse(survey);
+      }
+    } catch (error) {
+      logger.error(`提交满意度调查 ${surveyId} 失败:`, error);
+      throw error;
+    }
+
+    if (!answered) {
+      throw new ConflictError('满意度调查已提交或已过期');
+    }
+
+    logger.info(`用户 ${customerId} 提交了会话 ${survey.conversationId || survey.sessionId} 的满意度调查，评分 ${survey.rating}`);
+    return survey;
+  }
+
+  /**
+   * 校验并整理调查回答
+   * @param {Object} survey - 调查
+   * @param {Object} answers - 回答
+   * @returns {Object} 整理后的回答 { rating, npsScore, tags, comment }
+   */
+  validateAnswers(survey, answers) {
+    const questions = survey.questions || {};
+
+    const rating = Number(answers.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      throw new BadRequestError('评分必须是1-5之间的整数');
+    }
+
+    let npsScore = null;
+    if (questions.npsEnabled) {
+      npsScore = Number(answers.npsScore);
+      if (answers.npsScore === undefined || answers.npsScore === null ||
+        !Number.isInteger(npsScore) || npsScore < 0 || npsScore > 10) {
+        throw new BadRequestError('推荐意愿评分必须是0-10之间的整数');
+      }
+    }
+
+    const tags = Array.isArray(answers.tags) ? [...new Set(answers.tags.map(String))] : [];
+    const invalidTags = tags.filter(tag => !(questions.tags || []).includes(tag));
+    if (invalidTags.length > 0) {
+      throw new BadRequestError(`无效的标签: ${invalidTags.join(', ')}`);
+    }
+
+    const comment = answers.comment ? String(answers.comment).trim() : null;
+    if (comment && comment.length > MAX_COMMENT_LENGTH) {
+      throw new BadRequestError(`文字评价不能超过 ${MAX_COMMENT_LENGTH} 个字`);
+    }
+
+    return { rating, npsScore, tags, comment: comment || null };
+  }
+
+  /**
+   * 将调查回答写入会话、客服分配和反馈记录
+   * im-api 在线客服会话没有对应的会话和客服分配记录，回答只保存在调查中，按客服统计时计入
+   * @param {Object} survey - 已提交的调查
+   */
+  async applyResponse(survey) {
+    if (!survey.conversationId) {
+      return;
+    }
+
+    const { Conversation, ConversationAssignment, Feedback } = this.getModels();
+
+    const conversation = await Conversation.findByPk(survey.conversationId);
+    if (conversation) {
+      await conversation.update({
+        satisfactionScore: survey.rating,
+        hasFeedback: true,
+        feedbackRating: survey.rating
+      });
+    }
+
+    if (!survey.agentId) {
+      return;
+    }
+
+    const assignment = await ConversationAssignment.findOne({
+      where: { conversationId: survey.conversationId, agentId: survey.agentId },
+      order: [['createdAt', 'DESC']]
+    });
+    if (assignment) {
+      await assignment.update({ satisfactionScore: survey.rating });
+    }
+
+    // 用户已通过反馈接口评价过的会话不再重复生成反馈
+    const existingFeedback = await Feedback.findOne({ where: { conversationId: survey.conversationId } });
+    if (!existingFeedback) {
+      await Feedback.create({
+        userId: survey.customerId,
+        conversationId: survey.conversationId,
+        agentId: survey.agentId,
+        rating: survey.rating,
+        type: 'overall_satisfaction',
+        content: survey.comment,
+        issueTags: survey.tags,
+        satisfactionSurveyAnswers: {
+          surveyId: survey.id,
+          rating: survey.rating,
+          npsScore: survey.npsScore,
+          tags: survey.tags,
+          comment: survey.comment
+        }
+      });
+    }
+  }
+
+  /**
+   * 提醒未填写的调查并将过期的调查标记为已过期（由定时任务调用）
+   * @param {Date} now - 当前时间
+   * @returns {Promise<Object>} 处理结果 { reminded, expired }
+   */
+  async processPendingSurveys(now = new Date()) {
+    const result = { reminded: 0, expired: 0 };
+
+    try {
+      const { SatisfactionSurvey } = this.getModels();
+      const settings = this.getSettings();
+
+      result.expired = await SatisfactionSurvey.expirePending(now);
+
+      if (settings.reminderMinutes > 0) {
+        const sentBefore = new Date(now.getTime() - settings.reminderMinutes * 60 * 1000);
+        const surveys = await SatisfactionSurvey.findDueForReminder(sentBefore, now, SCAN_BATCH_SIZE);
+        for (const survey of surveys) {
+          try {
+            if (await survey.markReminded(now)) {
+              await this.remind(survey);
+              result.reminded++;
+            }
+          } catch (error) {
+            logger.error(`提醒满意度调查 ${survey.id} 失败:`, error);
+          }
+        }
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('处理待填写的满意度调查失败:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 提醒用户填写调查：再次推送调查并发送站内通知
+   * @param {Object} survey - 调查
+   */
+  async remind(survey) {
+    const { Notification } = this.getModels();
+
+    this.push(survey, 'satisfaction_survey_reminder');
+
+    await Notification.createSurveyReminderNotification({
+      userId: survey.customerId,
+      conversationId: survey.conversationId,
+      surveyId: survey.id,
+      title: '邀请您评价本次服务',
+      content: '您的评价可以帮助我们改进服务，请花一分钟完成满意度调查',
+      expiresAt: survey.expiresAt
+    });
+  }
+
+  /**
+   * 通过WebSocket推送调查给用户，WebSocket服务未启动时用户可以通过接口获取待填写的调查
+   * @param {Object} survey - 调查
+   * @param {string} type - 消息类型
+   */
+  push(survey, type) {
+    const websocketService = this.getWebSocketService();
+    if (!websocketService) {
+      return;
+    }
+
+    try {
+      websocketService.send(survey.customerId, {
+        type,
+        data: {
+          surveyId: survey.id,
+          conversationId: survey.conversationId,
+          sessionId: survey.sessionId,
+          questions: survey.questions,
+          expiresAt: survey.expiresAt
+        }
+      });
+    } catch (error) {
+      logger.warn(`推送满意度调查 ${survey.id} 失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 获取会话中的用户（角色为 customer 的参与者）
+   * @param {Object} conversation - 会话
+   * @returns {Promise<string|null>} 用户ID
+   */
+  async getCustomerId(conversation) {
+    const participants = await conversation.getParticipants({ attributes: ['id', 'role'] });
+    const customer = participants.find(user => user.role === 'customer');
+    return customer ? customer.id : null;
+  }
+
+  /**
+   * 获取会话最近一次分配的客服（会话关闭时分配可能已完成）
+   * @param {string} conversationId - 会话ID
+   * @returns {Promise<string|null>} 客服ID
+   */
+  async getLastAgentId(conversationId) {
+    const { ConversationAssignment } = this.getModels();
+    const assignment = await ConversationAssignment.findOne({
+      where: { conversationId, status: ['active', 'completed'] },
+      order: [['createdAt', 'DESC']]
+    });
+    return assignment ? assignment.agentId : null;
+  }
+}
+
+module.exports = new SatisfactionSurveyService();
@@ -0,0 +1,170 @@
+/**
+ * 满意度调查服务测试
+ */
+
+const mockSettings = {
+  enabled: true,
+  ratingQuestion: '您对本次服务满意吗？',
+  commentQuestion: '还有什么想告诉我们的吗？',
+  tags: ['回复太慢', '问题没有解决'],
+  npsEnabled: false,
+  npsQuestion: '您有多大可能向朋友推荐我们？',
+  reminderMinutes: 30,
+  expireHours: 72
+};
+const mockWebSocketService = { send: jest.fn() };
+
+jest.mock('../utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../config/config', () => ({
+  getConfig: () => mockSettings
+}));
+jest.mock('./websocketService', () => ({
+  getInstance: () => mockWebSocketService
+}));
+
+const satisfactionSurveyService = require('./satisfactionSurveyService');
+
+const HOUR = 60 * 60 * 1000;
+const SENT_AT = new Date('2026-06-01T10:00:00Z');
+
+const models = {
+  Conversation: { findByPk: jest.fn() },
+  ConversationAssignment: { findOne: jest.fn() },
+  Feedback: { findOne: jest.fn(), create: jest.fn() },
+  SatisfactionSurvey: { findOne: jest.fn(), findByPk: jest.fn(), create: jest.fn() },
+  User: { findByPk: jest.fn() }
+};
+
+/**
+ * 构建待填写的调查
+ * @param {Object} overrides - 覆盖字段
+ * @returns {Object} 调查
+ */
+function makeSurvey(overrides) {
+  return {
+    id: 's1',
+    conversationId: null,
+    sessionId: 'cs_session_1_u1',
+    customerId: 'u1',
+    agentId: 'a1',
+    status: 'pending',
+    questions: { tags: ['回复太慢'], npsEnabled: false },
+    expiresAt: new Date(Date.now() + HOUR),
+    isOpen() {
+      return this.status === 'pending' && new Date() < this.expiresAt;
+    },
+    answer: jest.fn().mockResolvedValue(true),
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  mockSettings.enabled = true;
+  satisfactionSurveyService._models = models;
+  models.SatisfactionSurvey.findOne.mockResolvedValue(null);
+  models.SatisfactionSurvey.create.mockImplementation(async attributes => ({ id: 's1', ...attributes }));
+  models.User.findByPk.mockResolvedValue({ id: 'a1', department: '售后组' });
+});
+
+describe('sendSurvey', () => {
+  test('记录服务的客服、团队和会话分类并推送给用户', async () => {
+    models.Conversation.findByPk.mockResolvedValue({ id: 'c1', category: '退款' });
+
+    const survey = await satisfactionSurveyService.sendSurvey('c1', { customerId: 'u1', agentId: 'a1', sentAt: SENT_AT });
+
+    expect(models.SatisfactionSurvey.create).toHaveBeenCalledWith(expect.objectContaining({
+      conversationId: 'c1', customerId: 'u1', agentId: 'a1', team: '售后组', category: '退款', sentAt: SENT_AT
+    }));
+    expect(survey.expiresAt).toEqual(new Date(SENT_AT.getTime() + 72 * HOUR));
+    expect(mockWebSocketService.send).toHaveBeenCalledWith('u1', expect.objectContaining({
+      type: 'satisfaction_survey',
+      data: expect.objectContaining({ surveyId: 's1', conversationId: 'c1' })
+    }));
+  });
+
+  test('会话已发送过调查时不再发送', async () => {
+    models.SatisfactionSurvey.findOne.mockResolvedValue({ id: 's0' });
+
+    await expect(satisfactionSurveyService.sendSurvey('c1')).resolves.toBeNull();
+    expect(models.SatisfactionSurvey.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('sendSessionSurvey', () => {
+  const session = { sessionId: 'cs_session_1_u1', userId: 'u1', csUserId: 'a1', questionType: 'refund' };
+
+  test('按在线客服会话记录调查，问题类型作为分类', async () => {
+    const survey = await satisfactionSurveyService.sendSessionSurvey(session, { sentAt: SENT_AT });
+
+    expect(models.SatisfactionSurvey.findOne).toHaveBeenCalledWith({ where: { sessionId: 'cs_session_1_u1' } });
+    const [attributes] = models.SatisfactionSurvey.create.mock.calls[0];
+    expect(attributes).toMatchObject({
+      sessionId: 'cs_session_1_u1', customerId: 'u1', agentId: 'a1', team: '售后组', category: 'refund'
+    });
+    expect(attributes).not.toHaveProperty('conversationId');
+    expect(survey).toMatchObject({ id: 's1' });
+    expect(mockWebSocketService.send).toHaveBeenCalledWith('u1', expect.objectContaining({
+      data: expect.objectContaining({ sessionId: 'cs_session_1_u1' })
+    }));
+  });
+
+  test('未分配过客服的会话或调查未启用时不发送', async () => {
+    await expect(satisfactionSurveyService.sendSessionSurvey({ ...session, csUserId: null })).resolves.toBeNull();
+
+    mockSettings.enabled = false;
+    await expect(satisfactionSurveyService.sendSessionSurvey(session)).resolves.toBeNull();
+
+    expect(models.SatisfactionSurvey.create).not.toHaveBeenCalled();
+  });
+
+  test('同一会话同时关闭多次时只发送一次', async () => {
+    const error = new Error('duplicate');
+    error.name = 'SequelizeUniqueConstraintError';
+    models.SatisfactionSurvey.create.mockRejectedValue(error);
+
+    await expect(satisfactionSurveyService.sendSessionSurvey(session)).resolves.toBeNull();
+    expect(mockWebSocketService.send).not.toHaveBeenCalled();
+  });
+});
+
+describe('submitResponse', () => {
+  test('在线客服会话的回答只保存在调查中', async () => {
+    const survey = makeSurvey();
+    models.SatisfactionSurvey.findByPk.mockResolvedValue(survey);
+
+    await satisfactionSurveyService.submitResponse('s1', 'u1', { rating: 2, tags: ['回复太慢'], comment: ' 等了很久 ' });
+
+    expect(survey.answer).toHaveBeenCalledWith({ rating: 2, npsScore: null, tags: ['回复太慢'], comment: '等了很久' }, expect.any(Date));
+    expect(models.Conversation.findByPk).not.toHaveBeenCalled();
+    expect(models.Feedback.create).not.toHaveBeenCalled();
+  });
+
+  test('会话的回答写入会话评分和反馈记录', async () => {
+    const conversation = { update: jest.fn() };
+    const survey = makeSurvey({ conversationId: 'c1', sessionId: null, rating: 5, tags: [], comment: null });
+    models.SatisfactionSurvey.findByPk.mockResolvedValue(survey);
+    models.Conversation.findByPk.mockResolvedValue(conversation);
+    models.ConversationAssignment.findOne.mockResolvedValue(null);
+    models.Feedback.findOne.mockResolvedValue(null);
+
+    await satisfactionSurveyService.submitResponse('s1', 'u1', { rating: 5 });
+
+    expect(conversation.update).toHaveBeenCalledWith({ satisfactionScore: 5, hasFeedback: true, feedbackRating: 5 });
+    expect(models.Feedback.create).toHaveBeenCalledWith(expect.objectContaining({ conversationId: 'c1', agentId: 'a1', rating: 5 }));
+  });
+
+  test('不能选择调查之外的标签，不能提交他人的调查', async () => {
+    models.SatisfactionSurvey.findByPk.mockResolvedValue(makeSurvey());
+
+    await expect(satisfactionSurveyService.submitResponse('s1', 'u1', { rating: 3, tags: ['态度不好'] }))
+      .rejects.toThrow('无效的标签: 态度不好');
+    await expect(satisfactionSurveyService.submitResponse('s1', 'u2', { rating: 3 }))
+      .rejects.toThrow('无权查看此满意度调查');
+  });
+});
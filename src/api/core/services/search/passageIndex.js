@@ -0,0 +1,205 @@
+/**
+ * 知识段落倒排索引
+ * 进程内倒排索引，文档按段落切分后以BM25打分，标题和正文分别加权，
+ * 同时计算查询词覆盖率用于判断检索结果是否真正相关
+ */
+
+// BM25参数
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// 字段权重
+const FIELD_WEIGHTS = {
+  title: 2,
+  keywords: 1.5,
+  content: 1
+};
+
+// 疑问词、语气词等不参与检索的词元
+const STOP_TERMS = new Set([
+  '如何', '怎么', '怎样', '什么', '为什', '哪里', '哪些', '可以', '能否', '是否', '请问', '一下',
+  '我的', '我们', '你们', '您的', '时候', '这个', '那个', '需要', '应该', '有没', '没有'
+]);
+
+class PassageIndex {
+  /**
+   * @param {Segmenter} segmenter - 分词器
+   */
+  constructor(segmenter) {
+    this.segmenter = segmenter;
+    this.passages = new Map();    // passageId -> 段落
+    this.documents = new Map();   // documentKey -> Set(passageId)
+    this.postings = new Map();    // term -> Map(passageId -> 加权词频)
+    this.totalLength = 0;
+  }
+
+  /**
+   * 索引段落数量
+   * @returns {number} 段落数量
+   */
+  get size() {
+    return this.passages.size;
+  }
+
+  /**
+   * 索引文档数量
+   * @returns {number} 文档数量
+   */
+  get documentCount() {
+    return this.documents.size;
+  }
+
+  /**
+   * 对文本分词，过滤停用词和单个汉字
+   * @param {string} text - 文本
+   * @returns {Array<string>} 词元列表
+   */
+  tokenize(text) {
+    return this.segmenter.segment(text).filter(token =>
+      !STOP_TERMS.has(token) && !(token.length === 1 && /[一-龥]/.test(token))
+    );
+  }
+
+  /**
+   * 添加或替换文档的全部段落
+   * @param {string} key - 文档标识，如 help_article:12
+   * @param {Array<Object>} passages - 段落列表 [{ title, keywords, content, meta }]
+   */
+  upsertDocument(key, passages) {
+    this.removeDocument(key);
+
+    const ids = new Set();
+    passages.forEach((passage, position) => {
+      const id = `${key}#${position}`;
+      const termFrequencies = new Map();
+      let length = 0;
+
+      for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+        const value = Array.isArray(passage[field]) ? passage[field].join(' ') : passage[field];
+        const tokens = this.tokenize(value);
+        for (const token of tokens) {
+          termFrequencies.set(token, (termFrequencies.get(token) || 0) + weight);
+        }
+        length += tokens.length * weight;
+      }
+
+      for (const [term, frequency] of termFrequencies) {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+        }
+        this.postings.get(term).set(id, frequency);
+      }
+
+      this.passages.set(id, {
+        id,
+        documentKey: key,
+        position,
+        title: passage.title,
+        content: passage.content,
+        meta: passage.meta || {},
+        terms: Array.from(termFrequencies.keys()),
+        length
+      });
+      this.totalLength += length;
+      ids.add(id);
+    });
+
+    this.documents.set(key, ids);
+  }
+
+  /**
+   * 删除文档的全部段落
+   * @param {string} key - 文档标识
+   * @returns {boolean} 是否删除成功
+   */
+  removeDocument(key) {
+    const ids = this.documents.get(key);
+    if (!ids) {
+      return false;
+    }
+
+    for (const id of ids) {
+      const passage = this.passages.get(id);
+      for (const term of passage.terms) {
+        const posting = this.postings.get(term);
+        if (posting) {
+          posting.delete(id);
+          if (posting.size === 0) {
+            this.postings.delete(term);
+          }
+        }
+      }
+      this.totalLength -= passage.length;
+      this.passages.delete(id);
+    }
+
+    this.documents.delete(key);
+    return true;
+  }
+
+  /**
+   * 删除某一前缀下的所有文档（整体替换某类来源时使用）
+   * @param {string} prefix - 文档标识前缀，如 faq:
+   * @returns {number} 删除的文档数量
+   */
+  removeByPrefix(prefix) {
+    const keys = Array.from(this.documents.keys()).filter(key => key.startsWith(prefix));
+    keys.forEach(key => this.removeDocument(key));
+    return keys.length;
+  }
+
+  /**
+   * 检索段落
+   * 覆盖率 = 段落命中的查询词IDF之和 / 索引中出现过的查询词IDF之和
+   * @param {string} text - 查询文本
+   * @param {Object} [options] - 检索选项
+   * @param {number} [options.limit=3] - 返回段落数量
+   * @param {number} [options.minCoverage=0.5] - 最低覆盖率
+   * @returns {Array<Object>} [{ passage, score, coverage }]，按得分降序
+   */
+  search(text, options = {}) {
+    const limit = options.limit || 3;
+    const minCoverage = options.minCoverage !== undefined ? options.minCoverage : 0.5;
+
+    const terms = Array.from(new Set(this.tokenize(text))).filter(term => this.postings.has(term));
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const total = this.passages.size;
+    const avgLength = total > 0 ? this.totalLength / total : 0;
+    const idfs = new Map(terms.map(term => {
+      const df = this.postings.get(term).size;
+      return [term, Math.log(1 + (total - df + 0.5) / (df + 0.5))];
+    }));
+    const totalIdf = Array.from(idfs.values()).reduce((sum, idf) => sum + idf, 0);
+
+    const scores = new Map();
+    for (const term of terms) {
+      const idf = idfs.get(term);
+
+      for (const [id, frequency] of this.postings.get(term)) {
+        const passage = this.passages.get(id);
+        const norm = avgLength > 0 ? passage.length / avgLength : 1;
+        const termScore = idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * norm));
+
+        const entry = scores.get(id) || { score: 0, matchedIdf: 0 };
+        entry.score += termScore;
+        entry.matchedIdf += idf;
+        scores.set(id, entry);
+      }
+    }
+
+    return Array.from(scores.entries())
+      .map(([id, entry]) => ({
+        passage: this.passages.get(id),
+        score: entry.score,
+        coverage: totalIdf > 0 ? entry.matchedIdf / totalIdf : 0
+      }))
+      .filter(hit => hit.coverage >= minCoverage)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = PassageIndex;
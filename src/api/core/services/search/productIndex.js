@@ -0,0 +1,384 @@
+/**
+ * 商品倒排索引
+ * 进程内倒排索引，按字段加权的BM25打分，支持分类、品牌、价格区间分面筛选以及关键词纠错
+ */
+
+// BM25参数
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// 字段权重
+const FIELD_WEIGHTS = {
+  name: 3,
+  brandName: 2,
+  categoryName: 1.5,
+  keywords: 1.5,
+  description: 1
+};
+
+// 价格区间分面
+const PRICE_RANGES = [
+  { key: '0-100', min: 0, max: 100 },
+  { key: '100-500', min: 100, max: 500 },
+  { key: '500-1000', min: 500, max: 1000 },
+  { key: '1000-5000', min: 1000, max: 5000 },
+  { key: '5000+', min: 5000, max: Infinity }
+];
+
+/**
+ * 计算两个词的编辑距离（含相邻字符交换）
+ * @param {string} a - 词a
+ * @param {string} b - 词b
+ * @returns {number} 编辑距离
+ */
+function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, () => new Array(cols).fill(0));
+
+  for (let i = 0; i < rows; i++) d[i][0] = i;
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+}
+
+class ProductIndex {
+  /**
+   * @param {Segmenter} segmenter - 分词器
+   */
+  constructor(segmenter) {
+    this.segmenter = segmenter;
+    this.documents = new Map();   // productId -> 文档
+    this.postings = new Map();    // term -> Map(productId -> 加权词频)
+    this.totalLength = 0;
+  }
+
+  /**
+   * 索引文档数量
+   * @returns {number} 文档数量
+   */
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * 添加或替换文档
+   * @param {Object} product - 商品数据
+   */
+  upsert(product) {
+    const id = String(product.id);
+    this.remove(id);
+
+    const termFrequencies = new Map();
+    let length = 0;
+
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const value = Array.isArray(product[field]) ? product[field].join(' ') : product[field];
+      const tokens = this.segmenter.segment(value);
+
+      for (const token of tokens) {
+        termFrequencies.set(token, (termFrequencies.get(token) || 0) + weight);
+      }
+      length += tokens.length * weight;
+    }
+
+    for (const [term, frequency] of termFrequencies) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(id, frequency);
+    }
+
+    this.documents.set(id, {
+      id,
+      source: product,
+      terms: Array.from(termFrequencies.keys()),
+      length,
+      categoryId: product.categoryId !== undefined && product.categoryId !== null ? String(product.categoryId) : null,
+      brandId: product.brandId !== undefined && product.brandId !== null ? String(product.brandId) : null,
+      price: Number(product.price) || 0,
+      active: product.active !== false
+    });
+    this.totalLength += length;
+  }
+
+  /**
+   * 删除文档
+   * @param {string} id - 商品ID
+   * @returns {boolean} 是否删除成功
+   */
+  remove(id) {
+    const doc = this.documents.get(String(id));
+    if (!doc) {
+      return false;
+    }
+
+    for (const term of doc.terms) {
+      const posting = this.postings.get(term);
+      if (posting) {
+        posting.delete(doc.id);
+        if (posting.size === 0) {
+          this.postings.delete(term);
+        }
+      }
+    }
+
+    this.totalLength -= doc.length;
+    this.documents.delete(doc.id);
+    return true;
+  }
+
+  /**
+   * 获取文档
+   * @param {string} id - 商品ID
+   * @returns {Object|null} 文档
+   */
+  get(id) {
+    return this.documents.get(String(id)) || null;
+  }
+
+  /**
+   * 设置文档上下架状态（下架商品保留在索引中但不可检索）
+   * @param {string} id - 商品ID
+   * @param {boolean} active - 是否上架
+   * @returns {boolean} 文档是否存在
+   */
+  setActive(id, active) {
+    const doc = this.get(id);
+    if (!doc) {
+      return false;
+    }
+    doc.active = active;
+    doc.source = { ...doc.source, active };
+    return true;
+  }
+
+  /**
+   * 重建所有文档（自定义词典变更后调用）
+   */
+  reindexAll() {
+    const sources = Array.from(this.documents.values()).map(doc => ({ ...doc.source, active: doc.active }));
+    this.documents.clear();
+    this.postings.clear();
+    this.totalLength = 0;
+    sources.forEach(source => this.upsert(source));
+  }
+
+  /**
+   * 为不在词表中的词寻找纠错候选
+   * 英文按编辑距离匹配，中文只匹配等长且仅一字之差的词；同等距离下取文档频率最高者
+   * @param {string} term - 查询词
+   * @returns {string|null} 纠错后的词
+   */
+  correct(term) {
+    const isCjk = /[一-龥]/.test(term);
+    const maxDistance = isCjk ? 1 : (term.length <= 4 ? 1 : 2);
+    let best = null;
+
+    for (const [candidate, posting] of this.postings) {
+      if (Math.abs(candidate.length - term.length) > maxDistance) {
+        continue;
+      }
+      if (isCjk && candidate.length !== term.length) {
+        continue;
+      }
+
+      const distance = editDistance(term, candidate);
+      if (distance === 0 || distance > maxDistance) {
+        continue;
+      }
+
+      if (!best || distance < best.distance || (distance === best.distance && posting.size > best.frequency)) {
+        best = { term: candidate, distance, frequency: posting.size };
+      }
+    }
+
+    return best ? best.term : null;
+  }
+
+  /**
+   * 检索
+   * @param {Object} query - 查询条件
+   * @param {string} [query.keyword] - 关键词
+   * @param {string} [query.categoryId] - 分类ID
+   * @param {string} [query.brandId] - 品牌ID
+   * @param {number} [query.minPrice] - 最低价
+   * @param {number} [query.maxPrice] - 最高价
+   * @returns {Object} { hits: [{ doc, score }], facets, corrections }
+   */
+  search(query) {
+    const { terms, corrections } = this.analyzeKeyword(query.keyword);
+    const scores = terms.length > 0 ? this.score(terms) : this.matchAll();
+
+    const filters = {
+      categoryId: query.categoryId !== undefined && query.categoryId !== null && query.categoryId !== '' ? String(query.categoryId) : null,
+      brandId: query.brandId !== undefined && query.brandId !== null && query.brandId !== '' ? String(query.brandId) : null,
+      minPrice: query.minPrice !== undefined && query.minPrice !== null && query.minPrice !== '' ? Number(query.minPrice) : null,
+      maxPrice: query.maxPrice !== undefined && query.maxPrice !== null && query.maxPrice !== '' ? Number(query.maxPrice) : null
+    };
+
+    const candidates = [];
+    for (const [id, score] of scores) {
+      const doc = this.documents.get(id);
+      if (doc && doc.active) {
+        candidates.push({ doc, score });
+      }
+    }
+
+    const hits = candidates.filter(hit => this.matchFilters(hit.doc, filters));
+
+    return {
+      hits,
+      facets: this.buildFacets(candidates, filters),
+      corrections
+    };
+  }
+
+  /**
+   * 分析关键词：分词并对未收录的词进行纠错
+   * @param {string} keyword - 关键词
+   * @returns {Object} { terms, corrections }
+   */
+  analyzeKeyword(keyword) {
+    const corrections = [];
+    const terms = [];
+
+    for (const token of new Set(this.segmenter.segment(keyword))) {
+      if (this.postings.has(token)) {
+        terms.push(token);
+        continue;
+      }
+
+      const corrected = this.correct(token);
+      if (corrected) {
+        corrections.push({ original: token, corrected });
+        terms.push(corrected);
+      } else {
+        terms.push(token);
+      }
+    }
+
+    return { terms, corrections };
+  }
+
+  /**
+   * BM25打分
+   * @param {Array<string>} terms - 查询词
+   * @returns {Map<string, number>} productId -> 得分
+   */
+  score(terms) {
+    const scores = new Map();
+    const total = this.documents.size;
+    const avgLength = total > 0 ? this.totalLength / total : 0;
+
+    for (const term of terms) {
+      const posting = this.postings.get(term);
+      if (!posting) {
+        continue;
+      }
+
+      const idf = Math.log(1 + (total - posting.size + 0.5) / (posting.size + 0.5));
+
+      for (const [id, frequency] of posting) {
+        const doc = this.documents.get(id);
+        const norm = avgLength > 0 ? doc.length / avgLength : 1;
+        const termScore = idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * norm));
+        scores.set(id, (scores.get(id) || 0) + termScore);
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * 无关键词时匹配所有文档
+   * @returns {Map<string, number>} productId -> 0
+   */
+  matchAll() {
+    const scores = new Map();
+    for (const id of this.documents.keys()) {
+      scores.set(id, 0);
+    }
+    return scores;
+  }
+
+  /**
+   * 判断文档是否满足筛选条件
+   * @param {Object} doc - 文档
+   * @param {Object} filters - 筛选条件
+   * @param {string} [skip] - 跳过的筛选项（计算该项分面时使用）
+   * @returns {boolean} 是否满足
+   */
+  matchFilters(doc, filters, skip = null) {
+    if (skip !== 'category' && filters.categoryId && doc.categoryId !== filters.categoryId) {
+      return false;
+    }
+    if (skip !== 'brand' && filters.brandId && doc.brandId !== filters.brandId) {
+      return false;
+    }
+    if (skip !== 'price') {
+      if (filters.minPrice !== null && doc.price < filters.minPrice) {
+        return false;
+      }
+      if (filters.maxPrice !== null && doc.price > filters.maxPrice) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * 计算分面统计，每个分面统计时忽略自身的筛选条件
+   * @param {Array} candidates - 关键词命中的候选文档
+   * @param {Object} filters - 筛选条件
+   * @returns {Object} 分面统计
+   */
+  buildFacets(candidates, filters) {
+    const count = (skip, keyOf) => {
+      const counts = new Map();
+      candidates
+        .filter(hit => this.matchFilters(hit.doc, filters, skip))
+        .forEach(hit => {
+          const key = keyOf(hit.doc);
+          if (key !== null) {
+            counts.set(key, (counts.get(key) || 0) + 1);
+          }
+        });
+      return Array.from(counts.entries())
+        .map(([value, total]) => ({ value, count: total }))
+        .sort((a, b) => b.count - a.count);
+    };
+
+    const priceCounts = count('price', doc => {
+      const range = PRICE_RANGES.find(item => doc.price >= item.min && doc.price < item.max);
+      return range ? range.key : null;
+    });
+
+    return {
+      categories: count('category', doc => doc.categoryId),
+      brands: count('brand', doc => doc.brandId),
+      priceRanges: PRICE_RANGES.map(range => {
+        const found = priceCounts.find(item => item.value === range.key);
+        return {
+          value: range.key,
+          min: range.min,
+          max: range.max === Infinity ? null : range.max,
+          count: found ? found.count : 0
+        };
+      })
+    };
+  }
+}
+
+module.exports = ProductIndex;
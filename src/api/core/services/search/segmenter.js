@@ -0,0 +1,210 @@
+/**
+ * 中文分词器
+ * 基于词典的正向最大匹配分词，未登录的中文片段按二元组切分，
+ * 英文和数字按连续字符切分并转为小写。自定义词典由管理端维护。
+ */
+
+// 内置电商常用词
+const BUILTIN_WORDS = [
+  '手机', '智能手机', '平板', '平板电脑', '笔记本', '笔记本电脑', '电脑', '台式机', '显示器', '键盘', '鼠标',
+  '耳机', '蓝牙耳机', '无线耳机', '音箱', '充电器', '数据线', '移动电源', '充电宝', '手机壳', '保护膜',
+  '相机', '单反', '镜头', '手表', '智能手表', '手环', '路由器', '硬盘', '内存', '固态硬盘', '处理器',
+  '电视', '冰箱', '洗衣机', '空调', '微波炉', '电饭煲', '吸尘器', '扫地机器人', '加湿器', '净化器', '热水器',
+  '衣服', '男装', '女装', '童装', '外套', '羽绒服', '卫衣', '衬衫', 'T恤', '裤子', '牛仔裤', '裙子', '连衣裙',
+  '鞋子', '运动鞋', '跑步鞋', '篮球鞋', '帆布鞋', '皮鞋', '凉鞋', '拖鞋', '背包', '双肩包', '行李箱', '钱包',
+  '化妆品', '护肤品', '面膜', '口红', '粉底', '精华', '乳液', '面霜', '洗面奶', '防晒', '香水', '洗发水', '沐浴露',
+  '零食', '饮料', '咖啡', '茶叶', '牛奶', '水果', '坚果', '巧克力', '大米', '食用油',
+  '正品', '官方', '旗舰', '新款', '包邮', '现货', '限量', '套装', '礼盒', '原装', '国行', '无线', '蓝牙', '便携'
+];
+
+// 词典最大词长
+const MAX_WORD_LENGTH = 8;
+
+// 中文字符
+const CJK_PATTERN = /[一-龥]/;
+
+// 英文、数字连续片段
+const ALNUM_PATTERN = /[a-z0-9]+/;
+
+class Segmenter {
+  constructor() {
+    this.dictionary = new Set(BUILTIN_WORDS.map(word => word.toLowerCase()));
+    this.customWords = new Set();
+  }
+
+  /**
+   * 添加自定义词
+   * @param {Array<string>} words - 词列表
+   * @returns {number} 新增的词数量
+   */
+  addWords(words) {
+    let added = 0;
+
+    for (const raw of words) {
+      const word = String(raw || '').trim().toLowerCase();
+      if (!word || word.length > MAX_WORD_LENGTH || this.customWords.has(word)) {
+        continue;
+      }
+
+      this.customWords.add(word);
+      this.dictionary.add(word);
+      added++;
+    }
+
+    return added;
+  }
+
+  /**
+   * 删除自定义词（内置词不可删除）
+   * @param {string} word - 词
+   * @returns {boolean} 是否删除成功
+   */
+  removeWord(word) {
+    const normalized = String(word || '').trim().toLowerCase();
+    if (!this.customWords.delete(normalized)) {
+      return false;
+    }
+
+    if (!BUILTIN_WORDS.some(item => item.toLowerCase() === normalized)) {
+      this.dictionary.delete(normalized);
+    }
+    return true;
+  }
+
+  /**
+   * 获取自定义词列表
+   * @returns {Array<string>} 自定义词
+   */
+  getCustomWords() {
+    return Array.from(this.customWords);
+  }
+
+  /**
+   * 对文本分词
+   * @param {string} text - 文本
+   * @returns {Array<string>} 词元列表（保留重复，用于词频统计）
+   */
+  segment(text) {
+    const normalized = String(text || '').toLowerCase();
+    const tokens = [];
+    let i = 0;
+
+    while (i < normalized.length) {
+      const char = normalized[i];
+
+      if (CJK_PATTERN.test(char)) {
+        const end = this.findCjkRunEnd(normalized, i);
+        tokens.push(...this.segmentCjk(normalized.slice(i, end)));
+        i = end;
+      } else if (ALNUM_PATTERN.test(char)) {
+        // 英文数字片段也可能是词典中的混合词，如"t恤"
+        const word = this.matchLongest(normalized, i);
+        if (word) {
+          tokens.push(word);
+          i += word.length;
+          continue;
+        }
+
+        let end = i;
+        while (end < normalized.length && ALNUM_PATTERN.test(normalized[end])) {
+          end++;
+        }
+        tokens.push(normalized.slice(i, end));
+        i = end;
+      } else {
+        i++;
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * 查找连续中文片段的结束位置
+   * @param {string} text - 文本
+   * @param {number} start - 起始位置
+   * @returns {number} 结束位置（不含）
+   */
+  findCjkRunEnd(text, start) {
+    let end = start;
+    while (end < text.length && CJK_PATTERN.test(text[end])) {
+      end++;
+    }
+    return end;
+  }
+
+  /**
+   * 从指定位置开始匹配词典中的最长词
+   * @param {string} text - 文本
+   * @param {number} start - 起始位置
+   * @returns {string|null} 匹配到的词（长度至少为2）
+   */
+  matchLongest(text, start) {
+    const maxLength = Math.min(MAX_WORD_LENGTH, text.length - start);
+
+    for (let length = maxLength; length >= 2; length--) {
+      const candidate = text.slice(start, start + length);
+      if (this.dictionary.has(candidate)) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 中文片段分词：正向最大匹配，未登录片段按二元组切分
+   * @param {string} run - 连续中文片段
+   * @returns {Array<string>} 词元列表
+   */
+  segmentCjk(run) {
+    const tokens = [];
+    let unknownStart = -1;
+    let i = 0;
+
+    const flushUnknown = (end) => {
+      if (unknownStart === -1) {
+        return;
+      }
+      tokens.push(...this.bigrams(run.slice(unknownStart, end)));
+      unknownStart = -1;
+    };
+
+    while (i < run.length) {
+      const word = this.matchLongest(run, i);
+      if (word) {
+        flushUnknown(i);
+        tokens.push(word);
+        i += word.length;
+      } else {
+        if (unknownStart === -1) {
+          unknownStart = i;
+        }
+        i++;
+      }
+    }
+    flushUnknown(run.length);
+
+    return tokens;
+  }
+
+  /**
+   * 二元组切分，单字片段原样返回
+   * @param {string} fragment - 中文片段
+   * @returns {Array<string>} 二元组列表
+   */
+  bigrams(fragment) {
+    if (fragment.length <= 2) {
+      return [fragment];
+    }
+
+    const grams = [];
+    for (let i = 0; i < fragment.length - 1; i++) {
+      grams.push(fragment.slice(i, i + 2));
+    }
+    return grams;
+  }
+}
+
+module.exports = Segmenter;
+module.exports.MAX_WORD_LENGTH = MAX_WORD_LENGTH;
@@ -1,13 +1,23 @@
 /**
  * 搜索服务
- * 提供商品搜索相关功能
+ * 提供商品搜索相关功能，基于进程内倒排索引实现中文分词、BM25排序、分面筛选和关键词纠错
  */
 
 const di = require('@core/di/container');
+const Segmenter = require('./search/segmenter');
+const ProductIndex = require('./search/productIndex');
+
+// 支持的排序字段
+const SORT_FIELDS = ['relevance', 'price', 'salesCount', 'createdAt'];
 
 class SearchService {
   constructor() {
     // 初始化搜索相关配置
+    this.segmenter = new Segmenter();
+    this.index = new ProductIndex(this.segmenter);
+    // 是否已从商品库完成全量构建；增量索引的商品不代表索引完整
+    this.built = false;
+    this.building = null;
   }
 
   // 获取logger服务
@@ -18,6 +28,40 @@ class SearchService {
     return this._logger;
   }
 
+  /**
+   * 索引中的商品数量
+   * @returns {number} 商品数量
+   */
+  get indexSize() {
+    return this.index.size;
+  }
+
+  /**
+   * 索引是否已从商品库完成全量构建
+   * @returns {boolean} 是否已构建
+   */
+  get isBuilt() {
+    return this.built;
+  }
+
+  /**
+   * 确保索引已从商品库完成全量构建，未构建时加载商品并重建，并发调用共用同一次构建
+   * @param {Function} loadProducts - 加载全部商品 () => Promise<Array>
+   * @returns {Promise<number>} 索引的商品数量
+   */
+  async ensureIndex(loadProducts) {
+    if (this.built) {
+      return this.index.size;
+    }
+    if (!this.building) {
+      this.building = (async () => this.rebuildIndex(await loadProducts()))()
+        .finally(() => {
+          this.building = null;
+        });
+    }
+    return this.building;
+  }
+
   /**
    * 索引商品到搜索系统
    * @param {Object} product - 商品对象
@@ -26,11 +70,9 @@ class SearchService {
   async indexProduct(product) {
     try {
       this.getLogger().info('尝试索引商品', { productId: product.id, productName: product.name });
-      
-      // 这里是模拟实现
-      // 实际项目中应该调用Elasticsearch或其他搜索服务的API
-      
-      // 模拟索引成功
+
+      this.index.upsert(this.normalizeProduct(product));
+
       this.getLogger().info('商品索引成功', { productId: product.id });
       return true;
     } catch (error) {
@@ -41,17 +83,22 @@ class SearchService {
 
   /**
    * 从搜索系统中更新商品索引
+   * 更新消息可能只包含变更字段，未携带的字段沿用索引中的原值
    * @param {Object} product - 商品对象
    * @returns {Promise<boolean>} 是否更新成功
    */
   async updateProductIndex(product) {
     try {
       this.getLogger().info('尝试更新商品索引', { productId: product.id });
-      
-      // 这里是模拟实现
-      // 实际项目中应该调用搜索服务的API
-      
-      // 模拟更新成功
+
+      const existing = this.index.get(product.id);
+      const merged = existing ? { ...existing.source, ...product } : { ...product };
+      if (existing && product.active === undefined && product.status !== undefined) {
+        // 消息携带了新状态时以状态为准
+        delete merged.active;
+      }
+      this.index.upsert(this.normalizeProduct(merged));
+
       this.getLogger().info('商品索引更新成功', { productId: product.id });
       return true;
     } catch (error) {
@@ -60,6 +107,30 @@ class SearchService {
     }
   }
 
+  /**
+   * 更新商品上下架状态，下架商品不会出现在搜索结果中
+   * @param {string} productId - 商品ID
+   * @param {boolean} isActive - 是否上架
+   * @returns {Promise<boolean>} 是否更新成功
+   */
+  async updateProductStatus(productId, isActive) {
+    try {
+      this.getLogger().info('尝试更新商品索引状态', { productId, isActive });
+
+      const updated = this.index.setActive(productId, isActive);
+      if (!updated) {
+        this.getLogger().warn('商品不在索引中，忽略状态变更', { productId });
+        return false;
+      }
+
+      this.getLogger().info('商品索引状态更新成功', { productId, isActive });
+      return true;
+    } catch (error) {
+      this.getLogger().error('商品索引状态更新失败', { productId, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * 从搜索系统中删除商品索引
    * @param {string} productId - 商品ID
@@ -68,39 +139,123 @@ class SearchService {
   async removeProductIndex(productId) {
     try {
       this.getLogger().info('尝试删除商品索引', { productId });
-      
-      // 这里是模拟实现
-      // 实际项目中应该调用搜索服务的API
-      
-      // 模拟删除成功
-      this.getLogger().info('商品索引删除成功', { productId });
-      return true;
+
+      const removed = this.index.remove(productId);
+
+      this.getLogger().info('商品索引删除成功', { productId, removed });
+      return removed;
     } catch (error) {
       this.getLogger().error('商品索引删除失败', { productId, error: error.message });
       throw error;
     }
   }
 
+  /**
+   * 批量重建索引
+   * @param {Array} products - 商品列表
+   * @returns {Promise<number>} 索引的商品数量
+   */
+  async rebuildIndex(products) {
+    try {
+      this.getLogger().info('开始重建商品索引', { count: products.length });
+
+      this.index = new ProductIndex(this.segmenter);
+      products.forEach(product => this.index.upsert(this.normalizeProduct(product)));
+      this.built = true;
+
+      this.getLogger().info('商品索引重建完成', { count: this.index.size });
+      return this.index.size;
+    } catch (error) {
+      this.getLogger().error('商品索引重建失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 添加自定义分词词典，并按新词典重建已有索引
+   * @param {Array<string>} words - 词列表
+   * @returns {Promise<number>} 新增的词数量
+   */
+  async addCustomWords(words) {
+    try {
+      const added = this.segmenter.addWords(words);
+      if (added > 0) {
+        this.index.reindexAll();
+      }
+
+      this.getLogger().info('自定义词典已更新', { added });
+      return added;
+    } catch (error) {
+      this.getLogger().error('更新自定义词典失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除自定义分词词典中的词，并按新词典重建已有索引
+   * @param {string} word - 词
+   * @returns {Promise<boolean>} 是否删除成功
+   */
+  async removeCustomWord(word) {
+    try {
+      const removed = this.segmenter.removeWord(word);
+      if (removed) {
+        this.index.reindexAll();
+      }
+
+      this.getLogger().info('自定义词已删除', { word, removed });
+      return removed;
+    } catch (error) {
+      this.getLogger().error('删除自定义词失败', { word, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取自定义分词词典
+   * @returns {Array<string>} 自定义词列表
+   */
+  getCustomWords() {
+    return this.segmenter.getCustomWords();
+  }
+
   /**
    * 搜索商品
    * @param {Object} query - 搜索查询条件
+   * @param {string} [query.keyword] - 关键词
+   * @param {string} [query.categoryId] - 分类ID
+   * @param {string} [query.brandId] - 品牌ID
+   * @param {number} [query.minPrice] - 最低价
+   * @param {number} [query.maxPrice] - 最高价
+   * @param {string} [query.sort] - 排序方式，格式为 字段:方向，如 price:asc
+   * @param {number} [query.page] - 页码
+   * @param {number} [query.pageSize] - 每页数量
    * @returns {Promise<Object>} 搜索结果
    */
   async searchProducts(query) {
     try {
       this.getLogger().info('执行商品搜索', { keyword: query.keyword });
-      
-      // 这里是模拟实现
-      // 实际项目中应该调用搜索服务的API
-      
-      // 模拟搜索结果
+
+      const page = Math.max(parseInt(query.page, 10) || 1, 1);
+      const pageSize = Math.max(parseInt(query.pageSize, 10) || 20, 1);
+
+      const { hits, facets, corrections } = this.index.search(query);
+      this.sortHits(hits, query.sort, Boolean(query.keyword));
+
+      const start = (page - 1) * pageSize;
       const results = {
-        items: [],
-        total: 0,
-        page: query.page || 1,
-        pageSize: query.pageSize || 20
+        items: hits.slice(start, start + pageSize).map(hit => ({
+          ...hit.doc.source,
+          score: Number(hit.score.toFixed(4))
+        })),
+        total: hits.length,
+        page,
+        pageSize,
+        facets,
+        corrections,
+        correctedKeyword: corrections.length > 0 ? this.applyCorrections(query.keyword, corrections) : null
       };
-      
+
       this.getLogger().info('商品搜索完成', { keyword: query.keyword, total: results.total });
       return results;
     } catch (error) {
@@ -108,8 +263,78 @@ class SearchService {
       throw error;
     }
   }
+
+  /**
+   * 对命中结果排序
+   * @param {Array} hits - 命中结果
+   * @param {string} sort - 排序方式
+   * @param {boolean} hasKeyword - 是否有关键词（无关键词时相关度排序退化为按销量排序）
+   */
+  sortHits(hits, sort = 'relevance:desc', hasKeyword = true) {
+    const [rawField, rawDirection] = String(sort || 'relevance:desc').split(':');
+    let field = SORT_FIELDS.includes(rawField) ? rawField : 'relevance';
+    const direction = rawDirection === 'asc' ? 1 : -1;
+
+    if (field === 'relevance' && !hasKeyword) {
+      field = 'salesCount';
+    }
+
+    const valueOf = (hit) => {
+      switch (field) {
+        case 'relevance':
+          return hit.score;
+        case 'price':
+          return hit.doc.price;
+        case 'createdAt':
+          return new Date(hit.doc.source.createdAt || 0).getTime();
+        default:
+          return Number(hit.doc.source[field]) || 0;
+      }
+    };
+
+    hits.sort((a, b) => {
+      const diff = (valueOf(a) - valueOf(b)) * direction;
+      if (diff !== 0) {
+        return diff;
+      }
+      // 相同排序值时按相关度、销量兜底，保证结果稳定
+      return (b.score - a.score) || ((Number(b.doc.source.salesCount) || 0) - (Number(a.doc.source.salesCount) || 0));
+    });
+  }
+
+  /**
+   * 生成纠错后的关键词
+   * @param {string} keyword - 原始关键词
+   * @param {Array} corrections - 纠错列表
+   * @returns {string} 纠错后的关键词
+   */
+  applyCorrections(keyword, corrections) {
+    let corrected = String(keyword || '').toLowerCase();
+    corrections.forEach(({ original, corrected: replacement }) => {
+      corrected = corrected.split(original).join(replacement);
+    });
+    return corrected;
+  }
+
+  /**
+   * 规范化商品数据
+   * @param {Object} product - 商品对象
+   * @returns {Object} 索引文档数据
+   */
+  normalizeProduct(product) {
+    let active = product.active;
+    if (active === undefined) {
+      active = product.status ? product.status === 'active' : true;
+    }
+
+    return {
+      ...product,
+      id: String(product.id),
+      active
+    };
+  }
 }
 
 // 导出单例实例
 const searchService = new SearchService();
-module.exports = searchService;
\ No newline at end of file
+module.exports = searchService;
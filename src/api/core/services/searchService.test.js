@@ -0,0 +1,49 @@
+/**
+ * 搜索服务测试
+ * 首次搜索前从商品库全量构建索引，启动后先收到的商品消息只增量索引个别商品，不影响全量构建
+ */
+
+jest.mock('@core/di/container', () => ({
+  resolve: () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() })
+}), { virtual: true });
+
+const searchService = require('./searchService');
+
+const PRODUCTS = [
+  { id: 1, name: '无线蓝牙耳机', price: 199, status: 'active', salesCount: 30 },
+  { id: 2, name: '智能手表', price: 899, status: 'active', salesCount: 12 },
+  { id: 3, name: '机械键盘', price: 349, status: 'active', salesCount: 8 }
+];
+
+test('先增量索引了商品时仍从商品库全量构建，并发调用只加载一次', async () => {
+  await searchService.indexProduct({ id: 4, name: '新款充电宝', price: 99, status: 'active' });
+  expect(searchService.indexSize).toBe(1);
+  expect(searchService.isBuilt).toBe(false);
+
+  const loadProducts = jest.fn().mockResolvedValue(PRODUCTS);
+  const sizes = await Promise.all([
+    searchService.ensureIndex(loadProducts),
+    searchService.ensureIndex(loadProducts)
+  ]);
+
+  expect(loadProducts).toHaveBeenCalledTimes(1);
+  expect(sizes).toEqual([3, 3]);
+  expect(searchService.isBuilt).toBe(true);
+  expect((await searchService.searchProducts({ keyword: '蓝牙耳机' })).items.map(item => item.id)).toEqual(['1']);
+
+  await searchService.ensureIndex(loadProducts);
+  expect(loadProducts).toHaveBeenCalledTimes(1);
+});
+
+test('加载商品失败时下次搜索重新构建', async () => {
+  searchService.built = false;
+  const loadProducts = jest.fn()
+    .mockRejectedValueOnce(new Error('数据库连接超时'))
+    .mockResolvedValueOnce(PRODUCTS);
+
+  await expect(searchService.ensureIndex(loadProducts)).rejects.toThrow('数据库连接超时');
+  expect(searchService.isBuilt).toBe(false);
+
+  await expect(searchService.ensureIndex(loadProducts)).resolves.toBe(3);
+  expect(searchService.isBuilt).toBe(true);
+});
@@ -0,0 +1,738 @@
+/**
+ * 店铺员工服务
+ * 店铺主账号邀请员工子账号，员工通过邀请码设置密码激活后登录卖家端；
+ * 员工按店铺角色获得商品、订单、促销、财务、设置模块的权限，角色权限注册到权限管理器中，
+ * 由店铺权限守卫在每个卖家端接口上校验。员工和店主的写操作记录在店铺审计日志中。
+ */
+
+const di = require('@core/di/container');
+const { TransactionManager } = require('../data-access/database/TransactionManager');
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const {
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  AuthorizationError,
+  NotFoundError,
+  TransactionError
+} = require('../exception/handlers/errorHandler');
+const securityUtils = require('../security/securityUtils');
+const permissionManager = require('../security/permission/permissionManager');
+const sellerStaffRepository = require('../repositories/sellerStaffRepository');
+
+// 数据库连接池ID
+const DB_POOL_ID = process.env.DB_POOL_ID || 'default';
+
+// 邀请码有效期（小时）
+const INVITE_TTL_HOURS = parseInt(process.env.SELLER_STAFF_INVITE_HOURS, 10) || 72;
+
+// 员工登录令牌有效期
+const STAFF_TOKEN_EXPIRES_IN = process.env.SELLER_STAFF_TOKEN_EXPIRES_IN || '12h';
+
+// 员工上下文缓存时间（毫秒），禁用员工或调整角色后其他实例最迟在此时间后生效
+const STAFF_CONTEXT_TTL = 30 * 1000;
+
+// 店铺缓存时间（毫秒）
+const SHOP_CACHE_TTL = 5 * 60 * 1000;
+
+// 员工密码最小长度
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * 店铺权限模块
+ */
+const SHOP_PERMISSION = {
+  GOODS: 'goods',         // 商品
+  ORDERS: 'orders',       // 订单
+  PROMOTION: 'promotion', // 促销
+  FINANCE: 'finance',     // 财务
+  SETTINGS: 'settings'    // 设置
+};
+
+/**
+ * 店铺权限模块名称
+ */
+const SHOP_PERMISSION_LABELS = {
+  [SHOP_PERMISSION.GOODS]: '商品',
+  [SHOP_PERMISSION.ORDERS]: '订单',
+  [SHOP_PERMISSION.PROMOTION]: '促销',
+  [SHOP_PERMISSION.FINANCE]: '财务',
+  [SHOP_PERMISSION.SETTINGS]: '设置'
+};
+
+/**
+ * 员工状态
+ */
+const STAFF_STATUS = {
+  INVITED: 'invited',   // 已邀请，未激活
+  ACTIVE: 'active',     // 启用
+  DISABLED: 'disabled'  // 禁用
+};
+
+/**
+ * 店铺权限模块对应的权限标识，如 goods -> shop:goods
+ * @param {string} module - 权限模块
+ * @returns {string} 权限标识
+ */
+function toPermission(module) {
+  return `shop:${module}`;
+}
+
+/**
+ * 店铺角色在权限管理器中的角色名，角色按店铺隔离
+ * @param {string} shopId - 店铺ID
+ * @param {string} roleId - 角色ID
+ * @returns {string} 角色名
+ */
+function shopRoleName(shopId, roleId) {
+  return `shop:${shopId}:role:${roleId}`;
+}
+
+/**
+ * 解析角色权限字段
+ * @param {string|Array} value - JSON字符串或数组
+ * @returns {Array<string>} 权限模块
+ */
+function parsePermissions(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * 邀请码哈希，数据库中不保存邀请码原文
+ * @param {string} token - 邀请码
+ * @returns {string} 哈希
+ */
+function hashInviteToken(token) {
+  return securityUtils.sha256(String(token));
+}
+
+class SellerStaffService {
+  constructor() {
+    this.transactionManager = new TransactionManager({
+      getConnection: () => connectionPoolManager.getConnection(DB_POOL_ID)
+    });
+    // 员工ID -> { context, expiresAt }
+    this.staffContexts = new Map();
+    // 卖家ID -> { shop, expiresAt }
+    this.shopCache = new Map();
+  }
+
+  // 获取logger服务
+  getLogger() {
+    if (!this._logger) {
+      this._logger = di.resolve('logger');
+    }
+    return this._logger;
+  }
+
+  /**
+   * 在事务中执行操作，事务失败时抛出原始业务错误
+   * @param {Function} operation - 操作函数 (connection, transaction) => Promise
+   * @returns {Promise<any>} 操作结果
+   */
+  async runInTransaction(operation) {
+    try {
+      return await this.transactionManager.executeInTransaction(operation);
+    } catch (error) {
+      if (error instanceof TransactionError && error.originalError) {
+        throw error.originalError;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 使用非事务连接执行操作
+   * @param {Function} operation - 操作函数 (connection) => Promise
+   * @returns {Promise<any>} 操作结果
+   */
+  async withConnection(operation) {
+    const connection = await connectionPoolManager.getConnection(DB_POOL_ID);
+    try {
+      return await operation(connection);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 获取所有店铺权限模块
+   * @returns {Array<Object>} [{ key, label }]
+   */
+  getPermissionModules() {
+    return Object.values(SHOP_PERMISSION).map(key => ({ key, label: SHOP_PERMISSION_LABELS[key] }));
+  }
+
+  /**
+   * 校验并规范化角色权限
+   * @param {Array<string>} permissions - 权限模块
+   * @returns {Array<string>} 去重后的权限模块
+   */
+  normalizePermissions(permissions) {
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+      throw new ValidationError('请至少选择一项权限');
+    }
+    const modules = Object.values(SHOP_PERMISSION);
+    const invalid = permissions.filter(permission => !modules.includes(permission));
+    if (invalid.length > 0) {
+      throw new ValidationError(`无效的权限: ${invalid.join(', ')}`);
+    }
+    return modules.filter(module => permissions.includes(module));
+  }
+
+  /**
+   * 将店铺角色的权限注册到权限管理器
+   * @param {string} shopId - 店铺ID
+   * @param {string} roleId - 角色ID
+   * @param {Array<string>} permissions - 权限模块
+   */
+  registerRolePermissions(shopId, roleId, permissions) {
+    permissionManager.setRolePermissions(shopRoleName(shopId, roleId), permissions.map(toPermission));
+  }
+
+  /**
+   * 格式化角色
+   * @param {Object} row - 角色记录
+   * @returns {Object} 角色
+   */
+  formatRole(row) {
+    const permissions = parsePermissions(row.permissions);
+    return {
+      id: row.id,
+      shopId: row.shop_id,
+      name: row.name,
+      description: row.description,
+      permissions,
+      permissionLabels: permissions.map(permission => SHOP_PERMISSION_LABELS[permission]).filter(Boolean),
+      staffCount: row.staff_count !== undefined ? Number(row.staff_count) : undefined,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * 格式化员工，不返回密码和邀请码哈希
+   * @param {Object} row - 员工记录
+   * @returns {Object} 员工
+   */
+  formatStaff(row) {
+    return {
+      id: row.id,
+      shopId: row.shop_id,
+      roleId: row.role_id,
+      roleName: row.role_name,
+      name: row.name,
+      username: row.username,
+      phone: row.phone,
+      status: row.status,
+      inviteExpiresAt: row.invite_expires_at,
+      lastLoginAt: row.last_login_at,
+      disabledAt: row.disabled_at,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * 获取卖家的店铺
+   * @param {string} sellerId - 卖家ID
+   * @returns {Promise<Object|null>} 店铺 { id, seller_id, name }
+   */
+  async getShopBySellerId(sellerId) {
+    const cached = this.shopCache.get(String(sellerId));
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.shop;
+    }
+
+    const shop = await this.withConnection(connection => sellerStaffRepository.getShopBySellerId(connection, sellerId));
+    if (shop) {
+      this.shopCache.set(String(sellerId), { shop, expiresAt: Date.now() + SHOP_CACHE_TTL });
+    }
+    return shop;
+  }
+
+  /**
+   * 获取店铺角色列表
+   * @param {string} shopId - 店铺ID
+   * @returns {Promise<Array>} 角色列表
+   */
+  async getRoles(shopId) {
+    try {
+      const rows = await this.withConnection(connection => sellerStaffRepository.getRoles(connection, shopId));
+      return rows.map(row => this.formatRole(row));
+    } catch (error) {
+      this.getLogger().error('获取店铺角色列表失败', { shopId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建店铺角色
+   * @param {string} shopId - 店铺ID
+   * @param {Object} data - 角色 { name, permissions, description }
+   * @returns {Promise<Object>} 角色
+   */
+  async createRole(shopId, data) {
+    try {
+      const permissions = this.normalizePermissions(data.permissions);
+      const role = await this.withConnection(async (connection) => {
+        const roleId = await sellerStaffRepository.createRole(connection, {
+          shopId,
+          name: data.name,
+          permissions,
+          description: data.description
+        });
+        return sellerStaffRepository.getRole(connection, shopId, roleId);
+      });
+
+      this.registerRolePermissions(shopId, role.id, permissions);
+      this.getLogger().info('创建店铺角色', { shopId, roleId: role.id, permissions });
+      return this.formatRole(role);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new AppError(409, `角色名称已存在: ${data.name}`, 409);
+      }
+      this.getLogger().error('创建店铺角色失败', { shopId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新店铺角色，权限变更对已登录员工立即生效
+   * @param {string} shopId - 店铺ID
+   * @param {string} roleId - 角色ID
+   * @param {Object} data - 角色 { name, permissions, description }
+   * @returns {Promise<Object>} 角色
+   */
+  async updateRole(shopId, roleId, data) {
+    try {
+      const permissions = this.normalizePermissions(data.permissions);
+      const role = await this.withConnection(async (connection) => {
+        const existing = await sellerStaffRepository.getRole(connection, shopId, roleId);
+        if (!existing) {
+          throw new NotFoundError('角色不存在');
+        }
+        await sellerStaffRepository.updateRole(connection, shopId, roleId, {
+          name: data.name || existing.name,
+          permissions,
+          description: data.description !== undefined ? data.description : existing.description
+        });
+        return sellerStaffRepository.getRole(connection, shopId, roleId);
+      });
+
+      this.registerRolePermissions(shopId, roleId, permissions);
+      this.getLogger().info('更新店铺角色', { shopId, roleId, permissions });
+      return this.formatRole(role);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new AppError(409, `角色名称已存在: ${data.name}`, 409);
+      }
+      this.getLogger().error('更新店铺角色失败', { shopId, roleId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除店铺角色，仍有员工使用的角色不能删除
+   * @param {string} shopId - 店铺ID
+   * @param {string} roleId - 角色ID
+   * @returns {Promise<boolean>} 是否删除
+   */
+  async deleteRole(shopId, roleId) {
+    try {
+      await this.withConnection(async (connection) => {
+        const existing = await sellerStaffRepository.getRole(connection, shopId, roleId);
+        if (!existing) {
+          throw new NotFoundError('角色不存在');
+        }
+        const deleted = await sellerStaffRepository.deleteUnusedRole(connection, shopId, roleId);
+        if (!deleted) {
+          throw new AppError(409, '该角色下还有员工，请先调整员工角色', 409);
+        }
+      });
+
+      permissionManager.removeRole(shopRoleName(shopId, roleId));
+      this.getLogger().info('删除店铺角色', { shopId, roleId });
+      return true;
+    } catch (error) {
+      this.getLogger().error('删除店铺角色失败', { shopId, roleId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取店铺员工列表
+   * @param {string} shopId - 店铺ID
+   * @param {Object} filters - 筛选条件 { status, roleId }
+   * @returns {Promise<Array>} 员工列表
+   */
+  async getStaffList(shopId, filters = {}) {
+    try {
+      const rows = await this.withConnection(connection => sellerStaffRepository.getStaffList(connection, shopId, filters));
+      return rows.map(row => this.formatStaff(row));
+    } catch (error) {
+      this.getLogger().error('获取店铺员工列表失败', { shopId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 生成邀请码
+   * @returns {Object} { token, tokenHash, expiresAt }
+   */
+  createInvitation() {
+    const token = securityUtils.generateRandomString(24);
+    return {
+      token,
+      tokenHash: hashInviteToken(token),
+      expiresAt: new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000)
+    };
+  }
+
+  /**
+   * 邀请员工：创建未激活的子账号并生成邀请码，员工凭邀请码设置密码后激活
+   * @param {string} shopId - 店铺ID
+   * @param {Object} data - 员工 { name, username, phone, roleId }
+   * @param {Object} operator - 操作人 { staffId, name }
+   * @returns {Promise<Object>} { staff, inviteToken, expiresAt }
+   */
+  async inviteStaff(shopId, data, operator = {}) {
+    try {
+      const invitation = this.createInvitation();
+      const staff = await this.withConnection(async (connection) => {
+        const role = await sellerStaffRepository.getRole(connection, shopId, data.roleId);
+        if (!role) {
+          throw new ValidationError('角色不存在');
+        }
+        const existing = await sellerStaffRepository.getStaffByUsername(connection, data.username);
+        if (existing) {
+          throw new AppError(409, `登录账号已被使用: ${data.username}`, 409);
+        }
+
+        const staffId = await sellerStaffRepository.createStaff(connection, {
+          shopId,
+          roleId: role.id,
+          name: data.name,
+          username: data.username,
+          phone: data.phone,
+          inviteTokenHash: invitation.tokenHash,
+          inviteExpiresAt: invitation.expiresAt,
+          invitedBy: operator.staffId
+        });
+        return sellerStaffRepository.getStaffById(connection, staffId);
+      });
+
+      this.getLogger().info('邀请店铺员工', { shopId, staffId: staff.id, roleId: data.roleId });
+      return { staff: this.formatStaff(staff), inviteToken: invitation.token, expiresAt: invitation.expiresAt };
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new AppError(409, `登录账号已被使用: ${data.username}`, 409);
+      }
+      this.getLogger().error('邀请店铺员工失败', { shopId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 重新生成邀请码（原邀请码作废），仅未激活的员工可用
+   * @param {string} shopId - 店铺ID
+   * @param {string} staffId - 员工ID
+   * @returns {Promise<Object>} { inviteToken, expiresAt }
+   */
+  async reinviteStaff(shopId, staffId) {
+    try {
+      const invitation = this.createInvitation();
+      const updated = await this.withConnection(connection =>
+        sellerStaffRepository.resetInvitation(connection, shopId, staffId, invitation.tokenHash, invitation.expiresAt));
+      if (!updated) {
+        throw new AppError(409, '员工不存在或已激活', 409);
+      }
+
+      this.getLogger().info('重新邀请店铺员工', { shopId, staffId });
+      return { inviteToken: invitation.token, expiresAt: invitation.expiresAt };
+    } catch (error) {
+      this.getLogger().error('重新邀请店铺员工失败', { shopId, staffId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 接受邀请：设置密码并激活账号
+   * @param {string} token - 邀请码
+   * @param {string} password - 密码
+   * @returns {Promise<Object>} 员工
+   */
+  async acceptInvitation(token, password) {
+    try {
+      if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+        throw new ValidationError(`密码长度不能少于${MIN_PASSWORD_LENGTH}位`);
+      }
+
+      const staffId = await this.runInTransaction(async (connection) => {
+        const staff = await sellerStaffRepository.lockStaffByInviteToken(connection, hashInviteToken(token));
+        if (!staff || staff.status !== STAFF_STATUS.INVITED) {
+          throw new ValidationError('邀请码无效');
+        }
+        if (new Date(staff.invite_expires_at).getTime() < Date.now()) {
+          throw new ValidationError('邀请码已过期，请联系店主重新邀请');
+        }
+
+        await sellerStaffRepository.activateStaff(connection, staff.id, securityUtils.hashPassword(String(password)));
+        return staff.id;
+      });
+
+      const staff = await this.withConnection(connection => sellerStaffRepository.getStaffById(connection, staffId));
+      this.getLogger().info('店铺员工已激活', { shopId: staff.shop_id, staffId });
+      return this.formatStaff(staff);
+    } catch (error) {
+      this.getLogger().error('接受员工邀请失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 员工登录
+   * @param {string} username - 登录账号
+   * @param {string} password - 密码
+   * @returns {Promise<Object>} { token, staff, permissions }
+   */
+  async login(username, password) {
+    try {
+      const account = await this.withConnection(connection => sellerStaffRepository.getStaffByUsername(connection, username));
+      if (!account || !account.password_hash || !securityUtils.verifyPassword(String(password), account.password_hash)) {
+        throw new AuthenticationError('账号或密码错误');
+      }
+      if (account.status === STAFF_STATUS.DISABLED) {
+        throw new AuthorizationError('账号已被禁用，请联系店主');
+      }
+      if (account.status !== STAFF_STATUS.ACTIVE) {
+        throw new AuthenticationError('账号未激活，请先接受邀请设置密码');
+      }
+
+      const context = await this.getStaffContext(account.id, { refresh: true });
+      await this.withConnection(connection => sellerStaffRepository.touchLogin(connection, account.id));
+
+      const token = securityUtils.generateToken({
+        id: context.sellerId,
+        sellerId: context.sellerId,
+        shopId: context.shopId,
+        staffId: context.staffId,
+        staffName: context.name,
+        role: permissionManager.defaultRoles.SELLER_STAFF
+      }, STAFF_TOKEN_EXPIRES_IN);
+
+      this.getLogger().info('店铺员工登录', { shopId: context.shopId, staffId: context.staffId });
+      return {
+        token,
+        staff: {
+          id: context.staffId,
+          name: context.name,
+          username: account.username,
+          shopId: context.shopId,
+          roleId: context.roleId,
+          roleName: context.roleName
+        },
+        permissions: context.permissions
+      };
+    } catch (error) {
+      this.getLogger().warn('店铺员工登录失败', { username, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新员工资料或角色
+   * @param {string} shopId - 店铺ID
+   * @param {string} staffId - 员工ID
+   * @param {Object} data - { name, phone, roleId }
+   * @returns {Promise<Object>} 员工
+   */
+  async updateStaff(shopId, staffId, data) {
+    try {
+      const staff = await this.withConnection(async (connection) => {
+        if (data.roleId !== undefined) {
+          const role = await sellerStaffRepository.getRole(connection, shopId, data.roleId);
+          if (!role) {
+            throw new ValidationError('角色不存在');
+          }
+        }
+        const updated = await sellerStaffRepository.updateStaff(connection, shopId, staffId, data);
+        if (!updated) {
+          throw new NotFoundError('员工不存在');
+        }
+        return sellerStaffRepository.getStaffById(connection, staffId);
+      });
+
+      this.invalidateStaff(staffId);
+      this.getLogger().info('更新店铺员工', { shopId, staffId, roleId: data.roleId });
+      return this.formatStaff(staff);
+    } catch (error) {
+      this.getLogger().error('更新店铺员工失败', { shopId, staffId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 禁用员工，已登录的员工下次请求即被拒绝
+   * @param {string} shopId - 店铺ID
+   * @param {string} staffId - 员工ID
+   * @param {Object} operator - 操作人 { staffId }
+   * @returns {Promise<boolean>} 是否禁用
+   */
+  async disableStaff(shopId, staffId, operator = {}) {
+    try {
+      if (operator.staffId && String(operator.staffId) === String(staffId)) {
+        throw new ValidationError('不能禁用自己的账号');
+      }
+
+      const disabled = await this.withConnection(async (connection) => {
+        const active = await sellerStaffRepository.updateStaffStatus(connection, shopId, staffId, STAFF_STATUS.ACTIVE, STAFF_STATUS.DISABLED);
+        return active || sellerStaffRepository.updateStaffStatus(connection, shopId, staffId, STAFF_STATUS.INVITED, STAFF_STATUS.DISABLED);
+      });
+      if (!disabled) {
+        throw new AppError(409, '员工不存在或已禁用', 409);
+      }
+
+      this.invalidateStaff(staffId);
+      this.getLogger().info('禁用店铺员工', { shopId, staffId });
+      return true;
+    } catch (error) {
+      this.getLogger().error('禁用店铺员工失败', { shopId, staffId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 启用员工：已设置密码的恢复为启用，未激活的恢复为待激活
+   * @param {string} shopId - 店铺ID
+   * @param {string} staffId - 员工ID
+   * @returns {Promise<Object>} 员工
+   */
+  async enableStaff(shopId, staffId) {
+    try {
+      const staff = await this.withConnection(async (connection) => {
+        const existing = await sellerStaffRepository.getStaffById(connection, staffId);
+        if (!existing || String(existing.shop_id) !== String(shopId)) {
+          throw new NotFoundError('员工不存在');
+        }
+        const toStatus = existing.password_hash ? STAFF_STATUS.ACTIVE : STAFF_STATUS.INVITED;
+        const enabled = await sellerStaffRepository.updateStaffStatus(connection, shopId, staffId, STAFF_STATUS.DISABLED, toStatus);
+        if (!enabled) {
+          throw new AppError(409, '员工未被禁用', 409);
+        }
+        return sellerStaffRepository.getStaffById(connection, staffId);
+      });
+
+      this.invalidateStaff(staffId);
+      this.getLogger().info('启用店铺员工', { shopId, staffId });
+      return this.formatStaff(staff);
+    } catch (error) {
+      this.getLogger().error('启用店铺员工失败', { shopId, staffId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取员工权限上下文（短时缓存），并将其角色权限注册到权限管理器
+   * @param {string} staffId - 员工ID
+   * @param {Object} options - { refresh: 是否跳过缓存 }
+   * @returns {Promise<Object|null>} { staffId, name, shopId, sellerId, status, roleId, roleName, roleKey, permissions }
+   */
+  async getStaffContext(staffId, { refresh = false } = {}) {
+    const cached = this.staffContexts.get(String(staffId));
+    if (!refresh && cached && cached.expiresAt > Date.now()) {
+      return cached.context;
+    }
+
+    const staff = await this.withConnection(connection => sellerStaffRepository.getStaffById(connection, staffId));
+    if (!staff) {
+      this.staffContexts.delete(String(staffId));
+      return null;
+    }
+
+    // 角色被删除时 role_permissions 为空，员工没有任何权限
+    const permissions = staff.role_name ? parsePermissions(staff.role_permissions) : [];
+    const roleKey = shopRoleName(staff.shop_id, staff.role_id);
+    permissionManager.setRolePermissions(roleKey, permissions.map(toPermission));
+
+    const context = {
+      staffId: staff.id,
+      name: staff.name,
+      shopId: staff.shop_id,
+      sellerId: staff.seller_id,
+      status: staff.status,
+      roleId: staff.role_id,
+      roleName: staff.role_name,
+      roleKey,
+      permissions
+    };
+    this.staffContexts.set(String(staffId), { context, expiresAt: Date.now() + STAFF_CONTEXT_TTL });
+    return context;
+  }
+
+  /**
+   * 清除员工上下文缓存
+   * @param {string} staffId - 员工ID
+   */
+  invalidateStaff(staffId) {
+    this.staffContexts.delete(String(staffId));
+  }
+
+  /**
+   * 记录店铺操作审计日志
+   * @param {Object} log - { shopId, staffId, operatorName, action, method, path, targetId, statusCode, ip, detail }
+   * @returns {Promise<void>}
+   */
+  async recordAudit(log) {
+    try {
+      await this.withConnection(connection => sellerStaffRepository.createAuditLog(connection, log));
+    } catch (error) {
+      this.getLogger().error('记录店铺审计日志失败', { shopId: log.shopId, action: log.action, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 查询店铺审计日志
+   * @param {string} shopId - 店铺ID
+   * @param {Object} filters - { staffId, action, startDate, endDate, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getAuditLogs(shopId, filters = {}) {
+    try {
+      const result = await this.withConnection(connection => sellerStaffRepository.getAuditLogs(connection, shopId, filters));
+      return {
+        ...result,
+        list: result.list.map(row => ({
+          id: row.id,
+          staffId: row.staff_id,
+          operatorName: row.operator_name,
+          action: row.action,
+          method: row.method,
+          path: row.path,
+          targetId: row.target_id,
+          statusCode: row.status_code,
+          ip: row.ip,
+          detail: row.detail && typeof row.detail === 'string' ? JSON.parse(row.detail) : row.detail,
+          createdAt: row.created_at
+        }))
+      };
+    } catch (error) {
+      this.getLogger().error('查询店铺审计日志失败', { shopId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+const sellerStaffService = new SellerStaffService();
+module.exports = sellerStaffService;
+module.exports.SHOP_PERMISSION = SHOP_PERMISSION;
+module.exports.STAFF_STATUS = STAFF_STATUS;
+module.exports.toPermission = toPermission;
@@ -0,0 +1,153 @@
+/**
+ * 店铺员工服务测试
+ */
+
+jest.mock('@core/di/container', () => ({
+  resolve: () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() })
+}), { virtual: true });
+jest.mock('../data-access/database/TransactionManager', () => ({
+  TransactionManager: jest.fn().mockImplementation(() => ({
+    executeInTransaction: jest.fn()
+  }))
+}));
+jest.mock('../data-access/database/ConnectionPoolManager', () => ({
+  connectionPoolManager: { getConnection: jest.fn() }
+}));
+jest.mock('../repositories/sellerStaffRepository', () => ({
+  lockStaffByInviteToken: jest.fn(),
+  activateStaff: jest.fn(),
+  getStaffById: jest.fn(),
+  getStaffByUsername: jest.fn(),
+  touchLogin: jest.fn()
+}));
+
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const { AuthorizationError, ValidationError } = require('../exception/handlers/errorHandler');
+const securityUtils = require('../security/securityUtils');
+const permissionManager = require('../security/permission/permissionManager');
+const sellerStaffRepository = require('../repositories/sellerStaffRepository');
+const sellerStaffService = require('./sellerStaffService');
+
+const { STAFF_STATUS } = sellerStaffService;
+
+const connection = { query: jest.fn(), release: jest.fn() };
+
+/**
+ * 构建员工记录
+ * @param {Object} overrides - 覆盖字段
+ * @returns {Object} 员工记录
+ */
+function makeStaff(overrides) {
+  return {
+    id: 7,
+    shop_id: 3,
+    seller_id: 30,
+    role_id: 2,
+    role_name: '客服',
+    role_permissions: '["orders","goods"]',
+    name: '小王',
+    username: 'wang',
+    status: STAFF_STATUS.ACTIVE,
+    password_hash: securityUtils.hashPassword('password123'),
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  sellerStaffService.staffContexts.clear();
+  sellerStaffService.transactionManager.executeInTransaction.mockImplementation(operation => operation(connection, {}));
+  connectionPoolManager.getConnection.mockResolvedValue(connection);
+});
+
+describe('normalizePermissions', () => {
+  test('去重并按权限模块顺序排列', () => {
+    expect(sellerStaffService.normalizePermissions(['orders', 'goods', 'orders'])).toEqual(['goods', 'orders']);
+  });
+
+  test('包含无效权限时报错', () => {
+    expect(() => sellerStaffService.normalizePermissions(['goods', 'admin'])).toThrow('无效的权限: admin');
+    expect(() => sellerStaffService.normalizePermissions([])).toThrow(ValidationError);
+  });
+});
+
+describe('acceptInvitation', () => {
+  test('按邀请码哈希查找员工，设置密码后激活', async () => {
+    const { token, tokenHash } = sellerStaffService.createInvitation();
+    sellerStaffRepository.lockStaffByInviteToken.mockResolvedValue(makeStaff({
+      status: STAFF_STATUS.INVITED,
+      invite_expires_at: new Date(Date.now() + 60 * 1000)
+    }));
+    sellerStaffRepository.getStaffById.mockResolvedValue(makeStaff());
+
+    const staff = await sellerStaffService.acceptInvitation(token, 'password123');
+
+    expect(sellerStaffRepository.lockStaffByInviteToken).toHaveBeenCalledWith(connection, tokenHash);
+    const [, staffId, passwordHash] = sellerStaffRepository.activateStaff.mock.calls[0];
+    expect(staffId).toBe(7);
+    expect(securityUtils.verifyPassword('password123', passwordHash)).toBe(true);
+    expect(staff).toMatchObject({ id: 7, status: STAFF_STATUS.ACTIVE });
+  });
+
+  test('邀请码过期时不激活', async () => {
+    sellerStaffRepository.lockStaffByInviteToken.mockResolvedValue(makeStaff({
+      status: STAFF_STATUS.INVITED,
+      invite_expires_at: new Date(Date.now() - 1000)
+    }));
+
+    await expect(sellerStaffService.acceptInvitation('token', 'password123')).rejects.toThrow('邀请码已过期');
+    expect(sellerStaffRepository.activateStaff).not.toHaveBeenCalled();
+  });
+
+  test('密码过短时报错', async () => {
+    await expect(sellerStaffService.acceptInvitation('token', 'short')).rejects.toThrow('密码长度不能少于8位');
+  });
+});
+
+describe('login', () => {
+  test('登录后按店铺角色注册权限并签发员工令牌', async () => {
+    sellerStaffRepository.getStaffByUsername.mockResolvedValue(makeStaff());
+    sellerStaffRepository.getStaffById.mockResolvedValue(makeStaff());
+
+    const result = await sellerStaffService.login('wang', 'password123');
+
+    expect(result.permissions).toEqual(['orders', 'goods']);
+    expect(securityUtils.verifyToken(result.token)).toMatchObject({
+      sellerId: 30, shopId: 3, staffId: 7, role: permissionManager.defaultRoles.SELLER_STAFF
+    });
+    expect(permissionManager.hasPermission('shop:3:role:2', 'shop:orders')).toBe(true);
+    expect(permissionManager.hasPermission('shop:3:role:2', 'shop:finance')).toBe(false);
+    expect(sellerStaffRepository.touchLogin).toHaveBeenCalledWith(connection, 7);
+  });
+
+  test('员工已禁用时拒绝登录', async () => {
+    sellerStaffRepository.getStaffByUsername.mockResolvedValue(makeStaff({ status: STAFF_STATUS.DISABLED }));
+
+    await expect(sellerStaffService.login('wang', 'password123')).rejects.toBeInstanceOf(AuthorizationError);
+  });
+
+  test('密码错误时拒绝登录', async () => {
+    sellerStaffRepository.getStaffByUsername.mockResolvedValue(makeStaff());
+
+    await expect(sellerStaffService.login('wang', 'wrong-password')).rejects.toThrow('账号或密码错误');
+  });
+});
+
+describe('getStaffContext', () => {
+  test('角色被删除时员工没有任何权限', async () => {
+    sellerStaffRepository.getStaffById.mockResolvedValue(makeStaff({ role_name: null, role_permissions: null }));
+
+    const context = await sellerStaffService.getStaffContext(7);
+
+    expect(context.permissions).toEqual([]);
+  });
+
+  test('缓存有效期内不重复查询员工', async () => {
+    sellerStaffRepository.getStaffById.mockResolvedValue(makeStaff());
+
+    await sellerStaffService.getStaffContext(7);
+    await sellerStaffService.getStaffContext(7);
+
+    expect(sellerStaffRepository.getStaffById).toHaveBeenCalledTimes(1);
+  });
+});
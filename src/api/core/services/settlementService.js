@@ -0,0 +1,989 @@
+/**
+ * 卖家结算服务
+ * 按结算周期（T+N、每周、每月）为卖家生成结算单：
+ * - 已完成的订单按商品分类扣除平台佣金后计入结算金额
+ * - 订单结算后发生的退款在下一期结算单中冲减退款金额，并按原佣金比例退还佣金
+ * - 结算金额为负的结算单直接结转，在下一期结算单中抵扣
+ * 结算单经平台审核后打款：pending（待审核）→ approved（待打款）→ paid（已打款）
+ */
+
+const di = require('@core/di/container');
+const { TransactionManager } = require('../data-access/database/TransactionManager');
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const { AppError, NotFoundError, ValidationError, TransactionError } = require('../exception/handlers/errorHandler');
+const settlementRepository = require('../repositories/settlementRepository');
+
+// 数据库连接池ID
+const DB_POOL_ID = process.env.DB_POOL_ID || 'default';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 结算周期类型
+ */
+const CYCLE_TYPE = {
+  T_PLUS_N: 't_plus_n', // 订单完成 N 天后每日结算
+  WEEKLY: 'weekly',     // 每周 settleDay（1-7，周一至周日）结算
+  MONTHLY: 'monthly'    // 每月 settleDay（1-28）日结算
+};
+
+/**
+ * 结算单状态
+ */
+const BILL_STATUS = {
+  PENDING: 'pending',          // 待审核
+  APPROVED: 'approved',        // 待打款
+  PAID: 'paid',                // 已打款
+  CARRIED_OVER: 'carried_over' // 结算金额为负，结转下期抵扣
+};
+
+const BILL_STATUS_TEXT = {
+  [BILL_STATUS.PENDING]: '待审核',
+  [BILL_STATUS.APPROVED]: '待打款',
+  [BILL_STATUS.PAID]: '已打款',
+  [BILL_STATUS.CARRIED_OVER]: '已结转'
+};
+
+/**
+ * 结算明细类型
+ */
+const ITEM_TYPE = {
+  ORDER: 'order',          // 订单结算
+  REFUND: 'refund',        // 退款冲减
+  CARRY_OVER: 'carry_over' // 上期结转
+};
+
+const ITEM_TYPE_TEXT = {
+  [ITEM_TYPE.ORDER]: '订单结算',
+  [ITEM_TYPE.REFUND]: '退款冲减',
+  [ITEM_TYPE.CARRY_OVER]: '上期结转'
+};
+
+/**
+ * 平台默认结算配置（未在 settlement_configs 中配置时使用）
+ */
+const DEFAULT_CONFIG = {
+  cycleType: process.env.SETTLEMENT_CYCLE || CYCLE_TYPE.T_PLUS_N,
+  cycleDays: parseInt(process.env.SETTLEMENT_CYCLE_DAYS || '7', 10),
+  settleDay: parseInt(process.env.SETTLEMENT_SETTLE_DAY || '1', 10)
+};
+
+// 平台默认佣金比例（未配置分类佣金时使用）
+const DEFAULT_COMMISSION_RATE = parseFloat(process.env.SETTLEMENT_COMMISSION_RATE || '0.05');
+
+/**
+ * 元转分
+ * @param {number|string} amount - 金额（元）
+ * @returns {number} 金额（分）
+ */
+function toCents(amount) {
+  return Math.round(Number(amount || 0) * 100);
+}
+
+/**
+ * 分转元
+ * @param {number} cents - 金额（分）
+ * @returns {number} 金额（元）
+ */
+function toYuan(cents) {
+  return Number((cents / 100).toFixed(2));
+}
+
+/**
+ * 获取当天零点
+ * @param {Date} date - 时间
+ * @returns {Date} 当天零点
+ */
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * 格式化日期为 YYYY-MM-DD
+ * @param {Date|string} date - 日期
+ * @returns {string|null} 日期字符串
+ */
+function formatDate(date) {
+  if (!date) {
+    return null;
+  }
+  const value = new Date(date);
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${value.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * 解析 JSON 字段
+ * @param {string|Object} value - 字段值
+ * @returns {Object} 解析结果
+ */
+function parseJson(value) {
+  if (!value) {
+    return {};
+  }
+  if (typeof value === 'object') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * 生成 CSV 内容（带 BOM，便于 Excel 正确识别中文）
+ * @param {Array} headers - 表头
+ * @param {Array} rows - 数据行
+ * @returns {string} CSV 内容
+ */
+function toCsv(headers, rows) {
+  const escape = (value) => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [headers, ...rows].map(row => row.map(escape).join(','));
+  return `\ufeff${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * 格式化结算周期配置
+ * @param {Object|null} row - 配置记录
+ * @returns {Object} 结算周期配置
+ */
+function formatConfig(row) {
+  if (!row) {
+    return { sellerId: '0', ...DEFAULT_CONFIG, isDefault: true };
+  }
+  return {
+    sellerId: String(row.seller_id),
+    shopName: row.shop_name,
+    cycleType: row.cycle_type,
+    cycleDays: Number(row.cycle_days),
+    settleDay: Number(row.settle_day),
+    isDefault: String(row.seller_id) === '0',
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * 格式化结算单
+ * @param {Object} row - 结算单记录
+ * @param {Array} [items] - 结算明细记录
+ * @returns {Object} 结算单
+ */
+function formatBill(row, items = null) {
+  // period_end 为结算截止时间（不含），账期展示到截止前一天
+  const periodEnd = formatDate(new Date(new Date(row.period_end).getTime() - DAY_MS));
+  const bill = {
+    id: row.id,
+    billNo: row.bill_no,
+    sellerId: String(row.seller_id),
+    shopId: row.shop_id,
+    shopName: row.shop_name,
+    cycleType: row.cycle_type,
+    periodStart: row.period_start,
+    periodEnd: row.period_end,
+    period: `${formatDate(row.period_start)} 至 ${periodEnd}`,
+    orderCount: Number(row.order_count),
+    orderAmount: Number(row.order_amount),
+    commissionAmount: Number(row.commission_amount),
+    refundAmount: Number(row.refund_amount),
+    refundCommissionAmount: Number(row.refund_commission_amount),
+    carryOverAmount: Number(row.carry_over_amount),
+    settleAmount: Number(row.settle_amount),
+    status: row.status,
+    statusText: BILL_STATUS_TEXT[row.status] || row.status,
+    approvedBy: row.approved_by,
+    approvedAt: row.approved_at,
+    paidBy: row.paid_by,
+    paidAt: row.paid_at,
+    payoutChannel: row.payout_channel,
+    payoutReference: row.payout_reference,
+    remark: row.remark,
+    createdAt: row.created_at
+  };
+
+  if (items) {
+    bill.items = items.map(formatItem);
+  }
+  return bill;
+}
+
+/**
+ * 格式化结算明细
+ * @param {Object} row - 结算明细记录
+ * @returns {Object} 结算明细
+ */
+function formatItem(row) {
+  return {
+    id: row.id,
+    itemType: row.item_type,
+    itemTypeText: ITEM_TYPE_TEXT[row.item_type] || row.item_type,
+    refId: String(row.ref_id),
+    orderId: row.order_id ? String(row.order_id) : null,
+    orderNo: row.order_no,
+    amount: Number(row.amount),
+    commissionRate: Number(row.commission_rate),
+    commissionAmount: Number(row.commission_amount),
+    settleAmount: Number(row.settle_amount),
+    occurredAt: row.occurred_at,
+    detail: parseJson(row.detail),
+    billNo: row.bill_no,
+    billStatus: row.bill_status
+  };
+}
+
+class SettlementService {
+  constructor() {
+    this.defaultCommissionRate = DEFAULT_COMMISSION_RATE;
+    this.transactionManager = new TransactionManager({
+      getConnection: () => connectionPoolManager.getConnection(DB_POOL_ID)
+    });
+  }
+
+  // 获取logger服务
+  getLogger() {
+    if (!this._logger) {
+      this._logger = di.resolve('logger');
+    }
+    return this._logger;
+  }
+
+  /**
+   * 在结算事务中执行操作，事务失败时抛出原始业务错误
+   * @param {Function} operation - 操作函数 (connection, transaction) => Promise
+   * @returns {Promise<any>} 操作结果
+   */
+  async runInTransaction(operation) {
+    try {
+      return await this.transactionManager.executeInTransaction(operation);
+    } catch (error) {
+      if (error instanceof TransactionError && error.originalError) {
+        throw error.originalError;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 使用非事务连接执行只读查询
+   * @param {Function} operation - 操作函数 (connection) => Promise
+   * @returns {Promise<any>} 查询结果
+   */
+  async withConnection(operation) {
+    const connection = await connectionPoolManager.getConnection(DB_POOL_ID);
+    try {
+      return await operation(connection);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 校验并规范化结算周期配置
+   * @param {Object} config - 配置
+   * @returns {Object} { cycleType, cycleDays, settleDay }
+   */
+  normalizeConfig(config) {
+    const cycleType = config.cycleType;
+    if (!Object.values(CYCLE_TYPE).includes(cycleType)) {
+      throw new ValidationError(`无效的结算周期: ${cycleType}`);
+    }
+
+    const cycleDays = parseInt(config.cycleDays === undefined ? 0 : config.cycleDays, 10);
+    const settleDay = parseInt(config.settleDay === undefined ? 1 : config.settleDay, 10);
+    if (cycleType === CYCLE_TYPE.T_PLUS_N && (isNaN(cycleDays) || cycleDays < 0 || cycleDays > 90)) {
+      throw new ValidationError('T+N 结算的天数须在 0-90 之间');
+    }
+    if (cycleType === CYCLE_TYPE.WEEKLY && (isNaN(settleDay) || settleDay < 1 || settleDay > 7)) {
+      throw new ValidationError('每周结算日须在 1-7（周一至周日）之间');
+    }
+    if (cycleType === CYCLE_TYPE.MONTHLY && (isNaN(settleDay) || settleDay < 1 || settleDay > 28)) {
+      throw new ValidationError('每月结算日须在 1-28 之间');
+    }
+
+    return {
+      cycleType,
+      cycleDays: cycleType === CYCLE_TYPE.T_PLUS_N ? cycleDays : 0,
+      settleDay: cycleType === CYCLE_TYPE.T_PLUS_N ? 1 : settleDay
+    };
+  }
+
+  /**
+   * 获取卖家的结算周期配置
+   * @param {string} sellerId - 卖家ID
+   * @returns {Promise<Object>} 结算周期配置
+   */
+  async getConfig(sellerId) {
+    try {
+      const row = await this.withConnection(connection => settlementRepository.getConfig(connection, sellerId));
+      return formatConfig(row);
+    } catch (error) {
+      this.getLogger().error('获取结算周期配置失败', { sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取平台默认配置和单独配置了结算周期的卖家
+   * @returns {Promise<Object>} { default, sellers }
+   */
+  async getConfigs() {
+    try {
+      const rows = await this.withConnection(connection => settlementRepository.getConfigs(connection));
+      const platformRow = rows.find(row => String(row.seller_id) === '0');
+      return {
+        default: formatConfig(platformRow || null),
+        sellers: rows.filter(row => String(row.seller_id) !== '0').map(formatConfig)
+      };
+    } catch (error) {
+      this.getLogger().error('获取结算周期配置列表失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 保存结算周期配置
+   * @param {Object} data - 配置
+   * @param {string} [data.sellerId] - 卖家ID，为空时设置平台默认配置
+   * @param {string} data.cycleType - 结算周期类型
+   * @param {number} [data.cycleDays] - T+N 的天数
+   * @param {number} [data.settleDay] - 每周或每月的结算日
+   * @param {Object} operator - 操作人 { id }
+   * @returns {Promise<Object>} 保存后的配置
+   */
+  async saveConfig(data, operator) {
+    try {
+      const config = this.normalizeConfig(data);
+      const sellerId = data.sellerId ? String(data.sellerId) : '0';
+      await this.withConnection(connection => settlementRepository.saveConfig(connection, {
+        sellerId,
+        ...config,
+        updatedBy: operator.id
+      }));
+
+      this.getLogger().info('结算周期配置已更新', { sellerId, ...config, operatorId: operator.id });
+      return { sellerId, ...config, isDefault: sellerId === '0' };
+    } catch (error) {
+      this.getLogger().error('保存结算周期配置失败', { sellerId: data.sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除卖家的结算周期配置，恢复使用平台默认配置
+   * @param {string} sellerId - 卖家ID
+   * @returns {Promise<void>}
+   */
+  async deleteConfig(sellerId) {
+    try {
+      const deleted = await this.withConnection(connection => settlementRepository.deleteConfig(connection, sellerId));
+      if (!deleted) {
+        throw new NotFoundError('该卖家未单独配置结算周期');
+      }
+    } catch (error) {
+      this.getLogger().error('删除结算周期配置失败', { sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取分类佣金比例
+   * @returns {Promise<Object>} { defaultRate, rates }
+   */
+  async getCommissionRates() {
+    try {
+      const rows = await this.withConnection(connection => settlementRepository.getCommissionRates(connection));
+      return {
+        defaultRate: this.defaultCommissionRate,
+        rates: rows.map(row => ({
+          categoryId: String(row.category_id),
+          categoryName: row.category_name,
+          parentId: row.parent_id ? String(row.parent_id) : null,
+          rate: Number(row.rate),
+          updatedAt: row.updated_at
+        }))
+      };
+    } catch (error) {
+      this.getLogger().error('获取分类佣金比例失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 设置分类佣金比例，对之后生成的结算单生效
+   * @param {string} categoryId - 分类ID
+   * @param {number} rate - 佣金比例（0-1）
+   * @param {Object} operator - 操作人 { id }
+   * @returns {Promise<Object>} { categoryId, rate }
+   */
+  async setCommissionRate(categoryId, rate, operator) {
+    try {
+      const value = Number(rate);
+      if (isNaN(value) || value < 0 || value >= 1) {
+        throw new ValidationError('佣金比例须在 0 到 1 之间');
+      }
+      await this.withConnection(connection => settlementRepository.saveCommissionRate(connection, categoryId, value, operator.id));
+
+      this.getLogger().info('分类佣金比例已更新', { categoryId, rate: value, operatorId: operator.id });
+      return { categoryId: String(categoryId), rate: value };
+    } catch (error) {
+      this.getLogger().error('设置分类佣金比例失败', { categoryId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 删除分类佣金比例
+   * @param {string} categoryId - 分类ID
+   * @returns {Promise<void>}
+   */
+  async deleteCommissionRate(categoryId) {
+    try {
+      const deleted = await this.withConnection(connection => settlementRepository.deleteCommissionRate(connection, categoryId));
+      if (!deleted) {
+        throw new NotFoundError('该分类未配置佣金比例');
+      }
+    } catch (error) {
+      this.getLogger().error('删除分类佣金比例失败', { categoryId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 加载分类佣金比例查询函数：分类未配置时沿用最近的上级分类，都未配置时使用平台默认比例
+   * @param {Object} connection - 数据库连接
+   * @returns {Promise<Function>} (categoryId) => rate
+   */
+  async loadCommissionResolver(connection) {
+    const [rateRows, categoryRows] = await Promise.all([
+      settlementRepository.getCommissionRates(connection),
+      settlementRepository.getCategoryParents(connection)
+    ]);
+    const rates = new Map(rateRows.map(row => [String(row.category_id), Number(row.rate)]));
+    const parents = new Map(categoryRows.map(row => [String(row.id), row.parent_id ? String(row.parent_id) : null]));
+
+    return (categoryId) => {
+      const visited = new Set();
+      let current = categoryId === null || categoryId === undefined ? null : String(categoryId);
+      while (current && !visited.has(current)) {
+        if (rates.has(current)) {
+          return rates.get(current);
+        }
+        visited.add(current);
+        current = parents.get(current) || null;
+      }
+      return this.defaultCommissionRate;
+    };
+  }
+
+  /**
+   * 计算结算截止时间，当天不是结算日时返回 null
+   * @param {Object} config - 结算周期配置
+   * @param {Date} now - 当前时间
+   * @returns {Date|null} 截止时间（不含）
+   */
+  getCutoff(config, now) {
+    const today = startOfDay(now);
+    switch (config.cycleType) {
+      case CYCLE_TYPE.T_PLUS_N:
+        return new Date(today.getTime() - config.cycleDays * DAY_MS);
+      case CYCLE_TYPE.WEEKLY:
+        return (today.getDay() || 7) === config.settleDay ? today : null;
+      case CYCLE_TYPE.MONTHLY:
+        return today.getDate() === config.settleDay ? today : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 为到达结算日的卖家生成结算单，由结算定时任务每日调用
+   * @param {Date} [now] - 当前时间
+   * @returns {Promise<Object>} { sellers, bills, failed }
+   */
+  async runDueSettlements(now = new Date()) {
+    const sellerIds = await this.withConnection(connection =>
+      settlementRepository.getSellersWithUnsettled(connection, startOfDay(now))
+    );
+
+    let bills = 0;
+    let failed = 0;
+    for (const sellerId of sellerIds) {
+      try {
+        const config = await this.getConfig(sellerId);
+        const cutoff = this.getCutoff(config, now);
+        if (!cutoff) {
+          continue;
+        }
+        const bill = await this.generateBill(sellerId, { cutoff, cycleType: config.cycleType });
+        if (bill) {
+          bills++;
+        }
+      } catch (error) {
+        // 单个卖家结算失败不影响其他卖家，下次执行时重试
+        failed++;
+        this.getLogger().error('生成卖家结算单失败', { sellerId, error: error.message });
+      }
+    }
+
+    return { sellers: sellerIds.length, bills, failed };
+  }
+
+  /**
+   * 计算订单的结算明细：按商品分类佣金比例对商品金额加权，得到订单的佣金比例
+   * @param {Object} order - 订单记录
+   * @param {Array} lines - 订单商品行
+   * @param {Function} resolveRate - 分类佣金比例查询函数
+   * @returns {Object} 结算明细
+   */
+  buildOrderItem(order, lines, resolveRate) {
+    const amount = toCents(order.payment_amount === null || order.payment_amount === undefined
+      ? order.total_amount
+      : order.payment_amount);
+
+    const categories = new Map();
+    let linesTotal = 0;
+    let weighted = 0;
+    lines.forEach(line => {
+      const lineAmount = toCents(line.price) * Number(line.quantity || 0);
+      const categoryId = line.category_id ? String(line.category_id) : null;
+      const rate = resolveRate(categoryId);
+      linesTotal += lineAmount;
+      weighted += lineAmount * rate;
+
+      const key = categoryId || '';
+      const entry = categories.get(key) || { categoryId, rate, amount: 0 };
+      entry.amount += lineAmount;
+      categories.set(key, entry);
+    });
+
+    // 订单优惠按商品金额比例分摊，佣金比例取各分类按商品金额的加权值
+    const rate = linesTotal > 0 ? weighted / linesTotal : this.defaultCommissionRate;
+    const commission = Math.round(amount * rate);
+
+    return {
+      itemType: ITEM_TYPE.ORDER,
+      refId: order.id,
+      orderId: order.id,
+      orderNo: order.order_no,
+      amount,
+      commissionRate: Number(rate.toFixed(4)),
+      commissionAmount: commission,
+      settleAmount: amount - commission,
+      occurredAt: order.completed_at,
+      detail: {
+        categories: [...categories.values()].map(entry => ({ ...entry, amount: toYuan(entry.amount) }))
+      }
+    };
+  }
+
+  /**
+   * 生成卖家截止时间前的结算单
+   * @param {string} sellerId - 卖家ID
+   * @param {Object} options - 选项
+   * @param {Date} options.cutoff - 结算截止时间（不含）
+   * @param {string} options.cycleType - 结算周期类型
+   * @returns {Promise<Object|null>} 结算单，没有可结算的记录时返回 null
+   */
+  async generateBill(sellerId, { cutoff, cycleType }) {
+    try {
+      const bill = await this.runInTransaction(async (connection) => {
+        await settlementRepository.lockSeller(connection, sellerId);
+
+        const lastBill = await settlementRepository.getLastBill(connection, sellerId);
+        if (lastBill && new Date(lastBill.period_end) >= cutoff) {
+          return null;
+        }
+
+        const orders = await settlementRepository.getUnsettledOrders(connection, sellerId, cutoff);
+        const orderIds = orders.map(order => order.id);
+        const [lines, resolveRate] = await Promise.all([
+          settlementRepository.getOrderLines(connection, orderIds),
+          this.loadCommissionResolver(connection)
+        ]);
+
+        const linesByOrder = new Map();
+        lines.forEach(line => {
+          const key = String(line.order_id);
+          linesByOrder.set(key, [...(linesByOrder.get(key) || []), line]);
+        });
+        const orderItems = orders.map(order => this.buildOrderItem(order, linesByOrder.get(String(order.id)) || [], resolveRate));
+
+        // 退款按所属订单结算时的佣金比例退还佣金
+        const refunds = await settlementRepository.getUnsettledRefunds(connection, sellerId, cutoff, orderIds);
+        const settledOrders = new Map(orderItems.map(item => [String(item.orderId), item]));
+        const earlierOrderIds = [...new Set(refunds.map(refund => String(refund.order_id)))]
+          .filter(orderId => !settledOrders.has(orderId));
+        const earlierItems = await settlementRepository.getOrderItems(connection, earlierOrderIds);
+        earlierItems.forEach(item => settledOrders.set(String(item.ref_id), {
+          orderNo: item.order_no,
+          commissionRate: Number(item.commission_rate),
+          billNo: item.bill_no
+        }));
+
+        const refundItems = refunds.map(refund => {
+          const order = settledOrders.get(String(refund.order_id));
+          const amount = toCents(refund.approved_amount);
+          const commission = Math.round(amount * order.commissionRate);
+          return {
+            itemType: ITEM_TYPE.REFUND,
+            refId: refund.id,
+            orderId: refund.order_id,
+            orderNo: order.orderNo,
+            amount: -amount,
+            commissionRate: order.commissionRate,
+            commissionAmount: -commission,
+            settleAmount: commission - amount,
+            occurredAt: refund.refunded_at,
+            detail: { requestNo: refund.request_no, orderBillNo: order.billNo || null }
+          };
+        });
+
+        const carriedBills = await settlementRepository.getUncarriedBills(connection, sellerId);
+        const carryItems = carriedBills.map(carried => ({
+          itemType: ITEM_TYPE.CARRY_OVER,
+          refId: carried.id,
+          orderId: null,
+          orderNo: null,
+          amount: toCents(carried.settle_amount),
+          commissionRate: 0,
+          commissionAmount: 0,
+          settleAmount: toCents(carried.settle_amount),
+          occurredAt: carried.created_at,
+          detail: { billNo: carried.bill_no }
+        }));
+
+        if (orderItems.length === 0 && refundItems.length === 0) {
+          return null;
+        }
+
+        const items = [...orderItems, ...refundItems, ...carryItems].map(item => ({ ...item, sellerId }));
+        const sum = (list, field) => list.reduce((total, item) => total + item[field], 0);
+        const settleAmount = sum(items, 'settleAmount');
+        const occurredTimes = items.map(item => new Date(item.occurredAt).getTime()).filter(time => !isNaN(time));
+
+        const record = {
+          billNo: this.generateBillNo(),
+          sellerId,
+          cycleType,
+          periodStart: lastBill ? lastBill.period_end : startOfDay(new Date(Math.min(...occurredTimes, cutoff.getTime()))),
+          periodEnd: cutoff,
+          orderCount: orderItems.length,
+          orderAmount: toYuan(sum(orderItems, 'amount')),
+          commissionAmount: toYuan(sum(orderItems, 'commissionAmount')),
+          refundAmount: toYuan(-sum(refundItems, 'amount')),
+          refundCommissionAmount: toYuan(-sum(refundItems, 'commissionAmount')),
+          carryOverAmount: toYuan(sum(carryItems, 'amount')),
+          settleAmount: toYuan(settleAmount),
+          status: settleAmount < 0 ? BILL_STATUS.CARRIED_OVER : BILL_STATUS.PENDING
+        };
+
+        const billId = await settlementRepository.createBill(connection, record);
+        await settlementRepository.createBillItems(connection, billId, items.map(item => ({
+          ...item,
+          amount: toYuan(item.amount),
+          commissionAmount: toYuan(item.commissionAmount),
+          settleAmount: toYuan(item.settleAmount)
+        })));
+
+        return settlementRepository.getBillByNo(connection, record.billNo);
+      });
+
+      if (bill) {
+        this.getLogger().info('结算单已生成', {
+          sellerId,
+          billNo: bill.bill_no,
+          orderCount: bill.order_count,
+          settleAmount: Number(bill.settle_amount),
+          status: bill.status
+        });
+      }
+      return bill ? formatBill(bill) : null;
+    } catch (error) {
+      this.getLogger().error('生成结算单失败', { sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 生成结算单号
+   * @returns {string} 结算单号
+   */
+  generateBillNo() {
+    const timestamp = Date.now();
+    const random = Math.floor(Math.random() * 10000);
+    return `ST${timestamp}${random.toString().padStart(4, '0')}`;
+  }
+
+  /**
+   * 按状态流转结算单
+   * @param {string} billNo - 结算单号
+   * @param {string} fromStatus - 当前状态
+   * @param {string} toStatus - 目标状态
+   * @param {Object} fields - 同时更新的字段
+   * @returns {Promise<Object>} 更新后的结算单
+   */
+  async transitBill(billNo, fromStatus, toStatus, fields) {
+    return this.runInTransaction(async (connection) => {
+      const bill = await settlementRepository.getBillByNo(connection, billNo, { forUpdate: true });
+      if (!bill) {
+        throw new NotFoundError('结算单不存在');
+      }
+      if (bill.status !== fromStatus) {
+        throw new AppError(409, `结算单当前状态为${BILL_STATUS_TEXT[bill.status] || bill.status}，无法执行该操作`, 409);
+      }
+
+      await settlementRepository.updateBillStatus(connection, bill.id, fromStatus, toStatus, fields);
+      return settlementRepository.getBillByNo(connection, billNo);
+    });
+  }
+
+  /**
+   * 审核结算单
+   * @param {string} billNo - 结算单号
+   * @param {Object} operator - 审核人 { id }
+   * @param {string} [remark] - 备注
+   * @returns {Promise<Object>} 结算单
+   */
+  async approveBill(billNo, operator, remark) {
+    try {
+      const bill = await this.transitBill(billNo, BILL_STATUS.PENDING, BILL_STATUS.APPROVED, {
+        approved_by: operator.id,
+        approved_at: new Date(),
+        remark: remark || null
+      });
+
+      this.getLogger().info('结算单已审核', { billNo, operatorId: operator.id });
+      return formatBill(bill);
+    } catch (error) {
+      this.getLogger().error('审核结算单失败', { billNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 登记结算单打款
+   * @param {string} billNo - 结算单号
+   * @param {Object} payout - 打款信息
+   * @param {string} payout.payoutChannel - 打款渠道（如 bank_transfer、alipay）
+   * @param {string} payout.payoutReference - 打款流水号
+   * @param {string} [payout.remark] - 备注
+   * @param {Object} operator - 操作人 { id }
+   * @returns {Promise<Object>} 结算单
+   */
+  async payoutBill(billNo, payout, operator) {
+    try {
+      const fields = {
+        paid_by: operator.id,
+        paid_at: new Date(),
+        payout_channel: payout.payoutChannel,
+        payout_reference: payout.payoutReference
+      };
+      if (payout.remark) {
+        fields.remark = payout.remark;
+      }
+      const bill = await this.transitBill(billNo, BILL_STATUS.APPROVED, BILL_STATUS.PAID, fields);
+
+      this.getLogger().info('结算单已打款', {
+        billNo,
+        settleAmount: Number(bill.settle_amount),
+        payoutReference: payout.payoutReference,
+        operatorId: operator.id
+      });
+      return formatBill(bill);
+    } catch (error) {
+      this.getLogger().error('登记结算单打款失败', { billNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询结算单
+   * @param {Object} filters - 查询条件（sellerId、billNo、status、startDate、endDate、page、pageSize）
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getBills(filters = {}) {
+    try {
+      const result = await this.withConnection(connection => settlementRepository.getBills(connection, filters));
+      return { ...result, list: result.list.map(row => formatBill(row)) };
+    } catch (error) {
+      this.getLogger().error('查询结算单失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取结算单详情（含明细）
+   * @param {string} billNo - 结算单号
+   * @param {Object} [scope] - 访问范围
+   * @param {string} [scope.sellerId] - 卖家ID，卖家只能查看自己的结算单
+   * @returns {Promise<Object>} 结算单
+   */
+  async getBillDetail(billNo, scope = {}) {
+    try {
+      return await this.withConnection(async (connection) => {
+        const bill = await settlementRepository.getBillByNo(connection, billNo);
+        if (!bill || (scope.sellerId && String(bill.seller_id) !== String(scope.sellerId))) {
+          throw new NotFoundError('结算单不存在');
+        }
+        const items = await settlementRepository.getBillItems(connection, bill.id);
+        return formatBill(bill, items);
+      });
+    } catch (error) {
+      this.getLogger().error('获取结算单详情失败', { billNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取卖家结算概览
+   * @param {string} sellerId - 卖家ID
+   * @returns {Promise<Object>} 各状态结算金额和未结算订单
+   */
+  async getSellerSummary(sellerId) {
+    try {
+      const [rows, unsettled] = await this.withConnection(connection => Promise.all([
+        settlementRepository.sumBillsByStatus(connection, sellerId),
+        settlementRepository.sumUnsettledOrders(connection, sellerId)
+      ]));
+      const amountOf = (status) => {
+        const row = rows.find(item => item.status === status);
+        return row ? Number(row.settle_amount) : 0;
+      };
+
+      return {
+        pendingAmount: amountOf(BILL_STATUS.PENDING),
+        approvedAmount: amountOf(BILL_STATUS.APPROVED),
+        paidAmount: amountOf(BILL_STATUS.PAID),
+        carriedOverAmount: amountOf(BILL_STATUS.CARRIED_OVER),
+        unsettledOrderCount: Number(unsettled.order_count),
+        unsettledOrderAmount: Number(unsettled.order_amount)
+      };
+    } catch (error) {
+      this.getLogger().error('获取卖家结算概览失败', { sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 导出结算单列表为 CSV
+   * @param {Object} filters - 查询条件（同 getBills，最多导出 1000 条）
+   * @returns {Promise<string>} CSV 内容
+   */
+  async exportBillsCsv(filters = {}) {
+    const { list } = await this.getBills({ ...filters, page: 1, pageSize: 1000 });
+    return toCsv(
+      ['结算单号', '账期', '订单数', '订单金额', '平台佣金', '退款金额', '退还佣金', '上期结转', '结算金额', '状态', '打款时间', '打款流水号'],
+      list.map(bill => [
+        bill.billNo, bill.period, bill.orderCount, bill.orderAmount.toFixed(2), bill.commissionAmount.toFixed(2),
+        bill.refundAmount.toFixed(2), bill.refundCommissionAmount.toFixed(2), bill.carryOverAmount.toFixed(2),
+        bill.settleAmount.toFixed(2), bill.statusText, bill.paidAt ? new Date(bill.paidAt).toLocaleString() : '',
+        bill.payoutReference || ''
+      ])
+    );
+  }
+
+  /**
+   * 导出结算单明细为 CSV
+   * @param {string} billNo - 结算单号
+   * @param {Object} [scope] - 访问范围（同 getBillDetail）
+   * @returns {Promise<string>} CSV 内容
+   */
+  async exportBillItemsCsv(billNo, scope = {}) {
+    const bill = await this.getBillDetail(billNo, scope);
+    return toCsv(
+      ['结算单号', '类型', '订单号', '售后单号/结转单号', '发生时间', '金额', '佣金比例', '佣金', '结算金额'],
+      bill.items.map(item => [
+        bill.billNo, item.itemTypeText, item.orderNo || '', item.detail.requestNo || item.detail.billNo || '',
+        item.occurredAt ? new Date(item.occurredAt).toLocaleString() : '', item.amount.toFixed(2),
+        `${(item.commissionRate * 100).toFixed(2)}%`, item.commissionAmount.toFixed(2), item.settleAmount.toFixed(2)
+      ])
+    );
+  }
+
+  /**
+   * 分页查询订单对账记录
+   * @param {Object} filters - 查询条件（sellerId、shopId、orderNo、settled、startDate、endDate、page、pageSize）
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getReconciliationOrders(filters = {}) {
+    try {
+      const result = await this.withConnection(connection => settlementRepository.getReconciliationOrders(connection, filters));
+      return {
+        ...result,
+        list: result.list.map(row => ({
+          orderId: String(row.id),
+          orderNo: row.order_no,
+          sellerId: String(row.seller_id),
+          shopId: row.shop_id,
+          shopName: row.shop_name,
+          orderAmount: Number(row.payment_amount),
+          createdAt: row.created_at,
+          completedAt: row.completed_at,
+          settled: Boolean(row.bill_no),
+          billNo: row.bill_no || null,
+          billStatus: row.bill_status || null,
+          billStatusText: row.bill_status ? BILL_STATUS_TEXT[row.bill_status] : null,
+          commissionRate: row.commission_rate === null ? null : Number(row.commission_rate),
+          commissionAmount: row.commission_amount === null ? null : Number(row.commission_amount),
+          settleAmount: row.settle_amount === null ? null : Number(row.settle_amount)
+        }))
+      };
+    } catch (error) {
+      this.getLogger().error('查询订单对账记录失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取订单对账详情：订单结算明细和结算后的退款冲减
+   * @param {string} orderNo - 订单号
+   * @returns {Promise<Object>} 对账详情
+   */
+  async getReconciliationDetail(orderNo) {
+    try {
+      return await this.withConnection(async (connection) => {
+        const order = await settlementRepository.getReconciliationOrder(connection, orderNo);
+        if (!order) {
+          throw new NotFoundError('订单不存在');
+        }
+        const items = await settlementRepository.getItemsByOrderId(connection, order.id);
+        const netCents = items.reduce((total, item) => total + toCents(item.settle_amount), 0);
+
+        return {
+          orderId: String(order.id),
+          orderNo: order.order_no,
+          sellerId: String(order.seller_id),
+          shopId: order.shop_id,
+          shopName: order.shop_name,
+          status: order.status,
+          totalAmount: Number(order.total_amount),
+          orderAmount: Number(order.payment_amount),
+          createdAt: order.created_at,
+          completedAt: order.status === 'completed' ? order.completed_at : null,
+          settled: items.some(item => item.item_type === ITEM_TYPE.ORDER),
+          netSettleAmount: toYuan(netCents),
+          items: items.map(formatItem)
+        };
+      });
+    } catch (error) {
+      this.getLogger().error('获取订单对账详情失败', { orderNo, error: error.message });
+      throw error;
+    }
+  }
+}
+
+const settlementService = new SettlementService();
+module.exports = settlementService;
+module.exports.CYCLE_TYPE = CYCLE_TYPE;
+module.exports.BILL_STATUS = BILL_STATUS;
+module.exports.ITEM_TYPE = ITEM_TYPE;
@@ -0,0 +1,165 @@
+/**
+ * 卖家结算服务测试
+ */
+
+jest.mock('@core/di/container', () => ({
+  resolve: () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() })
+}), { virtual: true });
+jest.mock('../data-access/database/TransactionManager', () => ({
+  TransactionManager: jest.fn().mockImplementation(() => ({
+    executeInTransaction: jest.fn()
+  }))
+}));
+jest.mock('../data-access/database/ConnectionPoolManager', () => ({
+  connectionPoolManager: { getConnection: jest.fn() }
+}));
+jest.mock('../repositories/settlementRepository', () => ({
+  lockSeller: jest.fn(),
+  getLastBill: jest.fn(),
+  getUnsettledOrders: jest.fn(),
+  getOrderLines: jest.fn(),
+  getCommissionRates: jest.fn(),
+  getCategoryParents: jest.fn(),
+  getUnsettledRefunds: jest.fn(),
+  getOrderItems: jest.fn(),
+  getUncarriedBills: jest.fn(),
+  createBill: jest.fn(),
+  createBillItems: jest.fn(),
+  getBillByNo: jest.fn(),
+  updateBillStatus: jest.fn()
+}));
+
+const settlementRepository = require('../repositories/settlementRepository');
+const settlementService = require('./settlementService');
+
+const { CYCLE_TYPE, BILL_STATUS } = settlementService;
+
+const connection = { query: jest.fn() };
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  settlementService.transactionManager.executeInTransaction.mockImplementation(operation => operation(connection, {}));
+  // 分类 2 是分类 1 的子分类，只有分类 1 配置了佣金比例
+  settlementRepository.getCommissionRates.mockResolvedValue([{ category_id: 1, rate: 0.1 }]);
+  settlementRepository.getCategoryParents.mockResolvedValue([{ id: 1, parent_id: null }, { id: 2, parent_id: 1 }, { id: 3, parent_id: null }]);
+  settlementRepository.getLastBill.mockResolvedValue(null);
+  settlementRepository.getUnsettledOrders.mockResolvedValue([]);
+  settlementRepository.getOrderLines.mockResolvedValue([]);
+  settlementRepository.getUnsettledRefunds.mockResolvedValue([]);
+  settlementRepository.getOrderItems.mockResolvedValue([]);
+  settlementRepository.getUncarriedBills.mockResolvedValue([]);
+  settlementRepository.createBill.mockResolvedValue(1);
+  settlementRepository.getBillByNo.mockImplementation(async (conn, billNo) => ({
+    bill_no: billNo,
+    status: settlementRepository.createBill.mock.calls[0][1].status,
+    period_start: new Date('2026-01-01'),
+    period_end: new Date('2026-01-08')
+  }));
+});
+
+describe('loadCommissionResolver', () => {
+  test('分类未配置佣金时沿用上级分类，都未配置时使用平台默认比例', async () => {
+    const resolveRate = await settlementService.loadCommissionResolver(connection);
+
+    expect(resolveRate('1')).toBe(0.1);
+    expect(resolveRate('2')).toBe(0.1);
+    expect(resolveRate('3')).toBe(settlementService.defaultCommissionRate);
+    expect(resolveRate(null)).toBe(settlementService.defaultCommissionRate);
+  });
+});
+
+describe('buildOrderItem', () => {
+  test('按各分类商品金额加权计算订单佣金', async () => {
+    const resolveRate = await settlementService.loadCommissionResolver(connection);
+
+    const item = settlementService.buildOrderItem(
+      { id: 1, order_no: 'O1', payment_amount: 180, completed_at: new Date('2026-01-02') },
+      [
+        { category_id: 1, price: 100, quantity: 1 },
+        { category_id: 3, price: 50, quantity: 2 }
+      ],
+      resolveRate
+    );
+
+    // 加权佣金比例 (100 * 0.1 + 100 * 0.05) / 200 = 0.075，实付 180 元佣金 13.5 元
+    expect(item).toMatchObject({ amount: 18000, commissionRate: 0.075, commissionAmount: 1350, settleAmount: 16650 });
+  });
+});
+
+describe('getCutoff', () => {
+  const now = new Date(2026, 0, 5, 15, 0, 0); // 2026-01-05 周一
+
+  test('T+N 结算截止到 N 天前的零点', () => {
+    expect(settlementService.getCutoff({ cycleType: CYCLE_TYPE.T_PLUS_N, cycleDays: 3 }, now)).toEqual(new Date(2026, 0, 2));
+  });
+
+  test('每周和每月结算只在结算日返回截止时间', () => {
+    expect(settlementService.getCutoff({ cycleType: CYCLE_TYPE.WEEKLY, settleDay: 1 }, now)).toEqual(new Date(2026, 0, 5));
+    expect(settlementService.getCutoff({ cycleType: CYCLE_TYPE.WEEKLY, settleDay: 3 }, now)).toBeNull();
+    expect(settlementService.getCutoff({ cycleType: CYCLE_TYPE.MONTHLY, settleDay: 5 }, now)).toEqual(new Date(2026, 0, 5));
+    expect(settlementService.getCutoff({ cycleType: CYCLE_TYPE.MONTHLY, settleDay: 1 }, now)).toBeNull();
+  });
+});
+
+describe('generateBill', () => {
+  const cutoff = new Date('2026-01-08');
+
+  test('已结算订单的退款按原佣金比例退还佣金，结算金额为负时结转下期', async () => {
+    settlementRepository.getUnsettledRefunds.mockResolvedValue([
+      { id: 9, order_id: 5, approved_amount: 100, request_no: 'AS1', refunded_at: new Date('2026-01-03') }
+    ]);
+    settlementRepository.getOrderItems.mockResolvedValue([
+      { ref_id: 5, order_no: 'O5', commission_rate: 0.1, bill_no: 'ST0' }
+    ]);
+
+    const bill = await settlementService.generateBill('s1', { cutoff, cycleType: CYCLE_TYPE.WEEKLY });
+
+    expect(settlementRepository.getOrderItems).toHaveBeenCalledWith(connection, ['5']);
+    expect(settlementRepository.createBill).toHaveBeenCalledWith(connection, expect.objectContaining({
+      orderCount: 0,
+      refundAmount: 100,
+      refundCommissionAmount: 10,
+      settleAmount: -90,
+      status: BILL_STATUS.CARRIED_OVER
+    }));
+    expect(bill.status).toBe(BILL_STATUS.CARRIED_OVER);
+  });
+
+  test('上期结转的负数金额在本期抵扣', async () => {
+    settlementRepository.getUnsettledOrders.mockResolvedValue([
+      { id: 6, order_no: 'O6', payment_amount: 200, completed_at: new Date('2026-01-04') }
+    ]);
+    settlementRepository.getOrderLines.mockResolvedValue([{ order_id: 6, category_id: 1, price: 200, quantity: 1 }]);
+    settlementRepository.getUncarriedBills.mockResolvedValue([
+      { id: 3, bill_no: 'ST1', settle_amount: -90, created_at: new Date('2026-01-01') }
+    ]);
+
+    await settlementService.generateBill('s1', { cutoff, cycleType: CYCLE_TYPE.WEEKLY });
+
+    // 订单 200 元扣佣金 20 元，抵扣上期 -90 元后结算 90 元
+    expect(settlementRepository.createBill).toHaveBeenCalledWith(connection, expect.objectContaining({
+      orderCount: 1,
+      orderAmount: 200,
+      commissionAmount: 20,
+      carryOverAmount: -90,
+      settleAmount: 90,
+      status: BILL_STATUS.PENDING
+    }));
+  });
+
+  test('截止时间已结算过时不重复生成', async () => {
+    settlementRepository.getLastBill.mockResolvedValue({ period_end: cutoff });
+
+    await expect(settlementService.generateBill('s1', { cutoff, cycleType: CYCLE_TYPE.WEEKLY })).resolves.toBeNull();
+    expect(settlementRepository.createBill).not.toHaveBeenCalled();
+  });
+});
+
+describe('approveBill', () => {
+  test('结算单不处于待审核状态时返回409', async () => {
+    settlementRepository.getBillByNo.mockResolvedValue({ id: 1, bill_no: 'ST1', status: BILL_STATUS.PAID });
+
+    await expect(settlementService.approveBill('ST1', { id: 'admin' })).rejects.toMatchObject({ statusCode: 409 });
+    expect(settlementRepository.updateBillStatus).not.toHaveBeenCalled();
+  });
+});
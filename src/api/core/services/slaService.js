@@ -0,0 +1,428 @@
+/**
+ * 会话SLA服务
+ * 会话创建时按优先级和分类匹配SLA策略，开始首次响应和解决计时；客服回复后用户再次发送消息时开始后续响应计时。
+ * 客服回复完成响应计时，会话关闭完成解决计时并取消未完成的响应计时，客服修改优先级或分类时按新策略重新计算到期时间。
+ * 定时任务扫描到达预警时间和到期时间的计时器，发送 customer_service.sla_warning / customer_service.sla_breach 消息并通知当前客服，
+ * 超时后按策略升级给主管或提升会话优先级。计时器状态用条件更新抢占，多个实例同时扫描时每个事件只处理一次
+ */
+
+const logger = require('../utils/logger');
+const messageQueue = require('../messaging/messageQueue');
+
+// 预警和超时消息队列
+const WARNING_QUEUE = 'customer_service.sla_warning';
+const BREACH_QUEUE = 'customer_service.sla_breach';
+
+// 每次扫描处理的计时器数量上限
+const SCAN_BATCH_SIZE = parseInt(process.env.SLA_SCAN_BATCH_SIZE || '200', 10);
+
+// 超时后逐级提升的优先级
+const NEXT_PRIORITY = {
+  low: 'medium',
+  medium: 'high',
+  high: 'urgent'
+};
+
+// 计时指标名称
+const METRIC_NAMES = {
+  first_response: '首次响应',
+  next_response: '后续响应',
+  resolution: '解决'
+};
+
+// 响应类计时指标，客服回复时完成
+const RESPONSE_METRICS = ['first_response', 'next_response'];
+
+// 客服主管角色
+const SUPERVISOR_ROLE = 'customer_service_manager';
+
+class SlaService {
+  /**
+   * 获取数据模型
+   */
+  getModels() {
+    if (!this._models) {
+      this._models = require('../../models').models;
+    }
+    return this._models;
+  }
+
+  /**
+   * 会话创建时开始首次响应和解决计时
+   * @param {Object} conversation - 会话
+   * @param {Date} startedAt - 开始计时时间
+   * @returns {Promise<Array>} 开始的计时器，没有适用的策略时返回空数组
+   */
+  async startConversationTimers(conversation, startedAt = new Date()) {
+    try {
+      const { SlaPolicy, SlaTimer } = this.getModels();
+
+      const policy = await SlaPolicy.findForConversation(conversation);
+      if (!policy) {
+        return [];
+      }
+
+      const timers = [];
+      for (const metric of ['first_response', 'resolution']) {
+        const timer = await SlaTimer.startTimer(conversation, policy, metric, startedAt);
+        if (timer) {
+          timers.push(timer);
+        }
+      }
+
+      logger.info(`会话 ${conversation.id} 应用SLA策略 ${policy.name}，开始 ${timers.length} 项计时`);
+      return timers;
+    } catch (error) {
+      logger.error(`开始会话 ${conversation.id} 的SLA计时失败:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 用户发送消息
+   * 会话还没有任何计时（策略创建前的会话）时开始首次响应和解决计时；
+   * 客服已回复过且没有未完成的响应计时时开始后续响应计时
+   * @param {Object} conversation - 会话
+   * @param {Date} sentAt - 消息发送时间
+   */
+  async handleCustomerMessage(conversation, sentAt = new Date()) {
+    try {
+      const { SlaPolicy, SlaTimer } = this.getModels();
+
+      const timerCount = await SlaTimer.count({ where: { conversationId: conversation.id } });
+      if (timerCount === 0) {
+        await this.startConversationTimers(conversation, sentAt);
+        return;
+      }
+
+      const openTimers = await SlaTimer.findOpenTimers(conversation.id);
+      if (openTimers.some(timer => RESPONSE_METRICS.includes(timer.metric))) {
+        return;
+      }
+
+      const policy = await SlaPolicy.findForConversation(conversation);
+      if (policy) {
+        await SlaTimer.startTimer(conversation, policy, 'next_response', sentAt);
+      }
+    } catch (error) {
+      logger.error(`处理会话 ${conversation.id} 用户消息的SLA计时失败:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 客服回复，完成首次响应和后续响应计时
+   * @param {Object} conversation - 会话
+   * @param {Date} repliedAt - 回复时间
+   */
+  async handleAgentReply(conversation, repliedAt = new Date()) {
+    try {
+      const { SlaTimer } = this.getModels();
+      await SlaTimer.completeTimers(conversation.id, RESPONSE_METRICS, repliedAt);
+    } catch (error) {
+      logger.error(`处理会话 ${conversation.id} 客服回复的SLA计时失败:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 会话关闭，完成解决计时并取消未完成的响应计时
+   * @param {Object} conversation - 会话
+   * @param {Date} closedAt - 关闭时间
+   */
+  async handleConversationClosed(conversation, closedAt = new Date()) {
+    try {
+      const { SlaTimer } = this.getModels();
+      await SlaTimer.completeTimers(conversation.id, ['resolution'], closedAt);
+      await SlaTimer.cancelTimers(conversation.id, RESPONSE_METRICS);
+    } catch (error) {
+      logger.error(`处理会话 ${conversation.id} 关闭的SLA计时失败:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 会话重新打开，重新开始解决计时
+   * @param {Object} conversation - 会话
+   * @param {Date} reopenedAt - 重新打开时间
+   */
+  async handleConversationReopened(conversation, reopenedAt = new Date()) {
+    try {
+      const { SlaPolicy, SlaTimer } = this.getModels();
+
+      const policy = await SlaPolicy.findForConversation(conversation);
+      if (policy) {
+        await SlaTimer.startTimer(conversation, policy, 'resolution', reopenedAt);
+      }
+    } catch (error) {
+      logger.error(`处理会话 ${conversation.id} 重新打开的SLA计时失败:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 会话优先级或分类变更后按新策略重新计算计时中的计时器
+   * 计时器保留原开始时间，新策略未设置该指标目标时取消计时
+   * @param {Object} conversation - 会话
+   * @returns {Promise<number>} 重新计算的计时器数量
+   */
+  async reapplyPolicy(conversation) {
+    try {
+      const { SlaPolicy, SlaTimer } = this.getModels();
+
+      const timers = await SlaTimer.findAll({
+        where: { conversationId: conversation.id, status: 'running' }
+      });
+      if (timers.length === 0) {
+        return 0;
+      }
+
+      const policy = await SlaPolicy.findForConversation(conversation);
+      for (const timer of timers) {
+        const deadlines = policy ? policy.getDeadlines(timer.metric, timer.startedAt) : null;
+        if (!deadlines) {
+          await timer.update({ status: 'cancelled', completedAt: new Date() });
+          continue;
+        }
+
+        await timer.update({
+          policyId: policy.id,
+          priority: conversation.priority,
+          category: conversation.category,
+          ...deadlines,
+          // 新的预警时间还没到时允许重新预警
+          warnedAt: deadlines.warningAt > new Date() ? null : timer.warnedAt
+        });
+      }
+
+      logger.info(`会话 ${conversation.id} 优先级或分类变更，重新计算 ${timers.length} 项SLA计时`);
+      return timers.length;
+    } catch (error) {
+      logger.error(`重新计算会话 ${conversation.id} 的SLA计时失败:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取会话列表的SLA状态
+   * @param {Array<string>} conversationIds - 会话ID列表
+   * @returns {Promise<Object>} 会话ID到SLA状态的映射
+   */
+  async getConversationStates(conversationIds) {
+    try {
+      const { SlaTimer } = this.getModels();
+      return await SlaTimer.getStates(conversationIds);
+    } catch (error) {
+      logger.error('获取会话SLA状态失败:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 处理到达预警时间和到期时间的计时器（由定时任务调用）
+   * @param {Date} now - 当前时间
+   * @returns {Promise<Object>} 处理结果 { warned, breached, escalated, priorityRaised }
+   */
+  async processDueTimers(now = new Date()) {
+    const result = { warned: 0, breached: 0, escalated: 0, priorityRaised: 0 };
+
+    try {
+      const { SlaTimer } = this.getModels();
+
+      const warningTimers = await SlaTimer.findDueForWarning(now, SCAN_BATCH_SIZE);
+      for (const timer of warningTimers) {
+        try {
+          if (await timer.markWarned(now)) {
+            await this.emitWarning(timer, now);
+            result.warned++;
+          }
+        } catch (error) {
+          logger.error(`处理SLA计时器 ${timer.id} 预警失败:`, error);
+        }
+      }
+
+      const breachTimers = await SlaTimer.findDueForBreach(now, SCAN_BATCH_SIZE);
+      for (const timer of breachTimers) {
+        try {
+          if (await timer.markBreached(now)) {
+            const actions = await this.handleBreach(timer, now);
+            result.breached++;
+            if (actions.some(action => action.type === 'escalate')) {
+              result.escalated++;
+            }
+            if (actions.some(action => action.type === 'raise_priority')) {
+              result.priorityRaised++;
+            }
+          }
+        } catch (error) {
+          logger.error(`处理SLA计时器 ${timer.id} 超时失败:`, error);
+        }
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('扫描SLA计时器失败:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 发出预警：发送预警消息并通知当前客服
+   * @param {Object} timer - 计时器
+   * @param {Date} now - 当前时间
+   */
+  async emitWarning(timer, now) {
+    const { Conversation } = this.getModels();
+    const conversation = await Conversation.findByPk(timer.conversationId);
+    const assigneeId = await this.getAssigneeId(timer.conversationId);
+    const minutesLeft = Math.max(0, Math.ceil((timer.dueAt - now) / 60000));
+
+    if (assigneeId) {
+      await this.notify([assigneeId], timer, 'warning', {
+        title: 'SLA即将超时',
+        content: `会话「${conversation ? conversation.title : timer.conversationId}」的${METRIC_NAMES[timer.metric]}将在 ${minutesLeft} 分钟后超时`
+      });
+    }
+
+    await messageQueue.send(WARNING_QUEUE, this.buildEvent(timer, conversation, assigneeId, now));
+  }
+
+  /**
+   * 处理超时：通知当前客服，按策略升级给主管或提升会话优先级，并发送超时消息
+   * @param {Object} timer - 计时器
+   * @param {Date} now - 当前时间
+   * @returns {Promise<Array>} 执行的处理
+   */
+  async handleBreach(timer, now) {
+    const { Conversation, SlaPolicy } = this.getModels();
+    const conversation = await Conversation.findByPk(timer.conversationId);
+    const policy = timer.policyId ? await SlaPolicy.findByPk(timer.policyId) : null;
+    const assigneeId = await this.getAssigneeId(timer.conversationId);
+    const title = conversation ? conversation.title : timer.conversationId;
+    const actions = [];
+
+    if (assigneeId) {
+      await this.notify([assigneeId], timer, 'breach', {
+        title: 'SLA已超时',
+        content: `会话「${title}」的${METRIC_NAMES[timer.metric]}已超过 ${timer.targetMinutes} 分钟的目标时长`
+      });
+    }
+
+    if (policy && policy.shouldEscalate()) {
+      const supervisorIds = await this.getEscalationTargets(policy);
+      if (supervisorIds.length > 0) {
+        await this.notify(supervisorIds, timer, 'breach', {
+          title: 'SLA超时升级',
+          content: `会话「${title}」的${METRIC_NAMES[timer.metric]}已超时，请跟进处理`
+        });
+        actions.push({ type: 'escalate', userIds: supervisorIds, at: now });
+      } else {
+        logger.warn(`SLA策略 ${policy.name} 没有可升级的主管，会话 ${timer.conversationId} 未升级`);
+      }
+    }
+
+    if (policy && policy.shouldRaisePriority() && conversation && NEXT_PRIORITY[conversation.priority]) {
+      const from = conversation.priority;
+      // 超时提升优先级不重新计算计时，避免更严格的目标立即再次超时
+      await conversation.update({ priority: NEXT_PRIORITY[from] });
+      actions.push({ type: 'raise_priority', from, to: conversation.priority, at: now });
+    }
+
+    if (actions.length > 0) {
+      await timer.update({ actions: [...(timer.actions || []), ...actions] });
+    }
+
+    await messageQueue.send(BREACH_QUEUE, {
+      ...this.buildEvent(timer, conversation, assigneeId, now),
+      actions
+    });
+
+    logger.warn(`会话 ${timer.conversationId} 的${METRIC_NAMES[timer.metric]}SLA已超时，执行处理: ${actions.map(action => action.type).join(', ') || '仅通知'}`);
+    return actions;
+  }
+
+  /**
+   * 构造预警和超时消息
+   * @param {Object} timer - 计时器
+   * @param {Object|null} conversation - 会话
+   * @param {string|null} assigneeId - 当前客服ID
+   * @param {Date} now - 当前时间
+   * @returns {Object} 消息内容
+   */
+  buildEvent(timer, conversation, assigneeId, now) {
+    return {
+      conversationId: timer.conversationId,
+      timerId: timer.id,
+      policyId: timer.policyId,
+      metric: timer.metric,
+      warningType: timer.metric,
+      // 剩余时间（毫秒），已超时为负数
+      timeRemaining: timer.dueAt - now,
+      dueAt: timer.dueAt,
+      priority: conversation ? conversation.priority : timer.priority,
+      category: conversation ? conversation.category : timer.category,
+      assigneeId,
+      timestamp: now.toISOString()
+    };
+  }
+
+  /**
+   * 获取会话当前分配的客服
+   * @param {string} conversationId - 会话ID
+   * @returns {Promise<string|null>} 客服ID
+   */
+  async getAssigneeId(conversationId) {
+    const { ConversationAssignment } = this.getModels();
+    const assignment = await ConversationAssignment.findOne({
+      where: { conversationId, status: 'active' },
+      order: [['createdAt', 'DESC']]
+    });
+    return assignment ? assignment.assigneeId : null;
+  }
+
+  /**
+   * 获取超时升级对象：策略指定的用户，未指定时为所有在职的客服主管
+   * @param {Object} policy - SLA策略
+   * @returns {Promise<Array<string>>} 用户ID列表
+   */
+  async getEscalationTargets(policy) {
+    if (policy.escalateTo) {
+      return [policy.escalateTo];
+    }
+
+    const { User } = this.getModels();
+    const supervisors = await User.findAll({
+      where: { role: SUPERVISOR_ROLE, isActive: true },
+      attributes: ['id']
+    });
+    return supervisors.map(user => user.id);
+  }
+
+  /**
+   * 发送SLA通知，单个用户通知失败不影响其他用户
+   * @param {Array<string>} userIds - 用户ID列表
+   * @param {Object} timer - 计时器
+   * @param {string} event - warning 或 breach
+   * @param {Object} message - { title, content }
+   */
+  async notify(userIds, timer, event, message) {
+    const { Notification } = this.getModels();
+
+    for (const userId of userIds) {
+      try {
+        await Notification.createSlaNotification({
+          userId,
+          conversationId: timer.conversationId,
+          event,
+          metric: timer.metric,
+          dueAt: timer.dueAt,
+          ...message
+        });
+      } catch (error) {
+        logger.warn(`发送SLA通知给用户 ${userId} 失败: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = new SlaService();
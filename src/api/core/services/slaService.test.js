@@ -0,0 +1,213 @@
+/**
+ * 会话SLA服务测试
+ */
+
+jest.mock('../utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../messaging/messageQueue', () => ({
+  send: jest.fn()
+}));
+
+const messageQueue = require('../messaging/messageQueue');
+const slaService = require('./slaService');
+
+const MINUTE = 60 * 1000;
+const NOW = new Date('2026-06-01T10:00:00Z');
+
+const models = {
+  Conversation: { findByPk: jest.fn() },
+  ConversationAssignment: { findOne: jest.fn() },
+  Notification: { createSlaNotification: jest.fn() },
+  SlaPolicy: { findForConversation: jest.fn(), findByPk: jest.fn() },
+  SlaTimer: {
+    count: jest.fn(),
+    findAll: jest.fn(),
+    findOpenTimers: jest.fn(),
+    startTimer: jest.fn(),
+    completeTimers: jest.fn(),
+    cancelTimers: jest.fn(),
+    findDueForWarning: jest.fn(),
+    findDueForBreach: jest.fn()
+  },
+  User: { findAll: jest.fn() }
+};
+
+/**
+ * 构建SLA策略
+ * @param {string} breachAction - 超时处理方式
+ * @param {Object} overrides - 覆盖字段
+ * @returns {Object} 策略
+ */
+function makePolicy(breachAction, overrides) {
+  return {
+    id: 'p1',
+    name: '高优先级',
+    escalateTo: null,
+    breachAction,
+    shouldEscalate: () => breachAction === 'escalate' || breachAction === 'escalate_and_raise_priority',
+    shouldRaisePriority: () => breachAction === 'raise_priority' || breachAction === 'escalate_and_raise_priority',
+    getDeadlines: jest.fn(),
+    ...overrides
+  };
+}
+
+/**
+ * 构建计时器
+ * @param {Object} overrides - 覆盖字段
+ * @returns {Object} 计时器
+ */
+function makeTimer(overrides) {
+  return {
+    id: 't1',
+    conversationId: 'c1',
+    policyId: 'p1',
+    metric: 'first_response',
+    targetMinutes: 30,
+    startedAt: new Date(NOW.getTime() - 30 * MINUTE),
+    dueAt: NOW,
+    warnedAt: null,
+    actions: [],
+    markWarned: jest.fn().mockResolvedValue(true),
+    markBreached: jest.fn().mockResolvedValue(true),
+    update: jest.fn(),
+    ...overrides
+  };
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  slaService._models = models;
+  models.SlaTimer.findDueForWarning.mockResolvedValue([]);
+  models.SlaTimer.findDueForBreach.mockResolvedValue([]);
+  models.ConversationAssignment.findOne.mockResolvedValue({ assigneeId: 'a1' });
+});
+
+describe('handleCustomerMessage', () => {
+  const conversation = { id: 'c1', priority: 'high', category: '退款' };
+
+  test('会话还没有计时时开始首次响应和解决计时', async () => {
+    const policy = makePolicy('notify');
+    models.SlaTimer.count.mockResolvedValue(0);
+    models.SlaPolicy.findForConversation.mockResolvedValue(policy);
+    models.SlaTimer.startTimer.mockImplementation(async (conv, pol, metric) => ({ metric }));
+
+    await slaService.handleCustomerMessage(conversation, NOW);
+
+    expect(models.SlaTimer.startTimer.mock.calls.map(call => call[2])).toEqual(['first_response', 'resolution']);
+    expect(models.SlaTimer.startTimer).toHaveBeenCalledWith(conversation, policy, 'first_response', NOW);
+  });
+
+  test('已有未完成的响应计时时不再开始后续响应计时', async () => {
+    models.SlaTimer.count.mockResolvedValue(2);
+    models.SlaTimer.findOpenTimers.mockResolvedValue([{ metric: 'first_response' }, { metric: 'resolution' }]);
+
+    await slaService.handleCustomerMessage(conversation, NOW);
+
+    expect(models.SlaTimer.startTimer).not.toHaveBeenCalled();
+  });
+
+  test('客服回复后用户再次发送消息时开始后续响应计时', async () => {
+    const policy = makePolicy('notify');
+    models.SlaTimer.count.mockResolvedValue(2);
+    models.SlaTimer.findOpenTimers.mockResolvedValue([{ metric: 'resolution' }]);
+    models.SlaPolicy.findForConversation.mockResolvedValue(policy);
+
+    await slaService.handleCustomerMessage(conversation, NOW);
+
+    expect(models.SlaTimer.startTimer).toHaveBeenCalledWith(conversation, policy, 'next_response', NOW);
+  });
+});
+
+describe('handleConversationClosed', () => {
+  test('完成解决计时并取消未完成的响应计时', async () => {
+    await slaService.handleConversationClosed({ id: 'c1' }, NOW);
+
+    expect(models.SlaTimer.completeTimers).toHaveBeenCalledWith('c1', ['resolution'], NOW);
+    expect(models.SlaTimer.cancelTimers).toHaveBeenCalledWith('c1', ['first_response', 'next_response']);
+  });
+});
+
+describe('reapplyPolicy', () => {
+  test('按新策略重新计算到期时间，新策略没有该指标目标时取消计时', async () => {
+    const response = makeTimer({ warnedAt: NOW });
+    const resolution = makeTimer({ id: 't2', metric: 'resolution' });
+    const warningAt = new Date(Date.now() + 10 * MINUTE);
+    const dueAt = new Date(Date.now() + 20 * MINUTE);
+    const policy = makePolicy('notify', { id: 'p2' });
+    policy.getDeadlines.mockImplementation(metric => (metric === 'first_response' ? { targetMinutes: 40, warningAt, dueAt } : null));
+    models.SlaTimer.findAll.mockResolvedValue([response, resolution]);
+    models.SlaPolicy.findForConversation.mockResolvedValue(policy);
+
+    await expect(slaService.reapplyPolicy({ id: 'c1', priority: 'urgent', category: '退款' })).resolves.toBe(2);
+
+    expect(policy.getDeadlines).toHaveBeenCalledWith('first_response', response.startedAt);
+    expect(response.update).toHaveBeenCalledWith({
+      policyId: 'p2', priority: 'urgent', category: '退款', targetMinutes: 40, warningAt, dueAt, warnedAt: null
+    });
+    expect(resolution.update).toHaveBeenCalledWith({ status: 'cancelled', completedAt: expect.any(Date) });
+  });
+});
+
+describe('processDueTimers', () => {
+  test('预警时通知当前客服并发送预警消息', async () => {
+    const timer = makeTimer({ dueAt: new Date(NOW.getTime() + 5 * MINUTE) });
+    models.SlaTimer.findDueForWarning.mockResolvedValue([timer]);
+    models.Conversation.findByPk.mockResolvedValue({ id: 'c1', title: '退款进度', priority: 'high', category: '退款' });
+
+    await expect(slaService.processDueTimers(NOW)).resolves.toEqual({ warned: 1, breached: 0, escalated: 0, priorityRaised: 0 });
+
+    expect(models.Notification.createSlaNotification).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'a1', event: 'warning', content: '会话「退款进度」的首次响应将在 5 分钟后超时'
+    }));
+    expect(messageQueue.send).toHaveBeenCalledWith('customer_service.sla_warning', expect.objectContaining({
+      conversationId: 'c1', timerId: 't1', timeRemaining: 5 * MINUTE, assigneeId: 'a1'
+    }));
+  });
+
+  test('其他实例已处理的计时器不重复处理', async () => {
+    const timer = makeTimer({ markWarned: jest.fn().mockResolvedValue(false) });
+    models.SlaTimer.findDueForWarning.mockResolvedValue([timer]);
+
+    await expect(slaService.processDueTimers(NOW)).resolves.toMatchObject({ warned: 0 });
+    expect(messageQueue.send).not.toHaveBeenCalled();
+  });
+
+  test('超时后升级给所有客服主管并提升会话优先级，记录执行的处理', async () => {
+    const timer = makeTimer();
+    const conversation = { id: 'c1', title: '退款进度', priority: 'high', category: '退款', update: jest.fn() };
+    conversation.update.mockImplementation(async data => Object.assign(conversation, data));
+    models.SlaTimer.findDueForBreach.mockResolvedValue([timer]);
+    models.Conversation.findByPk.mockResolvedValue(conversation);
+    models.SlaPolicy.findByPk.mockResolvedValue(makePolicy('escalate_and_raise_priority'));
+    models.User.findAll.mockResolvedValue([{ id: 'm1' }, { id: 'm2' }]);
+
+    await expect(slaService.processDueTimers(NOW)).resolves.toEqual({ warned: 0, breached: 1, escalated: 1, priorityRaised: 1 });
+
+    expect(models.Notification.createSlaNotification.mock.calls.map(([notification]) => notification.userId)).toEqual(['a1', 'm1', 'm2']);
+    expect(conversation.update).toHaveBeenCalledWith({ priority: 'urgent' });
+    expect(timer.update).toHaveBeenCalledWith({
+      actions: [
+        { type: 'escalate', userIds: ['m1', 'm2'], at: NOW },
+        { type: 'raise_priority', from: 'high', to: 'urgent', at: NOW }
+      ]
+    });
+    expect(messageQueue.send).toHaveBeenCalledWith('customer_service.sla_breach', expect.objectContaining({
+      conversationId: 'c1', priority: 'urgent', actions: expect.any(Array)
+    }));
+  });
+
+  test('单个计时器处理失败不影响其他计时器', async () => {
+    const failing = makeTimer({ markBreached: jest.fn().mockRejectedValue(new Error('数据库不可用')) });
+    const timer = makeTimer({ id: 't2' });
+    models.SlaTimer.findDueForBreach.mockResolvedValue([failing, timer]);
+    models.Conversation.findByPk.mockResolvedValue(null);
+    models.SlaPolicy.findByPk.mockResolvedValue(makePolicy('notify'));
+
+    await expect(slaService.processDueTimers(NOW)).resolves.toMatchObject({ breached: 1 });
+    expect(messageQueue.send).toHaveBeenCalledWith('customer_service.sla_breach', expect.objectContaining({ timerId: 't2', actions: [] }));
+  });
+});
@@ -0,0 +1,863 @@
+/**
+ * 会员钱包服务
+ * 提供余额充值（通过支付服务向微信支付、支付宝下单）、下单时余额支付、售后退款退回余额、提现申请和审核，
+ * 以及每日余额对账。
+ * 每次余额变动都在数据库事务中锁定钱包账户后条件更新余额，并写入一条不可修改的资金流水，
+ * 同一来源的流水只写入一次，重复的支付通知、退款重试不会重复入账。
+ */
+
+const crypto = require('crypto');
+const di = require('@core/di/container');
+const { TransactionManager } = require('../data-access/database/TransactionManager');
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const { AppError, NotFoundError, ValidationError, TransactionError } = require('../exception/handlers/errorHandler');
+const walletRepository = require('../repositories/walletRepository');
+const paymentRepository = require('../repositories/paymentRepository');
+
+const { PAYMENT_STATUS, PAYMENT_BIZ_TYPE } = paymentRepository;
+
+// 数据库连接池ID
+const DB_POOL_ID = process.env.DB_POOL_ID || 'default';
+
+// 单笔充值金额范围（元）
+const RECHARGE_MIN_AMOUNT = parseFloat(process.env.WALLET_RECHARGE_MIN || '1');
+const RECHARGE_MAX_AMOUNT = parseFloat(process.env.WALLET_RECHARGE_MAX || '50000');
+
+// 充值单支付时限（分钟）
+const RECHARGE_TIMEOUT_MINUTES = parseInt(process.env.WALLET_RECHARGE_TIMEOUT_MINUTES || '30', 10);
+
+// 单笔提现金额范围（元）
+const WITHDRAW_MIN_AMOUNT = parseFloat(process.env.WALLET_WITHDRAW_MIN || '1');
+const WITHDRAW_MAX_AMOUNT = parseFloat(process.env.WALLET_WITHDRAW_MAX || '20000');
+
+// 默认分页大小和上限
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * 资金流水类型
+ */
+const JOURNAL_TYPE = {
+  RECHARGE: 'recharge',               // 充值
+  PAYMENT: 'payment',                 // 余额支付
+  REFUND: 'refund',                   // 退款退回余额
+  WITHDRAW_FREEZE: 'withdraw_freeze', // 提现申请冻结
+  WITHDRAW_PAID: 'withdraw_paid',     // 提现审核通过，扣除冻结金额
+  WITHDRAW_REJECT: 'withdraw_reject'  // 提现驳回，冻结金额退回余额
+};
+
+/**
+ * 资金流水类型名称
+ */
+const JOURNAL_TYPE_TEXT = {
+  recharge: '余额充值',
+  payment: '余额支付',
+  refund: '余额退款',
+  withdraw_freeze: '余额提现',
+  withdraw_paid: '提现成功',
+  withdraw_reject: '提现驳回'
+};
+
+/**
+ * 充值单状态
+ */
+const RECHARGE_STATUS = {
+  PENDING: 'pending', // 待支付
+  PAID: 'paid',       // 已到账
+  CLOSED: 'closed'    // 已关闭
+};
+
+/**
+ * 提现申请状态
+ */
+const WITHDRAW_STATUS = {
+  PENDING: 'pending',   // 申请中
+  APPROVED: 'approved', // 提现成功
+  REJECTED: 'rejected'  // 提现失败（已驳回）
+};
+
+/**
+ * 提现到账账户类型
+ */
+const WITHDRAW_ACCOUNT_TYPES = ['alipay', 'wechat', 'bank'];
+
+/**
+ * 元转分
+ * @param {number|string} amount - 金额（元）
+ * @returns {number} 金额（分）
+ */
+function toCents(amount) {
+  return Math.round(Number(amount || 0) * 100);
+}
+
+/**
+ * 分转元
+ * @param {number} cents - 金额（分）
+ * @returns {number} 金额（元）
+ */
+function toYuan(cents) {
+  return Math.round(cents) / 100;
+}
+
+/**
+ * 生成业务单号
+ * @param {string} prefix - 前缀
+ * @returns {string} 单号
+ */
+function generateNo(prefix) {
+  return `${prefix}${Date.now()}${crypto.randomInt(0, 1000000).toString().padStart(6, '0')}`;
+}
+
+/**
+ * 规范化分页参数
+ * @param {Object} filters - { page, pageSize }
+ * @returns {Object} { page, pageSize, offset }
+ */
+function normalizePage(filters = {}) {
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(filters.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page, pageSize, offset: (page - 1) * pageSize };
+}
+
+/**
+ * 会员展示名称
+ * @param {Object} row - 含 username、phone 的记录
+ * @returns {string} 会员名称
+ */
+function memberName(row) {
+  return row.username || row.phone || `用户${row.user_id}`;
+}
+
+/**
+ * 格式化资金流水
+ * @param {Object} row - 流水记录
+ * @returns {Object} 资金流水
+ */
+function formatJournal(row) {
+  return {
+    id: row.id,
+    userId: String(row.user_id),
+    username: memberName(row),
+    type: row.type,
+    typeText: JOURNAL_TYPE_TEXT[row.type] || row.type,
+    amount: Number(row.amount),
+    frozenAmount: Number(row.frozen_amount),
+    balanceAfter: Number(row.balance_after),
+    frozenAfter: Number(row.frozen_after),
+    source: row.source,
+    sourceId: row.source_id,
+    remark: row.remark,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * 格式化充值单
+ * @param {Object} row - 充值单记录
+ * @returns {Object} 充值单
+ */
+function formatRecharge(row) {
+  const expired = row.status === RECHARGE_STATUS.PENDING && new Date(row.expires_at) <= new Date();
+  return {
+    id: row.id,
+    rechargeNo: row.recharge_no,
+    userId: String(row.user_id),
+    username: memberName(row),
+    amount: Number(row.amount),
+    status: expired ? RECHARGE_STATUS.CLOSED : row.status,
+    channel: row.channel,
+    tradeType: row.trade_type,
+    paymentNo: row.payment_no || null,
+    transactionId: row.transaction_id || null,
+    expiresAt: row.expires_at,
+    paidAt: row.paid_at || null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * 格式化提现申请
+ * @param {Object} row - 提现申请记录
+ * @returns {Object} 提现申请
+ */
+function formatWithdrawal(row) {
+  return {
+    id: row.id,
+    withdrawNo: row.withdraw_no,
+    userId: String(row.user_id),
+    username: memberName(row),
+    amount: Number(row.amount),
+    accountType: row.account_type,
+    accountNo: row.account_no,
+    accountName: row.account_name,
+    status: row.status,
+    reviewRemark: row.review_remark || null,
+    payoutReference: row.payout_reference || null,
+    reviewedAt: row.reviewed_at || null,
+    createdAt: row.created_at
+  };
+}
+
+class WalletService {
+  constructor() {
+    this.transactionManager = new TransactionManager({
+      getConnection: () => connectionPoolManager.getConnection(DB_POOL_ID)
+    });
+  }
+
+  // 获取logger服务
+  getLogger() {
+    if (!this._logger) {
+      this._logger = di.resolve('logger');
+    }
+    return this._logger;
+  }
+
+  // 获取缓存管理器（用于发布余额变动消息）
+  getCacheManager() {
+    if (!this._cacheManager) {
+      this._cacheManager = di.resolve('cacheManager');
+    }
+    return this._cacheManager;
+  }
+
+  // 获取支付服务（首次充值或余额支付时加载）
+  getPaymentService() {
+    if (!this._paymentService) {
+      const { PaymentService } = require('./paymentService');
+      this._paymentService = PaymentService.getInstance();
+    }
+    return this._paymentService;
+  }
+
+  /**
+   * 在钱包事务中执行操作，事务失败时抛出原始业务错误
+   * @param {Function} operation - 操作函数 (connection, transaction) => Promise
+   * @returns {Promise<any>} 操作结果
+   */
+  async runInTransaction(operation) {
+    try {
+      return await this.transactionManager.executeInTransaction(operation);
+    } catch (error) {
+      if (error instanceof TransactionError && error.originalError) {
+        throw error.originalError;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 使用非事务连接执行只读查询
+   * @param {Function} operation - 操作函数 (connection) => Promise
+   * @returns {Promise<any>} 查询结果
+   */
+  async withConnection(operation) {
+    const connection = await connectionPoolManager.getConnection(DB_POOL_ID);
+    try {
+      return await operation(connection);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * 变动钱包余额并写入资金流水（事务内调用）
+   * 先锁定账户，同一来源的流水已存在时不重复变动；可用余额或冻结金额不足时抛出错误
+   * @param {Object} connection - 事务连接
+   * @param {Object} change - 变动 { userId, type, amount（分）, frozenAmount（分）, source, sourceId, remark, operatorId }
+   * @returns {Promise<Object|null>} 余额变动，同一来源已入账时返回null
+   */
+  async applyChange(connection, change) {
+    const account = await walletRepository.lockAccount(connection, change.userId);
+
+    const existing = await walletRepository.findJournalBySource(connection, change.type, change.source, change.sourceId);
+    if (existing) {
+      return null;
+    }
+
+    const amount = change.amount || 0;
+    const frozenAmount = change.frozenAmount || 0;
+    const balanceAfter = toCents(account.balance) + amount;
+    const frozenAfter = toCents(account.frozen) + frozenAmount;
+    if (balanceAfter < 0) {
+      throw new AppError(409, '钱包余额不足', 409);
+    }
+    if (frozenAfter < 0) {
+      throw new AppError(409, '冻结金额不足', 409);
+    }
+
+    const updated = await walletRepository.applyChange(connection, change.userId, {
+      amount: toYuan(amount),
+      frozenAmount: toYuan(frozenAmount),
+      recharged: change.type === JOURNAL_TYPE.RECHARGE ? toYuan(amount) : 0,
+      spent: change.type === JOURNAL_TYPE.PAYMENT ? toYuan(-amount) : 0,
+      withdrawn: change.type === JOURNAL_TYPE.WITHDRAW_PAID ? toYuan(-frozenAmount) : 0
+    });
+    if (!updated) {
+      throw new AppError(409, '钱包余额不足', 409);
+    }
+
+    const journalId = await walletRepository.createJournal(connection, {
+      userId: change.userId,
+      type: change.type,
+      amount: toYuan(amount),
+      frozenAmount: toYuan(frozenAmount),
+      balanceAfter: toYuan(balanceAfter),
+      frozenAfter: toYuan(frozenAfter),
+      source: change.source,
+      sourceId: String(change.sourceId),
+      remark: change.remark,
+      operatorId: change.operatorId
+    });
+
+    return {
+      userId: String(change.userId),
+      journalId,
+      type: change.type,
+      changeAmount: toYuan(amount),
+      frozenAmount: toYuan(frozenAmount),
+      currentBalance: toYuan(balanceAfter),
+      currentFrozen: toYuan(frozenAfter),
+      reason: change.remark
+    };
+  }
+
+  /**
+   * 发布余额变动消息，事务已提交，发布失败只记录日志
+   * @param {Object|null} change - 余额变动
+   * @returns {Promise<void>}
+   */
+  async publishChange(change) {
+    if (!change) {
+      return;
+    }
+
+    try {
+      await this.getCacheManager().publish('member.wallet_changed', {
+        userId: change.userId,
+        type: change.type,
+        changeAmount: change.changeAmount,
+        currentBalance: change.currentBalance,
+        reason: change.reason,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.getLogger().error('发布余额变动消息失败', { userId: change.userId, error: error.message });
+    }
+  }
+
+  /**
+   * 获取钱包概览
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} { balance, frozen, totalRecharged, totalSpent, totalWithdrawn }
+   */
+  async getWallet(userId) {
+    try {
+      const account = await this.withConnection(connection => walletRepository.getAccount(connection, userId));
+      return {
+        balance: account ? Number(account.balance) : 0,
+        frozen: account ? Number(account.frozen) : 0,
+        totalRecharged: account ? Number(account.total_recharged) : 0,
+        totalSpent: account ? Number(account.total_spent) : 0,
+        totalWithdrawn: account ? Number(account.total_withdrawn) : 0
+      };
+    } catch (error) {
+      this.getLogger().error('获取钱包概览失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询资金流水
+   * @param {Object} filters - { userId, keyword, type, startDate, endDate, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getJournal(filters = {}) {
+    try {
+      const { page, pageSize, offset } = normalizePage(filters);
+      const { rows, total } = await this.withConnection(connection =>
+        walletRepository.findJournal(connection, filters, offset, pageSize)
+      );
+      return { list: rows.map(formatJournal), total, page, pageSize };
+    } catch (error) {
+      this.getLogger().error('查询资金流水失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 创建充值单并向支付渠道下单
+   * @param {string} userId - 用户ID
+   * @param {Object} params - { amount（元）, channel, tradeType, openid, clientIp }
+   * @returns {Promise<Object>} { recharge, payment }
+   */
+  async createRecharge(userId, params) {
+    try {
+      const cents = toCents(params.amount);
+      if (!(cents >= toCents(RECHARGE_MIN_AMOUNT) && cents <= toCents(RECHARGE_MAX_AMOUNT))) {
+        throw new ValidationError(`充值金额须在 ${RECHARGE_MIN_AMOUNT} 到 ${RECHARGE_MAX_AMOUNT} 元之间`);
+      }
+
+      const recharge = {
+        rechargeNo: generateNo('RC'),
+        userId,
+        amount: toYuan(cents),
+        channel: params.channel,
+        tradeType: params.tradeType,
+        expiresAt: new Date(Date.now() + RECHARGE_TIMEOUT_MINUTES * 60 * 1000)
+      };
+      const rechargeId = await this.withConnection(connection => walletRepository.createRecharge(connection, recharge));
+
+      const payment = await this.getPaymentService().createChannelPayment(userId, {
+        bizType: PAYMENT_BIZ_TYPE.RECHARGE,
+        orderId: rechargeId,
+        channel: params.channel,
+        tradeType: params.tradeType,
+        openid: params.openid,
+        clientIp: params.clientIp
+      });
+
+      this.getLogger().info('充值单创建成功', { userId, rechargeNo: recharge.rechargeNo, amount: recharge.amount });
+      return {
+        recharge: { id: rechargeId, rechargeNo: recharge.rechargeNo, amount: recharge.amount, expiresAt: recharge.expiresAt },
+        payment
+      };
+    } catch (error) {
+      this.getLogger().error('创建充值单失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 锁定待支付的充值单（由支付服务在下单事务中调用）
+   * @param {Object} connection - 事务连接
+   * @param {string} rechargeId - 充值单ID
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object>} { id, no, userId, amount（元）, expiresAt, description }
+   */
+  async lockRechargeForPayment(connection, rechargeId, userId) {
+    const recharge = await walletRepository.getRecharge(connection, rechargeId, { forUpdate: true });
+    if (!recharge || String(recharge.user_id) !== String(userId)) {
+      throw new NotFoundError('充值单不存在');
+    }
+    if (recharge.status !== RECHARGE_STATUS.PENDING || new Date(recharge.expires_at) <= new Date()) {
+      throw new AppError(409, '充值单已支付或已关闭', 409);
+    }
+
+    return {
+      id: recharge.id,
+      no: recharge.recharge_no,
+      userId: recharge.user_id,
+      amount: Number(recharge.amount),
+      expiresAt: new Date(recharge.expires_at),
+      description: `余额充值 ${recharge.recharge_no}`
+    };
+  }
+
+  /**
+   * 充值单支付成功，充值金额计入余额（由支付服务在入账事务中调用）
+   * 已关闭的充值单收到支付结果时同样入账，款项已经到账
+   * @param {Object} connection - 事务连接
+   * @param {string} rechargeId - 充值单ID
+   * @param {Object} payment - 支付信息 { paymentNo, channel, tradeType, transactionId, paidAt }
+   * @returns {Promise<Object|null>} 余额变动，充值单已入账时返回null
+   */
+  async completeRecharge(connection, rechargeId, payment) {
+    const recharge = await walletRepository.getRecharge(connection, rechargeId, { forUpdate: true });
+    if (!recharge) {
+      throw new NotFoundError('充值单不存在');
+    }
+    if (recharge.status === RECHARGE_STATUS.PAID) {
+      return null;
+    }
+
+    const change = await this.applyChange(connection, {
+      userId: recharge.user_id,
+      type: JOURNAL_TYPE.RECHARGE,
+      amount: toCents(recharge.amount),
+      source: 'recharge',
+      sourceId: recharge.recharge_no,
+      remark: `充值单[${recharge.recharge_no}]充值${Number(recharge.amount).toFixed(2)}元`
+    });
+    await walletRepository.markRechargePaid(connection, recharge.id, {
+      ...payment,
+      journalId: change ? change.journalId : null
+    });
+
+    this.getLogger().info('充值到账', { rechargeNo: recharge.recharge_no, amount: Number(recharge.amount) });
+    return change;
+  }
+
+  /**
+   * 分页查询充值单
+   * @param {Object} filters - { userId, keyword, rechargeNo, status, startDate, endDate, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getRecharges(filters = {}) {
+    try {
+      const { page, pageSize, offset } = normalizePage(filters);
+      const { rows, total } = await this.withConnection(connection =>
+        walletRepository.findRecharges(connection, filters, offset, pageSize)
+      );
+      return { list: rows.map(formatRecharge), total, page, pageSize };
+    } catch (error) {
+      this.getLogger().error('查询充值单失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 使用余额支付订单
+   * 在同一事务中锁定订单、校验库存预占仍有效、锁定钱包账户、扣减余额并将订单更新为已支付，
+   * 预占已过期或已释放时整个事务回滚；提交后关闭该订单未完成的渠道支付单
+   * @param {string} userId - 用户ID
+   * @param {string} orderId - 订单ID
+   * @returns {Promise<Object>} { orderId, amount, balance, paidAt }
+   */
+  async payOrder(userId, orderId) {
+    try {
+      const paymentService = this.getPaymentService();
+      const paidAt = new Date();
+
+      const result = await this.runInTransaction(async (connection) => {
+        const { order } = await paymentService.lockPayableOrder(connection, orderId, userId);
+        await paymentService.assertReservationActive(connection, order.id);
+        const amount = toCents(order.payment_amount ?? order.total_amount);
+
+        const change = await this.applyChange(connection, {
+          userId,
+          type: JOURNAL_TYPE.PAYMENT,
+          amount: -amount,
+          source: 'order',
+          sourceId: order.id,
+          remark: `订单[${order.order_no}]支付金额${toYuan(amount).toFixed(2)}`
+        });
+        if (!change) {
+          throw new AppError(409, '订单已使用余额支付', 409);
+        }
+
+        const transactionId = `wallet_${change.journalId}`;
+        await paymentRepository.markOrderPaid(connection, order.id, { paymentMethod: 'balance', transactionId, paidAt });
+        return { order, amount, change, transactionId };
+      });
+
+      await this.publishChange(result.change);
+      await paymentService.publishOrderPaid(result.order, {
+        amount: toYuan(result.amount),
+        payment_no: null,
+        channel: 'balance',
+        trade_type: 'balance',
+        transaction_id: result.transactionId,
+        paid_at: paidAt
+      });
+      await this.closePendingChannelPayments(result.order.id);
+
+      this.getLogger().info('订单余额支付成功', { userId, orderId, amount: toYuan(result.amount) });
+      return {
+        orderId: String(result.order.id),
+        amount: toYuan(result.amount),
+        balance: result.change.currentBalance,
+        transactionId: result.transactionId,
+        paidAt
+      };
+    } catch (error) {
+      this.getLogger().error('订单余额支付失败', { userId, orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 关闭订单未完成的渠道支付单，避免余额支付后再次被扣款（失败时由支付对账任务处理）
+   * @param {string} orderId - 订单ID
+   * @returns {Promise<void>}
+   */
+  async closePendingChannelPayments(orderId) {
+    const payments = await this.withConnection(connection => paymentRepository.getPaymentsByOrder(connection, orderId));
+    for (const payment of payments.filter(item => item.status === PAYMENT_STATUS.PENDING)) {
+      try {
+        await this.getPaymentService().closeChannelPayment(payment.payment_no);
+      } catch (error) {
+        this.getLogger().warn('关闭渠道支付单失败', { orderId, paymentNo: payment.payment_no, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * 退款退回余额（余额支付的订单售后退款时调用），同一退款单只退回一次
+   * @param {string} refundId - 退款单号
+   * @param {Object} refund - { userId, amount（元）, reason }
+   * @returns {Promise<Object>} { refundId, amount, balance }
+   */
+  async refundToBalance(refundId, refund) {
+    try {
+      const change = await this.runInTransaction(connection => this.applyChange(connection, {
+        userId: refund.userId,
+        type: JOURNAL_TYPE.REFUND,
+        amount: toCents(refund.amount),
+        source: 'refund',
+        sourceId: refundId,
+        remark: `售后单[${refundId}]退还金额${Number(refund.amount).toFixed(2)}`
+      }));
+      await this.publishChange(change);
+
+      this.getLogger().info('退款已退回余额', { refundId, userId: refund.userId, amount: refund.amount, duplicate: !change });
+      return {
+        refundId: `wallet_refund_${refundId}`,
+        amount: Number(refund.amount),
+        balance: change ? change.currentBalance : null
+      };
+    } catch (error) {
+      this.getLogger().error('退款退回余额失败', { refundId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 申请提现，提现金额从可用余额转入冻结金额
+   * @param {string} userId - 用户ID
+   * @param {Object} params - { amount（元）, accountType, accountNo, accountName }
+   * @returns {Promise<Object>} 提现申请
+   */
+  async requestWithdrawal(userId, params) {
+    try {
+      const cents = toCents(params.amount);
+      if (!(cents >= toCents(WITHDRAW_MIN_AMOUNT) && cents <= toCents(WITHDRAW_MAX_AMOUNT))) {
+        throw new ValidationError(`提现金额须在 ${WITHDRAW_MIN_AMOUNT} 到 ${WITHDRAW_MAX_AMOUNT} 元之间`);
+      }
+      if (!WITHDRAW_ACCOUNT_TYPES.includes(params.accountType)) {
+        throw new ValidationError('无效的提现账户类型');
+      }
+      if (!params.accountNo || !params.accountName) {
+        throw new ValidationError('请填写提现账户和户名');
+      }
+
+      const withdrawNo = generateNo('W');
+      const change = await this.runInTransaction(async (connection) => {
+        const frozen = await this.applyChange(connection, {
+          userId,
+          type: JOURNAL_TYPE.WITHDRAW_FREEZE,
+          amount: -cents,
+          frozenAmount: cents,
+          source: 'withdrawal',
+          sourceId: withdrawNo,
+          remark: '提现金额已冻结'
+        });
+        await walletRepository.createWithdrawal(connection, {
+          withdrawNo,
+          userId,
+          amount: toYuan(cents),
+          accountType: params.accountType,
+          accountNo: params.accountNo,
+          accountName: params.accountName
+        });
+        return frozen;
+      });
+      await this.publishChange(change);
+
+      this.getLogger().info('提现申请已提交', { userId, withdrawNo, amount: toYuan(cents) });
+      const withdrawal = await this.withConnection(connection => walletRepository.getWithdrawalByNo(connection, withdrawNo));
+      return formatWithdrawal(withdrawal);
+    } catch (error) {
+      this.getLogger().error('提现申请失败', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询提现申请
+   * @param {Object} filters - { userId, keyword, status, startDate, endDate, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getWithdrawals(filters = {}) {
+    try {
+      const { page, pageSize, offset } = normalizePage(filters);
+      const { rows, total } = await this.withConnection(connection =>
+        walletRepository.findWithdrawals(connection, filters, offset, pageSize)
+      );
+      return { list: rows.map(formatWithdrawal), total, page, pageSize };
+    } catch (error) {
+      this.getLogger().error('查询提现申请失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取提现申请详情
+   * @param {string} withdrawNo - 申请编号
+   * @returns {Promise<Object>} 提现申请
+   */
+  async getWithdrawal(withdrawNo) {
+    try {
+      const withdrawal = await this.withConnection(connection => walletRepository.getWithdrawalByNo(connection, withdrawNo));
+      if (!withdrawal) {
+        throw new NotFoundError('提现申请不存在');
+      }
+      return formatWithdrawal(withdrawal);
+    } catch (error) {
+      this.getLogger().error('获取提现申请失败', { withdrawNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 审核提现申请
+   * 通过时扣除冻结金额（线下打款后登记打款流水号），驳回时冻结金额退回可用余额
+   * @param {string} withdrawNo - 申请编号
+   * @param {Object} operator - 审核人 { id }
+   * @param {Object} review - { approved, remark, payoutReference }
+   * @returns {Promise<Object>} 提现申请
+   */
+  async reviewWithdrawal(withdrawNo, operator, review) {
+    try {
+      if (!review.approved && !review.remark) {
+        throw new ValidationError('请填写驳回原因');
+      }
+
+      const change = await this.runInTransaction(async (connection) => {
+        const withdrawal = await walletRepository.getWithdrawalByNo(connection, withdrawNo, { forUpdate: true });
+        if (!withdrawal) {
+          throw new NotFoundError('提现申请不存在');
+        }
+        if (withdrawal.status !== WITHDRAW_STATUS.PENDING) {
+          throw new AppError(409, '提现申请已审核', 409);
+        }
+
+        const cents = toCents(withdrawal.amount);
+        const released = await this.applyChange(connection, review.approved ? {
+          userId: withdrawal.user_id,
+          type: JOURNAL_TYPE.WITHDRAW_PAID,
+          frozenAmount: -cents,
+          source: 'withdrawal',
+          sourceId: withdrawNo,
+          remark: `提现${toYuan(cents).toFixed(2)}元已打款`,
+          operatorId: operator.id
+        } : {
+          userId: withdrawal.user_id,
+          type: JOURNAL_TYPE.WITHDRAW_REJECT,
+          amount: cents,
+          frozenAmount: -cents,
+          source: 'withdrawal',
+          sourceId: withdrawNo,
+          remark: `提现驳回：${review.remark}`,
+          operatorId: operator.id
+        });
+
+        await walletRepository.reviewWithdrawal(connection, withdrawal.id, {
+          status: review.approved ? WITHDRAW_STATUS.APPROVED : WITHDRAW_STATUS.REJECTED,
+          reviewerId: operator.id,
+          remark: review.remark,
+          payoutReference: review.payoutReference
+        });
+        return released;
+      });
+      await this.publishChange(change);
+
+      this.getLogger().info('提现申请已审核', { withdrawNo, approved: Boolean(review.approved), operatorId: operator.id });
+      return this.getWithdrawal(withdrawNo);
+    } catch (error) {
+      this.getLogger().error('审核提现申请失败', { withdrawNo, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 每日余额对账：核对每个钱包账户的可用余额、冻结金额与资金流水合计，不一致的记录为对账差异
+   * 同时关闭已过期的待支付充值单
+   * @param {Date} [now] - 当前时间
+   * @returns {Promise<Object>} { runDate, mismatches, flagged, closedRecharges }
+   */
+  async reconcileBalances(now = new Date()) {
+    try {
+      const runDate = now.toISOString().slice(0, 10);
+      const mismatches = await this.withConnection(connection => walletRepository.findBalanceMismatches(connection));
+
+      let flagged = 0;
+      for (const mismatch of mismatches) {
+        const created = await this.withConnection(connection => walletRepository.createReconcileIssue(connection, runDate, mismatch));
+        if (created) {
+          flagged++;
+          this.getLogger().warn('钱包余额与资金流水不一致', {
+            userId: mismatch.user_id,
+            balance: Number(mismatch.balance),
+            journalBalance: Number(mismatch.journal_balance),
+            frozen: Number(mismatch.frozen),
+            journalFrozen: Number(mismatch.journal_frozen)
+          });
+        }
+      }
+
+      const closedRecharges = await this.withConnection(connection => walletRepository.closeExpiredRecharges(connection, now));
+
+      return { runDate, mismatches: mismatches.length, flagged, closedRecharges };
+    } catch (error) {
+      this.getLogger().error('钱包余额对账失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询对账差异
+   * @param {Object} filters - { status, keyword, page, pageSize }
+   * @returns {Promise<Object>} { list, total, page, pageSize }
+   */
+  async getReconcileIssues(filters = {}) {
+    try {
+      const { page, pageSize, offset } = normalizePage(filters);
+      const { rows, total } = await this.withConnection(connection =>
+        walletRepository.findReconcileIssues(connection, filters, offset, pageSize)
+      );
+      return {
+        list: rows.map(row => ({
+          id: row.id,
+          runDate: row.run_date,
+          userId: String(row.user_id),
+          username: memberName(row),
+          accountBalance: Number(row.account_balance),
+          journalBalance: Number(row.journal_balance),
+          accountFrozen: Number(row.account_frozen),
+          journalFrozen: Number(row.journal_frozen),
+          status: row.status,
+          resolveRemark: row.resolve_remark || null,
+          resolvedAt: row.resolved_at || null,
+          createdAt: row.created_at
+        })),
+        total,
+        page,
+        pageSize
+      };
+    } catch (error) {
+      this.getLogger().error('查询对账差异失败', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 标记对账差异已处理
+   * @param {number} issueId - 差异ID
+   * @param {Object} operator - 处理人 { id }
+   * @param {string} remark - 处理说明
+   * @returns {Promise<void>}
+   */
+  async resolveReconcileIssue(issueId, operator, remark) {
+    try {
+      const resolved = await this.withConnection(connection =>
+        walletRepository.resolveReconcileIssue(connection, issueId, { resolverId: operator.id, remark })
+      );
+      if (!resolved) {
+        throw new NotFoundError('对账差异不存在或已处理');
+      }
+      this.getLogger().info('对账差异已处理', { issueId, operatorId: operator.id });
+    } catch (error) {
+      this.getLogger().error('处理对账差异失败', { issueId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+// 导出单例实例
+const walletService = new WalletService();
+module.exports = walletService;
+module.exports.JOURNAL_TYPE = JOURNAL_TYPE;
+module.exports.RECHARGE_STATUS = RECHARGE_STATUS;
+module.exports.WITHDRAW_STATUS = WITHDRAW_STATUS;
+module.exports.WITHDRAW_ACCOUNT_TYPES = WITHDRAW_ACCOUNT_TYPES;
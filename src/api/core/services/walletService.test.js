@@ -0,0 +1,203 @@
+/**
+ * 钱包服务测试
+ */
+
+const mockCacheManager = { publish: jest.fn() };
+const mockLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+jest.mock('@core/di/container', () => ({
+  resolve: name => (name === 'cacheManager' ? mockCacheManager : mockLogger)
+}), { virtual: true });
+jest.mock('../data-access/database/TransactionManager', () => ({
+  TransactionManager: jest.fn().mockImplementation(() => ({
+    executeInTransaction: jest.fn()
+  }))
+}));
+jest.mock('../data-access/database/ConnectionPoolManager', () => ({
+  connectionPoolManager: { getConnection: jest.fn() }
+}));
+jest.mock('../repositories/walletRepository', () => ({
+  lockAccount: jest.fn(),
+  findJournalBySource: jest.fn(),
+  applyChange: jest.fn(),
+  createJournal: jest.fn(),
+  createWithdrawal: jest.fn(),
+  getWithdrawalByNo: jest.fn(),
+  reviewWithdrawal: jest.fn(),
+  findBalanceMismatches: jest.fn(),
+  createReconcileIssue: jest.fn(),
+  closeExpiredRecharges: jest.fn()
+}));
+jest.mock('../repositories/paymentRepository', () => ({
+  PAYMENT_STATUS: { PENDING: 'pending', PAID: 'paid', CLOSED: 'closed' },
+  PAYMENT_BIZ_TYPE: { ORDER: 'order', RECHARGE: 'recharge' },
+  markOrderPaid: jest.fn(),
+  getPaymentsByOrder: jest.fn()
+}));
+
+const { connectionPoolManager } = require('../data-access/database/ConnectionPoolManager');
+const walletRepository = require('../repositories/walletRepository');
+const paymentRepository = require('../repositories/paymentRepository');
+const walletService = require('./walletService');
+
+const { JOURNAL_TYPE, WITHDRAW_STATUS } = walletService;
+
+const connection = { query: jest.fn(), release: jest.fn() };
+const paymentService = {
+  lockPayableOrder: jest.fn(),
+  assertReservationActive: jest.fn(),
+  publishOrderPaid: jest.fn(),
+  closeChannelPayment: jest.fn()
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  walletService._paymentService = paymentService;
+  walletService.transactionManager.executeInTransaction.mockImplementation(operation => operation(connection, {}));
+  connectionPoolManager.getConnection.mockResolvedValue(connection);
+  walletRepository.lockAccount.mockResolvedValue({ balance: '100.00', frozen: '0.00' });
+  walletRepository.findJournalBySource.mockResolvedValue(null);
+  walletRepository.applyChange.mockResolvedValue(true);
+  walletRepository.createJournal.mockResolvedValue(8);
+});
+
+describe('applyChange', () => {
+  test('变动余额并按变动后余额写入资金流水', async () => {
+    const change = await walletService.applyChange(connection, {
+      userId: 'u1', type: JOURNAL_TYPE.PAYMENT, amount: -3050, source: 'order', sourceId: 1, remark: '订单支付'
+    });
+
+    expect(walletRepository.applyChange).toHaveBeenCalledWith(connection, 'u1', {
+      amount: -30.5, frozenAmount: 0, recharged: 0, spent: 30.5, withdrawn: 0
+    });
+    expect(walletRepository.createJournal).toHaveBeenCalledWith(connection, expect.objectContaining({
+      amount: -30.5, balanceAfter: 69.5, frozenAfter: 0, sourceId: '1'
+    }));
+    expect(change).toMatchObject({ journalId: 8, changeAmount: -30.5, currentBalance: 69.5 });
+  });
+
+  test('同一来源已有流水时不重复变动', async () => {
+    walletRepository.findJournalBySource.mockResolvedValue({ id: 5 });
+
+    await expect(walletService.applyChange(connection, {
+      userId: 'u1', type: JOURNAL_TYPE.REFUND, amount: 1000, source: 'refund', sourceId: 'AS1'
+    })).resolves.toBeNull();
+    expect(walletRepository.applyChange).not.toHaveBeenCalled();
+  });
+
+  test('可用余额不足时返回409', async () => {
+    await expect(walletService.applyChange(connection, {
+      userId: 'u1', type: JOURNAL_TYPE.PAYMENT, amount: -10001, source: 'order', sourceId: 1
+    })).rejects.toMatchObject({ statusCode: 409, message: '钱包余额不足' });
+    expect(walletRepository.createJournal).not.toHaveBeenCalled();
+  });
+});
+
+describe('payOrder', () => {
+  const order = { id: 1, order_no: 'O1', payment_amount: '30.00' };
+
+  beforeEach(() => {
+    paymentService.lockPayableOrder.mockResolvedValue({ order });
+    paymentRepository.getPaymentsByOrder.mockResolvedValue([
+      { payment_no: 'P1', status: 'pending' },
+      { payment_no: 'P2', status: 'closed' }
+    ]);
+  });
+
+  test('扣减余额、标记订单已支付，并关闭未完成的渠道支付单', async () => {
+    const result = await walletService.payOrder('u1', '1');
+
+    expect(paymentService.assertReservationActive).toHaveBeenCalledWith(connection, 1);
+    expect(paymentRepository.markOrderPaid).toHaveBeenCalledWith(connection, 1, expect.objectContaining({
+      paymentMethod: 'balance', transactionId: 'wallet_8'
+    }));
+    expect(paymentService.publishOrderPaid).toHaveBeenCalledWith(order, expect.objectContaining({ amount: 30, channel: 'balance' }));
+    expect(paymentService.closeChannelPayment).toHaveBeenCalledTimes(1);
+    expect(paymentService.closeChannelPayment).toHaveBeenCalledWith('P1');
+    expect(result).toMatchObject({ orderId: '1', amount: 30, balance: 70 });
+  });
+
+  test('库存预占已失效时不扣减余额', async () => {
+    paymentService.assertReservationActive.mockRejectedValue(new Error('订单已超时关闭'));
+
+    await expect(walletService.payOrder('u1', '1')).rejects.toThrow('订单已超时关闭');
+    expect(walletRepository.applyChange).not.toHaveBeenCalled();
+    expect(paymentRepository.markOrderPaid).not.toHaveBeenCalled();
+  });
+
+  test('订单已使用余额支付时返回409', async () => {
+    walletRepository.findJournalBySource.mockResolvedValue({ id: 5 });
+
+    await expect(walletService.payOrder('u1', '1')).rejects.toMatchObject({ statusCode: 409, message: '订单已使用余额支付' });
+    expect(paymentRepository.markOrderPaid).not.toHaveBeenCalled();
+  });
+});
+
+describe('requestWithdrawal', () => {
+  test('提现金额从可用余额转入冻结金额', async () => {
+    walletRepository.getWithdrawalByNo.mockImplementation(async (conn, withdrawNo) => ({
+      id: 1, withdraw_no: withdrawNo, user_id: 'u1', amount: '40.00', status: WITHDRAW_STATUS.PENDING
+    }));
+
+    const withdrawal = await walletService.requestWithdrawal('u1', {
+      amount: 40, accountType: 'alipay', accountNo: 'a@example.com', accountName: '张三'
+    });
+
+    expect(walletRepository.applyChange).toHaveBeenCalledWith(connection, 'u1', expect.objectContaining({
+      amount: -40, frozenAmount: 40
+    }));
+    expect(walletRepository.createWithdrawal).toHaveBeenCalledWith(connection, expect.objectContaining({
+      withdrawNo: withdrawal.withdrawNo, amount: 40, accountType: 'alipay'
+    }));
+    expect(withdrawal).toMatchObject({ amount: 40, status: WITHDRAW_STATUS.PENDING });
+  });
+
+  test('提现账户类型无效时报错', async () => {
+    await expect(walletService.requestWithdrawal('u1', {
+      amount: 40, accountType: 'paypal', accountNo: 'a', accountName: '张三'
+    })).rejects.toThrow('无效的提现账户类型');
+    expect(walletRepository.lockAccount).not.toHaveBeenCalled();
+  });
+});
+
+describe('reviewWithdrawal', () => {
+  const withdrawal = { id: 1, withdraw_no: 'W1', user_id: 'u1', amount: '40.00', status: WITHDRAW_STATUS.PENDING };
+
+  test('驳回时冻结金额退回可用余额', async () => {
+    walletRepository.lockAccount.mockResolvedValue({ balance: '60.00', frozen: '40.00' });
+    walletRepository.getWithdrawalByNo.mockResolvedValue(withdrawal);
+
+    await walletService.reviewWithdrawal('W1', { id: 'admin' }, { approved: false, remark: '账户信息有误' });
+
+    expect(walletRepository.createJournal).toHaveBeenCalledWith(connection, expect.objectContaining({
+      type: JOURNAL_TYPE.WITHDRAW_REJECT, amount: 40, frozenAmount: -40, balanceAfter: 100, frozenAfter: 0
+    }));
+    expect(walletRepository.reviewWithdrawal).toHaveBeenCalledWith(connection, 1, expect.objectContaining({
+      status: WITHDRAW_STATUS.REJECTED, reviewerId: 'admin'
+    }));
+  });
+
+  test('提现申请已审核时返回409', async () => {
+    walletRepository.getWithdrawalByNo.mockResolvedValue({ ...withdrawal, status: WITHDRAW_STATUS.APPROVED });
+
+    await expect(walletService.reviewWithdrawal('W1', { id: 'admin' }, { approved: true }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(walletRepository.reviewWithdrawal).not.toHaveBeenCalled();
+  });
+});
+
+describe('reconcileBalances', () => {
+  test('记录余额与资金流水不一致的账户，同一天不重复记录', async () => {
+    walletRepository.findBalanceMismatches.mockResolvedValue([
+      { user_id: 'u1', balance: '100.00', journal_balance: '90.00', frozen: '0.00', journal_frozen: '0.00' },
+      { user_id: 'u2', balance: '5.00', journal_balance: '0.00', frozen: '0.00', journal_frozen: '0.00' }
+    ]);
+    walletRepository.createReconcileIssue.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+    walletRepository.closeExpiredRecharges.mockResolvedValue(3);
+
+    const result = await walletService.reconcileBalances(new Date('2026-01-05T02:00:00Z'));
+
+    expect(result).toEqual({ runDate: '2026-01-05', mismatches: 2, flagged: 1, closedRecharges: 3 });
+    expect(mockLogger.warn).toHaveBeenCalledTimes(1);
+  });
+});
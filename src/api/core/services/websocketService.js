@@ -1,12 +1,58 @@
+const os = require('os');
+const crypto = require('crypto');
 const WebSocket = require('ws');
 const logger = require('../utils/logger');
 const di = require('../di/container');
+const { redisClient } = require('../cache/redisClient');
 
+// 在线状态的保留时间（秒），连接所在节点定时续期，节点宕机后自动过期
+const PRESENCE_TTL_SECONDS = 90;
+
+// 在线状态的续期间隔（毫秒），连续几次续期失败也不会在连接仍在时过期
+const PRESENCE_RENEW_INTERVAL_MS = 15000;
+
+// 启用跨节点投递失败后的重试间隔（毫秒）
+const CLUSTER_RETRY_DELAY_MS = 10000;
+
+// 登记或续期在线状态（userId → 节点ID）
+const PRESENCE_SET_SCRIPT = `return redis.call('SET', KEYS[1], ARGV[1], 'EX', ARGV[2])`;
+
+// 查询在线状态所在节点
+const PRESENCE_GET_SCRIPT = `return redis.call('GET', KEYS[1])`;
+
+// 断开连接时只删除本节点写入的在线状态，避免覆盖用户在其他节点的新连接
+const PRESENCE_RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end
+return 0
+`;
+
+/**
+ * WebSocket服务
+ * 多个API实例部署时，各实例通过Redis发布订阅互相转发消息：用户不在本节点时，send 将消息发布到投递频道，
+ * 用户所在的节点收到后投递给本地连接；用户在线状态（userId → 节点ID）保存在Redis中，供 isUserOnlineInCluster 查询。
+ * Redis 不可用时只投递给本节点的连接。
+ */
 class WebSocketService {
-  constructor(server) {
+  /**
+   * 构造函数
+   * @param {Object} server - HTTP服务器实例
+   * @param {Object} [options] - 选项
+   * @param {Object} [options.redis] - Redis客户端实例，默认使用全局Redis客户端
+   * @param {string} [options.namespace='ws'] - 投递频道和在线状态键的命名空间，同一命名空间的节点互相转发
+   */
+  constructor(server, options = {}) {
     this.wss = new WebSocket.Server({ server, path: '/ws' });
     this.clients = new Map(); // userId => WebSocket
     this.userConnections = new Map(); // userId => { socket, sessionId, metadata }
+    this.redis = options.redis || redisClient;
+    this.namespace = options.namespace || 'ws';
+    this.deliveryChannel = `${this.namespace}:delivery`;
+    this.nodeId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.clusterEnabled = false;
+    this.clusterPending = null;
+    this.clusterRetryTimer = null;
+    this.presenceTimer = null;
+    this.closed = false;
     this.init();
   }
 
@@ -77,6 +123,7 @@ class WebSocketService {
         };
 
         this.userConnections.set(userId, connectionInfo);
+        this.markOnline(userId);
         
         // 记录连接日志
         logger.info(`用户 ${userId}(${role}) 已连接到WebSocket，当前连接数: ${this.userConnections.size}`);
@@ -102,6 +149,9 @@ class WebSocketService {
           logger.error(`WebSocket错误 (${userId}):`, error);
         });
 
+        // 通知系统用户上线
+        this.emitEvent('user_connected', { userId, role });
+
       } catch (error) {
         logger.error('WebSocket连接建立失败:', error);
         ws.close(4000, 'Connection error');
@@ -109,7 +159,131 @@ class WebSocketService {
     });
 
     // 定期清理失效连接
-    setInterval(() => this.cleanupConnections(), 30000);
+    this.cleanupTimer = setInterval(() => this.cleanupConnections(), 30000);
+  }
+
+  /**
+   * 启用跨节点投递：订阅投递频道，登记本节点已有连接的在线状态并开始定时续期
+   * 并发调用共用同一次启用；启用失败时每隔 CLUSTER_RETRY_DELAY_MS 重试，直到成功或服务关闭
+   * @returns {Promise<boolean>} 是否已启用，Redis 不可用或本次启用失败时返回 false
+   */
+  enableClusterDelivery() {
+    if (this.clusterEnabled) {
+      return Promise.resolve(true);
+    }
+    if (!this.clusterPending) {
+      clearTimeout(this.clusterRetryTimer);
+      this.clusterPending = this.subscribeDelivery().finally(() => {
+        this.clusterPending = null;
+      });
+    }
+    return this.clusterPending;
+  }
+
+  /**
+   * 订阅投递频道，失败时安排重试
+   * @returns {Promise<boolean>} 是否已启用
+   */
+  async subscribeDelivery() {
+    try {
+      await this.redis.ready();
+      if (this.redis.isMock) {
+        logger.warn('Redis不可用，WebSocket消息只投递给本节点的连接');
+        return false;
+      }
+      await this.redis.subscribe(this.deliveryChannel, (channel, payload) => this.handleClusterDelivery(payload));
+      if (this.closed) {
+        await this.redis.unsubscribe(this.deliveryChannel);
+        return false;
+      }
+      this.clusterEnabled = true;
+      this.renewPresence();
+      this.presenceTimer = setInterval(() => this.renewPresence(), PRESENCE_RENEW_INTERVAL_MS);
+      logger.info(`WebSocket跨节点投递已启用，节点: ${this.nodeId}`);
+      return true;
+    } catch (error) {
+      logger.error('启用WebSocket跨节点投递失败:', error);
+      if (!this.closed) {
+        this.clusterRetryTimer = setTimeout(() => this.enableClusterDelivery(), CLUSTER_RETRY_DELAY_MS);
+        this.clusterRetryTimer.unref();
+      }
+      return false;
+    }
+  }
+
+  /**
+   * 在线状态的Redis键
+   * @param {string} userId - 用户ID
+   * @returns {string} 键
+   */
+  presenceKey(userId) {
+    return `${this.namespace}:presence:${userId}`;
+  }
+
+  /**
+   * 登记用户在本节点在线
+   * 跨节点投递正在启用时，等启用完成后再登记
+   * @param {string} userId - 用户ID
+   */
+  markOnline(userId) {
+    if (!this.clusterEnabled) {
+      if (this.clusterPending) {
+        this.clusterPending.then(enabled => {
+          if (enabled && this.userConnections.has(userId)) {
+            this.markOnline(userId);
+          }
+        });
+      }
+      return;
+    }
+    this.redis.evalScript(PRESENCE_SET_SCRIPT, [this.presenceKey(userId)], [this.nodeId, PRESENCE_TTL_SECONDS]).catch(error => {
+      logger.error(`登记在线状态失败 (${userId}):`, error);
+    });
+  }
+
+  /**
+   * 清除用户在本节点的在线状态
+   * @param {string} userId - 用户ID
+   */
+  markOffline(userId) {
+    if (!this.clusterEnabled) return;
+    this.redis.evalScript(PRESENCE_RELEASE_SCRIPT, [this.presenceKey(userId)], [this.nodeId]).catch(error => {
+      logger.error(`清除在线状态失败 (${userId}):`, error);
+    });
+  }
+
+  /**
+   * 为本节点所有打开的连接续期在线状态
+   */
+  renewPresence() {
+    this.userConnections.forEach((connectionInfo, userId) => {
+      if (connectionInfo.socket.readyState === WebSocket.OPEN) {
+        this.markOnline(userId);
+      }
+    });
+  }
+
+  /**
+   * 处理其他节点转发的消息，投递给本节点的连接
+   * @param {Object} payload - { origin, userIds, message }
+   */
+  handleClusterDelivery(payload) {
+    if (!payload || payload.origin === this.nodeId || !Array.isArray(payload.userIds)) {
+      return;
+    }
+    payload.userIds.forEach(userId => this.deliverLocal(userId, payload.message));
+  }
+
+  /**
+   * 将消息转发给其他节点
+   * @param {Array<string>} userIds - 接收用户ID
+   * @param {Object} message - 消息
+   */
+  publishToCluster(userIds, message) {
+    if (!this.clusterEnabled || userIds.length === 0) return;
+    this.redis.publish(this.deliveryChannel, { origin: this.nodeId, userIds, message }).catch(error => {
+      logger.error('转发WebSocket消息失败:', error);
+    });
   }
 
   /**
@@ -185,6 +359,7 @@ class WebSocketService {
     if (connectionInfo) {
       logger.info(`用户 ${userId}(${connectionInfo.role}) 已断开WebSocket连接，当前连接数: ${this.userConnections.size - 1}`);
       this.userConnections.delete(userId);
+      this.markOffline(userId);
       
       // 通知系统用户离线
       this.emitEvent('user_disconnected', { userId, role: connectionInfo.role });
@@ -193,8 +368,22 @@ class WebSocketService {
 
   /**
    * 发送消息给指定用户
+   * 用户不在本节点时转发给其他节点投递
+   * @returns {boolean} 是否已投递给本节点的连接
    */
   send(userId, message) {
+    if (this.deliverLocal(userId, message)) {
+      return true;
+    }
+    this.publishToCluster([userId], message);
+    return false;
+  }
+
+  /**
+   * 发送消息给本节点连接的用户
+   * @returns {boolean} 是否已投递
+   */
+  deliverLocal(userId, message) {
     const connectionInfo = this.userConnections.get(userId);
     if (connectionInfo && connectionInfo.socket.readyState === WebSocket.OPEN) {
       try {
@@ -228,7 +417,7 @@ class WebSocketService {
     let count = 0;
     this.userConnections.forEach((connectionInfo, userId) => {
       if (!filter || filter(connectionInfo)) {
-        if (this.send(userId, message)) {
+        if (this.deliverLocal(userId, message)) {
           count++;
         }
       }
@@ -239,14 +428,20 @@ class WebSocketService {
 
   /**
    * 发送消息给多个用户
+   * 不在本节点的用户合并为一条消息转发给其他节点
+   * @returns {number} 投递给本节点连接的用户数
    */
   sendToUsers(userIds, message) {
     let count = 0;
+    const remoteUserIds = [];
     userIds.forEach(userId => {
-      if (this.send(userId, message)) {
+      if (this.deliverLocal(userId, message)) {
         count++;
+      } else {
+        remoteUserIds.push(userId);
       }
     });
+    this.publishToCluster(remoteUserIds, message);
     return count;
   }
 
@@ -333,12 +528,32 @@ class WebSocketService {
   }
 
   /**
-   * 检查用户是否在线
+   * 检查用户是否连接在本节点
    */
   isUserOnline(userId) {
     return this.userConnections.has(userId);
   }
 
+  /**
+   * 检查用户是否连接在任一节点
+   * @param {string} userId - 用户ID
+   * @returns {Promise<boolean>} 是否在线
+   */
+  async isUserOnlineInCluster(userId) {
+    if (this.isUserOnline(userId)) {
+      return true;
+    }
+    if (!this.clusterEnabled) {
+      return false;
+    }
+    try {
+      return Boolean(await this.redis.evalScript(PRESENCE_GET_SCRIPT, [this.presenceKey(userId)]));
+    } catch (error) {
+      logger.error(`查询在线状态失败 (${userId}):`, error);
+      return false;
+    }
+  }
+
   /**
    * 获取在线用户数量
    */
@@ -370,6 +585,7 @@ class WebSocketService {
       // 检查连接是否仍处于OPEN状态
       if (connectionInfo.socket.readyState !== WebSocket.OPEN) {
         this.userConnections.delete(userId);
+        this.markOffline(userId);
         cleanedCount++;
       }
     });
@@ -443,12 +659,38 @@ class WebSocketService {
     return null;
   }
 
+  /**
+   * 关闭WebSocket服务：停止清理、续期和重试定时器，取消订阅投递频道、清除本节点用户的在线状态并关闭所有连接
+   */
+  async shutdown() {
+    this.closed = true;
+    clearInterval(this.cleanupTimer);
+    clearInterval(this.presenceTimer);
+    clearTimeout(this.clusterRetryTimer);
+    if (this.clusterEnabled) {
+      try {
+        await this.redis.unsubscribe(this.deliveryChannel);
+        await Promise.all(Array.from(this.userConnections.keys()).map(userId =>
+          this.redis.evalScript(PRESENCE_RELEASE_SCRIPT, [this.presenceKey(userId)], [this.nodeId])
+        ));
+      } catch (error) {
+        logger.error('清理WebSocket跨节点投递失败:', error);
+      }
+      this.clusterEnabled = false;
+    }
+    this.userConnections.forEach(connectionInfo => connectionInfo.socket.close(1001, 'Server shutting down'));
+    this.userConnections.clear();
+    await new Promise(resolve => this.wss.close(() => resolve()));
+    logger.info('WebSocket服务已关闭');
+  }
+
   /**
    * 启动WebSocket服务
    */
   static start(httpServer) {
     if (!this.instance) {
       this.instance = new WebSocketService(httpServer);
+      this.instance.enableClusterDelivery();
       logger.info('WebSocket服务已启动');
     }
     return this.instance;
@@ -465,4 +707,7 @@ class WebSocketService {
   }
 }
 
-module.exports = WebSocketService;
\ No newline at end of file
+module.exports = WebSocketService;
+module.exports.PRESENCE_TTL_SECONDS = PRESENCE_TTL_SECONDS;
+module.exports.PRESENCE_RENEW_INTERVAL_MS = PRESENCE_RENEW_INTERVAL_MS;
+module.exports.CLUSTER_RETRY_DELAY_MS = CLUSTER_RETRY_DELAY_MS;
\ No newline at end of file
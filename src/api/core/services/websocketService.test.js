@@ -0,0 +1,277 @@
+/**
+ * WebSocket服务测试
+ * 两个节点共用一个内存中的模拟Redis，验证跨节点投递和在线状态登记
+ */
+
+jest.mock('../utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../cache/redisClient', () => ({
+  redisClient: {}
+}));
+
+const http = require('http');
+const WebSocket = require('ws');
+const WebSocketService = require('./websocketService');
+
+const { PRESENCE_TTL_SECONDS, PRESENCE_RENEW_INTERVAL_MS, CLUSTER_RETRY_DELAY_MS } = WebSocketService;
+
+/**
+ * 创建模拟Redis：同一 hub 创建的客户端共享发布订阅和在线状态
+ * @returns {Object} { presence, createClient }
+ */
+function createRedisHub() {
+  const presence = new Map();
+  const subscribers = new Map(); // channel => Set<callback>
+
+  const createClient = () => {
+    const callbacks = new Map(); // channel => callback
+    return {
+      isMock: false,
+      ready: jest.fn(async () => {}),
+      subscribe: jest.fn(async (channel, callback) => {
+        if (!subscribers.has(channel)) {
+          subscribers.set(channel, new Set());
+        }
+        subscribers.get(channel).add(callback);
+        callbacks.set(channel, callback);
+        return 1;
+      }),
+      unsubscribe: jest.fn(async channel => {
+        if (subscribers.has(channel)) {
+          subscribers.get(channel).delete(callbacks.get(channel));
+        }
+        callbacks.delete(channel);
+        return 1;
+      }),
+      publish: jest.fn(async (channel, message) => {
+        // 与真实客户端一样经过序列化，并异步回调订阅者
+        const payload = JSON.parse(JSON.stringify(message));
+        const targets = Array.from(subscribers.get(channel) || []);
+        setImmediate(() => targets.forEach(callback => callback(channel, payload)));
+        return targets.length;
+      }),
+      evalScript: jest.fn(async (script, [key], args = []) => {
+        if (script.includes("'SET'")) {
+          presence.set(key, { nodeId: args[0], ttl: Number(args[1]) });
+          return 'OK';
+        }
+        if (script.includes("'DEL'")) {
+          if (presence.has(key) && presence.get(key).nodeId === args[0]) {
+            presence.delete(key);
+            return 1;
+          }
+          return 0;
+        }
+        return presence.has(key) ? presence.get(key).nodeId : null;
+      })
+    };
+  };
+
+  return { presence, createClient };
+}
+
+/**
+ * 构建已打开的模拟连接
+ * @returns {Object} 连接信息
+ */
+function makeConnection(userId) {
+  return {
+    socket: { readyState: WebSocket.OPEN, send: jest.fn(), close: jest.fn() },
+    userId,
+    role: 'user',
+    connectedAt: new Date(),
+    metadata: {}
+  };
+}
+
+/**
+ * 等待模拟Redis异步投递完成
+ */
+function flushDelivery() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+let hub;
+let services;
+
+/**
+ * 创建使用模拟Redis的节点
+ * @param {Object} [server] - HTTP服务器
+ * @returns {WebSocketService} 服务实例
+ */
+function createNode(server = http.createServer()) {
+  const service = new WebSocketService(server, { redis: hub.createClient(), namespace: 'test' });
+  services.push(service);
+  return service;
+}
+
+beforeEach(() => {
+  hub = createRedisHub();
+  services = [];
+});
+
+afterEach(async () => {
+  jest.useRealTimers();
+  await Promise.all(services.map(service => service.shutdown()));
+});
+
+describe('send', () => {
+  test('用户不在本节点时发布到投递频道，由用户所在节点投递', async () => {
+    const nodeA = createNode();
+    const nodeB = createNode();
+    await expect(nodeA.enableClusterDelivery()).resolves.toBe(true);
+    await expect(nodeB.enableClusterDelivery()).resolves.toBe(true);
+    const connection = makeConnection('u2');
+    nodeB.userConnections.set('u2', connection);
+
+    const message = { type: 'new_message', data: { sessionId: 's1', content: '您好' } };
+    expect(nodeA.send('u2', message)).toBe(false);
+
+    expect(nodeA.redis.publish).toHaveBeenCalledWith('test:delivery', { origin: nodeA.nodeId, userIds: ['u2'], message });
+    await flushDelivery();
+    expect(connection.socket.send).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(connection.socket.send.mock.calls[0][0])).toMatchObject(message);
+  });
+
+  test('用户在本节点时直接投递，不发布到投递频道', async () => {
+    const node = createNode();
+    await node.enableClusterDelivery();
+    const connection = makeConnection('u1');
+    node.userConnections.set('u1', connection);
+
+    expect(node.send('u1', { type: 'pong' })).toBe(true);
+    expect(connection.socket.send).toHaveBeenCalledTimes(1);
+    expect(node.redis.publish).not.toHaveBeenCalled();
+  });
+
+  test('Redis不可用时只投递给本节点的连接', async () => {
+    const node = createNode();
+    node.redis.isMock = true;
+
+    await expect(node.enableClusterDelivery()).resolves.toBe(false);
+    expect(node.send('u2', { type: 'pong' })).toBe(false);
+    expect(node.redis.subscribe).not.toHaveBeenCalled();
+    expect(node.redis.publish).not.toHaveBeenCalled();
+  });
+});
+
+describe('sendToUsers', () => {
+  test('不在本节点的用户合并为一条消息转发', async () => {
+    const nodeA = createNode();
+    const nodeB = createNode();
+    await nodeA.enableClusterDelivery();
+    await nodeB.enableClusterDelivery();
+    const local = makeConnection('u1');
+    const remoteA = makeConnection('u2');
+    const remoteB = makeConnection('u3');
+    nodeA.userConnections.set('u1', local);
+    nodeB.userConnections.set('u2', remoteA);
+    nodeB.userConnections.set('u3', remoteB);
+
+    expect(nodeA.sendToUsers(['u1', 'u2', 'u3'], { type: 'typing_status' })).toBe(1);
+
+    expect(nodeA.redis.publish).toHaveBeenCalledTimes(1);
+    expect(nodeA.redis.publish.mock.calls[0][1].userIds).toEqual(['u2', 'u3']);
+    await flushDelivery();
+    expect(local.socket.send).toHaveBeenCalledTimes(1);
+    expect(remoteA.socket.send).toHaveBeenCalledTimes(1);
+    expect(remoteB.socket.send).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('handleClusterDelivery', () => {
+  test('忽略本节点发布的消息', async () => {
+    const node = createNode();
+    const connection = makeConnection('u1');
+    node.userConnections.set('u1', connection);
+
+    node.handleClusterDelivery({ origin: node.nodeId, userIds: ['u1'], message: { type: 'pong' } });
+
+    expect(connection.socket.send).not.toHaveBeenCalled();
+  });
+});
+
+describe('enableClusterDelivery', () => {
+  test('启用期间建立的连接在启用完成后登记在线状态', async () => {
+    const server = http.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const node = createNode(server);
+    let redisReady;
+    node.redis.ready.mockReturnValue(new Promise(resolve => { redisReady = resolve; }));
+    const enabling = node.enableClusterDelivery();
+
+    const client = new WebSocket(`ws://127.0.0.1:${server.address().port}/ws?token=buyer1`);
+    await new Promise(resolve => client.once('message', resolve));
+    expect(node.isUserOnline('buyer1')).toBe(true);
+    expect(hub.presence.size).toBe(0);
+
+    redisReady();
+    await expect(enabling).resolves.toBe(true);
+    await flushDelivery();
+
+    expect(hub.presence.get('test:presence:buyer1')).toEqual({ nodeId: node.nodeId, ttl: PRESENCE_TTL_SECONDS });
+    const other = createNode();
+    await other.enableClusterDelivery();
+    await expect(other.isUserOnlineInCluster('buyer1')).resolves.toBe(true);
+
+    client.close();
+    await new Promise(resolve => client.once('close', resolve));
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('订阅失败后定时重试，直到启用成功', async () => {
+    jest.useFakeTimers();
+    const node = createNode();
+    node.redis.subscribe.mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(node.enableClusterDelivery()).resolves.toBe(false);
+    expect(node.clusterEnabled).toBe(false);
+
+    await jest.advanceTimersByTimeAsync(CLUSTER_RETRY_DELAY_MS);
+
+    expect(node.redis.subscribe).toHaveBeenCalledTimes(2);
+    expect(node.clusterEnabled).toBe(true);
+  });
+
+  test('按续期间隔为打开的连接续期在线状态，不再续期已关闭的连接', async () => {
+    jest.useFakeTimers();
+    const node = createNode();
+    const open = makeConnection('u1');
+    const closed = makeConnection('u2');
+    closed.socket.readyState = WebSocket.CLOSED;
+    node.userConnections.set('u1', open);
+    node.userConnections.set('u2', closed);
+    await node.enableClusterDelivery();
+    expect(PRESENCE_RENEW_INTERVAL_MS * 3).toBeLessThan(PRESENCE_TTL_SECONDS * 1000);
+
+    node.redis.evalScript.mockClear();
+    await jest.advanceTimersByTimeAsync(PRESENCE_RENEW_INTERVAL_MS);
+
+    expect(node.redis.evalScript).toHaveBeenCalledTimes(1);
+    expect(node.redis.evalScript).toHaveBeenCalledWith(expect.stringContaining("'SET'"), ['test:presence:u1'], [node.nodeId, PRESENCE_TTL_SECONDS]);
+  });
+});
+
+describe('shutdown', () => {
+  test('取消订阅并只清除本节点写入的在线状态', async () => {
+    const nodeA = createNode();
+    const nodeB = createNode();
+    await nodeA.enableClusterDelivery();
+    await nodeB.enableClusterDelivery();
+    nodeA.userConnections.set('u1', makeConnection('u1'));
+    nodeA.markOnline('u1');
+    nodeB.userConnections.set('u2', makeConnection('u2'));
+    nodeB.markOnline('u2');
+    await flushDelivery();
+
+    await nodeA.shutdown();
+
+    expect(nodeA.redis.unsubscribe).toHaveBeenCalledWith('test:delivery');
+    expect(hub.presence.has('test:presence:u1')).toBe(false);
+    await expect(nodeB.isUserOnlineInCluster('u2')).resolves.toBe(true);
+  });
+});
@@ -424,7 +424,7 @@ class CommonUtils {
     if (bytes === 0) return '0 B';
     
     const k = 1024;
-    const sizes = ['B', 'KB', 'MB, 'GB', 'TB'];
+    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
     const i = Math.floor(Math.log(bytes) / Math.log(k));
     
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
@@ -0,0 +1,188 @@
+/**
+ * 客服自动回复规则匹配
+ * 按 AutoReplyRule 模型的字段判断规则是否适用于会话和消息：
+ * - matchType：any 包含任一关键词；all 包含全部关键词；exact 消息与某个关键词完全相同（忽略大小写和首尾空格）；regex 关键词为正则表达式（忽略大小写）
+ * - triggerCondition：immediate 用户发送消息时；session_start 会话创建时；no_response 用户消息超过 noResponseTimeout 秒客服未回复时。
+ *   immediate 规则必须配置关键词；session_start 和 no_response 规则未配置关键词时对所有会话或消息生效
+ * - applicationScope：all 所有会话；new_session 客服尚未回复过的会话；
+ *   specific_department 会话部门（未指定部门时为问题类型）在 applicableDepartments 中；specific_agent 会话客服在 applicableAgents 中
+ * 多条规则同时适用时选择优先级最高的规则，优先级相同时选择最新创建的规则
+ */
+
+const logger = require('../../core/utils/logger');
+
+const MATCH_TYPES = ['any', 'all', 'exact', 'regex'];
+const TRIGGER_CONDITIONS = ['immediate', 'no_response', 'session_start'];
+const APPLICATION_SCOPES = ['all', 'new_session', 'specific_department', 'specific_agent'];
+const REPLY_TYPES = ['text', 'rich', 'image', 'file'];
+
+// 未设置时的无响应触发时间（秒），与 AutoReplyRule 模型默认值一致
+const DEFAULT_NO_RESPONSE_TIMEOUT = 60;
+
+/**
+ * 字符串列表（数据库中的数组或JSON字符串）
+ * @param {Array|string|null} value - 原始值
+ * @returns {Array<string>} 去掉空值后的字符串列表
+ */
+function toStringList(value) {
+  let list = value;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch (error) {
+      list = [list];
+    }
+  }
+  return Array.isArray(list)
+    ? list.filter(item => item !== null && item !== undefined && String(item).trim() !== '').map(String)
+    : [];
+}
+
+/**
+ * 非负整数，无效时使用默认值
+ * @param {*} value - 原始值
+ * @param {number} defaultValue - 默认值
+ * @returns {number} 整数
+ */
+function toInteger(value, defaultValue) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number >= 0 ? number : defaultValue;
+}
+
+/**
+ * 规范化规则（数据库记录或后台提交的规则）
+ * 正则表达式在此预先编译，无效的表达式记录警告并跳过
+ * @param {Object} row - 规则记录
+ * @returns {Object} 规则
+ */
+function normalizeRule(row) {
+  const rule = {
+    id: row.id,
+    name: row.name,
+    keywords: toStringList(row.keywords),
+    matchType: MATCH_TYPES.includes(row.matchType) ? row.matchType : 'any',
+    replyContent: row.replyContent,
+    replyType: REPLY_TYPES.includes(row.replyType) ? row.replyType : 'text',
+    priority: toInteger(row.priority, 5),
+    delay: toInteger(row.delay, 0),
+    triggerCondition: TRIGGER_CONDITIONS.includes(row.triggerCondition) ? row.triggerCondition : 'immediate',
+    noResponseTimeout: toInteger(row.noResponseTimeout, DEFAULT_NO_RESPONSE_TIMEOUT) || DEFAULT_NO_RESPONSE_TIMEOUT,
+    applicationScope: APPLICATION_SCOPES.includes(row.applicationScope) ? row.applicationScope : 'all',
+    applicableDepartments: toStringList(row.applicableDepartments),
+    applicableAgents: toStringList(row.applicableAgents),
+    metadata: row.metadata || {},
+    createdAt: row.createdAt ? new Date(row.createdAt).getTime() : 0
+  };
+
+  if (rule.matchType === 'regex') {
+    rule.patterns = [];
+    for (const keyword of rule.keywords) {
+      try {
+        rule.patterns.push({ keyword, regex: new RegExp(keyword, 'i') });
+      } catch (error) {
+        logger.warn(`自动回复规则 ${rule.name}(${rule.id}) 的正则表达式无效: ${keyword}`);
+      }
+    }
+  }
+
+  return rule;
+}
+
+/**
+ * 按优先级排序规则（优先级高的在前，优先级相同时新创建的在前）
+ * @param {Array<Object>} rules - 规则列表
+ * @returns {Array<Object>} 排序后的规则列表
+ */
+function sortRules(rules) {
+  return rules.sort((a, b) => (b.priority - a.priority) || (b.createdAt - a.createdAt));
+}
+
+/**
+ * 匹配消息中的关键词
+ * @param {Object} rule - 规则
+ * @param {string} message - 消息内容
+ * @returns {Array<string>|null} 命中的关键词，未命中返回 null
+ */
+function matchKeywords(rule, message) {
+  const text = typeof message === 'string' ? message.toLowerCase() : '';
+  if (!text) {
+    return null;
+  }
+
+  let matched;
+  switch (rule.matchType) {
+    case 'all':
+      matched = rule.keywords.every(keyword => text.includes(keyword.toLowerCase())) ? rule.keywords : [];
+      break;
+    case 'exact':
+      matched = rule.keywords.filter(keyword => text.trim() === keyword.toLowerCase().trim());
+      break;
+    case 'regex':
+      matched = (rule.patterns || []).filter(pattern => pattern.regex.test(text)).map(pattern => pattern.keyword);
+      break;
+    default:
+      matched = rule.keywords.filter(keyword => text.includes(keyword.toLowerCase()));
+  }
+
+  return matched.length > 0 ? matched : null;
+}
+
+/**
+ * 检查规则是否适用于会话
+ * @param {Object} rule - 规则
+ * @param {Object} session - 会话信息
+ * @returns {boolean} 是否适用
+ */
+function isInScope(rule, session) {
+  switch (rule.applicationScope) {
+    case 'new_session':
+      return !session.lastAgentReplyAt;
+    case 'specific_department':
+      return rule.applicableDepartments.includes(session.department || session.questionType);
+    case 'specific_agent':
+      return Boolean(session.csUserId) && rule.applicableAgents.includes(session.csUserId);
+    default:
+      return true;
+  }
+}
+
+/**
+ * 选择适用的规则
+ * @param {Array<Object>} rules - 按优先级排序的规则列表
+ * @param {string} triggerCondition - 触发条件
+ * @param {Object} session - 会话信息
+ * @param {string} [message] - 触发的用户消息
+ * @returns {Object|null} { rule, matchedKeywords }，没有适用的规则时返回 null
+ */
+function selectRule(rules, triggerCondition, session, message) {
+  for (const rule of rules) {
+    if (rule.triggerCondition !== triggerCondition || !isInScope(rule, session)) {
+      continue;
+    }
+
+    if (rule.keywords.length === 0) {
+      if (triggerCondition !== 'immediate') {
+        return { rule, matchedKeywords: [] };
+      }
+      continue;
+    }
+
+    const matchedKeywords = matchKeywords(rule, message);
+    if (matchedKeywords) {
+      return { rule, matchedKeywords };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  MATCH_TYPES,
+  TRIGGER_CONDITIONS,
+  APPLICATION_SCOPES,
+  REPLY_TYPES,
+  normalizeRule,
+  sortRules,
+  matchKeywords,
+  isInScope,
+  selectRule
+};
@@ -0,0 +1,159 @@
+/**
+ * 客服自动回复规则匹配测试
+ */
+
+jest.mock('../../core/utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const logger = require('../../core/utils/logger');
+const { normalizeRule, sortRules, matchKeywords, isInScope, selectRule } = require('./autoReplyRules');
+
+/**
+ * 构建规范化后的规则
+ * @param {Object} overrides - 覆盖字段
+ * @returns {Object} 规则
+ */
+function makeRule(overrides) {
+  return normalizeRule({
+    id: 'r1',
+    name: '退款咨询',
+    keywords: ['退款'],
+    replyContent: '退款将在1-3个工作日内原路退回',
+    ...overrides
+  });
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('normalizeRule', () => {
+  test('无效字段使用默认值，JSON字符串形式的关键词转为列表', () => {
+    const rule = normalizeRule({
+      id: 'r1',
+      keywords: '["退款", "", null]',
+      matchType: 'fuzzy',
+      priority: -1,
+      noResponseTimeout: 0,
+      applicableAgents: 'a1',
+      createdAt: '2026-06-01T00:00:00Z'
+    });
+
+    expect(rule).toMatchObject({
+      keywords: ['退款'],
+      matchType: 'any',
+      replyType: 'text',
+      priority: 5,
+      delay: 0,
+      triggerCondition: 'immediate',
+      noResponseTimeout: 60,
+      applicationScope: 'all',
+      applicableAgents: ['a1'],
+      createdAt: Date.parse('2026-06-01T00:00:00Z')
+    });
+  });
+
+  test('跳过无效的正则表达式', () => {
+    const rule = makeRule({ matchType: 'regex', keywords: ['订单\\d+', '([未闭合'] });
+
+    expect(rule.patterns.map(pattern => pattern.keyword)).toEqual(['订单\\d+']);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('([未闭合'));
+  });
+});
+
+describe('sortRules', () => {
+  test('优先级高的在前，优先级相同时新创建的在前', () => {
+    const rules = sortRules([
+      makeRule({ id: 'old', priority: 5, createdAt: 1 }),
+      makeRule({ id: 'high', priority: 9, createdAt: 1 }),
+      makeRule({ id: 'new', priority: 5, createdAt: 2 })
+    ]);
+
+    expect(rules.map(rule => rule.id)).toEqual(['high', 'new', 'old']);
+  });
+});
+
+describe('matchKeywords', () => {
+  test('any 包含任一关键词即命中，忽略大小写', () => {
+    const rule = makeRule({ keywords: ['退款', 'Refund'] });
+
+    expect(matchKeywords(rule, '我要REFUND')).toEqual(['Refund']);
+    expect(matchKeywords(rule, '怎么发货')).toBeNull();
+  });
+
+  test('all 需要包含全部关键词', () => {
+    const rule = makeRule({ matchType: 'all', keywords: ['退款', '多久'] });
+
+    expect(matchKeywords(rule, '退款要多久到账')).toEqual(['退款', '多久']);
+    expect(matchKeywords(rule, '申请退款')).toBeNull();
+  });
+
+  test('exact 忽略首尾空格后与关键词完全相同', () => {
+    const rule = makeRule({ matchType: 'exact', keywords: ['人工'] });
+
+    expect(matchKeywords(rule, ' 人工 ')).toEqual(['人工']);
+    expect(matchKeywords(rule, '转人工')).toBeNull();
+  });
+
+  test('regex 按正则表达式匹配', () => {
+    const rule = makeRule({ matchType: 'regex', keywords: ['^订单\\s*\\d{6,}$'] });
+
+    expect(matchKeywords(rule, '订单 202606')).toEqual(['^订单\\s*\\d{6,}$']);
+    expect(matchKeywords(rule, '订单号是多少')).toBeNull();
+  });
+
+  test('空消息不命中', () => {
+    expect(matchKeywords(makeRule(), '')).toBeNull();
+    expect(matchKeywords(makeRule(), null)).toBeNull();
+  });
+});
+
+describe('isInScope', () => {
+  test('new_session 只适用于客服尚未回复过的会话', () => {
+    const rule = makeRule({ applicationScope: 'new_session' });
+
+    expect(isInScope(rule, {})).toBe(true);
+    expect(isInScope(rule, { lastAgentReplyAt: Date.now() })).toBe(false);
+  });
+
+  test('specific_department 未指定部门时按问题类型判断', () => {
+    const rule = makeRule({ applicationScope: 'specific_department', applicableDepartments: ['refund'] });
+
+    expect(isInScope(rule, { questionType: 'refund' })).toBe(true);
+    expect(isInScope(rule, { department: 'sales', questionType: 'refund' })).toBe(false);
+  });
+
+  test('specific_agent 只适用于已分配给指定客服的会话', () => {
+    const rule = makeRule({ applicationScope: 'specific_agent', applicableAgents: ['a1'] });
+
+    expect(isInScope(rule, { csUserId: 'a1' })).toBe(true);
+    expect(isInScope(rule, {})).toBe(false);
+  });
+});
+
+describe('selectRule', () => {
+  test('按顺序选择触发条件和适用范围都匹配的第一条规则', () => {
+    const rules = sortRules([
+      makeRule({ id: 'agent', priority: 9, applicationScope: 'specific_agent', applicableAgents: ['a2'] }),
+      makeRule({ id: 'default', priority: 5 }),
+      makeRule({ id: 'start', priority: 9, triggerCondition: 'session_start', keywords: [] })
+    ]);
+
+    expect(selectRule(rules, 'immediate', { csUserId: 'a1' }, '退款进度')).toEqual({
+      rule: expect.objectContaining({ id: 'default' }), matchedKeywords: ['退款']
+    });
+  });
+
+  test('未配置关键词的规则对会话创建和无响应触发生效，对用户消息不生效', () => {
+    const rules = [makeRule({ id: 'any', keywords: [] }), makeRule({ id: 'idle', triggerCondition: 'no_response', keywords: [] })];
+
+    expect(selectRule(rules, 'immediate', {}, '你好')).toBeNull();
+    expect(selectRule(rules, 'no_response', {}, '你好')).toEqual({
+      rule: expect.objectContaining({ id: 'idle' }), matchedKeywords: []
+    });
+  });
+});
@@ -1,29 +1,93 @@
 /**
  * 在线客服服务
  * 提供客服会话管理、自动回复和会话转移功能
+ * 进行中的会话、排队队列和客服在线状态保存在Redis中（见 sessionStore），多个API实例共享同一份状态；
+ * 实例启动时按 customer_service_sessions 表恢复Redis中缺失的会话和排队位置。
+ * 会话按 routing 中的分配策略分配给在班（work_schedules 中已签到且未休息）的客服，VIP 会员和高优先级会话优先排队；
+ * 已分配过客服的会话关闭后向用户发送满意度调查
  */
 
+const crypto = require('crypto');
 const logger = require('../../core/utils/logger');
 const cacheManager = require('../../core/cache/cacheManager');
+const { redisClient } = require('../../core/cache/redisClient');
 const db = require('../../core/data-access/database');
 const WebSocketService = require('../../core/services/websocketService');
 const pushService = require('../../core/services/pushService');
-let websocketService = null;
-try {
-  websocketService = WebSocketService.getInstance();
-} catch (error) {
-  logger.warn('WebSocket服务尚未初始化');
+const satisfactionSurveyService = require('../../core/services/satisfactionSurveyService');
+const CustomerServiceStore = require('./sessionStore');
+const { CLAIM_RESULT } = require('./sessionStore');
+const autoReplyRules = require('./autoReplyRules');
+const routing = require('./routing');
+const { AppError, ValidationError, AuthorizationError, NotFoundError } = require('../../core/exception/handlers/errorHandler');
+
+// 分配客服的最多尝试次数（其他实例同时分配导致客服会话数已满时换一位客服）
+const MAX_ASSIGN_ATTEMPTS = 3;
+
+// 在班客服的缓存时间（毫秒），签到、休息和签退最多延迟这么久影响分配
+const SHIFT_CACHE_TTL = 15 * 1000;
+
+// 达到该会员等级（member_tiers.rank，默认黄金会员）且会员卡有效的用户按 VIP 排队
+const VIP_MIN_TIER_RANK = parseInt(process.env.CS_VIP_MIN_TIER_RANK || '2', 10);
+
+// 粘性分配只考虑最近这些天内服务过该用户的客服
+const STICKY_AGENT_DAYS = parseInt(process.env.CS_STICKY_AGENT_DAYS || '30', 10);
+
+/**
+ * 离线推送使用的消息摘要（图片、文件和富文本消息不直接推送内容）
+ * @param {Object} message - 消息
+ * @returns {string} 消息摘要
+ */
+function toPreviewText(message) {
+  switch (message.contentType) {
+    case 'image':
+      return '[图片]';
+    case 'file':
+      return '[文件]';
+    case 'rich':
+      return String(message.content || '').replace(/<[^>]*>/g, '').trim() || '[消息]';
+    default:
+      return message.content;
+  }
+}
+
+/**
+ * 数据库时间转换为毫秒时间戳
+ * @param {Date|string|null} value - 时间
+ * @returns {number|null} 毫秒时间戳
+ */
+function toMillis(value) {
+  return value ? new Date(value).getTime() : null;
 }
 
 class CustomerService {
-  constructor() {
-    this.activeSessions = new Map(); // sessionId -> 会话信息
-    this.customerServiceUsers = new Map(); // userId -> 客服信息
-    this.waitingQueue = []; // 等待队列
-    this.autoReplyRules = []; // 自动回复规则
+  /**
+   * 构造函数
+   * @param {Object} [options] - 选项
+   * @param {Object} [options.store] - 会话状态存储，默认使用全局Redis客户端
+   * @param {Object} [options.db] - 数据库访问对象
+   * @param {Object} [options.websocketService] - WebSocket服务实例，默认在首次使用时获取已启动的服务
+   * @param {Object} [options.memberCardService] - 会员卡服务，用于判断 VIP 会员，默认在首次使用时加载
+   * @param {string} [options.routingStrategy] - 分配策略，默认为 CS_ROUTING_STRATEGY 或 routing.DEFAULT_STRATEGY
+   * @param {boolean} [options.requireShift] - 是否只分配给在班的客服，默认为 CS_ROUTING_REQUIRE_SHIFT（未设置为 false 时启用）
+   */
+  constructor(options = {}) {
+    this.store = options.store || new CustomerServiceStore(redisClient);
+    this.db = options.db || db;
+    this.memberCardService = options.memberCardService || null;
+    this.routingStrategy = options.routingStrategy || process.env.CS_ROUTING_STRATEGY || routing.DEFAULT_STRATEGY;
+    this.requireShift = options.requireShift !== undefined
+      ? options.requireShift
+      : process.env.CS_ROUTING_REQUIRE_SHIFT !== 'false';
+    this.shiftCache = null; // { agents, expiresAt }，在班客服（客服ID → 排班）
+    this.websocketService = null;
+    this.customerServiceProfiles = new Map(); // userId -> 客服资料（姓名、会话上限、专长），在线状态和会话数保存在Redis中
+    this.autoReplyRules = []; // 自动回复规则（按优先级排序）
+    this.noResponseTimers = new Map(); // sessionId -> 等待客服回复的计时器（无响应自动回复）
     
-    // 初始化WebSocket事件监听
-    this.setupWebSocketListeners();
+    if (options.websocketService) {
+      this.attachWebSocket(options.websocketService);
+    }
   }
   
   /**
@@ -33,6 +97,41 @@ class CustomerService {
   async initialize() {
     await this.loadCustomerServiceUsers();
     await this.loadAutoReplyRules();
+    await this.rebuildSessions();
+  }
+  
+  /**
+   * 关联WebSocket服务并设置事件监听
+   * @param {Object} websocketService - WebSocket服务实例
+   */
+  attachWebSocket(websocketService) {
+    this.websocketService = websocketService;
+    this.setupWebSocketListeners();
+  }
+  
+  /**
+   * 获取WebSocket服务，未关联时尝试获取已启动的服务
+   * @returns {Object|null} WebSocket服务实例
+   */
+  getWebSocketService() {
+    if (!this.websocketService) {
+      try {
+        this.attachWebSocket(WebSocketService.getInstance());
+      } catch (error) {
+        return null;
+      }
+    }
+    return this.websocketService;
+  }
+  
+  /**
+   * 检查用户是否连接在任一API实例
+   * @param {string} userId - 用户ID
+   * @returns {Promise<boolean>} 是否在线
+   */
+  async isOnline(userId) {
+    const websocketService = this.getWebSocketService();
+    return Boolean(websocketService) && websocketService.isUserOnlineInCluster(userId);
   }
   
   /**
@@ -40,6 +139,7 @@ class CustomerService {
    */
   setupWebSocketListeners() {
     try {
+      const websocketService = this.websocketService;
       if (websocketService) {
         // 监听用户连接事件
         websocketService.on('user_connected', (data) => {
@@ -71,7 +171,7 @@ class CustomerService {
           break;
           
         case 'customer_service_typing':
-          this.handleTypingStatus(userId, data, sessionId);
+          await this.handleTypingStatus(userId, data, sessionId);
           break;
           
         case 'customer_service_leave_session':
@@ -85,6 +185,7 @@ class CustomerService {
       logger.error('处理WebSocket消息失败:', error);
       
       // 发送错误响应
+      const websocketService = this.getWebSocketService();
       if (websocketService && message.userId) {
         websocketService.send(message.userId, {
           type: 'customer_service_error',
@@ -102,18 +203,14 @@ class CustomerService {
     const { content, contentType = 'text' } = data;
     
     // 查找会话
-    let session = this.activeSessions.get(sessionId);
+    let session = sessionId ? await this.store.getSession(sessionId) : null;
     
     // 如果会话不存在，检查用户是否已有活跃会话
-    if (!session) {
+    if (!session || session.status === 'closed') {
       // 查找用户的活跃会话
-      for (const [id, s] of this.activeSessions.entries()) {
-        if (s.userId === userId && s.status === 'active') {
-          session = s;
-          sessionId = id;
-          break;
-        }
-      }
+      const userSession = await this.store.getUserSession(userId);
+      session = userSession && userSession.status === 'active' ? userSession : null;
+      sessionId = session ? session.sessionId : sessionId;
     }
     
     // 如果仍没有会话，创建新会话
@@ -127,7 +224,7 @@ class CustomerService {
       sessionId = session.sessionId;
     }
     
-    // 发送消息
+    // 发送消息（用户消息由 sendMessage 处理自动回复）
     await this.sendMessage({
       sessionId,
       senderId: userId,
@@ -135,20 +232,15 @@ class CustomerService {
       content,
       contentType
     });
-    
-    // 处理自动回复
-    if (this.isUser(userId) && !this.isCustomerService(userId)) {
-      await this.handleAutoReply(session, content);
-    }
   }
   
   /**
    * 处理输入状态
    */
-  handleTypingStatus(userId, data, sessionId) {
+  async handleTypingStatus(userId, data, sessionId) {
     const { isTyping } = data;
     
-    const session = this.activeSessions.get(sessionId);
+    const session = await this.store.getSession(sessionId);
     if (!session) {
       logger.warn(`会话不存在: ${sessionId}`);
       return;
@@ -163,6 +255,7 @@ class CustomerService {
     }
     
     // 发送输入状态给接收者
+    const websocketService = this.getWebSocketService();
     if (websocketService && recipientId) {
       websocketService.send(recipientId, {
         type: 'customer_service_typing',
@@ -181,7 +274,7 @@ class CustomerService {
    * 处理离开会话
    */
   async handleLeaveSession(userId, sessionId) {
-    const session = this.activeSessions.get(sessionId);
+    const session = await this.store.getSession(sessionId);
     if (!session) {
       logger.warn(`会话不存在: ${sessionId}`);
       return;
@@ -210,7 +303,9 @@ class CustomerService {
       });
     } else {
       // 普通用户上线，检查是否有等待中的会话
-      this.checkPendingSessions(userId);
+      this.checkPendingSessions(userId).catch(error => {
+        logger.error('检查用户待处理会话失败:', error);
+      });
     }
   }
   
@@ -231,21 +326,21 @@ class CustomerService {
   /**
    * 检查用户待处理会话
    */
-  checkPendingSessions(userId) {
-    for (const [sessionId, session] of this.activeSessions.entries()) {
-      if (session.userId === userId && session.status === 'waiting') {
-        // 通知用户有等待中的会话
-        if (websocketService) {
-          websocketService.send(userId, {
-            type: 'customer_service_pending_session',
-            data: {
-              sessionId,
-              waitingTime: Date.now() - session.createdAt
-            },
-            timestamp: Date.now()
-          });
-        }
-        break;
+  async checkPendingSessions(userId) {
+    const session = await this.store.getUserSession(userId);
+    if (session && session.status === 'waiting') {
+      // 通知用户有等待中的会话
+      const websocketService = this.getWebSocketService();
+      if (websocketService) {
+        websocketService.send(userId, {
+          type: 'customer_service_pending_session',
+          data: {
+            sessionId: session.sessionId,
+            waitingTime: Date.now() - session.createdAt,
+            position: await this.store.getQueuePosition(session.sessionId)
+          },
+          timestamp: Date.now()
+        });
       }
     }
   }
@@ -254,7 +349,7 @@ class CustomerService {
    * 判断是否为客服
    */
   isCustomerService(userId) {
-    return this.customerServiceUsers.has(userId);
+    return this.customerServiceProfiles.has(userId);
   }
   
   /**
@@ -266,11 +361,12 @@ class CustomerService {
 
   /**
    * 初始化客服用户
+   * 客服资料写入Redis，各实例共享客服的在线状态和会话数
    */
   async loadCustomerServiceUsers() {
     try {
       // 从数据库获取客服数据
-      const [rows] = await db.query(
+      const [rows] = await this.db.query(
         `SELECT id, name, max_sessions, specialties 
          FROM users 
          WHERE role = 'customer_service' AND status = 'active'`,
@@ -280,14 +376,12 @@ class CustomerService {
       const csUsers = rows.map(row => ({
         userId: row.id,
         name: row.name,
-        online: false,
         maxSessions: row.max_sessions || 10,
-        currentSessions: 0,
         specialties: row.specialties || ['general']
       }));
 
       csUsers.forEach(user => {
-        this.customerServiceUsers.set(user.userId, user);
+        this.customerServiceProfiles.set(user.userId, user);
       });
 
       logger.info(`加载了 ${csUsers.length} 名客服人员`);
@@ -296,6 +390,8 @@ class CustomerService {
       // 使用模拟数据作为备用
       this.loadMockCustomerServiceUsers();
     }
+
+    await this.store.saveAgents(Array.from(this.customerServiceProfiles.values()));
   }
 
   /**
@@ -306,31 +402,25 @@ class CustomerService {
       {
         userId: 'cs1',
         name: '客服小王',
-        online: false,
         maxSessions: 10,
-        currentSessions: 0,
         specialties: ['订单', '退款']
       },
       {
         userId: 'cs2',
         name: '客服小李',
-        online: false,
         maxSessions: 10,
-        currentSessions: 0,
         specialties: ['商品咨询', '会员服务']
       },
       {
         userId: 'cs3',
         name: '客服小张',
-        online: false,
         maxSessions: 10,
-        currentSessions: 0,
         specialties: ['技术支持', '售后']
       }
     ];
 
     csUsers.forEach(user => {
-      this.customerServiceUsers.set(user.userId, user);
+      this.customerServiceProfiles.set(user.userId, user);
     });
 
     logger.info(`加载了 ${csUsers.length} 名模拟客服人员`);
@@ -342,40 +432,49 @@ class CustomerService {
   async loadAutoReplyRules() {
     try {
       // 从数据库加载自动回复规则
-      const [rows] = await db.query(
-        `SELECT keyword, response, priority 
+      const result = await this.db.query(
+        `SELECT id, name, keywords, "matchType", "replyContent", "replyType", priority, delay, 
+                "triggerCondition", "noResponseTimeout", "applicationScope", "applicableDepartments", 
+                "applicableAgents", metadata, "createdAt" 
          FROM auto_reply_rules 
-         WHERE status = 'active' 
-         ORDER BY priority DESC`,
+         WHERE status = 'active' AND "deletedAt" IS NULL`,
         []
       );
 
-      this.autoReplyRules = rows;
+      this.autoReplyRules = autoReplyRules.sortRules(result.rows.map(autoReplyRules.normalizeRule));
     } catch (error) {
       logger.error('加载自动回复规则失败:', error);
       // 使用默认规则
-      this.autoReplyRules = [
+      this.autoReplyRules = autoReplyRules.sortRules([
         {
-          keyword: '订单',
-          response: '关于订单问题，请您提供订单号，我们的客服会尽快为您处理。',
-          priority: 1
+          id: 'default_order',
+          name: '订单',
+          keywords: ['订单'],
+          replyContent: '关于订单问题，请您提供订单号，我们的客服会尽快为您处理。',
+          priority: 2
         },
         {
-          keyword: '退款',
-          response: '关于退款问题，一般会在1-7个工作日内处理完成。如有特殊情况，请联系在线客服为您加急处理。',
-          priority: 1
+          id: 'default_refund',
+          name: '退款',
+          keywords: ['退款'],
+          replyContent: '关于退款问题，一般会在1-7个工作日内处理完成。如有特殊情况，请联系在线客服为您加急处理。',
+          priority: 2
         },
         {
-          keyword: '帮助',
-          response: '您好，欢迎使用我们的客服系统。请问有什么可以帮助您的？',
-          priority: 0
+          id: 'default_help',
+          name: '帮助',
+          keywords: ['帮助'],
+          replyContent: '您好，欢迎使用我们的客服系统。请问有什么可以帮助您的？',
+          priority: 1
         },
         {
-          keyword: '你好',
-          response: '您好！很高兴为您服务，请问有什么可以帮助您的吗？',
-          priority: 0
+          id: 'default_greeting',
+          name: '问候',
+          keywords: ['你好'],
+          replyContent: '您好！很高兴为您服务，请问有什么可以帮助您的吗？',
+          priority: 1
         }
-      ];
+      ].map(autoReplyRules.normalizeRule));
     }
     logger.info(`加载了 ${this.autoReplyRules.length} 条自动回复规则`);
   }
@@ -387,23 +486,35 @@ class CustomerService {
    * @param {string} params.name - 用户姓名
    * @param {string} params.questionType - 问题类型
    * @param {string} params.initialQuestion - 初始问题
+   * @param {string} [params.priority='medium'] - 会话优先级 (low, medium, high, urgent)
    */
   async createSession(params) {
     const {
       userId,
       name,
       questionType,
-      initialQuestion
+      initialQuestion,
+      priority = 'medium'
     } = params;
 
     try {
+      if (!routing.SESSION_PRIORITIES.includes(priority)) {
+        throw new ValidationError(`会话优先级只能是 ${routing.SESSION_PRIORITIES.join(', ')}`);
+      }
+
       // 检查用户是否已有活跃会话
-      const existingSession = this.getUserActiveSession(userId);
+      const existingSession = await this.getUserActiveSession(userId);
       if (existingSession) {
         logger.info(`用户 ${userId} 已有活跃会话: ${existingSession.sessionId}`);
         return existingSession;
       }
 
+      // VIP 会员优先排队，上次服务该用户的客服优先分配
+      const [vip, preferredCsUserId] = await Promise.all([
+        this.isVipMember(userId),
+        this.findLastServedAgent(userId)
+      ]);
+
       // 创建新会话
       const sessionId = `cs_session_${Date.now()}_${userId}`;
       const session = {
@@ -411,6 +522,9 @@ class CustomerService {
         userId,
         userName: name,
         questionType,
+        priority,
+        vip,
+        preferredCsUserId,
         status: 'waiting', // waiting, active, closed
         createdAt: Date.now(),
         assignedAt: null,
@@ -418,7 +532,9 @@ class CustomerService {
         csUserId: null,
         csUserName: null,
         messages: [],
-        lastMessageAt: Date.now()
+        lastMessageAt: Date.now(),
+        lastCustomerMessageAt: initialQuestion ? Date.now() : null,
+        lastAgentReplyAt: null
       };
 
       // 添加初始问题
@@ -433,117 +549,441 @@ class CustomerService {
         session.messages.push(initialMessage);
       }
 
-      // 保存会话
-      this.activeSessions.set(sessionId, session);
+      // 保存会话并加入等待队列；其他实例已同时为该用户创建会话时返回该会话
+      const createdSessionId = await this.store.createSession(session);
+      if (createdSessionId !== sessionId) {
+        logger.info(`用户 ${userId} 已有活跃会话: ${createdSessionId}`);
+        return this.getSession(createdSessionId);
+      }
+      if (session.messages.length > 0) {
+        await this.store.appendMessage(sessionId, session.messages[0]);
+      }
+      await this.saveSessionRecord(session);
       
       // 尝试分配客服
       const assigned = await this.assignCustomerService(session);
       
       if (!assigned) {
-        // 加入等待队列
-        this.waitingQueue.push(sessionId);
         logger.info(`用户 ${userId} 的会话已加入等待队列`);
         
         // 发送等待通知
-      await this.sendWaitingNotification(session);
-      
-      // 如果有初始问题，尝试自动回复
+        await this.sendWaitingNotification(session);
+      }
+
+      // 会话开始的欢迎语，初始问题按用户消息处理自动回复
+      await this.triggerAutoReply(session, 'session_start', initialQuestion || '', session.createdAt);
       if (initialQuestion) {
-        await this.handleAutoReply(session, initialQuestion);
+        await this.handleAutoReply(session, initialQuestion, session.lastCustomerMessageAt);
       }
+
+      logger.info(`创建客服会话成功: ${sessionId}`);
+      return session;
+    } catch (error) {
+      logger.error('创建客服会话失败:', error);
+      throw error;
     }
+  }
 
-    logger.info(`创建客服会话成功: ${sessionId}`);
-    return session;
-  } catch (error) {
-    logger.error('创建客服会话失败:', error);
-    throw error;
+  /**
+   * 判断用户是否按 VIP 排队：会员卡有效且等级不低于 VIP_MIN_TIER_RANK
+   * 查询失败时按普通用户排队
+   * @param {string} userId - 用户ID
+   * @returns {Promise<boolean>}
+   */
+  async isVipMember(userId) {
+    try {
+      if (!this.memberCardService) {
+        this.memberCardService = require('../../core/services/memberCardService');
+      }
+      const card = await this.memberCardService.getMemberCard(userId);
+      return Boolean(card) && card.status === 'active' && card.rank >= VIP_MIN_TIER_RANK;
+    } catch (error) {
+      logger.warn(`查询用户 ${userId} 的会员等级失败，按普通用户排队:`, error);
+      return false;
+    }
   }
+
+  /**
+   * 查找最近服务过该用户的客服（粘性分配）
+   * @param {string} userId - 用户ID
+   * @returns {Promise<string|null>} 客服ID，没有记录或查询失败时返回 null
+   */
+  async findLastServedAgent(userId) {
+    try {
+      const result = await this.db.query(
+        `SELECT cs_user_id 
+         FROM customer_service_sessions 
+         WHERE user_id = $1 AND cs_user_id IS NOT NULL AND created_at >= $2 
+         ORDER BY created_at DESC 
+         LIMIT 1`,
+        [userId, new Date(Date.now() - STICKY_AGENT_DAYS * 24 * 60 * 60 * 1000)]
+      );
+      return result.rows.length > 0 ? result.rows[0].cs_user_id : null;
+    } catch (dbError) {
+      logger.warn(`查询用户 ${userId} 最近的服务客服失败:`, dbError);
+      return null;
+    }
   }
 
   /**
-   * 处理自动回复
+   * 保存会话记录到数据库，实例重启且Redis中的会话丢失时按该记录恢复
+   * @param {Object} session - 会话信息
+   */
+  async saveSessionRecord(session) {
+    try {
+      await this.db.query(
+        `INSERT INTO customer_service_sessions 
+         (id, user_id, user_name, question_type, status, created_at, last_message_at, updated_at) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [session.sessionId, session.userId, session.userName, session.questionType, session.status,
+         new Date(session.createdAt), new Date(session.lastMessageAt), new Date()]
+      );
+    } catch (dbError) {
+      logger.warn('保存会话到数据库失败:', dbError);
+    }
+  }
+
+  /**
+   * 从数据库恢复进行中的会话
+   * Redis中的会话状态丢失（如Redis重启）后，按 customer_service_sessions 表恢复排队中和服务中的会话，
+   * 排队位置按会话创建时间恢复（表中不记录优先级和 VIP，恢复的会话按普通会话排队）；Redis中已有的会话不覆盖，多个实例同时启动时重复恢复没有影响
+   * @returns {Promise<number>} 恢复的会话数
+   */
+  async rebuildSessions() {
+    let rows;
+    try {
+      const result = await this.db.query(
+        `SELECT id, user_id, user_name, question_type, status, cs_user_id, cs_user_name, 
+                created_at, assigned_at, last_message_at, transferred_at, transferred_from, transfer_reason 
+         FROM customer_service_sessions 
+         WHERE status IN ('waiting', 'active') 
+         ORDER BY created_at ASC`,
+        []
+      );
+      rows = result.rows;
+    } catch (dbError) {
+      logger.warn('从数据库加载进行中的会话失败，跳过会话恢复:', dbError);
+      return 0;
+    }
+
+    let restored = 0;
+    for (const row of rows) {
+      const session = {
+        sessionId: row.id,
+        userId: row.user_id,
+        userName: row.user_name,
+        questionType: row.question_type,
+        status: row.status,
+        createdAt: toMillis(row.created_at),
+        assignedAt: toMillis(row.assigned_at),
+        closedAt: null,
+        csUserId: row.status === 'active' ? row.cs_user_id : null,
+        csUserName: row.status === 'active' ? row.cs_user_name : null,
+        lastMessageAt: toMillis(row.last_message_at) || toMillis(row.created_at)
+      };
+      if (row.transferred_at) {
+        session.transferredAt = toMillis(row.transferred_at);
+        session.transferredFrom = row.transferred_from;
+        session.transferReason = row.transfer_reason;
+      }
+      if (await this.store.restoreSession(session)) {
+        restored++;
+      }
+    }
+
+    logger.info(`从数据库恢复了 ${restored} 个客服会话`);
+    return restored;
+  }
+
+  /**
+   * 处理用户消息的自动回复
+   * 立即触发的规则按关键词回复，同时开始等待客服回复：超过无响应规则的时间客服仍未回复时发送无响应回复
    * @param {Object} session - 会话信息
    * @param {string} userMessage - 用户消息
+   * @param {number} messageAt - 用户消息时间（毫秒）
    */
-  async handleAutoReply(session, userMessage) {
+  async handleAutoReply(session, userMessage, messageAt) {
     try {
-      // 查找匹配的自动回复规则
-      const reply = this.getAutoReply(userMessage);
-      
-      if (reply) {
-        // 创建自动回复消息
-        const autoReplyMessage = this.createMessage({
-          sessionId: session.sessionId,
+      await this.triggerAutoReply(session, 'immediate', userMessage, messageAt);
+      this.scheduleNoResponseReply(session, userMessage, messageAt);
+    } catch (error) {
+      logger.error('处理自动回复失败:', error);
+    }
+  }
+
+  /**
+   * 查找适用的自动回复规则
+   * @param {string} triggerCondition - 触发条件（immediate, session_start, no_response）
+   * @param {Object} session - 会话信息
+   * @param {string} [message] - 触发的用户消息
+   * @returns {Object|null} { rule, matchedKeywords }，没有适用的规则时返回 null
+   */
+  findAutoReplyRule(triggerCondition, session, message) {
+    return autoReplyRules.selectRule(this.autoReplyRules, triggerCondition, session, message);
+  }
+
+  /**
+   * 按触发条件发送自动回复，规则设置了延迟时延迟发送
+   * @param {Object} session - 会话信息
+   * @param {string} triggerCondition - 触发条件（immediate, session_start）
+   * @param {string} message - 触发的用户消息
+   * @param {number} triggeredAt - 触发时间（毫秒）
+   */
+  async triggerAutoReply(session, triggerCondition, message, triggeredAt) {
+    const decision = this.findAutoReplyRule(triggerCondition, session, message);
+    if (!decision) {
+      return;
+    }
+
+    const reply = { ...decision, triggerCondition, triggerMessage: message, triggeredAt };
+    if (decision.rule.delay > 0) {
+      this.scheduleAutoReply(decision.rule.delay, () => this.deliverAutoReply(session.sessionId, reply));
+    } else {
+      await this.deliverAutoReply(session.sessionId, reply);
+    }
+  }
+
+  /**
+   * 开始等待客服回复，用户的新消息重新开始计时
+   * 计时器只在处理用户消息的实例上运行，到时后按Redis中的会话判断客服是否已回复（客服可能在其他实例回复）
+   * @param {Object} session - 会话信息
+   * @param {string} message - 用户消息
+   * @param {number} messageAt - 用户消息时间（毫秒）
+   */
+  scheduleNoResponseReply(session, message, messageAt) {
+    this.clearNoResponseTimer(session.sessionId);
+
+    const decision = this.findAutoReplyRule('no_response', session, message);
+    if (!decision) {
+      return;
+    }
+
+    const { rule } = decision;
+    const timer = setTimeout(() => {
+      this.noResponseTimers.delete(session.sessionId);
+      this.deliverAutoReply(session.sessionId, {
+        ...decision,
+        triggerCondition: 'no_response',
+        triggerMessage: message,
+        triggeredAt: messageAt
+      }).catch(error => logger.error('发送无响应自动回复失败:', error));
+    }, rule.noResponseTimeout * 1000 + rule.delay);
+    timer.unref();
+    this.noResponseTimers.set(session.sessionId, timer);
+  }
+
+  /**
+   * 取消会话的无响应计时
+   * @param {string} sessionId - 会话ID
+   */
+  clearNoResponseTimer(sessionId) {
+    const timer = this.noResponseTimers.get(sessionId);
+    if (timer) {
+      clearTimeout(timer);
+      this.noResponseTimers.delete(sessionId);
+    }
+  }
+
+  /**
+   * 延迟发送自动回复，到时会话已关闭或客服已回复时记录为忽略
+   * @param {number} delay - 延迟（毫秒）
+   * @param {Function} task - 发送任务
+   */
+  scheduleAutoReply(delay, task) {
+    setTimeout(() => {
+      task().catch(error => logger.error('发送延迟自动回复失败:', error));
+    }, delay).unref();
+  }
+
+  /**
+   * 发送自动回复并记录自动回复日志
+   * 发送前按Redis中的会话重新检查：会话已关闭、客服在触发后已回复、或（无响应回复）用户又发送了新消息时不再发送
+   * @param {string} sessionId - 会话ID
+   * @param {Object} reply - 自动回复（rule, matchedKeywords, triggerCondition, triggerMessage, triggeredAt）
+   */
+  async deliverAutoReply(sessionId, reply) {
+    const { rule } = reply;
+    const logId = crypto.randomUUID();
+    let session = null;
+    let responseStatus = 'sent';
+    let failureReason = null;
+
+    try {
+      session = await this.store.getSession(sessionId);
+      if (!session || session.status === 'closed') {
+        failureReason = '会话已关闭';
+      } else if (session.lastAgentReplyAt && session.lastAgentReplyAt > reply.triggeredAt) {
+        failureReason = '客服已回复';
+      } else if (reply.triggerCondition === 'no_response' && session.lastCustomerMessageAt !== reply.triggeredAt) {
+        failureReason = '用户已发送新消息';
+      }
+
+      if (failureReason) {
+        responseStatus = 'ignored';
+      } else {
+        await this.sendMessage({
+          sessionId,
           senderId: 'system',
-          senderName: '系统',
-          content: reply,
-          contentType: 'text',
-          isAutoReply: true
+          content: rule.replyContent,
+          contentType: rule.replyType,
+          isAutoReply: true,
+          autoReplyLogId: logId
         });
-        
-        // 添加到会话
-        session.messages.push(autoReplyMessage);
-        session.lastMessageAt = Date.now();
-        this.activeSessions.set(session.sessionId, session);
-        
-        // 发送给用户
-        if (websocketService && typeof websocketService.send === 'function') {
-          websocketService.send(session.userId, {
-            type: 'customer_service_message',
-            data: autoReplyMessage,
-            timestamp: Date.now()
-          });
-        } else {
-          // 如果WebSocket不可用，使用推送服务
-          await pushService.pushMessage({
-            userId: session.userId,
-            title: '系统回复',
-            content: reply,
-            type: 'customer_service',
-            data: { sessionId: session.sessionId },
-            channels: ['app']
-          });
-        }
-        
-        logger.info(`自动回复已发送: ${session.sessionId}`);
+        logger.info(`自动回复已发送: ${sessionId}, 规则: ${rule.name}(${rule.id})`);
       }
     } catch (error) {
-      logger.error('处理自动回复失败:', error);
+      logger.error('发送自动回复失败:', error);
+      responseStatus = 'failed';
+      failureReason = error.message;
     }
+
+    await this.saveAutoReplyLog({
+      id: logId,
+      rule,
+      session,
+      sessionId,
+      triggerCondition: reply.triggerCondition,
+      triggerMessage: reply.triggerMessage,
+      matchedKeywords: reply.matchedKeywords,
+      actualDelay: Date.now() - reply.triggeredAt,
+      responseStatus,
+      failureReason
+    });
   }
 
   /**
-   * 获取自动回复内容
-   * @param {string} message - 用户消息
-   * @returns {string|null} 匹配的回复内容
+   * 保存自动回复日志，发送成功时增加规则的使用次数
+   * @param {Object} log - 日志信息
    */
-  getAutoReply(message) {
-    if (!message || typeof message !== 'string') {
-      return null;
+  async saveAutoReplyLog(log) {
+    const { rule, session } = log;
+    const now = new Date();
+    try {
+      await this.db.query(
+        `INSERT INTO auto_reply_logs 
+         (id, "ruleId", "conversationId", "userId", "triggerMessage", "replyContent", "replyType", "matchType", 
+          "matchedKeywords", "triggerCondition", "actualDelay", "responseStatus", "failureReason", 
+          "userFeedback", "sessionContext", "createdAt", "updatedAt") 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, 'no_feedback', $14, $15, $16)`,
+        [log.id, rule.id, log.sessionId, session ? session.userId : null, log.triggerMessage || '', rule.replyContent,
+         rule.replyType, rule.matchType, log.matchedKeywords, log.triggerCondition, log.actualDelay,
+         log.responseStatus, log.failureReason,
+         JSON.stringify(session ? { status: session.status, csUserId: session.csUserId, questionType: session.questionType } : {}),
+         now, now]
+      );
+
+      if (log.responseStatus === 'sent') {
+        await this.db.query(
+          `UPDATE auto_reply_rules SET "usageCount" = "usageCount" + 1, "lastUsedAt" = $1 WHERE id = $2`,
+          [now, rule.id]
+        );
+      }
+    } catch (dbError) {
+      logger.warn('保存自动回复日志失败:', dbError);
     }
-    
-    const lowerMessage = message.toLowerCase();
-    
-    // 查找匹配的规则
-    for (const rule of this.autoReplyRules) {
-      if (lowerMessage.includes(rule.keyword.toLowerCase())) {
-        return rule.response;
+  }
+
+  /**
+   * 用户评价自动回复，并更新规则的有效性统计（规则 metadata 中的 helpfulCount、notHelpfulCount）
+   * 用户可以修改评价，修改时从原评价的统计中扣除
+   * @param {string} logId - 自动回复日志ID（自动回复消息的 autoReplyLogId）
+   * @param {string} userId - 评价用户ID
+   * @param {string} feedback - 评价（helpful, not_helpful）
+   * @param {string} [comment] - 评价内容
+   * @returns {Promise<Object>} 规则的有效性统计
+   */
+  async submitAutoReplyFeedback(logId, userId, feedback, comment = null) {
+    if (!['helpful', 'not_helpful'].includes(feedback)) {
+      throw new ValidationError('评价只能是 helpful 或 not_helpful');
+    }
+
+    try {
+      const logResult = await this.db.query(
+        `SELECT id, "ruleId", "userId", "userFeedback" FROM auto_reply_logs WHERE id = $1`,
+        [logId]
+      );
+      const log = logResult.rows[0];
+      if (!log) {
+        throw new NotFoundError('自动回复记录不存在');
+      }
+      if (String(log.userId) !== String(userId)) {
+        throw new AuthorizationError('无权评价该自动回复');
       }
+
+      // 仅在评价未被同时修改时更新，保证规则统计与日志一致
+      const previousFeedback = log.userFeedback || 'no_feedback';
+      const updateResult = await this.db.query(
+        `UPDATE auto_reply_logs 
+         SET "userFeedback" = $1, "feedbackComment" = COALESCE($2, "feedbackComment"), "updatedAt" = $3 
+         WHERE id = $4 AND COALESCE("userFeedback", 'no_feedback') = $5 
+         RETURNING id`,
+        [feedback, comment, new Date(), logId, previousFeedback]
+      );
+      if (updateResult.rows.length === 0) {
+        throw new AppError(409, '评价已被修改，请刷新后重试', 409);
+      }
+
+      const helpfulDelta = (feedback === 'helpful' ? 1 : 0) - (previousFeedback === 'helpful' ? 1 : 0);
+      const notHelpfulDelta = (feedback === 'not_helpful' ? 1 : 0) - (previousFeedback === 'not_helpful' ? 1 : 0);
+      const ruleResult = await this.db.query(
+        `UPDATE auto_reply_rules 
+         SET metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object(
+           'helpfulCount', COALESCE((metadata->>'helpfulCount')::int, 0) + $1, 
+           'notHelpfulCount', COALESCE((metadata->>'notHelpfulCount')::int, 0) + $2) 
+         WHERE id = $3 
+         RETURNING "usageCount", metadata`,
+        [helpfulDelta, notHelpfulDelta, log.ruleId]
+      );
+
+      const rule = ruleResult.rows[0] || { usageCount: 0, metadata: {} };
+      const helpfulCount = parseInt(rule.metadata.helpfulCount, 10) || 0;
+      const notHelpfulCount = parseInt(rule.metadata.notHelpfulCount, 10) || 0;
+      const rated = helpfulCount + notHelpfulCount;
+
+      logger.info(`自动回复评价已记录: ${logId}, 规则: ${log.ruleId}, 评价: ${feedback}`);
+      return {
+        ruleId: log.ruleId,
+        usageCount: rule.usageCount,
+        helpfulCount,
+        notHelpfulCount,
+        helpfulRate: rated > 0 ? Math.round(helpfulCount / rated * 10000) / 100 : 0
+      };
+    } catch (error) {
+      logger.error('记录自动回复评价失败:', error);
+      throw error;
     }
-    
-    return null;
   }
 
   /**
    * 分配客服人员
+   * 分配在Redis中原子执行：会话移出等待队列并增加客服会话数，多个实例同时分配时同一会话只分配一次
    * @param {Object} session - 会话信息
+   * @returns {Promise<boolean>} 是否已分配
    */
   async assignCustomerService(session) {
-    // 查找合适的客服
-    const availableCS = this.findAvailableCustomerService(session.questionType);
-    
-    if (!availableCS) {
+    let availableCS = null;
+    let claimed = false;
+    for (let attempt = 0; attempt < MAX_ASSIGN_ATTEMPTS && !claimed; attempt++) {
+      // 查找合适的客服
+      availableCS = await this.findAvailableCustomerService(session.questionType, session.preferredCsUserId);
+      if (!availableCS) {
+        return false;
+      }
+
+      const result = await this.store.claimSession({
+        ...session,
+        csUserId: availableCS.userId,
+        csUserName: availableCS.name,
+        status: 'active',
+        assignedAt: Date.now()
+      }, availableCS.maxSessions);
+      if (result === CLAIM_RESULT.NOT_QUEUED) {
+        // 会话已被其他实例分配或已关闭
+        return false;
+      }
+      claimed = result === CLAIM_RESULT.OK;
+    }
+    if (!claimed) {
       return false;
     }
 
@@ -552,19 +992,10 @@ class CustomerService {
     session.csUserName = availableCS.name;
     session.status = 'active';
     session.assignedAt = Date.now();
-    
-    // 更新客服状态
-    availableCS.currentSessions += 1;
-    
-    // 从等待队列移除
-    const queueIndex = this.waitingQueue.indexOf(session.sessionId);
-    if (queueIndex > -1) {
-      this.waitingQueue.splice(queueIndex, 1);
-    }
 
     // 更新数据库
     try {
-      await db.query(
+      await this.db.query(
         `UPDATE customer_service_sessions 
          SET cs_user_id = $1, cs_user_name = $2, status = 'active', assigned_at = $3 
          WHERE id = $4`,
@@ -584,25 +1015,62 @@ class CustomerService {
 
   /**
    * 查找可用的客服
+   * 只考虑在班的客服，排班设置了同时接待上限时按排班的上限分配，然后按分配策略选择客服
    * @param {string} questionType - 问题类型
+   * @param {string|null} [preferredAgentId] - 上次服务该用户的客服ID
+   * @returns {Promise<Object|null>} 客服信息
    */
-  findAvailableCustomerService(questionType) {
-    // 获取在线且未达到会话上限的客服
-    const availableCS = Array.from(this.customerServiceUsers.values())
-      .filter(cs => cs.online && cs.currentSessions < cs.maxSessions)
-      .sort((a, b) => {
-        // 优先选择有相关专长的客服
-        const aHasSpecialty = a.specialties.includes(questionType);
-        const bHasSpecialty = b.specialties.includes(questionType);
-        
-        if (aHasSpecialty && !bHasSpecialty) return -1;
-        if (!aHasSpecialty && bHasSpecialty) return 1;
-        
-        // 然后按照当前会话数排序
-        return a.currentSessions - b.currentSessions;
-      });
+  async findAvailableCustomerService(questionType, preferredAgentId = null) {
+    let agents = await this.store.getAgents();
+
+    const shifts = await this.getOnShiftAgents();
+    if (shifts) {
+      agents = agents
+        .filter(cs => shifts.has(String(cs.userId)))
+        .map(cs => {
+          const schedule = shifts.get(String(cs.userId));
+          return schedule.maxConcurrentSessions > 0 ? { ...cs, maxSessions: schedule.maxConcurrentSessions } : cs;
+        });
+    }
+
+    return routing.rankAgents(agents, { questionType, preferredAgentId }, this.routingStrategy)[0] || null;
+  }
+
+  /**
+   * 获取在班的客服：排班已签到、开启自动分配且未到下班时间，休息中的客服不在其中
+   * 未启用排班检查或读取排班失败时返回 null，不按排班过滤客服
+   * @returns {Promise<Map<string, Object>|null>} 客服ID → 排班
+   */
+  async getOnShiftAgents() {
+    if (!this.requireShift) {
+      return null;
+    }
+    if (this.shiftCache && this.shiftCache.expiresAt > Date.now()) {
+      return this.shiftCache.agents;
+    }
+
+    let agents = null;
+    try {
+      // 包含前一天的排班，跨天班次在次日下班
+      const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+      const result = await this.db.query(
+        `SELECT "userId", "scheduleDate", "startTime", "endTime", status, "maxConcurrentSessions" 
+         FROM work_schedules 
+         WHERE status = 'clocked_in' AND "autoAssign" = true AND "scheduleDate" >= $1 AND "deletedAt" IS NULL`,
+        [since]
+      );
+
+      const now = Date.now();
+      agents = new Map();
+      result.rows
+        .filter(schedule => routing.isShiftActive(schedule, now))
+        .forEach(schedule => agents.set(String(schedule.userId), schedule));
+    } catch (dbError) {
+      logger.warn('读取客服排班失败，本次分配不按排班过滤客服:', dbError);
+    }
 
-    return availableCS[0] || null;
+    this.shiftCache = { agents, expiresAt: Date.now() + SHIFT_CACHE_TTL };
+    return agents;
   }
 
   /**
@@ -612,6 +1080,7 @@ class CustomerService {
    * @param {string} params.senderId - 发送者ID
    * @param {string} params.content - 消息内容
    * @param {string} params.contentType - 消息类型
+   * @param {string} [params.autoReplyLogId] - 自动回复日志ID（自动回复消息，用户按该ID评价自动回复）
    */
   async sendMessage(params) {
     const {
@@ -620,12 +1089,13 @@ class CustomerService {
       content,
       contentType = 'text',
       isAutoReply = false,
-      isSystem = false
+      isSystem = false,
+      autoReplyLogId
     } = params;
 
     try {
-      const session = this.activeSessions.get(sessionId);
-      if (!session) {
+      const session = await this.store.getSession(sessionId);
+      if (!session || session.status === 'closed') {
         throw new Error('会话不存在或已关闭');
       }
 
@@ -647,12 +1117,10 @@ class CustomerService {
             isSystem
           });
           
-          session.messages.push(message);
+          await this.store.appendMessage(sessionId, message);
           session.lastMessageAt = Date.now();
-          this.activeSessions.set(sessionId, session);
-          
-          // 尝试自动回复
-          await this.handleAutoReply(session, content);
+          session.lastCustomerMessageAt = message.timestamp;
+          await this.store.updateSession(session);
           
           // 构建消息发送数据
           const messageData = {
@@ -666,14 +1134,17 @@ class CustomerService {
           };
           
           // 发送消息给用户
-          if (websocketService && websocketService.isUserOnline(session.userId)) {
-            websocketService.send(session.userId, {
+          if (await this.isOnline(session.userId)) {
+            this.getWebSocketService().send(session.userId, {
               type: 'customer_service_message',
               data: messageData,
               timestamp: Date.now()
             });
           }
           
+          // 尝试自动回复
+          await this.handleAutoReply(session, content, message.timestamp);
+          
           return message;
         }
       } else if (senderId === session.csUserId) {
@@ -692,16 +1163,24 @@ class CustomerService {
         content,
         contentType,
         isAutoReply,
-        isSystem
+        isSystem,
+        autoReplyLogId
       });
 
       // 添加到会话消息列表
-      session.messages.push(message);
+      await this.store.appendMessage(sessionId, message);
       session.lastMessageAt = Date.now();
+      if (senderId === session.userId) {
+        session.lastCustomerMessageAt = message.timestamp;
+      } else if (senderId === session.csUserId) {
+        // 客服已回复，不再发送无响应自动回复
+        session.lastAgentReplyAt = message.timestamp;
+        this.clearNoResponseTimer(sessionId);
+      }
 
       // 保存到数据库
       try {
-        await db.query(
+        await this.db.query(
           `INSERT INTO customer_service_messages 
            (id, session_id, sender_id, sender_name, content, content_type, 
             is_auto_reply, is_system, created_at) 
@@ -714,7 +1193,7 @@ class CustomerService {
       }
 
       // 更新会话状态
-      this.activeSessions.set(sessionId, session);
+      await this.store.updateSession(session);
 
       // 构建消息发送数据
       const messageData = {
@@ -728,9 +1207,15 @@ class CustomerService {
       };
 
       // 发送消息给会话双方
-      this.sendMessageToParticipants(sessionId, messageData);
+      await this.sendMessageToParticipants(sessionId, messageData);
 
       logger.info(`客服消息已发送: ${message.id}, 会话: ${sessionId}${isAutoReply ? ' (自动回复)' : ''}`);
+
+      // 用户消息的自动回复
+      if (senderId === session.userId) {
+        await this.handleAutoReply(session, content, message.timestamp);
+      }
+
       return message;
     } catch (error) {
       logger.error('发送客服消息失败:', error);
@@ -742,7 +1227,7 @@ class CustomerService {
    * 将会话消息发送给参与者
    */
   async sendMessageToParticipants(sessionId, messageData) {
-    const session = this.activeSessions.get(sessionId);
+    const session = await this.store.getSession(sessionId);
     if (!session) return;
     
     const message = {
@@ -751,17 +1236,18 @@ class CustomerService {
       timestamp: Date.now()
     };
     
-    // 发送给用户
+    // 发送给用户（用户连接在其他实例时由该实例投递）
+    const websocketService = this.getWebSocketService();
     if (websocketService) {
       // 发送给当前会话用户
-      if (websocketService.isUserOnline && websocketService.isUserOnline(session.userId)) {
+      if (await this.isOnline(session.userId)) {
         websocketService.send(session.userId, message);
       } else {
         // 用户不在线，发送离线推送
         await pushService.pushMessage({
           userId: session.userId,
           title: session.csUserName ? `来自${session.csUserName}的消息` : '客服消息',
-          content: messageData.content,
+          content: toPreviewText(messageData),
           type: 'customer_service',
           data: { sessionId, messageId: messageData.id },
           channels: ['app', 'email']
@@ -769,14 +1255,14 @@ class CustomerService {
       }
       
       // 发送给客服
-      if (session.csUserId && websocketService.isUserOnline && websocketService.isUserOnline(session.csUserId)) {
+      if (session.csUserId && await this.isOnline(session.csUserId)) {
         websocketService.send(session.csUserId, message);
       } else if (session.csUserId) {
         // 客服不在线，发送离线推送
         await pushService.pushMessage({
           userId: session.csUserId,
           title: `来自${session.userName}的消息`,
-          content: messageData.content,
+          content: toPreviewText(messageData),
           type: 'customer_service',
           data: { sessionId, messageId: messageData.id },
           channels: ['app', 'email']
@@ -789,7 +1275,7 @@ class CustomerService {
    * 发送系统通知给会话参与者
    */
   async sendSessionNotification(sessionId, notificationType, data) {
-    const session = this.activeSessions.get(sessionId);
+    const session = await this.store.getSession(sessionId);
     if (!session) return;
     
     const notification = {
@@ -803,13 +1289,13 @@ class CustomerService {
     };
     
     // 发送给用户
-    if (websocketService && websocketService.isUserOnline && websocketService.isUserOnline(session.userId)) {
-      websocketService.send(session.userId, notification);
+    if (await this.isOnline(session.userId)) {
+      this.getWebSocketService().send(session.userId, notification);
     }
     
     // 发送给客服
-    if (session.csUserId && websocketService && websocketService.isUserOnline && websocketService.isUserOnline(session.csUserId)) {
-      websocketService.send(session.csUserId, notification);
+    if (session.csUserId && await this.isOnline(session.csUserId)) {
+      this.getWebSocketService().send(session.csUserId, notification);
     }
     
     logger.info(`发送会话通知到 ${sessionId}: ${notificationType}`);
@@ -823,7 +1309,7 @@ class CustomerService {
    */
   async transferSession(sessionId, targetCsUserId, reason) {
     try {
-      const session = this.activeSessions.get(sessionId);
+      const session = await this.store.getSession(sessionId);
       if (!session) {
         throw new Error('会话不存在或已关闭');
       }
@@ -833,7 +1319,7 @@ class CustomerService {
       }
 
       // 检查目标客服是否存在且在线
-      const targetCs = this.customerServiceUsers.get(targetCsUserId);
+      const targetCs = await this.store.getAgent(targetCsUserId);
       if (!targetCs || !targetCs.online) {
         throw new Error('目标客服不在线或不存在');
       }
@@ -846,33 +1332,36 @@ class CustomerService {
       const sourceCsUserId = session.csUserId;
       const sourceCsUserName = session.csUserName;
 
-      // 更新原客服的会话数
-      if (sourceCsUserId && this.customerServiceUsers.has(sourceCsUserId)) {
-        const sourceCs = this.customerServiceUsers.get(sourceCsUserId);
-        if (sourceCs.currentSessions > 0) {
-          sourceCs.currentSessions -= 1;
-        }
+      // 更新会话信息（排队中的会话直接分配给目标客服）
+      if (session.status === 'waiting') {
+        session.status = 'active';
+        session.assignedAt = Date.now();
       }
-
-      // 更新目标客服的会话数
-      targetCs.currentSessions += 1;
-
-      // 更新会话信息
       session.csUserId = targetCsUserId;
       session.csUserName = targetCs.name;
       session.transferredAt = Date.now();
       session.transferredFrom = sourceCsUserId;
       session.transferReason = reason;
 
+      // 更新原客服和目标客服的会话数
+      const result = await this.store.transferSession(session, sourceCsUserId, targetCs.maxSessions);
+      if (result === 0) {
+        throw new Error('会话不存在或已关闭');
+      }
+      if (result < 0) {
+        throw new Error('目标客服当前会话已满');
+      }
+
       // 更新数据库
       try {
-        await db.query(
+        await this.db.query(
           `UPDATE customer_service_sessions 
-           SET cs_user_id = $1, cs_user_name = $2, 
-               transferred_at = $3, transferred_from = $4, transfer_reason = $5,
-               updated_at = $6 
-           WHERE id = $7`,
-          [targetCsUserId, targetCs.name, new Date(), sourceCsUserId, reason, new Date(), sessionId]
+           SET cs_user_id = $1, cs_user_name = $2, status = $3, assigned_at = $4, 
+               transferred_at = $5, transferred_from = $6, transfer_reason = $7,
+               updated_at = $8 
+           WHERE id = $9`,
+          [targetCsUserId, targetCs.name, session.status, session.assignedAt ? new Date(session.assignedAt) : null, new Date(),
+           sourceCsUserId, reason, new Date(), sessionId]
         );
       } catch (dbError) {
         logger.warn('更新会话转移信息失败:', dbError);
@@ -887,8 +1376,7 @@ class CustomerService {
         contentType: 'text',
         isSystem: true
       });
-      session.messages.push(transferMessage);
-      this.activeSessions.set(sessionId, session);
+      await this.store.appendMessage(sessionId, transferMessage);
 
       // 通知用户
       await pushService.pushMessage({
@@ -901,6 +1389,7 @@ class CustomerService {
       });
 
       // 通知新旧客服
+      const websocketService = this.getWebSocketService();
       if (websocketService && typeof websocketService.send === 'function') {
         // 通知新客服
         websocketService.send(targetCsUserId, {
@@ -958,7 +1447,7 @@ class CustomerService {
    */
   async closeSession(sessionId, closedBy, reason = '') {
     try {
-      const session = this.activeSessions.get(sessionId);
+      const session = await this.store.getSession(sessionId);
       if (!session) {
         throw new Error('会话不存在或已关闭');
       }
@@ -974,17 +1463,19 @@ class CustomerService {
       session.closedBy = closedBy;
       session.closeReason = reason;
 
-      // 如果有分配客服，减少其当前会话数
-      if (session.csUserId && this.customerServiceUsers.has(session.csUserId)) {
-        const cs = this.customerServiceUsers.get(session.csUserId);
-        if (cs.currentSessions > 0) {
-          cs.currentSessions -= 1;
-        }
+      // 会话关闭后不再等待客服回复
+      this.clearNoResponseTimer(sessionId);
+
+      // 移出进行中的会话，如果有分配客服，减少其当前会话数；其他实例已同时关闭该会话时不再处理
+      const closed = await this.store.closeSession(session);
+      if (!closed) {
+        logger.warn(`会话 ${sessionId} 已经关闭`);
+        return session;
       }
 
       // 更新数据库
       try {
-        await db.query(
+        await this.db.query(
           `UPDATE customer_service_sessions 
            SET status = 'closed', closed_at = $1, closed_by = $2, close_reason = $3, updated_at = $4 
            WHERE id = $5`,
@@ -994,12 +1485,13 @@ class CustomerService {
         logger.warn('更新会话关闭状态失败:', dbError);
       }
 
-      // 保存会话状态
-      this.activeSessions.set(sessionId, session);
-
       // 通知双方会话已关闭
       await this.notifySessionClosed(session);
 
+      // 发送满意度调查，失败不影响会话关闭
+      await satisfactionSurveyService.sendSessionSurvey(session)
+        .catch(error => logger.error(`发送会话 ${sessionId} 的满意度调查失败:`, error));
+
       // 处理等待队列中的下一个会话
       await this.processWaitingQueue();
 
@@ -1060,18 +1552,18 @@ class CustomerService {
         params.push(filters.offset);
       }
 
-      const result = await db.query(query, params);
+      const result = await this.db.query(query, params);
       const dbSessions = result.rows;
       
       if (dbSessions.length > 0) {
         return dbSessions;
       }
     } catch (dbError) {
-      logger.warn('从数据库获取会话列表失败，将使用内存数据:', dbError);
+      logger.warn('从数据库获取会话列表失败，将使用Redis中进行中的会话:', dbError);
     }
     
-    // 从内存获取
-    let sessions = Array.from(this.activeSessions.values());
+    // 从Redis获取进行中的会话
+    let sessions = await this.store.getLiveSessions();
 
     // 应用过滤条件
     if (filters.userId) {
@@ -1105,7 +1597,7 @@ class CustomerService {
    */
   async getSessionMessages(sessionId, options = {}) {
     try {
-      const session = this.activeSessions.get(sessionId);
+      const session = await this.store.getSession(sessionId);
       if (!session) {
         throw new Error('会话不存在');
       }
@@ -1125,18 +1617,18 @@ class CustomerService {
           params.push(options.offset);
         }
         
-        const result = await db.query(query, params);
+        const result = await this.db.query(query, params);
         const dbMessages = result.rows;
         
         if (dbMessages.length > 0) {
           return dbMessages.reverse(); // 返回按时间正序
         }
       } catch (dbError) {
-        logger.warn('从数据库获取消息历史失败，将使用内存数据:', dbError);
+        logger.warn('从数据库获取消息历史失败，将使用Redis中缓存的消息:', dbError);
       }
       
-      // 从内存获取
-      let messages = [...session.messages];
+      // 从Redis获取最近的消息
+      let messages = await this.store.getMessages(sessionId);
       
       // 应用分页
       if (options.limit !== undefined) {
@@ -1154,22 +1646,29 @@ class CustomerService {
   /**
    * 获取会话详情
    * @param {string} sessionId - 会话ID
+   * @returns {Promise<Object|null>} 会话信息（含最近的消息），不存在时返回 null
    */
-  getSession(sessionId) {
-    return this.activeSessions.get(sessionId);
+  async getSession(sessionId) {
+    const session = await this.store.getSession(sessionId);
+    if (!session) {
+      return null;
+    }
+    session.messages = await this.store.getMessages(sessionId);
+    return session;
   }
 
   /**
    * 获取用户的活跃会话
    * @param {string} userId - 用户ID
+   * @returns {Promise<Object|null>} 会话信息（含最近的消息）
    */
-  getUserActiveSession(userId) {
-    for (const session of this.activeSessions.values()) {
-      if (session.userId === userId && session.status !== 'closed') {
-        return session;
-      }
+  async getUserActiveSession(userId) {
+    const session = await this.store.getUserSession(userId);
+    if (!session || session.status === 'closed') {
+      return null;
     }
-    return null;
+    session.messages = await this.store.getMessages(session.sessionId);
+    return session;
   }
 
   /**
@@ -1179,18 +1678,16 @@ class CustomerService {
    * @param {string} status - 详细状态 (online, busy, away)
    */
   async updateCustomerServiceStatus(csUserId, online, status = 'online') {
-    const cs = this.customerServiceUsers.get(csUserId);
+    const cs = this.customerServiceProfiles.get(csUserId);
     if (!cs) {
       throw new Error('客服不存在');
     }
 
-    cs.online = online;
-    cs.status = status;
-    this.customerServiceUsers.set(csUserId, cs);
+    await this.store.setAgentStatus(csUserId, online, status);
     
     // 更新数据库
     try {
-      await db.query(
+      await this.db.query(
         `UPDATE users SET status = $1, last_seen = $2 WHERE id = $3`,
         [online ? status : 'offline', new Date(), csUserId]
       );
@@ -1208,7 +1705,7 @@ class CustomerService {
       await this.transferAllSessions(csUserId, '客服离线');
     }
 
-    return cs;
+    return this.store.getAgent(csUserId);
   }
 
   /**
@@ -1218,42 +1715,27 @@ class CustomerService {
    */
   async transferAllSessions(csUserId, reason) {
     try {
-      const sessionsToTransfer = [];
-      
       // 找出该客服的所有活跃会话
-      this.activeSessions.forEach((session, sessionId) => {
-        if (session.csUserId === csUserId && session.status === 'active') {
-          sessionsToTransfer.push(sessionId);
-        }
-      });
+      const sessionsToTransfer = (await this.store.getLiveSessions())
+        .filter(session => session.csUserId === csUserId && session.status === 'active');
       
       // 逐个转移会话
-      for (const sessionId of sessionsToTransfer) {
-        const session = this.activeSessions.get(sessionId);
-        if (session) {
-          // 查找其他可用客服
-          const availableCS = this.findAvailableCustomerService(session.questionType);
-          
-          if (availableCS && availableCS.userId !== csUserId) {
-            try {
-              await this.transferSession(sessionId, availableCS.userId, reason);
-            } catch (error) {
-              logger.error(`转移会话 ${sessionId} 失败:`, error);
-              // 将会话标记为等待中
-              session.status = 'waiting';
-              session.csUserId = null;
-              session.csUserName = null;
-              this.activeSessions.set(sessionId, session);
-              this.waitingQueue.push(sessionId);
-            }
-          } else {
-            // 没有可用客服，加入等待队列
-            session.status = 'waiting';
-            session.csUserId = null;
-            session.csUserName = null;
-            this.activeSessions.set(sessionId, session);
-            this.waitingQueue.push(sessionId);
+      for (const session of sessionsToTransfer) {
+        const sessionId = session.sessionId;
+        // 查找其他可用客服
+        const availableCS = await this.findAvailableCustomerService(session.questionType);
+        
+        if (availableCS && availableCS.userId !== csUserId) {
+          try {
+            await this.transferSession(sessionId, availableCS.userId, reason);
+          } catch (error) {
+            logger.error(`转移会话 ${sessionId} 失败:`, error);
+            // 将会话标记为等待中
+            await this.requeueSession(session);
           }
+        } else {
+          // 没有可用客服，加入等待队列
+          await this.requeueSession(session);
         }
       }
       
@@ -1263,26 +1745,77 @@ class CustomerService {
     }
   }
 
+  /**
+   * 调整排队中会话的优先级，按新的优先级调整排队位置
+   * @param {string} sessionId - 会话ID
+   * @param {string} priority - 会话优先级 (low, medium, high, urgent)
+   * @returns {Promise<Object>} 会话信息
+   */
+  async updateSessionPriority(sessionId, priority) {
+    if (!routing.SESSION_PRIORITIES.includes(priority)) {
+      throw new ValidationError(`会话优先级只能是 ${routing.SESSION_PRIORITIES.join(', ')}`);
+    }
+
+    const session = await this.store.getSession(sessionId);
+    if (!session) {
+      throw new NotFoundError('会话不存在');
+    }
+
+    session.priority = priority;
+    // 会话已分配客服或已关闭时不在排队队列中，不再调整
+    if (session.status !== 'waiting' || !(await this.store.reprioritizeSession(session))) {
+      throw new ValidationError('只能调整排队中会话的优先级');
+    }
+
+    logger.info(`会话 ${sessionId} 优先级调整为: ${priority}`);
+    return session;
+  }
+
+  /**
+   * 将会话放回等待队列，按排队分数恢复原来的排队位置
+   * @param {Object} session - 会话信息
+   */
+  async requeueSession(session) {
+    const sourceCsUserId = session.csUserId;
+    session.status = 'waiting';
+    session.csUserId = null;
+    session.csUserName = null;
+    await this.store.requeueSession(session, sourceCsUserId);
+
+    try {
+      await this.db.query(
+        `UPDATE customer_service_sessions 
+         SET status = 'waiting', cs_user_id = NULL, cs_user_name = NULL, updated_at = $1 
+         WHERE id = $2`,
+        [new Date(), session.sessionId]
+      );
+    } catch (dbError) {
+      logger.warn('更新会话等待状态失败:', dbError);
+    }
+  }
+
   /**
    * 处理等待队列
+   * 队列保存在Redis中，任一实例都可以处理；同一会话只会被一个实例分配
    */
   async processWaitingQueue() {
-    if (this.waitingQueue.length === 0) return;
+    const waitingQueue = await this.store.getQueue();
+    if (waitingQueue.length === 0) return;
 
-    logger.info(`处理等待队列，当前等待数: ${this.waitingQueue.length}`);
+    logger.info(`处理等待队列，当前等待数: ${waitingQueue.length}`);
 
     // 更新队列中所有用户的等待位置
-    for (let i = 0; i < this.waitingQueue.length; i++) {
-      const sessionId = this.waitingQueue[i];
-      const session = this.activeSessions.get(sessionId);
+    for (let i = 0; i < waitingQueue.length; i++) {
+      const sessionId = waitingQueue[i];
+      const session = await this.store.getSession(sessionId);
       
       if (session) {
         // 估算等待时间
         const estimatedWaitTime = (i + 1) * 3; // 平均每人3分钟
         
         // 发送等待位置更新通知
-        if (websocketService && websocketService.isUserOnline(session.userId)) {
-          websocketService.send(session.userId, {
+        if (await this.isOnline(session.userId)) {
+          this.getWebSocketService().send(session.userId, {
             type: 'waiting_position_update',
             data: {
               sessionId,
@@ -1305,18 +1838,12 @@ class CustomerService {
       }
     }
 
-    // 尝试为队列中的会话分配客服
-    for (let i = 0; i < this.waitingQueue.length; i++) {
-      const sessionId = this.waitingQueue[i];
-      const session = this.activeSessions.get(sessionId);
+    // 尝试为队列中的会话分配客服（分配成功的会话移出队列）
+    for (const sessionId of waitingQueue) {
+      const session = await this.store.getSession(sessionId);
       
       if (session && session.status === 'waiting') {
-        const assigned = await this.assignCustomerService(session);
-        if (assigned) {
-          // 从队列中移除
-          this.waitingQueue.splice(i, 1);
-          i--; // 调整索引
-        }
+        await this.assignCustomerService(session);
       }
     }
   }
@@ -1336,7 +1863,8 @@ class CustomerService {
       timestamp: Date.now(),
       read: false,
       isAutoReply: params.isAutoReply || false,
-      isSystem: params.isSystem || false
+      isSystem: params.isSystem || false,
+      ...(params.autoReplyLogId ? { autoReplyLogId: params.autoReplyLogId } : {})
     };
   }
 
@@ -1346,12 +1874,13 @@ class CustomerService {
    */
   async sendWaitingNotification(session) {
     // 估算等待时间
-    const estimatedWaitTime = this.waitingQueue.length * 3; // 平均每人3分钟
+    const position = (await this.store.getQueuePosition(session.sessionId)) || 1;
+    const estimatedWaitTime = position * 3; // 平均每人3分钟
     
     await pushService.pushMessage({
       userId: session.userId,
       title: '正在排队等待客服',
-      content: `您当前排在第${this.waitingQueue.length}位，预计等待时间约${estimatedWaitTime}分钟`,
+      content: `您当前排在第${position}位，预计等待时间约${estimatedWaitTime}分钟`,
       type: 'customer_service',
       data: { sessionId: session.sessionId },
       channels: ['websocket', 'app']
@@ -1414,16 +1943,36 @@ class CustomerService {
     }
   }
 
+  /**
+   * 获取进行中的会话和客服在线情况（所有实例共享的Redis数据）
+   * @returns {Promise<Object>} 统计信息
+   */
+  async getLiveStatistics() {
+    const [sessions, waitingQueue, agents] = await Promise.all([
+      this.store.getLiveSessions(),
+      this.store.getQueue(),
+      this.store.getAgents()
+    ]);
+    return {
+      totalActiveSessions: sessions.length,
+      activeSessions: sessions.filter(s => s.status === 'active').length,
+      waitingSessions: waitingQueue.length,
+      onlineCustomerService: agents.filter(cs => cs.online).length,
+      totalCustomerService: agents.length
+    };
+  }
+
   /**
    * 获取统计信息
    */
   async getStatistics() {
+    const liveStatistics = await this.getLiveStatistics();
     try {
       // 从数据库获取更全面的统计信息
       const today = new Date();
       today.setHours(0, 0, 0, 0);
       
-      const result = await db.query(
+      const result = await this.db.query(
         `SELECT 
           COUNT(*) as total_today,
           SUM(CASE WHEN status = 'closed' THEN 1 ELSE 0 END) as closed_today,
@@ -1436,12 +1985,8 @@ class CustomerService {
       const dbStats = result.rows[0];
       
       return {
-        // 内存数据
-        totalActiveSessions: this.activeSessions.size,
-        activeSessions: Array.from(this.activeSessions.values()).filter(s => s.status === 'active').length,
-        waitingSessions: this.waitingQueue.length,
-        onlineCustomerService: Array.from(this.customerServiceUsers.values()).filter(cs => cs.online).length,
-        totalCustomerService: this.customerServiceUsers.size,
+        // Redis数据
+        ...liveStatistics,
         
         // 数据库统计
         totalToday: parseInt(dbStats.total_today) || 0,
@@ -1449,15 +1994,11 @@ class CustomerService {
         avgHandleTimeMinutes: dbStats.avg_handle_time_minutes ? parseFloat(dbStats.avg_handle_time_minutes) : 0
       };
     } catch (error) {
-      logger.error('获取统计信息失败，将使用内存数据:', error);
+      logger.error('获取统计信息失败，将使用Redis数据:', error);
       
-      // 仅使用内存数据
+      // 仅使用Redis数据
       return {
-        totalActiveSessions: this.activeSessions.size,
-        activeSessions: Array.from(this.activeSessions.values()).filter(s => s.status === 'active').length,
-        waitingSessions: this.waitingQueue.length,
-        onlineCustomerService: Array.from(this.customerServiceUsers.values()).filter(cs => cs.online).length,
-        totalCustomerService: this.customerServiceUsers.size,
+        ...liveStatistics,
         totalToday: 0,
         closedToday: 0,
         avgHandleTimeMinutes: 0
@@ -1467,29 +2008,36 @@ class CustomerService {
 
   /**
    * 添加自动回复规则
-   * @param {Object} rule - 规则对象
+   * @param {Object} rule - 规则对象（AutoReplyRule 模型字段：name, keywords, matchType, replyContent, replyType, priority, delay,
+   *   triggerCondition, noResponseTimeout, applicationScope, applicableDepartments, applicableAgents）
+   * @returns {Promise<Object>} 规则
    */
   async addAutoReplyRule(rule) {
     try {
-      const { keyword, response, priority = 0 } = rule;
+      const newRule = autoReplyRules.normalizeRule({ ...rule, id: crypto.randomUUID(), createdAt: Date.now() });
       
       // 保存到数据库
       try {
-        await db.query(
-          `INSERT INTO auto_reply_rules (keyword, response, priority, status, created_at) 
-           VALUES ($1, $2, $3, 'active', $4)`,
-          [keyword, response, priority, new Date()]
+        await this.db.query(
+          `INSERT INTO auto_reply_rules 
+           (id, name, keywords, "matchType", "replyContent", "replyType", priority, delay, "triggerCondition", 
+            "noResponseTimeout", "applicationScope", "applicableDepartments", "applicableAgents", status, 
+            "usageCount", metadata, "createdAt", "updatedAt") 
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, 'active', 0, '{}', $14, $15)`,
+          [newRule.id, newRule.name, newRule.keywords, newRule.matchType, newRule.replyContent, newRule.replyType,
+           newRule.priority, newRule.delay, newRule.triggerCondition, newRule.noResponseTimeout,
+           newRule.applicationScope, newRule.applicableDepartments, newRule.applicableAgents,
+           new Date(newRule.createdAt), new Date(newRule.createdAt)]
         );
       } catch (dbError) {
         logger.warn('保存自动回复规则到数据库失败:', dbError);
       }
       
-      // 添加到内存
-      this.autoReplyRules.push({ keyword, response, priority });
-      // 按优先级排序
-      this.autoReplyRules.sort((a, b) => b.priority - a.priority);
+      // 添加到内存并按优先级排序
+      this.autoReplyRules = autoReplyRules.sortRules([...this.autoReplyRules, newRule]);
       
-      logger.info(`添加自动回复规则成功: ${keyword}`);
+      logger.info(`添加自动回复规则成功: ${newRule.name}`);
+      return newRule;
     } catch (error) {
       logger.error('添加自动回复规则失败:', error);
       throw error;
@@ -1505,7 +2053,7 @@ class CustomerService {
     try {
       const { startDate, endDate } = timeRange;
       
-      const result = await db.query(
+      const result = await this.db.query(
         `SELECT 
           COUNT(*) as total_sessions,
           SUM(CASE WHEN status = 'closed' THEN 1 ELSE 0 END) as closed_sessions,
@@ -1534,6 +2082,7 @@ class CustomerService {
 // 创建单例实例
 const customerService = new CustomerService();
 
-// 导出单例实例和初始化方法
+// 导出单例实例和初始化方法；CustomerService 用于创建使用独立状态存储的实例（如多实例集成测试）
 module.exports = customerService;
-module.exports.initialize = customerService.initialize.bind(customerService);
\ No newline at end of file
+module.exports.initialize = customerService.initialize.bind(customerService);
+module.exports.CustomerService = CustomerService;
\ No newline at end of file
@@ -0,0 +1,82 @@
+/**
+ * 在线客服服务测试
+ */
+
+jest.mock('../../core/utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../core/cache/cacheManager', () => ({}));
+jest.mock('../../core/cache/redisClient', () => ({
+  redisClient: {}
+}));
+jest.mock('../../core/data-access/database', () => ({
+  query: jest.fn()
+}));
+jest.mock('../../core/services/websocketService', () => ({
+  getInstance: jest.fn()
+}));
+jest.mock('../../core/services/pushService', () => ({
+  pushMessage: jest.fn()
+}));
+jest.mock('../../core/services/satisfactionSurveyService', () => ({
+  sendSessionSurvey: jest.fn()
+}));
+
+const pushService = require('../../core/services/pushService');
+const satisfactionSurveyService = require('../../core/services/satisfactionSurveyService');
+const { CustomerService } = require('./customerService');
+
+const SESSION = {
+  sessionId: 'cs_session_1_u1',
+  userId: 'u1',
+  userName: '买家',
+  csUserId: 'a1',
+  questionType: 'refund',
+  status: 'active'
+};
+
+let store;
+let db;
+let service;
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  store = {
+    getSession: jest.fn().mockResolvedValue({ ...SESSION }),
+    closeSession: jest.fn().mockResolvedValue(true),
+    getQueue: jest.fn().mockResolvedValue([])
+  };
+  db = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+  service = new CustomerService({ store, db });
+  satisfactionSurveyService.sendSessionSurvey.mockResolvedValue({ id: 's1' });
+});
+
+describe('closeSession', () => {
+  test('关闭会话后通知双方并发送满意度调查', async () => {
+    const session = await service.closeSession('cs_session_1_u1', 'a1', '问题已解决');
+
+    expect(session).toMatchObject({ status: 'closed', closedBy: 'a1', closeReason: '问题已解决' });
+    expect(store.closeSession).toHaveBeenCalledWith(session);
+    expect(pushService.pushMessage).toHaveBeenCalledTimes(2);
+    expect(satisfactionSurveyService.sendSessionSurvey).toHaveBeenCalledWith(session);
+  });
+
+  test('其他实例已关闭该会话时不重复发送调查', async () => {
+    store.closeSession.mockResolvedValue(false);
+
+    await service.closeSession('cs_session_1_u1', 'a1');
+
+    expect(pushService.pushMessage).not.toHaveBeenCalled();
+    expect(satisfactionSurveyService.sendSessionSurvey).not.toHaveBeenCalled();
+  });
+
+  test('发送满意度调查失败不影响会话关闭', async () => {
+    satisfactionSurveyService.sendSessionSurvey.mockRejectedValue(new Error('数据库不可用'));
+
+    await expect(service.closeSession('cs_session_1_u1', 'u1', 'user_left')).resolves.toMatchObject({ status: 'closed' });
+    expect(store.getQueue).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * 客服分配路由
+ * 决定排队会话的先后顺序，以及会话分配给哪位客服：
+ * - 可分配的客服：在线且状态为 online（away 为休息中，busy 为暂停接待），当前会话数未达上限；
+ *   客服服务启用排班检查时，还必须有已签到（clocked_in）且未到下班时间的班次，休息中（on_break）的班次不分配，见 isShiftActive
+ * - 技能熟练度：客服专长写作 "技能:等级"（如 "退款:5"），等级 1-5，未写等级时按 DEFAULT_SKILL_LEVEL 计算
+ * - 排队优先：VIP 会员和高优先级会话的排队分数为创建时间减去提前量，排在稍早创建的普通会话之前；
+ *   提前量是固定的分钟数，普通会话最多被插队这么长时间，不会一直排不上
+ * - 分配策略（CS_ROUTING_STRATEGY）：least_busy 专长优先、会话数最少；skill_weighted 按熟练度和空闲程度加权；
+ *   sticky 优先分配给上次服务该用户的客服，该客服不可分配时按 skill_weighted 分配。
+ *   可以通过 registerStrategy 注册其他策略，scripts/customer-service-routing-compare.js 按相同的模拟数据比较各策略
+ */
+
+const logger = require('../../core/utils/logger');
+
+// 技能等级范围，未写等级时的默认等级
+const MAX_SKILL_LEVEL = 5;
+const DEFAULT_SKILL_LEVEL = 3;
+
+// skill_weighted 策略中技能熟练度和空闲程度的权重
+const SKILL_WEIGHT = 0.7;
+const IDLE_WEIGHT = 0.3;
+
+// 会话优先级
+const SESSION_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// 各优先级会话的排队提前量（分钟）
+const PRIORITY_QUEUE_BOOST_MINUTES = {
+  low: 0,
+  medium: 0,
+  high: 5,
+  urgent: 15
+};
+
+// VIP 会员会话的排队提前量（分钟），与优先级的提前量累加
+const VIP_QUEUE_BOOST_MINUTES = parseInt(process.env.CS_VIP_QUEUE_BOOST_MINUTES || '10', 10);
+
+// 默认分配策略
+const DEFAULT_STRATEGY = 'sticky';
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+/**
+ * 解析客服专长为技能和熟练度
+ * @param {Array<string>|Object|null} specialties - 专长列表（"技能" 或 "技能:等级"），或技能到等级的映射
+ * @returns {Object} 技能到等级（1-5）的映射
+ */
+function parseSkills(specialties) {
+  const skills = {};
+  if (!specialties) {
+    return skills;
+  }
+
+  const entries = Array.isArray(specialties)
+    ? specialties.map(item => {
+      const [name, level] = String(item).split(':');
+      return [name, level];
+    })
+    : Object.entries(specialties);
+
+  entries.forEach(([name, level]) => {
+    const skill = String(name || '').trim();
+    if (!skill) {
+      return;
+    }
+    const value = parseInt(level, 10);
+    skills[skill] = Number.isFinite(value)
+      ? Math.min(Math.max(value, 1), MAX_SKILL_LEVEL)
+      : DEFAULT_SKILL_LEVEL;
+  });
+
+  return skills;
+}
+
+/**
+ * 客服对问题类型的熟练度
+ * @param {Object} agent - 客服（specialties）
+ * @param {string} questionType - 问题类型
+ * @returns {number} 等级，没有该技能时返回 0
+ */
+function getSkillLevel(agent, questionType) {
+  if (!questionType) {
+    return 0;
+  }
+  return parseSkills(agent.specialties)[questionType] || 0;
+}
+
+/**
+ * 客服当前的会话占用比例
+ * @param {Object} agent - 客服（currentSessions, maxSessions）
+ * @returns {number} 0-1
+ */
+function getLoadRatio(agent) {
+  return agent.maxSessions > 0 ? Math.min(agent.currentSessions / agent.maxSessions, 1) : 1;
+}
+
+/**
+ * 客服是否可以接待新会话（不含排班检查）
+ * @param {Object} agent - 客服（online, status, currentSessions, maxSessions）
+ * @returns {boolean}
+ */
+function isAvailable(agent) {
+  return Boolean(agent.online) &&
+    (!agent.status || agent.status === 'online') &&
+    agent.currentSessions < agent.maxSessions;
+}
+
+/**
+ * 排班日期和时间转换为服务器本地时间
+ * @param {Date|string} date - 排班日期
+ * @param {string} time - 时间（HH:mm 或 HH:mm:ss）
+ * @returns {number} 毫秒时间戳，无效时返回 NaN
+ */
+function toShiftTime(date, time) {
+  const day = date instanceof Date
+    ? new Date(date.getFullYear(), date.getMonth(), date.getDate())
+    : new Date(`${String(date).split('T')[0]}T00:00:00`);
+  const [hours, minutes, seconds] = String(time || '').split(':').map(part => parseInt(part, 10));
+  if (!Number.isFinite(hours) || !Number.isFinite(minutes)) {
+    return NaN;
+  }
+  return day.getTime() + ((hours * 60 + minutes) * 60 + (seconds || 0)) * 1000;
+}
+
+/**
+ * 排班是否处于可接待状态：已签到（休息中的班次为 on_break，不可接待），且未到下班时间
+ * 结束时间不晚于开始时间的班次为跨天班次，在排班日期的次日下班
+ * @param {Object} schedule - 排班（scheduleDate, startTime, endTime, status）
+ * @param {number} [now] - 当前时间（毫秒）
+ * @returns {boolean}
+ */
+function isShiftActive(schedule, now = Date.now()) {
+  if (schedule.status !== 'clocked_in') {
+    return false;
+  }
+  const start = toShiftTime(schedule.scheduleDate, schedule.startTime);
+  let end = toShiftTime(schedule.scheduleDate, schedule.endTime);
+  if (Number.isNaN(start) || Number.isNaN(end)) {
+    return false;
+  }
+  if (end <= start) {
+    end += MS_PER_DAY;
+  }
+  return now < end;
+}
+
+/**
+ * 专长优先、会话数最少（原有的分配方式）
+ * @param {Array<Object>} agents - 可分配的客服
+ * @param {Object} context - 分配上下文（questionType）
+ * @returns {Array<Object>} 排序后的客服
+ */
+function rankLeastBusy(agents, context) {
+  return [...agents].sort((a, b) => {
+    const aHasSpecialty = getSkillLevel(a, context.questionType) > 0;
+    const bHasSpecialty = getSkillLevel(b, context.questionType) > 0;
+
+    if (aHasSpecialty && !bHasSpecialty) return -1;
+    if (!aHasSpecialty && bHasSpecialty) return 1;
+
+    return a.currentSessions - b.currentSessions;
+  });
+}
+
+/**
+ * 按技能熟练度和空闲程度加权评分，分数相同时会话数少的客服优先
+ * @param {Array<Object>} agents - 可分配的客服
+ * @param {Object} context - 分配上下文（questionType）
+ * @returns {Array<Object>} 排序后的客服
+ */
+function rankSkillWeighted(agents, context) {
+  const score = agent => SKILL_WEIGHT * getSkillLevel(agent, context.questionType) / MAX_SKILL_LEVEL +
+    IDLE_WEIGHT * (1 - getLoadRatio(agent));
+
+  return agents
+    .map(agent => ({ agent, score: score(agent) }))
+    .sort((a, b) => b.score - a.score || a.agent.currentSessions - b.agent.currentSessions)
+    .map(item => item.agent);
+}
+
+/**
+ * 上次服务该用户的客服优先，其余客服按 skill_weighted 排序
+ * @param {Array<Object>} agents - 可分配的客服
+ * @param {Object} context - 分配上下文（questionType, preferredAgentId）
+ * @returns {Array<Object>} 排序后的客服
+ */
+function rankSticky(agents, context) {
+  const ranked = rankSkillWeighted(agents, context);
+  if (!context.preferredAgentId) {
+    return ranked;
+  }
+  const preferred = ranked.find(agent => String(agent.userId) === String(context.preferredAgentId));
+  return preferred ? [preferred, ...ranked.filter(agent => agent !== preferred)] : ranked;
+}
+
+// 分配策略：名称 → 排序函数 (agents, context) => agents
+const strategies = new Map([
+  ['least_busy', rankLeastBusy],
+  ['skill_weighted', rankSkillWeighted],
+  ['sticky', rankSticky]
+]);
+
+/**
+ * 注册分配策略
+ * @param {string} name - 策略名称
+ * @param {Function} rank - 排序函数 (agents, context) => agents，agents 为可分配的客服，返回按优先顺序排列的客服
+ */
+function registerStrategy(name, rank) {
+  if (typeof rank !== 'function') {
+    throw new Error(`分配策略 ${name} 必须是函数`);
+  }
+  strategies.set(name, rank);
+}
+
+/**
+ * 已注册的分配策略名称
+ * @returns {Array<string>}
+ */
+function getStrategyNames() {
+  return Array.from(strategies.keys());
+}
+
+/**
+ * 按策略对可分配的客服排序
+ * @param {Array<Object>} agents - 客服（已按排班过滤）
+ * @param {Object} context - 分配上下文
+ * @param {string} [context.questionType] - 问题类型
+ * @param {string} [context.preferredAgentId] - 上次服务该用户的客服ID
+ * @param {string} [strategyName] - 策略名称，未注册的策略按默认策略分配
+ * @returns {Array<Object>} 排序后的可分配客服
+ */
+function rankAgents(agents, context = {}, strategyName = DEFAULT_STRATEGY) {
+  let rank = strategies.get(strategyName);
+  if (!rank) {
+    logger.warn(`未知的客服分配策略 ${strategyName}，使用 ${DEFAULT_STRATEGY}`);
+    rank = strategies.get(DEFAULT_STRATEGY);
+  }
+  return rank(agents.filter(isAvailable), context);
+}
+
+/**
+ * 会话的排队提前量
+ * @param {Object} session - 会话（priority, vip）
+ * @returns {number} 提前量（分钟）
+ */
+function getQueueBoostMinutes(session) {
+  return (PRIORITY_QUEUE_BOOST_MINUTES[session.priority] || 0) + (session.vip ? VIP_QUEUE_BOOST_MINUTES : 0);
+}
+
+/**
+ * 会话在排队队列中的分数，分数小的会话先分配
+ * @param {Object} session - 会话（createdAt, priority, vip）
+ * @returns {number} 分数（毫秒）
+ */
+function getQueueScore(session) {
+  return session.createdAt - getQueueBoostMinutes(session) * MS_PER_MINUTE;
+}
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  SESSION_PRIORITIES,
+  parseSkills,
+  getSkillLevel,
+  isAvailable,
+  isShiftActive,
+  registerStrategy,
+  getStrategyNames,
+  rankAgents,
+  getQueueScore
+};
@@ -0,0 +1,141 @@
+/**
+ * 客服分配路由测试
+ */
+
+jest.mock('../../core/utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+
+const logger = require('../../core/utils/logger');
+const routing = require('./routing');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * 构建在线客服
+ * @param {string} userId - 客服ID
+ * @param {Object} overrides - 覆盖字段
+ * @returns {Object} 客服
+ */
+function makeAgent(userId, overrides) {
+  return { userId, online: true, status: 'online', currentSessions: 0, maxSessions: 5, specialties: [], ...overrides };
+}
+
+/**
+ * 客服ID列表
+ * @param {Array<Object>} agents - 客服
+ * @returns {Array<string>}
+ */
+function ids(agents) {
+  return agents.map(agent => agent.userId);
+}
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('parseSkills', () => {
+  test('解析 "技能:等级"，未写等级时按默认等级，等级限制在1-5', () => {
+    expect(routing.parseSkills(['退款:5', '物流', '投诉:9', '发票:0', ' '])).toEqual({ 退款: 5, 物流: 3, 投诉: 5, 发票: 1 });
+    expect(routing.parseSkills({ 退款: '4' })).toEqual({ 退款: 4 });
+    expect(routing.parseSkills(null)).toEqual({});
+  });
+});
+
+describe('isAvailable', () => {
+  test('只有在线、状态为 online 且未达会话上限的客服可以分配', () => {
+    expect(routing.isAvailable(makeAgent('a1'))).toBe(true);
+    expect(routing.isAvailable(makeAgent('a1', { status: 'away' }))).toBe(false);
+    expect(routing.isAvailable(makeAgent('a1', { online: false }))).toBe(false);
+    expect(routing.isAvailable(makeAgent('a1', { currentSessions: 5 }))).toBe(false);
+  });
+});
+
+describe('isShiftActive', () => {
+  const day = new Date(2026, 5, 1);
+  const at = (hours, dayOffset = 0) => new Date(2026, 5, 1 + dayOffset, hours).getTime();
+
+  test('已签到且未到下班时间的班次可接待，休息中的班次不可接待', () => {
+    const schedule = { scheduleDate: day, startTime: '09:00', endTime: '18:00', status: 'clocked_in' };
+
+    expect(routing.isShiftActive(schedule, at(17))).toBe(true);
+    expect(routing.isShiftActive(schedule, at(18))).toBe(false);
+    expect(routing.isShiftActive({ ...schedule, status: 'on_break' }, at(10))).toBe(false);
+  });
+
+  test('结束时间不晚于开始时间的班次在次日下班', () => {
+    const schedule = { scheduleDate: '2026-06-01', startTime: '22:00:00', endTime: '06:00:00', status: 'clocked_in' };
+
+    expect(routing.isShiftActive(schedule, at(5, 1))).toBe(true);
+    expect(routing.isShiftActive(schedule, at(7, 1))).toBe(false);
+  });
+});
+
+describe('rankAgents', () => {
+  test('least_busy 有专长的客服优先，其次会话数少的优先', () => {
+    const agents = [
+      makeAgent('idle'),
+      makeAgent('expert', { specialties: ['退款'], currentSessions: 3 }),
+      makeAgent('busy', { currentSessions: 2 })
+    ];
+
+    expect(ids(routing.rankAgents(agents, { questionType: '退款' }, 'least_busy'))).toEqual(['expert', 'idle', 'busy']);
+  });
+
+  test('skill_weighted 按熟练度和空闲程度加权，过滤不可分配的客服', () => {
+    const agents = [
+      makeAgent('junior', { specialties: ['退款:1'] }),
+      makeAgent('senior', { specialties: ['退款:5'], currentSessions: 4 }),
+      makeAgent('mid', { specialties: ['退款:4'], currentSessions: 1 }),
+      makeAgent('full', { specialties: ['退款:5'], currentSessions: 5 })
+    ];
+
+    // junior 0.7*0.2+0.3*1=0.44，senior 0.7+0.3*0.2=0.76，mid 0.56+0.3*0.8=0.8
+    expect(ids(routing.rankAgents(agents, { questionType: '退款' }, 'skill_weighted'))).toEqual(['mid', 'senior', 'junior']);
+  });
+
+  test('sticky 上次服务该用户的客服优先，该客服不可分配时按 skill_weighted', () => {
+    const agents = [
+      makeAgent('expert', { specialties: ['退款:5'] }),
+      makeAgent('previous', { currentSessions: 2 })
+    ];
+
+    expect(ids(routing.rankAgents(agents, { questionType: '退款', preferredAgentId: 'previous' }, 'sticky')))
+      .toEqual(['previous', 'expert']);
+
+    agents[1].status = 'busy';
+    expect(ids(routing.rankAgents(agents, { questionType: '退款', preferredAgentId: 'previous' }, 'sticky')))
+      .toEqual(['expert']);
+  });
+
+  test('未知策略按默认策略分配', () => {
+    const agents = [makeAgent('a1', { currentSessions: 2 }), makeAgent('a2')];
+
+    expect(ids(routing.rankAgents(agents, {}, 'round_robin'))).toEqual(['a2', 'a1']);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining(routing.DEFAULT_STRATEGY));
+  });
+
+  test('可以注册自定义策略', () => {
+    routing.registerStrategy('reverse', agents => [...agents].reverse());
+
+    expect(routing.getStrategyNames()).toContain('reverse');
+    expect(ids(routing.rankAgents([makeAgent('a1'), makeAgent('a2')], {}, 'reverse'))).toEqual(['a2', 'a1']);
+    expect(() => routing.registerStrategy('broken', null)).toThrow('分配策略 broken 必须是函数');
+  });
+});
+
+describe('getQueueScore', () => {
+  test('VIP 和高优先级会话提前排队，提前量累加且有上限', () => {
+    const createdAt = Date.now();
+
+    expect(routing.getQueueScore({ createdAt, priority: 'medium' })).toBe(createdAt);
+    expect(routing.getQueueScore({ createdAt, priority: 'urgent' })).toBe(createdAt - 15 * MINUTE);
+    expect(routing.getQueueScore({ createdAt, priority: 'high', vip: true })).toBe(createdAt - 15 * MINUTE);
+    // 普通会话最多被 25 分钟后创建的加急 VIP 会话插队
+    expect(routing.getQueueScore({ createdAt: createdAt + 26 * MINUTE, priority: 'urgent', vip: true }))
+      .toBeGreaterThan(routing.getQueueScore({ createdAt }));
+  });
+});
@@ -0,0 +1,473 @@
+/**
+ * 客服会话状态（Redis）
+ * 进行中的客服会话、排队队列和客服在线状态保存在 Redis 中，多个 API 实例共享同一份状态，实例重启不会丢失进行中的会话。
+ * 涉及多个键的修改（创建会话、分配客服、转移、关闭、重新排队）通过 Lua 脚本原子执行，多个实例同时处理排队队列时同一会话只会分配一次。
+ *
+ * Redis 键（所有键使用相同的哈希标签 {namespace}，默认 {customer_service}）：
+ * - {ns}:session:<sessionId>：会话信息（JSON，不含消息），会话关闭后保留 CLOSED_SESSION_TTL 秒
+ * - {ns}:messages:<sessionId>：会话最近的消息（JSON 列表，最多 MAX_CACHED_MESSAGES 条）
+ * - {ns}:live：进行中（排队或服务中）的会话ID集合
+ * - {ns}:user:<userId>：用户当前进行中的会话ID
+ * - {ns}:queue：排队中的会话（会话ID → 排队分数，毫秒），按排队分数先后排队；排队分数为创建时间减去 VIP 和优先级的提前量，见 routing.getQueueScore
+ * - {ns}:agents：客服资料（客服ID → JSON：姓名、会话上限、专长）
+ * - {ns}:agent_status：客服在线状态（客服ID → JSON：online, status, updatedAt）
+ * - {ns}:agent_load：客服当前服务中的会话数（客服ID → 会话数）
+ */
+
+const { getQueueScore } = require('./routing');
+
+// 关闭的会话在 Redis 中保留的时间（秒）
+const CLOSED_SESSION_TTL = 24 * 60 * 60;
+
+// 每个会话缓存的最近消息数
+const MAX_CACHED_MESSAGES = 200;
+
+/**
+ * 分配客服结果码
+ */
+const CLAIM_RESULT = {
+  OK: 1,          // 分配成功
+  NOT_QUEUED: 0,  // 会话已不在排队队列（已被其他实例分配或已关闭）
+  AGENT_FULL: -1  // 客服会话数已满
+};
+
+// 创建会话：用户已有进行中的会话时返回已有会话ID，否则写入会话并加入排队队列
+const CREATE_SCRIPT = `
+local existing = redis.call('GET', KEYS[1])
+if existing then return existing end
+redis.call('SET', KEYS[1], ARGV[1])
+redis.call('SET', KEYS[2], ARGV[2])
+redis.call('SADD', KEYS[3], ARGV[1])
+redis.call('ZADD', KEYS[4], ARGV[3], ARGV[1])
+return ARGV[1]
+`;
+
+// 更新进行中的会话，已关闭（不在进行中集合）的会话不覆盖
+const UPDATE_SCRIPT = `
+if redis.call('SISMEMBER', KEYS[2], ARGV[1]) == 0 then return 0 end
+redis.call('SET', KEYS[1], ARGV[2])
+return 1
+`;
+
+// 分配客服：会话仍在排队且客服未满时移出队列、增加客服会话数并写入会话
+const CLAIM_SCRIPT = `
+if not redis.call('ZSCORE', KEYS[1], ARGV[1]) then return 0 end
+local load = tonumber(redis.call('HGET', KEYS[2], ARGV[2]) or '0')
+if load >= tonumber(ARGV[3]) then return -1 end
+redis.call('ZREM', KEYS[1], ARGV[1])
+redis.call('HINCRBY', KEYS[2], ARGV[2], 1)
+redis.call('SET', KEYS[3], ARGV[4])
+return 1
+`;
+
+// 转移会话：目标客服未满时增加其会话数、减少原客服会话数并写入会话，排队中的会话同时移出队列
+const TRANSFER_SCRIPT = `
+if redis.call('SISMEMBER', KEYS[3], ARGV[1]) == 0 then return 0 end
+local load = tonumber(redis.call('HGET', KEYS[2], ARGV[2]) or '0')
+if load >= tonumber(ARGV[3]) then return -1 end
+redis.call('ZREM', KEYS[4], ARGV[1])
+redis.call('HINCRBY', KEYS[2], ARGV[2], 1)
+if ARGV[4] ~= '' and tonumber(redis.call('HGET', KEYS[2], ARGV[4]) or '0') > 0 then
+  redis.call('HINCRBY', KEYS[2], ARGV[4], -1)
+end
+redis.call('SET', KEYS[1], ARGV[5])
+return 1
+`;
+
+// 重新排队：减少原客服会话数，按排队分数放回排队队列（保持原来的先后顺序）
+const REQUEUE_SCRIPT = `
+if redis.call('SISMEMBER', KEYS[3], ARGV[1]) == 0 then return 0 end
+if ARGV[3] ~= '' and tonumber(redis.call('HGET', KEYS[2], ARGV[3]) or '0') > 0 then
+  redis.call('HINCRBY', KEYS[2], ARGV[3], -1)
+end
+redis.call('ZADD', KEYS[4], ARGV[4], ARGV[1])
+redis.call('SET', KEYS[1], ARGV[2])
+return 1
+`;
+
+// 关闭会话：只有第一次关闭生效，移出进行中集合和排队队列，减少客服会话数，会话和消息保留一段时间后过期
+const CLOSE_SCRIPT = `
+if redis.call('SREM', KEYS[1], ARGV[1]) == 0 then return 0 end
+redis.call('SET', KEYS[2], ARGV[2], 'EX', ARGV[3])
+redis.call('EXPIRE', KEYS[3], ARGV[3])
+if redis.call('GET', KEYS[4]) == ARGV[1] then redis.call('DEL', KEYS[4]) end
+redis.call('ZREM', KEYS[5], ARGV[1])
+if ARGV[4] ~= '' and tonumber(redis.call('HGET', KEYS[6], ARGV[4]) or '0') > 0 then
+  redis.call('HINCRBY', KEYS[6], ARGV[4], -1)
+end
+return 1
+`;
+
+// 从数据库恢复会话：Redis 中已有该会话时不处理，排队中的会话按排队分数放回队列，服务中的会话计入客服会话数
+const RESTORE_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then return 0 end
+redis.call('SET', KEYS[1], ARGV[2])
+redis.call('SADD', KEYS[2], ARGV[1])
+redis.call('SET', KEYS[3], ARGV[1], 'NX')
+if ARGV[3] == 'waiting' then
+  redis.call('ZADD', KEYS[4], 'NX', ARGV[4], ARGV[1])
+elseif ARGV[5] ~= '' then
+  redis.call('HINCRBY', KEYS[5], ARGV[5], 1)
+end
+return 1
+`;
+
+// 调整排队中会话的优先级：更新会话并按新的排队分数调整排队位置，已分配或已关闭的会话不处理
+const REPRIORITIZE_SCRIPT = `
+if not redis.call('ZSCORE', KEYS[2], ARGV[1]) then return 0 end
+redis.call('ZADD', KEYS[2], 'XX', ARGV[3], ARGV[1])
+redis.call('SET', KEYS[1], ARGV[2])
+return 1
+`;
+
+// 追加消息，只保留最近的消息
+const APPEND_MESSAGE_SCRIPT = `
+redis.call('RPUSH', KEYS[1], ARGV[1])
+redis.call('LTRIM', KEYS[1], -tonumber(ARGV[2]), -1)
+return 1
+`;
+
+const GET_SCRIPT = `return redis.call('GET', KEYS[1])`;
+
+const MGET_SCRIPT = `return redis.call('MGET', unpack(KEYS))`;
+
+const MEMBERS_SCRIPT = `return redis.call('SMEMBERS', KEYS[1])`;
+
+const MESSAGES_SCRIPT = `return redis.call('LRANGE', KEYS[1], 0, -1)`;
+
+const QUEUE_SCRIPT = `return redis.call('ZRANGE', KEYS[1], 0, -1)`;
+
+const RANK_SCRIPT = `return redis.call('ZRANK', KEYS[1], ARGV[1])`;
+
+// 客服资料、在线状态和会话数
+const AGENTS_SCRIPT = `
+return {redis.call('HGETALL', KEYS[1]), redis.call('HGETALL', KEYS[2]), redis.call('HGETALL', KEYS[3])}
+`;
+
+// 写入客服资料（ARGV: 客服ID, JSON, 客服ID, JSON, ...）
+const SAVE_AGENTS_SCRIPT = `
+for i = 1, #ARGV, 2 do
+  redis.call('HSET', KEYS[1], ARGV[i], ARGV[i + 1])
+end
+return #ARGV / 2
+`;
+
+const AGENT_STATUS_SCRIPT = `return redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])`;
+
+/**
+ * 将 HGETALL 返回的键值数组转换为对象
+ * @param {Array} reply - [field, value, ...]
+ * @returns {Object} 对象
+ */
+function toHash(reply) {
+  const hash = {};
+  if (Array.isArray(reply)) {
+    for (let i = 0; i < reply.length; i += 2) {
+      hash[reply[i]] = reply[i + 1];
+    }
+  }
+  return hash;
+}
+
+/**
+ * 解析 JSON，解析失败时返回 null
+ * @param {string|null} value - JSON 字符串
+ * @returns {Object|null} 对象
+ */
+function parse(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 会话写入 Redis 的内容（消息单独保存）
+ * @param {Object} session - 会话信息
+ * @returns {string} JSON
+ */
+function serializeSession(session) {
+  const { messages, ...rest } = session;
+  return JSON.stringify(rest);
+}
+
+/**
+ * 客服会话状态
+ */
+class CustomerServiceStore {
+  /**
+   * 构造函数
+   * @param {Object} cacheClient - Redis客户端实例（需支持 ready 和 evalScript）
+   * @param {string} [namespace='customer_service'] - 键的命名空间，同一命名空间的实例共享状态
+   */
+  constructor(cacheClient, namespace = 'customer_service') {
+    this.cacheClient = cacheClient;
+    this.prefix = `{${namespace}}`;
+  }
+
+  /**
+   * 执行脚本
+   * @private
+   * @param {string} script - Lua脚本
+   * @param {Array<string>} keys - 键
+   * @param {Array} [args] - 参数
+   * @returns {Promise<any>} 脚本返回值
+   */
+  async _run(script, keys, args = []) {
+    await this.cacheClient.ready();
+    if (this.cacheClient.isMock) {
+      throw new Error('Redis不可用，客服会话状态无法读写');
+    }
+    return this.cacheClient.evalScript(script, keys, args);
+  }
+
+  /**
+   * 生成 Redis 键
+   * @private
+   * @param {...string} parts - 键的各部分
+   * @returns {string} 键
+   */
+  _key(...parts) {
+    return [this.prefix, ...parts].join(':');
+  }
+
+  /**
+   * 创建会话并加入排队队列，用户已有进行中的会话时不创建
+   * @param {Object} session - 会话信息（status 为 waiting）
+   * @returns {Promise<string>} 会话ID，与传入的会话ID不同时表示用户已有进行中的会话
+   */
+  async createSession(session) {
+    return this._run(CREATE_SCRIPT, [
+      this._key('user', session.userId), this._key('session', session.sessionId), this._key('live'), this._key('queue')
+    ], [session.sessionId, serializeSession(session), getQueueScore(session)]);
+  }
+
+  /**
+   * 更新进行中的会话（最后消息时间等），会话已关闭时不更新
+   * @param {Object} session - 会话信息
+   * @returns {Promise<boolean>} 是否已更新
+   */
+  async updateSession(session) {
+    return Number(await this._run(UPDATE_SCRIPT, [this._key('session', session.sessionId), this._key('live')], [
+      session.sessionId, serializeSession(session)
+    ])) === 1;
+  }
+
+  /**
+   * 为排队中的会话分配客服
+   * @param {Object} session - 分配后的会话信息（csUserId 为分配的客服）
+   * @param {number} maxSessions - 客服会话上限
+   * @returns {Promise<number>} 结果码，见 CLAIM_RESULT
+   */
+  async claimSession(session, maxSessions) {
+    return Number(await this._run(CLAIM_SCRIPT, [this._key('queue'), this._key('agent_load'), this._key('session', session.sessionId)], [
+      session.sessionId, session.csUserId, maxSessions, serializeSession(session)
+    ]));
+  }
+
+  /**
+   * 将会话转移给指定客服（排队中的会话直接分配给该客服）
+   * @param {Object} session - 转移后的会话信息（csUserId 为目标客服）
+   * @param {string|null} sourceCsUserId - 原客服ID
+   * @param {number} maxSessions - 目标客服会话上限
+   * @returns {Promise<number>} 结果码：1 成功，0 会话已关闭，-1 目标客服会话数已满
+   */
+  async transferSession(session, sourceCsUserId, maxSessions) {
+    return Number(await this._run(TRANSFER_SCRIPT, [
+      this._key('session', session.sessionId), this._key('agent_load'), this._key('live'), this._key('queue')
+    ], [
+      session.sessionId, session.csUserId, maxSessions, sourceCsUserId || '', serializeSession(session)
+    ]));
+  }
+
+  /**
+   * 将服务中的会话放回排队队列（客服离线且没有其他可用客服时）
+   * @param {Object} session - 重新排队后的会话信息
+   * @param {string|null} sourceCsUserId - 原客服ID
+   * @returns {Promise<boolean>} 会话已关闭时返回 false
+   */
+  async requeueSession(session, sourceCsUserId) {
+    return Number(await this._run(REQUEUE_SCRIPT, [
+      this._key('session', session.sessionId), this._key('agent_load'), this._key('live'), this._key('queue')
+    ], [session.sessionId, serializeSession(session), sourceCsUserId || '', getQueueScore(session)])) === 1;
+  }
+
+  /**
+   * 调整排队中会话的优先级，按新的排队分数调整排队位置
+   * @param {Object} session - 调整后的会话信息（priority）
+   * @returns {Promise<boolean>} 会话已不在排队队列时返回 false
+   */
+  async reprioritizeSession(session) {
+    return Number(await this._run(REPRIORITIZE_SCRIPT, [this._key('session', session.sessionId), this._key('queue')], [
+      session.sessionId, serializeSession(session), getQueueScore(session)
+    ])) === 1;
+  }
+
+  /**
+   * 关闭会话
+   * @param {Object} session - 关闭后的会话信息
+   * @returns {Promise<boolean>} 会话已被关闭过时返回 false
+   */
+  async closeSession(session) {
+    return Number(await this._run(CLOSE_SCRIPT, [
+      this._key('live'),
+      this._key('session', session.sessionId),
+      this._key('messages', session.sessionId),
+      this._key('user', session.userId),
+      this._key('queue'),
+      this._key('agent_load')
+    ], [session.sessionId, serializeSession(session), CLOSED_SESSION_TTL, session.csUserId || ''])) === 1;
+  }
+
+  /**
+   * 从数据库记录恢复会话，Redis 中已有的会话不覆盖
+   * @param {Object} session - 会话信息
+   * @returns {Promise<boolean>} 是否已恢复
+   */
+  async restoreSession(session) {
+    return Number(await this._run(RESTORE_SCRIPT, [
+      this._key('session', session.sessionId),
+      this._key('live'),
+      this._key('user', session.userId),
+      this._key('queue'),
+      this._key('agent_load')
+    ], [session.sessionId, serializeSession(session), session.status, getQueueScore(session), session.csUserId || ''])) === 1;
+  }
+
+  /**
+   * 读取会话
+   * @param {string} sessionId - 会话ID
+   * @returns {Promise<Object|null>} 会话信息（不含消息），不存在或已过期时返回 null
+   */
+  async getSession(sessionId) {
+    return parse(await this._run(GET_SCRIPT, [this._key('session', sessionId)]));
+  }
+
+  /**
+   * 读取用户进行中的会话
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object|null>} 会话信息
+   */
+  async getUserSession(userId) {
+    const sessionId = await this._run(GET_SCRIPT, [this._key('user', userId)]);
+    return sessionId ? this.getSession(sessionId) : null;
+  }
+
+  /**
+   * 读取所有进行中的会话
+   * @returns {Promise<Array<Object>>} 会话列表
+   */
+  async getLiveSessions() {
+    const sessionIds = (await this._run(MEMBERS_SCRIPT, [this._key('live')])) || [];
+    if (sessionIds.length === 0) {
+      return [];
+    }
+    const values = await this._run(MGET_SCRIPT, sessionIds.map(sessionId => this._key('session', sessionId)));
+    return (values || []).map(parse).filter(Boolean);
+  }
+
+  /**
+   * 追加会话消息
+   * @param {string} sessionId - 会话ID
+   * @param {Object} message - 消息
+   * @returns {Promise<void>}
+   */
+  async appendMessage(sessionId, message) {
+    await this._run(APPEND_MESSAGE_SCRIPT, [this._key('messages', sessionId)], [JSON.stringify(message), MAX_CACHED_MESSAGES]);
+  }
+
+  /**
+   * 读取会话最近的消息
+   * @param {string} sessionId - 会话ID
+   * @returns {Promise<Array<Object>>} 消息列表（按时间正序）
+   */
+  async getMessages(sessionId) {
+    const values = (await this._run(MESSAGES_SCRIPT, [this._key('messages', sessionId)])) || [];
+    return values.map(parse).filter(Boolean);
+  }
+
+  /**
+   * 读取排队队列
+   * @returns {Promise<Array<string>>} 按排队先后排列的会话ID
+   */
+  async getQueue() {
+    return (await this._run(QUEUE_SCRIPT, [this._key('queue')])) || [];
+  }
+
+  /**
+   * 读取会话的排队位置
+   * @param {string} sessionId - 会话ID
+   * @returns {Promise<number|null>} 排队位置（从1开始），不在队列中时返回 null
+   */
+  async getQueuePosition(sessionId) {
+    const rank = await this._run(RANK_SCRIPT, [this._key('queue')], [sessionId]);
+    return rank === null || rank === undefined ? null : Number(rank) + 1;
+  }
+
+  /**
+   * 写入客服资料
+   * @param {Array<Object>} agents - [{ userId, name, maxSessions, specialties }]
+   * @returns {Promise<void>}
+   */
+  async saveAgents(agents) {
+    if (agents.length === 0) {
+      return;
+    }
+    const args = [];
+    agents.forEach(({ userId, name, maxSessions, specialties }) => {
+      args.push(String(userId), JSON.stringify({ userId, name, maxSessions, specialties }));
+    });
+    await this._run(SAVE_AGENTS_SCRIPT, [this._key('agents')], args);
+  }
+
+  /**
+   * 更新客服在线状态
+   * @param {string} userId - 客服ID
+   * @param {boolean} online - 是否在线
+   * @param {string} status - 详细状态 (online, busy, away)
+   * @returns {Promise<void>}
+   */
+  async setAgentStatus(userId, online, status) {
+    await this._run(AGENT_STATUS_SCRIPT, [this._key('agent_status')], [
+      String(userId), JSON.stringify({ online, status, updatedAt: Date.now() })
+    ]);
+  }
+
+  /**
+   * 读取所有客服的资料、在线状态和当前会话数
+   * @returns {Promise<Array<Object>>} [{ userId, name, maxSessions, specialties, online, status, currentSessions }]
+   */
+  async getAgents() {
+    const [profiles, statuses, loads] = await this._run(AGENTS_SCRIPT, [
+      this._key('agents'), this._key('agent_status'), this._key('agent_load')
+    ]);
+    const statusMap = toHash(statuses);
+    const loadMap = toHash(loads);
+    return Object.entries(toHash(profiles)).map(([userId, value]) => {
+      const status = parse(statusMap[userId]) || {};
+      return {
+        ...parse(value),
+        online: Boolean(status.online),
+        status: status.status || 'offline',
+        currentSessions: Number(loadMap[userId] || 0)
+      };
+    });
+  }
+
+  /**
+   * 读取客服的资料、在线状态和当前会话数
+   * @param {string} userId - 客服ID
+   * @returns {Promise<Object|null>} 客服信息
+   */
+  async getAgent(userId) {
+    const agents = await this.getAgents();
+    return agents.find(agent => String(agent.userId) === String(userId)) || null;
+  }
+}
+
+module.exports = CustomerServiceStore;
+module.exports.CLAIM_RESULT = CLAIM_RESULT;
@@ -179,7 +179,7 @@ function registerCustomerServiceRoutes(router) {
         filters.status = req.query.status;
       }
       
-      const sessions = customerService.getSessions(filters);
+      const sessions = await customerService.getSessions(filters);
       res.json({ success: true, data: sessions });
     } catch (error) {
       res.status(500).json({ success: false, error: error.message });
@@ -189,7 +189,10 @@ function registerCustomerServiceRoutes(router) {
   // 获取会话详情
   csRouter.get('/session/:sessionId', async (req, res) => {
     try {
-      const session = customerService.getSession(req.params.sessionId);
+      const session = await customerService.getSession(req.params.sessionId);
+      if (!session) {
+        return res.status(404).json({ success: false, error: '会话不存在' });
+      }
       
       // 验证权限
       if (session.userId !== req.user.id && session.csUserId !== req.user.id && req.user.role !== 'admin') {
@@ -231,6 +234,38 @@ function registerCustomerServiceRoutes(router) {
     }
   });
   
+  // 调整排队中会话的优先级（客服和管理员），排队位置随之调整
+  csRouter.post('/session/:sessionId/priority', async (req, res) => {
+    try {
+      if (req.user.role !== 'customer_service' && req.user.role !== 'admin') {
+        return res.status(403).json({ success: false, error: '权限不足' });
+      }
+
+      const session = await customerService.updateSessionPriority(
+        req.params.sessionId,
+        req.body.priority
+      );
+      res.json({ success: true, data: session });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  // 评价自动回复（helpful, not_helpful），同时更新规则的有效性统计
+  csRouter.post('/auto-reply/:logId/feedback', async (req, res) => {
+    try {
+      const statistics = await customerService.submitAutoReplyFeedback(
+        req.params.logId,
+        req.user.id,
+        req.body.feedback,
+        req.body.comment
+      );
+      res.json({ success: true, data: statistics });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+  });
+
   // 客服状态更新（仅客服用户）
   csRouter.post('/status', async (req, res) => {
     try {
@@ -47,7 +47,12 @@ app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 
 // 中间件配置
-app.use(express.json());
+// 保留原始请求体，微信支付等回调需要按原文验签
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // 统一在 registerApiRoutes 中注册 AI 路由
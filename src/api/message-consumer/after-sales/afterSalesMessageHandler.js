@@ -5,8 +5,11 @@
 
 const logger = require('../../core/utils/logger');
 const notificationService = require('../notification/notificationService');
-const refundService = require('../../core/services/refundService');
-const inventoryService = require('../../core/services/inventoryService');
+const afterSalesService = require('../../core/services/afterSalesService');
+const memberCardService = require('../../core/services/memberCardService');
+const pointService = require('../../core/services/pointService');
+const distributionService = require('../../core/services/distributionService');
+const { runSteps, deadLetter } = require('../common/messageSteps');
 
 class AfterSalesMessageHandler {
   /**
@@ -17,7 +20,7 @@ class AfterSalesMessageHandler {
     try {
       logger.info('处理售后申请创建消息:', message);
       
-      const { requestId, userId, orderId, productId, reason, type } = message;
+      const { requestId, userId, sellerId, orderId, productId, reason, type } = message;
       
       // 发送售后申请通知给买家
       await notificationService.sendNotification({
@@ -28,9 +31,9 @@ class AfterSalesMessageHandler {
         data: { requestId, orderId, productId, reason, type }
       });
       
-      // 发送售后申请通知给卖家（假设商品有卖家信息）
+      // 发送售后申请通知给卖家
       await notificationService.sendNotification({
-        userId: 'seller_' + Math.floor(Math.random() * 10), // 模拟卖家ID
+        userId: sellerId,
         type: 'new_after_sales_request',
         title: '您有新的售后申请',
         content: `订单 #${orderId} 的商品申请${type === 'refund' ? '退款' : type === 'exchange' ? '换货' : '退货'}，申请号：${requestId}`,
@@ -39,7 +42,7 @@ class AfterSalesMessageHandler {
       
       logger.info(`售后申请 #${requestId} 创建成功，已通知相关方`);
       
-    } catch (error) {\ {\ {
+    } catch (error) {
       
       logger.error('处理售后申请创建消息失败:', error);
     }
@@ -53,7 +56,7 @@ class AfterSalesMessageHandler {
     try {
       logger.info('处理售后申请审批消息:', message);
       
-      const { requestId, userId, orderId, approved, rejectReason, refundAmount } = message;
+      const { requestId, userId, orderId, approved, rejectReason, refundAmount, type } = message;
       
       if (approved) {
         // 审批通过
@@ -65,9 +68,9 @@ class AfterSalesMessageHandler {
           data: { requestId, orderId, approved, refundAmount }
         });
         
-        // 如果是退款，发起退款流程
-        if (refundAmount > 0) {
-          await refundService.initiateRefund(requestId, orderId, refundAmount);
+        // 仅退款在审批通过后立即发起退款，退货退款在卖家收到退货后发起
+        if (type === 'refund') {
+          await afterSalesService.initiateRefund(requestId);
         }
       } else {
         // 审批拒绝
@@ -95,11 +98,11 @@ class AfterSalesMessageHandler {
     try {
       logger.info('处理买家退货发货消息:', message);
       
-      const { requestId, userId, orderId, trackingNumber, logisticsCompany } = message;
+      const { requestId, userId, sellerId, orderId, trackingNumber, logisticsCompany } = message;
       
       // 发送退货发货通知给卖家
       await notificationService.sendNotification({
-        userId: 'seller_' + Math.floor(Math.random() * 10), // 模拟卖家ID
+        userId: sellerId,
         type: 'return_shipped',
         title: '买家已退货',
         content: `售后申请 #${requestId} 的买家已退货，物流单号：${trackingNumber}，物流公司：${logisticsCompany}`,
@@ -123,24 +126,23 @@ class AfterSalesMessageHandler {
       
       const { requestId, userId, orderId, refundAmount, type } = message;
       
-      // 1. 如果是退货退款，恢复库存
-      if (type === 'refund_with_return') {
-        // 假设消息中包含商品信息
-        if (message.productInfo) {
-          await inventoryService.addInventory(message.productInfo.productId, message.productInfo.quantity);
-        }
-      }
-      
-      // 2. 发送收货确认通知给买家
+      // 1. 发送收货确认通知给买家（退货商品已在卖家确认收货时退回库存）
       await notificationService.sendNotification({
         userId,
         type: 'return_received',
         title: '退货已签收',
-        content: `您的退货已被签收，退款金额 ¥${refundAmount.toFixed(2)} 将尽快到账`,
+        content: type === 'exchange'
+          ? '您的退货已被签收，卖家将尽快为您发出换货商品'
+          : `您的退货已被签收，退款金额 ¥${refundAmount.toFixed(2)} 将尽快到账`,
         data: { requestId, orderId, refundAmount }
       });
       
-      logger.info(`售后申请 #${requestId} 卖家已确认收货，已恢复库存`);
+      // 2. 如果是退货退款，发起退款
+      if (type === 'refund_with_return') {
+        await afterSalesService.initiateRefund(requestId);
+      }
+      
+      logger.info(`售后申请 #${requestId} 卖家已确认收货`);
       
     } catch (error) {
       logger.error('处理卖家收货确认消息失败:', error);
@@ -149,15 +151,27 @@ class AfterSalesMessageHandler {
 
   /**
    * 处理退款完成消息
+   * 冲减会员消费、退回积分和冲减佣金分别重试，某一步骤失败不影响其余步骤；重试耗尽后消息转入死信队列
    * @param {Object} message - 退款完成消息
    */
   static async handleRefundCompleted(message) {
-    try {
-      logger.info('处理退款完成消息:', message);
+    logger.info('处理退款完成消息:', message);
+    
+    const { requestId, userId, orderId, refundAmount, refundTime, refundMethod, refundRatio } = message;
+    
+    const failedSteps = await runSteps(`售后申请 #${requestId} 退款后`, [
+      // 1. 冲减会员消费金额
+      ['冲减会员消费', () => memberCardService.recordGrowth(userId, { spend: -refundAmount, source: 'refund', sourceId: requestId })],
       
-      const { requestId, userId, orderId, refundAmount, refundTime, refundMethod } = message;
+      // 2. 按退款比例退回订单使用的积分并扣回消费积分
+      ['退回积分', () => pointService.returnOrderPoints(orderId, { refundId: requestId, ratio: refundRatio ?? 1, reason: '售后退款' })],
       
-      // 发送退款完成通知给买家
+      // 3. 按退款比例冲减分销佣金
+      ['冲减分销佣金', () => distributionService.reverseForRefund(orderId, { refundId: requestId, ratio: refundRatio ?? 1 })]
+    ]);
+    
+    // 4. 发送退款完成通知给买家，通知失败不重试，避免重复通知
+    try {
       await notificationService.sendNotification({
         userId,
         type: 'refund_completed',
@@ -165,12 +179,17 @@ class AfterSalesMessageHandler {
         content: `您的退款 ¥${refundAmount.toFixed(2)} 已成功支付，预计1-3个工作日到账您的${refundMethod || '支付账户'}`,
         data: { requestId, orderId, refundAmount, refundTime, refundMethod }
       });
-      
-      logger.info(`售后申请 #${requestId} 退款完成，金额：¥${refundAmount.toFixed(2)}`);
-      
     } catch (error) {
-      logger.error('处理退款完成消息失败:', error);
+      logger.error(`售后申请 #${requestId} 退款完成通知发送失败:`, error);
+    }
+    
+    if (failedSteps.length > 0) {
+      logger.error(`售后申请 #${requestId} 退款完成处理未全部完成，失败步骤: ${failedSteps.join('、')}`, { requestId, orderId, failedSteps });
+      await deadLetter('after_sales.refund_completed', message, failedSteps);
+      return;
     }
+    
+    logger.info(`售后申请 #${requestId} 退款完成，金额：¥${refundAmount.toFixed(2)}`);
   }
 
   /**
@@ -181,7 +200,7 @@ class AfterSalesMessageHandler {
     try {
       logger.info('处理售后完成消息:', message);
       
-      const { requestId, userId, orderId, type, resolution } = message;
+      const { requestId, userId, sellerId, orderId, type, resolution } = message;
       
       // 发送售后完成通知给买家
       await notificationService.sendNotification({
@@ -194,7 +213,7 @@ class AfterSalesMessageHandler {
       
       // 发送售后完成通知给卖家
       await notificationService.sendNotification({
-        userId: 'seller_' + Math.floor(Math.random() * 10), // 模拟卖家ID
+        userId: sellerId,
         type: 'after_sales_completed',
         title: '售后申请已处理完成',
         content: `售后申请 #${requestId} 已完成处理`,
@@ -0,0 +1,76 @@
+/**
+ * 售后服务消息处理器测试
+ * 退款完成后的冲减会员消费、退回积分和冲减佣金分别重试，某一步骤失败不影响其余步骤，重试耗尽后消息转入死信队列
+ */
+
+jest.mock('../../core/utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../notification/notificationService', () => ({ sendNotification: jest.fn() }));
+jest.mock('../../core/services/afterSalesService', () => ({}));
+jest.mock('../../core/services/memberCardService', () => ({ recordGrowth: jest.fn() }));
+jest.mock('../../core/services/pointService', () => ({ returnOrderPoints: jest.fn() }));
+jest.mock('../../core/services/distributionService', () => ({ reverseForRefund: jest.fn() }));
+jest.mock('../../core/messaging/messageQueue', () => ({ send: jest.fn() }));
+
+process.env.MESSAGE_STEP_RETRIES = '2';
+process.env.MESSAGE_STEP_RETRY_DELAY = '0';
+
+const logger = require('../../core/utils/logger');
+const notificationService = require('../notification/notificationService');
+const memberCardService = require('../../core/services/memberCardService');
+const pointService = require('../../core/services/pointService');
+const distributionService = require('../../core/services/distributionService');
+const messageQueue = require('../../core/messaging/messageQueue');
+const { DEAD_LETTER_QUEUE } = require('../common/messageSteps');
+const AfterSalesMessageHandler = require('./afterSalesMessageHandler');
+
+const MESSAGE = {
+  requestId: 'AS001',
+  userId: 8,
+  orderId: 'O100',
+  refundAmount: 50,
+  refundMethod: '支付宝',
+  refundRatio: 0.5
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  messageQueue.send.mockResolvedValue(true);
+});
+
+test('冲减会员消费失败时仍退回积分、冲减佣金并通知买家', async () => {
+  memberCardService.recordGrowth.mockRejectedValue(new Error('数据库连接超时'));
+
+  await AfterSalesMessageHandler.handleRefundCompleted(MESSAGE);
+
+  expect(memberCardService.recordGrowth).toHaveBeenCalledTimes(3);
+  expect(pointService.returnOrderPoints).toHaveBeenCalledWith('O100', { refundId: 'AS001', ratio: 0.5, reason: '售后退款' });
+  expect(distributionService.reverseForRefund).toHaveBeenCalledWith('O100', { refundId: 'AS001', ratio: 0.5 });
+  expect(notificationService.sendNotification).toHaveBeenCalledWith(expect.objectContaining({ userId: 8, type: 'refund_completed' }));
+  expect(logger.error).toHaveBeenCalledWith(
+    expect.stringContaining('失败步骤: 冲减会员消费'),
+    expect.objectContaining({ failedSteps: ['冲减会员消费'] })
+  );
+  expect(messageQueue.send).toHaveBeenCalledWith(DEAD_LETTER_QUEUE, expect.objectContaining({
+    channel: 'after_sales.refund_completed',
+    message: MESSAGE,
+    failedSteps: ['冲减会员消费']
+  }));
+});
+
+test('步骤临时失败时重试后成功', async () => {
+  pointService.returnOrderPoints
+    .mockRejectedValueOnce(new Error('锁等待超时'))
+    .mockResolvedValueOnce();
+
+  await AfterSalesMessageHandler.handleRefundCompleted(MESSAGE);
+
+  expect(pointService.returnOrderPoints).toHaveBeenCalledTimes(2);
+  expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('退回积分失败，准备第 1 次重试'));
+  expect(logger.error).not.toHaveBeenCalled();
+  expect(messageQueue.send).not.toHaveBeenCalled();
+});
@@ -0,0 +1,84 @@
+/**
+ * 消息处理步骤执行工具
+ * 消息处理器将可重复执行的后续操作拆分为独立步骤，各步骤分别按指数退避重试，
+ * 某一步骤失败不影响其余步骤的执行
+ */
+
+const logger = require('../../core/utils/logger');
+const CommonUtils = require('../../core/utils/CommonUtils');
+const messageQueue = require('../../core/messaging/messageQueue');
+
+// 单个步骤的重试次数和首次重试延迟（毫秒）
+const STEP_RETRIES = parseInt(process.env.MESSAGE_STEP_RETRIES || '3', 10);
+const STEP_RETRY_DELAY = parseInt(process.env.MESSAGE_STEP_RETRY_DELAY || '1000', 10);
+
+// 步骤重试耗尽后转入的死信队列（AMQP 持久化队列），保存原消息和失败步骤，排查后重新处理
+const DEAD_LETTER_QUEUE = process.env.MESSAGE_DEAD_LETTER_QUEUE || 'message_consumer.dead_letter';
+
+/**
+ * 执行单个处理步骤
+ * 失败时按指数退避重试，重试耗尽后记录错误并返回 false
+ * @param {string} subject - 处理对象描述，用于日志（如 "订单 #123"）
+ * @param {string} step - 步骤名称
+ * @param {Function} operation - 步骤操作 () => Promise
+ * @returns {Promise<boolean>} 步骤是否执行成功
+ */
+async function runStep(subject, step, operation) {
+  try {
+    await CommonUtils.retry(() => operation(), {
+      retries: STEP_RETRIES,
+      delay: STEP_RETRY_DELAY,
+      onRetry: (error, attempt) => {
+        logger.warn(`${subject} ${step}失败，准备第 ${attempt + 1} 次重试: ${error.message}`);
+      }
+    });
+    return true;
+  } catch (error) {
+    logger.error(`${subject} ${step}失败，已重试 ${STEP_RETRIES} 次:`, error);
+    return false;
+  }
+}
+
+/**
+ * 依次执行多个处理步骤，每个步骤单独重试
+ * @param {string} subject - 处理对象描述，用于日志
+ * @param {Array<[string, Function]>} steps - 步骤列表 [[步骤名称, 步骤操作], ...]
+ * @returns {Promise<Array<string>>} 重试耗尽后仍失败的步骤名称
+ */
+async function runSteps(subject, steps) {
+  const failedSteps = [];
+  for (const [step, operation] of steps) {
+    if (!(await runStep(subject, step, operation))) {
+      failedSteps.push(step);
+    }
+  }
+  return failedSteps;
+}
+
+/**
+ * 将重试耗尽后仍有失败步骤的消息转入死信队列
+ * 转入失败时抛出错误，消息不会被静默丢弃
+ * @param {string} channel - 消息频道
+ * @param {Object} message - 原消息
+ * @param {Array<string>} failedSteps - 失败步骤名称
+ * @returns {Promise<void>}
+ */
+async function deadLetter(channel, message, failedSteps) {
+  const sent = await messageQueue.send(DEAD_LETTER_QUEUE, {
+    channel,
+    message,
+    failedSteps,
+    deadAt: new Date().toISOString()
+  });
+  if (!sent) {
+    throw new Error(`${channel} 消息转入死信队列失败，失败步骤: ${failedSteps.join('、')}`);
+  }
+  logger.warn(`${channel} 消息已转入死信队列 ${DEAD_LETTER_QUEUE}，失败步骤: ${failedSteps.join('、')}`);
+}
+
+module.exports = {
+  DEAD_LETTER_QUEUE,
+  runStep,
+  runSteps,
+  deadLetter
+};
@@ -20,6 +20,8 @@ const MessageProcessingMonitor = require('./monitoring/messageProcessingMonitor'
 const PriceChangeHandler = require('./product/priceChangeHandler');
 const PromotionMessageHandler = require('./promotion/promotionMessageHandler');
 const ComplaintMessageHandler = require('./complaint/complaintMessageHandler');
+const FlashSaleMessageHandler = require('./promotion/flashSaleMessageHandler');
+const messageQueue = require('../core/messaging/messageQueue');
 
 /**
  * 启动消息消费者
@@ -48,6 +50,9 @@ async function start() {
     // 注册售后服务相关的消息处理器
     AfterSalesMessageHandler.registerHandlers(cacheManager);
     
+    // 注册秒杀下单队列的消费者
+    await FlashSaleMessageHandler.registerHandlers(messageQueue);
+    
     // 注册通知发送处理器
     registerNotificationHandlers();
     
@@ -7,6 +7,7 @@ const logger = require('../../core/utils/logger');
 const notificationService = require('../notification/notificationService');
 const pointService = require('../../core/services/pointService');
 const memberCardService = require('../../core/services/memberCardService');
+const couponService = require('../../core/services/couponService');
 
 class MemberMessageHandler {
   /**
@@ -25,16 +26,19 @@ class MemberMessageHandler {
       // 2. 为新会员分配会员卡
       await memberCardService.assignNewMemberCard(userId);
       
-      // 3. 发送欢迎通知
+      // 3. 发放注册赠券
+      const coupons = await couponService.issueOnEvent(userId, 'register');
+      
+      // 4. 发送欢迎通知
       await notificationService.sendNotification({
         userId,
         type: 'welcome',
         title: '欢迎加入我们',
-        content: `亲爱的 ${username || '用户'}，欢迎您注册成为我们的会员！您已获得100积分奖励，祝您购物愉快！`,
-        data: { userId, points: 100 }
+        content: `亲爱的 ${username || '用户'}，欢迎您注册成为我们的会员！您已获得100积分奖励${coupons > 0 ? `和 ${coupons} 张优惠券` : ''}，祝您购物愉快！`,
+        data: { userId, points: 100, coupons }
       });
       
-      logger.info(`会员 #${userId} 注册成功，已初始化积分账户并分配会员卡`);
+      logger.info(`会员 #${userId} 注册成功，已初始化积分账户、分配会员卡并发放注册赠券`);
       
     } catch (error) {
       logger.error('处理会员注册消息失败:', error);
@@ -49,15 +53,18 @@ class MemberMessageHandler {
     try {
       logger.info('处理会员等级变更消息:', message);
       
-      const { userId, username, oldLevel, newLevel, levelBenefits } = message;
+      const { userId, username, oldLevel, newLevel, levelBenefits, direction } = message;
+      const isDowngrade = direction === 'downgrade';
       
       // 发送等级变更通知
       await notificationService.sendNotification({
         userId,
         type: 'member_level_changed',
-        title: '会员等级提升',
-        content: `恭喜您 ${username || '用户'}，您的会员等级已从 ${oldLevel} 升级到 ${newLevel}！${levelBenefits ? '新等级特权：' + levelBenefits : ''}`,
-        data: { userId, oldLevel, newLevel, levelBenefits }
+        title: isDowngrade ? '会员等级调整' : '会员等级提升',
+        content: isDowngrade
+          ? `${username || '用户'}，由于保级周期内未达到 ${oldLevel} 的保级条件，您的会员等级已调整为 ${newLevel}`
+          : `恭喜您 ${username || '用户'}，您的会员等级已从 ${oldLevel} 升级到 ${newLevel}！${levelBenefits ? '新等级特权：' + levelBenefits : ''}`,
+        data: { userId, oldLevel, newLevel, levelBenefits, direction }
       });
       
       logger.info(`会员 #${userId} 等级从 ${oldLevel} 变更为 ${newLevel}`);
@@ -108,13 +115,16 @@ class MemberMessageHandler {
         await pointService.addPoints(userId, birthdayGift.points, '生日奖励');
       }
       
+      // 发放生日赠券（每年一次）
+      const coupons = await couponService.issueOnEvent(userId, 'birthday');
+      
       // 发送生日祝福通知
       await notificationService.sendNotification({
         userId,
         type: 'birthday_wish',
         title: '生日快乐',
-        content: `亲爱的 ${username || '用户'}，祝您生日快乐！${birthdayGift ? `我们为您准备了${birthdayGift.name || birthdayGift.points + '积分'}的生日礼物` : ''}`,
-        data: { userId, birthdayGift }
+        content: `亲爱的 ${username || '用户'}，祝您生日快乐！${birthdayGift ? `我们为您准备了${birthdayGift.name || birthdayGift.points + '积分'}的生日礼物` : ''}${coupons > 0 ? `，${coupons} 张生日优惠券已放入您的券包` : ''}`,
+        data: { userId, birthdayGift, coupons }
       });
       
       logger.info(`会员 #${userId} 生日祝福已发送${birthdayGift ? '，礼品已发放' : ''}`);
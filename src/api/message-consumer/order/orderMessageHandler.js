@@ -5,7 +5,15 @@
 
 const logger = require('../../core/utils/logger');
 const notificationService = require('../notification/notificationService');
-const inventoryService = require('../../core/services/inventoryService');
+const stockReservationService = require('../../buyer-api/order/services/stockReservationService');
+const memberCardService = require('../../core/services/memberCardService');
+const pointService = require('../../core/services/pointService');
+const distributionService = require('../../core/services/distributionService');
+const bargainService = require('../../core/services/bargainService');
+const groupBuyService = require('../../core/services/groupBuyService');
+const flashSaleService = require('../../core/services/flashSaleService');
+const couponService = require('../../core/services/couponService');
+const { runSteps, deadLetter } = require('../common/messageSteps');
 
 class OrderMessageHandler {
   /**
@@ -16,16 +24,10 @@ class OrderMessageHandler {
     try {
       logger.info('处理订单创建消息:', message);
       
-      const { orderId, userId, items, totalAmount } = message;
-      
-      // 1. 锁定库存
-      if (items && items.length > 0) {
-        for (const item of items) {
-          await inventoryService.lockInventory(item.productId, item.quantity);
-        }
-      }
+      const { orderId, userId, totalAmount } = message;
       
-      // 2. 发送订单创建通知
+      // 库存已在下单事务中预占
+      // 1. 发送订单创建通知
       await notificationService.sendNotification({
         userId,
         type: 'order_created',
@@ -34,8 +36,8 @@ class OrderMessageHandler {
         data: { orderId, totalAmount }
       });
       
-      // 3. 记录操作日志
-      logger.info(`订单 #${orderId} 创建成功，已锁定库存并发送通知`);
+      // 2. 记录操作日志
+      logger.info(`订单 #${orderId} 创建成功，已发送通知`);
       
     } catch (error) {
       logger.error('处理订单创建消息失败:', error);
@@ -45,22 +47,38 @@ class OrderMessageHandler {
 
   /**
    * 处理订单支付成功消息
+   * 各步骤均可重复执行，分别重试并互不影响，某一步骤失败时其余步骤照常执行；重试耗尽后消息转入死信队列
    * @param {Object} message - 订单支付成功消息
    */
   static async handleOrderPaid(message) {
-    try {
-      logger.info('处理订单支付成功消息:', message);
+    logger.info('处理订单支付成功消息:', message);
+    
+    const { orderId, userId, items, totalAmount, paymentInfo } = message;
+    
+    const steps = [
+      // 1. 确认库存预占，已支付订单不再随超时释放库存
+      ['确认库存', () => stockReservationService.confirm(orderId)],
       
-      const { orderId, userId, items, totalAmount, paymentInfo } = message;
+      // 2. 累计会员消费并评估等级
+      ['累计会员消费', () => memberCardService.recordGrowth(userId, { spend: totalAmount, source: 'order', sourceId: orderId })],
       
-      // 1. 确认库存
-      if (items && items.length > 0) {
-        for (const item of items) {
-          await inventoryService.confirmInventory(item.productId, item.quantity);
-        }
-      }
+      // 3. 为买家的上级分销员生成冻结佣金
+      ['生成分销佣金', () => distributionService.recordOrderCommissions(orderId)],
+      
+      // 4. 拼团订单计入已支付人数，凑齐人数即成团（团已结束时原路退款）
+      ['更新拼团', () => groupBuyService.onOrderPaid(orderId)],
       
-      // 2. 发送支付成功通知给买家
+      // 5. 秒杀订单记为已支付并累加已售数量
+      ['更新秒杀', () => flashSaleService.onOrderPaid(orderId)],
+      
+      // 6. 核销订单使用的优惠券
+      ['核销优惠券', () => couponService.onOrderPaid(orderId)]
+    ];
+    
+    const failedSteps = await runSteps(`订单 #${orderId} 支付后`, steps);
+    
+    // 7. 发送支付成功通知给买家，通知失败不重试，避免重复通知
+    try {
       await notificationService.sendNotification({
         userId,
         type: 'payment_success',
@@ -68,11 +86,15 @@ class OrderMessageHandler {
         content: `您的订单 #${orderId} 支付成功，我们将尽快为您发货`,
         data: { orderId, paymentInfo }
       });
-      
-      // 3. 发送新订单通知给卖家
-      if (items && items.length > 0) {
-        const uniqueSellerIds = [...new Set(items.map(item => item.sellerId))];
-        for (const sellerId of uniqueSellerIds) {
+    } catch (error) {
+      logger.error(`订单 #${orderId} 支付成功通知发送失败:`, error);
+    }
+    
+    // 8. 发送新订单通知给卖家
+    if (items && items.length > 0) {
+      const uniqueSellerIds = [...new Set(items.map(item => item.sellerId))];
+      for (const sellerId of uniqueSellerIds) {
+        try {
           await notificationService.sendNotification({
             userId: sellerId,
             type: 'new_order',
@@ -80,34 +102,51 @@ class OrderMessageHandler {
             content: `您有一笔新订单 #${orderId}，请及时处理`,
             data: { orderId }
           });
+        } catch (error) {
+          logger.error(`订单 #${orderId} 卖家 ${sellerId} 新订单通知发送失败:`, error);
         }
       }
-      
-      logger.info(`订单 #${orderId} 支付成功，已确认库存并发送通知`);
-      
-    } catch (error) {
-      logger.error('处理订单支付成功消息失败:', error);
     }
+    
+    // 9. 重试耗尽后仍失败的步骤连同原消息转入死信队列
+    if (failedSteps.length > 0) {
+      logger.error(`订单 #${orderId} 支付成功处理未全部完成，失败步骤: ${failedSteps.join('、')}`, { orderId, failedSteps });
+      await deadLetter('order.paid', message, failedSteps);
+      return;
+    }
+    
+    logger.info(`订单 #${orderId} 支付成功，已确认库存、累计会员消费、生成分销佣金、更新拼团和秒杀、核销优惠券并发送通知`);
   }
 
   /**
    * 处理订单取消消息
+   * 可重复执行的释放步骤分别重试，某一步骤失败不影响其余步骤；重试耗尽后消息转入死信队列
    * @param {Object} message - 订单取消消息
    */
   static async handleOrderCanceled(message) {
-    try {
-      logger.info('处理订单取消消息:', message);
+    logger.info('处理订单取消消息:', message);
+    
+    const { orderId, userId, reason } = message;
+    
+    const failedSteps = await runSteps(`订单 #${orderId} 取消后`, [
+      // 1. 释放库存预占（已释放的订单不会重复归还库存）
+      ['释放库存', () => stockReservationService.release(orderId, reason || 'order_canceled')],
       
-      const { orderId, userId, items, reason } = message;
+      // 2. 恢复砍价订单对应的砍价记录（下单期限内可重新下单，超时则归还活动库存）
+      ['恢复砍价记录', () => bargainService.releaseOrder(orderId)],
       
-      // 1. 释放库存
-      if (items && items.length > 0) {
-        for (const item of items) {
-          await inventoryService.releaseInventory(item.productId, item.quantity);
-        }
-      }
+      // 3. 释放拼团订单占用的团内名额
+      ['释放拼团名额', () => groupBuyService.onOrderCanceled(orderId)],
+      
+      // 4. 秒杀订单的库存归还到秒杀库存池
+      ['归还秒杀库存', () => flashSaleService.releaseOrder(orderId)],
       
-      // 2. 发送订单取消通知
+      // 5. 恢复订单锁定的优惠券（已恢复的订单不会重复处理）
+      ['恢复优惠券', () => couponService.releaseOrder(orderId)]
+    ]);
+    
+    // 6. 发送订单取消通知，通知失败不重试，避免重复通知
+    try {
       await notificationService.sendNotification({
         userId,
         type: 'order_canceled',
@@ -115,12 +154,17 @@ class OrderMessageHandler {
         content: `您的订单 #${orderId} 已取消${reason ? '，原因：' + reason : ''}`,
         data: { orderId, reason }
       });
-      
-      logger.info(`订单 #${orderId} 已取消，已释放库存并发送通知`);
-      
     } catch (error) {
-      logger.error('处理订单取消消息失败:', error);
+      logger.error(`订单 #${orderId} 取消通知发送失败:`, error);
     }
+    
+    if (failedSteps.length > 0) {
+      logger.error(`订单 #${orderId} 取消处理未全部完成，失败步骤: ${failedSteps.join('、')}`, { orderId, failedSteps });
+      await deadLetter('order.canceled', message, failedSteps);
+      return;
+    }
+    
+    logger.info(`订单 #${orderId} 已取消，已释放库存并发送通知`);
   }
 
   /**
@@ -151,15 +195,24 @@ class OrderMessageHandler {
 
   /**
    * 处理订单完成消息
+   * 发放积分和记录佣金解冻时间分别重试，互不影响；重试耗尽后消息转入死信队列
    * @param {Object} message - 订单完成消息
    */
   static async handleOrderCompleted(message) {
-    try {
-      logger.info('处理订单完成消息:', message);
-      
-      const { orderId, userId, totalAmount } = message;
+    logger.info('处理订单完成消息:', message);
+    
+    const { orderId, userId, totalAmount } = message;
+    
+    const failedSteps = await runSteps(`订单 #${orderId} 完成后`, [
+      // 1. 按实付金额发放消费积分
+      ['发放积分', () => pointService.earnForOrder(userId, orderId, totalAmount)],
       
-      // 发送订单完成通知
+      // 2. 记录分销佣金解冻时间（售后期结束后解冻）
+      ['记录佣金解冻时间', () => distributionService.scheduleUnfreeze(orderId)]
+    ]);
+    
+    // 3. 发送订单完成通知，通知失败不重试，避免重复通知
+    try {
       await notificationService.sendNotification({
         userId,
         type: 'order_completed',
@@ -167,14 +220,99 @@ class OrderMessageHandler {
         content: `您的订单 #${orderId} 已完成，感谢您的购买`,
         data: { orderId, totalAmount }
       });
+    } catch (error) {
+      logger.error(`订单 #${orderId} 完成通知发送失败:`, error);
+    }
+    
+    if (failedSteps.length > 0) {
+      logger.error(`订单 #${orderId} 完成处理未全部完成，失败步骤: ${failedSteps.join('、')}`, { orderId, failedSteps });
+      await deadLetter('order.completed', message, failedSteps);
+      return;
+    }
+    
+    logger.info(`订单 #${orderId} 已完成，已发放积分并发送通知`);
+  }
+
+  /**
+   * 处理拼团成功消息
+   * @param {Object} message - 拼团成功消息
+   */
+  static async handleGroupBuySucceeded(message) {
+    try {
+      logger.info('处理拼团成功消息:', message);
       
-      logger.info(`订单 #${orderId} 已完成，已发送通知`);
+      const { teamNo, sellerId, members = [], simulated } = message;
+      
+      // 1. 通知已支付的团员拼团成功
+      for (const member of members) {
+        await notificationService.sendNotification({
+          userId: member.userId,
+          type: 'group_buy_succeeded',
+          title: '拼团成功',
+          content: `您参加的拼团 #${teamNo} 已成团，商家将尽快为您发货`,
+          data: { teamNo, orderId: member.orderId }
+        });
+      }
+      
+      // 2. 通知卖家发货
+      await notificationService.sendNotification({
+        userId: sellerId,
+        type: 'group_buy_succeeded',
+        title: simulated ? '拼团已模拟成团' : '拼团已成团',
+        content: `拼团 #${teamNo} 已成团，共 ${members.length} 笔订单待发货`,
+        data: { teamNo, orderIds: members.map(member => member.orderId) }
+      });
+      
+      logger.info(`拼团 #${teamNo} 已成团，已发送通知`);
       
     } catch (error) {
-      logger.error('处理订单完成消息失败:', error);
+      logger.error('处理拼团成功消息失败:', error);
     }
   }
 
+  /**
+   * 处理拼团失败退款完成消息
+   * 冲减会员消费、退回积分和冲减佣金分别重试，某一步骤失败不影响其余步骤；重试耗尽后消息转入死信队列
+   * @param {Object} message - 拼团退款消息
+   */
+  static async handleGroupBuyRefunded(message) {
+    logger.info('处理拼团退款消息:', message);
+    
+    const { teamNo, orderId, userId, refundNo, refundAmount, refundMethod } = message;
+    
+    const failedSteps = await runSteps(`拼团 #${teamNo} 订单 #${orderId} 退款后`, [
+      // 1. 冲减会员消费金额
+      ['冲减会员消费', () => memberCardService.recordGrowth(userId, { spend: -refundAmount, source: 'refund', sourceId: refundNo })],
+      
+      // 2. 退回订单使用的积分并扣回消费积分
+      ['退回积分', () => pointService.returnOrderPoints(orderId, { refundId: refundNo, ratio: 1, reason: '拼团失败退款' })],
+      
+      // 3. 冲减分销佣金
+      ['冲减分销佣金', () => distributionService.reverseForRefund(orderId, { refundId: refundNo, ratio: 1 })]
+    ]);
+    
+    // 4. 发送退款通知给买家，通知失败不重试，避免重复通知
+    try {
+      await notificationService.sendNotification({
+        userId,
+        type: 'group_buy_refunded',
+        title: '拼团未成功，已为您退款',
+        content: `您参加的拼团 #${teamNo} 未在时限内成团，订单 #${orderId} 已退款 ¥${refundAmount.toFixed(2)}，预计1-3个工作日到账您的${refundMethod === 'balance' ? '账户余额' : '支付账户'}`,
+        data: { teamNo, orderId, refundNo, refundAmount }
+      });
+    } catch (error) {
+      logger.error(`拼团 #${teamNo} 订单 #${orderId} 退款通知发送失败:`, error);
+    }
+    
+    if (failedSteps.length > 0) {
+      logger.error(`拼团 #${teamNo} 订单 #${orderId} 退款处理未全部完成，失败步骤: ${failedSteps.join('、')}`, { teamNo, orderId, failedSteps });
+      await deadLetter('group_buy.refunded', message, failedSteps);
+      return;
+    }
+    
+    logger.info(`拼团 #${teamNo} 订单 #${orderId} 已退款，金额：¥${refundAmount.toFixed(2)}`);
+  }
+
   /**
    * 注册订单消息处理器
    * @param {Object} cacheManager - 缓存管理器实例
@@ -187,6 +325,8 @@ class OrderMessageHandler {
     cacheManager.subscribe('order.canceled', this.handleOrderCanceled.bind(this));
     cacheManager.subscribe('order.shipped', this.handleOrderShipped.bind(this));
     cacheManager.subscribe('order.completed', this.handleOrderCompleted.bind(this));
+    cacheManager.subscribe('group_buy.succeeded', this.handleGroupBuySucceeded.bind(this));
+    cacheManager.subscribe('group_buy.refunded', this.handleGroupBuyRefunded.bind(this));
   }
 }
 
@@ -0,0 +1,200 @@
+/**
+ * 订单消息处理器测试
+ * 订单支付和取消后的各步骤分别重试，某一步骤失败不影响其余步骤；重试耗尽后消息转入死信队列
+ */
+
+jest.mock('../../core/utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../notification/notificationService', () => ({ sendNotification: jest.fn() }));
+jest.mock('../../buyer-api/order/services/stockReservationService', () => ({ release: jest.fn(), confirm: jest.fn() }));
+jest.mock('../../core/services/memberCardService', () => ({ recordGrowth: jest.fn() }));
+jest.mock('../../core/services/pointService', () => ({ earnForOrder: jest.fn(), returnOrderPoints: jest.fn() }));
+jest.mock('../../core/services/distributionService', () => ({
+  recordOrderCommissions: jest.fn(),
+  scheduleUnfreeze: jest.fn(),
+  reverseForRefund: jest.fn()
+}));
+jest.mock('../../core/services/bargainService', () => ({ releaseOrder: jest.fn() }));
+jest.mock('../../core/services/groupBuyService', () => ({ onOrderPaid: jest.fn(), onOrderCanceled: jest.fn() }));
+jest.mock('../../core/services/flashSaleService', () => ({ onOrderPaid: jest.fn(), releaseOrder: jest.fn() }));
+jest.mock('../../core/services/couponService', () => ({ onOrderPaid: jest.fn(), releaseOrder: jest.fn() }));
+jest.mock('../../core/messaging/messageQueue', () => ({ send: jest.fn() }));
+
+process.env.MESSAGE_STEP_RETRIES = '2';
+process.env.MESSAGE_STEP_RETRY_DELAY = '0';
+
+const logger = require('../../core/utils/logger');
+const notificationService = require('../notification/notificationService');
+const stockReservationService = require('../../buyer-api/order/services/stockReservationService');
+const memberCardService = require('../../core/services/memberCardService');
+const pointService = require('../../core/services/pointService');
+const distributionService = require('../../core/services/distributionService');
+const bargainService = require('../../core/services/bargainService');
+const groupBuyService = require('../../core/services/groupBuyService');
+const flashSaleService = require('../../core/services/flashSaleService');
+const couponService = require('../../core/services/couponService');
+const messageQueue = require('../../core/messaging/messageQueue');
+const { DEAD_LETTER_QUEUE } = require('../common/messageSteps');
+const OrderMessageHandler = require('./orderMessageHandler');
+
+const CANCELED = { orderId: 'O200', userId: 9, reason: '超时未支付' };
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  messageQueue.send.mockResolvedValue(true);
+});
+
+describe('handleOrderPaid', () => {
+  const PAID = { orderId: 'O100', userId: 9, totalAmount: 120, items: [{ sellerId: 'S1' }] };
+
+  test('核销优惠券重试耗尽后其余步骤照常执行，消息转入死信队列', async () => {
+    couponService.onOrderPaid.mockRejectedValue(new Error('数据库连接超时'));
+
+    await OrderMessageHandler.handleOrderPaid(PAID);
+
+    expect(couponService.onOrderPaid).toHaveBeenCalledTimes(3);
+    expect(stockReservationService.confirm).toHaveBeenCalledWith('O100');
+    expect(flashSaleService.onOrderPaid).toHaveBeenCalledWith('O100');
+    expect(notificationService.sendNotification).toHaveBeenCalledTimes(2);
+    expect(messageQueue.send).toHaveBeenCalledWith(DEAD_LETTER_QUEUE, expect.objectContaining({
+      channel: 'order.paid',
+      message: PAID,
+      failedSteps: ['核销优惠券']
+    }));
+  });
+
+  test('全部步骤成功时不转入死信队列', async () => {
+    await OrderMessageHandler.handleOrderPaid(PAID);
+
+    expect(messageQueue.send).not.toHaveBeenCalled();
+  });
+
+  test('转入死信队列失败时抛出错误', async () => {
+    memberCardService.recordGrowth.mockRejectedValue(new Error('数据库连接超时'));
+    messageQueue.send.mockResolvedValue(false);
+
+    await expect(OrderMessageHandler.handleOrderPaid(PAID)).rejects.toThrow('order.paid 消息转入死信队列失败，失败步骤: 累计会员消费');
+  });
+});
+
+describe('handleOrderCompleted', () => {
+  test('发放积分失败时仍记录佣金解冻时间，消息转入死信队列', async () => {
+    pointService.earnForOrder.mockRejectedValue(new Error('数据库连接超时'));
+
+    await OrderMessageHandler.handleOrderCompleted({ orderId: 'O100', userId: 9, totalAmount: 120 });
+
+    expect(pointService.earnForOrder).toHaveBeenCalledTimes(3);
+    expect(distributionService.scheduleUnfreeze).toHaveBeenCalledWith('O100');
+    expect(notificationService.sendNotification).toHaveBeenCalledWith(expect.objectContaining({ type: 'order_completed' }));
+    expect(messageQueue.send).toHaveBeenCalledWith(DEAD_LETTER_QUEUE, expect.objectContaining({
+      channel: 'order.completed',
+      failedSteps: ['发放积分']
+    }));
+  });
+});
+
+describe('handleOrderCanceled', () => {
+  test('恢复砍价记录失败时重试，并照常释放库存、优惠券和发送通知', async () => {
+    bargainService.releaseOrder.mockRejectedValue(new Error('数据库连接超时'));
+
+    await OrderMessageHandler.handleOrderCanceled(CANCELED);
+
+    expect(bargainService.releaseOrder).toHaveBeenCalledTimes(3);
+    expect(stockReservationService.release).toHaveBeenCalledWith('O200', '超时未支付');
+    expect(couponService.releaseOrder).toHaveBeenCalledWith('O200');
+    expect(notificationService.sendNotification).toHaveBeenCalledWith(expect.objectContaining({ userId: 9, type: 'order_canceled' }));
+    expect(logger.error).toHaveBeenCalledWith(
+      expect.stringContaining('失败步骤: 恢复砍价记录'),
+      expect.objectContaining({ failedSteps: ['恢复砍价记录'] })
+    );
+  });
+
+  test('释放库存失败时重试，并照常恢复砍价记录', async () => {
+    stockReservationService.release.mockRejectedValue(new Error('库存服务不可用'));
+
+    await OrderMessageHandler.handleOrderCanceled(CANCELED);
+
+    expect(stockReservationService.release).toHaveBeenCalledTimes(3);
+    expect(bargainService.releaseOrder).toHaveBeenCalledWith('O200');
+    expect(messageQueue.send).toHaveBeenCalledWith(DEAD_LETTER_QUEUE, expect.objectContaining({
+      channel: 'order.canceled',
+      failedSteps: ['释放库存']
+    }));
+  });
+
+  test('恢复优惠券失败时重试，其余释放和通知照常执行', async () => {
+    couponService.releaseOrder.mockRejectedValue(new Error('数据库连接超时'));
+
+    await OrderMessageHandler.handleOrderCanceled(CANCELED);
+
+    expect(couponService.releaseOrder).toHaveBeenCalledTimes(3);
+    expect(stockReservationService.release).toHaveBeenCalledWith('O200', '超时未支付');
+    expect(flashSaleService.releaseOrder).toHaveBeenCalledWith('O200');
+    expect(notificationService.sendNotification).toHaveBeenCalled();
+    expect(messageQueue.send).toHaveBeenCalledWith(DEAD_LETTER_QUEUE, expect.objectContaining({
+      channel: 'order.canceled',
+      failedSteps: ['恢复优惠券']
+    }));
+  });
+
+  test('释放拼团名额失败时重试，并照常恢复砍价记录和优惠券', async () => {
+    groupBuyService.onOrderCanceled.mockRejectedValue(new Error('数据库连接超时'));
+
+    await OrderMessageHandler.handleOrderCanceled(CANCELED);
+
+    expect(groupBuyService.onOrderCanceled).toHaveBeenCalledTimes(3);
+    expect(bargainService.releaseOrder).toHaveBeenCalledWith('O200');
+    expect(couponService.releaseOrder).toHaveBeenCalledWith('O200');
+    expect(logger.error).toHaveBeenCalledWith(
+      expect.stringContaining('失败步骤: 释放拼团名额'),
+      expect.objectContaining({ failedSteps: ['释放拼团名额'] })
+    );
+  });
+
+  test('归还秒杀库存失败时重试，并照常释放库存、优惠券和发送通知', async () => {
+    flashSaleService.releaseOrder.mockRejectedValue(new Error('数据库连接超时'));
+
+    await OrderMessageHandler.handleOrderCanceled(CANCELED);
+
+    expect(flashSaleService.releaseOrder).toHaveBeenCalledTimes(3);
+    expect(stockReservationService.release).toHaveBeenCalledWith('O200', '超时未支付');
+    expect(couponService.releaseOrder).toHaveBeenCalledWith('O200');
+    expect(notificationService.sendNotification).toHaveBeenCalled();
+    expect(logger.error).toHaveBeenCalledWith(
+      expect.stringContaining('失败步骤: 归还秒杀库存'),
+      expect.objectContaining({ failedSteps: ['归还秒杀库存'] })
+    );
+  });
+});
+
+describe('handleGroupBuyRefunded', () => {
+  test('冲减会员消费失败时仍退回积分、冲减佣金并通知买家，消息转入死信队列', async () => {
+    memberCardService.recordGrowth.mockRejectedValue(new Error('数据库连接超时'));
+
+    await OrderMessageHandler.handleGroupBuyRefunded({
+      teamNo: 'T01',
+      orderId: 'O300',
+      userId: 9,
+      refundNo: 'R01',
+      refundAmount: 99,
+      refundMethod: 'balance'
+    });
+
+    expect(memberCardService.recordGrowth).toHaveBeenCalledTimes(3);
+    expect(pointService.returnOrderPoints).toHaveBeenCalledWith('O300', { refundId: 'R01', ratio: 1, reason: '拼团失败退款' });
+    expect(distributionService.reverseForRefund).toHaveBeenCalledWith('O300', { refundId: 'R01', ratio: 1 });
+    expect(notificationService.sendNotification).toHaveBeenCalledWith(expect.objectContaining({ type: 'group_buy_refunded' }));
+    expect(logger.error).toHaveBeenCalledWith(
+      expect.stringContaining('失败步骤: 冲减会员消费'),
+      expect.objectContaining({ failedSteps: ['冲减会员消费'] })
+    );
+    expect(messageQueue.send).toHaveBeenCalledWith(DEAD_LETTER_QUEUE, expect.objectContaining({
+      channel: 'group_buy.refunded',
+      failedSteps: ['冲减会员消费']
+    }));
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * 秒杀下单消息处理器
+ * 消费秒杀下单队列，按队列速度为抢到库存的请求异步创建订单
+ */
+
+const logger = require('../../core/utils/logger');
+const orderService = require('../../buyer-api/order/services/orderService');
+const flashSaleService = require('../../core/services/flashSaleService');
+
+// 每个消费者同时处理的下单消息数量，控制数据库写入压力
+const PREFETCH = parseInt(process.env.FLASH_SALE_ORDER_PREFETCH || '10', 10);
+
+class FlashSaleMessageHandler {
+  /**
+   * 处理秒杀下单消息
+   * 业务校验失败时记为失败并归还库存；数据库等临时故障时抛出错误，消息重新入队后重试
+   * @param {Object} message - { requestNo, flashSaleId, userId, quantity, shippingAddress, paymentMethod }
+   */
+  static async handleCreateOrder(message) {
+    const { requestNo, flashSaleId, userId, quantity, shippingAddress, paymentMethod } = message;
+    logger.info('处理秒杀下单消息:', { requestNo, flashSaleId, userId, quantity });
+
+    // 1. 领取排队凭证，已失败（如排队超时）或已下单的请求不再处理
+    if (!(await flashSaleService.claimRequest(flashSaleId, requestNo))) {
+      logger.info(`秒杀请求 ${requestNo} 已处理，跳过`);
+      return;
+    }
+
+    // 2. 消息重复投递时订单可能已创建，直接记为已下单
+    const existing = await flashSaleService.getOrderByRequest(requestNo);
+    if (existing) {
+      await flashSaleService.confirmRequest(flashSaleId, requestNo, existing.orderId);
+      return;
+    }
+
+    // 3. 创建秒杀订单
+    let order;
+    try {
+      order = await orderService.createFlashSaleOrder(userId, { flashSaleId, requestNo, quantity }, { shippingAddress, paymentMethod });
+    } catch (error) {
+      // 商品库存不足由库存服务以普通错误抛出，重试也无法成功，同样按业务失败处理
+      const rejected = error.statusCode ? error.statusCode < 500 : /库存不足$/.test(error.message);
+      if (rejected) {
+        await flashSaleService.releaseRequest(flashSaleId, requestNo, flashSaleService.REQUEST_STATUS.FAILED, error.message);
+        logger.warn(`秒杀请求 ${requestNo} 下单失败，库存已归还: ${error.message}`);
+        return;
+      }
+      throw error;
+    }
+
+    // 4. 记录已下单；失败时由排队超时清理任务按数据库中的订单补记
+    let confirmed;
+    try {
+      confirmed = await flashSaleService.confirmRequest(flashSaleId, requestNo, order.id);
+    } catch (error) {
+      logger.error(`记录秒杀请求 ${requestNo} 已下单失败:`, error);
+    }
+
+    // 请求已因排队超时失败且归还的库存已被其他买家抢走时，取消刚创建的订单
+    if (confirmed === flashSaleService.CONFIRM_RESULT.SOLD_OUT) {
+      await this.cancelSoldOutOrder(order, userId, requestNo);
+      return;
+    }
+
+    // 5. 发送订单创建消息
+    await flashSaleService.publish('order.created', {
+      orderId: order.id,
+      userId,
+      totalAmount: order.totalAmount
+    });
+
+    logger.info(`秒杀请求 ${requestNo} 已创建订单 #${order.id}`);
+  }
+
+  /**
+   * 取消排队超时后才创建、库存已被抢走的秒杀订单
+   * 订单取消消息会释放秒杀订单记录；凭证已失败，不会再次归还 Redis 库存
+   * @param {Object} order - 订单
+   * @param {string} userId - 用户ID
+   * @param {string} requestNo - 请求编号
+   */
+  static async cancelSoldOutOrder(order, userId, requestNo) {
+    const reason = '排队超时，秒杀库存已抢光';
+    try {
+      await orderService.cancelOrder(userId, order.id);
+      await flashSaleService.publish('order.canceled', { orderId: order.id, userId, reason });
+      logger.warn(`秒杀请求 ${requestNo} 排队超时且库存已抢光，已取消订单 #${order.id}`);
+    } catch (error) {
+      logger.error(`秒杀请求 ${requestNo} 排队超时且库存已抢光，取消订单 #${order.id} 失败:`, error);
+    }
+  }
+
+  /**
+   * 注册秒杀下单消息处理器
+   * @param {Object} messageQueue - 消息队列服务
+   */
+  static async registerHandlers(messageQueue) {
+    logger.info('注册秒杀下单消息处理器');
+
+    const started = await messageQueue.receive(flashSaleService.ORDER_QUEUE, this.handleCreateOrder.bind(this), {
+      prefetch: PREFETCH
+    });
+    if (!started) {
+      logger.error('秒杀下单队列消费启动失败，排队超时的请求将由定时任务归还库存');
+    }
+  }
+}
+
+module.exports = FlashSaleMessageHandler;
@@ -0,0 +1,66 @@
+/**
+ * 秒杀下单消息处理器测试
+ * 请求排队超时失败后才创建订单、归还的库存已被抢走时，取消刚创建的订单
+ */
+
+jest.mock('../../core/utils/logger', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+}));
+jest.mock('../../buyer-api/order/services/orderService', () => ({
+  createFlashSaleOrder: jest.fn(),
+  cancelOrder: jest.fn()
+}));
+jest.mock('../../core/services/flashSaleService', () => ({
+  ORDER_QUEUE: 'flash_sale.order',
+  REQUEST_STATUS: { FAILED: 'failed' },
+  CONFIRM_RESULT: { OK: 1, NOT_FOUND: 0, SOLD_OUT: -1 },
+  claimRequest: jest.fn(),
+  getOrderByRequest: jest.fn(),
+  confirmRequest: jest.fn(),
+  releaseRequest: jest.fn(),
+  publish: jest.fn()
+}));
+
+const orderService = require('../../buyer-api/order/services/orderService');
+const flashSaleService = require('../../core/services/flashSaleService');
+const FlashSaleMessageHandler = require('./flashSaleMessageHandler');
+
+const MESSAGE = {
+  requestNo: 'FS001',
+  flashSaleId: 5,
+  userId: 'u1',
+  quantity: 1,
+  shippingAddress: { id: 3 },
+  paymentMethod: 'wechat'
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  flashSaleService.CONFIRM_RESULT = { OK: 1, NOT_FOUND: 0, SOLD_OUT: -1 };
+  flashSaleService.claimRequest.mockResolvedValue(true);
+  flashSaleService.getOrderByRequest.mockResolvedValue(null);
+  orderService.createFlashSaleOrder.mockResolvedValue({ id: 'O500', totalAmount: 9.9 });
+});
+
+test('记录已下单成功时发送订单创建消息', async () => {
+  flashSaleService.confirmRequest.mockResolvedValue(1);
+
+  await FlashSaleMessageHandler.handleCreateOrder(MESSAGE);
+
+  expect(flashSaleService.confirmRequest).toHaveBeenCalledWith(5, 'FS001', 'O500');
+  expect(flashSaleService.publish).toHaveBeenCalledWith('order.created', { orderId: 'O500', userId: 'u1', totalAmount: 9.9 });
+  expect(orderService.cancelOrder).not.toHaveBeenCalled();
+});
+
+test('排队超时且库存已被抢走时取消订单，不发送订单创建消息', async () => {
+  flashSaleService.confirmRequest.mockResolvedValue(-1);
+
+  await FlashSaleMessageHandler.handleCreateOrder(MESSAGE);
+
+  expect(orderService.cancelOrder).toHaveBeenCalledWith('u1', 'O500');
+  expect(flashSaleService.publish).toHaveBeenCalledTimes(1);
+  expect(flashSaleService.publish).toHaveBeenCalledWith('order.canceled', expect.objectContaining({ orderId: 'O500', userId: 'u1' }));
+});
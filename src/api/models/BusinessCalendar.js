@@ -0,0 +1,274 @@
+const { DataTypes, Model } = require('sequelize');
+
+// 每天的分钟数和毫秒数
+const MINUTES_PER_DAY = 24 * 60;
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = MINUTES_PER_DAY * MS_PER_MINUTE;
+
+// 推算截止时间时最多向后查找的天数，避免日历没有工作时间时无限循环
+const MAX_SEARCH_DAYS = 400;
+
+/**
+ * 解析 HH:mm 格式的时间为当天的分钟数（允许 24:00 表示当天结束）
+ * @param {string} value - 时间
+ * @returns {number|null} 分钟数，格式无效时返回 null
+ */
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+  const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  return minutes >= 0 && minutes <= MINUTES_PER_DAY ? minutes : null;
+}
+
+/**
+ * 工作日历模型
+ * 定义 SLA 计时使用的工作时间：每周各天的工作时段、节假日和调休上班日。
+ * 时间按日历的时区偏移换算为当地时间，调休上班日使用周一的工作时段
+ */
+class BusinessCalendar extends Model {
+  /**
+   * 初始化工作日历模型
+   * @param {Object} sequelize - Sequelize实例
+   */
+  static init(sequelize) {
+    return super.init(
+      {
+        // 基本字段
+        id: {
+          type: DataTypes.UUID,
+          defaultValue: DataTypes.UUIDV4,
+          primaryKey: true,
+          allowNull: false
+        },
+
+        // 日历名称
+        name: {
+          type: DataTypes.STRING(100),
+          allowNull: false,
+          validate: {
+            notEmpty: true,
+            len: [1, 100]
+          }
+        },
+
+        // 日历描述
+        description: {
+          type: DataTypes.TEXT,
+          allowNull: true
+        },
+
+        // 时区偏移（分钟，东八区为 480）
+        timezoneOffset: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 480,
+          validate: {
+            min: -720,
+            max: 840
+          },
+          comment: '时区偏移（分钟）'
+        },
+
+        // 每周工作时段，键为星期（0 为周日），值为 [{ start: '09:00', end: '18:00' }]
+        workingHours: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: {
+            1: [{ start: '09:00', end: '18:00' }],
+            2: [{ start: '09:00', end: '18:00' }],
+            3: [{ start: '09:00', end: '18:00' }],
+            4: [{ start: '09:00', end: '18:00' }],
+            5: [{ start: '09:00', end: '18:00' }]
+          }
+        },
+
+        // 节假日（YYYY-MM-DD），当天不计时
+        holidays: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+
+        // 调休上班日（YYYY-MM-DD），按周一的工作时段计时
+        extraWorkdays: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+
+        // 状态
+        status: {
+          type: DataTypes.ENUM('active', 'inactive'),
+          allowNull: false,
+          defaultValue: 'active'
+        },
+
+        // 创建人
+        createdBy: {
+          type: DataTypes.UUID,
+          allowNull: true,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onDelete: 'SET NULL'
+        },
+
+        // 元数据
+        metadata: {
+          type: DataTypes.JSONB,
+          allowNull: true,
+          defaultValue: {}
+        }
+      },
+      {
+        sequelize,
+        modelName: 'BusinessCalendar',
+        tableName: 'business_calendars',
+        timestamps: true,
+        paranoid: true,
+        indexes: [
+          { fields: ['name'] },
+          { fields: ['status'] }
+        ],
+        validate: {
+          validWorkingHours() {
+            const workingHours = this.workingHours || {};
+            Object.keys(workingHours).forEach(weekday => {
+              if (!/^[0-6]$/.test(weekday) || !Array.isArray(workingHours[weekday])) {
+                throw new Error('工作时段必须按星期（0-6）配置为时段列表');
+              }
+              workingHours[weekday].forEach(period => {
+                const start = parseTimeOfDay(period && period.start);
+                const end = parseTimeOfDay(period && period.end);
+                if (start === null || end === null || start >= end) {
+                  throw new Error(`星期${weekday}的工作时段无效，格式为 HH:mm 且结束时间必须晚于开始时间`);
+                }
+              });
+            });
+          }
+        }
+      }
+    );
+  }
+
+  /**
+   * 关联模型
+   */
+  static associate(models) {
+    // 关联使用该日历的SLA策略
+    this.hasMany(models.SlaPolicy, {
+      foreignKey: 'calendarId',
+      as: 'slaPolicies'
+    });
+
+    // 关联创建人
+    this.belongsTo(models.User, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+  }
+
+  /**
+   * 获取某一天的工作时段
+   * @param {string} dateKey - 当地日期（YYYY-MM-DD）
+   * @param {number} weekday - 星期（0 为周日）
+   * @returns {Array<Object>} 按开始时间排序的时段 [{ start, end }]（当天的分钟数）
+   */
+  getWorkingPeriods(dateKey, weekday) {
+    if ((this.holidays || []).includes(dateKey)) {
+      return [];
+    }
+
+    const workingHours = this.workingHours || {};
+    const day = (this.extraWorkdays || []).includes(dateKey) ? 1 : weekday;
+
+    return (workingHours[day] || workingHours[String(day)] || [])
+      .map(period => ({ start: parseTimeOfDay(period.start), end: parseTimeOfDay(period.end) }))
+      .filter(period => period.start !== null && period.end !== null && period.start < period.end)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * 计算从指定时间开始经过若干工作分钟后的时间
+   * 非工作时间不计时；日历在查找范围内没有任何工作时间时按自然时间计算
+   * @param {Date} start - 开始时间
+   * @param {number} minutes - 工作分钟数
+   * @returns {Date} 到期时间
+   */
+  addBusinessMinutes(start, minutes) {
+    const startTime = new Date(start).getTime();
+    if (!(minutes > 0)) {
+      return new Date(startTime);
+    }
+
+    const offsetMs = (this.timezoneOffset || 0) * MS_PER_MINUTE;
+    // 以当地时间的毫秒数计算，返回前换算回 UTC
+    let cursor = startTime + offsetMs;
+    let remaining = minutes * MS_PER_MINUTE;
+
+    for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+      const dayStart = cursor - (((cursor % MS_PER_DAY) + MS_PER_DAY) % MS_PER_DAY);
+      const date = new Date(dayStart);
+      const periods = this.getWorkingPeriods(date.toISOString().split('T')[0], date.getUTCDay());
+
+      for (const period of periods) {
+        const periodEnd = dayStart + period.end * MS_PER_MINUTE;
+        if (periodEnd <= cursor) {
+          continue;
+        }
+
+        const from = Math.max(cursor, dayStart + period.start * MS_PER_MINUTE);
+        const available = periodEnd - from;
+        if (remaining <= available) {
+          return new Date(from + remaining - offsetMs);
+        }
+
+        remaining -= available;
+        cursor = periodEnd;
+      }
+
+      cursor = dayStart + MS_PER_DAY;
+    }
+
+    return new Date(startTime + minutes * MS_PER_MINUTE);
+  }
+
+  /**
+   * 判断指定时间是否在工作时间内
+   * @param {Date} time - 时间
+   * @returns {boolean} 是否工作时间
+   */
+  isWorkingTime(time = new Date()) {
+    const local = new Date(new Date(time).getTime() + (this.timezoneOffset || 0) * MS_PER_MINUTE);
+    const minuteOfDay = local.getUTCHours() * 60 + local.getUTCMinutes();
+
+    return this.getWorkingPeriods(local.toISOString().split('T')[0], local.getUTCDay())
+      .some(period => minuteOfDay >= period.start && minuteOfDay < period.end);
+  }
+
+  /**
+   * 转换为响应对象
+   * @returns {Object} 响应对象
+   */
+  toResponseObject() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      timezoneOffset: this.timezoneOffset,
+      workingHours: this.workingHours,
+      holidays: this.holidays,
+      extraWorkdays: this.extraWorkdays,
+      status: this.status,
+      createdBy: this.createdBy,
+      metadata: this.metadata,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = BusinessCalendar;
@@ -0,0 +1,77 @@
+/**
+ * 工作日历模型测试
+ */
+
+const BusinessCalendar = require('./BusinessCalendar');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * 构建工作日历：北京时间（UTC+8）周一至周五 09:00-12:00、13:00-18:00
+ * @param {Object} overrides - 覆盖字段
+ * @returns {BusinessCalendar} 日历
+ */
+function makeCalendar(overrides) {
+  const workday = [{ start: '13:00', end: '18:00' }, { start: '09:00', end: '12:00' }];
+  return Object.assign(Object.create(BusinessCalendar.prototype), {
+    timezoneOffset: 480,
+    workingHours: { 1: workday, 2: workday, 3: workday, 4: workday, 5: workday },
+    holidays: [],
+    extraWorkdays: [],
+    ...overrides
+  });
+}
+
+describe('getWorkingPeriods', () => {
+  test('按开始时间排序，节假日没有工作时段，调休上班日使用周一的时段', () => {
+    const calendar = makeCalendar({ holidays: ['2026-10-01'], extraWorkdays: ['2026-10-10'] });
+
+    expect(calendar.getWorkingPeriods('2026-09-30', 3)).toEqual([{ start: 540, end: 720 }, { start: 780, end: 1080 }]);
+    expect(calendar.getWorkingPeriods('2026-10-01', 4)).toEqual([]);
+    expect(calendar.getWorkingPeriods('2026-10-10', 6)).toHaveLength(2);
+    expect(calendar.getWorkingPeriods('2026-10-11', 0)).toEqual([]);
+  });
+
+  test('忽略格式无效或结束不晚于开始的时段', () => {
+    const calendar = makeCalendar({
+      workingHours: { 1: [{ start: '9点', end: '18:00' }, { start: '20:00', end: '20:00' }, { start: '22:00', end: '24:00' }] }
+    });
+
+    expect(calendar.getWorkingPeriods('2026-06-01', 1)).toEqual([{ start: 1320, end: 1440 }]);
+  });
+});
+
+describe('addBusinessMinutes', () => {
+  test('跳过午休时间', () => {
+    const calendar = makeCalendar();
+
+    // 北京时间周一 11:30 开始，60 个工作分钟后为 13:30
+    expect(calendar.addBusinessMinutes(new Date('2026-06-01T03:30:00Z'), 60))
+      .toEqual(new Date('2026-06-01T05:30:00Z'));
+  });
+
+  test('下班后开始的计时从下一个工作日开始，跳过周末和节假日', () => {
+    const calendar = makeCalendar({ holidays: ['2026-06-08'] });
+
+    // 北京时间周五 17:30 开始，剩余 30 分钟后跳过周末和周一的节假日，周二 10:00 到期
+    expect(calendar.addBusinessMinutes(new Date('2026-06-05T09:30:00Z'), 90))
+      .toEqual(new Date('2026-06-09T02:00:00Z'));
+  });
+
+  test('日历没有任何工作时间时按自然时间计算', () => {
+    const calendar = makeCalendar({ workingHours: {} });
+    const start = new Date('2026-06-01T00:00:00Z');
+
+    expect(calendar.addBusinessMinutes(start, 30)).toEqual(new Date(start.getTime() + 30 * MINUTE));
+  });
+});
+
+describe('isWorkingTime', () => {
+  test('按日历时区判断是否在工作时段内', () => {
+    const calendar = makeCalendar();
+
+    expect(calendar.isWorkingTime(new Date('2026-06-01T01:00:00Z'))).toBe(true);
+    expect(calendar.isWorkingTime(new Date('2026-06-01T04:30:00Z'))).toBe(false);
+    expect(calendar.isWorkingTime(new Date('2026-06-06T02:00:00Z'))).toBe(false);
+  });
+});
@@ -474,6 +474,18 @@ class Conversation extends Model {
       foreignKey: 'conversationId',
       as: 'workLogs'
     });
+    
+    // 关联SLA计时器
+    this.hasMany(models.SlaTimer, {
+      foreignKey: 'conversationId',
+      as: 'slaTimers'
+    });
+    
+    // 关联满意度调查
+    this.hasOne(models.SatisfactionSurvey, {
+      foreignKey: 'conversationId',
+      as: 'satisfactionSurvey'
+    });
   }
   
   /**
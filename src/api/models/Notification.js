@@ -45,7 +45,10 @@ class Notification extends Model {
             'system_alert',
             'agent_status_change',
             'work_shift_reminder',
-            'timeout_warning'
+            'timeout_warning',
+            'sla_warning',
+            'sla_breach',
+            'satisfaction_survey'
           ),
           allowNull: false
         },
@@ -397,6 +400,51 @@ class Notification extends Model {
     });
   }
   
+  /**
+   * 创建SLA预警或超时通知
+   * @param {Object} data - 通知数据
+   */
+  static async createSlaNotification(data) {
+    const { userId, conversationId, event, title, content, dueAt, metric } = data;
+    
+    return await this.create({
+      userId,
+      type: event === 'breach' ? 'sla_breach' : 'sla_warning',
+      title,
+      content,
+      priority: event === 'breach' ? 'urgent' : 'high',
+      resourceType: 'conversation',
+      resourceId: conversationId,
+      actionType: 'view_session',
+      actionUrl: `/conversations/${conversationId}`,
+      senderType: 'system',
+      metadata: { metric, dueAt }
+    });
+  }
+  
+  /**
+   * 创建满意度调查提醒通知
+   * @param {Object} data - 通知数据
+   */
+  static async createSurveyReminderNotification(data) {
+    const { userId, conversationId, surveyId, title, content, expiresAt } = data;
+    
+    return await this.create({
+      userId,
+      type: 'satisfaction_survey',
+      title,
+      content,
+      priority: 'low',
+      resourceType: 'conversation',
+      resourceId: conversationId,
+      actionType: 'answer_survey',
+      actionUrl: `/satisfaction-surveys/${surveyId}`,
+      senderType: 'system',
+      expiresAt,
+      metadata: { surveyId }
+    });
+  }
+  
   /**
    * 转换为响应对象
    * @returns {Object} 响应对象
@@ -0,0 +1,347 @@
+const { DataTypes, Model, Op } = require('sequelize');
+
+/**
+ * 满意度调查模型
+ * 会话关闭后向用户发送的一次满意度调查：发送时记录服务的客服、客服所属团队（部门）和会话分类，
+ * 以及当时配置的问题（星级评分、原因标签、文字评价，可选的 NPS 推荐意愿）。
+ * 用户提交后状态为 answered，超过有效期未提交的调查状态为 expired
+ */
+class SatisfactionSurvey extends Model {
+  /**
+   * 初始化满意度调查模型
+   * @param {Object} sequelize - Sequelize实例
+   */
+  static init(sequelize) {
+    return super.init(
+      {
+        // 基本字段
+        id: {
+          type: DataTypes.UUID,
+          defaultValue: DataTypes.UUIDV4,
+          primaryKey: true,
+          allowNull: false
+        },
+
+        // 关联字段，会话和 im-api 在线客服会话二选一
+        conversationId: {
+          type: DataTypes.UUID,
+          allowNull: true,
+          references: {
+            model: 'conversations',
+            key: 'id'
+          },
+          onDelete: 'CASCADE'
+        },
+
+        // im-api 在线客服会话ID（customer_service_sessions.id）
+        sessionId: {
+          type: DataTypes.STRING(100),
+          allowNull: true
+        },
+
+        // 接收调查的用户
+        customerId: {
+          type: DataTypes.UUID,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE'
+        },
+
+        // 服务的客服
+        agentId: {
+          type: DataTypes.UUID,
+          allowNull: true,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onDelete: 'SET NULL'
+        },
+
+        // 发送时客服所属的团队（部门）和会话分类，用于按团队和分类统计
+        team: {
+          type: DataTypes.STRING(100),
+          allowNull: true
+        },
+
+        category: {
+          type: DataTypes.STRING(100),
+          allowNull: true
+        },
+
+        // 调查状态
+        status: {
+          type: DataTypes.ENUM('pending', 'answered', 'expired'),
+          allowNull: false,
+          defaultValue: 'pending'
+        },
+
+        // 发送时的问题配置 { ratingQuestion, commentQuestion, tags, npsEnabled, npsQuestion }
+        questions: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: {}
+        },
+
+        // 星级评分
+        rating: {
+          type: DataTypes.INTEGER,
+          allowNull: true,
+          validate: {
+            min: 1,
+            max: 5
+          }
+        },
+
+        // NPS 推荐意愿评分
+        npsScore: {
+          type: DataTypes.INTEGER,
+          allowNull: true,
+          validate: {
+            min: 0,
+            max: 10
+          }
+        },
+
+        // 选择的原因标签
+        tags: {
+          type: DataTypes.ARRAY(DataTypes.STRING(50)),
+          allowNull: false,
+          defaultValue: []
+        },
+
+        // 文字评价
+        comment: {
+          type: DataTypes.TEXT,
+          allowNull: true
+        },
+
+        // 发送时间
+        sentAt: {
+          type: DataTypes.DATE,
+          allowNull: false
+        },
+
+        // 提醒时间
+        remindedAt: {
+          type: DataTypes.DATE,
+          allowNull: true
+        },
+
+        // 提交时间
+        answeredAt: {
+          type: DataTypes.DATE,
+          allowNull: true
+        },
+
+        // 有效期
+        expiresAt: {
+          type: DataTypes.DATE,
+          allowNull: false
+        },
+
+        // 元数据
+        metadata: {
+          type: DataTypes.JSONB,
+          allowNull: true,
+          defaultValue: {}
+        }
+      },
+      {
+        sequelize,
+        modelName: 'SatisfactionSurvey',
+        tableName: 'satisfaction_surveys',
+        timestamps: true,
+        // 调查记录用于统计满意度，不做软删除
+        paranoid: false,
+        indexes: [
+          {
+            // 每个会话只发送一次调查
+            unique: true,
+            fields: ['conversationId'],
+            name: 'idx_satisfaction_survey_conversation'
+          },
+          {
+            // 每个在线客服会话只发送一次调查
+            unique: true,
+            fields: ['sessionId'],
+            name: 'idx_satisfaction_survey_session'
+          },
+          {
+            fields: ['customerId', 'status'],
+            name: 'idx_satisfaction_survey_customer_status'
+          },
+          {
+            fields: ['status', 'sentAt'],
+            name: 'idx_satisfaction_survey_status_sent'
+          },
+          {
+            fields: ['status', 'expiresAt'],
+            name: 'idx_satisfaction_survey_status_expires'
+          },
+          {
+            fields: ['agentId', 'answeredAt'],
+            name: 'idx_satisfaction_survey_agent_answered'
+          },
+          { fields: ['answeredAt'] }
+        ]
+      }
+    );
+  }
+
+  /**
+   * 关联模型
+   */
+  static associate(models) {
+    // 关联会话
+    this.belongsTo(models.Conversation, {
+      foreignKey: 'conversationId',
+      as: 'conversation'
+    });
+
+    // 关联用户
+    this.belongsTo(models.User, {
+      foreignKey: 'customerId',
+      as: 'customer'
+    });
+
+    // 关联客服
+    this.belongsTo(models.User, {
+      foreignKey: 'agentId',
+      as: 'agent'
+    });
+  }
+
+  /**
+   * 查找用户待填写的调查
+   * @param {string} customerId - 用户ID
+   * @param {Date} now - 当前时间
+   * @returns {Promise<Array<SatisfactionSurvey>>} 调查列表
+   */
+  static async findPendingForCustomer(customerId, now = new Date()) {
+    return await this.findAll({
+      where: {
+        customerId,
+        status: 'pending',
+        expiresAt: { [Op.gt]: now }
+      },
+      order: [['sentAt', 'DESC']]
+    });
+  }
+
+  /**
+   * 查找发送后超过提醒时间仍未填写、且尚未提醒的调查
+   * @param {Date} sentBefore - 发送时间早于该时间的调查需要提醒
+   * @param {Date} now - 当前时间
+   * @param {number} limit - 数量上限
+   * @returns {Promise<Array<SatisfactionSurvey>>} 调查列表
+   */
+  static async findDueForReminder(sentBefore, now, limit) {
+    return await this.findAll({
+      where: {
+        status: 'pending',
+        remindedAt: null,
+        sentAt: { [Op.lte]: sentBefore },
+        expiresAt: { [Op.gt]: now }
+      },
+      order: [['sentAt', 'ASC']],
+      limit
+    });
+  }
+
+  /**
+   * 将超过有效期仍未填写的调查标记为已过期
+   * @param {Date} now - 当前时间
+   * @returns {Promise<number>} 过期的调查数量
+   */
+  static async expirePending(now = new Date()) {
+    const [expired] = await this.update(
+      { status: 'expired' },
+      { where: { status: 'pending', expiresAt: { [Op.lte]: now } } }
+    );
+    return expired;
+  }
+
+  /**
+   * 标记已提醒，只有一个进程能标记成功
+   * @param {Date} remindedAt - 提醒时间
+   * @returns {Promise<boolean>} 是否标记成功
+   */
+  async markReminded(remindedAt = new Date()) {
+    const [updated] = await SatisfactionSurvey.update(
+      { remindedAt },
+      { where: { id: this.id, status: 'pending', remindedAt: null } }
+    );
+    if (updated === 1) {
+      this.remindedAt = remindedAt;
+    }
+    return updated === 1;
+  }
+
+  /**
+   * 记录用户的回答，调查已提交或已过期时不记录
+   * @param {Object} answers - 回答 { rating, npsScore, tags, comment }
+   * @param {Date} answeredAt - 提交时间
+   * @returns {Promise<boolean>} 是否记录成功
+   */
+  async answer(answers, answeredAt = new Date()) {
+    const data = {
+      status: 'answered',
+      rating: answers.rating,
+      npsScore: answers.npsScore,
+      tags: answers.tags,
+      comment: answers.comment,
+      answeredAt
+    };
+
+    const [updated] = await SatisfactionSurvey.update(data, {
+      where: { id: this.id, status: 'pending', expiresAt: { [Op.gt]: answeredAt } }
+    });
+    if (updated === 1) {
+      Object.assign(this, data);
+    }
+    return updated === 1;
+  }
+
+  /**
+   * 是否可以填写
+   * @param {Date} now - 当前时间
+   * @returns {boolean}
+   */
+  isOpen(now = new Date()) {
+    return this.status === 'pending' && now < this.expiresAt;
+  }
+
+  /**
+   * 转换为响应对象
+   * @returns {Object} 响应对象
+   */
+  toResponseObject() {
+    return {
+      id: this.id,
+      conversationId: this.conversationId,
+      sessionId: this.sessionId,
+      customerId: this.customerId,
+      agentId: this.agentId,
+      team: this.team,
+      category: this.category,
+      status: this.status,
+      questions: this.questions,
+      rating: this.rating,
+      npsScore: this.npsScore,
+      tags: this.tags,
+      comment: this.comment,
+      sentAt: this.sentAt,
+      remindedAt: this.remindedAt,
+      answeredAt: this.answeredAt,
+      expiresAt: this.expiresAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = SatisfactionSurvey;
@@ -0,0 +1,321 @@
+const { DataTypes, Model, Op } = require('sequelize');
+
+// SLA 计时指标
+const SLA_METRICS = ['first_response', 'next_response', 'resolution'];
+
+// 各计时指标对应的目标时长字段
+const TARGET_FIELDS = {
+  first_response: 'firstResponseMinutes',
+  next_response: 'nextResponseMinutes',
+  resolution: 'resolutionMinutes'
+};
+
+/**
+ * SLA策略模型
+ * 按会话优先级和分类定义首次响应、后续响应和解决时长目标（工作分钟），
+ * 以及预警比例和超时后的处理方式（通知、升级给主管、提升优先级）。
+ * 未设置优先级或分类的策略适用于任意优先级或分类，多条策略适用时选择匹配条件最多的策略
+ */
+class SlaPolicy extends Model {
+  /**
+   * 初始化SLA策略模型
+   * @param {Object} sequelize - Sequelize实例
+   */
+  static init(sequelize) {
+    return super.init(
+      {
+        // 基本字段
+        id: {
+          type: DataTypes.UUID,
+          defaultValue: DataTypes.UUIDV4,
+          primaryKey: true,
+          allowNull: false
+        },
+
+        // 策略名称
+        name: {
+          type: DataTypes.STRING(100),
+          allowNull: false,
+          validate: {
+            notEmpty: true,
+            len: [1, 100]
+          }
+        },
+
+        // 策略描述
+        description: {
+          type: DataTypes.TEXT,
+          allowNull: true
+        },
+
+        // 适用的会话优先级，为空时适用于所有优先级
+        priority: {
+          type: DataTypes.ENUM('low', 'medium', 'high', 'urgent'),
+          allowNull: true
+        },
+
+        // 适用的会话分类，为空时适用于所有分类
+        category: {
+          type: DataTypes.STRING(100),
+          allowNull: true
+        },
+
+        // 首次响应目标（工作分钟）
+        firstResponseMinutes: {
+          type: DataTypes.INTEGER,
+          allowNull: true,
+          validate: { min: 1 },
+          comment: '首次响应目标（工作分钟）'
+        },
+
+        // 后续响应目标（工作分钟），从客服回复后用户再次发送消息开始计时
+        nextResponseMinutes: {
+          type: DataTypes.INTEGER,
+          allowNull: true,
+          validate: { min: 1 },
+          comment: '后续响应目标（工作分钟）'
+        },
+
+        // 解决目标（工作分钟），从会话创建开始计时
+        resolutionMinutes: {
+          type: DataTypes.INTEGER,
+          allowNull: true,
+          validate: { min: 1 },
+          comment: '解决目标（工作分钟）'
+        },
+
+        // 预警比例（目标时长的百分比）
+        warningPercent: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 80,
+          validate: {
+            min: 1,
+            max: 99
+          }
+        },
+
+        // 工作日历，为空时按自然时间（7x24）计时
+        calendarId: {
+          type: DataTypes.UUID,
+          allowNull: true,
+          references: {
+            model: 'business_calendars',
+            key: 'id'
+          },
+          onDelete: 'SET NULL'
+        },
+
+        // 超时处理方式
+        breachAction: {
+          type: DataTypes.ENUM('notify', 'escalate', 'raise_priority', 'escalate_and_raise_priority'),
+          allowNull: false,
+          defaultValue: 'notify'
+        },
+
+        // 升级对象，为空时升级给所有客服主管
+        escalateTo: {
+          type: DataTypes.UUID,
+          allowNull: true,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onDelete: 'SET NULL'
+        },
+
+        // 状态
+        status: {
+          type: DataTypes.ENUM('active', 'inactive'),
+          allowNull: false,
+          defaultValue: 'active'
+        },
+
+        // 创建人
+        createdBy: {
+          type: DataTypes.UUID,
+          allowNull: true,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onDelete: 'SET NULL'
+        },
+
+        // 元数据
+        metadata: {
+          type: DataTypes.JSONB,
+          allowNull: true,
+          defaultValue: {}
+        }
+      },
+      {
+        sequelize,
+        modelName: 'SlaPolicy',
+        tableName: 'sla_policies',
+        timestamps: true,
+        paranoid: true,
+        indexes: [
+          { fields: ['status'] },
+          { fields: ['calendarId'] },
+          {
+            fields: ['priority', 'category'],
+            name: 'idx_sla_policy_priority_category'
+          }
+        ],
+        validate: {
+          hasTarget() {
+            if (!this.firstResponseMinutes && !this.nextResponseMinutes && !this.resolutionMinutes) {
+              throw new Error('至少需要设置一项响应或解决目标');
+            }
+          }
+        }
+      }
+    );
+  }
+
+  /**
+   * 关联模型
+   */
+  static associate(models) {
+    // 关联工作日历
+    this.belongsTo(models.BusinessCalendar, {
+      foreignKey: 'calendarId',
+      as: 'calendar'
+    });
+
+    // 关联升级对象
+    this.belongsTo(models.User, {
+      foreignKey: 'escalateTo',
+      as: 'escalationTarget'
+    });
+
+    // 关联创建人
+    this.belongsTo(models.User, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+
+    // 关联计时器
+    this.hasMany(models.SlaTimer, {
+      foreignKey: 'policyId',
+      as: 'timers'
+    });
+  }
+
+  /**
+   * 查找适用于会话的策略
+   * 同时匹配优先级和分类的策略优先，其次是只匹配优先级、只匹配分类的策略，最后是通用策略；
+   * 匹配程度相同时选择最近更新的策略
+   * @param {Object} conversation - 会话（priority、category）
+   * @returns {Promise<SlaPolicy|null>} 策略（包含工作日历）
+   */
+  static async findForConversation(conversation) {
+    const policies = await this.findAll({
+      where: {
+        status: 'active',
+        [Op.and]: [
+          { [Op.or]: [{ priority: conversation.priority || null }, { priority: null }] },
+          { [Op.or]: [{ category: conversation.category || null }, { category: null }] }
+        ]
+      },
+      include: [{
+        model: this.sequelize.models.BusinessCalendar,
+        as: 'calendar',
+        required: false,
+        where: { status: 'active' }
+      }],
+      order: [['updatedAt', 'DESC']]
+    });
+
+    const score = policy => (policy.priority ? 2 : 0) + (policy.category ? 1 : 0);
+    return policies.reduce((best, policy) => (!best || score(policy) > score(best) ? policy : best), null);
+  }
+
+  /**
+   * 获取指标的目标时长
+   * @param {string} metric - 计时指标
+   * @returns {number|null} 目标时长（工作分钟），未设置时返回 null
+   */
+  getTargetMinutes(metric) {
+    const field = TARGET_FIELDS[metric];
+    return field && this[field] > 0 ? this[field] : null;
+  }
+
+  /**
+   * 计算指标的预警时间和到期时间
+   * @param {string} metric - 计时指标
+   * @param {Date} startedAt - 开始计时时间
+   * @returns {Object|null} { targetMinutes, warningAt, dueAt }，未设置目标时返回 null
+   */
+  getDeadlines(metric, startedAt) {
+    const targetMinutes = this.getTargetMinutes(metric);
+    if (!targetMinutes) {
+      return null;
+    }
+
+    const warningMinutes = targetMinutes * this.warningPercent / 100;
+    if (this.calendar) {
+      return {
+        targetMinutes,
+        warningAt: this.calendar.addBusinessMinutes(startedAt, warningMinutes),
+        dueAt: this.calendar.addBusinessMinutes(startedAt, targetMinutes)
+      };
+    }
+
+    const startTime = new Date(startedAt).getTime();
+    return {
+      targetMinutes,
+      warningAt: new Date(startTime + warningMinutes * 60 * 1000),
+      dueAt: new Date(startTime + targetMinutes * 60 * 1000)
+    };
+  }
+
+  /**
+   * 是否在超时后升级给主管
+   * @returns {boolean}
+   */
+  shouldEscalate() {
+    return this.breachAction === 'escalate' || this.breachAction === 'escalate_and_raise_priority';
+  }
+
+  /**
+   * 是否在超时后提升会话优先级
+   * @returns {boolean}
+   */
+  shouldRaisePriority() {
+    return this.breachAction === 'raise_priority' || this.breachAction === 'escalate_and_raise_priority';
+  }
+
+  /**
+   * 转换为响应对象
+   * @returns {Object} 响应对象
+   */
+  toResponseObject() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      priority: this.priority,
+      category: this.category,
+      firstResponseMinutes: this.firstResponseMinutes,
+      nextResponseMinutes: this.nextResponseMinutes,
+      resolutionMinutes: this.resolutionMinutes,
+      warningPercent: this.warningPercent,
+      calendarId: this.calendarId,
+      breachAction: this.breachAction,
+      escalateTo: this.escalateTo,
+      status: this.status,
+      createdBy: this.createdBy,
+      metadata: this.metadata,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      // 关联信息会在查询时包含
+      calendar: this.calendar ? this.calendar.toResponseObject() : null
+    };
+  }
+}
+
+SlaPolicy.SLA_METRICS = SLA_METRICS;
+
+module.exports = SlaPolicy;
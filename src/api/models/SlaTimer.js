@@ -0,0 +1,439 @@
+const { DataTypes, Model, Op } = require('sequelize');
+
+/**
+ * 未完成计时器的查询条件：计时中，或已超时但尚未完成
+ * @returns {Object} 查询条件
+ */
+function openCondition() {
+  return {
+    [Op.or]: [
+      { status: 'running' },
+      { status: 'breached', completedAt: null }
+    ]
+  };
+}
+
+/**
+ * SLA计时器模型
+ * 记录会话每项 SLA 指标的一次计时：开始时间、按策略和工作日历算出的预警时间和到期时间，以及计时结果。
+ * 按时完成的计时器状态为 met；超过到期时间的计时器状态为 breached，之后完成时只记录完成时间，
+ * 会话关闭时未完成的响应计时器状态为 cancelled
+ */
+class SlaTimer extends Model {
+  /**
+   * 初始化SLA计时器模型
+   * @param {Object} sequelize - Sequelize实例
+   */
+  static init(sequelize) {
+    return super.init(
+      {
+        // 基本字段
+        id: {
+          type: DataTypes.UUID,
+          defaultValue: DataTypes.UUIDV4,
+          primaryKey: true,
+          allowNull: false
+        },
+
+        // 关联字段
+        conversationId: {
+          type: DataTypes.UUID,
+          allowNull: false,
+          references: {
+            model: 'conversations',
+            key: 'id'
+          },
+          onDelete: 'CASCADE'
+        },
+
+        policyId: {
+          type: DataTypes.UUID,
+          allowNull: true,
+          references: {
+            model: 'sla_policies',
+            key: 'id'
+          },
+          onDelete: 'SET NULL'
+        },
+
+        // 计时指标
+        metric: {
+          type: DataTypes.ENUM('first_response', 'next_response', 'resolution'),
+          allowNull: false
+        },
+
+        // 计时状态
+        status: {
+          type: DataTypes.ENUM('running', 'met', 'breached', 'cancelled'),
+          allowNull: false,
+          defaultValue: 'running'
+        },
+
+        // 开始计时时会话的优先级和分类，用于按优先级和分类统计超时率
+        priority: {
+          type: DataTypes.ENUM('low', 'medium', 'high', 'urgent'),
+          allowNull: true
+        },
+
+        category: {
+          type: DataTypes.STRING(100),
+          allowNull: true
+        },
+
+        // 目标时长（工作分钟）
+        targetMinutes: {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          comment: '目标时长（工作分钟）'
+        },
+
+        // 开始计时时间
+        startedAt: {
+          type: DataTypes.DATE,
+          allowNull: false
+        },
+
+        // 预警时间
+        warningAt: {
+          type: DataTypes.DATE,
+          allowNull: false
+        },
+
+        // 到期时间
+        dueAt: {
+          type: DataTypes.DATE,
+          allowNull: false
+        },
+
+        // 已发出预警的时间
+        warnedAt: {
+          type: DataTypes.DATE,
+          allowNull: true
+        },
+
+        // 超时时间
+        breachedAt: {
+          type: DataTypes.DATE,
+          allowNull: true
+        },
+
+        // 完成时间（客服回复或会话关闭）
+        completedAt: {
+          type: DataTypes.DATE,
+          allowNull: true
+        },
+
+        // 超时后执行的处理 [{ type: 'escalate', userIds, at }, { type: 'raise_priority', from, to, at }]
+        actions: {
+          type: DataTypes.JSONB,
+          allowNull: false,
+          defaultValue: []
+        },
+
+        // 元数据
+        metadata: {
+          type: DataTypes.JSONB,
+          allowNull: true,
+          defaultValue: {}
+        }
+      },
+      {
+        sequelize,
+        modelName: 'SlaTimer',
+        tableName: 'sla_timers',
+        timestamps: true,
+        // 计时记录用于统计超时率，不做软删除
+        paranoid: false,
+        indexes: [
+          { fields: ['policyId'] },
+          { fields: ['createdAt'] },
+          {
+            fields: ['conversationId', 'metric'],
+            name: 'idx_sla_timer_conversation_metric'
+          },
+          {
+            fields: ['status', 'warningAt'],
+            name: 'idx_sla_timer_status_warning'
+          },
+          {
+            fields: ['status', 'dueAt'],
+            name: 'idx_sla_timer_status_due'
+          },
+          {
+            fields: ['startedAt', 'metric'],
+            name: 'idx_sla_timer_started_metric'
+          }
+        ]
+      }
+    );
+  }
+
+  /**
+   * 关联模型
+   */
+  static associate(models) {
+    // 关联会话
+    this.belongsTo(models.Conversation, {
+      foreignKey: 'conversationId',
+      as: 'conversation'
+    });
+
+    // 关联策略
+    this.belongsTo(models.SlaPolicy, {
+      foreignKey: 'policyId',
+      as: 'policy'
+    });
+  }
+
+  /**
+   * 按策略为会话开始一项指标的计时
+   * 会话的同一指标已有未完成的计时器时不重复计时，返回已有的计时器
+   * @param {Object} conversation - 会话
+   * @param {SlaPolicy} policy - SLA策略
+   * @param {string} metric - 计时指标
+   * @param {Date} startedAt - 开始计时时间
+   * @returns {Promise<SlaTimer|null>} 计时器，策略未设置该指标的目标时返回 null
+   */
+  static async startTimer(conversation, policy, metric, startedAt = new Date()) {
+    const deadlines = policy.getDeadlines(metric, startedAt);
+    if (!deadlines) {
+      return null;
+    }
+
+    const existing = await this.findOne({
+      where: { conversationId: conversation.id, metric, ...openCondition() }
+    });
+    if (existing) {
+      return existing;
+    }
+
+    return await this.create({
+      conversationId: conversation.id,
+      policyId: policy.id,
+      metric,
+      priority: conversation.priority,
+      category: conversation.category,
+      startedAt,
+      ...deadlines
+    });
+  }
+
+  /**
+   * 完成会话指定指标的计时
+   * 计时中且未到期的计时器记为按时完成，已到期但尚未被定时任务处理的计时器记为超时
+   * @param {string} conversationId - 会话ID
+   * @param {Array<string>} metrics - 计时指标
+   * @param {Date} completedAt - 完成时间
+   * @returns {Promise<number>} 完成的计时器数量
+   */
+  static async completeTimers(conversationId, metrics, completedAt = new Date()) {
+    const where = { conversationId, metric: { [Op.in]: metrics } };
+
+    const [met] = await this.update(
+      { status: 'met', completedAt },
+      { where: { ...where, status: 'running', dueAt: { [Op.gte]: completedAt } } }
+    );
+    const [lateBreached] = await this.update(
+      { status: 'breached', breachedAt: completedAt, completedAt },
+      { where: { ...where, status: 'running', dueAt: { [Op.lt]: completedAt } } }
+    );
+    const [breached] = await this.update(
+      { completedAt },
+      { where: { ...where, status: 'breached', completedAt: null } }
+    );
+
+    return met + lateBreached + breached;
+  }
+
+  /**
+   * 取消会话指定指标正在进行的计时
+   * @param {string} conversationId - 会话ID
+   * @param {Array<string>} metrics - 计时指标
+   * @returns {Promise<number>} 取消的计时器数量
+   */
+  static async cancelTimers(conversationId, metrics) {
+    const [cancelled] = await this.update(
+      { status: 'cancelled', completedAt: new Date() },
+      { where: { conversationId, metric: { [Op.in]: metrics }, status: 'running' } }
+    );
+    return cancelled;
+  }
+
+  /**
+   * 查找会话未完成的计时器
+   * @param {string} conversationId - 会话ID
+   * @returns {Promise<Array<SlaTimer>>} 计时器列表
+   */
+  static async findOpenTimers(conversationId) {
+    return await this.findAll({
+      where: { conversationId, ...openCondition() },
+      order: [['dueAt', 'ASC']]
+    });
+  }
+
+  /**
+   * 查找到达预警时间且尚未预警的计时器
+   * @param {Date} now - 当前时间
+   * @param {number} limit - 数量上限
+   * @returns {Promise<Array<SlaTimer>>} 计时器列表
+   */
+  static async findDueForWarning(now, limit) {
+    return await this.findAll({
+      where: {
+        status: 'running',
+        warnedAt: null,
+        warningAt: { [Op.lte]: now },
+        dueAt: { [Op.gt]: now }
+      },
+      order: [['warningAt', 'ASC']],
+      limit
+    });
+  }
+
+  /**
+   * 查找已到期仍在计时的计时器
+   * @param {Date} now - 当前时间
+   * @param {number} limit - 数量上限
+   * @returns {Promise<Array<SlaTimer>>} 计时器列表
+   */
+  static async findDueForBreach(now, limit) {
+    return await this.findAll({
+      where: {
+        status: 'running',
+        dueAt: { [Op.lte]: now }
+      },
+      order: [['dueAt', 'ASC']],
+      limit
+    });
+  }
+
+  /**
+   * 标记已预警，只有一个进程能标记成功
+   * @param {Date} warnedAt - 预警时间
+   * @returns {Promise<boolean>} 是否标记成功
+   */
+  async markWarned(warnedAt = new Date()) {
+    const [updated] = await SlaTimer.update(
+      { warnedAt },
+      { where: { id: this.id, status: 'running', warnedAt: null } }
+    );
+    if (updated === 1) {
+      this.warnedAt = warnedAt;
+    }
+    return updated === 1;
+  }
+
+  /**
+   * 标记已超时，只有一个进程能标记成功
+   * @param {Date} breachedAt - 超时时间
+   * @returns {Promise<boolean>} 是否标记成功
+   */
+  async markBreached(breachedAt = new Date()) {
+    const [updated] = await SlaTimer.update(
+      { status: 'breached', breachedAt },
+      { where: { id: this.id, status: 'running' } }
+    );
+    if (updated === 1) {
+      this.status = 'breached';
+      this.breachedAt = breachedAt;
+    }
+    return updated === 1;
+  }
+
+  /**
+   * 获取多个会话的SLA状态
+   * 状态为 breached（有未完成的超时计时器）、warning（已到预警时间）、on_track（计时中）、
+   * met（全部按时完成）、missed（全部完成但曾经超时）或 none（没有SLA计时）
+   * @param {Array<string>} conversationIds - 会话ID列表
+   * @param {Date} now - 当前时间
+   * @returns {Promise<Object>} 会话ID到SLA状态的映射
+   */
+  static async getStates(conversationIds, now = new Date()) {
+    const states = {};
+    if (!conversationIds.length) {
+      return states;
+    }
+
+    const timers = await this.findAll({
+      where: {
+        conversationId: { [Op.in]: conversationIds },
+        status: { [Op.ne]: 'cancelled' }
+      },
+      order: [['dueAt', 'ASC']]
+    });
+
+    conversationIds.forEach(id => {
+      const conversationTimers = timers.filter(timer => timer.conversationId === id);
+      const open = conversationTimers.filter(timer => timer.isOpen());
+      const breachedCount = conversationTimers.filter(timer => timer.isBreached(now)).length;
+
+      let status = 'none';
+      if (open.some(timer => timer.isBreached(now))) {
+        status = 'breached';
+      } else if (open.some(timer => now >= timer.warningAt)) {
+        status = 'warning';
+      } else if (open.length > 0) {
+        status = 'on_track';
+      } else if (conversationTimers.length > 0) {
+        status = breachedCount > 0 ? 'missed' : 'met';
+      }
+
+      states[id] = {
+        status,
+        breachedCount,
+        nextDueAt: open.length > 0 ? open[0].dueAt : null,
+        timers: open.map(timer => timer.toResponseObject(now))
+      };
+    });
+
+    return states;
+  }
+
+  /**
+   * 是否未完成
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.status === 'running' || (this.status === 'breached' && !this.completedAt);
+  }
+
+  /**
+   * 是否已超时（包括已到期但尚未被定时任务处理的计时器）
+   * @param {Date} now - 当前时间
+   * @returns {boolean}
+   */
+  isBreached(now = new Date()) {
+    return this.status === 'breached' || (this.status === 'running' && now >= this.dueAt);
+  }
+
+  /**
+   * 转换为响应对象
+   * @param {Date} now - 当前时间，用于计算剩余时间
+   * @returns {Object} 响应对象
+   */
+  toResponseObject(now = new Date()) {
+    return {
+      id: this.id,
+      conversationId: this.conversationId,
+      policyId: this.policyId,
+      metric: this.metric,
+      status: this.status,
+      priority: this.priority,
+      category: this.category,
+      targetMinutes: this.targetMinutes,
+      startedAt: this.startedAt,
+      warningAt: this.warningAt,
+      dueAt: this.dueAt,
+      warnedAt: this.warnedAt,
+      breachedAt: this.breachedAt,
+      completedAt: this.completedAt,
+      // 剩余时间（秒），已超时为负数
+      remainingSeconds: this.isOpen() ? Math.floor((this.dueAt - now) / 1000) : null,
+      actions: this.actions,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = SlaTimer;
@@ -100,6 +100,10 @@ const Notification = require('./Notification.js');
 const Feedback = require('./Feedback.js');
 const WorkSchedule = require('./WorkSchedule.js');
 const WorkLog = require('./WorkLog.js');
+const BusinessCalendar = require('./BusinessCalendar.js');
+const SlaPolicy = require('./SlaPolicy.js');
+const SlaTimer = require('./SlaTimer.js');
+const SatisfactionSurvey = require('./SatisfactionSurvey.js');
 
 // 获取数据库配置
 const dbConfig = config.getConfig('database');
@@ -236,6 +240,10 @@ const db = {
     this.models.Feedback = Feedback.init(sequelize);
     this.models.WorkSchedule = WorkSchedule.init(sequelize);
     this.models.WorkLog = WorkLog.init(sequelize);
+    this.models.BusinessCalendar = BusinessCalendar.init(sequelize);
+    this.models.SlaPolicy = SlaPolicy.init(sequelize);
+    this.models.SlaTimer = SlaTimer.init(sequelize);
+    this.models.SatisfactionSurvey = SatisfactionSurvey.init(sequelize);
     
     console.log('所有模型初始化完成');
     return true;
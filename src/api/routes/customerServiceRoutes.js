@@ -804,6 +804,98 @@ router.get('/customer-service/statistics/trends',
   }
 );
 
+/**
+ * @swagger
+ * /api/customer-service/statistics/sla:
+ *   get:
+ *     summary: 获取SLA超时率统计
+ *     tags: [CustomerService]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startTime
+ *         schema:
+ *           type: string
+ *         description: 开始时间
+ *       - in: query
+ *         name: endTime
+ *         schema:
+ *           type: string
+ *         description: 结束时间
+ *     responses:
+ *       200:
+ *         description: 按指标、优先级和分类汇总的超时率
+ *       403:
+ *         description: 没有权限
+ */
+router.get('/customer-service/statistics/sla', 
+  permissionMiddleware.checkPermission(['admin']),
+  async (req, res) => {
+    try {
+      const { startTime, endTime } = req.query;
+      
+      const stats = await customerService.getSlaBreachStats({
+        startTime: startTime ? new Date(startTime) : undefined,
+        endTime: endTime ? new Date(endTime) : undefined
+      });
+      res.json({ data: stats });
+    } catch (error) {
+      logger.error('Failed to get SLA breach statistics:', error);
+      res.status(500).json({ error: '获取SLA超时率统计失败', details: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/customer-service/statistics/satisfaction:
+ *   get:
+ *     summary: 获取满意度统计（CSAT/NPS）
+ *     tags: [CustomerService]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startTime
+ *         schema:
+ *           type: string
+ *         description: 开始时间
+ *       - in: query
+ *         name: endTime
+ *         schema:
+ *           type: string
+ *         description: 结束时间
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [hour, day, week, month]
+ *         description: 趋势的时间间隔
+ *     responses:
+ *       200:
+ *         description: 按客服、团队、分类和时间汇总的 CSAT 和 NPS，以及低分原因
+ *       403:
+ *         description: 没有权限
+ */
+router.get('/customer-service/statistics/satisfaction', 
+  permissionMiddleware.checkPermission(['admin']),
+  async (req, res) => {
+    try {
+      const { startTime, endTime, interval = 'day' } = req.query;
+      
+      const stats = await customerService.getSatisfactionStats({
+        startTime: startTime ? new Date(startTime) : undefined,
+        endTime: endTime ? new Date(endTime) : undefined
+      }, interval);
+      res.json({ data: stats });
+    } catch (error) {
+      logger.error('Failed to get satisfaction statistics:', error);
+      res.status(500).json({ error: '获取满意度统计失败', details: error.message });
+    }
+  }
+);
+
 /**
  * 自动回复管理路由
  */
@@ -10,6 +10,8 @@ const FeedbackController = require('../controllers/FeedbackController.js');
 const WorkScheduleController = require('../controllers/WorkScheduleController.js');
 const WorkLogController = require('../controllers/WorkLogController.js');
 const AutoReplyController = require('../controllers/AutoReplyController.js');
+const SlaController = require('../controllers/SlaController.js');
+const SatisfactionSurveyController = require('../controllers/SatisfactionSurveyController.js');
 
 const router = express.Router();
 
@@ -526,40 +528,16 @@ router.delete('/protected/work-schedules/:scheduleId',
   }
 );
 router.post('/protected/work-schedules/checkin', 
-  // 临时处理函数，避免undefined错误
-  (req, res) => {
-    res.status(200).json({
-      success: true,
-      message: '签到接口暂未实现，但路由已配置'
-    });
-  }
+  WorkScheduleController.checkIn
 );
 router.post('/protected/work-schedules/checkout', 
-  // 临时处理函数，避免undefined错误
-  (req, res) => {
-    res.status(200).json({
-      success: true,
-      message: '签退接口暂未实现，但路由已配置'
-    });
-  }
+  WorkScheduleController.checkOut
 );
 router.post('/protected/work-schedules/break/start', 
-  // 临时处理函数，避免undefined错误
-  (req, res) => {
-    res.status(200).json({
-      success: true,
-      message: '开始休息接口暂未实现，但路由已配置'
-    });
-  }
+  WorkScheduleController.startRest
 );
 router.post('/protected/work-schedules/break/end', 
-  // 临时处理函数，避免undefined错误
-  (req, res) => {
-    res.status(200).json({
-      success: true,
-      message: '结束休息接口暂未实现，但路由已配置'
-    });
-  }
+  WorkScheduleController.endRest
 );
 router.get('/protected/work-schedules/stats', 
   // 临时处理函数，避免undefined错误
@@ -762,6 +740,30 @@ router.post('/protected/auto-replies/import',
   AutoReplyController.importRules
 );
 
+/**
+ * SLA相关路由
+ */
+router.get('/protected/sla/policies', requireRole(['admin', 'supervisor']), SlaController.getPolicies);
+router.post('/protected/sla/policies', requireRole(['admin', 'supervisor']), SlaController.createPolicy);
+router.get('/protected/sla/policies/:policyId', requireRole(['admin', 'supervisor']), SlaController.getPolicyById);
+router.put('/protected/sla/policies/:policyId', requireRole(['admin', 'supervisor']), SlaController.updatePolicy);
+router.delete('/protected/sla/policies/:policyId', requireRole(['admin']), SlaController.deletePolicy);
+router.get('/protected/sla/calendars', requireRole(['admin', 'supervisor']), SlaController.getCalendars);
+router.post('/protected/sla/calendars', requireRole(['admin', 'supervisor']), SlaController.createCalendar);
+router.put('/protected/sla/calendars/:calendarId', requireRole(['admin', 'supervisor']), SlaController.updateCalendar);
+router.delete('/protected/sla/calendars/:calendarId', requireRole(['admin']), SlaController.deleteCalendar);
+router.get('/protected/conversations/:conversationId/sla', 
+  requireRole(['admin', 'supervisor', 'agent']),
+  SlaController.getConversationTimers
+);
+
+/**
+ * 满意度调查相关路由（调查只能由接收调查的用户查看和填写）
+ */
+router.get('/protected/satisfaction-surveys/pending', SatisfactionSurveyController.getPendingSurveys);
+router.get('/protected/satisfaction-surveys/:surveyId', SatisfactionSurveyController.getSurveyById);
+router.post('/protected/satisfaction-surveys/:surveyId/response', SatisfactionSurveyController.submitResponse);
+
 /**
  * API健康检查
  */
@@ -791,7 +793,9 @@ router.get('/', (req, res) => {
       feedback: '/api/protected/feedback/*',
       workSchedules: '/api/protected/work-schedules/*',
       workLogs: '/api/protected/work-logs/*',
-      autoReplies: '/api/protected/auto-replies/*'
+      autoReplies: '/api/protected/auto-replies/*',
+      sla: '/api/protected/sla/*',
+      satisfactionSurveys: '/api/protected/satisfaction-surveys/*'
     }
   });
 });
@@ -0,0 +1,35 @@
+/**
+ * 满意度调查提醒任务
+ * 提醒发送后超过提醒时间仍未填写的满意度调查，并将超过有效期的调查标记为已过期
+ */
+const JobBase = require('../job/jobBase');
+const logger = require('../../core/utils/logger');
+const satisfactionSurveyService = require('../../core/services/satisfactionSurveyService');
+
+class SatisfactionSurveyJob extends JobBase {
+  constructor() {
+    super({
+      name: 'SatisfactionSurveyJob',
+      cronExpression: '*/5 * * * *', // 每5分钟执行一次
+      timeout: 4 * 60 * 1000 // 4分钟超时
+    });
+  }
+
+  /**
+   * 执行满意度调查提醒逻辑
+   */
+  async run() {
+    logger.info('开始执行满意度调查提醒任务');
+
+    try {
+      const result = await satisfactionSurveyService.processPendingSurveys();
+
+      logger.info(`满意度调查提醒任务完成，提醒 ${result.reminded} 份，过期 ${result.expired} 份`);
+    } catch (error) {
+      logger.error('执行满意度调查提醒任务时出错:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SatisfactionSurveyJob;
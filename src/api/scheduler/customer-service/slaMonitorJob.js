@@ -0,0 +1,35 @@
+/**
+ * 会话SLA监控任务
+ * 扫描到达预警时间和到期时间的SLA计时器，发出预警和超时事件，并按策略升级给主管或提升会话优先级
+ */
+const JobBase = require('../job/jobBase');
+const logger = require('../../core/utils/logger');
+const slaService = require('../../core/services/slaService');
+
+class SlaMonitorJob extends JobBase {
+  constructor() {
+    super({
+      name: 'SlaMonitorJob',
+      cronExpression: '* * * * *', // 每分钟执行一次
+      timeout: 50 * 1000 // 50秒超时
+    });
+  }
+
+  /**
+   * 执行SLA监控逻辑
+   */
+  async run() {
+    logger.info('开始执行会话SLA监控任务');
+
+    try {
+      const result = await slaService.processDueTimers();
+
+      logger.info(`会话SLA监控任务完成，预警 ${result.warned} 项，超时 ${result.breached} 项，升级 ${result.escalated} 项，提升优先级 ${result.priorityRaised} 项`);
+    } catch (error) {
+      logger.error('执行会话SLA监控任务时出错:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SlaMonitorJob;
@@ -0,0 +1,35 @@
+/**
+ * 卖家结算任务
+ * 每日为到达结算日的卖家生成结算单（T+N 每日结算，每周、每月在配置的结算日结算）
+ */
+const JobBase = require('../job/jobBase');
+const logger = require('../../core/utils/logger');
+const settlementService = require('../../core/services/settlementService');
+
+class SettlementJob extends JobBase {
+  constructor() {
+    super({
+      name: 'SettlementJob',
+      cronExpression: '30 1 * * *', // 每天凌晨1点30分执行
+      timeout: 60 * 60 * 1000 // 60分钟超时
+    });
+  }
+
+  /**
+   * 执行卖家结算逻辑
+   */
+  async run() {
+    logger.info('开始执行卖家结算任务');
+
+    try {
+      const result = await settlementService.runDueSettlements(new Date());
+
+      logger.info(`卖家结算任务完成，待结算卖家 ${result.sellers} 个，生成结算单 ${result.bills} 张（失败 ${result.failed} 个）`);
+    } catch (error) {
+      logger.error('执行卖家结算任务时出错:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SettlementJob;
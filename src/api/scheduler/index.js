@@ -14,6 +14,19 @@ const OrderAutoCloseJob = require('./order/orderAutoCloseJob');
 const DataSyncJob = require('./sync/dataSyncJob');
 const ReportGenerationJob = require('./report/reportGenerationJob');
 const CacheRefreshJob = require('./cache/cacheRefreshJob');
+const MemberCardJob = require('./member/memberCardJob');
+const PointExpiryJob = require('./member/pointExpiryJob');
+const AfterSalesTimeoutJob = require('./order/afterSalesTimeoutJob');
+const SettlementJob = require('./finance/settlementJob');
+const PaymentReconcileJob = require('./order/paymentReconcileJob');
+const WalletReconcileJob = require('./member/walletReconcileJob');
+const DistributionUnfreezeJob = require('./member/distributionUnfreezeJob');
+const BargainExpireJob = require('./promotion/bargainExpireJob');
+const GroupBuyExpireJob = require('./promotion/groupBuyExpireJob');
+const FlashSalePreloadJob = require('./promotion/flashSalePreloadJob');
+const CouponIssueJob = require('./promotion/couponIssueJob');
+const SlaMonitorJob = require('./customer-service/slaMonitorJob');
+const SatisfactionSurveyJob = require('./customer-service/satisfactionSurveyJob');
 
 /**
  * 初始化定时任务
@@ -53,6 +66,58 @@ function registerScheduledTasks() {
     const cacheRefreshJob = new CacheRefreshJob();
     jobScheduler.addJob(cacheRefreshJob);
     
+    // 注册会员卡维护任务
+    const memberCardJob = new MemberCardJob();
+    jobScheduler.addJob(memberCardJob);
+    
+    // 注册积分过期任务
+    const pointExpiryJob = new PointExpiryJob();
+    jobScheduler.addJob(pointExpiryJob);
+    
+    // 注册售后超时处理任务
+    const afterSalesTimeoutJob = new AfterSalesTimeoutJob();
+    jobScheduler.addJob(afterSalesTimeoutJob);
+    
+    // 注册卖家结算任务
+    const settlementJob = new SettlementJob();
+    jobScheduler.addJob(settlementJob);
+    
+    // 注册支付对账任务
+    const paymentReconcileJob = new PaymentReconcileJob();
+    jobScheduler.addJob(paymentReconcileJob);
+    
+    // 注册钱包余额对账任务
+    const walletReconcileJob = new WalletReconcileJob();
+    jobScheduler.addJob(walletReconcileJob);
+    
+    // 注册分销佣金解冻任务
+    const distributionUnfreezeJob = new DistributionUnfreezeJob();
+    jobScheduler.addJob(distributionUnfreezeJob);
+    
+    // 注册砍价到期处理任务
+    const bargainExpireJob = new BargainExpireJob();
+    jobScheduler.addJob(bargainExpireJob);
+    
+    // 注册拼团到期处理任务
+    const groupBuyExpireJob = new GroupBuyExpireJob();
+    jobScheduler.addJob(groupBuyExpireJob);
+    
+    // 注册秒杀库存预热任务
+    const flashSalePreloadJob = new FlashSalePreloadJob();
+    jobScheduler.addJob(flashSalePreloadJob);
+    
+    // 注册优惠券发放任务
+    const couponIssueJob = new CouponIssueJob();
+    jobScheduler.addJob(couponIssueJob);
+    
+    // 注册会话SLA监控任务
+    const slaMonitorJob = new SlaMonitorJob();
+    jobScheduler.addJob(slaMonitorJob);
+    
+    // 注册满意度调查提醒任务
+    const satisfactionSurveyJob = new SatisfactionSurveyJob();
+    jobScheduler.addJob(satisfactionSurveyJob);
+    
     // 注册数据备份任务
     scheduleBackupTask();
     
@@ -0,0 +1,35 @@
+/**
+ * 分销佣金解冻任务
+ * 将订单已完成、已过售后期且没有处理中售后单的冻结佣金转为可提现
+ */
+const JobBase = require('../job/jobBase');
+const logger = require('../../core/utils/logger');
+const distributionService = require('../../core/services/distributionService');
+
+class DistributionUnfreezeJob extends JobBase {
+  constructor() {
+    super({
+      name: 'DistributionUnfreezeJob',
+      cronExpression: '15 * * * *', // 每小时第15分钟执行
+      timeout: 10 * 60 * 1000 // 10分钟超时
+    });
+  }
+
+  /**
+   * 执行分销佣金解冻逻辑
+   */
+  async run() {
+    logger.info('开始执行分销佣金解冻任务');
+
+    try {
+      const result = await distributionService.unfreezeMatured();
+
+      logger.info(`分销佣金解冻任务完成，解冻佣金 ${result.released} 笔，共 ${result.amount.toFixed(2)} 元`);
+    } catch (error) {
+      logger.error('执行分销佣金解冻任务时出错:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = DistributionUnfreezeJob;
@@ -0,0 +1,55 @@
+/**
+ * 会员卡维护任务
+ * 处理会员卡到期和会员等级保级评估
+ */
+const JobBase = require('../job/jobBase');
+const logger = require('../../core/utils/logger');
+const memberCardService = require('../../core/services/memberCardService');
+
+class MemberCardJob extends JobBase {
+  constructor() {
+    super({
+      name: 'MemberCardJob',
+      cronExpression: '30 2 * * *', // 每天凌晨2点30分执行
+      timeout: 30 * 60 * 1000 // 30分钟超时
+    });
+
+    // 单批处理数量
+    this.batchSize = 500;
+  }
+
+  /**
+   * 执行会员卡维护逻辑
+   */
+  async run() {
+    logger.info('开始执行会员卡维护任务');
+
+    try {
+      // 1. 标记到期会员卡，过期后不再享受等级权益
+      let expired = 0;
+      let count;
+      do {
+        count = await memberCardService.expireMemberCards(this.batchSize);
+        expired += count;
+      } while (count === this.batchSize);
+
+      // 2. 对保级周期到期的会员进行保级评估
+      let evaluated = 0;
+      let downgraded = 0;
+      let result;
+      do {
+        result = await memberCardService.evaluateDueMembers(this.batchSize);
+        evaluated += result.evaluated;
+        downgraded += result.downgraded;
+        // 整批评估失败时停止，避免反复处理同一批会员
+      } while (result.evaluated === this.batchSize && result.failed < result.evaluated);
+
+      logger.info(`会员卡维护任务完成，过期 ${expired} 张，保级评估 ${evaluated} 人，降级 ${downgraded} 人`);
+    } catch (error) {
+      logger.error('执行会员卡维护任务时出错:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = MemberCardJob;
@@ -0,0 +1,46 @@
+/**
+ * 积分过期任务
+ * 按积分批次的过期时间扣除到期未使用的积分
+ */
+const JobBase = require('../job/jobBase');
+const logger = require('../../core/utils/logger');
+const pointService = require('../../core/services/pointService');
+
+class PointExpiryJob extends JobBase {
+  constructor() {
+    super({
+      name: 'PointExpiryJob',
+      cronExpression: '10 0 * * *', // 每天凌晨0点10分执行
+      timeout: 30 * 60 * 1000 // 30分钟超时
+    });
+
+    // 单批处理的用户数
+    this.batchSize = 500;
+  }
+
+  /**
+   * 执行积分过期逻辑
+   */
+  async run() {
+    logger.info('开始执行积分过期任务');
+
+    try {
+      let users = 0;
+      let points = 0;
+      let result;
+      do {
+        result = await pointService.expirePoints(this.batchSize);
+        users += result.users;
+        points += result.points;
+        // 整批没有可过期的积分时停止，避免重复处理同一批用户
+      } while (result.users === this.batchSize && result.points > 0);
+
+      logger.info(`积分过期任务完成，处理 ${users} 个用户，过期积分 ${points}`);
+    } catch (error) {
+      logger.error('执行积分过期任务时出错:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PointExpiryJob;
@@ -0,0 +1,38 @@
+/**
+ * 钱包余额对账任务
+ * 核对每个钱包账户的余额、冻结金额与资金流水合计，不一致的账户记录为对账差异，并关闭已过期的充值单
+ */
+const JobBase = require('../job/jobBase');
+const logger = require('../../core/utils/logger');
+const walletService = require('../../core/services/walletService');
+
+class WalletReconcileJob extends JobBase {
+  constructor() {
+    super({
+      name: 'WalletReconcileJob',
+      cronExpression: '30 3 * * *', // 每天凌晨3点30分执行
+      timeout: 30 * 60 * 1000 // 30分钟超时
+    });
+  }
+
+  /**
+   * 执行钱包余额对账逻辑
+   */
+  async run() {
+    logger.info('开始执行钱包余额对账任务');
+
+    try {
+      const result = await walletService.reconcileBalances();
+
+      if (result.mismatches > 0) {
+        logger.warn(`钱包余额对账发现 ${result.mismatches} 个账户与资金流水不一致（新增差异 ${result.flagged} 个）`);
+      }
+      logger.info(`钱包余额对账任务完成（${result.runDate}），关闭过期充值单 ${result.closedRecharges} 个`);
+    } catch (error) {
+      logger.error('执行钱包余额对账任务时出错:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = WalletReconcileJob;
@@ -0,0 +1,40 @@
+/**
+ * 售后超时处理任务
+ * 自动同意卖家超时未审核的售后申请，并发起待退款、退款失败的售后退款
+ */
+const JobBase = require('../job/jobBase');
+const logger = require('../../core/utils/logger');
+const afterSalesService = require('../../core/services/afterSalesService');
+
+class AfterSalesTimeoutJob extends JobBase {
+  constructor() {
+    super({
+      name: 'AfterSalesTimeoutJob',
+      cronExpression: '*/10 * * * *', // 每10分钟执行一次
+      timeout: 5 * 60 * 1000 // 5分钟超时
+    });
+
+    // 单批处理的售后单数
+    this.batchSize = 200;
+  }
+
+  /**
+   * 执行售后超时处理逻辑
+   */
+  async run() {
+    logger.info('开始执行售后超时处理任务');
+
+    try {
+      const approval = await afterSalesService.autoApproveOverdue(this.batchSize);
+      const refund = await afterSalesService.retryPendingRefunds(this.batchSize);
+
+      logger.info(`售后超时处理任务完成，自动同意 ${approval.approved} 个申请（失败 ${approval.failed} 个），` +
+        `退款成功 ${refund.refunded} 个（失败 ${refund.failed} 个）`);
+    } catch (error) {
+      logger.error('执行售后超时处理任务时出错:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AfterSalesTimeoutJob;
@@ -5,6 +5,13 @@
 const JobBase = require('../job/jobBase');
 const logger = require('../../core/utils/logger');
 const cacheManager = require('../../core/cache/cacheManager');
+const stockReservationService = require('../../buyer-api/order/services/stockReservationService');
+const pointService = require('../../core/services/pointService');
+const bargainService = require('../../core/services/bargainService');
+const groupBuyService = require('../../core/services/groupBuyService');
+const flashSaleService = require('../../core/services/flashSaleService');
+const couponService = require('../../core/services/couponService');
+const paymentRepository = require('../../core/repositories/paymentRepository');
 
 class OrderAutoCloseJob extends JobBase {
   constructor() {
@@ -33,9 +40,13 @@ class OrderAutoCloseJob extends JobBase {
       // 2. 检查并关闭超时订单
       const closedOrders = await this.checkAndCloseTimeoutOrders(ordersToCheck);
       
+      // 3. 关闭库存预占已过期但未出现在待支付列表中的订单
+      const expiredOrders = await this.closeExpiredReservationOrders(closedOrders);
+      closedOrders.push(...expiredOrders);
+      
       logger.info(`成功关闭 ${closedOrders.length} 个超时订单`);
       
-      // 3. 处理关闭后的清理工作
+      // 4. 处理关闭后的清理工作
       if (closedOrders.length > 0) {
         await this.handlePostCloseActions(closedOrders);
       }
@@ -84,7 +95,7 @@ class OrderAutoCloseJob extends JobBase {
   async checkAndCloseTimeoutOrders(orders) {
     const closedOrders = [];
     const now = new Date();
-    const timeoutMinutes = 30; // 30分钟超时
+    const timeoutMinutes = stockReservationService.paymentTimeoutMinutes; // 与库存预占时长一致
     
     for (const order of orders) {
       const orderTime = new Date(order.createdAt);
@@ -94,7 +105,10 @@ class OrderAutoCloseJob extends JobBase {
       if (timeDiffInMinutes >= timeoutMinutes) {
         try {
           // 关闭订单
-          await this.closeOrder(order);
+          const closed = await this.closeOrder(order);
+          if (!closed) {
+            continue;
+          }
           closedOrders.push(order);
           
           logger.info(`订单 ${order.orderId} 已自动关闭，创建时间: ${order.createdAt}，超时时间: ${timeoutMinutes}分钟`);
@@ -108,39 +122,126 @@ class OrderAutoCloseJob extends JobBase {
   }
 
   /**
-   * 关闭订单
+   * 关闭库存预占已过期的订单
+   * @param {Array} closedOrders - 本次已关闭的订单
+   * @returns {Promise<Array>} 额外关闭的订单
    */
-  async closeOrder(order) {
+  async closeExpiredReservationOrders(closedOrders) {
+    const closedIds = new Set(closedOrders.map(order => order.orderId));
+    const expiredOrders = [];
+    
+    let orderIds = [];
     try {
-      // 更新订单状态
-      order.status = 'closed';
-      order.closedAt = new Date().toISOString();
-      order.closeReason = 'payment_timeout';
+      orderIds = await stockReservationService.getExpiredOrderIds();
+    } catch (error) {
+      logger.error('获取过期库存预占失败:', error);
+      return expiredOrders;
+    }
+    
+    for (const orderId of orderIds) {
+      if (closedIds.has(orderId)) {
+        continue;
+      }
       
-      // 更新缓存中的订单数据
+      const order = this.mockOrders.find(o => o.orderId === orderId) || { orderId, status: 'pending_payment' };
       try {
-        const cachedOrders = await cacheManager.get('pending_payment_orders');
-        if (cachedOrders) {
-          const orders = JSON.parse(cachedOrders);
-          const index = orders.findIndex(o => o.orderId === order.orderId);
-          if (index !== -1) {
-            orders[index] = order;
-            await cacheManager.set('pending_payment_orders', JSON.stringify(orders), 3600);
+        const closed = await this.closeOrder(order);
+        if (!closed) {
+          continue;
+        }
+        expiredOrders.push(order);
+        logger.info(`订单 ${orderId} 库存预占已过期，已自动关闭`);
+      } catch (error) {
+        logger.error(`关闭订单 ${orderId} 失败:`, error);
+      }
+    }
+    
+    return expiredOrders;
+  }
+
+  /**
+   * 关闭订单
+   * 订单状态更新、库存预占释放与积分退回在同一事务中完成，任一失败时订单保持待支付状态
+   * @param {Object} order - 订单
+   * @returns {Promise<Object|null>} 关闭的订单，订单已不是待支付状态时返回null
+   */
+  async closeOrder(order) {
+    const previous = { ...order };
+    
+    try {
+      let pointsChanges = [];
+      let flashSaleRelease = null;
+      const closed = await stockReservationService.runInTransaction(async (connection, transaction) => {
+        // 先关闭订单记录，订单已支付或已被取消、关闭时不做任何释放
+        const updated = await paymentRepository.closePendingOrder(connection, order.orderId);
+        if (!updated) {
+          logger.info(`订单 ${order.orderId} 已不是待支付状态，跳过关闭`);
+          return null;
+        }
+        
+        // 更新订单状态
+        order.status = 'closed';
+        order.closedAt = new Date().toISOString();
+        order.closeReason = 'payment_timeout';
+        transaction.onRollback(() => Object.assign(order, previous));
+        
+        // 更新缓存中的订单数据
+        try {
+          const cachedOrders = await cacheManager.get('pending_payment_orders');
+          if (cachedOrders) {
+            const orders = JSON.parse(cachedOrders);
+            const index = orders.findIndex(o => o.orderId === order.orderId);
+            if (index !== -1) {
+              orders[index] = order;
+              await cacheManager.set('pending_payment_orders', JSON.stringify(orders), 3600);
+              transaction.onRollback(async () => {
+                orders[index] = previous;
+                await cacheManager.set('pending_payment_orders', JSON.stringify(orders), 3600);
+              });
+            }
           }
+        } catch (cacheError) {
+          logger.warn('更新缓存中的订单数据失败:', cacheError.message);
         }
-      } catch (cacheError) {
-        logger.warn('更新缓存中的订单数据失败:', cacheError.message);
+        
+        // 更新模拟数据
+        const mockIndex = this.mockOrders.findIndex(o => o.orderId === order.orderId);
+        if (mockIndex !== -1) {
+          this.mockOrders[mockIndex] = order;
+        }
+        
+        // 释放库存预占并归还库存
+        await stockReservationService.release(order.orderId, order.closeReason, connection);
+        
+        // 退回下单时使用的积分
+        pointsChanges = await pointService.returnOrderPoints(order.orderId, { reason: '订单超时关闭' }, connection);
+        
+        // 恢复下单时锁定的优惠券
+        await couponService.releaseOrder(order.orderId, connection);
+        
+        // 恢复砍价订单对应的砍价记录
+        await bargainService.releaseOrder(order.orderId, connection);
+        
+        // 释放拼团订单占用的团内名额
+        await groupBuyService.onOrderCanceled(order.orderId, connection);
+        
+        // 释放秒杀订单，库存在事务提交后归还到秒杀库存池
+        flashSaleRelease = await flashSaleService.releaseOrder(order.orderId, connection);
+        
+        return order;
+      });
+      
+      if (!closed) {
+        return null;
       }
       
-      // 更新模拟数据
-      const mockIndex = this.mockOrders.findIndex(o => o.orderId === order.orderId);
-      if (mockIndex !== -1) {
-        this.mockOrders[mockIndex] = order;
+      for (const change of pointsChanges) {
+        await pointService.publishChange(change);
       }
       
-      // TODO: 实际环境中，这里应该更新数据库
+      await flashSaleService.restoreStock(flashSaleRelease);
       
-      return order;
+      return closed;
     } catch (error) {
       logger.error(`更新订单状态失败:`, error);
       throw error;
@@ -152,13 +253,11 @@ class OrderAutoCloseJob extends JobBase {
    */
   async handlePostCloseActions(closedOrders) {
     try {
-      // 1. 恢复库存
-      await this.restoreInventory(closedOrders);
-      
-      // 2. 发送通知
+      // 库存和积分已在关闭订单的事务中归还
+      // 1. 发送通知
       await this.sendCloseNotifications(closedOrders);
       
-      // 3. 记录日志
+      // 2. 记录日志
       await this.logClosedOrders(closedOrders);
       
     } catch (error) {
@@ -167,29 +266,6 @@ class OrderAutoCloseJob extends JobBase {
     }
   }
 
-  /**
-   * 恢复库存
-   */
-  async restoreInventory(closedOrders) {
-    try {
-      // TODO: 实际环境中，这里应该恢复商品库存
-      logger.info(`为 ${closedOrders.length} 个订单恢复库存`);
-      
-      // 模拟恢复库存操作
-      for (const order of closedOrders) {
-        if (order.items && order.items.length > 0) {
-          for (const item of order.items) {
-            logger.debug(`恢复商品 ${item.productId} 库存，数量: ${item.quantity}`);
-          }
-        }
-      }
-      
-    } catch (error) {
-      logger.error('恢复库存失败:', error);
-      throw error;
-    }
-  }
-
   /**
    * 发送关闭通知
    */
@@ -0,0 +1,37 @@
+/**
+ * 支付对账任务
+ * 主动查询仍待支付的微信支付、支付宝支付单，补记丢失的支付通知，并关闭超过支付时限的支付单；
+ * 重试订单已不可支付时收到款项的支付单的原路退款
+ */
+const JobBase = require('../job/jobBase');
+const logger = require('../../core/utils/logger');
+const { PaymentService } = require('../../core/services/paymentService');
+
+class PaymentReconcileJob extends JobBase {
+  constructor() {
+    super({
+      name: 'PaymentReconcileJob',
+      cronExpression: '*/2 * * * *', // 每2分钟执行一次
+      timeout: 90 * 1000 // 90秒超时
+    });
+  }
+
+  /**
+   * 执行支付对账逻辑
+   */
+  async run() {
+    logger.info('开始执行支付对账任务');
+
+    try {
+      const result = await PaymentService.getInstance().reconcilePendingPayments();
+
+      logger.info(`支付对账任务完成，查询 ${result.checked} 个支付单，补记支付成功 ${result.paid} 个，` +
+        `关闭 ${result.closed} 个，退款 ${result.refunded} 个（失败 ${result.failed} 个）`);
+    } catch (error) {
+      logger.error('执行支付对账任务时出错:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PaymentReconcileJob;
@@ -0,0 +1,35 @@
+/**
+ * 砍价到期处理任务
+ * 将超过砍价时限仍未砍到底价的砍价记为失败、砍价成功后超过下单期限的记为过期，并归还活动库存
+ */
+const JobBase = require('../job/jobBase');
+const logger = require('../../core/utils/logger');
+const bargainService = require('../../core/services/bargainService');
+
+class BargainExpireJob extends JobBase {
+  constructor() {
+    super({
+      name: 'BargainExpireJob',
+      cronExpression: '*/5 * * * *', // 每5分钟执行一次
+      timeout: 4 * 60 * 1000 // 4分钟超时
+    });
+  }
+
+  /**
+   * 执行砍价到期处理逻辑
+   */
+  async run() {
+    logger.info('开始执行砍价到期处理任务');
+
+    try {
+      const result = await bargainService.expireRecords();
+
+      logger.info(`砍价到期处理任务完成，砍价失败 ${result.failed} 个，超时未下单 ${result.expired} 个`);
+    } catch (error) {
+      logger.error('执行砍价到期处理任务时出错:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = BargainExpireJob;
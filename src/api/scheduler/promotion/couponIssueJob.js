@@ -0,0 +1,36 @@
+/**
+ * 优惠券发放任务
+ * 分批执行平台创建的定向发放任务，并将过期的未使用优惠券记为已过期
+ */
+const JobBase = require('../job/jobBase');
+const logger = require('../../core/utils/logger');
+const couponService = require('../../core/services/couponService');
+
+class CouponIssueJob extends JobBase {
+  constructor() {
+    super({
+      name: 'CouponIssueJob',
+      cronExpression: '* * * * *', // 每分钟执行一次
+      timeout: 50000 // 50秒超时
+    });
+  }
+
+  /**
+   * 执行定向发放和优惠券过期处理逻辑
+   */
+  async run() {
+    logger.info('开始执行优惠券发放任务');
+
+    try {
+      const result = await couponService.processIssueTasks();
+      const expired = await couponService.expireCoupons();
+
+      logger.info(`优惠券发放任务完成，执行发放任务 ${result.tasks} 个，发放优惠券 ${result.issued} 张，过期优惠券 ${expired} 张`);
+    } catch (error) {
+      logger.error('执行优惠券发放任务时出错:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CouponIssueJob;
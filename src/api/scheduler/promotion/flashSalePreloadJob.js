@@ -0,0 +1,36 @@
+/**
+ * 秒杀库存预热任务
+ * 将即将开始的秒杀活动库存预热到 Redis，并清理排队超时的抢购请求：已创建订单的补记为已下单，否则记为失败并归还库存
+ */
+const JobBase = require('../job/jobBase');
+const logger = require('../../core/utils/logger');
+const flashSaleService = require('../../core/services/flashSaleService');
+
+class FlashSalePreloadJob extends JobBase {
+  constructor() {
+    super({
+      name: 'FlashSalePreloadJob',
+      cronExpression: '* * * * *', // 每分钟执行一次
+      timeout: 50000 // 50秒超时
+    });
+  }
+
+  /**
+   * 执行秒杀库存预热和排队清理逻辑
+   */
+  async run() {
+    logger.info('开始执行秒杀库存预热任务');
+
+    try {
+      const preloaded = await flashSaleService.preloadUpcoming();
+      const result = await flashSaleService.sweepRequests();
+
+      logger.info(`秒杀库存预热任务完成，预热活动 ${preloaded} 个，补记已下单 ${result.confirmed} 个，排队超时 ${result.expired} 个`);
+    } catch (error) {
+      logger.error('执行秒杀库存预热任务时出错:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = FlashSalePreloadJob;
@@ -0,0 +1,35 @@
+/**
+ * 拼团到期处理任务
+ * 将超过成团时限仍未凑齐人数的团按活动设置模拟成团或记为失败，为失败团的已支付团员原路退款，并重试退款失败的拼团订单
+ */
+const JobBase = require('../job/jobBase');
+const logger = require('../../core/utils/logger');
+const groupBuyService = require('../../core/services/groupBuyService');
+
+class GroupBuyExpireJob extends JobBase {
+  constructor() {
+    super({
+      name: 'GroupBuyExpireJob',
+      cronExpression: '*/5 * * * *', // 每5分钟执行一次
+      timeout: 4 * 60 * 1000 // 4分钟超时
+    });
+  }
+
+  /**
+   * 执行拼团到期处理逻辑
+   */
+  async run() {
+    logger.info('开始执行拼团到期处理任务');
+
+    try {
+      const result = await groupBuyService.expireTeams();
+
+      logger.info(`拼团到期处理任务完成，模拟成团 ${result.simulated} 个，拼团失败 ${result.failed} 个，退款成功 ${result.refunded} 笔，退款失败 ${result.refundFailed} 笔`);
+    } catch (error) {
+      logger.error('执行拼团到期处理任务时出错:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = GroupBuyExpireJob;
@@ -5,6 +5,7 @@
 const JobBase = require('../job/jobBase');
 const logger = require('../../core/utils/logger');
 const cacheManager = require('../../core/cache/cacheManager');
+const inventoryService = require('../../core/services/inventoryService');
 
 class DataSyncJob extends JobBase {
   constructor() {
@@ -66,17 +67,19 @@ class DataSyncJob extends JobBase {
       // 模拟从外部系统获取库存数据
       const externalInventory = this.getMockInventoryData();
       
-      // 模拟同步过程
-      await this.processInventorySync(externalInventory);
+      // 通过库存服务导入，每条记录写入一条导入流水
+      const result = await this.processInventorySync(externalInventory);
       
       // 更新同步状态
       this.syncStatus.inventory = {
         lastSyncTime: new Date(),
-        success: true,
-        recordCount: externalInventory.length
+        success: result.failed === 0,
+        recordCount: externalInventory.length,
+        imported: result.imported,
+        failed: result.failed
       };
       
-      logger.info(`成功同步 ${externalInventory.length} 条库存记录`);
+      logger.info(`成功同步 ${externalInventory.length} 条库存记录`, result);
       
     } catch (error) {
       logger.error('同步库存数据失败:', error);
@@ -190,15 +193,13 @@ class DataSyncJob extends JobBase {
 
   /**
    * 处理库存同步
+   * 外部系统的库存数量作为可售库存导入
    */
   async processInventorySync(inventoryData) {
-    // 模拟同步过程，实际环境中应该更新数据库
-    await new Promise(resolve => setTimeout(resolve, 1000)); // 模拟网络延迟
-    
-    // 记录同步日志
-    for (const item of inventoryData) {
-      logger.debug(`同步库存: 商品ID=${item.productId}, 库存=${item.quantity}, 仓库=${item.warehouseId}`);
-    }
+    const result = await inventoryService.importInventory(inventoryData, {
+      reason: '外部系统库存同步',
+      operatorId: 'system'
+    });
     
     // 更新缓存
     try {
@@ -206,6 +207,8 @@ class DataSyncJob extends JobBase {
     } catch (error) {
       logger.warn('更新库存缓存失败:', error.message);
     }
+    
+    return result;
   }
 
   /**
@@ -0,0 +1,167 @@
+/**
+ * 卖家端砍价控制器
+ * 处理砍价活动创建、修改、结束、删除和砍价记录查询相关的HTTP请求，卖家只能管理自己店铺的活动
+ */
+
+const logger = require('../../../core/utils/logger');
+const bargainService = require('../../../core/services/bargainService');
+
+/**
+ * 返回错误响应
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误
+ */
+function sendError(res, error) {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    code: status,
+    message: status === 500 ? '服务器内部错误' : error.message,
+    data: null
+  });
+}
+
+/**
+ * 获取操作人（店主或员工）
+ * @param {Object} req - Express请求对象
+ * @returns {Object} 操作人
+ */
+function getOperator(req) {
+  const { sellerId, staffId } = req.shopContext;
+  return { id: String(staffId || sellerId), type: 'seller' };
+}
+
+/**
+ * 获取活动参数
+ * @param {Object} body - 请求体
+ * @returns {Object} 活动参数
+ */
+function getCampaignParams(body) {
+  const { productId, skuId, name, floorPrice, helperCount, minCut, maxCut, durationHours, stock, limitPerUser, startTime, endTime } = body;
+  return { productId, skuId, name, floorPrice, helperCount, minCut, maxCut, durationHours, stock, limitPerUser, startTime, endTime };
+}
+
+class BargainController {
+  /**
+   * 获取砍价活动列表
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getCampaigns(req, res) {
+    try {
+      const { keyword, state, startDate, endDate, page, pageSize } = req.query;
+      const campaigns = await bargainService.getCampaigns({
+        sellerId: req.shopContext.sellerId, keyword, state, startDate, endDate, page, pageSize
+      });
+      res.json({ code: 200, message: 'success', data: campaigns });
+    } catch (error) {
+      logger.error('获取砍价活动失败', { sellerId: req.shopContext.sellerId, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 创建砍价活动
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async createCampaign(req, res) {
+    try {
+      const campaign = await bargainService.createCampaign(getCampaignParams(req.body), getOperator(req), {
+        sellerId: req.shopContext.sellerId
+      });
+      res.status(201).json({ code: 201, message: '砍价活动已创建', data: campaign });
+    } catch (error) {
+      logger.error('创建砍价活动失败', { sellerId: req.shopContext.sellerId, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取砍价活动详情
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getCampaign(req, res) {
+    try {
+      const campaign = await bargainService.getCampaign(parseInt(req.params.id, 10), { sellerId: req.shopContext.sellerId });
+      res.json({ code: 200, message: 'success', data: campaign });
+    } catch (error) {
+      logger.error('获取砍价活动详情失败', { campaignId: req.params.id, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 修改砍价活动
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async updateCampaign(req, res) {
+    try {
+      const campaign = await bargainService.updateCampaign(
+        parseInt(req.params.id, 10),
+        getCampaignParams(req.body),
+        getOperator(req),
+        { sellerId: req.shopContext.sellerId }
+      );
+      res.json({ code: 200, message: '砍价活动已修改', data: campaign });
+    } catch (error) {
+      logger.error('修改砍价活动失败', { campaignId: req.params.id, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 结束砍价活动
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async closeCampaign(req, res) {
+    try {
+      const campaign = await bargainService.closeCampaign(parseInt(req.params.id, 10), getOperator(req), {
+        sellerId: req.shopContext.sellerId
+      });
+      res.json({ code: 200, message: '砍价活动已结束', data: campaign });
+    } catch (error) {
+      logger.error('结束砍价活动失败', { campaignId: req.params.id, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 删除砍价活动
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async deleteCampaign(req, res) {
+    try {
+      await bargainService.deleteCampaign(parseInt(req.params.id, 10), getOperator(req), {
+        sellerId: req.shopContext.sellerId
+      });
+      res.json({ code: 200, message: '砍价活动已删除', data: null });
+    } catch (error) {
+      logger.error('删除砍价活动失败', { campaignId: req.params.id, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取砍价记录列表
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getRecords(req, res) {
+    try {
+      const { campaignId, status, page, pageSize } = req.query;
+      const records = await bargainService.getRecords({
+        sellerId: req.shopContext.sellerId, campaignId, status, page, pageSize
+      });
+      res.json({ code: 200, message: 'success', data: records });
+    } catch (error) {
+      logger.error('获取砍价记录失败', { sellerId: req.shopContext.sellerId, error: error.message });
+      sendError(res, error);
+    }
+  }
+}
+
+module.exports = new BargainController();
@@ -0,0 +1,26 @@
+/**
+ * 卖家端砍价模块入口
+ * 导出砍价活动管理和砍价记录查询相关的控制器和路由，砍价业务逻辑由核心砍价服务提供
+ */
+
+const bargainRoutes = require('./routes/bargainRoutes');
+const bargainController = require('./controllers/bargainController');
+
+/**
+ * 注册砍价模块路由
+ * 需在卖家端接口守卫之后注册，接口需要营销模块权限
+ * @param {Object} app - Express应用实例
+ */
+function register(app) {
+  app.use('/api/seller', bargainRoutes);
+}
+
+module.exports = {
+  register,
+  controllers: {
+    bargainController
+  },
+  routes: {
+    bargainRoutes
+  }
+};
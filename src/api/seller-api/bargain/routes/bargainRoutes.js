@@ -0,0 +1,176 @@
+/**
+ * 卖家端砍价路由
+ * 配置砍价活动管理和砍价记录查询接口
+ * 认证和权限校验由卖家端接口守卫（shopPermissionGuard）统一处理，需要营销模块权限
+ */
+
+const express = require('express');
+const router = express.Router();
+const bargainController = require('../controllers/bargainController');
+const bargainValidation = require('../validations/bargainValidation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 卖家砍价
+ *   description: 砍价活动管理和砍价记录
+ */
+
+/**
+ * @swagger
+ * /api/seller/promotion/bargains:
+ *   get:
+ *     summary: 获取砍价活动列表
+ *     tags: [卖家砍价]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: keyword
+ *         schema: { type: string }
+ *       - in: query
+ *         name: state
+ *         schema: { type: string, enum: ['not_started', 'ongoing', 'ended'] }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, default: 20 }
+ *     responses:
+ *       200:
+ *         description: 砍价活动分页列表（含发起、成功、下单统计）
+ */
+router.get('/promotion/bargains', bargainValidation.validateCampaignList, bargainController.getCampaigns);
+
+/**
+ * @swagger
+ * /api/seller/promotion/bargains:
+ *   post:
+ *     summary: 创建砍价活动
+ *     description: 原价取商品规格或商品的当前售价；助力人数须能按每刀最低、最高金额恰好砍到底价
+ *     tags: [卖家砍价]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [productId, floorPrice, helperCount, durationHours, stock, startTime, endTime]
+ *             properties:
+ *               productId: { type: string }
+ *               skuId: { type: string }
+ *               name: { type: string, description: '活动名称，默认为商品名称' }
+ *               floorPrice: { type: number, description: '底价（元）' }
+ *               helperCount: { type: integer, description: '需要的助力人数' }
+ *               minCut: { type: number, description: '每刀最低金额（元）' }
+ *               maxCut: { type: number, description: '每刀最高金额（元）' }
+ *               durationHours: { type: integer, description: '砍价时限（小时）' }
+ *               stock: { type: integer, description: '活动库存' }
+ *               limitPerUser: { type: integer, default: 1, description: '每人限购' }
+ *               startTime: { type: string, format: date-time }
+ *               endTime: { type: string, format: date-time }
+ *     responses:
+ *       201:
+ *         description: 砍价活动
+ *       400:
+ *         description: 参数无效或无法砍到底价
+ */
+router.post('/promotion/bargains', bargainValidation.validateCreateCampaign, bargainController.createCampaign);
+
+/**
+ * @swagger
+ * /api/seller/promotion/bargains/records:
+ *   get:
+ *     summary: 获取砍价记录列表
+ *     tags: [卖家砍价]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: campaignId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: ['in_progress', 'success', 'ordered', 'failed', 'expired'] }
+ *     responses:
+ *       200:
+ *         description: 砍价记录分页列表
+ */
+router.get('/promotion/bargains/records', bargainValidation.validateRecordList, bargainController.getRecords);
+
+/**
+ * @swagger
+ * /api/seller/promotion/bargains/{id}:
+ *   get:
+ *     summary: 获取砍价活动详情
+ *     tags: [卖家砍价]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: 砍价活动
+ *       404:
+ *         description: 砍价活动不存在
+ */
+router.get('/promotion/bargains/:id', bargainValidation.validateCampaignId, bargainController.getCampaign);
+
+/**
+ * @swagger
+ * /api/seller/promotion/bargains/{id}:
+ *   put:
+ *     summary: 修改砍价活动
+ *     description: 只影响之后发起的砍价，活动库存不能少于已发起砍价占用的数量，已结束的活动不能修改
+ *     tags: [卖家砍价]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: 砍价活动
+ *       409:
+ *         description: 活动已结束
+ */
+router.put('/promotion/bargains/:id', bargainValidation.validateUpdateCampaign, bargainController.updateCampaign);
+
+/**
+ * @swagger
+ * /api/seller/promotion/bargains/{id}/close:
+ *   post:
+ *     summary: 结束砍价活动
+ *     description: 结束后不能再发起砍价，已发起的砍价可继续完成
+ *     tags: [卖家砍价]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 砍价活动
+ */
+router.post('/promotion/bargains/:id/close', bargainValidation.validateCampaignId, bargainController.closeCampaign);
+
+/**
+ * @swagger
+ * /api/seller/promotion/bargains/{id}:
+ *   delete:
+ *     summary: 删除砍价活动
+ *     tags: [卖家砍价]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ */
+router.delete('/promotion/bargains/:id', bargainValidation.validateCampaignId, bargainController.deleteCampaign);
+
+module.exports = router;
@@ -0,0 +1,193 @@
+/**
+ * 卖家端优惠券控制器
+ * 处理店铺优惠券创建、修改、启停、兑换码生成和领取记录查询相关的HTTP请求，卖家只能管理自己店铺的优惠券
+ */
+
+const logger = require('../../../core/utils/logger');
+const couponService = require('../../../core/services/couponService');
+
+/**
+ * 返回错误响应
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误
+ */
+function sendError(res, error) {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    code: status,
+    message: status === 500 ? '服务器内部错误' : error.message,
+    data: null
+  });
+}
+
+/**
+ * 获取操作人（店主或员工）
+ * @param {Object} req - Express请求对象
+ * @returns {Object} 操作人
+ */
+function getOperator(req) {
+  const { sellerId, staffId } = req.shopContext;
+  return { id: String(staffId || sellerId), type: 'seller' };
+}
+
+/**
+ * 获取优惠券参数
+ * @param {Object} body - 请求体
+ * @returns {Object} 优惠券参数
+ */
+function getCouponParams(body) {
+  const {
+    name, type, amount, threshold, discountRate, maxDiscount, scope, scopeIds, issueType, totalQuantity, perUserLimit,
+    claimStartTime, claimEndTime, validType, validStartTime, validEndTime, validDays, description
+  } = body;
+  return {
+    name, type, amount, threshold, discountRate, maxDiscount, scope, scopeIds, issueType, totalQuantity, perUserLimit,
+    claimStartTime, claimEndTime, validType, validStartTime, validEndTime, validDays, description
+  };
+}
+
+class CouponController {
+  /**
+   * 获取店铺优惠券列表
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getCoupons(req, res) {
+    try {
+      const { keyword, type, state, page, pageSize } = req.query;
+      const coupons = await couponService.getTemplates({
+        sellerId: req.shopContext.sellerId, keyword, type, state, page, pageSize
+      });
+      res.json({ code: 200, message: 'success', data: coupons });
+    } catch (error) {
+      logger.error('获取店铺优惠券失败', { sellerId: req.shopContext.sellerId, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 创建店铺优惠券
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async createCoupon(req, res) {
+    try {
+      const coupon = await couponService.createTemplate(getCouponParams(req.body), getOperator(req), {
+        sellerId: req.shopContext.sellerId
+      });
+      res.status(201).json({ code: 201, message: '优惠券已创建', data: coupon });
+    } catch (error) {
+      logger.error('创建店铺优惠券失败', { sellerId: req.shopContext.sellerId, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取店铺优惠券详情
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getCoupon(req, res) {
+    try {
+      const coupon = await couponService.getTemplate(parseInt(req.params.id, 10), { sellerId: req.shopContext.sellerId });
+      res.json({ code: 200, message: 'success', data: coupon });
+    } catch (error) {
+      logger.error('获取店铺优惠券详情失败', { templateId: req.params.id, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 修改店铺优惠券
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async updateCoupon(req, res) {
+    try {
+      const coupon = await couponService.updateTemplate(
+        parseInt(req.params.id, 10),
+        getCouponParams(req.body),
+        getOperator(req),
+        { sellerId: req.shopContext.sellerId }
+      );
+      res.json({ code: 200, message: '优惠券已修改', data: coupon });
+    } catch (error) {
+      logger.error('修改店铺优惠券失败', { templateId: req.params.id, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 启用或停用店铺优惠券
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async setCouponStatus(req, res) {
+    try {
+      const coupon = await couponService.setTemplateStatus(parseInt(req.params.id, 10), req.body.status, getOperator(req), {
+        sellerId: req.shopContext.sellerId
+      });
+      res.json({ code: 200, message: coupon.status === 'active' ? '优惠券已启用' : '优惠券已停用', data: coupon });
+    } catch (error) {
+      logger.error('更新店铺优惠券状态失败', { templateId: req.params.id, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 生成兑换码
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async generateCodes(req, res) {
+    try {
+      const result = await couponService.generateCodes(parseInt(req.params.id, 10), req.body.count, getOperator(req), {
+        sellerId: req.shopContext.sellerId
+      });
+      res.status(201).json({ code: 201, message: `已生成 ${result.codes.length} 个兑换码`, data: result });
+    } catch (error) {
+      logger.error('生成兑换码失败', { templateId: req.params.id, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取兑换码列表
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getCodes(req, res) {
+    try {
+      const { batchNo, status, page, pageSize } = req.query;
+      const codes = await couponService.getRedeemCodes(parseInt(req.params.id, 10), { batchNo, status, page, pageSize }, {
+        sellerId: req.shopContext.sellerId
+      });
+      res.json({ code: 200, message: 'success', data: codes });
+    } catch (error) {
+      logger.error('获取兑换码失败', { templateId: req.params.id, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取优惠券领取和使用记录
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getRecords(req, res) {
+    try {
+      const { status, couponNo, page, pageSize } = req.query;
+      const templateId = parseInt(req.params.id, 10);
+      await couponService.getTemplate(templateId, { sellerId: req.shopContext.sellerId });
+      const records = await couponService.getIssuedCoupons({
+        templateId, sellerId: req.shopContext.sellerId, status, couponNo, page, pageSize
+      });
+      res.json({ code: 200, message: 'success', data: records });
+    } catch (error) {
+      logger.error('获取优惠券领取记录失败', { templateId: req.params.id, error: error.message });
+      sendError(res, error);
+    }
+  }
+}
+
+module.exports = new CouponController();
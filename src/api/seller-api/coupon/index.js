@@ -0,0 +1,26 @@
+/**
+ * 卖家端优惠券模块入口
+ * 导出店铺优惠券管理相关的控制器和路由，优惠券业务逻辑由核心优惠券服务提供
+ */
+
+const couponRoutes = require('./routes/couponRoutes');
+const couponController = require('./controllers/couponController');
+
+/**
+ * 注册优惠券模块路由
+ * 需在卖家端接口守卫之后注册，接口需要营销模块权限
+ * @param {Object} app - Express应用实例
+ */
+function register(app) {
+  app.use('/api/seller', couponRoutes);
+}
+
+module.exports = {
+  register,
+  controllers: {
+    couponController
+  },
+  routes: {
+    couponRoutes
+  }
+};
@@ -0,0 +1,245 @@
+/**
+ * 卖家端优惠券路由
+ * 配置店铺优惠券管理接口
+ * 认证和权限校验由卖家端接口守卫（shopPermissionGuard）统一处理，需要营销模块权限
+ */
+
+const express = require('express');
+const router = express.Router();
+const couponController = require('../controllers/couponController');
+const couponValidation = require('../validations/couponValidation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 卖家优惠券
+ *   description: 店铺优惠券管理
+ */
+
+/**
+ * @swagger
+ * /api/seller/coupons:
+ *   get:
+ *     summary: 获取店铺优惠券列表
+ *     tags: [卖家优惠券]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: keyword
+ *         schema: { type: string }
+ *       - in: query
+ *         name: type
+ *         schema: { type: string, enum: ['fixed', 'threshold', 'percentage', 'shipping'] }
+ *       - in: query
+ *         name: state
+ *         schema: { type: string, enum: ['not_started', 'ongoing', 'ended'] }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, default: 20 }
+ *     responses:
+ *       200:
+ *         description: 优惠券分页列表（含已发放和已使用数量）
+ */
+router.get('/coupons', couponValidation.validateCouponList, couponController.getCoupons);
+
+/**
+ * @swagger
+ * /api/seller/coupons:
+ *   post:
+ *     summary: 创建店铺优惠券
+ *     description: 店铺优惠券只适用于本店商品，可通过领券中心领取或兑换码兑换
+ *     tags: [卖家优惠券]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, type, validType]
+ *             properties:
+ *               name: { type: string }
+ *               type: { type: string, enum: ['fixed', 'threshold', 'percentage', 'shipping'], description: '立减券、满减券、折扣券、运费券' }
+ *               amount: { type: number, description: '优惠金额；运费券为减免上限，不填免全部运费' }
+ *               threshold: { type: number, description: '使用门槛，满减券必填' }
+ *               discountRate: { type: number, description: '折扣（0-1），折扣券必填' }
+ *               maxDiscount: { type: number, description: '折扣券最高优惠金额' }
+ *               scope: { type: string, enum: ['all', 'product', 'category'], default: 'all' }
+ *               scopeIds: { type: array, items: { type: string }, description: '适用商品或分类ID' }
+ *               issueType: { type: string, enum: ['claim', 'code'], default: 'claim' }
+ *               totalQuantity: { type: integer, description: '发放总量，0 表示不限' }
+ *               perUserLimit: { type: integer, default: 1 }
+ *               claimStartTime: { type: string, format: date-time }
+ *               claimEndTime: { type: string, format: date-time }
+ *               validType: { type: string, enum: ['fixed', 'days'], description: '固定时间段或领取后若干天内有效' }
+ *               validStartTime: { type: string, format: date-time }
+ *               validEndTime: { type: string, format: date-time }
+ *               validDays: { type: integer }
+ *               description: { type: string }
+ *     responses:
+ *       201:
+ *         description: 优惠券
+ *       400:
+ *         description: 参数错误
+ */
+router.post('/coupons', couponValidation.validateCreateCoupon, couponController.createCoupon);
+
+/**
+ * @swagger
+ * /api/seller/coupons/{id}:
+ *   get:
+ *     summary: 获取店铺优惠券详情
+ *     tags: [卖家优惠券]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: 优惠券（含未使用、已锁定、已使用和已过期数量）
+ *       404:
+ *         description: 优惠券不存在
+ */
+router.get('/coupons/:id(\\d+)', couponValidation.validateCouponId, couponController.getCoupon);
+
+/**
+ * @swagger
+ * /api/seller/coupons/{id}:
+ *   put:
+ *     summary: 修改店铺优惠券
+ *     description: 已发放后只能修改名称、说明、发放总量、每人限领和领取时间，发放方式不可修改
+ *     tags: [卖家优惠券]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: 优惠券
+ *       409:
+ *         description: 优惠券已发放，不能修改优惠规则
+ */
+router.put('/coupons/:id(\\d+)', couponValidation.validateUpdateCoupon, couponController.updateCoupon);
+
+/**
+ * @swagger
+ * /api/seller/coupons/{id}/status:
+ *   post:
+ *     summary: 启用或停用店铺优惠券
+ *     description: 停用后停止发放，已发放的优惠券仍可在有效期内使用
+ *     tags: [卖家优惠券]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status: { type: string, enum: ['active', 'closed'] }
+ *     responses:
+ *       200:
+ *         description: 优惠券
+ */
+router.post('/coupons/:id(\\d+)/status', couponValidation.validateCouponStatus, couponController.setCouponStatus);
+
+/**
+ * @swagger
+ * /api/seller/coupons/{id}/codes:
+ *   post:
+ *     summary: 生成兑换码
+ *     description: 只适用于兑换码发放的优惠券，每个兑换码只能兑换一次
+ *     tags: [卖家优惠券]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [count]
+ *             properties:
+ *               count: { type: integer, description: '生成数量（1-10000）' }
+ *     responses:
+ *       201:
+ *         description: 批次号和兑换码
+ *       409:
+ *         description: 优惠券不是兑换码发放或已停用
+ */
+router.post('/coupons/:id(\\d+)/codes', couponValidation.validateGenerateCodes, couponController.generateCodes);
+
+/**
+ * @swagger
+ * /api/seller/coupons/{id}/codes:
+ *   get:
+ *     summary: 获取兑换码列表
+ *     tags: [卖家优惠券]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: batchNo
+ *         schema: { type: string }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: ['unused', 'redeemed'] }
+ *     responses:
+ *       200:
+ *         description: 兑换码分页列表
+ */
+router.get('/coupons/:id(\\d+)/codes', couponValidation.validateCodeList, couponController.getCodes);
+
+/**
+ * @swagger
+ * /api/seller/coupons/{id}/records:
+ *   get:
+ *     summary: 获取优惠券领取和使用记录
+ *     tags: [卖家优惠券]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: ['unused', 'locked', 'used', 'expired'] }
+ *       - in: query
+ *         name: couponNo
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: 买家优惠券分页列表
+ */
+router.get('/coupons/:id(\\d+)/records', couponValidation.validateRecordList, couponController.getRecords);
+
+module.exports = router;
@@ -0,0 +1,138 @@
+/**
+ * 卖家端优惠券验证规则
+ * 确保API输入数据合法性
+ */
+
+const { query, param, body, validationResult } = require('express-validator');
+const { COUPON_TYPE, COUPON_SCOPE, TEMPLATE_STATUS, TEMPLATE_STATE, VALID_TYPE, COUPON_STATUS } = require('../../../core/services/couponService');
+
+/**
+ * 验证请求参数
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      code: 400,
+      message: errors.array()[0].msg,
+      errors: errors.array()
+    });
+  }
+  return next();
+};
+
+// 分页查询条件
+const pagination = [
+  query('page').optional().isInt({ min: 1 }).withMessage('页码必须是正整数'),
+  query('pageSize').optional().isInt({ min: 1, max: 100 }).withMessage('每页数量必须为1-100')
+];
+
+// 优惠券参数规则（金额、门槛和有效期之间的关系由核心优惠券服务校验）
+const couponRules = [
+  body('name').trim().notEmpty().withMessage('请输入优惠券名称').isLength({ max: 100 }).withMessage('优惠券名称不能超过100个字符'),
+  body('type').isIn(Object.values(COUPON_TYPE)).withMessage('无效的优惠券类型'),
+  body('amount').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('优惠金额不能为负数'),
+  body('threshold').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('使用门槛不能为负数'),
+  body('discountRate').optional({ nullable: true, checkFalsy: true }).isFloat({ gt: 0, lt: 1 }).withMessage('折扣须大于0且小于1'),
+  body('maxDiscount').optional({ nullable: true, checkFalsy: true }).isFloat({ gt: 0 }).withMessage('最高优惠金额必须大于0'),
+  body('scope').optional().isIn(Object.values(COUPON_SCOPE)).withMessage('无效的适用范围'),
+  body('scopeIds').optional().isArray({ max: 500 }).withMessage('适用商品或分类不能超过500个'),
+  body('totalQuantity').optional().isInt({ min: 0 }).withMessage('发放总量必须是非负整数'),
+  body('perUserLimit').optional().isInt({ min: 1 }).withMessage('每人限领必须是正整数'),
+  body('claimStartTime').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('领取开始时间格式不正确'),
+  body('claimEndTime').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('领取结束时间格式不正确'),
+  body('validType').isIn(Object.values(VALID_TYPE)).withMessage('无效的有效期类型'),
+  body('validStartTime').if(body('validType').equals(VALID_TYPE.FIXED)).isISO8601().withMessage('有效期开始时间格式不正确'),
+  body('validEndTime').if(body('validType').equals(VALID_TYPE.FIXED)).isISO8601().withMessage('有效期结束时间格式不正确'),
+  body('validDays').if(body('validType').equals(VALID_TYPE.DAYS)).isInt({ min: 1 }).withMessage('有效天数必须是正整数'),
+  body('description').optional({ nullable: true }).isLength({ max: 500 }).withMessage('使用说明不能超过500个字符')
+];
+
+/**
+ * 验证优惠券列表查询
+ */
+const validateCouponList = [
+  query('state').optional({ checkFalsy: true }).isIn(Object.values(TEMPLATE_STATE)).withMessage('无效的发放状态'),
+  query('type').optional({ checkFalsy: true }).isIn(Object.values(COUPON_TYPE)).withMessage('无效的优惠券类型'),
+  query('keyword').optional({ checkFalsy: true }).isLength({ max: 100 }).withMessage('关键词不能超过100个字符'),
+  ...pagination,
+  validate
+];
+
+/**
+ * 验证优惠券ID
+ */
+const validateCouponId = [
+  param('id').isInt({ min: 1 }).withMessage('无效的优惠券ID'),
+  validate
+];
+
+/**
+ * 验证创建优惠券
+ */
+const validateCreateCoupon = [
+  body('issueType').optional().isIn(['claim', 'code']).withMessage('店铺优惠券只能通过领券或兑换码发放'),
+  ...couponRules,
+  validate
+];
+
+/**
+ * 验证修改优惠券
+ */
+const validateUpdateCoupon = [
+  param('id').isInt({ min: 1 }).withMessage('无效的优惠券ID'),
+  ...couponRules,
+  validate
+];
+
+/**
+ * 验证启用或停用优惠券
+ */
+const validateCouponStatus = [
+  param('id').isInt({ min: 1 }).withMessage('无效的优惠券ID'),
+  body('status').isIn(Object.values(TEMPLATE_STATUS)).withMessage('无效的优惠券状态'),
+  validate
+];
+
+/**
+ * 验证生成兑换码
+ */
+const validateGenerateCodes = [
+  param('id').isInt({ min: 1 }).withMessage('无效的优惠券ID'),
+  body('count').isInt({ min: 1, max: 10000 }).withMessage('生成数量必须为1-10000'),
+  validate
+];
+
+/**
+ * 验证兑换码列表查询
+ */
+const validateCodeList = [
+  param('id').isInt({ min: 1 }).withMessage('无效的优惠券ID'),
+  query('status').optional({ checkFalsy: true }).isIn(['unused', 'redeemed']).withMessage('无效的兑换码状态'),
+  ...pagination,
+  validate
+];
+
+/**
+ * 验证领取记录查询
+ */
+const validateRecordList = [
+  param('id').isInt({ min: 1 }).withMessage('无效的优惠券ID'),
+  query('status').optional({ checkFalsy: true }).isIn(Object.values(COUPON_STATUS)).withMessage('无效的优惠券状态'),
+  ...pagination,
+  validate
+];
+
+module.exports = {
+  validateCouponList,
+  validateCouponId,
+  validateCreateCoupon,
+  validateUpdateCoupon,
+  validateCouponStatus,
+  validateGenerateCodes,
+  validateCodeList,
+  validateRecordList
+};
@@ -0,0 +1,207 @@
+/**
+ * 卖家端运费控制器
+ * 处理运费模板管理、商品关联运费模板和物流公司查询相关的HTTP请求，卖家只能管理自己店铺的运费模板
+ */
+
+const logger = require('../../../core/utils/logger');
+const freightService = require('../../../core/services/freightService');
+const logisticsCompanyService = require('../../../core/services/logisticsCompanyService');
+
+/**
+ * 返回错误响应
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误
+ */
+function sendError(res, error) {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    code: status,
+    message: status === 500 ? '服务器内部错误' : error.message,
+    data: null
+  });
+}
+
+/**
+ * 获取运费模板参数
+ * @param {Object} body - 请求体
+ * @returns {Object} 运费模板参数
+ */
+function getTemplateParams(body) {
+  const { name, chargeType, rules, freeRules, undeliverableRegions, isDefault } = body;
+  return { name, chargeType, rules, freeRules, undeliverableRegions, isDefault };
+}
+
+class FreightController {
+  /**
+   * 获取运费模板列表
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getTemplates(req, res) {
+    try {
+      const { keyword, chargeType, page, pageSize } = req.query;
+      const templates = await freightService.getTemplates(req.shopContext.sellerId, { keyword, chargeType, page, pageSize });
+      res.json({ code: 200, message: 'success', data: templates });
+    } catch (error) {
+      logger.error('获取运费模板失败', { sellerId: req.shopContext.sellerId, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 创建运费模板
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async createTemplate(req, res) {
+    try {
+      const { sellerId, staffId } = req.shopContext;
+      const template = await freightService.createTemplate(sellerId, getTemplateParams(req.body), {
+        id: String(staffId || sellerId)
+      });
+      res.status(201).json({ code: 201, message: '运费模板已创建', data: template });
+    } catch (error) {
+      logger.error('创建运费模板失败', { sellerId: req.shopContext.sellerId, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取运费模板详情
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getTemplate(req, res) {
+    try {
+      const template = await freightService.getTemplate(req.shopContext.sellerId, parseInt(req.params.id, 10));
+      res.json({ code: 200, message: 'success', data: template });
+    } catch (error) {
+      logger.error('获取运费模板详情失败', { templateId: req.params.id, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 修改运费模板
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async updateTemplate(req, res) {
+    try {
+      const template = await freightService.updateTemplate(
+        req.shopContext.sellerId,
+        parseInt(req.params.id, 10),
+        getTemplateParams(req.body)
+      );
+      res.json({ code: 200, message: '运费模板已修改', data: template });
+    } catch (error) {
+      logger.error('修改运费模板失败', { templateId: req.params.id, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 删除运费模板
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async deleteTemplate(req, res) {
+    try {
+      await freightService.deleteTemplate(req.shopContext.sellerId, parseInt(req.params.id, 10));
+      res.json({ code: 200, message: '运费模板已删除', data: null });
+    } catch (error) {
+      logger.error('删除运费模板失败', { templateId: req.params.id, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 设为默认运费模板
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async setDefault(req, res) {
+    try {
+      const template = await freightService.setDefault(req.shopContext.sellerId, parseInt(req.params.id, 10));
+      res.json({ code: 200, message: '已设为默认运费模板', data: template });
+    } catch (error) {
+      logger.error('设置默认运费模板失败', { templateId: req.params.id, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取使用运费模板的商品
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getTemplateProducts(req, res) {
+    try {
+      const { page, pageSize } = req.query;
+      const products = await freightService.getTemplateProducts(
+        req.shopContext.sellerId,
+        parseInt(req.params.id, 10),
+        { page, pageSize }
+      );
+      res.json({ code: 200, message: 'success', data: products });
+    } catch (error) {
+      logger.error('获取运费模板商品失败', { templateId: req.params.id, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 为商品设置运费模板
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async bindProducts(req, res) {
+    try {
+      const result = await freightService.bindProducts(
+        req.shopContext.sellerId,
+        parseInt(req.params.id, 10),
+        req.body.products
+      );
+      res.json({ code: 200, message: `已为 ${result.updated} 个商品设置运费模板`, data: result });
+    } catch (error) {
+      logger.error('设置商品运费模板失败', { templateId: req.params.id, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 取消商品的运费模板，商品改用店铺默认模板
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async unbindProducts(req, res) {
+    try {
+      const result = await freightService.bindProducts(
+        req.shopContext.sellerId,
+        null,
+        req.body.productIds.map(productId => ({ productId }))
+      );
+      res.json({ code: 200, message: `已取消 ${result.updated} 个商品的运费模板`, data: result });
+    } catch (error) {
+      logger.error('取消商品运费模板失败', { sellerId: req.shopContext.sellerId, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取可选的物流公司（发货时选择）
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getLogisticsCompanies(req, res) {
+    try {
+      const companies = await logisticsCompanyService.getActiveCompanies();
+      res.json({ code: 200, message: 'success', data: companies });
+    } catch (error) {
+      logger.error('获取物流公司失败', { error: error.message });
+      sendError(res, error);
+    }
+  }
+}
+
+module.exports = new FreightController();
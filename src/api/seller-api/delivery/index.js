@@ -0,0 +1,26 @@
+/**
+ * 卖家端配送模块入口
+ * 导出运费模板管理和物流公司查询相关的控制器和路由，运费业务逻辑由核心运费服务提供
+ */
+
+const deliveryRoutes = require('./routes/deliveryRoutes');
+const freightController = require('./controllers/freightController');
+
+/**
+ * 注册配送模块路由
+ * 需在卖家端接口守卫之后注册，运费模板接口需要商品模块权限，物流公司查询需要订单模块权限
+ * @param {Object} app - Express应用实例
+ */
+function register(app) {
+  app.use('/api/seller', deliveryRoutes);
+}
+
+module.exports = {
+  register,
+  controllers: {
+    freightController
+  },
+  routes: {
+    deliveryRoutes
+  }
+};
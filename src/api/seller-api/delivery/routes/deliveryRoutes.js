@@ -0,0 +1,276 @@
+/**
+ * 卖家端配送路由
+ * 配置运费模板管理和物流公司查询接口
+ * 认证和权限校验由卖家端接口守卫（shopPermissionGuard）统一处理：运费模板需要商品模块权限，物流公司查询需要订单模块权限
+ */
+
+const express = require('express');
+const router = express.Router();
+const freightController = require('../controllers/freightController');
+const freightValidation = require('../validations/freightValidation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 卖家配送
+ *   description: 运费模板和物流公司
+ */
+
+/**
+ * @swagger
+ * /api/seller/freight-templates:
+ *   get:
+ *     summary: 获取运费模板列表
+ *     tags: [卖家配送]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: keyword
+ *         schema: { type: string }
+ *       - in: query
+ *         name: chargeType
+ *         schema: { type: string, enum: ['count', 'weight', 'volume'] }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, default: 20 }
+ *     responses:
+ *       200:
+ *         description: 运费模板分页列表（含关联商品数量），默认模板排在最前
+ */
+router.get('/freight-templates', freightValidation.validateTemplateList, freightController.getTemplates);
+
+/**
+ * @swagger
+ * /api/seller/freight-templates:
+ *   post:
+ *     summary: 创建运费模板
+ *     description: 未关联运费模板的商品使用店铺默认模板，店铺没有默认模板时包邮
+ *     tags: [卖家配送]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, chargeType, rules]
+ *             properties:
+ *               name: { type: string }
+ *               chargeType: { type: string, enum: ['count', 'weight', 'volume'], description: '按件数、重量（千克）或体积（立方米）计费' }
+ *               rules:
+ *                 type: array
+ *                 description: 计费规则，必须有且只有一条 regions 为空的默认规则
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     regions: { type: array, items: { type: string }, description: '省、市或区县代码' }
+ *                     firstUnit: { type: number, description: '首件（首重、首体积）' }
+ *                     firstFee: { type: number, description: '首费（元）' }
+ *                     additionalUnit: { type: number, description: '续件（续重、续体积）' }
+ *                     additionalFee: { type: number, description: '续费（元）' }
+ *               freeRules:
+ *                 type: array
+ *                 description: 包邮条件，同时设置金额和件数时需同时满足
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     regions: { type: array, items: { type: string }, description: '为空表示全部地区' }
+ *                     minAmount: { type: number, description: '满多少元包邮' }
+ *                     minQuantity: { type: integer, description: '满多少件包邮' }
+ *               undeliverableRegions: { type: array, items: { type: string }, description: '不配送地区代码' }
+ *               isDefault: { type: boolean }
+ *     responses:
+ *       201:
+ *         description: 运费模板
+ *       400:
+ *         description: 参数错误
+ */
+router.post('/freight-templates', freightValidation.validateCreateTemplate, freightController.createTemplate);
+
+/**
+ * @swagger
+ * /api/seller/freight-templates/{id}:
+ *   get:
+ *     summary: 获取运费模板详情
+ *     tags: [卖家配送]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: 运费模板（regionNames 为规则中地区代码对应的名称）
+ *       404:
+ *         description: 运费模板不存在
+ */
+router.get('/freight-templates/:id(\\d+)', freightValidation.validateTemplateId, freightController.getTemplate);
+
+/**
+ * @swagger
+ * /api/seller/freight-templates/{id}:
+ *   put:
+ *     summary: 修改运费模板
+ *     description: 修改后新下单的订单按新规则计算运费，已下单的订单不受影响
+ *     tags: [卖家配送]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: 运费模板
+ */
+router.put('/freight-templates/:id(\\d+)', freightValidation.validateUpdateTemplate, freightController.updateTemplate);
+
+/**
+ * @swagger
+ * /api/seller/freight-templates/{id}:
+ *   delete:
+ *     summary: 删除运费模板
+ *     tags: [卖家配送]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: 已删除
+ *       409:
+ *         description: 还有商品使用该模板
+ */
+router.delete('/freight-templates/:id(\\d+)', freightValidation.validateTemplateId, freightController.deleteTemplate);
+
+/**
+ * @swagger
+ * /api/seller/freight-templates/{id}/default:
+ *   post:
+ *     summary: 设为默认运费模板
+ *     tags: [卖家配送]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: 运费模板
+ */
+router.post('/freight-templates/:id(\\d+)/default', freightValidation.validateTemplateId, freightController.setDefault);
+
+/**
+ * @swagger
+ * /api/seller/freight-templates/{id}/products:
+ *   get:
+ *     summary: 获取使用运费模板的商品
+ *     tags: [卖家配送]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, default: 20 }
+ *     responses:
+ *       200:
+ *         description: 商品分页列表（含重量和体积）
+ */
+router.get('/freight-templates/:id(\\d+)/products', freightValidation.validateTemplateProducts, freightController.getTemplateProducts);
+
+/**
+ * @swagger
+ * /api/seller/freight-templates/{id}/products:
+ *   post:
+ *     summary: 为商品设置运费模板
+ *     description: 按重量或体积计费的模板需要同时填写商品重量（千克）或体积（立方米），不填时保留商品原有的值
+ *     tags: [卖家配送]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [products]
+ *             properties:
+ *               products:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId: { type: string }
+ *                     weight: { type: number }
+ *                     volume: { type: number }
+ *     responses:
+ *       200:
+ *         description: 更新的商品数量
+ */
+router.post('/freight-templates/:id(\\d+)/products', freightValidation.validateBindProducts, freightController.bindProducts);
+
+/**
+ * @swagger
+ * /api/seller/freight-templates/unbind:
+ *   post:
+ *     summary: 取消商品的运费模板
+ *     description: 取消后商品使用店铺默认运费模板
+ *     tags: [卖家配送]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [productIds]
+ *             properties:
+ *               productIds: { type: array, items: { type: string } }
+ *     responses:
+ *       200:
+ *         description: 更新的商品数量
+ */
+router.post('/freight-templates/unbind', freightValidation.validateUnbindProducts, freightController.unbindProducts);
+
+/**
+ * @swagger
+ * /api/seller/logistics-companies:
+ *   get:
+ *     summary: 获取可选的物流公司
+ *     description: 发货时只能选择平台启用的物流公司
+ *     tags: [卖家配送]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 物流公司列表
+ */
+router.get('/logistics-companies', freightController.getLogisticsCompanies);
+
+module.exports = router;
@@ -0,0 +1,118 @@
+/**
+ * 卖家端运费模板验证规则
+ * 确保API输入数据合法性
+ */
+
+const { query, param, body, validationResult } = require('express-validator');
+const { CHARGE_TYPE } = require('../../../core/services/freightService');
+
+/**
+ * 验证请求参数
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      code: 400,
+      message: errors.array()[0].msg,
+      errors: errors.array()
+    });
+  }
+  return next();
+};
+
+// 分页查询条件
+const pagination = [
+  query('page').optional().isInt({ min: 1 }).withMessage('页码必须是正整数'),
+  query('pageSize').optional().isInt({ min: 1, max: 100 }).withMessage('每页数量必须为1-100')
+];
+
+// 模板ID
+const templateId = param('id').isInt({ min: 1 }).withMessage('无效的运费模板ID');
+
+// 运费模板参数规则（计费规则中的地区和金额由核心运费服务校验）
+const templateRules = [
+  body('name').trim().notEmpty().withMessage('请输入模板名称').isLength({ max: 50 }).withMessage('模板名称不能超过50个字符'),
+  body('chargeType').isIn(Object.values(CHARGE_TYPE)).withMessage('无效的计费方式'),
+  body('rules').isArray({ min: 1, max: 50 }).withMessage('请设置1-50条计费规则'),
+  body('freeRules').optional().isArray({ max: 50 }).withMessage('包邮条件不能超过50条'),
+  body('undeliverableRegions').optional().isArray().withMessage('不配送地区必须是地区代码列表'),
+  body('isDefault').optional().isBoolean().withMessage('是否默认模板必须是布尔值').toBoolean()
+];
+
+/**
+ * 验证运费模板列表查询
+ */
+const validateTemplateList = [
+  query('chargeType').optional({ checkFalsy: true }).isIn(Object.values(CHARGE_TYPE)).withMessage('无效的计费方式'),
+  query('keyword').optional({ checkFalsy: true }).isLength({ max: 50 }).withMessage('关键词不能超过50个字符'),
+  ...pagination,
+  validate
+];
+
+/**
+ * 验证运费模板ID
+ */
+const validateTemplateId = [
+  templateId,
+  validate
+];
+
+/**
+ * 验证创建运费模板
+ */
+const validateCreateTemplate = [
+  ...templateRules,
+  validate
+];
+
+/**
+ * 验证修改运费模板
+ */
+const validateUpdateTemplate = [
+  templateId,
+  ...templateRules,
+  validate
+];
+
+/**
+ * 验证运费模板商品查询
+ */
+const validateTemplateProducts = [
+  templateId,
+  ...pagination,
+  validate
+];
+
+/**
+ * 验证设置商品运费模板
+ */
+const validateBindProducts = [
+  templateId,
+  body('products').isArray({ min: 1, max: 500 }).withMessage('请选择1-500个商品'),
+  body('products.*.productId').notEmpty().withMessage('商品ID不能为空'),
+  body('products.*.weight').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('商品重量不能为负数'),
+  body('products.*.volume').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('商品体积不能为负数'),
+  validate
+];
+
+/**
+ * 验证取消商品运费模板
+ */
+const validateUnbindProducts = [
+  body('productIds').isArray({ min: 1, max: 500 }).withMessage('请选择1-500个商品'),
+  validate
+];
+
+module.exports = {
+  validateTemplateList,
+  validateTemplateId,
+  validateCreateTemplate,
+  validateUpdateTemplate,
+  validateTemplateProducts,
+  validateBindProducts,
+  validateUnbindProducts
+};
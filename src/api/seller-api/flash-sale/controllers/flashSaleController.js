@@ -0,0 +1,132 @@
+/**
+ * 卖家端秒杀控制器
+ * 处理秒杀活动创建、修改、结束和查询相关的HTTP请求，卖家只能管理自己店铺的活动
+ */
+
+const logger = require('../../../core/utils/logger');
+const flashSaleService = require('../../../core/services/flashSaleService');
+
+/**
+ * 返回错误响应
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误
+ */
+function sendError(res, error) {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    code: status,
+    message: status === 500 ? '服务器内部错误' : error.message,
+    data: null
+  });
+}
+
+/**
+ * 获取操作人（店主或员工）
+ * @param {Object} req - Express请求对象
+ * @returns {Object} 操作人
+ */
+function getOperator(req) {
+  const { sellerId, staffId } = req.shopContext;
+  return { id: String(staffId || sellerId), type: 'seller' };
+}
+
+/**
+ * 获取活动参数
+ * @param {Object} body - 请求体
+ * @returns {Object} 活动参数
+ */
+function getFlashSaleParams(body) {
+  const { productId, skuId, name, flashPrice, stock, limitPerUser, startTime, endTime } = body;
+  return { productId, skuId, name, flashPrice, stock, limitPerUser, startTime, endTime };
+}
+
+class FlashSaleController {
+  /**
+   * 获取秒杀活动列表
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getFlashSales(req, res) {
+    try {
+      const { keyword, state, page, pageSize } = req.query;
+      const sales = await flashSaleService.getFlashSales({
+        sellerId: req.shopContext.sellerId, keyword, state, page, pageSize
+      });
+      res.json({ code: 200, message: 'success', data: sales });
+    } catch (error) {
+      logger.error('获取秒杀活动失败', { sellerId: req.shopContext.sellerId, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 创建秒杀活动
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async createFlashSale(req, res) {
+    try {
+      const sale = await flashSaleService.createFlashSale(getFlashSaleParams(req.body), getOperator(req), {
+        sellerId: req.shopContext.sellerId
+      });
+      res.status(201).json({ code: 201, message: '秒杀活动已创建', data: sale });
+    } catch (error) {
+      logger.error('创建秒杀活动失败', { sellerId: req.shopContext.sellerId, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取秒杀活动详情
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getFlashSale(req, res) {
+    try {
+      const sale = await flashSaleService.getFlashSale(parseInt(req.params.id, 10), { sellerId: req.shopContext.sellerId });
+      res.json({ code: 200, message: 'success', data: sale });
+    } catch (error) {
+      logger.error('获取秒杀活动详情失败', { saleId: req.params.id, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 修改秒杀活动
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async updateFlashSale(req, res) {
+    try {
+      const sale = await flashSaleService.updateFlashSale(
+        parseInt(req.params.id, 10),
+        getFlashSaleParams(req.body),
+        getOperator(req),
+        { sellerId: req.shopContext.sellerId }
+      );
+      res.json({ code: 200, message: '秒杀活动已修改', data: sale });
+    } catch (error) {
+      logger.error('修改秒杀活动失败', { saleId: req.params.id, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 结束秒杀活动
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async closeFlashSale(req, res) {
+    try {
+      const sale = await flashSaleService.closeFlashSale(parseInt(req.params.id, 10), getOperator(req), {
+        sellerId: req.shopContext.sellerId
+      });
+      res.json({ code: 200, message: '秒杀活动已结束', data: sale });
+    } catch (error) {
+      logger.error('结束秒杀活动失败', { saleId: req.params.id, error: error.message });
+      sendError(res, error);
+    }
+  }
+}
+
+module.exports = new FlashSaleController();
@@ -0,0 +1,26 @@
+/**
+ * 卖家端秒杀模块入口
+ * 导出秒杀活动管理相关的控制器和路由，秒杀业务逻辑由核心秒杀服务提供
+ */
+
+const flashSaleRoutes = require('./routes/flashSaleRoutes');
+const flashSaleController = require('./controllers/flashSaleController');
+
+/**
+ * 注册秒杀模块路由
+ * 需在卖家端接口守卫之后注册，接口需要营销模块权限
+ * @param {Object} app - Express应用实例
+ */
+function register(app) {
+  app.use('/api/seller', flashSaleRoutes);
+}
+
+module.exports = {
+  register,
+  controllers: {
+    flashSaleController
+  },
+  routes: {
+    flashSaleRoutes
+  }
+};
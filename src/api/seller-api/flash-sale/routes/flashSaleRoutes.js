@@ -0,0 +1,146 @@
+/**
+ * 卖家端秒杀路由
+ * 配置秒杀活动管理接口
+ * 认证和权限校验由卖家端接口守卫（shopPermissionGuard）统一处理，需要营销模块权限
+ */
+
+const express = require('express');
+const router = express.Router();
+const flashSaleController = require('../controllers/flashSaleController');
+const flashSaleValidation = require('../validations/flashSaleValidation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 卖家秒杀
+ *   description: 秒杀活动管理
+ */
+
+/**
+ * @swagger
+ * /api/seller/promotion/flash:
+ *   get:
+ *     summary: 获取秒杀活动列表
+ *     tags: [卖家秒杀]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: keyword
+ *         schema: { type: string }
+ *       - in: query
+ *         name: state
+ *         schema: { type: string, enum: ['not_started', 'ongoing', 'ended'] }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, default: 20 }
+ *     responses:
+ *       200:
+ *         description: 秒杀活动分页列表（含下单和支付件数统计）
+ */
+router.get('/promotion/flash', flashSaleValidation.validateFlashSaleList, flashSaleController.getFlashSales);
+
+/**
+ * @swagger
+ * /api/seller/promotion/flash:
+ *   post:
+ *     summary: 创建秒杀活动
+ *     description: 活动开始前库存自动预热到 Redis，抢购时在 Redis 中扣减，订单异步创建
+ *     tags: [卖家秒杀]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [productId, flashPrice, stock, startTime, endTime]
+ *             properties:
+ *               productId: { type: string }
+ *               skuId: { type: string }
+ *               name: { type: string }
+ *               flashPrice: { type: number, description: '秒杀价，须低于商品原价' }
+ *               stock: { type: integer, description: '活动库存' }
+ *               limitPerUser: { type: integer, default: 1 }
+ *               startTime: { type: string, format: date-time }
+ *               endTime: { type: string, format: date-time }
+ *     responses:
+ *       201:
+ *         description: 秒杀活动
+ *       400:
+ *         description: 参数错误
+ *       404:
+ *         description: 商品不存在
+ */
+router.post('/promotion/flash', flashSaleValidation.validateCreateFlashSale, flashSaleController.createFlashSale);
+
+/**
+ * @swagger
+ * /api/seller/promotion/flash/{id}:
+ *   get:
+ *     summary: 获取秒杀活动详情
+ *     tags: [卖家秒杀]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: 秒杀活动（含 Redis 剩余库存和订单统计）
+ *       404:
+ *         description: 秒杀活动不存在
+ */
+router.get('/promotion/flash/:id(\\d+)', flashSaleValidation.validateFlashSaleId, flashSaleController.getFlashSale);
+
+/**
+ * @swagger
+ * /api/seller/promotion/flash/{id}:
+ *   put:
+ *     summary: 修改秒杀活动
+ *     description: 只能在活动开始前修改，商品和规格不可修改
+ *     tags: [卖家秒杀]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: 秒杀活动
+ *       409:
+ *         description: 活动已开始或已结束
+ */
+router.put('/promotion/flash/:id(\\d+)', flashSaleValidation.validateUpdateFlashSale, flashSaleController.updateFlashSale);
+
+/**
+ * @swagger
+ * /api/seller/promotion/flash/{id}/close:
+ *   post:
+ *     summary: 结束秒杀活动
+ *     description: 立即停止抢购，已排队的请求和已下单的订单继续处理
+ *     tags: [卖家秒杀]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: 秒杀活动
+ *       404:
+ *         description: 秒杀活动不存在
+ */
+router.post('/promotion/flash/:id(\\d+)/close', flashSaleValidation.validateFlashSaleId, flashSaleController.closeFlashSale);
+
+module.exports = router;
@@ -0,0 +1,78 @@
+/**
+ * 卖家端秒杀验证规则
+ * 确保API输入数据合法性
+ */
+
+const { query, param, body, validationResult } = require('express-validator');
+
+/**
+ * 验证请求参数
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      code: 400,
+      message: errors.array()[0].msg,
+      errors: errors.array()
+    });
+  }
+  return next();
+};
+
+// 活动参数规则（秒杀价与原价的关系由核心秒杀服务校验）
+const flashSaleRules = [
+  body('name').optional({ checkFalsy: true }).isLength({ max: 100 }).withMessage('活动名称不能超过100个字符'),
+  body('flashPrice').isFloat({ gt: 0 }).withMessage('秒杀价必须大于0'),
+  body('stock').isInt({ min: 1 }).withMessage('活动库存必须是正整数'),
+  body('limitPerUser').optional().isInt({ min: 1 }).withMessage('每人限购必须是正整数'),
+  body('startTime').isISO8601().withMessage('开始时间格式不正确'),
+  body('endTime').isISO8601().withMessage('结束时间格式不正确')
+];
+
+/**
+ * 验证秒杀活动列表查询
+ */
+const validateFlashSaleList = [
+  query('state').optional({ checkFalsy: true }).isIn(['not_started', 'ongoing', 'ended']).withMessage('无效的活动状态'),
+  query('page').optional().isInt({ min: 1 }).withMessage('页码必须是正整数'),
+  query('pageSize').optional().isInt({ min: 1, max: 100 }).withMessage('每页数量必须为1-100'),
+  validate
+];
+
+/**
+ * 验证活动ID
+ */
+const validateFlashSaleId = [
+  param('id').isInt({ min: 1 }).withMessage('无效的活动ID'),
+  validate
+];
+
+/**
+ * 验证创建秒杀活动
+ */
+const validateCreateFlashSale = [
+  body('productId').notEmpty().withMessage('请选择活动商品'),
+  body('skuId').optional({ nullable: true, checkFalsy: true }).isLength({ max: 64 }).withMessage('无效的商品规格'),
+  ...flashSaleRules,
+  validate
+];
+
+/**
+ * 验证修改秒杀活动
+ */
+const validateUpdateFlashSale = [
+  param('id').isInt({ min: 1 }).withMessage('无效的活动ID'),
+  ...flashSaleRules,
+  validate
+];
+
+module.exports = {
+  validateFlashSaleList,
+  validateFlashSaleId,
+  validateCreateFlashSale,
+  validateUpdateFlashSale
+};
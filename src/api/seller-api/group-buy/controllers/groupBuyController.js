@@ -0,0 +1,100 @@
+/**
+ * 卖家端拼团控制器
+ * 处理拼团活动统计、拼团团队查询和模拟成团相关的HTTP请求，卖家只能管理自己店铺的团
+ */
+
+const logger = require('../../../core/utils/logger');
+const groupBuyService = require('../../../core/services/groupBuyService');
+
+/**
+ * 返回错误响应
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误
+ */
+function sendError(res, error) {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    code: status,
+    message: status === 500 ? '服务器内部错误' : error.message,
+    data: null
+  });
+}
+
+/**
+ * 获取操作人（店主或员工）
+ * @param {Object} req - Express请求对象
+ * @returns {Object} 操作人
+ */
+function getOperator(req) {
+  const { sellerId, staffId } = req.shopContext;
+  return { id: String(staffId || sellerId), type: 'seller' };
+}
+
+class GroupBuyController {
+  /**
+   * 获取拼团活动详情（含成团统计）
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getPromotion(req, res) {
+    try {
+      const promotion = await groupBuyService.getPromotion(parseInt(req.params.id, 10), { sellerId: req.shopContext.sellerId });
+      res.json({ code: 200, message: 'success', data: promotion });
+    } catch (error) {
+      logger.error('获取拼团活动详情失败', { promotionId: req.params.id, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取拼团团队列表
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getTeams(req, res) {
+    try {
+      const { promotionId, status, teamNo, page, pageSize } = req.query;
+      const teams = await groupBuyService.getTeams({
+        sellerId: req.shopContext.sellerId, promotionId, status, teamNo, page, pageSize
+      });
+      res.json({ code: 200, message: 'success', data: teams });
+    } catch (error) {
+      logger.error('获取拼团团队失败', { sellerId: req.shopContext.sellerId, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取拼团团队详情（含团员和退款状态）
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getTeam(req, res) {
+    try {
+      const team = await groupBuyService.getTeam(req.params.teamNo, { sellerId: req.shopContext.sellerId });
+      res.json({ code: 200, message: 'success', data: team });
+    } catch (error) {
+      logger.error('获取拼团团队详情失败', { teamNo: req.params.teamNo, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 模拟成团
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async simulateTeam(req, res) {
+    try {
+      const team = await groupBuyService.simulateTeam(req.params.teamNo, getOperator(req), {
+        sellerId: req.shopContext.sellerId
+      });
+      res.json({ code: 200, message: '已模拟成团', data: team });
+    } catch (error) {
+      logger.error('模拟成团失败', { teamNo: req.params.teamNo, error: error.message });
+      sendError(res, error);
+    }
+  }
+}
+
+module.exports = new GroupBuyController();
@@ -0,0 +1,27 @@
+/**
+ * 卖家端拼团模块入口
+ * 导出拼团团队查询和模拟成团相关的控制器和路由，拼团业务逻辑由核心拼团服务提供
+ * 拼团活动本身通过促销活动接口（type = group_buy）创建和修改
+ */
+
+const groupBuyRoutes = require('./routes/groupBuyRoutes');
+const groupBuyController = require('./controllers/groupBuyController');
+
+/**
+ * 注册拼团模块路由
+ * 需在卖家端接口守卫之后注册，接口需要营销模块权限
+ * @param {Object} app - Express应用实例
+ */
+function register(app) {
+  app.use('/api/seller', groupBuyRoutes);
+}
+
+module.exports = {
+  register,
+  controllers: {
+    groupBuyController
+  },
+  routes: {
+    groupBuyRoutes
+  }
+};
@@ -0,0 +1,116 @@
+/**
+ * 卖家端拼团路由
+ * 配置拼团活动统计、拼团团队查询和模拟成团接口
+ * 认证和权限校验由卖家端接口守卫（shopPermissionGuard）统一处理，需要营销模块权限
+ */
+
+const express = require('express');
+const router = express.Router();
+const groupBuyController = require('../controllers/groupBuyController');
+const groupBuyValidation = require('../validations/groupBuyValidation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 卖家拼团
+ *   description: 拼团团队和模拟成团
+ */
+
+/**
+ * @swagger
+ * /api/seller/promotion/group-buy/teams:
+ *   get:
+ *     summary: 获取拼团团队列表
+ *     tags: [卖家拼团]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: promotionId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: ['open', 'success', 'failed'] }
+ *       - in: query
+ *         name: teamNo
+ *         schema: { type: string }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, default: 20 }
+ *     responses:
+ *       200:
+ *         description: 拼团团队分页列表（含已支付人数和差额人数）
+ */
+router.get('/promotion/group-buy/teams', groupBuyValidation.validateTeamList, groupBuyController.getTeams);
+
+/**
+ * @swagger
+ * /api/seller/promotion/group-buy/teams/{teamNo}:
+ *   get:
+ *     summary: 获取拼团团队详情
+ *     tags: [卖家拼团]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamNo
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: 拼团团队（含团员订单、支付和退款状态）
+ *       404:
+ *         description: 拼团不存在
+ */
+router.get('/promotion/group-buy/teams/:teamNo', groupBuyValidation.validateTeamNo, groupBuyController.getTeam);
+
+/**
+ * @swagger
+ * /api/seller/promotion/group-buy/teams/{teamNo}/simulate:
+ *   post:
+ *     summary: 模拟成团
+ *     description: 对差额人数不超过活动模拟成团设置的团按已支付团员直接成团，未支付的团员不再参团
+ *     tags: [卖家拼团]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamNo
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: 已成团的拼团团队
+ *       404:
+ *         description: 拼团不存在
+ *       409:
+ *         description: 团已结束、没有已支付团员或差额人数超过设置
+ */
+router.post('/promotion/group-buy/teams/:teamNo/simulate', groupBuyValidation.validateTeamNo, groupBuyController.simulateTeam);
+
+/**
+ * @swagger
+ * /api/seller/promotion/group-buy/{id}:
+ *   get:
+ *     summary: 获取拼团活动详情
+ *     description: 拼团活动通过促销活动接口创建，此接口返回拼团规则和成团统计
+ *     tags: [卖家拼团]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: 拼团活动（含开团数、成团数、模拟成团数和失败数）
+ *       404:
+ *         description: 拼团活动不存在
+ */
+router.get('/promotion/group-buy/:id(\\d+)', groupBuyValidation.validatePromotionId, groupBuyController.getPromotion);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * 卖家端拼团验证规则
+ * 确保API输入数据合法性
+ */
+
+const { query, param, validationResult } = require('express-validator');
+const { TEAM_STATUS } = require('../../../core/services/groupBuyService');
+
+/**
+ * 验证请求参数
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      code: 400,
+      message: errors.array()[0].msg,
+      errors: errors.array()
+    });
+  }
+  return next();
+};
+
+/**
+ * 验证拼团活动ID
+ */
+const validatePromotionId = [
+  param('id').isInt({ min: 1 }).withMessage('无效的活动ID'),
+  validate
+];
+
+/**
+ * 验证拼团团队列表查询
+ */
+const validateTeamList = [
+  query('promotionId').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('无效的活动ID'),
+  query('status').optional({ checkFalsy: true }).isIn(Object.values(TEAM_STATUS)).withMessage('无效的拼团状态'),
+  query('page').optional().isInt({ min: 1 }).withMessage('页码必须是正整数'),
+  query('pageSize').optional().isInt({ min: 1, max: 100 }).withMessage('每页数量必须为1-100'),
+  validate
+];
+
+/**
+ * 验证团号
+ */
+const validateTeamNo = [
+  param('teamNo').isString().trim().notEmpty().isLength({ max: 32 }).withMessage('无效的团号'),
+  validate
+];
+
+module.exports = {
+  validatePromotionId,
+  validateTeamList,
+  validateTeamNo
+};
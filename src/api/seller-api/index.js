@@ -4,13 +4,38 @@
  */
 
 const logger = require('../core/utils/logger');
+const shopPermissionGuard = require('../core/security/permission/shopPermissionGuard');
 
 /**
  * 注册卖家端API模块
+ * 所有 /api/seller 接口先经过店铺权限守卫：认证店主或员工、记录写操作审计日志、按模块校验权限
  * @param {Object} app - Express应用实例
  */
 function register(app) {
   logger.info('注册卖家端API模块');
+  app.use('/api/seller', shopPermissionGuard.guard());
+
+  const staffModule = require('./staff');
+  staffModule.register(app);
+
+  const settlementModule = require('./settlement');
+  settlementModule.register(app);
+
+  const bargainModule = require('./bargain');
+  bargainModule.register(app);
+
+  const groupBuyModule = require('./group-buy');
+  groupBuyModule.register(app);
+
+  const flashSaleModule = require('./flash-sale');
+  flashSaleModule.register(app);
+
+  const couponModule = require('./coupon');
+  couponModule.register(app);
+
+  const deliveryModule = require('./delivery');
+  deliveryModule.register(app);
+
   const sellerRoutes = require('./routes/sellerRoutes');
   app.use('/api/seller', sellerRoutes);
   logger.info('卖家端API模块注册完成');
@@ -18,4 +43,4 @@ function register(app) {
 
 module.exports = {
   register
-};
\ No newline at end of file
+};
@@ -138,6 +138,44 @@ class InventoryController {
     }
   }
 
+  /**
+   * 获取库存流水
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getInventoryMovements(req, res) {
+    try {
+      const sellerId = req.user.id;
+      const { page = 1, pageSize = 10, productId, skuId, type } = req.query;
+      
+      logger.info(`卖家[${sellerId}]获取库存流水`, { page, pageSize, productId, skuId, type });
+      
+      const result = await inventoryService.getInventoryMovements({
+        sellerId,
+        page: parseInt(page),
+        pageSize: parseInt(pageSize),
+        productId,
+        skuId,
+        type
+      });
+      
+      logger.info(`卖家[${sellerId}]获取库存流水成功`);
+      
+      return res.json({
+        success: true,
+        message: '获取库存流水成功',
+        data: result
+      });
+    } catch (error) {
+      logger.error('获取库存流水失败:', error);
+      
+      return res.status(500).json({
+        success: false,
+        message: error.message || '获取库存流水失败'
+      });
+    }
+  }
+
   /**
    * 设置库存预警阈值
    * @param {Object} req - Express请求对象
@@ -1,6 +1,6 @@
 /**
  * 卖家端库存管理仓库
- * 实现库存相关的数据访问层功能
+ * 实现库存相关的查询功能，库存数量和预警阈值的变更统一由核心库存服务完成
  */
 
 const logger = require('../../../core/utils/logger');
@@ -28,7 +28,9 @@ class InventoryRepository {
           p.name as productName,
           i.sku_id as skuId,
           s.attributes as skuAttributes,
-          i.quantity,
+          i.available as quantity,
+          i.locked as lockedQuantity,
+          i.sold as soldQuantity,
           i.alert_threshold as alertThreshold,
           i.updated_at as updatedAt
         FROM inventory i
@@ -56,7 +58,7 @@ class InventoryRepository {
       }
       
       if (alertOnly) {
-        sql += ' AND (i.quantity <= i.alert_threshold AND i.alert_threshold > 0)';
+        sql += ' AND (i.available <= i.alert_threshold AND i.alert_threshold > 0)';
       }
       
       sql += ' ORDER BY i.updated_at DESC LIMIT ? OFFSET ?';
@@ -99,7 +101,7 @@ class InventoryRepository {
       }
       
       if (alertOnly) {
-        sql += ' AND (quantity <= alert_threshold AND alert_threshold > 0)';
+        sql += ' AND (available <= alert_threshold AND alert_threshold > 0)';
       }
       
       const [rows] = await db.execute(sql, params);
@@ -110,61 +112,6 @@ class InventoryRepository {
     }
   }
 
-  /**
-   * 更新库存
-   * @param {Object} data - 库存数据
-   * @returns {Promise<boolean>} 更新是否成功
-   */
-  async updateInventory(data) {
-    try {
-      const { sellerId, productId, skuId, quantity, reason, updatedBy } = data;
-      
-      // 开始事务
-      await db.beginTransaction();
-      
-      try {
-        // 检查库存记录是否存在
-        const [existing] = await db.execute(
-          'SELECT id FROM inventory WHERE seller_id = ? AND product_id = ? AND sku_id = ?',
-          [sellerId, productId, skuId || null]
-        );
-        
-        let result;
-        if (existing.length > 0) {
-          // 更新现有库存
-          [result] = await db.execute(
-            'UPDATE inventory SET quantity = ?, updated_by = ?, updated_at = NOW() WHERE id = ?',
-            [quantity, updatedBy, existing[0].id]
-          );
-        } else {
-          // 创建新库存记录
-          [result] = await db.execute(
-            'INSERT INTO inventory (seller_id, product_id, sku_id, quantity, updated_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?, NOW(), NOW())',
-            [sellerId, productId, skuId || null, quantity, updatedBy]
-          );
-        }
-        
-        // 记录库存变更日志
-        await db.execute(
-          'INSERT INTO inventory_logs (seller_id, product_id, sku_id, old_quantity, new_quantity, reason, operator_id, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, NOW())',
-          [sellerId, productId, skuId || null, 0, quantity, reason || '手动调整', updatedBy]
-        );
-        
-        // 提交事务
-        await db.commit();
-        
-        return result.affectedRows > 0;
-      } catch (error) {
-        // 回滚事务
-        await db.rollback();
-        throw error;
-      }
-    } catch (error) {
-      logger.error('更新库存数据库操作失败:', error);
-      throw error;
-    }
-  }
-
   /**
    * 获取库存预警
    * @param {number} sellerId - 卖家ID
@@ -180,13 +127,15 @@ class InventoryRepository {
           p.name as productName,
           i.sku_id as skuId,
           s.attributes as skuAttributes,
-          i.quantity,
+          i.available as quantity,
+          i.locked as lockedQuantity,
+          i.sold as soldQuantity,
           i.alert_threshold as alertThreshold,
-          (i.alert_threshold - i.quantity) as shortage
+          (i.alert_threshold - i.available) as shortage
         FROM inventory i
         JOIN products p ON i.product_id = p.id
         LEFT JOIN product_skus s ON i.sku_id = s.id
-        WHERE i.seller_id = ? AND i.quantity <= i.alert_threshold AND i.alert_threshold > 0
+        WHERE i.seller_id = ? AND i.available <= i.alert_threshold AND i.alert_threshold > 0
         ORDER BY shortage DESC LIMIT ? OFFSET ?
       `;
       
@@ -205,7 +154,7 @@ class InventoryRepository {
    */
   async countInventoryAlerts(sellerId) {
     try {
-      const sql = 'SELECT COUNT(*) as count FROM inventory WHERE seller_id = ? AND quantity <= alert_threshold AND alert_threshold > 0';
+      const sql = 'SELECT COUNT(*) as count FROM inventory WHERE seller_id = ? AND available <= alert_threshold AND alert_threshold > 0';
       const [rows] = await db.execute(sql, [sellerId]);
       return rows[0].count;
     } catch (error) {
@@ -214,28 +163,6 @@ class InventoryRepository {
     }
   }
 
-  /**
-   * 设置库存预警阈值
-   * @param {Object} data - 设置数据
-   * @returns {Promise<boolean>} 设置是否成功
-   */
-  async setInventoryAlert(data) {
-    try {
-      const { sellerId, productId, skuId, alertThreshold } = data;
-      
-      // 更新库存预警阈值
-      const [result] = await db.execute(
-        'UPDATE inventory SET alert_threshold = ? WHERE seller_id = ? AND product_id = ? AND sku_id = ?',
-        [alertThreshold, sellerId, productId, skuId || null]
-      );
-      
-      return result.affectedRows > 0;
-    } catch (error) {
-      logger.error('设置库存预警阈值数据库操作失败:', error);
-      throw error;
-    }
-  }
-
   /**
    * 统计低库存产品数量
    * @param {number} sellerId - 卖家ID
@@ -243,7 +170,7 @@ class InventoryRepository {
    */
   async countLowStockProducts(sellerId) {
     try {
-      const sql = 'SELECT COUNT(*) as count FROM inventory WHERE seller_id = ? AND quantity = 0';
+      const sql = 'SELECT COUNT(*) as count FROM inventory WHERE seller_id = ? AND available = 0';
       const [rows] = await db.execute(sql, [sellerId]);
       return rows[0].count;
     } catch (error) {
@@ -259,7 +186,7 @@ class InventoryRepository {
    */
   async getTotalStockQuantity(sellerId) {
     try {
-      const sql = 'SELECT SUM(quantity) as total FROM inventory WHERE seller_id = ?';
+      const sql = 'SELECT SUM(available) as total FROM inventory WHERE seller_id = ?';
       const [rows] = await db.execute(sql, [sellerId]);
       return rows[0].total || 0;
     } catch (error) {
@@ -281,7 +208,9 @@ class InventoryRepository {
           p.name as productName,
           i.sku_id as skuId,
           s.attributes as skuAttributes,
-          i.quantity,
+          i.available as quantity,
+          i.locked as lockedQuantity,
+          i.sold as soldQuantity,
           i.alert_threshold as alertThreshold,
           i.updated_at as updatedAt
         FROM inventory i
@@ -117,6 +117,43 @@ router.put('/products/:id', inventoryValidation.validateUpdateInventory, invento
  */
 router.get('/alerts', inventoryValidation.validateGetInventoryAlerts, inventoryController.getInventoryAlerts);
 
+/**
+ * @swagger
+ * /api/seller/inventory/movements:
+ *   get:
+ *     summary: 获取库存流水
+ *     tags: [卖家库存管理]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *         description: 页码
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, default: 10 }
+ *         description: 每页数量
+ *       - in: query
+ *         name: productId
+ *         schema: { type: integer }
+ *         description: 产品ID
+ *       - in: query
+ *         name: skuId
+ *         schema: { type: integer }
+ *         description: SKU ID
+ *       - in: query
+ *         name: type
+ *         schema: { type: string, enum: [lock, unlock, sale, refund, adjust, import] }
+ *         description: 流水类型
+ *     responses:
+ *       200:
+ *         description: 成功获取库存流水
+ *       400:
+ *         description: 请求参数错误
+ *       500:
+ *         description: 服务器错误
+ */
+router.get('/movements', inventoryValidation.validateGetInventoryMovements, inventoryController.getInventoryMovements);
+
 /**
  * @swagger
  * /api/seller/inventory/alert:
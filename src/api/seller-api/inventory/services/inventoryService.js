@@ -1,11 +1,15 @@
 /**
  * 卖家端库存管理服务
- * 实现库存处理的核心业务逻辑
+ * 实现库存处理的核心业务逻辑，库存数量变动统一通过核心库存服务完成
  */
 
 const logger = require('../../../core/utils/logger');
+const coreInventoryService = require('../../../core/services/inventoryService');
 const inventoryRepository = require('../repositories/inventoryRepository');
 const productService = require('../../product/services/productService');
+const stockReservationService = require('../../../buyer-api/order/services/stockReservationService');
+
+const { MOVEMENT_TYPE } = coreInventoryService;
 
 /**
  * 库存管理服务
@@ -65,10 +69,11 @@ class InventoryService {
    * @param {number} params.skuId - SKU ID
    * @param {number} params.quantity - 库存数量
    * @param {string} params.reason - 更新原因
+   * @param {string} [params.movementType] - 库存流水类型，adjust（手工调整）或 import（批量导入）
    * @returns {Promise<void>}
    */
   async updateInventory(params) {
-    const { sellerId, productId, skuId, quantity, reason } = params;
+    const { sellerId, productId, skuId, quantity, reason, movementType = MOVEMENT_TYPE.ADJUST } = params;
     
     try {
       // 验证产品是否存在且属于该卖家
@@ -82,22 +87,77 @@ class InventoryService {
         throw new Error('库存数量不能为负数');
       }
       
-      // 更新库存
-      const result = await inventoryRepository.updateInventory({
+      // 更新库存并记录库存流水
+      await coreInventoryService.adjustInventory({
         sellerId,
         productId,
         skuId,
         quantity,
         reason,
-        updatedBy: sellerId
+        operatorId: sellerId,
+        type: movementType
       });
       
-      if (!result) {
-        throw new Error('库存更新失败');
+    } catch (error) {
+      logger.error('更新库存服务失败:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 按业务变动增减产品库存（如退款退货）
+   * @param {Object} params - 变动参数
+   * @param {number} params.productId - 产品ID
+   * @param {number} [params.skuId] - SKU ID
+   * @param {number} params.quantity - 变动数量
+   * @param {string} params.operation - increase（退回库存）或 decrease（销售出库）
+   * @param {string} params.reason - 变动原因
+   * @param {string} [params.sourceType] - 来源类型
+   * @param {string} [params.sourceId] - 来源ID，同一来源只生效一次
+   * @returns {Promise<Array>} 库存变动列表
+   */
+  async updateProductInventory(params) {
+    const { productId, skuId, quantity, operation, reason, sourceType, sourceId } = params;
+    
+    try {
+      const items = [{ productId, skuId, quantity }];
+      const source = { sourceType, sourceId, reason };
+      
+      if (operation === 'increase') {
+        return await coreInventoryService.increaseInventory(items, source);
+      }
+      if (operation === 'decrease') {
+        return await coreInventoryService.reduceInventory(items, source);
+      }
+      throw new Error(`不支持的库存操作: ${operation}`);
+    } catch (error) {
+      logger.error('变更产品库存服务失败:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 恢复订单库存（卖家取消订单或同意退款时调用）
+   * 未支付订单释放库存预占，已支付订单将已售库存退回可售库存
+   * @param {number} orderId - 订单ID
+   * @param {Array} items - 订单商品 [{ productId, skuId, quantity }]
+   * @param {string} reason - 恢复原因
+   * @returns {Promise<void>}
+   */
+  async restoreOrderInventory(orderId, items, reason) {
+    try {
+      const released = await stockReservationService.release(String(orderId), reason);
+      if (released.length > 0) {
+        return;
       }
       
+      await coreInventoryService.increaseInventory(items, {
+        sourceType: 'order',
+        sourceId: orderId,
+        reason
+      });
     } catch (error) {
-      logger.error('更新库存服务失败:', error);
+      logger.error('恢复订单库存服务失败:', error);
       throw error;
     }
   }
@@ -159,9 +219,8 @@ class InventoryService {
         throw new Error('产品不存在或无权操作');
       }
       
-      // 设置预警阈值
-      const result = await inventoryRepository.setInventoryAlert({
-        sellerId,
+      // 设置预警阈值，当前库存已低于阈值时立即发送预警
+      const result = await coreInventoryService.setAlertThreshold({
         productId,
         skuId,
         alertThreshold
@@ -198,7 +257,8 @@ class InventoryService {
             productId: parseInt(item.productId),
             skuId: item.skuId ? parseInt(item.skuId) : null,
             quantity: parseInt(item.quantity),
-            reason: item.reason || '批量更新'
+            reason: item.reason || '批量更新',
+            movementType: MOVEMENT_TYPE.IMPORT
           });
           
           results.push({
@@ -224,6 +284,33 @@ class InventoryService {
     }
   }
 
+  /**
+   * 获取库存流水
+   * @param {Object} params - 查询参数
+   * @param {number} params.sellerId - 卖家ID
+   * @param {number} params.page - 页码
+   * @param {number} params.pageSize - 每页数量
+   * @param {string} params.productId - 产品ID
+   * @param {string} params.skuId - SKU ID
+   * @param {string} params.type - 流水类型
+   * @returns {Promise<Object>} 库存流水列表和分页信息
+   */
+  async getInventoryMovements(params) {
+    const { sellerId, page, pageSize, productId, skuId, type } = params;
+    
+    try {
+      logger.info(`获取库存流水服务`, { sellerId, page, pageSize });
+      
+      return await coreInventoryService.getMovements(
+        { sellerId, productId, skuId, type },
+        { page, pageSize }
+      );
+    } catch (error) {
+      logger.error('获取库存流水服务失败:', error);
+      throw new Error('获取库存流水失败');
+    }
+  }
+
   /**
    * 获取库存统计信息
    * @param {number} sellerId - 卖家ID
@@ -272,7 +359,7 @@ class InventoryService {
       
       if (format === 'csv') {
         // 生成CSV格式数据
-        const headers = ['产品ID', '产品名称', 'SKU ID', 'SKU属性', '当前库存', '预警阈值', '更新时间'];
+        const headers = ['产品ID', '产品名称', 'SKU ID', 'SKU属性', '当前库存', '锁定库存', '已售数量', '预警阈值', '更新时间'];
         const csvRows = [headers.join(',')];
         
         for (const item of inventoryData) {
@@ -282,6 +369,8 @@ class InventoryService {
             item.skuId || '',
             `"${item.skuAttributes || ''}"`,
             item.quantity,
+            item.lockedQuantity,
+            item.soldQuantity,
             item.alertThreshold || '',
             item.updatedAt ? new Date(item.updatedAt).toLocaleString() : ''
           ];
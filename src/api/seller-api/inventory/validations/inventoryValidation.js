@@ -63,6 +63,18 @@ const validateGetInventoryAlerts = [
   validate
 ];
 
+/**
+ * 验证获取库存流水参数
+ */
+const validateGetInventoryMovements = [
+  query('page').optional().isInt({ min: 1 }).withMessage('页码必须是正整数'),
+  query('pageSize').optional().isInt({ min: 1, max: 100 }).withMessage('每页数量必须是1-100之间的整数'),
+  query('productId').optional().isInt({ min: 1 }).withMessage('产品ID必须是正整数'),
+  query('skuId').optional().isInt({ min: 1 }).withMessage('SKU ID必须是正整数'),
+  query('type').optional().isIn(['lock', 'unlock', 'sale', 'refund', 'adjust', 'import']).withMessage('流水类型不正确'),
+  validate
+];
+
 /**
  * 验证设置库存预警阈值参数
  */
@@ -98,6 +110,7 @@ module.exports = {
   validateProductId,
   validateUpdateInventory,
   validateGetInventoryAlerts,
+  validateGetInventoryMovements,
   validateSetInventoryAlert,
   validateBatchUpdateInventory,
   validateExportInventory
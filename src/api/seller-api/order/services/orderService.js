@@ -6,6 +6,9 @@
 const logger = require('../../../core/utils/logger');
 const orderRepository = require('../repositories/orderRepository');
 const inventoryService = require('../../inventory/services/inventoryService');
+const afterSalesService = require('../../../core/services/afterSalesService');
+const groupBuyService = require('../../../core/services/groupBuyService');
+const logisticsCompanyService = require('../../../core/services/logisticsCompanyService');
 
 class OrderService {
   /**
@@ -130,7 +133,7 @@ class OrderService {
    * 发货订单
    * @param {number} sellerId - 卖家ID
    * @param {number} orderId - 订单ID
-   * @param {Object} shippingInfo - 物流信息
+   * @param {Object} shippingInfo - 物流信息（shippingCompany 为平台启用的物流公司编码或名称）
    * @returns {Promise<Object>} 更新后的订单
    */
   async shipOrder(sellerId, orderId, shippingInfo) {
@@ -150,11 +153,19 @@ class OrderService {
         throw new Error('只有待发货订单才能发货');
       }
       
+      // 拼团订单成团后才能发货
+      await groupBuyService.assertShippable(orderId);
+      
+      // 只能使用平台启用的物流公司发货
+      const company = await logisticsCompanyService.resolveForShipment(shippingInfo.shippingCompany);
+      
       // 更新订单信息
       const updatedOrder = await orderRepository.updateOrder(orderId, {
         status: 'shipped',
         trackingNumber: shippingInfo.trackingNumber,
-        shippingCompany: shippingInfo.shippingCompany,
+        shippingCompany: company.name,
+        shippingCompanyCode: company.code,
+        trackingUrl: logisticsCompanyService.buildTrackingUrl(company, shippingInfo.trackingNumber),
         shippedAt: new Date(),
         updatedAt: new Date()
       });
@@ -163,7 +174,7 @@ class OrderService {
       await orderRepository.createOrderLog({
         orderId,
         action: 'ship',
-        content: `订单发货，物流公司: ${shippingInfo.shippingCompany}，运单号: ${shippingInfo.trackingNumber}`,
+        content: `订单发货，物流公司: ${company.name}，运单号: ${shippingInfo.trackingNumber}`,
         remark: shippingInfo.remark,
         operatorId: sellerId,
         operatorType: 'seller'
@@ -212,9 +223,7 @@ class OrderService {
       const orderItems = await orderRepository.getOrderItemsByOrderId(orderId);
       
       // 恢复库存
-      for (const item of orderItems) {
-        await inventoryService.restoreInventory(item.productId, item.skuId, item.quantity);
-      }
+      await inventoryService.restoreOrderInventory(orderId, orderItems, `卖家取消订单: ${reason}`);
       
       // 记录订单日志
       await orderRepository.createOrderLog({
@@ -234,43 +243,19 @@ class OrderService {
 
   /**
    * 同意退款
+   * 同意订单当前待审核的售后申请，退款和退货入库由售后流程完成
    * @param {number} sellerId - 卖家ID
    * @param {number} orderId - 订单ID
    * @param {string} reason - 退款原因
-   * @returns {Promise<Object>} 更新后的订单
+   * @returns {Promise<Object>} 处理后的售后单
    */
   async approveRefund(sellerId, orderId, reason) {
     try {
       logger.info(`同意退款，卖家ID: ${sellerId}，订单ID: ${orderId}`);
       
-      // 获取订单
-      const order = await orderRepository.getOrderById(orderId);
-      
-      // 验证订单归属
-      if (!order || order.sellerId !== sellerId) {
-        throw new Error('订单不存在或无权操作');
-      }
-      
-      // 验证订单状态
-      if (order.status !== 'refund_requested') {
-        throw new Error('只有退款申请中的订单才能同意退款');
-      }
-      
-      // 更新订单状态
-      const updatedOrder = await orderRepository.updateOrder(orderId, {
-        status: 'refunded',
-        refundReason: reason,
-        refundedAt: new Date(),
-        updatedAt: new Date()
-      });
+      const request = await this.getPendingAfterSales(sellerId, orderId);
       
-      // 获取订单项
-      const orderItems = await orderRepository.getOrderItemsByOrderId(orderId);
-      
-      // 恢复库存
-      for (const item of orderItems) {
-        await inventoryService.restoreInventory(item.productId, item.skuId, item.quantity);
-      }
+      const approved = await afterSalesService.approve(request.id, { sellerId, remark: reason });
       
       // 记录订单日志
       await orderRepository.createOrderLog({
@@ -281,7 +266,7 @@ class OrderService {
         operatorType: 'seller'
       });
       
-      return updatedOrder;
+      return approved;
     } catch (error) {
       logger.error(`同意退款失败: ${error.message}`);
       throw error;
@@ -293,31 +278,15 @@ class OrderService {
    * @param {number} sellerId - 卖家ID
    * @param {number} orderId - 订单ID
    * @param {string} reason - 拒绝原因
-   * @returns {Promise<Object>} 更新后的订单
+   * @returns {Promise<Object>} 处理后的售后单
    */
   async rejectRefund(sellerId, orderId, reason) {
     try {
       logger.info(`拒绝退款，卖家ID: ${sellerId}，订单ID: ${orderId}`);
       
-      // 获取订单
-      const order = await orderRepository.getOrderById(orderId);
-      
-      // 验证订单归属
-      if (!order || order.sellerId !== sellerId) {
-        throw new Error('订单不存在或无权操作');
-      }
+      const request = await this.getPendingAfterSales(sellerId, orderId);
       
-      // 验证订单状态
-      if (order.status !== 'refund_requested') {
-        throw new Error('只有退款申请中的订单才能拒绝退款');
-      }
-      
-      // 更新订单状态
-      const updatedOrder = await orderRepository.updateOrder(orderId, {
-        status: 'delivered',
-        refundRejectReason: reason,
-        updatedAt: new Date()
-      });
+      const rejected = await afterSalesService.reject(request.id, { sellerId, rejectReason: reason });
       
       // 记录订单日志
       await orderRepository.createOrderLog({
@@ -328,13 +297,36 @@ class OrderService {
         operatorType: 'seller'
       });
       
-      return updatedOrder;
+      return rejected;
     } catch (error) {
       logger.error(`拒绝退款失败: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * 获取订单待审核的售后申请
+   * @param {number} sellerId - 卖家ID
+   * @param {number} orderId - 订单ID
+   * @returns {Promise<Object>} 售后单
+   */
+  async getPendingAfterSales(sellerId, orderId) {
+    // 获取订单
+    const order = await orderRepository.getOrderById(orderId);
+    
+    // 验证订单归属
+    if (!order || order.sellerId !== sellerId) {
+      throw new Error('订单不存在或无权操作');
+    }
+    
+    const request = await afterSalesService.getOpenRequestByOrder(orderId);
+    if (!request || request.status !== afterSalesService.STATUS.PENDING) {
+      throw new Error('该订单没有待审核的退款申请');
+    }
+    
+    return request;
+  }
+
   /**
    * 获取订单统计信息
    * @param {number} sellerId - 卖家ID
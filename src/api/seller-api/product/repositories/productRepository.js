@@ -235,23 +235,6 @@ class ProductRepository {
     }
   }
   
-  /**
-   * 更新库存
-   * @param {Array<Object>} variants - 变体库存数据
-   * @returns {Promise<number>} 更新的数量
-   */
-  async updateInventory(variants) {
-    try {
-      // 模拟库存更新
-      logger.info('更新商品库存', variants);
-      // 实际应该是更新SKU的库存
-      return variants.length;
-    } catch (error) {
-      logger.error('更新商品库存失败', error);
-      throw error;
-    }
-  }
-  
   /**
    * 更新价格
    * @param {Array<Object>} variants - 变体价格数据
@@ -354,26 +337,6 @@ class ProductRepository {
       throw error;
     }
   }
-  
-  /**
-   * 创建库存变更日志
-   * @param {Object} logData - 日志数据
-   * @returns {Promise<Object>} 创建的日志
-   */
-  async createInventoryLogs(logData) {
-    try {
-      // 模拟创建日志
-      logger.info('创建库存变更日志', logData);
-      // 实际应该是创建库存变更记录
-      return {
-        id: `log_${Date.now()}`,
-        ...logData
-      };
-    } catch (error) {
-      logger.error('创建库存变更日志失败', error);
-      throw error;
-    }
-  }
 }
 
 module.exports = new ProductRepository();
\ No newline at end of file
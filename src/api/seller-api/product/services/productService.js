@@ -4,6 +4,7 @@
 
 const logger = require('@core/utils/logger');
 const productRepository = require('../repositories/productRepository');
+const inventoryService = require('@core/services/inventoryService');
 const { BusinessError, NotFoundError, ForbiddenError } = require('@core/errors/customErrors');
 
 class ProductService {
@@ -199,17 +200,21 @@ class ProductService {
       }
     }
     
-    // 更新库存
-    const updatedCount = await productRepository.updateInventory(variants);
-    
-    // 记录库存变更日志
-    await productRepository.createInventoryLogs({
-      productId,
-      sellerId,
-      changes: variants,
-      changeType: 'manual',
-      timestamp: new Date()
-    });
+    // 逐个SKU更新库存，每次变更记录一条库存流水
+    let updatedCount = 0;
+    for (const variant of variants) {
+      const change = await inventoryService.adjustInventory({
+        sellerId,
+        productId,
+        skuId: variant.skuId,
+        quantity: variant.quantity,
+        reason: variant.reason || '商品库存编辑',
+        operatorId: sellerId
+      });
+      if (change) {
+        updatedCount++;
+      }
+    }
     
     return {
       updatedCount,
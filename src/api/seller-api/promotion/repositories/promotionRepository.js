@@ -211,6 +211,39 @@ class PromotionRepository {
     }
   }
 
+  /**
+   * 获取指定时间点生效中的促销活动
+   * 只返回状态为启用且处于活动时间范围内的促销，附带其关联产品ID
+   * @param {Object} params - 查询参数
+   * @param {Array} [params.productIds] - 产品ID列表（为空时返回全部生效促销）
+   * @param {Date} [params.at] - 生效时间点，默认为当前时间
+   * @returns {Promise<Array>} 促销活动列表（含product_id字段，未关联产品时为null）
+   */
+  async getActivePromotions(params = {}) {
+    try {
+      const { productIds, at = new Date() } = params;
+
+      const queryBuilder = this.db('promotions as p')
+        .select('p.*', 'pp.product_id')
+        .leftJoin('promotion_products as pp', 'pp.promotion_id', '=', 'p.id')
+        .where('p.status', '=', 'active')
+        .where('p.start_time', '<=', at)
+        .where('p.end_time', '>=', at);
+
+      // 关联了指定产品的促销，或未关联任何产品的全店促销
+      if (productIds && productIds.length > 0) {
+        queryBuilder.where(function () {
+          this.whereIn('pp.product_id', productIds).orWhereNull('pp.product_id');
+        });
+      }
+
+      return queryBuilder.orderBy('p.created_at', 'asc');
+    } catch (error) {
+      logger.error('获取生效促销活动失败:', error);
+      throw error;
+    }
+  }
+
   /**
    * 更新促销活动产品关联
    * @param {Object} params - 更新参数
@@ -8,6 +8,7 @@ const promotionRepository = require('../repositories/promotionRepository');
 const productService = require('../../product/services/productService');
 const messageQueue = require('../../../core/utils/messageQueue');
 const di = require('../../../core/di/container');
+const { normalizeRule: normalizeGroupBuyRule } = require('../../../core/services/groupBuyService');
 
 /**
  * 促销状态枚举
@@ -72,6 +73,9 @@ class PromotionService {
         throw new Error('开始时间必须早于结束时间');
       }
 
+      // 拼团活动校验拼团价、成团人数、成团时限和模拟成团设置
+      const promotionRule = type === PROMOTION_TYPE.GROUP_BUY ? normalizeGroupBuyRule(rule) : rule;
+
       // 验证产品是否属于该卖家
       if (productIds && productIds.length > 0) {
         const products = await this.productService.getProductsByIds({
@@ -92,7 +96,7 @@ class PromotionService {
         description,
         start_time: startTime,
         end_time: endTime,
-        rule: JSON.stringify(rule),
+        rule: JSON.stringify(promotionRule),
         status,
         created_at: new Date(),
         updated_at: new Date()
@@ -251,6 +255,11 @@ class PromotionService {
       const updateData = { ...data };
       updateData.updated_at = new Date();
 
+      // 拼团活动修改规则或改为拼团类型时重新校验拼团规则
+      if ((data.type || existingPromotion.type) === PROMOTION_TYPE.GROUP_BUY && (data.rule || data.type)) {
+        updateData.rule = normalizeGroupBuyRule(data.rule || JSON.parse(existingPromotion.rule));
+      }
+
       // 如果更新规则，需要序列化
       if (updateData.rule) {
         updateData.rule = JSON.stringify(updateData.rule);
@@ -390,6 +399,48 @@ class PromotionService {
     }
   }
 
+  /**
+   * 获取商品当前生效的促销活动
+   * 供买家端计价使用，按促销活动聚合关联产品，未关联产品的促销视为全店促销
+   * @param {Object} params - 查询参数
+   * @param {Array} params.productIds - 产品ID列表
+   * @param {Date} [params.at] - 生效时间点，默认为当前时间
+   * @returns {Promise<Array>} 促销活动列表
+   */
+  async getActivePromotions(params) {
+    try {
+      const { productIds, at } = params;
+
+      const rows = await this.promotionRepository.getActivePromotions({ productIds, at });
+
+      const promotions = new Map();
+      for (const row of rows) {
+        if (!promotions.has(row.id)) {
+          promotions.set(row.id, {
+            id: row.id,
+            sellerId: row.seller_id,
+            name: row.name,
+            type: row.type,
+            status: row.status,
+            startTime: row.start_time,
+            endTime: row.end_time,
+            rule: typeof row.rule === 'string' ? JSON.parse(row.rule) : (row.rule || {}),
+            productIds: []
+          });
+        }
+
+        if (row.product_id !== null && row.product_id !== undefined) {
+          promotions.get(row.id).productIds.push(String(row.product_id));
+        }
+      }
+
+      return Array.from(promotions.values());
+    } catch (error) {
+      logger.error('获取生效促销活动失败:', error);
+      throw error;
+    }
+  }
+
   /**
    * 获取促销活动效果统计
    * @param {Object} params - 查询参数
@@ -26,10 +26,11 @@ class RefundController {
   async getRefundList(req, res, next) {
     try {
       const { sellerId } = req.user;
-      const { status, startDate, endDate, page = 1, pageSize = 10 } = req.query;
+      const { status, type, startDate, endDate, page = 1, pageSize = 10 } = req.query;
 
       logger.info(`卖家[${sellerId}]获取退款列表请求`, {
         status,
+        type,
         startDate,
         endDate,
         page,
@@ -39,6 +40,7 @@ class RefundController {
       const result = await this.refundService.getRefundList({
         sellerId,
         status,
+        type,
         startDate,
         endDate,
         page: parseInt(page),
@@ -232,6 +234,75 @@ class RefundController {
       next(error);
     }
   }
+  /**
+   * 确认收到买家退货
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一个中间件
+   */
+  async receiveReturn(req, res, next) {
+    try {
+      const { sellerId } = req.user;
+      const { id } = req.params;
+      const { remark } = req.body;
+
+      logger.info(`卖家[${sellerId}]确认收到退货请求`, {
+        refundId: id
+      });
+
+      const result = await this.refundService.receiveReturn({
+        sellerId,
+        refundId: id,
+        remark
+      });
+
+      logger.info(`卖家[${sellerId}]确认收到退货成功`, { refundId: id });
+      res.json({
+        success: true,
+        message: '确认收到退货成功',
+        data: result
+      });
+    } catch (error) {
+      logger.error(`确认收到退货失败:`, error);
+      next(error);
+    }
+  }
+
+  /**
+   * 发出换货商品
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   * @param {Function} next - Express下一个中间件
+   */
+  async shipExchange(req, res, next) {
+    try {
+      const { sellerId } = req.user;
+      const { id } = req.params;
+      const { logisticsCompany, trackingNumber } = req.body;
+
+      logger.info(`卖家[${sellerId}]发出换货商品请求`, {
+        refundId: id,
+        trackingNumber
+      });
+
+      const result = await this.refundService.shipExchange({
+        sellerId,
+        refundId: id,
+        logisticsCompany,
+        trackingNumber
+      });
+
+      logger.info(`卖家[${sellerId}]发出换货商品成功`, { refundId: id });
+      res.json({
+        success: true,
+        message: '发出换货商品成功',
+        data: result
+      });
+    } catch (error) {
+      logger.error(`发出换货商品失败:`, error);
+      next(error);
+    }
+  }
 }
 
 module.exports = new RefundController();
\ No newline at end of file
@@ -1,6 +1,6 @@
 /**
  * 卖家端退款管理模块入口
- * 导出退款相关的控制器、服务、仓库和路由
+ * 导出退款相关的控制器、服务和路由，退款数据由核心售后服务管理
  * 提供模块注册函数，用于配置路由
  */
 
@@ -8,7 +8,6 @@ const express = require('express');
 const refundRoutes = require('./routes/refundRoutes');
 const refundController = require('./controllers/refundController');
 const refundService = require('./services/refundService');
-const refundRepository = require('./repositories/refundRepository');
 
 /**
  * 退款管理模块
@@ -29,13 +28,6 @@ const refundModule = {
     refundService
   },
 
-  /**
-   * 仓库
-   */
-  repositories: {
-    refundRepository
-  },
-
   /**
    * 路由
    */
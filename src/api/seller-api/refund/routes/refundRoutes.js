@@ -28,8 +28,12 @@ router.use(authMiddleware.authenticateSeller);
  *     parameters:
  *       - in: query
  *         name: status
- *         schema: { type: string, enum: ['pending', 'processing', 'approved', 'rejected', 'completed', 'failed'] }
- *         description: 退款状态
+ *         schema: { type: string, enum: ['pending', 'approved', 'waiting_return', 'return_shipped', 'return_received', 'refunding', 'refund_failed', 'exchange_shipped', 'completed', 'rejected', 'canceled'] }
+ *         description: 售后状态
+ *       - in: query
+ *         name: type
+ *         schema: { type: string, enum: ['refund', 'refund_with_return', 'exchange'] }
+ *         description: 售后类型
  *       - in: query
  *         name: startDate
  *         schema: { type: string }
@@ -192,6 +196,76 @@ router.put('/:id/approve', refundValidation.validateRefundId, refundController.a
  */
 router.put('/:id/reject', refundValidation.validateRefundId, refundController.rejectRefund);
 
+/**
+ * @swagger
+ * /api/seller/refunds/{id}/receive:
+ *   put:
+ *     summary: 确认收到买家退货
+ *     tags: [卖家退款管理]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *         description: 退款ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               remark:
+ *                 type: string
+ *                 description: 备注
+ *     responses:
+ *       200:
+ *         description: 成功确认收到退货，退货商品已退回库存
+ *       400:
+ *         description: 请求参数错误
+ *       404:
+ *         description: 退款记录不存在
+ *       500:
+ *         description: 服务器错误
+ */
+router.put('/:id/receive', refundValidation.validateReceiveReturn, refundController.receiveReturn);
+
+/**
+ * @swagger
+ * /api/seller/refunds/{id}/exchange-shipment:
+ *   put:
+ *     summary: 发出换货商品
+ *     tags: [卖家退款管理]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *         description: 退款ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               logisticsCompany:
+ *                 type: string
+ *                 description: 物流公司
+ *               trackingNumber:
+ *                 type: string
+ *                 description: 物流单号
+ *     responses:
+ *       200:
+ *         description: 成功发出换货商品
+ *       400:
+ *         description: 请求参数错误
+ *       404:
+ *         description: 退款记录不存在
+ *       500:
+ *         description: 服务器错误
+ */
+router.put('/:id/exchange-shipment', refundValidation.validateShipExchange, refundController.shipExchange);
+
 /**
  * @swagger
  * /api/seller/refunds/statistics:
@@ -4,44 +4,29 @@
  */
 
 const logger = require('../../../core/utils/logger');
-const refundRepository = require('../repositories/refundRepository');
+const afterSalesService = require('../../../core/services/afterSalesService');
 const orderService = require('../../order/services/orderService');
-const inventoryService = require('../../inventory/services/inventoryService');
-const paymentService = require('../../../core/services/paymentService');
-const messageQueue = require('../../../core/utils/messageQueue');
+const orderRepository = require('../../order/repositories/orderRepository');
 const di = require('../../../core/di/container');
 
-/**
- * 退款状态枚举
- */
-const REFUND_STATUS = {
-  PENDING: 'pending',      // 待处理
-  PROCESSING: 'processing', // 处理中
-  APPROVED: 'approved',    // 已同意
-  REJECTED: 'rejected',    // 已拒绝
-  COMPLETED: 'completed',  // 已完成
-  FAILED: 'failed'         // 失败
-};
-
 /**
  * 退款管理服务类
+ * 退款申请即买家的售后申请，状态流转由核心售后服务处理
  * @class RefundService
  */
 class RefundService {
   constructor() {
     // 从依赖注入容器获取服务实例
-    this.refundRepository = di.get('refundRepository') || refundRepository;
+    this.afterSalesService = di.get('afterSalesService') || afterSalesService;
     this.orderService = di.get('orderService') || orderService;
-    this.inventoryService = di.get('inventoryService') || inventoryService;
-    this.paymentService = di.get('paymentService') || paymentService;
-    this.messageQueue = di.get('messageQueue') || messageQueue;
   }
 
   /**
    * 获取退款列表
    * @param {Object} params - 查询参数
    * @param {string} params.sellerId - 卖家ID
-   * @param {string} [params.status] - 退款状态
+   * @param {string} [params.status] - 售后状态
+   * @param {string} [params.type] - 售后类型
    * @param {string} [params.startDate] - 开始日期
    * @param {string} [params.endDate] - 结束日期
    * @param {number} params.page - 页码
@@ -50,43 +35,15 @@ class RefundService {
    */
   async getRefundList(params) {
     try {
-      const { sellerId, status, startDate, endDate, page, pageSize } = params;
+      const { sellerId, status, type, startDate, endDate, page, pageSize } = params;
 
-      // 调用仓库层获取退款列表
-      const result = await this.refundRepository.getRefundList({
+      return await this.afterSalesService.listRequests({
         sellerId,
         status,
-        startDate,
-        endDate,
-        page,
-        pageSize
-      });
-
-      // 格式化退款列表数据
-      const formattedRefunds = result.items.map(refund => ({
-        id: refund.id,
-        orderId: refund.order_id,
-        orderNo: refund.order_no,
-        productInfo: JSON.parse(refund.product_info),
-        userId: refund.user_id,
-        amount: refund.amount,
-        refundAmount: refund.refund_amount,
-        reason: refund.reason,
-        status: refund.status,
-        sellerRemark: refund.seller_remark,
-        createdAt: refund.created_at,
-        updatedAt: refund.updated_at
-      }));
-
-      return {
-        list: formattedRefunds,
-        pagination: {
-          total: result.total,
-          page,
-          pageSize,
-          totalPages: Math.ceil(result.total / pageSize)
-        }
-      };
+        type,
+        startDate: startDate ? new Date(startDate) : null,
+        endDate: endDate ? new Date(endDate + ' 23:59:59') : null
+      }, { page, pageSize });
     } catch (error) {
       logger.error('获取退款列表失败:', error);
       throw new Error(`获取退款列表失败: ${error.message}`);
@@ -97,50 +54,21 @@ class RefundService {
    * 获取退款详情
    * @param {Object} params - 查询参数
    * @param {string} params.sellerId - 卖家ID
-   * @param {string} params.refundId - 退款ID
+   * @param {string} params.refundId - 退款ID（售后单ID）
    * @returns {Promise<Object>} 退款详情
    */
   async getRefundDetail(params) {
     try {
       const { sellerId, refundId } = params;
 
-      // 调用仓库层获取退款详情
-      const refund = await this.refundRepository.getRefundDetail({
-        sellerId,
-        refundId
-      });
-
-      if (!refund) {
-        throw new Error('退款记录不存在');
-      }
+      const refund = await this.afterSalesService.getRequest(refundId, { sellerId });
 
       // 获取关联的订单信息
-      const orderDetail = await this.orderService.getOrderDetail({
-        orderId: refund.order_id,
-        sellerId
-      });
+      const orderDetail = await this.orderService.getOrderDetail(sellerId, refund.orderId);
 
-      // 格式化退款详情数据
       return {
-        id: refund.id,
-        orderId: refund.order_id,
-        orderNo: refund.order_no,
-        orderDetail,
-        productInfo: JSON.parse(refund.product_info),
-        userId: refund.user_id,
-        userName: refund.user_name,
-        userPhone: refund.user_phone,
-        amount: refund.amount,
-        refundAmount: refund.refund_amount,
-        reason: refund.reason,
-        description: refund.description,
-        status: refund.status,
-        sellerRemark: refund.seller_remark,
-        images: refund.images ? JSON.parse(refund.images) : [],
-        createdAt: refund.created_at,
-        updatedAt: refund.updated_at,
-        processedAt: refund.processed_at,
-        processBy: refund.process_by
+        ...refund,
+        orderDetail
       };
     } catch (error) {
       logger.error('获取退款详情失败:', error);
@@ -150,119 +78,65 @@ class RefundService {
 
   /**
    * 处理退款申请
+   * 同意后仅退款立即原路退款，退货退款和换货等待买家退货
    * @param {Object} params - 处理参数
    * @param {string} params.sellerId - 卖家ID
-   * @param {string} params.refundId - 退款ID
+   * @param {string} params.refundId - 退款ID（售后单ID）
    * @param {string} params.action - 操作类型(approve/reject)
    * @param {string} params.reason - 处理原因
-   * @param {number} [params.refundAmount] - 退款金额
-   * @returns {Promise<Object>} 处理结果
+   * @param {number} [params.refundAmount] - 同意退款金额，默认为申请金额
+   * @returns {Promise<Object>} 处理后的售后单
    */
   async processRefund(params) {
     try {
       const { sellerId, refundId, action, reason, refundAmount } = params;
 
-      // 开启事务
-      const transaction = await this.refundRepository.beginTransaction();
-
-      try {
-        // 获取退款详情
-        const refund = await this.refundRepository.getRefundDetail({
-          sellerId,
-          refundId,
-          transaction
-        });
-
-        if (!refund) {
-          throw new Error('退款记录不存在');
-        }
-
-        if (refund.status !== REFUND_STATUS.PENDING) {
-          throw new Error('该退款申请已处理');
-        }
-
-        // 更新退款状态
-        const updateData = {
-          status: action === 'approve' ? REFUND_STATUS.APPROVED : REFUND_STATUS.REJECTED,
-          seller_remark: reason,
-          processed_at: new Date(),
-          process_by: sellerId
-        };
-
-        if (refundAmount) {
-          updateData.refund_amount = refundAmount;
-        }
-
-        await this.refundRepository.updateRefund({
-          refundId,
-          data: updateData,
-          transaction
-        });
-
-        // 如果同意退款
-        if (action === 'approve') {
-          // 处理退款支付
-          const paymentResult = await this.paymentService.refund({
-            orderId: refund.order_id,
-            refundAmount: refundAmount || refund.refund_amount,
-            reason
-          });
-
-          // 更新退款状态为已完成
-          await this.refundRepository.updateRefund({
-            refundId,
-            data: {
-              status: REFUND_STATUS.COMPLETED,
-              payment_info: JSON.stringify(paymentResult)
-            },
-            transaction
-          });
+      if (action === 'approve') {
+        return await this.afterSalesService.approve(refundId, { sellerId, refundAmount, remark: reason });
+      }
 
-          // 如果是退货退款，需要恢复库存
-          if (refund.type === 'return') {
-            const productInfo = JSON.parse(refund.product_info);
-            await this.inventoryService.updateProductInventory({
-              productId: productInfo.productId,
-              quantity: productInfo.quantity,
-              operation: 'increase',
-              reason: '退款退货恢复库存',
-              transaction
-            });
-          }
+      return await this.afterSalesService.reject(refundId, { sellerId, rejectReason: reason });
+    } catch (error) {
+      logger.error('处理退款申请失败:', error);
+      throw error;
+    }
+  }
 
-          // 更新订单状态为已退款
-          await this.orderService.updateOrderStatus({
-            orderId: refund.order_id,
-            status: 'refunded',
-            transaction
-          });
-        }
+  /**
+   * 确认收到买家退货，退货商品退回库存
+   * @param {Object} params - 处理参数
+   * @param {string} params.sellerId - 卖家ID
+   * @param {string} params.refundId - 退款ID（售后单ID）
+   * @param {string} [params.remark] - 备注
+   * @returns {Promise<Object>} 处理后的售后单
+   */
+  async receiveReturn(params) {
+    try {
+      const { sellerId, refundId, remark } = params;
 
-        // 提交事务
-        await transaction.commit();
+      return await this.afterSalesService.receiveReturn(refundId, { sellerId, remark });
+    } catch (error) {
+      logger.error('确认收到退货失败:', error);
+      throw error;
+    }
+  }
 
-        // 发送消息通知用户
-        await this.messageQueue.publish('REFUND_PROCESSED', {
-          refundId,
-          status: updateData.status,
-          orderId: refund.order_id,
-          userId: refund.user_id,
-          reason
-        });
+  /**
+   * 发出换货商品
+   * @param {Object} params - 处理参数
+   * @param {string} params.sellerId - 卖家ID
+   * @param {string} params.refundId - 退款ID（售后单ID）
+   * @param {string} params.logisticsCompany - 物流公司
+   * @param {string} params.trackingNumber - 物流单号
+   * @returns {Promise<Object>} 处理后的售后单
+   */
+  async shipExchange(params) {
+    try {
+      const { sellerId, refundId, logisticsCompany, trackingNumber } = params;
 
-        return {
-          id: refundId,
-          status: updateData.status,
-          processedAt: updateData.processed_at
-        };
-      } catch (error) {
-        // 回滚事务
-        await transaction.rollback();
-        logger.error('处理退款申请失败，事务回滚:', error);
-        throw error;
-      }
+      return await this.afterSalesService.shipExchange(refundId, { sellerId, logisticsCompany, trackingNumber });
     } catch (error) {
-      logger.error('处理退款申请失败:', error);
+      logger.error('发出换货商品失败:', error);
       throw error;
     }
   }
@@ -277,26 +151,21 @@ class RefundService {
    */
   async getRefundStatistics(params) {
     try {
-      const { sellerId, startDate, endDate } = params;
+      const { sellerId } = params;
+      const startDate = params.startDate ? new Date(params.startDate) : null;
+      const endDate = params.endDate ? new Date(params.endDate + ' 23:59:59') : null;
 
-      // 调用仓库层获取退款统计
-      const statistics = await this.refundRepository.getRefundStatistics({
-        sellerId,
-        startDate,
-        endDate
-      });
+      const statistics = await this.afterSalesService.getStatistics({ sellerId, startDate, endDate });
+      const totalOrders = await orderRepository.countOrders({ sellerId, startDate, endDate });
 
       // 计算退款率
-      const totalOrders = statistics.totalOrders || 1;
-      const refundRate = (statistics.totalRefunds / totalOrders * 100).toFixed(2);
+      const refundRate = (statistics.total / (Number(totalOrders) || 1) * 100).toFixed(2);
 
       return {
-        totalRefunds: statistics.totalRefunds,
-        pendingRefunds: statistics.pendingRefunds,
-        approvedRefunds: statistics.approvedRefunds,
-        rejectedRefunds: statistics.rejectedRefunds,
-        completedRefunds: statistics.completedRefunds,
-        totalRefundAmount: statistics.totalRefundAmount,
+        totalRefunds: statistics.total,
+        pendingRefunds: statistics.pending,
+        byStatus: statistics.byStatus,
+        totalRefundAmount: statistics.refundedAmount,
         refundRate: parseFloat(refundRate)
       };
     } catch (error) {
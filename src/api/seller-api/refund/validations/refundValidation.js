@@ -27,8 +27,12 @@ const validate = (req, res, next) => {
  * 验证退款列表查询参数
  */
 const validateRefundList = [
-  query('status').optional().isIn(['pending', 'processing', 'approved', 'rejected', 'completed', 'failed'])
-    .withMessage('退款状态必须是有效的状态值'),
+  query('status').optional().isIn([
+    'pending', 'approved', 'waiting_return', 'return_shipped', 'return_received', 'refunding',
+    'refund_failed', 'exchange_shipped', 'completed', 'rejected', 'canceled'
+  ]).withMessage('退款状态必须是有效的状态值'),
+  query('type').optional().isIn(['refund', 'refund_with_return', 'exchange'])
+    .withMessage('售后类型必须是refund、refund_with_return或exchange'),
   query('startDate').optional().isISO8601().withMessage('开始日期格式错误'),
   query('endDate').optional().isISO8601().withMessage('结束日期格式错误'),
   query('page').optional().isInt({ min: 1 }).withMessage('页码必须是大于0的整数'),
@@ -55,6 +59,25 @@ const validateProcessRefund = [
   validate
 ];
 
+/**
+ * 验证确认收到退货参数
+ */
+const validateReceiveReturn = [
+  param('id').isString().trim().notEmpty().withMessage('退款ID不能为空'),
+  body('remark').optional().isString().trim().isLength({ max: 255 }).withMessage('备注不能超过255个字符'),
+  validate
+];
+
+/**
+ * 验证发出换货商品参数
+ */
+const validateShipExchange = [
+  param('id').isString().trim().notEmpty().withMessage('退款ID不能为空'),
+  body('logisticsCompany').isString().trim().notEmpty().withMessage('物流公司不能为空'),
+  body('trackingNumber').isString().trim().notEmpty().withMessage('物流单号不能为空'),
+  validate
+];
+
 /**
  * 验证退款统计查询参数
  */
@@ -68,5 +91,7 @@ module.exports = {
   validateRefundList,
   validateRefundId,
   validateProcessRefund,
+  validateReceiveReturn,
+  validateShipExchange,
   validateRefundStatistics
 };
\ No newline at end of file
@@ -95,35 +95,6 @@ router.post('/aftersale/reject', (req, res) => {
   res.json({ code: 200, data: true });
 });
 
-router.get('/coupons', (req, res) => {
-  const list = Array.from({ length: 6 }).map((_, i) => ({
-    title: '优惠券' + (i + 1),
-    type: i % 2 === 0 ? '满减' : '折扣',
-    amount: i % 2 === 0 ? 30 : 8.8,
-    threshold: 199,
-    validity: '2025-01-01 ~ 2025-12-31',
-    status: i % 3 === 0 ? '未开始' : i % 3 === 1 ? '进行中' : '已结束'
-  }));
-  res.json({ code: 200, data: list });
-});
-
-router.post('/coupons/toggle', (req, res) => {
-  res.json({ code: 200, data: true });
-});
-
-router.get('/promotion/flash', (req, res) => {
-  const list = Array.from({ length: 6 }).map((_, i) => ({
-    title: '秒杀活动' + (i + 1),
-    time: '每日 10:00-12:00',
-    status: i % 3 === 0 ? '未开始' : i % 3 === 1 ? '进行中' : '已结束'
-  }));
-  res.json({ code: 200, data: list });
-});
-
-router.post('/promotion/flash/toggle', (req, res) => {
-  res.json({ code: 200, data: true });
-});
-
 router.get('/promotion/full-discount', (req, res) => {
   const list = Array.from({ length: 6 }).map((_, i) => ({
     title: '满减活动' + (i + 1),
@@ -137,23 +108,7 @@ router.post('/promotion/full-discount/toggle', (req, res) => {
   res.json({ code: 200, data: true });
 });
 
-router.get('/settlement', (req, res) => {
-  const data = {
-    summary: { balance: 12540.5, pending: 890.2 },
-    data: Array.from({ length: 6 }).map((_, i) => ({
-      billNo: 'ST' + (100 + i),
-      period: '2025-01',
-      amount: 1999 + i * 10,
-      status: i % 2 === 0 ? '已结算' : '待结算'
-    }))
-  };
-  res.json({ code: 200, data });
-});
-
-router.get('/finance/bill', (req, res) => {
-  const list = Array.from({ length: 8 }).map((_, i) => ({ billNo: 'RB' + (100 + i), period: '2025-01', amount: 2999 + i * 10 }));
-  res.json({ code: 200, data: list });
-});
+// 结算和对账单接口见 seller-api/settlement
 
 router.get('/shop', (req, res) => {
   res.json({ code: 200, data: { name: '示例店铺', description: '示例描述', address: '示例地址' } });
@@ -163,26 +118,7 @@ router.put('/shop', (req, res) => {
   res.json({ code: 200, data: true });
 });
 
-router.get('/staff', (req, res) => {
-  const list = Array.from({ length: 8 }).map((_, i) => ({ name: '员工' + (i + 1), role: i % 2 === 0 ? '店员' : '管理员', status: i % 3 === 0 ? '禁用' : '启用' }));
-  res.json({ code: 200, data: list });
-});
-
-router.post('/staff', (req, res) => {
-  res.json({ code: 200, data: true });
-});
-
-router.get('/roles', (req, res) => {
-  const list = [
-    { name: '管理员', permissions: ['商品', '订单', '促销', '财务', '设置'] },
-    { name: '店员', permissions: ['商品', '订单'] }
-  ];
-  res.json({ code: 200, data: list });
-});
-
-router.post('/roles', (req, res) => {
-  res.json({ code: 200, data: true });
-});
+// 员工和角色接口见 seller-api/staff
 
 router.get('/brands', (req, res) => {
   const list = Array.from({ length: 6 }).map((_, i) => ({ name: '品牌' + (i + 1), alias: 'Brand' + (i + 1) }));
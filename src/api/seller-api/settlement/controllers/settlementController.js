@@ -0,0 +1,126 @@
+/**
+ * 卖家端结算控制器
+ * 处理结算概览、结算对账单查询和导出相关的HTTP请求
+ */
+
+const logger = require('../../../core/utils/logger');
+const settlementService = require('../../../core/services/settlementService');
+
+/**
+ * 返回错误响应
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误
+ */
+function sendError(res, error) {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    code: status,
+    message: status === 500 ? '服务器内部错误' : error.message,
+    data: null
+  });
+}
+
+/**
+ * 获取结算单查询条件，卖家只能查询自己的结算单
+ * @param {Object} req - Express请求对象
+ * @returns {Object} 查询条件
+ */
+function getBillFilters(req) {
+  const { status, startDate, endDate, page, pageSize } = req.query;
+  return { sellerId: req.shopContext.sellerId, status, startDate, endDate, page, pageSize };
+}
+
+/**
+ * 发送 CSV 文件
+ * @param {Object} res - Express响应对象
+ * @param {string} fileName - 文件名（不含扩展名）
+ * @param {string} csv - CSV 内容
+ */
+function sendCsv(res, fileName, csv) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+  res.status(200).send(csv);
+}
+
+class SettlementController {
+  /**
+   * 获取结算概览和结算单列表
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getSettlementOverview(req, res) {
+    try {
+      const filters = getBillFilters(req);
+      const [summary, bills] = await Promise.all([
+        settlementService.getSellerSummary(filters.sellerId),
+        settlementService.getBills(filters)
+      ]);
+      res.json({ code: 200, message: 'success', data: { summary, ...bills } });
+    } catch (error) {
+      logger.error('获取结算概览失败', { sellerId: req.shopContext.sellerId, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取结算对账单列表
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getBills(req, res) {
+    try {
+      const result = await settlementService.getBills(getBillFilters(req));
+      res.json({ code: 200, message: 'success', data: result });
+    } catch (error) {
+      logger.error('获取结算对账单失败', { sellerId: req.shopContext.sellerId, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 导出结算对账单列表
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async exportBills(req, res) {
+    try {
+      const csv = await settlementService.exportBillsCsv(getBillFilters(req));
+      sendCsv(res, `settlement-bills-${new Date().toISOString().split('T')[0]}`, csv);
+    } catch (error) {
+      logger.error('导出结算对账单失败', { sellerId: req.shopContext.sellerId, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取结算对账单详情
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getBillDetail(req, res) {
+    try {
+      const bill = await settlementService.getBillDetail(req.params.billNo, { sellerId: req.shopContext.sellerId });
+      res.json({ code: 200, message: 'success', data: bill });
+    } catch (error) {
+      logger.error('获取结算对账单详情失败', { billNo: req.params.billNo, error: error.message });
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 导出结算对账单明细
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async exportBillItems(req, res) {
+    try {
+      const csv = await settlementService.exportBillItemsCsv(req.params.billNo, { sellerId: req.shopContext.sellerId });
+      sendCsv(res, `settlement-${req.params.billNo}`, csv);
+    } catch (error) {
+      logger.error('导出结算对账单明细失败', { billNo: req.params.billNo, error: error.message });
+      sendError(res, error);
+    }
+  }
+}
+
+module.exports = new SettlementController();
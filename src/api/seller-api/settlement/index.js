@@ -0,0 +1,26 @@
+/**
+ * 卖家端结算模块入口
+ * 导出结算概览和结算对账单相关的控制器和路由，结算单由核心结算服务按结算周期生成
+ */
+
+const settlementRoutes = require('./routes/settlementRoutes');
+const settlementController = require('./controllers/settlementController');
+
+/**
+ * 注册结算模块路由
+ * 需在卖家端接口守卫之后注册，接口需要财务模块权限
+ * @param {Object} app - Express应用实例
+ */
+function register(app) {
+  app.use('/api/seller', settlementRoutes);
+}
+
+module.exports = {
+  register,
+  controllers: {
+    settlementController
+  },
+  routes: {
+    settlementRoutes
+  }
+};
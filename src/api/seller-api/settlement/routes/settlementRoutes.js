@@ -0,0 +1,136 @@
+/**
+ * 卖家端结算路由
+ * 配置结算概览和结算对账单查询、导出接口
+ * 认证和权限校验由卖家端接口守卫（shopPermissionGuard）统一处理，需要财务模块权限
+ */
+
+const express = require('express');
+const router = express.Router();
+const settlementController = require('../controllers/settlementController');
+const settlementValidation = require('../validations/settlementValidation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 卖家结算
+ *   description: 卖家结算单、佣金扣除、退款冲减和对账导出
+ */
+
+/**
+ * @swagger
+ * /api/seller/settlement:
+ *   get:
+ *     summary: 获取结算概览
+ *     description: 返回各状态结算金额、已完成未结算的订单汇总以及结算单分页列表
+ *     tags: [卖家结算]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: ['pending', 'approved', 'paid', 'carried_over'] }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, default: 10 }
+ *     responses:
+ *       200:
+ *         description: 结算概览 { summary, list, total, page, pageSize }
+ */
+router.get('/settlement', settlementValidation.validateBillList, settlementController.getSettlementOverview);
+
+/**
+ * @swagger
+ * /api/seller/finance/bill:
+ *   get:
+ *     summary: 获取结算对账单列表
+ *     tags: [卖家结算]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: ['pending', 'approved', 'paid', 'carried_over'] }
+ *       - in: query
+ *         name: startDate
+ *         schema: { type: string }
+ *       - in: query
+ *         name: endDate
+ *         schema: { type: string }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, default: 10 }
+ *     responses:
+ *       200:
+ *         description: 结算单分页列表，含订单金额、平台佣金、退款冲减、上期结转和结算金额
+ */
+router.get('/finance/bill', settlementValidation.validateBillList, settlementController.getBills);
+
+/**
+ * @swagger
+ * /api/seller/finance/bill/export:
+ *   get:
+ *     summary: 导出结算对账单列表（CSV）
+ *     description: 查询参数同结算对账单列表，最多导出 1000 条
+ *     tags: [卖家结算]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: CSV 文件
+ *         content:
+ *           text/csv: {}
+ */
+router.get('/finance/bill/export', settlementValidation.validateBillList, settlementController.exportBills);
+
+/**
+ * @swagger
+ * /api/seller/finance/bill/{billNo}:
+ *   get:
+ *     summary: 获取结算对账单详情
+ *     description: 返回结算单及其明细（订单结算、结算后退款冲减、上期结转）
+ *     tags: [卖家结算]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: billNo
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: 结算单详情
+ *       404:
+ *         description: 结算单不存在
+ */
+router.get('/finance/bill/:billNo', settlementValidation.validateBillNo, settlementController.getBillDetail);
+
+/**
+ * @swagger
+ * /api/seller/finance/bill/{billNo}/export:
+ *   get:
+ *     summary: 导出结算对账单明细（CSV）
+ *     tags: [卖家结算]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: billNo
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: CSV 文件
+ *         content:
+ *           text/csv: {}
+ *       404:
+ *         description: 结算单不存在
+ */
+router.get('/finance/bill/:billNo/export', settlementValidation.validateBillNo, settlementController.exportBillItems);
+
+module.exports = router;
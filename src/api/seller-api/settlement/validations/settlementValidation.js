@@ -0,0 +1,50 @@
+/**
+ * 卖家端结算验证规则
+ * 确保API输入数据合法性
+ */
+
+const { query, param, validationResult } = require('express-validator');
+const { BILL_STATUS } = require('../../../core/services/settlementService');
+
+/**
+ * 验证请求参数
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      code: 400,
+      message: errors.array()[0].msg,
+      errors: errors.array()
+    });
+  }
+  return next();
+};
+
+/**
+ * 验证结算单列表查询
+ */
+const validateBillList = [
+  query('status').optional({ checkFalsy: true }).isIn(Object.values(BILL_STATUS)).withMessage('无效的结算单状态'),
+  query('startDate').optional({ checkFalsy: true }).isISO8601().withMessage('开始日期格式不正确'),
+  query('endDate').optional({ checkFalsy: true }).isISO8601().withMessage('结束日期格式不正确'),
+  query('page').optional().isInt({ min: 1 }).withMessage('页码必须是正整数'),
+  query('pageSize').optional().isInt({ min: 1, max: 100 }).withMessage('每页数量必须为1-100'),
+  validate
+];
+
+/**
+ * 验证结算单号
+ */
+const validateBillNo = [
+  param('billNo').matches(/^[A-Za-z0-9]{1,40}$/).withMessage('无效的结算单号'),
+  validate
+];
+
+module.exports = {
+  validateBillList,
+  validateBillNo
+};
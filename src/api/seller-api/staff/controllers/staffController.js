@@ -0,0 +1,260 @@
+/**
+ * 卖家端员工管理控制器
+ * 处理店铺员工子账号、店铺角色和审计日志相关的HTTP请求
+ */
+
+const logger = require('../../../core/utils/logger');
+const sellerStaffService = require('../../../core/services/sellerStaffService');
+
+/**
+ * 返回错误响应
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误
+ */
+function sendError(res, error) {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    code: status,
+    message: status === 500 ? '服务器内部错误' : error.message,
+    data: null
+  });
+}
+
+class StaffController {
+  /**
+   * 员工登录
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async login(req, res) {
+    try {
+      const { username, password } = req.body;
+      const result = await sellerStaffService.login(username, password);
+      res.json({ code: 200, message: '登录成功', data: { ...result, user: result.staff } });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 接受邀请，设置密码激活账号
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async acceptInvitation(req, res) {
+    try {
+      const { token, password } = req.body;
+      const staff = await sellerStaffService.acceptInvitation(token, password);
+      res.json({ code: 200, message: '账号已激活，请登录', data: staff });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取当前账号信息和店铺权限
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getCurrentAccount(req, res) {
+    try {
+      const { shopId, staffId, operatorName, isOwner } = req.shopContext;
+      const permissions = isOwner
+        ? Object.values(sellerStaffService.SHOP_PERMISSION)
+        : (await sellerStaffService.getStaffContext(staffId)).permissions;
+
+      res.json({ code: 200, data: { shopId, staffId, name: operatorName, isOwner, permissions } });
+    } catch (error) {
+      logger.error('获取当前账号信息失败:', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取员工列表
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getStaffList(req, res) {
+    try {
+      const { status, roleId } = req.query;
+      const list = await sellerStaffService.getStaffList(req.shopContext.shopId, { status, roleId });
+      res.json({ code: 200, data: list });
+    } catch (error) {
+      logger.error('获取员工列表失败:', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 邀请员工
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async inviteStaff(req, res) {
+    try {
+      const { name, username, phone, roleId } = req.body;
+      const result = await sellerStaffService.inviteStaff(
+        req.shopContext.shopId,
+        { name, username, phone, roleId },
+        { staffId: req.shopContext.staffId }
+      );
+      res.json({ code: 200, message: '邀请已创建，请将邀请码发送给员工', data: result });
+    } catch (error) {
+      logger.error('邀请员工失败:', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 更新员工资料或角色
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async updateStaff(req, res) {
+    try {
+      const { name, phone, roleId } = req.body;
+      const staff = await sellerStaffService.updateStaff(req.shopContext.shopId, req.params.id, { name, phone, roleId });
+      res.json({ code: 200, message: '员工已更新', data: staff });
+    } catch (error) {
+      logger.error('更新员工失败:', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 重新生成邀请码
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async reinviteStaff(req, res) {
+    try {
+      const result = await sellerStaffService.reinviteStaff(req.shopContext.shopId, req.params.id);
+      res.json({ code: 200, message: '已重新生成邀请码', data: result });
+    } catch (error) {
+      logger.error('重新邀请员工失败:', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 禁用员工
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async disableStaff(req, res) {
+    try {
+      await sellerStaffService.disableStaff(req.shopContext.shopId, req.params.id, { staffId: req.shopContext.staffId });
+      res.json({ code: 200, message: '员工已禁用', data: true });
+    } catch (error) {
+      logger.error('禁用员工失败:', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 启用员工
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async enableStaff(req, res) {
+    try {
+      const staff = await sellerStaffService.enableStaff(req.shopContext.shopId, req.params.id);
+      res.json({ code: 200, message: '员工已启用', data: staff });
+    } catch (error) {
+      logger.error('启用员工失败:', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取角色列表
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getRoles(req, res) {
+    try {
+      const roles = await sellerStaffService.getRoles(req.shopContext.shopId);
+      res.json({ code: 200, data: roles });
+    } catch (error) {
+      logger.error('获取角色列表失败:', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 获取可分配的权限模块
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getPermissionModules(req, res) {
+    res.json({ code: 200, data: sellerStaffService.getPermissionModules() });
+  }
+
+  /**
+   * 创建角色
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async createRole(req, res) {
+    try {
+      const { name, permissions, description } = req.body;
+      const role = await sellerStaffService.createRole(req.shopContext.shopId, { name, permissions, description });
+      res.json({ code: 200, message: '角色已创建', data: role });
+    } catch (error) {
+      logger.error('创建角色失败:', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 更新角色
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async updateRole(req, res) {
+    try {
+      const { name, permissions, description } = req.body;
+      const role = await sellerStaffService.updateRole(req.shopContext.shopId, req.params.id, { name, permissions, description });
+      res.json({ code: 200, message: '角色已更新', data: role });
+    } catch (error) {
+      logger.error('更新角色失败:', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 删除角色
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async deleteRole(req, res) {
+    try {
+      await sellerStaffService.deleteRole(req.shopContext.shopId, req.params.id);
+      res.json({ code: 200, message: '角色已删除', data: true });
+    } catch (error) {
+      logger.error('删除角色失败:', error);
+      sendError(res, error);
+    }
+  }
+
+  /**
+   * 查询审计日志
+   * @param {Object} req - Express请求对象
+   * @param {Object} res - Express响应对象
+   */
+  async getAuditLogs(req, res) {
+    try {
+      const { staffId, action, startDate, endDate, page, pageSize } = req.query;
+      const result = await sellerStaffService.getAuditLogs(req.shopContext.shopId, {
+        staffId, action, startDate, endDate, page, pageSize
+      });
+      res.json({ code: 200, data: result });
+    } catch (error) {
+      logger.error('查询审计日志失败:', error);
+      sendError(res, error);
+    }
+  }
+}
+
+module.exports = new StaffController();
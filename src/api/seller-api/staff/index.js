@@ -0,0 +1,26 @@
+/**
+ * 卖家端员工管理模块入口
+ * 导出员工管理相关的控制器和路由，员工、角色和审计日志由核心店铺员工服务管理
+ */
+
+const staffRoutes = require('./routes/staffRoutes');
+const staffController = require('./controllers/staffController');
+
+/**
+ * 注册员工管理模块路由
+ * 需在卖家端接口守卫之后注册
+ * @param {Object} app - Express应用实例
+ */
+function register(app) {
+  app.use('/api/seller', staffRoutes);
+}
+
+module.exports = {
+  register,
+  controllers: {
+    staffController
+  },
+  routes: {
+    staffRoutes
+  }
+};
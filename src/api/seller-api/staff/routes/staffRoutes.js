@@ -0,0 +1,383 @@
+/**
+ * 卖家端员工管理路由
+ * 配置员工登录、邀请激活、员工管理、店铺角色和审计日志接口
+ * 认证和权限校验由卖家端接口守卫（shopPermissionGuard）统一处理：
+ * /staff、/roles、/audit-logs 需要设置模块权限，/me 登录即可访问，/staff/login 和 /staff/invitations/accept 无需登录
+ */
+
+const express = require('express');
+const router = express.Router();
+const staffController = require('../controllers/staffController');
+const staffValidation = require('../validations/staffValidation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 卖家员工管理
+ *   description: 店铺员工子账号、角色权限和操作审计
+ */
+
+/**
+ * 店铺管理接口需要卖家已开通店铺
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件
+ */
+function requireShop(req, res, next) {
+  if (!req.shopContext || !req.shopContext.shopId) {
+    return res.status(400).json({ code: 400, message: '请先开通店铺', data: null });
+  }
+  return next();
+}
+
+/**
+ * @swagger
+ * /api/seller/staff/login:
+ *   post:
+ *     summary: 员工登录
+ *     tags: [卖家员工管理]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [username, password]
+ *             properties:
+ *               username: { type: string, description: '登录账号' }
+ *               password: { type: string, description: '密码' }
+ *     responses:
+ *       200:
+ *         description: 登录成功，返回令牌、员工信息和权限模块
+ *       401:
+ *         description: 账号或密码错误，或账号未激活
+ *       403:
+ *         description: 账号已被禁用
+ */
+router.post('/staff/login', staffValidation.validateLogin, staffController.login);
+
+/**
+ * @swagger
+ * /api/seller/staff/invitations/accept:
+ *   post:
+ *     summary: 接受员工邀请
+ *     description: 员工凭店主提供的邀请码设置密码，激活账号
+ *     tags: [卖家员工管理]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, password]
+ *             properties:
+ *               token: { type: string, description: '邀请码' }
+ *               password: { type: string, description: '密码（8-64位）' }
+ *     responses:
+ *       200:
+ *         description: 账号已激活
+ *       400:
+ *         description: 邀请码无效或已过期
+ */
+router.post('/staff/invitations/accept', staffValidation.validateAcceptInvitation, staffController.acceptInvitation);
+
+/**
+ * @swagger
+ * /api/seller/me:
+ *   get:
+ *     summary: 获取当前账号信息
+ *     description: 返回当前登录的店主或员工及其店铺权限模块，用于前端菜单控制
+ *     tags: [卖家员工管理]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 当前账号信息
+ */
+router.get('/me', staffController.getCurrentAccount);
+
+/**
+ * @swagger
+ * /api/seller/staff:
+ *   get:
+ *     summary: 获取员工列表
+ *     tags: [卖家员工管理]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: ['invited', 'active', 'disabled'] }
+ *       - in: query
+ *         name: roleId
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: 员工列表
+ *       403:
+ *         description: 需要设置模块权限
+ */
+router.get('/staff', requireShop, staffValidation.validateStaffList, staffController.getStaffList);
+
+/**
+ * @swagger
+ * /api/seller/staff:
+ *   post:
+ *     summary: 邀请员工
+ *     description: 创建未激活的员工子账号，返回邀请码（仅返回一次），员工凭邀请码设置密码
+ *     tags: [卖家员工管理]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, username, roleId]
+ *             properties:
+ *               name: { type: string, description: '员工姓名' }
+ *               username: { type: string, description: '登录账号' }
+ *               phone: { type: string, description: '手机号' }
+ *               roleId: { type: integer, description: '店铺角色ID' }
+ *     responses:
+ *       200:
+ *         description: 邀请已创建
+ *       409:
+ *         description: 登录账号已被使用
+ */
+router.post('/staff', requireShop, staffValidation.validateInviteStaff, staffController.inviteStaff);
+
+/**
+ * @swagger
+ * /api/seller/staff/{id}:
+ *   put:
+ *     summary: 更新员工资料或角色
+ *     tags: [卖家员工管理]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               phone: { type: string }
+ *               roleId: { type: integer }
+ *     responses:
+ *       200:
+ *         description: 员工已更新
+ *       404:
+ *         description: 员工不存在
+ */
+router.put('/staff/:id', requireShop, staffValidation.validateUpdateStaff, staffController.updateStaff);
+
+/**
+ * @swagger
+ * /api/seller/staff/{id}/invitation:
+ *   post:
+ *     summary: 重新生成邀请码
+ *     description: 原邀请码作废，仅未激活的员工可用
+ *     tags: [卖家员工管理]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: 新的邀请码
+ */
+router.post('/staff/:id/invitation', requireShop, staffValidation.validateId, staffController.reinviteStaff);
+
+/**
+ * @swagger
+ * /api/seller/staff/{id}/disable:
+ *   post:
+ *     summary: 禁用员工
+ *     description: 禁用后员工无法登录，已登录的员工后续请求被拒绝
+ *     tags: [卖家员工管理]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: 员工已禁用
+ */
+router.post('/staff/:id/disable', requireShop, staffValidation.validateId, staffController.disableStaff);
+
+/**
+ * @swagger
+ * /api/seller/staff/{id}/enable:
+ *   post:
+ *     summary: 启用员工
+ *     tags: [卖家员工管理]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: 员工已启用
+ */
+router.post('/staff/:id/enable', requireShop, staffValidation.validateId, staffController.enableStaff);
+
+/**
+ * @swagger
+ * /api/seller/roles:
+ *   get:
+ *     summary: 获取店铺角色列表
+ *     tags: [卖家员工管理]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 角色列表，permissions 为权限模块（goods、orders、promotion、finance、settings）
+ */
+router.get('/roles', requireShop, staffController.getRoles);
+
+/**
+ * @swagger
+ * /api/seller/roles/permissions:
+ *   get:
+ *     summary: 获取可分配的权限模块
+ *     tags: [卖家员工管理]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 权限模块列表 [{ key, label }]
+ */
+router.get('/roles/permissions', staffController.getPermissionModules);
+
+/**
+ * @swagger
+ * /api/seller/roles:
+ *   post:
+ *     summary: 创建店铺角色
+ *     tags: [卖家员工管理]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, permissions]
+ *             properties:
+ *               name: { type: string, description: '角色名称' }
+ *               permissions:
+ *                 type: array
+ *                 items: { type: string, enum: ['goods', 'orders', 'promotion', 'finance', 'settings'] }
+ *               description: { type: string }
+ *     responses:
+ *       200:
+ *         description: 角色已创建
+ *       409:
+ *         description: 角色名称已存在
+ */
+router.post('/roles', requireShop, staffValidation.validateRole, staffController.createRole);
+
+/**
+ * @swagger
+ * /api/seller/roles/{id}:
+ *   put:
+ *     summary: 更新店铺角色
+ *     description: 权限变更对该角色下已登录的员工立即生效
+ *     tags: [卖家员工管理]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, permissions]
+ *             properties:
+ *               name: { type: string }
+ *               permissions: { type: array, items: { type: string } }
+ *               description: { type: string }
+ *     responses:
+ *       200:
+ *         description: 角色已更新
+ */
+router.put('/roles/:id', requireShop, staffValidation.validateId, staffValidation.validateRole, staffController.updateRole);
+
+/**
+ * @swagger
+ * /api/seller/roles/{id}:
+ *   delete:
+ *     summary: 删除店铺角色
+ *     tags: [卖家员工管理]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: 角色已删除
+ *       409:
+ *         description: 该角色下还有员工
+ */
+router.delete('/roles/:id', requireShop, staffValidation.validateId, staffController.deleteRole);
+
+/**
+ * @swagger
+ * /api/seller/audit-logs:
+ *   get:
+ *     summary: 查询店铺操作审计日志
+ *     description: 记录店主和员工在卖家端的写操作（含被拒绝的操作），operatorName 为操作的员工姓名
+ *     tags: [卖家员工管理]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: staffId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: action
+ *         schema: { type: string, example: 'goods.update' }
+ *       - in: query
+ *         name: startDate
+ *         schema: { type: string }
+ *       - in: query
+ *         name: endDate
+ *         schema: { type: string }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: pageSize
+ *         schema: { type: integer, default: 20 }
+ *     responses:
+ *       200:
+ *         description: 审计日志分页列表
+ */
+router.get('/audit-logs', requireShop, staffValidation.validateAuditLogs, staffController.getAuditLogs);
+
+module.exports = router;
@@ -0,0 +1,117 @@
+/**
+ * 卖家端员工管理验证规则
+ * 确保API输入数据合法性
+ */
+
+const { body, query, param, validationResult } = require('express-validator');
+const { SHOP_PERMISSION, STAFF_STATUS } = require('../../../core/services/sellerStaffService');
+
+/**
+ * 验证请求参数
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Function} next - Express下一个中间件
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      code: 400,
+      message: errors.array()[0].msg,
+      errors: errors.array()
+    });
+  }
+  return next();
+};
+
+/**
+ * 验证员工登录
+ */
+const validateLogin = [
+  body('username').isString().trim().notEmpty().withMessage('请输入账号'),
+  body('password').isString().notEmpty().withMessage('请输入密码'),
+  validate
+];
+
+/**
+ * 验证接受邀请
+ */
+const validateAcceptInvitation = [
+  body('token').isString().trim().notEmpty().withMessage('邀请码不能为空'),
+  body('password').isString().isLength({ min: 8, max: 64 }).withMessage('密码长度必须为8-64位'),
+  validate
+];
+
+/**
+ * 验证ID参数
+ */
+const validateId = [
+  param('id').isInt({ min: 1 }).withMessage('ID必须是正整数'),
+  validate
+];
+
+/**
+ * 验证员工列表查询参数
+ */
+const validateStaffList = [
+  query('status').optional().isIn(Object.values(STAFF_STATUS)).withMessage('员工状态无效'),
+  query('roleId').optional().isInt({ min: 1 }).withMessage('角色ID必须是正整数'),
+  validate
+];
+
+/**
+ * 验证邀请员工
+ */
+const validateInviteStaff = [
+  body('name').isString().trim().isLength({ min: 1, max: 50 }).withMessage('员工姓名长度必须为1-50个字符'),
+  body('username').isString().trim().matches(/^[A-Za-z0-9_.@-]{4,50}$/)
+    .withMessage('登录账号必须为4-50位字母、数字或 _ . @ -'),
+  body('phone').optional({ nullable: true }).isMobilePhone('zh-CN').withMessage('手机号格式错误'),
+  body('roleId').isInt({ min: 1 }).withMessage('请选择角色'),
+  validate
+];
+
+/**
+ * 验证更新员工
+ */
+const validateUpdateStaff = [
+  param('id').isInt({ min: 1 }).withMessage('员工ID必须是正整数'),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 50 }).withMessage('员工姓名长度必须为1-50个字符'),
+  body('phone').optional({ nullable: true }).isMobilePhone('zh-CN').withMessage('手机号格式错误'),
+  body('roleId').optional().isInt({ min: 1 }).withMessage('角色ID必须是正整数'),
+  validate
+];
+
+/**
+ * 验证角色
+ */
+const validateRole = [
+  body('name').isString().trim().isLength({ min: 1, max: 30 }).withMessage('角色名称长度必须为1-30个字符'),
+  body('permissions').isArray({ min: 1 }).withMessage('请至少选择一项权限'),
+  body('permissions.*').isIn(Object.values(SHOP_PERMISSION)).withMessage('权限无效'),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 200 }).withMessage('描述不能超过200个字符'),
+  validate
+];
+
+/**
+ * 验证审计日志查询参数
+ */
+const validateAuditLogs = [
+  query('staffId').optional().isInt({ min: 1 }).withMessage('员工ID必须是正整数'),
+  query('startDate').optional().isISO8601().withMessage('开始日期格式错误'),
+  query('endDate').optional().isISO8601().withMessage('结束日期格式错误'),
+  query('page').optional().isInt({ min: 1 }).withMessage('页码必须是大于0的整数'),
+  query('pageSize').optional().isInt({ min: 1, max: 100 }).withMessage('每页大小必须是1-100之间的整数'),
+  validate
+];
+
+module.exports = {
+  validateLogin,
+  validateAcceptInvitation,
+  validateId,
+  validateStaffList,
+  validateInviteStaff,
+  validateUpdateStaff,
+  validateRole,
+  validateAuditLogs
+};
@@ -21,13 +21,56 @@ const Statistics = ({ userRole, userId }) => {
     startDate: '',
     endDate: ''
   });
+  const [satisfaction, setSatisfaction] = useState(null);
+  const [satisfactionGroup, setSatisfactionGroup] = useState('byAgent');
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
 
   useEffect(() => {
     fetchStatistics();
+    fetchSatisfaction();
   }, [timeRange, customDateRange, userRole, userId]);
 
+  // 将时间范围转换为满意度统计接口的参数
+  const getSatisfactionParams = () => {
+    const now = new Date();
+    const params = new URLSearchParams();
+    let startTime = null;
+    let endTime = null;
+
+    if (timeRange === 'today') {
+      startTime = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    } else if (timeRange === 'week') {
+      startTime = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    } else if (timeRange === 'month') {
+      startTime = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+    } else if (timeRange === 'custom') {
+      if (customDateRange.startDate) startTime = new Date(`${customDateRange.startDate}T00:00:00`);
+      if (customDateRange.endDate) endTime = new Date(`${customDateRange.endDate}T23:59:59`);
+    }
+
+    if (startTime) params.append('startTime', startTime.toISOString());
+    if (endTime) params.append('endTime', endTime.toISOString());
+    params.append('interval', timeRange === 'today' ? 'hour' : 'day');
+    return params;
+  };
+
+  // 获取满意度统计（CSAT/NPS），没有权限或接口不可用时不显示满意度报表
+  const fetchSatisfaction = async () => {
+    try {
+      const response = await fetch(`/api/customer-service/statistics/satisfaction?${getSatisfactionParams().toString()}`);
+      if (!response.ok) {
+        setSatisfaction(null);
+        return;
+      }
+      const result = await response.json();
+      setSatisfaction(result.data || null);
+    } catch (err) {
+      console.error('Failed to fetch satisfaction statistics:', err);
+      setSatisfaction(null);
+    }
+  };
+
   const fetchStatistics = async () => {
     setIsLoading(true);
     setError('');
@@ -157,6 +200,149 @@ const Statistics = ({ userRole, userId }) => {
     );
   };
 
+  // CSAT 和 NPS 的显示颜色
+  const getCsatColor = (csat) => (csat >= 90 ? '#67c23a' : csat >= 80 ? '#e6a23c' : '#f56c6c');
+  const getNpsColor = (nps) => (nps >= 50 ? '#67c23a' : nps >= 0 ? '#e6a23c' : '#f56c6c');
+  const formatNps = (nps) => (nps === null || nps === undefined ? '-' : `${nps > 0 ? '+' : ''}${nps}`);
+
+  // 满意度分组的显示名称
+  const getSatisfactionGroupName = (key, item) => {
+    if (key === 'unspecified') return '未分类';
+    if (satisfactionGroup === 'byAgent') return item.agentName || key;
+    return key;
+  };
+
+  const renderSatisfaction = () => {
+    const { overall, trend, lowScoreReasons, lowScoreThreshold } = satisfaction;
+    const groups = Object.entries(satisfaction[satisfactionGroup] || {})
+      .sort(([, a], [, b]) => b.responses - a.responses);
+    const chartHeight = 40;
+
+    return (
+      <>
+        {/* 满意度卡片 */}
+        <div className="stat-cards">
+          <div className="stat-card">
+            <div className="stat-card-title">CSAT（4-5星占比）</div>
+            <div className="stat-card-value" style={{ color: getCsatColor(overall.csat) }}>{overall.csat}%</div>
+            <div style={{ fontSize: '12px', color: '#909399' }}>{overall.responses}份评价</div>
+          </div>
+
+          <div className="stat-card">
+            <div className="stat-card-title">平均评分</div>
+            <div className="stat-card-value">{overall.averageRating}</div>
+            <div style={{ fontSize: '12px', color: '#909399' }}>低分（≤{lowScoreThreshold}星）{overall.lowScoreCount}份</div>
+          </div>
+
+          <div className="stat-card">
+            <div className="stat-card-title">NPS</div>
+            <div className="stat-card-value" style={{ color: overall.nps === null ? '#909399' : getNpsColor(overall.nps) }}>
+              {formatNps(overall.nps)}
+            </div>
+            <div style={{ fontSize: '12px', color: '#909399' }}>{overall.npsResponses}份回答</div>
+          </div>
+
+          <div className="stat-card">
+            <div className="stat-card-title">调查回复率</div>
+            <div className="stat-card-value">{overall.responseRate}%</div>
+            <div style={{ fontSize: '12px', color: '#909399' }}>已发送{overall.sent}份</div>
+          </div>
+        </div>
+
+        <div className="stat-charts">
+          {/* CSAT 趋势 */}
+          <div className="stat-chart-container">
+            <div className="stat-chart-title">CSAT趋势</div>
+            <div style={{ height: chartHeight, display: 'flex', alignItems: 'flex-end', gap: '2px', marginTop: '8px' }}>
+              {trend.slice(-30).map((item, index) => (
+                <div
+                  key={index}
+                  title={`${new Date(item.period).toLocaleString('zh-CN')}：CSAT ${item.csat}%，${item.responses}份评价`}
+                  style={{
+                    flex: 1,
+                    height: `${(item.csat / 100) * chartHeight}px`,
+                    backgroundColor: getCsatColor(item.csat),
+                    borderRadius: '1px 1px 0 0'
+                  }}
+                />
+              ))}
+            </div>
+            {trend.length === 0 && (
+              <div style={{ marginTop: '8px', fontSize: '12px', color: '#909399' }}>暂无评价</div>
+            )}
+          </div>
+
+          {/* 低分原因 */}
+          <div className="stat-chart-container">
+            <div className="stat-chart-title">低分原因</div>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginTop: '16px' }}>
+              {lowScoreReasons.length === 0 && (
+                <span style={{ fontSize: '12px', color: '#909399' }}>暂无低分评价</span>
+              )}
+              {lowScoreReasons.map((item) => (
+                <div key={item.tag}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
+                    <span style={{ fontSize: '14px', color: '#606266' }}>{item.tag}</span>
+                    <span style={{ fontSize: '14px', color: '#909399' }}>{item.count}次（{item.percentage}%）</span>
+                  </div>
+                  <div style={{ height: '8px', backgroundColor: '#f0f2f5', borderRadius: '4px', overflow: 'hidden' }}>
+                    <div
+                      style={{
+                        height: '100%',
+                        width: `${Math.min(item.percentage, 100)}%`,
+                        backgroundColor: '#f56c6c',
+                        borderRadius: '4px'
+                      }}
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {/* 按客服、团队、分类的满意度 */}
+        <div className="stat-table">
+          <div className="stat-table-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <h3 style={{ margin: 0, fontSize: '16px', fontWeight: '600' }}>满意度明细</h3>
+            <select
+              className="stat-period-select"
+              value={satisfactionGroup}
+              onChange={(e) => setSatisfactionGroup(e.target.value)}
+            >
+              <option value="byAgent">按客服</option>
+              <option value="byTeam">按团队</option>
+              <option value="byCategory">按分类</option>
+            </select>
+          </div>
+          <div className="stat-table-content">
+            <div className="stat-table-row" style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr 1fr 1fr 1fr', color: '#909399' }}>
+              <div>名称</div>
+              <div>评价数</div>
+              <div>CSAT</div>
+              <div>平均评分</div>
+              <div>低分</div>
+              <div>NPS</div>
+            </div>
+            {groups.length === 0 && (
+              <div className="stat-table-row" style={{ color: '#909399' }}>暂无评价</div>
+            )}
+            {groups.map(([key, item]) => (
+              <div key={key} className="stat-table-row" style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr 1fr 1fr 1fr' }}>
+                <div style={{ fontWeight: '500', color: '#303133' }}>{getSatisfactionGroupName(key, item)}</div>
+                <div>{item.responses}份</div>
+                <div style={{ color: getCsatColor(item.csat) }}>{item.csat}%</div>
+                <div>{item.averageRating}</div>
+                <div>{item.lowScoreCount}份</div>
+                <div>{formatNps(item.nps)}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </>
+    );
+  };
+
   const formatChange = (value) => {
     const change = value || Math.random() * 20 - 10; // 模拟变化率
     const sign = change >= 0 ? '+' : '';
@@ -322,6 +508,13 @@ const Statistics = ({ userRole, userId }) => {
         </div>
       )}
       
+      {/* 满意度报表（CSAT/NPS） */}
+      {satisfaction && (
+        <div style={{ marginTop: '24px' }}>
+          {renderSatisfaction()}
+        </div>
+      )}
+      
       {/* 系统概览数据 */}
       <div className="stat-table" style={{ marginTop: '24px' }}>
         <div className="stat-table-header">
@@ -8,6 +8,7 @@ import PublishGoods from './pages/PublishGoods'
 import BrandList from './pages/BrandList'
 import CategoryList from './pages/CategoryList'
 import GoodsDetail from './pages/GoodsDetail'
+import FreightTemplate from './pages/FreightTemplate'
 import OrdersList from './pages/OrdersList'
 import AfterSale from './pages/AfterSale'
 import OrderDetail from './pages/OrderDetail'
@@ -48,6 +49,7 @@ export default function App() {
         <Route path="goods/brand" element={<BrandList />} />
         <Route path="goods/category" element={<CategoryList />} />
         <Route path="goods/detail/:id" element={<GoodsDetail />} />
+        <Route path="goods/freight" element={<FreightTemplate />} />
         <Route path="orders/list" element={<OrdersList />} />
         <Route path="orders/after-sale" element={<AfterSale />} />
         <Route path="orders/detail/:orderNo" element={<OrderDetail />} />
@@ -33,7 +33,8 @@ export default function SellerLayout() {
         { key: '/goods/list', label: '商品列表' },
         { key: '/goods/publish', label: '发布商品' },
         { key: '/goods/brand', label: '品牌管理' },
-        { key: '/goods/category', label: '分类管理' }
+        { key: '/goods/category', label: '分类管理' },
+        { key: '/goods/freight', label: '运费模板' }
       ]
     },
     {
@@ -1,63 +1,368 @@
 import React, { useEffect, useState } from 'react'
-import { Card, Table, Tag, Button, Space, message } from 'antd'
+import { Card, Table, Tag, Button, Space, Select, Modal, Form, Input, InputNumber, DatePicker, Radio, Descriptions, message } from 'antd'
+import dayjs from 'dayjs'
 import api from '../services/api'
 
+const { RangePicker } = DatePicker
+
+const typeMap = {
+  fixed: '立减券',
+  threshold: '满减券',
+  percentage: '折扣券',
+  shipping: '运费券'
+}
+
+const issueTypeMap = {
+  claim: '领券',
+  code: '兑换码'
+}
+
+const scopeMap = {
+  all: '全店通用',
+  product: '指定商品',
+  category: '指定分类'
+}
+
+const stateMap = {
+  not_started: { text: '未开始', color: 'default' },
+  ongoing: { text: '进行中', color: 'green' },
+  ended: { text: '已结束', color: 'red' }
+}
+
+const couponStatusMap = {
+  unused: '未使用',
+  locked: '待支付',
+  used: '已使用',
+  expired: '已过期'
+}
+
+const money = v => `¥${Number(v || 0).toFixed(2)}`
+const formatTime = v => v ? new Date(v).toLocaleString() : '-'
+
+const faceValue = r => {
+  if (r.type === 'threshold') return `满${money(r.threshold)}减${money(r.amount)}`
+  if (r.type === 'percentage') return `${Number((r.discountRate * 10).toFixed(2))}折${r.maxDiscount ? `，最高减${money(r.maxDiscount)}` : ''}`
+  if (r.type === 'shipping') return r.amount ? `运费减${money(r.amount)}` : '免运费'
+  return money(r.amount)
+}
+
+const validity = r => r.validType === 'fixed'
+  ? `${formatTime(r.validStartTime)} ~ ${formatTime(r.validEndTime)}`
+  : `领取后${r.validDays}天`
+
 export default function CouponList() {
   const [loading, setLoading] = useState(false)
   const [data, setData] = useState([])
+  const [pagination, setPagination] = useState({ current: 1, pageSize: 10, total: 0 })
+  const [state, setState] = useState()
+  const [visible, setVisible] = useState(false)
+  const [editing, setEditing] = useState(null)
+  const [detail, setDetail] = useState(null)
+  const [records, setRecords] = useState(null)
+  const [codes, setCodes] = useState(null)
+  const [codeCount, setCodeCount] = useState(50)
+  const [form] = Form.useForm()
+  const type = Form.useWatch('type', form)
+  const scope = Form.useWatch('scope', form)
+  const validType = Form.useWatch('validType', form)
 
-  const fetchData = async () => {
+  const fetchData = async (page = 1, pageSize = pagination.pageSize) => {
     setLoading(true)
     try {
-      const res = await api.get('/seller/coupons')
-      setData(res.data?.data || [])
+      const res = await api.get('/seller/coupons', { params: { state, page, pageSize } })
+      const result = res.data?.data || {}
+      setData((result.list || []).map(item => ({ ...item, key: item.id })))
+      setPagination({ current: page, pageSize, total: result.total || 0 })
     } catch (e) {
-      setData(Array.from({ length: 6 }).map((_, i) => ({
-        key: i,
-        title: '优惠券' + (i + 1),
-        type: i % 2 === 0 ? '满减' : '折扣',
-        amount: i % 2 === 0 ? 30 : 8.8,
-        threshold: 199,
-        validity: '2025-01-01 ~ 2025-12-31',
-        status: i % 3 === 0 ? '未开始' : i % 3 === 1 ? '进行中' : '已结束'
-      })))
+      message.error(e.response?.data?.message || '获取优惠券失败')
     } finally {
       setLoading(false)
     }
   }
 
-  useEffect(() => { fetchData() }, [])
+  useEffect(() => { fetchData() }, [state])
+
+  const openCreate = () => {
+    setEditing(null)
+    form.resetFields()
+    form.setFieldsValue({ type: 'threshold', scope: 'all', issueType: 'claim', totalQuantity: 0, perUserLimit: 1, validType: 'days', validDays: 30 })
+    setVisible(true)
+  }
+
+  const openEdit = (record) => {
+    setEditing(record)
+    form.resetFields()
+    form.setFieldsValue({
+      name: record.name,
+      type: record.type,
+      amount: record.amount,
+      threshold: record.threshold || undefined,
+      discountRate: record.discountRate,
+      maxDiscount: record.maxDiscount,
+      scope: record.scope,
+      scopeIds: record.scopeIds,
+      issueType: record.issueType,
+      totalQuantity: record.totalQuantity,
+      perUserLimit: record.perUserLimit,
+      claimTime: record.claimStartTime && record.claimEndTime ? [dayjs(record.claimStartTime), dayjs(record.claimEndTime)] : undefined,
+      validType: record.validType,
+      validTime: record.validType === 'fixed' ? [dayjs(record.validStartTime), dayjs(record.validEndTime)] : undefined,
+      validDays: record.validDays,
+      description: record.description
+    })
+    setVisible(true)
+  }
+
+  const submit = async () => {
+    const values = await form.validateFields()
+    const payload = {
+      name: values.name,
+      type: values.type,
+      amount: values.amount,
+      threshold: values.threshold || 0,
+      discountRate: values.discountRate,
+      maxDiscount: values.maxDiscount,
+      scope: values.scope,
+      scopeIds: values.scope === 'all' ? [] : values.scopeIds,
+      totalQuantity: values.totalQuantity || 0,
+      perUserLimit: values.perUserLimit,
+      claimStartTime: values.claimTime ? values.claimTime[0].toISOString() : null,
+      claimEndTime: values.claimTime ? values.claimTime[1].toISOString() : null,
+      validType: values.validType,
+      validStartTime: values.validType === 'fixed' ? values.validTime[0].toISOString() : undefined,
+      validEndTime: values.validType === 'fixed' ? values.validTime[1].toISOString() : undefined,
+      validDays: values.validType === 'days' ? values.validDays : undefined,
+      description: values.description
+    }
+    try {
+      if (editing) {
+        await api.put(`/seller/coupons/${editing.id}`, payload)
+        message.success('优惠券已修改')
+      } else {
+        await api.post('/seller/coupons', { ...payload, issueType: values.issueType })
+        message.success('优惠券已创建')
+      }
+      setVisible(false)
+      form.resetFields()
+      fetchData(pagination.current)
+    } catch (e) {
+      message.error(e.response?.data?.message || '保存失败')
+    }
+  }
+
+  const viewDetail = async (record) => {
+    try {
+      const res = await api.get(`/seller/coupons/${record.id}`)
+      setDetail(res.data?.data)
+    } catch (e) {
+      message.error(e.response?.data?.message || '获取优惠券详情失败')
+    }
+  }
+
+  const toggle = (record) => {
+    const status = record.status === 'active' ? 'closed' : 'active'
+    Modal.confirm({
+      title: status === 'closed' ? '停用优惠券' : '启用优惠券',
+      content: status === 'closed' ? `停用后买家将无法再领取「${record.name}」，已领取的优惠券仍可在有效期内使用。` : `确定重新启用「${record.name}」吗？`,
+      onOk: async () => {
+        try {
+          await api.post(`/seller/coupons/${record.id}/status`, { status })
+          message.success(status === 'closed' ? '优惠券已停用' : '优惠券已启用')
+          fetchData(pagination.current)
+        } catch (e) {
+          message.error(e.response?.data?.message || '操作失败')
+        }
+      }
+    })
+  }
 
-  const toggle = async (record) => {
+  const viewRecords = async (record, status) => {
     try {
-      await api.post('/seller/coupons/toggle', { id: record.key })
-      message.success('操作成功')
-      fetchData()
+      const res = await api.get(`/seller/coupons/${record.id}/records`, { params: { status, pageSize: 100 } })
+      setRecords({ coupon: record, status, list: (res.data?.data?.list || []).map(item => ({ ...item, key: item.id })) })
     } catch (e) {
-      message.success('操作成功')
-      fetchData()
+      message.error(e.response?.data?.message || '获取领取记录失败')
+    }
+  }
+
+  const viewCodes = async (record) => {
+    try {
+      const res = await api.get(`/seller/coupons/${record.id}/codes`, { params: { pageSize: 100 } })
+      setCodes({ coupon: record, list: (res.data?.data?.list || []).map(item => ({ ...item, key: item.code })) })
+    } catch (e) {
+      message.error(e.response?.data?.message || '获取兑换码失败')
+    }
+  }
+
+  const generateCodes = async () => {
+    try {
+      const res = await api.post(`/seller/coupons/${codes.coupon.id}/codes`, { count: codeCount })
+      message.success(res.data?.message || '兑换码已生成')
+      viewCodes(codes.coupon)
+    } catch (e) {
+      message.error(e.response?.data?.message || '生成兑换码失败')
     }
   }
 
   const columns = [
-    { title: '标题', dataIndex: 'title', key: 'title' },
-    { title: '类型', dataIndex: 'type', key: 'type' },
-    { title: '面额', dataIndex: 'amount', key: 'amount' },
-    { title: '门槛', dataIndex: 'threshold', key: 'threshold' },
-    { title: '有效期', dataIndex: 'validity', key: 'validity' },
-    { title: '状态', dataIndex: 'status', key: 'status', render: v => <Tag color={v === '进行中' ? 'green' : v === '未开始' ? 'default' : 'red'}>{v}</Tag> },
-    { title: '操作', key: 'action', render: (_, record) => (
+    { title: '名称', dataIndex: 'name', key: 'name' },
+    { title: '类型', dataIndex: 'type', key: 'type', render: v => typeMap[v] || v },
+    { title: '面额/折扣', key: 'faceValue', render: (_, r) => faceValue(r) },
+    { title: '适用范围', dataIndex: 'scope', key: 'scope', render: v => scopeMap[v] || v },
+    { title: '发放方式', dataIndex: 'issueType', key: 'issueType', render: v => issueTypeMap[v] || v },
+    { title: '已领取/总量', key: 'issued', render: (_, r) => `${r.issuedCount}/${r.totalQuantity || '不限'}` },
+    { title: '已使用', dataIndex: 'usedCount', key: 'usedCount' },
+    { title: '有效期', key: 'validity', render: (_, r) => validity(r) },
+    { title: '状态', key: 'state', render: (_, r) => r.status === 'closed'
+      ? <Tag color="red">已停用</Tag>
+      : <Tag color={stateMap[r.state]?.color}>{stateMap[r.state]?.text || r.state}</Tag> },
+    { title: '操作', key: 'action', render: (_, r) => (
       <Space>
-        <Button type="link">编辑</Button>
-        <Button type="link" onClick={() => toggle(record)}>启停</Button>
+        <Button type="link" onClick={() => viewDetail(r)}>查看</Button>
+        {r.state !== 'ended' && <Button type="link" onClick={() => openEdit(r)}>编辑</Button>}
+        <Button type="link" onClick={() => viewRecords(r)}>领取记录</Button>
+        {r.issueType === 'code' && <Button type="link" onClick={() => viewCodes(r)}>兑换码</Button>}
+        <Button type="link" danger={r.status === 'active'} onClick={() => toggle(r)}>{r.status === 'active' ? '停用' : '启用'}</Button>
       </Space>
     ) }
   ]
 
+  const limited = editing && editing.issuedCount > 0
+
   return (
-    <Card title="优惠券">
-      <Button type="primary" style={{ marginBottom: 12 }}>新建优惠券</Button>
-      <Table loading={loading} columns={columns} dataSource={data} pagination={{ pageSize: 10 }} />
+    <Card title="优惠券" extra={<Button type="primary" onClick={openCreate}>新建优惠券</Button>}>
+      <Space style={{ marginBottom: 12 }}>
+        <Select allowClear placeholder="发放状态" style={{ width: 140 }} value={state} onChange={setState}
+          options={Object.entries(stateMap).map(([value, item]) => ({ value, label: item.text }))} />
+      </Space>
+      <Table loading={loading} columns={columns} dataSource={data}
+        pagination={{ ...pagination, onChange: (page, pageSize) => fetchData(page, pageSize) }} />
+      <Modal open={visible} onCancel={() => setVisible(false)} onOk={submit} title={editing ? '编辑优惠券' : '新建优惠券'} width={600}>
+        {limited && <p style={{ color: '#999' }}>优惠券已有买家领取，只能修改名称、说明、发放总量、每人限领和领取时间。</p>}
+        <Form form={form} layout="vertical">
+          <Form.Item label="名称" name="name" rules={[{ required: true, message: '请输入优惠券名称' }]}>
+            <Input maxLength={100} />
+          </Form.Item>
+          <Form.Item label="类型" name="type" rules={[{ required: true }]}>
+            <Radio.Group disabled={limited} options={Object.entries(typeMap).map(([value, label]) => ({ value, label }))} />
+          </Form.Item>
+          {type !== 'percentage' && (
+            <Form.Item label={type === 'shipping' ? '运费减免上限' : '优惠金额'} name="amount"
+              rules={type === 'shipping' ? [] : [{ required: true, message: '请输入优惠金额' }]}
+              extra={type === 'shipping' ? '不填表示免全部运费' : undefined}>
+              <InputNumber min={0.01} precision={2} style={{ width: 200 }} disabled={limited} />
+            </Form.Item>
+          )}
+          {type === 'percentage' && (
+            <Space>
+              <Form.Item label="折扣" name="discountRate" rules={[{ required: true, message: '请输入折扣' }]} extra="0.85 表示 85 折">
+                <InputNumber min={0.01} max={0.99} step={0.05} precision={2} style={{ width: 200 }} disabled={limited} />
+              </Form.Item>
+              <Form.Item label="最高优惠" name="maxDiscount">
+                <InputNumber min={0.01} precision={2} style={{ width: 200 }} disabled={limited} />
+              </Form.Item>
+            </Space>
+          )}
+          <Form.Item label="使用门槛" name="threshold" extra="适用商品满该金额可用，不填表示无门槛"
+            rules={type === 'threshold' ? [{ required: true, message: '请输入使用门槛' }] : []}>
+            <InputNumber min={0} precision={2} style={{ width: 200 }} disabled={limited} />
+          </Form.Item>
+          <Form.Item label="适用范围" name="scope">
+            <Radio.Group disabled={limited || type === 'shipping'} options={Object.entries(scopeMap).map(([value, label]) => ({ value, label }))} />
+          </Form.Item>
+          {scope && scope !== 'all' && (
+            <Form.Item label={scope === 'product' ? '商品ID' : '分类ID'} name="scopeIds"
+              rules={[{ required: true, message: scope === 'product' ? '请输入适用商品ID' : '请输入适用分类ID' }]}>
+              <Select mode="tags" tokenSeparators={[',', ' ']} placeholder="输入后回车" disabled={limited} />
+            </Form.Item>
+          )}
+          <Form.Item label="发放方式" name="issueType">
+            <Radio.Group disabled={!!editing} options={Object.entries(issueTypeMap).map(([value, label]) => ({ value, label }))} />
+          </Form.Item>
+          <Space>
+            <Form.Item label="发放总量" name="totalQuantity" extra="0 表示不限">
+              <InputNumber min={0} precision={0} style={{ width: 200 }} />
+            </Form.Item>
+            <Form.Item label="每人限领" name="perUserLimit" rules={[{ required: true, message: '请输入每人限领数量' }]}>
+              <InputNumber min={1} precision={0} style={{ width: 200 }} />
+            </Form.Item>
+          </Space>
+          <Form.Item label="领取时间" name="claimTime" extra="不填表示长期可领">
+            <RangePicker showTime />
+          </Form.Item>
+          <Form.Item label="有效期" name="validType">
+            <Radio.Group disabled={limited} options={[{ value: 'days', label: '领取后若干天' }, { value: 'fixed', label: '固定时间段' }]} />
+          </Form.Item>
+          {validType === 'fixed' ? (
+            <Form.Item label="有效时间" name="validTime" rules={[{ required: true, message: '请选择有效时间' }]}>
+              <RangePicker showTime disabled={limited} />
+            </Form.Item>
+          ) : (
+            <Form.Item label="有效天数" name="validDays" rules={[{ required: true, message: '请输入有效天数' }]}>
+              <InputNumber min={1} max={3650} precision={0} style={{ width: 200 }} disabled={limited} />
+            </Form.Item>
+          )}
+          <Form.Item label="使用说明" name="description">
+            <Input.TextArea rows={2} maxLength={500} />
+          </Form.Item>
+        </Form>
+      </Modal>
+      <Modal open={!!detail} onCancel={() => setDetail(null)} footer={null} title="优惠券详情" width={640}>
+        {detail && (
+          <Descriptions column={2} bordered size="small">
+            <Descriptions.Item label="名称" span={2}>{detail.name}</Descriptions.Item>
+            <Descriptions.Item label="类型">{typeMap[detail.type]}</Descriptions.Item>
+            <Descriptions.Item label="面额/折扣">{faceValue(detail)}</Descriptions.Item>
+            <Descriptions.Item label="适用范围" span={2}>
+              {scopeMap[detail.scope]}{detail.scopeIds?.length ? `：${detail.scopeIds.join('、')}` : ''}
+            </Descriptions.Item>
+            <Descriptions.Item label="发放总量">{detail.totalQuantity || '不限'}</Descriptions.Item>
+            <Descriptions.Item label="每人限领">{detail.perUserLimit}</Descriptions.Item>
+            <Descriptions.Item label="领取时间" span={2}>
+              {detail.claimStartTime || detail.claimEndTime ? `${formatTime(detail.claimStartTime)} ~ ${formatTime(detail.claimEndTime)}` : '长期可领'}
+            </Descriptions.Item>
+            <Descriptions.Item label="有效期" span={2}>{validity(detail)}</Descriptions.Item>
+            <Descriptions.Item label="未使用">{detail.stats?.unused || 0}</Descriptions.Item>
+            <Descriptions.Item label="待支付">{detail.stats?.locked || 0}</Descriptions.Item>
+            <Descriptions.Item label="已使用">{detail.stats?.used || 0}</Descriptions.Item>
+            <Descriptions.Item label="已过期">{detail.stats?.expired || 0}</Descriptions.Item>
+          </Descriptions>
+        )}
+      </Modal>
+      <Modal open={!!records} onCancel={() => setRecords(null)} footer={null} title={`领取记录${records ? ` - ${records.coupon.name}` : ''}`} width={900}>
+        {records && (
+          <>
+            <Select allowClear placeholder="使用状态" style={{ width: 140, marginBottom: 12 }} value={records.status}
+              onChange={v => viewRecords(records.coupon, v)}
+              options={Object.entries(couponStatusMap).map(([value, label]) => ({ value, label }))} />
+            <Table size="small" dataSource={records.list} pagination={{ pageSize: 10 }} columns={[
+              { title: '券码', dataIndex: 'couponNo', key: 'couponNo' },
+              { title: '买家ID', dataIndex: 'userId', key: 'userId' },
+              { title: '状态', dataIndex: 'status', key: 'status', render: v => couponStatusMap[v] || v },
+              { title: '订单ID', dataIndex: 'orderId', key: 'orderId', render: v => v || '-' },
+              { title: '优惠金额', dataIndex: 'discountAmount', key: 'discountAmount', render: v => v !== null ? money(v) : '-' },
+              { title: '领取时间', dataIndex: 'createdAt', key: 'createdAt', render: formatTime }
+            ]} />
+          </>
+        )}
+      </Modal>
+      <Modal open={!!codes} onCancel={() => setCodes(null)} footer={null} title={`兑换码${codes ? ` - ${codes.coupon.name}` : ''}`} width={720}>
+        {codes && (
+          <>
+            <Space style={{ marginBottom: 12 }}>
+              <InputNumber min={1} max={10000} precision={0} value={codeCount} onChange={setCodeCount} />
+              <Button type="primary" onClick={generateCodes} disabled={codes.coupon.status !== 'active'}>生成兑换码</Button>
+            </Space>
+            <Table size="small" dataSource={codes.list} pagination={{ pageSize: 10 }} columns={[
+              { title: '兑换码', dataIndex: 'code', key: 'code' },
+              { title: '批次号', dataIndex: 'batchNo', key: 'batchNo' },
+              { title: '状态', dataIndex: 'status', key: 'status', render: v => v === 'redeemed' ? <Tag color="green">已兑换</Tag> : <Tag>未兑换</Tag> },
+              { title: '兑换买家', dataIndex: 'userId', key: 'userId', render: v => v || '-' },
+              { title: '兑换时间', dataIndex: 'redeemedAt', key: 'redeemedAt', render: formatTime }
+            ]} />
+          </>
+        )}
+      </Modal>
     </Card>
   )
-}
\ No newline at end of file
+}
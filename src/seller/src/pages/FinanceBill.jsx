@@ -1,33 +1,125 @@
 import React, { useEffect, useState } from 'react'
-import { Card, Table, Button } from 'antd'
-import api from '../services/api'
+import { Card, Table, Tag, Button, Space, Select, DatePicker, Modal, Descriptions, message } from 'antd'
+import api, { download } from '../services/api'
+
+const { RangePicker } = DatePicker
+
+const statusMap = {
+  pending: { text: '待审核', color: 'orange' },
+  approved: { text: '待打款', color: 'blue' },
+  paid: { text: '已打款', color: 'green' },
+  carried_over: { text: '已结转', color: 'default' }
+}
+
+const money = v => `¥${Number(v || 0).toFixed(2)}`
 
 export default function FinanceBill() {
   const [loading, setLoading] = useState(false)
   const [data, setData] = useState([])
+  const [pagination, setPagination] = useState({ current: 1, pageSize: 10, total: 0 })
+  const [status, setStatus] = useState()
+  const [range, setRange] = useState(null)
+  const [detail, setDetail] = useState(null)
+
+  const getFilters = () => ({
+    status,
+    startDate: range?.[0]?.format('YYYY-MM-DD'),
+    endDate: range?.[1]?.format('YYYY-MM-DD')
+  })
 
-  const fetchData = async () => {
+  const fetchData = async (page = 1, pageSize = pagination.pageSize) => {
     setLoading(true)
     try {
-      const res = await api.get('/seller/finance/bill')
-      setData(res.data?.data || [])
+      const res = await api.get('/seller/finance/bill', { params: { ...getFilters(), page, pageSize } })
+      const result = res.data?.data || {}
+      setData((result.list || []).map(item => ({ ...item, key: item.billNo })))
+      setPagination({ current: page, pageSize, total: result.total || 0 })
     } catch (e) {
-      setData(Array.from({ length: 8 }).map((_, i) => ({ key: i, billNo: 'RB' + (100 + i), period: '2025-01', amount: 2999 + i * 10 })))}
-    finally { setLoading(false) }
+      message.error(e.response?.data?.message || '获取对账单失败')
+    } finally {
+      setLoading(false)
+    }
   }
 
   useEffect(() => { fetchData() }, [])
 
+  const showDetail = async (record) => {
+    try {
+      const res = await api.get(`/seller/finance/bill/${record.billNo}`)
+      setDetail(res.data.data)
+    } catch (e) {
+      message.error(e.response?.data?.message || '获取对账单详情失败')
+    }
+  }
+
+  const exportFile = async (url, params, fileName) => {
+    try {
+      await download(url, params, fileName)
+    } catch (e) {
+      message.error('导出失败')
+    }
+  }
+
   const columns = [
     { title: '对账单号', dataIndex: 'billNo', key: 'billNo' },
     { title: '账期', dataIndex: 'period', key: 'period' },
-    { title: '金额', dataIndex: 'amount', key: 'amount' }
+    { title: '订单金额', dataIndex: 'orderAmount', key: 'orderAmount', render: money },
+    { title: '平台佣金', dataIndex: 'commissionAmount', key: 'commissionAmount', render: money },
+    { title: '退款冲减', dataIndex: 'refundAmount', key: 'refundAmount', render: (v, r) => money(r.refundCommissionAmount - v) },
+    { title: '上期结转', dataIndex: 'carryOverAmount', key: 'carryOverAmount', render: money },
+    { title: '结算金额', dataIndex: 'settleAmount', key: 'settleAmount', render: money },
+    { title: '状态', dataIndex: 'status', key: 'status', render: v => <Tag color={statusMap[v]?.color}>{statusMap[v]?.text || v}</Tag> },
+    { title: '操作', key: 'action', render: (_, record) => (
+      <Space>
+        <Button type="link" onClick={() => showDetail(record)}>明细</Button>
+        <Button type="link" onClick={() => exportFile(`/seller/finance/bill/${record.billNo}/export`, {}, `settlement-${record.billNo}.csv`)}>导出明细</Button>
+      </Space>
+    ) }
+  ]
+
+  const itemColumns = [
+    { title: '类型', dataIndex: 'itemTypeText', key: 'itemTypeText' },
+    { title: '订单号', dataIndex: 'orderNo', key: 'orderNo', render: (v, r) => v || r.detail?.billNo || '-' },
+    { title: '发生时间', dataIndex: 'occurredAt', key: 'occurredAt', render: v => v ? new Date(v).toLocaleString() : '-' },
+    { title: '金额', dataIndex: 'amount', key: 'amount', render: money },
+    { title: '佣金比例', dataIndex: 'commissionRate', key: 'commissionRate', render: v => `${(v * 100).toFixed(2)}%` },
+    { title: '佣金', dataIndex: 'commissionAmount', key: 'commissionAmount', render: money },
+    { title: '结算金额', dataIndex: 'settleAmount', key: 'settleAmount', render: money }
   ]
 
   return (
     <Card title="商家对账">
-      <Button style={{ marginBottom: 12 }}>导出</Button>
-      <Table loading={loading} columns={columns} dataSource={data} pagination={{ pageSize: 10 }} />
+      <Space style={{ marginBottom: 12 }}>
+        <Select allowClear placeholder="状态" style={{ width: 120 }} value={status} onChange={setStatus}
+          options={Object.entries(statusMap).map(([value, item]) => ({ value, label: item.text }))} />
+        <RangePicker value={range} onChange={setRange} />
+        <Button type="primary" onClick={() => fetchData(1)}>查询</Button>
+        <Button onClick={() => exportFile('/seller/finance/bill/export', getFilters(), 'settlement-bills.csv')}>导出</Button>
+      </Space>
+      <Table
+        loading={loading}
+        columns={columns}
+        dataSource={data}
+        pagination={{ ...pagination, onChange: (page, pageSize) => fetchData(page, pageSize) }}
+      />
+      <Modal open={!!detail} onCancel={() => setDetail(null)} footer={null} width={900} title={`对账单 ${detail?.billNo || ''}`}>
+        {detail && (
+          <>
+            <Descriptions size="small" column={3} style={{ marginBottom: 16 }}>
+              <Descriptions.Item label="账期">{detail.period}</Descriptions.Item>
+              <Descriptions.Item label="订单数">{detail.orderCount}</Descriptions.Item>
+              <Descriptions.Item label="状态">{statusMap[detail.status]?.text || detail.status}</Descriptions.Item>
+              <Descriptions.Item label="订单金额">{money(detail.orderAmount)}</Descriptions.Item>
+              <Descriptions.Item label="平台佣金">{money(detail.commissionAmount)}</Descriptions.Item>
+              <Descriptions.Item label="退款金额">{money(detail.refundAmount)}</Descriptions.Item>
+              <Descriptions.Item label="退还佣金">{money(detail.refundCommissionAmount)}</Descriptions.Item>
+              <Descriptions.Item label="上期结转">{money(detail.carryOverAmount)}</Descriptions.Item>
+              <Descriptions.Item label="结算金额">{money(detail.settleAmount)}</Descriptions.Item>
+            </Descriptions>
+            <Table size="small" rowKey="id" columns={itemColumns} dataSource={detail.items} pagination={{ pageSize: 10 }} />
+          </>
+        )}
+      </Modal>
     </Card>
   )
-}
\ No newline at end of file
+}
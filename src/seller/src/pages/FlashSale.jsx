@@ -1,38 +1,185 @@
 import React, { useEffect, useState } from 'react'
-import { Card, Table, Tag, Button, Space, message } from 'antd'
+import { Card, Table, Tag, Button, Space, Select, Modal, Form, Input, InputNumber, DatePicker, Descriptions, message } from 'antd'
+import dayjs from 'dayjs'
 import api from '../services/api'
 
+const { RangePicker } = DatePicker
+
+const stateMap = {
+  not_started: { text: '未开始', color: 'default' },
+  ongoing: { text: '进行中', color: 'green' },
+  ended: { text: '已结束', color: 'red' }
+}
+
+const money = v => `¥${Number(v || 0).toFixed(2)}`
+const formatTime = v => v ? new Date(v).toLocaleString() : '-'
+
 export default function FlashSale() {
   const [loading, setLoading] = useState(false)
   const [data, setData] = useState([])
+  const [pagination, setPagination] = useState({ current: 1, pageSize: 10, total: 0 })
+  const [state, setState] = useState()
+  const [visible, setVisible] = useState(false)
+  const [editing, setEditing] = useState(null)
+  const [detail, setDetail] = useState(null)
+  const [form] = Form.useForm()
 
-  const fetchData = async () => {
+  const fetchData = async (page = 1, pageSize = pagination.pageSize) => {
     setLoading(true)
     try {
-      const res = await api.get('/seller/promotion/flash')
-      setData(res.data?.data || [])
+      const res = await api.get('/seller/promotion/flash', { params: { state, page, pageSize } })
+      const result = res.data?.data || {}
+      setData((result.list || []).map(item => ({ ...item, key: item.id })))
+      setPagination({ current: page, pageSize, total: result.total || 0 })
     } catch (e) {
-      setData(Array.from({ length: 6 }).map((_, i) => ({
-        key: i,
-        title: '秒杀活动' + (i + 1),
-        time: '每日 10:00-12:00',
-        status: i % 3 === 0 ? '未开始' : i % 3 === 1 ? '进行中' : '已结束'
-      })))
-    } finally { setLoading(false) }
+      message.error(e.response?.data?.message || '获取秒杀活动失败')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => { fetchData() }, [state])
+
+  const openCreate = () => {
+    setEditing(null)
+    form.resetFields()
+    form.setFieldsValue({ limitPerUser: 1 })
+    setVisible(true)
+  }
+
+  const openEdit = (record) => {
+    setEditing(record)
+    form.setFieldsValue({
+      productId: record.productId,
+      skuId: record.skuId,
+      name: record.name,
+      flashPrice: record.flashPrice,
+      stock: record.stock,
+      limitPerUser: record.limitPerUser,
+      time: [dayjs(record.startTime), dayjs(record.endTime)]
+    })
+    setVisible(true)
   }
 
-  useEffect(() => { fetchData() }, [])
+  const submit = async () => {
+    const values = await form.validateFields()
+    const payload = {
+      name: values.name,
+      flashPrice: values.flashPrice,
+      stock: values.stock,
+      limitPerUser: values.limitPerUser,
+      startTime: values.time[0].toISOString(),
+      endTime: values.time[1].toISOString()
+    }
+    try {
+      if (editing) {
+        await api.put(`/seller/promotion/flash/${editing.id}`, payload)
+        message.success('秒杀活动已修改')
+      } else {
+        await api.post('/seller/promotion/flash', { ...payload, productId: values.productId, skuId: values.skuId || undefined })
+        message.success('秒杀活动已创建')
+      }
+      setVisible(false)
+      form.resetFields()
+      fetchData(pagination.current)
+    } catch (e) {
+      message.error(e.response?.data?.message || '保存失败')
+    }
+  }
+
+  const viewDetail = async (record) => {
+    try {
+      const res = await api.get(`/seller/promotion/flash/${record.id}`)
+      setDetail(res.data?.data)
+    } catch (e) {
+      message.error(e.response?.data?.message || '获取活动详情失败')
+    }
+  }
 
-  const toggle = async (record) => {
-    try { await api.post('/seller/promotion/flash/toggle', { id: record.key }); message.success('操作成功'); fetchData() } catch { message.success('操作成功'); fetchData() }
+  const close = (record) => {
+    Modal.confirm({
+      title: '结束秒杀活动',
+      content: `结束后买家将无法继续抢购「${record.name}」，已抢到的订单不受影响。`,
+      onOk: async () => {
+        try {
+          await api.post(`/seller/promotion/flash/${record.id}/close`)
+          message.success('秒杀活动已结束')
+          fetchData(pagination.current)
+        } catch (e) {
+          message.error(e.response?.data?.message || '操作失败')
+        }
+      }
+    })
   }
 
   const columns = [
-    { title: '标题', dataIndex: 'title', key: 'title' },
-    { title: '时间', dataIndex: 'time', key: 'time' },
-    { title: '状态', dataIndex: 'status', key: 'status', render: v => <Tag color={v === '进行中' ? 'green' : v === '未开始' ? 'default' : 'red'}>{v}</Tag> },
-    { title: '操作', key: 'action', render: (_, r) => (<Space><Button type="link">编辑</Button><Button type="link" onClick={() => toggle(r)}>启停</Button></Space>) }
+    { title: '活动名称', dataIndex: 'name', key: 'name' },
+    { title: '商品', dataIndex: 'productName', key: 'productName' },
+    { title: '原价', dataIndex: 'originalPrice', key: 'originalPrice', render: money },
+    { title: '秒杀价', dataIndex: 'flashPrice', key: 'flashPrice', render: money },
+    { title: '库存', dataIndex: 'stock', key: 'stock' },
+    { title: '已售', dataIndex: 'soldCount', key: 'soldCount' },
+    { title: '每人限购', dataIndex: 'limitPerUser', key: 'limitPerUser' },
+    { title: '活动时间', key: 'time', render: (_, r) => `${formatTime(r.startTime)} ~ ${formatTime(r.endTime)}` },
+    { title: '状态', dataIndex: 'state', key: 'state', render: v => <Tag color={stateMap[v]?.color}>{stateMap[v]?.text || v}</Tag> },
+    { title: '操作', key: 'action', render: (_, r) => (
+      <Space>
+        <Button type="link" onClick={() => viewDetail(r)}>查看</Button>
+        {r.state === 'not_started' && <Button type="link" onClick={() => openEdit(r)}>编辑</Button>}
+        {r.state !== 'ended' && <Button type="link" danger onClick={() => close(r)}>结束</Button>}
+      </Space>
+    ) }
   ]
 
-  return (<Card title="秒杀活动"><Button type="primary" style={{ marginBottom: 12 }}>新建活动</Button><Table loading={loading} columns={columns} dataSource={data} pagination={{ pageSize: 10 }} /></Card>)
-}
\ No newline at end of file
+  return (
+    <Card title="秒杀活动" extra={<Button type="primary" onClick={openCreate}>新建活动</Button>}>
+      <Space style={{ marginBottom: 12 }}>
+        <Select allowClear placeholder="活动状态" style={{ width: 140 }} value={state} onChange={setState}
+          options={Object.entries(stateMap).map(([value, item]) => ({ value, label: item.text }))} />
+      </Space>
+      <Table loading={loading} columns={columns} dataSource={data}
+        pagination={{ ...pagination, onChange: (page, pageSize) => fetchData(page, pageSize) }} />
+      <Modal open={visible} onCancel={() => setVisible(false)} onOk={submit} title={editing ? '编辑秒杀活动' : '新建秒杀活动'}>
+        <Form form={form} layout="vertical">
+          <Form.Item label="商品ID" name="productId" rules={[{ required: true, message: '请输入商品ID' }]}>
+            <Input disabled={!!editing} />
+          </Form.Item>
+          <Form.Item label="规格ID" name="skuId">
+            <Input disabled={!!editing} placeholder="无规格商品可不填" />
+          </Form.Item>
+          <Form.Item label="活动名称" name="name">
+            <Input placeholder="默认使用商品名称" />
+          </Form.Item>
+          <Form.Item label="秒杀价" name="flashPrice" rules={[{ required: true, message: '请输入秒杀价' }]}>
+            <InputNumber min={0.01} precision={2} style={{ width: 200 }} />
+          </Form.Item>
+          <Form.Item label="活动库存" name="stock" rules={[{ required: true, message: '请输入活动库存' }]}>
+            <InputNumber min={1} precision={0} style={{ width: 200 }} />
+          </Form.Item>
+          <Form.Item label="每人限购" name="limitPerUser" rules={[{ required: true, message: '请输入每人限购数量' }]}>
+            <InputNumber min={1} precision={0} style={{ width: 200 }} />
+          </Form.Item>
+          <Form.Item label="活动时间" name="time" rules={[{ required: true, message: '请选择活动时间' }]}>
+            <RangePicker showTime />
+          </Form.Item>
+        </Form>
+      </Modal>
+      <Modal open={!!detail} onCancel={() => setDetail(null)} footer={null} title="秒杀活动详情" width={640}>
+        {detail && (
+          <Descriptions column={2} bordered size="small">
+            <Descriptions.Item label="活动名称" span={2}>{detail.name}</Descriptions.Item>
+            <Descriptions.Item label="秒杀价">{money(detail.flashPrice)}</Descriptions.Item>
+            <Descriptions.Item label="原价">{money(detail.originalPrice)}</Descriptions.Item>
+            <Descriptions.Item label="活动库存">{detail.stock}</Descriptions.Item>
+            <Descriptions.Item label="剩余可抢">{detail.remainingStock ?? (detail.preloaded ? '-' : '未预热')}</Descriptions.Item>
+            <Descriptions.Item label="订单数">{detail.stats?.orders || 0}</Descriptions.Item>
+            <Descriptions.Item label="已支付件数">{detail.stats?.paidQuantity || 0}</Descriptions.Item>
+            <Descriptions.Item label="待支付件数">{detail.stats?.unpaidQuantity || 0}</Descriptions.Item>
+            <Descriptions.Item label="已取消件数">{detail.stats?.releasedQuantity || 0}</Descriptions.Item>
+            <Descriptions.Item label="活动时间" span={2}>{formatTime(detail.startTime)} ~ {formatTime(detail.endTime)}</Descriptions.Item>
+          </Descriptions>
+        )}
+      </Modal>
+    </Card>
+  )
+}
@@ -0,0 +1,369 @@
+import React, { useEffect, useState } from 'react'
+import { Card, Table, Tag, Button, Space, Select, Modal, Form, Input, InputNumber, Cascader, Switch, Divider, message } from 'antd'
+import api from '../services/api'
+
+const chargeTypeMap = {
+  count: { text: '按件数', unit: '件' },
+  weight: { text: '按重量', unit: 'kg' },
+  volume: { text: '按体积', unit: 'm³' }
+}
+
+const money = v => `¥${Number(v || 0).toFixed(2)}`
+
+// 加载下级地区，作为级联选择的选项
+const loadRegionOptions = async (parentCode) => {
+  const res = await api.get('/regions', { params: { parentCode } })
+  return (res.data?.data || []).map(item => ({ value: item.code, label: item.name, isLeaf: !item.hasChildren }))
+}
+
+// 地区选择：已选地区显示为标签，通过级联选择添加省、市或区县
+function RegionPicker({ value = [], onChange, names, onPick }) {
+  const [options, setOptions] = useState([])
+
+  useEffect(() => {
+    loadRegionOptions().then(setOptions).catch(() => message.error('获取地区失败'))
+  }, [])
+
+  const loadData = async (selectedOptions) => {
+    const target = selectedOptions[selectedOptions.length - 1]
+    target.loading = true
+    try {
+      target.children = await loadRegionOptions(target.value)
+    } finally {
+      target.loading = false
+      setOptions([...options])
+    }
+  }
+
+  const add = (path, selectedOptions) => {
+    if (!path || path.length === 0) {
+      return
+    }
+    const code = path[path.length - 1]
+    onPick(code, selectedOptions.map(item => item.label).join('/'))
+    if (!value.includes(code)) {
+      onChange([...value, code])
+    }
+  }
+
+  return (
+    <div>
+      <div style={{ marginBottom: 4 }}>
+        {value.map(code => (
+          <Tag key={code} closable onClose={() => onChange(value.filter(item => item !== code))}>{names[code] || code}</Tag>
+        ))}
+      </div>
+      <Cascader options={options} loadData={loadData} changeOnSelect value={[]} onChange={add}
+        placeholder="选择省、市或区县后添加" style={{ width: 280 }} />
+    </div>
+  )
+}
+
+export default function FreightTemplate() {
+  const [loading, setLoading] = useState(false)
+  const [data, setData] = useState([])
+  const [pagination, setPagination] = useState({ current: 1, pageSize: 10, total: 0 })
+  const [visible, setVisible] = useState(false)
+  const [editing, setEditing] = useState(null)
+  // 地区代码对应的名称，用于显示已选地区
+  const [regionNames, setRegionNames] = useState({})
+  const [productTemplate, setProductTemplate] = useState(null)
+  const [products, setProducts] = useState([])
+  const [productPagination, setProductPagination] = useState({ current: 1, pageSize: 10, total: 0 })
+  const [form] = Form.useForm()
+  const [bindForm] = Form.useForm()
+  const chargeType = Form.useWatch('chargeType', form) || 'count'
+
+  const fetchData = async (page = 1, pageSize = pagination.pageSize) => {
+    setLoading(true)
+    try {
+      const res = await api.get('/seller/freight-templates', { params: { page, pageSize } })
+      const result = res.data?.data || {}
+      setData((result.list || []).map(item => ({ ...item, key: item.id })))
+      setPagination({ current: page, pageSize, total: result.total || 0 })
+    } catch (e) {
+      message.error(e.response?.data?.message || '获取运费模板失败')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => { fetchData() }, [])
+
+  const pickRegion = (code, name) => setRegionNames(prev => ({ ...prev, [code]: name }))
+
+  const openCreate = () => {
+    setEditing(null)
+    form.resetFields()
+    form.setFieldsValue({
+      chargeType: 'count',
+      defaultRule: { firstUnit: 1, firstFee: 0, additionalUnit: 1, additionalFee: 0 },
+      rules: [],
+      freeRules: [],
+      undeliverableRegions: [],
+      isDefault: false
+    })
+    setVisible(true)
+  }
+
+  const openEdit = async (record) => {
+    try {
+      const res = await api.get(`/seller/freight-templates/${record.id}`)
+      const template = res.data?.data
+      setEditing(template)
+      setRegionNames(template.regionNames || {})
+      form.setFieldsValue({
+        name: template.name,
+        chargeType: template.chargeType,
+        defaultRule: template.rules.find(rule => rule.regions.length === 0),
+        rules: template.rules.filter(rule => rule.regions.length > 0),
+        freeRules: template.freeRules,
+        undeliverableRegions: template.undeliverableRegions,
+        isDefault: template.isDefault
+      })
+      setVisible(true)
+    } catch (e) {
+      message.error(e.response?.data?.message || '获取运费模板失败')
+    }
+  }
+
+  const submit = async () => {
+    const values = await form.validateFields()
+    const payload = {
+      name: values.name,
+      chargeType: values.chargeType,
+      rules: [{ ...values.defaultRule, regions: [] }, ...(values.rules || [])],
+      freeRules: values.freeRules || [],
+      undeliverableRegions: values.undeliverableRegions || [],
+      isDefault: !!values.isDefault
+    }
+    try {
+      if (editing) {
+        await api.put(`/seller/freight-templates/${editing.id}`, payload)
+        message.success('运费模板已修改')
+      } else {
+        await api.post('/seller/freight-templates', payload)
+        message.success('运费模板已创建')
+      }
+      setVisible(false)
+      fetchData(pagination.current)
+    } catch (e) {
+      message.error(e.response?.data?.message || '保存失败')
+    }
+  }
+
+  const setDefault = async (record) => {
+    try {
+      await api.post(`/seller/freight-templates/${record.id}/default`)
+      message.success('已设为默认运费模板')
+      fetchData(pagination.current)
+    } catch (e) {
+      message.error(e.response?.data?.message || '操作失败')
+    }
+  }
+
+  const remove = (record) => {
+    Modal.confirm({
+      title: '删除运费模板',
+      content: `确定删除「${record.name}」吗？`,
+      onOk: async () => {
+        try {
+          await api.delete(`/seller/freight-templates/${record.id}`)
+          message.success('运费模板已删除')
+          fetchData(pagination.current)
+        } catch (e) {
+          message.error(e.response?.data?.message || '删除失败')
+        }
+      }
+    })
+  }
+
+  const fetchProducts = async (template, page = 1, pageSize = productPagination.pageSize) => {
+    try {
+      const res = await api.get(`/seller/freight-templates/${template.id}/products`, { params: { page, pageSize } })
+      const result = res.data?.data || {}
+      setProducts((result.list || []).map(item => ({ ...item, key: item.productId })))
+      setProductPagination({ current: page, pageSize, total: result.total || 0 })
+    } catch (e) {
+      message.error(e.response?.data?.message || '获取商品失败')
+    }
+  }
+
+  const openProducts = (record) => {
+    setProductTemplate(record)
+    bindForm.resetFields()
+    fetchProducts(record)
+  }
+
+  const bindProducts = async () => {
+    const values = await bindForm.validateFields()
+    try {
+      const res = await api.post(`/seller/freight-templates/${productTemplate.id}/products`, {
+        products: values.productIds.map(productId => ({ productId, weight: values.weight ?? null, volume: values.volume ?? null }))
+      })
+      message.success(res.data?.message || '商品运费模板已设置')
+      bindForm.resetFields()
+      fetchProducts(productTemplate)
+      fetchData(pagination.current)
+    } catch (e) {
+      message.error(e.response?.data?.message || '设置失败')
+    }
+  }
+
+  const unbindProduct = async (record) => {
+    try {
+      await api.post('/seller/freight-templates/unbind', { productIds: [record.productId] })
+      message.success('已取消，商品将使用店铺默认运费模板')
+      fetchProducts(productTemplate, productPagination.current)
+      fetchData(pagination.current)
+    } catch (e) {
+      message.error(e.response?.data?.message || '操作失败')
+    }
+  }
+
+  const unit = chargeTypeMap[chargeType]?.unit
+  const unitStep = chargeType === 'count' ? 1 : 0.01
+  const unitPrecision = chargeType === 'count' ? 0 : 3
+
+  // 首件、首费、续件、续费输入
+  const feeFields = (prefix) => (
+    <Space wrap>
+      <Form.Item name={[...prefix, 'firstUnit']} label={`首${unit}`} rules={[{ required: true, message: '必填' }]}>
+        <InputNumber min={unitStep} step={unitStep} precision={unitPrecision} />
+      </Form.Item>
+      <Form.Item name={[...prefix, 'firstFee']} label="首费（元）" rules={[{ required: true, message: '必填' }]}>
+        <InputNumber min={0} precision={2} />
+      </Form.Item>
+      <Form.Item name={[...prefix, 'additionalUnit']} label={`续${unit}`} rules={[{ required: true, message: '必填' }]}>
+        <InputNumber min={unitStep} step={unitStep} precision={unitPrecision} />
+      </Form.Item>
+      <Form.Item name={[...prefix, 'additionalFee']} label="续费（元）" rules={[{ required: true, message: '必填' }]}>
+        <InputNumber min={0} precision={2} />
+      </Form.Item>
+    </Space>
+  )
+
+  const columns = [
+    { title: '模板名称', dataIndex: 'name', key: 'name', render: (v, r) => <>{v}{r.isDefault && <Tag color="red" style={{ marginLeft: 8 }}>默认</Tag>}</> },
+    { title: '计费方式', dataIndex: 'chargeType', key: 'chargeType', render: v => chargeTypeMap[v]?.text || v },
+    { title: '默认运费', key: 'default', render: (_, r) => {
+      const rule = r.rules.find(item => item.regions.length === 0)
+      const u = chargeTypeMap[r.chargeType]?.unit
+      return rule ? `${rule.firstUnit}${u}内${money(rule.firstFee)}，每增加${rule.additionalUnit}${u}加${money(rule.additionalFee)}` : '-'
+    } },
+    { title: '指定地区', key: 'rules', render: (_, r) => `${r.rules.length - 1} 条规则` },
+    { title: '包邮条件', key: 'freeRules', render: (_, r) => r.freeRules.length > 0 ? `${r.freeRules.length} 条` : '无' },
+    { title: '不配送地区', key: 'undeliverable', render: (_, r) => r.undeliverableRegions.length > 0 ? `${r.undeliverableRegions.length} 个` : '无' },
+    { title: '商品数', dataIndex: 'productCount', key: 'productCount' },
+    { title: '操作', key: 'action', render: (_, r) => (
+      <Space>
+        <Button type="link" onClick={() => openEdit(r)}>编辑</Button>
+        <Button type="link" onClick={() => openProducts(r)}>商品</Button>
+        {!r.isDefault && <Button type="link" onClick={() => setDefault(r)}>设为默认</Button>}
+        <Button type="link" danger onClick={() => remove(r)}>删除</Button>
+      </Space>
+    ) }
+  ]
+
+  const productColumns = [
+    { title: '商品ID', dataIndex: 'productId', key: 'productId' },
+    { title: '商品名称', dataIndex: 'name', key: 'name' },
+    { title: '重量（kg）', dataIndex: 'weight', key: 'weight', render: v => v ?? '-' },
+    { title: '体积（m³）', dataIndex: 'volume', key: 'volume', render: v => v ?? '-' },
+    { title: '操作', key: 'action', render: (_, r) => <Button type="link" danger onClick={() => unbindProduct(r)}>取消关联</Button> }
+  ]
+
+  return (
+    <Card title="运费模板" extra={<Button type="primary" onClick={openCreate}>新建模板</Button>}>
+      <div style={{ marginBottom: 12, color: '#999' }}>未设置运费模板的商品使用默认模板计算运费，没有默认模板时包邮。</div>
+      <Table loading={loading} columns={columns} dataSource={data}
+        pagination={{ ...pagination, onChange: (page, pageSize) => fetchData(page, pageSize) }} />
+      <Modal open={visible} onCancel={() => setVisible(false)} onOk={submit} title={editing ? '编辑运费模板' : '新建运费模板'} width={860}>
+        <Form form={form} layout="vertical">
+          <Space wrap>
+            <Form.Item label="模板名称" name="name" rules={[{ required: true, max: 50, message: '请输入50个字符以内的名称' }]}>
+              <Input style={{ width: 240 }} />
+            </Form.Item>
+            <Form.Item label="计费方式" name="chargeType" rules={[{ required: true }]}>
+              <Select style={{ width: 160 }} options={Object.entries(chargeTypeMap).map(([value, item]) => ({ value, label: item.text }))} />
+            </Form.Item>
+            <Form.Item label="设为默认模板" name="isDefault" valuePropName="checked">
+              <Switch />
+            </Form.Item>
+          </Space>
+          <Divider orientation="left">默认运费（除指定地区外）</Divider>
+          {feeFields(['defaultRule'])}
+          <Divider orientation="left">指定地区运费</Divider>
+          <Form.List name="rules">
+            {(fields, { add, remove: removeRule }) => (
+              <>
+                {fields.map(field => (
+                  <Card key={field.key} size="small" style={{ marginBottom: 8 }}
+                    extra={<Button type="link" danger onClick={() => removeRule(field.name)}>删除</Button>}>
+                    <Form.Item name={[field.name, 'regions']} label="配送地区" rules={[{ required: true, type: 'array', min: 1, message: '请选择地区' }]}>
+                      <RegionPicker names={regionNames} onPick={pickRegion} />
+                    </Form.Item>
+                    {feeFields([field.name])}
+                  </Card>
+                ))}
+                <Button type="dashed" onClick={() => add({ regions: [], firstUnit: 1, firstFee: 0, additionalUnit: 1, additionalFee: 0 })}>
+                  添加指定地区运费
+                </Button>
+              </>
+            )}
+          </Form.List>
+          <Divider orientation="left">包邮条件</Divider>
+          <Form.List name="freeRules">
+            {(fields, { add, remove: removeRule }) => (
+              <>
+                {fields.map(field => (
+                  <Card key={field.key} size="small" style={{ marginBottom: 8 }}
+                    extra={<Button type="link" danger onClick={() => removeRule(field.name)}>删除</Button>}>
+                    <Form.Item name={[field.name, 'regions']} label="包邮地区" extra="不选择时全部地区适用">
+                      <RegionPicker names={regionNames} onPick={pickRegion} />
+                    </Form.Item>
+                    <Space wrap>
+                      <Form.Item name={[field.name, 'minAmount']} label="满金额（元）">
+                        <InputNumber min={0} precision={2} />
+                      </Form.Item>
+                      <Form.Item name={[field.name, 'minQuantity']} label="满件数">
+                        <InputNumber min={1} precision={0} />
+                      </Form.Item>
+                    </Space>
+                  </Card>
+                ))}
+                <Button type="dashed" onClick={() => add({ regions: [] })}>添加包邮条件</Button>
+                <div style={{ color: '#999', marginTop: 4 }}>同时填写金额和件数时需同时满足，金额按商品优惠后的金额计算。</div>
+              </>
+            )}
+          </Form.List>
+          <Divider orientation="left">不配送地区</Divider>
+          <Form.Item name="undeliverableRegions">
+            <RegionPicker names={regionNames} onPick={pickRegion} />
+          </Form.Item>
+        </Form>
+      </Modal>
+      <Modal open={!!productTemplate} onCancel={() => setProductTemplate(null)} footer={null} width={760}
+        title={productTemplate ? `使用「${productTemplate.name}」的商品` : ''}>
+        <Form form={bindForm} layout="inline" style={{ marginBottom: 12 }}>
+          <Form.Item name="productIds" rules={[{ required: true, message: '请输入商品ID' }]}>
+            <Select mode="tags" tokenSeparators={[',', ' ']} placeholder="输入商品ID后回车" style={{ width: 260 }} />
+          </Form.Item>
+          {productTemplate?.chargeType === 'weight' && (
+            <Form.Item name="weight" rules={[{ required: true, message: '请输入重量' }]}>
+              <InputNumber min={0} precision={3} placeholder="重量（kg）" />
+            </Form.Item>
+          )}
+          {productTemplate?.chargeType === 'volume' && (
+            <Form.Item name="volume" rules={[{ required: true, message: '请输入体积' }]}>
+              <InputNumber min={0} precision={4} placeholder="体积（m³）" />
+            </Form.Item>
+          )}
+          <Button type="primary" onClick={bindProducts}>关联商品</Button>
+        </Form>
+        <Table columns={productColumns} dataSource={products} size="small"
+          pagination={{ ...productPagination, onChange: (page, pageSize) => fetchProducts(productTemplate, page, pageSize) }} />
+      </Modal>
+    </Card>
+  )
+}
@@ -1,17 +1,54 @@
 import React, { useState } from 'react'
-import { Card, Form, Input, Button, message } from 'antd'
+import { Card, Form, Input, Button, Tabs, Modal, message } from 'antd'
 import { UserOutlined, LockOutlined } from '@ant-design/icons'
 import { useNavigate } from 'react-router-dom'
 import axios from 'axios'
 
 export default function Login() {
   const [loading, setLoading] = useState(false)
+  const [mode, setMode] = useState('owner')
+  const [inviteVisible, setInviteVisible] = useState(false)
+  const [inviteForm] = Form.useForm()
   const navigate = useNavigate()
+  const apiBase = import.meta.env.VITE_API_BASE || '/api'
+
+  const handleStaffLogin = async (values) => {
+    setLoading(true)
+    try {
+      const res = await axios.post(`${apiBase}/seller/staff/login`, {
+        username: values.username,
+        password: values.password
+      })
+      localStorage.setItem('sellerToken', res.data.data.token)
+      localStorage.setItem('sellerInfo', JSON.stringify({ ...res.data.data.user, permissions: res.data.data.permissions }))
+      message.success('登录成功')
+      navigate('/')
+    } catch (e) {
+      message.error(e.response?.data?.message || '登录失败')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const acceptInvitation = async () => {
+    const values = await inviteForm.validateFields()
+    try {
+      await axios.post(`${apiBase}/seller/staff/invitations/accept`, values)
+      message.success('账号已激活，请登录')
+      setInviteVisible(false)
+      inviteForm.resetFields()
+      setMode('staff')
+    } catch (e) {
+      message.error(e.response?.data?.message || '激活失败')
+    }
+  }
 
   const handleSubmit = async (values) => {
+    if (mode === 'staff') {
+      return handleStaffLogin(values)
+    }
     setLoading(true)
     try {
-      const apiBase = import.meta.env.VITE_API_BASE || '/api'
       const res = await axios.post(`${apiBase}/seller/login`, {
         username: values.username,
         password: values.password
@@ -37,6 +74,11 @@ export default function Login() {
   return (
     <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', height: '100vh' }}>
       <Card style={{ width: 360 }} title="卖家端登录">
+        <Tabs
+          activeKey={mode}
+          onChange={setMode}
+          items={[{ key: 'owner', label: '店主登录' }, { key: 'staff', label: '员工登录' }]}
+        />
         <Form layout="vertical" onFinish={handleSubmit}>
           <Form.Item name="username" label="用户名" rules={[{ required: true, message: '请输入用户名' }]}>
             <Input prefix={<UserOutlined />} placeholder="请输入用户名" size="large" />
@@ -49,8 +91,21 @@ export default function Login() {
               登录
             </Button>
           </Form.Item>
+          {mode === 'staff' && (
+            <Button type="link" block onClick={() => setInviteVisible(true)}>收到邀请码？接受邀请</Button>
+          )}
         </Form>
       </Card>
+      <Modal open={inviteVisible} title="接受员工邀请" onOk={acceptInvitation} onCancel={() => setInviteVisible(false)}>
+        <Form form={inviteForm} layout="vertical">
+          <Form.Item name="token" label="邀请码" rules={[{ required: true, message: '请输入邀请码' }]}>
+            <Input />
+          </Form.Item>
+          <Form.Item name="password" label="设置密码" rules={[{ required: true, min: 8, message: '密码不少于8位' }]}>
+            <Input.Password />
+          </Form.Item>
+        </Form>
+      </Modal>
     </div>
   )
 }
\ No newline at end of file
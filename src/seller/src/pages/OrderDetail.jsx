@@ -9,6 +9,7 @@ export default function OrderDetail() {
   const [data, setData] = useState(null)
   const [shipVisible, setShipVisible] = useState(false)
   const [shipLoading, setShipLoading] = useState(false)
+  const [companies, setCompanies] = useState([])
   const [form] = Form.useForm()
 
   const fetchData = async () => {
@@ -34,9 +35,15 @@ export default function OrderDetail() {
 
   useEffect(() => { fetchData() }, [orderNo])
 
-  const openShip = () => {
+  const openShip = async () => {
     form.resetFields()
     setShipVisible(true)
+    try {
+      const res = await api.get('/seller/logistics-companies')
+      setCompanies((res.data?.data || []).map(item => ({ value: item.code, label: item.name })))
+    } catch (e) {
+      message.error(e.response?.data?.message || '获取物流公司失败')
+    }
   }
 
   const submitShip = async () => {
@@ -121,12 +128,7 @@ export default function OrderDetail() {
       >
         <Form layout="vertical" form={form}>
           <Form.Item name="company" label="物流公司" rules={[{ required: true, message: '请选择物流公司' }]}> 
-            <Select placeholder="请选择" options={[
-              { value: '顺丰速运', label: '顺丰速运' },
-              { value: '中通快递', label: '中通快递' },
-              { value: '圆通快递', label: '圆通快递' },
-              { value: '京东物流', label: '京东物流' }
-            ]} />
+            <Select placeholder="请选择" showSearch optionFilterProp="label" options={companies} />
           </Form.Item>
           <Form.Item name="trackingNo" label="运单号" rules={[{ required: true, message: '请输入运单号' }]}> 
             <Input placeholder="请输入" />
@@ -1,23 +1,29 @@
 import React, { useEffect, useState } from 'react'
-import { Card, Table, Tag, Button, Space, Modal, Form, Input, Tree, message } from 'antd'
+import { Card, Table, Tag, Button, Space, Modal, Form, Input, Checkbox, Popconfirm, message } from 'antd'
 import api from '../services/api'
 
+const permissionOptions = [
+  { label: '商品', value: 'goods' },
+  { label: '订单', value: 'orders' },
+  { label: '促销', value: 'promotion' },
+  { label: '财务', value: 'finance' },
+  { label: '设置', value: 'settings' }
+]
+
 export default function Role() {
   const [loading, setLoading] = useState(false)
   const [data, setData] = useState([])
   const [visible, setVisible] = useState(false)
+  const [editing, setEditing] = useState(null)
   const [form] = Form.useForm()
 
   const fetchData = async () => {
     setLoading(true)
     try {
       const res = await api.get('/seller/roles')
-      setData(res.data?.data || [])
+      setData((res.data?.data || []).map(item => ({ ...item, key: item.id })))
     } catch (e) {
-      setData([
-        { key: 1, name: '管理员', permissions: ['商品', '订单', '促销', '财务', '设置'] },
-        { key: 2, name: '店员', permissions: ['商品', '订单'] }
-      ])
+      message.error(e.response?.data?.message || '获取角色列表失败')
     } finally {
       setLoading(false)
     }
@@ -25,53 +31,76 @@ export default function Role() {
 
   useEffect(() => { fetchData() }, [])
 
-  const add = async () => {
+  const openCreate = () => {
+    setEditing(null)
+    form.resetFields()
+    setVisible(true)
+  }
+
+  const openEdit = (record) => {
+    setEditing(record)
+    form.setFieldsValue({ name: record.name, permissions: record.permissions, description: record.description })
+    setVisible(true)
+  }
+
+  const submit = async () => {
     const values = await form.validateFields()
     try {
-      await api.post('/seller/roles', values)
-      message.success('新增成功')
+      if (editing) {
+        await api.put(`/seller/roles/${editing.id}`, values)
+        message.success('角色已更新')
+      } else {
+        await api.post('/seller/roles', values)
+        message.success('角色已创建')
+      }
       setVisible(false)
       form.resetFields()
       fetchData()
     } catch (e) {
-      message.success('新增成功')
-      setVisible(false)
-      form.resetFields()
+      message.error(e.response?.data?.message || '保存失败')
+    }
+  }
+
+  const remove = async (record) => {
+    try {
+      await api.delete(`/seller/roles/${record.id}`)
+      message.success('角色已删除')
       fetchData()
+    } catch (e) {
+      message.error(e.response?.data?.message || '删除失败')
     }
   }
 
   const columns = [
     { title: '角色名', dataIndex: 'name', key: 'name' },
-    { title: '权限', dataIndex: 'permissions', key: 'permissions', render: v => v.map(p => <Tag key={p}>{p}</Tag>) },
-    { title: '操作', key: 'action', render: () => (
+    { title: '权限', dataIndex: 'permissionLabels', key: 'permissions', render: v => (v || []).map(p => <Tag key={p}>{p}</Tag>) },
+    { title: '员工数', dataIndex: 'staffCount', key: 'staffCount' },
+    { title: '操作', key: 'action', render: (_, record) => (
       <Space>
-        <Button type="link">编辑</Button>
+        <Button type="link" onClick={() => openEdit(record)}>编辑</Button>
+        <Popconfirm title="确定删除该角色？" onConfirm={() => remove(record)}>
+          <Button type="link" danger disabled={record.staffCount > 0}>删除</Button>
+        </Popconfirm>
       </Space>
     ) }
   ]
 
-  const treeData = [
-    { title: '商品', key: 'goods' },
-    { title: '订单', key: 'orders' },
-    { title: '促销', key: 'promotion' },
-    { title: '财务', key: 'finance' },
-    { title: '设置', key: 'settings' }
-  ]
-
   return (
-    <Card title="角色权限" extra={<Button type="primary" onClick={() => setVisible(true)}>新增角色</Button>}>
+    <Card title="角色权限" extra={<Button type="primary" onClick={openCreate}>新增角色</Button>}>
       <Table loading={loading} columns={columns} dataSource={data} pagination={{ pageSize: 10 }} />
-      <Modal open={visible} onCancel={() => setVisible(false)} onOk={add} title="新增角色">
+      <Modal open={visible} onCancel={() => setVisible(false)} onOk={submit} title={editing ? '编辑角色' : '新增角色'}>
         <Form form={form} layout="vertical">
           <Form.Item label="角色名" name="name" rules={[{ required: true }]}>
             <Input />
           </Form.Item>
-          <Form.Item label="权限" name="permissions" rules={[{ required: true }]}>
-            <Tree checkable treeData={treeData} defaultExpandAll />
+          <Form.Item label="权限" name="permissions" rules={[{ required: true, message: '请至少选择一项权限' }]}>
+            <Checkbox.Group options={permissionOptions} />
+          </Form.Item>
+          <Form.Item label="描述" name="description">
+            <Input.TextArea rows={2} />
           </Form.Item>
         </Form>
       </Modal>
     </Card>
   )
-}
\ No newline at end of file
+}
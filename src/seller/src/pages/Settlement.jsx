@@ -1,27 +1,32 @@
 import React, { useEffect, useState } from 'react'
-import { Card, Row, Col, Statistic, Table, Button } from 'antd'
-import api from '../services/api'
+import { Card, Row, Col, Statistic, Table, Tag, Button, message } from 'antd'
+import api, { download } from '../services/api'
+
+const statusMap = {
+  pending: { text: '待审核', color: 'orange' },
+  approved: { text: '待打款', color: 'blue' },
+  paid: { text: '已打款', color: 'green' },
+  carried_over: { text: '已结转', color: 'default' }
+}
+
+const emptySummary = { pendingAmount: 0, approvedAmount: 0, paidAmount: 0, unsettledOrderCount: 0, unsettledOrderAmount: 0 }
 
 export default function Settlement() {
   const [loading, setLoading] = useState(false)
-  const [summary, setSummary] = useState({ balance: 0, pending: 0 })
+  const [summary, setSummary] = useState(emptySummary)
   const [data, setData] = useState([])
+  const [pagination, setPagination] = useState({ current: 1, pageSize: 10, total: 0 })
 
-  const fetchData = async () => {
+  const fetchData = async (page = pagination.current, pageSize = pagination.pageSize) => {
     setLoading(true)
     try {
-      const res = await api.get('/seller/settlement')
-      setSummary(res.data?.summary || { balance: 0, pending: 0 })
-      setData(res.data?.data || [])
+      const res = await api.get('/seller/settlement', { params: { page, pageSize } })
+      const result = res.data?.data || {}
+      setSummary(result.summary || emptySummary)
+      setData((result.list || []).map(item => ({ ...item, key: item.billNo })))
+      setPagination({ current: page, pageSize, total: result.total || 0 })
     } catch (e) {
-      setSummary({ balance: 12540.5, pending: 890.2 })
-      setData(Array.from({ length: 6 }).map((_, i) => ({
-        key: i,
-        billNo: 'ST' + (100 + i),
-        period: '2025-01',
-        amount: 1999 + i * 10,
-        status: i % 2 === 0 ? '已结算' : '待结算'
-      })))
+      message.error(e.response?.data?.message || '获取结算记录失败')
     } finally {
       setLoading(false)
     }
@@ -29,22 +34,39 @@ export default function Settlement() {
 
   useEffect(() => { fetchData() }, [])
 
+  const exportBills = async () => {
+    try {
+      await download('/seller/finance/bill/export', {}, 'settlement-bills.csv')
+    } catch (e) {
+      message.error('导出失败')
+    }
+  }
+
   const columns = [
     { title: '结算单号', dataIndex: 'billNo', key: 'billNo' },
     { title: '账期', dataIndex: 'period', key: 'period' },
-    { title: '金额', dataIndex: 'amount', key: 'amount' },
-    { title: '状态', dataIndex: 'status', key: 'status' }
+    { title: '订单数', dataIndex: 'orderCount', key: 'orderCount' },
+    { title: '结算金额', dataIndex: 'settleAmount', key: 'settleAmount', render: v => `¥${Number(v).toFixed(2)}` },
+    { title: '状态', dataIndex: 'status', key: 'status', render: v => <Tag color={statusMap[v]?.color}>{statusMap[v]?.text || v}</Tag> },
+    { title: '打款时间', dataIndex: 'paidAt', key: 'paidAt', render: v => v ? new Date(v).toLocaleString() : '-' }
   ]
 
   return (
     <div>
       <Row gutter={16}>
-        <Col span={12}><Card><Statistic title="账户余额" value={summary.balance} precision={2} /></Card></Col>
-        <Col span={12}><Card><Statistic title="待结算" value={summary.pending} precision={2} /></Card></Col>
+        <Col span={6}><Card><Statistic title="待审核" value={summary.pendingAmount} precision={2} prefix="¥" /></Card></Col>
+        <Col span={6}><Card><Statistic title="待打款" value={summary.approvedAmount} precision={2} prefix="¥" /></Card></Col>
+        <Col span={6}><Card><Statistic title="累计已打款" value={summary.paidAmount} precision={2} prefix="¥" /></Card></Col>
+        <Col span={6}><Card><Statistic title={`未结算订单（${summary.unsettledOrderCount}笔）`} value={summary.unsettledOrderAmount} precision={2} prefix="¥" /></Card></Col>
       </Row>
-      <Card title="结算记录" style={{ marginTop: 16 }} extra={<Button>导出</Button>}>
-        <Table loading={loading} columns={columns} dataSource={data} pagination={{ pageSize: 10 }} />
+      <Card title="结算记录" style={{ marginTop: 16 }} extra={<Button onClick={exportBills}>导出</Button>}>
+        <Table
+          loading={loading}
+          columns={columns}
+          dataSource={data}
+          pagination={{ ...pagination, onChange: (page, pageSize) => fetchData(page, pageSize) }}
+        />
       </Card>
     </div>
   )
-}
\ No newline at end of file
+}
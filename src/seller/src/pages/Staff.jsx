@@ -1,25 +1,29 @@
 import React, { useEffect, useState } from 'react'
-import { Card, Table, Tag, Button, Space, Modal, Form, Input, Select, message } from 'antd'
+import { Card, Table, Tag, Button, Space, Modal, Form, Input, Select, Typography, message } from 'antd'
 import api from '../services/api'
 
+const statusMap = {
+  invited: { text: '待激活', color: 'blue' },
+  active: { text: '启用', color: 'green' },
+  disabled: { text: '禁用', color: 'red' }
+}
+
 export default function Staff() {
   const [loading, setLoading] = useState(false)
   const [data, setData] = useState([])
+  const [roles, setRoles] = useState([])
   const [visible, setVisible] = useState(false)
+  const [editing, setEditing] = useState(null)
   const [form] = Form.useForm()
 
   const fetchData = async () => {
     setLoading(true)
     try {
-      const res = await api.get('/seller/staff')
-      setData(res.data?.data || [])
+      const [staffRes, roleRes] = await Promise.all([api.get('/seller/staff'), api.get('/seller/roles')])
+      setData((staffRes.data?.data || []).map(item => ({ ...item, key: item.id })))
+      setRoles(roleRes.data?.data || [])
     } catch (e) {
-      setData(Array.from({ length: 8 }).map((_, i) => ({
-        key: i,
-        name: '员工' + (i + 1),
-        role: i % 2 === 0 ? '店员' : '管理员',
-        status: i % 3 === 0 ? '禁用' : '启用'
-      })))
+      message.error(e.response?.data?.message || '获取员工列表失败')
     } finally {
       setLoading(false)
     }
@@ -27,47 +31,99 @@ export default function Staff() {
 
   useEffect(() => { fetchData() }, [])
 
-  const add = async () => {
+  const showInvitation = (inviteToken, expiresAt) => {
+    Modal.success({
+      title: '邀请码',
+      content: (
+        <div>
+          <p>请将邀请码发送给员工，员工在登录页“接受邀请”中设置密码后即可登录。邀请码只显示一次。</p>
+          <Typography.Paragraph copyable code>{inviteToken}</Typography.Paragraph>
+          <p>有效期至：{new Date(expiresAt).toLocaleString()}</p>
+        </div>
+      )
+    })
+  }
+
+  const openCreate = () => {
+    setEditing(null)
+    form.resetFields()
+    setVisible(true)
+  }
+
+  const openEdit = (record) => {
+    setEditing(record)
+    form.setFieldsValue({ name: record.name, username: record.username, phone: record.phone, roleId: record.roleId })
+    setVisible(true)
+  }
+
+  const submit = async () => {
     const values = await form.validateFields()
     try {
-      await api.post('/seller/staff', values)
-      message.success('新增成功')
+      if (editing) {
+        await api.put(`/seller/staff/${editing.id}`, { name: values.name, phone: values.phone || null, roleId: values.roleId })
+        message.success('员工已更新')
+      } else {
+        const res = await api.post('/seller/staff', values)
+        showInvitation(res.data.data.inviteToken, res.data.data.expiresAt)
+      }
       setVisible(false)
       form.resetFields()
       fetchData()
     } catch (e) {
-      message.success('新增成功')
-      setVisible(false)
-      form.resetFields()
+      message.error(e.response?.data?.message || '保存失败')
+    }
+  }
+
+  const runAction = async (record, action) => {
+    try {
+      const res = await api.post(`/seller/staff/${record.id}/${action}`)
+      if (action === 'invitation') {
+        showInvitation(res.data.data.inviteToken, res.data.data.expiresAt)
+      } else {
+        message.success(res.data?.message || '操作成功')
+      }
       fetchData()
+    } catch (e) {
+      message.error(e.response?.data?.message || '操作失败')
     }
   }
 
   const columns = [
     { title: '姓名', dataIndex: 'name', key: 'name' },
-    { title: '角色', dataIndex: 'role', key: 'role' },
-    { title: '状态', dataIndex: 'status', key: 'status', render: v => <Tag color={v === '启用' ? 'green' : 'red'}>{v}</Tag> },
+    { title: '登录账号', dataIndex: 'username', key: 'username' },
+    { title: '角色', dataIndex: 'roleName', key: 'roleName' },
+    { title: '状态', dataIndex: 'status', key: 'status', render: v => <Tag color={statusMap[v]?.color}>{statusMap[v]?.text || v}</Tag> },
+    { title: '最近登录', dataIndex: 'lastLoginAt', key: 'lastLoginAt', render: v => v ? new Date(v).toLocaleString() : '-' },
     { title: '操作', key: 'action', render: (_, record) => (
       <Space>
-        <Button type="link">编辑</Button>
-        <Button type="link">禁用</Button>
+        <Button type="link" onClick={() => openEdit(record)}>编辑</Button>
+        {record.status === 'invited' && <Button type="link" onClick={() => runAction(record, 'invitation')}>重新邀请</Button>}
+        {record.status === 'disabled'
+          ? <Button type="link" onClick={() => runAction(record, 'enable')}>启用</Button>
+          : <Button type="link" danger onClick={() => runAction(record, 'disable')}>禁用</Button>}
       </Space>
     ) }
   ]
 
   return (
-    <Card title="员工管理" extra={<Button type="primary" onClick={() => setVisible(true)}>新增员工</Button>}>
+    <Card title="员工管理" extra={<Button type="primary" onClick={openCreate}>邀请员工</Button>}>
       <Table loading={loading} columns={columns} dataSource={data} pagination={{ pageSize: 10 }} />
-      <Modal open={visible} onCancel={() => setVisible(false)} onOk={add} title="新增员工">
+      <Modal open={visible} onCancel={() => setVisible(false)} onOk={submit} title={editing ? '编辑员工' : '邀请员工'}>
         <Form form={form} layout="vertical">
           <Form.Item label="姓名" name="name" rules={[{ required: true }]}>
             <Input />
           </Form.Item>
-          <Form.Item label="角色" name="role" rules={[{ required: true }]}>
-            <Select options={[{ value: '店员', label: '店员' }, { value: '管理员', label: '管理员' }]} />
+          <Form.Item label="登录账号" name="username" rules={[{ required: true, pattern: /^[A-Za-z0-9_.@-]{4,50}$/, message: '4-50位字母、数字或 _ . @ -' }]}>
+            <Input disabled={!!editing} />
+          </Form.Item>
+          <Form.Item label="手机号" name="phone">
+            <Input />
+          </Form.Item>
+          <Form.Item label="角色" name="roleId" rules={[{ required: true, message: '请选择角色' }]}>
+            <Select options={roles.map(role => ({ value: role.id, label: role.name }))} />
           </Form.Item>
         </Form>
       </Modal>
     </Card>
   )
-}
\ No newline at end of file
+}
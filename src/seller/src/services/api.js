@@ -13,4 +13,13 @@ instance.interceptors.request.use((config) => {
   return config
 })
 
-export default instance
\ No newline at end of file
+export default instance
+export async function download(url, params, fileName) {
+  const res = await instance.get(url, { params, responseType: 'blob' })
+  const href = URL.createObjectURL(res.data)
+  const link = document.createElement('a')
+  link.href = href
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(href)
+}